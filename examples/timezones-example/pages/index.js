@@ -1,15 +1,21 @@
 import AutoGUI from "@silver-zepp/autogui";
 import VisLog from "@silver-zepp/vis-log";
 import { Timezones } from "../../../tz-npm/dist/tz-import.src";
+import { TIMEZONE_CASES, GPS_CASES, FEATURE_SUITES, runCase } from "../utils/tz-tests";
 
 const gui = new AutoGUI();
 const vis = new VisLog();
 
 // Enable unit test?
-// - Timezones (14 tests)
+// - Timezones (16 tests)
 // - GPS location (12 tests)
+// - Features (one suite per feature)
+// the cases are in utils/tz-tests.js, `npm test` in tz-npm runs them in node
 const RUN_UNIT_TEST = false;
 
+// Enable benchmarks? (per call cost on the watch, e.g. of a 1 second tick)
+const RUN_BENCHMARK = false;
+
 // ===================================== //
 // === SUPPORTED CONSTRUCTOR FORMATS === //
 // ===================================== //
@@ -116,6 +122,9 @@ Page({
 		if (RUN_UNIT_TEST) {
 			lines = 6;
 			setTimeout(run_TimezoneTests, 500);
+		} else if (RUN_BENCHMARK) {
+			lines = 6;
+			setTimeout(run_Benchmarks, 500);
 		}
 		
 		// if we dont run unit test - limit the amount of log lines to 2
@@ -129,22 +138,7 @@ Page({
 function run_TimezoneTests() {
 	vis.log("\n===== Running: Timezone Test Cases =====\n ");
 
-	const cases = [
-		{ input: "America/New_York", expected: "America/New_York" },
-		{ input: "WrongCountry/WrongCity", expected: "Unknown" },
-		{ input: "Europe/London", expected: "Europe/London" },
-		{ input: "Europe/WarZaw", expected: "Europe/Warsaw" }, // typo auto correction
-		{ input: -4, expected: "America/Asuncion" },
-		{ input: "-5", expected: "America/Bogota" },
-		{ input: "+04:30", expected: "Asia/Kabul" },
-		{ input: "UTC+3", expected: "Africa/Nairobi" },
-		{ input: "", expected: "Africa/Abidjan" }, // use built-in TZ UTC+0
-		{ input: "Asia/Tokyo", expected: "Asia/Tokyo" },
-		{ input: "Australia/Sydney", expected: "Australia/Sydney" },
-		{ input: "Pacific/Auckland", expected: "Pacific/Auckland" },
-		{ input: "Africa/Cairo", expected: "Africa/Cairo" },
-		{ input: "Europe/Paris", expected: "Europe/Paris" },
-	];
+	const cases = TIMEZONE_CASES;
 
 	let passed = 0;
 	let ttl_tests = cases.length;
@@ -196,20 +190,7 @@ function run_TimezoneTests() {
 function run_GPSTests() {
 	vis.log("\n===== Running: GPS Test Cases =====\n ");
 
-	const cases = [
-		{ input: { lat: 51.5072, lon: 0.1276 }, expected: "Europe/London", name: "London" },
-		{ input: { lat: 40.7128, lon: -74.0060 }, expected: "America/New_York", name: "New York" },
-		{ input: { lat: 35.6762, lon: 139.6503 }, expected: "Asia/Tokyo", name: "Tokyo" },
-		{ input: { lat: -33.8688, lon: 151.2093 }, expected: "Australia/Sydney", name: "Sydney" },
-		{ input: { lat: 55.7558, lon: 37.6173 }, expected: "Europe/Moscow", name: "Moscow" },
-		{ input: { lat: 25.2048, lon: 55.2708 }, expected: "Asia/Dubai", name: "Dubai" },
-		{ input: { lat: 34.0522, lon: -118.2437 }, expected: "America/Los_Angeles", name: "Los Angeles" },
-		{ input: { lat: 61.2181, lon: -149.9003 }, expected: "America/Anchorage", name: "Anchorage" },
-		{ input: { lat: 48.8566, lon: 2.3522 }, expected: "Europe/Paris", name: "Paris" },
-		{ input: { lat: 31.2304, lon: 121.4737 }, expected: "Asia/Shanghai", name: "Shanghai" },
-		{ input: { lat: 19.4326, lon: -99.1332 }, expected: "America/Mexico_City", name: "Mexico City" },
-		{ input: { lat: 1.3521, lon: 103.8198 }, expected: "Asia/Singapore", name: "Singapore" },
-	];
+	const cases = GPS_CASES;
 
 	let passed = 0;
 	let ttl_tests = cases.length;
@@ -225,6 +206,10 @@ function run_GPSTests() {
 					return tz.getApproxLocation(test.input.lat, test.input.lon) !== test.expected;
 				}).join(', ')}`);
 			}
+
+			// then the feature suites
+			setTimeout(run_FeatureTests, 500);
+
 			return;
 		}
 
@@ -253,3 +238,86 @@ function run_GPSTests() {
 
 	runTest(0);
 }
+
+// ===== Feature Test Cases ===== //
+function run_FeatureTests() {
+	vis.log("\n===== Running: Feature Test Cases =====\n ");
+
+	let passed = 0;
+	let ttl_tests = 0;
+
+	function runSuite(index) {
+		if (index >= FEATURE_SUITES.length) {
+			vis.log(`Test Summary: ${passed} out of ${ttl_tests} tests passed.`);
+			return;
+		}
+
+		const suite = FEATURE_SUITES[index];
+		const failed = [];
+		if (suite.before) suite.before();
+		suite.cases.forEach((test, i) => {
+			const { result, passed: ok } = runCase(test);
+			if (ok) {
+				passed++;
+			} else {
+				failed.push(i + 1);
+				vis.log(`  FAILED ${test.name}: ${JSON.stringify(result)}, expected ${JSON.stringify(test.expected)}`);
+			}
+		});
+		if (suite.after) suite.after();
+		ttl_tests += suite.cases.length;
+
+		vis.log(`${suite.name}: ${suite.cases.length - failed.length} out of ${suite.cases.length} passed${failed.length ? ` (failed: ${failed.join(', ')})` : ''}`);
+
+		setTimeout(function () {
+			runSuite(index + 1);
+		}, 200);
+	}
+
+	runSuite(0);
+}
+
+// ===== Benchmarks ===== //
+function run_Benchmarks() {
+	vis.log("\n===== Running: Benchmarks =====\n ");
+
+	const tz_device = new Timezones();
+	const cases = [
+		// what a watchface does every second
+		{ name: "Tick (getHours/Minutes/Seconds)", runs: 1000, fn: () => { tz.getHours(); tz.getMinutes(); tz.getSeconds(); } },
+		{ name: "Tick, device timezone", runs: 1000, fn: () => { tz_device.getHours(); tz_device.getMinutes(); tz_device.getSeconds(); } },
+		{ name: "getDate", runs: 1000, fn: () => tz.getDate() },
+		{ name: "getDaylightStatus", runs: 1000, fn: () => tz.getDaylightStatus() },
+		{ name: "getTimezoneInfo (zone id)", runs: 1000, fn: () => tz.getTimezoneInfo("Europe/Paris") },
+		{ name: "getTimezoneInfo (alias)", runs: 1000, fn: () => tz.getTimezoneInfo("US/Pacific") },
+		{ name: "getTimezoneInfo (country code)", runs: 1000, fn: () => tz.getTimezoneInfo("JP") },
+		{ name: "convertToTimeZone (Tokyo)", runs: 500, fn: () => tz.convertToTimeZone(new Date(), 'Asia/Tokyo') },
+		{ name: "new Timezones(\"Europe/Paris\")", runs: 100, fn: () => new Timezones("Europe/Paris").getLocation() },
+		{ name: "new Timezones(\"CST\")", runs: 50, fn: () => new Timezones("CST").getLocation() },
+		{ name: "new Timezones(\"+04:30\")", runs: 50, fn: () => new Timezones("+04:30").getLocation() },
+	];
+
+	function runBenchmark(index) {
+		if (index >= cases.length) {
+			vis.log("Benchmarks done.");
+			return;
+		}
+
+		const test = cases[index];
+		test.fn(); // warm up the caches
+
+		const start = Date.now();
+		for (let i = 0; i < test.runs; i++) {
+			test.fn();
+		}
+		const time_taken = Date.now() - start;
+
+		vis.log(`${test.name}: ${(time_taken * 1000 / test.runs).toFixed(0)}us per call (${test.runs} calls in ${time_taken}ms)`);
+
+		setTimeout(function () {
+			runBenchmark(index + 1);
+		}, 200);
+	}
+
+	runBenchmark(0);
+}
@@ -0,0 +1,651 @@
+import { Timezones, ZonedDateTime, ZoneTracker, WorldClock, Clock, getDatabaseChecksum } from "../../../tz-npm/dist/tz-import.src";
+import { locale_de } from "../../../tz-npm/dist/locales/de";
+import { boundaries } from "../../../tz-npm/dist/tz-boundaries";
+import { boundaries_lite } from "../../../tz-npm/dist/tz-boundaries-lite";
+import { core_tz_db } from "../../../tz-npm/dist/tz-db";
+import { tz_history } from "../../../tz-npm/dist/tz-history";
+import { tz_links } from "../../../tz-npm/dist/tz-links";
+import { tz_countries } from "../../../tz-npm/dist/tz-countries";
+
+// Unit test cases, run by pages/index.js (RUN_UNIT_TEST) on the watch/simulator
+// and by `npm test` in tz-npm (node, device timezone UTC).
+
+// ===== Timezone Test Cases ===== //
+// new Timezones(input).getLocation()
+export const TIMEZONE_CASES = [
+	{ input: "America/New_York", expected: "America/New_York" },
+	{ input: "WrongCountry/WrongCity", expected: "Unknown" },
+	{ input: "Europe/London", expected: "Europe/London" },
+	{ input: "Europe/WarZaw", expected: "Europe/Warsaw" }, // typo auto correction
+	{ input: -4, expected: "America/Barbados" }, // Paraguay (America/Asuncion) is on permanent -03 since October 2024
+	{ input: "-5", expected: "America/Bogota" },
+	{ input: "+04:30", expected: "Asia/Kabul" },
+	{ input: "UTC+3", expected: "Africa/Nairobi" },
+	{ input: "", expected: "Africa/Abidjan" }, // use built-in TZ UTC+0
+	{ input: "Asia/Tokyo", expected: "Asia/Tokyo" },
+	{ input: "Australia/Sydney", expected: "Australia/Sydney" },
+	{ input: "Pacific/Auckland", expected: "Pacific/Auckland" },
+	{ input: "Africa/Cairo", expected: "Africa/Cairo" },
+	{ input: "Europe/Paris", expected: "Europe/Paris" },
+	{ input: "JST", expected: "Asia/Tokyo" }, // abbreviations
+	{ input: "ACST", expected: "Australia/Broken_Hill" }, // ACST/ACDT like Adelaide, first of the two in zone.tab
+];
+
+// ===== GPS Test Cases ===== //
+// getApproxLocation(lat, lon), no boundary pack
+export const GPS_CASES = [
+	{ input: { lat: 51.5072, lon: 0.1276 }, expected: "Europe/London", name: "London" },
+	{ input: { lat: 40.7128, lon: -74.0060 }, expected: "America/New_York", name: "New York" },
+	{ input: { lat: 35.6762, lon: 139.6503 }, expected: "Asia/Tokyo", name: "Tokyo" },
+	{ input: { lat: -33.8688, lon: 151.2093 }, expected: "Australia/Sydney", name: "Sydney" },
+	{ input: { lat: 55.7558, lon: 37.6173 }, expected: "Europe/Moscow", name: "Moscow" },
+	{ input: { lat: 25.2048, lon: 55.2708 }, expected: "Asia/Dubai", name: "Dubai" },
+	{ input: { lat: 34.0522, lon: -118.2437 }, expected: "America/Los_Angeles", name: "Los Angeles" },
+	{ input: { lat: 61.2181, lon: -149.9003 }, expected: "America/Anchorage", name: "Anchorage" },
+	{ input: { lat: 48.8566, lon: 2.3522 }, expected: "Europe/Paris", name: "Paris" },
+	{ input: { lat: 31.2304, lon: 121.4737 }, expected: "Asia/Shanghai", name: "Shanghai" },
+	{ input: { lat: 19.4326, lon: -99.1332 }, expected: "America/Mexico_City", name: "Mexico City" },
+	{ input: { lat: 1.3521, lon: 103.8198 }, expected: "Asia/Singapore", name: "Singapore" },
+];
+
+// ===== Feature Test Cases ===== //
+// one suite per feature, a case passes when run() returns the expected value (compared as JSON),
+// errors are reported as "throws <ErrorName>". before/after set up and restore global state.
+const tz = new Timezones("America/New_York");
+const offset = (date, zone) => tz.getOffsetInfo(new Date(date), zone).offset_str;
+const tz_de = new Timezones("Europe/Berlin");
+
+// database packs of the bundled data with another version, see "Database pack" at the end of tz-import.src.js
+function makeDatabasePack(version, { zones = core_tz_db, history = tz_history } = {}) {
+	const pack = { format: 1, version, zones, history, links: null };
+	return { ...pack, checksum: getDatabaseChecksum(pack) };
+}
+
+// what LoadDatabase() needs of @zos/storage localStorage
+function makeStorage(items = {}) {
+	return {
+		items,
+		getItem: key => items[key],
+		setItem: (key, value) => { items[key] = value; },
+		removeItem: key => { delete items[key]; }
+	};
+}
+
+export const FEATURE_SUITES = [
+	{
+		name: "DST history",
+		cases: [
+			{ name: "New York 2006, first Sunday of April", run: () => offset("2006-03-20T12:00:00Z", "America/New_York"), expected: "-05:00" },
+			{ name: "New York 2007, second Sunday of March", run: () => offset("2007-03-20T12:00:00Z", "America/New_York"), expected: "-04:00" },
+			{ name: "Moscow 2012, permanent +04", run: () => offset("2012-01-15T12:00:00Z", "Europe/Moscow"), expected: "+04:00" },
+			{ name: "Moscow 2015, back to +03", run: () => offset("2015-07-15T12:00:00Z", "Europe/Moscow"), expected: "+03:00" },
+			{ name: "Asuncion 2024, DST in summer", run: () => offset("2024-01-15T12:00:00Z", "America/Asuncion"), expected: "-03:00" },
+			{ name: "Asuncion 2023, standard in winter", run: () => offset("2023-07-15T12:00:00Z", "America/Asuncion"), expected: "-04:00" },
+			{ name: "Asuncion 2025, permanent -03", run: () => offset("2025-07-15T12:00:00Z", "America/Asuncion"), expected: "-03:00" },
+		]
+	},
+	{
+		name: "DST transition times",
+		cases: [
+			{ name: "Paris, 01:00 UTC (before)", run: () => offset("2025-03-30T00:59:59Z", "Europe/Paris"), expected: "+01:00" },
+			{ name: "Paris, 01:00 UTC (after)", run: () => offset("2025-03-30T01:00:00Z", "Europe/Paris"), expected: "+02:00" },
+			{ name: "Paris, 01:00 UTC end", run: () => offset("2025-10-26T01:00:00Z", "Europe/Paris"), expected: "+01:00" },
+			{ name: "New York, 02:00 wall (before)", run: () => offset("2025-03-09T06:59:59Z", "America/New_York"), expected: "-05:00" },
+			{ name: "New York, 02:00 wall (after)", run: () => offset("2025-03-09T07:00:00Z", "America/New_York"), expected: "-04:00" },
+			{ name: "New York, 02:00 wall end", run: () => offset("2025-11-02T06:00:00Z", "America/New_York"), expected: "-05:00" },
+			{ name: "Sydney, 02:00 standard end", run: () => offset("2025-04-05T15:59:59Z", "Australia/Sydney"), expected: "+11:00" },
+			{ name: "Sydney, 03:00 daylight end", run: () => offset("2025-04-05T16:00:00Z", "Australia/Sydney"), expected: "+10:00" },
+			{ name: "Santiago, 24:00 wall", run: () => offset("2025-09-07T04:00:00Z", "America/Santiago"), expected: "-03:00" },
+		]
+	},
+	{
+		name: "DST rule formats",
+		cases: [
+			{ name: "Cairo, last Friday of April (before)", run: () => offset("2025-04-24T21:59:59Z", "Africa/Cairo"), expected: "+02:00" },
+			{ name: "Cairo, last Friday of April (after)", run: () => offset("2025-04-24T22:00:00Z", "Africa/Cairo"), expected: "+03:00" },
+			{ name: "Cairo, last Thursday of October 24:00", run: () => offset("2025-10-30T21:00:00Z", "Africa/Cairo"), expected: "+02:00" },
+			{ name: "Jerusalem, Friday before the last Sunday", run: () => offset("2025-03-28T00:00:00Z", "Asia/Jerusalem"), expected: "+03:00" },
+			{ name: "Jerusalem, day before", run: () => offset("2025-03-27T12:00:00Z", "Asia/Jerusalem"), expected: "+02:00" },
+			{ name: "Lord Howe, 30 minute DST", run: () => offset("2025-01-15T12:00:00Z", "Australia/Lord_Howe"), expected: "+11:00" },
+			{ name: "Lord Howe, standard", run: () => offset("2025-07-15T12:00:00Z", "Australia/Lord_Howe"), expected: "+10:30" },
+			{ name: "hex rule still works (Berlin)", run: () => offset("2025-07-15T12:00:00Z", "Europe/Berlin"), expected: "+02:00" },
+		]
+	},
+	{
+		name: "ZonedDateTime",
+		cases: [
+			{ name: "is a Date", run: () => tz.getDate() instanceof Date, expected: true },
+			{ name: "keeps the instant", run: () => new ZonedDateTime(new Date("2025-03-08T12:00:00Z"), "America/New_York").getTime(), expected: Date.parse("2025-03-08T12:00:00Z") },
+			{ name: "wall time getters", run: () => { const d = new ZonedDateTime(new Date("2025-03-08T12:00:00Z"), "America/New_York"); return [d.getDate(), d.getHours(), d.getTimezoneOffset()]; }, expected: [8, 7, 300] },
+			{ name: "setHours in wall time", run: () => { const d = new ZonedDateTime(new Date("2025-03-08T12:00:00Z"), "Asia/Tokyo"); d.setHours(9, 0, 0, 0); return d.toDate().toISOString(); }, expected: "2025-03-08T00:00:00.000Z" },
+			{ name: "add 1 day keeps the wall time over DST", run: () => new ZonedDateTime(new Date("2025-03-08T12:00:00Z"), "America/New_York").add(1, 'day').getHours(), expected: 7 },
+			{ name: "add 24 hours moves the instant", run: () => new ZonedDateTime(new Date("2025-03-08T12:00:00Z"), "America/New_York").add(24, 'hours').getHours(), expected: 8 },
+			{ name: "subtract 1 month", run: () => new ZonedDateTime(new Date("2025-03-31T12:00:00Z"), "Europe/Berlin").subtract(1, 'month').getMonth(), expected: 1 },
+			{ name: "DST state after a setter", run: () => { const d = new ZonedDateTime(new Date("2025-03-08T12:00:00Z"), "America/New_York"); d.setDate(10); return [d.isDst(), d.getTimezoneAbbr()]; }, expected: [true, "EDT"] },
+			{ name: "compare", run: () => new ZonedDateTime(new Date("2025-03-08T12:00:00Z"), "Asia/Tokyo").isBefore(new Date("2025-03-08T12:00:01Z")), expected: true },
+		]
+	},
+	{
+		name: "fromLocal",
+		cases: [
+			{ name: "normal wall time", run: () => tz.fromLocal(2025, 7, 1, 12, 0, 0, "Europe/Berlin").toDate().toISOString(), expected: "2025-07-01T10:00:00.000Z" },
+			{ name: "gap, compatible", run: () => tz.fromLocal(2025, 3, 9, 2, 30, 0, "America/New_York").toDate().toISOString(), expected: "2025-03-09T07:30:00.000Z" },
+			{ name: "gap, earlier", run: () => tz.fromLocal(2025, 3, 9, 2, 30, 0, "America/New_York", { disambiguation: "earlier" }).toDate().toISOString(), expected: "2025-03-09T06:30:00.000Z" },
+			{ name: "overlap, compatible", run: () => tz.fromLocal(2025, 11, 2, 1, 30, 0, "America/New_York").toDate().toISOString(), expected: "2025-11-02T05:30:00.000Z" },
+			{ name: "overlap, later", run: () => tz.fromLocal(2025, 11, 2, 1, 30, 0, "America/New_York", { disambiguation: "later" }).toDate().toISOString(), expected: "2025-11-02T06:30:00.000Z" },
+			{ name: "gap, reject", run: () => tz.fromLocal(2025, 3, 30, 2, 30, 0, "Europe/Berlin", { disambiguation: "reject" }), expected: "throws Error" },
+			{ name: "instance zone", run: () => tz.fromLocal(2025, 1, 15, 9, 0, 0).toDate().toISOString(), expected: "2025-01-15T14:00:00.000Z" },
+		]
+	},
+	{
+		name: "Transitions",
+		cases: [
+			{ name: "Berlin 2025", run: () => tz.getTransitions("Europe/Berlin", new Date("2025-01-01T00:00:00Z"), new Date("2026-01-01T00:00:00Z")).map(t => [t.time.toISOString(), t.offset_after, t.abbr_after, t.is_dst]), expected: [["2025-03-30T01:00:00.000Z", 120, "CEST", true], ["2025-10-26T01:00:00.000Z", 60, "CET", false]] },
+			{ name: "no DST (Tokyo)", run: () => tz.getTransitions("Asia/Tokyo", new Date("2025-01-01T00:00:00Z"), new Date("2026-01-01T00:00:00Z")).length, expected: 0 },
+			{ name: "history change (Moscow 2014)", run: () => tz.getTransitions("Europe/Moscow", new Date("2014-01-01T00:00:00Z"), new Date("2015-01-01T00:00:00Z")).map(t => [t.offset_before, t.offset_after]), expected: [[240, 180]] },
+			{ name: "next (Sydney)", run: () => tz.getNextTransition("Australia/Sydney", new Date("2025-07-01T00:00:00Z")).time.toISOString(), expected: "2025-10-04T16:00:00.000Z" },
+			{ name: "previous (New York)", run: () => tz.getPreviousTransition("America/New_York", new Date("2025-07-01T00:00:00Z")).time.toISOString(), expected: "2025-03-09T07:00:00.000Z" },
+		]
+	},
+	{
+		name: "format",
+		cases: [
+			{ name: "strftime", run: () => tz.format(new Date("2025-03-01T18:05:09Z"), "%Y-%m-%d %H:%M %Z", "America/New_York"), expected: "2025-03-01 13:05 EST" },
+			{ name: "%Z without DST", run: () => [tz.format(new Date("2025-03-01T18:05:09Z"), "%Z", "Asia/Tokyo"), tz.format(new Date("2025-03-01T18:05:09Z"), "%Z", "Australia/Darwin")], expected: ["JST", "ACST"] },
+			{ name: "ICU", run: () => tz.format(new Date("2025-03-01T18:05:09Z"), "EEEE, MMMM do yyyy, h:mm a zzz", "America/New_York"), expected: "Saturday, March 1st 2025, 1:05 PM EST" },
+			{ name: "ICU offset and ISO week", run: () => tz.format(new Date("2025-03-01T18:05:09Z"), "yyyy-MM-dd'T'HH:mm:ssXXX 'week' w", "Asia/Kolkata"), expected: "2025-03-01T23:35:09+05:30 week 9" },
+			{ name: "VV is the zone id", run: () => tz.format(new Date("2025-03-01T18:05:09Z"), "VV", "America/Argentina/Buenos_Aires"), expected: "America/Argentina/Buenos_Aires" },
+			{ name: "ZonedDateTime in its own zone", run: () => new ZonedDateTime(new Date("2025-03-01T18:05:09Z"), "Asia/Tokyo").format("%a %-d %b, %H:%M"), expected: "Sun 2 Mar, 03:05" },
+		]
+	},
+	{
+		name: "Locales",
+		before: () => { Timezones.RegisterLocale("de", locale_de); tz_de.setLocale("de"); },
+		after: () => tz_de.setLocale("en"),
+		cases: [
+			{ name: "month and weekday names", run: () => tz_de.format(new Date("2025-03-01T12:00:00Z"), "EEEE, d. MMMM yyyy"), expected: "Samstag, 1. März 2025" },
+			{ name: "city name", run: () => tz_de.getZoneName("America/New_York"), expected: "New York" },
+			{ name: "long zone name", run: () => tz_de.getZoneName("Europe/Berlin", { style: "long" }), expected: "Mitteleuropäische Zeit" },
+			{ name: "zzzz uses the zone name", run: () => tz_de.format(new Date("2025-03-01T12:00:00Z"), "zzzz", "America/New_York"), expected: "Nordamerikanische Ostküstenzeit" },
+			{ name: "VVVV uses the city name", run: () => tz_de.format(new Date("2025-03-01T12:00:00Z"), "VVVV"), expected: "Deutschland" },
+			{ name: "zzzz without a zone name is the GMT offset", run: () => tz.format(new Date("2025-03-01T18:05:09Z"), "zzzz", "America/Argentina/Buenos_Aires"), expected: "GMT-03:00" },
+			{ name: "zzzz at UTC+0", run: () => tz.format(new Date("2025-03-01T18:05:09Z"), "zzzz", "Africa/Abidjan"), expected: "GMT" },
+			{ name: "VVVV is the city", run: () => tz.format(new Date("2025-03-01T18:05:09Z"), "VVVV", "America/Argentina/Buenos_Aires"), expected: "Buenos Aires" },
+			{ name: "instance locale", run: () => tz_de.getLocale(), expected: "de" },
+			{ name: "other instances stay English", run: () => tz.format(new Date("2025-03-01T12:00:00Z"), "MMMM"), expected: "March" },
+		]
+	},
+	{
+		name: "parse",
+		cases: [
+			{ name: "RFC 9557 zone, wall time in a gap", run: () => Timezones.parse("2025-03-30T02:30[Europe/Berlin]").toDate().toISOString(), expected: "2025-03-30T01:30:00.000Z" },
+			{ name: "whole hour offset -> Etc zone", run: () => Timezones.parse("2025-03-30T02:30:00+02:00").getTimezoneId(), expected: "Etc/GMT-2" },
+			{ name: "half hour offset keeps the wall time", run: () => { const d = Timezones.parse("2025-03-30T02:30-03:30"); return [d.getHours(), d.getMinutes(), d.getTimezoneOffset()]; }, expected: [2, 30, 210] },
+			{ name: "half hour offset is a fixed zone", run: () => Timezones.parse("2025-07-01T12:00-03:30").add(6, 'months').getTimezoneOffset(), expected: 210 },
+			{ name: "offset over +14:00", run: () => Timezones.parse("2025-03-30T02:30+15:00"), expected: "throws InvalidOffsetError" },
+			{ name: "offset under -12:00", run: () => Timezones.parse("2025-03-30T02:30-12:30"), expected: "throws InvalidOffsetError" },
+			{ name: "offset minutes over 59", run: () => Timezones.parse("2025-03-30T02:30+02:75"), expected: "throws InvalidOffsetError" },
+			{ name: "abbreviation", run: () => Timezones.parse("2025-01-10 09:00 PST").getTimezoneId(), expected: "America/Los_Angeles" },
+			{ name: "JST", run: () => Timezones.parse("2025-03-01 12:00 JST").toDate().toISOString(), expected: "2025-03-01T03:00:00.000Z" },
+			{ name: "ACST", run: () => Timezones.parse("2025-07-01 12:00 ACST").toDate().toISOString(), expected: "2025-07-01T02:30:00.000Z" },
+			{ name: "country code is no abbreviation", run: () => Timezones.parse("2025-03-30 14:00 US"), expected: "throws UnknownTimeZoneError" },
+			{ name: "RFC 2822 / HTTP date", run: () => Timezones.parse("Sun, 06 Nov 1994 08:49:37 GMT").toDate().toISOString(), expected: "1994-11-06T08:49:37.000Z" },
+			{ name: "Date.toString()", run: () => Timezones.parse("Sat Mar 08 2025 07:00:00 GMT-0500 (EST)").toDate().toISOString(), expected: "2025-03-08T12:00:00.000Z" },
+			{ name: "options.zone", run: () => Timezones.parse("2025-07-01 08:00", { zone: "Asia/Tokyo" }).toDate().toISOString(), expected: "2025-06-30T23:00:00.000Z" },
+			{ name: "invalid date", run: () => Timezones.parse("2025-02-30T10:00Z"), expected: "throws Error" },
+		]
+	},
+	{
+		name: "Durations and relative time",
+		cases: [
+			{ name: "formatDuration", run: () => tz.formatDuration(277500000), expected: "3 days, 5 hours, and 5 minutes" },
+			{ name: "formatDuration compact", run: () => tz.formatDuration(277500000, { style: "compact", max_units: 2 }), expected: "3d 5h" },
+			{ name: "formatRelative days", run: () => tz.formatRelative(new Date("2025-03-04T13:00:00Z"), { base: new Date("2025-03-01T12:00:00Z") }), expected: "in 3 days" },
+			{ name: "formatRelative past", run: () => tz.formatRelative(new Date("2025-03-01T10:00:00Z"), { base: new Date("2025-03-01T12:00:00Z") }), expected: "2 hours ago" },
+			{ name: "59.6 minutes is 1 hour", run: () => tz.formatRelative(new Date(Date.UTC(2025, 2, 1, 12) + 59.6 * 60000), { base: new Date("2025-03-01T12:00:00Z") }), expected: "in 1 hour" },
+			{ name: "23.6 hours is 1 day", run: () => tz.formatRelative(new Date(Date.UTC(2025, 2, 1, 12) - 23.6 * 3600000), { base: new Date("2025-03-01T12:00:00Z") }), expected: "1 day ago" },
+			{ name: "6.6 days is 1 week", run: () => tz.formatRelative(new Date(Date.UTC(2025, 2, 1, 12) + 6.6 * 86400000), { base: new Date("2025-03-01T12:00:00Z") }), expected: "in 1 week" },
+			{ name: "59.4 minutes stays minutes", run: () => tz.formatRelative(new Date(Date.UTC(2025, 2, 1, 12) + 59.4 * 60000), { base: new Date("2025-03-01T12:00:00Z") }), expected: "in 59 minutes" },
+			{ name: "forced unit", run: () => tz.formatRelative(new Date(Date.UTC(2025, 2, 1, 12) + 59.6 * 60000), { base: new Date("2025-03-01T12:00:00Z"), unit: "minute" }), expected: "in 60 minutes" },
+			{ name: "numeric auto", run: () => tz.formatRelative(new Date("2025-03-02T12:00:00Z"), { base: new Date("2025-03-01T12:00:00Z"), numeric: "auto" }), expected: "tomorrow" },
+			{ name: "formatCalendar", run: () => new Timezones("Europe/Berlin").formatCalendar(new Date("2025-03-02T08:00:00Z"), { base: new Date("2025-03-01T12:00:00Z") }), expected: "tomorrow at 09:00" },
+		]
+	},
+	...[["Boundaries", boundaries], ["Boundaries (lite)", boundaries_lite]].map(([name, pack]) => ({
+		name,
+		before: () => Timezones.RegisterBoundaries(pack),
+		after: () => Timezones.RegisterBoundaries(null),
+		// city states and enclaves, cities close to a border
+		cases: [
+			{ name: "Singapore", run: () => tz.getApproxLocationInfo(1.3521, 103.8198), expected: { tz_id: "Asia/Singapore", method: "boundary", distance_km: null } },
+			{ name: "Kuching", run: () => tz.getApproxLocation(1.5535, 110.3593), expected: "Asia/Kuching" },
+			{ name: "Hong Kong", run: () => tz.getApproxLocation(22.3193, 114.1694), expected: "Asia/Hong_Kong" },
+			{ name: "Macau", run: () => tz.getApproxLocation(22.1987, 113.5439), expected: "Asia/Macau" },
+			{ name: "Gaza", run: () => tz.getApproxLocation(31.5017, 34.4668), expected: "Asia/Gaza" },
+			{ name: "Jerusalem", run: () => tz.getApproxLocation(31.7683, 35.2137), expected: "Asia/Jerusalem" },
+			{ name: "Bahrain", run: () => tz.getApproxLocation(26.2285, 50.586), expected: "Asia/Bahrain" },
+			{ name: "Luxembourg", run: () => tz.getApproxLocation(49.6116, 6.1319), expected: "Europe/Luxembourg" },
+			{ name: "Monaco", run: () => tz.getApproxLocation(43.7384, 7.4246), expected: "Europe/Monaco" },
+			{ name: "Andorra", run: () => tz.getApproxLocation(42.5063, 1.5218), expected: "Europe/Andorra" },
+			{ name: "Geneva", run: () => tz.getApproxLocation(46.2044, 6.1432), expected: "Europe/Zurich" },
+			{ name: "Paris", run: () => tz.getApproxLocation(48.8566, 2.3522), expected: "Europe/Paris" },
+			{ name: "Miami", run: () => tz.getApproxLocation(25.7617, -80.1918), expected: "America/New_York" },
+			{ name: "Havana", run: () => tz.getApproxLocation(23.1136, -82.3666), expected: "America/Havana" },
+			{ name: "Kashgar", run: () => tz.getApproxLocation(39.47, 75.99), expected: "Asia/Urumqi" },
+			{ name: "Amarillo", run: () => tz.getApproxLocation(35.22, -101.83), expected: "America/Chicago" },
+			{ name: "offshore", run: () => tz.getApproxLocationInfo(30, -40).method, expected: "nearest" },
+		]
+	})),
+	{
+		name: "Nearest locations",
+		cases: [
+			{ name: "across the antimeridian", run: () => tz.getNearestLocations(-16.5, -179.9, 2).map(n => n.tz_id), expected: ["Pacific/Fiji", "Pacific/Tongatapu"] },
+			{ name: "distance and bearing", run: () => tz.getNearestLocations(-16.5, -179.9, 1).map(n => [Math.round(n.distance_km), Math.round(n.bearing)]), expected: [[214, 212]] },
+			{ name: "manhattan distance", run: () => tz.getApproxLocation(-16.5, -179.9, { distance: "manhattan" }), expected: "Pacific/Tongatapu" },
+			{ name: "default k", run: () => tz.getNearestLocations(48.8566, 2.3522).length, expected: 5 },
+			{ name: "k rounded down", run: () => tz.getNearestLocations(48.8566, 2.3522, 2.7).length, expected: 2 },
+			{ name: "k = 0", run: () => tz.getNearestLocations(48.8566, 2.3522, 0), expected: [] },
+			{ name: "negative k", run: () => tz.getNearestLocations(48.8566, 2.3522, -3), expected: [] },
+			{ name: "NaN k", run: () => tz.getNearestLocations(48.8566, 2.3522, NaN), expected: [] },
+		]
+	},
+	{
+		name: "Nautical zones without borders",
+		// no boundary pack: land is the nearest location in the database, so max_land_km has to be larger
+		cases: [
+			{ name: "mid Atlantic", run: () => tz.getApproxLocationInfo(30, -40, { nautical: true, max_land_km: 300 }), expected: { tz_id: "Etc/GMT+3", method: "nautical", distance_km: null } },
+			{ name: "Pacific", run: () => tz.getApproxLocation(-5, -120, { nautical: true, max_land_km: 300 }), expected: "Etc/GMT+8" },
+			{ name: "Geneva", run: () => tz.getApproxLocationInfo(46.2044, 6.1432, { nautical: true, max_land_km: 300 }).method, expected: "nearest" },
+			// inland, but further than max_land_km from the nearest city: a boundary pack tells it apart
+			{ name: "Kashgar", run: () => tz.getApproxLocation(39.47, 75.99, { nautical: true, max_land_km: 300 }), expected: "Etc/GMT-5" },
+			{ name: "option off", run: () => tz.getApproxLocation(30, -40), expected: "Atlantic/Azores" },
+		]
+	},
+	{
+		name: "Nautical zones",
+		before: () => Timezones.RegisterBoundaries(boundaries),
+		after: () => Timezones.RegisterBoundaries(null),
+		cases: [
+			{ name: "mid Atlantic", run: () => tz.getApproxLocationInfo(30, -40, { nautical: true }), expected: { tz_id: "Etc/GMT+3", method: "nautical", distance_km: null } },
+			{ name: "Pacific", run: () => tz.getApproxLocation(-5, -120, { nautical: true }), expected: "Etc/GMT+8" },
+			{ name: "band around 0°", run: () => tz.getApproxLocation(0, -5, { nautical: true }), expected: "Etc/UTC" },
+			{ name: "antimeridian east", run: () => tz.getApproxLocation(10, 179.9, { nautical: true }), expected: "Etc/GMT-12" },
+			{ name: "antimeridian west", run: () => tz.getApproxLocation(10, -179.9, { nautical: true }), expected: "Etc/GMT+12" },
+			{ name: "territorial waters", run: () => tz.getApproxLocation(50.72, 0.57, { nautical: true }), expected: "Europe/London" },
+			{ name: "Channel", run: () => tz.getApproxLocation(50.5, 0.5, { nautical: true }), expected: "Etc/UTC" },
+			{ name: "inland", run: () => tz.getApproxLocation(64.8378, -147.7164, { nautical: true }), expected: "America/Anchorage" },
+			{ name: "option off", run: () => tz.getApproxLocationInfo(30, -40).method, expected: "nearest" },
+		]
+	},
+	{
+		name: "ZoneTracker",
+		// Berlin -> Warsaw, nearest city lookup
+		cases: [
+			{ name: "confirmed after 3 fixes", run: () => {
+				const tracker = new ZoneTracker(new Timezones("Europe/Berlin"));
+				return [1, 2, 3].map(() => tracker.update(52.23, 21.01, new Date("2025-06-01T12:00:00Z")));
+			}, expected: ["Europe/Berlin", "Europe/Berlin", "Europe/Warsaw"] },
+			{ name: "no flapping on a border", run: () => new ZoneTracker(new Timezones("Europe/Berlin"))
+				.replay([[52.23, 21.01], [52.52, 13.40], [52.23, 21.01], [52.23, 21.01]]), expected: "Europe/Berlin" },
+			{ name: "min_dwell_ms", run: () => {
+				const tracker = new ZoneTracker(new Timezones("Europe/Berlin"), { confirmations: 1, min_dwell_ms: 60000 });
+				return [tracker.update(52.23, 21.01, new Date("2025-06-01T12:00:00Z")), tracker.update(52.23, 21.01, new Date("2025-06-01T12:01:00Z"))];
+			}, expected: ["Europe/Berlin", "Europe/Warsaw"] },
+			{ name: "zonechange event", run: () => {
+				const tz_tracked = new Timezones("Europe/London");
+				const events = [];
+				new ZoneTracker(tz_tracked, { confirmations: 2 }).on("zonechange", e => events.push(e))
+					.replay([[52.52, 13.40, "2025-01-10T12:00:00Z"], [52.52, 13.40, "2025-01-10T12:05:00Z"]]);
+				return events.map(({ old_zone, new_zone, old_offset, new_offset, method }) => ({ old_zone, new_zone, old_offset, new_offset, method }));
+			}, expected: [{ old_zone: "Europe/London", new_zone: "Europe/Berlin", old_offset: 0, new_offset: 60, method: "nearest" }] },
+			{ name: "instance switched in place", run: () => {
+				const tz_tracked = new Timezones("Europe/London");
+				const zdt = new ZonedDateTime(new Date("2025-01-10T12:00:00Z"), tz_tracked);
+				new ZoneTracker(tz_tracked, { confirmations: 1 }).update(52.52, 13.40);
+				return [tz_tracked.getLocation(), zdt.getHours()];
+			}, expected: ["Europe/Berlin", 13] },
+		]
+	},
+	{
+		name: "Countries",
+		before: () => { Timezones.RegisterLocale("de", locale_de); tz_de.setLocale("de"); },
+		after: () => tz_de.setLocale("en"),
+		cases: [
+			{ name: "zones of a country", run: () => tz.getZonesForCountry("ES"), expected: ["Europe/Madrid", "Africa/Ceuta", "Atlantic/Canary"] },
+			{ name: "shared zone", run: () => tz.getZonesForCountry("LI"), expected: ["Europe/Zurich"] },
+			{ name: "unknown country", run: () => tz.getZonesForCountry("XX"), expected: [] },
+			{ name: "primary zone", run: () => tz.getPrimaryZone("RU"), expected: "Europe/Moscow" },
+			{ name: "country of a zone", run: () => tz.getCountryForZone("Europe/Zurich"), expected: "CH" },
+			{ name: "zone without a country", run: () => tz.getCountryForZone("Etc/UTC"), expected: null },
+			{ name: "countries of a zone", run: () => tz.getCountriesForZone("Europe/Zurich"), expected: ["CH", "DE", "LI"] },
+			{ name: "country name", run: () => tz.getCountryName("CH"), expected: "Switzerland" },
+			{ name: "localized country name", run: () => tz_de.getCountryName("CH"), expected: "Schweiz" },
+			{ name: "unknown country name", run: () => tz.getCountryName("XX"), expected: null },
+			{ name: "sorted by name", run: () => tz.getCountries().slice(0, 2), expected: [{ code: "AF", name: "Afghanistan" }, { code: "AX", name: "Åland Islands" }] },
+		]
+	},
+	{
+		name: "search",
+		before: () => { Timezones.RegisterLocale("de", locale_de); tz_de.setLocale("de"); },
+		after: () => tz_de.setLocale("en"),
+		cases: [
+			{ name: "alternate name", run: () => tz.search("bombay", { limit: 1 }), expected: [{ tz_id: "Asia/Kolkata", name: "Bombay", score: 1, country: "IN" }] },
+			{ name: "accents and case", run: () => tz.search("sao paulo", { limit: 1 })[0].tz_id, expected: "America/Sao_Paulo" },
+			{ name: "spaces", run: () => tz.search("NewYork", { limit: 1 })[0].tz_id, expected: "America/New_York" },
+			{ name: "typo", run: () => tz.search("Sao Paolo", { limit: 1 }), expected: [{ tz_id: "America/Sao_Paulo", name: "Sao Paulo", score: 0.622, country: "BR" }] },
+			{ name: "swapped letters", run: () => tz.search("kolkatta", { limit: 1 })[0].tz_id, expected: "Asia/Kolkata" },
+			{ name: "country name", run: () => tz.search("Switzerland", { limit: 1 })[0].tz_id, expected: "Europe/Zurich" },
+			{ name: "prefix", run: () => tz.search("new", { limit: 1 })[0].tz_id, expected: "America/New_York" },
+			{ name: "exact match first", run: () => tz.search("saigon").map(r => r.tz_id).slice(0, 2), expected: ["Asia/Ho_Chi_Minh", "Asia/Yangon"] },
+			{ name: "limit", run: () => tz.search("san", { limit: 3 }).length, expected: 3 },
+			{ name: "empty query", run: () => tz.search("   "), expected: [] },
+			{ name: "no match", run: () => tz.search("xyzqwv"), expected: [] },
+			{ name: "localized names", run: () => tz_de.search("Schweiz", { limit: 1 })[0].tz_id, expected: "Europe/Zurich" },
+		]
+	},
+	{
+		name: "Aliases",
+		cases: [
+			{ name: "deprecated id", run: () => tz.canonicalize("Asia/Calcutta"), expected: "Asia/Kolkata" },
+			{ name: "backward link", run: () => tz.canonicalize("US/Eastern"), expected: "America/New_York" },
+			{ name: "short alias", run: () => tz.canonicalize("GB"), expected: "Europe/London" },
+			{ name: "merged zone", run: () => tz.canonicalize("Europe/Amsterdam"), expected: "Europe/Brussels" },
+			{ name: "canonical id", run: () => tz.canonicalize("Europe/Paris"), expected: "Europe/Paris" },
+			{ name: "unknown id", run: () => tz.canonicalize("Mars/Olympus"), expected: null },
+			{ name: "constructor", run: () => new Timezones("US/Eastern").getLocation(), expected: "America/New_York" },
+			{ name: "zone argument", run: () => offset("2025-07-01T12:00:00Z", "Asia/Calcutta"), expected: "+05:30" },
+			{ name: "getTimezoneInfo", run: () => tz.getTimezoneInfo("Asia/Saigon").tz_id, expected: "Asia/Ho_Chi_Minh" },
+			{ name: "format", run: () => tz.format(new Date("2025-07-01T12:00:00Z"), "HH:mm", "Europe/Amsterdam"), expected: "14:00" },
+		]
+	},
+	{
+		name: "Strict mode and resolve",
+		cases: [
+			{ name: "resolve alias", run: () => tz.resolve("Asia/Calcutta"), expected: { tz_id: "Asia/Kolkata", method: "alias", score: 1 } },
+			{ name: "resolve typo", run: () => tz.resolve("Europe/WarZaw"), expected: { tz_id: "Europe/Warsaw", method: "fuzzy", score: 0.833 } },
+			{ name: "resolve abbreviation", run: () => tz.resolve("IST"), expected: { tz_id: "Asia/Jerusalem", method: "abbreviation", score: 1, candidates: ["Asia/Jerusalem", "Asia/Kolkata", "Europe/Dublin"] } },
+			{ name: "resolve JST", run: () => tz.resolve("JST"), expected: { tz_id: "Asia/Tokyo", method: "abbreviation", score: 1, candidates: ["Asia/Tokyo"] } },
+			{ name: "resolve ACST", run: () => new Timezones(tz.resolve("ACST").tz_id).getOffsetInfo(new Date("2025-07-01T00:00:00Z")).offset_str, expected: "+09:30" },
+			{ name: "resolve offset", run: () => tz.resolve("+05:30"), expected: { tz_id: "Asia/Colombo", method: "offset", score: 1 } },
+			{ name: "resolve country", run: () => tz.resolve("DE"), expected: { tz_id: "Europe/Berlin", method: "country", score: 1 } },
+			{ name: "resolve unknown", run: () => tz.resolve("Mars/Olympus"), expected: null },
+			{ name: "resolve empty", run: () => tz.resolve(""), expected: null },
+			{ name: "strict typo", run: () => new Timezones("Europe/WarZaw", { strict: true }), expected: "throws UnknownTimeZoneError" },
+			{ name: "suggestion", run: () => { try { new Timezones("Europe/WarZaw", { strict: true }); } catch (e) { return [e.identifier, e.suggestion]; } }, expected: ["Europe/WarZaw", "Europe/Warsaw"] },
+			{ name: "strict unknown", run: () => new Timezones("Mars/Olympus", { strict: true }), expected: "throws UnknownTimeZoneError" },
+			{ name: "strict out of range offset", run: () => new Timezones("+25:00", { strict: true }), expected: "throws InvalidOffsetError" },
+			{ name: "strict ambiguous abbreviation", run: () => new Timezones("CST", { strict: true }), expected: "throws AmbiguousAbbreviationError" },
+			{ name: "strict with a preference", run: () => new Timezones("CST", { strict: true, prefer: { country: "CN" } }).getLocation(), expected: "Asia/Shanghai" },
+			{ name: "strict empty id", run: () => new Timezones("", { strict: true }).getLocation(), expected: "Africa/Abidjan" },
+			{ name: "strict alias", run: () => new Timezones("Asia/Calcutta", { strict: true }).getLocation(), expected: "Asia/Kolkata" },
+			{ name: "strict offset", run: () => new Timezones("+05:30", { strict: true }).getLocation(), expected: "Asia/Colombo" },
+			{ name: "strict setTimezone keeps the zone", run: () => {
+				const tz_strict = new Timezones("Europe/Berlin", { strict: true });
+				try { tz_strict.setTimezone("Mars/Olympus"); } catch (e) { }
+				return tz_strict.getLocation();
+			}, expected: "Europe/Berlin" },
+			{ name: "unknown zone throws", run: () => new Timezones("WrongCountry/WrongCity").getOffsetInfo(new Date("2025-01-01T00:00:00Z")), expected: "throws UnknownTimeZoneError" },
+			{ name: "offset instance", run: () => new Timezones("+05:45").getOffsetInfo(new Date("2025-01-01T00:00:00Z")).offset_str, expected: "+05:45" },
+			{ name: "unknown zone argument", run: () => tz.getOffsetInfo(new Date("2025-07-01T12:00:00Z"), "Mars/Olympus"), expected: "throws UnknownTimeZoneError" },
+		]
+	},
+	{
+		name: "Abbreviations",
+		cases: [
+			{ name: "most used meaning", run: () => tz.resolveAbbreviation("CST").chosen, expected: { tz_id: "America/Chicago", country: "US", offset_mins: -360, is_dst: false } },
+			{ name: "prefer country", run: () => tz.resolveAbbreviation("CST", { country: "CN" }).chosen.tz_id, expected: "Asia/Shanghai" },
+			{ name: "prefer continent", run: () => tz.resolveAbbreviation("IST", { continent: "Europe" }).chosen.tz_id, expected: "Europe/Dublin" },
+			{ name: "prefer offset", run: () => tz.resolveAbbreviation("IST", { offset: 5.5 }).chosen.tz_id, expected: "Asia/Kolkata" },
+			{ name: "prefer offset string", run: () => tz.resolveAbbreviation("CST", { offset: "-05:00" }).chosen.tz_id, expected: "America/Havana" },
+			{ name: "prefer position", run: () => tz.resolveAbbreviation("CST", { lat: 49.9, lon: -97.1 }).chosen.tz_id, expected: "America/Winnipeg" },
+			{ name: "alternatives", run: () => tz.resolveAbbreviation("IST", { continent: "Europe" }).alternatives.map(c => c.tz_id), expected: ["Asia/Jerusalem", "Asia/Kolkata"] },
+			{ name: "unknown abbreviation", run: () => tz.resolveAbbreviation("XYZ"), expected: null },
+			{ name: "constructor", run: () => new Timezones("CST").getLocation(), expected: "America/Chicago" },
+			{ name: "constructor preference", run: () => new Timezones("CST", { prefer: { country: "CN" } }).getLocation(), expected: "Asia/Shanghai" },
+			{ name: "parse preference", run: () => Timezones.parse("2025-03-01 12:00 CST", { prefer: { country: "CN" } }).toDate().toISOString(), expected: "2025-03-01T04:00:00.000Z" },
+		]
+	},
+	{
+		name: "WorldClock",
+		cases: [
+			{ name: "times and day labels", run: () => new WorldClock(["Asia/Tokyo", "America/Los_Angeles"], { local: "Europe/London" })
+				.getTimes(new Date("2025-03-01T23:30:00Z")).map(t => `${t.name} ${t.time} ${t.day_label}`), expected: ["Tokyo 08:30 tomorrow", "Los Angeles 15:30 "] },
+			{ name: "offset day labels", run: () => new WorldClock(["Asia/Tokyo"], { local: "Europe/London" })
+				.getTimes(new Date("2025-03-01T23:30:00Z"), { day_labels: "offset" })[0].day_label, expected: "+1 day" },
+			{ name: "difference to local", run: () => new WorldClock(["Asia/Kolkata", "Europe/Lisbon"], { local: "Europe/London" })
+				.getTimes(new Date("2025-07-01T12:00:00Z")).map(t => [t.diff_mins, t.same_as_local]), expected: [[270, false], [0, true]] },
+			{ name: "aliases, country codes and labels", run: () => new WorldClock(["Asia/Calcutta", "JP", { tz_id: "America/New_York", label: "Office" }]).getZones(),
+				expected: [{ tz_id: "Asia/Kolkata", label: null }, { tz_id: "Asia/Tokyo", label: null }, { tz_id: "America/New_York", label: "Office" }] },
+			{ name: "no duplicates", run: () => new WorldClock(["Asia/Kolkata"]).add("Asia/Calcutta").size, expected: 1 },
+			{ name: "typo throws", run: () => new WorldClock(["Europe/WarZaw"]), expected: "throws UnknownTimeZoneError" },
+			{ name: "remove and move", run: () => {
+				const clock = new WorldClock(["Asia/Tokyo", "Europe/Paris", "America/Chicago"]);
+				clock.remove("Europe/Paris");
+				return clock.move("America/Chicago", 0).getZones().map(z => z.tz_id);
+			}, expected: ["America/Chicago", "Asia/Tokyo"] },
+			{ name: "sortByOffset", run: () => new WorldClock(["Asia/Tokyo", "America/Chicago", "Europe/Paris"])
+				.sortByOffset(new Date("2025-07-01T12:00:00Z")).getZones().map(z => z.tz_id), expected: ["America/Chicago", "Europe/Paris", "Asia/Tokyo"] },
+			{ name: "toJSON / fromJSON", run: () => WorldClock.fromJSON(JSON.stringify(new WorldClock(["Asia/Tokyo"], { local: "Europe/Berlin" }))).toJSON(),
+				expected: { local: "Europe/Berlin", zones: [{ tz_id: "Asia/Tokyo", label: null }] } },
+		]
+	},
+	{
+		name: "Previous transition",
+		// the search goes back era by era, not year by year
+		cases: [
+			{ name: "decades back", run: () => tz.getPreviousTransition("Asia/Shanghai", new Date("2025-07-01T00:00:00Z")).time.toISOString(), expected: "1991-09-14T17:00:00.000Z" },
+			{ name: "none since 1970", run: () => tz.getPreviousTransition("Asia/Tokyo", new Date("2025-07-01T00:00:00Z")), expected: null },
+		]
+	},
+	{
+		name: "Clocks",
+		after: () => Timezones.SetClock(null),
+		cases: [
+			{ name: "fixed clock", run: () => Clock.Fixed("2025-03-30T00:59:00Z").getDate().toISOString(), expected: "2025-03-30T00:59:00.000Z" },
+			{ name: "offset clock", run: () => Math.round((Clock.Offset(-3600000).now() - Date.now()) / 1000), expected: -3600 },
+			{ name: "timelapse runs faster", run: () => {
+				const clock = Clock.Timelapse("2025-03-30T00:58:00Z", 60000);
+				const start = Date.now();
+				while (Date.now() - start < 5) { } // 5 real ms, 5 simulated minutes
+				return clock.now() - new Date("2025-03-30T00:58:00Z").getTime() >= 300000;
+			}, expected: true },
+			{ name: "instance clock", run: () => new Timezones("Europe/Berlin", { clock: Clock.Fixed("2025-03-30T01:00:00Z") }).getHours(), expected: 3 },
+			{ name: "global clock", run: () => {
+				Timezones.SetClock(Clock.Fixed("2025-03-30T00:59:00Z"));
+				return new Timezones("Europe/Berlin").getHours();
+			}, expected: 1 },
+			{ name: "instance clock wins", run: () => {
+				Timezones.SetClock(Clock.Fixed("2025-03-30T00:59:00Z"));
+				return new Timezones("Europe/Berlin", { clock: Clock.Fixed("2025-03-30T01:00:00Z") }).getHours();
+			}, expected: 3 },
+			{ name: "setClock", run: () => {
+				const tz_clock = new Timezones("Europe/Berlin", { clock: Clock.Fixed("2025-03-30T00:59:00Z") });
+				const before = tz_clock.getHours();
+				tz_clock.setClock(Clock.Fixed("2025-03-30T01:00:00Z"));
+				return [before, tz_clock.getHours()];
+			}, expected: [1, 3] },
+			{ name: "SetCurrentDate", run: () => {
+				Timezones.SetCurrentDate(new Date("2025-10-26T01:30:00Z"));
+				return Timezones.GetCurrentDate().toISOString();
+			}, expected: "2025-10-26T01:30:00.000Z" },
+		]
+	},
+	{
+		name: "Cache expiry",
+		// a clock moved by hand across a transition, no clearCache() in between
+		cases: [
+			{ name: "hours across the spring transition", run: () => {
+				let now = new Date("2025-03-30T00:59:00Z").getTime();
+				const tz_cache = new Timezones("Europe/Berlin", { clock: new Clock(() => now) });
+				const before = tz_cache.getHours();
+				now += 60000;
+				return [before, tz_cache.getHours()];
+			}, expected: [1, 3] },
+			{ name: "DST status across the autumn transition", run: () => {
+				let now = new Date("2025-10-26T00:59:00Z").getTime();
+				const tz_cache = new Timezones("Europe/Berlin", { clock: new Clock(() => now) });
+				const before = tz_cache.getDaylightStatus();
+				now += 60000;
+				return [before, tz_cache.getDaylightStatus()];
+			}, expected: [true, false] },
+			{ name: "offsets of other zones", run: () => {
+				let now = new Date("2025-03-09T06:59:00Z").getTime();
+				const tz_cache = new Timezones("Europe/Berlin", { clock: new Clock(() => now) });
+				const before = tz_cache.getOffsetInfo(undefined, "America/New_York").offset_str;
+				now += 60000;
+				return [before, tz_cache.getOffsetInfo(undefined, "America/New_York").offset_str];
+			}, expected: ["-05:00", "-04:00"] },
+			{ name: "back in time", run: () => {
+				let now = new Date("2025-07-01T12:00:00Z").getTime();
+				const tz_cache = new Timezones("Europe/Berlin", { clock: new Clock(() => now) });
+				const summer = tz_cache.getHours();
+				now = new Date("2025-01-01T12:00:00Z").getTime();
+				return [summer, tz_cache.getHours()];
+			}, expected: [14, 13] },
+			{ name: "many instants", run: () => {
+				const tz_cache = new Timezones("Europe/Berlin");
+				const start = new Date("2025-01-01T00:00:00Z").getTime();
+				let dst_days = 0;
+				for (let day = 0; day < 365; day++) {
+					dst_days += tz_cache.getOffsetInfo(new Date(start + day * 86400000 + 43200000)).is_dst ? 1 : 0;
+				}
+				return dst_days;
+			}, expected: 210 },
+		]
+	},
+	{
+		name: "Indexed database",
+		cases: [
+			{ name: "zone id", run: () => tz.getTimezoneInfo("Europe/Paris").tz_id, expected: "Europe/Paris" },
+			{ name: "alias", run: () => tz.getTimezoneInfo("US/Pacific").tz_id, expected: "America/Los_Angeles" },
+			{ name: "country code", run: () => tz.getTimezoneInfo("JP").tz_id, expected: "Asia/Tokyo" },
+			{ name: "abbreviation", run: () => tz.getTimezoneInfo("CET").tz_id, expected: "CET" },
+			{ name: "row fields", run: () => {
+				const { code, utc_sdt, utc_dst, tz_sdt, tz_dst, dst_rule } = tz.getTimezoneInfo("America/New_York");
+				return { code, utc_sdt, utc_dst, tz_sdt, tz_dst, dst_rule };
+			}, expected: { code: "US", utc_sdt: "-05:00", utc_dst: "-04:00", tz_sdt: "EST", tz_dst: "EDT", dst_rule: "1B23@2:00" } },
+			{ name: "unknown id", run: () => tz.getTimezoneInfo("Mars/Olympus"), expected: null },
+			{ name: "no id", run: () => tz.getTimezoneInfo(), expected: null },
+			{ name: "shared between instances", run: () => new Timezones("Asia/Tokyo").getTimezoneInfo("Europe/Paris").lat === tz.getTimezoneInfo("Europe/Paris").lat, expected: true },
+			{ name: "guess by offset", run: () => new Timezones("+09:30").getLocation(), expected: "Australia/Adelaide" },
+			{ name: "guess by a summer only offset", run: () => new Timezones("-02:30").getLocation(), expected: "America/St_Johns" },
+			{ name: "no zones for country \"\"", run: () => tz.getZonesForCountry(""), expected: [] },
+			{ name: "guess by continent", run: () => new Timezones("Europe/Pariss").getLocation(), expected: "Europe/Paris" },
+		]
+	},
+	{
+		name: "Database updates",
+		before: () => Timezones.ResetDatabase(),
+		after: () => Timezones.ResetDatabase(),
+		cases: [
+			{ name: "bundled version", run: () => Timezones.GetDatabaseVersion(), expected: "2025b" },
+			{ name: "install a newer release", run: () => {
+				const installed = Timezones.InstallDatabase(makeDatabasePack("2025c"));
+				const version = Timezones.GetDatabaseVersion();
+				Timezones.ResetDatabase();
+				return [installed, version];
+			}, expected: [true, "2025c"] },
+			{ name: "same release", run: () => Timezones.InstallDatabase(makeDatabasePack("2025b")), expected: false },
+			{ name: "older release", run: () => Timezones.InstallDatabase(JSON.stringify(makeDatabasePack("2024z"))), expected: false },
+			{ name: "2025aa is newer than 2025z", run: () => {
+				Timezones.InstallDatabase(makeDatabasePack("2025z"));
+				const installed = Timezones.InstallDatabase(makeDatabasePack("2025aa"));
+				Timezones.ResetDatabase();
+				return installed;
+			}, expected: true },
+			{ name: "2025z is older than 2025aa", run: () => {
+				Timezones.InstallDatabase(makeDatabasePack("2025aa"));
+				const installed = Timezones.InstallDatabase(makeDatabasePack("2025z"));
+				Timezones.ResetDatabase();
+				return installed;
+			}, expected: false },
+			{ name: "next year", run: () => {
+				Timezones.InstallDatabase(makeDatabasePack("2025z"));
+				const installed = Timezones.InstallDatabase(makeDatabasePack("2026a"));
+				Timezones.ResetDatabase();
+				return installed;
+			}, expected: true },
+			{ name: "invalid version", run: () => Timezones.InstallDatabase(makeDatabasePack("2025")), expected: "throws InvalidDatabaseError" },
+			{ name: "version checked before the checksum", run: () => {
+				try { Timezones.InstallDatabase({ ...makeDatabasePack("v2025c"), checksum: "00000000" }); } catch (e) { return e.reason; }
+			}, expected: "invalid version v2025c" },
+			{ name: "damaged pack", run: () => Timezones.InstallDatabase({ ...makeDatabasePack("2025c"), version: "2025d" }), expected: "throws InvalidDatabaseError" },
+			{ name: "checksum helper", run: () => getDatabaseChecksum(makeDatabasePack("2025c")) === makeDatabasePack("2025c").checksum, expected: true },
+			{ name: "DST rule with month 13", run: () => Timezones.InstallDatabase(makeDatabasePack("2025c", {
+				zones: core_tz_db.map(tz => tz[1] === "Europe/Berlin" ? [...tz.slice(0, 9), "1B2D@2:00"] : tz)
+			})), expected: "throws InvalidDatabaseError" },
+			{ name: "DST rule with a bad time", run: () => Timezones.InstallDatabase(makeDatabasePack("2025c", {
+				zones: core_tz_db.map(tz => tz[1] === "Europe/Berlin" ? [...tz.slice(0, 9), "2|3.lastSun@25h|10.lastSun@3:00"] : tz)
+			})), expected: "throws InvalidDatabaseError" },
+			{ name: "era of an unknown kind", run: () => {
+				try {
+					Timezones.InstallDatabase(makeDatabasePack("2025c", { history: { ...tz_history, "Europe/Berlin": [tz_history["Europe/Berlin"][0], "237oho,187v5o"] } }));
+				} catch (e) { return e.reason; }
+			}, expected: "invalid history of Europe/Berlin" },
+			{ name: "eras out of order", run: () => Timezones.InstallDatabase(makeDatabasePack("2025c", {
+				history: { ...tz_history, "Europe/Berlin": [tz_history["Europe/Berlin"][0], "187v5o,037oho"] }
+			})), expected: "throws InvalidDatabaseError" },
+			{ name: "zone of a country missing", run: () => {
+				const { "Europe/Andorra": andorra, ...history } = tz_history;
+				try {
+					Timezones.InstallDatabase(makeDatabasePack("2025c", { zones: core_tz_db.filter(tz => tz[1] !== "Europe/Andorra"), history }));
+				} catch (e) { return e.reason; }
+			}, expected: "no zone Europe/Andorra, the bundled countries and cities use it" },
+			{ name: "saved for the next start", run: () => {
+				const storage = makeStorage();
+				Timezones.InstallDatabase(makeDatabasePack("2025c"), storage);
+				Timezones.ResetDatabase();
+				const versions = [Timezones.GetDatabaseVersion(), Timezones.LoadDatabase(storage)];
+				Timezones.ResetDatabase();
+				return versions;
+			}, expected: ["2025b", "2025c"] },
+			{ name: "obsolete saved copy removed", run: () => {
+				const storage = makeStorage({ tz_db: JSON.stringify(makeDatabasePack("2025a")) });
+				return [Timezones.LoadDatabase(storage), Object.keys(storage.items)];
+			}, expected: ["2025b", []] },
+			{ name: "damaged saved copy removed", run: () => {
+				const storage = makeStorage({ tz_db: JSON.stringify(makeDatabasePack("2025c")).slice(0, -20) });
+				return [Timezones.LoadDatabase(storage), Object.keys(storage.items)];
+			}, expected: ["2025b", []] },
+			{ name: "ResetDatabase removes the saved copy", run: () => {
+				const storage = makeStorage({ tz_db: JSON.stringify(makeDatabasePack("2025c")) });
+				Timezones.LoadDatabase(storage);
+				Timezones.ResetDatabase(storage);
+				return [Timezones.GetDatabaseVersion(), Object.keys(storage.items)];
+			}, expected: ["2025b", []] },
+		]
+	},
+	{
+		name: "Compiled database",
+		// what scripts/compile-tzdata.mjs writes: tz-db.js, tz-history.js, tz-links.js, tz-countries.js
+		cases: [
+			{ name: "unique zone ids", run: () => new Set(core_tz_db.map(tz => tz[1])).size === core_tz_db.length, expected: true },
+			{ name: "links point to zones", run: () => Object.keys(tz_links).filter(alias => !core_tz_db.some(tz => tz[1] === tz_links[alias])), expected: [] },
+			{ name: "history of known zones", run: () => Object.keys(tz_history).filter(tz_id => !core_tz_db.some(tz => tz[1] === tz_id)), expected: [] },
+			{ name: "country zones exist", run: () => Object.keys(tz_countries).filter(code => tz_countries[code].slice(1).some(tz_id => !core_tz_db.some(tz => tz[1] === tz_id))), expected: [] },
+			{ name: "zones with a country have a location", run: () => core_tz_db.filter(tz => tz[0] !== '' && (typeof tz[7] !== 'number' || typeof tz[8] !== 'number')).map(tz => tz[1]), expected: [] },
+			{ name: "Etc zones included", run: () => ["Etc/UTC", "Etc/GMT+12", "Etc/GMT-14"].every(tz_id => core_tz_db.some(tz => tz[1] === tz_id)), expected: true },
+			{ name: "passes the update checks", run: () => {
+				const installed = Timezones.InstallDatabase(makeDatabasePack("2099a"));
+				Timezones.ResetDatabase();
+				return installed;
+			}, expected: true },
+			{ name: "rule with DST", run: () => tz.getTimezoneInfo("Europe/Berlin").dst_rule, expected: "A03@1:00u" },
+			{ name: "southern hemisphere rule", run: () => [offset("2025-01-15T12:00:00Z", "Australia/Sydney"), offset("2025-07-15T12:00:00Z", "Australia/Sydney")], expected: ["+11:00", "+10:00"] },
+			{ name: "half hour DST (Lord Howe)", run: () => [offset("2025-01-15T12:00:00Z", "Australia/Lord_Howe"), offset("2025-07-15T12:00:00Z", "Australia/Lord_Howe")], expected: ["+11:00", "+10:30"] },
+			{ name: "history before the current rule", run: () => offset("2022-07-01T12:00:00Z", "America/Mexico_City"), expected: "-05:00" },
+			{ name: "current rule", run: () => offset("2025-07-01T12:00:00Z", "America/Mexico_City"), expected: "-06:00" },
+		]
+	},
+];
+
+export function runCase(test) {
+	let result;
+	try {
+		result = test.run();
+	} catch (err) {
+		result = `throws ${err.name}`;
+	}
+
+	return { result, passed: JSON.stringify(result) === JSON.stringify(test.expected) };
+}
@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (de) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("de", locale_de)
+export function locale_de() {
+	return {
+		code: "de",
+		months: ["Januar","Februar","März","April","Mai","Juni","Juli","August","September","Oktober","November","Dezember"],
+		months_standalone: ["Januar","Februar","März","April","Mai","Juni","Juli","August","September","Oktober","November","Dezember"],
+		months_short: ["Jan","Feb","Mär","Apr","Mai","Jun","Jul","Aug","Sep","Okt","Nov","Dez"],
+		weekdays: ["Sonntag","Montag","Dienstag","Mittwoch","Donnerstag","Freitag","Samstag"],
+		weekdays_short: ["So","Mo","Di","Mi","Do","Fr","Sa"],
+		meridiem: ["AM","PM"],
+		ordinal: (n) => n + '.',
+		plural: (n) => n === 1 ? 'one' : 'other',
+		units: {"year":{"one":"{0} Jahr","other":"{0} Jahre"},"month":{"one":"{0} Monat","other":"{0} Monate"},"week":{"one":"{0} Woche","other":"{0} Wochen"},"day":{"one":"{0} Tag","other":"{0} Tage"},"hour":{"one":"{0} Stunde","other":"{0} Stunden"},"minute":{"one":"{0} Minute","other":"{0} Minuten"},"second":{"one":"{0} Sekunde","other":"{0} Sekunden"}},
+		units_short: {"year":{"one":"{0} J","other":"{0} J"},"month":{"one":"{0} Mon.","other":"{0} Mon."},"week":{"one":"{0} Wo.","other":"{0} Wo."},"day":{"one":"{0} Tg.","other":"{0} Tg."},"hour":{"one":"{0} Std.","other":"{0} Std."},"minute":{"one":"{0} Min.","other":"{0} Min."},"second":{"one":"{0} Sek.","other":"{0} Sek."}},
+		units_compact: {"year":{"one":"{0} J","other":"{0} J"},"month":{"one":"{0} M","other":"{0} M"},"week":{"one":"{0} W","other":"{0} W"},"day":{"one":"{0} T","other":"{0} T"},"hour":{"one":"{0} Std.","other":"{0} Std."},"minute":{"one":"{0} Min.","other":"{0} Min."},"second":{"one":"{0} Sek.","other":"{0} Sek."}},
+		list: {"sep":", ","last":" und ","pair":" und "},
+		list_compact: {"sep":", ","last":" und ","pair":", "},
+		relative: {"year":{"future":{"one":"in {0} Jahr","other":"in {0} Jahren"},"past":{"one":"vor {0} Jahr","other":"vor {0} Jahren"}},"month":{"future":{"one":"in {0} Monat","other":"in {0} Monaten"},"past":{"one":"vor {0} Monat","other":"vor {0} Monaten"}},"week":{"future":{"one":"in {0} Woche","other":"in {0} Wochen"},"past":{"one":"vor {0} Woche","other":"vor {0} Wochen"}},"day":{"future":{"one":"in {0} Tag","other":"in {0} Tagen"},"past":{"one":"vor {0} Tag","other":"vor {0} Tagen"}},"hour":{"future":{"one":"in {0} Stunde","other":"in {0} Stunden"},"past":{"one":"vor {0} Stunde","other":"vor {0} Stunden"}},"minute":{"future":{"one":"in {0} Minute","other":"in {0} Minuten"},"past":{"one":"vor {0} Minute","other":"vor {0} Minuten"}},"second":{"future":{"one":"in {0} Sekunde","other":"in {0} Sekunden"},"past":{"one":"vor {0} Sekunde","other":"vor {0} Sekunden"}}},
+		relative_words: {"now":"jetzt","today":"heute","tomorrow":"morgen","yesterday":"gestern"},
+		phrases: {"dst_starts":"Zeit bis zum Beginn der Sommerzeit: {0}","dst_ends":"Zeit bis zum Ende der Sommerzeit: {0}","no_dst":"Keine Zeitumstellung in dieser Zeitzone.","at":"{0} um {1}"},
+		countries: {"AD":"Andorra","AE":"Vereinigte Arabische Emirate","AF":"Afghanistan","AG":"Antigua und Barbuda","AI":"Anguilla","AL":"Albanien","AM":"Armenien","AO":"Angola","AQ":"Antarktis","AR":"Argentinien","AS":"Amerikanisch-Samoa","AT":"Österreich","AU":"Australien","AW":"Aruba","AX":"Ålandinseln","AZ":"Aserbaidschan","BA":"Bosnien und Herzegowina","BB":"Barbados","BD":"Bangladesch","BE":"Belgien","BF":"Burkina Faso","BG":"Bulgarien","BH":"Bahrain","BI":"Burundi","BJ":"Benin","BL":"St. Barthélemy","BM":"Bermuda","BN":"Brunei Darussalam","BO":"Bolivien","BQ":"Karibische Niederlande","BR":"Brasilien","BS":"Bahamas","BT":"Bhutan","BW":"Botsuana","BY":"Belarus","BZ":"Belize","CA":"Kanada","CC":"Kokosinseln","CD":"Kongo-Kinshasa","CF":"Zentralafrikanische Republik","CG":"Kongo-Brazzaville","CH":"Schweiz","CI":"Côte d’Ivoire","CK":"Cookinseln","CL":"Chile","CM":"Kamerun","CN":"China","CO":"Kolumbien","CR":"Costa Rica","CU":"Kuba","CV":"Cabo Verde","CW":"Curaçao","CX":"Weihnachtsinsel","CY":"Zypern","CZ":"Tschechien","DE":"Deutschland","DJ":"Dschibuti","DK":"Dänemark","DM":"Dominica","DO":"Dominikanische Republik","DZ":"Algerien","EC":"Ecuador","EE":"Estland","EG":"Ägypten","EH":"Westsahara","ER":"Eritrea","ES":"Spanien","ET":"Äthiopien","FI":"Finnland","FJ":"Fidschi","FK":"Falklandinseln","FM":"Mikronesien","FO":"Färöer","FR":"Frankreich","GA":"Gabun","GB":"Vereinigtes Königreich","GD":"Grenada","GE":"Georgien","GF":"Französisch-Guayana","GG":"Guernsey","GH":"Ghana","GI":"Gibraltar","GL":"Grönland","GM":"Gambia","GN":"Guinea","GP":"Guadeloupe","GQ":"Äquatorialguinea","GR":"Griechenland","GS":"Südgeorgien und die Südlichen Sandwichinseln","GT":"Guatemala","GU":"Guam","GW":"Guinea-Bissau","GY":"Guyana","HK":"Sonderverwaltungsregion Hongkong","HN":"Honduras","HR":"Kroatien","HT":"Haiti","HU":"Ungarn","ID":"Indonesien","IE":"Irland","IL":"Israel","IM":"Isle of Man","IN":"Indien","IO":"Britisches Territorium im Indischen Ozean","IQ":"Irak","IR":"Iran","IS":"Island","IT":"Italien","JE":"Jersey","JM":"Jamaika","JO":"Jordanien","JP":"Japan","KE":"Kenia","KG":"Kirgisistan","KH":"Kambodscha","KI":"Kiribati","KM":"Komoren","KN":"St. Kitts und Nevis","KP":"Nordkorea","KR":"Südkorea","KW":"Kuwait","KY":"Kaimaninseln","KZ":"Kasachstan","LA":"Laos","LB":"Libanon","LC":"St. Lucia","LI":"Liechtenstein","LK":"Sri Lanka","LR":"Liberia","LS":"Lesotho","LT":"Litauen","LU":"Luxemburg","LV":"Lettland","LY":"Libyen","MA":"Marokko","MC":"Monaco","MD":"Republik Moldau","ME":"Montenegro","MF":"St. Martin","MG":"Madagaskar","MH":"Marshallinseln","MK":"Nordmazedonien","ML":"Mali","MM":"Myanmar","MN":"Mongolei","MO":"Sonderverwaltungsregion Macau","MP":"Nördliche Marianen","MQ":"Martinique","MR":"Mauretanien","MS":"Montserrat","MT":"Malta","MU":"Mauritius","MV":"Malediven","MW":"Malawi","MX":"Mexiko","MY":"Malaysia","MZ":"Mosambik","NA":"Namibia","NC":"Neukaledonien","NE":"Niger","NF":"Norfolkinsel","NG":"Nigeria","NI":"Nicaragua","NL":"Niederlande","NO":"Norwegen","NP":"Nepal","NR":"Nauru","NU":"Niue","NZ":"Neuseeland","OM":"Oman","PA":"Panama","PE":"Peru","PF":"Französisch-Polynesien","PG":"Papua-Neuguinea","PH":"Philippinen","PK":"Pakistan","PL":"Polen","PM":"St. Pierre und Miquelon","PN":"Pitcairninseln","PR":"Puerto Rico","PS":"Palästinensische Autonomiegebiete","PT":"Portugal","PW":"Palau","PY":"Paraguay","QA":"Katar","RE":"Réunion","RO":"Rumänien","RS":"Serbien","RU":"Russland","RW":"Ruanda","SA":"Saudi-Arabien","SB":"Salomonen","SC":"Seychellen","SD":"Sudan","SE":"Schweden","SG":"Singapur","SH":"St. Helena","SI":"Slowenien","SJ":"Spitzbergen und Jan Mayen","SK":"Slowakei","SL":"Sierra Leone","SM":"San Marino","SN":"Senegal","SO":"Somalia","SR":"Suriname","SS":"Südsudan","ST":"São Tomé und Príncipe","SV":"El Salvador","SX":"Sint Maarten","SY":"Syrien","SZ":"Eswatini","TC":"Turks- und Caicosinseln","TD":"Tschad","TF":"Französische Süd- und Antarktisgebiete","TG":"Togo","TH":"Thailand","TJ":"Tadschikistan","TK":"Tokelau","TL":"Timor-Leste","TM":"Turkmenistan","TN":"Tunesien","TO":"Tonga","TR":"Türkei","TT":"Trinidad und Tobago","TV":"Tuvalu","TW":"Taiwan","TZ":"Tansania","UA":"Ukraine","UG":"Uganda","UM":"Amerikanische Überseeinseln","US":"Vereinigte Staaten","UY":"Uruguay","UZ":"Usbekistan","VA":"Vatikanstadt","VC":"St. Vincent und die Grenadinen","VE":"Venezuela","VG":"Britische Jungferninseln","VI":"Amerikanische Jungferninseln","VN":"Vietnam","VU":"Vanuatu","WF":"Wallis und Futuna","WS":"Samoa","YE":"Jemen","YT":"Mayotte","ZA":"Südafrika","ZM":"Sambia","ZW":"Simbabwe"},
+		zones: {"Africa/Abidjan":"Côte d’Ivoire","Africa/Algiers":"Algerien","Africa/Bissau":"Guinea-Bissau","Africa/Cairo":"Ägypten","Africa/Casablanca":"Marokko","Africa/Ceuta":"Ceuta","Africa/El_Aaiun":"Westsahara","Africa/Johannesburg":"Südafrika","Africa/Juba":"Südsudan","Africa/Khartoum":"Sudan","Africa/Lagos":"Nigeria","Africa/Maputo":"Mosambik","Africa/Monrovia":"Liberia","Africa/Nairobi":"Kenia","Africa/Ndjamena":"Tschad","Africa/Sao_Tome":"São Tomé und Príncipe","Africa/Tripoli":"Libyen","Africa/Tunis":"Tunesien","Africa/Windhoek":"Namibia","America/Adak":"Adak","America/Anchorage":"Anchorage","America/Araguaina":"Araguaina","America/Argentina/Buenos_Aires":"Buenos Aires","America/Argentina/Catamarca":"Catamarca","America/Argentina/Cordoba":"Córdoba","America/Argentina/Jujuy":"Jujuy","America/Argentina/La_Rioja":"La Rioja","America/Argentina/Mendoza":"Mendoza","America/Argentina/Rio_Gallegos":"Rio Gallegos","America/Argentina/Salta":"Salta","America/Argentina/San_Juan":"San Juan","America/Argentina/San_Luis":"San Luis","America/Argentina/Tucuman":"Tucuman","America/Argentina/Ushuaia":"Ushuaia","America/Asuncion":"Paraguay","America/Bahia":"Bahia","America/Bahia_Banderas":"Bahia Banderas","America/Barbados":"Barbados","America/Belem":"Belem","America/Belize":"Belize","America/Boa_Vista":"Boa Vista","America/Bogota":"Kolumbien","America/Boise":"Boise","America/Cambridge_Bay":"Cambridge Bay","America/Campo_Grande":"Campo Grande","America/Cancun":"Cancún","America/Caracas":"Venezuela","America/Cayenne":"Französisch-Guayana","America/Chicago":"Chicago","America/Chihuahua":"Chihuahua","America/Ciudad_Juarez":"Ciudad Juárez","America/Costa_Rica":"Costa Rica","America/Cuiaba":"Cuiaba","America/Danmarkshavn":"Danmarkshavn","America/Dawson":"Dawson","America/Dawson_Creek":"Dawson Creek","America/Denver":"Denver","America/Detroit":"Detroit","America/Edmonton":"Edmonton","America/Eirunepe":"Eirunepe","America/El_Salvador":"El Salvador","America/Fort_Nelson":"Fort Nelson","America/Fortaleza":"Fortaleza","America/Glace_Bay":"Glace Bay","America/Goose_Bay":"Goose Bay","America/Grand_Turk":"Turks- und Caicosinseln","America/Guatemala":"Guatemala","America/Guayaquil":"Ecuador","America/Guyana":"Guyana","America/Halifax":"Halifax","America/Havana":"Kuba","America/Hermosillo":"Hermosillo","America/Indiana/Indianapolis":"Indianapolis","America/Indiana/Knox":"Knox, Indiana","America/Indiana/Marengo":"Marengo, Indiana","America/Indiana/Petersburg":"Petersburg, Indiana","America/Indiana/Tell_City":"Tell City, Indiana","America/Indiana/Vevay":"Vevay, Indiana","America/Indiana/Vincennes":"Vincennes, Indiana","America/Indiana/Winamac":"Winamac, Indiana","America/Inuvik":"Inuvik","America/Iqaluit":"Iqaluit","America/Jamaica":"Jamaika","America/Juneau":"Juneau","America/Kentucky/Louisville":"Louisville","America/Kentucky/Monticello":"Monticello, Kentucky","America/La_Paz":"Bolivien","America/Lima":"Peru","America/Los_Angeles":"Los Angeles","America/Maceio":"Maceio","America/Managua":"Nicaragua","America/Manaus":"Manaus","America/Martinique":"Martinique","America/Matamoros":"Matamoros","America/Mazatlan":"Mazatlan","America/Menominee":"Menominee","America/Merida":"Merida","America/Metlakatla":"Metlakatla","America/Mexico_City":"Mexiko-Stadt","America/Miquelon":"St. Pierre und Miquelon","America/Moncton":"Moncton","America/Monterrey":"Monterrey","America/Montevideo":"Uruguay","America/New_York":"New York","America/Nome":"Nome","America/Noronha":"Fernando de Noronha","America/North_Dakota/Beulah":"Beulah, North Dakota","America/North_Dakota/Center":"Center, North Dakota","America/North_Dakota/New_Salem":"New Salem, North Dakota","America/Nuuk":"Nuuk","America/Ojinaga":"Ojinaga","America/Panama":"Panama","America/Paramaribo":"Suriname","America/Phoenix":"Phoenix","America/Port-au-Prince":"Haiti","America/Porto_Velho":"Porto Velho","America/Puerto_Rico":"Puerto Rico","America/Punta_Arenas":"Punta Arenas","America/Rankin_Inlet":"Rankin Inlet","America/Recife":"Recife","America/Regina":"Regina","America/Resolute":"Resolute","America/Rio_Branco":"Rio Branco","America/Santarem":"Santarem","America/Santiago":"Chile","America/Santo_Domingo":"Dominikanische Republik","America/Sao_Paulo":"São Paulo","America/Scoresbysund":"Ittoqqortoormiit","America/Sitka":"Sitka","America/St_Johns":"St. John’s","America/Swift_Current":"Swift Current","America/Tegucigalpa":"Honduras","America/Thule":"Thule","America/Tijuana":"Tijuana","America/Toronto":"Toronto","America/Vancouver":"Vancouver","America/Whitehorse":"Whitehorse","America/Winnipeg":"Winnipeg","America/Yakutat":"Yakutat","Antarctica/Casey":"Casey","Antarctica/Davis":"Davis","Antarctica/Macquarie":"Macquarie","Antarctica/Mawson":"Mawson","Antarctica/Palmer":"Palmer","Antarctica/Rothera":"Rothera","Antarctica/Troll":"Troll","Antarctica/Vostok":"Wostok","Asia/Almaty":"Almaty","Asia/Amman":"Jordanien","Asia/Anadyr":"Anadyr","Asia/Aqtau":"Aqtau","Asia/Aqtobe":"Aktobe","Asia/Ashgabat":"Turkmenistan","Asia/Atyrau":"Atyrau","Asia/Baghdad":"Irak","Asia/Baku":"Aserbaidschan","Asia/Bangkok":"Thailand","Asia/Barnaul":"Barnaul","Asia/Beirut":"Libanon","Asia/Bishkek":"Kirgisistan","Asia/Chita":"Tschita","Asia/Choibalsan":"Ulaanbaatar","Asia/Colombo":"Sri Lanka","Asia/Damascus":"Syrien","Asia/Dhaka":"Bangladesch","Asia/Dili":"Timor-Leste","Asia/Dubai":"Vereinigte Arabische Emirate","Asia/Dushanbe":"Tadschikistan","Asia/Famagusta":"Famagusta","Asia/Gaza":"Gaza","Asia/Hebron":"Hebron","Asia/Ho_Chi_Minh":"Vietnam","Asia/Hong_Kong":"Sonderverwaltungsregion Hongkong","Asia/Hovd":"Chowd","Asia/Irkutsk":"Irkutsk","Asia/Jakarta":"Jakarta","Asia/Jayapura":"Jayapura","Asia/Jerusalem":"Israel","Asia/Kabul":"Afghanistan","Asia/Kamchatka":"Kamtschatka","Asia/Karachi":"Pakistan","Asia/Kathmandu":"Nepal","Asia/Khandyga":"Chandyga","Asia/Kolkata":"Indien","Asia/Krasnoyarsk":"Krasnojarsk","Asia/Kuching":"Kuching","Asia/Macau":"Sonderverwaltungsregion Macau","Asia/Magadan":"Magadan","Asia/Makassar":"Makassar","Asia/Manila":"Philippinen","Asia/Nicosia":"Nicosia","Asia/Novokuznetsk":"Nowokuznetsk","Asia/Novosibirsk":"Nowosibirsk","Asia/Omsk":"Omsk","Asia/Oral":"Oral","Asia/Pontianak":"Pontianak","Asia/Pyongyang":"Nordkorea","Asia/Qatar":"Katar","Asia/Qostanay":"Qostanai","Asia/Qyzylorda":"Qysylorda","Asia/Riyadh":"Saudi-Arabien","Asia/Sakhalin":"Sachalin","Asia/Samarkand":"Samarkand","Asia/Seoul":"Südkorea","Asia/Shanghai":"China","Asia/Singapore":"Singapur","Asia/Srednekolymsk":"Srednekolymsk","Asia/Taipei":"Taiwan","Asia/Tashkent":"Usbekistan","Asia/Tbilisi":"Georgien","Asia/Tehran":"Iran","Asia/Thimphu":"Bhutan","Asia/Tokyo":"Japan","Asia/Tomsk":"Tomsk","Asia/Ulaanbaatar":"Ulaanbaatar","Asia/Urumqi":"Ürümqi","Asia/Ust-Nera":"Ust-Nera","Asia/Vladivostok":"Wladiwostok","Asia/Yakutsk":"Jakutsk","Asia/Yangon":"Myanmar","Asia/Yekaterinburg":"Jekaterinburg","Asia/Yerevan":"Armenien","Atlantic/Azores":"Azoren","Atlantic/Bermuda":"Bermuda","Atlantic/Canary":"Canary","Atlantic/Cape_Verde":"Cabo Verde","Atlantic/Faroe":"Färöer","Atlantic/Madeira":"Madeira","Atlantic/South_Georgia":"Südgeorgien und die Südlichen Sandwichinseln","Atlantic/Stanley":"Falklandinseln","Australia/Adelaide":"Adelaide","Australia/Brisbane":"Brisbane","Australia/Broken_Hill":"Broken Hill","Australia/Darwin":"Darwin","Australia/Eucla":"Eucla","Australia/Hobart":"Hobart","Australia/Lindeman":"Lindeman","Australia/Lord_Howe":"Lord Howe","Australia/Melbourne":"Melbourne","Australia/Perth":"Perth","Australia/Sydney":"Sydney","CET":"CET","CST6CDT":"Chicago","EET":"EET","EST":"Panama","EST5EDT":"New York","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"Andorra","Europe/Astrakhan":"Astrachan","Europe/Athens":"Griechenland","Europe/Belgrade":"Serbien","Europe/Berlin":"Deutschland","Europe/Brussels":"Belgien","Europe/Bucharest":"Rumänien","Europe/Budapest":"Ungarn","Europe/Chisinau":"Republik Moldau","Europe/Dublin":"Irland","Europe/Gibraltar":"Gibraltar","Europe/Helsinki":"Finnland","Europe/Istanbul":"Türkei","Europe/Kaliningrad":"Kaliningrad","Europe/Kirov":"Kirow","Europe/Kyiv":"Ukraine","Europe/Lisbon":"Lisbon","Europe/London":"Vereinigtes Königreich","Europe/Madrid":"Madrid","Europe/Malta":"Malta","Europe/Minsk":"Belarus","Europe/Moscow":"Moskau","Europe/Paris":"Frankreich","Europe/Prague":"Tschechien","Europe/Riga":"Lettland","Europe/Rome":"Italien","Europe/Samara":"Samara","Europe/Saratov":"Saratow","Europe/Simferopol":"Simferopol","Europe/Sofia":"Bulgarien","Europe/Tallinn":"Estland","Europe/Tirane":"Albanien","Europe/Ulyanovsk":"Uljanowsk","Europe/Vienna":"Österreich","Europe/Vilnius":"Litauen","Europe/Volgograd":"Wolgograd","Europe/Warsaw":"Polen","Europe/Zurich":"Schweiz","Factory":"Factory","HST":"Honolulu","Indian/Chagos":"Britisches Territorium im Indischen Ozean","Indian/Maldives":"Malediven","Indian/Mauritius":"Mauritius","MET":"MET","MST":"Phoenix","MST7MDT":"Denver","Pacific/Apia":"Samoa","Pacific/Auckland":"Neuseeland","Pacific/Bougainville":"Bougainville","Pacific/Chatham":"Chatham","Pacific/Easter":"Osterinsel","Pacific/Efate":"Vanuatu","Pacific/Fakaofo":"Tokelau","Pacific/Fiji":"Fidschi","Pacific/Galapagos":"Galapagos","Pacific/Gambier":"Gambier","Pacific/Guadalcanal":"Salomonen","Pacific/Guam":"Guam","Pacific/Honolulu":"Honolulu","Pacific/Kanton":"Enderbury","Pacific/Kiritimati":"Kiritimati","Pacific/Kosrae":"Kosrae","Pacific/Kwajalein":"Kwajalein","Pacific/Marquesas":"Marquesas","Pacific/Nauru":"Nauru","Pacific/Niue":"Niue","Pacific/Norfolk":"Norfolkinsel","Pacific/Noumea":"Neukaledonien","Pacific/Pago_Pago":"Amerikanisch-Samoa","Pacific/Palau":"Palau","Pacific/Pitcairn":"Pitcairninseln","Pacific/Port_Moresby":"Port Moresby","Pacific/Rarotonga":"Cookinseln","Pacific/Tahiti":"Tahiti","Pacific/Tarawa":"Tarawa","Pacific/Tongatapu":"Tonga","PST8PDT":"Los Angeles","WET":"WET"},
+		zone_names: {"Africa/Abidjan":"Mittlere Greenwich-Zeit","Africa/Algiers":"Mitteleuropäische Normalzeit","Africa/Bissau":"Mittlere Greenwich-Zeit","Africa/Cairo":"Osteuropäische Zeit","Africa/Casablanca":"Marokko (Ortszeit)","Africa/Ceuta":"Mitteleuropäische Zeit","Africa/El_Aaiun":"Westsahara (Ortszeit)","Africa/Johannesburg":"Südafrikanische Zeit","Africa/Juba":"Zentralafrikanische Zeit","Africa/Khartoum":"Zentralafrikanische Zeit","Africa/Lagos":"Westafrikanische Normalzeit","Africa/Maputo":"Zentralafrikanische Zeit","Africa/Monrovia":"Mittlere Greenwich-Zeit","Africa/Nairobi":"Ostafrikanische Zeit","Africa/Ndjamena":"Westafrikanische Normalzeit","Africa/Sao_Tome":"Mittlere Greenwich-Zeit","Africa/Tripoli":"Osteuropäische Normalzeit","Africa/Tunis":"Mitteleuropäische Normalzeit","Africa/Windhoek":"Zentralafrikanische Zeit","America/Adak":"Hawaii-Aleuten-Zeit","America/Anchorage":"Alaska-Zeit","America/Araguaina":"Brasília-Normalzeit","America/Argentina/Buenos_Aires":"Argentinische Normalzeit","America/Argentina/Catamarca":"Argentinische Normalzeit","America/Argentina/Cordoba":"Argentinische Normalzeit","America/Argentina/Jujuy":"Argentinische Normalzeit","America/Argentina/La_Rioja":"Argentinische Normalzeit","America/Argentina/Mendoza":"Argentinische Normalzeit","America/Argentina/Rio_Gallegos":"Argentinische Normalzeit","America/Argentina/Salta":"Argentinische Normalzeit","America/Argentina/San_Juan":"Argentinische Normalzeit","America/Argentina/San_Luis":"Argentinische Normalzeit","America/Argentina/Tucuman":"Argentinische Normalzeit","America/Argentina/Ushuaia":"Argentinische Normalzeit","America/Asuncion":"Paraguayische Zeit","America/Bahia":"Brasília-Normalzeit","America/Bahia_Banderas":"Nordamerikanische Zentral-Normalzeit","America/Barbados":"Atlantik-Normalzeit","America/Belem":"Brasília-Normalzeit","America/Belize":"Nordamerikanische Zentral-Normalzeit","America/Boa_Vista":"Amazonas-Normalzeit","America/Bogota":"Kolumbianische Normalzeit","America/Boise":"Rocky-Mountains-Zeit","America/Cambridge_Bay":"Rocky-Mountains-Zeit","America/Campo_Grande":"Amazonas-Normalzeit","America/Cancun":"Nordamerikanische Ostküsten-Normalzeit","America/Caracas":"Venezuela-Zeit","America/Cayenne":"Französisch-Guayana-Zeit","America/Chicago":"Nordamerikanische Zentralzeit","America/Chihuahua":"Nordamerikanische Zentral-Normalzeit","America/Ciudad_Juarez":"Rocky-Mountains-Zeit","America/Costa_Rica":"Nordamerikanische Zentral-Normalzeit","America/Cuiaba":"Amazonas-Normalzeit","America/Danmarkshavn":"Mittlere Greenwich-Zeit","America/Dawson":"Yukon-Zeit","America/Dawson_Creek":"Rocky-Mountains-Normalzeit","America/Denver":"Rocky-Mountains-Zeit","America/Detroit":"Nordamerikanische Ostküstenzeit","America/Edmonton":"Rocky-Mountains-Zeit","America/Eirunepe":"Acre-Normalzeit","America/El_Salvador":"Nordamerikanische Zentral-Normalzeit","America/Fort_Nelson":"Rocky-Mountains-Normalzeit","America/Fortaleza":"Brasília-Normalzeit","America/Glace_Bay":"Atlantik-Zeit","America/Goose_Bay":"Atlantik-Zeit","America/Grand_Turk":"Nordamerikanische Ostküstenzeit","America/Guatemala":"Nordamerikanische Zentral-Normalzeit","America/Guayaquil":"Ecuadorianische Zeit","America/Guyana":"Guyana-Zeit","America/Halifax":"Atlantik-Zeit","America/Havana":"Kubanische Zeit","America/Hermosillo":"Mexikanische Pazifik-Normalzeit","America/Indiana/Indianapolis":"Nordamerikanische Ostküstenzeit","America/Indiana/Knox":"Nordamerikanische Zentralzeit","America/Indiana/Marengo":"Nordamerikanische Ostküstenzeit","America/Indiana/Petersburg":"Nordamerikanische Ostküstenzeit","America/Indiana/Tell_City":"Nordamerikanische Zentralzeit","America/Indiana/Vevay":"Nordamerikanische Ostküstenzeit","America/Indiana/Vincennes":"Nordamerikanische Ostküstenzeit","America/Indiana/Winamac":"Nordamerikanische Ostküstenzeit","America/Inuvik":"Rocky-Mountains-Zeit","America/Iqaluit":"Nordamerikanische Ostküstenzeit","America/Jamaica":"Nordamerikanische Ostküsten-Normalzeit","America/Juneau":"Alaska-Zeit","America/Kentucky/Louisville":"Nordamerikanische Ostküstenzeit","America/Kentucky/Monticello":"Nordamerikanische Ostküstenzeit","America/La_Paz":"Bolivianische Zeit","America/Lima":"Peruanische Normalzeit","America/Los_Angeles":"Nordamerikanische Westküstenzeit","America/Maceio":"Brasília-Normalzeit","America/Managua":"Nordamerikanische Zentral-Normalzeit","America/Manaus":"Amazonas-Normalzeit","America/Martinique":"Atlantik-Normalzeit","America/Matamoros":"Nordamerikanische Zentralzeit","America/Mazatlan":"Mexikanische Pazifik-Normalzeit","America/Menominee":"Nordamerikanische Zentralzeit","America/Merida":"Nordamerikanische Zentral-Normalzeit","America/Metlakatla":"Alaska-Zeit","America/Mexico_City":"Nordamerikanische Zentral-Normalzeit","America/Miquelon":"St.-Pierre-und-Miquelon-Zeit","America/Moncton":"Atlantik-Zeit","America/Monterrey":"Nordamerikanische Zentral-Normalzeit","America/Montevideo":"Uruguayische Normalzeit","America/New_York":"Nordamerikanische Ostküstenzeit","America/Nome":"Alaska-Zeit","America/Noronha":"Fernando-de-Noronha-Normalzeit","America/North_Dakota/Beulah":"Nordamerikanische Zentralzeit","America/North_Dakota/Center":"Nordamerikanische Zentralzeit","America/North_Dakota/New_Salem":"Nordamerikanische Zentralzeit","America/Nuuk":"Nuuk (Ortszeit)","America/Ojinaga":"Nordamerikanische Zentralzeit","America/Panama":"Nordamerikanische Ostküsten-Normalzeit","America/Paramaribo":"Suriname-Zeit","America/Phoenix":"Rocky-Mountains-Normalzeit","America/Port-au-Prince":"Nordamerikanische Ostküstenzeit","America/Porto_Velho":"Amazonas-Normalzeit","America/Puerto_Rico":"Atlantik-Normalzeit","America/Punta_Arenas":"Punta Arenas (Ortszeit)","America/Rankin_Inlet":"Nordamerikanische Zentralzeit","America/Recife":"Brasília-Normalzeit","America/Regina":"Nordamerikanische Zentral-Normalzeit","America/Resolute":"Nordamerikanische Zentralzeit","America/Rio_Branco":"Acre-Normalzeit","America/Santarem":"Brasília-Normalzeit","America/Santiago":"Chilenische Zeit","America/Santo_Domingo":"Atlantik-Normalzeit","America/Sao_Paulo":"Brasília-Normalzeit","America/Scoresbysund":"Ittoqqortoormiit (Ortszeit)","America/Sitka":"Alaska-Zeit","America/St_Johns":"Neufundland-Zeit","America/Swift_Current":"Nordamerikanische Zentral-Normalzeit","America/Tegucigalpa":"Nordamerikanische Zentral-Normalzeit","America/Thule":"Atlantik-Zeit","America/Tijuana":"Nordamerikanische Westküstenzeit","America/Toronto":"Nordamerikanische Ostküstenzeit","America/Vancouver":"Nordamerikanische Westküstenzeit","America/Whitehorse":"Yukon-Zeit","America/Winnipeg":"Nordamerikanische Zentralzeit","America/Yakutat":"Alaska-Zeit","Antarctica/Casey":"Westaustralische Normalzeit","Antarctica/Davis":"Davis-Zeit","Antarctica/Macquarie":"Ostaustralische Zeit","Antarctica/Mawson":"Mawson-Zeit","Antarctica/Palmer":"Palmer (Ortszeit)","Antarctica/Rothera":"Rothera-Zeit","Antarctica/Troll":"Troll (Ortszeit)","Antarctica/Vostok":"Wostok-Zeit","Asia/Almaty":"Kasachische Zeit","Asia/Amman":"Jordanien (Ortszeit)","Asia/Anadyr":"Anadyr Normalzeit","Asia/Aqtau":"Kasachische Zeit","Asia/Aqtobe":"Kasachische Zeit","Asia/Ashgabat":"Turkmenische Normalzeit","Asia/Atyrau":"Kasachische Zeit","Asia/Baghdad":"Arabische Normalzeit","Asia/Baku":"Aserbeidschanische Normalzeit","Asia/Bangkok":"Indochina-Zeit","Asia/Barnaul":"Barnaul (Ortszeit)","Asia/Beirut":"Osteuropäische Zeit","Asia/Bishkek":"Kirgisische Zeit","Asia/Chita":"Jakutsker Normalzeit","Asia/Choibalsan":"Ulaanbaatar-Normalzeit","Asia/Colombo":"Indische Normalzeit","Asia/Damascus":"Syrien (Ortszeit)","Asia/Dhaka":"Bangladesch-Normalzeit","Asia/Dili":"Osttimor-Zeit","Asia/Dubai":"Golf-Zeit","Asia/Dushanbe":"Tadschikische Zeit","Asia/Famagusta":"Famagusta (Ortszeit)","Asia/Gaza":"Osteuropäische Zeit","Asia/Hebron":"Osteuropäische Zeit","Asia/Ho_Chi_Minh":"Indochina-Zeit","Asia/Hong_Kong":"Hongkong-Normalzeit","Asia/Hovd":"Chowd-Normalzeit","Asia/Irkutsk":"Irkutsker Normalzeit","Asia/Jakarta":"Westindonesische Zeit","Asia/Jayapura":"Ostindonesische Zeit","Asia/Jerusalem":"Israelische Zeit","Asia/Kabul":"Afghanistan-Zeit","Asia/Kamchatka":"Kamtschatka-Normalzeit","Asia/Karachi":"Pakistanische Normalzeit","Asia/Kathmandu":"Nepalesische Zeit","Asia/Khandyga":"Jakutsker Normalzeit","Asia/Kolkata":"Indische Normalzeit","Asia/Krasnoyarsk":"Krasnojarsker Normalzeit","Asia/Kuching":"Malaysische Zeit","Asia/Macau":"Chinesische Normalzeit","Asia/Magadan":"Magadan-Normalzeit","Asia/Makassar":"Zentralindonesische Zeit","Asia/Manila":"Philippinische Normalzeit","Asia/Nicosia":"Osteuropäische Zeit","Asia/Novokuznetsk":"Krasnojarsker Normalzeit","Asia/Novosibirsk":"Nowosibirsker Normalzeit","Asia/Omsk":"Omsker Normalzeit","Asia/Oral":"Kasachische Zeit","Asia/Pontianak":"Westindonesische Zeit","Asia/Pyongyang":"Koreanische Normalzeit","Asia/Qatar":"Arabische Normalzeit","Asia/Qostanay":"Kasachische Zeit","Asia/Qyzylorda":"Kasachische Zeit","Asia/Riyadh":"Arabische Normalzeit","Asia/Sakhalin":"Sachalin-Normalzeit","Asia/Samarkand":"Usbekische Normalzeit","Asia/Seoul":"Koreanische Normalzeit","Asia/Shanghai":"Chinesische Normalzeit","Asia/Singapore":"Singapurische Normalzeit","Asia/Srednekolymsk":"Srednekolymsk (Ortszeit)","Asia/Taipei":"Taipeh-Normalzeit","Asia/Tashkent":"Usbekische Normalzeit","Asia/Tbilisi":"Georgische Normalzeit","Asia/Tehran":"Iranische Normalzeit","Asia/Thimphu":"Bhutan-Zeit","Asia/Tokyo":"Japanische Normalzeit","Asia/Tomsk":"Tomsk (Ortszeit)","Asia/Ulaanbaatar":"Ulaanbaatar-Normalzeit","Asia/Urumqi":"Ürümqi (Ortszeit)","Asia/Ust-Nera":"Wladiwostoker Normalzeit","Asia/Vladivostok":"Wladiwostoker Normalzeit","Asia/Yakutsk":"Jakutsker Normalzeit","Asia/Yangon":"Myanmar-Zeit","Asia/Yekaterinburg":"Jekaterinburger Normalzeit","Asia/Yerevan":"Armenische Normalzeit","Atlantic/Azores":"Azoren-Zeit","Atlantic/Bermuda":"Atlantik-Zeit","Atlantic/Canary":"Westeuropäische Zeit","Atlantic/Cape_Verde":"Cabo-Verde-Normalzeit","Atlantic/Faroe":"Westeuropäische Zeit","Atlantic/Madeira":"Westeuropäische Zeit","Atlantic/South_Georgia":"Südgeorgische Zeit","Atlantic/Stanley":"Falklandinseln-Normalzeit","Australia/Adelaide":"Zentralaustralische Zeit","Australia/Brisbane":"Ostaustralische Normalzeit","Australia/Broken_Hill":"Zentralaustralische Zeit","Australia/Darwin":"Zentralaustralische Normalzeit","Australia/Eucla":"Zentral-/Westaustralische Normalzeit","Australia/Hobart":"Ostaustralische Zeit","Australia/Lindeman":"Ostaustralische Normalzeit","Australia/Lord_Howe":"Lord-Howe-Zeit","Australia/Melbourne":"Ostaustralische Zeit","Australia/Perth":"Westaustralische Normalzeit","Australia/Sydney":"Ostaustralische Zeit","CET":"Mitteleuropäische Zeit","CST6CDT":"Nordamerikanische Zentralzeit","EET":"Osteuropäische Zeit","EST":"Nordamerikanische Ostküsten-Normalzeit","EST5EDT":"Nordamerikanische Ostküstenzeit","Europe/Andorra":"Mitteleuropäische Zeit","Europe/Astrakhan":"Astrachan (Ortszeit)","Europe/Athens":"Osteuropäische Zeit","Europe/Belgrade":"Mitteleuropäische Zeit","Europe/Berlin":"Mitteleuropäische Zeit","Europe/Brussels":"Mitteleuropäische Zeit","Europe/Bucharest":"Osteuropäische Zeit","Europe/Budapest":"Mitteleuropäische Zeit","Europe/Chisinau":"Osteuropäische Zeit","Europe/Dublin":"Irland (Ortszeit)","Europe/Gibraltar":"Mitteleuropäische Zeit","Europe/Helsinki":"Osteuropäische Zeit","Europe/Istanbul":"Türkei (Ortszeit)","Europe/Kaliningrad":"Osteuropäische Normalzeit","Europe/Kirov":"Kirow (Ortszeit)","Europe/Kyiv":"Osteuropäische Zeit","Europe/Lisbon":"Westeuropäische Zeit","Europe/London":"Vereinigtes Königreich (Ortszeit)","Europe/Madrid":"Mitteleuropäische Zeit","Europe/Malta":"Mitteleuropäische Zeit","Europe/Minsk":"Moskauer Normalzeit","Europe/Moscow":"Moskauer Normalzeit","Europe/Paris":"Mitteleuropäische Zeit","Europe/Prague":"Mitteleuropäische Zeit","Europe/Riga":"Osteuropäische Zeit","Europe/Rome":"Mitteleuropäische Zeit","Europe/Samara":"Samara-Normalzeit","Europe/Saratov":"Saratow (Ortszeit)","Europe/Simferopol":"Moskauer Normalzeit","Europe/Sofia":"Osteuropäische Zeit","Europe/Tallinn":"Osteuropäische Zeit","Europe/Tirane":"Mitteleuropäische Zeit","Europe/Ulyanovsk":"Uljanowsk (Ortszeit)","Europe/Vienna":"Mitteleuropäische Zeit","Europe/Vilnius":"Osteuropäische Zeit","Europe/Volgograd":"Wolgograder Normalzeit","Europe/Warsaw":"Mitteleuropäische Zeit","Europe/Zurich":"Mitteleuropäische Zeit","HST":"Hawaii-Aleuten-Normalzeit","Indian/Chagos":"Indischer-Ozean-Zeit","Indian/Maldives":"Malediven-Zeit","Indian/Mauritius":"Mauritius-Normalzeit","MET":"Mitteleuropäische Zeit","MST":"Rocky-Mountains-Normalzeit","MST7MDT":"Rocky-Mountains-Zeit","Pacific/Apia":"Apia-Normalzeit","Pacific/Auckland":"Neuseeland-Zeit","Pacific/Bougainville":"Bougainville (Ortszeit)","Pacific/Chatham":"Chatham-Zeit","Pacific/Easter":"Osterinsel-Zeit","Pacific/Efate":"Vanuatu-Normalzeit","Pacific/Fakaofo":"Tokelau-Zeit","Pacific/Fiji":"Fidschi-Normalzeit","Pacific/Galapagos":"Galapagos-Zeit","Pacific/Gambier":"Gambier-Zeit","Pacific/Guadalcanal":"Salomonen-Zeit","Pacific/Guam":"Chamorro-Zeit","Pacific/Honolulu":"Hawaii-Aleuten-Normalzeit","Pacific/Kanton":"Phoenixinseln-Zeit","Pacific/Kiritimati":"Linieninseln-Zeit","Pacific/Kosrae":"Kosrae-Zeit","Pacific/Kwajalein":"Marshallinseln-Zeit","Pacific/Marquesas":"Marquesas-Zeit","Pacific/Nauru":"Nauru-Zeit","Pacific/Niue":"Niue-Zeit","Pacific/Norfolk":"Norfolkinsel-Zeit","Pacific/Noumea":"Neukaledonische Normalzeit","Pacific/Pago_Pago":"Samoa-Normalzeit","Pacific/Palau":"Palau-Zeit","Pacific/Pitcairn":"Pitcairninseln-Zeit","Pacific/Port_Moresby":"Papua-Neuguinea-Zeit","Pacific/Rarotonga":"Cookinseln-Normalzeit","Pacific/Tahiti":"Tahiti-Zeit","Pacific/Tarawa":"Gilbert-Inseln-Zeit","Pacific/Tongatapu":"Tongaische Normalzeit","PST8PDT":"Nordamerikanische Westküstenzeit","WET":"Westeuropäische Zeit"}
+	};
+}
@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (en) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("en", locale_en)
+export function locale_en() {
+	return {
+		code: "en",
+		months: ["January","February","March","April","May","June","July","August","September","October","November","December"],
+		months_standalone: ["January","February","March","April","May","June","July","August","September","October","November","December"],
+		months_short: ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"],
+		weekdays: ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],
+		weekdays_short: ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"],
+		meridiem: ["AM","PM"],
+		ordinal: (n) => n + (n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'),
+		plural: (n) => n === 1 ? 'one' : 'other',
+		units: {"year":{"one":"{0} year","other":"{0} years"},"month":{"one":"{0} month","other":"{0} months"},"week":{"one":"{0} week","other":"{0} weeks"},"day":{"one":"{0} day","other":"{0} days"},"hour":{"one":"{0} hour","other":"{0} hours"},"minute":{"one":"{0} minute","other":"{0} minutes"},"second":{"one":"{0} second","other":"{0} seconds"}},
+		units_short: {"year":{"one":"{0} yr","other":"{0} yrs"},"month":{"one":"{0} mth","other":"{0} mths"},"week":{"one":"{0} wk","other":"{0} wks"},"day":{"one":"{0} day","other":"{0} days"},"hour":{"one":"{0} hr","other":"{0} hr"},"minute":{"one":"{0} min","other":"{0} min"},"second":{"one":"{0} sec","other":"{0} sec"}},
+		units_compact: {"year":{"one":"{0}y","other":"{0}y"},"month":{"one":"{0}m","other":"{0}m"},"week":{"one":"{0}w","other":"{0}w"},"day":{"one":"{0}d","other":"{0}d"},"hour":{"one":"{0}h","other":"{0}h"},"minute":{"one":"{0}m","other":"{0}m"},"second":{"one":"{0}s","other":"{0}s"}},
+		list: {"sep":", ","last":", and ","pair":" and "},
+		list_compact: {"sep":" ","last":" ","pair":" "},
+		relative: {"year":{"future":{"one":"in {0} year","other":"in {0} years"},"past":{"one":"{0} year ago","other":"{0} years ago"}},"month":{"future":{"one":"in {0} month","other":"in {0} months"},"past":{"one":"{0} month ago","other":"{0} months ago"}},"week":{"future":{"one":"in {0} week","other":"in {0} weeks"},"past":{"one":"{0} week ago","other":"{0} weeks ago"}},"day":{"future":{"one":"in {0} day","other":"in {0} days"},"past":{"one":"{0} day ago","other":"{0} days ago"}},"hour":{"future":{"one":"in {0} hour","other":"in {0} hours"},"past":{"one":"{0} hour ago","other":"{0} hours ago"}},"minute":{"future":{"one":"in {0} minute","other":"in {0} minutes"},"past":{"one":"{0} minute ago","other":"{0} minutes ago"}},"second":{"future":{"one":"in {0} second","other":"in {0} seconds"},"past":{"one":"{0} second ago","other":"{0} seconds ago"}}},
+		relative_words: {"now":"now","today":"today","tomorrow":"tomorrow","yesterday":"yesterday"},
+		phrases: {"dst_starts":"Time until DST starts: {0}","dst_ends":"Time until DST ends: {0}","no_dst":"No DST changes for this timezone.","at":"{0} at {1}"},
+		countries: {"AD":"Andorra","AE":"United Arab Emirates","AF":"Afghanistan","AG":"Antigua & Barbuda","AI":"Anguilla","AL":"Albania","AM":"Armenia","AO":"Angola","AQ":"Antarctica","AR":"Argentina","AS":"American Samoa","AT":"Austria","AU":"Australia","AW":"Aruba","AX":"Åland Islands","AZ":"Azerbaijan","BA":"Bosnia & Herzegovina","BB":"Barbados","BD":"Bangladesh","BE":"Belgium","BF":"Burkina Faso","BG":"Bulgaria","BH":"Bahrain","BI":"Burundi","BJ":"Benin","BL":"St. Barthélemy","BM":"Bermuda","BN":"Brunei","BO":"Bolivia","BQ":"Caribbean Netherlands","BR":"Brazil","BS":"Bahamas","BT":"Bhutan","BW":"Botswana","BY":"Belarus","BZ":"Belize","CA":"Canada","CC":"Cocos (Keeling) Islands","CD":"Congo - Kinshasa","CF":"Central African Republic","CG":"Congo - Brazzaville","CH":"Switzerland","CI":"Côte d’Ivoire","CK":"Cook Islands","CL":"Chile","CM":"Cameroon","CN":"China","CO":"Colombia","CR":"Costa Rica","CU":"Cuba","CV":"Cape Verde","CW":"Curaçao","CX":"Christmas Island","CY":"Cyprus","CZ":"Czechia","DE":"Germany","DJ":"Djibouti","DK":"Denmark","DM":"Dominica","DO":"Dominican Republic","DZ":"Algeria","EC":"Ecuador","EE":"Estonia","EG":"Egypt","EH":"Western Sahara","ER":"Eritrea","ES":"Spain","ET":"Ethiopia","FI":"Finland","FJ":"Fiji","FK":"Falkland Islands","FM":"Micronesia","FO":"Faroe Islands","FR":"France","GA":"Gabon","GB":"United Kingdom","GD":"Grenada","GE":"Georgia","GF":"French Guiana","GG":"Guernsey","GH":"Ghana","GI":"Gibraltar","GL":"Greenland","GM":"Gambia","GN":"Guinea","GP":"Guadeloupe","GQ":"Equatorial Guinea","GR":"Greece","GS":"South Georgia & South Sandwich Islands","GT":"Guatemala","GU":"Guam","GW":"Guinea-Bissau","GY":"Guyana","HK":"Hong Kong SAR China","HN":"Honduras","HR":"Croatia","HT":"Haiti","HU":"Hungary","ID":"Indonesia","IE":"Ireland","IL":"Israel","IM":"Isle of Man","IN":"India","IO":"British Indian Ocean Territory","IQ":"Iraq","IR":"Iran","IS":"Iceland","IT":"Italy","JE":"Jersey","JM":"Jamaica","JO":"Jordan","JP":"Japan","KE":"Kenya","KG":"Kyrgyzstan","KH":"Cambodia","KI":"Kiribati","KM":"Comoros","KN":"St. Kitts & Nevis","KP":"North Korea","KR":"South Korea","KW":"Kuwait","KY":"Cayman Islands","KZ":"Kazakhstan","LA":"Laos","LB":"Lebanon","LC":"St. Lucia","LI":"Liechtenstein","LK":"Sri Lanka","LR":"Liberia","LS":"Lesotho","LT":"Lithuania","LU":"Luxembourg","LV":"Latvia","LY":"Libya","MA":"Morocco","MC":"Monaco","MD":"Moldova","ME":"Montenegro","MF":"St. Martin","MG":"Madagascar","MH":"Marshall Islands","MK":"North Macedonia","ML":"Mali","MM":"Myanmar (Burma)","MN":"Mongolia","MO":"Macao SAR China","MP":"Northern Mariana Islands","MQ":"Martinique","MR":"Mauritania","MS":"Montserrat","MT":"Malta","MU":"Mauritius","MV":"Maldives","MW":"Malawi","MX":"Mexico","MY":"Malaysia","MZ":"Mozambique","NA":"Namibia","NC":"New Caledonia","NE":"Niger","NF":"Norfolk Island","NG":"Nigeria","NI":"Nicaragua","NL":"Netherlands","NO":"Norway","NP":"Nepal","NR":"Nauru","NU":"Niue","NZ":"New Zealand","OM":"Oman","PA":"Panama","PE":"Peru","PF":"French Polynesia","PG":"Papua New Guinea","PH":"Philippines","PK":"Pakistan","PL":"Poland","PM":"St. Pierre & Miquelon","PN":"Pitcairn Islands","PR":"Puerto Rico","PS":"Palestinian Territories","PT":"Portugal","PW":"Palau","PY":"Paraguay","QA":"Qatar","RE":"Réunion","RO":"Romania","RS":"Serbia","RU":"Russia","RW":"Rwanda","SA":"Saudi Arabia","SB":"Solomon Islands","SC":"Seychelles","SD":"Sudan","SE":"Sweden","SG":"Singapore","SH":"St. Helena","SI":"Slovenia","SJ":"Svalbard & Jan Mayen","SK":"Slovakia","SL":"Sierra Leone","SM":"San Marino","SN":"Senegal","SO":"Somalia","SR":"Suriname","SS":"South Sudan","ST":"São Tomé & Príncipe","SV":"El Salvador","SX":"Sint Maarten","SY":"Syria","SZ":"Eswatini","TC":"Turks & Caicos Islands","TD":"Chad","TF":"French Southern Territories","TG":"Togo","TH":"Thailand","TJ":"Tajikistan","TK":"Tokelau","TL":"Timor-Leste","TM":"Turkmenistan","TN":"Tunisia","TO":"Tonga","TR":"Türkiye","TT":"Trinidad & Tobago","TV":"Tuvalu","TW":"Taiwan","TZ":"Tanzania","UA":"Ukraine","UG":"Uganda","UM":"U.S. Outlying Islands","US":"United States","UY":"Uruguay","UZ":"Uzbekistan","VA":"Vatican City","VC":"St. Vincent & Grenadines","VE":"Venezuela","VG":"British Virgin Islands","VI":"U.S. Virgin Islands","VN":"Vietnam","VU":"Vanuatu","WF":"Wallis & Futuna","WS":"Samoa","YE":"Yemen","YT":"Mayotte","ZA":"South Africa","ZM":"Zambia","ZW":"Zimbabwe"},
+		zones: {"Africa/Abidjan":"Abidjan","Africa/Algiers":"Algeria","Africa/Bissau":"Bissau","Africa/Cairo":"Egypt","Africa/Casablanca":"Morocco","Africa/Ceuta":"Ceuta","Africa/El_Aaiun":"Western Sahara","Africa/Johannesburg":"South Africa","Africa/Juba":"South Sudan","Africa/Khartoum":"Sudan","Africa/Lagos":"Nigeria","Africa/Maputo":"Mozambique","Africa/Monrovia":"Monrovia","Africa/Nairobi":"Kenya","Africa/Ndjamena":"Chad","Africa/Sao_Tome":"Sao Tome","Africa/Tripoli":"Libya","Africa/Tunis":"Tunisia","Africa/Windhoek":"Namibia","America/Adak":"Adak","America/Anchorage":"Anchorage","America/Araguaina":"Araguaina","America/Argentina/Buenos_Aires":"Buenos Aires","America/Argentina/Catamarca":"Catamarca","America/Argentina/Cordoba":"Cordoba","America/Argentina/Jujuy":"Jujuy","America/Argentina/La_Rioja":"La Rioja","America/Argentina/Mendoza":"Mendoza","America/Argentina/Rio_Gallegos":"Rio Gallegos","America/Argentina/Salta":"Salta","America/Argentina/San_Juan":"San Juan","America/Argentina/San_Luis":"San Luis","America/Argentina/Tucuman":"Tucuman","America/Argentina/Ushuaia":"Ushuaia","America/Asuncion":"Paraguay","America/Bahia":"Bahia","America/Bahia_Banderas":"Bahia Banderas","America/Barbados":"Barbados","America/Belem":"Belem","America/Belize":"Belize","America/Boa_Vista":"Boa Vista","America/Bogota":"Colombia","America/Boise":"Boise","America/Cambridge_Bay":"Cambridge Bay","America/Campo_Grande":"Campo Grande","America/Cancun":"Cancun","America/Caracas":"Venezuela","America/Cayenne":"French Guiana","America/Chicago":"Chicago","America/Chihuahua":"Chihuahua","America/Ciudad_Juarez":"Ciudad Juarez","America/Costa_Rica":"Costa Rica","America/Cuiaba":"Cuiaba","America/Danmarkshavn":"Danmarkshavn","America/Dawson":"Dawson","America/Dawson_Creek":"Dawson Creek","America/Denver":"Denver","America/Detroit":"Detroit","America/Edmonton":"Edmonton","America/Eirunepe":"Eirunepe","America/El_Salvador":"El Salvador","America/Fort_Nelson":"Fort Nelson","America/Fortaleza":"Fortaleza","America/Glace_Bay":"Glace Bay","America/Goose_Bay":"Goose Bay","America/Grand_Turk":"Grand Turk","America/Guatemala":"Guatemala","America/Guayaquil":"Ecuador","America/Guyana":"Guyana","America/Halifax":"Halifax","America/Havana":"Cuba","America/Hermosillo":"Hermosillo","America/Indiana/Indianapolis":"Indianapolis","America/Indiana/Knox":"Knox","America/Indiana/Marengo":"Marengo","America/Indiana/Petersburg":"Petersburg","America/Indiana/Tell_City":"Tell City","America/Indiana/Vevay":"Vevay","America/Indiana/Vincennes":"Vincennes","America/Indiana/Winamac":"Winamac","America/Inuvik":"Inuvik","America/Iqaluit":"Iqaluit","America/Jamaica":"Jamaica","America/Juneau":"Juneau","America/Kentucky/Louisville":"Louisville","America/Kentucky/Monticello":"Monticello","America/La_Paz":"Bolivia","America/Lima":"Peru","America/Los_Angeles":"Los Angeles","America/Maceio":"Maceio","America/Managua":"Managua","America/Manaus":"Manaus","America/Martinique":"Martinique","America/Matamoros":"Matamoros","America/Mazatlan":"Mazatlan","America/Menominee":"Menominee","America/Merida":"Merida","America/Metlakatla":"Metlakatla","America/Mexico_City":"Mexico City","America/Miquelon":"St. Pierre & Miquelon","America/Moncton":"Moncton","America/Monterrey":"Monterrey","America/Montevideo":"Uruguay","America/New_York":"New York","America/Nome":"Nome","America/Noronha":"Fernando de Noronha","America/North_Dakota/Beulah":"Beulah","America/North_Dakota/Center":"Center","America/North_Dakota/New_Salem":"New Salem","America/Nuuk":"Nuuk","America/Ojinaga":"Ojinaga","America/Panama":"Panama","America/Paramaribo":"Suriname","America/Phoenix":"Phoenix","America/Port-au-Prince":"Port-au-Prince","America/Porto_Velho":"Porto Velho","America/Puerto_Rico":"Puerto Rico","America/Punta_Arenas":"Punta Arenas","America/Rankin_Inlet":"Rankin Inlet","America/Recife":"Recife","America/Regina":"Regina","America/Resolute":"Resolute","America/Rio_Branco":"Rio Branco","America/Santarem":"Santarem","America/Santiago":"Chile","America/Santo_Domingo":"Santo Domingo","America/Sao_Paulo":"Sao Paulo","America/Scoresbysund":"Ittoqqortoormiit","America/Sitka":"Sitka","America/St_Johns":"St. John’s","America/Swift_Current":"Swift Current","America/Tegucigalpa":"Tegucigalpa","America/Thule":"Thule","America/Tijuana":"Tijuana","America/Toronto":"Toronto","America/Vancouver":"Vancouver","America/Whitehorse":"Whitehorse","America/Winnipeg":"Winnipeg","America/Yakutat":"Yakutat","Antarctica/Casey":"Casey","Antarctica/Davis":"Davis","Antarctica/Macquarie":"Macquarie Island","Antarctica/Mawson":"Mawson","Antarctica/Palmer":"Palmer","Antarctica/Rothera":"Rothera","Antarctica/Troll":"Troll","Antarctica/Vostok":"Vostok","Asia/Almaty":"Almaty","Asia/Amman":"Jordan","Asia/Anadyr":"Anadyr","Asia/Aqtau":"Aqtau","Asia/Aqtobe":"Aqtobe","Asia/Ashgabat":"Turkmenistan","Asia/Atyrau":"Atyrau","Asia/Baghdad":"Iraq","Asia/Baku":"Azerbaijan","Asia/Bangkok":"Thailand","Asia/Barnaul":"Barnaul","Asia/Beirut":"Lebanon","Asia/Bishkek":"Kyrgyzstan","Asia/Chita":"Chita","Asia/Choibalsan":"Ulaanbaatar","Asia/Colombo":"Sri Lanka","Asia/Damascus":"Syria","Asia/Dhaka":"Bangladesh","Asia/Dili":"Timor-Leste","Asia/Dubai":"United Arab Emirates","Asia/Dushanbe":"Tajikistan","Asia/Famagusta":"Famagusta","Asia/Gaza":"Gaza","Asia/Hebron":"Hebron","Asia/Ho_Chi_Minh":"Vietnam","Asia/Hong_Kong":"Hong Kong SAR China","Asia/Hovd":"Hovd","Asia/Irkutsk":"Irkutsk","Asia/Jakarta":"Jakarta","Asia/Jayapura":"Jayapura","Asia/Jerusalem":"Israel","Asia/Kabul":"Afghanistan","Asia/Kamchatka":"Kamchatka","Asia/Karachi":"Pakistan","Asia/Kathmandu":"Nepal","Asia/Khandyga":"Khandyga","Asia/Kolkata":"India","Asia/Krasnoyarsk":"Krasnoyarsk","Asia/Kuching":"Kuching","Asia/Macau":"Macao SAR China","Asia/Magadan":"Magadan","Asia/Makassar":"Makassar","Asia/Manila":"Philippines","Asia/Nicosia":"Nicosia","Asia/Novokuznetsk":"Novokuznetsk","Asia/Novosibirsk":"Novosibirsk","Asia/Omsk":"Omsk","Asia/Oral":"Oral","Asia/Pontianak":"Pontianak","Asia/Pyongyang":"North Korea","Asia/Qatar":"Qatar","Asia/Qostanay":"Kostanay","Asia/Qyzylorda":"Qyzylorda","Asia/Riyadh":"Saudi Arabia","Asia/Sakhalin":"Sakhalin","Asia/Samarkand":"Samarkand","Asia/Seoul":"South Korea","Asia/Shanghai":"China","Asia/Singapore":"Singapore","Asia/Srednekolymsk":"Srednekolymsk","Asia/Taipei":"Taiwan","Asia/Tashkent":"Uzbekistan","Asia/Tbilisi":"Georgia","Asia/Tehran":"Iran","Asia/Thimphu":"Bhutan","Asia/Tokyo":"Japan","Asia/Tomsk":"Tomsk","Asia/Ulaanbaatar":"Ulaanbaatar","Asia/Urumqi":"Urumqi","Asia/Ust-Nera":"Ust-Nera","Asia/Vladivostok":"Vladivostok","Asia/Yakutsk":"Yakutsk","Asia/Yangon":"Myanmar (Burma)","Asia/Yekaterinburg":"Yekaterinburg","Asia/Yerevan":"Armenia","Atlantic/Azores":"Azores","Atlantic/Bermuda":"Bermuda","Atlantic/Canary":"Canary","Atlantic/Cape_Verde":"Cape Verde","Atlantic/Faroe":"Faroe Islands","Atlantic/Madeira":"Madeira","Atlantic/South_Georgia":"South Georgia & South Sandwich Islands","Atlantic/Stanley":"Falkland Islands","Australia/Adelaide":"Adelaide","Australia/Brisbane":"Brisbane","Australia/Broken_Hill":"Broken Hill","Australia/Darwin":"Darwin","Australia/Eucla":"Eucla","Australia/Hobart":"Hobart","Australia/Lindeman":"Lindeman","Australia/Lord_Howe":"Lord Howe Island","Australia/Melbourne":"Melbourne","Australia/Perth":"Perth","Australia/Sydney":"Sydney","CET":"Belgium","CST6CDT":"CST6CDT","EET":"Greece","EST":"EST","EST5EDT":"EST5EDT","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"Andorra","Europe/Astrakhan":"Astrakhan","Europe/Athens":"Greece","Europe/Belgrade":"Serbia","Europe/Berlin":"Germany","Europe/Brussels":"Belgium","Europe/Bucharest":"Romania","Europe/Budapest":"Hungary","Europe/Chisinau":"Moldova","Europe/Dublin":"Ireland","Europe/Gibraltar":"Gibraltar","Europe/Helsinki":"Finland","Europe/Istanbul":"Türkiye","Europe/Kaliningrad":"Kaliningrad","Europe/Kirov":"Kirov","Europe/Kyiv":"Ukraine","Europe/Lisbon":"Portugal","Europe/London":"United Kingdom","Europe/Madrid":"Spain","Europe/Malta":"Malta","Europe/Minsk":"Belarus","Europe/Moscow":"Moscow","Europe/Paris":"France","Europe/Prague":"Czechia","Europe/Riga":"Latvia","Europe/Rome":"Italy","Europe/Samara":"Samara","Europe/Saratov":"Saratov","Europe/Simferopol":"Simferopol","Europe/Sofia":"Bulgaria","Europe/Tallinn":"Estonia","Europe/Tirane":"Albania","Europe/Ulyanovsk":"Ulyanovsk","Europe/Vienna":"Austria","Europe/Vilnius":"Lithuania","Europe/Volgograd":"Volgograd","Europe/Warsaw":"Poland","Europe/Zurich":"Switzerland","Factory":"Factory","HST":"HST","Indian/Chagos":"British Indian Ocean Territory","Indian/Maldives":"Maldives","Indian/Mauritius":"Mauritius","MET":"Belgium","MST":"MST","MST7MDT":"MST7MDT","Pacific/Apia":"Samoa","Pacific/Auckland":"New Zealand","Pacific/Bougainville":"Bougainville","Pacific/Chatham":"Chatham","Pacific/Easter":"Easter Island","Pacific/Efate":"Vanuatu","Pacific/Fakaofo":"Tokelau","Pacific/Fiji":"Fiji","Pacific/Galapagos":"Galapagos","Pacific/Gambier":"Gambier","Pacific/Guadalcanal":"Solomon Islands","Pacific/Guam":"Guam","Pacific/Honolulu":"Honolulu","Pacific/Kanton":"Enderbury","Pacific/Kiritimati":"Kiritimati","Pacific/Kosrae":"Kosrae","Pacific/Kwajalein":"Kwajalein","Pacific/Marquesas":"Marquesas","Pacific/Nauru":"Nauru","Pacific/Niue":"Niue","Pacific/Norfolk":"Norfolk Island","Pacific/Noumea":"New Caledonia","Pacific/Pago_Pago":"American Samoa","Pacific/Palau":"Palau","Pacific/Pitcairn":"Pitcairn Islands","Pacific/Port_Moresby":"Port Moresby","Pacific/Rarotonga":"Cook Islands","Pacific/Tahiti":"Tahiti","Pacific/Tarawa":"Tarawa","Pacific/Tongatapu":"Tonga","PST8PDT":"PST8PDT","WET":"Portugal"},
+		zone_names: {"Africa/Abidjan":"Greenwich Mean Time","Africa/Algiers":"Central European Standard Time","Africa/Bissau":"Greenwich Mean Time","Africa/Cairo":"Eastern European Time","Africa/Casablanca":"Morocco Time","Africa/Ceuta":"Central European Time","Africa/El_Aaiun":"Western Sahara Time","Africa/Johannesburg":"South Africa Standard Time","Africa/Juba":"Central Africa Time","Africa/Khartoum":"Central Africa Time","Africa/Lagos":"West Africa Standard Time","Africa/Maputo":"Central Africa Time","Africa/Monrovia":"Greenwich Mean Time","Africa/Nairobi":"East Africa Time","Africa/Ndjamena":"West Africa Standard Time","Africa/Sao_Tome":"Greenwich Mean Time","Africa/Tripoli":"Eastern European Standard Time","Africa/Tunis":"Central European Standard Time","Africa/Windhoek":"Central Africa Time","America/Adak":"Hawaii-Aleutian Time","America/Anchorage":"Alaska Time","America/Araguaina":"Brasilia Standard Time","America/Argentina/Buenos_Aires":"Argentina Standard Time","America/Argentina/Catamarca":"Argentina Standard Time","America/Argentina/Cordoba":"Argentina Standard Time","America/Argentina/Jujuy":"Argentina Standard Time","America/Argentina/La_Rioja":"Argentina Standard Time","America/Argentina/Mendoza":"Argentina Standard Time","America/Argentina/Rio_Gallegos":"Argentina Standard Time","America/Argentina/Salta":"Argentina Standard Time","America/Argentina/San_Juan":"Argentina Standard Time","America/Argentina/San_Luis":"Argentina Standard Time","America/Argentina/Tucuman":"Argentina Standard Time","America/Argentina/Ushuaia":"Argentina Standard Time","America/Asuncion":"Paraguay Time","America/Bahia":"Brasilia Standard Time","America/Bahia_Banderas":"Central Standard Time","America/Barbados":"Atlantic Standard Time","America/Belem":"Brasilia Standard Time","America/Belize":"Central Standard Time","America/Boa_Vista":"Amazon Standard Time","America/Bogota":"Colombia Standard Time","America/Boise":"Mountain Time","America/Cambridge_Bay":"Mountain Time","America/Campo_Grande":"Amazon Standard Time","America/Cancun":"Eastern Standard Time","America/Caracas":"Venezuela Time","America/Cayenne":"French Guiana Time","America/Chicago":"Central Time","America/Chihuahua":"Central Standard Time","America/Ciudad_Juarez":"Mountain Time","America/Costa_Rica":"Central Standard Time","America/Cuiaba":"Amazon Standard Time","America/Danmarkshavn":"Greenwich Mean Time","America/Dawson":"Yukon Time","America/Dawson_Creek":"Mountain Standard Time","America/Denver":"Mountain Time","America/Detroit":"Eastern Time","America/Edmonton":"Mountain Time","America/Eirunepe":"Acre Standard Time","America/El_Salvador":"Central Standard Time","America/Fort_Nelson":"Mountain Standard Time","America/Fortaleza":"Brasilia Standard Time","America/Glace_Bay":"Atlantic Time","America/Goose_Bay":"Atlantic Time","America/Grand_Turk":"Eastern Time","America/Guatemala":"Central Standard Time","America/Guayaquil":"Ecuador Time","America/Guyana":"Guyana Time","America/Halifax":"Atlantic Time","America/Havana":"Cuba Time","America/Hermosillo":"Mexican Pacific Standard Time","America/Indiana/Indianapolis":"Eastern Time","America/Indiana/Knox":"Central Time","America/Indiana/Marengo":"Eastern Time","America/Indiana/Petersburg":"Eastern Time","America/Indiana/Tell_City":"Central Time","America/Indiana/Vevay":"Eastern Time","America/Indiana/Vincennes":"Eastern Time","America/Indiana/Winamac":"Eastern Time","America/Inuvik":"Mountain Time","America/Iqaluit":"Eastern Time","America/Jamaica":"Eastern Standard Time","America/Juneau":"Alaska Time","America/Kentucky/Louisville":"Eastern Time","America/Kentucky/Monticello":"Eastern Time","America/La_Paz":"Bolivia Time","America/Lima":"Peru Standard Time","America/Los_Angeles":"Pacific Time","America/Maceio":"Brasilia Standard Time","America/Managua":"Central Standard Time","America/Manaus":"Amazon Standard Time","America/Martinique":"Atlantic Standard Time","America/Matamoros":"Central Time","America/Mazatlan":"Mexican Pacific Standard Time","America/Menominee":"Central Time","America/Merida":"Central Standard Time","America/Metlakatla":"Alaska Time","America/Mexico_City":"Central Standard Time","America/Miquelon":"St. Pierre & Miquelon Time","America/Moncton":"Atlantic Time","America/Monterrey":"Central Standard Time","America/Montevideo":"Uruguay Standard Time","America/New_York":"Eastern Time","America/Nome":"Alaska Time","America/Noronha":"Fernando de Noronha Standard Time","America/North_Dakota/Beulah":"Central Time","America/North_Dakota/Center":"Central Time","America/North_Dakota/New_Salem":"Central Time","America/Nuuk":"Greenland Time","America/Ojinaga":"Central Time","America/Panama":"Eastern Standard Time","America/Paramaribo":"Suriname Time","America/Phoenix":"Mountain Standard Time","America/Port-au-Prince":"Eastern Time","America/Porto_Velho":"Amazon Standard Time","America/Puerto_Rico":"Atlantic Standard Time","America/Punta_Arenas":"Punta Arenas Time","America/Rankin_Inlet":"Central Time","America/Recife":"Brasilia Standard Time","America/Regina":"Central Standard Time","America/Resolute":"Central Time","America/Rio_Branco":"Acre Standard Time","America/Santarem":"Brasilia Standard Time","America/Santiago":"Chile Time","America/Santo_Domingo":"Atlantic Standard Time","America/Sao_Paulo":"Brasilia Standard Time","America/Scoresbysund":"Greenland Time","America/Sitka":"Alaska Time","America/St_Johns":"Newfoundland Time","America/Swift_Current":"Central Standard Time","America/Tegucigalpa":"Central Standard Time","America/Thule":"Atlantic Time","America/Tijuana":"Pacific Time","America/Toronto":"Eastern Time","America/Vancouver":"Pacific Time","America/Whitehorse":"Yukon Time","America/Winnipeg":"Central Time","America/Yakutat":"Alaska Time","Antarctica/Casey":"Australian Western Standard Time","Antarctica/Davis":"Davis Time","Antarctica/Macquarie":"Australian Eastern Time","Antarctica/Mawson":"Mawson Time","Antarctica/Palmer":"Palmer Time","Antarctica/Rothera":"Rothera Time","Antarctica/Troll":"Troll Time","Antarctica/Vostok":"Vostok Time","Asia/Almaty":"Kazakhstan Time","Asia/Amman":"Jordan Time","Asia/Anadyr":"Anadyr Standard Time","Asia/Aqtau":"Kazakhstan Time","Asia/Aqtobe":"Kazakhstan Time","Asia/Ashgabat":"Turkmenistan Standard Time","Asia/Atyrau":"Kazakhstan Time","Asia/Baghdad":"Arabian Standard Time","Asia/Baku":"Azerbaijan Standard Time","Asia/Bangkok":"Indochina Time","Asia/Barnaul":"Barnaul Time","Asia/Beirut":"Eastern European Time","Asia/Bishkek":"Kyrgyzstan Time","Asia/Chita":"Yakutsk Standard Time","Asia/Choibalsan":"Ulaanbaatar Standard Time","Asia/Colombo":"India Standard Time","Asia/Damascus":"Syria Time","Asia/Dhaka":"Bangladesh Standard Time","Asia/Dili":"Timor-Leste Time","Asia/Dubai":"Gulf Standard Time","Asia/Dushanbe":"Tajikistan Time","Asia/Famagusta":"Famagusta Time","Asia/Gaza":"Eastern European Time","Asia/Hebron":"Eastern European Time","Asia/Ho_Chi_Minh":"Indochina Time","Asia/Hong_Kong":"Hong Kong Standard Time","Asia/Hovd":"Hovd Standard Time","Asia/Irkutsk":"Irkutsk Standard Time","Asia/Jakarta":"Western Indonesia Time","Asia/Jayapura":"Eastern Indonesia Time","Asia/Jerusalem":"Israel Time","Asia/Kabul":"Afghanistan Time","Asia/Kamchatka":"Kamchatka Standard Time","Asia/Karachi":"Pakistan Standard Time","Asia/Kathmandu":"Nepal Time","Asia/Khandyga":"Yakutsk Standard Time","Asia/Kolkata":"India Standard Time","Asia/Krasnoyarsk":"Krasnoyarsk Standard Time","Asia/Kuching":"Malaysia Time","Asia/Macau":"China Standard Time","Asia/Magadan":"Magadan Standard Time","Asia/Makassar":"Central Indonesia Time","Asia/Manila":"Philippine Standard Time","Asia/Nicosia":"Eastern European Time","Asia/Novokuznetsk":"Krasnoyarsk Standard Time","Asia/Novosibirsk":"Novosibirsk Standard Time","Asia/Omsk":"Omsk Standard Time","Asia/Oral":"Kazakhstan Time","Asia/Pontianak":"Western Indonesia Time","Asia/Pyongyang":"Korean Standard Time","Asia/Qatar":"Arabian Standard Time","Asia/Qostanay":"Kazakhstan Time","Asia/Qyzylorda":"Kazakhstan Time","Asia/Riyadh":"Arabian Standard Time","Asia/Sakhalin":"Sakhalin Standard Time","Asia/Samarkand":"Uzbekistan Standard Time","Asia/Seoul":"Korean Standard Time","Asia/Shanghai":"China Standard Time","Asia/Singapore":"Singapore Standard Time","Asia/Srednekolymsk":"Srednekolymsk Time","Asia/Taipei":"Taiwan Standard Time","Asia/Tashkent":"Uzbekistan Standard Time","Asia/Tbilisi":"Georgia Standard Time","Asia/Tehran":"Iran Standard Time","Asia/Thimphu":"Bhutan Time","Asia/Tokyo":"Japan Standard Time","Asia/Tomsk":"Tomsk Time","Asia/Ulaanbaatar":"Ulaanbaatar Standard Time","Asia/Urumqi":"Urumqi Time","Asia/Ust-Nera":"Vladivostok Standard Time","Asia/Vladivostok":"Vladivostok Standard Time","Asia/Yakutsk":"Yakutsk Standard Time","Asia/Yangon":"Myanmar Time","Asia/Yekaterinburg":"Yekaterinburg Standard Time","Asia/Yerevan":"Armenia Standard Time","Atlantic/Azores":"Azores Time","Atlantic/Bermuda":"Atlantic Time","Atlantic/Canary":"Western European Time","Atlantic/Cape_Verde":"Cape Verde Standard Time","Atlantic/Faroe":"Western European Time","Atlantic/Madeira":"Western European Time","Atlantic/South_Georgia":"South Georgia Time","Atlantic/Stanley":"Falkland Islands Standard Time","Australia/Adelaide":"Australian Central Time","Australia/Brisbane":"Australian Eastern Standard Time","Australia/Broken_Hill":"Australian Central Time","Australia/Darwin":"Australian Central Standard Time","Australia/Eucla":"Australian Central Western Standard Time","Australia/Hobart":"Australian Eastern Time","Australia/Lindeman":"Australian Eastern Standard Time","Australia/Lord_Howe":"Lord Howe Time","Australia/Melbourne":"Australian Eastern Time","Australia/Perth":"Australian Western Standard Time","Australia/Sydney":"Australian Eastern Time","CET":"Central European Time","CST6CDT":"Central Time","EET":"Eastern European Time","EST":"Eastern Standard Time","EST5EDT":"Eastern Time","Europe/Andorra":"Central European Time","Europe/Astrakhan":"Astrakhan Time","Europe/Athens":"Eastern European Time","Europe/Belgrade":"Central European Time","Europe/Berlin":"Central European Time","Europe/Brussels":"Central European Time","Europe/Bucharest":"Eastern European Time","Europe/Budapest":"Central European Time","Europe/Chisinau":"Eastern European Time","Europe/Dublin":"Ireland Time","Europe/Gibraltar":"Central European Time","Europe/Helsinki":"Eastern European Time","Europe/Istanbul":"Türkiye Time","Europe/Kaliningrad":"Eastern European Standard Time","Europe/Kirov":"Kirov Time","Europe/Kyiv":"Eastern European Time","Europe/Lisbon":"Western European Time","Europe/London":"United Kingdom Time","Europe/Madrid":"Central European Time","Europe/Malta":"Central European Time","Europe/Minsk":"Moscow Standard Time","Europe/Moscow":"Moscow Standard Time","Europe/Paris":"Central European Time","Europe/Prague":"Central European Time","Europe/Riga":"Eastern European Time","Europe/Rome":"Central European Time","Europe/Samara":"Samara Standard Time","Europe/Saratov":"Saratov Time","Europe/Simferopol":"Moscow Standard Time","Europe/Sofia":"Eastern European Time","Europe/Tallinn":"Eastern European Time","Europe/Tirane":"Central European Time","Europe/Ulyanovsk":"Ulyanovsk Time","Europe/Vienna":"Central European Time","Europe/Vilnius":"Eastern European Time","Europe/Volgograd":"Volgograd Standard Time","Europe/Warsaw":"Central European Time","Europe/Zurich":"Central European Time","HST":"Hawaii-Aleutian Standard Time","Indian/Chagos":"Indian Ocean Time","Indian/Maldives":"Maldives Time","Indian/Mauritius":"Mauritius Standard Time","MET":"Central European Time","MST":"Mountain Standard Time","MST7MDT":"Mountain Time","Pacific/Apia":"Samoa Standard Time","Pacific/Auckland":"New Zealand Time","Pacific/Bougainville":"Bougainville Time","Pacific/Chatham":"Chatham Time","Pacific/Easter":"Easter Island Time","Pacific/Efate":"Vanuatu Standard Time","Pacific/Fakaofo":"Tokelau Time","Pacific/Fiji":"Fiji Standard Time","Pacific/Galapagos":"Galapagos Time","Pacific/Gambier":"Gambier Time","Pacific/Guadalcanal":"Solomon Islands Time","Pacific/Guam":"Chamorro Standard Time","Pacific/Honolulu":"Hawaii-Aleutian Standard Time","Pacific/Kanton":"Phoenix Islands Time","Pacific/Kiritimati":"Line Islands Time","Pacific/Kosrae":"Kosrae Time","Pacific/Kwajalein":"Marshall Islands Time","Pacific/Marquesas":"Marquesas Time","Pacific/Nauru":"Nauru Time","Pacific/Niue":"Niue Time","Pacific/Norfolk":"Norfolk Island Time","Pacific/Noumea":"New Caledonia Standard Time","Pacific/Pago_Pago":"American Samoa Standard Time","Pacific/Palau":"Palau Time","Pacific/Pitcairn":"Pitcairn Time","Pacific/Port_Moresby":"Papua New Guinea Time","Pacific/Rarotonga":"Cook Islands Standard Time","Pacific/Tahiti":"Tahiti Time","Pacific/Tarawa":"Gilbert Islands Time","Pacific/Tongatapu":"Tonga Standard Time","PST8PDT":"Pacific Time","WET":"Western European Time"}
+	};
+}
@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (es) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("es", locale_es)
+export function locale_es() {
+	return {
+		code: "es",
+		months: ["enero","febrero","marzo","abril","mayo","junio","julio","agosto","septiembre","octubre","noviembre","diciembre"],
+		months_standalone: ["enero","febrero","marzo","abril","mayo","junio","julio","agosto","septiembre","octubre","noviembre","diciembre"],
+		months_short: ["ene","feb","mar","abr","may","jun","jul","ago","sept","oct","nov","dic"],
+		weekdays: ["domingo","lunes","martes","miércoles","jueves","viernes","sábado"],
+		weekdays_short: ["dom","lun","mar","mié","jue","vie","sáb"],
+		meridiem: ["a. m.","p. m."],
+		ordinal: (n) => n + 'º',
+		plural: (n) => n === 1 ? 'one' : 'other',
+		units: {"year":{"one":"{0} año","other":"{0} años"},"month":{"one":"{0} mes","other":"{0} meses"},"week":{"one":"{0} semana","other":"{0} semanas"},"day":{"one":"{0} día","other":"{0} días"},"hour":{"one":"{0} hora","other":"{0} horas"},"minute":{"one":"{0} minuto","other":"{0} minutos"},"second":{"one":"{0} segundo","other":"{0} segundos"}},
+		units_short: {"year":{"one":"{0} a","other":"{0} a"},"month":{"one":"{0} m.","other":"{0} m."},"week":{"one":"{0} sem.","other":"{0} sem."},"day":{"one":"{0} d","other":"{0} d"},"hour":{"one":"{0} h","other":"{0} h"},"minute":{"one":"{0} min","other":"{0} min"},"second":{"one":"{0} s","other":"{0} s"}},
+		units_compact: {"year":{"one":"{0}a","other":"{0}a"},"month":{"one":"{0}m","other":"{0}m"},"week":{"one":"{0}sem","other":"{0}sem"},"day":{"one":"{0}d","other":"{0}d"},"hour":{"one":"{0}h","other":"{0}h"},"minute":{"one":"{0}min","other":"{0}min"},"second":{"one":"{0}s","other":"{0}s"}},
+		list: {"sep":", ","last":" y ","pair":" y "},
+		list_compact: {"sep":" ","last":" ","pair":" "},
+		relative: {"year":{"future":{"one":"dentro de {0} año","other":"dentro de {0} años"},"past":{"one":"hace {0} año","other":"hace {0} años"}},"month":{"future":{"one":"dentro de {0} mes","other":"dentro de {0} meses"},"past":{"one":"hace {0} mes","other":"hace {0} meses"}},"week":{"future":{"one":"dentro de {0} semana","other":"dentro de {0} semanas"},"past":{"one":"hace {0} semana","other":"hace {0} semanas"}},"day":{"future":{"one":"dentro de {0} día","other":"dentro de {0} días"},"past":{"one":"hace {0} día","other":"hace {0} días"}},"hour":{"future":{"one":"dentro de {0} hora","other":"dentro de {0} horas"},"past":{"one":"hace {0} hora","other":"hace {0} horas"}},"minute":{"future":{"one":"dentro de {0} minuto","other":"dentro de {0} minutos"},"past":{"one":"hace {0} minuto","other":"hace {0} minutos"}},"second":{"future":{"one":"dentro de {0} segundo","other":"dentro de {0} segundos"},"past":{"one":"hace {0} segundo","other":"hace {0} segundos"}}},
+		relative_words: {"now":"ahora","today":"hoy","tomorrow":"mañana","yesterday":"ayer"},
+		phrases: {"dst_starts":"Tiempo hasta el inicio del horario de verano: {0}","dst_ends":"Tiempo hasta el fin del horario de verano: {0}","no_dst":"Sin cambios de horario de verano en esta zona horaria.","at":"{0} a las {1}"},
+		countries: {"AD":"Andorra","AE":"Emiratos Árabes Unidos","AF":"Afganistán","AG":"Antigua y Barbuda","AI":"Anguila","AL":"Albania","AM":"Armenia","AO":"Angola","AQ":"Antártida","AR":"Argentina","AS":"Samoa Americana","AT":"Austria","AU":"Australia","AW":"Aruba","AX":"Islas Aland","AZ":"Azerbaiyán","BA":"Bosnia y Herzegovina","BB":"Barbados","BD":"Bangladés","BE":"Bélgica","BF":"Burkina Faso","BG":"Bulgaria","BH":"Baréin","BI":"Burundi","BJ":"Benín","BL":"San Bartolomé","BM":"Bermudas","BN":"Brunéi","BO":"Bolivia","BQ":"Caribe neerlandés","BR":"Brasil","BS":"Bahamas","BT":"Bután","BW":"Botsuana","BY":"Bielorrusia","BZ":"Belice","CA":"Canadá","CC":"Islas Cocos","CD":"República Democrática del Congo","CF":"República Centroafricana","CG":"Congo","CH":"Suiza","CI":"Côte d’Ivoire","CK":"Islas Cook","CL":"Chile","CM":"Camerún","CN":"China","CO":"Colombia","CR":"Costa Rica","CU":"Cuba","CV":"Cabo Verde","CW":"Curazao","CX":"Isla de Navidad","CY":"Chipre","CZ":"Chequia","DE":"Alemania","DJ":"Yibuti","DK":"Dinamarca","DM":"Dominica","DO":"República Dominicana","DZ":"Argelia","EC":"Ecuador","EE":"Estonia","EG":"Egipto","EH":"Sáhara Occidental","ER":"Eritrea","ES":"España","ET":"Etiopía","FI":"Finlandia","FJ":"Fiyi","FK":"Islas Malvinas","FM":"Micronesia","FO":"Islas Feroe","FR":"Francia","GA":"Gabón","GB":"Reino Unido","GD":"Granada","GE":"Georgia","GF":"Guayana Francesa","GG":"Guernesey","GH":"Ghana","GI":"Gibraltar","GL":"Groenlandia","GM":"Gambia","GN":"Guinea","GP":"Guadalupe","GQ":"Guinea Ecuatorial","GR":"Grecia","GS":"Islas Georgia del Sur y Sandwich del Sur","GT":"Guatemala","GU":"Guam","GW":"Guinea-Bisáu","GY":"Guyana","HK":"RAE de Hong Kong (China)","HN":"Honduras","HR":"Croacia","HT":"Haití","HU":"Hungría","ID":"Indonesia","IE":"Irlanda","IL":"Israel","IM":"Isla de Man","IN":"India","IO":"Territorio Británico del Océano Índico","IQ":"Irak","IR":"Irán","IS":"Islandia","IT":"Italia","JE":"Jersey","JM":"Jamaica","JO":"Jordania","JP":"Japón","KE":"Kenia","KG":"Kirguistán","KH":"Camboya","KI":"Kiribati","KM":"Comoras","KN":"San Cristóbal y Nieves","KP":"Corea del Norte","KR":"Corea del Sur","KW":"Kuwait","KY":"Islas Caimán","KZ":"Kazajistán","LA":"Laos","LB":"Líbano","LC":"Santa Lucía","LI":"Liechtenstein","LK":"Sri Lanka","LR":"Liberia","LS":"Lesoto","LT":"Lituania","LU":"Luxemburgo","LV":"Letonia","LY":"Libia","MA":"Marruecos","MC":"Mónaco","MD":"Moldavia","ME":"Montenegro","MF":"San Martín","MG":"Madagascar","MH":"Islas Marshall","MK":"Macedonia del Norte","ML":"Mali","MM":"Myanmar (Birmania)","MN":"Mongolia","MO":"RAE de Macao (China)","MP":"Islas Marianas del Norte","MQ":"Martinica","MR":"Mauritania","MS":"Montserrat","MT":"Malta","MU":"Mauricio","MV":"Maldivas","MW":"Malaui","MX":"México","MY":"Malasia","MZ":"Mozambique","NA":"Namibia","NC":"Nueva Caledonia","NE":"Níger","NF":"Isla Norfolk","NG":"Nigeria","NI":"Nicaragua","NL":"Países Bajos","NO":"Noruega","NP":"Nepal","NR":"Nauru","NU":"Niue","NZ":"Nueva Zelanda","OM":"Omán","PA":"Panamá","PE":"Perú","PF":"Polinesia Francesa","PG":"Papúa Nueva Guinea","PH":"Filipinas","PK":"Pakistán","PL":"Polonia","PM":"San Pedro y Miquelón","PN":"Islas Pitcairn","PR":"Puerto Rico","PS":"Territorios Palestinos","PT":"Portugal","PW":"Palaos","PY":"Paraguay","QA":"Catar","RE":"Reunión","RO":"Rumanía","RS":"Serbia","RU":"Rusia","RW":"Ruanda","SA":"Arabia Saudí","SB":"Islas Salomón","SC":"Seychelles","SD":"Sudán","SE":"Suecia","SG":"Singapur","SH":"Santa Elena","SI":"Eslovenia","SJ":"Svalbard y Jan Mayen","SK":"Eslovaquia","SL":"Sierra Leona","SM":"San Marino","SN":"Senegal","SO":"Somalia","SR":"Surinam","SS":"Sudán del Sur","ST":"Santo Tomé y Príncipe","SV":"El Salvador","SX":"Sint Maarten","SY":"Siria","SZ":"Esuatini","TC":"Islas Turcas y Caicos","TD":"Chad","TF":"Territorios Australes Franceses","TG":"Togo","TH":"Tailandia","TJ":"Tayikistán","TK":"Tokelau","TL":"Timor-Leste","TM":"Turkmenistán","TN":"Túnez","TO":"Tonga","TR":"Turquía","TT":"Trinidad y Tobago","TV":"Tuvalu","TW":"Taiwán","TZ":"Tanzania","UA":"Ucrania","UG":"Uganda","UM":"Islas menores alejadas de EE. UU.","US":"Estados Unidos","UY":"Uruguay","UZ":"Uzbekistán","VA":"Ciudad del Vaticano","VC":"San Vicente y las Granadinas","VE":"Venezuela","VG":"Islas Vírgenes Británicas","VI":"Islas Vírgenes de EE. UU.","VN":"Vietnam","VU":"Vanuatu","WF":"Wallis y Futuna","WS":"Samoa","YE":"Yemen","YT":"Mayotte","ZA":"Sudáfrica","ZM":"Zambia","ZW":"Zimbabue"},
+		zones: {"Africa/Abidjan":"Côte d’Ivoire","Africa/Algiers":"Argelia","Africa/Bissau":"Guinea-Bisáu","Africa/Cairo":"Egipto","Africa/Casablanca":"Marruecos","Africa/Ceuta":"Ceuta","Africa/El_Aaiun":"Sáhara Occidental","Africa/Johannesburg":"Sudáfrica","Africa/Juba":"Sudán del Sur","Africa/Khartoum":"Sudán","Africa/Lagos":"Nigeria","Africa/Maputo":"Mozambique","Africa/Monrovia":"Liberia","Africa/Nairobi":"Kenia","Africa/Ndjamena":"Chad","Africa/Sao_Tome":"Santo Tomé y Príncipe","Africa/Tripoli":"Libia","Africa/Tunis":"Túnez","Africa/Windhoek":"Namibia","America/Adak":"Adak","America/Anchorage":"Anchorage","America/Araguaina":"Araguaína","America/Argentina/Buenos_Aires":"Buenos Aires","America/Argentina/Catamarca":"Catamarca","America/Argentina/Cordoba":"Córdoba","America/Argentina/Jujuy":"Jujuy","America/Argentina/La_Rioja":"La Rioja","America/Argentina/Mendoza":"Mendoza","America/Argentina/Rio_Gallegos":"Río Gallegos","America/Argentina/Salta":"Salta","America/Argentina/San_Juan":"San Juan","America/Argentina/San_Luis":"San Luis","America/Argentina/Tucuman":"Tucumán","America/Argentina/Ushuaia":"Ushuaia","America/Asuncion":"Paraguay","America/Bahia":"Bahía","America/Bahia_Banderas":"Bahía de Banderas","America/Barbados":"Barbados","America/Belem":"Belén","America/Belize":"Belice","America/Boa_Vista":"Boa Vista","America/Bogota":"Colombia","America/Boise":"Boise","America/Cambridge_Bay":"Cambridge Bay","America/Campo_Grande":"Campo Grande","America/Cancun":"Cancún","America/Caracas":"Venezuela","America/Cayenne":"Guayana Francesa","America/Chicago":"Chicago","America/Chihuahua":"Chihuahua","America/Ciudad_Juarez":"Ciudad Juárez","America/Costa_Rica":"Costa Rica","America/Cuiaba":"Cuiabá","America/Danmarkshavn":"Danmarkshavn","America/Dawson":"Dawson","America/Dawson_Creek":"Dawson Creek","America/Denver":"Denver","America/Detroit":"Detroit","America/Edmonton":"Edmonton","America/Eirunepe":"Eirunepé","America/El_Salvador":"El Salvador","America/Fort_Nelson":"Fort Nelson","America/Fortaleza":"Fortaleza","America/Glace_Bay":"Glace Bay","America/Goose_Bay":"Goose Bay","America/Grand_Turk":"Islas Turcas y Caicos","America/Guatemala":"Guatemala","America/Guayaquil":"Ecuador","America/Guyana":"Guyana","America/Halifax":"Halifax","America/Havana":"Cuba","America/Hermosillo":"Hermosillo","America/Indiana/Indianapolis":"Indianápolis","America/Indiana/Knox":"Knox, Indiana","America/Indiana/Marengo":"Marengo, Indiana","America/Indiana/Petersburg":"Petersburg, Indiana","America/Indiana/Tell_City":"Tell City, Indiana","America/Indiana/Vevay":"Vevay, Indiana","America/Indiana/Vincennes":"Vincennes, Indiana","America/Indiana/Winamac":"Winamac, Indiana","America/Inuvik":"Inuvik","America/Iqaluit":"Iqaluit","America/Jamaica":"Jamaica","America/Juneau":"Juneau","America/Kentucky/Louisville":"Louisville","America/Kentucky/Monticello":"Monticello, Kentucky","America/La_Paz":"Bolivia","America/Lima":"Perú","America/Los_Angeles":"Los Ángeles","America/Maceio":"Maceió","America/Managua":"Nicaragua","America/Manaus":"Manaos","America/Martinique":"Martinica","America/Matamoros":"Matamoros","America/Mazatlan":"Mazatlán","America/Menominee":"Menominee","America/Merida":"Mérida","America/Metlakatla":"Metlakatla","America/Mexico_City":"Ciudad de México","America/Miquelon":"San Pedro y Miquelón","America/Moncton":"Moncton","America/Monterrey":"Monterrey","America/Montevideo":"Uruguay","America/New_York":"Nueva York","America/Nome":"Nome","America/Noronha":"Fernando de Noronha","America/North_Dakota/Beulah":"Beulah, Dakota del Norte","America/North_Dakota/Center":"Center, Dakota del Norte","America/North_Dakota/New_Salem":"New Salem, Dakota del Norte","America/Nuuk":"Nuuk","America/Ojinaga":"Ojinaga","America/Panama":"Panamá","America/Paramaribo":"Surinam","America/Phoenix":"Phoenix","America/Port-au-Prince":"Haití","America/Porto_Velho":"Porto Velho","America/Puerto_Rico":"Puerto Rico","America/Punta_Arenas":"Punta Arenas","America/Rankin_Inlet":"Rankin Inlet","America/Recife":"Recife","America/Regina":"Regina","America/Resolute":"Resolute","America/Rio_Branco":"Río Branco","America/Santarem":"Santarém","America/Santiago":"Chile","America/Santo_Domingo":"República Dominicana","America/Sao_Paulo":"São Paulo","America/Scoresbysund":"Ittoqqortoormiit","America/Sitka":"Sitka","America/St_Johns":"San Juan de Terranova","America/Swift_Current":"Swift Current","America/Tegucigalpa":"Honduras","America/Thule":"Thule","America/Tijuana":"Tijuana","America/Toronto":"Toronto","America/Vancouver":"Vancouver","America/Whitehorse":"Whitehorse","America/Winnipeg":"Winnipeg","America/Yakutat":"Yakutat","Antarctica/Casey":"Casey","Antarctica/Davis":"Davis","Antarctica/Macquarie":"Macquarie","Antarctica/Mawson":"Mawson","Antarctica/Palmer":"Palmer","Antarctica/Rothera":"Rothera","Antarctica/Troll":"Troll","Antarctica/Vostok":"Vostok","Asia/Almaty":"Almaty","Asia/Amman":"Jordania","Asia/Anadyr":"Anádyr","Asia/Aqtau":"Aktau","Asia/Aqtobe":"Aktobe","Asia/Ashgabat":"Turkmenistán","Asia/Atyrau":"Atyrau","Asia/Baghdad":"Irak","Asia/Baku":"Azerbaiyán","Asia/Bangkok":"Tailandia","Asia/Barnaul":"Barnaúl","Asia/Beirut":"Líbano","Asia/Bishkek":"Kirguistán","Asia/Chita":"Chitá","Asia/Choibalsan":"Ulán Bator","Asia/Colombo":"Sri Lanka","Asia/Damascus":"Siria","Asia/Dhaka":"Bangladés","Asia/Dili":"Timor-Leste","Asia/Dubai":"Emiratos Árabes Unidos","Asia/Dushanbe":"Tayikistán","Asia/Famagusta":"Famagusta","Asia/Gaza":"Gaza","Asia/Hebron":"Hebron","Asia/Ho_Chi_Minh":"Vietnam","Asia/Hong_Kong":"RAE de Hong Kong (China)","Asia/Hovd":"Hovd","Asia/Irkutsk":"Irkutsk","Asia/Jakarta":"Yakarta","Asia/Jayapura":"Jayapura","Asia/Jerusalem":"Israel","Asia/Kabul":"Afganistán","Asia/Kamchatka":"Kamchatka","Asia/Karachi":"Pakistán","Asia/Kathmandu":"Nepal","Asia/Khandyga":"Khandiga","Asia/Kolkata":"India","Asia/Krasnoyarsk":"Krasnoyarsk","Asia/Kuching":"Kuching","Asia/Macau":"RAE de Macao (China)","Asia/Magadan":"Magadán","Asia/Makassar":"Makasar","Asia/Manila":"Filipinas","Asia/Nicosia":"Nicosia","Asia/Novokuznetsk":"Novokuznetsk","Asia/Novosibirsk":"Novosibirsk","Asia/Omsk":"Omsk","Asia/Oral":"Oral","Asia/Pontianak":"Pontianak","Asia/Pyongyang":"Corea del Norte","Asia/Qatar":"Catar","Asia/Qostanay":"Kostanái","Asia/Qyzylorda":"Kyzylorda","Asia/Riyadh":"Arabia Saudí","Asia/Sakhalin":"Sajalín","Asia/Samarkand":"Samarcanda","Asia/Seoul":"Corea del Sur","Asia/Shanghai":"China","Asia/Singapore":"Singapur","Asia/Srednekolymsk":"Srednekolimsk","Asia/Taipei":"Taiwán","Asia/Tashkent":"Uzbekistán","Asia/Tbilisi":"Georgia","Asia/Tehran":"Irán","Asia/Thimphu":"Bután","Asia/Tokyo":"Japón","Asia/Tomsk":"Tomsk","Asia/Ulaanbaatar":"Ulán Bator","Asia/Urumqi":"Ürümqi","Asia/Ust-Nera":"Ust-Nera","Asia/Vladivostok":"Vladivostok","Asia/Yakutsk":"Yakutsk","Asia/Yangon":"Myanmar (Birmania)","Asia/Yekaterinburg":"Ekaterimburgo","Asia/Yerevan":"Armenia","Atlantic/Azores":"Azores","Atlantic/Bermuda":"Bermudas","Atlantic/Canary":"Canary","Atlantic/Cape_Verde":"Cabo Verde","Atlantic/Faroe":"Islas Feroe","Atlantic/Madeira":"Madeira","Atlantic/South_Georgia":"Islas Georgia del Sur y Sandwich del Sur","Atlantic/Stanley":"Islas Malvinas","Australia/Adelaide":"Adelaida","Australia/Brisbane":"Brisbane","Australia/Broken_Hill":"Broken Hill","Australia/Darwin":"Darwin","Australia/Eucla":"Eucla","Australia/Hobart":"Hobart","Australia/Lindeman":"Lindeman","Australia/Lord_Howe":"Lord Howe","Australia/Melbourne":"Melbourne","Australia/Perth":"Perth","Australia/Sydney":"Sídney","CET":"CET","CST6CDT":"Chicago","EET":"EET","EST":"Panamá","EST5EDT":"Nueva York","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"Andorra","Europe/Astrakhan":"Astracán","Europe/Athens":"Grecia","Europe/Belgrade":"Serbia","Europe/Berlin":"Alemania","Europe/Brussels":"Bélgica","Europe/Bucharest":"Rumanía","Europe/Budapest":"Hungría","Europe/Chisinau":"Moldavia","Europe/Dublin":"Irlanda","Europe/Gibraltar":"Gibraltar","Europe/Helsinki":"Finlandia","Europe/Istanbul":"Turquía","Europe/Kaliningrad":"Kaliningrad","Europe/Kirov":"Kírov","Europe/Kyiv":"Ucrania","Europe/Lisbon":"Lisbon","Europe/London":"Reino Unido","Europe/Madrid":"Madrid","Europe/Malta":"Malta","Europe/Minsk":"Bielorrusia","Europe/Moscow":"Moscú","Europe/Paris":"Francia","Europe/Prague":"Chequia","Europe/Riga":"Letonia","Europe/Rome":"Italia","Europe/Samara":"Samara","Europe/Saratov":"Sarátov","Europe/Simferopol":"Simferópol","Europe/Sofia":"Bulgaria","Europe/Tallinn":"Estonia","Europe/Tirane":"Albania","Europe/Ulyanovsk":"Uliánovsk","Europe/Vienna":"Austria","Europe/Vilnius":"Lituania","Europe/Volgograd":"Volgogrado","Europe/Warsaw":"Polonia","Europe/Zurich":"Suiza","Factory":"Factory","HST":"Honolulú","Indian/Chagos":"Territorio Británico del Océano Índico","Indian/Maldives":"Maldivas","Indian/Mauritius":"Mauricio","MET":"MET","MST":"Phoenix","MST7MDT":"Denver","Pacific/Apia":"Samoa","Pacific/Auckland":"Nueva Zelanda","Pacific/Bougainville":"Bougainville","Pacific/Chatham":"Chatham","Pacific/Easter":"Isla de Pascua","Pacific/Efate":"Vanuatu","Pacific/Fakaofo":"Tokelau","Pacific/Fiji":"Fiyi","Pacific/Galapagos":"Galápagos","Pacific/Gambier":"Gambier","Pacific/Guadalcanal":"Islas Salomón","Pacific/Guam":"Guam","Pacific/Honolulu":"Honolulú","Pacific/Kanton":"Enderbury","Pacific/Kiritimati":"Kiritimati","Pacific/Kosrae":"Kosrae","Pacific/Kwajalein":"Kwajalein","Pacific/Marquesas":"Marquesas","Pacific/Nauru":"Nauru","Pacific/Niue":"Niue","Pacific/Norfolk":"Isla Norfolk","Pacific/Noumea":"Nueva Caledonia","Pacific/Pago_Pago":"Samoa Americana","Pacific/Palau":"Palaos","Pacific/Pitcairn":"Islas Pitcairn","Pacific/Port_Moresby":"Port Moresby","Pacific/Rarotonga":"Islas Cook","Pacific/Tahiti":"Tahití","Pacific/Tarawa":"Tarawa","Pacific/Tongatapu":"Tonga","PST8PDT":"Los Ángeles","WET":"WET"},
+		zone_names: {"Africa/Abidjan":"hora del meridiano de Greenwich","Africa/Algiers":"hora estándar de Europa central","Africa/Bissau":"hora del meridiano de Greenwich","Africa/Cairo":"hora de Europa oriental","Africa/Casablanca":"hora de Marruecos","Africa/Ceuta":"hora de Europa central","Africa/El_Aaiun":"hora de Sáhara Occidental","Africa/Johannesburg":"hora de Sudáfrica","Africa/Juba":"hora de África central","Africa/Khartoum":"hora de África central","Africa/Lagos":"hora estándar de África occidental","Africa/Maputo":"hora de África central","Africa/Monrovia":"hora del meridiano de Greenwich","Africa/Nairobi":"hora de África oriental","Africa/Ndjamena":"hora estándar de África occidental","Africa/Sao_Tome":"hora del meridiano de Greenwich","Africa/Tripoli":"hora estándar de Europa oriental","Africa/Tunis":"hora estándar de Europa central","Africa/Windhoek":"hora de África central","America/Adak":"hora de Hawái-Aleutianas","America/Anchorage":"hora de Alaska","America/Araguaina":"hora estándar de Brasilia","America/Argentina/Buenos_Aires":"hora estándar de Argentina","America/Argentina/Catamarca":"hora estándar de Argentina","America/Argentina/Cordoba":"hora estándar de Argentina","America/Argentina/Jujuy":"hora estándar de Argentina","America/Argentina/La_Rioja":"hora estándar de Argentina","America/Argentina/Mendoza":"hora estándar de Argentina","America/Argentina/Rio_Gallegos":"hora estándar de Argentina","America/Argentina/Salta":"hora estándar de Argentina","America/Argentina/San_Juan":"hora estándar de Argentina","America/Argentina/San_Luis":"hora estándar de Argentina","America/Argentina/Tucuman":"hora estándar de Argentina","America/Argentina/Ushuaia":"hora estándar de Argentina","America/Asuncion":"hora de Paraguay","America/Bahia":"hora estándar de Brasilia","America/Bahia_Banderas":"hora estándar central","America/Barbados":"hora estándar del Atlántico","America/Belem":"hora estándar de Brasilia","America/Belize":"hora estándar central","America/Boa_Vista":"hora estándar del Amazonas","America/Bogota":"hora estándar de Colombia","America/Boise":"hora de las Montañas Rocosas","America/Cambridge_Bay":"hora de las Montañas Rocosas","America/Campo_Grande":"hora estándar del Amazonas","America/Cancun":"hora estándar oriental","America/Caracas":"hora de Venezuela","America/Cayenne":"hora de la Guayana Francesa","America/Chicago":"hora central","America/Chihuahua":"hora estándar central","America/Ciudad_Juarez":"hora de las Montañas Rocosas","America/Costa_Rica":"hora estándar central","America/Cuiaba":"hora estándar del Amazonas","America/Danmarkshavn":"hora del meridiano de Greenwich","America/Dawson":"hora de Yukón","America/Dawson_Creek":"hora estándar de las Montañas Rocosas","America/Denver":"hora de las Montañas Rocosas","America/Detroit":"hora oriental","America/Edmonton":"hora de las Montañas Rocosas","America/Eirunepe":"Hora estándar de Acre","America/El_Salvador":"hora estándar central","America/Fort_Nelson":"hora estándar de las Montañas Rocosas","America/Fortaleza":"hora estándar de Brasilia","America/Glace_Bay":"hora del Atlántico","America/Goose_Bay":"hora del Atlántico","America/Grand_Turk":"hora oriental","America/Guatemala":"hora estándar central","America/Guayaquil":"hora de Ecuador","America/Guyana":"hora de Guyana","America/Halifax":"hora del Atlántico","America/Havana":"hora de Cuba","America/Hermosillo":"hora estándar del Pacífico de México","America/Indiana/Indianapolis":"hora oriental","America/Indiana/Knox":"hora central","America/Indiana/Marengo":"hora oriental","America/Indiana/Petersburg":"hora oriental","America/Indiana/Tell_City":"hora central","America/Indiana/Vevay":"hora oriental","America/Indiana/Vincennes":"hora oriental","America/Indiana/Winamac":"hora oriental","America/Inuvik":"hora de las Montañas Rocosas","America/Iqaluit":"hora oriental","America/Jamaica":"hora estándar oriental","America/Juneau":"hora de Alaska","America/Kentucky/Louisville":"hora oriental","America/Kentucky/Monticello":"hora oriental","America/La_Paz":"hora de Bolivia","America/Lima":"hora estándar de Perú","America/Los_Angeles":"hora del Pacífico","America/Maceio":"hora estándar de Brasilia","America/Managua":"hora estándar central","America/Manaus":"hora estándar del Amazonas","America/Martinique":"hora estándar del Atlántico","America/Matamoros":"hora central","America/Mazatlan":"hora estándar del Pacífico de México","America/Menominee":"hora central","America/Merida":"hora estándar central","America/Metlakatla":"hora de Alaska","America/Mexico_City":"hora estándar central","America/Miquelon":"hora de San Pedro y Miquelón","America/Moncton":"hora del Atlántico","America/Monterrey":"hora estándar central","America/Montevideo":"hora estándar de Uruguay","America/New_York":"hora oriental","America/Nome":"hora de Alaska","America/Noronha":"hora estándar de Fernando de Noronha","America/North_Dakota/Beulah":"hora central","America/North_Dakota/Center":"hora central","America/North_Dakota/New_Salem":"hora central","America/Nuuk":"hora de Nuuk","America/Ojinaga":"hora central","America/Panama":"hora estándar oriental","America/Paramaribo":"hora de Surinam","America/Phoenix":"hora estándar de las Montañas Rocosas","America/Port-au-Prince":"hora oriental","America/Porto_Velho":"hora estándar del Amazonas","America/Puerto_Rico":"hora estándar del Atlántico","America/Punta_Arenas":"hora de Punta Arenas","America/Rankin_Inlet":"hora central","America/Recife":"hora estándar de Brasilia","America/Regina":"hora estándar central","America/Resolute":"hora central","America/Rio_Branco":"Hora estándar de Acre","America/Santarem":"hora estándar de Brasilia","America/Santiago":"hora de Chile","America/Santo_Domingo":"hora estándar del Atlántico","America/Sao_Paulo":"hora estándar de Brasilia","America/Scoresbysund":"hora de Ittoqqortoormiit","America/Sitka":"hora de Alaska","America/St_Johns":"hora de Terranova","America/Swift_Current":"hora estándar central","America/Tegucigalpa":"hora estándar central","America/Thule":"hora del Atlántico","America/Tijuana":"hora del Pacífico","America/Toronto":"hora oriental","America/Vancouver":"hora del Pacífico","America/Whitehorse":"hora de Yukón","America/Winnipeg":"hora central","America/Yakutat":"hora de Alaska","Antarctica/Casey":"hora estándar de Australia occidental","Antarctica/Davis":"hora de Davis","Antarctica/Macquarie":"hora de Australia oriental","Antarctica/Mawson":"hora de Mawson","Antarctica/Palmer":"hora de Palmer","Antarctica/Rothera":"hora de Rothera","Antarctica/Troll":"hora de Troll","Antarctica/Vostok":"hora de Vostok","Asia/Almaty":"hora de Kazajistán","Asia/Amman":"hora de Jordania","Asia/Anadyr":"hora estándar de Anadyr","Asia/Aqtau":"hora de Kazajistán","Asia/Aqtobe":"hora de Kazajistán","Asia/Ashgabat":"hora estándar de Turkmenistán","Asia/Atyrau":"hora de Kazajistán","Asia/Baghdad":"hora estándar de Arabia","Asia/Baku":"hora estándar de Azerbaiyán","Asia/Bangkok":"hora de Indochina","Asia/Barnaul":"hora de Barnaúl","Asia/Beirut":"hora de Europa oriental","Asia/Bishkek":"hora de Kirguistán","Asia/Chita":"hora estándar de Yakutsk","Asia/Choibalsan":"hora estándar de Ulán Bator","Asia/Colombo":"hora estándar de la India","Asia/Damascus":"hora de Siria","Asia/Dhaka":"hora estándar de Bangladés","Asia/Dili":"hora de Timor Oriental","Asia/Dubai":"hora estándar del Golfo","Asia/Dushanbe":"hora de Tayikistán","Asia/Famagusta":"hora de Famagusta","Asia/Gaza":"hora de Europa oriental","Asia/Hebron":"hora de Europa oriental","Asia/Ho_Chi_Minh":"hora de Indochina","Asia/Hong_Kong":"hora estándar de Hong Kong","Asia/Hovd":"hora estándar de Hovd","Asia/Irkutsk":"hora estándar de Irkutsk","Asia/Jakarta":"hora de Indonesia occidental","Asia/Jayapura":"hora de Indonesia oriental","Asia/Jerusalem":"hora de Israel","Asia/Kabul":"hora de Afganistán","Asia/Kamchatka":"hora estándar de Kamchatka","Asia/Karachi":"hora estándar de Pakistán","Asia/Kathmandu":"hora de Nepal","Asia/Khandyga":"hora estándar de Yakutsk","Asia/Kolkata":"hora estándar de la India","Asia/Krasnoyarsk":"hora estándar de Krasnoyarsk","Asia/Kuching":"hora de Malasia","Asia/Macau":"hora estándar de China","Asia/Magadan":"hora estándar de Magadán","Asia/Makassar":"hora de Indonesia central","Asia/Manila":"hora estándar de Filipinas","Asia/Nicosia":"hora de Europa oriental","Asia/Novokuznetsk":"hora estándar de Krasnoyarsk","Asia/Novosibirsk":"hora estándar de Novosibirsk","Asia/Omsk":"hora estándar de Omsk","Asia/Oral":"hora de Kazajistán","Asia/Pontianak":"hora de Indonesia occidental","Asia/Pyongyang":"hora estándar de Corea","Asia/Qatar":"hora estándar de Arabia","Asia/Qostanay":"hora de Kazajistán","Asia/Qyzylorda":"hora de Kazajistán","Asia/Riyadh":"hora estándar de Arabia","Asia/Sakhalin":"hora estándar de Sajalín","Asia/Samarkand":"hora estándar de Uzbekistán","Asia/Seoul":"hora estándar de Corea","Asia/Shanghai":"hora estándar de China","Asia/Singapore":"hora de Singapur","Asia/Srednekolymsk":"hora de Srednekolimsk","Asia/Taipei":"hora estándar de Taipéi","Asia/Tashkent":"hora estándar de Uzbekistán","Asia/Tbilisi":"hora estándar de Georgia","Asia/Tehran":"hora estándar de Irán","Asia/Thimphu":"hora de Bután","Asia/Tokyo":"hora estándar de Japón","Asia/Tomsk":"hora de Tomsk","Asia/Ulaanbaatar":"hora estándar de Ulán Bator","Asia/Urumqi":"hora de Ürümqi","Asia/Ust-Nera":"hora estándar de Vladivostok","Asia/Vladivostok":"hora estándar de Vladivostok","Asia/Yakutsk":"hora estándar de Yakutsk","Asia/Yangon":"hora de Myanmar","Asia/Yekaterinburg":"hora estándar de Ekaterimburgo","Asia/Yerevan":"hora estándar de Armenia","Atlantic/Azores":"hora de las Azores","Atlantic/Bermuda":"hora del Atlántico","Atlantic/Canary":"hora de Europa occidental","Atlantic/Cape_Verde":"hora estándar de Cabo Verde","Atlantic/Faroe":"hora de Europa occidental","Atlantic/Madeira":"hora de Europa occidental","Atlantic/South_Georgia":"hora de Georgia del Sur","Atlantic/Stanley":"hora estándar de las islas Malvinas","Australia/Adelaide":"hora de Australia central","Australia/Brisbane":"hora estándar de Australia oriental","Australia/Broken_Hill":"hora de Australia central","Australia/Darwin":"hora estándar de Australia central","Australia/Eucla":"hora estándar de Australia centroccidental","Australia/Hobart":"hora de Australia oriental","Australia/Lindeman":"hora estándar de Australia oriental","Australia/Lord_Howe":"hora de Lord Howe","Australia/Melbourne":"hora de Australia oriental","Australia/Perth":"hora estándar de Australia occidental","Australia/Sydney":"hora de Australia oriental","CET":"hora de Europa central","CST6CDT":"hora central","EET":"hora de Europa oriental","EST":"hora estándar oriental","EST5EDT":"hora oriental","Europe/Andorra":"hora de Europa central","Europe/Astrakhan":"hora de Astracán","Europe/Athens":"hora de Europa oriental","Europe/Belgrade":"hora de Europa central","Europe/Berlin":"hora de Europa central","Europe/Brussels":"hora de Europa central","Europe/Bucharest":"hora de Europa oriental","Europe/Budapest":"hora de Europa central","Europe/Chisinau":"hora de Europa oriental","Europe/Dublin":"hora de Irlanda","Europe/Gibraltar":"hora de Europa central","Europe/Helsinki":"hora de Europa oriental","Europe/Istanbul":"hora de Turquía","Europe/Kaliningrad":"hora estándar de Europa oriental","Europe/Kirov":"hora de Kírov","Europe/Kyiv":"hora de Europa oriental","Europe/Lisbon":"hora de Europa occidental","Europe/London":"hora de Reino Unido","Europe/Madrid":"hora de Europa central","Europe/Malta":"hora de Europa central","Europe/Minsk":"hora estándar de Moscú","Europe/Moscow":"hora estándar de Moscú","Europe/Paris":"hora de Europa central","Europe/Prague":"hora de Europa central","Europe/Riga":"hora de Europa oriental","Europe/Rome":"hora de Europa central","Europe/Samara":"hora estándar de Samara","Europe/Saratov":"hora de Sarátov","Europe/Simferopol":"hora estándar de Moscú","Europe/Sofia":"hora de Europa oriental","Europe/Tallinn":"hora de Europa oriental","Europe/Tirane":"hora de Europa central","Europe/Ulyanovsk":"hora de Uliánovsk","Europe/Vienna":"hora de Europa central","Europe/Vilnius":"hora de Europa oriental","Europe/Volgograd":"hora estándar de Volgogrado","Europe/Warsaw":"hora de Europa central","Europe/Zurich":"hora de Europa central","HST":"hora estándar de Hawái-Aleutianas","Indian/Chagos":"hora del océano Índico","Indian/Maldives":"hora de Maldivas","Indian/Mauritius":"hora estándar de Mauricio","MET":"hora de Europa central","MST":"hora estándar de las Montañas Rocosas","MST7MDT":"hora de las Montañas Rocosas","Pacific/Apia":"hora estándar de Apia","Pacific/Auckland":"hora de Nueva Zelanda","Pacific/Bougainville":"hora de Bougainville","Pacific/Chatham":"hora de Chatham","Pacific/Easter":"hora de la isla de Pascua","Pacific/Efate":"hora estándar de Vanuatu","Pacific/Fakaofo":"hora de Tokelau","Pacific/Fiji":"hora estándar de Fiyi","Pacific/Galapagos":"hora de Galápagos","Pacific/Gambier":"hora de Gambier","Pacific/Guadalcanal":"hora de las Islas Salomón","Pacific/Guam":"hora estándar de Chamorro","Pacific/Honolulu":"hora estándar de Hawái-Aleutianas","Pacific/Kanton":"hora de las Islas Fénix","Pacific/Kiritimati":"hora de las Espóradas Ecuatoriales","Pacific/Kosrae":"hora de Kosrae","Pacific/Kwajalein":"hora de las Islas Marshall","Pacific/Marquesas":"hora de Marquesas","Pacific/Nauru":"hora de Nauru","Pacific/Niue":"hora de Niue","Pacific/Norfolk":"hora de la isla Norfolk","Pacific/Noumea":"hora estándar de Nueva Caledonia","Pacific/Pago_Pago":"hora estándar de Samoa","Pacific/Palau":"hora de Palaos","Pacific/Pitcairn":"hora de Pitcairn","Pacific/Port_Moresby":"hora de Papúa Nueva Guinea","Pacific/Rarotonga":"hora estándar de las Islas Cook","Pacific/Tahiti":"hora de Tahití","Pacific/Tarawa":"hora de las islas Gilbert","Pacific/Tongatapu":"hora estándar de Tonga","PST8PDT":"hora del Pacífico","WET":"hora de Europa occidental"}
+	};
+}
@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (fr) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("fr", locale_fr)
+export function locale_fr() {
+	return {
+		code: "fr",
+		months: ["janvier","février","mars","avril","mai","juin","juillet","août","septembre","octobre","novembre","décembre"],
+		months_standalone: ["janvier","février","mars","avril","mai","juin","juillet","août","septembre","octobre","novembre","décembre"],
+		months_short: ["janv.","févr.","mars","avr.","mai","juin","juil.","août","sept.","oct.","nov.","déc."],
+		weekdays: ["dimanche","lundi","mardi","mercredi","jeudi","vendredi","samedi"],
+		weekdays_short: ["dim.","lun.","mar.","mer.","jeu.","ven.","sam."],
+		meridiem: ["AM","PM"],
+		ordinal: (n) => n === 1 ? '1er' : String(n),
+		plural: (n) => n === 0 || n === 1 ? 'one' : 'other',
+		units: {"year":{"one":"{0} an","other":"{0} ans"},"month":{"one":"{0} mois","other":"{0} mois"},"week":{"one":"{0} semaine","other":"{0} semaines"},"day":{"one":"{0} jour","other":"{0} jours"},"hour":{"one":"{0} heure","other":"{0} heures"},"minute":{"one":"{0} minute","other":"{0} minutes"},"second":{"one":"{0} seconde","other":"{0} secondes"}},
+		units_short: {"year":{"one":"{0} an","other":"{0} ans"},"month":{"one":"{0} m.","other":"{0} m."},"week":{"one":"{0} sem.","other":"{0} sem."},"day":{"one":"{0} j","other":"{0} j"},"hour":{"one":"{0} h","other":"{0} h"},"minute":{"one":"{0} min","other":"{0} min"},"second":{"one":"{0} s","other":"{0} s"}},
+		units_compact: {"year":{"one":"{0}a","other":"{0}a"},"month":{"one":"{0}m.","other":"{0}m."},"week":{"one":"{0}sem.","other":"{0}sem."},"day":{"one":"{0}j","other":"{0}j"},"hour":{"one":"{0}h","other":"{0}h"},"minute":{"one":"{0}min","other":"{0}min"},"second":{"one":"{0}s","other":"{0}s"}},
+		list: {"sep":", ","last":" et ","pair":" et "},
+		list_compact: {"sep":" ","last":" ","pair":" "},
+		relative: {"year":{"future":{"one":"dans {0} an","other":"dans {0} ans"},"past":{"one":"il y a {0} an","other":"il y a {0} ans"}},"month":{"future":{"one":"dans {0} mois","other":"dans {0} mois"},"past":{"one":"il y a {0} mois","other":"il y a {0} mois"}},"week":{"future":{"one":"dans {0} semaine","other":"dans {0} semaines"},"past":{"one":"il y a {0} semaine","other":"il y a {0} semaines"}},"day":{"future":{"one":"dans {0} jour","other":"dans {0} jours"},"past":{"one":"il y a {0} jour","other":"il y a {0} jours"}},"hour":{"future":{"one":"dans {0} heure","other":"dans {0} heures"},"past":{"one":"il y a {0} heure","other":"il y a {0} heures"}},"minute":{"future":{"one":"dans {0} minute","other":"dans {0} minutes"},"past":{"one":"il y a {0} minute","other":"il y a {0} minutes"}},"second":{"future":{"one":"dans {0} seconde","other":"dans {0} secondes"},"past":{"one":"il y a {0} seconde","other":"il y a {0} secondes"}}},
+		relative_words: {"now":"maintenant","today":"aujourd’hui","tomorrow":"demain","yesterday":"hier"},
+		phrases: {"dst_starts":"Temps avant le passage à l’heure d’été : {0}","dst_ends":"Temps avant le retour à l’heure d’hiver : {0}","no_dst":"Aucun changement d’heure pour ce fuseau horaire.","at":"{0} à {1}"},
+		countries: {"AD":"Andorre","AE":"Émirats arabes unis","AF":"Afghanistan","AG":"Antigua-et-Barbuda","AI":"Anguilla","AL":"Albanie","AM":"Arménie","AO":"Angola","AQ":"Antarctique","AR":"Argentine","AS":"Samoa américaines","AT":"Autriche","AU":"Australie","AW":"Aruba","AX":"Îles Åland","AZ":"Azerbaïdjan","BA":"Bosnie-Herzégovine","BB":"Barbade","BD":"Bangladesh","BE":"Belgique","BF":"Burkina Faso","BG":"Bulgarie","BH":"Bahreïn","BI":"Burundi","BJ":"Bénin","BL":"Saint-Barthélemy","BM":"Bermudes","BN":"Brunei","BO":"Bolivie","BQ":"Pays-Bas caribéens","BR":"Brésil","BS":"Bahamas","BT":"Bhoutan","BW":"Botswana","BY":"Biélorussie","BZ":"Belize","CA":"Canada","CC":"Îles Cocos","CD":"Congo-Kinshasa","CF":"République centrafricaine","CG":"Congo-Brazzaville","CH":"Suisse","CI":"Côte d’Ivoire","CK":"Îles Cook","CL":"Chili","CM":"Cameroun","CN":"Chine","CO":"Colombie","CR":"Costa Rica","CU":"Cuba","CV":"Cap-Vert","CW":"Curaçao","CX":"Île Christmas","CY":"Chypre","CZ":"Tchéquie","DE":"Allemagne","DJ":"Djibouti","DK":"Danemark","DM":"Dominique","DO":"République dominicaine","DZ":"Algérie","EC":"Équateur","EE":"Estonie","EG":"Égypte","EH":"Sahara occidental","ER":"Érythrée","ES":"Espagne","ET":"Éthiopie","FI":"Finlande","FJ":"Fidji","FK":"Îles Malouines","FM":"Micronésie","FO":"Îles Féroé","FR":"France","GA":"Gabon","GB":"Royaume-Uni","GD":"Grenade","GE":"Géorgie","GF":"Guyane française","GG":"Guernesey","GH":"Ghana","GI":"Gibraltar","GL":"Groenland","GM":"Gambie","GN":"Guinée","GP":"Guadeloupe","GQ":"Guinée équatoriale","GR":"Grèce","GS":"Géorgie du Sud-et-les Îles Sandwich du Sud","GT":"Guatemala","GU":"Guam","GW":"Guinée-Bissau","GY":"Guyana","HK":"R.A.S. chinoise de Hong Kong","HN":"Honduras","HR":"Croatie","HT":"Haïti","HU":"Hongrie","ID":"Indonésie","IE":"Irlande","IL":"Israël","IM":"Île de Man","IN":"Inde","IO":"Territoire britannique de l’océan Indien","IQ":"Irak","IR":"Iran","IS":"Islande","IT":"Italie","JE":"Jersey","JM":"Jamaïque","JO":"Jordanie","JP":"Japon","KE":"Kenya","KG":"Kirghizstan","KH":"Cambodge","KI":"Kiribati","KM":"Comores","KN":"Saint-Christophe-et-Niévès","KP":"Corée du Nord","KR":"Corée du Sud","KW":"Koweït","KY":"Îles Caïmans","KZ":"Kazakhstan","LA":"Laos","LB":"Liban","LC":"Sainte-Lucie","LI":"Liechtenstein","LK":"Sri Lanka","LR":"Liberia","LS":"Lesotho","LT":"Lituanie","LU":"Luxembourg","LV":"Lettonie","LY":"Libye","MA":"Maroc","MC":"Monaco","MD":"Moldavie","ME":"Monténégro","MF":"Saint-Martin","MG":"Madagascar","MH":"Îles Marshall","MK":"Macédoine du Nord","ML":"Mali","MM":"Myanmar (Birmanie)","MN":"Mongolie","MO":"R.A.S. chinoise de Macao","MP":"Îles Mariannes du Nord","MQ":"Martinique","MR":"Mauritanie","MS":"Montserrat","MT":"Malte","MU":"Maurice","MV":"Maldives","MW":"Malawi","MX":"Mexique","MY":"Malaisie","MZ":"Mozambique","NA":"Namibie","NC":"Nouvelle-Calédonie","NE":"Niger","NF":"Île Norfolk","NG":"Nigeria","NI":"Nicaragua","NL":"Pays-Bas","NO":"Norvège","NP":"Népal","NR":"Nauru","NU":"Niue","NZ":"Nouvelle-Zélande","OM":"Oman","PA":"Panama","PE":"Pérou","PF":"Polynésie française","PG":"Papouasie-Nouvelle-Guinée","PH":"Philippines","PK":"Pakistan","PL":"Pologne","PM":"Saint-Pierre-et-Miquelon","PN":"Îles Pitcairn","PR":"Porto Rico","PS":"Territoires palestiniens","PT":"Portugal","PW":"Palaos","PY":"Paraguay","QA":"Qatar","RE":"La Réunion","RO":"Roumanie","RS":"Serbie","RU":"Russie","RW":"Rwanda","SA":"Arabie saoudite","SB":"Îles Salomon","SC":"Seychelles","SD":"Soudan","SE":"Suède","SG":"Singapour","SH":"Sainte-Hélène","SI":"Slovénie","SJ":"Svalbard et Jan Mayen","SK":"Slovaquie","SL":"Sierra Leone","SM":"Saint-Marin","SN":"Sénégal","SO":"Somalie","SR":"Suriname","SS":"Soudan du Sud","ST":"Sao Tomé-et-Principe","SV":"Salvador","SX":"Saint-Martin (partie néerlandaise)","SY":"Syrie","SZ":"Eswatini","TC":"Îles Turques-et-Caïques","TD":"Tchad","TF":"Terres australes françaises","TG":"Togo","TH":"Thaïlande","TJ":"Tadjikistan","TK":"Tokelau","TL":"Timor oriental","TM":"Turkménistan","TN":"Tunisie","TO":"Tonga","TR":"Turquie","TT":"Trinité-et-Tobago","TV":"Tuvalu","TW":"Taïwan","TZ":"Tanzanie","UA":"Ukraine","UG":"Ouganda","UM":"Îles mineures éloignées des États-Unis","US":"États-Unis","UY":"Uruguay","UZ":"Ouzbékistan","VA":"État de la Cité du Vatican","VC":"Saint-Vincent-et-les Grenadines","VE":"Venezuela","VG":"Îles Vierges britanniques","VI":"Îles Vierges des États-Unis","VN":"Viêt Nam","VU":"Vanuatu","WF":"Wallis-et-Futuna","WS":"Samoa","YE":"Yémen","YT":"Mayotte","ZA":"Afrique du Sud","ZM":"Zambie","ZW":"Zimbabwe"},
+		zones: {"Africa/Abidjan":"Côte d’Ivoire","Africa/Algiers":"Algérie","Africa/Bissau":"Guinée-Bissau","Africa/Cairo":"Égypte","Africa/Casablanca":"Maroc","Africa/Ceuta":"Ceuta","Africa/El_Aaiun":"Sahara occidental","Africa/Johannesburg":"Afrique du Sud","Africa/Juba":"Soudan du Sud","Africa/Khartoum":"Soudan","Africa/Lagos":"Nigeria","Africa/Maputo":"Mozambique","Africa/Monrovia":"Liberia","Africa/Nairobi":"Kenya","Africa/Ndjamena":"Tchad","Africa/Sao_Tome":"Sao Tomé-et-Principe","Africa/Tripoli":"Libye","Africa/Tunis":"Tunisie","Africa/Windhoek":"Namibie","America/Adak":"Adak","America/Anchorage":"Anchorage","America/Araguaina":"Araguaína","America/Argentina/Buenos_Aires":"Buenos Aires","America/Argentina/Catamarca":"Catamarca","America/Argentina/Cordoba":"Córdoba","America/Argentina/Jujuy":"Jujuy","America/Argentina/La_Rioja":"La Rioja","America/Argentina/Mendoza":"Mendoza","America/Argentina/Rio_Gallegos":"Río Gallegos","America/Argentina/Salta":"Salta","America/Argentina/San_Juan":"San Juan","America/Argentina/San_Luis":"San Luis","America/Argentina/Tucuman":"Tucumán","America/Argentina/Ushuaia":"Ushuaïa","America/Asuncion":"Paraguay","America/Bahia":"Bahia","America/Bahia_Banderas":"Bahia de Banderas","America/Barbados":"Barbade","America/Belem":"Belém","America/Belize":"Belize","America/Boa_Vista":"Boa Vista","America/Bogota":"Colombie","America/Boise":"Boise","America/Cambridge_Bay":"Cambridge Bay","America/Campo_Grande":"Campo Grande","America/Cancun":"Cancún","America/Caracas":"Venezuela","America/Cayenne":"Guyane française","America/Chicago":"Chicago","America/Chihuahua":"Chihuahua","America/Ciudad_Juarez":"Ciudad Juárez","America/Costa_Rica":"Costa Rica","America/Cuiaba":"Cuiabá","America/Danmarkshavn":"Danmarkshavn","America/Dawson":"Dawson","America/Dawson_Creek":"Dawson Creek","America/Denver":"Denver","America/Detroit":"Détroit","America/Edmonton":"Edmonton","America/Eirunepe":"Eirunepé","America/El_Salvador":"Salvador","America/Fort_Nelson":"Fort Nelson","America/Fortaleza":"Fortaleza","America/Glace_Bay":"Glace Bay","America/Goose_Bay":"Goose Bay","America/Grand_Turk":"Îles Turques-et-Caïques","America/Guatemala":"Guatemala","America/Guayaquil":"Équateur","America/Guyana":"Guyana","America/Halifax":"Halifax","America/Havana":"Cuba","America/Hermosillo":"Hermosillo","America/Indiana/Indianapolis":"Indianapolis","America/Indiana/Knox":"Knox [Indiana]","America/Indiana/Marengo":"Marengo [Indiana]","America/Indiana/Petersburg":"Petersburg [Indiana]","America/Indiana/Tell_City":"Tell City [Indiana]","America/Indiana/Vevay":"Vevay [Indiana]","America/Indiana/Vincennes":"Vincennes [Indiana]","America/Indiana/Winamac":"Winamac [Indiana]","America/Inuvik":"Inuvik","America/Iqaluit":"Iqaluit","America/Jamaica":"Jamaïque","America/Juneau":"Juneau","America/Kentucky/Louisville":"Louisville","America/Kentucky/Monticello":"Monticello [Kentucky]","America/La_Paz":"Bolivie","America/Lima":"Pérou","America/Los_Angeles":"Los Angeles","America/Maceio":"Maceió","America/Managua":"Nicaragua","America/Manaus":"Manaos","America/Martinique":"Martinique","America/Matamoros":"Matamoros","America/Mazatlan":"Mazatlán","America/Menominee":"Menominee","America/Merida":"Mérida","America/Metlakatla":"Metlakatla","America/Mexico_City":"Mexico","America/Miquelon":"Saint-Pierre-et-Miquelon","America/Moncton":"Moncton","America/Monterrey":"Monterrey","America/Montevideo":"Uruguay","America/New_York":"New York","America/Nome":"Nome","America/Noronha":"Fernando de Noronha","America/North_Dakota/Beulah":"Beulah (Dakota du Nord)","America/North_Dakota/Center":"Center (Dakota du Nord)","America/North_Dakota/New_Salem":"New Salem (Dakota du Nord)","America/Nuuk":"Nuuk","America/Ojinaga":"Ojinaga","America/Panama":"Panama","America/Paramaribo":"Suriname","America/Phoenix":"Phoenix","America/Port-au-Prince":"Haïti","America/Porto_Velho":"Porto Velho","America/Puerto_Rico":"Porto Rico","America/Punta_Arenas":"Punta Arenas","America/Rankin_Inlet":"Rankin Inlet","America/Recife":"Recife","America/Regina":"Regina","America/Resolute":"Resolute","America/Rio_Branco":"Rio Branco","America/Santarem":"Santarém","America/Santiago":"Chili","America/Santo_Domingo":"République dominicaine","America/Sao_Paulo":"São Paulo","America/Scoresbysund":"Ittoqqortoormiit","America/Sitka":"Sitka","America/St_Johns":"Saint-Jean de Terre-Neuve","America/Swift_Current":"Swift Current","America/Tegucigalpa":"Honduras","America/Thule":"Thulé","America/Tijuana":"Tijuana","America/Toronto":"Toronto","America/Vancouver":"Vancouver","America/Whitehorse":"Whitehorse","America/Winnipeg":"Winnipeg","America/Yakutat":"Yakutat","Antarctica/Casey":"Casey","Antarctica/Davis":"Davis","Antarctica/Macquarie":"Macquarie","Antarctica/Mawson":"Mawson","Antarctica/Palmer":"Palmer","Antarctica/Rothera":"Rothera","Antarctica/Troll":"Troll","Antarctica/Vostok":"Vostok","Asia/Almaty":"Alma Ata","Asia/Amman":"Jordanie","Asia/Anadyr":"Anadyr","Asia/Aqtau":"Aktaou","Asia/Aqtobe":"Aktioubinsk","Asia/Ashgabat":"Turkménistan","Asia/Atyrau":"Atyraou","Asia/Baghdad":"Irak","Asia/Baku":"Azerbaïdjan","Asia/Bangkok":"Thaïlande","Asia/Barnaul":"Barnaul","Asia/Beirut":"Liban","Asia/Bishkek":"Kirghizstan","Asia/Chita":"Tchita","Asia/Choibalsan":"Oulan-Bator","Asia/Colombo":"Sri Lanka","Asia/Damascus":"Syrie","Asia/Dhaka":"Bangladesh","Asia/Dili":"Timor oriental","Asia/Dubai":"Émirats arabes unis","Asia/Dushanbe":"Tadjikistan","Asia/Famagusta":"Famagouste","Asia/Gaza":"Gaza","Asia/Hebron":"Hébron","Asia/Ho_Chi_Minh":"Viêt Nam","Asia/Hong_Kong":"R.A.S. chinoise de Hong Kong","Asia/Hovd":"Hovd","Asia/Irkutsk":"Irkoutsk","Asia/Jakarta":"Jakarta","Asia/Jayapura":"Jayapura","Asia/Jerusalem":"Israël","Asia/Kabul":"Afghanistan","Asia/Kamchatka":"Kamtchatka","Asia/Karachi":"Pakistan","Asia/Kathmandu":"Népal","Asia/Khandyga":"Khandyga","Asia/Kolkata":"Inde","Asia/Krasnoyarsk":"Krasnoïarsk","Asia/Kuching":"Kuching","Asia/Macau":"R.A.S. chinoise de Macao","Asia/Magadan":"Magadan","Asia/Makassar":"Macassar","Asia/Manila":"Philippines","Asia/Nicosia":"Nicosie","Asia/Novokuznetsk":"Novokuznetsk","Asia/Novosibirsk":"Novossibirsk","Asia/Omsk":"Omsk","Asia/Oral":"Ouralsk","Asia/Pontianak":"Pontianak","Asia/Pyongyang":"Corée du Nord","Asia/Qatar":"Qatar","Asia/Qostanay":"Kostanaï","Asia/Qyzylorda":"Kzyl Orda","Asia/Riyadh":"Arabie saoudite","Asia/Sakhalin":"Sakhaline","Asia/Samarkand":"Samarcande","Asia/Seoul":"Corée du Sud","Asia/Shanghai":"Chine","Asia/Singapore":"Singapour","Asia/Srednekolymsk":"Srednekolymsk","Asia/Taipei":"Taïwan","Asia/Tashkent":"Ouzbékistan","Asia/Tbilisi":"Géorgie","Asia/Tehran":"Iran","Asia/Thimphu":"Bhoutan","Asia/Tokyo":"Japon","Asia/Tomsk":"Tomsk","Asia/Ulaanbaatar":"Oulan-Bator","Asia/Urumqi":"Ürümqi","Asia/Ust-Nera":"Ust-Nera","Asia/Vladivostok":"Vladivostok","Asia/Yakutsk":"Iakoutsk","Asia/Yangon":"Myanmar (Birmanie)","Asia/Yekaterinburg":"Ekaterinbourg","Asia/Yerevan":"Arménie","Atlantic/Azores":"Açores","Atlantic/Bermuda":"Bermudes","Atlantic/Canary":"Îles Canaries","Atlantic/Cape_Verde":"Cap-Vert","Atlantic/Faroe":"Îles Féroé","Atlantic/Madeira":"Madère","Atlantic/South_Georgia":"Géorgie du Sud-et-les Îles Sandwich du Sud","Atlantic/Stanley":"Îles Malouines","Australia/Adelaide":"Adélaïde","Australia/Brisbane":"Brisbane","Australia/Broken_Hill":"Broken Hill","Australia/Darwin":"Darwin","Australia/Eucla":"Eucla","Australia/Hobart":"Hobart","Australia/Lindeman":"Lindeman","Australia/Lord_Howe":"Lord Howe","Australia/Melbourne":"Melbourne","Australia/Perth":"Perth","Australia/Sydney":"Sydney","CET":"Belgique","CST6CDT":"Chicago","EET":"Grèce","EST":"Panama","EST5EDT":"New York","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"Andorre","Europe/Astrakhan":"Astrakhan","Europe/Athens":"Grèce","Europe/Belgrade":"Serbie","Europe/Berlin":"Allemagne","Europe/Brussels":"Belgique","Europe/Bucharest":"Roumanie","Europe/Budapest":"Hongrie","Europe/Chisinau":"Moldavie","Europe/Dublin":"Irlande","Europe/Gibraltar":"Gibraltar","Europe/Helsinki":"Finlande","Europe/Istanbul":"Turquie","Europe/Kaliningrad":"Kaliningrad","Europe/Kirov":"Kirov","Europe/Kyiv":"Ukraine","Europe/Lisbon":"Portugal","Europe/London":"Royaume-Uni","Europe/Madrid":"Espagne","Europe/Malta":"Malte","Europe/Minsk":"Biélorussie","Europe/Moscow":"Moscou","Europe/Paris":"France","Europe/Prague":"Tchéquie","Europe/Riga":"Lettonie","Europe/Rome":"Italie","Europe/Samara":"Samara","Europe/Saratov":"Saratov","Europe/Simferopol":"Simferopol","Europe/Sofia":"Bulgarie","Europe/Tallinn":"Estonie","Europe/Tirane":"Albanie","Europe/Ulyanovsk":"Oulianovsk","Europe/Vienna":"Autriche","Europe/Vilnius":"Lituanie","Europe/Volgograd":"Volgograd","Europe/Warsaw":"Pologne","Europe/Zurich":"Suisse","Factory":"Factory","HST":"Honolulu","Indian/Chagos":"Territoire britannique de l’océan Indien","Indian/Maldives":"Maldives","Indian/Mauritius":"Maurice","MET":"Belgique","MST":"Phoenix","MST7MDT":"Denver","Pacific/Apia":"Samoa","Pacific/Auckland":"Nouvelle-Zélande","Pacific/Bougainville":"Bougainville","Pacific/Chatham":"Chatham","Pacific/Easter":"Île de Pâques","Pacific/Efate":"Vanuatu","Pacific/Fakaofo":"Tokelau","Pacific/Fiji":"Fidji","Pacific/Galapagos":"Galápagos","Pacific/Gambier":"Gambier","Pacific/Guadalcanal":"Îles Salomon","Pacific/Guam":"Guam","Pacific/Honolulu":"Honolulu","Pacific/Kanton":"Enderbury","Pacific/Kiritimati":"Kiritimati","Pacific/Kosrae":"Kosrae","Pacific/Kwajalein":"Kwajalein","Pacific/Marquesas":"Marquises","Pacific/Nauru":"Nauru","Pacific/Niue":"Niue","Pacific/Norfolk":"Île Norfolk","Pacific/Noumea":"Nouvelle-Calédonie","Pacific/Pago_Pago":"Samoa américaines","Pacific/Palau":"Palaos","Pacific/Pitcairn":"Îles Pitcairn","Pacific/Port_Moresby":"Port Moresby","Pacific/Rarotonga":"Îles Cook","Pacific/Tahiti":"Tahiti","Pacific/Tarawa":"Tarawa","Pacific/Tongatapu":"Tonga","PST8PDT":"Los Angeles","WET":"Portugal"},
+		zone_names: {"Africa/Abidjan":"heure moyenne de Greenwich","Africa/Algiers":"heure normale d’Europe centrale","Africa/Bissau":"heure moyenne de Greenwich","Africa/Cairo":"heure d’Europe de l’Est","Africa/Casablanca":"heure : Maroc","Africa/Ceuta":"heure d’Europe centrale","Africa/El_Aaiun":"heure : Sahara occidental","Africa/Johannesburg":"heure normale d’Afrique méridionale","Africa/Juba":"heure normale d’Afrique centrale","Africa/Khartoum":"heure normale d’Afrique centrale","Africa/Lagos":"heure normale d’Afrique de l’Ouest","Africa/Maputo":"heure normale d’Afrique centrale","Africa/Monrovia":"heure moyenne de Greenwich","Africa/Nairobi":"heure normale d’Afrique de l’Est","Africa/Ndjamena":"heure normale d’Afrique de l’Ouest","Africa/Sao_Tome":"heure moyenne de Greenwich","Africa/Tripoli":"heure normale d’Europe de l’Est","Africa/Tunis":"heure normale d’Europe centrale","Africa/Windhoek":"heure normale d’Afrique centrale","America/Adak":"heure d’Hawaï - Aléoutiennes","America/Anchorage":"heure de l’Alaska","America/Araguaina":"heure normale de Brasilia","America/Argentina/Buenos_Aires":"heure normale d’Argentine","America/Argentina/Catamarca":"heure normale d’Argentine","America/Argentina/Cordoba":"heure normale d’Argentine","America/Argentina/Jujuy":"heure normale d’Argentine","America/Argentina/La_Rioja":"heure normale d’Argentine","America/Argentina/Mendoza":"heure normale d’Argentine","America/Argentina/Rio_Gallegos":"heure normale d’Argentine","America/Argentina/Salta":"heure normale d’Argentine","America/Argentina/San_Juan":"heure normale d’Argentine","America/Argentina/San_Luis":"heure normale d’Argentine","America/Argentina/Tucuman":"heure normale d’Argentine","America/Argentina/Ushuaia":"heure normale d’Argentine","America/Asuncion":"heure du Paraguay","America/Bahia":"heure normale de Brasilia","America/Bahia_Banderas":"heure normale du centre nord-américain","America/Barbados":"heure normale de l’Atlantique","America/Belem":"heure normale de Brasilia","America/Belize":"heure normale du centre nord-américain","America/Boa_Vista":"heure normale de l’Amazonie","America/Bogota":"heure normale de Colombie","America/Boise":"heure des Rocheuses","America/Cambridge_Bay":"heure des Rocheuses","America/Campo_Grande":"heure normale de l’Amazonie","America/Cancun":"heure normale de l’Est nord-américain","America/Caracas":"heure du Venezuela","America/Cayenne":"heure de la Guyane française","America/Chicago":"heure du centre nord-américain","America/Chihuahua":"heure normale du centre nord-américain","America/Ciudad_Juarez":"heure des Rocheuses","America/Costa_Rica":"heure normale du centre nord-américain","America/Cuiaba":"heure normale de l’Amazonie","America/Danmarkshavn":"heure moyenne de Greenwich","America/Dawson":"heure normale du Yukon","America/Dawson_Creek":"heure normale des Rocheuses","America/Denver":"heure des Rocheuses","America/Detroit":"heure de l’Est nord-américain","America/Edmonton":"heure des Rocheuses","America/Eirunepe":"heure normale de l’Acre","America/El_Salvador":"heure normale du centre nord-américain","America/Fort_Nelson":"heure normale des Rocheuses","America/Fortaleza":"heure normale de Brasilia","America/Glace_Bay":"heure de l’Atlantique","America/Goose_Bay":"heure de l’Atlantique","America/Grand_Turk":"heure de l’Est nord-américain","America/Guatemala":"heure normale du centre nord-américain","America/Guayaquil":"heure de l’Équateur","America/Guyana":"heure du Guyana","America/Halifax":"heure de l’Atlantique","America/Havana":"heure de Cuba","America/Hermosillo":"heure normale du Pacifique mexicain","America/Indiana/Indianapolis":"heure de l’Est nord-américain","America/Indiana/Knox":"heure du centre nord-américain","America/Indiana/Marengo":"heure de l’Est nord-américain","America/Indiana/Petersburg":"heure de l’Est nord-américain","America/Indiana/Tell_City":"heure du centre nord-américain","America/Indiana/Vevay":"heure de l’Est nord-américain","America/Indiana/Vincennes":"heure de l’Est nord-américain","America/Indiana/Winamac":"heure de l’Est nord-américain","America/Inuvik":"heure des Rocheuses","America/Iqaluit":"heure de l’Est nord-américain","America/Jamaica":"heure normale de l’Est nord-américain","America/Juneau":"heure de l’Alaska","America/Kentucky/Louisville":"heure de l’Est nord-américain","America/Kentucky/Monticello":"heure de l’Est nord-américain","America/La_Paz":"heure de Bolivie","America/Lima":"heure normale du Pérou","America/Los_Angeles":"heure du Pacifique nord-américain","America/Maceio":"heure normale de Brasilia","America/Managua":"heure normale du centre nord-américain","America/Manaus":"heure normale de l’Amazonie","America/Martinique":"heure normale de l’Atlantique","America/Matamoros":"heure du centre nord-américain","America/Mazatlan":"heure normale du Pacifique mexicain","America/Menominee":"heure du centre nord-américain","America/Merida":"heure normale du centre nord-américain","America/Metlakatla":"heure de l’Alaska","America/Mexico_City":"heure normale du centre nord-américain","America/Miquelon":"heure de Saint-Pierre-et-Miquelon","America/Moncton":"heure de l’Atlantique","America/Monterrey":"heure normale du centre nord-américain","America/Montevideo":"heure normale de l’Uruguay","America/New_York":"heure de l’Est nord-américain","America/Nome":"heure de l’Alaska","America/Noronha":"heure normale de Fernando de Noronha","America/North_Dakota/Beulah":"heure du centre nord-américain","America/North_Dakota/Center":"heure du centre nord-américain","America/North_Dakota/New_Salem":"heure du centre nord-américain","America/Nuuk":"heure : Nuuk","America/Ojinaga":"heure du centre nord-américain","America/Panama":"heure normale de l’Est nord-américain","America/Paramaribo":"heure du Suriname","America/Phoenix":"heure normale des Rocheuses","America/Port-au-Prince":"heure de l’Est nord-américain","America/Porto_Velho":"heure normale de l’Amazonie","America/Puerto_Rico":"heure normale de l’Atlantique","America/Punta_Arenas":"heure : Punta Arenas","America/Rankin_Inlet":"heure du centre nord-américain","America/Recife":"heure normale de Brasilia","America/Regina":"heure normale du centre nord-américain","America/Resolute":"heure du centre nord-américain","America/Rio_Branco":"heure normale de l’Acre","America/Santarem":"heure normale de Brasilia","America/Santiago":"heure du Chili","America/Santo_Domingo":"heure normale de l’Atlantique","America/Sao_Paulo":"heure normale de Brasilia","America/Scoresbysund":"heure : Ittoqqortoormiit","America/Sitka":"heure de l’Alaska","America/St_Johns":"heure de Terre-Neuve","America/Swift_Current":"heure normale du centre nord-américain","America/Tegucigalpa":"heure normale du centre nord-américain","America/Thule":"heure de l’Atlantique","America/Tijuana":"heure du Pacifique nord-américain","America/Toronto":"heure de l’Est nord-américain","America/Vancouver":"heure du Pacifique nord-américain","America/Whitehorse":"heure normale du Yukon","America/Winnipeg":"heure du centre nord-américain","America/Yakutat":"heure de l’Alaska","Antarctica/Casey":"heure normale de l’Ouest de l’Australie","Antarctica/Davis":"heure de Davis","Antarctica/Macquarie":"heure de l’Est de l’Australie","Antarctica/Mawson":"heure de Mawson","Antarctica/Palmer":"heure : Palmer","Antarctica/Rothera":"heure de Rothera","Antarctica/Troll":"heure : Troll","Antarctica/Vostok":"heure de Vostok","Asia/Almaty":"heure du Kazakhstan","Asia/Amman":"heure : Jordanie","Asia/Anadyr":"heure normale d’Anadyr","Asia/Aqtau":"heure du Kazakhstan","Asia/Aqtobe":"heure du Kazakhstan","Asia/Ashgabat":"heure normale du Turkménistan","Asia/Atyrau":"heure du Kazakhstan","Asia/Baghdad":"heure normale de l’Arabie","Asia/Baku":"heure normale de l’Azerbaïdjan","Asia/Bangkok":"heure d’Indochine","Asia/Barnaul":"heure : Barnaul","Asia/Beirut":"heure d’Europe de l’Est","Asia/Bishkek":"heure du Kirghizistan","Asia/Chita":"heure normale de Iakoutsk","Asia/Choibalsan":"heure normale d’Oulan-Bator","Asia/Colombo":"heure de l’Inde","Asia/Damascus":"heure : Syrie","Asia/Dhaka":"heure normale du Bangladesh","Asia/Dili":"heure du Timor oriental","Asia/Dubai":"heure du Golfe","Asia/Dushanbe":"heure du Tadjikistan","Asia/Famagusta":"heure : Famagouste","Asia/Gaza":"heure d’Europe de l’Est","Asia/Hebron":"heure d’Europe de l’Est","Asia/Ho_Chi_Minh":"heure d’Indochine","Asia/Hong_Kong":"heure normale de Hong Kong","Asia/Hovd":"heure normale de Hovd","Asia/Irkutsk":"heure normale d’Irkoutsk","Asia/Jakarta":"heure de l’Ouest indonésien","Asia/Jayapura":"heure de l’Est indonésien","Asia/Jerusalem":"heure d’Israël","Asia/Kabul":"heure de l’Afghanistan","Asia/Kamchatka":"heure normale de Petropavlovsk-Kamchatski","Asia/Karachi":"heure normale du Pakistan","Asia/Kathmandu":"heure du Népal","Asia/Khandyga":"heure normale de Iakoutsk","Asia/Kolkata":"heure de l’Inde","Asia/Krasnoyarsk":"heure normale de Krasnoïarsk","Asia/Kuching":"heure de la Malaisie","Asia/Macau":"heure normale de la Chine","Asia/Magadan":"heure normale de Magadan","Asia/Makassar":"heure du Centre indonésien","Asia/Manila":"heure normale des Philippines","Asia/Nicosia":"heure d’Europe de l’Est","Asia/Novokuznetsk":"heure normale de Krasnoïarsk","Asia/Novosibirsk":"heure normale de Novossibirsk","Asia/Omsk":"heure normale de Omsk","Asia/Oral":"heure du Kazakhstan","Asia/Pontianak":"heure de l’Ouest indonésien","Asia/Pyongyang":"heure normale de la Corée","Asia/Qatar":"heure normale de l’Arabie","Asia/Qostanay":"heure du Kazakhstan","Asia/Qyzylorda":"heure du Kazakhstan","Asia/Riyadh":"heure normale de l’Arabie","Asia/Sakhalin":"heure normale de Sakhaline","Asia/Samarkand":"heure normale de l’Ouzbékistan","Asia/Seoul":"heure normale de la Corée","Asia/Shanghai":"heure normale de la Chine","Asia/Singapore":"heure de Singapour","Asia/Srednekolymsk":"heure : Srednekolymsk","Asia/Taipei":"heure normale de Taipei","Asia/Tashkent":"heure normale de l’Ouzbékistan","Asia/Tbilisi":"heure normale de la Géorgie","Asia/Tehran":"heure normale d’Iran","Asia/Thimphu":"heure du Bhoutan","Asia/Tokyo":"heure normale du Japon","Asia/Tomsk":"heure : Tomsk","Asia/Ulaanbaatar":"heure normale d’Oulan-Bator","Asia/Urumqi":"heure : Ürümqi","Asia/Ust-Nera":"heure normale de Vladivostok","Asia/Vladivostok":"heure normale de Vladivostok","Asia/Yakutsk":"heure normale de Iakoutsk","Asia/Yangon":"heure du Myanmar","Asia/Yekaterinburg":"heure normale d’Ekaterinbourg","Asia/Yerevan":"heure normale de l’Arménie","Atlantic/Azores":"heure des Açores","Atlantic/Bermuda":"heure de l’Atlantique","Atlantic/Canary":"heure d’Europe de l’Ouest","Atlantic/Cape_Verde":"heure normale du Cap-Vert","Atlantic/Faroe":"heure d’Europe de l’Ouest","Atlantic/Madeira":"heure d’Europe de l’Ouest","Atlantic/South_Georgia":"heure de Géorgie du Sud","Atlantic/Stanley":"heure normale des îles Malouines","Australia/Adelaide":"heure du centre de l’Australie","Australia/Brisbane":"heure normale de l’Est de l’Australie","Australia/Broken_Hill":"heure du centre de l’Australie","Australia/Darwin":"heure normale du centre de l’Australie","Australia/Eucla":"heure normale du centre-ouest de l’Australie","Australia/Hobart":"heure de l’Est de l’Australie","Australia/Lindeman":"heure normale de l’Est de l’Australie","Australia/Lord_Howe":"heure de Lord Howe","Australia/Melbourne":"heure de l’Est de l’Australie","Australia/Perth":"heure normale de l’Ouest de l’Australie","Australia/Sydney":"heure de l’Est de l’Australie","CET":"heure d’Europe centrale","CST6CDT":"heure du centre nord-américain","EET":"heure d’Europe de l’Est","EST":"heure normale de l’Est nord-américain","EST5EDT":"heure de l’Est nord-américain","Europe/Andorra":"heure d’Europe centrale","Europe/Astrakhan":"heure : Astrakhan","Europe/Athens":"heure d’Europe de l’Est","Europe/Belgrade":"heure d’Europe centrale","Europe/Berlin":"heure d’Europe centrale","Europe/Brussels":"heure d’Europe centrale","Europe/Bucharest":"heure d’Europe de l’Est","Europe/Budapest":"heure d’Europe centrale","Europe/Chisinau":"heure d’Europe de l’Est","Europe/Dublin":"heure : Irlande","Europe/Gibraltar":"heure d’Europe centrale","Europe/Helsinki":"heure d’Europe de l’Est","Europe/Istanbul":"heure : Turquie","Europe/Kaliningrad":"heure normale d’Europe de l’Est","Europe/Kirov":"heure : Kirov","Europe/Kyiv":"heure d’Europe de l’Est","Europe/Lisbon":"heure d’Europe de l’Ouest","Europe/London":"heure : Royaume-Uni","Europe/Madrid":"heure d’Europe centrale","Europe/Malta":"heure d’Europe centrale","Europe/Minsk":"heure normale de Moscou","Europe/Moscow":"heure normale de Moscou","Europe/Paris":"heure d’Europe centrale","Europe/Prague":"heure d’Europe centrale","Europe/Riga":"heure d’Europe de l’Est","Europe/Rome":"heure d’Europe centrale","Europe/Samara":"heure normale de Samara","Europe/Saratov":"heure : Saratov","Europe/Simferopol":"heure normale de Moscou","Europe/Sofia":"heure d’Europe de l’Est","Europe/Tallinn":"heure d’Europe de l’Est","Europe/Tirane":"heure d’Europe centrale","Europe/Ulyanovsk":"heure : Oulianovsk","Europe/Vienna":"heure d’Europe centrale","Europe/Vilnius":"heure d’Europe de l’Est","Europe/Volgograd":"heure normale de Volgograd","Europe/Warsaw":"heure d’Europe centrale","Europe/Zurich":"heure d’Europe centrale","HST":"heure normale d’Hawaï - Aléoutiennes","Indian/Chagos":"heure de l’Océan Indien","Indian/Maldives":"heure des Maldives","Indian/Mauritius":"heure normale de Maurice","MET":"heure d’Europe centrale","MST":"heure normale des Rocheuses","MST7MDT":"heure des Rocheuses","Pacific/Apia":"heure normale d’Apia","Pacific/Auckland":"heure de la Nouvelle-Zélande","Pacific/Bougainville":"heure : Bougainville","Pacific/Chatham":"heure des îles Chatham","Pacific/Easter":"heure de l’île de Pâques","Pacific/Efate":"heure normale du Vanuatu","Pacific/Fakaofo":"heure de Tokelau","Pacific/Fiji":"heure normale des îles Fidji","Pacific/Galapagos":"heure des îles Galápagos","Pacific/Gambier":"heure des îles Gambier","Pacific/Guadalcanal":"heure des îles Salomon","Pacific/Guam":"heure des Chamorro","Pacific/Honolulu":"heure normale d’Hawaï - Aléoutiennes","Pacific/Kanton":"heure des îles Phoenix","Pacific/Kiritimati":"heure des îles de la Ligne","Pacific/Kosrae":"heure de Kosrae","Pacific/Kwajalein":"heure des îles Marshall","Pacific/Marquesas":"heure des îles Marquises","Pacific/Nauru":"heure de Nauru","Pacific/Niue":"heure de Niue","Pacific/Norfolk":"heure de l’île Norfolk","Pacific/Noumea":"heure normale de la Nouvelle-Calédonie","Pacific/Pago_Pago":"heure normale des Samoa","Pacific/Palau":"heure des Palaos","Pacific/Pitcairn":"heure des îles Pitcairn","Pacific/Port_Moresby":"heure de la Papouasie-Nouvelle-Guinée","Pacific/Rarotonga":"heure normale des îles Cook","Pacific/Tahiti":"heure de Tahiti","Pacific/Tarawa":"heure des îles Gilbert","Pacific/Tongatapu":"heure normale des Tonga","PST8PDT":"heure du Pacifique nord-américain","WET":"heure d’Europe de l’Ouest"}
+	};
+}
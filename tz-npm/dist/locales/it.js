@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (it) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("it", locale_it)
+export function locale_it() {
+	return {
+		code: "it",
+		months: ["gennaio","febbraio","marzo","aprile","maggio","giugno","luglio","agosto","settembre","ottobre","novembre","dicembre"],
+		months_standalone: ["gennaio","febbraio","marzo","aprile","maggio","giugno","luglio","agosto","settembre","ottobre","novembre","dicembre"],
+		months_short: ["gen","feb","mar","apr","mag","giu","lug","ago","set","ott","nov","dic"],
+		weekdays: ["domenica","lunedì","martedì","mercoledì","giovedì","venerdì","sabato"],
+		weekdays_short: ["dom","lun","mar","mer","gio","ven","sab"],
+		meridiem: ["AM","PM"],
+		ordinal: (n) => n + 'º',
+		plural: (n) => n === 1 ? 'one' : 'other',
+		units: {"year":{"one":"{0} anno","other":"{0} anni"},"month":{"one":"{0} mese","other":"{0} mesi"},"week":{"one":"{0} settimana","other":"{0} settimane"},"day":{"one":"{0} giorno","other":"{0} giorni"},"hour":{"one":"{0} ora","other":"{0} ore"},"minute":{"one":"{0} minuto","other":"{0} minuti"},"second":{"one":"{0} secondo","other":"{0} secondi"}},
+		units_short: {"year":{"one":"{0} anno","other":"{0} anni"},"month":{"one":"{0} mese","other":"{0} mesi"},"week":{"one":"{0} sett.","other":"{0} sett."},"day":{"one":"{0} giorno","other":"{0} giorni"},"hour":{"one":"{0} h","other":"{0} h"},"minute":{"one":"{0} min","other":"{0} min"},"second":{"one":"{0} s","other":"{0} s"}},
+		units_compact: {"year":{"one":"{0}anno","other":"{0}anni"},"month":{"one":"{0} mese","other":"{0} mesi"},"week":{"one":"{0}sett.","other":"{0}sett."},"day":{"one":"{0}g","other":"{0}gg"},"hour":{"one":"{0}h","other":"{0}h"},"minute":{"one":"{0}min","other":"{0}min"},"second":{"one":"{0}s","other":"{0}s"}},
+		list: {"sep":", ","last":" e ","pair":" e "},
+		list_compact: {"sep":" ","last":" ","pair":" "},
+		relative: {"year":{"future":{"one":"tra {0} anno","other":"tra {0} anni"},"past":{"one":"{0} anno fa","other":"{0} anni fa"}},"month":{"future":{"one":"tra {0} mese","other":"tra {0} mesi"},"past":{"one":"{0} mese fa","other":"{0} mesi fa"}},"week":{"future":{"one":"tra {0} settimana","other":"tra {0} settimane"},"past":{"one":"{0} settimana fa","other":"{0} settimane fa"}},"day":{"future":{"one":"tra {0} giorno","other":"tra {0} giorni"},"past":{"one":"{0} giorno fa","other":"{0} giorni fa"}},"hour":{"future":{"one":"tra {0} ora","other":"tra {0} ore"},"past":{"one":"{0} ora fa","other":"{0} ore fa"}},"minute":{"future":{"one":"tra {0} minuto","other":"tra {0} minuti"},"past":{"one":"{0} minuto fa","other":"{0} minuti fa"}},"second":{"future":{"one":"tra {0} secondo","other":"tra {0} secondi"},"past":{"one":"{0} secondo fa","other":"{0} secondi fa"}}},
+		relative_words: {"now":"ora","today":"oggi","tomorrow":"domani","yesterday":"ieri"},
+		phrases: {"dst_starts":"Tempo all’inizio dell’ora legale: {0}","dst_ends":"Tempo alla fine dell’ora legale: {0}","no_dst":"Nessun cambio dell’ora legale per questo fuso orario.","at":"{0} alle {1}"},
+		countries: {"AD":"Andorra","AE":"Emirati Arabi Uniti","AF":"Afghanistan","AG":"Antigua e Barbuda","AI":"Anguilla","AL":"Albania","AM":"Armenia","AO":"Angola","AQ":"Antartide","AR":"Argentina","AS":"Samoa Americane","AT":"Austria","AU":"Australia","AW":"Aruba","AX":"Isole Åland","AZ":"Azerbaigian","BA":"Bosnia ed Erzegovina","BB":"Barbados","BD":"Bangladesh","BE":"Belgio","BF":"Burkina Faso","BG":"Bulgaria","BH":"Bahrein","BI":"Burundi","BJ":"Benin","BL":"Saint-Barthélemy","BM":"Bermuda","BN":"Brunei","BO":"Bolivia","BQ":"Caraibi Olandesi","BR":"Brasile","BS":"Bahamas","BT":"Bhutan","BW":"Botswana","BY":"Bielorussia","BZ":"Belize","CA":"Canada","CC":"Isole Cocos (Keeling)","CD":"Congo - Kinshasa","CF":"Repubblica Centrafricana","CG":"Congo-Brazzaville","CH":"Svizzera","CI":"Costa d’Avorio","CK":"Isole Cook","CL":"Cile","CM":"Camerun","CN":"Cina","CO":"Colombia","CR":"Costa Rica","CU":"Cuba","CV":"Capo Verde","CW":"Curaçao","CX":"Isola Christmas","CY":"Cipro","CZ":"Cechia","DE":"Germania","DJ":"Gibuti","DK":"Danimarca","DM":"Dominica","DO":"Repubblica Dominicana","DZ":"Algeria","EC":"Ecuador","EE":"Estonia","EG":"Egitto","EH":"Sahara Occidentale","ER":"Eritrea","ES":"Spagna","ET":"Etiopia","FI":"Finlandia","FJ":"Figi","FK":"Isole Falkland","FM":"Micronesia","FO":"Isole Fær Øer","FR":"Francia","GA":"Gabon","GB":"Regno Unito","GD":"Grenada","GE":"Georgia","GF":"Guyana Francese","GG":"Guernsey","GH":"Ghana","GI":"Gibilterra","GL":"Groenlandia","GM":"Gambia","GN":"Guinea","GP":"Guadalupa","GQ":"Guinea Equatoriale","GR":"Grecia","GS":"Georgia del Sud e Sandwich Australi","GT":"Guatemala","GU":"Guam","GW":"Guinea-Bissau","GY":"Guyana","HK":"RAS di Hong Kong","HN":"Honduras","HR":"Croazia","HT":"Haiti","HU":"Ungheria","ID":"Indonesia","IE":"Irlanda","IL":"Israele","IM":"Isola di Man","IN":"India","IO":"Territorio Britannico dell’Oceano Indiano","IQ":"Iraq","IR":"Iran","IS":"Islanda","IT":"Italia","JE":"Jersey","JM":"Giamaica","JO":"Giordania","JP":"Giappone","KE":"Kenya","KG":"Kirghizistan","KH":"Cambogia","KI":"Kiribati","KM":"Comore","KN":"Saint Kitts e Nevis","KP":"Corea del Nord","KR":"Corea del Sud","KW":"Kuwait","KY":"Isole Cayman","KZ":"Kazakistan","LA":"Laos","LB":"Libano","LC":"Saint Lucia","LI":"Liechtenstein","LK":"Sri Lanka","LR":"Liberia","LS":"Lesotho","LT":"Lituania","LU":"Lussemburgo","LV":"Lettonia","LY":"Libia","MA":"Marocco","MC":"Monaco","MD":"Moldavia","ME":"Montenegro","MF":"Saint Martin","MG":"Madagascar","MH":"Isole Marshall","MK":"Macedonia del Nord","ML":"Mali","MM":"Myanmar (Birmania)","MN":"Mongolia","MO":"RAS di Macao","MP":"Isole Marianne Settentrionali","MQ":"Martinica","MR":"Mauritania","MS":"Montserrat","MT":"Malta","MU":"Mauritius","MV":"Maldive","MW":"Malawi","MX":"Messico","MY":"Malaysia","MZ":"Mozambico","NA":"Namibia","NC":"Nuova Caledonia","NE":"Niger","NF":"Isola Norfolk","NG":"Nigeria","NI":"Nicaragua","NL":"Paesi Bassi","NO":"Norvegia","NP":"Nepal","NR":"Nauru","NU":"Niue","NZ":"Nuova Zelanda","OM":"Oman","PA":"Panama","PE":"Perù","PF":"Polinesia Francese","PG":"Papua Nuova Guinea","PH":"Filippine","PK":"Pakistan","PL":"Polonia","PM":"Saint-Pierre e Miquelon","PN":"Isole Pitcairn","PR":"Portorico","PS":"Territori Palestinesi","PT":"Portogallo","PW":"Palau","PY":"Paraguay","QA":"Qatar","RE":"Riunione","RO":"Romania","RS":"Serbia","RU":"Russia","RW":"Ruanda","SA":"Arabia Saudita","SB":"Isole Salomone","SC":"Seychelles","SD":"Sudan","SE":"Svezia","SG":"Singapore","SH":"Sant’Elena","SI":"Slovenia","SJ":"Svalbard e Jan Mayen","SK":"Slovacchia","SL":"Sierra Leone","SM":"San Marino","SN":"Senegal","SO":"Somalia","SR":"Suriname","SS":"Sud Sudan","ST":"São Tomé e Príncipe","SV":"El Salvador","SX":"Sint Maarten","SY":"Siria","SZ":"Eswatini","TC":"Isole Turks e Caicos","TD":"Ciad","TF":"Terre Australi Francesi","TG":"Togo","TH":"Thailandia","TJ":"Tagikistan","TK":"Tokelau","TL":"Timor Est","TM":"Turkmenistan","TN":"Tunisia","TO":"Tonga","TR":"Turchia","TT":"Trinidad e Tobago","TV":"Tuvalu","TW":"Taiwan","TZ":"Tanzania","UA":"Ucraina","UG":"Uganda","UM":"Isole Minori Esterne degli Stati Uniti","US":"Stati Uniti","UY":"Uruguay","UZ":"Uzbekistan","VA":"Città del Vaticano","VC":"Saint Vincent e Grenadine","VE":"Venezuela","VG":"Isole Vergini Britanniche","VI":"Isole Vergini Americane","VN":"Vietnam","VU":"Vanuatu","WF":"Wallis e Futuna","WS":"Samoa","YE":"Yemen","YT":"Mayotte","ZA":"Sudafrica","ZM":"Zambia","ZW":"Zimbabwe"},
+		zones: {"Africa/Abidjan":"Costa d’Avorio","Africa/Algiers":"Algeria","Africa/Bissau":"Guinea-Bissau","Africa/Cairo":"Egitto","Africa/Casablanca":"Marocco","Africa/Ceuta":"Ceuta","Africa/El_Aaiun":"Sahara Occidentale","Africa/Johannesburg":"Sudafrica","Africa/Juba":"Sud Sudan","Africa/Khartoum":"Sudan","Africa/Lagos":"Nigeria","Africa/Maputo":"Mozambico","Africa/Monrovia":"Liberia","Africa/Nairobi":"Kenya","Africa/Ndjamena":"Ciad","Africa/Sao_Tome":"São Tomé e Príncipe","Africa/Tripoli":"Libia","Africa/Tunis":"Tunisia","Africa/Windhoek":"Namibia","America/Adak":"Adak","America/Anchorage":"Anchorage","America/Araguaina":"Araguaina","America/Argentina/Buenos_Aires":"Buenos Aires","America/Argentina/Catamarca":"Catamarca","America/Argentina/Cordoba":"Cordoba","America/Argentina/Jujuy":"Jujuy","America/Argentina/La_Rioja":"La Rioja","America/Argentina/Mendoza":"Mendoza","America/Argentina/Rio_Gallegos":"Rio Gallegos","America/Argentina/Salta":"Salta","America/Argentina/San_Juan":"San Juan","America/Argentina/San_Luis":"San Luis","America/Argentina/Tucuman":"Tucumán","America/Argentina/Ushuaia":"Ushuaia","America/Asuncion":"Paraguay","America/Bahia":"Bahia","America/Bahia_Banderas":"Bahía de Banderas","America/Barbados":"Barbados","America/Belem":"Belem","America/Belize":"Belize","America/Boa_Vista":"Boa Vista","America/Bogota":"Colombia","America/Boise":"Boise","America/Cambridge_Bay":"Cambridge Bay","America/Campo_Grande":"Campo Grande","America/Cancun":"Cancún","America/Caracas":"Venezuela","America/Cayenne":"Guyana Francese","America/Chicago":"Chicago","America/Chihuahua":"Chihuahua","America/Ciudad_Juarez":"Ciudad Juárez","America/Costa_Rica":"Costa Rica","America/Cuiaba":"Cuiaba","America/Danmarkshavn":"Danmarkshavn","America/Dawson":"Dawson","America/Dawson_Creek":"Dawson Creek","America/Denver":"Denver","America/Detroit":"Detroit","America/Edmonton":"Edmonton","America/Eirunepe":"Eirunepe","America/El_Salvador":"El Salvador","America/Fort_Nelson":"Fort Nelson","America/Fortaleza":"Fortaleza","America/Glace_Bay":"Glace Bay","America/Goose_Bay":"Goose Bay","America/Grand_Turk":"Isole Turks e Caicos","America/Guatemala":"Guatemala","America/Guayaquil":"Ecuador","America/Guyana":"Guyana","America/Halifax":"Halifax","America/Havana":"Cuba","America/Hermosillo":"Hermosillo","America/Indiana/Indianapolis":"Indianapolis","America/Indiana/Knox":"Knox, Indiana","America/Indiana/Marengo":"Marengo, Indiana","America/Indiana/Petersburg":"Petersburg, Indiana","America/Indiana/Tell_City":"Tell City, Indiana","America/Indiana/Vevay":"Vevay, Indiana","America/Indiana/Vincennes":"Vincennes, Indiana","America/Indiana/Winamac":"Winamac, Indiana","America/Inuvik":"Inuvik","America/Iqaluit":"Iqaluit","America/Jamaica":"Giamaica","America/Juneau":"Juneau","America/Kentucky/Louisville":"Louisville","America/Kentucky/Monticello":"Monticello, Kentucky","America/La_Paz":"Bolivia","America/Lima":"Perù","America/Los_Angeles":"Los Angeles","America/Maceio":"Maceio","America/Managua":"Nicaragua","America/Manaus":"Manaus","America/Martinique":"Martinica","America/Matamoros":"Matamoros","America/Mazatlan":"Mazatlan","America/Menominee":"Menominee","America/Merida":"Mérida","America/Metlakatla":"Metlakatla","America/Mexico_City":"Città del Messico","America/Miquelon":"Saint-Pierre e Miquelon","America/Moncton":"Moncton","America/Monterrey":"Monterrey","America/Montevideo":"Uruguay","America/New_York":"New York","America/Nome":"Nome","America/Noronha":"Fernando de Noronha","America/North_Dakota/Beulah":"Beulah, Dakota del nord","America/North_Dakota/Center":"Center, Dakota del nord","America/North_Dakota/New_Salem":"New Salem, Dakota del nord","America/Nuuk":"Nuuk","America/Ojinaga":"Ojinaga","America/Panama":"Panama","America/Paramaribo":"Suriname","America/Phoenix":"Phoenix","America/Port-au-Prince":"Haiti","America/Porto_Velho":"Porto Velho","America/Puerto_Rico":"Portorico","America/Punta_Arenas":"Punta Arenas","America/Rankin_Inlet":"Rankin Inlet","America/Recife":"Recife","America/Regina":"Regina","America/Resolute":"Resolute","America/Rio_Branco":"Rio Branco","America/Santarem":"Santarém","America/Santiago":"Cile","America/Santo_Domingo":"Repubblica Dominicana","America/Sao_Paulo":"San Paolo","America/Scoresbysund":"Ittoqqortoormiit","America/Sitka":"Sitka","America/St_Johns":"St. John’s","America/Swift_Current":"Swift Current","America/Tegucigalpa":"Honduras","America/Thule":"Thule","America/Tijuana":"Tijuana","America/Toronto":"Toronto","America/Vancouver":"Vancouver","America/Whitehorse":"Whitehorse","America/Winnipeg":"Winnipeg","America/Yakutat":"Yakutat","Antarctica/Casey":"Casey","Antarctica/Davis":"Davis","Antarctica/Macquarie":"Macquarie","Antarctica/Mawson":"Mawson","Antarctica/Palmer":"Palmer","Antarctica/Rothera":"Rothera","Antarctica/Troll":"Troll","Antarctica/Vostok":"Vostok","Asia/Almaty":"Almaty","Asia/Amman":"Giordania","Asia/Anadyr":"Anadyr’","Asia/Aqtau":"Aqtau","Asia/Aqtobe":"Aqtöbe","Asia/Ashgabat":"Turkmenistan","Asia/Atyrau":"Atyrau","Asia/Baghdad":"Iraq","Asia/Baku":"Azerbaigian","Asia/Bangkok":"Thailandia","Asia/Barnaul":"Barnaul","Asia/Beirut":"Libano","Asia/Bishkek":"Kirghizistan","Asia/Chita":"Čita","Asia/Choibalsan":"Ulan Bator","Asia/Colombo":"Sri Lanka","Asia/Damascus":"Siria","Asia/Dhaka":"Bangladesh","Asia/Dili":"Timor Est","Asia/Dubai":"Emirati Arabi Uniti","Asia/Dushanbe":"Tagikistan","Asia/Famagusta":"Famagosta","Asia/Gaza":"Gaza","Asia/Hebron":"Hebron","Asia/Ho_Chi_Minh":"Vietnam","Asia/Hong_Kong":"RAS di Hong Kong","Asia/Hovd":"Hovd","Asia/Irkutsk":"Irkutsk","Asia/Jakarta":"Giacarta","Asia/Jayapura":"Jayapura","Asia/Jerusalem":"Israele","Asia/Kabul":"Afghanistan","Asia/Kamchatka":"Kamchatka","Asia/Karachi":"Pakistan","Asia/Kathmandu":"Nepal","Asia/Khandyga":"Chandyga","Asia/Kolkata":"India","Asia/Krasnoyarsk":"Krasnojarsk","Asia/Kuching":"Kuching","Asia/Macau":"RAS di Macao","Asia/Magadan":"Magadan","Asia/Makassar":"Makassar","Asia/Manila":"Filippine","Asia/Nicosia":"Nicosia","Asia/Novokuznetsk":"Novokuzneck","Asia/Novosibirsk":"Novosibirsk","Asia/Omsk":"Omsk","Asia/Oral":"Oral","Asia/Pontianak":"Pontianak","Asia/Pyongyang":"Corea del Nord","Asia/Qatar":"Qatar","Asia/Qostanay":"Qostanay","Asia/Qyzylorda":"Qyzylorda","Asia/Riyadh":"Arabia Saudita","Asia/Sakhalin":"Sachalin","Asia/Samarkand":"Samarcanda","Asia/Seoul":"Corea del Sud","Asia/Shanghai":"Cina","Asia/Singapore":"Singapore","Asia/Srednekolymsk":"Srednekolymsk","Asia/Taipei":"Taiwan","Asia/Tashkent":"Uzbekistan","Asia/Tbilisi":"Georgia","Asia/Tehran":"Iran","Asia/Thimphu":"Bhutan","Asia/Tokyo":"Giappone","Asia/Tomsk":"Tomsk","Asia/Ulaanbaatar":"Ulan Bator","Asia/Urumqi":"Urumqi","Asia/Ust-Nera":"Ust’-Nera","Asia/Vladivostok":"Vladivostok","Asia/Yakutsk":"Jakutsk","Asia/Yangon":"Myanmar (Birmania)","Asia/Yekaterinburg":"Ekaterinburg","Asia/Yerevan":"Armenia","Atlantic/Azores":"Azzorre","Atlantic/Bermuda":"Bermuda","Atlantic/Canary":"Canary","Atlantic/Cape_Verde":"Capo Verde","Atlantic/Faroe":"Isole Fær Øer","Atlantic/Madeira":"Madeira","Atlantic/South_Georgia":"Georgia del Sud e Sandwich Australi","Atlantic/Stanley":"Isole Falkland","Australia/Adelaide":"Adelaide","Australia/Brisbane":"Brisbane","Australia/Broken_Hill":"Broken Hill","Australia/Darwin":"Darwin","Australia/Eucla":"Eucla","Australia/Hobart":"Hobart","Australia/Lindeman":"Lindeman","Australia/Lord_Howe":"Lord Howe","Australia/Melbourne":"Melbourne","Australia/Perth":"Perth","Australia/Sydney":"Sydney","CET":"CET","CST6CDT":"Chicago","EET":"EET","EST":"Panama","EST5EDT":"New York","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"Andorra","Europe/Astrakhan":"Astrakhan","Europe/Athens":"Grecia","Europe/Belgrade":"Serbia","Europe/Berlin":"Germania","Europe/Brussels":"Belgio","Europe/Bucharest":"Romania","Europe/Budapest":"Ungheria","Europe/Chisinau":"Moldavia","Europe/Dublin":"Irlanda","Europe/Gibraltar":"Gibilterra","Europe/Helsinki":"Finlandia","Europe/Istanbul":"Turchia","Europe/Kaliningrad":"Kaliningrad","Europe/Kirov":"Kirov","Europe/Kyiv":"Ucraina","Europe/Lisbon":"Lisbon","Europe/London":"Regno Unito","Europe/Madrid":"Madrid","Europe/Malta":"Malta","Europe/Minsk":"Bielorussia","Europe/Moscow":"Mosca","Europe/Paris":"Francia","Europe/Prague":"Cechia","Europe/Riga":"Lettonia","Europe/Rome":"Italia","Europe/Samara":"Samara","Europe/Saratov":"Saratov","Europe/Simferopol":"Sinferopoli","Europe/Sofia":"Bulgaria","Europe/Tallinn":"Estonia","Europe/Tirane":"Albania","Europe/Ulyanovsk":"Ulyanovsk","Europe/Vienna":"Austria","Europe/Vilnius":"Lituania","Europe/Volgograd":"Volgograd","Europe/Warsaw":"Polonia","Europe/Zurich":"Svizzera","Factory":"Factory","HST":"Honolulu","Indian/Chagos":"Territorio Britannico dell’Oceano Indiano","Indian/Maldives":"Maldive","Indian/Mauritius":"Mauritius","MET":"MET","MST":"Phoenix","MST7MDT":"Denver","Pacific/Apia":"Samoa","Pacific/Auckland":"Nuova Zelanda","Pacific/Bougainville":"Bougainville","Pacific/Chatham":"Chatham","Pacific/Easter":"Pasqua","Pacific/Efate":"Vanuatu","Pacific/Fakaofo":"Tokelau","Pacific/Fiji":"Figi","Pacific/Galapagos":"Galapagos","Pacific/Gambier":"Gambier","Pacific/Guadalcanal":"Isole Salomone","Pacific/Guam":"Guam","Pacific/Honolulu":"Honolulu","Pacific/Kanton":"Enderbury","Pacific/Kiritimati":"Kiritimati","Pacific/Kosrae":"Kosrae","Pacific/Kwajalein":"Kwajalein","Pacific/Marquesas":"Marchesi","Pacific/Nauru":"Nauru","Pacific/Niue":"Niue","Pacific/Norfolk":"Isola Norfolk","Pacific/Noumea":"Nuova Caledonia","Pacific/Pago_Pago":"Samoa Americane","Pacific/Palau":"Palau","Pacific/Pitcairn":"Isole Pitcairn","Pacific/Port_Moresby":"Port Moresby","Pacific/Rarotonga":"Isole Cook","Pacific/Tahiti":"Tahiti","Pacific/Tarawa":"Tarawa","Pacific/Tongatapu":"Tonga","PST8PDT":"Los Angeles","WET":"WET"},
+		zone_names: {"Africa/Abidjan":"Ora del meridiano di Greenwich","Africa/Algiers":"Ora standard dell’Europa centrale","Africa/Bissau":"Ora del meridiano di Greenwich","Africa/Cairo":"Ora dell’Europa orientale","Africa/Casablanca":"Ora Marocco","Africa/Ceuta":"Ora dell’Europa centrale","Africa/El_Aaiun":"Ora Sahara Occidentale","Africa/Johannesburg":"Ora dell’Africa meridionale","Africa/Juba":"Ora dell’Africa centrale","Africa/Khartoum":"Ora dell’Africa centrale","Africa/Lagos":"Ora standard dell’Africa occidentale","Africa/Maputo":"Ora dell’Africa centrale","Africa/Monrovia":"Ora del meridiano di Greenwich","Africa/Nairobi":"Ora dell’Africa orientale","Africa/Ndjamena":"Ora standard dell’Africa occidentale","Africa/Sao_Tome":"Ora del meridiano di Greenwich","Africa/Tripoli":"Ora standard dell’Europa orientale","Africa/Tunis":"Ora standard dell’Europa centrale","Africa/Windhoek":"Ora dell’Africa centrale","America/Adak":"Ora delle isole Hawaii-Aleutine","America/Anchorage":"Ora dell’Alaska","America/Araguaina":"Ora standard di Brasilia","America/Argentina/Buenos_Aires":"Ora standard dell’Argentina","America/Argentina/Catamarca":"Ora standard dell’Argentina","America/Argentina/Cordoba":"Ora standard dell’Argentina","America/Argentina/Jujuy":"Ora standard dell’Argentina","America/Argentina/La_Rioja":"Ora standard dell’Argentina","America/Argentina/Mendoza":"Ora standard dell’Argentina","America/Argentina/Rio_Gallegos":"Ora standard dell’Argentina","America/Argentina/Salta":"Ora standard dell’Argentina","America/Argentina/San_Juan":"Ora standard dell’Argentina","America/Argentina/San_Luis":"Ora standard dell’Argentina","America/Argentina/Tucuman":"Ora standard dell’Argentina","America/Argentina/Ushuaia":"Ora standard dell’Argentina","America/Asuncion":"Ora del Paraguay","America/Bahia":"Ora standard di Brasilia","America/Bahia_Banderas":"Ora standard centrale USA","America/Barbados":"Ora standard dell’Atlantico","America/Belem":"Ora standard di Brasilia","America/Belize":"Ora standard centrale USA","America/Boa_Vista":"Ora standard dell’Amazzonia","America/Bogota":"Ora standard della Colombia","America/Boise":"Ora Montagne Rocciose USA","America/Cambridge_Bay":"Ora Montagne Rocciose USA","America/Campo_Grande":"Ora standard dell’Amazzonia","America/Cancun":"Ora standard orientale USA","America/Caracas":"Ora del Venezuela","America/Cayenne":"Ora della Guiana francese","America/Chicago":"Ora centrale USA","America/Chihuahua":"Ora standard centrale USA","America/Ciudad_Juarez":"Ora Montagne Rocciose USA","America/Costa_Rica":"Ora standard centrale USA","America/Cuiaba":"Ora standard dell’Amazzonia","America/Danmarkshavn":"Ora del meridiano di Greenwich","America/Dawson":"Ora dello Yukon","America/Dawson_Creek":"Ora standard Montagne Rocciose USA","America/Denver":"Ora Montagne Rocciose USA","America/Detroit":"Ora orientale USA","America/Edmonton":"Ora Montagne Rocciose USA","America/Eirunepe":"Ora Eirunepe","America/El_Salvador":"Ora standard centrale USA","America/Fort_Nelson":"Ora standard Montagne Rocciose USA","America/Fortaleza":"Ora standard di Brasilia","America/Glace_Bay":"Ora dell’Atlantico","America/Goose_Bay":"Ora dell’Atlantico","America/Grand_Turk":"Ora orientale USA","America/Guatemala":"Ora standard centrale USA","America/Guayaquil":"Ora dell’Ecuador","America/Guyana":"Ora della Guyana","America/Halifax":"Ora dell’Atlantico","America/Havana":"Ora di Cuba","America/Hermosillo":"Ora standard del Pacifico (Messico)","America/Indiana/Indianapolis":"Ora orientale USA","America/Indiana/Knox":"Ora centrale USA","America/Indiana/Marengo":"Ora orientale USA","America/Indiana/Petersburg":"Ora orientale USA","America/Indiana/Tell_City":"Ora centrale USA","America/Indiana/Vevay":"Ora orientale USA","America/Indiana/Vincennes":"Ora orientale USA","America/Indiana/Winamac":"Ora orientale USA","America/Inuvik":"Ora Montagne Rocciose USA","America/Iqaluit":"Ora orientale USA","America/Jamaica":"Ora standard orientale USA","America/Juneau":"Ora dell’Alaska","America/Kentucky/Louisville":"Ora orientale USA","America/Kentucky/Monticello":"Ora orientale USA","America/La_Paz":"Ora della Bolivia","America/Lima":"Ora standard del Perù","America/Los_Angeles":"Ora del Pacifico USA","America/Maceio":"Ora standard di Brasilia","America/Managua":"Ora standard centrale USA","America/Manaus":"Ora standard dell’Amazzonia","America/Martinique":"Ora standard dell’Atlantico","America/Matamoros":"Ora centrale USA","America/Mazatlan":"Ora standard del Pacifico (Messico)","America/Menominee":"Ora centrale USA","America/Merida":"Ora standard centrale USA","America/Metlakatla":"Ora dell’Alaska","America/Mexico_City":"Ora standard centrale USA","America/Miquelon":"Ora di Saint-Pierre e Miquelon","America/Moncton":"Ora dell’Atlantico","America/Monterrey":"Ora standard centrale USA","America/Montevideo":"Ora standard dell’Uruguay","America/New_York":"Ora orientale USA","America/Nome":"Ora dell’Alaska","America/Noronha":"Ora standard di Fernando de Noronha","America/North_Dakota/Beulah":"Ora centrale USA","America/North_Dakota/Center":"Ora centrale USA","America/North_Dakota/New_Salem":"Ora centrale USA","America/Nuuk":"Ora Nuuk","America/Ojinaga":"Ora centrale USA","America/Panama":"Ora standard orientale USA","America/Paramaribo":"Ora del Suriname","America/Phoenix":"Ora standard Montagne Rocciose USA","America/Port-au-Prince":"Ora orientale USA","America/Porto_Velho":"Ora standard dell’Amazzonia","America/Puerto_Rico":"Ora standard dell’Atlantico","America/Punta_Arenas":"Ora Punta Arenas","America/Rankin_Inlet":"Ora centrale USA","America/Recife":"Ora standard di Brasilia","America/Regina":"Ora standard centrale USA","America/Resolute":"Ora centrale USA","America/Rio_Branco":"Ora Rio Branco","America/Santarem":"Ora standard di Brasilia","America/Santiago":"Ora del Cile","America/Santo_Domingo":"Ora standard dell’Atlantico","America/Sao_Paulo":"Ora standard di Brasilia","America/Scoresbysund":"Ora Ittoqqortoormiit","America/Sitka":"Ora dell’Alaska","America/St_Johns":"Ora di Terranova","America/Swift_Current":"Ora standard centrale USA","America/Tegucigalpa":"Ora standard centrale USA","America/Thule":"Ora dell’Atlantico","America/Tijuana":"Ora del Pacifico USA","America/Toronto":"Ora orientale USA","America/Vancouver":"Ora del Pacifico USA","America/Whitehorse":"Ora dello Yukon","America/Winnipeg":"Ora centrale USA","America/Yakutat":"Ora dell’Alaska","Antarctica/Casey":"Ora standard dell’Australia occidentale","Antarctica/Davis":"Ora di Davis","Antarctica/Macquarie":"Ora dell’Australia orientale","Antarctica/Mawson":"Ora di Mawson","Antarctica/Palmer":"Ora Palmer","Antarctica/Rothera":"Ora di Rothera","Antarctica/Troll":"Ora Troll","Antarctica/Vostok":"Ora di Vostok","Asia/Almaty":"Ora del Kazakistan","Asia/Amman":"Ora Giordania","Asia/Anadyr":"Ora standard di Anadyr","Asia/Aqtau":"Ora del Kazakistan","Asia/Aqtobe":"Ora del Kazakistan","Asia/Ashgabat":"Ora standard del Turkmenistan","Asia/Atyrau":"Ora del Kazakistan","Asia/Baghdad":"Ora standard araba","Asia/Baku":"Ora standard dell’Azerbaigian","Asia/Bangkok":"Ora dell’Indocina","Asia/Barnaul":"Ora Barnaul","Asia/Beirut":"Ora dell’Europa orientale","Asia/Bishkek":"Ora del Kirghizistan","Asia/Chita":"Ora standard di Yakutsk","Asia/Choibalsan":"Ora standard di Ulan Bator","Asia/Colombo":"Ora standard dell’India","Asia/Damascus":"Ora Siria","Asia/Dhaka":"Ora standard del Bangladesh","Asia/Dili":"Ora di Timor Est","Asia/Dubai":"Ora del Golfo","Asia/Dushanbe":"Ora del Tagikistan","Asia/Famagusta":"Ora Famagosta","Asia/Gaza":"Ora dell’Europa orientale","Asia/Hebron":"Ora dell’Europa orientale","Asia/Ho_Chi_Minh":"Ora dell’Indocina","Asia/Hong_Kong":"Ora standard di Hong Kong","Asia/Hovd":"Ora standard di Hovd","Asia/Irkutsk":"Ora standard di Irkutsk","Asia/Jakarta":"Ora dell’Indonesia occidentale","Asia/Jayapura":"Ora dell’Indonesia orientale","Asia/Jerusalem":"Ora di Israele","Asia/Kabul":"Ora dell’Afghanistan","Asia/Kamchatka":"Ora standard di Petropavlovsk-Kamchatski","Asia/Karachi":"Ora standard del Pakistan","Asia/Kathmandu":"Ora del Nepal","Asia/Khandyga":"Ora standard di Yakutsk","Asia/Kolkata":"Ora standard dell’India","Asia/Krasnoyarsk":"Ora standard di Krasnoyarsk","Asia/Kuching":"Ora della Malesia","Asia/Macau":"Ora standard della Cina","Asia/Magadan":"Ora standard di Magadan","Asia/Makassar":"Ora dell’Indonesia centrale","Asia/Manila":"Ora standard delle Filippine","Asia/Nicosia":"Ora dell’Europa orientale","Asia/Novokuznetsk":"Ora standard di Krasnoyarsk","Asia/Novosibirsk":"Ora standard di Novosibirsk","Asia/Omsk":"Ora standard di Omsk","Asia/Oral":"Ora del Kazakistan","Asia/Pontianak":"Ora dell’Indonesia occidentale","Asia/Pyongyang":"Ora standard coreana","Asia/Qatar":"Ora standard araba","Asia/Qostanay":"Ora del Kazakistan","Asia/Qyzylorda":"Ora del Kazakistan","Asia/Riyadh":"Ora standard araba","Asia/Sakhalin":"Ora standard di Sakhalin","Asia/Samarkand":"Ora standard dell’Uzbekistan","Asia/Seoul":"Ora standard coreana","Asia/Shanghai":"Ora standard della Cina","Asia/Singapore":"Ora di Singapore","Asia/Srednekolymsk":"Ora Srednekolymsk","Asia/Taipei":"Ora standard di Taipei","Asia/Tashkent":"Ora standard dell’Uzbekistan","Asia/Tbilisi":"Ora standard della Georgia","Asia/Tehran":"Ora standard dell’Iran","Asia/Thimphu":"Ora del Bhutan","Asia/Tokyo":"Ora standard del Giappone","Asia/Tomsk":"Ora Tomsk","Asia/Ulaanbaatar":"Ora standard di Ulan Bator","Asia/Urumqi":"Ora Urumqi","Asia/Ust-Nera":"Ora standard di Vladivostok","Asia/Vladivostok":"Ora standard di Vladivostok","Asia/Yakutsk":"Ora standard di Yakutsk","Asia/Yangon":"Ora della Birmania","Asia/Yekaterinburg":"Ora standard di Ekaterinburg","Asia/Yerevan":"Ora standard dell’Armenia","Atlantic/Azores":"Ora delle Azzorre","Atlantic/Bermuda":"Ora dell’Atlantico","Atlantic/Canary":"Ora dell’Europa occidentale","Atlantic/Cape_Verde":"Ora standard di Capo Verde","Atlantic/Faroe":"Ora dell’Europa occidentale","Atlantic/Madeira":"Ora dell’Europa occidentale","Atlantic/South_Georgia":"Ora della Georgia del Sud","Atlantic/Stanley":"Ora standard delle Isole Falkland","Australia/Adelaide":"Ora dell’Australia centrale","Australia/Brisbane":"Ora standard dell’Australia orientale","Australia/Broken_Hill":"Ora dell’Australia centrale","Australia/Darwin":"Ora standard dell’Australia centrale","Australia/Eucla":"Ora standard dell’Australia centroccidentale","Australia/Hobart":"Ora dell’Australia orientale","Australia/Lindeman":"Ora standard dell’Australia orientale","Australia/Lord_Howe":"Ora di Lord Howe","Australia/Melbourne":"Ora dell’Australia orientale","Australia/Perth":"Ora standard dell’Australia occidentale","Australia/Sydney":"Ora dell’Australia orientale","CET":"Ora dell’Europa centrale","CST6CDT":"Ora centrale USA","EET":"Ora dell’Europa orientale","EST":"Ora standard orientale USA","EST5EDT":"Ora orientale USA","Europe/Andorra":"Ora dell’Europa centrale","Europe/Astrakhan":"Ora Astrakhan","Europe/Athens":"Ora dell’Europa orientale","Europe/Belgrade":"Ora dell’Europa centrale","Europe/Berlin":"Ora dell’Europa centrale","Europe/Brussels":"Ora dell’Europa centrale","Europe/Bucharest":"Ora dell’Europa orientale","Europe/Budapest":"Ora dell’Europa centrale","Europe/Chisinau":"Ora dell’Europa orientale","Europe/Dublin":"Ora Irlanda","Europe/Gibraltar":"Ora dell’Europa centrale","Europe/Helsinki":"Ora dell’Europa orientale","Europe/Istanbul":"Ora Turchia","Europe/Kaliningrad":"Ora standard dell’Europa orientale","Europe/Kirov":"Ora Kirov","Europe/Kyiv":"Ora dell’Europa orientale","Europe/Lisbon":"Ora dell’Europa occidentale","Europe/London":"Ora Regno Unito","Europe/Madrid":"Ora dell’Europa centrale","Europe/Malta":"Ora dell’Europa centrale","Europe/Minsk":"Ora standard di Mosca","Europe/Moscow":"Ora standard di Mosca","Europe/Paris":"Ora dell’Europa centrale","Europe/Prague":"Ora dell’Europa centrale","Europe/Riga":"Ora dell’Europa orientale","Europe/Rome":"Ora dell’Europa centrale","Europe/Samara":"Ora standard di Samara","Europe/Saratov":"Ora Saratov","Europe/Simferopol":"Ora standard di Mosca","Europe/Sofia":"Ora dell’Europa orientale","Europe/Tallinn":"Ora dell’Europa orientale","Europe/Tirane":"Ora dell’Europa centrale","Europe/Ulyanovsk":"Ora Ulyanovsk","Europe/Vienna":"Ora dell’Europa centrale","Europe/Vilnius":"Ora dell’Europa orientale","Europe/Volgograd":"Ora standard di Volgograd","Europe/Warsaw":"Ora dell’Europa centrale","Europe/Zurich":"Ora dell’Europa centrale","HST":"Ora standard delle Isole Hawaii-Aleutine","Indian/Chagos":"Ora dell’Oceano Indiano","Indian/Maldives":"Ora delle Maldive","Indian/Mauritius":"Ora standard delle Mauritius","MET":"Ora dell’Europa centrale","MST":"Ora standard Montagne Rocciose USA","MST7MDT":"Ora Montagne Rocciose USA","Pacific/Apia":"Ora standard di Apia","Pacific/Auckland":"Ora della Nuova Zelanda","Pacific/Bougainville":"Ora Bougainville","Pacific/Chatham":"Ora delle Chatham","Pacific/Easter":"Ora dell’Isola di Pasqua","Pacific/Efate":"Ora standard del Vanuatu","Pacific/Fakaofo":"Ora di Tokelau","Pacific/Fiji":"Ora standard delle Figi","Pacific/Galapagos":"Ora delle Galapagos","Pacific/Gambier":"Ora di Gambier","Pacific/Guadalcanal":"Ora delle Isole Salomone","Pacific/Guam":"Ora di Chamorro","Pacific/Honolulu":"Ora standard delle Isole Hawaii-Aleutine","Pacific/Kanton":"Ora delle Isole della Fenice","Pacific/Kiritimati":"Ora delle Sporadi equatoriali","Pacific/Kosrae":"Ora del Kosrae","Pacific/Kwajalein":"Ora delle Isole Marshall","Pacific/Marquesas":"Ora delle Marchesi","Pacific/Nauru":"Ora di Nauru","Pacific/Niue":"Ora di Niue","Pacific/Norfolk":"Ora delle Isole Norfolk","Pacific/Noumea":"Ora standard della Nuova Caledonia","Pacific/Pago_Pago":"Ora standard di Samoa","Pacific/Palau":"Ora di Palau","Pacific/Pitcairn":"Ora delle Pitcairn","Pacific/Port_Moresby":"Ora della Papua Nuova Guinea","Pacific/Rarotonga":"Ora standard delle isole Cook","Pacific/Tahiti":"Ora di Tahiti","Pacific/Tarawa":"Ora delle isole Gilbert","Pacific/Tongatapu":"Ora standard di Tonga","PST8PDT":"Ora del Pacifico USA","WET":"Ora dell’Europa occidentale"}
+	};
+}
@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (ja) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("ja", locale_ja)
+export function locale_ja() {
+	return {
+		code: "ja",
+		months: ["1月","2月","3月","4月","5月","6月","7月","8月","9月","10月","11月","12月"],
+		months_standalone: ["1月","2月","3月","4月","5月","6月","7月","8月","9月","10月","11月","12月"],
+		months_short: ["1月","2月","3月","4月","5月","6月","7月","8月","9月","10月","11月","12月"],
+		weekdays: ["日曜日","月曜日","火曜日","水曜日","木曜日","金曜日","土曜日"],
+		weekdays_short: ["日","月","火","水","木","金","土"],
+		meridiem: ["午前","午後"],
+		ordinal: (n) => n + '日',
+		plural: () => 'other',
+		units: {"year":{"other":"{0} 年"},"month":{"other":"{0} か月"},"week":{"other":"{0} 週間"},"day":{"other":"{0} 日"},"hour":{"other":"{0} 時間"},"minute":{"other":"{0} 分"},"second":{"other":"{0} 秒"}},
+		units_short: {"year":{"other":"{0} 年"},"month":{"other":"{0} か月"},"week":{"other":"{0} 週間"},"day":{"other":"{0} 日"},"hour":{"other":"{0} 時間"},"minute":{"other":"{0} 分"},"second":{"other":"{0} 秒"}},
+		units_compact: {"year":{"other":"{0}y"},"month":{"other":"{0}m"},"week":{"other":"{0}w"},"day":{"other":"{0}d"},"hour":{"other":"{0}h"},"minute":{"other":"{0}m"},"second":{"other":"{0}s"}},
+		list: {"sep":"、","last":"、","pair":"、"},
+		list_compact: {"sep":"","last":"","pair":""},
+		relative: {"year":{"future":{"other":"{0} 年後"},"past":{"other":"{0} 年前"}},"month":{"future":{"other":"{0} か月後"},"past":{"other":"{0} か月前"}},"week":{"future":{"other":"{0} 週間後"},"past":{"other":"{0} 週間前"}},"day":{"future":{"other":"{0} 日後"},"past":{"other":"{0} 日前"}},"hour":{"future":{"other":"{0} 時間後"},"past":{"other":"{0} 時間前"}},"minute":{"future":{"other":"{0} 分後"},"past":{"other":"{0} 分前"}},"second":{"future":{"other":"{0} 秒後"},"past":{"other":"{0} 秒前"}}},
+		relative_words: {"now":"今","today":"今日","tomorrow":"明日","yesterday":"昨日"},
+		phrases: {"dst_starts":"夏時間開始まで：{0}","dst_ends":"夏時間終了まで：{0}","no_dst":"このタイムゾーンには夏時間の切り替えがありません。","at":"{0} {1}"},
+		countries: {"AD":"アンドラ","AE":"アラブ首長国連邦","AF":"アフガニスタン","AG":"アンティグア・バーブーダ","AI":"アンギラ","AL":"アルバニア","AM":"アルメニア","AO":"アンゴラ","AQ":"南極","AR":"アルゼンチン","AS":"米領サモア","AT":"オーストリア","AU":"オーストラリア","AW":"アルバ","AX":"オーランド諸島","AZ":"アゼルバイジャン","BA":"ボスニア・ヘルツェゴビナ","BB":"バルバドス","BD":"バングラデシュ","BE":"ベルギー","BF":"ブルキナファソ","BG":"ブルガリア","BH":"バーレーン","BI":"ブルンジ","BJ":"ベナン","BL":"サン・バルテルミー","BM":"バミューダ","BN":"ブルネイ","BO":"ボリビア","BQ":"オランダ領カリブ","BR":"ブラジル","BS":"バハマ","BT":"ブータン","BW":"ボツワナ","BY":"ベラルーシ","BZ":"ベリーズ","CA":"カナダ","CC":"ココス(キーリング)諸島","CD":"コンゴ民主共和国(キンシャサ)","CF":"中央アフリカ共和国","CG":"コンゴ共和国(ブラザビル)","CH":"スイス","CI":"コートジボワール","CK":"クック諸島","CL":"チリ","CM":"カメルーン","CN":"中国","CO":"コロンビア","CR":"コスタリカ","CU":"キューバ","CV":"カーボベルデ","CW":"キュラソー","CX":"クリスマス島","CY":"キプロス","CZ":"チェコ","DE":"ドイツ","DJ":"ジブチ","DK":"デンマーク","DM":"ドミニカ国","DO":"ドミニカ共和国","DZ":"アルジェリア","EC":"エクアドル","EE":"エストニア","EG":"エジプト","EH":"西サハラ","ER":"エリトリア","ES":"スペイン","ET":"エチオピア","FI":"フィンランド","FJ":"フィジー","FK":"フォークランド諸島","FM":"ミクロネシア連邦","FO":"フェロー諸島","FR":"フランス","GA":"ガボン","GB":"イギリス","GD":"グレナダ","GE":"ジョージア","GF":"仏領ギアナ","GG":"ガーンジー","GH":"ガーナ","GI":"ジブラルタル","GL":"グリーンランド","GM":"ガンビア","GN":"ギニア","GP":"グアドループ","GQ":"赤道ギニア","GR":"ギリシャ","GS":"サウスジョージア・サウスサンドウィッチ諸島","GT":"グアテマラ","GU":"グアム","GW":"ギニアビサウ","GY":"ガイアナ","HK":"中華人民共和国香港特別行政区","HN":"ホンジュラス","HR":"クロアチア","HT":"ハイチ","HU":"ハンガリー","ID":"インドネシア","IE":"アイルランド","IL":"イスラエル","IM":"マン島","IN":"インド","IO":"英領インド洋地域","IQ":"イラク","IR":"イラン","IS":"アイスランド","IT":"イタリア","JE":"ジャージー","JM":"ジャマイカ","JO":"ヨルダン","JP":"日本","KE":"ケニア","KG":"キルギス","KH":"カンボジア","KI":"キリバス","KM":"コモロ","KN":"セントクリストファー・ネーヴィス","KP":"北朝鮮","KR":"韓国","KW":"クウェート","KY":"ケイマン諸島","KZ":"カザフスタン","LA":"ラオス","LB":"レバノン","LC":"セントルシア","LI":"リヒテンシュタイン","LK":"スリランカ","LR":"リベリア","LS":"レソト","LT":"リトアニア","LU":"ルクセンブルク","LV":"ラトビア","LY":"リビア","MA":"モロッコ","MC":"モナコ","MD":"モルドバ","ME":"モンテネグロ","MF":"サン・マルタン","MG":"マダガスカル","MH":"マーシャル諸島","MK":"北マケドニア","ML":"マリ","MM":"ミャンマー (ビルマ)","MN":"モンゴル","MO":"中華人民共和国マカオ特別行政区","MP":"北マリアナ諸島","MQ":"マルティニーク","MR":"モーリタニア","MS":"モントセラト","MT":"マルタ","MU":"モーリシャス","MV":"モルディブ","MW":"マラウイ","MX":"メキシコ","MY":"マレーシア","MZ":"モザンビーク","NA":"ナミビア","NC":"ニューカレドニア","NE":"ニジェール","NF":"ノーフォーク島","NG":"ナイジェリア","NI":"ニカラグア","NL":"オランダ","NO":"ノルウェー","NP":"ネパール","NR":"ナウル","NU":"ニウエ","NZ":"ニュージーランド","OM":"オマーン","PA":"パナマ","PE":"ペルー","PF":"仏領ポリネシア","PG":"パプアニューギニア","PH":"フィリピン","PK":"パキスタン","PL":"ポーランド","PM":"サンピエール島・ミクロン島","PN":"ピトケアン諸島","PR":"プエルトリコ","PS":"パレスチナ自治区","PT":"ポルトガル","PW":"パラオ","PY":"パラグアイ","QA":"カタール","RE":"レユニオン","RO":"ルーマニア","RS":"セルビア","RU":"ロシア","RW":"ルワンダ","SA":"サウジアラビア","SB":"ソロモン諸島","SC":"セーシェル","SD":"スーダン","SE":"スウェーデン","SG":"シンガポール","SH":"セントヘレナ","SI":"スロベニア","SJ":"スバールバル諸島・ヤンマイエン島","SK":"スロバキア","SL":"シエラレオネ","SM":"サンマリノ","SN":"セネガル","SO":"ソマリア","SR":"スリナム","SS":"南スーダン","ST":"サントメ・プリンシペ","SV":"エルサルバドル","SX":"シント・マールテン","SY":"シリア","SZ":"エスワティニ","TC":"タークス・カイコス諸島","TD":"チャド","TF":"仏領極南諸島","TG":"トーゴ","TH":"タイ","TJ":"タジキスタン","TK":"トケラウ","TL":"東ティモール","TM":"トルクメニスタン","TN":"チュニジア","TO":"トンガ","TR":"トルコ","TT":"トリニダード・トバゴ","TV":"ツバル","TW":"台湾","TZ":"タンザニア","UA":"ウクライナ","UG":"ウガンダ","UM":"合衆国領有小離島","US":"アメリカ合衆国","UY":"ウルグアイ","UZ":"ウズベキスタン","VA":"バチカン市国","VC":"セントビンセント及びグレナディーン諸島","VE":"ベネズエラ","VG":"英領ヴァージン諸島","VI":"米領ヴァージン諸島","VN":"ベトナム","VU":"バヌアツ","WF":"ウォリス・フツナ","WS":"サモア","YE":"イエメン","YT":"マヨット","ZA":"南アフリカ","ZM":"ザンビア","ZW":"ジンバブエ"},
+		zones: {"Africa/Abidjan":"コートジボワール","Africa/Algiers":"アルジェリア","Africa/Bissau":"ギニアビサウ","Africa/Cairo":"エジプト","Africa/Casablanca":"モロッコ","Africa/Ceuta":"セウタ","Africa/El_Aaiun":"西サハラ","Africa/Johannesburg":"南アフリカ","Africa/Juba":"南スーダン","Africa/Khartoum":"スーダン","Africa/Lagos":"ナイジェリア","Africa/Maputo":"モザンビーク","Africa/Monrovia":"リベリア","Africa/Nairobi":"ケニア","Africa/Ndjamena":"チャド","Africa/Sao_Tome":"サントメ・プリンシペ","Africa/Tripoli":"リビア","Africa/Tunis":"チュニジア","Africa/Windhoek":"ナミビア","America/Adak":"アダック","America/Anchorage":"アンカレッジ","America/Araguaina":"アラグァイナ","America/Argentina/Buenos_Aires":"ブエノスアイレス","America/Argentina/Catamarca":"カタマルカ","America/Argentina/Cordoba":"コルドバ","America/Argentina/Jujuy":"フフイ","America/Argentina/La_Rioja":"ラリオハ","America/Argentina/Mendoza":"メンドーサ","America/Argentina/Rio_Gallegos":"リオガジェゴス","America/Argentina/Salta":"サルタ","America/Argentina/San_Juan":"サンファン","America/Argentina/San_Luis":"サンルイス","America/Argentina/Tucuman":"トゥクマン","America/Argentina/Ushuaia":"ウシュアイア","America/Asuncion":"パラグアイ","America/Bahia":"バイーア","America/Bahia_Banderas":"バイアバンデラ","America/Barbados":"バルバドス","America/Belem":"ベレン","America/Belize":"ベリーズ","America/Boa_Vista":"ボアビスタ","America/Bogota":"コロンビア","America/Boise":"ボイシ","America/Cambridge_Bay":"ケンブリッジベイ","America/Campo_Grande":"カンポグランデ","America/Cancun":"カンクン","America/Caracas":"ベネズエラ","America/Cayenne":"仏領ギアナ","America/Chicago":"シカゴ","America/Chihuahua":"チワワ","America/Ciudad_Juarez":"シウダー・フアレス","America/Costa_Rica":"コスタリカ","America/Cuiaba":"クイアバ","America/Danmarkshavn":"デンマークシャウン","America/Dawson":"ドーソン","America/Dawson_Creek":"ドーソンクリーク","America/Denver":"デンバー","America/Detroit":"デトロイト","America/Edmonton":"エドモントン","America/Eirunepe":"エイルネペ","America/El_Salvador":"エルサルバドル","America/Fort_Nelson":"フォートネルソン","America/Fortaleza":"フォルタレザ","America/Glace_Bay":"グレースベイ","America/Goose_Bay":"グースベイ","America/Grand_Turk":"タークス・カイコス諸島","America/Guatemala":"グアテマラ","America/Guayaquil":"エクアドル","America/Guyana":"ガイアナ","America/Halifax":"ハリファクス","America/Havana":"キューバ","America/Hermosillo":"エルモシヨ","America/Indiana/Indianapolis":"インディアナポリス","America/Indiana/Knox":"インディアナ州ノックス","America/Indiana/Marengo":"インディアナ州マレンゴ","America/Indiana/Petersburg":"インディアナ州ピーターズバーグ","America/Indiana/Tell_City":"インディアナ州テルシティ","America/Indiana/Vevay":"インディアナ州ビベー","America/Indiana/Vincennes":"インディアナ州ビンセンス","America/Indiana/Winamac":"インディアナ州ウィナマック","America/Inuvik":"イヌヴィク","America/Iqaluit":"イカルイット","America/Jamaica":"ジャマイカ","America/Juneau":"ジュノー","America/Kentucky/Louisville":"ルイビル","America/Kentucky/Monticello":"ケンタッキー州モンティチェロ","America/La_Paz":"ボリビア","America/Lima":"ペルー","America/Los_Angeles":"ロサンゼルス","America/Maceio":"マセイオ","America/Managua":"ニカラグア","America/Manaus":"マナウス","America/Martinique":"マルティニーク","America/Matamoros":"マタモロス","America/Mazatlan":"マサトラン","America/Menominee":"メノミニー","America/Merida":"メリダ","America/Metlakatla":"メトラカトラ","America/Mexico_City":"メキシコシティー","America/Miquelon":"サンピエール島・ミクロン島","America/Moncton":"モンクトン","America/Monterrey":"モンテレイ","America/Montevideo":"ウルグアイ","America/New_York":"ニューヨーク","America/Nome":"ノーム","America/Noronha":"ノローニャ","America/North_Dakota/Beulah":"ノースダコタ州ビューラー","America/North_Dakota/Center":"ノースダコタ州センター","America/North_Dakota/New_Salem":"ノースダコタ州ニューセーラム","America/Nuuk":"ヌーク","America/Ojinaga":"オヒナガ","America/Panama":"パナマ","America/Paramaribo":"スリナム","America/Phoenix":"フェニックス","America/Port-au-Prince":"ハイチ","America/Porto_Velho":"ポルトベーリョ","America/Puerto_Rico":"プエルトリコ","America/Punta_Arenas":"プンタアレナス","America/Rankin_Inlet":"ランキンインレット","America/Recife":"レシフェ","America/Regina":"レジャイナ","America/Resolute":"レゾリュート","America/Rio_Branco":"リオブランコ","America/Santarem":"サンタレム","America/Santiago":"チリ","America/Santo_Domingo":"ドミニカ共和国","America/Sao_Paulo":"サンパウロ","America/Scoresbysund":"イトコルトルミット","America/Sitka":"シトカ","America/St_Johns":"セントジョンズ","America/Swift_Current":"スウィフトカレント","America/Tegucigalpa":"ホンジュラス","America/Thule":"チューレ","America/Tijuana":"ティフアナ","America/Toronto":"トロント","America/Vancouver":"バンクーバー","America/Whitehorse":"ホワイトホース","America/Winnipeg":"ウィニペグ","America/Yakutat":"ヤクタット","Antarctica/Casey":"ケーシー基地","Antarctica/Davis":"デービス基地","Antarctica/Macquarie":"マッコリー","Antarctica/Mawson":"モーソン基地","Antarctica/Palmer":"パーマー基地","Antarctica/Rothera":"ロゼラ基地","Antarctica/Troll":"トロル基地","Antarctica/Vostok":"ボストーク基地","Asia/Almaty":"アルマトイ","Asia/Amman":"ヨルダン","Asia/Anadyr":"アナディリ","Asia/Aqtau":"アクタウ","Asia/Aqtobe":"アクトベ","Asia/Ashgabat":"トルクメニスタン","Asia/Atyrau":"アティラウ","Asia/Baghdad":"イラク","Asia/Baku":"アゼルバイジャン","Asia/Bangkok":"タイ","Asia/Barnaul":"バルナウル","Asia/Beirut":"レバノン","Asia/Bishkek":"キルギス","Asia/Chita":"チタ","Asia/Choibalsan":"ウランバートル","Asia/Colombo":"スリランカ","Asia/Damascus":"シリア","Asia/Dhaka":"バングラデシュ","Asia/Dili":"東ティモール","Asia/Dubai":"アラブ首長国連邦","Asia/Dushanbe":"タジキスタン","Asia/Famagusta":"ファマグスタ","Asia/Gaza":"ガザ","Asia/Hebron":"ヘブロン","Asia/Ho_Chi_Minh":"ベトナム","Asia/Hong_Kong":"中華人民共和国香港特別行政区","Asia/Hovd":"ホブド","Asia/Irkutsk":"イルクーツク","Asia/Jakarta":"ジャカルタ","Asia/Jayapura":"ジャヤプラ","Asia/Jerusalem":"イスラエル","Asia/Kabul":"アフガニスタン","Asia/Kamchatka":"カムチャッカ","Asia/Karachi":"パキスタン","Asia/Kathmandu":"ネパール","Asia/Khandyga":"ハンドゥイガ","Asia/Kolkata":"インド","Asia/Krasnoyarsk":"クラスノヤルスク","Asia/Kuching":"クチン","Asia/Macau":"中華人民共和国マカオ特別行政区","Asia/Magadan":"マガダン","Asia/Makassar":"マカッサル","Asia/Manila":"フィリピン","Asia/Nicosia":"ニコシア","Asia/Novokuznetsk":"ノヴォクズネツク","Asia/Novosibirsk":"ノヴォシビルスク","Asia/Omsk":"オムスク","Asia/Oral":"オラル","Asia/Pontianak":"ポンティアナック","Asia/Pyongyang":"北朝鮮","Asia/Qatar":"カタール","Asia/Qostanay":"コスタナイ","Asia/Qyzylorda":"クズロルダ","Asia/Riyadh":"サウジアラビア","Asia/Sakhalin":"サハリン","Asia/Samarkand":"サマルカンド","Asia/Seoul":"韓国","Asia/Shanghai":"中国","Asia/Singapore":"シンガポール","Asia/Srednekolymsk":"スレドネコリムスク","Asia/Taipei":"台湾","Asia/Tashkent":"ウズベキスタン","Asia/Tbilisi":"ジョージア","Asia/Tehran":"イラン","Asia/Thimphu":"ブータン","Asia/Tokyo":"日本","Asia/Tomsk":"トムスク","Asia/Ulaanbaatar":"ウランバートル","Asia/Urumqi":"ウルムチ","Asia/Ust-Nera":"ウスチネラ","Asia/Vladivostok":"ウラジオストク","Asia/Yakutsk":"ヤクーツク","Asia/Yangon":"ミャンマー (ビルマ)","Asia/Yekaterinburg":"エカテリンブルグ","Asia/Yerevan":"アルメニア","Atlantic/Azores":"アゾレス","Atlantic/Bermuda":"バミューダ","Atlantic/Canary":"カナリア","Atlantic/Cape_Verde":"カーボベルデ","Atlantic/Faroe":"フェロー諸島","Atlantic/Madeira":"マデイラ","Atlantic/South_Georgia":"サウスジョージア・サウスサンドウィッチ諸島","Atlantic/Stanley":"フォークランド諸島","Australia/Adelaide":"アデレード","Australia/Brisbane":"ブリスベン","Australia/Broken_Hill":"ブロークンヒル","Australia/Darwin":"ダーウィン","Australia/Eucla":"ユークラ","Australia/Hobart":"ホバート","Australia/Lindeman":"リンデマン","Australia/Lord_Howe":"ロードハウ","Australia/Melbourne":"メルボルン","Australia/Perth":"パース","Australia/Sydney":"シドニー","CET":"ベルギー","CST6CDT":"シカゴ","EET":"ギリシャ","EST":"パナマ","EST5EDT":"ニューヨーク","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"アンドラ","Europe/Astrakhan":"アストラハン","Europe/Athens":"ギリシャ","Europe/Belgrade":"セルビア","Europe/Berlin":"ドイツ","Europe/Brussels":"ベルギー","Europe/Bucharest":"ルーマニア","Europe/Budapest":"ハンガリー","Europe/Chisinau":"モルドバ","Europe/Dublin":"アイルランド","Europe/Gibraltar":"ジブラルタル","Europe/Helsinki":"フィンランド","Europe/Istanbul":"トルコ","Europe/Kaliningrad":"カリーニングラード","Europe/Kirov":"キーロフ","Europe/Kyiv":"ウクライナ","Europe/Lisbon":"ポルトガル","Europe/London":"イギリス","Europe/Madrid":"スペイン","Europe/Malta":"マルタ","Europe/Minsk":"ベラルーシ","Europe/Moscow":"モスクワ","Europe/Paris":"フランス","Europe/Prague":"チェコ","Europe/Riga":"ラトビア","Europe/Rome":"イタリア","Europe/Samara":"サマラ","Europe/Saratov":"サラトフ","Europe/Simferopol":"シンフェロポリ","Europe/Sofia":"ブルガリア","Europe/Tallinn":"エストニア","Europe/Tirane":"アルバニア","Europe/Ulyanovsk":"ウリヤノフスク","Europe/Vienna":"オーストリア","Europe/Vilnius":"リトアニア","Europe/Volgograd":"ボルゴグラード","Europe/Warsaw":"ポーランド","Europe/Zurich":"スイス","Factory":"Factory","HST":"ホノルル","Indian/Chagos":"英領インド洋地域","Indian/Maldives":"モルディブ","Indian/Mauritius":"モーリシャス","MET":"ベルギー","MST":"フェニックス","MST7MDT":"デンバー","Pacific/Apia":"サモア","Pacific/Auckland":"ニュージーランド","Pacific/Bougainville":"ブーゲンビル","Pacific/Chatham":"チャタム","Pacific/Easter":"イースター島","Pacific/Efate":"バヌアツ","Pacific/Fakaofo":"トケラウ","Pacific/Fiji":"フィジー","Pacific/Galapagos":"ガラパゴス","Pacific/Gambier":"ガンビエ諸島","Pacific/Guadalcanal":"ソロモン諸島","Pacific/Guam":"グアム","Pacific/Honolulu":"ホノルル","Pacific/Kanton":"エンダーベリー島","Pacific/Kiritimati":"キリスィマスィ島","Pacific/Kosrae":"コスラエ","Pacific/Kwajalein":"クェゼリン","Pacific/Marquesas":"マルキーズ","Pacific/Nauru":"ナウル","Pacific/Niue":"ニウエ","Pacific/Norfolk":"ノーフォーク島","Pacific/Noumea":"ニューカレドニア","Pacific/Pago_Pago":"米領サモア","Pacific/Palau":"パラオ","Pacific/Pitcairn":"ピトケアン諸島","Pacific/Port_Moresby":"ポートモレスビー","Pacific/Rarotonga":"クック諸島","Pacific/Tahiti":"タヒチ","Pacific/Tarawa":"タラワ","Pacific/Tongatapu":"トンガ","PST8PDT":"ロサンゼルス","WET":"ポルトガル"},
+		zone_names: {"Africa/Abidjan":"グリニッジ標準時","Africa/Algiers":"中央ヨーロッパ標準時","Africa/Bissau":"グリニッジ標準時","Africa/Cairo":"東ヨーロッパ時間","Africa/Casablanca":"モロッコ時間","Africa/Ceuta":"中央ヨーロッパ時間","Africa/El_Aaiun":"西サハラ時間","Africa/Johannesburg":"南アフリカ標準時","Africa/Juba":"中央アフリカ時間","Africa/Khartoum":"中央アフリカ時間","Africa/Lagos":"西アフリカ標準時","Africa/Maputo":"中央アフリカ時間","Africa/Monrovia":"グリニッジ標準時","Africa/Nairobi":"東アフリカ時間","Africa/Ndjamena":"西アフリカ標準時","Africa/Sao_Tome":"グリニッジ標準時","Africa/Tripoli":"東ヨーロッパ標準時","Africa/Tunis":"中央ヨーロッパ標準時","Africa/Windhoek":"中央アフリカ時間","America/Adak":"ハワイ・アリューシャン時間","America/Anchorage":"アラスカ時間","America/Araguaina":"ブラジリア標準時","America/Argentina/Buenos_Aires":"アルゼンチン標準時","America/Argentina/Catamarca":"アルゼンチン標準時","America/Argentina/Cordoba":"アルゼンチン標準時","America/Argentina/Jujuy":"アルゼンチン標準時","America/Argentina/La_Rioja":"アルゼンチン標準時","America/Argentina/Mendoza":"アルゼンチン標準時","America/Argentina/Rio_Gallegos":"アルゼンチン標準時","America/Argentina/Salta":"アルゼンチン標準時","America/Argentina/San_Juan":"アルゼンチン標準時","America/Argentina/San_Luis":"アルゼンチン標準時","America/Argentina/Tucuman":"アルゼンチン標準時","America/Argentina/Ushuaia":"アルゼンチン標準時","America/Asuncion":"パラグアイ時間","America/Bahia":"ブラジリア標準時","America/Bahia_Banderas":"アメリカ中部標準時","America/Barbados":"大西洋標準時","America/Belem":"ブラジリア標準時","America/Belize":"アメリカ中部標準時","America/Boa_Vista":"アマゾン標準時","America/Bogota":"コロンビア標準時","America/Boise":"アメリカ山地時間","America/Cambridge_Bay":"アメリカ山地時間","America/Campo_Grande":"アマゾン標準時","America/Cancun":"アメリカ東部標準時","America/Caracas":"ベネズエラ時間","America/Cayenne":"仏領ギアナ時間","America/Chicago":"アメリカ中部時間","America/Chihuahua":"アメリカ中部標準時","America/Ciudad_Juarez":"アメリカ山地時間","America/Costa_Rica":"アメリカ中部標準時","America/Cuiaba":"アマゾン標準時","America/Danmarkshavn":"グリニッジ標準時","America/Dawson":"ユーコン時間","America/Dawson_Creek":"アメリカ山地標準時","America/Denver":"アメリカ山地時間","America/Detroit":"アメリカ東部時間","America/Edmonton":"アメリカ山地時間","America/Eirunepe":"アクレ標準時","America/El_Salvador":"アメリカ中部標準時","America/Fort_Nelson":"アメリカ山地標準時","America/Fortaleza":"ブラジリア標準時","America/Glace_Bay":"大西洋時間","America/Goose_Bay":"大西洋時間","America/Grand_Turk":"アメリカ東部時間","America/Guatemala":"アメリカ中部標準時","America/Guayaquil":"エクアドル時間","America/Guyana":"ガイアナ時間","America/Halifax":"大西洋時間","America/Havana":"キューバ時間","America/Hermosillo":"メキシコ太平洋標準時","America/Indiana/Indianapolis":"アメリカ東部時間","America/Indiana/Knox":"アメリカ中部時間","America/Indiana/Marengo":"アメリカ東部時間","America/Indiana/Petersburg":"アメリカ東部時間","America/Indiana/Tell_City":"アメリカ中部時間","America/Indiana/Vevay":"アメリカ東部時間","America/Indiana/Vincennes":"アメリカ東部時間","America/Indiana/Winamac":"アメリカ東部時間","America/Inuvik":"アメリカ山地時間","America/Iqaluit":"アメリカ東部時間","America/Jamaica":"アメリカ東部標準時","America/Juneau":"アラスカ時間","America/Kentucky/Louisville":"アメリカ東部時間","America/Kentucky/Monticello":"アメリカ東部時間","America/La_Paz":"ボリビア時間","America/Lima":"ペルー標準時","America/Los_Angeles":"アメリカ太平洋時間","America/Maceio":"ブラジリア標準時","America/Managua":"アメリカ中部標準時","America/Manaus":"アマゾン標準時","America/Martinique":"大西洋標準時","America/Matamoros":"アメリカ中部時間","America/Mazatlan":"メキシコ太平洋標準時","America/Menominee":"アメリカ中部時間","America/Merida":"アメリカ中部標準時","America/Metlakatla":"アラスカ時間","America/Mexico_City":"アメリカ中部標準時","America/Miquelon":"サンピエール島・ミクロン島時間","America/Moncton":"大西洋時間","America/Monterrey":"アメリカ中部標準時","America/Montevideo":"ウルグアイ標準時","America/New_York":"アメリカ東部時間","America/Nome":"アラスカ時間","America/Noronha":"フェルナンド・デ・ノローニャ標準時","America/North_Dakota/Beulah":"アメリカ中部時間","America/North_Dakota/Center":"アメリカ中部時間","America/North_Dakota/New_Salem":"アメリカ中部時間","America/Nuuk":"ヌーク時間","America/Ojinaga":"アメリカ中部時間","America/Panama":"アメリカ東部標準時","America/Paramaribo":"スリナム時間","America/Phoenix":"アメリカ山地標準時","America/Port-au-Prince":"アメリカ東部時間","America/Porto_Velho":"アマゾン標準時","America/Puerto_Rico":"大西洋標準時","America/Punta_Arenas":"プンタアレナス時間","America/Rankin_Inlet":"アメリカ中部時間","America/Recife":"ブラジリア標準時","America/Regina":"アメリカ中部標準時","America/Resolute":"アメリカ中部時間","America/Rio_Branco":"アクレ標準時","America/Santarem":"ブラジリア標準時","America/Santiago":"チリ時間","America/Santo_Domingo":"大西洋標準時","America/Sao_Paulo":"ブラジリア標準時","America/Scoresbysund":"イトコルトルミット時間","America/Sitka":"アラスカ時間","America/St_Johns":"ニューファンドランド時間","America/Swift_Current":"アメリカ中部標準時","America/Tegucigalpa":"アメリカ中部標準時","America/Thule":"大西洋時間","America/Tijuana":"アメリカ太平洋時間","America/Toronto":"アメリカ東部時間","America/Vancouver":"アメリカ太平洋時間","America/Whitehorse":"ユーコン時間","America/Winnipeg":"アメリカ中部時間","America/Yakutat":"アラスカ時間","Antarctica/Casey":"オーストラリア西部標準時","Antarctica/Davis":"デービス基地時間","Antarctica/Macquarie":"オーストラリア東部時間","Antarctica/Mawson":"モーソン基地時間","Antarctica/Palmer":"パーマー基地時間","Antarctica/Rothera":"ロゼラ基地時間","Antarctica/Troll":"トロル基地時間","Antarctica/Vostok":"ボストーク基地時間","Asia/Almaty":"カザフスタン時間","Asia/Amman":"ヨルダン時間","Asia/Anadyr":"アナディリ標準時","Asia/Aqtau":"カザフスタン時間","Asia/Aqtobe":"カザフスタン時間","Asia/Ashgabat":"トルクメニスタン標準時","Asia/Atyrau":"カザフスタン時間","Asia/Baghdad":"アラビア標準時","Asia/Baku":"アゼルバイジャン標準時","Asia/Bangkok":"インドシナ時間","Asia/Barnaul":"バルナウル時間","Asia/Beirut":"東ヨーロッパ時間","Asia/Bishkek":"キルギス時間","Asia/Chita":"ヤクーツク標準時","Asia/Choibalsan":"ウランバートル標準時","Asia/Colombo":"インド標準時","Asia/Damascus":"シリア時間","Asia/Dhaka":"バングラデシュ標準時","Asia/Dili":"東ティモール時間","Asia/Dubai":"湾岸標準時","Asia/Dushanbe":"タジキスタン時間","Asia/Famagusta":"ファマグスタ時間","Asia/Gaza":"東ヨーロッパ時間","Asia/Hebron":"東ヨーロッパ時間","Asia/Ho_Chi_Minh":"インドシナ時間","Asia/Hong_Kong":"香港標準時","Asia/Hovd":"ホブド標準時","Asia/Irkutsk":"イルクーツク標準時","Asia/Jakarta":"インドネシア西部時間","Asia/Jayapura":"インドネシア東部時間","Asia/Jerusalem":"イスラエル時間","Asia/Kabul":"アフガニスタン時間","Asia/Kamchatka":"ペトロパブロフスク・カムチャツキー標準時","Asia/Karachi":"パキスタン標準時","Asia/Kathmandu":"ネパール時間","Asia/Khandyga":"ヤクーツク標準時","Asia/Kolkata":"インド標準時","Asia/Krasnoyarsk":"クラスノヤルスク標準時","Asia/Kuching":"マレーシア時間","Asia/Macau":"中国標準時","Asia/Magadan":"マガダン標準時","Asia/Makassar":"インドネシア中部時間","Asia/Manila":"フィリピン標準時","Asia/Nicosia":"東ヨーロッパ時間","Asia/Novokuznetsk":"クラスノヤルスク標準時","Asia/Novosibirsk":"ノヴォシビルスク標準時","Asia/Omsk":"オムスク標準時","Asia/Oral":"カザフスタン時間","Asia/Pontianak":"インドネシア西部時間","Asia/Pyongyang":"韓国標準時","Asia/Qatar":"アラビア標準時","Asia/Qostanay":"カザフスタン時間","Asia/Qyzylorda":"カザフスタン時間","Asia/Riyadh":"アラビア標準時","Asia/Sakhalin":"サハリン標準時","Asia/Samarkand":"ウズベキスタン標準時","Asia/Seoul":"韓国標準時","Asia/Shanghai":"中国標準時","Asia/Singapore":"シンガポール標準時","Asia/Srednekolymsk":"スレドネコリムスク時間","Asia/Taipei":"台北標準時","Asia/Tashkent":"ウズベキスタン標準時","Asia/Tbilisi":"ジョージア標準時","Asia/Tehran":"イラン標準時","Asia/Thimphu":"ブータン時間","Asia/Tokyo":"日本標準時","Asia/Tomsk":"トムスク時間","Asia/Ulaanbaatar":"ウランバートル標準時","Asia/Urumqi":"ウルムチ時間","Asia/Ust-Nera":"ウラジオストク標準時","Asia/Vladivostok":"ウラジオストク標準時","Asia/Yakutsk":"ヤクーツク標準時","Asia/Yangon":"ミャンマー時間","Asia/Yekaterinburg":"エカテリンブルグ標準時","Asia/Yerevan":"アルメニア標準時","Atlantic/Azores":"アゾレス時間","Atlantic/Bermuda":"大西洋時間","Atlantic/Canary":"西ヨーロッパ時間","Atlantic/Cape_Verde":"カーボベルデ標準時","Atlantic/Faroe":"西ヨーロッパ時間","Atlantic/Madeira":"西ヨーロッパ時間","Atlantic/South_Georgia":"サウスジョージア時間","Atlantic/Stanley":"フォークランド諸島標準時","Australia/Adelaide":"オーストラリア中部時間","Australia/Brisbane":"オーストラリア東部標準時","Australia/Broken_Hill":"オーストラリア中部時間","Australia/Darwin":"オーストラリア中部標準時","Australia/Eucla":"オーストラリア中西部標準時","Australia/Hobart":"オーストラリア東部時間","Australia/Lindeman":"オーストラリア東部標準時","Australia/Lord_Howe":"ロードハウ時間","Australia/Melbourne":"オーストラリア東部時間","Australia/Perth":"オーストラリア西部標準時","Australia/Sydney":"オーストラリア東部時間","CET":"中央ヨーロッパ時間","CST6CDT":"アメリカ中部時間","EET":"東ヨーロッパ時間","EST":"アメリカ東部標準時","EST5EDT":"アメリカ東部時間","Europe/Andorra":"中央ヨーロッパ時間","Europe/Astrakhan":"アストラハン時間","Europe/Athens":"東ヨーロッパ時間","Europe/Belgrade":"中央ヨーロッパ時間","Europe/Berlin":"中央ヨーロッパ時間","Europe/Brussels":"中央ヨーロッパ時間","Europe/Bucharest":"東ヨーロッパ時間","Europe/Budapest":"中央ヨーロッパ時間","Europe/Chisinau":"東ヨーロッパ時間","Europe/Dublin":"アイルランド時間","Europe/Gibraltar":"中央ヨーロッパ時間","Europe/Helsinki":"東ヨーロッパ時間","Europe/Istanbul":"トルコ時間","Europe/Kaliningrad":"東ヨーロッパ標準時","Europe/Kirov":"キーロフ時間","Europe/Kyiv":"東ヨーロッパ時間","Europe/Lisbon":"西ヨーロッパ時間","Europe/London":"イギリス時間","Europe/Madrid":"中央ヨーロッパ時間","Europe/Malta":"中央ヨーロッパ時間","Europe/Minsk":"モスクワ標準時","Europe/Moscow":"モスクワ標準時","Europe/Paris":"中央ヨーロッパ時間","Europe/Prague":"中央ヨーロッパ時間","Europe/Riga":"東ヨーロッパ時間","Europe/Rome":"中央ヨーロッパ時間","Europe/Samara":"サマラ標準時","Europe/Saratov":"サラトフ時間","Europe/Simferopol":"モスクワ標準時","Europe/Sofia":"東ヨーロッパ時間","Europe/Tallinn":"東ヨーロッパ時間","Europe/Tirane":"中央ヨーロッパ時間","Europe/Ulyanovsk":"ウリヤノフスク時間","Europe/Vienna":"中央ヨーロッパ時間","Europe/Vilnius":"東ヨーロッパ時間","Europe/Volgograd":"ボルゴグラード標準時","Europe/Warsaw":"中央ヨーロッパ時間","Europe/Zurich":"中央ヨーロッパ時間","HST":"ハワイ・アリューシャン標準時","Indian/Chagos":"インド洋時間","Indian/Maldives":"モルディブ時間","Indian/Mauritius":"モーリシャス標準時","MET":"中央ヨーロッパ時間","MST":"アメリカ山地標準時","MST7MDT":"アメリカ山地時間","Pacific/Apia":"アピア標準時","Pacific/Auckland":"ニュージーランド時間","Pacific/Bougainville":"ブーゲンビル時間","Pacific/Chatham":"チャタム時間","Pacific/Easter":"イースター島時間","Pacific/Efate":"バヌアツ標準時","Pacific/Fakaofo":"トケラウ時間","Pacific/Fiji":"フィジー標準時","Pacific/Galapagos":"ガラパゴス時間","Pacific/Gambier":"ガンビエ諸島時間","Pacific/Guadalcanal":"ソロモン諸島時間","Pacific/Guam":"チャモロ時間","Pacific/Honolulu":"ハワイ・アリューシャン標準時","Pacific/Kanton":"フェニックス諸島時間","Pacific/Kiritimati":"ライン諸島時間","Pacific/Kosrae":"コスラエ時間","Pacific/Kwajalein":"マーシャル諸島時間","Pacific/Marquesas":"マルキーズ時間","Pacific/Nauru":"ナウル時間","Pacific/Niue":"ニウエ時間","Pacific/Norfolk":"ノーフォーク島時間","Pacific/Noumea":"ニューカレドニア標準時","Pacific/Pago_Pago":"サモア標準時","Pacific/Palau":"パラオ時間","Pacific/Pitcairn":"ピトケアン時間","Pacific/Port_Moresby":"パプアニューギニア時間","Pacific/Rarotonga":"クック諸島標準時","Pacific/Tahiti":"タヒチ時間","Pacific/Tarawa":"ギルバート諸島時間","Pacific/Tongatapu":"トンガ標準時","PST8PDT":"アメリカ太平洋時間","WET":"西ヨーロッパ時間"}
+	};
+}
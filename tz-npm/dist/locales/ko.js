@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (ko) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("ko", locale_ko)
+export function locale_ko() {
+	return {
+		code: "ko",
+		months: ["1월","2월","3월","4월","5월","6월","7월","8월","9월","10월","11월","12월"],
+		months_standalone: ["1월","2월","3월","4월","5월","6월","7월","8월","9월","10월","11월","12월"],
+		months_short: ["1월","2월","3월","4월","5월","6월","7월","8월","9월","10월","11월","12월"],
+		weekdays: ["일요일","월요일","화요일","수요일","목요일","금요일","토요일"],
+		weekdays_short: ["일","월","화","수","목","금","토"],
+		meridiem: ["오전","오후"],
+		ordinal: (n) => n + '일',
+		plural: () => 'other',
+		units: {"year":{"other":"{0}년"},"month":{"other":"{0}개월"},"week":{"other":"{0}주"},"day":{"other":"{0}일"},"hour":{"other":"{0}시간"},"minute":{"other":"{0}분"},"second":{"other":"{0}초"}},
+		units_short: {"year":{"other":"{0}년"},"month":{"other":"{0}개월"},"week":{"other":"{0}주"},"day":{"other":"{0}일"},"hour":{"other":"{0}시간"},"minute":{"other":"{0}분"},"second":{"other":"{0}초"}},
+		units_compact: {"year":{"other":"{0}년"},"month":{"other":"{0}개월"},"week":{"other":"{0}주"},"day":{"other":"{0}일"},"hour":{"other":"{0}시간"},"minute":{"other":"{0}분"},"second":{"other":"{0}초"}},
+		list: {"sep":", ","last":" 및 ","pair":" 및 "},
+		list_compact: {"sep":" ","last":" ","pair":" "},
+		relative: {"year":{"future":{"other":"{0}년 후"},"past":{"other":"{0}년 전"}},"month":{"future":{"other":"{0}개월 후"},"past":{"other":"{0}개월 전"}},"week":{"future":{"other":"{0}주 후"},"past":{"other":"{0}주 전"}},"day":{"future":{"other":"{0}일 후"},"past":{"other":"{0}일 전"}},"hour":{"future":{"other":"{0}시간 후"},"past":{"other":"{0}시간 전"}},"minute":{"future":{"other":"{0}분 후"},"past":{"other":"{0}분 전"}},"second":{"future":{"other":"{0}초 후"},"past":{"other":"{0}초 전"}}},
+		relative_words: {"now":"지금","today":"오늘","tomorrow":"내일","yesterday":"어제"},
+		phrases: {"dst_starts":"서머타임 시작까지: {0}","dst_ends":"서머타임 종료까지: {0}","no_dst":"이 시간대에는 서머타임 변경이 없습니다.","at":"{0} {1}"},
+		countries: {"AD":"안도라","AE":"아랍에미리트","AF":"아프가니스탄","AG":"앤티가 바부다","AI":"앵귈라","AL":"알바니아","AM":"아르메니아","AO":"앙골라","AQ":"남극 대륙","AR":"아르헨티나","AS":"아메리칸 사모아","AT":"오스트리아","AU":"오스트레일리아","AW":"아루바","AX":"올란드 제도","AZ":"아제르바이잔","BA":"보스니아 헤르체고비나","BB":"바베이도스","BD":"방글라데시","BE":"벨기에","BF":"부르키나파소","BG":"불가리아","BH":"바레인","BI":"부룬디","BJ":"베냉","BL":"생바르텔레미","BM":"버뮤다","BN":"브루나이","BO":"볼리비아","BQ":"네덜란드령 카리브","BR":"브라질","BS":"바하마","BT":"부탄","BW":"보츠와나","BY":"벨라루스","BZ":"벨리즈","CA":"캐나다","CC":"코코스 제도","CD":"콩고-킨샤사","CF":"중앙 아프리카 공화국","CG":"콩고-브라자빌","CH":"스위스","CI":"코트디부아르","CK":"쿡 제도","CL":"칠레","CM":"카메룬","CN":"중국","CO":"콜롬비아","CR":"코스타리카","CU":"쿠바","CV":"카보베르데","CW":"퀴라소","CX":"크리스마스섬","CY":"키프로스","CZ":"체코","DE":"독일","DJ":"지부티","DK":"덴마크","DM":"도미니카","DO":"도미니카 공화국","DZ":"알제리","EC":"에콰도르","EE":"에스토니아","EG":"이집트","EH":"서사하라","ER":"에리트리아","ES":"스페인","ET":"에티오피아","FI":"핀란드","FJ":"피지","FK":"포클랜드 제도","FM":"미크로네시아","FO":"페로 제도","FR":"프랑스","GA":"가봉","GB":"영국","GD":"그레나다","GE":"조지아","GF":"프랑스령 기아나","GG":"건지","GH":"가나","GI":"지브롤터","GL":"그린란드","GM":"감비아","GN":"기니","GP":"과들루프","GQ":"적도 기니","GR":"그리스","GS":"사우스조지아 사우스샌드위치 제도","GT":"과테말라","GU":"괌","GW":"기니비사우","GY":"가이아나","HK":"홍콩(중국 특별행정구)","HN":"온두라스","HR":"크로아티아","HT":"아이티","HU":"헝가리","ID":"인도네시아","IE":"아일랜드","IL":"이스라엘","IM":"맨섬","IN":"인도","IO":"영국령 인도양 지역","IQ":"이라크","IR":"이란","IS":"아이슬란드","IT":"이탈리아","JE":"저지","JM":"자메이카","JO":"요르단","JP":"일본","KE":"케냐","KG":"키르기스스탄","KH":"캄보디아","KI":"키리바시","KM":"코모로","KN":"세인트키츠 네비스","KP":"북한","KR":"대한민국","KW":"쿠웨이트","KY":"케이맨 제도","KZ":"카자흐스탄","LA":"라오스","LB":"레바논","LC":"세인트루시아","LI":"리히텐슈타인","LK":"스리랑카","LR":"라이베리아","LS":"레소토","LT":"리투아니아","LU":"룩셈부르크","LV":"라트비아","LY":"리비아","MA":"모로코","MC":"모나코","MD":"몰도바","ME":"몬테네그로","MF":"생마르탱","MG":"마다가스카르","MH":"마셜 제도","MK":"북마케도니아","ML":"말리","MM":"미얀마","MN":"몽골","MO":"마카오(중국 특별행정구)","MP":"북마리아나제도","MQ":"마르티니크","MR":"모리타니","MS":"몬트세라트","MT":"몰타","MU":"모리셔스","MV":"몰디브","MW":"말라위","MX":"멕시코","MY":"말레이시아","MZ":"모잠비크","NA":"나미비아","NC":"뉴칼레도니아","NE":"니제르","NF":"노퍽섬","NG":"나이지리아","NI":"니카라과","NL":"네덜란드","NO":"노르웨이","NP":"네팔","NR":"나우루","NU":"니우에","NZ":"뉴질랜드","OM":"오만","PA":"파나마","PE":"페루","PF":"프랑스령 폴리네시아","PG":"파푸아뉴기니","PH":"필리핀","PK":"파키스탄","PL":"폴란드","PM":"생피에르 미클롱","PN":"핏케언 제도","PR":"푸에르토리코","PS":"팔레스타인 지구","PT":"포르투갈","PW":"팔라우","PY":"파라과이","QA":"카타르","RE":"레위니옹","RO":"루마니아","RS":"세르비아","RU":"러시아","RW":"르완다","SA":"사우디아라비아","SB":"솔로몬 제도","SC":"세이셸","SD":"수단","SE":"스웨덴","SG":"싱가포르","SH":"세인트헬레나","SI":"슬로베니아","SJ":"스발바르제도-얀마웬섬","SK":"슬로바키아","SL":"시에라리온","SM":"산마리노","SN":"세네갈","SO":"소말리아","SR":"수리남","SS":"남수단","ST":"상투메 프린시페","SV":"엘살바도르","SX":"신트마르턴","SY":"시리아","SZ":"에스와티니","TC":"터크스 케이커스 제도","TD":"차드","TF":"프랑스령 남방 지역","TG":"토고","TH":"태국","TJ":"타지키스탄","TK":"토켈라우","TL":"동티모르","TM":"투르크메니스탄","TN":"튀니지","TO":"통가","TR":"튀르키예","TT":"트리니다드 토바고","TV":"투발루","TW":"대만","TZ":"탄자니아","UA":"우크라이나","UG":"우간다","UM":"미국령 해외 제도","US":"미국","UY":"우루과이","UZ":"우즈베키스탄","VA":"바티칸 시국","VC":"세인트빈센트그레나딘","VE":"베네수엘라","VG":"영국령 버진아일랜드","VI":"미국령 버진아일랜드","VN":"베트남","VU":"바누아투","WF":"왈리스-푸투나 제도","WS":"사모아","YE":"예멘","YT":"마요트","ZA":"남아프리카","ZM":"잠비아","ZW":"짐바브웨"},
+		zones: {"Africa/Abidjan":"코트디부아르","Africa/Algiers":"알제리","Africa/Bissau":"기니비사우","Africa/Cairo":"이집트","Africa/Casablanca":"모로코","Africa/Ceuta":"세우타","Africa/El_Aaiun":"서사하라","Africa/Johannesburg":"남아프리카","Africa/Juba":"남수단","Africa/Khartoum":"수단","Africa/Lagos":"나이지리아","Africa/Maputo":"모잠비크","Africa/Monrovia":"라이베리아","Africa/Nairobi":"케냐","Africa/Ndjamena":"차드","Africa/Sao_Tome":"상투메 프린시페","Africa/Tripoli":"리비아","Africa/Tunis":"튀니지","Africa/Windhoek":"나미비아","America/Adak":"에이닥","America/Anchorage":"앵커리지","America/Araguaina":"아라과이나","America/Argentina/Buenos_Aires":"부에노스 아이레스","America/Argentina/Catamarca":"카타마르카","America/Argentina/Cordoba":"코르도바","America/Argentina/Jujuy":"후후이","America/Argentina/La_Rioja":"라 리오하","America/Argentina/Mendoza":"멘도사","America/Argentina/Rio_Gallegos":"리오 가예고스","America/Argentina/Salta":"살타","America/Argentina/San_Juan":"산후안","America/Argentina/San_Luis":"산루이스","America/Argentina/Tucuman":"투쿠만","America/Argentina/Ushuaia":"우수아이아","America/Asuncion":"파라과이","America/Bahia":"바히아","America/Bahia_Banderas":"바이아 반데라스","America/Barbados":"바베이도스","America/Belem":"벨렘","America/Belize":"벨리즈","America/Boa_Vista":"보아 비스타","America/Bogota":"콜롬비아","America/Boise":"보이시","America/Cambridge_Bay":"케임브리지 베이","America/Campo_Grande":"캄포 그란데","America/Cancun":"칸쿤","America/Caracas":"베네수엘라","America/Cayenne":"프랑스령 기아나","America/Chicago":"시카고","America/Chihuahua":"치와와","America/Ciudad_Juarez":"시우다드후아레스","America/Costa_Rica":"코스타리카","America/Cuiaba":"쿠이아바","America/Danmarkshavn":"덴마크샤븐","America/Dawson":"도슨","America/Dawson_Creek":"도슨크릭","America/Denver":"덴버","America/Detroit":"디트로이트","America/Edmonton":"에드먼턴","America/Eirunepe":"아이루네페","America/El_Salvador":"엘살바도르","America/Fort_Nelson":"포트 넬슨","America/Fortaleza":"포르탈레자","America/Glace_Bay":"글라스베이","America/Goose_Bay":"구즈베이","America/Grand_Turk":"터크스 케이커스 제도","America/Guatemala":"과테말라","America/Guayaquil":"에콰도르","America/Guyana":"가이아나","America/Halifax":"핼리팩스","America/Havana":"쿠바","America/Hermosillo":"에르모시요","America/Indiana/Indianapolis":"인디애나폴리스","America/Indiana/Knox":"인디애나주, 녹스","America/Indiana/Marengo":"인디애나주, 머렝고","America/Indiana/Petersburg":"인디애나주, 피츠버그","America/Indiana/Tell_City":"인디애나주, 텔시티","America/Indiana/Vevay":"인디애나주, 비비","America/Indiana/Vincennes":"인디애나주, 빈센스","America/Indiana/Winamac":"인디애나주, 위너맥","America/Inuvik":"이누빅","America/Iqaluit":"이칼루이트","America/Jamaica":"자메이카","America/Juneau":"주노","America/Kentucky/Louisville":"루이빌","America/Kentucky/Monticello":"켄터키주, 몬티첼로","America/La_Paz":"볼리비아","America/Lima":"페루","America/Los_Angeles":"로스앤젤레스","America/Maceio":"마세이오","America/Managua":"니카라과","America/Manaus":"마나우스","America/Martinique":"마르티니크","America/Matamoros":"마타모로스","America/Mazatlan":"마사틀란","America/Menominee":"메노미니","America/Merida":"메리다","America/Metlakatla":"메틀라카틀라","America/Mexico_City":"멕시코 시티","America/Miquelon":"생피에르 미클롱","America/Moncton":"몽턴","America/Monterrey":"몬테레이","America/Montevideo":"우루과이","America/New_York":"뉴욕","America/Nome":"놈","America/Noronha":"노롱야","America/North_Dakota/Beulah":"노스다코타주, 베라","America/North_Dakota/Center":"중부, 노스다코타","America/North_Dakota/New_Salem":"노스다코타주, 뉴살렘","America/Nuuk":"고드호프","America/Ojinaga":"오히나가","America/Panama":"파나마","America/Paramaribo":"수리남","America/Phoenix":"피닉스","America/Port-au-Prince":"아이티","America/Porto_Velho":"포르토벨료","America/Puerto_Rico":"푸에르토리코","America/Punta_Arenas":"푼타아레나스","America/Rankin_Inlet":"랭킹 인렛","America/Recife":"레시페","America/Regina":"리자이나","America/Resolute":"리졸루트","America/Rio_Branco":"히우 브랑쿠","America/Santarem":"산타렘","America/Santiago":"칠레","America/Santo_Domingo":"도미니카 공화국","America/Sao_Paulo":"상파울루","America/Scoresbysund":"스코레스바이선드","America/Sitka":"싯카","America/St_Johns":"세인트존스","America/Swift_Current":"스위프트커런트","America/Tegucigalpa":"온두라스","America/Thule":"툴레","America/Tijuana":"티후아나","America/Toronto":"토론토","America/Vancouver":"벤쿠버","America/Whitehorse":"화이트호스","America/Winnipeg":"위니펙","America/Yakutat":"야쿠타트","Antarctica/Casey":"케이시","Antarctica/Davis":"데이비스","Antarctica/Macquarie":"맥쿼리","Antarctica/Mawson":"모슨","Antarctica/Palmer":"파머","Antarctica/Rothera":"로데라","Antarctica/Troll":"트롤","Antarctica/Vostok":"보스토크","Asia/Almaty":"알마티","Asia/Amman":"요르단","Asia/Anadyr":"아나디리","Asia/Aqtau":"아크타우","Asia/Aqtobe":"악토브","Asia/Ashgabat":"투르크메니스탄","Asia/Atyrau":"아티라우","Asia/Baghdad":"이라크","Asia/Baku":"아제르바이잔","Asia/Bangkok":"태국","Asia/Barnaul":"바르나울","Asia/Beirut":"레바논","Asia/Bishkek":"키르기스스탄","Asia/Chita":"치타","Asia/Choibalsan":"울란바토르","Asia/Colombo":"스리랑카","Asia/Damascus":"시리아","Asia/Dhaka":"방글라데시","Asia/Dili":"동티모르","Asia/Dubai":"아랍에미리트","Asia/Dushanbe":"타지키스탄","Asia/Famagusta":"파마구스타","Asia/Gaza":"가자","Asia/Hebron":"헤브론","Asia/Ho_Chi_Minh":"베트남","Asia/Hong_Kong":"홍콩(중국 특별행정구)","Asia/Hovd":"호브드","Asia/Irkutsk":"이르쿠츠크","Asia/Jakarta":"자카르타","Asia/Jayapura":"자야푸라","Asia/Jerusalem":"이스라엘","Asia/Kabul":"아프가니스탄","Asia/Kamchatka":"캄차카","Asia/Karachi":"파키스탄","Asia/Kathmandu":"네팔","Asia/Khandyga":"한디가","Asia/Kolkata":"인도","Asia/Krasnoyarsk":"크라스노야르스크","Asia/Kuching":"쿠칭","Asia/Macau":"마카오(중국 특별행정구)","Asia/Magadan":"마가단","Asia/Makassar":"마카사르","Asia/Manila":"필리핀","Asia/Nicosia":"니코시아","Asia/Novokuznetsk":"노보쿠즈네츠크","Asia/Novosibirsk":"노보시비르스크","Asia/Omsk":"옴스크","Asia/Oral":"오랄","Asia/Pontianak":"폰티아나크","Asia/Pyongyang":"북한","Asia/Qatar":"카타르","Asia/Qostanay":"코스타나이","Asia/Qyzylorda":"키질로르다","Asia/Riyadh":"사우디아라비아","Asia/Sakhalin":"사할린","Asia/Samarkand":"사마르칸트","Asia/Seoul":"대한민국","Asia/Shanghai":"중국","Asia/Singapore":"싱가포르","Asia/Srednekolymsk":"스레드네콜림스크","Asia/Taipei":"대만","Asia/Tashkent":"우즈베키스탄","Asia/Tbilisi":"조지아","Asia/Tehran":"이란","Asia/Thimphu":"부탄","Asia/Tokyo":"일본","Asia/Tomsk":"톰스크","Asia/Ulaanbaatar":"울란바토르","Asia/Urumqi":"우루무치","Asia/Ust-Nera":"우스티네라","Asia/Vladivostok":"블라디보스토크","Asia/Yakutsk":"야쿠츠크","Asia/Yangon":"미얀마","Asia/Yekaterinburg":"예카테린부르크","Asia/Yerevan":"아르메니아","Atlantic/Azores":"아조레스","Atlantic/Bermuda":"버뮤다","Atlantic/Canary":"카나리아 제도","Atlantic/Cape_Verde":"카보베르데","Atlantic/Faroe":"페로 제도","Atlantic/Madeira":"마데이라","Atlantic/South_Georgia":"사우스조지아 사우스샌드위치 제도","Atlantic/Stanley":"포클랜드 제도","Australia/Adelaide":"애들레이드","Australia/Brisbane":"브리스베인","Australia/Broken_Hill":"브로컨힐","Australia/Darwin":"다윈","Australia/Eucla":"유클라","Australia/Hobart":"호바트","Australia/Lindeman":"린데만","Australia/Lord_Howe":"로드 하우","Australia/Melbourne":"멜버른","Australia/Perth":"퍼스","Australia/Sydney":"시드니","CET":"벨기에","CST6CDT":"시카고","EET":"그리스","EST":"파나마","EST5EDT":"뉴욕","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"안도라","Europe/Astrakhan":"아스트라한","Europe/Athens":"그리스","Europe/Belgrade":"세르비아","Europe/Berlin":"독일","Europe/Brussels":"벨기에","Europe/Bucharest":"루마니아","Europe/Budapest":"헝가리","Europe/Chisinau":"몰도바","Europe/Dublin":"아일랜드","Europe/Gibraltar":"지브롤터","Europe/Helsinki":"핀란드","Europe/Istanbul":"튀르키예","Europe/Kaliningrad":"칼리닌그라드","Europe/Kirov":"키로프","Europe/Kyiv":"우크라이나","Europe/Lisbon":"포르투갈","Europe/London":"영국","Europe/Madrid":"스페인","Europe/Malta":"몰타","Europe/Minsk":"벨라루스","Europe/Moscow":"모스크바","Europe/Paris":"프랑스","Europe/Prague":"체코","Europe/Riga":"라트비아","Europe/Rome":"이탈리아","Europe/Samara":"사마라","Europe/Saratov":"사라토프","Europe/Simferopol":"심페로폴","Europe/Sofia":"불가리아","Europe/Tallinn":"에스토니아","Europe/Tirane":"알바니아","Europe/Ulyanovsk":"울리야노프스크","Europe/Vienna":"오스트리아","Europe/Vilnius":"리투아니아","Europe/Volgograd":"볼고그라트","Europe/Warsaw":"폴란드","Europe/Zurich":"스위스","Factory":"Factory","HST":"호놀룰루","Indian/Chagos":"영국령 인도양 지역","Indian/Maldives":"몰디브","Indian/Mauritius":"모리셔스","MET":"벨기에","MST":"피닉스","MST7MDT":"덴버","Pacific/Apia":"사모아","Pacific/Auckland":"뉴질랜드","Pacific/Bougainville":"부갱빌","Pacific/Chatham":"채텀","Pacific/Easter":"이스터 섬","Pacific/Efate":"바누아투","Pacific/Fakaofo":"토켈라우","Pacific/Fiji":"피지","Pacific/Galapagos":"갈라파고스","Pacific/Gambier":"감비어","Pacific/Guadalcanal":"솔로몬 제도","Pacific/Guam":"괌","Pacific/Honolulu":"호놀룰루","Pacific/Kanton":"엔더베리","Pacific/Kiritimati":"키리티마티","Pacific/Kosrae":"코스레","Pacific/Kwajalein":"콰잘렌","Pacific/Marquesas":"마퀘사스","Pacific/Nauru":"나우루","Pacific/Niue":"니우에","Pacific/Norfolk":"노퍽섬","Pacific/Noumea":"뉴칼레도니아","Pacific/Pago_Pago":"아메리칸 사모아","Pacific/Palau":"팔라우","Pacific/Pitcairn":"핏케언 제도","Pacific/Port_Moresby":"포트모르즈비","Pacific/Rarotonga":"쿡 제도","Pacific/Tahiti":"타히티","Pacific/Tarawa":"타라와","Pacific/Tongatapu":"통가","PST8PDT":"로스앤젤레스","WET":"포르투갈"},
+		zone_names: {"Africa/Abidjan":"그리니치 표준시","Africa/Algiers":"중부유럽 표준시","Africa/Bissau":"그리니치 표준시","Africa/Cairo":"동유럽 시간","Africa/Casablanca":"모로코 시간","Africa/Ceuta":"중부유럽 시간","Africa/El_Aaiun":"서사하라 시간","Africa/Johannesburg":"남아프리카 시간","Africa/Juba":"중앙아프리카 시간","Africa/Khartoum":"중앙아프리카 시간","Africa/Lagos":"서아프리카 표준시","Africa/Maputo":"중앙아프리카 시간","Africa/Monrovia":"그리니치 표준시","Africa/Nairobi":"동아프리카 시간","Africa/Ndjamena":"서아프리카 표준시","Africa/Sao_Tome":"그리니치 표준시","Africa/Tripoli":"동유럽 표준시","Africa/Tunis":"중부유럽 표준시","Africa/Windhoek":"중앙아프리카 시간","America/Adak":"하와이 알류샨 시간","America/Anchorage":"알래스카 시간","America/Araguaina":"브라질리아 표준시","America/Argentina/Buenos_Aires":"아르헨티나 표준시","America/Argentina/Catamarca":"아르헨티나 표준시","America/Argentina/Cordoba":"아르헨티나 표준시","America/Argentina/Jujuy":"아르헨티나 표준시","America/Argentina/La_Rioja":"아르헨티나 표준시","America/Argentina/Mendoza":"아르헨티나 표준시","America/Argentina/Rio_Gallegos":"아르헨티나 표준시","America/Argentina/Salta":"아르헨티나 표준시","America/Argentina/San_Juan":"아르헨티나 표준시","America/Argentina/San_Luis":"아르헨티나 표준시","America/Argentina/Tucuman":"아르헨티나 표준시","America/Argentina/Ushuaia":"아르헨티나 표준시","America/Asuncion":"파라과이 시간","America/Bahia":"브라질리아 표준시","America/Bahia_Banderas":"미 중부 표준시","America/Barbados":"대서양 표준시","America/Belem":"브라질리아 표준시","America/Belize":"미 중부 표준시","America/Boa_Vista":"아마존 표준시","America/Bogota":"콜롬비아 표준시","America/Boise":"미 산지 시간","America/Cambridge_Bay":"미 산지 시간","America/Campo_Grande":"아마존 표준시","America/Cancun":"미 동부 표준시","America/Caracas":"베네수엘라 시간","America/Cayenne":"프랑스령 가이아나 시간","America/Chicago":"미 중부 시간","America/Chihuahua":"미 중부 표준시","America/Ciudad_Juarez":"미 산지 시간","America/Costa_Rica":"미 중부 표준시","America/Cuiaba":"아마존 표준시","America/Danmarkshavn":"그리니치 표준시","America/Dawson":"유콘 시간","America/Dawson_Creek":"미 산악 표준시","America/Denver":"미 산지 시간","America/Detroit":"미 동부 시간","America/Edmonton":"미 산지 시간","America/Eirunepe":"아크레 표준시","America/El_Salvador":"미 중부 표준시","America/Fort_Nelson":"미 산악 표준시","America/Fortaleza":"브라질리아 표준시","America/Glace_Bay":"대서양 시간","America/Goose_Bay":"대서양 시간","America/Grand_Turk":"미 동부 시간","America/Guatemala":"미 중부 표준시","America/Guayaquil":"에콰도르 시간","America/Guyana":"가이아나 시간","America/Halifax":"대서양 시간","America/Havana":"쿠바 시간","America/Hermosillo":"멕시코 태평양 표준시","America/Indiana/Indianapolis":"미 동부 시간","America/Indiana/Knox":"미 중부 시간","America/Indiana/Marengo":"미 동부 시간","America/Indiana/Petersburg":"미 동부 시간","America/Indiana/Tell_City":"미 중부 시간","America/Indiana/Vevay":"미 동부 시간","America/Indiana/Vincennes":"미 동부 시간","America/Indiana/Winamac":"미 동부 시간","America/Inuvik":"미 산지 시간","America/Iqaluit":"미 동부 시간","America/Jamaica":"미 동부 표준시","America/Juneau":"알래스카 시간","America/Kentucky/Louisville":"미 동부 시간","America/Kentucky/Monticello":"미 동부 시간","America/La_Paz":"볼리비아 시간","America/Lima":"페루 표준시","America/Los_Angeles":"미 태평양 시간","America/Maceio":"브라질리아 표준시","America/Managua":"미 중부 표준시","America/Manaus":"아마존 표준시","America/Martinique":"대서양 표준시","America/Matamoros":"미 중부 시간","America/Mazatlan":"멕시코 태평양 표준시","America/Menominee":"미 중부 시간","America/Merida":"미 중부 표준시","America/Metlakatla":"알래스카 시간","America/Mexico_City":"미 중부 표준시","America/Miquelon":"세인트피에르 미클롱 시간","America/Moncton":"대서양 시간","America/Monterrey":"미 중부 표준시","America/Montevideo":"우루과이 표준시","America/New_York":"미 동부 시간","America/Nome":"알래스카 시간","America/Noronha":"페르난도 데 노로냐 표준시","America/North_Dakota/Beulah":"미 중부 시간","America/North_Dakota/Center":"미 중부 시간","America/North_Dakota/New_Salem":"미 중부 시간","America/Nuuk":"고드호프 시간","America/Ojinaga":"미 중부 시간","America/Panama":"미 동부 표준시","America/Paramaribo":"수리남 시간","America/Phoenix":"미 산악 표준시","America/Port-au-Prince":"미 동부 시간","America/Porto_Velho":"아마존 표준시","America/Puerto_Rico":"대서양 표준시","America/Punta_Arenas":"푼타아레나스 시간","America/Rankin_Inlet":"미 중부 시간","America/Recife":"브라질리아 표준시","America/Regina":"미 중부 표준시","America/Resolute":"미 중부 시간","America/Rio_Branco":"아크레 표준시","America/Santarem":"브라질리아 표준시","America/Santiago":"칠레 시간","America/Santo_Domingo":"대서양 표준시","America/Sao_Paulo":"브라질리아 표준시","America/Scoresbysund":"스코레스바이선드 시간","America/Sitka":"알래스카 시간","America/St_Johns":"뉴펀들랜드 시간","America/Swift_Current":"미 중부 표준시","America/Tegucigalpa":"미 중부 표준시","America/Thule":"대서양 시간","America/Tijuana":"미 태평양 시간","America/Toronto":"미 동부 시간","America/Vancouver":"미 태평양 시간","America/Whitehorse":"유콘 시간","America/Winnipeg":"미 중부 시간","America/Yakutat":"알래스카 시간","Antarctica/Casey":"오스트레일리아 서부 표준시","Antarctica/Davis":"데이비스 시간","Antarctica/Macquarie":"오스트레일리아 동부 시간","Antarctica/Mawson":"모슨 시간","Antarctica/Palmer":"파머 시간","Antarctica/Rothera":"로데라 시간","Antarctica/Troll":"트롤 시간","Antarctica/Vostok":"보스톡 시간","Asia/Almaty":"카자흐스탄 시간","Asia/Amman":"요르단 시간","Asia/Anadyr":"아나디리 표준시","Asia/Aqtau":"카자흐스탄 시간","Asia/Aqtobe":"카자흐스탄 시간","Asia/Ashgabat":"투르크메니스탄 표준시","Asia/Atyrau":"카자흐스탄 시간","Asia/Baghdad":"아라비아 표준시","Asia/Baku":"아제르바이잔 표준시","Asia/Bangkok":"인도차이나 시간","Asia/Barnaul":"바르나울 시간","Asia/Beirut":"동유럽 시간","Asia/Bishkek":"키르기스스탄 시간","Asia/Chita":"야쿠츠크 표준시","Asia/Choibalsan":"울란바토르 표준시","Asia/Colombo":"인도 표준시","Asia/Damascus":"시리아 시간","Asia/Dhaka":"방글라데시 표준시","Asia/Dili":"동티모르 시간","Asia/Dubai":"걸프만 표준시","Asia/Dushanbe":"타지키스탄 시간","Asia/Famagusta":"파마구스타 시간","Asia/Gaza":"동유럽 시간","Asia/Hebron":"동유럽 시간","Asia/Ho_Chi_Minh":"인도차이나 시간","Asia/Hong_Kong":"홍콩 표준시","Asia/Hovd":"호브드 표준시","Asia/Irkutsk":"이르쿠츠크 표준시","Asia/Jakarta":"서부 인도네시아 시간","Asia/Jayapura":"동부 인도네시아 시간","Asia/Jerusalem":"이스라엘 시간","Asia/Kabul":"아프가니스탄 시간","Asia/Kamchatka":"페트로파블롭스크-캄차츠키 표준시","Asia/Karachi":"파키스탄 표준시","Asia/Kathmandu":"네팔 시간","Asia/Khandyga":"야쿠츠크 표준시","Asia/Kolkata":"인도 표준시","Asia/Krasnoyarsk":"크라스노야르스크 표준시","Asia/Kuching":"말레이시아 시간","Asia/Macau":"중국 표준시","Asia/Magadan":"마가단 표준시","Asia/Makassar":"중부 인도네시아 시간","Asia/Manila":"필리핀 표준시","Asia/Nicosia":"동유럽 시간","Asia/Novokuznetsk":"크라스노야르스크 표준시","Asia/Novosibirsk":"노보시비르스크 표준시","Asia/Omsk":"옴스크 표준시","Asia/Oral":"카자흐스탄 시간","Asia/Pontianak":"서부 인도네시아 시간","Asia/Pyongyang":"대한민국 표준시","Asia/Qatar":"아라비아 표준시","Asia/Qostanay":"카자흐스탄 시간","Asia/Qyzylorda":"카자흐스탄 시간","Asia/Riyadh":"아라비아 표준시","Asia/Sakhalin":"사할린 표준시","Asia/Samarkand":"우즈베키스탄 표준시","Asia/Seoul":"대한민국 표준시","Asia/Shanghai":"중국 표준시","Asia/Singapore":"싱가포르 표준시","Asia/Srednekolymsk":"스레드네콜림스크 시간","Asia/Taipei":"대만 표준시","Asia/Tashkent":"우즈베키스탄 표준시","Asia/Tbilisi":"조지아 표준시","Asia/Tehran":"이란 표준시","Asia/Thimphu":"부탄 시간","Asia/Tokyo":"일본 표준시","Asia/Tomsk":"톰스크 시간","Asia/Ulaanbaatar":"울란바토르 표준시","Asia/Urumqi":"우루무치 시간","Asia/Ust-Nera":"블라디보스토크 표준시","Asia/Vladivostok":"블라디보스토크 표준시","Asia/Yakutsk":"야쿠츠크 표준시","Asia/Yangon":"미얀마 시간","Asia/Yekaterinburg":"예카테린부르크 표준시","Asia/Yerevan":"아르메니아 표준시","Atlantic/Azores":"아조레스 시간","Atlantic/Bermuda":"대서양 시간","Atlantic/Canary":"서유럽 시간","Atlantic/Cape_Verde":"카보 베르데 표준시","Atlantic/Faroe":"서유럽 시간","Atlantic/Madeira":"서유럽 시간","Atlantic/South_Georgia":"사우스 조지아 시간","Atlantic/Stanley":"포클랜드 제도 표준시","Australia/Adelaide":"오스트레일리아 중부 시간","Australia/Brisbane":"오스트레일리아 동부 표준시","Australia/Broken_Hill":"오스트레일리아 중부 시간","Australia/Darwin":"오스트레일리아 중부 표준시","Australia/Eucla":"오스트레일리아 중서부 표준시","Australia/Hobart":"오스트레일리아 동부 시간","Australia/Lindeman":"오스트레일리아 동부 표준시","Australia/Lord_Howe":"로드 하우 시간","Australia/Melbourne":"오스트레일리아 동부 시간","Australia/Perth":"오스트레일리아 서부 표준시","Australia/Sydney":"오스트레일리아 동부 시간","CET":"중부유럽 시간","CST6CDT":"미 중부 시간","EET":"동유럽 시간","EST":"미 동부 표준시","EST5EDT":"미 동부 시간","Europe/Andorra":"중부유럽 시간","Europe/Astrakhan":"아스트라한 시간","Europe/Athens":"동유럽 시간","Europe/Belgrade":"중부유럽 시간","Europe/Berlin":"중부유럽 시간","Europe/Brussels":"중부유럽 시간","Europe/Bucharest":"동유럽 시간","Europe/Budapest":"중부유럽 시간","Europe/Chisinau":"동유럽 시간","Europe/Dublin":"아일랜드 시간","Europe/Gibraltar":"중부유럽 시간","Europe/Helsinki":"동유럽 시간","Europe/Istanbul":"튀르키예 시간","Europe/Kaliningrad":"동유럽 표준시","Europe/Kirov":"키로프 시간","Europe/Kyiv":"동유럽 시간","Europe/Lisbon":"서유럽 시간","Europe/London":"영국 시간","Europe/Madrid":"중부유럽 시간","Europe/Malta":"중부유럽 시간","Europe/Minsk":"모스크바 표준시","Europe/Moscow":"모스크바 표준시","Europe/Paris":"중부유럽 시간","Europe/Prague":"중부유럽 시간","Europe/Riga":"동유럽 시간","Europe/Rome":"중부유럽 시간","Europe/Samara":"사마라 표준시","Europe/Saratov":"사라토프 시간","Europe/Simferopol":"모스크바 표준시","Europe/Sofia":"동유럽 시간","Europe/Tallinn":"동유럽 시간","Europe/Tirane":"중부유럽 시간","Europe/Ulyanovsk":"울리야노프스크 시간","Europe/Vienna":"중부유럽 시간","Europe/Vilnius":"동유럽 시간","Europe/Volgograd":"볼고그라드 표준시","Europe/Warsaw":"중부유럽 시간","Europe/Zurich":"중부유럽 시간","HST":"하와이 알류샨 표준시","Indian/Chagos":"인도양 시간","Indian/Maldives":"몰디브 시간","Indian/Mauritius":"모리셔스 표준시","MET":"중부유럽 시간","MST":"미 산악 표준시","MST7MDT":"미 산지 시간","Pacific/Apia":"아피아 표준시","Pacific/Auckland":"뉴질랜드 시간","Pacific/Bougainville":"부갱빌 시간","Pacific/Chatham":"채텀 시간","Pacific/Easter":"이스터섬 시간","Pacific/Efate":"바누아투 표준시","Pacific/Fakaofo":"토켈라우 시간","Pacific/Fiji":"피지 표준시","Pacific/Galapagos":"갈라파고스 시간","Pacific/Gambier":"감비에 시간","Pacific/Guadalcanal":"솔로몬 제도 시간","Pacific/Guam":"차모로 시간","Pacific/Honolulu":"하와이 알류샨 표준시","Pacific/Kanton":"피닉스 제도 시간","Pacific/Kiritimati":"라인 제도 시간","Pacific/Kosrae":"코스라에섬 시간","Pacific/Kwajalein":"마셜 제도 시간","Pacific/Marquesas":"마르키즈 제도 시간","Pacific/Nauru":"나우루 시간","Pacific/Niue":"니우에 시간","Pacific/Norfolk":"노퍽섬 시간","Pacific/Noumea":"뉴칼레도니아 표준시","Pacific/Pago_Pago":"사모아 표준시","Pacific/Palau":"팔라우 시간","Pacific/Pitcairn":"핏케언 시간","Pacific/Port_Moresby":"파푸아뉴기니 시간","Pacific/Rarotonga":"쿡 제도 표준시","Pacific/Tahiti":"타히티 시간","Pacific/Tarawa":"길버트 제도 시간","Pacific/Tongatapu":"통가 표준시","PST8PDT":"미 태평양 시간","WET":"서유럽 시간"}
+	};
+}
@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (pt) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("pt", locale_pt)
+export function locale_pt() {
+	return {
+		code: "pt",
+		months: ["janeiro","fevereiro","março","abril","maio","junho","julho","agosto","setembro","outubro","novembro","dezembro"],
+		months_standalone: ["janeiro","fevereiro","março","abril","maio","junho","julho","agosto","setembro","outubro","novembro","dezembro"],
+		months_short: ["jan.","fev.","mar.","abr.","mai.","jun.","jul.","ago.","set.","out.","nov.","dez."],
+		weekdays: ["domingo","segunda-feira","terça-feira","quarta-feira","quinta-feira","sexta-feira","sábado"],
+		weekdays_short: ["dom.","seg.","ter.","qua.","qui.","sex.","sáb."],
+		meridiem: ["AM","PM"],
+		ordinal: (n) => n + 'º',
+		plural: (n) => n === 0 || n === 1 ? 'one' : 'other',
+		units: {"year":{"one":"{0} ano","other":"{0} anos"},"month":{"one":"{0} mês","other":"{0} meses"},"week":{"one":"{0} semana","other":"{0} semanas"},"day":{"one":"{0} dia","other":"{0} dias"},"hour":{"one":"{0} hora","other":"{0} horas"},"minute":{"one":"{0} minuto","other":"{0} minutos"},"second":{"one":"{0} segundo","other":"{0} segundos"}},
+		units_short: {"year":{"one":"{0} ano","other":"{0} anos"},"month":{"one":"{0} mês","other":"{0} meses"},"week":{"one":"{0} sem.","other":"{0} sem."},"day":{"one":"{0} dia","other":"{0} dias"},"hour":{"one":"{0} h","other":"{0} h"},"minute":{"one":"{0} min","other":"{0} min"},"second":{"one":"{0} s","other":"{0} s"}},
+		units_compact: {"year":{"one":"{0} ano","other":"{0} anos"},"month":{"one":"{0} mês","other":"{0} meses"},"week":{"one":"{0} sem.","other":"{0} sem."},"day":{"one":"{0} dia","other":"{0} dias"},"hour":{"one":"{0} h","other":"{0} h"},"minute":{"one":"{0} min","other":"{0} min"},"second":{"one":"{0} s","other":"{0} s"}},
+		list: {"sep":", ","last":" e ","pair":" e "},
+		list_compact: {"sep":" ","last":" ","pair":" "},
+		relative: {"year":{"future":{"one":"em {0} ano","other":"em {0} anos"},"past":{"one":"há {0} ano","other":"há {0} anos"}},"month":{"future":{"one":"em {0} mês","other":"em {0} meses"},"past":{"one":"há {0} mês","other":"há {0} meses"}},"week":{"future":{"one":"em {0} semana","other":"em {0} semanas"},"past":{"one":"há {0} semana","other":"há {0} semanas"}},"day":{"future":{"one":"em {0} dia","other":"em {0} dias"},"past":{"one":"há {0} dia","other":"há {0} dias"}},"hour":{"future":{"one":"em {0} hora","other":"em {0} horas"},"past":{"one":"há {0} hora","other":"há {0} horas"}},"minute":{"future":{"one":"em {0} minuto","other":"em {0} minutos"},"past":{"one":"há {0} minuto","other":"há {0} minutos"}},"second":{"future":{"one":"em {0} segundo","other":"em {0} segundos"},"past":{"one":"há {0} segundo","other":"há {0} segundos"}}},
+		relative_words: {"now":"agora","today":"hoje","tomorrow":"amanhã","yesterday":"ontem"},
+		phrases: {"dst_starts":"Tempo até o início do horário de verão: {0}","dst_ends":"Tempo até o fim do horário de verão: {0}","no_dst":"Sem mudanças de horário de verão neste fuso horário.","at":"{0} às {1}"},
+		countries: {"AD":"Andorra","AE":"Emirados Árabes Unidos","AF":"Afeganistão","AG":"Antígua e Barbuda","AI":"Anguila","AL":"Albânia","AM":"Armênia","AO":"Angola","AQ":"Antártida","AR":"Argentina","AS":"Samoa Americana","AT":"Áustria","AU":"Austrália","AW":"Aruba","AX":"Ilhas Aland","AZ":"Azerbaijão","BA":"Bósnia e Herzegovina","BB":"Barbados","BD":"Bangladesh","BE":"Bélgica","BF":"Burquina Faso","BG":"Bulgária","BH":"Barein","BI":"Burundi","BJ":"Benin","BL":"São Bartolomeu","BM":"Bermudas","BN":"Brunei","BO":"Bolívia","BQ":"Países Baixos Caribenhos","BR":"Brasil","BS":"Bahamas","BT":"Butão","BW":"Botsuana","BY":"Bielorrússia","BZ":"Belize","CA":"Canadá","CC":"Ilhas Cocos (Keeling)","CD":"Congo - Kinshasa","CF":"República Centro-Africana","CG":"República do Congo","CH":"Suíça","CI":"Costa do Marfim","CK":"Ilhas Cook","CL":"Chile","CM":"Camarões","CN":"China","CO":"Colômbia","CR":"Costa Rica","CU":"Cuba","CV":"Cabo Verde","CW":"Curaçao","CX":"Ilha Christmas","CY":"Chipre","CZ":"Tchéquia","DE":"Alemanha","DJ":"Djibuti","DK":"Dinamarca","DM":"Dominica","DO":"República Dominicana","DZ":"Argélia","EC":"Equador","EE":"Estônia","EG":"Egito","EH":"Saara Ocidental","ER":"Eritreia","ES":"Espanha","ET":"Etiópia","FI":"Finlândia","FJ":"Fiji","FK":"Ilhas Malvinas","FM":"Micronésia","FO":"Ilhas Faroé","FR":"França","GA":"Gabão","GB":"Reino Unido","GD":"Granada","GE":"Geórgia","GF":"Guiana Francesa","GG":"Guernsey","GH":"Gana","GI":"Gibraltar","GL":"Groenlândia","GM":"Gâmbia","GN":"Guiné","GP":"Guadalupe","GQ":"Guiné Equatorial","GR":"Grécia","GS":"Ilhas Geórgia do Sul e Sandwich do Sul","GT":"Guatemala","GU":"Guam","GW":"Guiné-Bissau","GY":"Guiana","HK":"Hong Kong, RAE da China","HN":"Honduras","HR":"Croácia","HT":"Haiti","HU":"Hungria","ID":"Indonésia","IE":"Irlanda","IL":"Israel","IM":"Ilha de Man","IN":"Índia","IO":"Território Britânico do Oceano Índico","IQ":"Iraque","IR":"Irã","IS":"Islândia","IT":"Itália","JE":"Jersey","JM":"Jamaica","JO":"Jordânia","JP":"Japão","KE":"Quênia","KG":"Quirguistão","KH":"Camboja","KI":"Quiribati","KM":"Comores","KN":"São Cristóvão e Névis","KP":"Coreia do Norte","KR":"Coreia do Sul","KW":"Kuwait","KY":"Ilhas Cayman","KZ":"Cazaquistão","LA":"Laos","LB":"Líbano","LC":"Santa Lúcia","LI":"Liechtenstein","LK":"Sri Lanka","LR":"Libéria","LS":"Lesoto","LT":"Lituânia","LU":"Luxemburgo","LV":"Letônia","LY":"Líbia","MA":"Marrocos","MC":"Mônaco","MD":"Moldávia","ME":"Montenegro","MF":"São Martinho","MG":"Madagascar","MH":"Ilhas Marshall","MK":"Macedônia do Norte","ML":"Mali","MM":"Mianmar (Birmânia)","MN":"Mongólia","MO":"Macau, RAE da China","MP":"Ilhas Marianas do Norte","MQ":"Martinica","MR":"Mauritânia","MS":"Montserrat","MT":"Malta","MU":"Maurício","MV":"Maldivas","MW":"Malaui","MX":"México","MY":"Malásia","MZ":"Moçambique","NA":"Namíbia","NC":"Nova Caledônia","NE":"Níger","NF":"Ilha Norfolk","NG":"Nigéria","NI":"Nicarágua","NL":"Países Baixos","NO":"Noruega","NP":"Nepal","NR":"Nauru","NU":"Niue","NZ":"Nova Zelândia","OM":"Omã","PA":"Panamá","PE":"Peru","PF":"Polinésia Francesa","PG":"Papua-Nova Guiné","PH":"Filipinas","PK":"Paquistão","PL":"Polônia","PM":"São Pedro e Miquelão","PN":"Ilhas Pitcairn","PR":"Porto Rico","PS":"Territórios palestinos","PT":"Portugal","PW":"Palau","PY":"Paraguai","QA":"Catar","RE":"Reunião","RO":"Romênia","RS":"Sérvia","RU":"Rússia","RW":"Ruanda","SA":"Arábia Saudita","SB":"Ilhas Salomão","SC":"Seicheles","SD":"Sudão","SE":"Suécia","SG":"Singapura","SH":"Santa Helena","SI":"Eslovênia","SJ":"Svalbard e Jan Mayen","SK":"Eslováquia","SL":"Serra Leoa","SM":"San Marino","SN":"Senegal","SO":"Somália","SR":"Suriname","SS":"Sudão do Sul","ST":"São Tomé e Príncipe","SV":"El Salvador","SX":"Sint Maarten","SY":"Síria","SZ":"Essuatíni","TC":"Ilhas Turcas e Caicos","TD":"Chade","TF":"Territórios Franceses do Sul","TG":"Togo","TH":"Tailândia","TJ":"Tadjiquistão","TK":"Tokelau","TL":"Timor-Leste","TM":"Turcomenistão","TN":"Tunísia","TO":"Tonga","TR":"Turquia","TT":"Trinidad e Tobago","TV":"Tuvalu","TW":"Taiwan","TZ":"Tanzânia","UA":"Ucrânia","UG":"Uganda","UM":"Ilhas Menores Distantes dos EUA","US":"Estados Unidos","UY":"Uruguai","UZ":"Uzbequistão","VA":"Cidade do Vaticano","VC":"São Vicente e Granadinas","VE":"Venezuela","VG":"Ilhas Virgens Britânicas","VI":"Ilhas Virgens Americanas","VN":"Vietnã","VU":"Vanuatu","WF":"Wallis e Futuna","WS":"Samoa","YE":"Iêmen","YT":"Mayotte","ZA":"África do Sul","ZM":"Zâmbia","ZW":"Zimbábue"},
+		zones: {"Africa/Abidjan":"Costa do Marfim","Africa/Algiers":"Argélia","Africa/Bissau":"Guiné-Bissau","Africa/Cairo":"Egito","Africa/Casablanca":"Marrocos","Africa/Ceuta":"Ceuta","Africa/El_Aaiun":"Saara Ocidental","Africa/Johannesburg":"África do Sul","Africa/Juba":"Sudão do Sul","Africa/Khartoum":"Sudão","Africa/Lagos":"Nigéria","Africa/Maputo":"Moçambique","Africa/Monrovia":"Libéria","Africa/Nairobi":"Quênia","Africa/Ndjamena":"Chade","Africa/Sao_Tome":"São Tomé e Príncipe","Africa/Tripoli":"Líbia","Africa/Tunis":"Tunísia","Africa/Windhoek":"Namíbia","America/Adak":"Adak","America/Anchorage":"Anchorage","America/Araguaina":"Araguaina","America/Argentina/Buenos_Aires":"Buenos Aires","America/Argentina/Catamarca":"Catamarca","America/Argentina/Cordoba":"Córdoba","America/Argentina/Jujuy":"Jujuy","America/Argentina/La_Rioja":"La Rioja","America/Argentina/Mendoza":"Mendoza","America/Argentina/Rio_Gallegos":"Rio Gallegos","America/Argentina/Salta":"Salta","America/Argentina/San_Juan":"San Juan","America/Argentina/San_Luis":"San Luis","America/Argentina/Tucuman":"Tucumã","America/Argentina/Ushuaia":"Ushuaia","America/Asuncion":"Paraguai","America/Bahia":"Bahia","America/Bahia_Banderas":"Bahia de Banderas","America/Barbados":"Barbados","America/Belem":"Belem","America/Belize":"Belize","America/Boa_Vista":"Boa Vista","America/Bogota":"Colômbia","America/Boise":"Boise","America/Cambridge_Bay":"Cambridge Bay","America/Campo_Grande":"Campo Grande","America/Cancun":"Cancún","America/Caracas":"Venezuela","America/Cayenne":"Guiana Francesa","America/Chicago":"Chicago","America/Chihuahua":"Chihuahua","America/Ciudad_Juarez":"Ciudad Juárez","America/Costa_Rica":"Costa Rica","America/Cuiaba":"Cuiaba","America/Danmarkshavn":"Danmarkshavn","America/Dawson":"Dawson","America/Dawson_Creek":"Dawson Creek","America/Denver":"Denver","America/Detroit":"Detroit","America/Edmonton":"Edmonton","America/Eirunepe":"Eirunepe","America/El_Salvador":"El Salvador","America/Fort_Nelson":"Fort Nelson","America/Fortaleza":"Fortaleza","America/Glace_Bay":"Glace Bay","America/Goose_Bay":"Goose Bay","America/Grand_Turk":"Ilhas Turcas e Caicos","America/Guatemala":"Guatemala","America/Guayaquil":"Equador","America/Guyana":"Guiana","America/Halifax":"Halifax","America/Havana":"Cuba","America/Hermosillo":"Hermosillo","America/Indiana/Indianapolis":"Indianápolis","America/Indiana/Knox":"Knox, Indiana","America/Indiana/Marengo":"Marengo, Indiana","America/Indiana/Petersburg":"Petersburg, Indiana","America/Indiana/Tell_City":"Tell City, Indiana","America/Indiana/Vevay":"Vevay, Indiana","America/Indiana/Vincennes":"Vincennes, Indiana","America/Indiana/Winamac":"Winamac, Indiana","America/Inuvik":"Inuvik","America/Iqaluit":"Iqaluit","America/Jamaica":"Jamaica","America/Juneau":"Juneau","America/Kentucky/Louisville":"Louisville","America/Kentucky/Monticello":"Monticello, Kentucky","America/La_Paz":"Bolívia","America/Lima":"Peru","America/Los_Angeles":"Los Angeles","America/Maceio":"Maceio","America/Managua":"Nicarágua","America/Manaus":"Manaus","America/Martinique":"Martinica","America/Matamoros":"Matamoros","America/Mazatlan":"Mazatlan","America/Menominee":"Menominee","America/Merida":"Mérida","America/Metlakatla":"Metlakatla","America/Mexico_City":"Cidade do México","America/Miquelon":"São Pedro e Miquelão","America/Moncton":"Moncton","America/Monterrey":"Monterrey","America/Montevideo":"Uruguai","America/New_York":"Nova York","America/Nome":"Nome","America/Noronha":"Fernando de Noronha","America/North_Dakota/Beulah":"Beulah, Dakota do Norte","America/North_Dakota/Center":"Center, Dakota do Norte","America/North_Dakota/New_Salem":"New Salen, Dakota do Norte","America/Nuuk":"Nuuk","America/Ojinaga":"Ojinaga","America/Panama":"Panamá","America/Paramaribo":"Suriname","America/Phoenix":"Phoenix","America/Port-au-Prince":"Haiti","America/Porto_Velho":"Porto Velho","America/Puerto_Rico":"Porto Rico","America/Punta_Arenas":"Punta Arenas","America/Rankin_Inlet":"Rankin Inlet","America/Recife":"Recife","America/Regina":"Regina","America/Resolute":"Resolute","America/Rio_Branco":"Rio Branco","America/Santarem":"Santarem","America/Santiago":"Chile","America/Santo_Domingo":"República Dominicana","America/Sao_Paulo":"Sao Paulo","America/Scoresbysund":"Ittoqqortoormiit","America/Sitka":"Sitka","America/St_Johns":"Saint John’s","America/Swift_Current":"Swift Current","America/Tegucigalpa":"Honduras","America/Thule":"Thule","America/Tijuana":"Tijuana","America/Toronto":"Toronto","America/Vancouver":"Vancouver","America/Whitehorse":"Whitehorse","America/Winnipeg":"Winnipeg","America/Yakutat":"Yakutat","Antarctica/Casey":"Casey","Antarctica/Davis":"Davis","Antarctica/Macquarie":"Macquarie","Antarctica/Mawson":"Mawson","Antarctica/Palmer":"Palmer","Antarctica/Rothera":"Rothera","Antarctica/Troll":"Troll","Antarctica/Vostok":"Vostok","Asia/Almaty":"Almaty","Asia/Amman":"Jordânia","Asia/Anadyr":"Anadyr","Asia/Aqtau":"Aktau","Asia/Aqtobe":"Aktobe","Asia/Ashgabat":"Turcomenistão","Asia/Atyrau":"Atyrau","Asia/Baghdad":"Iraque","Asia/Baku":"Azerbaijão","Asia/Bangkok":"Tailândia","Asia/Barnaul":"Barnaul","Asia/Beirut":"Líbano","Asia/Bishkek":"Quirguistão","Asia/Chita":"Chita","Asia/Choibalsan":"Ulan Bator","Asia/Colombo":"Sri Lanka","Asia/Damascus":"Síria","Asia/Dhaka":"Bangladesh","Asia/Dili":"Timor-Leste","Asia/Dubai":"Emirados Árabes Unidos","Asia/Dushanbe":"Tadjiquistão","Asia/Famagusta":"Famagusta","Asia/Gaza":"Gaza","Asia/Hebron":"Hebron","Asia/Ho_Chi_Minh":"Vietnã","Asia/Hong_Kong":"Hong Kong, RAE da China","Asia/Hovd":"Hovd","Asia/Irkutsk":"Irkutsk","Asia/Jakarta":"Jacarta","Asia/Jayapura":"Jayapura","Asia/Jerusalem":"Israel","Asia/Kabul":"Afeganistão","Asia/Kamchatka":"Kamchatka","Asia/Karachi":"Paquistão","Asia/Kathmandu":"Nepal","Asia/Khandyga":"Khandyga","Asia/Kolkata":"Índia","Asia/Krasnoyarsk":"Krasnoyarsk","Asia/Kuching":"Kuching","Asia/Macau":"Macau, RAE da China","Asia/Magadan":"Magadan","Asia/Makassar":"Makassar","Asia/Manila":"Filipinas","Asia/Nicosia":"Nicósia","Asia/Novokuznetsk":"Novokuznetsk","Asia/Novosibirsk":"Novosibirsk","Asia/Omsk":"Omsk","Asia/Oral":"Oral","Asia/Pontianak":"Pontianak","Asia/Pyongyang":"Coreia do Norte","Asia/Qatar":"Catar","Asia/Qostanay":"Qostanay","Asia/Qyzylorda":"Qyzylorda","Asia/Riyadh":"Arábia Saudita","Asia/Sakhalin":"Sacalina","Asia/Samarkand":"Samarcanda","Asia/Seoul":"Coreia do Sul","Asia/Shanghai":"China","Asia/Singapore":"Singapura","Asia/Srednekolymsk":"Srednekolymsk","Asia/Taipei":"Taiwan","Asia/Tashkent":"Uzbequistão","Asia/Tbilisi":"Geórgia","Asia/Tehran":"Irã","Asia/Thimphu":"Butão","Asia/Tokyo":"Japão","Asia/Tomsk":"Tomsk","Asia/Ulaanbaatar":"Ulan Bator","Asia/Urumqi":"Urumqi","Asia/Ust-Nera":"Ust-Nera","Asia/Vladivostok":"Vladivostok","Asia/Yakutsk":"Yakutsk","Asia/Yangon":"Mianmar (Birmânia)","Asia/Yekaterinburg":"Ecaterimburgo","Asia/Yerevan":"Armênia","Atlantic/Azores":"Açores","Atlantic/Bermuda":"Bermudas","Atlantic/Canary":"Canárias","Atlantic/Cape_Verde":"Cabo Verde","Atlantic/Faroe":"Ilhas Faroé","Atlantic/Madeira":"Madeira","Atlantic/South_Georgia":"Ilhas Geórgia do Sul e Sandwich do Sul","Atlantic/Stanley":"Ilhas Malvinas","Australia/Adelaide":"Adelaide","Australia/Brisbane":"Brisbane","Australia/Broken_Hill":"Broken Hill","Australia/Darwin":"Darwin","Australia/Eucla":"Eucla","Australia/Hobart":"Hobart","Australia/Lindeman":"Lindeman","Australia/Lord_Howe":"Lord Howe","Australia/Melbourne":"Melbourne","Australia/Perth":"Perth","Australia/Sydney":"Sydney","CET":"Bélgica","CST6CDT":"Chicago","EET":"Grécia","EST":"Panamá","EST5EDT":"Nova York","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"Andorra","Europe/Astrakhan":"Astracã","Europe/Athens":"Grécia","Europe/Belgrade":"Sérvia","Europe/Berlin":"Alemanha","Europe/Brussels":"Bélgica","Europe/Bucharest":"Romênia","Europe/Budapest":"Hungria","Europe/Chisinau":"Moldávia","Europe/Dublin":"Irlanda","Europe/Gibraltar":"Gibraltar","Europe/Helsinki":"Finlândia","Europe/Istanbul":"Turquia","Europe/Kaliningrad":"Kaliningrado","Europe/Kirov":"Kirov","Europe/Kyiv":"Ucrânia","Europe/Lisbon":"Portugal","Europe/London":"Reino Unido","Europe/Madrid":"Espanha","Europe/Malta":"Malta","Europe/Minsk":"Bielorrússia","Europe/Moscow":"Moscou","Europe/Paris":"França","Europe/Prague":"Tchéquia","Europe/Riga":"Letônia","Europe/Rome":"Itália","Europe/Samara":"Samara","Europe/Saratov":"Saratov","Europe/Simferopol":"Simferopol","Europe/Sofia":"Bulgária","Europe/Tallinn":"Estônia","Europe/Tirane":"Albânia","Europe/Ulyanovsk":"Ulianovsk","Europe/Vienna":"Áustria","Europe/Vilnius":"Lituânia","Europe/Volgograd":"Volgogrado","Europe/Warsaw":"Polônia","Europe/Zurich":"Suíça","Factory":"Factory","HST":"Honolulu","Indian/Chagos":"Território Britânico do Oceano Índico","Indian/Maldives":"Maldivas","Indian/Mauritius":"Maurício","MET":"Bélgica","MST":"Phoenix","MST7MDT":"Denver","Pacific/Apia":"Samoa","Pacific/Auckland":"Nova Zelândia","Pacific/Bougainville":"Bougainville","Pacific/Chatham":"Chatnam","Pacific/Easter":"Ilha de Páscoa","Pacific/Efate":"Vanuatu","Pacific/Fakaofo":"Tokelau","Pacific/Fiji":"Fiji","Pacific/Galapagos":"Galápagos","Pacific/Gambier":"Gambier","Pacific/Guadalcanal":"Ilhas Salomão","Pacific/Guam":"Guam","Pacific/Honolulu":"Honolulu","Pacific/Kanton":"Enderbury","Pacific/Kiritimati":"Kiritimati","Pacific/Kosrae":"Kosrae","Pacific/Kwajalein":"Kwajalein","Pacific/Marquesas":"Marquesas","Pacific/Nauru":"Nauru","Pacific/Niue":"Niue","Pacific/Norfolk":"Ilha Norfolk","Pacific/Noumea":"Nova Caledônia","Pacific/Pago_Pago":"Samoa Americana","Pacific/Palau":"Palau","Pacific/Pitcairn":"Ilhas Pitcairn","Pacific/Port_Moresby":"Port Moresby","Pacific/Rarotonga":"Ilhas Cook","Pacific/Tahiti":"Taiti","Pacific/Tarawa":"Taraua","Pacific/Tongatapu":"Tonga","PST8PDT":"Los Angeles","WET":"Portugal"},
+		zone_names: {"Africa/Abidjan":"Horário do Meridiano de Greenwich","Africa/Algiers":"Horário Padrão da Europa Central","Africa/Bissau":"Horário do Meridiano de Greenwich","Africa/Cairo":"Horário da Europa Oriental","Africa/Casablanca":"Horário Marrocos","Africa/Ceuta":"Horário da Europa Central","Africa/El_Aaiun":"Horário Saara Ocidental","Africa/Johannesburg":"Horário da África do Sul","Africa/Juba":"Horário da África Central","Africa/Khartoum":"Horário da África Central","Africa/Lagos":"Horário Padrão da África Ocidental","Africa/Maputo":"Horário da África Central","Africa/Monrovia":"Horário do Meridiano de Greenwich","Africa/Nairobi":"Horário da África Oriental","Africa/Ndjamena":"Horário Padrão da África Ocidental","Africa/Sao_Tome":"Horário do Meridiano de Greenwich","Africa/Tripoli":"Horário Padrão da Europa Oriental","Africa/Tunis":"Horário Padrão da Europa Central","Africa/Windhoek":"Horário da África Central","America/Adak":"Horário do Havaí e Ilhas Aleutas","America/Anchorage":"Horário do Alasca","America/Araguaina":"Horário Padrão de Brasília","America/Argentina/Buenos_Aires":"Horário Padrão da Argentina","America/Argentina/Catamarca":"Horário Padrão da Argentina","America/Argentina/Cordoba":"Horário Padrão da Argentina","America/Argentina/Jujuy":"Horário Padrão da Argentina","America/Argentina/La_Rioja":"Horário Padrão da Argentina","America/Argentina/Mendoza":"Horário Padrão da Argentina","America/Argentina/Rio_Gallegos":"Horário Padrão da Argentina","America/Argentina/Salta":"Horário Padrão da Argentina","America/Argentina/San_Juan":"Horário Padrão da Argentina","America/Argentina/San_Luis":"Horário Padrão da Argentina","America/Argentina/Tucuman":"Horário Padrão da Argentina","America/Argentina/Ushuaia":"Horário Padrão da Argentina","America/Asuncion":"Horário do Paraguai","America/Bahia":"Horário Padrão de Brasília","America/Bahia_Banderas":"Horário Padrão Central","America/Barbados":"Horário Padrão do Atlântico","America/Belem":"Horário Padrão de Brasília","America/Belize":"Horário Padrão Central","America/Boa_Vista":"Horário Padrão do Amazonas","America/Bogota":"Horário Padrão da Colômbia","America/Boise":"Horário das Montanhas","America/Cambridge_Bay":"Horário das Montanhas","America/Campo_Grande":"Horário Padrão do Amazonas","America/Cancun":"Horário Padrão do Leste","America/Caracas":"Horário da Venezuela","America/Cayenne":"Horário da Guiana Francesa","America/Chicago":"Horário Central","America/Chihuahua":"Horário Padrão Central","America/Ciudad_Juarez":"Horário das Montanhas","America/Costa_Rica":"Horário Padrão Central","America/Cuiaba":"Horário Padrão do Amazonas","America/Danmarkshavn":"Horário do Meridiano de Greenwich","America/Dawson":"Horário do Yukon","America/Dawson_Creek":"Horário Padrão das Montanhas","America/Denver":"Horário das Montanhas","America/Detroit":"Horário do Leste","America/Edmonton":"Horário das Montanhas","America/Eirunepe":"Horário Padrão do Acre","America/El_Salvador":"Horário Padrão Central","America/Fort_Nelson":"Horário Padrão das Montanhas","America/Fortaleza":"Horário Padrão de Brasília","America/Glace_Bay":"Horário do Atlântico","America/Goose_Bay":"Horário do Atlântico","America/Grand_Turk":"Horário do Leste","America/Guatemala":"Horário Padrão Central","America/Guayaquil":"Horário do Equador","America/Guyana":"Horário da Guiana","America/Halifax":"Horário do Atlântico","America/Havana":"Horário de Cuba","America/Hermosillo":"Horário Padrão do Pacífico Mexicano","America/Indiana/Indianapolis":"Horário do Leste","America/Indiana/Knox":"Horário Central","America/Indiana/Marengo":"Horário do Leste","America/Indiana/Petersburg":"Horário do Leste","America/Indiana/Tell_City":"Horário Central","America/Indiana/Vevay":"Horário do Leste","America/Indiana/Vincennes":"Horário do Leste","America/Indiana/Winamac":"Horário do Leste","America/Inuvik":"Horário das Montanhas","America/Iqaluit":"Horário do Leste","America/Jamaica":"Horário Padrão do Leste","America/Juneau":"Horário do Alasca","America/Kentucky/Louisville":"Horário do Leste","America/Kentucky/Monticello":"Horário do Leste","America/La_Paz":"Horário da Bolívia","America/Lima":"Horário Padrão do Peru","America/Los_Angeles":"Horário do Pacífico","America/Maceio":"Horário Padrão de Brasília","America/Managua":"Horário Padrão Central","America/Manaus":"Horário Padrão do Amazonas","America/Martinique":"Horário Padrão do Atlântico","America/Matamoros":"Horário Central","America/Mazatlan":"Horário Padrão do Pacífico Mexicano","America/Menominee":"Horário Central","America/Merida":"Horário Padrão Central","America/Metlakatla":"Horário do Alasca","America/Mexico_City":"Horário Padrão Central","America/Miquelon":"Horário de São Pedro e Miquelão","America/Moncton":"Horário do Atlântico","America/Monterrey":"Horário Padrão Central","America/Montevideo":"Horário Padrão do Uruguai","America/New_York":"Horário do Leste","America/Nome":"Horário do Alasca","America/Noronha":"Horário Padrão de Fernando de Noronha","America/North_Dakota/Beulah":"Horário Central","America/North_Dakota/Center":"Horário Central","America/North_Dakota/New_Salem":"Horário Central","America/Nuuk":"Horário Nuuk","America/Ojinaga":"Horário Central","America/Panama":"Horário Padrão do Leste","America/Paramaribo":"Horário do Suriname","America/Phoenix":"Horário Padrão das Montanhas","America/Port-au-Prince":"Horário do Leste","America/Porto_Velho":"Horário Padrão do Amazonas","America/Puerto_Rico":"Horário Padrão do Atlântico","America/Punta_Arenas":"Horário Punta Arenas","America/Rankin_Inlet":"Horário Central","America/Recife":"Horário Padrão de Brasília","America/Regina":"Horário Padrão Central","America/Resolute":"Horário Central","America/Rio_Branco":"Horário Padrão do Acre","America/Santarem":"Horário Padrão de Brasília","America/Santiago":"Horário do Chile","America/Santo_Domingo":"Horário Padrão do Atlântico","America/Sao_Paulo":"Horário Padrão de Brasília","America/Scoresbysund":"Horário Ittoqqortoormiit","America/Sitka":"Horário do Alasca","America/St_Johns":"Horário da Terra Nova","America/Swift_Current":"Horário Padrão Central","America/Tegucigalpa":"Horário Padrão Central","America/Thule":"Horário do Atlântico","America/Tijuana":"Horário do Pacífico","America/Toronto":"Horário do Leste","America/Vancouver":"Horário do Pacífico","America/Whitehorse":"Horário do Yukon","America/Winnipeg":"Horário Central","America/Yakutat":"Horário do Alasca","Antarctica/Casey":"Horário Padrão da Austrália Ocidental","Antarctica/Davis":"Horário de Davis","Antarctica/Macquarie":"Horário da Austrália Oriental","Antarctica/Mawson":"Horário de Mawson","Antarctica/Palmer":"Horário Palmer","Antarctica/Rothera":"Horário de Rothera","Antarctica/Troll":"Horário Troll","Antarctica/Vostok":"Horário de Vostok","Asia/Almaty":"Horário do Cazaquistão","Asia/Amman":"Horário Jordânia","Asia/Anadyr":"Horário Padrão do Anadyr","Asia/Aqtau":"Horário do Cazaquistão","Asia/Aqtobe":"Horário do Cazaquistão","Asia/Ashgabat":"Horário Padrão do Turcomenistão","Asia/Atyrau":"Horário do Cazaquistão","Asia/Baghdad":"Horário Padrão da Arábia","Asia/Baku":"Horário Padrão do Arzeibaijão","Asia/Bangkok":"Horário da Indochina","Asia/Barnaul":"Horário Barnaul","Asia/Beirut":"Horário da Europa Oriental","Asia/Bishkek":"Horário do Quirguistão","Asia/Chita":"Horário Padrão de Yakutsk","Asia/Choibalsan":"Horário Padrão de Ulan Bator","Asia/Colombo":"Horário Padrão da Índia","Asia/Damascus":"Horário Síria","Asia/Dhaka":"Horário Padrão de Bangladesh","Asia/Dili":"Horário do Timor-Leste","Asia/Dubai":"Horário do Golfo","Asia/Dushanbe":"Horário do Tajiquistão","Asia/Famagusta":"Horário Famagusta","Asia/Gaza":"Horário da Europa Oriental","Asia/Hebron":"Horário da Europa Oriental","Asia/Ho_Chi_Minh":"Horário da Indochina","Asia/Hong_Kong":"Horário Padrão de Hong Kong","Asia/Hovd":"Horário Padrão de Hovd","Asia/Irkutsk":"Horário Padrão de Irkutsk","Asia/Jakarta":"Horário da Indonésia Ocidental","Asia/Jayapura":"Horário da Indonésia Oriental","Asia/Jerusalem":"Horário de Israel","Asia/Kabul":"Horário do Afeganistão","Asia/Kamchatka":"Horário Padrão de Petropavlovsk-Kamchatski","Asia/Karachi":"Horário Padrão do Paquistão","Asia/Kathmandu":"Horário do Nepal","Asia/Khandyga":"Horário Padrão de Yakutsk","Asia/Kolkata":"Horário Padrão da Índia","Asia/Krasnoyarsk":"Horário Padrão de Krasnoyarsk","Asia/Kuching":"Horário da Malásia","Asia/Macau":"Horário Padrão da China","Asia/Magadan":"Horário Padrão de Magadan","Asia/Makassar":"Horário da Indonésia Central","Asia/Manila":"Horário Padrão das Filipinas","Asia/Nicosia":"Horário da Europa Oriental","Asia/Novokuznetsk":"Horário Padrão de Krasnoyarsk","Asia/Novosibirsk":"Horário Padrão de Novosibirsk","Asia/Omsk":"Horário Padrão de Omsk","Asia/Oral":"Horário do Cazaquistão","Asia/Pontianak":"Horário da Indonésia Ocidental","Asia/Pyongyang":"Horário Padrão da Coreia","Asia/Qatar":"Horário Padrão da Arábia","Asia/Qostanay":"Horário do Cazaquistão","Asia/Qyzylorda":"Horário do Cazaquistão","Asia/Riyadh":"Horário Padrão da Arábia","Asia/Sakhalin":"Horário Padrão de Sacalina","Asia/Samarkand":"Horário Padrão do Uzbequistão","Asia/Seoul":"Horário Padrão da Coreia","Asia/Shanghai":"Horário Padrão da China","Asia/Singapore":"Horário Padrão de Singapura","Asia/Srednekolymsk":"Horário Srednekolymsk","Asia/Taipei":"Horário Padrão de Taipei","Asia/Tashkent":"Horário Padrão do Uzbequistão","Asia/Tbilisi":"Horário Padrão da Geórgia","Asia/Tehran":"Horário Padrão do Irã","Asia/Thimphu":"Horário do Butão","Asia/Tokyo":"Horário Padrão do Japão","Asia/Tomsk":"Horário Tomsk","Asia/Ulaanbaatar":"Horário Padrão de Ulan Bator","Asia/Urumqi":"Horário Urumqi","Asia/Ust-Nera":"Horário Padrão de Vladivostok","Asia/Vladivostok":"Horário Padrão de Vladivostok","Asia/Yakutsk":"Horário Padrão de Yakutsk","Asia/Yangon":"Horário de Mianmar","Asia/Yekaterinburg":"Horário Padrão de Ecaterimburgo","Asia/Yerevan":"Horário Padrão da Armênia","Atlantic/Azores":"Horário dos Açores","Atlantic/Bermuda":"Horário do Atlântico","Atlantic/Canary":"Horário da Europa Ocidental","Atlantic/Cape_Verde":"Horário Padrão de Cabo Verde","Atlantic/Faroe":"Horário da Europa Ocidental","Atlantic/Madeira":"Horário da Europa Ocidental","Atlantic/South_Georgia":"Horário da Geórgia do Sul","Atlantic/Stanley":"Horário Padrão das Ilhas Malvinas","Australia/Adelaide":"Horário da Austrália Central","Australia/Brisbane":"Horário Padrão da Austrália Oriental","Australia/Broken_Hill":"Horário da Austrália Central","Australia/Darwin":"Horário Padrão da Austrália Central","Australia/Eucla":"Horário Padrão da Austrália Centro-Ocidental","Australia/Hobart":"Horário da Austrália Oriental","Australia/Lindeman":"Horário Padrão da Austrália Oriental","Australia/Lord_Howe":"Horário de Lord Howe","Australia/Melbourne":"Horário da Austrália Oriental","Australia/Perth":"Horário Padrão da Austrália Ocidental","Australia/Sydney":"Horário da Austrália Oriental","CET":"Horário da Europa Central","CST6CDT":"Horário Central","EET":"Horário da Europa Oriental","EST":"Horário Padrão do Leste","EST5EDT":"Horário do Leste","Europe/Andorra":"Horário da Europa Central","Europe/Astrakhan":"Horário Astracã","Europe/Athens":"Horário da Europa Oriental","Europe/Belgrade":"Horário da Europa Central","Europe/Berlin":"Horário da Europa Central","Europe/Brussels":"Horário da Europa Central","Europe/Bucharest":"Horário da Europa Oriental","Europe/Budapest":"Horário da Europa Central","Europe/Chisinau":"Horário da Europa Oriental","Europe/Dublin":"Horário Irlanda","Europe/Gibraltar":"Horário da Europa Central","Europe/Helsinki":"Horário da Europa Oriental","Europe/Istanbul":"Horário Turquia","Europe/Kaliningrad":"Horário Padrão da Europa Oriental","Europe/Kirov":"Horário Kirov","Europe/Kyiv":"Horário da Europa Oriental","Europe/Lisbon":"Horário da Europa Ocidental","Europe/London":"Horário Reino Unido","Europe/Madrid":"Horário da Europa Central","Europe/Malta":"Horário da Europa Central","Europe/Minsk":"Horário Padrão de Moscou","Europe/Moscow":"Horário Padrão de Moscou","Europe/Paris":"Horário da Europa Central","Europe/Prague":"Horário da Europa Central","Europe/Riga":"Horário da Europa Oriental","Europe/Rome":"Horário da Europa Central","Europe/Samara":"Horário Padrão de Samara","Europe/Saratov":"Horário Saratov","Europe/Simferopol":"Horário Padrão de Moscou","Europe/Sofia":"Horário da Europa Oriental","Europe/Tallinn":"Horário da Europa Oriental","Europe/Tirane":"Horário da Europa Central","Europe/Ulyanovsk":"Horário Ulianovsk","Europe/Vienna":"Horário da Europa Central","Europe/Vilnius":"Horário da Europa Oriental","Europe/Volgograd":"Horário Padrão de Volgogrado","Europe/Warsaw":"Horário da Europa Central","Europe/Zurich":"Horário da Europa Central","HST":"Horário Padrão do Havaí e Ilhas Aleutas","Indian/Chagos":"Horário do Oceano Índico","Indian/Maldives":"Horário das Ilhas Maldivas","Indian/Mauritius":"Horário Padrão de Maurício","MET":"Horário da Europa Central","MST":"Horário Padrão das Montanhas","MST7MDT":"Horário das Montanhas","Pacific/Apia":"Horário Padrão de Apia","Pacific/Auckland":"Horário da Nova Zelândia","Pacific/Bougainville":"Horário Bougainville","Pacific/Chatham":"Horário de Chatham","Pacific/Easter":"Horário da Ilha de Páscoa","Pacific/Efate":"Horário Padrão de Vanuatu","Pacific/Fakaofo":"Horário de Tokelau","Pacific/Fiji":"Horário Padrão de Fiji","Pacific/Galapagos":"Horário de Galápagos","Pacific/Gambier":"Horário de Gambier","Pacific/Guadalcanal":"Horário das Ilhas Salomão","Pacific/Guam":"Horário de Chamorro","Pacific/Honolulu":"Horário Padrão do Havaí e Ilhas Aleutas","Pacific/Kanton":"Horário das Ilhas Fênix","Pacific/Kiritimati":"Horário das Ilhas da Linha","Pacific/Kosrae":"Horário de Kosrae","Pacific/Kwajalein":"Horário das Ilhas Marshall","Pacific/Marquesas":"Horário das Marquesas","Pacific/Nauru":"Horário de Nauru","Pacific/Niue":"Horário de Niue","Pacific/Norfolk":"Horário da Ilha Norfolk","Pacific/Noumea":"Horário Padrão da Nova Caledônia","Pacific/Pago_Pago":"Horário Padrão de Samoa","Pacific/Palau":"Horário de Palau","Pacific/Pitcairn":"Horário de Pitcairn","Pacific/Port_Moresby":"Horário de Papua-Nova Guiné","Pacific/Rarotonga":"Horário Padrão das Ilhas Cook","Pacific/Tahiti":"Horário do Taiti","Pacific/Tarawa":"Horário das Ilhas Gilberto","Pacific/Tongatapu":"Horário Padrão de Tonga","PST8PDT":"Horário do Pacífico","WET":"Horário da Europa Ocidental"}
+	};
+}
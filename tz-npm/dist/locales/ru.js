@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (ru) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("ru", locale_ru)
+export function locale_ru() {
+	return {
+		code: "ru",
+		months: ["января","февраля","марта","апреля","мая","июня","июля","августа","сентября","октября","ноября","декабря"],
+		months_standalone: ["январь","февраль","март","апрель","май","июнь","июль","август","сентябрь","октябрь","ноябрь","декабрь"],
+		months_short: ["янв.","февр.","март","апр.","май","июнь","июль","авг.","сент.","окт.","нояб.","дек."],
+		weekdays: ["воскресенье","понедельник","вторник","среда","четверг","пятница","суббота"],
+		weekdays_short: ["вс","пн","вт","ср","чт","пт","сб"],
+		meridiem: ["AM","PM"],
+		ordinal: (n) => n + '-е',
+		plural: (n) => n % 10 === 1 && n % 100 !== 11 ? 'one' : n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14) ? 'few' : 'many',
+		units: {"year":{"one":"{0} год","few":"{0} года","many":"{0} лет"},"month":{"one":"{0} месяц","few":"{0} месяца","many":"{0} месяцев"},"week":{"one":"{0} неделя","few":"{0} недели","many":"{0} недель"},"day":{"one":"{0} день","few":"{0} дня","many":"{0} дней"},"hour":{"one":"{0} час","few":"{0} часа","many":"{0} часов"},"minute":{"one":"{0} минута","few":"{0} минуты","many":"{0} минут"},"second":{"one":"{0} секунда","few":"{0} секунды","many":"{0} секунд"}},
+		units_short: {"year":{"one":"{0} г.","few":"{0} г.","many":"{0} л."},"month":{"one":"{0} мес.","few":"{0} мес.","many":"{0} мес."},"week":{"one":"{0} нед.","few":"{0} нед.","many":"{0} нед."},"day":{"one":"{0} дн.","few":"{0} дн.","many":"{0} дн."},"hour":{"one":"{0} ч","few":"{0} ч","many":"{0} ч"},"minute":{"one":"{0} мин","few":"{0} мин","many":"{0} мин"},"second":{"one":"{0} с","few":"{0} с","many":"{0} с"}},
+		units_compact: {"year":{"one":"{0} г.","few":"{0} г.","many":"{0} л."},"month":{"one":"{0} м.","few":"{0} м.","many":"{0} м."},"week":{"one":"{0} н.","few":"{0} н.","many":"{0} н."},"day":{"one":"{0} д.","few":"{0} д.","many":"{0} д."},"hour":{"one":"{0} ч","few":"{0} ч","many":"{0} ч"},"minute":{"one":"{0} мин","few":"{0} мин","many":"{0} мин"},"second":{"one":"{0} с","few":"{0} с","many":"{0} с"}},
+		list: {"sep":", ","last":" и ","pair":" и "},
+		list_compact: {"sep":" ","last":" ","pair":" "},
+		relative: {"year":{"future":{"one":"через {0} год","few":"через {0} года","many":"через {0} лет"},"past":{"one":"{0} год назад","few":"{0} года назад","many":"{0} лет назад"}},"month":{"future":{"one":"через {0} месяц","few":"через {0} месяца","many":"через {0} месяцев"},"past":{"one":"{0} месяц назад","few":"{0} месяца назад","many":"{0} месяцев назад"}},"week":{"future":{"one":"через {0} неделю","few":"через {0} недели","many":"через {0} недель"},"past":{"one":"{0} неделю назад","few":"{0} недели назад","many":"{0} недель назад"}},"day":{"future":{"one":"через {0} день","few":"через {0} дня","many":"через {0} дней"},"past":{"one":"{0} день назад","few":"{0} дня назад","many":"{0} дней назад"}},"hour":{"future":{"one":"через {0} час","few":"через {0} часа","many":"через {0} часов"},"past":{"one":"{0} час назад","few":"{0} часа назад","many":"{0} часов назад"}},"minute":{"future":{"one":"через {0} минуту","few":"через {0} минуты","many":"через {0} минут"},"past":{"one":"{0} минуту назад","few":"{0} минуты назад","many":"{0} минут назад"}},"second":{"future":{"one":"через {0} секунду","few":"через {0} секунды","many":"через {0} секунд"},"past":{"one":"{0} секунду назад","few":"{0} секунды назад","many":"{0} секунд назад"}}},
+		relative_words: {"now":"сейчас","today":"сегодня","tomorrow":"завтра","yesterday":"вчера"},
+		phrases: {"dst_starts":"До перехода на летнее время: {0}","dst_ends":"До перехода на зимнее время: {0}","no_dst":"В этом часовом поясе нет перехода на летнее время.","at":"{0} в {1}"},
+		countries: {"AD":"Андорра","AE":"ОАЭ","AF":"Афганистан","AG":"Антигуа и Барбуда","AI":"Ангилья","AL":"Албания","AM":"Армения","AO":"Ангола","AQ":"Антарктида","AR":"Аргентина","AS":"Американское Самоа","AT":"Австрия","AU":"Австралия","AW":"Аруба","AX":"Аландские о-ва","AZ":"Азербайджан","BA":"Босния и Герцеговина","BB":"Барбадос","BD":"Бангладеш","BE":"Бельгия","BF":"Буркина-Фасо","BG":"Болгария","BH":"Бахрейн","BI":"Бурунди","BJ":"Бенин","BL":"Сен-Бартелеми","BM":"Бермудские о-ва","BN":"Бруней","BO":"Боливия","BQ":"Бонэйр, Синт-Эстатиус и Саба","BR":"Бразилия","BS":"Багамы","BT":"Бутан","BW":"Ботсвана","BY":"Беларусь","BZ":"Белиз","CA":"Канада","CC":"Кокосовые о-ва","CD":"Конго - Киншаса","CF":"Центрально-Африканская Республика","CG":"Конго - Браззавиль","CH":"Швейцария","CI":"Кот-д’Ивуар","CK":"о-ва Кука","CL":"Чили","CM":"Камерун","CN":"Китай","CO":"Колумбия","CR":"Коста-Рика","CU":"Куба","CV":"Кабо-Верде","CW":"Кюрасао","CX":"о-в Рождества","CY":"Кипр","CZ":"Чехия","DE":"Германия","DJ":"Джибути","DK":"Дания","DM":"Доминика","DO":"Доминиканская Республика","DZ":"Алжир","EC":"Эквадор","EE":"Эстония","EG":"Египет","EH":"Западная Сахара","ER":"Эритрея","ES":"Испания","ET":"Эфиопия","FI":"Финляндия","FJ":"Фиджи","FK":"Фолклендские о-ва","FM":"Федеративные Штаты Микронезии","FO":"Фарерские о-ва","FR":"Франция","GA":"Габон","GB":"Великобритания","GD":"Гренада","GE":"Грузия","GF":"Французская Гвиана","GG":"Гернси","GH":"Гана","GI":"Гибралтар","GL":"Гренландия","GM":"Гамбия","GN":"Гвинея","GP":"Гваделупа","GQ":"Экваториальная Гвинея","GR":"Греция","GS":"Южная Георгия и Южные Сандвичевы о-ва","GT":"Гватемала","GU":"Гуам","GW":"Гвинея-Бисау","GY":"Гайана","HK":"Гонконг (САР)","HN":"Гондурас","HR":"Хорватия","HT":"Гаити","HU":"Венгрия","ID":"Индонезия","IE":"Ирландия","IL":"Израиль","IM":"о-в Мэн","IN":"Индия","IO":"Британская территория в Индийском океане","IQ":"Ирак","IR":"Иран","IS":"Исландия","IT":"Италия","JE":"Джерси","JM":"Ямайка","JO":"Иордания","JP":"Япония","KE":"Кения","KG":"Киргизия","KH":"Камбоджа","KI":"Кирибати","KM":"Коморы","KN":"Сент-Китс и Невис","KP":"КНДР","KR":"Республика Корея","KW":"Кувейт","KY":"о-ва Кайман","KZ":"Казахстан","LA":"Лаос","LB":"Ливан","LC":"Сент-Люсия","LI":"Лихтенштейн","LK":"Шри-Ланка","LR":"Либерия","LS":"Лесото","LT":"Литва","LU":"Люксембург","LV":"Латвия","LY":"Ливия","MA":"Марокко","MC":"Монако","MD":"Молдова","ME":"Черногория","MF":"Сен-Мартен","MG":"Мадагаскар","MH":"Маршалловы о-ва","MK":"Северная Македония","ML":"Мали","MM":"Мьянма (Бирма)","MN":"Монголия","MO":"Макао (САР)","MP":"Северные Марианские о-ва","MQ":"Мартиника","MR":"Мавритания","MS":"Монтсеррат","MT":"Мальта","MU":"Маврикий","MV":"Мальдивы","MW":"Малави","MX":"Мексика","MY":"Малайзия","MZ":"Мозамбик","NA":"Намибия","NC":"Новая Каледония","NE":"Нигер","NF":"о-в Норфолк","NG":"Нигерия","NI":"Никарагуа","NL":"Нидерланды","NO":"Норвегия","NP":"Непал","NR":"Науру","NU":"Ниуэ","NZ":"Новая Зеландия","OM":"Оман","PA":"Панама","PE":"Перу","PF":"Французская Полинезия","PG":"Папуа — Новая Гвинея","PH":"Филиппины","PK":"Пакистан","PL":"Польша","PM":"Сен-Пьер и Микелон","PN":"о-ва Питкэрн","PR":"Пуэрто-Рико","PS":"Палестинские территории","PT":"Португалия","PW":"Палау","PY":"Парагвай","QA":"Катар","RE":"Реюньон","RO":"Румыния","RS":"Сербия","RU":"Россия","RW":"Руанда","SA":"Саудовская Аравия","SB":"Соломоновы о-ва","SC":"Сейшельские о-ва","SD":"Судан","SE":"Швеция","SG":"Сингапур","SH":"о-в Св. Елены","SI":"Словения","SJ":"Шпицберген и Ян-Майен","SK":"Словакия","SL":"Сьерра-Леоне","SM":"Сан-Марино","SN":"Сенегал","SO":"Сомали","SR":"Суринам","SS":"Южный Судан","ST":"Сан-Томе и Принсипи","SV":"Сальвадор","SX":"Синт-Мартен","SY":"Сирия","SZ":"Эсватини","TC":"Тёркс и Кайкос","TD":"Чад","TF":"Французские Южные территории","TG":"Того","TH":"Таиланд","TJ":"Таджикистан","TK":"Токелау","TL":"Восточный Тимор","TM":"Туркменистан","TN":"Тунис","TO":"Тонга","TR":"Турция","TT":"Тринидад и Тобаго","TV":"Тувалу","TW":"Тайвань","TZ":"Танзания","UA":"Украина","UG":"Уганда","UM":"Внешние малые о-ва (США)","US":"Соединенные Штаты","UY":"Уругвай","UZ":"Узбекистан","VA":"Ватикан","VC":"Сент-Винсент и Гренадины","VE":"Венесуэла","VG":"Виргинские о-ва (Великобритания)","VI":"Виргинские о-ва (США)","VN":"Вьетнам","VU":"Вануату","WF":"Уоллис и Футуна","WS":"Самоа","YE":"Йемен","YT":"Майотта","ZA":"Южно-Африканская Республика","ZM":"Замбия","ZW":"Зимбабве"},
+		zones: {"Africa/Abidjan":"Кот-д’Ивуар","Africa/Algiers":"Алжир","Africa/Bissau":"Гвинея-Бисау","Africa/Cairo":"Египет","Africa/Casablanca":"Марокко","Africa/Ceuta":"Сеута","Africa/El_Aaiun":"Западная Сахара","Africa/Johannesburg":"Южно-Африканская Республика","Africa/Juba":"Южный Судан","Africa/Khartoum":"Судан","Africa/Lagos":"Нигерия","Africa/Maputo":"Мозамбик","Africa/Monrovia":"Либерия","Africa/Nairobi":"Кения","Africa/Ndjamena":"Чад","Africa/Sao_Tome":"Сан-Томе и Принсипи","Africa/Tripoli":"Ливия","Africa/Tunis":"Тунис","Africa/Windhoek":"Намибия","America/Adak":"Адак","America/Anchorage":"Анкоридж","America/Araguaina":"Арагуаина","America/Argentina/Buenos_Aires":"Буэнос-Айрес","America/Argentina/Catamarca":"Катамарка","America/Argentina/Cordoba":"Кордова","America/Argentina/Jujuy":"Жужуй","America/Argentina/La_Rioja":"Ла-Риоха","America/Argentina/Mendoza":"Мендоса","America/Argentina/Rio_Gallegos":"Рио-Гальегос","America/Argentina/Salta":"Сальта","America/Argentina/San_Juan":"Сан-Хуан","America/Argentina/San_Luis":"Сан-Луис","America/Argentina/Tucuman":"Тукуман","America/Argentina/Ushuaia":"Ушуая","America/Asuncion":"Парагвай","America/Bahia":"Баия","America/Bahia_Banderas":"Баия-де-Бандерас","America/Barbados":"Барбадос","America/Belem":"Белен","America/Belize":"Белиз","America/Boa_Vista":"Боа-Виста","America/Bogota":"Колумбия","America/Boise":"Бойсе","America/Cambridge_Bay":"Кеймбридж-Бей","America/Campo_Grande":"Кампу-Гранди","America/Cancun":"Канкун","America/Caracas":"Венесуэла","America/Cayenne":"Французская Гвиана","America/Chicago":"Чикаго","America/Chihuahua":"Чиуауа","America/Ciudad_Juarez":"Сьюдад-Хуарес","America/Costa_Rica":"Коста-Рика","America/Cuiaba":"Куяба","America/Danmarkshavn":"Денмарксхавн","America/Dawson":"Доусон","America/Dawson_Creek":"Доусон-Крик","America/Denver":"Денвер","America/Detroit":"Детройт","America/Edmonton":"Эдмонтон","America/Eirunepe":"Эйрунепе","America/El_Salvador":"Сальвадор","America/Fort_Nelson":"Форт Нельсон","America/Fortaleza":"Форталеза","America/Glace_Bay":"Глейс-Бей","America/Goose_Bay":"Гус-Бей","America/Grand_Turk":"Тёркс и Кайкос","America/Guatemala":"Гватемала","America/Guayaquil":"Эквадор","America/Guyana":"Гайана","America/Halifax":"Галифакс","America/Havana":"Куба","America/Hermosillo":"Эрмосильо","America/Indiana/Indianapolis":"Индианаполис","America/Indiana/Knox":"Нокс, Индиана","America/Indiana/Marengo":"Маренго, Индиана","America/Indiana/Petersburg":"Питерсберг, Индиана","America/Indiana/Tell_City":"Телл-Сити","America/Indiana/Vevay":"Вевей, Индиана","America/Indiana/Vincennes":"Винсеннес","America/Indiana/Winamac":"Уинамак","America/Inuvik":"Инувик","America/Iqaluit":"Икалуит","America/Jamaica":"Ямайка","America/Juneau":"Джуно","America/Kentucky/Louisville":"Луисвилл","America/Kentucky/Monticello":"Монтиселло, Кентукки","America/La_Paz":"Боливия","America/Lima":"Перу","America/Los_Angeles":"Лос-Анджелес","America/Maceio":"Масейо","America/Managua":"Никарагуа","America/Manaus":"Манаус","America/Martinique":"Мартиника","America/Matamoros":"Матаморос","America/Mazatlan":"Масатлан","America/Menominee":"Меномини","America/Merida":"Мерида","America/Metlakatla":"Метлакатла","America/Mexico_City":"Мехико","America/Miquelon":"Сен-Пьер и Микелон","America/Moncton":"Монктон","America/Monterrey":"Монтеррей","America/Montevideo":"Уругвай","America/New_York":"Нью-Йорк","America/Nome":"Ном","America/Noronha":"Норонья","America/North_Dakota/Beulah":"Бойла, Северная Дакота","America/North_Dakota/Center":"Центр, Северная Дакота","America/North_Dakota/New_Salem":"Нью-Сейлем, Северная Дакота","America/Nuuk":"Нуук","America/Ojinaga":"Охинага","America/Panama":"Панама","America/Paramaribo":"Суринам","America/Phoenix":"Финикс","America/Port-au-Prince":"Гаити","America/Porto_Velho":"Порту-Велью","America/Puerto_Rico":"Пуэрто-Рико","America/Punta_Arenas":"Пунта-Аренас","America/Rankin_Inlet":"Ранкин-Инлет","America/Recife":"Ресифи","America/Regina":"Реджайна","America/Resolute":"Резольют","America/Rio_Branco":"Риу-Бранку","America/Santarem":"Сантарен","America/Santiago":"Чили","America/Santo_Domingo":"Доминиканская Республика","America/Sao_Paulo":"Сан-Паулу","America/Scoresbysund":"Скорсбисунн","America/Sitka":"Ситка","America/St_Johns":"Сент-Джонс","America/Swift_Current":"Свифт-Керрент","America/Tegucigalpa":"Гондурас","America/Thule":"Туле","America/Tijuana":"Тихуана","America/Toronto":"Торонто","America/Vancouver":"Ванкувер","America/Whitehorse":"Уайтхорс","America/Winnipeg":"Виннипег","America/Yakutat":"Якутат","Antarctica/Casey":"Кейси","Antarctica/Davis":"Дейвис","Antarctica/Macquarie":"Маккуори","Antarctica/Mawson":"Моусон","Antarctica/Palmer":"Палмер","Antarctica/Rothera":"Ротера","Antarctica/Troll":"Тролль","Antarctica/Vostok":"Восток","Asia/Almaty":"Алматы","Asia/Amman":"Иордания","Asia/Anadyr":"Анадырь","Asia/Aqtau":"Актау","Asia/Aqtobe":"Актобе","Asia/Ashgabat":"Туркменистан","Asia/Atyrau":"Атырау","Asia/Baghdad":"Ирак","Asia/Baku":"Азербайджан","Asia/Bangkok":"Таиланд","Asia/Barnaul":"Барнаул","Asia/Beirut":"Ливан","Asia/Bishkek":"Киргизия","Asia/Chita":"Чита","Asia/Choibalsan":"Улан-Батор","Asia/Colombo":"Шри-Ланка","Asia/Damascus":"Сирия","Asia/Dhaka":"Бангладеш","Asia/Dili":"Восточный Тимор","Asia/Dubai":"ОАЭ","Asia/Dushanbe":"Таджикистан","Asia/Famagusta":"Фамагуста","Asia/Gaza":"Газа","Asia/Hebron":"Хеврон","Asia/Ho_Chi_Minh":"Вьетнам","Asia/Hong_Kong":"Гонконг (САР)","Asia/Hovd":"Ховд","Asia/Irkutsk":"Иркутск","Asia/Jakarta":"Джакарта","Asia/Jayapura":"Джаяпура","Asia/Jerusalem":"Израиль","Asia/Kabul":"Афганистан","Asia/Kamchatka":"Петропавловск-Камчатский","Asia/Karachi":"Пакистан","Asia/Kathmandu":"Непал","Asia/Khandyga":"Хандыга","Asia/Kolkata":"Индия","Asia/Krasnoyarsk":"Красноярск","Asia/Kuching":"Кучинг","Asia/Macau":"Макао (САР)","Asia/Magadan":"Магадан","Asia/Makassar":"Макасар","Asia/Manila":"Филиппины","Asia/Nicosia":"Никосия","Asia/Novokuznetsk":"Новокузнецк","Asia/Novosibirsk":"Новосибирск","Asia/Omsk":"Омск","Asia/Oral":"Уральск","Asia/Pontianak":"Понтианак","Asia/Pyongyang":"КНДР","Asia/Qatar":"Катар","Asia/Qostanay":"Костанай","Asia/Qyzylorda":"Кызылорда","Asia/Riyadh":"Саудовская Аравия","Asia/Sakhalin":"о-в Сахалин","Asia/Samarkand":"Самарканд","Asia/Seoul":"Республика Корея","Asia/Shanghai":"Китай","Asia/Singapore":"Сингапур","Asia/Srednekolymsk":"Среднеколымск","Asia/Taipei":"Тайвань","Asia/Tashkent":"Узбекистан","Asia/Tbilisi":"Грузия","Asia/Tehran":"Иран","Asia/Thimphu":"Бутан","Asia/Tokyo":"Япония","Asia/Tomsk":"Томск","Asia/Ulaanbaatar":"Улан-Батор","Asia/Urumqi":"Урумчи","Asia/Ust-Nera":"Усть-Нера","Asia/Vladivostok":"Владивосток","Asia/Yakutsk":"Якутск","Asia/Yangon":"Мьянма (Бирма)","Asia/Yekaterinburg":"Екатеринбург","Asia/Yerevan":"Армения","Atlantic/Azores":"Азорские о-ва","Atlantic/Bermuda":"Бермудские о-ва","Atlantic/Canary":"Канарские о-ва","Atlantic/Cape_Verde":"Кабо-Верде","Atlantic/Faroe":"Фарерские о-ва","Atlantic/Madeira":"Мадейра","Atlantic/South_Georgia":"Южная Георгия и Южные Сандвичевы о-ва","Atlantic/Stanley":"Фолклендские о-ва","Australia/Adelaide":"Аделаида","Australia/Brisbane":"Брисбен","Australia/Broken_Hill":"Брокен-Хилл","Australia/Darwin":"Дарвин","Australia/Eucla":"Юкла","Australia/Hobart":"Хобарт","Australia/Lindeman":"Линдеман","Australia/Lord_Howe":"Лорд-Хау","Australia/Melbourne":"Мельбурн","Australia/Perth":"Перт","Australia/Sydney":"Сидней","CET":"Бельгия","CST6CDT":"Чикаго","EET":"Греция","EST":"Панама","EST5EDT":"Нью-Йорк","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"Андорра","Europe/Astrakhan":"Астрахань","Europe/Athens":"Греция","Europe/Belgrade":"Сербия","Europe/Berlin":"Германия","Europe/Brussels":"Бельгия","Europe/Bucharest":"Румыния","Europe/Budapest":"Венгрия","Europe/Chisinau":"Молдова","Europe/Dublin":"Ирландия","Europe/Gibraltar":"Гибралтар","Europe/Helsinki":"Финляндия","Europe/Istanbul":"Турция","Europe/Kaliningrad":"Калининград","Europe/Kirov":"Киров","Europe/Kyiv":"Украина","Europe/Lisbon":"Португалия","Europe/London":"Великобритания","Europe/Madrid":"Испания","Europe/Malta":"Мальта","Europe/Minsk":"Беларусь","Europe/Moscow":"Москва","Europe/Paris":"Франция","Europe/Prague":"Чехия","Europe/Riga":"Латвия","Europe/Rome":"Италия","Europe/Samara":"Самара","Europe/Saratov":"Саратов","Europe/Simferopol":"Симферополь","Europe/Sofia":"Болгария","Europe/Tallinn":"Эстония","Europe/Tirane":"Албания","Europe/Ulyanovsk":"Ульяновск","Europe/Vienna":"Австрия","Europe/Vilnius":"Литва","Europe/Volgograd":"Волгоград","Europe/Warsaw":"Польша","Europe/Zurich":"Швейцария","Factory":"Factory","HST":"Гонолулу","Indian/Chagos":"Британская территория в Индийском океане","Indian/Maldives":"Мальдивы","Indian/Mauritius":"Маврикий","MET":"Бельгия","MST":"Финикс","MST7MDT":"Денвер","Pacific/Apia":"Самоа","Pacific/Auckland":"Новая Зеландия","Pacific/Bougainville":"Бугенвиль","Pacific/Chatham":"Чатем","Pacific/Easter":"о-в Пасхи","Pacific/Efate":"Вануату","Pacific/Fakaofo":"Токелау","Pacific/Fiji":"Фиджи","Pacific/Galapagos":"Галапагосские о-ва","Pacific/Gambier":"о-ва Гамбье","Pacific/Guadalcanal":"Соломоновы о-ва","Pacific/Guam":"Гуам","Pacific/Honolulu":"Гонолулу","Pacific/Kanton":"о-в Эндербери","Pacific/Kiritimati":"Киритимати","Pacific/Kosrae":"Косрае","Pacific/Kwajalein":"Кваджалейн","Pacific/Marquesas":"Маркизские о-ва","Pacific/Nauru":"Науру","Pacific/Niue":"Ниуэ","Pacific/Norfolk":"о-в Норфолк","Pacific/Noumea":"Новая Каледония","Pacific/Pago_Pago":"Американское Самоа","Pacific/Palau":"Палау","Pacific/Pitcairn":"о-ва Питкэрн","Pacific/Port_Moresby":"Порт-Морсби","Pacific/Rarotonga":"о-ва Кука","Pacific/Tahiti":"Таити","Pacific/Tarawa":"Тарава","Pacific/Tongatapu":"Тонга","PST8PDT":"Лос-Анджелес","WET":"Португалия"},
+		zone_names: {"Africa/Abidjan":"Среднее время по Гринвичу","Africa/Algiers":"Центральная Европа, стандартное время","Africa/Bissau":"Среднее время по Гринвичу","Africa/Cairo":"Восточная Европа","Africa/Casablanca":"Марокко","Africa/Ceuta":"Центральная Европа","Africa/El_Aaiun":"Западная Сахара","Africa/Johannesburg":"Южная Африка","Africa/Juba":"Центральная Африка","Africa/Khartoum":"Центральная Африка","Africa/Lagos":"Западная Африка, стандартное время","Africa/Maputo":"Центральная Африка","Africa/Monrovia":"Среднее время по Гринвичу","Africa/Nairobi":"Восточная Африка","Africa/Ndjamena":"Западная Африка, стандартное время","Africa/Sao_Tome":"Среднее время по Гринвичу","Africa/Tripoli":"Восточная Европа, стандартное время","Africa/Tunis":"Центральная Европа, стандартное время","Africa/Windhoek":"Центральная Африка","America/Adak":"Гавайско-алеутское время","America/Anchorage":"Аляска","America/Araguaina":"Бразилия, стандартное время","America/Argentina/Buenos_Aires":"Аргентина, стандартное время","America/Argentina/Catamarca":"Аргентина, стандартное время","America/Argentina/Cordoba":"Аргентина, стандартное время","America/Argentina/Jujuy":"Аргентина, стандартное время","America/Argentina/La_Rioja":"Аргентина, стандартное время","America/Argentina/Mendoza":"Аргентина, стандартное время","America/Argentina/Rio_Gallegos":"Аргентина, стандартное время","America/Argentina/Salta":"Аргентина, стандартное время","America/Argentina/San_Juan":"Аргентина, стандартное время","America/Argentina/San_Luis":"Аргентина, стандартное время","America/Argentina/Tucuman":"Аргентина, стандартное время","America/Argentina/Ushuaia":"Аргентина, стандартное время","America/Asuncion":"Парагвай","America/Bahia":"Бразилия, стандартное время","America/Bahia_Banderas":"Центральная Америка, стандартное время","America/Barbados":"Атлантическое стандартное время","America/Belem":"Бразилия, стандартное время","America/Belize":"Центральная Америка, стандартное время","America/Boa_Vista":"Амазонка, стандартное время","America/Bogota":"Колумбия, стандартное время","America/Boise":"Горное время (Северная Америка)","America/Cambridge_Bay":"Горное время (Северная Америка)","America/Campo_Grande":"Амазонка, стандартное время","America/Cancun":"Восточная Америка, стандартное время","America/Caracas":"Венесуэла","America/Cayenne":"Французская Гвиана","America/Chicago":"Центральная Америка","America/Chihuahua":"Центральная Америка, стандартное время","America/Ciudad_Juarez":"Горное время (Северная Америка)","America/Costa_Rica":"Центральная Америка, стандартное время","America/Cuiaba":"Амазонка, стандартное время","America/Danmarkshavn":"Среднее время по Гринвичу","America/Dawson":"Юкон","America/Dawson_Creek":"Стандартное горное время (Северная Америка)","America/Denver":"Горное время (Северная Америка)","America/Detroit":"Восточная Америка","America/Edmonton":"Горное время (Северная Америка)","America/Eirunepe":"Акри стандартное время","America/El_Salvador":"Центральная Америка, стандартное время","America/Fort_Nelson":"Стандартное горное время (Северная Америка)","America/Fortaleza":"Бразилия, стандартное время","America/Glace_Bay":"Атлантическое время","America/Goose_Bay":"Атлантическое время","America/Grand_Turk":"Восточная Америка","America/Guatemala":"Центральная Америка, стандартное время","America/Guayaquil":"Эквадор","America/Guyana":"Гайана","America/Halifax":"Атлантическое время","America/Havana":"Куба","America/Hermosillo":"Тихоокеанское мексиканское стандартное время","America/Indiana/Indianapolis":"Восточная Америка","America/Indiana/Knox":"Центральная Америка","America/Indiana/Marengo":"Восточная Америка","America/Indiana/Petersburg":"Восточная Америка","America/Indiana/Tell_City":"Центральная Америка","America/Indiana/Vevay":"Восточная Америка","America/Indiana/Vincennes":"Восточная Америка","America/Indiana/Winamac":"Восточная Америка","America/Inuvik":"Горное время (Северная Америка)","America/Iqaluit":"Восточная Америка","America/Jamaica":"Восточная Америка, стандартное время","America/Juneau":"Аляска","America/Kentucky/Louisville":"Восточная Америка","America/Kentucky/Monticello":"Восточная Америка","America/La_Paz":"Боливия","America/Lima":"Перу, стандартное время","America/Los_Angeles":"Тихоокеанское время","America/Maceio":"Бразилия, стандартное время","America/Managua":"Центральная Америка, стандартное время","America/Manaus":"Амазонка, стандартное время","America/Martinique":"Атлантическое стандартное время","America/Matamoros":"Центральная Америка","America/Mazatlan":"Тихоокеанское мексиканское стандартное время","America/Menominee":"Центральная Америка","America/Merida":"Центральная Америка, стандартное время","America/Metlakatla":"Аляска","America/Mexico_City":"Центральная Америка, стандартное время","America/Miquelon":"Сен-Пьер и Микелон","America/Moncton":"Атлантическое время","America/Monterrey":"Центральная Америка, стандартное время","America/Montevideo":"Уругвай, стандартное время","America/New_York":"Восточная Америка","America/Nome":"Аляска","America/Noronha":"Фернанду-ди-Норонья, стандартное время","America/North_Dakota/Beulah":"Центральная Америка","America/North_Dakota/Center":"Центральная Америка","America/North_Dakota/New_Salem":"Центральная Америка","America/Nuuk":"Нуук","America/Ojinaga":"Центральная Америка","America/Panama":"Восточная Америка, стандартное время","America/Paramaribo":"Суринам","America/Phoenix":"Стандартное горное время (Северная Америка)","America/Port-au-Prince":"Восточная Америка","America/Porto_Velho":"Амазонка, стандартное время","America/Puerto_Rico":"Атлантическое стандартное время","America/Punta_Arenas":"Пунта-Аренас","America/Rankin_Inlet":"Центральная Америка","America/Recife":"Бразилия, стандартное время","America/Regina":"Центральная Америка, стандартное время","America/Resolute":"Центральная Америка","America/Rio_Branco":"Акри стандартное время","America/Santarem":"Бразилия, стандартное время","America/Santiago":"Чили","America/Santo_Domingo":"Атлантическое стандартное время","America/Sao_Paulo":"Бразилия, стандартное время","America/Scoresbysund":"Скорсбисунн","America/Sitka":"Аляска","America/St_Johns":"Ньюфаундленд","America/Swift_Current":"Центральная Америка, стандартное время","America/Tegucigalpa":"Центральная Америка, стандартное время","America/Thule":"Атлантическое время","America/Tijuana":"Тихоокеанское время","America/Toronto":"Восточная Америка","America/Vancouver":"Тихоокеанское время","America/Whitehorse":"Юкон","America/Winnipeg":"Центральная Америка","America/Yakutat":"Аляска","Antarctica/Casey":"Западная Австралия, стандартное время","Antarctica/Davis":"Дейвис","Antarctica/Macquarie":"Восточная Австралия","Antarctica/Mawson":"Моусон","Antarctica/Palmer":"Палмер","Antarctica/Rothera":"Ротера","Antarctica/Troll":"Тролль","Antarctica/Vostok":"Восток","Asia/Almaty":"Казахстан","Asia/Amman":"Иордания","Asia/Anadyr":"Анадырь стандартное время","Asia/Aqtau":"Казахстан","Asia/Aqtobe":"Казахстан","Asia/Ashgabat":"Туркменистан, стандартное время","Asia/Atyrau":"Казахстан","Asia/Baghdad":"Саудовская Аравия, стандартное время","Asia/Baku":"Азербайджан, стандартное время","Asia/Bangkok":"Индокитай","Asia/Barnaul":"Барнаул","Asia/Beirut":"Восточная Европа","Asia/Bishkek":"Киргизия","Asia/Chita":"Якутск, стандартное время","Asia/Choibalsan":"Улан-Батор, стандартное время","Asia/Colombo":"Индия","Asia/Damascus":"Сирия","Asia/Dhaka":"Бангладеш, стандартное время","Asia/Dili":"Восточный Тимор","Asia/Dubai":"Персидский залив","Asia/Dushanbe":"Таджикистан","Asia/Famagusta":"Фамагуста","Asia/Gaza":"Восточная Европа","Asia/Hebron":"Восточная Европа","Asia/Ho_Chi_Minh":"Индокитай","Asia/Hong_Kong":"Гонконг, стандартное время","Asia/Hovd":"Ховд, стандартное время","Asia/Irkutsk":"Иркутск, стандартное время","Asia/Jakarta":"Западная Индонезия","Asia/Jayapura":"Восточная Индонезия","Asia/Jerusalem":"Израиль","Asia/Kabul":"Афганистан","Asia/Kamchatka":"Петропавловск-Камчатский, стандартное время","Asia/Karachi":"Пакистан, стандартное время","Asia/Kathmandu":"Непал","Asia/Khandyga":"Якутск, стандартное время","Asia/Kolkata":"Индия","Asia/Krasnoyarsk":"Красноярск, стандартное время","Asia/Kuching":"Малайзия","Asia/Macau":"Китай, стандартное время","Asia/Magadan":"Магадан, стандартное время","Asia/Makassar":"Центральная Индонезия","Asia/Manila":"Филиппины, стандартное время","Asia/Nicosia":"Восточная Европа","Asia/Novokuznetsk":"Красноярск, стандартное время","Asia/Novosibirsk":"Новосибирск, стандартное время","Asia/Omsk":"Омск, стандартное время","Asia/Oral":"Казахстан","Asia/Pontianak":"Западная Индонезия","Asia/Pyongyang":"Корея, стандартное время","Asia/Qatar":"Саудовская Аравия, стандартное время","Asia/Qostanay":"Казахстан","Asia/Qyzylorda":"Казахстан","Asia/Riyadh":"Саудовская Аравия, стандартное время","Asia/Sakhalin":"Сахалин, стандартное время","Asia/Samarkand":"Узбекистан, стандартное время","Asia/Seoul":"Корея, стандартное время","Asia/Shanghai":"Китай, стандартное время","Asia/Singapore":"Сингапур","Asia/Srednekolymsk":"Среднеколымск","Asia/Taipei":"Тайвань, стандартное время","Asia/Tashkent":"Узбекистан, стандартное время","Asia/Tbilisi":"Грузия, стандартное время","Asia/Tehran":"Иран, стандартное время","Asia/Thimphu":"Бутан","Asia/Tokyo":"Япония, стандартное время","Asia/Tomsk":"Томск","Asia/Ulaanbaatar":"Улан-Батор, стандартное время","Asia/Urumqi":"Урумчи","Asia/Ust-Nera":"Владивосток, стандартное время","Asia/Vladivostok":"Владивосток, стандартное время","Asia/Yakutsk":"Якутск, стандартное время","Asia/Yangon":"Мьянма","Asia/Yekaterinburg":"Екатеринбург, стандартное время","Asia/Yerevan":"Армения, стандартное время","Atlantic/Azores":"Азорские о-ва","Atlantic/Bermuda":"Атлантическое время","Atlantic/Canary":"Западная Европа","Atlantic/Cape_Verde":"Кабо-Верде, стандартное время","Atlantic/Faroe":"Западная Европа","Atlantic/Madeira":"Западная Европа","Atlantic/South_Georgia":"Южная Георгия","Atlantic/Stanley":"Фолклендские о-ва, стандартное время","Australia/Adelaide":"Центральная Австралия","Australia/Brisbane":"Восточная Австралия, стандартное время","Australia/Broken_Hill":"Центральная Австралия","Australia/Darwin":"Центральная Австралия, стандартное время","Australia/Eucla":"Центральная Австралия, западное стандартное время","Australia/Hobart":"Восточная Австралия","Australia/Lindeman":"Восточная Австралия, стандартное время","Australia/Lord_Howe":"Лорд-Хау","Australia/Melbourne":"Восточная Австралия","Australia/Perth":"Западная Австралия, стандартное время","Australia/Sydney":"Восточная Австралия","CET":"Центральная Европа","CST6CDT":"Центральная Америка","EET":"Восточная Европа","EST":"Восточная Америка, стандартное время","EST5EDT":"Восточная Америка","Europe/Andorra":"Центральная Европа","Europe/Astrakhan":"Астрахань","Europe/Athens":"Восточная Европа","Europe/Belgrade":"Центральная Европа","Europe/Berlin":"Центральная Европа","Europe/Brussels":"Центральная Европа","Europe/Bucharest":"Восточная Европа","Europe/Budapest":"Центральная Европа","Europe/Chisinau":"Восточная Европа","Europe/Dublin":"Ирландия","Europe/Gibraltar":"Центральная Европа","Europe/Helsinki":"Восточная Европа","Europe/Istanbul":"Турция","Europe/Kaliningrad":"Восточная Европа, стандартное время","Europe/Kirov":"Киров","Europe/Kyiv":"Восточная Европа","Europe/Lisbon":"Западная Европа","Europe/London":"Великобритания","Europe/Madrid":"Центральная Европа","Europe/Malta":"Центральная Европа","Europe/Minsk":"Москва, стандартное время","Europe/Moscow":"Москва, стандартное время","Europe/Paris":"Центральная Европа","Europe/Prague":"Центральная Европа","Europe/Riga":"Восточная Европа","Europe/Rome":"Центральная Европа","Europe/Samara":"Самарское стандартное время","Europe/Saratov":"Саратов","Europe/Simferopol":"Москва, стандартное время","Europe/Sofia":"Восточная Европа","Europe/Tallinn":"Восточная Европа","Europe/Tirane":"Центральная Европа","Europe/Ulyanovsk":"Ульяновск","Europe/Vienna":"Центральная Европа","Europe/Vilnius":"Восточная Европа","Europe/Volgograd":"Волгоград, стандартное время","Europe/Warsaw":"Центральная Европа","Europe/Zurich":"Центральная Европа","HST":"Гавайско-алеутское стандартное время","Indian/Chagos":"Индийский океан","Indian/Maldives":"Мальдивы","Indian/Mauritius":"Маврикий, стандартное время","MET":"Центральная Европа","MST":"Стандартное горное время (Северная Америка)","MST7MDT":"Горное время (Северная Америка)","Pacific/Apia":"Апиа, стандартное время","Pacific/Auckland":"Новая Зеландия","Pacific/Bougainville":"Бугенвиль","Pacific/Chatham":"Чатем","Pacific/Easter":"О-в Пасхи","Pacific/Efate":"Вануату, стандартное время","Pacific/Fakaofo":"Токелау","Pacific/Fiji":"Фиджи, стандартное время","Pacific/Galapagos":"Галапагосские о-ва","Pacific/Gambier":"Гамбье","Pacific/Guadalcanal":"Соломоновы Острова","Pacific/Guam":"Чаморро","Pacific/Honolulu":"Гавайско-алеутское стандартное время","Pacific/Kanton":"о-ва Феникс","Pacific/Kiritimati":"о-ва Лайн","Pacific/Kosrae":"Косрае","Pacific/Kwajalein":"Маршалловы Острова","Pacific/Marquesas":"Маркизские о-ва","Pacific/Nauru":"Науру","Pacific/Niue":"Ниуэ","Pacific/Norfolk":"Норфолк","Pacific/Noumea":"Новая Каледония, стандартное время","Pacific/Pago_Pago":"Самоа, стандартное время","Pacific/Palau":"Палау","Pacific/Pitcairn":"Питкэрн","Pacific/Port_Moresby":"Папуа – Новая Гвинея","Pacific/Rarotonga":"Острова Кука, стандартное время","Pacific/Tahiti":"Таити","Pacific/Tarawa":"о-ва Гилберта","Pacific/Tongatapu":"Тонга, стандартное время","PST8PDT":"Тихоокеанское время","WET":"Западная Европа"}
+	};
+}
@@ -0,0 +1,26 @@
+/** @about Timezones locale pack (zh) @license: MIT */
+// call the factory only when the locale is used: Timezones.RegisterLocale("zh", locale_zh)
+export function locale_zh() {
+	return {
+		code: "zh",
+		months: ["一月","二月","三月","四月","五月","六月","七月","八月","九月","十月","十一月","十二月"],
+		months_standalone: ["一月","二月","三月","四月","五月","六月","七月","八月","九月","十月","十一月","十二月"],
+		months_short: ["1月","2月","3月","4月","5月","6月","7月","8月","9月","10月","11月","12月"],
+		weekdays: ["星期日","星期一","星期二","星期三","星期四","星期五","星期六"],
+		weekdays_short: ["周日","周一","周二","周三","周四","周五","周六"],
+		meridiem: ["上午","下午"],
+		ordinal: (n) => n + '日',
+		plural: () => 'other',
+		units: {"year":{"other":"{0}年"},"month":{"other":"{0}个月"},"week":{"other":"{0}周"},"day":{"other":"{0}天"},"hour":{"other":"{0}小时"},"minute":{"other":"{0}分钟"},"second":{"other":"{0}秒钟"}},
+		units_short: {"year":{"other":"{0}年"},"month":{"other":"{0}个月"},"week":{"other":"{0}周"},"day":{"other":"{0}天"},"hour":{"other":"{0}小时"},"minute":{"other":"{0}分钟"},"second":{"other":"{0}秒"}},
+		units_compact: {"year":{"other":"{0}年"},"month":{"other":"{0}个月"},"week":{"other":"{0}周"},"day":{"other":"{0}天"},"hour":{"other":"{0}小时"},"minute":{"other":"{0}分钟"},"second":{"other":"{0}秒"}},
+		list: {"sep":"、","last":"和","pair":"和"},
+		list_compact: {"sep":"","last":"","pair":""},
+		relative: {"year":{"future":{"other":"{0}年后"},"past":{"other":"{0}年前"}},"month":{"future":{"other":"{0}个月后"},"past":{"other":"{0}个月前"}},"week":{"future":{"other":"{0}周后"},"past":{"other":"{0}周前"}},"day":{"future":{"other":"{0}天后"},"past":{"other":"{0}天前"}},"hour":{"future":{"other":"{0}小时后"},"past":{"other":"{0}小时前"}},"minute":{"future":{"other":"{0}分钟后"},"past":{"other":"{0}分钟前"}},"second":{"future":{"other":"{0}秒钟后"},"past":{"other":"{0}秒钟前"}}},
+		relative_words: {"now":"现在","today":"今天","tomorrow":"明天","yesterday":"昨天"},
+		phrases: {"dst_starts":"距夏令时开始还有：{0}","dst_ends":"距夏令时结束还有：{0}","no_dst":"该时区不实行夏令时。","at":"{0} {1}"},
+		countries: {"AD":"安道尔","AE":"阿拉伯联合酋长国","AF":"阿富汗","AG":"安提瓜和巴布达","AI":"安圭拉","AL":"阿尔巴尼亚","AM":"亚美尼亚","AO":"安哥拉","AQ":"南极洲","AR":"阿根廷","AS":"美属萨摩亚","AT":"奥地利","AU":"澳大利亚","AW":"阿鲁巴","AX":"奥兰群岛","AZ":"阿塞拜疆","BA":"波斯尼亚和黑塞哥维那","BB":"巴巴多斯","BD":"孟加拉国","BE":"比利时","BF":"布基纳法索","BG":"保加利亚","BH":"巴林","BI":"布隆迪","BJ":"贝宁","BL":"圣巴泰勒米","BM":"百慕大","BN":"文莱","BO":"玻利维亚","BQ":"荷属加勒比区","BR":"巴西","BS":"巴哈马","BT":"不丹","BW":"博茨瓦纳","BY":"白俄罗斯","BZ":"伯利兹","CA":"加拿大","CC":"科科斯（基林）群岛","CD":"刚果（金）","CF":"中非共和国","CG":"刚果（布）","CH":"瑞士","CI":"科特迪瓦","CK":"库克群岛","CL":"智利","CM":"喀麦隆","CN":"中国","CO":"哥伦比亚","CR":"哥斯达黎加","CU":"古巴","CV":"佛得角","CW":"库拉索","CX":"圣诞岛","CY":"塞浦路斯","CZ":"捷克","DE":"德国","DJ":"吉布提","DK":"丹麦","DM":"多米尼克","DO":"多米尼加共和国","DZ":"阿尔及利亚","EC":"厄瓜多尔","EE":"爱沙尼亚","EG":"埃及","EH":"西撒哈拉","ER":"厄立特里亚","ES":"西班牙","ET":"埃塞俄比亚","FI":"芬兰","FJ":"斐济","FK":"福克兰群岛","FM":"密克罗尼西亚","FO":"法罗群岛","FR":"法国","GA":"加蓬","GB":"英国","GD":"格林纳达","GE":"格鲁吉亚","GF":"法属圭亚那","GG":"根西岛","GH":"加纳","GI":"直布罗陀","GL":"格陵兰","GM":"冈比亚","GN":"几内亚","GP":"瓜德罗普","GQ":"赤道几内亚","GR":"希腊","GS":"南乔治亚和南桑威奇群岛","GT":"危地马拉","GU":"关岛","GW":"几内亚比绍","GY":"圭亚那","HK":"中国香港特别行政区","HN":"洪都拉斯","HR":"克罗地亚","HT":"海地","HU":"匈牙利","ID":"印度尼西亚","IE":"爱尔兰","IL":"以色列","IM":"马恩岛","IN":"印度","IO":"英属印度洋领地","IQ":"伊拉克","IR":"伊朗","IS":"冰岛","IT":"意大利","JE":"泽西岛","JM":"牙买加","JO":"约旦","JP":"日本","KE":"肯尼亚","KG":"吉尔吉斯斯坦","KH":"柬埔寨","KI":"基里巴斯","KM":"科摩罗","KN":"圣基茨和尼维斯","KP":"朝鲜","KR":"韩国","KW":"科威特","KY":"开曼群岛","KZ":"哈萨克斯坦","LA":"老挝","LB":"黎巴嫩","LC":"圣卢西亚","LI":"列支敦士登","LK":"斯里兰卡","LR":"利比里亚","LS":"莱索托","LT":"立陶宛","LU":"卢森堡","LV":"拉脱维亚","LY":"利比亚","MA":"摩洛哥","MC":"摩纳哥","MD":"摩尔多瓦","ME":"黑山","MF":"法属圣马丁","MG":"马达加斯加","MH":"马绍尔群岛","MK":"北马其顿","ML":"马里","MM":"缅甸","MN":"蒙古","MO":"中国澳门特别行政区","MP":"北马里亚纳群岛","MQ":"马提尼克","MR":"毛里塔尼亚","MS":"蒙特塞拉特","MT":"马耳他","MU":"毛里求斯","MV":"马尔代夫","MW":"马拉维","MX":"墨西哥","MY":"马来西亚","MZ":"莫桑比克","NA":"纳米比亚","NC":"新喀里多尼亚","NE":"尼日尔","NF":"诺福克岛","NG":"尼日利亚","NI":"尼加拉瓜","NL":"荷兰","NO":"挪威","NP":"尼泊尔","NR":"瑙鲁","NU":"纽埃","NZ":"新西兰","OM":"阿曼","PA":"巴拿马","PE":"秘鲁","PF":"法属波利尼西亚","PG":"巴布亚新几内亚","PH":"菲律宾","PK":"巴基斯坦","PL":"波兰","PM":"圣皮埃尔和密克隆群岛","PN":"皮特凯恩群岛","PR":"波多黎各","PS":"巴勒斯坦领土","PT":"葡萄牙","PW":"帕劳","PY":"巴拉圭","QA":"卡塔尔","RE":"留尼汪","RO":"罗马尼亚","RS":"塞尔维亚","RU":"俄罗斯","RW":"卢旺达","SA":"沙特阿拉伯","SB":"所罗门群岛","SC":"塞舌尔","SD":"苏丹","SE":"瑞典","SG":"新加坡","SH":"圣赫勒拿","SI":"斯洛文尼亚","SJ":"斯瓦尔巴和扬马延","SK":"斯洛伐克","SL":"塞拉利昂","SM":"圣马力诺","SN":"塞内加尔","SO":"索马里","SR":"苏里南","SS":"南苏丹","ST":"圣多美和普林西比","SV":"萨尔瓦多","SX":"荷属圣马丁","SY":"叙利亚","SZ":"斯威士兰","TC":"特克斯和凯科斯群岛","TD":"乍得","TF":"法属南部领地","TG":"多哥","TH":"泰国","TJ":"塔吉克斯坦","TK":"托克劳","TL":"东帝汶","TM":"土库曼斯坦","TN":"突尼斯","TO":"汤加","TR":"土耳其","TT":"特立尼达和多巴哥","TV":"图瓦卢","TW":"台湾","TZ":"坦桑尼亚","UA":"乌克兰","UG":"乌干达","UM":"美国本土外小岛屿","US":"美国","UY":"乌拉圭","UZ":"乌兹别克斯坦","VA":"梵蒂冈","VC":"圣文森特和格林纳丁斯","VE":"委内瑞拉","VG":"英属维尔京群岛","VI":"美属维尔京群岛","VN":"越南","VU":"瓦努阿图","WF":"瓦利斯和富图纳","WS":"萨摩亚","YE":"也门","YT":"马约特","ZA":"南非","ZM":"赞比亚","ZW":"津巴布韦"},
+		zones: {"Africa/Abidjan":"科特迪瓦","Africa/Algiers":"阿尔及利亚","Africa/Bissau":"几内亚比绍","Africa/Cairo":"埃及","Africa/Casablanca":"摩洛哥","Africa/Ceuta":"休达","Africa/El_Aaiun":"西撒哈拉","Africa/Johannesburg":"南非","Africa/Juba":"南苏丹","Africa/Khartoum":"苏丹","Africa/Lagos":"尼日利亚","Africa/Maputo":"莫桑比克","Africa/Monrovia":"利比里亚","Africa/Nairobi":"肯尼亚","Africa/Ndjamena":"乍得","Africa/Sao_Tome":"圣多美和普林西比","Africa/Tripoli":"利比亚","Africa/Tunis":"突尼斯","Africa/Windhoek":"纳米比亚","America/Adak":"埃达克","America/Anchorage":"安克雷奇","America/Araguaina":"阿拉瓜伊纳","America/Argentina/Buenos_Aires":"布宜诺斯艾利斯","America/Argentina/Catamarca":"卡塔马卡","America/Argentina/Cordoba":"科尔多瓦","America/Argentina/Jujuy":"胡胡伊","America/Argentina/La_Rioja":"拉里奥哈","America/Argentina/Mendoza":"门多萨","America/Argentina/Rio_Gallegos":"里奥加耶戈斯","America/Argentina/Salta":"萨尔塔","America/Argentina/San_Juan":"圣胡安","America/Argentina/San_Luis":"圣路易斯","America/Argentina/Tucuman":"图库曼","America/Argentina/Ushuaia":"乌斯怀亚","America/Asuncion":"巴拉圭","America/Bahia":"巴伊亚","America/Bahia_Banderas":"巴伊亚班德拉斯","America/Barbados":"巴巴多斯","America/Belem":"贝伦","America/Belize":"伯利兹","America/Boa_Vista":"博阿维斯塔","America/Bogota":"哥伦比亚","America/Boise":"博伊西","America/Cambridge_Bay":"剑桥湾","America/Campo_Grande":"大坎普","America/Cancun":"坎昆","America/Caracas":"委内瑞拉","America/Cayenne":"法属圭亚那","America/Chicago":"芝加哥","America/Chihuahua":"奇瓦瓦","America/Ciudad_Juarez":"华雷斯城","America/Costa_Rica":"哥斯达黎加","America/Cuiaba":"库亚巴","America/Danmarkshavn":"丹马沙文","America/Dawson":"道森","America/Dawson_Creek":"道森克里克","America/Denver":"丹佛","America/Detroit":"底特律","America/Edmonton":"埃德蒙顿","America/Eirunepe":"依伦尼贝","America/El_Salvador":"萨尔瓦多","America/Fort_Nelson":"纳尔逊堡","America/Fortaleza":"福塔雷萨","America/Glace_Bay":"格莱斯贝","America/Goose_Bay":"古斯湾","America/Grand_Turk":"特克斯和凯科斯群岛","America/Guatemala":"危地马拉","America/Guayaquil":"厄瓜多尔","America/Guyana":"圭亚那","America/Halifax":"哈利法克斯","America/Havana":"古巴","America/Hermosillo":"埃莫西约","America/Indiana/Indianapolis":"印第安纳波利斯","America/Indiana/Knox":"印第安纳州诺克斯","America/Indiana/Marengo":"印第安纳州马伦戈","America/Indiana/Petersburg":"印第安纳州彼得斯堡","America/Indiana/Tell_City":"印第安纳州特尔城","America/Indiana/Vevay":"印第安纳州维维市","America/Indiana/Vincennes":"印第安纳州温森斯","America/Indiana/Winamac":"印第安纳州威纳马克","America/Inuvik":"伊努维克","America/Iqaluit":"伊魁特","America/Jamaica":"牙买加","America/Juneau":"朱诺","America/Kentucky/Louisville":"路易斯维尔","America/Kentucky/Monticello":"肯塔基州蒙蒂塞洛","America/La_Paz":"玻利维亚","America/Lima":"秘鲁","America/Los_Angeles":"洛杉矶","America/Maceio":"马塞约","America/Managua":"尼加拉瓜","America/Manaus":"马瑙斯","America/Martinique":"马提尼克","America/Matamoros":"马塔莫罗斯","America/Mazatlan":"马萨特兰","America/Menominee":"梅诺米尼","America/Merida":"梅里达","America/Metlakatla":"梅特拉卡特拉","America/Mexico_City":"墨西哥城","America/Miquelon":"圣皮埃尔和密克隆群岛","America/Moncton":"蒙克顿","America/Monterrey":"蒙特雷","America/Montevideo":"乌拉圭","America/New_York":"纽约","America/Nome":"诺姆","America/Noronha":"洛罗尼亚","America/North_Dakota/Beulah":"北达科他州比尤拉","America/North_Dakota/Center":"北达科他州申特","America/North_Dakota/New_Salem":"北达科他州新塞勒姆","America/Nuuk":"努克","America/Ojinaga":"奥希纳加","America/Panama":"巴拿马","America/Paramaribo":"苏里南","America/Phoenix":"凤凰城","America/Port-au-Prince":"海地","America/Porto_Velho":"波多韦柳","America/Puerto_Rico":"波多黎各","America/Punta_Arenas":"蓬塔阿雷纳斯","America/Rankin_Inlet":"兰今湾","America/Recife":"累西腓","America/Regina":"里贾纳","America/Resolute":"雷索卢特","America/Rio_Branco":"里奥布郎库","America/Santarem":"圣塔伦","America/Santiago":"智利","America/Santo_Domingo":"多米尼加共和国","America/Sao_Paulo":"圣保罗","America/Scoresbysund":"斯科列斯比桑德","America/Sitka":"锡特卡","America/St_Johns":"圣约翰斯","America/Swift_Current":"斯威夫特卡伦特","America/Tegucigalpa":"洪都拉斯","America/Thule":"图勒","America/Tijuana":"蒂华纳","America/Toronto":"多伦多","America/Vancouver":"温哥华","America/Whitehorse":"怀特霍斯","America/Winnipeg":"温尼伯","America/Yakutat":"亚库塔特","Antarctica/Casey":"卡塞","Antarctica/Davis":"戴维斯","Antarctica/Macquarie":"麦格理","Antarctica/Mawson":"莫森","Antarctica/Palmer":"帕尔默","Antarctica/Rothera":"罗瑟拉","Antarctica/Troll":"特罗尔","Antarctica/Vostok":"沃斯托克","Asia/Almaty":"阿拉木图","Asia/Amman":"约旦","Asia/Anadyr":"阿纳德尔","Asia/Aqtau":"阿克套","Asia/Aqtobe":"阿克托别","Asia/Ashgabat":"土库曼斯坦","Asia/Atyrau":"阿特劳","Asia/Baghdad":"伊拉克","Asia/Baku":"阿塞拜疆","Asia/Bangkok":"泰国","Asia/Barnaul":"巴尔瑙尔","Asia/Beirut":"黎巴嫩","Asia/Bishkek":"吉尔吉斯斯坦","Asia/Chita":"赤塔","Asia/Choibalsan":"乌兰巴托","Asia/Colombo":"斯里兰卡","Asia/Damascus":"叙利亚","Asia/Dhaka":"孟加拉国","Asia/Dili":"东帝汶","Asia/Dubai":"阿拉伯联合酋长国","Asia/Dushanbe":"塔吉克斯坦","Asia/Famagusta":"法马古斯塔","Asia/Gaza":"加沙","Asia/Hebron":"希伯伦","Asia/Ho_Chi_Minh":"越南","Asia/Hong_Kong":"中国香港特别行政区","Asia/Hovd":"科布多","Asia/Irkutsk":"伊尔库茨克","Asia/Jakarta":"雅加达","Asia/Jayapura":"查亚普拉","Asia/Jerusalem":"以色列","Asia/Kabul":"阿富汗","Asia/Kamchatka":"堪察加","Asia/Karachi":"巴基斯坦","Asia/Kathmandu":"尼泊尔","Asia/Khandyga":"汉德加","Asia/Kolkata":"印度","Asia/Krasnoyarsk":"克拉斯诺亚尔斯克","Asia/Kuching":"古晋","Asia/Macau":"中国澳门特别行政区","Asia/Magadan":"马加丹","Asia/Makassar":"望加锡","Asia/Manila":"菲律宾","Asia/Nicosia":"尼科西亚","Asia/Novokuznetsk":"新库兹涅茨克","Asia/Novosibirsk":"新西伯利亚","Asia/Omsk":"鄂木斯克","Asia/Oral":"乌拉尔","Asia/Pontianak":"坤甸","Asia/Pyongyang":"朝鲜","Asia/Qatar":"卡塔尔","Asia/Qostanay":"库斯塔奈","Asia/Qyzylorda":"克孜洛尔达","Asia/Riyadh":"沙特阿拉伯","Asia/Sakhalin":"萨哈林","Asia/Samarkand":"撒马尔罕","Asia/Seoul":"韩国","Asia/Shanghai":"中国","Asia/Singapore":"新加坡","Asia/Srednekolymsk":"中科雷姆斯克","Asia/Taipei":"台湾","Asia/Tashkent":"乌兹别克斯坦","Asia/Tbilisi":"格鲁吉亚","Asia/Tehran":"伊朗","Asia/Thimphu":"不丹","Asia/Tokyo":"日本","Asia/Tomsk":"托木斯克","Asia/Ulaanbaatar":"乌兰巴托","Asia/Urumqi":"乌鲁木齐","Asia/Ust-Nera":"乌斯内拉","Asia/Vladivostok":"符拉迪沃斯托克","Asia/Yakutsk":"雅库茨克","Asia/Yangon":"缅甸","Asia/Yekaterinburg":"叶卡捷琳堡","Asia/Yerevan":"亚美尼亚","Atlantic/Azores":"亚速尔群岛","Atlantic/Bermuda":"百慕大","Atlantic/Canary":"加那利","Atlantic/Cape_Verde":"佛得角","Atlantic/Faroe":"法罗群岛","Atlantic/Madeira":"马德拉","Atlantic/South_Georgia":"南乔治亚和南桑威奇群岛","Atlantic/Stanley":"福克兰群岛","Australia/Adelaide":"阿德莱德","Australia/Brisbane":"布里斯班","Australia/Broken_Hill":"布罗肯希尔","Australia/Darwin":"达尔文","Australia/Eucla":"尤克拉","Australia/Hobart":"霍巴特","Australia/Lindeman":"林德曼","Australia/Lord_Howe":"豪勋爵岛","Australia/Melbourne":"墨尔本","Australia/Perth":"珀斯","Australia/Sydney":"悉尼","CET":"比利时","CST6CDT":"芝加哥","EET":"希腊","EST":"巴拿马","EST5EDT":"纽约","Etc/GMT":"GMT","Etc/GMT+1":"GMT+1","Etc/GMT+10":"GMT+10","Etc/GMT+11":"GMT+11","Etc/GMT+12":"GMT+12","Etc/GMT+2":"GMT+2","Etc/GMT+3":"GMT+3","Etc/GMT+4":"GMT+4","Etc/GMT+5":"GMT+5","Etc/GMT+6":"GMT+6","Etc/GMT+7":"GMT+7","Etc/GMT+8":"GMT+8","Etc/GMT+9":"GMT+9","Etc/GMT-1":"GMT-1","Etc/GMT-10":"GMT-10","Etc/GMT-11":"GMT-11","Etc/GMT-12":"GMT-12","Etc/GMT-13":"GMT-13","Etc/GMT-14":"GMT-14","Etc/GMT-2":"GMT-2","Etc/GMT-3":"GMT-3","Etc/GMT-4":"GMT-4","Etc/GMT-5":"GMT-5","Etc/GMT-6":"GMT-6","Etc/GMT-7":"GMT-7","Etc/GMT-8":"GMT-8","Etc/GMT-9":"GMT-9","Etc/UTC":"UTC","Europe/Andorra":"安道尔","Europe/Astrakhan":"阿斯特拉罕","Europe/Athens":"希腊","Europe/Belgrade":"塞尔维亚","Europe/Berlin":"德国","Europe/Brussels":"比利时","Europe/Bucharest":"罗马尼亚","Europe/Budapest":"匈牙利","Europe/Chisinau":"摩尔多瓦","Europe/Dublin":"爱尔兰","Europe/Gibraltar":"直布罗陀","Europe/Helsinki":"芬兰","Europe/Istanbul":"土耳其","Europe/Kaliningrad":"加里宁格勒","Europe/Kirov":"基洛夫","Europe/Kyiv":"乌克兰","Europe/Lisbon":"葡萄牙","Europe/London":"英国","Europe/Madrid":"西班牙","Europe/Malta":"马耳他","Europe/Minsk":"白俄罗斯","Europe/Moscow":"莫斯科","Europe/Paris":"法国","Europe/Prague":"捷克","Europe/Riga":"拉脱维亚","Europe/Rome":"意大利","Europe/Samara":"萨马拉","Europe/Saratov":"萨拉托夫","Europe/Simferopol":"辛菲罗波尔","Europe/Sofia":"保加利亚","Europe/Tallinn":"爱沙尼亚","Europe/Tirane":"阿尔巴尼亚","Europe/Ulyanovsk":"乌里扬诺夫斯克","Europe/Vienna":"奥地利","Europe/Vilnius":"立陶宛","Europe/Volgograd":"伏尔加格勒","Europe/Warsaw":"波兰","Europe/Zurich":"瑞士","Factory":"Factory","HST":"檀香山","Indian/Chagos":"英属印度洋领地","Indian/Maldives":"马尔代夫","Indian/Mauritius":"毛里求斯","MET":"比利时","MST":"凤凰城","MST7MDT":"丹佛","Pacific/Apia":"萨摩亚","Pacific/Auckland":"新西兰","Pacific/Bougainville":"布干维尔","Pacific/Chatham":"查塔姆","Pacific/Easter":"复活节岛","Pacific/Efate":"瓦努阿图","Pacific/Fakaofo":"托克劳","Pacific/Fiji":"斐济","Pacific/Galapagos":"科隆群岛","Pacific/Gambier":"甘比尔","Pacific/Guadalcanal":"所罗门群岛","Pacific/Guam":"关岛","Pacific/Honolulu":"檀香山","Pacific/Kanton":"恩德伯里","Pacific/Kiritimati":"基里地马地岛","Pacific/Kosrae":"库赛埃","Pacific/Kwajalein":"夸贾林","Pacific/Marquesas":"马克萨斯","Pacific/Nauru":"瑙鲁","Pacific/Niue":"纽埃","Pacific/Norfolk":"诺福克岛","Pacific/Noumea":"新喀里多尼亚","Pacific/Pago_Pago":"美属萨摩亚","Pacific/Palau":"帕劳","Pacific/Pitcairn":"皮特凯恩群岛","Pacific/Port_Moresby":"莫尔兹比港","Pacific/Rarotonga":"库克群岛","Pacific/Tahiti":"塔希提","Pacific/Tarawa":"塔拉瓦","Pacific/Tongatapu":"汤加","PST8PDT":"洛杉矶","WET":"葡萄牙"},
+		zone_names: {"Africa/Abidjan":"格林尼治标准时间","Africa/Algiers":"中欧标准时间","Africa/Bissau":"格林尼治标准时间","Africa/Cairo":"东欧时间","Africa/Casablanca":"摩洛哥时间","Africa/Ceuta":"中欧时间","Africa/El_Aaiun":"西撒哈拉时间","Africa/Johannesburg":"南非标准时间","Africa/Juba":"中部非洲时间","Africa/Khartoum":"中部非洲时间","Africa/Lagos":"西部非洲标准时间","Africa/Maputo":"中部非洲时间","Africa/Monrovia":"格林尼治标准时间","Africa/Nairobi":"东部非洲时间","Africa/Ndjamena":"西部非洲标准时间","Africa/Sao_Tome":"格林尼治标准时间","Africa/Tripoli":"东欧标准时间","Africa/Tunis":"中欧标准时间","Africa/Windhoek":"中部非洲时间","America/Adak":"夏威夷-阿留申时间","America/Anchorage":"阿拉斯加时间","America/Araguaina":"巴西利亚标准时间","America/Argentina/Buenos_Aires":"阿根廷标准时间","America/Argentina/Catamarca":"阿根廷标准时间","America/Argentina/Cordoba":"阿根廷标准时间","America/Argentina/Jujuy":"阿根廷标准时间","America/Argentina/La_Rioja":"阿根廷标准时间","America/Argentina/Mendoza":"阿根廷标准时间","America/Argentina/Rio_Gallegos":"阿根廷标准时间","America/Argentina/Salta":"阿根廷标准时间","America/Argentina/San_Juan":"阿根廷标准时间","America/Argentina/San_Luis":"阿根廷标准时间","America/Argentina/Tucuman":"阿根廷标准时间","America/Argentina/Ushuaia":"阿根廷标准时间","America/Asuncion":"巴拉圭时间","America/Bahia":"巴西利亚标准时间","America/Bahia_Banderas":"北美中部标准时间","America/Barbados":"大西洋标准时间","America/Belem":"巴西利亚标准时间","America/Belize":"北美中部标准时间","America/Boa_Vista":"亚马逊标准时间","America/Bogota":"哥伦比亚标准时间","America/Boise":"北美山区时间","America/Cambridge_Bay":"北美山区时间","America/Campo_Grande":"亚马逊标准时间","America/Cancun":"北美东部标准时间","America/Caracas":"委内瑞拉时间","America/Cayenne":"法属圭亚那标准时间","America/Chicago":"北美中部时间","America/Chihuahua":"北美中部标准时间","America/Ciudad_Juarez":"北美山区时间","America/Costa_Rica":"北美中部标准时间","America/Cuiaba":"亚马逊标准时间","America/Danmarkshavn":"格林尼治标准时间","America/Dawson":"育空时间","America/Dawson_Creek":"北美山区标准时间","America/Denver":"北美山区时间","America/Detroit":"北美东部时间","America/Edmonton":"北美山区时间","America/Eirunepe":"阿克里标准时间","America/El_Salvador":"北美中部标准时间","America/Fort_Nelson":"北美山区标准时间","America/Fortaleza":"巴西利亚标准时间","America/Glace_Bay":"大西洋时间","America/Goose_Bay":"大西洋时间","America/Grand_Turk":"北美东部时间","America/Guatemala":"北美中部标准时间","America/Guayaquil":"厄瓜多尔标准时间","America/Guyana":"圭亚那时间","America/Halifax":"大西洋时间","America/Havana":"古巴时间","America/Hermosillo":"墨西哥太平洋标准时间","America/Indiana/Indianapolis":"北美东部时间","America/Indiana/Knox":"北美中部时间","America/Indiana/Marengo":"北美东部时间","America/Indiana/Petersburg":"北美东部时间","America/Indiana/Tell_City":"北美中部时间","America/Indiana/Vevay":"北美东部时间","America/Indiana/Vincennes":"北美东部时间","America/Indiana/Winamac":"北美东部时间","America/Inuvik":"北美山区时间","America/Iqaluit":"北美东部时间","America/Jamaica":"北美东部标准时间","America/Juneau":"阿拉斯加时间","America/Kentucky/Louisville":"北美东部时间","America/Kentucky/Monticello":"北美东部时间","America/La_Paz":"玻利维亚标准时间","America/Lima":"秘鲁标准时间","America/Los_Angeles":"北美太平洋时间","America/Maceio":"巴西利亚标准时间","America/Managua":"北美中部标准时间","America/Manaus":"亚马逊标准时间","America/Martinique":"大西洋标准时间","America/Matamoros":"北美中部时间","America/Mazatlan":"墨西哥太平洋标准时间","America/Menominee":"北美中部时间","America/Merida":"北美中部标准时间","America/Metlakatla":"阿拉斯加时间","America/Mexico_City":"北美中部标准时间","America/Miquelon":"圣皮埃尔和密克隆群岛时间","America/Moncton":"大西洋时间","America/Monterrey":"北美中部标准时间","America/Montevideo":"乌拉圭标准时间","America/New_York":"北美东部时间","America/Nome":"阿拉斯加时间","America/Noronha":"费尔南多-迪诺罗尼亚岛标准时间","America/North_Dakota/Beulah":"北美中部时间","America/North_Dakota/Center":"北美中部时间","America/North_Dakota/New_Salem":"北美中部时间","America/Nuuk":"努克时间","America/Ojinaga":"北美中部时间","America/Panama":"北美东部标准时间","America/Paramaribo":"苏里南时间","America/Phoenix":"北美山区标准时间","America/Port-au-Prince":"北美东部时间","America/Porto_Velho":"亚马逊标准时间","America/Puerto_Rico":"大西洋标准时间","America/Punta_Arenas":"蓬塔阿雷纳斯时间","America/Rankin_Inlet":"北美中部时间","America/Recife":"巴西利亚标准时间","America/Regina":"北美中部标准时间","America/Resolute":"北美中部时间","America/Rio_Branco":"阿克里标准时间","America/Santarem":"巴西利亚标准时间","America/Santiago":"智利时间","America/Santo_Domingo":"大西洋标准时间","America/Sao_Paulo":"巴西利亚标准时间","America/Scoresbysund":"斯科列斯比桑德时间","America/Sitka":"阿拉斯加时间","America/St_Johns":"纽芬兰时间","America/Swift_Current":"北美中部标准时间","America/Tegucigalpa":"北美中部标准时间","America/Thule":"大西洋时间","America/Tijuana":"北美太平洋时间","America/Toronto":"北美东部时间","America/Vancouver":"北美太平洋时间","America/Whitehorse":"育空时间","America/Winnipeg":"北美中部时间","America/Yakutat":"阿拉斯加时间","Antarctica/Casey":"澳大利亚西部标准时间","Antarctica/Davis":"戴维斯时间","Antarctica/Macquarie":"澳大利亚东部时间","Antarctica/Mawson":"莫森时间","Antarctica/Palmer":"帕尔默时间","Antarctica/Rothera":"罗瑟拉时间","Antarctica/Troll":"特罗尔时间","Antarctica/Vostok":"沃斯托克时间","Asia/Almaty":"哈萨克斯坦时间","Asia/Amman":"约旦时间","Asia/Anadyr":"阿纳德尔标准时间","Asia/Aqtau":"哈萨克斯坦时间","Asia/Aqtobe":"哈萨克斯坦时间","Asia/Ashgabat":"土库曼斯坦标准时间","Asia/Atyrau":"哈萨克斯坦时间","Asia/Baghdad":"阿拉伯标准时间","Asia/Baku":"阿塞拜疆标准时间","Asia/Bangkok":"中南半岛时间","Asia/Barnaul":"巴尔瑙尔时间","Asia/Beirut":"东欧时间","Asia/Bishkek":"吉尔吉斯斯坦时间","Asia/Chita":"雅库茨克标准时间","Asia/Choibalsan":"乌兰巴托标准时间","Asia/Colombo":"印度时间","Asia/Damascus":"叙利亚时间","Asia/Dhaka":"孟加拉标准时间","Asia/Dili":"东帝汶时间","Asia/Dubai":"海湾标准时间","Asia/Dushanbe":"塔吉克斯坦时间","Asia/Famagusta":"法马古斯塔时间","Asia/Gaza":"东欧时间","Asia/Hebron":"东欧时间","Asia/Ho_Chi_Minh":"中南半岛时间","Asia/Hong_Kong":"香港标准时间","Asia/Hovd":"科布多标准时间","Asia/Irkutsk":"伊尔库茨克标准时间","Asia/Jakarta":"印度尼西亚西部时间","Asia/Jayapura":"印度尼西亚东部时间","Asia/Jerusalem":"以色列时间","Asia/Kabul":"阿富汗时间","Asia/Kamchatka":"彼得罗巴甫洛夫斯克-堪察加标准时间","Asia/Karachi":"巴基斯坦标准时间","Asia/Kathmandu":"尼泊尔时间","Asia/Khandyga":"雅库茨克标准时间","Asia/Kolkata":"印度时间","Asia/Krasnoyarsk":"克拉斯诺亚尔斯克标准时间","Asia/Kuching":"马来西亚时间","Asia/Macau":"中国标准时间","Asia/Magadan":"马加丹标准时间","Asia/Makassar":"印度尼西亚中部时间","Asia/Manila":"菲律宾标准时间","Asia/Nicosia":"东欧时间","Asia/Novokuznetsk":"克拉斯诺亚尔斯克标准时间","Asia/Novosibirsk":"新西伯利亚标准时间","Asia/Omsk":"鄂木斯克标准时间","Asia/Oral":"哈萨克斯坦时间","Asia/Pontianak":"印度尼西亚西部时间","Asia/Pyongyang":"韩国标准时间","Asia/Qatar":"阿拉伯标准时间","Asia/Qostanay":"哈萨克斯坦时间","Asia/Qyzylorda":"哈萨克斯坦时间","Asia/Riyadh":"阿拉伯标准时间","Asia/Sakhalin":"库页岛标准时间","Asia/Samarkand":"乌兹别克斯坦标准时间","Asia/Seoul":"韩国标准时间","Asia/Shanghai":"中国标准时间","Asia/Singapore":"新加坡标准时间","Asia/Srednekolymsk":"中科雷姆斯克时间","Asia/Taipei":"台北标准时间","Asia/Tashkent":"乌兹别克斯坦标准时间","Asia/Tbilisi":"格鲁吉亚标准时间","Asia/Tehran":"伊朗标准时间","Asia/Thimphu":"不丹时间","Asia/Tokyo":"日本标准时间","Asia/Tomsk":"托木斯克时间","Asia/Ulaanbaatar":"乌兰巴托标准时间","Asia/Urumqi":"乌鲁木齐时间","Asia/Ust-Nera":"海参崴标准时间","Asia/Vladivostok":"海参崴标准时间","Asia/Yakutsk":"雅库茨克标准时间","Asia/Yangon":"缅甸时间","Asia/Yekaterinburg":"叶卡捷琳堡标准时间","Asia/Yerevan":"亚美尼亚标准时间","Atlantic/Azores":"亚速尔群岛时间","Atlantic/Bermuda":"大西洋时间","Atlantic/Canary":"西欧时间","Atlantic/Cape_Verde":"佛得角标准时间","Atlantic/Faroe":"西欧时间","Atlantic/Madeira":"西欧时间","Atlantic/South_Georgia":"南乔治亚岛时间","Atlantic/Stanley":"福克兰群岛标准时间","Australia/Adelaide":"澳大利亚中部时间","Australia/Brisbane":"澳大利亚东部标准时间","Australia/Broken_Hill":"澳大利亚中部时间","Australia/Darwin":"澳大利亚中部标准时间","Australia/Eucla":"澳大利亚中西部标准时间","Australia/Hobart":"澳大利亚东部时间","Australia/Lindeman":"澳大利亚东部标准时间","Australia/Lord_Howe":"豪勋爵岛时间","Australia/Melbourne":"澳大利亚东部时间","Australia/Perth":"澳大利亚西部标准时间","Australia/Sydney":"澳大利亚东部时间","CET":"中欧时间","CST6CDT":"北美中部时间","EET":"东欧时间","EST":"北美东部标准时间","EST5EDT":"北美东部时间","Europe/Andorra":"中欧时间","Europe/Astrakhan":"阿斯特拉罕时间","Europe/Athens":"东欧时间","Europe/Belgrade":"中欧时间","Europe/Berlin":"中欧时间","Europe/Brussels":"中欧时间","Europe/Bucharest":"东欧时间","Europe/Budapest":"中欧时间","Europe/Chisinau":"东欧时间","Europe/Dublin":"爱尔兰时间","Europe/Gibraltar":"中欧时间","Europe/Helsinki":"东欧时间","Europe/Istanbul":"土耳其时间","Europe/Kaliningrad":"东欧标准时间","Europe/Kirov":"基洛夫时间","Europe/Kyiv":"东欧时间","Europe/Lisbon":"西欧时间","Europe/London":"英国时间","Europe/Madrid":"中欧时间","Europe/Malta":"中欧时间","Europe/Minsk":"莫斯科标准时间","Europe/Moscow":"莫斯科标准时间","Europe/Paris":"中欧时间","Europe/Prague":"中欧时间","Europe/Riga":"东欧时间","Europe/Rome":"中欧时间","Europe/Samara":"萨马拉标准时间","Europe/Saratov":"萨拉托夫时间","Europe/Simferopol":"莫斯科标准时间","Europe/Sofia":"东欧时间","Europe/Tallinn":"东欧时间","Europe/Tirane":"中欧时间","Europe/Ulyanovsk":"乌里扬诺夫斯克时间","Europe/Vienna":"中欧时间","Europe/Vilnius":"东欧时间","Europe/Volgograd":"伏尔加格勒标准时间","Europe/Warsaw":"中欧时间","Europe/Zurich":"中欧时间","HST":"夏威夷-阿留申标准时间","Indian/Chagos":"印度洋时间","Indian/Maldives":"马尔代夫时间","Indian/Mauritius":"毛里求斯标准时间","MET":"中欧时间","MST":"北美山区标准时间","MST7MDT":"北美山区时间","Pacific/Apia":"阿皮亚标准时间","Pacific/Auckland":"新西兰时间","Pacific/Bougainville":"布干维尔时间","Pacific/Chatham":"查塔姆时间","Pacific/Easter":"复活节岛时间","Pacific/Efate":"瓦努阿图标准时间","Pacific/Fakaofo":"托克劳时间","Pacific/Fiji":"斐济标准时间","Pacific/Galapagos":"科隆群岛时间","Pacific/Gambier":"甘比尔时间","Pacific/Guadalcanal":"所罗门群岛时间","Pacific/Guam":"查莫罗时间","Pacific/Honolulu":"夏威夷-阿留申标准时间","Pacific/Kanton":"菲尼克斯群岛时间","Pacific/Kiritimati":"莱恩群岛时间","Pacific/Kosrae":"科斯雷时间","Pacific/Kwajalein":"马绍尔群岛时间","Pacific/Marquesas":"马克萨斯群岛时间","Pacific/Nauru":"瑙鲁时间","Pacific/Niue":"纽埃时间","Pacific/Norfolk":"诺福克岛时间","Pacific/Noumea":"新喀里多尼亚标准时间","Pacific/Pago_Pago":"萨摩亚标准时间","Pacific/Palau":"帕劳时间","Pacific/Pitcairn":"皮特凯恩时间","Pacific/Port_Moresby":"巴布亚新几内亚时间","Pacific/Rarotonga":"库克群岛标准时间","Pacific/Tahiti":"塔希提岛时间","Pacific/Tarawa":"吉尔伯特群岛时间","Pacific/Tongatapu":"汤加标准时间","PST8PDT":"北美太平洋时间","WET":"西欧时间"}
+	};
+}
@@ -0,0 +1,9 @@
+/** @about Timezones boundary pack (lite) @license: MIT, boundaries ODbL (OpenStreetMap contributors) */
+// coarse timezone borders (timezone-boundary-builder, ~0.05°, small islands left out, smallest zones first),
+// rings are polyline encoded [lat, lon] pairs at 1/1000 degree. Timezones.RegisterBoundaries(boundaries_lite)
+export function boundaries_lite() {
+	return {
+		precision: 1000,
+		zones: {"Europe/Vatican":["{ypA{hW@C@MA@?GA?G??BA@?FDB"],"Europe/Busingen":["uc|Ae|OJUSg@Fw@o@`@J\\Gh@\\U"],"Europe/San_Marino":["aztAcfWl@Yv@JGaAVYE_Ai@Km@o@a@T_AQVxAh@`A"],"Europe/Monaco":["cltAanMhLuDg@aAyK`DS\\"],"Europe/Gibraltar":["aqeAhpIz@KbAg@HkAs@uA_CYIvELT"],"Asia/Macau":["kij@ov|EhAk@fA?Ri@j@??mA_Ag@qB?kAp@?bAYt@HT"],"Europe/Vaduz":["m|zA_oQZ[_@kB`@e@eAuC}BNo@xBeAg@e@`Ac@]y@fArDxAjDaA"],"Asia/Gaza":["{d|@oyaArEgBmCeEeEYoHuJmB|C"],"America/Lower_Princes":["m}a@hqzB`BsCnAyGeLqEoAdCFtF"],"Europe/Andorra":["k~qA_wA`BwAFeEs@SaAkHaCy@c@}AYtB{@OcA`OhF`CIkAz@_@"],"America/Indiana/Vevay":["wxjAdleDpFCDu@sDgJKcJ{AZcByAaBbY"],"America/Marigot":["wgb@`wzBfIyDyHaGfA{JqGmJu@lJ"],"America/Indiana/Marengo":["s}iAphhDdFAAyEnB@?}EpDBZ{BcA{C_BfBL_CaFsBm@hAyAe@To@qCN?jBx@?"],"America/Indiana/Knox":["gloAdxhD@_\\kO?x@jMjFjD`BdH"],"America/Indiana/Petersburg":["ecjAlyiD|@oBvB@IwDhHc@AaMsPAg@z@d@~AgAlBrA~D}@vFLjA"],"Africa/Ceuta":["yheAnpIvFwAlAaGN{KuFRcE`D","q|cArxDj@}@yI{S{BjE"],"America/Metlakatla":["urjB`g`G?aCxB\\lB}BaAqDf@{I{IaEuF|T"],"America/Indiana/Tell_City":["}eiAxphDlE}C]eDdCLUaBcCg@ScD{EVs@kDoA`AiEI?|EoBA\\|LdGX\\kArCC|@H"],"Asia/Singapore":["wiA{giEbC}ImGyPOmEwGhAcAdBd@|GeBhDh@dE"],"America/Indiana/Winamac":["{foAdxhDzI?D_\\kO?A~["],"America/Kentucky/Monticello":["u~fAnceDlEwBfGIf@eKcNoMmGtEl@tDoAbC"],"America/St_Barthelemy":["iva@rdzBtEuLa@wGmFwE_KFoG`IpFpJ"],"America/Montserrat":["at_@b~xBpIqDzCyHuAuIeI_E{DJeFfOhGfN"],"Pacific/Nauru":["j`@mrdI|HoCvB_ImCwH_IyB{HlCyB`IlCvH"],"Indian/Chagos":["|jIe_kC~Hw@pAmCmAsFsDgF_HBaBvAx@lDaA~A\\vD","rmIk|kCzAi@\\aBgAgDkBm@yBfA[tAz@nB","peM_flCfDuCpDLpAw@E_CwCoCgGIiDvCO~C"],"Pacific/Wake":["yud@}}cIhH{BrDkJqAaIkG_DuJ`BwDhJfBxI"],"America/Bahia_Banderas":["{kg@txmEdBqa@iGyHmF}@cCqJFdP|DjF{Cu@sIdK"],"Pacific/Kosrae":["gjIqw|HjJsDvB}LoDkIgJyBwJrC{B~IbFxL"],"America/North_Dakota/Center":["sg{AfweEfOAuAgv@qOpI"],"Pacific/Norfolk":["`tw@kofI~MoCnD}IaDqKeLwDaIhCsDhLjBdJ"],"Asia/Hong_Kong":["qkj@qh}E~CqEWgc@wW|Aa@hQfBlI`DzF"],"America/Aruba":["snWzfhCxJuEtDuYoEeCqMbBwLhPlB`L"],"Indian/Christmas":["~oScvlEjIoDpDoPeEaHkOcC}HxD}@|IhDrM"],"Pacific/Niue":["rgd@|ikIhJuCvDgLsCoJ{LuFyM|DiCpK|CjJ"],"Atlantic/Bermuda":["e`~@de~BjJ{EnAyMmHcQ_KqCkHzEoA|KtFtQ"],"America/St_Kitts":["yv`@pczBxIaLdHwC~BiIeHaIeN_CoNlMkDfJ"],"Europe/Jersey":["gc_B~~ChQaAnBwPUcOwQkHkGrB_HzK"],"America/Noronha":["bqFfy~@hIgDhA}KaFgJsKm@yFlDw@nH`GpK","ax@rux@zGyBnB_H{BwGaHoB{GzBmBxGzBzG"],"Indian/Cocos":["bcVgu{Dn\\cB~DkIyBkMcKuCaMrF{Mv@mB|M"],"Europe/Luxembourg":["qm`BoeJd@_BhD|@bG{HrFjErDyI_CeOlB_GaFRmH}HmDQs@pKiFfHqLtCCtG"],"Australia/Lindeman":["nue@gkaH~m@iSGgMyEaGqLoA{GvCwL~O"],"America/Barbados":["k~X~{sBnQwAfHgLm@sK}JqIcKj@aOdQ`AhL"],"Australia/Lord_Howe":["pp|@aduHnKyClNqPh@qJ{EkHwIFaWvQ?~M"],"America/North_Dakota/Beulah":["am{A~rfE@_CrT??yVgO@?u^qLjJyB_CuAvBfCzV{CbW"],"America/St_Lucia":["maZjuvBtGg@xFkErDkJc@gGiNkIwUVkDnBs@vT"],"America/Anguilla":["ahc@lh{B~FgBbCgGvId@hHaFmFwXd@sJiCoAmGFkExDe@jYqIi@aGhGj@nJ"],"America/Kentucky/Louisville":["iqiAtrgD~FkCzDoL}Hme@cHq@gFpMyJyLgApVfFnKlC@IfO"],"America/Dominica":["ki]lnwBxW{FlD_DbAgGqGqO{T_B}KjEiD~Q|GzM"],"America/Grenada":["amVlbxBjKcGQaOcFkHo\\iOaGvIeDrPvSbN"],"Pacific/Midway":["eov@ry{IrIiD`CqJkB_K_IgDiJpC{CpJdCxK","cbv@d~yIrHuC`C_J}BgMoIiD}J|DeCzJnClJ"],"America/Miquelon":["enzApvmBdJaF`E_PMyMoDoIiHtCoBlFcNFwKjHiA`HhHxO"],"Pacific/Guam":["mgYy`yGzTaDxBkF]qIyUaSsMmBiJxJc@jIzNjS"],"Europe/Malta":["omeA_fZbHwAhS_To@cSaIwIcLvA{OhYb@xP"],"America/Tortola":["ejc@vz}BhLwDbAaMbO@G{BeO{XaUkEeKdHy@~LjDrHxI~@"],"America/Curacao":["qdWlnfCfLeBjMiOxHoWuEuKyJr@s[z]wA|N"],"America/Indiana/Vincennes":["wbjAxkjD{Cqg@zSeAyAqW_h@DDbt@bIiA"],"Europe/Guernsey":["aq_Bx{DpGgDfDqV}GkTaEmF{[wAnA`_@"],"Pacific/Wallis":["`zZdl{InJaDjF}LiBaKeGuDiJnBiHdPtAhJ","x}XlswI~LaDrCeI{BwJaNoEqLnEoD`JxChI"],"America/Creston":["{{~ArrcFjAyG~BVe@siAeHjG{@zG_En@FvGuMdGdBxUsI\\}DuD{ClFJfItIpAzUeM"],"Asia/Bahrain":["_}q@{daB`XeI~GqVwl@aFqU`JuBjHxH~K"],"Indian/Mayotte":["hvWokvApPWdO_IfCuOmG_MkW_EgPvK}CbQnFrK"],"America/St_Thomas":["efc@vj~BlHmBpKZzEwElByLwCsKcOAcA`MiLvD","_pa@rd~BbJqEt@yNkF}RuJ_DaKhIQnQfD~L"],"America/Martinique":["g}[t~vB|_@wNlC{YwCwDeLqBy[tHyE~WtCbK"],"Asia/Hebron":["_i|@_ccAhA}NsGiTsOiDaf@CaA~GgD^eBbJlE|HdOxEtPcDrCxBn@cLsC_AjGuAnErO"],"America/Kralendijk":["}|V``eCfXcP`@kIsEkGkQuBaInE{ErTxDjG","_la@x}zBlHyC~AaKvGkHgToOqMt[nCjI"],"Pacific/Fakaofo":["jtOfjpIvIiB|CkGuAuJyGmDmIpAiE`IpAfJ","x|PpaoIfJyDnCoIcBkIkHeDwMvA_EtH~BtM","`iQd|mIlEy@rE{DvB{HsD_IkLoBmIzDgBxHfEhJ"],"America/North_Dakota/New_Salem":["iwzA`lfEnOElDsp@dOA@sNzDWiGoHOgPcFcCeH`E[fHeQdH"],"America/St_Vincent":["csW`mwBfLm[qEeFqZ{IoXMyHhCuClK~DvJ"],"Europe/Isle_of_Man":["cqhBdbIrJsKGk\\cLiWkN{GeMpJdBn_@rIdS"],"Australia/Broken_Hill":["px|@qkrG`c@?jD}x@eN]mDlD@eF{VC`BlPoC|DUdW"],"America/Cayman":["ozd@|l~CnLsBlEsHeBiX}JwGqFf@iEhEeC~U`CjK","oke@d{{CfJ}FYeVkF{NuIsB_H`EcA`I~DxX"],"Pacific/Pitcairn":["tvm@|x~FrHkCvBsHqB_JuHuC{HbCgCtI|BtI","r}o@lq}F~G}BjCmImByI}GqCoH~BmCvIvBrI","~qn@`czFlIkCfDaIy@wIsGeEoL~@mEpHzArL","neo@pdsFdHcC|BeI{BmIkHiC_H`C{BzHnBtI"],"Asia/Brunei":["kiHet}EzJqCzCqJbNmB[mGdPaIuFiJiMgDcVtEqIiNx^wC~A}Ood@pMcIyEqBxISnPrR~X"],"Indian/Reunion":["vah@uljBtRoF|J_Qb@eY}HgJkTS{OjKaDvHcAdOrC|L"],"Antarctica/Macquarie":["ftjBmftHpFoCnC}JuDoW{FqBsFxDwG}Mq[qHgFfAwElPpDtR~KrJbPnDtKeE"],"Pacific/Pago_Pago":["`rT|pmIfH}B~BoHaCuHoH_CmHfCoBhH|BvH","f~ZxamI|H_DvDiM{FaSeJeDuJfEkBjNbFnO","htZjyjI|IoDdGgPuAoLyG_EiLrBgFrQbAxL","~k[rzgIlHcCbCkH}BeIcHeCaIjC{BbH`ClI"],"America/Antigua":["a_`@tdyBxGuEiGiNdFkOeAqOwEeImHaCqb@pCsNhIwBxJvDjI"],"America/Guadeloupe":["yw^bcxB~ToD`PsN}G{MhD_RwAaCud@qP_JhF?zQsG|EcBjI`K|Y"],"Antarctica/Palmer":["bm~Bv|~Bc[giB_q@nKf^n}@"],"Asia/Famagusta":["mcdA}x~@fNgAnC_GmFkb@fKaByCkDzBaImBOhAuBiDoFjBgFuEmMsSg_@gMuE}GtE_AtJvTz}@_Avk@"],"Pacific/Apia":["flY`|pIb\\eXX}S`Nk]v@mYiGmHwPtB{InOmCvZ{TzOnAdd@"],"Africa/Banjul":["qcYzf`@lS{AByLaFkCBav@mJ?_@o^uMcLrFeFpNoe@yDw]gDiC_J|I`GxUcK~JfAxJwIbHqA|KfD`KoAdEvJ~E?~uA"],"Atlantic/St_Helena":["hoN|p[xIyB|CiIeDeM}HyC_IpCiE|K~BjI","dzgAxhXbJyEhHiZqEeIwHe@yGaMaHgAkJnHs@|MbCbHrHzDfB~O","pvmApaS~GcD~EyNaBgMuIsEoJpDwDjMxBpN","|f^xuJxI_ErBmH{DsNeIwCwKlDaCbKvExK"],"Pacific/Kanton":["fbHlhtItHuB|C}HiAoHkG_DoIbBcElI|AdI","n_FjnsIfHwBtBuGiB{GwGcCmHlB}B~GpBfH","pyGrwoIdIaDpBaJsDcJoIqBcHzCaBzIbDdJ","hmDdxnIdJiC|DiJe@uHsF_E}LzAwFdJ`AfK","b_FpknIdHaCpB}G{B}G_HqB_HxBuBhH|B~G","nuGn{mIlHcCxBmHmBwHeHcCgIhC}B~GbC`I","paEvpmIrHuAzCgGkA{HgGaDcJdAuDxGbBpI","fgFjylIfHwBzB}GoB_HyG_CgHpB_CdHnBbH"],"Atlantic/Madeira":["ma_A~da@pIaDnGeKjQwr@mKyIeWvJ{FcSmN_B_GrEo@hKxEzLhOnByF|d@fGpL","}sy@vx^lIiEv@uLyI{P{IcByGxE}@lK`InP"],"Asia/Nicosia":["sncAmp}@|ZkKfJm\\yIwEdEsLeAsCiCp@TiDtEgF_Hw[aEwE{JnF@iMdIsAXaFsB{HmGuCmMjEtElMkBfFhDnFiAtBlBN{B`I~CxCmKrBlFhb@oC`GgNfAFzCtLu@qKzEnE|V"],"Africa/Sao_Tome":["sNifKvSaCnEsDd@cIqFyKe~Ais@yNeByGbCuDnKzBtI"],"America/Menominee":["k}yAbroD~BqKhIaE|Xa}B`Ft@|FyTlStE[mMtIhDrDcD~@sL{FgAcNaRuEdMcZnAApNiOC?j^yIA?tu@nD?AjVyI??nVmDA?vFwI?"],"Pacific/Gambier":["|fl@|gkGpHcC~ByIiCgHiJgCkHxCiBzH`DbI","`rh@jojG|IoDbDyOnGyH[uIyF{EaLfAuKpNgAfU","t_j@zliGlHgCvBmIyCuHkIqBeHbCqB~HpCrH","l}h@vihGrKeCjDyHyBePsHsE}IzBkE`K`ArN","lgl@~hgGnHmC|EwMiDoRrLqJgA}IeHiEwLxDgBxGbBpHmI`A}JvMxAdK"],"Asia/Beirut":["gx_AeccAdFw\\aAaHoK}B~AqBaTeZwCxFiIgGUmSmDzE{PkTiI~DgAuAcExMkGcGmBzF`CpC_@di@bQjIjO~@tE|G"],"Pacific/Chatham":["`wtAxdyInGyCxB{LjH{D~Uo^cEqd@_HyHcGn@{DtFmGoJqJhB_ChRuLnHeA~X}JfTCjKvDbHlGv@hFcE"],"America/Grand_Turk":["qci@n}lCvEwBf[ui@zBkMoAib@uUgPoRdGs]xz@lH``@lH|F"],"Pacific/Kwajalein":["}oQsycIdr@_a@?s[lOgXcH_YeM`JiWhAaW|QmBtHzBv[qj@lF"],"Africa/Mbabane":["nds@mc{@fGk@uB}CvNyDhIkI`FmTBg]u^aAz@wF_s@~AmB~E|AtEsPh[p@dEvh@h]"],"Pacific/Kiritimati":["adHbuxHfHaClCqIcBqHeHsCkIdCeChJvBjH","irFtuvH|KoExCyGsBqLwHwDaJjBsGrLtBfK","itB`csH~JkEpJqWi@wJkGuEsIT_PbIaHvNlB|M","h_Jl}oHfHgCzCsJoCcJoHcCeI`DmBrIxBdJ","zyFdanHrHkChCiEZeEaDqHyJqBaHlC_BzH|BjJ","ftRn{hH~GaClBkHaC_H{GmBaHzBuB`H|BbH","diU||gHpHeC`CeGwAoH}GsCgIhB}C~GhB`I","lpRjydHhIwDn@iKqHqGkKCsF~EIdIvDnE"],"Europe/Podgorica":["cmqAg~b@jHgSpNiLzFyNmKuIwLi@wCpFwWqSiDiFdJcCu@cLcHyE{ElDJaMeHcEuBjMgHfHwCpSgT~Xs@xMhBtCrKmI~AvCaEhIzDlHrLt@bBlIrIvAzIyFlDpGfIkE"],"Indian/Mauritius":["|eS{bmB|HuBhI_ILgI}EsFkKDwLdL^jK","p~f@aonBtHkCjD_LKgPwGkOkMgGug@bCoC`JhEtP|XnR","|z_@yvrBtH_D~A}IiCoJgK{IgR{AyWnLm@fI`EjG","`qe@iezBfNyFjAuNgI{KqKmBaInFuAdRvDnH"],"America/Port_of_Spain":["{rRdgxBxIuv@sEySmlAsa@kOxAeDzHrAdLxb@b~@lUrC?tB"],"Pacific/Pohnpei":["{xNmzkHfHgClDoJyBuHmHiCuIrAwCvC}@hEhCdJ","ebAwwlH|HqCxDmKqCoIgJ_C_IfCoCnI`C|J","unFidmHvHeCtBwHiCiJwH_CiIlCcCvInC`I","iwM_smHhN_GhDeHM{NiKsG}Nf@gG|I^jUtDnD","ciJepqHhJcEpAyNuBcJwHqC{JzCcD~IjEnO","ezLuvrHv[oJhE}FuAe\\kLsLgQfBwIpKjEjQoG~P","i_LorvHxH}CpAiIsDwG_JsAoGlDeAdIdDjG","_dKkmxH`IcCfCcH_CwH{HaCsH`C}BhI`C`H"],"Pacific/Marquesas":["|sNxfrGhJyC~AqKoJiMiBkJgKmBeHlHnAjPxFxM","f}Ol`rG~JqGsBqMbN_CdFgKnGbGvIGzJcMwBuJ}LoDqHdB{DdJ{AqH}FcD`J_GAyMuIcIqKhBcE|I~@lJbHtEuMzFy@jQrDfJ{G~BqBlHpBvG","hbRjeoGjQ}ApGwFiBqM|BoKuFqHoXK}GbH{Ii@}FnF`BlM~LrAhE`J","ppS~gnG~JcF|@{JqJ_JkCyH}JmAuGlIzCvJOtIhEtF"],"Africa/Kigali":["`}C{jw@dGeAdD}GyGk@UoDzBcJtJuAg@cTkFaLmVqA|EyI_GiPxEaIoBqNyP_DwGtD}P_AyKjEyEpIwPdERjF~UrQdBrGyItDnK|[bUbMbOmAdGpBvGpM"],"America/Argentina/Tucuman":["dvr@bg`CfHM}@}FxGkLtFjC`CsAvStPnCqIj_@wGcDcDhN{IqJmLhF{JiCWBoFgQQqAsC_DnBgHyHch@qO`@iDy[OtDj[mGhS_FlCv@xKx@nGtMz@gGzV"],"Asia/Qatar":["o}p@owaBxg@sGx@}C~TiHlCiIeAuKsF{DyGiZwc@kAmMnFsZoCiU|Y{AxKjGzNfXhFbHgBxKhB","u{o@kqdBjHmClBqGW}DsBiCsBtA{Aa@]kBfAwAcAKeInCkBrH~AbH","wcq@m|dBfH_CxBaJyBeHaHeCwGpBkCbJdBvG"],"Indian/Comoro":["t`VssrApGkBxe@cg@nYgx@gp@m`@__Af_B`CbQ"],"Europe/Mariehamn":["_qtBugd@hd@st@vGaWc@m]gIsXqNuF_C|I{IdHmV}FwGpD{Mvi@hH`UjFtq@"],"Africa/Bujumbura":["jmDqsw@lO{Nhq@v@dOuHvSkBf@_SqEsBmDgMw]}PAaD_MqA}FeLaFGcCaJsKxAqCgB\\fJgEzDvBnCyDbEgKwF@zEyNwF}DjD~@rMnDpDyEdJhVjAxEhIx@zVuJtA{BbJTnD"],"America/Ojinaga":["c}x@jzmEd@mMzGyAB}JxDTSoDvMaSlGlDlCkCa@{LfOoIc@}KxHiF_FiMhHaEaBwU|B_@q[{SoOv\\kBzNqRj\\_QvIsRr@{MbIcA~Ej@|JbGhAsCrEfEjA|AfTzDeC}@zBpIrLj@gGbHInE~ExCiB"],"Pacific/Saipan":["wbg@aqyGdHeCpBaI_CsHyHyBwGhCqBhIdClH","iqZe`zGtIgEx@sMmFgK}JaBsGdEcAxJnD`K","yaf@eezGbHgCpBoH~HdA~F_DxAyIoDsHgK_AeHtK_HaAqGfDu@|M","}}[{yzGtJwGwBsNoV_PcKcByGtBwCdJbEpMfPpI","o}^_`{G|FkApDyEiBgQmHiC{H`CcJeGgInBmC`I~B~HtG|BbHiBlCnG","qtc@a`{G~IkCxCiIuCmJwHgCwIrBmDhJbC~I","}fb@sd{GpI{Db@aL_HiJsLo@_GvFOjJ~DvF","{ja@gk{GrHcChG|AlG_B|CgHyA_IcIeDkHrBaHsByGhBuClFJnGxCrE","cg^gz{GbHiCdByHsCaHkIqBoGrC}ArHfCtG"],"Africa/Djibouti":["kmUuqpAd`@}A~AeHeCo[cF_L^wFxDmADsI}p@_[mKuJo`@oAyCvRiKl@|IpXlJ~B|CvFqIxMlp@ff@"],"Atlantic/Faroe":["ygxBlzN~u@_eAnCuXuGqRyaAa[iJbPmAnq@zEtc@~Mj`@"],"Pacific/Funafuti":["n_JymvIfHuBfFiJq@uH{FuDeLfB_EpIx@hJ","jhK}}vItHmClBuHwC{G_IaBeHjCgBhHjCvG","z`MqqxIlIqAnDsG{@}HoGsDgK`AkE`HtA~I","v|Jq}xIdHaCxBaHoBmHcHaCqHzByBxH|BhH","`uNkzzIdHcChe@ao@lp@qo@hB_HgB{GiU?iz@xj@ia@~u@pBzJ","hqMwp{IjIaCpCuGaByHeH}CoH~A_EfIjBbI","raT_c}IvG{BvBoH_CeHaHqBcHbCkBdHzBdH"],"America/Puerto_Rico":["}mb@`cdC~JwA|E_JeA}JyH_F{J`BoFjLjAdJ","y{b@hfcCdI{DpAyKrQPfHgKy@g\\~CqLwBs`@mIaTgA{[{GcG{EvE_UpAkFpn@aB~gAvHzLB`N"],"America/El_Salvador":["unYxeoDfMsTnBca@`Rcr@j@ue@uLmQiKbMcEuEsBxCoPiDiFvDbBlLqFrBOxHzBEpD`NkF~@uAnJuHdFvB~@}QhPQb\\hKaBdAzGpHjCu@lFnFlI"],"Asia/Kuwait":["wyw@q|yAfE_x@v\\_NSil@_P}b@}HpC{ArLqMfEuJcBaX`L{JdQz@jL}EtOAnRlDjKfc@bR"],"Europe/Ljubljana":["slyA_cYjDeAbAyNvIvJl@mI|I|AzIeSfCl`@vGm^{DeF~@qVqJ_KjLmNkCcFtEkNaC_LkFxEyAaGsDdGuEcZkKo@iEpGmCeBwD}UiDwA^gNoFvBqB{F|CiM{HxK}KvAgAdFbBnNtIiBcCnKvE~SkAx[nPx\\uCjGwCvk@dDp@"],"Asia/Dili":["rcQmhqFlFuAb@gByBeCzAmBtDKc@yC_Gq@sBeDsSy@BfFlEhQ","dsPg_sFhAmCcEyEzBuCbHVI`IpC~@vUaP_HwKyGqa@_HoLoAwRaJkKcEyUqPsV_IsBeKhUUbp@xDdS}@fOgIzIhSlVrDrO"],"Europe/Kaliningrad":["wsiBw{d@lHeNlDo|@Ve}BQ{G}LvEaHuBeD_H_OrQxA`_@cI~b@uEfFjAzP_GrZtK|N|Czh@rFxFfKE"],"America/Resolute":["cnqCdz{DpO}dAtFs~@wBcgAmL}DiJbEyKOoEtJ{Mjj@_Bjg@tN~sAfC{HlCrP"],"Pacific/Rarotonga":["xgTfncInHoCrCeK{AiIwGyCmKhAsDpH\\bFtC|F","nqUvnbIjHkCtBaHuBaHcH_CsHfCqB~GzBlH","vgb@~c~HbJqDpBaJwDqImJkCoJnF_B|HrCdH","z|X|c~HrJgDvCuJwD_MyHyC}I`DaF`LzDxK","lrRv`zH|JmHdJdDdI_BxD}IaCiKoKgCyL|JyHiCiH`B}BvN","`}c@lrwHlImDvC{MwCcI_JiBcLtDsCnI`DbJ","jmh@|qwHfJwCvCiKoBkJoHgD_KhCcDpKtBvJ","rsd@~{uHxH{CxBoH{BkJoHoC_I`CmCpIbCbJ","lue@`rtHhXqSeAyKuHwEfCyHcC}IbKp@|GaGDqJuGeGyNfD_BxHlBxG_Lc@cGxHz@pKvIzDkLxMu@bI","bpPfbtH|IuCfGaKiAyJcKyFcObE_DjKfBfL","dzi@`}sHpHqCfCuIeBcKgI_DqJnDkC`IjC`K"],"Europe/Skopje":["{apAi}f@`FwEzI|A~RsLxAwt@mQk\\\\yh@_JcA_AqKkPb@sDiDwQjIiFbTuMtMtCfMu@zLxD`H{AtNnJfJ_FhHvFnStL|BGrIzP?"],"Africa/Maseru":["b|x@ews@b^wRG_D~Jn@i@gDbQkPpCuUiLaB{DcF_D~BcHyJeAuWcKsVgCfCiIuBoAsFqHUsHeIaO|GgIxSiGfAQjGsK|HhBpN|CfBQlIpJrHb@bPxc@rW"],"America/Ciudad_Juarez":["a`{@fxsE~OoT~AxAhGuE[zCzBCnBaFgIiCaAuMkEx@wFwHoCfAX}IkH`B}AkJtGsJkAqL{C_B~CoDgFaJkLqAiEki@rMyI_AmEhIiAu@sMvC{ErOo@NsDvKsCgAsIgEkArCsEsHsE`@wMcKxGkIpWa_@ra@iExNsOzIgBdH?~gBd[?@fa@tEzGtLkL@lFhEAGpG"],"Asia/Jerusalem":["g~{@w|aAlmByg@{h@aNu[sAs_@uNiHnBs^cImv@?oG}MeI}DgVbDtCxJ_BnBnK~BdAzFiF|]xPrH`m@rJxZlNvIyO","aa~@ewcAyAoB{@j@Dd@{A_@b@}@AkDbAg@`@cAd@Z|AIEhB|@~Aa@hD"],"Asia/Yerevan":["ugoAmzsAbIaMzKwCzNzKrR{IfBrBrD}MMk[rRcXsCkSfK{Dg@iGpFkI{DgRvFyBvD~AzC{KzZ{GoCyKbBwJ{Jg@eGrFx@qEoC_EwKxNeFsKqD`MvBdJ_LnKmAnH{Er@kAxJuBsCrAsHmMuGsQt`@sJ|BaHoM{EtJoBe@cAvViEaHwAfJiEREjK~DcCuA|j@rBb@"],"America/Yakutat":["essBzssGhIsd@|Ayd@`f@uyBfIkJ_K_o@}Cs@eOtEy_@t~@qG`DkJv]qOwFb@re@pH~P{Fx\\nDzBkDb]"],"Africa/Malabo":["nwAqqIpJ_ClCsJoEqHmJiA}GfDmAbInCxG","}pEk`OfOmGlCwXe_@wTgM_@mGzGaCfU`Y~T","sv@{wPpG}AuR{_@bHiP{CwA?qrAgh@?mL{CqDdD_L}@x@vqAmEtJmEp@_BrMdYGhk@vY"],"Atlantic/Azores":["k`lAhs|@`IcBxEwFm@sV_KaHkXVsFtIn@nL","akjAlyw@bNsKvH}U^cRqBaSoHcRaGiDlD}^mEyH}I_DuKrGyDrSdCpRtLhEyDvMyE}IcKAuGpGkBlLpGnNdLMvJfi@","i{hA`~q@jaAiq@OqZiZoRaHVqi@r^aCzp@bDfH"],"Pacific/Tongatapu":["pwm@dk}IlKyG}@kPqEwDyGIsGeK{K\\wExHz@zJ`GpEzG?bDhJ","|rj@brwItHqCtB_I_CwHoG}BwGdBwCdH~A`J","vo]xovIlIkExAmIaFqJqIeA_HvD}AvI|CbI","xcg@h_vIrH_DtBiIaDuI{IsAeGtCeBtHbCbI","teh@b|uIjJaCxJ{SdJ}Eb@cI_FgJmSSoVhJq@zXxD~I","tpe@jluIbLiFfA}Jlb@q@rHkN_KcW}RIy^mQ_LrFiD`RbJhLsE|X","lnd@d~tInKaHuAwN{IuCwHnDUaI_D}DoGsAqFbBoD`J~B~IbIhCjImDx@hK","veb@r{sIfGgBvJqLK{JsFqEkIl@sMxNx@~J","lvc@zqsIlIyFtCsSeKmIeQeA{HzEc@zK|I`O","hd^~zrIzJ_Fx@cJkG_I{M{@aGzDy@fJnCxE"],"Asia/Thimphu":["k_t@silD~@wFdIMJaHjG}EmBkNhD}OjBp@h@yMcCqSkGkJfGmSiA_}@aFsKjCeI}E_CmFrDeJMm@mDmKvECxUgHrDyIoCu@xDkB{CiJnP|DpD{Eza@rBtEqAbL{D~CgAvIpBfD{EbNrH~PtKnFlDpHjNfDbDrJfHmAzCtK"],"America/Belize":["o`^vgmDNcRoJsRrGuWsk@qe@q]mOySoB}GhCeOzWuRiFd@fXmNA}CzZnd@~VyErI~@nE"],"Europe/Tirane":["ebnAqbd@vXsOzCsU~IcSbHj@|AwByBsAnBoIgDuFmDd@@}E_JjEoE{U{SyEcG_O}TrCAxM_SrL{I}AmHpEs@kEcHvAqMaFqJfC{FlEkBfLcMxHfDnOwJlFv\\lYvCqFvLh@tYrNfRkA"],"Australia/Eucla":["p__AwbtFyQia@KumAeZyxAsF_Oie@A?zyE"],"Europe/Chisinau":["ch}Ao~r@`HoYd\\_OlKiPlGOdAmHlHcBdIsR|UyHpJKnJhHtMp@rUqDpAhDdGcEqCkF|AcLyMI}DsOuGRaAuKsDv@kEgF_CdFiMy@iC}NjJI_G{EjHwNmFsGpFkH{BaPiG~PeBwDsMA{FvXsGqBgAlFGiDuMJ|CdHyHxES~HmB_AoApCqDiFaIsA_@zCgCgDF`D{Er@bApNkIhDoBnOvEbFcEdA~@rFsEaBVpOiDd@yIr\\dDjHeA|FnCbAoA`b@vEiEoBdG"],"Atlantic/Canary":["icu@r|b@lJ}E`EySwDoIeQ{F}IrEaBnLfGfS","odw@xrb@`X}IdFmLkEeLcW_HgOpGgCdPbEnM","i{u@ria@|IcDhEoIIcLkFkJfHgJ{@_Qad@w`@kLe@qGpHJ`TjMbf@zGrFj@fQ","mou@~j^jKsD~FsHrAiSeNqScZTyHrJj@lYnN|M","uxu@|w[|IiFvAcRmQoc@qWeGiW{S}RyHcf@lO_BpJpDdIjtA~h@`MvP"],"Europe/Brussels":["gccBitCbSgN`EbAtF}JbAgFcEgNnD}E~Iu@x@_SbKkEoBsRjDoJpG`D`CoE|DlDx@}U}K}UnJnDxBgEfFjA~DaYnKuKyCaXmG[yFfH}FgAgLyJtA{IsEkAmDkMiIlBsArHaFiC_FjNEbTaFjAcPgLkHfTbAjPcMlKxDjFi@jHMmCeD|BdDrGoBfI|@bEdDgBShLzIvSsEnQxBdIwKfGkElL"],"America/Jamaica":["ytb@bnxCx|AgJhIiGyc@opCeGeIgIGyp@jX_Shh@_FncA|EnYpGdI"],"Indian/Mahe":["pjQ}yxAfK}B|RgRhAaJsDmGw]sAkGbDcCjINrR`DfF","~~Qik{Ad`@cR|AcHmDiIqKkAuVtEaFxDcBzOrFfH","feQmtaBr`AcVdEkIoDyLkOoF}o@hC{MzFwCpN~GnT","zvLmqeBrL{@|DaEJuIyGkHoOPaH`IShFbB|D","d|JmxeBjH}CpJoVuKaOsOzFLiIwFsFdB_LoEmH_Oj@_CpGhBrHoOjCwVaFkJlEu@xG~DrG`x@hJbBnG","dhFsljBvG{BnB{GaCeHsHsByGbCmBzGdChH","nwGyljBhR{K~K_PmOqd@yHiCgUtBmLbWmH{HwKbByBzGjBfHhMjBhGiHlLz^","tlJwujBhIoD~B}FeAwGoGmD}Iz@cDfCkAzDfBfI","jaMemlBjE_AjC}CF}IuHkHwK[iFbFEvGjDdF"],"Africa/Bissau":["_|V`_`@ldAaPdPaTnJq]Do[kR_W_`@kQNoHgJiNdBqJaAaLoDe@nAcHyQW_KhOcE{H`BaDoLcDeLnCSjzAhO|^gAr_@bEbJFhR"],"America/Argentina/Jujuy":["zgm@xgbCpVoVzGcUyFqFa`@cB_H_Gd@kCvC}Fj\\J`DkN|R{DnFgSqAoGxGsOiGaDvGiJ{@qE}IsGHqGsJuF{j@KChKvF|DyJtMjArIeJpByDdIyIIoFpJaW`Em[eIn@`b@oSp\\bRfClHb[nKtAjEhNdFY|HjIrJ{J"],"America/Port-au-Prince":["}|b@j}qCbIsD~AsHcCcHeIqB_HxCgBnHtBxH","y}b@d{pC|LgFfF_VpN}PsAmXsHaK`Do^oDgk@dH_LwIwHgGtAwHwDgF`LoInEGyJyDaD}H]{CfIoNqOyFfI_FwEuP|C_NlT}BjRmKlJ{BrKrAjOjFdF|G~VzP`FlNkJvDm^|MnAsAzN~D`JxJjBzHuEqF~Sb@~l@nFvG"],"Africa/Lome":["{uT~GlBoI|YdD|Ro[jLvAdC{B@jB|QrAnGaC`@~GfCmCtAbDeAwLxDkFrU|EjIoCtFrH|XgUpGxGd^kA|ExEhGC|GsGn]zFhNaLnGO~E}NjI}C@gFbNsCaF_XsKtA}AeJ_XrMws@aDc{Ax@o`@`Qg[a@{Vbc@ue@mG~BvXyCI"],"America/Maceio":["lcThuiAxTmJj@oDvDpArGkC~G_P{FwSjGgIck@g]oL_\\mm@s`@q]}\\yYcOgJf_@nEjP}BfHfEfMpLrG`I`R_C~QdFtCqG`HK|GmM`Jc@|PsGvClQxKhJdOpDcA~CwKxDzBhSaCIqDhGyFjQoApDhFfOgBlCzH_B~M"],"Europe/Zurich":["gbyAgsJyDeTmDtCwDeFcBuTt@uGpCbBpC{DzGfC\\mEpCv@YaCxKgI_Ga[jCsRmMeQmFhCiKoUlL@|FmIzA_NlDbCz@wE`Gc@VsEeDmCiCfEeCi@iK{MmOcAWkJhGDrCqDyCoXhHkDHoDkJeAkA|F_EG{DeKhDqBL_JoCg@kCzEyNuE{BnE|HnP{DhMkD?}@~WuLmB}E{G_IbFiFzQTtUsDlDzBd@iGvLlGbIp@}LxCfIaBdOnDv_@_CfA`J|Wm@xCeB}@ArLzGnEd@cJtPbTrFzPtHe@jKhT|@{A`GxDbBsE"],"America/Glace_Bay":["wlwAnnyB~Po`@dPsLqUqeAqS}SiZi|@mGwF_G@eMtJeE|SqLjGsRDyXon@gWtdA|m@bz@vb@lMzLpK`Rva@~_@mN"],"Europe/Ulyanovsk":["emhBimxAwAiIvB}FjDaGhDrCVyG`AjAjE{KtGFlHu[nDcB`EzDrB{E`AhChKf@hC_E~KfJq@gJpEoCoDyZhBcMoIqDpDqFy@cGqBw@WdEaB_EZsLqE{PoCpM_F`A~BjE}AjEiDqDuAnEmBeB}FhMyEsEEyScD_EaEfF[oJoEvA~Bs^oIAnCyd@mDoLlCuLkDpEeFcOoOkB}LjHmBh`@}F~CeA{AmIzMjEjKM~KtI??`Y{GrUxFzPkDKMrEdKrFu@~GlCjByIhCiAjQrC~KcG|VrCh@nBaFrBdGf@}GrClDa@sF~BfD|@oMxCp@tI`m@"],"Europe/Simferopol":["itwAs{}@bM_If@k\\bL}[|TvKvM}IhHeVf@sRiCcTuS}ZWqZwNm[pB_LuD{i@sBgDcO|CcOmHsIXyArSdAtc@dH`J{QjTdA`PiMtSrApHwFvHcI`i@rLrEpJ~n@jMd["],"Indian/Kerguelen":["n_yAkl`BfGoBpEqJfGX~FoFfAoPkGeKmH^sEhHkOyKcKvGI`SzI|R","xryAohcBrL}ItBaOM}b@iDmJkGuCmGjBeEbIoCrg@fDbR","`q`BkmcCzGkDzBoLmByLuG_E}GhD{BpLnBxL","vu_Bc`dCbHeEhBuLjU_F|EyGWwVmFuEwGtA_@gCzJuCrBaQ_D_KeHmBVySuE_TgN_ReVaDqP`JwGvi@{PpSYb]gK`LgAzMxRrYzFFxLaJzNz@","trjAa{uCxHuCbCwJeBuKcHqDaI~CyC|JtB|K","`|hAw{uCzIcEbCcKuBaKaIoE_K|CwCdKdCbM"],"Pacific/Bougainville":["rhI_xkHzB_Sn]mC|WoVru@qb@uIcO}CqSqQaFkFqG}OfJgLfRov@pOiEsKkNsA_MtIYlNcqApWwNxUzDn]","tgHuaqHvIyBzCmHqA{K_IqEmKvBoE~JpBxJ","l|GowuHnIgDnCwMeCkJ}H_DiLlDoEtFu@fGjDxI"],"Atlantic/Cape_Verde":["kh`@h}p@vQeHdVet@z|AbWnK{CbCcJaEwlA_Se_@kcAo]yu@rRwBjJfIfrAg_@`q@rHvV"],"America/Cancun":["}de@`lmD|FkHz_As@~YhDeBsI|E_Jod@}V|C}ZlN@b@iFiA}PgQoDjEwHaBqJwF_DaPKqF`FO~H_f@iJu]tB{EmCpEoHeAcJ{VgSkJSoFpG_XwI{[pGyHd[vD`Xzk@dBrTdLhVnWx@`PbIrPbLlGlElKnCw@BzFpF[{B~C"],"Atlantic/South_Georgia":["zqgBhvqAhH{EjGwXoAsOeHcGwHnEwGbYzAlP","vmhBnnjApJmIbGg_@lTyd@vOeq@zJkR{F}h@gOsJaG|AiZxa@eMr`@mI~{@jAvw@tCrI","vnjB|ocAdH{ElBkO{B}RkIkFyGvEoBfOjC`S","`umBfrv@|GwEtB_OmBmO}GcFiHzEwBvNtBxO","f}lBzru@dIiF~BsOgCwPkHeF{HvF}BdO`C|P","hbsB|hu@~I}KfBq\\oBsSgHgGiJ|DcDtQrAb_@","dwmBh}t@fIsFvBiQkCyReHqFaIxFmC|RhC`Q","jqnBvct@bHwFpBsQkCwT{HuFqInGsB|QlDxS","nhrB~}s@vIsJnB_YeD}S_IcGwJpKyB|PzE~Z","`|oBdqs@pHoFfCqRcC_TyHoGmJ|JyBvQfCjP","ddqBvms@zIgHlDoVsAuQgHiHsKxBoGhS`DxZ"],"Europe/Sarajevo":["spvAav]pKkSzBfAlLoKvGzAxF}Nt^gc@tEcPlLuBpPeVvAtId@_QdR}Xj@oRuG[aEnFeJ_BqAeIsLu@{DmH`EiI_BwCuKnIs@eT{CYh@mN_GOoQvPjBcQ_EcE_Sn_@gHs@gMsKcGqAy@tBhBv[aNbJdBzGwEx_@vExHsDjJ[x]_GjNtD|EkAvQdMhM{LdPK`JbI`EpLkB"],"Pacific/Tarawa":["nt@quiIjH{BhC_IyB_HsH{BgHnBiCtHvBpH","skE_{oIlvAgEbaAsItn@q_@|FyXaNcXyLqBc_Aln@qc@yFizAjReFfE_@vH|GbV","tc@mxrIrIkBny@km@l[gm@yBgMgi@o]jKeNwGmLqIXqIbHGpK|GhFqJnIan@flBdBrL","jzCihvItGgBpDuHuAqHuGsCmHzA_E`I`BxH","rbDy{wI|FaB~FyI}@gHiGkDuIhAeDvCoAzDjAvI"],"Europe/Bratislava":["wn}Aa{_@nPgOhCr@jAwOxMoVGaz@cCoKoCdEkHwCgAsf@kIgIlFcR{GiW}OyLkA}QtDwO{DcSvC{I|H}E}@uX}KeA_EqIiJwA}LkJwFn^qGhEcErSRt^xGnKwFpK`@zWhDdJtGhCy@rRuKw@B|HyKhIbLrRPxIwFjATbV`J`KvAdKfMnDlAvIvDlAfFfUcClSzArD"],"Atlantic/Stanley":["vqbBxswBxJ{Itm@hAhWi\\vGgZpJoxBqn@umAeJaIwO|BeObYqGhdAhAx_@yOtnB~@bV","pifBfgsBpGoCxCsNyBqNiIuEsGvD}BxLvBpO"],"Pacific/Chuuk":["_nO{yjG|GqBrHmIbAyJkGqHgXgDoG|Ee@vJrHtO","wkQmelG~F_BhCgFWqFmEoImKaGyM`DgDpGbAjHtMzI","qrRaeoG`NoAhI}ErBqF]yF{IsO_HoD{IdByKnRhClP","y|NktpGrHcCtD{KqAsHaGwCaKjCeD`JzA~I","o`Ra`qGfHgCdBsH{CqHoHiB}GvC}AdHrCjH","o`Le{uGbIiDpAiLwB{GoHuB{HzCyBvJxCrI","ujMcowGlIkCbC{HgCiKuIuC_IvB_CvHdBbK","gdMmuxGnH{BzBkHyAgHaHsCaInBsCdHvBjI","kwOiyxG~G{B|BaIkCwHmHsBgHlCeCnIjC`H","w_QopzGnHkChBaHeCaH{GkByGvB{BhHvB`H","q_Nym{GpIiDdAiKbPkIeBkUaGwFuGDiH~Ek@fVkKxGbAjK","}vNqb}GvHaDzAwIeEeIyH}AqG|CmA~HrC`I","{kMkw}GhHeCfBmHqCkHiHiBwGhCkBdHzB|G","gyNe~~G~GaCnB}G_CaH}GmBgHbCkBdHvBpG","qkMk}aHlKuFG_L_IuEk@qFeDkDyQAgE|Fd@tHfEdEdHpAdBvH","o`LkebHhHwBtBuHwCiH_IgB}GfCgB|HpCvG","kwOk}bHdIoCdBeIeD}GuIcBsGnC{AxHbD`H","{mPkucHlHmCzA_InSaIfBcK{DiHqHs@yMjE_R|OSxLjEbG","cuOudfHzJmF_BmNnGgFnAwH}G{MkCaUgPuJiLtEqB`MzKvP{@bNtGbJuClN","chMckfHfIkD~FeT~LsMYiJaHqFmRkAoS`CuOnNzArU`S~P","mtLarhHrPkHzC{Ew@uJyIwFaK|AeI~OnA`J","qqJ}siHbHqBrDyHuAwHmGsC{IhAiD~GnAfJ","etIiijH`M}EnHyQiFgMiSeGmKbHqErSzDhI"],"Asia/Tashkent":["ohoAedaCjLIzGcGjPzFOsM|Ip@lFiG`CdClC}GnChAtBkVhE}FjDrHzH}FyC{P|F_c@CuHsEyDqLg@\\gHeHmArFcCkBiBgGjDPqFgD{A`BlWeCfEiDm^pAwOuEpBwA{D_LbGkAoG{Ku@KuFnI_MyOug@qEEkAcEfReSjPf\\fF{NbIcBmIcg@~FcQkByEpFsBqE{Eo@cLuAjD}IaLtDmNyH@qArCxDiRsKkKmBuLzBwBeFeDoBzf@kDp@cErKnCbJ_JDGtP}FmAaHhGn@lEgGcAlCpFlB}C|CxArBxJnH\\bAtHwDhAt@bPmDxFnBlB}OhCfCzLuF~JJjGaEoAwE_QuJoI_@sIeG{@n@_GsGqO}FbKjEpRbJ~E{D`InAnE`QdSpLzd@nB|ArAuBV|O`EhIdGQ|IfR~CM}A|KfR{Bx@kC`DQz@`DkOvd@}KkHX`HwF`@","knmAmtiCtG]hAiE^p@z@{@|B`CTuAiAk@l@WYgDmA@G`B{@C]l@AqAeAi@b@pDeHhB"],"Pacific/Galapagos":["ygB|asDbcCoUhi@uKtZyfALi}@{u@s[wgAnn@gTzt@i`ArmARbK"],"America/Scoresbysund":["yuiCloo@pQgFdKiJrNkpAI{aBzBeWiZs]wrAtZjA`~@_YxjBbAlZdgAnF"],"Pacific/Honolulu":["ygu@pdwIfFoA|DeF]eTaGiImNmB{HfGw@vLlG|N","a{q@nhsIlHeCnBoIiC{JuHiCiHpCqBlI|BfJ","cjq@|znIpHuBjCsIeC}I_IgCeHlCsBnI`CnI","cyp@dulI~GgCpB{H{BuHyG{ByG`CuB`IzBtH","sr_@rqjIbEcAjC_DEoNwEuFuKk@_FpDw@dJfF`J","oyo@xpgIvG{B|B{HuB{HwGaCyGvB_CvHlBzH","uqm@~gdI~SsK|CcHw@yK_LaH{MdB{HrOrAdP","o`m@vbaIzGaCxByHoB{H}GgCyGvBeCbItB~H","o`l@bu{HbH}B|BoHkBaIaHqCiH~B{BbIpBxH","ahi@n~xHxGaCvB}HaIcLFoM}KoL`FkLf@eQaKwMwScBoLnMHxShM`RGdPjTnMr@vK","ici@`qtHp[oQ`CaXmDkPtIeBbDeKrPeHjCkLtLgI_Hgo@gL}KiPnD}ItQg@fMqL|OcCrd@tD~IcO|EgRpTItHvHlT","{oe@dfpHzXwIlSQ`P{V}AiJqQuReG_VmRwN{GlA__@~[uRbk@pEjObTR"],"Europe/Amsterdam":["}tcBq_EjEkLvKgGyBeIrEoQ{IwSRiLeDfB}@cEnBgIeDsGdD}BLlCh@kHyDkFbMmKcAkPpCwAtBaPxRbKrDcBBwS_BxAmFkFkBhKwC|@wEiR{BtEuG{HeFByTlPa@{LgB~BWeBzCoNoCuSmDaEgDlGiI{UoMhCD|MqDnCQkDkDZH}Q}K}@yHcGiSx@?`KyF|C{GfVkHxG~Cry@bH~b@rKzTpPbK~Z`ChOhHl]bo@"],"America/Costa_Rica":["geTnigDrk@oH`WaMtuBqoD{N_EiInB{BzEaHiLuHQcGpD_I}K}HzLiWPo@kEyFPtFyM}LmJaMrS__@j[wc@pP{C`FnHjDzIq@vDlOiDpDRjJkLvHdAvDuFhMvGlMgPtj@vHxD}@jS"],"Africa/Freetown":["sqOvjYfOiEbM~@vEwLvM~BrK}Cd\\yiAvMmW{IkEQoD_PwEib@ck@sO@wH_RoNy@{A|EjJ|HyAhErCrBkOiDeGoHgG`EiNV}@xHkMeCeCfHsGXg]~V?|i@bGhM}BbEnDbPx`@`Qj@pIhEEfGdG}AjFbGnQnSgB"],"Europe/Astrakhan":["}g}AayvAhPyc@M}KtI`@pX}_@NgGcK_RrBsIbH`TtXqPb@aHdOH|DtDzIeEHzQnFjOnAgEvRzAdB~HfF}N`EnCnG_TyDkk@xNu@pG}VbF{AbHmSaI`LgGrAkHuJ^{d@{N{LiU}q@yGnJKdKyT~k@]|M{AuCgC`HeAqBiAy[yh@x\\ySlXyDpj@xHz@_D|JyM~GgDaIi@nFkI_AgIjf@uMaGqIrQq@dRdOxX|AfW|BsKzB`DeDvFfBhH","ywwAwuyAl@iGQ_BsA[@eEx@iFqC{@m@`MrAZj@xJ"],"America/Indiana/Indianapolis":["_mkAtejDrMoGEos@z^Cm@{i@mCAgFoKb@{UgHKvAyL{MB?eCuVmCDkNmxCY?jjBdt@qBEn_@lC?@~ElEC?xYxuAJpApDxDyA"],"America/Juneau":["stqBjbmGtNmVzWe{@pKg@`F{FoDcp@cIsF|Moh@s@cXxSmGn[o@nGwEsQo_@yCin@|A_KwGcF{DsQtC{R{_AdcAuAgDsQ|[gGbY}O`MiFrL_AdOaCjCqAoAqA|EoGoCsMb[hKdu@xCwErB|MjJOjFdFJhNvN|e@"],"America/Matamoros":["uwv@hliEtE}Llc@vLuAaGhCiCfXjCn@kH`GhIdER`LgKKuTtEwJ_LN`@aF_EmBfHqTgJhFkC{Ar@wSkCsGiW`NjAxAaIq@iC|GyBiDgCpIcPxEuAoBcObBsElH}UqM~CoXt\\oPfGi^lAdDfFHk@yOxRiDlJug@fXhEpFsLzJyBf@aIhBtBzEcBcCaM`BqH`KfCpCkOjNbAvDqMhKkAsAoGnGuF_D{Cz@{M``@ExAud@bX{[|BgLke@gS}VqB`@pUlFtGkK|M]d`@uIrNYbMeGlG{@lPwZnJgJbJgMGeC~DyNo@cMpUqJnBmQpU}LrAeIjIoZ|IiU`W}BhKiEOxApBcK~D]|h@yDdNlFnC`@|PvW`LvFa@xA`GdKnFi@zJ"],"Pacific/Palau":["c{Dmu~FvKcH~Kwh@_DwJyaHqtDoo@kEgOlKkAxG~B|FdrD`uC"],"America/Argentina/San_Luis":["lv}@fxbCxIkKfCYB`CxWgI~FbCbc@aE~UkOzF}KbWbHvp@{Svt@~HAa~AgnDr@aK}G{YiFePrBt@zOwMdAoKv_@?`L`DfEoAxLfCbBgIdp@p@lS"],"America/Cayenne":["_qCtsiBvF{FhEeVoOcTpCaAbBqOgEcGrDcFtClB@sV{S}Tug@yLcv@_i@m[k@mHiGiSfR_GnQsUnV{^fuA`Z~GjR`Q|ShJnt@oFvZsVrQlDtHdHpJkB|J~AbRdJ"],"Asia/Colombo":["}tQ{bzCzT}E|RnA`AeLnHaApFvGtWrEfpAoHdq@gNnOgO|EqZgRis@cUqZuf@mLgf@~Dk_@hSaZdGkr@za@}c@tf@`C|a@"],"Asia/Taipei":["{lg@eobFdNcFnCoJqC{MiLiFoLlCuDjJbDpQ","{rn@gveFjCyDb@}D}AeCd@yCqEcDgCl@_BjFjAbG","wtl@orgFfRyGnv@sz@za@a\\lC}LiJcp@iMkIo{A~Dy}Aq]w\\kEuP|AoEhLbAfFre@paA|lAh|A","aar@qaiFhAc@n@yBwA{DgDmBuA@mCzAd@bDvDpC"],"Asia/Tbilisi":["olsAy{lAlKsNfGyd@fNcNnBwNvj@cPpP`LhJw_@{DsGnD}a@gHaDOcM`Ep@zJuXhBhD`DkE|Bq_@sGyYtA}j@_EbCvAaHqLwTrFe[hBvBvCqE~@q\\lGkLoByH{ImDmLfXwEPc@dG_HQKkEaHiF}DnJ_@hRsCz@_DrN{AnAyCcHeJi@eAdZqJjJmA~OfGbD_F|BmAvJhCdAs@pK~DhDxC~PcDhM}EqDeKre@aNjSvA|JsF|NjC`VaC|H|@xOaH|LkBvZ}G~PEfb@"],"America/Argentina/San_Juan":["bn|@ryhCbV{EbFqNxDxCMfElc@wRcEiCnAmIoCeGmIp@yJiG{GyXhGuOxK??uNeEuKgE?eCuXtHwLIiRbEmCpAuJeMzKaPGs@sSrDw\\eQzKmAhIaLfCe^g@m]d^iETad@zm@oEha@|AvFoq@eDuClMaUtHm@`SbDtAdh@tEtBhInIlC~U}GnUhDlEgHjKrGoAlKhDiAd^zK`FkBvFfGeDlBjApA"],"America/Recife":["f_PzwoAGiNvGwDQgElNkExCoHjQvEz@aHwEgPkRaExA}FwBsI}LgCw@kKqGCcGoRfAeEzGiBdD}YzJkGuHcEj@gDxHG^iJbRsBiJeO{Q_M`HqBb@}PlMaJJ}GlGoGaFgDpCuOsIkTmLmGkEmM|BgHoEkPfJg_@c}@eTwXkA_B|VwGzEo@dJtEhNxIpAzH|[aBtLfCvA_@dIdEf@`AnIdI`@~JrUqGxIyKx@ZfIoJoKoLLyDgJ_LrNtDjOrQ|NUrEbJvLcBlDdBrFsHlC|CpMkGxFzLlNZ`GmGxAgH~SiE[RnDiHpI~AfVcD~IdCdGcBbGjI|JlIyD|EfB|DoGrPfB"],"Asia/Amman":["}jx@gccA~JiiAmNoVkZ_TiGal@wS_IoIuSo}@||@g^_|BkMkQwFpAfBnL}IrBo@gEmu@fQhaAbyBsKnn@}K~GeAtGzEtMlv@?r^bIhHoBr_@tNt[rA"],"America/Argentina/La_Rioja":["~lv@d_gCv@}R`UuHtCmMnq@dD@_`@fG{P~y@s~@`IiEd^f@jLmCbAcIdQ{KpCgQeCiCnAyLaDgE?aLys@@wx@wTct@hSkS|TkD|QqGeBeE`H{StCcAvZ`GxGmCv`@|BjHiOhCtB~JeHdJUtIyGa@gIlEzElA_CpLlAnQ|YnQsA`C"],"Africa/Monrovia":["eeLntUbLcGxLu[~JuEvMq`@bcAolAbYoq@lLaa@T}N{l@nCq@qCuH|@sKcDgBuEgE`DqHyCkOfBoDzR_U`IH~OuC|L}GxA~BlAmClFaOcOeNgCaJJc_@`P@tFlZdKeAhCfElIkKdE}A~GhCdGwViG_HtDsI}@b@dBcHlBiIeAeBbJaEH|BjBaFfBxFzPwE`CvAxHjQn@vH~QrOAhb@bk@~OvEPnD"],"Indian/Maldives":["scKeilCrzBgJdg@fA`jAuJtzD}JtMqF`CaJ{FyK}WqNso@wHyjBAcsAoJuvB|EoeB|ZaGfFuHzTxCdP"],"Asia/Dubai":["qsn@olcB|F{ItG?fiA}|@dRw~CsCwCgXe@o_@gTsRlDcFkNQ{PwH|BWpKyDaDsKhCyGoC_Nn@oDaK`GsBMjD|G{G{MuKiA}Oaf@f@qBxE|ClOc[tAsD|ObMnFjI~S`KnHtAlJrQ`K|h@rv@kAlZyHnC_CpKgIb@mFpJwJrAyCtLtL|JlH\\KzP~NPfGhNgHdCrAdKiBEpElN","ogp@slhBjHwCzB_JmA{GuGoDgJjBcDlIvBvJ","elp@qjiBrF{BdB_H_AgFaFoCgHvAeCpG`BpH"],"Europe/Vilnius":["odkB_jg@~FsZkA{PtEgFbI_c@yAa_@~NsQdD~G~GtBrKeDIqLrGcUdEgHnJQjCuPmCmGpCmZcFcPxAaFaCeGqCxDqAgATcOwFeHgBmPzCyDvCnB@uN_I|Du@zHuMmMiP_@}G{YwFgBeAoXcGmI{BvWqAcFqFz@{BoEyECw@zNoZ|j@iAhc@oOzK~J~YPvSwFhUSr[zCjLyEvFzB`Q_Dra@dFdb@tHvShDx@~@v]~\\mA"],"Africa/Porto-Novo":["qgSqo@zVcc@f[`@~_@}Pr{A}@vs@`D~WsM|AdJrKuAsGqaA{S`AwMmDuK|Cm]eDwZlFcR{CiGzBuKwCgOnAuPeBeAgReTyAoOeMiEv@mHsOwLaD}DjEwGq@i@oKmNeAqGtDwRh@aRpN_OiGgIvF_AxI}FvAiWvY|FtHp@pQbPyCvQjHhOzRr@hVoD~IvJdFZtJxEe@jAdFfEaC}B~FdEtC"],"America/Guatemala":["ya[xksDnUi\\zNs^bBio@rHwWoVkKoFmIt@mFqHkCeA{GiK`BGsLgIiFRaDsGu@sI`EsJsCwe@uw@iNcAsGtWnJrR?|QowBqC@vqBfb@ADh[zC{ItOoKbJcUlNaD`CcNrRhAp@rpAxq@z\\|JmH`DtDzXbA"],"Europe/Prague":["wcaBurVbKsIpG}PlIdHdCqFvNkGdGiVtSyWlDoR~EuCfEkNbA~AxAoBtAsOaEqG~BwMcKmELuIqNqA|CuGiBmFtGwXk@iHhGmO^ePiDeI~DqUhEkAiOgObCqSgFgUwDmAmAwIgMoDwAeKsImI}AqReGjBuAfJoKfBJ|NkHvPxBWt@~FsAxGwGnJ}AkIiF`BvBlU_CBoF`[nAnAbJoIlFrWyO`PgBhIgHqNcDjE|BzRwH`Lm@pZsKhEoAjEPtJzGa@bBtMmAfHsC}@ZhDiCcAoBtDWzKdCtApDaGvIh`@X|Q~ElDaBzDlNlYoB`G|BdR`MbJkHhH"],"Africa/Blantyre":["frY_y~@nAeGzBuAtBtCbAoF`N_HgFeFvDkHfF@f\\{UeFeB`BcEgIaa@pIyH~ZsEfPh@~G~HrJa@~PzKbHcJxL?bBwG`Z{TbEaNxDUnCpFjEw@ViM{Xd@iHbHkDmFeNcAuE{EtAkFyGkQ_e@eAqN|BePaGuL|Ac|@|o@mLzL?fOiDx@kh@tAgb@xHwRiLsP{A{AgSc]rT{PgCoMdFy[v@{b@h^rCxDnHJiGjIjA`QsG|HLjJyFdHtBbBtCgDpGDa@_KrFSlFyGjKnBvImNvKWbGmGrNhNxCtLhO_ItP`Fe@tBvIJDgDrKm@nTxC|KkFn@{IvJlJ~DnTjFfDtGsDvQN|QrI"],"Europe/Belgrade":["itxA}vc@|MoHnEzClBgLb@jElFp@bJq\\GdPzLnFp@oE|AlIt@{Vv^vO~Rq_@|DdEoB`QnToQ~DdBeApLvFtA|DeMlKaKjPak@nH~Dg@zJjCvAjB_EdEfAhMmIfFqPlT_DeByIaIO{F}R`FqHsJ}JzAuNyDaHt@{LuCgM|BcCmDaImDkAaDnF{I{BgDxB{BaRyQiOwPn\\eT`JcKiBuBeLwJ}ByLbMyDoQkHhQfNfScI~Gu@fUeEdBi@zJiDx@o@aKeGnKg@_EeGuBiRnm@oB{ByCdCcIqBn@tFqXj_@e@je@|J|OgB~JhF~D"],"Europe/Zagreb":["cxwAyxXz]uGxUyTvXyj@|_@ih@jUqp@hC_CoAdc@nEjGzFXzFeGxHid@kBoRbG@hEqEdAvNxJfElGeF|AkNyGwNiFKcFxF_@mFX}p@fIgj@bJsSkJoF_MxIXtFwQ~Ws@|QwAuIqPdVsL|BoEzOu^fc@yF|NwG{AmLnK{BgAqKjSe@cCuDtBoNqAcA{MzLcPeMkMjAwQuD}E~FkNZy]rDkJuEoHrCyI{BiD|D_PeB{GlEqFnD|@jBaLmEkJo@nEoIeAeBoUiJv\\gFw@a@mE}BvKeD{CaCbCi@iCw@|Fg@gCs@pCmEmBBbNfJhL{@pc@qIfQM~L}Au@l@zBuKnHwDjN_FvCiJf\\pB|FnFwB_@fNhDvAvD|UlCdBhEqGjKn@rFd[tCgHxA`GfFyE`AnAbAdJuEtMjCbFkLlNnG`DdClIcB`SzDdFa@fLaH|K"],"Europe/Vienna":["mi{AurQhL}ChAwOjDBzDiM_IwP|BgEdDd@i@iKnD}Bl@gQqK{GEmc@uFmZl@mBzBnFxDm@hOaYfGmsAhHwg@oPy\\jAy[wE_TbCoKaJ|AiJuQV{Lw@pCaEsDgCxEiDiC}FvA@eGkGuGeD|BsAjM}DuJ|CwGu@oTkHdDiHmHo@zDiCs@yNtN{J_F}IfB_EpUhDdIc@vPeGzNj@hHuGvXhBlF}CtGpNpAMtIfKvEcClM`EpGuArOyAnBcA_BeEnLbO~EwCzLtOdJhKtb@hPgNzFbEhA_J~LxC{D`LiFZ`BrPkCtB\\pJ}BCrA|D|DqATlb@hKzU@bQwGrD}Ah[nHmA`IfNOvByEsB`AbGoEPqGrRjBrLzHeF"],"America/Adak":["cddB~p~IkCkCaF{AqD|@oChD","wccBvo}InKsDdCuPaKcYyG{DdCiVqFwM}Dic@bEoWg@wOqWyzAO{u@gDsNlDy`AaEiSyGqIcFc]iJkGwIxGyCbStDnUtKlIaBdk@eIrFwE~WfB`RvMdU{D|RpBt\\~ElJiBhXjFzMjCn^C|_@tCzK_Cj^vHtRsClVfD|KtInD|D~HlMc@","_oeBvfnIxIsEzBqPeFaSC}PmIwUwBgk@{@_D_\\gH_JfOMnQbL`ZdJ|Fe@vPbHld@hFjL","ujfBccoIrG{DvI_WjCwQeAiPtGvF|GsA`He_@qC}VqPkG`Cq^kJeNyJrIoF|Zu@r^kM|`@@~i@|FlR","}heBsxuIvI}FzCmNaBuOwIkHyHdF{CvRlB~N","iidBmmxIhGeD`GkQuFq^rBkMv_@ogAy@_]yHmJcJ|EyRbs@uKg@aHbQcAvg@cFdQh@lV|DdK","_ndB}||I~K}JvAkX{DwMqT?{D|M?rMxExP"],"America/Merida":["y}g@vusDrKgFnCaGiAoIkHuEeI~AaGhL|AnJ","gyc@|tsDzUcEv@yMfUkBfMe]yLw@wCiEfKgQXkMdH?AwqBaJlBqWkD{_Ar@}FjHyDwEzB_DqFZC{FoCv@mEmKcLmGcIsPy@aPiVoWsTeLcj@k@sGdh@f^v~B~P|Tt]xGhc@r@`LnItS`Ara@pw@{A|G","gnf@r`sD|GwBbCqHkBsH}GgCsHxBeCpHpBtH","_fj@z}qDjHqChBwI}BuH_HyB}G~BuBzHnBrI","sak@xxnDzLoCpGuGfAeKgFcHeIIaRlLNpM"],"America/Santo_Domingo":["s}e@jwkCtLqRtP}C~EvExFgInNpOzCgI|H\\xD`DFxJnIoEfFaLvHvDfGuAfLfKnZaEjFyFS{Isl@oxAhEucBge@sVaIGwsAz\\_p@jp@qMtY_Mji@|Gl]"],"Pacific/Efate":["x_\\_{cIvb@uE`R}G|hEqiCth@}Ozn@o`@xBgHcBuMgp@eZ{Ha@kw@f|@cy@|g@ci@sAwbAzUmzAfLcqAd^gMtjArC`J"],"Europe/Tallinn":["{zpBmwh@xZoOtEyO}Jop@dUq\\OaMwC_JaFeCgF~AbAsq@iLmj@hDeKqDHbJ}VnBsV|C`AxNi^iFaXdFqY{B`AqFyDOeFwFm@sB{OaAvG_JtAwF`H{G{BiYfKoJgV{O}IwGaR}Onr@Snb@gPpVtFbY~Ef_BxL~z@ArSrYzrAtGjKjDyApMfN"],"Europe/Budapest":["ipzAcn^j@cMxDh@pNyK|Suf@rKmHi@_CzAv@L_MpIkQz@mc@gJiLKyTiF_EfB_K}J}O|B}i@sCmN|BkGiHwG`AcQgIkMeLc@mEmLeFR}TeTsJaDa@eDcGCkNkQwCw[eBf@wBuGkAxB}B{AaCxBVlMqDd@kArJ}JvIvDvWwNnVzDdSwDrP`BpShOhJzGhWmFbRjIfIfArf@jHvCnCeE`C`Kh@dv@oPdc@bI|JjHeDt@nT}CvG~BbIvHwOjGtGAdG|FwAhDhCfCyE`ErDv@qCWzL"],"Asia/Baku":["qplAulvAd^eWRsIxKmGtGgj@mZfH{CzKwD_BwFvBzDfRqFlIf@hGuDW}ExF","atoAm|vAhESvAgJhE`Hx@{UxBHzCiJvEnBhCrIzKyC~Lu^|N|C|AzOjAyJzEs@lAoH~KoKwBeJjD}LbA~CbBiAbAxHvKyNnC~Dy@pEdGsFzJf@sd@yt@_N}c@pS}VxE|MrNuKbFdShCU~EgMjFyB?iHlLoKuB{\\aQTyI_Z{JOcH{FyInAu@uKaGaFcOzGqFmDcGt@xC_]cCaRlCwNyB_IsGuDoJrDoHtYuJhMgBhe@wH~CyJhQ_UbHo]`]zFhMnN`LdEnRdOhI~AhFuFd]}PtJlAzDeRdOvB~IqEbIrGvL|GRd@gGvEQtIaVlMlCtArGmGjL_Ap\\wCpEiBwBqEvQUrK"],"Europe/Riga":["immBqfg@n^qE_A_^iDy@iGwOcGq_@pCgh@{BaQxEwF{CkLRs[vFiUmAs[oDaBsCaOnO{KhAic@n\\st@AyNyIiT~Bu]}GiAqNy_@gE_CoMdHyBaBgJhNiDiCDhRuI}EyDlB{AmEeHcBkG~TaFoA}Dpg@hFzVyNh^}CaAoBrVcJ|VnDnAwDpBxLfp@cAhZnc@oBxBzYaMlI{[hl@bIhb@|@be@bV`[nPbBbK`S"],"America/Moncton":["ak{AxzeClFqHaJsh@~PwZxfAmA~LdCtD_VjEcAZnDzEiD|DlCnDyBhCoDeCsBz@wF~UcPpQ|UpG`BtCy\\k@}Gsg@mm@}Osw@{LcEeXkc@j@mC_HsF{Foc@oRlq@aHlHuRXoJsDca@meAyWnQyLpg@nWzmAqEjCoDvNeCj`@nE|_@xDhAuAnEtDrRaDtLuCH?x_@fD??dOtU@zFrJ"],"America/Tijuana":["o}w@lsfFlUeDlFkE^aM}IoIsOg@eOjG}@|GnBlK","oj~@bqdFlHyCrK_Tff@aMfRgStQ_BvIyNfN|CdPeSp_@yAtZ{v@fp@qp@bQrDlFoJ{A{fBoQdDyFaDiNfJsLjB{TU}_CpnBeUjA_MlV_OPeCzCyMkFAmFwM_E|Jl|C{BbM","ugv@ffaF`GoB|NaSsFi^aUt@eJhJdCj`@"],"America/Sitka":["mxoBrejGbP_PjHaQxYkClWsk@rUmStGuMdGdCbG_EvFe]_@sNnNr@dSeTvRtBtI_Kp@iPyDcLlI_TsAqZxBcUcJgXlDwLuLiVhFmYyEBuHqRwUgVuQrHqJn@yGgHoLfEe@bSiErAaVpdAXzN}KjAgCtNuI}C}AfSmFqFuGrFuCzRzDrQvGbF}A~JxChn@rQn_@oGvEo[n@ySlGr@bX}Mnh@bIrF","urjB`g`GcKsFtF}TzI`Eg@zI`ApDmB|ByB]"],"Europe/Lisbon":["ablAteRtr@sDrm@ec@rt@fEvNkExCqJgBmdAcLc]kc@nGmYgOsAgOsJmClArHuOtN_QyCyGwL}HoDoJbQqNhB}KnNK}_@kTmH{IjIcJqNoDhCqX_BoI`GOsFeLaIsGsSwKqF_E|TsJaA_EpCm@pa@|EnBpCjMiEbP|BvIcD`AxEdO_EfBiGiGc@bEqD`@rEhZnJtMQzP~iAiFxWbG"],"America/Dawson_Creek":["y}oB``sFdWmr@bG}AlB`F~HoNtDtAnDkI`NmB`AcEdDxCpEuJ~C~C|BqE|BzAlBoD|RcAjDoGhDXs@sIrH_D\\iHnI|BdC{RsCaDlKySzCFxFaStGqClCuTnCeBpCpBlFgG_@_PfEeByAsNlGkIvBjCj@uGfGmAt@_VnG|CBqJhJyCqeG??xsH"],"Pacific/Noumea":["bke@aqsHhWmKdGmM]oIye@y_@w]{FeQpObE|e@`KpJ","`tg@catHzNiEzFmG`@cJqEiGsIK_RvLLhM","tyh@mytHlHuCvDkMWkJyEaF~CmKnL`M|MeFb@mLiIeMiJCkFtD_NqEcJjGeCpPzFfLaCvS","njb@uq|HtX_An|@mTxeBaqApE_MnL}G`LmP~GeUlSw[~_AodAn@wLmSuh@aIwBwO|D}Qt]mSjIis@|gAy_@n^}FvYie@rh@}[jRkKt@ia@z]}g@bKyHlQDpH","zec@uq_IzIgDhDwIeAeI_GeDaNlC{D~GzAzIbEnD","tye@ozaIlJeGh@mXwCaHsKkC}GpDgIbW|D`J","xtf@q_cInS_EtMkOnKce@`j@_u@tD}RoG_O{WC_WhTaYxd@iC~OwNjXcFr]tAlJ","|ck@kphIlHkCjBgIkCkHeIaC_HjCkBfIfCjH","lsj@}fmIdHeCrB}HwBoH_HcCkHnCmBvHpBjH","hvj@ytnIbHwB~BuHsByHaHaCaH|ByBlHnBtH"],"America/Paramaribo":["maGllpBl\\{MlGeJ~Gf@GaVpa@iEVkDzp@aZhJql@gKiBaMvMsEaBx@gCsJgB`G_Oc@qSaEaCwCwR`ImG_AyIlGcAQsHqZwQ}J_BqJjBuHeHsQmDwZrVat@pFkTkJkRaQsZgHeKvy@h@x{@jGzP{Ih{@fCbEb_@vAtQ|I`IyHQdFzHMFzV`G~KtCvApIuD"],"Europe/Copenhagen":["sokBeaNbFuBdIqPrJTvAwYjGeDlFgm@iDsQhH_c@eF}@`LwLjCsNkJkM~Q}v@_@{T}H}DsRoh@uIjB}ElN_LKiLyP_KdKgL|AkIvPgC|SkDfAe@d]hl@lq@_JuAq\\k_@eGuB{ElBfC_TiFwQ}SfKbEp]tFtCtFmCgFxK{@zQqFnCsJgF|@_XcJ}TuStPkAdLsIWkLpRbJjz@~X|_@rA|p@tMnVl]|Q`a@d@vO_D","grjBy~ZdL{NhDge@uHcOwWyD_JpO|@dZ"],"America/Tegucigalpa":["eg[xomDfEcIeAcEpQsOwB_AtHeFtAoJjF_AqDaN{BDNyHpFsBcBmLhFwDnPhDrByCbEtE~VyYDoT}EgGaJQcAuK_\\tBCaZuOgJwAwGfDz@fIcQoG@uHyT{F_CAwHcS_AEyE_G[aFcG?yElHoD`BkMkEwEjBsDaEmAzAgCwCqBtAoJyCaMsJqKv@wOuE{TnG_BpCwXkCeHcH_BiSlQqAhTyIgIwID_GfIn@hJ_SfK`@~KnJrD~P_B|EmMlRqD{h@n_AgJ|l@aa@ty@lMdt@zOzb@tJbo@zDtGhNbAve@tw@rJrCrIaEbGf@","c_a@tjcD`H{BvBaHyAaJwH{CeHzBeCtI`ChI","u~]ti`D|GaCpBgH{BiH_HuBaH`CoBjH~BjH"],"Europe/Sofia":["cqtAitj@dTaJjPo\\dRhOzB`RfDyBzIzBjDoFnIlKjL_NvCuOvQkIpDhDjQh@j@cJeDcJeBwn@uD{@_AqJ~BuAuBwL~GmD|C_K{BaFvI{UeDkPVkTeGsQ_PbGA}P{EUEsIwHiDR}LmGoWnKaSkE}Qr@y[_TtNeVkEmQTsKwFcAgV_SgMoK~@g@ve@gDbNiIxCjBpJyDlDdAjNgFzFi@bMhIvw@hPrUnDnV{Gbw@vC|SqIhm@pA~[cDlFeJqK{G`VpHlBtBdL"],"Europe/Saratov":["a|cBo_rA|F{BxGkQbGmDbAbCrM{\\eIgb@D_ElD?i@kIsEmAWyNtDgFeB_PdGgUpEEh@_DpS|ELs^_Ia@c@{FtDuNtG|@i@kYkCr@B}EaE[?oGjCsG|BrBpDaFe@kQrGy@yDsVxUe]lMeGdCiLqL}[_DtGoCyAw]tKbCaLyJmR_CqQsGfDuGgFd@aS{Ii\\gB_G}D@yAoJyIy@lCmJsCaCkRnJm@pQ}B?dAfKmFeCwApYaEdBj@rFgHlBvCnF}C\\^jHcDeC}@zDDrQhDzCwG~AHtEaEbAuA`WoG_Fp@tS`B~DVeEpBv@x@bGqDpFnIpDiBbMnDxZqEnCt@xMgFtIlFjXdLxK}E`SrFfLw@bRvE~AeMz`@zEC^hGfFbD{Gtb@~CxVsEdIdEvPfH~@t@hFdIsAr@hExJxA"],"Asia/Novokuznetsk":["smlB_}cDhAuF|EdFzDoHbDfCbBsIrGuCzFfI|CoQ`EjE~B_FlIrDxGcNzE~IbCiElCpClYm]w@}K~IkNpByNrI{Be@cFlMwDfHiYiBkFlJbD`DzLlKwYbK|GlHuH[aE|ExAp@wNtCAxCqPkF{MvGiTyAiJlEeB`IpDb@mBqDcP_FFqMkYyEhCAgDkHgDiGhRgIgIsAjCaDaAeF~Ff@rHqFkFmEfAsBuHgGwAaAqKcCrCeC_AXnHaClAkOoM_D~EtBlHgGvFrGrLuDpOyBeJsN_BmIiIsHfLeFYeI~FkNyNeNoh@_EiB{@fG_IU_HhNgEEcG|ZgEYuDpEwBsLiA|DiEq@dBvFsBdItPfk@oFpBlCnMiBe@WjNlDqDhAlGyEzX|DzMoDhEVjGtFpDvLpa@fCuE]rZlF`MiBjF"],"Europe/Samara":["cfgBsr|A|FiMlBdBtAoEhDpD|AkE_CkE~EaAxBiMhLpPtAaW`EcAIuEvG_BiD{CMgLdAgJbDdC_@kH|C]wCoFfHmBk@sF`EeBvAqYlFdCeAgK|B?`B{T~HcCoQ}e@wHmCwGtD_CaJaDlDmFUo@wN}LPTwFiD_B]uH{FOD_FyB|Da@kCmLuCgDhFyDEBuDoT}LsCnA_DiF{ClJeHq@yByMkGnGtC`CaBdApBvM|BDsDt@HbIsFq@{@lQkDdE|BpHqDM~FxVzKpB{BlLxCnMiIbGbBbG_ClH~PkHlKjBdFbOjDqEmCtLlDnLoCxd@nI@_Cr^nEwAZnJ`EgFbD~DDxS","uxnBgzbBvEsFrDx@~H}RjF`HfECc@hLxIfBrDuIbFXj@kFdDjBEiH|ClBQgK|FnMiAdCjGgGkC{O|DkAmEwIjDuKiBqDyGBvEc_@wGvAbBgG_DiAeDlSqJqX_DjDgA{Cd@yJ~MpKtEoBaAgC`DFy@uD`EcJoEc@}C`FNaTjLbF`EhObCoCqBqX_GgIdAsIsQiX}ItDaElQuBsArAtMcDyByG~DdCkLcMkGgBsP{CvGiK]m@lJgGcHcErPqBmGu@xC{BqEiLhCqA}AkPtTyCiEyG~DjB`c@uAcAkEhHVzKxGbB_Elh@fAlLtDbJvCaAjGtGCaEfGgAh@}ElDfEhHcGpAnDpH|@zEjNf@pY"],"Africa/Asmara":["}r\\adfAxw@}F_CiQjCmI{HgFkAyIrOmLok@kWzIeGpAkLrOgKkBmTsJgUdNaEcGsF`BiIkFaBbKmTgGuK~H_DdRsl@j\\gR`MmWnc@}XlAcIhQqJkB}CnIsL}CwFmJ_C}IqXuU|M_EtMuIe@gAlFuP|FnChGyMdIaXbe@e\\xU{D~N}PfV}NwU}VfA}OhRsDzPiMa@aTxHIra@hCvIkIdNmh@tKsc@tSvI~SzUbK_@vFfCl@mClBbMt`@|OpFnAzMuBbI|Lu@xS|FpNyCf_@dP|QbB"],"America/Rio_Branco":["|uM|noCjN_R~FxDxFuHvRuCvFcL|GP`D{I|PcMzH`@nOjNnDct@rFiEjGRzA_FtKz@{@a{@ca@il@jGpE~K}BjBjDphAQ{BgDnGyLkHoVnBsLgBsQtCeh@dHsAgAyIkHcRaRwKlBiScTyQcFmWiSkWiv@h}BgjA~vAiQb}CmZxjA`LcEdAtNfFqA"],"America/Fort_Nelson":["{usBrsxFfGuCbFqOzHkDp@iL`C`B~FcD\\kJnIaB~EbHpEoOdDlGe@aKtDkMuAsIlDFhGq]dDeCc@mTzByEeBkAtDsHBkNzD_CxGxE?ysHa|B??hbNpJH"],"Asia/Kathmandu":["ymw@qj{ChDc@`PuZcFZm@_ClSeg@dMuEw@{F`RqZeCqJfNuVuAgOxLu@~Ag[vFaGkHoC~Fe\\eDc@gD_PjGgH~AoSrFiCpI~AhD_StEyB_@mI~Ei@cFkY~QoLeEaJ~AcRhK{WgIgTnGi@jEqNwDuFtB{GsEsPzFmFyPyHeTx@mGfH}l@aLcExUdHrEyBbIzAlWsPbZSbIzKhIsCpJaKnAdDpEdIwA^xFs\\~PbGnE{CpEnBzFsBbOcRgCqA`G`FpKmIlM?vGsFrDcArImTn@sB|E_AtJdHhSmWxQoFb[cPlPkEpVoDcA{K|FyB|h@jLVnBrGxC}@dCjC{A|FeKzBqKp]zRaTzV|^nHqArHhIzMmBfEpH"],"America/Panama":["}gOveaDzB{EhIoBzN~D|Yc]bY{i@WiiFqZmNaBiFyJv@vJgIcOcMcG[gAkIac@pQuVwHe`@bf@yV`s@qA~w@x^jgBkW`cA|LpJuF|MxFYn@jEhWQbI{LxH|KbGqDtHP"],"America/Managua":["ueXntjDj[{X`Vc`@vZwP|`@kg@`A}RwHyDfPuj@wGmMtFiMeAwDjLwH~BgTaDcKgMV}KqJa@yLu{@q^ur@xTo_As^iq@yFgCrToG~AtEzTw@xOrJnKxC`MuAnJvCpB{AfC`ElAkBrDjEpEaBpMmHnD?xE`FbG~FZDxEbS~@@vHzF~BtHxTnGAgIbQgD{@vAvGtOfJB`Z~[uBbAtK`JPrE|EBxUcKnHpEbO"],"Europe/Volgograd":["mdbB_loApKeVtCjFnGiEnGvGbH_FhXcj@xOdHjGiCtGhDI}RbG_BlBqOdG_ErFtDbF}AtIte@tG}DTjFxFcChF|EHu^|GeK`VyK}A}MjDVh@eEEgZyO{@cAiMcHqG|AgP{JaC@dEkKAdBsLpGD?yOiCgFeE^eNsHgBiHbD}FyB{CyBxKaBmWyFePeFcCJuVpIsQuPyHwCaKuG}C{IxOw_@qFmCoP}HsIcE~DsJ}ILhKsGx@d@jQqD`F}BsBkCrG?nG`EZC|EjCs@d@zKBnLuG}@uDtNb@zF~H`@Mr^yFNUuDyGcB_EhFcDWeGfU~AjQoDzDVxNrElAh@jImD?E~DdIfb@kNn^fEzQgBbe@hJpI`CxQlFfB"],"Australia/Hobart":["nnlAekwG~a@sEjMaYhI}DlD{MdTbC|m@mSbOeQpNxBlVmEvXyNlIeNvZoShMi]sD}VlIgEpA{MyEmMeKEgXw{@}|@kVyu@xBsI}CcJxCeHaCkO`H{HqMaGqBsUtJiLg@}FfRkMdEeCfJhAfJgP~`@?noAn]q^x@uLyEiInEoGfGvA`GiDdB}IsBkJnXgFfLsMpBtc@pRft@sRdq@_Zh\\gAbZfEnKmIpCuT}BqKzDwIzLXxW"],"Asia/Dushanbe":["owkAiobCnCSjD{ShHy@{@gVpEcG|ExGzC{Bb@nClNuBtCjBnCeLdI}FpNfGc@hG|LrFbCjHvLpCrDgBhN|AtHuLiWgr@CsGjL}NY_EiGeHiHrE}JkIi@iX`DwMoIgGmMfG_K}SiQiJwCyQrMaWxShFB{Sbt@`I`XkNSqIwQc]iAaTiLoHqMw]n@i\\fEBhCxH`B{GcFkZ}CyAW_Mh@_MxIoLeDuL{Dy@{HzLsE~@kE}EiBlDgKL_JfFu@jEmKJkLvb@lFjFwDpK}MtEaHgHoP`RoEjAkDsDfF|Ww@rj@~BfJjGtDqJ|I~DfNaKt@FnLoHxAxDbYtE`Aj@jH[dHcDJsGfMbEnMqCpd@nCtTmPnDmLkDdE_Da@}EwH`@sG_]jK}`@lD@oH{EqFqSvAbUcIbBiEtNoPc\\aSfSjAbEpEDxOtg@oI~Lj@hHzJ@jAnG~KcGvAzDtEqBqAvOhDl^dCgEaBmWfDzAQpFfGkDjBhBsFbCdHlA]fHpLf@rExD_G~q@|FbRbLoC"],"Europe/Dublin":["krdBhoTzIuIzI[pMwRtBmWnF_KnAgYwKeeAs^odAh@uj@_F}^aG{IgFL}D|E{b@eTkQ~CgX}CiH~KkDgBaNj[rCnT}Gf@uAvIuJjInC|K`FwAjEjG@vO}DpRwCBwItRaH_]kD~L}AsV{QqJuM}f@mGp@iH~KkC~S~Kvi@s@nZ|S`[fKzAvJxNfGDnEqGsB|u@~FtYhPvQnFn@~NqH|HlG|PoDhSy[xDoOfNlWnIbAnQzh@"],"America/Blanc-Sablon":["oe`Bn`zBnWydAxM_NzDpJ@xYqFhg@rg@@[wwCwNb@c|AozBol@yn@wG_Z{MiK}e@??hoJ"],"America/Argentina/Mendoza":["f{cAnzhCbBoHbH\\pB}ClFnBxI}EvD`Fd@wB~ApBhReBdBoH|MaExQwUjKInE_My@kO|CwKxGkABgO~Kg_@oaBzABsfB{[aFuZiA_n@fSaWcH{F|K_VjOcc@`E_GcCqXjIaG|JHhRuHvLdCtXfE?dEtK?tNyK?iGtOzGxXxJhGnIo@lCbGoAlI`EvByAlDfHEvI{HlHpErLmBhBiA{CiDfEgHtYlG`K@bBgDjFfBxCwCzCrMxFc@zShQfBsBdVzF"],"Asia/Dhaka":["wdo@o{jD|HkFbOge@vS@nBbIhLd@lHeNtNrCdA}OvKlHfIwFlDpB~YqCvIcFzUhC~TuHAabBvJmaAfp@}R`DuN}Is@}d@zNgIo@sHiJdFuBc@oFtGkAiBeDotAlH}OzHwQp@IsBw[`F|AvCiDbCtD`DeDhFhN_@rJ|K~KwCrHrLsTrKvLFmA~BcOt@}TrIkAwC_JUcB{GaGF`AeLuHqCjDiEgETlEwHeK_@_BoKcHoAEmC{KaCkI~BlAsNoInBwHxU~BpYgDbVzBtr@mHbe@kSeBaK`CcGkCAzBaA{AeO~J`DnDzDuBzDpC}CpHjAtC_GbKgOfCyBbGbBfBlIcH}ApHrBnB}C`B|AzFgD}CkKjRuDt@rHxCj@sHfEkAfLrT|RxCh@oItQ}O[{O|H}@dEmIhEhDwAf]tGi@lKhFgCzKlDq@"],"America/Eirunepe":["p{LjcoClZyjAhQc}CfjA_wAv]_cAckIbtCfH~DoFdCtEfDsC`EcHbAtBhJ_C|AtC\\iDjB~CzB_B|C`M|I@zSzChAq@nKrDpDwBl@~A~PrLtLxAnK~OnQfBhKvBhCx]lCvVhPlVgGdE|@fNl^"],"America/Halifax":["epuApfaChJkAxGoItWqB~QwHrD_KJe]wEiUiUse@sKqIcQ_[kb@i~BePrL_Qn`@uEye@_`@lNaRwa@{LqKwb@mM}m@cz@_o@lBb@xlEbQr_@xLqg@xWoQba@leAnJrDtRY`MmRnMmg@zFnc@~GrFk@lCdXjc@zLbE|Orw@","_|tAr`uBtKaJjB{W}CyOwNuMoGfDoBnK`FvPs@~S"],"Asia/Atyrau":["{v|As{zAxM_H~C}JyH{@bHsp@nPkRxh@y\\hAx[dApBfCaHzAtC\\}MxT_l@JeKxGoJeDmGwT{FiVgcATcHxJkEzBoMq@id@{D_TjEeHrp@vFlBuPRqKeCy@kDw[mD{FaApDeM}PqFepAqHqLdEeFf@mLlHc@|EqUSePwUnJiLjs@gHpLoSlMcd@mF_Ij@yG~Hge@t@uD|Nh@zCtGhACbDqF`ZuXlAtCjFkGfNjG`N|Au@nB~j@vMMApElNjBh@dFqDjRJjUsEaAaAxHt@he@~GpFlO`j@jK`OnAta@|DeB{Gjd@eJ~kBjI~@h@oF"],"America/Swift_Current":["whiBjzuEnr@?^cVbI}CvG_]zOmOArChLImG|UlF@`HzJRfb@`dF??wdCw_@B?eg@cp@b@?wXyTJ?rGwLl@yJ{Gw@wMkOvUAgPwTJLvFiGcFmEn@aAbF}I??fXyKTq@eO{FoEaD_A?dGyTP?ic@yIwIE|I{\\FsBbLsGnFaVq@C`jAgZ`@?b[mDFA`J|H~A|@n^{@j[kG|W"],"Asia/Pyongyang":["cjlAylqFrEyKzGs@dOqM^kLeGwM|OzHxQzTpH^~GiDjLtKxCi@bB_ZpMa@`GgJlBiKgGs^dAoOkAeHcFyCdC{UsCmDmFf@yAgHmRsRJky@aGqLyHs@o@oTqJbDyHjMiJvBiBvPwE`FgIhEoJuAmVg|@i[cd@u@iTqXwPkN~@gNwCmH~FeSeR{Oyf@aJlM_QzG`C`D}HjJiKSiEnUdc@fKgA|DhEzBwDnKrGrHzEy@dKdRZfv@xOoF|F_I|MtK_E~IhBrPqCpWcC|HeB}CiLvMfFjHoBjErAgAzDbI~N|@DdE`KpHlCdItJdE~@dRbC`DjAkB_@hFvHxHy@hG`GxOfCs@q@hGtT~]fIdB|GrJ"],"Asia/Ust-Nera":["q~}BqdoGvVko@|BqPbDa@dGvUfAiQhMq\\bRvOlCD`AmFnJ`AD`X`Lx_@nElD~H{@bDtDRuJnHfJPmItFoEmAkVhFkEtAeKdFoAkFoPrA_MvDiCe@qJhOkNnCiQnCR{B}StK}OkEmOxCeNaK}Hy@gFfDoE\\mRbIBqGkPdE{CvGjBt@kPmFiSmNqJkJ{[uKtB}BuTcCzDeEcCoAlEoFqBeQ~HeMaK{Gs@eHyKkEHaAhEqFqd@uNmLe@jM_NtXIj[cEzG_@pUaEvNkFeIiFnTcHfFcAxj@kDfJ]|UaHxC_Btq@kErNd@xWuF|WjDneAvFfC~EbP"],"Asia/Phnom_Penh":["cmY{zfEhO]bPiJtQ`AzOwPhOxCtY}K`e@hSvlAiEb]yUoh@yw@gQvHwEqI~DeG~LbAsV{_@T_PoKiMsIhCaCkB`E}NaFoDuB}TpIqCn@kD{CO|FmN{Pb@eLfR_Vb@^sE_HwE~EkW_RlALiRcFmCY_LkMyO`DkIsNcHk[`EwXeHqIXsOlIqJImGpFwb@yL|HtEwBjHxIlG_AzFhGlCh@~F_LbPwDf@zGlGiAvHpGdCi@rJjRuJnHdDg@bKsHzFwCdMlBfKgNfIlGdHkIpBqBtJdDbNmBbQ|CxSkE~VfHj^pDhF~It@jD`GbIdBrEhJnBqC"],"Pacific/Majuro":["qfR}sxHzHmCnFmOo@sI}GaEcKvB{GlO`B~J","aoUua{HvPmI~DsKqAyNuO_HiQzEeHzNjFzO","itUyfaIjxAak@rw@fVvSwDvK}P`@u\\ldA_wBj[c[rgAif@pNvM|`At]~O}FN}NenA}y@kSqHsSnL}oAj`@yLZa]`t@cM`JbH~XmOfX?r[er@~`@en@ub@mj@lFwJar@}JmGuIX{FfL}Qp`C|AdP","u_Js{fIjJ_CpCwHuBaIcJsCaIdCyBbJtBlH","uv[kmhIvNuBpEkGcA_JyJwI_Kt@}GjKl@tL","esR{shIzLmAlHoGlUwi@nZuNzm@mx@l`Aq@dz@ui@jJaBxOy`@iA}JsKmCgmA~MosAbl@{Lw@_hBzWqLtw@ih@`D_KvGsAhIlPvWv|@r@dA`Y","g{VwwjI|JgEnBiI_D_HaLsCaJdE_BdKlDnH"],"Asia/Sakhalin":["oiyAsfrGhIyDxBsMgD}MgIoCoIzFmBdLvCdM","gycBoesGdM{StRiJlOfLxi@sGpb@j@n^rFbPlIlJ}AjRmNxMkAfYdLxTItHkD|^xMze@uFtO}OpGiRi@}FaHwHwIvCi]iKCcOd@{Hv^qHzAaU_E_GsXcMi_@vGgH`Iu@bNmQxCsPdUaJrEwi@aLgVcN}JPoCeOjAeVhTwZjQ?dGeK_BaRkQeL{QtDaTfVoOfBkv@l\\kcArRg`@|Oop@qJ_^`Gi^lQaR{CmXrUaBjUjJtd@lKtBdUwXzHjOlIbd@|RoLtClC|l@bFxQeC"],"Africa/Dakar":["mx[jta@lNcHd@{PbLkJfO}HzX{E?}uAwJ_FnAeEgDeKpAyKvIcHgAyJbK_KaGyUjH{IzEfCzDp]sNte@sFdFtMbL^n^lJ?Ahv@~EbCCbKrc@`BnMiEmF}KGiRcEcJfAs_@iO}^rAubC|HCPgF}CgBpF_G`BsUlCqAmFwQdBgQmCkQ~AwDwBaAgD`EcZsDXhBqYnLa@bFjEtDkX`NuDuFiFa@aCxCmQZsF`JsPqAwKfQuFnAuJpUsQ~Eh@~DmEt@{@vGuZfHo@tFiCWhBdKmDv@tCtGiFxFuEKuMtUwCFTtd@yB|A~BdC_B|A`E`@vA~PoB`CpFjMcBvb@hZlJ^lOfQbBz_@|T`KjIxHlW"],"America/Chihuahua":["afv@d`tE|NuAdJeIjBdBjBoG`KgGh^cBHoXzFfA`H_MlFvCdFqFnDfBbN}HlDw^pJcB`UmYXwLsI{JhAxDgOQi@wDwF@{MqIiKMqIiHmC|AqCeGdMgVDsCiCd@|IgH|A}KuBeIjEyAsDoNnIuMi^yQ`CyAfBa`@uIpH}F}EaQnGuYF_E|Ckn@uSbApWkFlB}@`HvFlC}A|FkBaBgCzDb@|KgOnI`@zLmCjCmGmDwM`SRnDyDUC|J{GxAbAfJoDbB?cDyChBIsCiNaAk@fGqIsL|@{B{DdCuA_GwI~@OrDsOn@wCzEt@rMiIhA~@lEsMxIhEji@jLpAfF`J_DdEzChAhAvMqEvBe@pL`AnCjHaBY|InCgAvFvHjEy@`AtMfIhCoB`FjXb@zCiEfAvFlLcAbAxD|H_BhBvDzUgBfH{FdVoEfFnR"],"Pacific/Tahiti":["jri@nrmHhHoCvB{I{BeHwHcCiHhCwB`IvCjI","tg_@lrmHlJcBbD}Gs@aLyIqFaLhCcEfJfC`K","v{]~fmHtHmCrBkI_CgH_IgC}HvCiBtH`CpH","zy_@pdlHxIoD~B}GuBoJ{HwCqJlC}ClIzBhI","hfk@z{iHpHcCdCoIuByHiHqCaIbCyBjIvB`I","bc_@pzhH`IiCvCyKsCoH_JqBqHdCkCrIfC|I","lv^|}gHtWqC|HkOzJ_AhFaFJoLgIsK|BsMsH{HyRpDuBxI`EtJcJjF_E`OsGZyE`FCdM","jzj@pagHxJqC~CeHuAqIwH}DkJhAyElJdBtJ","vna@xseH`HuBvCyIkCqIoHwBsIdDqBrHxBbH","dda@`fdH~NsH|Q{g@`@yMgIuHgN~@mTdXo@td@","`g`@xqcHxH}CfC{J}CyH}IiByHvCoBhJpCvH","nsl@fncHtIaD`CkIwC_NiIiDaJbEwBnKhD`K","z`\\vzaHhLmHgAgPlOuKeAiLrMkc@DaMaEaLtVC`IoJtDoQfH\\`HiE`AgMuIaIz@mDvj@ec@bOkr@vIcKoB{M_KwDsHr@iIqN`H{SnJkCbMgNzAwMgHyHoQd@_B{I_GiEeMbByFbJuIpAyIlPhCpOzN^JrGeJjUfCjLeIjNjB|KgNlGgAuLyIgDkLbJLjHnEzElH\\~FoDsQ~Lq@tOoGm@cG|CoBxSxHrGzJAtHuF`BaKhEOmSvb@aRyAqHlHaH~h@tH~MqU|\\qCxPK~XvFfKuGzEiAtKpCdG","xg^h_{GhZaY`AyI}CoHfRwKgGnNJ|OyC|IyH`@","f}]t_aHtHeCtC_JiCmI{HiC_HzBcEjJ|BhI","h|a@xr`H~GyB|BqHyB}HiH{BeH|ByBnHdCbI","rtm@|{_HbIkDrAkLyEqKeJaBuGpDoAdJzCjL","`m[bj}GdIeDjAuJkIea@}FoGeHo@aKzK|Ed`@fFvI","l{`@nx{GrImC~HuLFmK{GuGwJhA}K~LJlN","|u[xb{GjJcFFaLkUi[yLi@kF`InA|LzMpS","txe@xrzGvGqBtEqJwAcIcHiDkK~AuDlI~ApIjDzC","~e\\dwyG|G{BpB{HgCiIyH{ByGpCeBbIjChH","v{t@zlyGtIoChDaKyB{JaIuCqJhC{ChJ|BxK","p|f@rxwG`HaClCwK|HqGbEgToGgJuMbCuGbXkJrHp@xJ","vnu@pvwGnHqDzAaJcCkHeI}BsGrCoBvJzCbI","jaa@pswGlIaCxCuH{BkJgH}CuHrB}CxI~A~I","p{a@d{vGpHmC|BoHuByH_HeCwIpBqCxHlCrI","`ha@~`vGnHiAdEyE`AqHgBeHgIaEkI~BuFkBmGpAyDxHlApI","fq^dxuGrNeGUaPmc@_XmK^qDjHzAnJfTjU","zfb@xouGpFqAbTaRG}IuHoIi[fDsFhF~B`V","xz_@xrtGnH{B`CmHaBwHwGmC}HrBsChHjBdI","dqc@xntGnKyDhDoHsB}JsI}DoIxBqExLlBdJ","`}`@rysGrHcCjCkHqBuIgHuCsIdCcCbI~BhI","ppZtssGtH}CdGkP_@}KcHwE{KbDaGhTbBhJ","hnd@xhsG~HyBrCkH{A{HaHaDqInBeD|HnBnI","hkb@||rG|IcCxO}OlAgWqL{DkSjLaMcLcLByEpHp@rJxXfY","z{]hrrGvHgC~BaJsC}IeIcCiHjCkBzHjCvJ","hjd@`grGzHiCtCwI}BgIyHqC}HhC_ClJlBvH","fji@xdrGdIuC`D{J{BwJyGyCyLlD}C|HfBzI","bje@huqG`IiCfCuIwB}H_IsCuIdD_CdIbCvH","`f^pdqGrIaDjB}I_DwIeI_CuHbD{AfJpCrI","vxd@tkoGlKaI]qK_IcF`MgRkBuHoGgCwO|GsCnHfAjIjGvDmEvFBtH","bgc@fioGxJaHsBuMtID`FiG[gLiGoFwGNuEtEa@dIzCjHmIC_F~Fv@lK","vqg@~doGpH_C~BoH}BwHyHeC_HvBaC~H|BtH","tvi@`~nGlIwDfAiLrIfBtJ_FdA}IsE}IsKu@aInIeLgEeHdEsBjRtHhL","l}[|qnG|GgCvCcJoB{HqHiCmH|BkDlI~BpI","ntg@`anGfIwBfEeLeDoIyJgBcIpCiDpKjCvH","~{`@nymGlIeEz@iLgD{I}HqBqH|DcApKxClJ","ntb@~bkGdKmD`E{He@{I{FgEgJdAeIhLfAxJ","lac@b}iGjH_ClHsMi@qJ}FiEoKbBuHtN|@|J"],"America/Guyana":["erJl{vB`m@ig@l@sQuDkMdK{M~UhBxJnGfB{UrD{FdKzBvMoLbNpHtGxKtKiCrPnHpWfAfS{DhD}IrYr@WmDrEv@bAmHnRaOzDwUbHaE{F{Fx@mKeKXMuF}F_CzD{RuH[oCoLx@wMoQmMtB{CoD{G|EqCzBoL_EqSyCnL{p@`ZWjDqa@hEF`V_Hg@mGdJg\\zMu^wMqItDuCwAaG_LG{V{HLPeFaIxHuQ}Ic_@wA}CeFgm@vv@iD|OiEbEqStBik@rh@iXbj@hAfRlPqJpZ~`@ZzJnJbBxDbGvJ}FvG|@lDgDaDaDl@cEzGmBxEhC~IlTwB`KbEnACzJhHtDlVwE"],"Asia/Kuala_Lumpur":["abJaz_EjrB_kAlfAamAztAqqBrFe`@oMuEeBwGtAcOdIsBm@oM_Gy@cKeOov@sDc`@fY_Sp[m}Ai@{dAnn@e[f{@bQbCvXtO}BnCrA|BeJzErF`RlKxGcKlHsIwGcGEeAfC{EiBf@dOkPbFdClDwCrM}KhL|Q`DE|F{EhFz@jSlKbEj@lM"],"America/Boa_Vista":["sgGtr}BfJkBtWc`@zJyF|JAxG`FtXoN`M|CdEgd@gBcB`OmBn@kL~GwDpDwTxTdE|HsI~R{Dr@iC`c@xBtX}EnYuMjJnFvG[rCzEqAfDzCl@|U{\\xOmGlAkO`H_IqJ~Gq[iAiPgFcIgNdBcQlRmIv@_EsIkUuK|Duo@_V?mfAi}@Q_G|U{SzPcAlHmDqAgB|EyViAiD|IqMtCg]a@uPoHsKhCuGyKcNqHwMnLeK{BsDzFgBzUyJoGgUmBmJfIdChRoAlP`QgG|I~HnApHrIlB`CtJkBbJbC{AxBxMrHtA[vIhHvK}B`BrEdImE|RbIxD_@dKnT]_BlEvFfFwL`PiDW}B|ItGtEwGzGlCp@sAhJ~ClFwMtImB|HzB|OaJnI"],"Pacific/Fiji":["pte@~p~Ir~@sw@vS}CzC{HeGyQiVoCcx@o\\gy@pFsa@aGo]pAwo@zWcXvQ_j@xMu[l|@","hmi@ktsIdHuB|BwHsBwHaHcCcH|ByBlHnBvH","tr`@{`xIn_@oGfaBu~@pD_PX}_BtW_UekG?v\\z}@pOf{@~Tds@xWl[","dmWsdxIlIqFbBgQyAcGkH}CmLbEyBxO~DhK"],"Asia/Seoul":["k`iAi|qFlLoC`EcG|@aLw@sEwDoD_D|EqM`@cBj\\","yraAgyrFhNmJfI_`AlFk@zIvHjG`@pPgI`DsMqEwI{@eRuNcTwQkCcIjP{Doq@{OgPwLar@mIl@g`@yVwDyDDmKyOuKci@eIkLrKo]iE}]tE}y@dn@gXhLn@rTxHr@bGzLM`y@lRrRxAfH`JNeBpYbFxCjAdH|@vc@fLwGx@uQdMnHrFfKd\\hM`c@}[`TaEfMnCnf@xp@","mghAg|}FfIaDzDiPcFwOmJuCoHhFcB|LxCpO","qvgAu``G`HwCtBkJuBeJ_HwC{GpCcCnJvBlJ"],"Africa/Tunis":["afaAcuMxk@kRnDyPfP{K`ScApXsk@psBo]}FyTu`@wWoc@rIaK{GiCuNwLuEiAaIuEcC{T{l@qKhFkOc@}YoI{FjQ}XjDiFvFiZaFgGmZmRkImOvKyNvVs^rAqDbHP`Q}HjEuJcQcZ}TeGw@wQfGmGlVyAd^yIxJ`Fv}@iKIqE|FUhJvEpJ~LxB~FqMjHjPrRmDhCnNzGe@pFlQhD_Ox_@vH~WeGvIpCtCiI|RnMvJ}CtHjExIxUfKvBN`HfGlF"],"Europe/Kirov":["ystBojyA|FqDxAiNyBiZnU`FZmM|VnE^mKnHlArA{O`CdA`JgKItThBvAnCgC^zK|BjEdEQz@nUhEfEpDi@n@lJ~Hg@bExDbFgFGc|@bFaUbE|KjBuAbMxFMnl@tCiCnAjGCgDfCpDlF{IvBvEdDeCrG~Eb@{WzFkBmB_UuJ_O`D{JoBwNoBfC_E}JnBoDuBsWjDsGwFqEcD|AiBsIlFm@tAxBrGwE_@_[vIuA`@uPxCeDjGzC|AmB_CqOdE_CcAaDtBhB|G{EDwDnBvBdAoIaA}C{BhDTcDrDqDdC`DxAwAlGwZaHeJDhHeDkBk@jFcFYsDtIyIgBb@iLgEBkFaH_I|RsDy@wErFkKqAg@qY{EkNqH}@qAoD}ClGyHqEi@|EgGfAD`EmGuGwC`A}FqW~Dmh@yGcBW{KjEiHtAbAkBac@gHnDoDeAeD_K}J`JmHwFeCpH~BBw@nRuJrJaVeM\\eHwBcAiOmBmLpNdC`CFzZcAf]sFpVpWld@iG~PrJvTn@vYtDhG}@lPdE{Dp@bMrIxBJsCjFDjHfBXnDe@|K_JcBqDf`@gJ{ByAdc@o]|@{HiQ}AzNo@kE_BpG_DaCyPxGsAh[sGjCcB~j@tXnM|EyC|@fIfEB`B`FLiDvF`D"],"America/Coyhaique":["~g~A|nsC{Aao@wHaQxF}XR_d@z]mr@wOoKr@eHqIkOqRfBv@cHgIwBy@sHoNjGQdD_Ee@{@lEyFwBmCnBFcDwHgGmG`AaIqTaEj@~@uHcEGmB|DaCwCkA|C{HBaJsRwU~CmGxJcBmK}FoEiFxHiJt@uFcB_BiPiEvBcEaLyR~MaA~UgCpG_EPwAyc@hCyLmL}BIoEcF~@mD`O`AvYqKcAmEhC_BaF}ElCYlRuAmAwBlKaIfBlFxIu@fOgGvAlE~AAfMsHbv@`Mlu@?nQzg@{AlJhQ~HtEzp@aN`eA~h@dIc@bKqJtc@KxWxP"],"Asia/Damascus":["_odA}gdAxOyKfX`C`M_ChDiIu@kZ_CqBlBcGjGbGbEyMfAtAhI_EzPjTlD{Eq@zMxGtJhC`ArB{FvN~PlWsFnKrGn@cJ|K_H]uFlHoKbCiZuhBqeEoR_f@eDcTwVqNa]L{UcIeZzFaRkA}HwE_C}XmFcIcUkWsHh@oEtGpGzInEh_@aB`n@bV~y@nD~d@mAp\\qGtJ}ClRfQ`o@CdWeGrD}BrSnTrF`N_Ir@bSxKJpCxJhGbAkGdHaDjT"],"Asia/Oral":["ar}AyxyAhJik@bIagBzGkd@}DdBoAua@kKaOmOaj@_HqFaAya@lAiLrE`AzB}o@mNkB@qEwMLoB_k@}At@kGaNuM{ByBxCf@oEwD{Ej@eZ{AiE{A|BiCmLaDfAuJoEyDdHuLjCiKqKoElHaLeFmC|MwNtMoCdWaDnCmDaAeErMuAbL~CtMeChJhC~KeSrKjFxO_@pMtDjDjDuA~AzHkEfB|BxRuC|A?wG{C?wAvEFrVwDzFvJwAyBdMxIx@xAnJ|DAbMhd@e@`StGfFrGgD~BpQxJlRgAfNjByDnXaHnCxA~CuG`ExHnF`ReCjLmMdGyUd]tHbRlCw@zAzCbE_E|HrIlCnP`ObCtOlBvEkL|GaArGrN"],"America/Montevideo":["`r`A|fqBhb@cJhQqV~LVnKue@vRySUuPbe@g~@_b@_o@M}H{IqHiK}c@oTq^mf@}TgJbUo`@[wXsZaQt^gUzGcJhNRbGo\\j][rN}ItI`CdCmCjI{LzE{KdMpFpD~FpTsMe@qMdJ}^vf@e@fOvKjHEdRyDbGhHUnIjNrTqD`CdF|EkBpJhB|MnIvFiEdJpB~EpIdGiCxHxAfEeDtKpEv`@qF|F|P"],"Africa/Kampala":["biAiwx@rKc@]{K_Cw@xIuDqG{NsPkJDqQaDgF\\_eEcu@eB{MpCgNyJuMkAsBwGwLqIaNuCmIiRaHhAqT{Kqk@zAkk@b^kRdCcJsCcEfQaFyAf@~FgE}AaPdHb]x\\u@vSeFlHzFfRj@`R`HrL~DIeCfNyN`HtJlQ}HjMrEvRdKtFSyDpEHxTpIdKsFfXjHpFiIqC{CxG{Gy@{C`JmEzw@tq@tAbMhPbFnAjIrSPrZnO"],"Asia/Vientiane":["iwf@gnbE~EgDsHcInNaJa@oC|X|IjMyEcAuGjCmFeHsFbCuWrIhE`PkCtCgE`I|EnKu@lNtLhE_GdPC|IhI~RdBnEaKqO{MNwDcHgDsAiHuHqBfA{FwJ_JtMwTx@wI~EZnA{DoIwIUuJaPwF}AeGuBhBoCcCx@qQnFuNiBeF|\\cR|[q_@bu@nBxP}OxG_AtDeVrDvCnFgBtGaNbNzAlCpFdAiFnJjFtHyH`J`F`No@zGrEpCzLlIiCrC}DuBsJfBqIdJqJf@cKoHeDkRtJh@sJqGeChAwH{GmGxDg@~KwPm@mFkGqCbAuFyImGnBuHiTsGkGvFwAsHwUC}CbNwStI_CsJkKoB`AlF_OhNNhF{MxEbGtFqA~BgGP{EfFqR@VzEwQnGdBjBaCnEoUtWe`@`OlAzFoElAwB`HsF~CaK{DyC~BeDrW{W`b@yE~QeKiNiJfBk@qTdDiMyIcKeGOqIkHeHtVoFEyAkEgCtBrErJsCbEgMiOcRd`@`FhQrKdGgInLrAxCaFfPwSrKeAnEqAqDoZyCtA~D_HvA|EN~ClHqOzBaWdZcGlBI~KrBf@}FjGrOfL`PgBbHoJ|DlAxEoDhAfDfMl@dH_F`CtFaFpIxCtOgMtGyDaD_CpCbJhHrCdPbYnLXwGbGrW"],"America/Porto_Velho":["rdRrnaC`D{VeFgPPkUuBo@~EaLaJiF|@mC~GmDbVB|OzGf^gJtPvEfBgC~Ib@`A_EhJ|ACwIzPgBb@iKbEFa@_D|BGiCeBtD@|AeKnGGvGoL}A{BtCsPiEgIzNo]aBuKtKcDf@kFnHaFwAeGfIuM]oNpYmRiByq@zKyS{MeSiVmE}JuKsL_@oSeQcEjFyStDqCxFsNJ}JcKwP~BqBtRfB`BoF~EEbcAkb@qDsOxGsO}DoIfCuDcEmUvHw@yEkH|@}ImDiMhNvAtF`HzCuCdLgL|BVpHeLn@O`IcQjIiF|I?bn@pTnHRtIfNe@nIrLbL?pAnj@jZdOInDqIxBrBnKjHWgBbIvIbKyIdJKlZxDa@jGxE"],"Pacific/Guadalcanal":["`mMmjnHbLeEjt@m{@pZqt@bFk`@`{@wxB`BoOjy@akBfH{l@_FgK{M[ifAh^ycAf|@gr@n[kGvgBaOzQmJfd@im@dhB`AnNvGlJpQ`F|CpSdJvO","znIiouHjPoKrCiUgAyN}J{FuNzBiVxT{BvItFdN","hdKsvuH`JyClCuIcD}I_KqCuJzCoB~HhDnJ","f~TqrvHlhA_Tjl@o`@lDoH}@aH{KiG{lA^gh@~y@WzL","`mOmu|H~HgCdBwGuB_LgJqCaH~CkC`LlC|G","xvRgfbIft@qE~y@weA|AmJ{DuNiRkBmxAjj@sMxWiBtYfElI","vaRs{dI|IsDzI{M]{HyE{DsK|@cM|Op@fK","``W}hhI`H}BtBqHkCoIgIuBuHxDgAtHxDjH","xuUyijI`HaDpAiGkCeHmHcBuGlC{AhIjDtG","dhV}~jIrHmDjAsGuB_GaHyBcHxByBnH|B`H"],"America/Hermosillo":["i~}@xu_FdC{C|PaA`K}TdUkA|_CqnBnb@uAhNgJlNyArBgIaCeIwHiCkHrC}ByCrPkMfIsPhKt@pGyC`Jqi@`\\_E|P_f@`RyJvE{X|EyAbCyUyEgNaHOgAcKiW}NyBbJi^bBaKfG[|E{Ds@kRvKqGE~@kPgFoReVnEgHzF{UfBiBwD}H~AcAyDmLbAgAwF{ChEg\\_@Z{CaPnGgCjK_FnCuIQFqGiE@AmFcGbIqBqAYhE{FkH?|oCsgAthFVpF"],"America/Havana":["uui@~ieDjMkJfDe]oGq[~ZqdAuJmqB`@sfA|[{Vf\\cn@bGoUrk@{i@}GwaB~Dmg@a@_^uJqu@}P}N}OvFkTtb@{_@v~@aHbg@yUnl@cL|Keb@fw@m`@h`BmQnf@oBhe@pErtApPduAp\\rz@|N~O"],"Asia/Omsk":["wapBklhCLiCzEdA|BiI|GsAl@uD`MzR`GyRiIcEYuL~I{ExOq]nIoChGdReBzTtB{DfEx@dExTzA_KrCg@fBnLxGsIjHdAtBrBEnSdDqEWeNtAjPxGYbCaK`JxRrFi@MuT|KgLjK`CxEuC|EmOtExFpN{@o@nKzKwFdAqBsDqF|CgYgH_AhGaZ{BeAiAjGiDcByBjEN_I~E}GtBjA|A_LpBrGhAcChE`CvAiF{CsBv@qI{DbA@dHyDwClAaW~EqCtAaLBmNaGuE^qGhKvCe@|MpKlKvEZfGmKcJgMdAuHqC_Dh@uI~Bh@k@_KfGeHoFcEc@dCaEiAl@aJ_IsH~@qO_JcWcE~BiBqRqYC{B_ImDbBl@dFoGxAJ|EyEVAtJ{CwCwCfAiRlPaIwL{AtIsAeFiEnI[qPmEtEyOk\\uAub@{G`MaISdA`OoJyKqDyN_b@dLqG`FNhF}M~G?rHkR_@kJz]kDuIoGrJeF_SsFvOnZpv@e@fcAzHvRc@hg@iE`J|Bpo@ePq@oBsCiHrZ"],"Africa/Accra":["}|KxjEbx@uMMoC`Ei@F{HdMeBjEzBnI_BMbVhMnAvHem@hKqPcAyMuOiXsJ_n@ma@yaAMke@{FwJiLoGcNrCAfFkI|C_F|NoGNiN`Lo]{F}GrGiGB}EyEe^jAqGyG{XfUwFsHkInCsU}EyDjFdAvLuAcDgClCa@_HoG`C}QsAAkBeCzBaLyAkSr[qT{DaGlAeCzOnOlTyCfAc@rHAr}BlWtE`KoInExCbCwDtY_A`GxBnZcGbKtFxGcIvk@yFbDjGzDk@zC~IfTxGjV|@~XlP"],"Asia/Aqtau":["}yvA_h`Bdj@mQvG{Zhj@ga@bQr@xE{BfDqY~OmPzDwa@fG_B`UfLl^kAu^{k@cOalAd[mk@ng@k^sAob@{dF?aJqm@ym@rG{KtGkFlf@mHb@g@lLeEdFpHpLpFdpAdM|P`AqDzAbBzFrR@zLdCx@aCf]tKtKnBjJqA~a@jDfWlWj\\oBzw@"],"America/Boise":["ijuAr|eFfmBe@CgiAd[ACutJsyCHmPxS|EdGpE_B{@dr@rFdEkAtWxFrCuDfHcS~FwDfScKEwK~McOrC?hCaDy@{DdGvMpWqEzGzD~JsAvFjFeB}Iv\\bKnQwDhQpBx^}Z]cJlTrKjH`DaNjHgDhc@~VlGFhXhVpIk@VtPmD?qBpEBxV"],"Africa/Conakry":["mwS~k]fHcBfCyGgCqIcHuBnBuM|LaD`EkH`KyDnRed@`DoBzHdE`I_AxEsHoAsLpRsG_Hq]wIiBOeHkFwFo\\iNiBoL|BcEcGiM?}i@f]_WrGYdCgHjMdC|@yHhNWfGaEdGnHjOhDsCsBxAiEkKsLw@wKvEaCyF{P`FgBiBiClDRdBcJhIdAbHmBc@eBrI|@~GuDvVhGiCeG|A_HjKeEiD{OgYcI?sFtGeDmCsCdCkLw\\qFf@mFiDjCuD_AsAjO_PkBEaOpDeBsCyBhF{C@oE{OdBmJzPeKwC_BwIwGfK_LsCp@rJsHxEuPgBgFnC_RuLgKrHx@fGuIzDwYgAgB~JxE|JsNqFmCoJcCpAu@mBgEjOsIjDQfHcSyCiCnGaG_@wAfEoEyBoHfFq@nRlA~AfE{E~EvArCjQdHzCmKdf@jEzIdM|GwAfF{Id@gFzGR`FtKhGIdG_IrJyK_COgCyAfCvB`TeBfQlFvQmCpAaBrUqF~F|CfBQfF}HB_Ahg@fUcBtGvQxIkOxQVoAbHnDd@`A`LeBpJfJhNOnH~_@jQjR~V"],"Asia/Bishkek":["{vlAahfCzPcE}CaTpCqd@cEoMtMqQg@gMwEeA}DkYnHyAGoL`Ku@_EgNpJ}IkGuD_CgJv@sj@mFaQAiU}FyEmJ`FsNmEmCaZmNeSVaLcF`FkCcBxCaWsLwVzJqF`Kl@}Hwb@fEeC{FkKyHgFwGZmOiMT_w@oGeC{CeQsHaAmDq]kTki@cDa[{GyEC{P{IOcMdLo@x[}KrQqGFxAlIwGn`@`Bb`@oGf}@zFff@}Cn_@|G~EaKb{@iPba@lCMu@`N`F~BhDrUrXtFvKuBwTziAj@bIkEvPpAj[v@dFhJvE@vHnEkD[xEbJbFpBq@e@eNbFwFrGpOo@~FdGz@^rItJnIvE~P`EnAKkGtF_KgC{L|OiCoBmBlDyFu@cPvDiAcAuHoH]sByJ}CyAmB|CmCqFfGbAo@mE`HiG|FlAFuP~IEoCcJbEsKjDq@vCsUsAoKj@wCdCn@pAbTrKjKyDhRpAsCxHAuDlN|I`LtAkDn@bLpErEqFzBzBtB}Fj]tMl\\hKlHoF{BcLdb@rG~\\vHa@`@|EeE~C","knmAmtiC^cCdHiBc@qDdAh@@pA\\m@z@BFaBlAAXfDm@VhAj@UtA}BaC{@z@_@q@iAhE"],"America/Mazatlan":["gvo@boaFxGgCnBuHuBqHcHaCyGdCqB`IxBnH","snu@vn`F`KwFvXie@lPgH`Nud@xMkNbAoYl\\{n@`W}KhYdBbWhHvH_AfPeN|OyX_@yOhEiL~]_d@nG_Pvh@eS~BuTuWm`@iYeC_]jVwRt@cN`JmAvHvBpGgP|N}TBwTjOiQPgEnO{Pb@wFlOuZ|BmSt\\_JjFwHkImKpCyBfLlE|IaHdEkIjQcJpAzAzfBmFnJfGbHcB|X","kzb@pq_FvHeCvB_I_CqKwJeDyH~DaAdKdCbI","mbd@thzE`GcBlCcIqCaIaGaBaGbBmCbIpCbI","cxc@|ixE~JcCdGmL_BkKoJyEaOnDqDxGpDdP","cud@f{wEtH{C`B}I_DkHqI_B_H~C{AjIjCtG","guq@reuEv[_FtBuL`J_LtHi`@vd@m[pj@{|@zm@ka@l^kd@x[wGtCzKdLbAnGaI{BeLxOwApCqMzPrBrIeKxB`B{Gag@rXy\\iJx@?xDoHqIaNVmC_XaJcEyHjKoJ?wAdN}I|@PbJeSmD}E`C`CxH}QtPhHlKeJ~CuB}I_NzEfA`S_JvDq@fM{XxF_AvGaSxAR_EaBlDeSdGoE`KnDnNsVxJgWnYwU~CqCmCeCdAqCqKgCOeMtSqJbBmDv^cN|HoDgBeFpFmFwCaH~L{FgAIhQxB}BhW|NfAbK`HNxEfNcCxU","wmi@xyoEpOyFrTeXhBsK}DsHkOC__@h_@KpM"],"America/Danmarkshavn":["cjsC~vk@fL{uEqC_{Bmh@`WaWua@_U]ga@kp@gIrH_r@zM_RgVyHvAxBegAsDq]eC_F_DPuH|l@Vxd@rEd`@iFhCfAbfDsHnhE"],"Africa/Ouagadougou":["}jSpwIhHkHs@wN~X_HnBiJfB|@pE{FoC_JnESbB_KeI}AmDuGvAwCwHaZ`FsTsDcD|DEbEkJtSmN_DmCyKfEaGyBgYz@qCzDoEyCaKnImWuE@s}Bb@sHxCgAoOmTjIwo@xCHwB{\\kEOzBaGgE`CkAeFyEd@[uJwJeFnD_JkA{WqNiQ}L{DwZlT{CmK{Q|Hj@rIdEhCc^vu@}OAXiQiExNqEhAoFzL@pHeMtH_e@nQ{\\}Bp@rIoEfRtC~G}CpAAhQtQpTlBpNfMnUr@zQvPb@xApEqHdVjNxU~WdAnAjIgE|LpYy@VtKlFHkLfUKbIaC_CcDvCpDZnQfUdSiG~ErBe@fL|JcFbFtCvEwAi@xC`GtExBgAzGfK`@|SjHjJBdHfCaHdHfAhA{CjHc@dQjGlBvHhMkD"],"America/Araguaina":["fjUhbbBlHiD~GdCdHkDbSbBdNgCvHnDfLcDtAeFyR_HgHsLtPlH|HK`Zyx@kJa@wQkMlIcHgHaGtNiN`O]yJ{CfIcCwGuQpHj@kCmEvC{MvHaHyU{AvJwKaSmi@BoQgHiAnIiBqCuNnApLyVk@qC{ERtCcEPfAtBuCeBo@lDyQLI~DwGwQa@|JwK}ByBxCA_RmElUeJnGeXsMGuCuQiFcJqSmPmFhDdKtEZiD~E{ELO`T}UzGgCpGqNiDsCnKqTbIC`HoLuHwNDgK{EaGuQcO{@gFpGxH|Yie@p[ArDyG}DNlHmEdEsLmL}k@uHim@tFiHlTgFrA?hQqDvLr@fGxGbDV`HpC_Iu@mL|KgNtEfApAlFdKyBrBlE`F}@zBbGnKcB{@tFpS|IrE~SrHfKpQy@lRlKhOwM~UzBnh@zVdCpHbX|QzPtBtaA~]jXJ"],"Asia/Kuching":["iwBc}tEhG_BRgEhIn@dK}Ib@{FdKkEr@_GtJgDCmF~GeJ{AuMaGaEqBiSdBaOnDuB_EoFpBaIoGsEY_LuRiCkGaQJc^~AoClF~DeAeG`IuReA_GhEeDmMmTnAyM}EiKxD{HgN_HoJIuBeIwF?UjDqKMOeF{EuAqGmPcEjHmJcCgA|BeMgKvCaBqAiHeHeD{HrAeGmBToCuIvCcOwAcBzBo\\_SdFqKiFwDBcJjEwDmF}FrC{BoAoe@tKkMFef@vCgIfIiB]af@aFcGoScC?xGyR?oZi[wNC_e@dq@?|RuPzUye@hAc_@b_@mLlUnrAnfBbaAb]nDSfBiRbIxExGyE|]aEgDfNy^vCpIhNbVuEhMfDtFhJeP`IZlGeNnByCnJuGh@cDpI|mAzu@d_@fnBl_Azp@eIjd@xCtJ","c{Mkz|EbUcCjCeNkSiLmEaMkJ?sE~GmH{GtFqEhB{NkEyNeLmAgJfOnDrQhG`EuFlEKjItKhRvGhAzFcCtBjG"],"Africa/Libreville":["~g@grOdp@oTfOiKzQkCpRgPnLkDxj@aq@tSkL`a@a`@yJgIwNeD[sDoHoDpF}KpF]aEyMwBbCgPaGcIzQqDmGwLnOaLqCiOdDSeCvJkGqJ}KfEcE]a]}b@fCbB}CaF_GtD_JjNkC|FaHtDrA{AaAbFu[_U}OrO}I`GvBbAcMuI{H{EvEiEeFsHHuC{IsKuAmDvDgBoEmG_AaDpCyCqB_ThDyRuEkG~Ds@rN{IlAyDxQwGaEwNtBmGuCoLuH^_IeRyL{EpFwTfCyDjFoAvVvCj@hD|LpAnXwD}E{NrGiO}CcB`BwI{GaLbBdBp^aDdsAnOtCdIuDpLzCfh@??prAzCvAgHlL|AxJzO|WbWzA"],"Asia/Hovd":["an~AmjjDlIeUxGlF~Kqd@rJcCjCqQpF_GuAi_@xKeJuBuQrHcClCgNl[_KbLoKnBaItL}FtGbAl@yBhNlJdQcGjQdRnJ|AbUgLo@cNbHiZ]e^hCaJTs{@gm@vDkEsNga@yP{KdHK_QoF}GkBmVg\\pN}Rha@kE}EsQjZwJ_NwIgCcEvBsE{MmGqCwFgU|Esj@_H{g@q`@iPyIpOsJ`ByJyDsCn]cCt@RtVqGtDoAbGkUrE}Bjv@`B|PgDnGsFw@_@vKpEtIcDv@eE|MtHzD|@~`@lNrR~@n]lC\\dAnKdE`Ai@pI`J~]lD`ArBzVtJgGzGxUeBjI`DmAfBhDfA`JyDlChFpBkAxe@`EpEvDiBnFdUvJkD"],"America/Guayaquil":["~rE~z}Cx@mdAr\\uE~HfUtH_AS_HnN|G`@oFgJ_K|KgSiBoJtDyGnOeCxIuH`BuNsFsAF_DmMiAcDoK}HoB{DfBgTkDcLyH{XuBfGeIqGTuUcUqXujAc\\yc@cb@i]if@}IhA_KaNjDgJcBgF~HyN|GV|C_D?pB{KkBcHmIha@kNhKuGzOnBrGtG@j@xIaCr]qEpDUtUaO}A_BpJcH|A`BrH}GpSkNdFdBlFsSlZ?dj@d`@`h@fdCx`A~|@sB"],"Europe/Athens":["{ylAqid@xG}B`OiY|[m[fAsW~JhHfMRzDjF~MjDzHaCfFqM|Lw@fNyRqBoVpEyOpBaBhSbGrXgKjGeWcFaNlL_AjJiMgBsQqS}DlBqClXN`FiHqBwKiJ}@eEzDs@wGsDkAmJxHiH{Bob@jQ~LcMyA_VcIuIqPxD_FwCpIkNzCxEpEeEqBcHoFhE_@_MnUqJfGt@jBgLvEqArC|YzMoCf@|HvFmBoLie@qMgGpB_E{@}VpJxUCfLhFS`DkJkFwPlBeKuI_C}@iEdCiEv@jEfD\\lBqGaCyCeDtAyPss@}FbHzJrh@yCnAqA{HoJ}FmElD`H~MwExGpCrJwBzTdCxBpDsAnG|G_HlKiHaBaQdNkG_AkCpEr@vGgMrFlDe\\~IiLAjHbE~EdEeMzFf@rDaDsA{m@_FoD}Qfc@sLbDyExJ^nGiIr@oA`R_\\tAaAtZoGhSeH`DdB_OsBeGzDsKmBaHgF[sDxE_DuFbA}GgD{BgDlAOfFsFd@AbHbFnAfMpRwB`UcUxWyKlCeR~PkP{D~EkDvGmWrPgDrBmXaBgS_IqD}J|Ij@iHrI_KoAmIwDiA{_@|h@|AoQuLoVxN`DpGkL}C{LeMUwEgLhGos@lCcAiB}IwKuMeRfAyD_RoO~@}BlEqCtS|AfEzHqFrJbBbFtp@mIfYxBdFaDbKyGdDtBvL_CtAbJz]lBn{@rKpDk@pg@lQf\\gB`J`ChZjQ}BbG~NzSxEnEzU~IkERvFvC_A`D~DiBdKxBrA}AvBcHk@kKxYU`P","swgAwog@fHgClCoJoB{J_HeDiHlCuCzJlBpJ","ofeAacl@bCq@vG{GPgDaBaCcFRqGrEGtEhAhC","}bgAkrl@fC}@|@mCa@}CkBiA}Cz@aAhCd@fD","yndAysl@~CqDhKbBpEmBfGo}@hF_AxEuLwCuu@~DOhAeFkIyL|E{LqYiQmKzN|JvP{G`E|@pTiIfNlCpG_AzWbCxSeL~FtAfUiIzFtBdM","_yfAy{l@pB_Ah@oCs@oCoBs@mBx@o@nCt@tC","y}fA{lm@rB{@z@aDi@{CqBeAuBt@cA`Dh@bD","sfcAatm@~G{C|BiENmDgBkCaGb@oE|HGtE","gzjAcjn@nCeBxDqQqAuHqCqAyJfFyF~J`AzDnG`A","yclAmqo@xDwAh@}DoDyFsCu@oBtAiApGvApC","}amAiuo@fL}A`C{VsCkEkOeDiCbDtAvIcArIjBjH","exeAo_p@tD_DDeE}BiB_D~@v@oK_CcDuEGyE|EOlGhExE|FgAIzE","}oiAiep@pBeAf@sCq@cCaCgAmB`Ag@nCz@zC","s`nA_op@lC{AhDqIiAoJwBkBwE`AyBpIpAjK","agjA}qp@|Am@fAgCWoHwAcCeEe@{ChD?zFtAdC","}odAcwp@tBaAj@oCq@kCuBw@qB|@m@tCp@hC","w_fAu`q@hBm@nFaHAeG_CgCgHlByCtG^lE","_qkAofq@xOcYvA{VcD{IwES_UtOxBhb@","ugjAegq@jIqG`CdDhER~HgMuFmJyMy@kDaGoFrDmCjLhAvM","ahhAcpq@tDoF_E{R|PoGzKeTzScAhEyE|GlBk@eR`FyAhD{KhFE`FqKzFfAtEcD\\eFwIiLQsIgWgIcG|@gAjFfLpg@sFPkFdMgJbCqG}K}FzSmG_@GdGiSrLf@zIgIkChC_Ey@uIaFyAwDwIqB|@aB~YhIhN_BjEfCnS","skfA}yq@pEoDCyVfNoH@oGkCmC{KlI]xFkFBiEzFdDdT","}_eAs_r@xBcAh@wCgA_DyBs@qBfAe@vCr@lC","}meAejr@zFsBfBaChBrBhCSlAwCq@_EoIoCmCrCiFzAoArF","{aeAsds@tCwA`@kDkAgCoDo@oBnA]vCxAbD","iedAces@bFc@lB{EyDuVgGaFgHjCsJeCcG^MdJ~SrJfEoAD|J","eehAsks@xEeD`@{DdCn@fCuA^yD{A{C{GvD@~@wA_A_FbAg@fH`AhC","}kfAy~t@xBkAnBwGHyCkAsBuBx@wEBiBf@S~@V|E","ireAukx@pB_A`BeF\\mFy@h@o@gB}DvDXlBi@r@"],"America/Phoenix":["en~@bg_F|gA}hF?q}Bi~EGEvO_EBdEbLuMhAyA}IjC~@^uE{FW_AnFlEjD]tFfEz@UvCsDeBXj`Bmd@tCAtLfF`@}@`KqHkBkVjCwI~F{\\gPq@{JuEyAhGyKsHlMBfdDhq@ErHrDt@pEiGdIbC~T|v@uJdDvChMUdIiIfOoDxJuNrHxPrIjF`WSdHpKlEJtAuBtIdAdCkKbJoAzDjCHfI","ileA|jxEj@mAn@PFg@jABAwEqB?Do@iAaAoD@hAtC]?AfBmAInALr@bC","yldApxwEz@{m@oCr@sBgPgPd@XdEcDHKhKuAy@oBhGdDvCs@fFiE_Bi@yFqOiGd@rZfGtFExF"],"Asia/Novosibirsk":["}ykB_tqChEoIrAdFzAuI`IvLhRmPvCgAzCvC@uJxEWK}EnGyAm@eFlDcBzB~HpYBqGc_@eEoBl@iWsFqP~CdHvCaEvGrFIzRlGaChm@uvAyH]?mHyFdIyA{RhFa@p@kFiAsPwFx@]sCs@wl@gI_\\qCh@wCgMkBrAwBc\\aCc@wCqScEfB_AwGnOgJvDc]bFpCsBgQxDEzDpFvDmELiVrCfAzEuSS{DuAzC_EgIs@xAaDuGw@xA_Qe]e@mElH_BYkEcImEiBi}@iFsD}Hu\\uIpJmCqCaBxEmDaKiJtNmIsD_C~EaEkE}CnQ{FgIsGtCcBrIcDgC{DnHgGuDThd@rObR|GlAiElEm@dQiI{JiFtIgDoCq@xImDeDm@dHaE_G_B`BeC_HuEdJbAxQ`Da@dAxCzHlhAoQ`UpE|z@s]~h@cKhgA_B_@Ll~AyCrr@r`@cKpDxNxJxKoAaO`IRzGaMtAtb@xOj\\lEuE"],"America/Atikokan":["_t}AxesDrBsRfB`EpD{A`CeQfDCLsH`CNoAyRgFeNcq@@?pm@dT?zAdO","cbcBzfpDrNsNrNg^}g@?@_FoG??~Ew[?~Rrb@fJfJ","m_{BvoiD|p@goCtwC?meDouHm}@U_~@h~Agb@xw@?hcB{b@nj@}@lN~YfvA|`@|BruAfr@","wn{C~dhD|EuHhDmlAoAngAdFzBj@uDhBlDnDa`A|EkXcj@AcBpuAn@|E"],"Asia/Qostanay":["yndBsdtB|DaCnCu[xEhIrA}B~@o_@dH}BtBk^pHyJyBcIfM}GcBoGtBoHjEjBxFqKlA~KrGOYcLdLeC`]{ZdFt@u@vO`MvLrFeA_@rE`DzBfNeNfBtJ~Tg]_D}IbC{EhJdBfMgj@vPiNcJuOcFlBaB}TgIzEAiMkO_BzEgm@_BuNsEkAUsQiPi\\uJyEu[wm@uK}MoElA{DyUwF{FiFrHzIhq@eHdCuD{AgAlFzArOqCpX{GtCx@dGaI~H~FpTuNw@sF~KmAkBiDtDwC{HgAfDwJeFqBbKyE|@{CqXyOwE_CcGwa@g@EyEcGTL{JeD[WtN}C`@y@wTaCBmA|GiRN?rG{QiCBfGcKdDqEaUkHzPsAaHuTjEDzE}Cc@pErKwAbQhD[z@`Q|KMsDnNtFt|@lCcAx@tBmCnIzC|e@rDpDz@n]~HxCsDpFy@cE[tCLjXtD}@A~EcDjD~BdPmFrI`BrHxEaAs@tN~AdAB}GxEsDlIlSfAyg@dCoAjCfIgBrIjEnEzDk@`E{TeBeHrHyZrFUfAb^cDxVrBbNlB_C|HpUhEEj@_GlF@ZwG`IiD|JzT?zK"],"Australia/Melbourne":["n|dAcirGryCCtQ{RvBcOgBsq@l\\mcA{@{Ng`@is@jK{N~Jet@bIkDbCaNrD_A?ooAoIrE}@dMgG\\ok@{x@aH_\\sA{kAuMs^qGoGup@xaCuKwE_LdJoTjAiFdQtCxHoB~H`FpCcCfK~EjCPxE_HvSjCrYsDtPlAzDyJ`P`CfJ}AbNxAbHvFvAfDqBpBtKiB`IkRvOmVpc@DhGaKdCYxIoHhCgNy@_FzMAbMkG~DrMlHg@dFeKpBeAfE_Ky@}@`IiFNuDzJBnUdFnIyB\\}Dl\\}CvB"],"Africa/El_Aaiun":["mug@ly`@vIeDeEuJac@cEJ}uFywAjHmGyA{Wk`@eIub@c~C@?koEkgB@tAnhHjo@jSrO~a@vRlUzx@bVv`@nBro@fw@rPlKxNI|RfLx]zHlJjE~AvH`MtLfWrG"],"Asia/Qyzylorda":["mzxAmhrBxi@cC`{@u|BnG{@~k@cu@cHasA~CciAgIyWxZef@~YyP_DyNnd@r@\\{Cgf@ebAkOug@eI`MuJgIiJSLgHkHbBwGsGiNlS_E|Owo@kBsHvTo[kKkKtKgJHyCfaBoOxZsa@xwBeDmK_Grr@kDq@sLpWsP~PXxb@`k@vYWxYdLh@^nT"],"America/Thule":["wztCxwoCnJyWhCke@qBgbAwGyWbVco@`WgfB`L{}CiA}_BjCim@}Xgv@}BdMy~DlhDyDxeDbGlHbNvoA~S|lDdMpa@nK~E|n@sSb`@ebBaB~xA`Dh["],"America/Nassau":["mum@vr|ChXoLxKov@`k@q{Adb@gw@lqAczEwDgj@oSuKcgA{UkJ|Cwm@bx@}bAbv@g_@liAo[dZq{Adx@sUra@gT|v@PfLxWho@b{@b@h[vLrf@yIhn@`g@nEn_@"],"America/Detroit":["k}yAbroDmKsa@vI??wFlD@?oVxI?@kVoD??uu@xI@?k^hOB@qNbZoAtEeM?uT~Kq^dUhZxm@lS~m@jGjv@}Fxl@vJt@_lFaM}Q{TcA_CuNaNiRqR_Coh@wSglBvWc]jbAaJeIwErG`B|VoJpHcQh@jCvYyIzK}N`EqwAjzEvSl{@oAbH"],"Asia/Ho_Chi_Minh":["ekQwghEpS}Phw@u`BkOioBaxAa_DqmDuX{lDdSgaCf_Cjd@x_@iCzLjEdAp[yIv@iBcGuFzMyEOiF~NiNaAmF~IjAvCbK`ENhNqI|CcNvUBvArHhGwFnDlDdImBv^`MlGqFpJHrOmIpIYvXdHxOcElShA`F~F_EnCnBxJnJvHV|KdFnCMhR~QmA_FjW~GvEo@dEnVUdLgRzPc@}FlNzCNo@jDqIpCtB|T`FnDaE|N`CjBrIiCnKhMU~OrVz_@_McA_EdGvEpIfQwH","w|O_vxE`J_FzAkT}B_HmHiBSsh@yTnDaF~TpEtNdKnE[`Y","clN_d{ExIoEGqKqJaEp@cHwCqFuN{HiIf@sDtFl@tHrV|LGvK","wnPuq|EhIyDb@uJpNmWYuHiFgEaLrBoIdYiGbGlAhM","wpRs}|EhEw@jCmCv@gEo@iEqGkEaFa@gGnAwCrFh@pG|DpD","saRiw}EhFsA}FaMnJcGoJcPqLe@qEzJc]iGfAxMxNf@mB|GpQsAbCvI","kvRqv~EnWnAMrCoSzA","qfUaz}EpDm@fCwBP_MaDaDmOvQvDhC","ehPip~EtG_CjB_H{ByG}GmBuGzBmB`H|BzG"],"Africa/Abidjan":["quKpxOlCmF_CmA|GyAtC}LI_P~TaInD{RjOgBpHxCfEaDfBtErKbDtH}@p@pCzl@oCej@wnBcK{mBlHar@iMoA]_WaHzBsB{B_OfA{ErOcx@tMmKy@_YmPkV}@gTyG{C_J{Dj@cDkGwk@xFyGbIyJsF{B|B{IgAvCpCmAbCgQhJcEjJ}DDrDbDaFrTvH`ZwAvClDtGdI|AcB~JoERnC~IqEzFgB}@oBhJ_Y~Gr@vNcJzJGzEjDvKhJlFsAbLmNgAuAnDqEaCsE|BlAnIrGX{EjLhRDPnQzKvDmEhFLhM_L|CQpIb_@r`@dFoC|Q~AjGqEs@sJ`LrCvGgK~AvIdKvClJ{PzOeBAjEkFjDtCjBqDfBxA~QlMJ|CyJsAcCfJwAg@lFf^fHuDtJlCrClV{J`JKdNfC"],"Europe/Minsk":["wbeBugl@dLu\\~OVlCdFdMeEGeBgFdCyAyInDkLuIeS_GiBsDiv@fAim@hKiz@iA{NtIkAEo]lDtBvAsDuHuEzBmJcFcLxG{DaAmQzHqE}GcCoEuQ|DkGxJsCoHmWnD_DmC}VrNmUaFiFmQpGeY}Y~A}QiEkHl@wW_LrLgIwAs@bCuAeFkG~I_EwD{MvTgCiHeFUe@eMpFsKt@_SyFqQ_EqAy@iN{Dy@sFxPkE~B{@iDqBjAeDlTp@fU}PoGaIfc@yLbDwAjHkH_FY|KiGvMmG_CsFaLwL~KcFcFeMP`A~HaLxN_DrTtI|i@wBnFkGeA_@kDeBpBaC|SdCbUwEbE{@{A|ApUcFnJbNf]|GhAaCf]zIvTs@vGfG^zBnEpF{@pAbFzBwWbGlIdAnXvFfB|GzYhP^tMlMt@{H~H}DAtNwCoB{CxDfBlPvFdHUbOpAfAhC{DhAdBYbKzExJiCtMlCnYqBlObZaHvUcOxZi@fIn\\"],"Africa/Brazzaville":["|_GqoTt_@mb@`NwBbPwKwN}RsE}@AiGiJ{BoEmV}HJnBsGhLwHi@iDbS_QqIkDrBmCwBaFwQaAjCqLyMi[rH}CrFbGjT_CcB}CdC}JwDoH}]mU}ByNqM_GeD{Rcg@{RqeA`@yQeSuf@gUsNi\\oXmT{XRaX_HaHqGod@jFma@mMmj@i@g|@ia@mNN{HvD`@zOxEzDaDpAl@fI_CbAvCjDcEp@aDlUbGbF`B|k@jUjGdTOxe@~Rf@vElL~@|OmEhB|DaF|@i@`HiGfGaCjOnC|G_GnGnAfQ}EtA|AlE}G|I`DjG{BbEb@xaA`GHnHjGzAaBhO|CzNsGvD|EqAoXiD}LwCk@nAwVxDkFvTgCzEqFdRxL_@~HnLtHlGtCvNuBvG`ExDyQzImAr@sNhG_EzRtE~SiDxCpB`DqClG~@fBnElDwDtKvAvE~JnFo@jEdFvEwEvIzHwAtMmFiCsO|I~T|OcFt[zAbAuDuA}F`HkNjCuDxI`FdGcB|C|b@gC\\`]gEbEpJ|KwJjGRdChOeD`LpCvLoOpDlGbI{QfP`GvBcC`ExMqF\\qF|KnHnDZrDvNdD"],"Europe/Bucharest":["qayAkqf@bVkZo@uFbIpBxCeCnBzBhRom@dGtBf@~DdGoKn@`KhDy@h@{JdEeBt@gUbI_H}MmQnGoRvFpPhNeMdGeUhKvK~CqLqBaVpIim@wC}SzGcw@oDoViPsUiIww@h@cMfF{FeAkNxDmDkBqJhIyCfDcNf@we@uj@gPmEwD_ByWuEcKmWkMeDxDk@hOgHnAmExLR~JnHnQkBbHtDDf@|C_ExUsHdIeG`EqAiDsUpDuMq@oJiHqJJ}UxHeIrRmHbBeAlHqGP{N`S_A}AkIvH}Ci@eOdUjCr\\bKdI|Djy@tIhK@xHgN`RlChUyFdj@jBfAoHlSbFvCYfIfBi@dJvOj@rUdMbPdI~@DpCrJ`D|TdTdFSlElLfFjBdBsBdHpGxBdFaAbQhHpG}BpG"],"America/Dawson":["on}BtkrGjuGAjDc]oD{BzFy\\qH_Qc@se@pOvFnDsGAiaAmoQ?uNr[kDzTy@dhC"],"America/St_Johns":["yg~AxbuBv~@qC`X{hA{Ce|@lOinAcL_Z~C}PvKkHbNGnBmF~HsCd@wcBxKgg@c@{c@oOoVcq@qUgWjIqQLq^dMac@zUqZbY{QtZwIjmA}ChGu_@oKwOjDyDzEuVkQeOrAmMeG{FxCgC~Ik^pLqI|@ab@iJcOdMxKv^jNvcA`tB?zMhKvG~Ynl@xn@","{d`BvngB|GwDxByLsB}LwG{DiHxDsB~LpBvL"],"America/Campo_Grande":["rkf@rrpBpOwInOScAgCfCiBtB|DrAuEbCpCpAyEtP`ApBjCbBiC`KdFfIiDbX|ExB_KoB}J~C}@pB{KSqV~CsHiDwGzAcCmIcGk@aFvKoJBiUlV}MdM|AtRqGlPjA`NyFnNm@v@_UgJoWtDkMhIqHiFqJm]eFaGkNkWsGol@sdAo^yXeJb@}@wFaIwE{K^mK_OmQw@cQyNoFuPuS_CyIdBuIqFsNfIkS~x@iSd_@a@bWeExA}JuKoAjTiMrA}AmCe@xe@_E`OqL{DmAoH_ZK|NfThG|AtAtNcKjNvHlPx@rOwIxWyGfF{In\\hIrSi@hQlYpRtIlXwJjMyIt@\\dDxb@yLfEqFPnExa@bJjE|@~EuCj@xDhl@tTnL_P"],"America/Monterrey":["qsp@rkpEvU_DfWoYbVcJ_DeOnEaKdSeG`BmDS~D`SyA~@wGzXyFp@gM~IwDgAaS~M{EtB|IdJ_DkHcK~Q_QiDsJeRkB{@sJqUvD_TsEmIaPoV|C}EsNqRuK{@}_@lD_KkBwLs\\jDqAtEwFEdC}LgF^QoItE{ZzGwCnAwIxCh@_@mXnJmGdAoPtHiK|Iz@jDgFrQ`A`HmEfPjClBwBvIl@|@gHkErAyA_EzC{IrEVxBqEpDfEnHcDpC`CrG}a@eGPBaCtEiHzLyDpB_YsCwRlAsJ{CCAsFlOyTuE_PmNzBsRwD_yAqBoh@kJ}BfLcXz[yAtd@a`@D{@zM~CzCoGtFrAnGiKjAwDpMkNcAqCjOaKgCaBpHbC`M{EbBiBuBg@`I{JxBqFrLgXiEmJtg@yRhDj@xOgFImAeDgGh^u\\nP_DnX|UpMrEmHbOcBtAnBbPyEfCqIxBhDhC}G`Ip@kAyArVgN`DxGs@vSjCzA`JuFaH|T~DlBa@`F~KOuEvJJtT}ClFiMdCaGiIo@jHgXkCiChCtA`Gmc@wLuE|L~k@dS~D}CtYG`QoG|F|EtIqHgB``@aCxAh^xQoItMrDnNkExAtBdI}A|K}IfHhCe@ErCeMfVpCdGlC}ApIhHhKLzMpIvFAh@vDfOPiAyDrIzJYvLsDpFpEfJdCeA"],"Asia/Muscat":["obd@_qdBl}CiiAeEw\\gNa_@k@yU|DsN{CyQwKoOsLcFcDu}@gHeGsWvAwJkJw`@mJkGwWq@cZmIoPmg@dFeb@yF[}LfJiXsZi]kGw@uYfHcVq]ar@}\\{X[_IrGcDvRct@pg@uK`RyK~Y`Dz]oGtXsc@v`@eR|GhA|OzMtK}GzGLkDeE^DfKfZlDrKiCxD`DVqKvH}BPzPbFjNrRmDvd@fU`SH`k@o[~{Bth@","oar@_dlBrD}Ob[uAaDuTsYkLiZ^eHpKfEnN"],"Africa/Harare":["n~a@ihp@l\\{P`NeOhLwAvC{FdKYjZyKz@{GnD_@fP}WzG}\\jL{DtKT\\eZxb@|@lLeL~OeFlB}a@zGkY|AyCvKl@~AeLrFaEeCmQlMsf@_Cga@jAwSzDoGgdAucAXqCuJfFsMsHmQf@qBuIkPwKwIBmC}HeOcAoBtEiCg@f@|GuJWo@dCsUeEcDtAPnFkD\\qEYeCcMmN|BaBoHsFqAwRfGwYkFyFpDsGmDeYtLcM{HIrOyDVkH`VqA`ZoK~I_BhRuHfHpBbQ{BhC?|]uVDl@bt@|Qdg@jEbDfZz@d^f}@xTfKbf@lc@hFxT_Kn\\`FxQwJlMnBvIsCxN"],"Atlantic/Reykjavik":["_}~Bhzo@vxB_tAhDiReAkU|XenCuJoiDwOqg@uBqu@qe@_kCmNcb@pCg_@cJcS}G`FcCzQ}EsH_IgBc^rF}x@n{@oNrnBrAts@~Nzq@cGcCkGhH_Cr`@nHrTfGk@~D}InAroByR`gCEro@rDrW~W|k@","}cbC|nd@~GoHtBkUuBiV_HwH{GjHwBtUpBbV"],"Asia/Barnaul":["ofgBacwCpyAkpAxhAiv@eFNp@kFoCOkCaQyMfA?uJyEuAlGcV{@eElOjDw@aUvLgAGmPyBaBtDwWa@uWmEuIyCJtAmN}FyGBmRjLy`@dCLfLuP|LClD_FIqOzHoXbHbBbIqLvHmBq@wSfHge@iFkCyGkReDOX}JbEBzF`Ip@aLfQwKd@mPjFn@zAuGgCcCwAc^yEiJwDhBaEqEjAye@iFqB|DiDuBoL_FLdBkI}G{U}ChEcWpEa@dLcGqCq@eF_EKrDoHqAgIcF_AgBtKcPrNgKnTaFF}AlD_KsAcIjN~@hErGsApEfP}BvO_D\\uFxPyHuNsC~LqI{D_H}IbBiE}CyFeReC_AzF~BlDwGhTjFzMyCpPuC@q@vN}EyAZ`EmHtHcK}GmKvYaD{LmJcDhBjFgHhYmMvDd@bFsIzBqBxN_JjNv@|KuObOrRdl@kB`L`FzTy@fSbGbCvA~FkHtBd@lE~Pd]v@yA`DtGr@yA~DfI~AeCoExXuCeAMhVwDlE{DqFyDDrBfQcFqCwDb]oOfJ~@vGbEgBvCpSxAgA~Cn_@jBsAvCfMpCi@|AjOdB_@tE~~@vFy@hArPq@jFiF`@xAzRxFeI?lHrBwA"],"America/Argentina/Rio_Gallegos":["lp`BntnCh@eFzJxCdH_ItAvCv@gCdIYjFgLnInB{Km\\dCuG_DaElB{K|DzBvFmE|Hd@YtEhDhAbHmHdD`FtG_BzEhFBcF~E{@|IwTlExBn@}|BtSoaBxJ~DbDuQqRsJoe@~`@yHAcWpLs^e@wHuH_J}f@{K{U}OqJej@mGiMm[eNePsE{VsPk]eOoN}Gw@kFlFgZ{EqOdGg`A_O?tkKvGtOlGyJvU_D`JrRzHCjA}C`CvClB}DbEF_AtH`Ek@`IpTlGaAvHfGGbDlCoBxFvBz@mE~Dd@PeDnNkGx@rHfIvBw@bHjRmBvIpOm@jHdNnKxCUT}DoC`ZtJ}AbHtFvL}E"],"America/Argentina/Buenos_Aires":["`mbA`yzBhaK[zEoYvX}ToLs\\wM{GoJ{NiZm@oVpHgIi@uYoZ]id@aRmsBcMqo@{Sqk@_IyHgMw@}R}T{g@e]we@`Aia@sn@ce@f~@TtPwRxSoKte@_MWiQpViIjChBbOiKxTy@bNkDT@dK}DbCpBrEuYjg@fVrK}C`Y|r@ls@?pgB"],"America/Asuncion":["vlj@`jyBlCM|MoXhETtU_NzX{^zJ}WvKcEvLqi@s@{Oxd@yw@fN_h@rGqGoC_FpNm\\tOmKfFd@dKvN|Nz@zI~QxAoB|IjFbN_AFnCxL|BnB`J|FAvCjHtIgBeAyi@~ImX~Am_@hFuGy@eI}EbAyAmFbJoK}JiFgEiKlGeUuEkGuMiAHsEyG}C_@aNaDNiDqJgEa@cBqH_YqI{LvBa@gCgHo@{GlCq@yCaLlAaQaKwEhAij@yKiUzBcKxTfJnWw@~ToNl@aNxFmPkAuRpGeM}AmV|MChUwKnJj@`FlIbG{AbChDvG_DrHRpVqBzK_D|@nB|JyB~JcX}EgIhDaKeFcBhC{SmE}AxEcCqCsAtEuB}DgChBbAfCoORiJbEHbCeCqA}MxD{FcBu`@pw@Lxw@dTxlBl[tJr\\nT~]I","ptt@nknBuBgGtD{I~Al@dApDoEfG"],"Asia/Aqtobe":["qv_BuugBxByCzOhAdEuLuCkFtXmApFaZBcDuGiAi@{CtD}Nfe@u@xG_I~Hk@bd@lFnSmMfHqLhLks@tc@{Rxm@sG{XgrBxOy^yi@bCov@ucA_@oTeLi@VyYik@gZQib@rP_QrLqWjDp@`CiR{_@ieAiKkOsa@r^gMfj@iJeBcCzE~C|I_Uf]gBuJgNdNaD{B^sEsFdAaMwLt@wOeFu@a]zZeLdCXbLsGNmA_LyFpKkEkBuBnHbBnGgM|G|CvP~YlFhH~f@Yf]qIpG`@xIdH`@tGpJpA|QqD|ADsEyBrDsBxd@eFfEJjFyC_A`@zDmC\\uEeAw@jMmD|BfEnHwCxWrLR_@tKvBfBaChJ{IxGhA`]tEQeFlKpFjB~BdEiAfJnJvAvK`XyOni@yBsCqAxAyEz]nDEVfChAwIbPaAtQ|UtLkCxDeHtJnE`DgAhClLzA}BzAhEk@dZvDzE"],"Asia/Pontianak":["i\\uerEh|AoFp|@ePrBkt@`UCddB~Rjd@ubAla@{nF}qBmUqPgKoGXq\\{VuOqS`A{AkPqHuF|G_RuD}K_VyGsDwCLrAvCqFxGeIzChAhKwDvBeMuDm@bEuJbBmR{BhEvMtFzCeNdD_EpJ{N{Jf@aHwCaDqV`I~AbRvGpG`A`IS`IuH~ChApPmJiD}KhAsEyMuOuCy@dMlMlTiEdDdA~FaItRdAdG{GqDeApIFrWjG`QtRhCX~KnGrEqB`I~DnFoDtBeB`OpBlShIbLWtKsF~D@nFsJdDs@~FeKjEc@zFeK|IiIo@SfEmG~AuHuEyCuJwHjFrCxYrJfSh~@fj@"],"America/Argentina/Catamarca":["hjqAv~kCtLmBj@mEdDc@pKlIbLiAxQwX~EFPtI~Fx@x@gDtCh@bEcQpGxIxHqElInKnEiClKdA}@yYfHmQpE~GfEaAvCrDyCbJn@hd@xGw@vC}\\xFaArGcK`DDtCfK`E}BbCjQzPJvAiFzEG?ukKiu@gLgLdG_NyE_OeQuJzFeLkAaKtFoHeAgRoOi[snAaRcHcSf@mLbGiD_C?vjOjFiBjApB","dhu@l}eCmAoQ~BqL{EmAfImExG`@TuIdHeJuB_KhOiC}BkHlCw`@aGyGbAwZzSuCdEaHpGdBjD}QjS}Tbt@iSqCqOoKwLuNr@k@uGkO`@wAyBkCpCoU|AkLzPqHsDy_@rCiFzJpJlLiNzIbDbDk_@vGoCpIwSuPaCrAoFkC_HjLx@~FwXqCgCfGvOlH_CzHaKvA{JlOyN?IkKuDiDcSIcGvxBlPbDrl@_LxE~IxK|@tYiSnFdAd@rJhFpDuCdGlBpGbHaAbHhJvC}AzD|E"],"Africa/Douala":["wnG{jO|BwMhSiLzQmc@lKwAtUoQtj@hI~AsMlEq@lEuJy@wqAsF[q@kQ~DebA_C_YjA_GzCQa@waAzBcEaDkG|G}I}AmEzEsAmAiQ~FoGoC}G~AmKtIgTrEI_AiF{PdE}LeAi@uEcNlFg[Rwp@xq@eRvIoAiEeNtDoRjUqc@tBiD~GiMoEqVRa@tFaJtCoO}VwVkGwAkFoTcIcGAgTiTiJ{@mFtGko@lT_Xve@iGlGkEe@oTvWwUkMfCmjAaCePmE|JsZbUg]dEyBaCoRlBaIqDiH~C}CuByEbDiEyA{EhBmBdHi\\jB}GjPcRlD?~V`i@uDpBiRjJcKf[~FdHcEpSj[gCnLlRjNfWnJd[xC|F|L|KmBfNtCdLvVhA}Czc@zGc@|BdFxAv@hNnE_@rCtJt[zA`RlLjHs@zBzEdW|AjErNjR~BjIvKe@vNcIDu@dJmGfE{Dk@_FhL_FhBjOdDT`PkH~BnObQg@bDtPrCnB~MvG`AiAnDvI`DfUlYhOaDhGpDjNVnU~J`AtD"],"America/Punta_Arenas":["|{~A`psC`~@iMlc@Tt^gNvXdEz\\mLpUeBhKeVdPUdlAinAjd@kYxHcfAh[yaAfBi\\vLmn@bMmLlCuJSuoAfFoLnGom@iCsZgLmTePyAiSgSeFu@_C`d@sFvHuDjZJ`sAykCEmSwJuSnaBaAb~B{D_D}IvT_Fz@CbF{EiFuG~AeDaFcHlHiDiAXuE}He@wFlE}D{BmBzK~C`EeCtGzKl\\oIoBcDvJmKhAQbC{BsCeH~HaHkDkE`FkFcEyCyOgK_I}G~EiEwDua@vx@S~c@wFtYtHhPzA`o@","|fmB`~eClJiCrDyMmAcSgH_HyJbEwDzMrA`R","~~{B~~{Bod@waL{fAv|Ac[nKfw@~xF"],"Asia/Khandyga":["gesB{_`GfDcF~LmBtBkXlDRt@eGtFvChBkDYcHaDeB`CiAa@mMyEyCy@`EeE}C_Kch@~CgH_A{WtFk[_DuMbCw@rAyY_MuI{IeTvIebAsLam@uDbBoEwIPiPeDsGnIFX_JeC}BiF~DcNmDuGhD}EyGcIfB}LcIqHzLmGiHeFd@gE{UqCdCqBaEh@yMgFmDsAa^wJsGj@gDgIcIyIcByB_Q_TaCoAoLeFnAuAdKiFjElAjVuFnEQjIwHgJKvJcDuD_Iz@oEmDaLy_@EaXoJaAaAlFmCEcRwOiMp\\gAhQeGwUcD`@}BpPwVjo@oMoM_FcPwFeCcBaWwDfFyIcLiDfM|@dVkIp^hDtx@eCvOz@~WmMdt@BlY~Mhj@dCF_@tNlEdFhAz^lFhJxDZfB|HhGzAyAxGlLpZyC|h@fE~JpLnFrLiEnHbOzM_MbQ|_@lE}FjGzDxFjOhCm@qB}IhBeHvPeOi@kiAjNkE|H`HfPyC~GgTlAig@~_@{d@`DjFhFN~CdStFyQtIrYqAvUpGnXjBxhAdb@q@tFnVaBvO`FlG|KzBxClMnFwAnNtJyAlM"],"Asia/Samarkand":["suoA}jlB|Co`A}CYu@eGwDlH_[pCoAaIaLkIcAkb@cCd@PwEeKrAoFeHdE}C^wLzGsAHiFiPhLmChHsBwFlAwRmHeAdP_WKeIzMmOQo[xBsElCmBv@tDhB_E|FnFbKuWwAfNrBtApGiGjJhEbEqHlFkOeB{`@vF{K{GaNtIsWz`@yNnG{L~\\oFrx@caBnCwG}@mHbk@qjATkVhN{\\rBoPvBcAzGdI`RkAtC`DlAgBwA{WlLeRmDkNnDkPo[cDcCkH}LsFb@iGoOoGyMrO`@vCuCkBmNtBc@oC{CzByAmGgDLmDhFz@fViHx@oD|SkCPe@yGoK|CyBoEsHlFkDsHiE|FuAbUmFJoAnFaCeCaChFiMQNrMkP{F{GbGkLHUiFcn@dMwBj`@q}@cE~CxN_ZxPyZdf@fIxW_DbiAbH`sA_l@bu@oGz@{kAn|C|c@x`D"],"Europe/Warsaw":["k_iBknZlAcEtNsCvCpBrg@sO~KlExDvKvFh@nOg_@`JpEtEqAhByGnFbAdByChNpI|HoI`Gx@|B}LdKsD~W|LHmJ{G`@QuJnAkErKiEl@qZvHaL}B{RbDkEfHpNfBiIxOaPmFsWcJnIoAmAnFc[~BC}BkTvDoC`CfIrB_BtGwL_AaJyBVjHwPI_OlKeBvAiJrH}@f@mGxEO_@gLoFiCeD{KxKiIC}HtKv@x@wRuGeCiDeJa@{WvFqKyGoKSu^bEsSpGiEbL{p@yDaA_DrJqJoAsIrEub@}f@kPyYaAaQuDoCcLIcDhFsCwJaD~IoKhEqGxLiGmBkJdIyGRiAiEuGd@mCwCeDbAeLt\\qO_QgIo\\yZh@ce@`VaW|BkMv\\`Cv`BmGloBga@`eAcAzZjFf{@dL`p@xNfWnS~fBaKxIuFM"],"Asia/Baghdad":["}d`AqwjApu@gQn@fE|IsBgBoLvFqAxCdEzKwjA|b@g_AhOig@~vBadDpFmlB{UiWka@_PiFoMpDyq@lJ}Of\\qLeDuPcIaGiKYSnL_JdYeLlBePzVo_@SEtTsWDiWiJkU`TqCqA_JpEqEdJlAjFw\\`l@aBzTmDgCs@xFkEwIeCj@gNlJ\\~GgCcEyCjBxArHaU`N}@nEqI{IyHCmH~Gu@aDmFOzBkLqJrDwDiAaD}IoKqBrBqGqCgGsKxAmJ`ImJo@sFaTqBvOtBrRuKhLn@pKsE}@qIdFyGKUxHmFtEkIqBqDvLmMyBkAnEgF`As@zGdMxRyGxFwGeD}CzGbGlQgJvi@xBvJgCrItMdL~@hMfBg@p\\na@~B|X|HvE`RjAdZ{FzUbI`]MvVpNdDbT"],"Africa/Casablanca":["u}t@ffYuAohHi}@@sj@}`Ao@mOkGqKxBiVoEqSsAsf@j@uDfCr@lA}JsY}PwM{SoH}TeNcQuGcg@_JFwJgFeG`EnDH{DrBtCpCmG^yFsAaAkE_Nb@_Iws@gSjD_Cwv@rDeZe@uYcBbHqIiBwJmNiN~WeK`H_FqCkLlKcSuC}DpGgXgD}PlGiE}DuFjI_GeF_R|\\aQWmE|WzIpTwMeNuF|JVxKzIlK_BpVnCnw@sGfOaPbJ}A|SwFvAzA|h@v_Al\\dm@v[fGhIde@`|Arp@ds@n]xBxPdQz[hMxq@hAdReQvn@z`@fSnRvSfe@hV|SnPlu@`Cj_@rRtS"],"Asia/Aden":["mj]ogpAnHwBdCsIiC{H_H}BoHpBgCdI`CbI","cy^wppAnIyEFsKhFuBxUvAtZoPgI~H|@hMhI`DjO{DfDuKkEkIuG{ApCuOhX}@rQeGt@tJ~JhI|[}HrIiKkFmGyKmCf^^`[gPpIR|Mgi@yA}VyFgNEk_@eEuF}HaAuCeNeOqMwCk~@_Nkl@}Uo`@jE_ZiIcWsa@gd@qj@qoCwUsg@c[p@oNkHmNwh@m}ChiA|VdsDb[jy@xk@lc@xShGlIvP?lJySrN`Arg@eDvj@gElJ?dt@zDj`@qLx\\vFxF~FuE`GpJ~HaEUjClFpApH}F|Ez@g@dEjG\\r@dIvEdAQho@","_{VehdBhIwDxEeSsAyL_KmEsHvBsBhKuInAuCjHnDpJ","{vViafBtLeLt@iU}CgGoHkAV_`@uHs[gGkKyIkA_HfFcIj\\bC|SaDdSnE|Lm@bIhDjFlIr@vNgQsA~Q~CfG"],"America/Goose_Bay":["sohBzmcCxJgSrCpEjAqJvIeEn@uPfFcHzCpGz@{CxLnAaEbPxDpFtEmAC_Fv@hE|CUrBkHsB{EvFw@~CsIaEOjE}DcGp@ZyGyI_@LeGoEmAxA{EvGyD`@~HnL_H?lIxOaEr@jHdKwFEeEqGzAs@kBzNcPmB]QgR`Gi@kFyHbGkGxHCeB{CpEsDdBuMyBi@h@}LhJsHcI}OgNrDNkGqEtBiCwAt@gDsHnDgFcHwJ`FiHqCoAuXiF{FdFJzE}MlBtb@hGdHzEeD|AyOBvD`PcKyApJjDi@?uaLcmA?kNwcAyKw^se@b|@yPnHmIoCaFdFGrZch@dbCwYxWaU`_@ib@bToUr\\_Y|AgVtVag@z{@cm@zj@cQxD_o@~v@nE`\\vClAv@fSnHgOlBrSfGqQnEjKxEwCjHzJnFeOcCgUrDvJTeBjEbDvKyAxDwM|@jKyD|RpGzEpAqd@lHkHyGwYxFeNtBfc@vGrBQsLbD}ClFzTtFvBxBvKpDXxBoLtOeH}@_InDy@vB{JoD_EdEr@`BhH`MmCrDjJbD@cCuCnAoC|GtCMzCjJv@|@yBTbHbIzGbO}O`@~QnIuDvA_MrBxIhDAeCeJvDc@\\uWnFtXnFkDBkEnGdERqF|IhHlBq\\`HlUb@gPnFlKnMUeBhMdGElAtEpHeLVrWwElCkCtLxC~H_@hLgEQwGhSnHbL_@|JpE_Ah@zMuLxHaBvWeMlNqHfSbJeHeAlDpIk@vByE_@vGtJ_JAbIrE_DuDfOiPhTX|JbVaXhEpLpEMcEtLlENu@dHnCnF`NmHfCbKfAgB"],"Pacific/Auckland":["rf|@dv|I|GiCvBeIoBiIyGqCeHfCwB`InBpI","tsz@bf|I|EoAvCsEq@mNuFgDcH`AuGmIkIn@gEzI~AlK|F`DtGcApCnF","`cx@da{ItJoD|B_KwDiMmH{CgI~C{BhIbBlN","bfbBajbIhOyK|Aq\\wIiQaKOeLyG}LhLPdZdJnT","dtxAuncIbR{GxKiWlIdEtHoGUsWoFwD_HjA~AsVpJzLvMkBrDvKtMdG`JiKhB_R~HwBtC{LyDuO}QeFaHiToIOcHkQqFmw@mIeRoZcZsF_\\wEiDuMtAyLoHaH?oTcQeTUqKoEwUms@fAke@iIsTuQu@}GvHcCbMgFUuM_\\wZcRqDwIsWsOqQ}RgI_A{KfI|Siu@mQ_n@oMyOs[yN}L{Q_L{CgKwKa`@oMwUrBmBkQ|IkCxCoJoFsRaPqEuLpDiQyUwb@uD}QqKoGp@}L`XaAr[vJzVtOxRiBrBqD{KsI}AqFvDaDxL|FtMvLmB?xG{OjQeKx@uDxIkIkAsIpJaMDcM~LgB~HuMpCkPx]YlS_LuEiKpD{@rPeNrEgCvP_IpHkB~VgH|Ju@bO}KwA}GnHzA~d@|FnFjGPd^s]`OpBj_BupArw@iYjLhNtOmGt_@lErGt[xJbQ`KnE`KaAfNyMjZkcA`LsEhPbCdDlJnK`F}ElMePpKwApMvHjR`OxIcGlIyK{AsI|IsCfUpB~ShWfb@bHtCfWJzLhJnFdXzb@`Kt^|WpNza@pZrd@j\\jqAtc@`g@df@rt@tb@z]","j{|A_rcI|GaEfB}LgCoR_IoEsIdFsBhMzEtQ","|seB_lhInIyGzD{SsC}QmKcImLrFcChQjBdP","nwaAyonItHiD`BoK_DsNgKiD}G`EiAnJ~DvN","r_`Bom{IxI{DnCgPeD_OeKcEkHpEiBvMpDxP","pg|Ae`|IfH}DdC_OwBmL_HuDgHvDkCjN`CjM"],"Africa/Nairobi":["gEkfaArMsCbu@dBx@aI~}Bu~ErNmA`G|F~Cm@^cGlG{AhkA{hBc~Ast@wPeDcs@}x@a[gVq{@hl@{cFFqReSss@ed@pA`m@mTrXrXrv@x\\jScC~A_Bzc@{G|U~ApXqs@hoAAfq@wItERr_BnV~W`PeHfE|Ag@_G`FxAbEgQbJrCjReCjk@c^jq@kAvNjKlJU`GtP`NtCvLpIrBvGtMjA"],"Asia/Tomsk":["e}pBarqCnGsJjDtIjJ{]jR^?sH|M_HOiF|HcGxCsr@Mm~A~A^bKigAr]_i@qE}z@nQaU{HmhAeAyCaD`@cAyQtEeJdC~G~AaB`E~Fl@eHlDdDp@yIfDnChFuIhIzJl@eQhEmE}GmAsOcRyAgO|CiGiJ{`@hBkFmFaM\\sZgCtEwLqa@uFqDWkGnDiE}D{MxE{XiAmGmDpDVkNhBd@mCoMnFqBuPgk@rBeIeS{JaAdLeDkMyOoGKuOgGLqAqNaLFgDzCKjZ{H~m@iErDqQxD}Vw[aGyZyJxNeDeBlAhl@oXfWe@fTgK~DkCpZ`BdyBqCvEaKoAsJcJc[lZyBrDt@pRoKp\\n@lU`Rhm@dEaAvDdNwF|PCno@cFfB}AtT~Fn^nAtq@}J`JhDvlAkFrt@rHXvCzG`@uEpDQjB`PtDtAlE}E|HpHxFuBfYvEpAn]zRt`@dN}B`Rrb@xAgCtArDrFwO"],"America/Bahia":["~dU`~yA`IqGlEmU@~QxByCvK|B`@}JvGvQH_ExQMn@mDtCdBgAuBbEQSuCpCzExVj@aAaMxIlM|Kc@SsNnGhJfHCZ_DbE`E~N?`L{ClKmPhF~EdXf@nEqClLrHjCuAyFsFu@sMqIwHT{EaLqNFsFyX{_@oEmT~CyWtUrAzGsS_IsPdBiRjWoc@WkJhEiDkD}PxWyZlNq@t@yJwFeJbCeK_B}BpG_HcBiEjCeDe@cHlEwBxD_O`FsBtIvBlGfJ~HxBNzFlKxBd@kD~Dj@a@dLr_@dGvSeX`ND`Vsa@xA_L{KgEx@aK{FuHUoFtGaKiDgM{RSiErNeUjFgF|IeQqJaStBmIqE{c@cG__AxIy`BqKkIiW_YqWmeAah@kGfItEdJ_AfQwFjImKGk@nDwHnAkEzFwKk@~A_NkCyHiOdBqDiFgEFyKvA_GfLsRtBaEyByCvK}PfF{D_AgAdKkHEk@fDtHbEcKxG}CnY{GhB}@xFxFzPpGBv@jK|LfCvBrIyA|FjR`EvEzO{@lHkQwEcC|GcO|EPfEwGxDDtOxNdInBlJbM|ErAxW~Sn`@eExIeF|@d@~QeIfKzPlVjLaCxCgGrCnB~D}Aff@n\\qDtKzC~MzQbUsExRaKpJoJiA}ShLxAbFpEm@|BbElGl@bJpStQhFFtC"],"Europe/Berlin":["uubBsmJvC}@jBiKtFlFvHeQ~EfC~CaJ|F}@nDjMzI~BzLaL`AcLpMzIlESxAqJhOuJsBmKxEcFCcNiCoH`GsJpDqd@hSrWrR|DzKjIfHwAdPzEvEyCUqEnAvBv@iBoDm_@`BeO_DgI{A~LkEwNtEmCyA}CrDoDmAgG`Iyf@kCaFbBcKlDqFnEOu@oGlE~BNwBaIgNoHlA|Ai[vGsDAcQiK{UUmb@}DpAsA}D|BB]qJjCuBaBsPvFm@rBgNeKaAiA~I{FcEgPhNkKwb@uOeJvC{LaOyEaJdLkAbMyRjVeGhVwNjGeCpFmIeHwJtTaLfEbHqMaMcJ}BeRnBaGmNmY`B{D_FmDY}QwIi`@qD`GeCuAV{KnBuDhCbA[iDrC|@jA}Ii[oNgKrD}B|LaGy@}HnIiNqIeBxCoFcAiBxGuEpAaJqEoOf_@wFi@yDwK_LmEsg@rOwCqBuNrCmAbEsS|A_FbFqHtUR|UxPpt@`KxHjBp_@kNl^dCp]wSjn@yAxQhDrQmFfm@kGdDwAvY~WrEzU}LyBtRtCtNrI`CtHkKdGp}@rGxVpFeCxHk\\vEwAn@qOfRq@xHbG|K|@I|QjD[PjDdCa@^cQ~DgDtGThIzUrEkGnGjYyCxNVdBfB_C`@xLlRsOpH[hFpHfDkE"],"Europe/Rome":["cbwAe}KrDqFzEEdDcPzGgBDbFhHvEjQsHlFyTsBmS`Fy@hKrLxPmGsHue@m[i^`VwdAdFwC`JnQzSnD~V{Knc@mE`FsXAub@~Jgn@pa@go@fe@mRxNmcAnq@ulB~T_M|QiCl`@`Rv@zNaUaNgHdEuAbKnCrKbIzGhAjd@pGnJ~GE`FoFIc\\bFlh@cJ~h@fA`h@zGlPlCj]zFvGlMkCfI}UzNcQbE_Yxj@azA~Hch@}CsOe[mPkd@hH_LuE`C_MqBw[obAugAsIuCcNlBwUadAeYyNySlE_Z|]ah@deBk_@bFiJbYsL|DiAtLtJxf@sHpSwWr\\sv@lX}g@dkAkNxB}ScOsZgAoPao@dBiJcBwEaJbS}I}Am@lIwIwJcAxNkDdA{GqReDq@kInnA{DzHiER{@bGyDl@{BoFm@lBtFlZm@tYxBxKjIxDm@fQoD|Bh@hKtInDhC{EnCf@M~IiDpBzDdK~DFjA}FjJdAInDiHjDxCnXsCpDiGEVjJlObAhKzMdCh@hCgEdDnCWpEaGb@{@vEmDcC{A~M}FlIeKi@OdEpJpPlFiCfMtPeCbSrDfIlAhPaCfClD|L|EPhD_KlG@jEsJzJrE","qpnAujNzMkArKeK`[|CrH_Hnb@jLrWoOfCcJm@c`@qGgNgDm]kFmI_~AcPyXdCe]xWzGpUvB`]sDhZfAfKpInJ","i{fAqxUdKcFxCcKaBeL{IeFuJjD_EjNdCxL","kmdAoqV`JsErCqa@iHaHqKbCmBkNmLwBeGrGC|LrHrH`KeDeAhX","cqjA_eXnHwDbBwKsCsJmHaD_H~CaCvKlCnK"],"Africa/Bangui":["sxJ}c[vGmDXkFpVShMnEhD_Hpc@uBlRkUfNuDnAhEdRwIxd@ga@tFiMn_@{A~MmFae@{ReTNoUsG}Auk@cGcF`DmUbEq@wCkD~BcAm@gI`DqAyE{DVyGqCuCjJuGcR|AaL_D}SbFeDsLk`@eTcKoSp@kWvF{DvDiOxHeLbSiKcAyUtHsOkBgCtDaOsBkKhKq_@eE_QmO{A?_F{M{CF_DsEsAbM{\\sIcL{Igi@gEaG{Cd@z@wHvJyJyDsMzBsEoEmDY_JsO}@eD}I|L}UyDeOjLmSyBwPpCgE{I{MzJkTaCc@qNpLkOiAgHjDwHdVmFpCWjKiDhAzApCsHaDmN`NmJ{FeIbRsJjCkHbLiF|TaMpPsDv@wDeGuK~CgE|NcKxE}Gli@qVqCo@~l@iPiCo@lGuHyAsE_Iuc@a@_d@tUwMjQcMlG_DvXrUtm@vTDhDxJnMtH?fFza@bZnF|Hs@rFhJdES`TxEbLDdi@zCnOvExDhJiOzVbQfDlIpHpBfCfz@rHzU`IzG`BjOnDjBuGbJmLhCxC|HnGxAxDtSbE`DrAhI{CbDKtMnP`PbG@nTbIvAjFdWtG"],"Africa/Gaborone":["`an@}`f@~h@CtO_WfUcJrByErJf@|RwJdJm@xVbOnW_D}EiLzCwMY_b@uBmD{FKqAiOyPcKkHoMj@eDaLqIu_@oFaKgIg@o[pUy[{@kMjHoKbCiSmEgUbBuQmDaJao@_VaIbAwEab@wMeJcHwOab@eFaAgEcH_CsGqWqIqCX{Gch@od@}E}b@gNkFo@kTuF`F_BdLwKm@}AxC{GjYmB|a@_PdFmLdLyb@}@]dZuKUkLzD{G|\\gP|WoD^{@zGkZxKmGg@}v@rh@_QpBdBfKiBrE~DvLzJhIsFlHbCfMf]fc@i^|RxRfrB?j[beF??n}@"],"Asia/Ashgabat":["wgpAoaeBhKeBfIaNxQeEfi@`L~TeDpTcVjHvBdIkCvK`GdSoAjGaJcAqM{EsDoSoBjMmR~OtEfh@d@xa@oEfAgc@iFyYiDyF_MqAgTud@Pwv@kE^kDkGg@}QnEeRuDeJnJeGdEf@bBaE`Hak@lIqMyCeZ~JkX_@yFdLuAhJwHdFs]nW}Qa@}p@~_@kDtHbFbC_GjNd@t@eHtJmLDw\\tGsKjIoAkHwIlCkHcLm\\oKFgCwH_JbGmGgz@gGo@m@}JqHcNqe@_P}JtAeGaVD_ZuQkHvLqd@cAiNmAfBuCaDaRjA{GeIwBbAsBnPiNz\\UjVck@pjA|@lHoCvGsx@baB_]nFoGzL{`@xNuIrWzG`NwFzKdBz`@mFjOcEpHkJiEqGhGsBuAvAgNcKtW}FoFiB~Dw@uDmClByBrEPn[{MlOJdIeP~VlHdAmAvRrBvFlCiHhPiLIhF{GrA_@vLeE|CnFdHdKsAQvEbCe@bAjb@`LjInA`I~ZqCvDmHt@dG`Dd@uDvgA`CjYcT|SeS|Je[lk@bO`lA"],"Africa/Juba":["urPoxl@n@mGvPxB`@ol@pVpC|Gmi@bKyEfE}NtK_DvDdGrDw@`MqPhF}TjHcLrJkCdIcRlJzFlNaNrH`D{AqChDiAVkKlFqCvHeVfHkDjOhArXgOlGoOhJ_@nBcOjG_AzBaPlCw@mPmXdD{ASqKjHsJ}HcLiKgCpGmStJr@xNqUlJgBxDcT|LS{BmLbK{CaLwFyDsJI{FzHgMuJ}PxNqHdCgN_EHaHsLk@aR{FgRdFmHt@wSst@yu@i@q`B}GdGca@wAoEfSpDzLeIB{FvJaP~F{T~AoKoC}EdDuJnX{IvBy@bJsQ|O_Jf@aNzP{DpP`B~EmHzRiHcAuFsHaRs@gA}WnEmHsLiXcx@dC?hMmYaF}Lf@a^j[mG|O_t@zEad@{Ha@bb@vP[@pg@hNkQx_@?rG}CpW`]pUdL|_@n]bBn[_c@bs@zK|[vSADd\\vClC_^??|gAfX?pHsC_@xn@pGlZqEhUeSfGkOrP{KB_BtOfFhb@vQdBbMvMyApRnEpVxCtAa@zVpGnC|Ny@rE~H"],"America/Nome":["}luB`|qI|LiDzFuP~H`@fFaMkE_u@eJeOaI`F}Gza@yP|X~@lY","y~zBnooIbH_D~GgNrDi]_Fw_@fA_K~G{JjCgV~HeIhCmUaAwPwGuPCib@eEuImPyGqJhNkHvdAmFfBkDxK_C`h@pEz^cKvd@hEh^","qsnBjqlIfMyCrDaTeJih@kIeHkHdG}EnZxDd^","iqmBfikIxIuHtEeXmEsU{HwFwIrIaB`\\dBxP","uweBp`jInAmVqMku@}NgPpAgWiKmc@wAaYaXwp@_JqDqBsx@}JoQ}FaCyKuXkAcn@bMwBtGoYwF{f@uHkGqhB@v\\hv@uCzPdBtOxFbFtKkBpLdlAfNjMbHbQrM?yAv\\nE`[zIjNpDhp@rJ~NbLm@pCvDcElSsHyIeJzEyBvLtAtMzIbGxIaJfGlVz^be@z@rH","yz~BpdiIN{c@dO_`AdHsB|MeY~HcArOoPlEcOkBa_@nEcv@_Gon@A}^nG}PpEqe@uAkQoIaSnBqJkeK?`Ltp@nX`l@vNhK~M^hKvTfEtUvC~aCvFlM~Ig@~IdDlD~WhGrHdIeKvCkg@fGqN`Fqf@`WyeAbKgLtFnF`G}EtKwhApLkNrIs^rGp]{BbQcFcIaGhA{Ifd@lChuArLrcArh@xoC{E|Kw@tSd\\?","k{}BpfhInHeIhBsVgCwSiHkFeH`HqBdU|BbT","sqtBlyfIzQePbUcrA}Jwv@sE}HwHyB@iRtSsSzJsY`@qSaFcPkCsm@tOqSbItAfQaOxI|SxHdAfFqIfDkVkoI?{Bpb@rCrV~IpLvJoK|EbPkGbZqAx_@zS~nAfIvCrI_M|FhUfNxD`H|KtFnVz`@pMrS{KfSy\\~Ig[fEpOxFvDeDv]dKzm@nAr^dD|K"],"Europe/London":["eooB|jZxFmDpBcLeBeOsFcE}F|DgBrLbB`N","e}oB|rPxIeJvBkViD{OgKcEyHvGcBdQlEfV","akiB`~NvIuRvCC|DqRAwOkEkGaFvAoC}KtJkItAwI|Gg@uCeTbNu[}Qya@gQ}JkDyx@lOkVbYeWdS~Ah@hb@iDnKSv[hCpKhIxGxIQ`GsJxMzPtIZzFyM}@iYfGoAdOjt@jVv^`LgArEoU|z@CxE~EzFdXbKpHeC`QzDtP~IbDlLuJ[qSmKiNvGks@iEkMoH}FgFmTxF_p@_EuMoTcM_CyPvKeYaIan@pDc_@}G{RcEmf@bD_c@sK{q@uKsKsNg`@cCtHwGeAuF|DoBfWmZyd@sZqKoT|D{Qv`@{C|n@i`@lNsNfPeF_E{FlAuXra@{Mfg@kR|I}a@nGgH|WyW|\\{GqGyI|DqLmNoWoK{LmOuOdCoKdXFhhAuGlKgOo]oMyDij@wh@wJs@pDgSeDkTcG{EiGvBqDaSiZySqIaOy^HqIxP[pXnO|g@lc@zp@~Gq@zEyK}@c^rFA~DiEvCfPxIjEgDpNBrc@lErZlPrVxWzD~Ar\\eC`o@zEfoAhRnx@cDzVnEzTbEjBjE_BzEsTvVl[jK@zPwNr\\pIxb@ab@~Gg]tWiEhJ_Qx@hIlGq@|BlEdKpb@dP~GdBbWjD_M","wlrB~xKpHyFtBsPmBaa@_JwJqHjF}BhQ|B`a@","ahrB`qHpHoGzAaSkGgTuGqDaH`HsAbSfClM"],"America/Belem":["uvCvdjB`MaFtGbB|PgCdAgZfEiIpHsB_AyC~F}H_@uKnCFIaF`G@}@aFrR]hNaRjRfCf_@aNbIgN~Mi@pA}GrOd@r@yGzIn@|DeRrDcBeFiDd@}KxPpKtDiGlEpRfFpEr[{CfV_KzO`@rOqLfBqJfJnHfHqChG~H{ShJwA~HbR|EhNjPnQHbNlHbFaDdg@hPtQsA~FaLdMi@~C}E~KjBvN_F`QeLa@gKbIwE`JdBdFzWxGhFdl@bOfUuIjKj@rFkEhDwNnKc@dEqIvTwErHfHnLlBqBtSzDhD~HstCea@oJgWoQeCqHoh@{V_V{BiOvMmRmK}Qr@yOca@gLkBoEuE|@qFmKdB{BcGaF|@sBmEeKxBqAmFuEgA}KfNt@lLqC~Hwn@g{@y@iJmR_NiKgBaKuMkQ{Ae\\uUgLFqAsEoG|D_JuNiQXcDgHeSqCmC~EaDiIk[Og\\{KyXngBqdD`fDgh@f\\c|@xDgP`EqYp]a@hCnHhGpZZ~v@ni@tg@xLzS|TArVuCmBsDbFfEbGcBpOqC`AnObTiEdVaFvBkApIeES"],"Asia/Chita":["}z`BklqEbJwBGiJrOv@dG}TpLwLy@ii@dGwUdCag@cE}JnC_YcJob@dAgHoKmz@FyTqDyLwLcIcHuPiRct@bCk_@jRsg@f@{MiHu]pEcWhNmZ`Joq@mDq@}B_P}OaXkBi_@yFsKiLyDcCjOkUmVgGNiL_PsFDgHuJyRwG}Qqe@mJeD{JjIsJ_FoEtOrBxW{JdAiD{N_Zcd@Z_UqHiv@uFrGiQvAiN~QeDqHiMpDuAm[uFnL_Nh@zAvOwM_SmFzAcDqF}@tDcP}AaFtDY~FlFpKOhMaQCkMvGzIxbAyHWgGzDgGe^eFxQwC]]~QmEhHoDgDoCbMuGqKuGvO{GqEeOjQgImEa@~I|ElFaBbCeIu@eB`GgPcHqJnBdBl[uLfY{@fc@dF`L~FcGpAnJjLi@nEfUnBsEnFxA\\kKvCMl@lDvIsD@oElE?}DiGfAiKzErBrA`HtFoEpDfGhDk@n@rImF|CbHtK`DhViGnYxA`NoGzThDdH~HKxBjI~BGj@aOrGqFf@zFzEPfH_Ip@tCxGo@zB}FzFvCrF?n@{CzH|@hBiDhAtBzBmKiA_PnHeEdK_VtMaDlG|IhGl@hF`eAtLdZnKtJtVxhAzUiHlCaOrEvBd@kMvHvGbDo@rHhJtC`TrGlHIlZxFpMa@fV~GfIeDfRhRnUnJvj@hPhRiEvl@nJpa@zCt@UlIqHjIlD~GwBfQbDNFfFrHzFbGwJrBxL|MtCbBzKvFqFtGu^dEb]tEvDgA|E"],"Africa/Mogadishu":["snDy`oAvbFGp{@il@iwAmaAgz@ow@}w@acAqr@suAg`C{yBkzAc{@ks@eRyk@o\\q\\cI_N_Pmi@gR}a@cXqu@_E|@sSsHkH{KUcLnOaXiBwIpDoRwHeTVuLhk@dFjPxLbG`D|HrFxg@`FbIrDtX_Cf[vJ`^VrPqFf]|OdOfMjWhAfH{Ihh@l[fw@r@xPi@|JgUzZ_UdNcRzBuDlLxeAvk@xTmH`ScM`CuIxMqAzJkItBeJpUuUb}@uyDBy|@n{A|zAn|@vcAhe@`Zh@`hAfPjj@lUbQnDbm@"],"America/Santiago":["x|`Ajj}CvJeElCkKwCmKuIgCaJzCkCvJzBrK","vjr@b|{CjIqEdDkR}A_KyGmDgJvDyDvShB|J","ny`AttyC~H{DbBsKkDwPyIiDqIvE}CjO|FzL","letApwqCvJY?oQaMmu@rHcv@@gMmE_BfGwAt@gOmFyI`IgBhAcInDuAeAoLpGqFoFmDyHpEqGyIcEbQuCi@}@fD{Fy@QuIiFEeO`WaN|BuKmImDb@k@lEgNnAbBqN_DmK}HjCgIsAiJhG{@iC}Gb@uCvCsQuDgT~G{E{FkBfBoGaCoBoIiGlIyFLCyHaK}CgC~D{OC~BsJkBsAiBpCmN_IcUvB_GiKkAmRmIeEiIxHgRvBgAoBiMdKgAqByI`D_IuDkLpE_IaGqGbGwAmGwDxDeIeCVoEsLr@~@}CyEoC~@sIuHOiG}F^{HoMmB_BnB}ByEyI|EmFoBqB|CcH]eBnHaEcLeV{FgBrB{SiQyFb@}CsMwCvCkFgBcBfDaKAuYmGgEfHzCjDkFzBqHx@sHoEqIxHcNUsBfE_Ec@aCpEgGe@wDfDLgEyDyCcFpN_HNgEdEuXuAqEeCfDmByFiGaFjBe^{KiDhAnAmKkKsGmEfHoUiDuWvGyGgCuBiI{l@sG_[y]uSmE{D}EwC|AcHiJcH`AmBqGvCaGkFuDo@wJkF_AoYfSyK}@yE_Jsl@~KmPcDsBgIsR`MeJaCoLeN_Vsy@s_AwSsJzJfDdWaCvRqQuAuHlEaPG{FfGgLSkIlF{QA_VpM{@fG_JPyD_FcJrQsG{CaNhEw@gK{FwAqJzIeSeQ}\\`a@ke@nD_IvEkEqDiEnM{[dJbIjK[bGlTqA`PdLnD`f@`gBmN`q@~Cbf@iGnuA~MhHjMvNtBzSh@fH{Gf_AhE|^eGtJvIpRrF~OkD`a@hBfVlFpJ|GvUqArRbJ`_@~Dtj@tWfXeEhMnAdK{KlKpDhHrLzWjDheByIpKmDzYtDtLrKv^aFlDbGvWxMba@jBbWzGr]|XrMMtJ`JbZzDfIpLlO|GlC|OrT|H~\\x@x[_MnBtAsAtS|KjGdOsHHyQ|k@yOvWjJlM`Qrb@~BvZpJrZoDxThLlwA|UpOzU"],"America/Santarem":["b@b`rBfSo@~DiH`Na@dKwOtHUfFwEnDkIaGsGtQuB`Sib@IcMlKuGdEaQhHx@|AqDsCqHpAcGkJ{QxIbEpElKdHrC`A}BtyFbsBnMlLnKgAlMiMpJkAfUaPxQeC|M_KdKdBlTuC~IeYxI{HjDj@bCgNvHoBdP{aG{DiDpBuSoLmBeHcHkPfC_J|KwKh@aDpNsFjEkKk@gUtIel@cOyGiFeF{WaJeBcIvE`@fKaQdLwN~E_LkB_D|EeMh@_G`LuQrAeg@iPcF`DcNmHoQIiNkPcR}EvA_IzSiJiG_IgHpCgJoHgBpJsOpL{Oa@gV~Js[zCgFqEmEqRuDhGqPqKm@|KdFhDsDbB}DdR{Io@s@xGsOe@qA|G_Nh@cIfNg_@`NkRgCiN`RsR\\|@`FaGAH`FoCG^tK_G|H~@xCqHrBgEhIeAfZ}PfCuGcB{V|JhCzU`E`Cd@hScGfOrJfBy@fCrE`B`MwMfKhB}E|]lEtT{BnL}EpCnDzGuBzC`RjNkAxLnCnLtHZ{DzR|F~BLtFdKYy@lKzFzFoBrC"],"America/Whitehorse":["aetB~olG?{uZiKlRyI~EeDy@WvLgCKkF|JeBt@uCqH{IzDa@nN`FlA|Cz[u@jXuEzEdFdIkCpFV|GrCMd@rc@gE`D_KGp@bIoDhAuEqGsCbCsBwFqHtGsLjf@mCNoEbPmEd@kF|KUx\\hDtDmEt^yBaDqEfFgBeEu@`EwDiGkDpVuBsC_NxQ}KwHEpLmFlDaBdOqDyN_Go@NkEmH`H{DbX_BmLkEU|@zLgH`YiCm@DfGyDhEcBcGyDdMcB}AyDhF{AdNbDpG?`SkHcIBtHoIxJkGrd@uCiJqB`C{EiJ]|JoEb@z@xJkCfBkBcMwSyW_M|WeHmMaA`SpFjMy@`FuCkDiAnChDpg@oCiCqBxGgC_HsDVsCfP}JoFaBmHcHdZaDkNoI`T}AuP?fqCkJzC{FsH{DpGcJi@aDhNalADy^vGyCfwA"],"America/Argentina/Salta":["pqnA|pkCtReHhEfCzEkB_@`CjDXtM}Dz@hChJiGxKp@?wjOsi@g_@{CkPwX|T{EnYwcJLXfkBp|@AAteEnaB{A_Lf_@CfOyGjA}CvKx@jOoChJkM~AyQvUgNjEEzF}O~AnF`BoAtFvGlGtHN_ArIxEnCy@`DlLw@WnEdIdCzDyDrAlGpGcG~H`GjLqE~HtDxIaDfApBhMeKfAnBfRwBhIyHlIdEjAlR~FhKbUwBlN~HhBqCjBrA_CrJzOBfC_E`K|CBxHxFMhGmInBnInG`CjBgB","xlo@n|dCrRaMrBfIbGwxBbSHtDhDHjKfMFlLuO`KwA~B{H{PsJzLy\\wM}@uBiSbFmDlGiSeDaIImQk_@eMPop@kqA{eAuwBEoQb[kIj@?jt@nBd@oBlNtu@hXuMpEiEy@ySxKoFrb@h_@fIzA}CnPg@lFqJxIHtDcIxI{A_AiJxJuMwF}DBiKzj@JrJtFIpGdL`McHfKhGfDyGrOOtTsChFwRrDaDjNk\\K}DhKnPnJ`Qy@hM~G{GbUqVnVfTxE~Ury@jKtM"],"Indian/Antananarivo":["lcj@o|rAnp@_Jn`@aPb|@qAn}@af@|Vw|@Lk\\}X{mAeOc]ymAe_@mqAaRelGi~A}Y_Dq_As_@k[hFeKgQke@mN{O[uzC`f@s{@vi@[~JlWfi@b`@|@vq@fq@zy@`Ofx@~_Atv@v_D~lAhMlt@`@pPoD~ScW`s@iGzc@pL`UrUhy@|]"],"Europe/Madrid":["kasAluQnLo@ph@_VfQs@P{PoJuMsEiZpDa@b@cEhGhG~DgByEeObDaA}BwIhEcPqCkM}EoBl@qa@~DqCrJ`A~D}TvKpFrGrSdL`INrFnIaGpX~AnDiCbJpNzIkIjTlHJ|_@|KoNpNiBpHsPzJ~CxGvL~PxCtOuNmAsHrJlCrAfOtYhObc@qGjAs\\`w@yj@~CsHn@mWwCoS}G|Ad@kRcGcJcBeT_Le_@zAeoAkBui@iFgLyYuPqIeMyKiq@_GuGiTk@eReL{[yh@_JjAgWjXkSMmg@_b@iUm\\cTiQsJst@we@gfAkc@iMyF|A}Ade@hHzXsEfPvD`NuE|CaBdLdCxOwPfET|JoHp[vInA\\hV}BnFfB`KgInQfC|NsJnJqAjWyBnIcBkAtDbDc@lDwK{B{A|T{QbDrCvViGh_@uBpu@pElo@}Nf|AnDj`AkLzn@nAlUrYz|@tMbY","_eeAflEbHcDhBwIyByIcHqC}GxCmB`J~B`J","a|lAmXvIoCdC}KoC_K_JoCaH|CsB|JhClK","ickAcw@zKmBhPmNfB_WmGyMw[wDmKjGaDfOfJh_@","qhlAo~BhHsCd[ef@fBkOyRmZk]uQ|Fge@oDiIuKqCqNpGoHdYdDnVnLbGiI|NlB~YfU`j@"],"Africa/Kinshasa":["boJmoVfEwCnDqSkLkd@g@uvE`AsDfJ]tEgGvLfBx]{H`JeGfJt@fK_N`j@_Vk@wa@qFeFn@qReDBG{MlDy@Aqc@mXXkG_J{GvBwR}BOuYoXlOkTjAsF{BgImPeOeImPdBmM{C_XlHyPkC{L|DfEoQmN{Tat@d@k_@qDkKiFaA_UmCqBxKsYqWuZxJwFcb@|CnBiSoHsI|Pgl@sEaGhAqGaDeJaFRnAiHwFiBy@eVsW`EFlIeDz@aPrb@kMfCq@aFuI}DsE|H|CjPcFB@tQkIyH_AyQye@dZwJKan@fSoGbJsAnLeOaEwFiGwG|FiFDzHcY{K}MlG{Ki@cEeJ?tDcOaOvAeF|IxEhCsPhXkQcJ_B|GzBzDqEfCyApJqNcCcH}J[cI}K{M~EsHaH{GkArk@eGm@mGdIL~XiKp_@rBjKuD`OjBfCuHrObAxUeUlMsVlh@ZpO`KbSj_@bSdEtM|ScF`L~Cxb@{Bf|@ha@lj@h@la@lMnd@kF`HpG`X~GzXSnXlTrNh\\tf@fUxQdSpeAa@jf@jRvEzTvLnE|BxN|]lUhErJ{BvNaLg@aEfCgFcG_I|CxMh[kCpLvQ`AvB`FsBlCpIfDySpRvEf@tBhNnKfGbG`O`CiChd@HTfR"],"Asia/Kabul":["{oaAkeuB~\\wEfC_S~VtUfy@wQtIdCv`@oA|Eet@dTgGrKfA~{@by@h\\{bBaEcdAzEw`@sE{BqEwUtBs_@sVkmA_CmBcE`H_UsGgHpDeUyEiB}JoMqHeEaMGcDbE_A^_LwF}]yCWBfH{FhCRcHgG}O{JsJrFiVoA}AUzHkC}GxMwSoSmYi`@xDeKgLiFzBqE}HcHdBcDkDeAmZaKcRuJrH}Kz@MtGaK`H}D{@~C{d@gFic@eRgEuIhIqI_E_PiXgFg@cFgHqEpGiGcF_GhAuBnFaEeBcMfImD~J_Q{ViHwBzCsIyEEaD_PeIiIgEkXsCmiAnDgPyIeRdB_FqCs@{ExE_EyA_@gWmHlKc@lSrKxd@aBxGiCyHgECo@h\\pMv]hLnHhA`TvQb]RpIaXjNct@aICzSySiFsM~VvCzQhQhJ~J|SlMgGlIbG_DzMh@hX|JjIlHsEvHhLaMvP@tGlWtq@iQtRcB~KjDdNoLhR|C`g@wLpd@tQjHE~YdG`V|JuAxPdJdKa@nH~F`I|XfGn@lGfz@~IcGfCvHnKGlIfUtAdFmCjHjHvIkInAuGrKEt\\uJnLRjD`S`Ex@bElJkBjZ`HxFjOhLeJGtM"],"Arctic/Longyearbyen":["abyCykQrIyDlWkl@jQ{fAtBoiAhFDnIqLfSeJzOk]dJgn@|c@ofBjDsy@{Lu~@up@mb@iBcPyBkaApCmZpKmXfT}RvDebAsNaoA}_@yqAeMorAwGqJ}ErGkThwBwWphAyHhOgX_|Eom@{aEcFcKuEbGuCzSqE`|AiKfQoOd`Bq@bw@jF`lBmOl~BYdaAfa@piD|InXdC~dD`Il{@aAlrBfKbaB~GvPzNuFpUkZ","mmpCwcb@lOu]nCaa@cEcl@eMgOqJbSiChc@hCjq@","aitCu}m@zIaZRes@sDcYoUwf@sIxXKju@fNzp@","q|xCmnp@jIsLhGcYfCuy@kGmaAh@kkAgPgoBcJo\\{FvL{Cnd@`BfwC`IzlCvDn[","kl{Cubz@fEaHlEs]~Am|@wHykC}EcXeGiHkEzImFfg@sBzlAzJ|qBpEtV"],"Africa/Lusaka":["zs^}}i@|GsFxG?~{@m~@tImQeIcr@l@u[pB_PvHeFzGwPoA{RpJ{LaFyQ~Jw\\iFqTcf@mc@yTgKe^g}@gZ{@kEcD}Qeg@m@ct@_f@vKk}@_|DuBtDfFdFaN~GcAnFuBuC{BtAoAdGqEcJ}QsIwQOuGrDkFgD_EoTwJmJo@zI}KjFoTyCsKl@EfDwIKd@uBuPaFiO~HyCuLsNiNcGlGwKVwIlNmKmBiO`JbDzDwAlCcNnC}G|XoGzEmArZ}GjAg@`PsC`EmGRmFfKbApQsTrPnJboBlZhJrU`[bEiHtZ_JnYpF`[qFvIfHfm@dIxNeCtG{QhX}Pm@gMdEaLkBgByH`BeEuSzoAC\\pDmB`FoHkC_B`EhNnXcDrBnBbFg]|LwF`GbDrDiItE{D{CsFlD_ExFsAnHvB|AqDxARtFkFn@x@hRiT~H_HrM{Ln@fBtJdMT|G`GuCb[jA~ZwGxDPvIkD~BvB`HyEbAmBvG{OfBaIoCjCb]pKxY}C`IyG_GcIx@wAhMmGbA_@fFd_@oD~N|FrI{B`RtAhNcEvHbG|QjB~HcI?f_C"],"Pacific/Easter":["lft@pa|Epj@eDrg@_Nbc@mV~^o_@|Xog@`Pyj@~Gon@Fip@oPyiA}P}f@qUw`@|Jyt@L_v@wIot@mT}o@ob@qm@{l@sa@ms@oRcw@iBah@jGwe@`Pwb@rXw\\|^{Vne@cOvh@kGfk@Efm@nOxdA~c@~}@uMpv@wAlv@~Gnt@bTxr@|a@do@hk@fc@zu@dX"],"Asia/Bangkok":["_hc@_c}DhR{HoCqBdBaDpRcE~DbCnKsFle@a`@fFsJjGkAfDfDbOyJnKm@kHuHdAoDdOhCdDzPhk@D}AzE`G`BwBlEzKfFjQoCn]oThMqUvKiHlf@oExJ~EbD}DnOwA`HsKb[_AYcE~FbAbK_GfKdEVbEr^`NpYvZlLs@``@fN_@|HbXzPK`ZxHhBrHeDtFdEfOx@dF~FpTMfGsI_FmLcNG{E_HgLp@{CkDb`@hB|w@oHbL|@pEsFC_G_PuLz]{RpBmGwAoG|OqFNfK`ExE~IxA`IyEd@gWmKcE{@kSzEiFD}F}O_B_@kFrIyC`EyPeCmDjPcFg@eOzEhBdAgCbGDrIvG`KkHkK{GsFaRdJ{EsA}B~BkCyXyOw^eIyo@bCicA~oAseAld@_VfFcb@ja@mHyEoh@{CwFuHuUcCkNsJoNLO{a@|EoNcJ_MlFwCvFiP{BsMdH}KzOwBfYsQ|DgIoBeKyNyHk_@bLeNeDsOpPaSo@cPhJuPPaBwPoBpCsEiJcIeBkDaG_Ju@wGkMqEo]zEyP}CySlBcQeDaNpBwJrIqDoGyDkCyN{GsEoWa@s@oCuHxHoJkFeAhFmCqFcN{AuG`NoFfBsDwCuDdVyG~@yP|Ocu@oB}[p_@}\\bRhBdFoFtNy@pQnCbCtBiB|AdG`PvFTtJnIvIoAzD_F[y@vIuMvTvJ~IgAzFtHpBrAhHbHfDOvDpOzMoE`K_SeB}IiIePBiE~FmNuLoKt@aI}EuCfEaPjCsIiEcCtWdHrFoBxPcLbD}X}I`@nCoN`JtHrIyLnKhHjPyC~LhNaDzAz[xStFyAdFzG`PGxRsGpKrIRfC~ItCs@lElE|QgBfHpI`CqC|Qw@nDtM","awj@_ofE`]i\\pOyB_DoH}EO~GwAuA_EnZxCpApDdAoEvSsK`FgPsAyCfIoLsKeGaFiQbRg`@fMjOrCcEsEsJfCuBxAjEnFDdHuVpIjHdGNxIbKeDhMj@pThJgBdKhNxE_RzWab@dDsWxC_CpKtDjPgOmA}Fd`@aOnUuW`CoEeBkBvQoGbCuSkd@y_@irAxcAsZjAofAmhAkFkO}]yc@mHs@ePfFsItMbCtRuC|C~BjE}GxBdA|CoFhLiF]gCfO`BpCsR?kCdG}EBuTkP}GjRbD~MaGxG|CxOsHhIAtGoDCqMrNfGpDItHjHjPpI}BvFfG}@vHjIzKkBjEmERbA~G~QrGeQ|StK~EuLtKdVlQkIrIuIbVvUfM","}hf@_~pE~G}B`CmHeByHqHyCyHfCuBpHbCjI"],"America/Mexico_City":["kzf@fzmEp_@oMxk@_b@ja@ofAx\\cUfW{oAAiSnV_VjFiQxI{I`UaaAvLmTdJsv@jJoKjI__@xLaRtB{d@xIcS|DwZiAiS_Swq@oJgPNse@dKm^hPgX|dA{hAcKiJ{XcAaDuD}JlHyq@{\\u@spAoRiAaCbNmN`DcJbUuOnK{CzIEi[mk@@YjMgKfQvChExLv@yLn\\uU`Cw@xM{UbEdBlOfIrLM`^xPny@oUpPaKhYaDpc@uUbJ_DhLq`@rIyo@~j@m]hM{IsJiIWiSfWqXbJtE~OmOxT@rFzCBmArJrCvRqB~X{LxDuEhHC`CdGQsG|a@qCaCoHbDqDgEyBpEsEW{CzIxA~DjEsA}@fHwIm@mBvBgPkCaHlEsQaAkDfF}I{@uHhKeAnPoJlG^lXyCi@oAvI{GvCuEzZPnIfF_@eC|LvFDpAuEr\\kDjBvLmD~Jz@|_@pRtK|ErNnV}ClI`P`FxA`V|BlL{Dz@rJpn@pEQcJ|I}@nA_NvJExHkK`JbElC~W`NWnHpI?yDhJy@aS|Q_EnPhG`RvNvJeBpa@fGoA"],"Europe/Helsinki":["{jzBgkf@~p@i^~k@{Ml_@dGrNrWzMwi@vGqDlV|FzIeH~B}IpNtFfIrXoA_bB}D{MqRmnCoB}bA}Lwm@m@gj@qIyOsAlAuIsJ_Uwg@LcGwIgIiHsYsy@gwAyMs^}[oYmKtR}EbAoNbn@cQ~^aC_QoPkQ_InCwGhZsJnB}AyGsEpDaA{A_@tTqG`GkG_@wA{OmAzC{BeCkBvPmDaH{FZmDeGyCzG_AaYeDf@mVfKmh@`r@oGpCid@aw@mHmDaGjU_PvSqFpi@oTfLqS}U}A`WoGa_@uBvFaFu@{Nq^qLtKuFrl@gKfY{Cv@hJbx@cApa@~Mt_@pAtCjBkDtBlGbG`Bt@kBvG`H`NoCnFdHxDj\\~HpAhDhLsPl_AdGjKxCr^oDpp@}MlKaSha@eAvTrDfPjFsEfCdBgDhTvBnInAeOdBoEtCbA`G__@hC}@nL{e@`Ecq@nGsQzEQWsHxJqThFxI|LaDjGhInBcVvA|A`BsBtChLtDTxTwZtBfFzKh@jE~KrHFpEaDfAcKpQoMrb@Cff@|RnKbm@hNpGzHrc@pUr]nLniA"],"Asia/Yangon":["ajh@y_sDje@_OtZfD`Zg_@xw@kWh`@{^vp@{Tz]rEdm@~@df@_ClqAw{EfaB~AlJqBxl@tThsAmNdr@{MfBgXiL_IaJ}Py_@cNmLr@qYwZs^aNWcEgKeEcK~F_GcAXbEc[~@aHrKoOvAcD|DyJ_Fmf@nEwKhHiMpUo]nTkQnC{KgFvBmEaGaB|A{Eik@EeD{PeOiCeAnDjHtHoKl@cOxJgDgDkGjAgFrJme@``@oKrF_EcCqRbEeB`DnCpBiRzHhD{JoDuM}Qv@oBtCyHuI}QfBmEmEuCr@{CkJoHRbGmLFyR{GaPxAeFySuF{A{[iN`DxC_MiHkP`FyF}WsIcGsWYvGcYoLsCePoLsI}IbDdSh^mDvHlBlOmExBoDmBB~FuGnDcNs@}Dhq@gNeDiEeGeNdCwEgH}Dh@PyFoHlBOlXaDtAQ~IyMeAkFlF}CsDuHjDeAfGeIOaEoJqDWpCvPWf]tN~[kDhFqJsKiHmAgApEwHKf@xGcRc@uEuNwMzCwJmFlBqEsIcK{My@zCgHuQsL|AeEoBqCsOfGOeHiHtAiSqEsz@tC}EpOhFXx@~E}[pJoFu@kOrNjA~EoIxC{AvHjL|A|DpIxIfA~AeDrF^InGpPxTbIQrUwMqDpO}CUaFhJzDt\\dc@zp@fDrPjIlDnCkCfPZx@gC|IzIrGiAbKjHrIlOfJtB`DaIjG@~h@|Xb]jIoE~Lr@pFaDjBrBzNuH`I~X}DzSbDbL_ApGzDgB~HfH}@lEhC~`@uEvCxAOlFzDk@`IrH}FzAmDhIhJpD|OH~X}CrAdDuGjAb@nFcFjCpHpI","khZittDxDo@vEsKmEwMqL}EoKdA}DfGl@nIhN~K","}z[}huDrIcERmKoJkJiMc@yErFN~HvGjI"],"America/Fortaleza":["jmIff~AiJsWtDoJ?iQfFsAhHmThm@uF|k@tHrLlLlEeEOmHxG|D@sDhe@q[yH}YrIgHxNxC~ClOfKzEvNEnLtHBaHpTcIrCoKpNhDfCqG|U{GNaTzEMhD_FuE[sH_R|SiKbFdBxIqDfKuY{QcU{C_N|DwJuM{Fd@uEuTkHmCoE_E|AsCoByCfGcLbC}P{U~H{Ke@_RnL_JcTgb@sAyWcM}EoBmJuN_IaCuIeNgLxAwCeR}SsPgB}DnG}EgBmIxDkI}JbBcGeCeGbD_J_BgVhHqISoDhEZfH_TlGyA[aG{LmNjGyF}CqMrHmCeBsFbBmDcJwLTsEsQ}NuDkO~KsNxDfJnLMnJnK[gIxKy@pGyI_KsUeIa@aAoIeEg@^eIgCwA`BuL{H}[yIqAuEiNn@eJvG{E~A}Vql@nBasAhX}_@tTsFn\\sJzTpAxHbHfDaHhf@aKxFoElRmVnYm^bXev@`~A}Cbg@xEf}@kIzOkJl}@yLd`@a_Ab}AgTdfAf\\zKj[N`DhIlC_FdSpCbDfHhQY~ItNnG}DpArEfLGd\\tUjQzA`KtMhKfBlR~Mx@hJ","lpFnmaAxHgCrBoHaCiHoHwBwHfCiBvHvBzG"],"Africa/Maputo":["bl\\g_z@pSuIhe@qA?}]zBiCqBcQtHgH~AiRnK_JpAaZjHaVxDWHsObMzHdYuLrGlDxFqDvYjFvRgGrFpA`BnHlN}BdCbMpEXjD]QoFbDuArUdEn@eCtJVg@}GhCf@nBuEdObAlC|HvICjPvKpBtIlQg@rMrHtJgFYpCfdAtcAjo@aOvPDdX}KdCaF`UoEtr@aBhk@lEvHoCTgD~r@_B`Dm{@_s@aD{g@iRqg@sjBwf@e^gRsBwQbGaf@eJoItDwf@_AaJtHgZeEqInGDvM}[?uSvKyGfLwUkBmUg^o\\iZyK_b@qViNem@gi@eUij@oD}t@y[kk@k_@ub@uqAcn@}k@kCqm@fPyeDaI_W~DoQ~Jb]ng@zIt\\bKjPGpUnN|XgHzNUxPdBhEvMxC~GbUyGpc@vJtJ{@pX_IdAqGfTtInSOzu@rPzAvRhLfb@yHtm@oC?gOlL{Lb|@}o@tL}AdP`GpN}B~d@dAxGjQuAjFtEzEdNbAjDlFhHcH|Xc@YfMkEv@oCqFcEZyDzMaZzTcBvGyL?yFvIqF[wJsJsJ`@{HcIgh@tBcLlHxH|c@eBjDdFdBqe@nYjp@pwC~Klc@"],"Europe/Paris":["sr}AvsIb`@sLdZycA`Aa\\vSyRFo\\tC}JhYeAtO_e@vQuRfd@{P|`AnE|j@vI~DfDbN[hEiJBkMvKzBb@mDsDgD`BnAxBoIpAkWrJoJgC}NfIqQgB_K|BoFa@yVgHb@g@_CjHuZU}JhFaD]sQtAeBdDpBjA}KtE}CwDaNbEwX_CIyCaP|Ai^yMpGgRw@eSah@~I{y@vOqq@jC{i@_FoPiSiOeQ{_@oMhCfLkEsAcEyPlGiKsLaFx@rBlSmFxTkQrHiHwEEcF{GfBeDbP{EDsDpFuEi[{JsEkErJmGAiD~J}EQmDeM_GxIqCw@]lE{GgCqCzDqCcBl@j]vDdFlDuCxDdTsMkLcBrEaGyD}@zAkKiTuHd@sF{PuPcTe@bJ{GoE|BeX_HmKsFpCeP{EgHvA{KkIsR}DiSsWqDpd@aGrJhCnHBbNyEbFrBlKyOhKcDxQdClKeFtO~BjRkKfK_E`YgFkAyBfEoIuE}@nChE`HnC[pA~]aCzBkB}D{BnEqGaDkDnJnBrRcKjEy@~R_Jt@oD|EbEfNcAfFuF|JaEcAmUlOnE~\\vNj`@hBtCdi@hFvTzfAfFpIxLnDiBpe@aMhHyDfLYbs@vVfDbQ_R~UjHyAz`@iQ`AeDhVrJ~L~Azc@rXb~A","y~sAwsMvb@}Lg@aAwb@|L","_wqAqcOpa@{B~^iXTs`@{GqUyYqA}JsG}Kc@ga@|B}U~IeB`LrCfLnMbGdLd`@"],"Europe/Kyiv":["eq}Aqfj@P_G~IoF]gFzGqDUsMfImCaC_AXgIcFwCnHmSkBgAxFej@oCwThNsR}@qM}HeKaDqu@{JkHoB_QeFyBxBkGgF`ElAkb@oCcAdA}FeDwGxIg]hDe@WqOrE`B_AsFbEeAwEcFnBoOjIiDcAqNzEs@GaDfCfD^{C`IrApDhFnAqClB~@R_IxHyE}CeHtMKFhDfAmFrGpBzFwXrM@dBvDhG_QzB`PqFjHlFrGkHvN~FzEkJHhC|NhMx@~BeFjEfFrDw@`AtKtGS|DrOxMH}AbL~CtDdHmG~DyUg@}CuDEjBcHoHoQS_KlEyLfHoApG}`@{CiK}IcBkGnIL~MmCLeLaVqXg]uN_GaA_FL{CpJw@lGaJfLy}@jAoYeJ{h@sLsEbIai@vFwHsAqHhMuSeAaPwGbDiB_JkP}NeHkOlEuSyLgSzBsS_MyOWwQ_G{L}@q_@oFiK{GzEsEIyCmEe@dFgQcGgCkY}JqEJix@sIb@AsEs@`BuJuJ}B|@LhHwAsEmL`EoAxJsMuG`B_JwCoE_@xNuHtH]sOyKcQaKjKeFwG_BbAtBrSsBdHkF~Ai@hSkGrEvDpNsGxMoCLtAjKwF~INjGhEuA|CxJgPpWkGFuBfIoDe@pFxe@jFzLaFjLlArG}HfMdEpZgMvMeEqEwOrI_EeDoAhOwGCfB`ZyClBa@|YuDwEyBjFkEmDeHfMwDmUmNjTgKvAeIhMzBnO{C|UlGdQyDx_@|JP`F~O{Eph@jEbJ_B|QdY|YlQqG`FhFsNlUlC|VoD~CnHlWyJrC}DjGnEtQ|GbC{HpE`AlQyGzDbFbL{BlJtHtEwArDmDuBDn]uIjAhAzNkLdhAfCxuAdGfCtIdSqC|RfApChKcEhGlBpGyLnKiE`D_JrCvJbDiFbLHtDnC`A`QjPxYtb@|f@rIsEpJnAzCmJpDCoCdTvWhL~DpI"],"America/Regina":["_etBjzuElmI?fHu\\\\ql@{@qH}H_B@aJlDG?c[fZa@BajA`Vp@rGoFrBcLz\\GD}IxIvI?hc@xTQ?eG`D~@zFnEp@dOxKU?gX|I?`AcFvFq@~EdFMwFvTK@fPjOwUv@vMxJzGvLm@?sGxTK?vXbp@c@?dg@v_@C?muKo{HpXeKx]sNrNsN?sNsNmEgTqj@~C{dGF"],"America/Argentina/Cordoba":["ng|@tm_Cp_@ApHq[tPkEu@{OtJ{Aj_@pE`K|GtpBq@YgkBoe@H?qgB}r@ms@|CaYgVsKtYkg@qBsE|DcCAeKjDUx@cNhKyToA}MyXpDkXuDcJ_Su`@pFuKqEgEdDyHyAeGhC_FqIeJqBwFhE}MoIqJiB}EjBaCeFsTpDoIkNiHToKyRcIuAmTu\\wUgMyAwIqPyFaK{PeE@s@yFmFKzBkJwDs@mDpEaHmS{MeNGwImCdB[gH_NuFtAeGsFgEjBgBiEiFpAgGaKyE|AeDeHkGOyHsEFcEeGyQnDmWsFoPnKsPHwFzIhBjDuF?tDxCVxKhE`BqE~HpCQRrCfQcBt@lCzLwB~XpIbBpHfE`@hDpJ`DO^`NxG|CIrEtMhAxEtGqGzTfEhKrJjEyIlLxAlF|EcAx@dIiFtG_Bl_@_JlXdAxi@uIfBwCkH}F@oBaJyL}BGoCcN~@}IkFyAnB{I_R}N{@eKwNgFe@uOlKqNl\\nC~EsGpGgN~g@yd@xw@r@zOwLpi@wKbE{J|W{Xz^uU~MiEUiCfFtvB?jqAzeAQnp@r`@rMjZDa@hDbh@pOfHxH~CoBpArCfQPhAtGta@aDfHtDtL}Plb@eFpIlAj@tGtNs@nKvLpCpOvx@vT","ptt@nknBT{BnEgGeAqD_Bm@uDzI"],"Africa/Windhoek":["hja@ooUra@mE|Y}Krf@{a@ncAqd@ni@}MvcBy`AfYlE~e@iEdYbBjYmHpKnCfF}CzBeJxL}B`k@r@rOmFpUUhGcHdKl@|f@mLbj@aYrl@ks@eMmG{FaR{Id@GkCeKuCqAcJvCcFtGm@k@kFjCaBrEu@rCvCbEeEdHZtAe^nH_PgDy`@bGqYiCyGkHt@iAkKeJcEeEcZwpK??o}@ceF??k[yRgrBh^}Rg]gc@cCgMrFmH{JiI_EwLhBsEeBgKyMvP}Cpl@na@hoDaEtLxEjX_J~\\`Brb@{B~C{@fo@yY|\\tAbvGgQlZcGjB_BjQd@rJrOrZOdQcEtIfGxPo@vN"],"America/Cuiaba":["jbQ`kwBlUwHtDbEnIgCrO|DrOyGjb@pDDccAnF_FgBaBpBuRnLcCdOfKrNKpCyFxSuDbEkFnSdQrL^|JtKhVlEhMpS`FqN~JiDrK|E~YuLv\\y@@rSpV_Tnp@aClB}kBoByE~LThLpGz\\sClRaUuA_IbD{HpJoAtJgMsIqXmYqRh@iQgIoSxIs\\xGgFvIyWy@sOwHmPbKkNuAuNiG}AcOySdZAlAnHpLzD~DaOd@ye@oTvIoWq@gMgI_LqAmFeMqH}AkBaFsMnBkMaUgJ{C_CaVaTmJqR_BeFqFyDuKrBgEqE{G}WuFgM\\kJwB}@kD}TrAqYuOeNFuJaFsB|FgLbDwHoDeNfCcScBeHjD_HeCmHhDqVgGkXKgr@sVeZnwKwHnBcCfNkDk@yIzH_JdYmTtCeKeB{t@l]xEjD~H[zLtJzNiEtd@vHj@eFtCjDHdeEjFeF|IlDjH}@"],"Africa/Lagos":["skNifDbXmF``@dDtK}CvMlDzSaAwBkgAjEi_@hWmYn\\oQf[sGlTwKhTcXxBeU_PwcC{ZqJy@qDoU_KkNWiGqDiO`DgUmYwIaDhAoDwGaAoB_NuPsCf@cDoOcQjH_CUaPkOeD~EiB~EiLzDj@lGgEt@eJbIEb@gOaFaIsUeEsFkO}UeA{B{EkHr@aRmLu[{AsCuJoE^w@iNeFyAb@}B{c@{GiA|CeLwVgNuC}KlB}F}Le[yCgWoJmRkNjCaLyO_ZwGs@iC|Dg[_GkJbKqBhRai@tDaf@b[YlQ~KvGVlS`MbKOdEhMnEwB~UsOlg@f@dq@dJhg@lV|Vu@rg@}Lbb@aOtTu@~LbMjX[pLvEfE`@fJgd@b_@{Pbw@|GtPkAhVfEnXtKfSr]jA`NbI~L~Pba@q@pBtBhIyBxRxK`RqNz`@mFjJnBiBnEbBbDvGp@nHoDpM`F`DvLhEw@nOdMdTxAdAfR|`@TtKvChG{B"],"Asia/Tokyo":["cwn@stnFfIyD`BmLiDgJkH}BaHbDsBvJjCnK","agn@m{oFdGiBzI_NbAcMiUca@kPoGdBcJwB}HkOkB|KuJpAiKwAkQ}K_EaUfJsBjL`ElMrO`ImFlEy@pHtJfKsAxJnJjRm@vN","qnr@i`vFbOeLz@yIkDsG`LyKtC_]cGiUog@g]sJUwHuGiHt@gIoMqHaBgCcLwOcFaVa]tDwJuBaKsIcGuH`@qEdGIxHoKsBqGrCq@zOlMlEzSje@bOnA|HfMhR@zH`UlMYrB~DsE`JhBbLpd@lWsHvJjEnNsDbG^tI","k~}@yvxFhHuChBqIfHk@dEeGi@gLyJ{I_JdBoC`OkJ|Hz@xL","kmu@m~xFbHaClCmIgBiI{GsCeIfCeC`IpBtI","k{~@_uyFtN{DnDmUp_@uk@te@nSvZGxGmGhCo_@sFiNd@sN{q@aqAk[sBsRmGeNim@kAi`@cEaFuL}BsKm|@kVqTy@}b@xL{\\o@qNc]sc@{k@qfA~DqoA`LvFjEdLzHfAvFeE`AgJ{MaQhGyIdH|NpG[`EeF?yKwJsGiAuMkIcEeQnCcGzEuAnIyIi@w]cz@}GkG{R_CsHiXcJe@kZlQ{\\aJkNsMwq@kAaZma@elAc^gg@vC_WbNeRtRwn@o@yClD?`m@zh@znA|OjRpHnBp^_Kdo@`Ivb@zL`Hri@|RfTnKnoAdo@hR`T{CdZlYvc@lkACzVhIhk@iEve@cNgWeMkEuNtLG`PxXvZfIuAvHgOzKn`@tUlSdNldAnc@xeAdTzDdHhIjXj_@?jO|JdN","_gw@qmzFvJmG]oN_GcEwIf@sAuHoGoJwG_ByCyKqQsIiEoHmU}I|AeQ{Jab@uZkIkPhBdG|Y|EvAzM`\\mCvK`H|I`GkGpJxVb@hSlGlCv]wBhHvTfNRrB`I","whaAk}zFnAqCw^me@}PkBiJ`GvKlT","oxn@ax~F`H}BbCgIsBwHiHmC}G~ByBrIrBtH","}lq@_z~FzIyEd@oMyEgGkIeDsEFsFhF]tLfJdJ","o{f@{ihGzG{BdCuJsBkHiHiC{GzBaCzH~BrJ","uapAurnGzJkGvI}e@u`@q`APa`@mHgB{YxHmHcQv_@qrAvHsLKkNcFyFi]_G_Wq[aCqH`Aoj@wMkk@aIeOcPzDkFbGhA~HcP`QuZsT_Jo@kFtG[|MzX`c@O|FaIlHoEdc@wNr^cp@zt@qP~lAfAhVjElFnHZp_AySba@aAzWzy@~k@v^j\\tZ","wu_AwioG~H_DxFgQeBqJuIoE_LtBsDlI`ClS","ok~@ynoGlHuCzBaJ{B_JqHsCoH`D}BfJbC`J","_h}@ayoGtGcCzBuIsBkI}GmCaHpCoBdIvBpI","_l|@oapGbHoCnBeIsBmIkGkC{GtBkCnIjBtI","cpz@kppGfHwCxBoIyB}IuHsC_HlC}BxI~B`J","cey@_tpG~GkCnB_IwBiIwGcC{GhCsBbIvBhI","}et@ouqG|GcCxBcI_CiIaH_CaHhCmB`IrBzH","ktp@wnrGnHqCrBwHcCqIwG_C_IfC{BfIbChI","}lo@qorGdKaCtBuH{DuLyG_C}HjCsCzI`C~J","cin@ezrGxGaCtBuHwBsIwHgC{G`CyBrItBtH","scu@watGlV}IbKlEbOaCzFpE~LOjJyG@sMeKkJkQjH_MaIkOfFcGeD_LjAyKzFyBhHfCvJ","yln@ohkHdFcAnDaH_A}I}FgE}HhAoCzDc@~DnB`I"],"Australia/Sydney":["x{w@mkrGtxCC@w{@tJu@dKx@AdFlDmDdN\\kD|x@|qBc@H}LrHwOeFoICoUtD{JhFO|@aI~Jx@dAgEdKqBf@eFsMmHjG_E@cM|EuMhNr@nHiCb@gJhJaB~E{Tre@in@yA{NiDpBoGgCcB}`@xJcPvB_b@yDiGzHsZQyE_FkCbCiKiFgDdBw^bH{FrN?|KeJtKvEtp@yaCuSiE_XnEoYkGiI}GuQbCec@iSkDcKcJsGwN|@c_@wGePaQeWeEif@kWmIqW}V{YsYIsH{IyWmK}b@_JiNbEeJaAsb@}ToLtC_ZwBuY}L_PqAcb@rE~I|WAlJzEhC}AhMjB`G{DnGhCfA_DdFzEzCjHzYxJoFnKbCfBnMoDlC`DbI`MlHwC`FgIL{DjMmEbAuEdOz@hR}FnH`Erc@wBpKpY`a@?lpN"],"Africa/Dar_es_Salaam":["vdH}gx@nQgAxj@qOjQfGjRqBjSgJpM{ThPgMn\\{H`y@y^vDuFsAcPlFgKlGSrCaEf@aP|GkAlAsZnG{EbFo[xFeHMkJ~FiFw@sShGmI_IS{B}Drb@}]x[w@nMeFzPfChPcJtCmG`J_AWyi@oHkKpGgT~HeAz@qXwJuJxGqc@_HcUwMyCeBiETyPfH{NoN}XFqUcKkP{Iu\\o]eh@oIhEe[db@sh@fIcZhAsx@eSqq@Uia@nSyiAaPkUxAsChFS`RdL|FKlD{KtIa~@vxA{FdAq@xG_Dl@aG}FsNlAm~Bp_FiAdnEtCnQhPgExEqIxKkE|P~@vGuDxP~CdBfPnNtFd@qEfJlFxDcEwBoCfE{D]gJpCfBrKyAbC`J`FF|FdL~LpA@`Dv]|PlDfMpErBg@~R"],"America/Caracas":["a_QpgnCtBmEiG}MlK}B[kJt]}E`OmO~JkAbII{@dC|DnCd[W~DsBL}LpTaHLmx@tByEcGeTpIoUyA{Kru@oi@sAmDfC{EaHaKxDmVkEk_@lAaGkGkLtGkU`CpAdGkDjInJ`Ut@tKfN~LoBj_@bBzEmD`Kp@pZaI`@iGnW}Jx^ra@|C?m@sNvHiBUuC|RyQ`EhAdGaFzG\\zm@uOd]ca@_@sM_N{SPqJjF{BlIzEvBwB{EsHcJ{Bj@gGeNwD|AwD{KkLnDqB{QyTbA{AvDzBpAqC}PoOePWsBgCiAoSyDkAW_KoD}BcNtAfBbBeEfd@aM}CuXnNyGaF}J@{JxFuWb`@oLlAM}CbImE_B{SlB}HvMuI_DmFrAiJmCq@vG{GuGuE|B}IhDV~AoGzImF{FkGpB}DqSn@OgLcIyDlE}RsEeI|BaBiHwKZwIsHuAyByMcCzAjBcJaCuJsImBoAqHsKmIsMbEwm@zj@_OeOoVvEmH}DHsJcEoAvB}J_JqTuKaDmChI|ClDyXzIyDcGoJcB[{JwKyRqHoB_B{GuRvHkBwL}GlKcAbZ{[|Ee^bVgMle@wClc@kGkBqCvPcDtBwEc[cHmFyRoCcAzBpAtYcCl^`Gtv@mLaAmNgL{GhBcCnHnB~NlJxP`CnWvMnE~JsIpK`BzC|T|KlQcMvi@}VfDkFlHn@tGdIbJZxh@fGxr@eAjGmTnBiStOyNf[aEr\\z@dQga@lJyE|XlH|MdOvEzZiCfTv`AaDvIoK|EuDgX_LeLqEfKxKtf@r^jP\\nKjNnK~YfNt_@rEjDkB","umWt}iCvMcEbGyF}@mGsFuFkIHiMfJh@zJ","opVhrcCpJyArDoG`AsTuHoHiHPeEhCk@zLiDzFnAbJ","_bVndbChQeJzBeH{FqT}FmEvGkIEgJePsHmH~BuB|GvJ|QcLxCyCvJvFvW","ilTpe_CvJ_DhDeMaAaM{HaFcMjDsDlPxCxK","ocVft}B`J{CzH}Rs@_IuHkE_O`DyGvPnAbK","ms]`v{B~HoC|BuH{BeIuHiCeItBoC`I`ClI","kdU~uzBxHsC|AuIaDyJoLiCeG~CkAnHvCbL"],"Asia/Manila":["owTgz}ExHyAtDeG~I~FnG}BhAaBiAwYaL_AmEjE_@lJgHsBsG|B{@rN","wqUm_~EpO}QgB{AiHo@uFpDw@nH","osTcg_FdHaCjBcHgCeH_HkBsG~BmB|GxBbH","{}S{w`FnIsDl@oJaFoFeMo@cFlEO`IpDtE","gmN{{bFbL_E|@sLpN_Yde@gj@|KxGxR?tP{U?g^|PkQzD_UjPw@rCwClb@lc@xR??gc@gg@sjAst@unAuT{NxOssBxn@kaAf@yMeD{Ggw@wl@}_AsYca@Z}cChXauCvg@g`@f]cyAxp@}X`qA_fBbh@sq@ePqrDxUchAzKyGfGGbInElFpwBdl@nj@`h@zz@vMvmAza@zXfAt_CyOz|A`IdmC~iA~lA~mAbm@z["],"Asia/Karachi":["eiy@q{uBjSwNrHuMdUmFv[}YfGa]nJ{K}@gK~q@mBbLnCfBaIsBkOxGkGr@bDxZjB~C~m@tBzG~MnDeCjJdD~GxPjCfDoCbAlCnEg@`EnIxq@rDeF{{D}Gic@jZcsAlx@un@zQ{e@aNmOeK{@iFkH^sWmTmBjEsBuD}C~CsBiC}c@pFsG?iQwFiD}F}[rIBp@_OeJmQkAtFgETeHuEq[zKqN~LaRHWlWaMnIge@qCkA|TuHpRmZyCwVmZeNuE{K}M@sLxOkHfAgG{Ne_AcIw@_PmPiTkHiQ{c@_a@_TkVeFsFsXcGkIcIxDgD{D{AlAaAqGo`@a^]}FsBrJoMsA{BmEaQnI}IoFiCgL}DwBiAqUqGiGgFdBkGvLQzX{FbBiMeCrDdCLxFoJjKkES{IfRiGiHyGu@iNnMqIyRwC?{CvGl@hLmNcC{EtMoCgGsMcDv@aJwFeI`Hwz@fEeEn@gYwIqNhBaGeIgSbBsK}KkEt@uEuG{LcH`GcHFaIfMwGc@mF|J_HFhDfZeJvAoB|HwHmFoVhFeIzOtAzLoMdBqCfObEvM{FzBhAnEqCxAtC~IvB]kBtEpJtVgEvKrCliAfEjXdIhI`D~OxED{CrIhHvBdPtVfEyJbMgI`EdBtBoF~FiAhGbFhEsGjFhHfFf@~OhXpI~DtIiIdRfEfFhc@_Dzd@|Dz@`KaHLuG|K{@tJsH`KbRdAlZbDjDbHeBpE|HhF{BdKfLh`@yDnSlYyMvSjC|GT{HnA|AsFhVzJrJfG|OSbHzFiCCgHxCVvF|]_@~KcE~@FbDdE`MnMpHhB|JdUxEfHqD~TrGbEaHbFtEnSbjAuBr_@pEvUrE`C{Ep`@`EbdA"],"Europe/Istanbul":["wjmA{|p@xEeIqCwTbNjLxGeKpObDfB}D{BmZvIXpJyMvGhApFcDhGtIwBzJdBnG~Dt@lFqDpBbFjJtBxKsSh@kGoC{CfHmFaAwGbDsJrFMvG|LnXkTtDjHjG^pFy]pG~SfF]hBkUwFeMnMwEuMa`@bLiOw@sG`CwDrFe@lK_Pw@aShNcFoGk\\nDyI{AiLeOqJgVaCr@mV`N_e@rVqYrJwa@}Es[Ue]cFwSw`@gg@dp@yxAiGcAqCyJyKKs@cSaN~HoTsF|BsSdGsDBeWgQao@|CmRpGuJlAq\\oD_e@cV_z@`Ban@oEi_@qGwIjDmGzFYkA}LuMeLfCsIyBwJfJwi@cGmQ|C{GvGdDxGyFeMyRzAyHoG}@oItMuROyFxUi[cQiBhLkMk@{DfCuDyBaDlE_NCcNjJoAkW_PyAeEgH~FsKiVb\\Lj[sD|MgBsBsRzIqK_LwNrCiE~KaHd@FtLaDjEiBiD{JtXaEq@NbMfH`DoD|a@zDpGiJx_@xLtVtN~n@kIbm@bJ~~@cBzTgGvJgAxc@cIlNkChQhClQuLdD}HtKJzi@qIi@wFhDuFd[lHdOoCttAtKdr@n`@vlApJvFh@|J{Glf@vC~QiFr{@kLfe@sG|EyIe@s@x[jE|Q_KrOFdM~DhEb@nTtHdDbC|KfHmOnO_AvD|QhReA~NpXlIkGI}VlIxSfMj@qJlInClP"],"Europe/Oslo":["}kiCh|Q|E}BfDiK|@mf@kNamAqDmHqJaDyI~R[th@jSniA","}gvBo~F|p@kX`^uHzEm@|TjLjFy@`Pm_@z]iUda@geAjFgh@[}e@aJel@yk@}oAqDiq@eG{AiDuYkEoDgAsJvFyFjEPa@gK_TcJ}UfGwDoNwGrEaB{SiHePsHyDeGtAcDuEuEAg^|V}Aq[qQ{JgLzQJhHaIrP_a@aIoTdNoG_DuHxBaE}GyOdNcL{MeF|BwVk`@gDeNiAwPlDin@uJyJwOtAiFv[sl@it@eLNeQ}FaSzEi@o_@aGa[qKvEwYkh@kGyT}H_@kMrRgDgCwCaT}ReNyK_a@jHse@kMuNcTp@yAoPbMu}AmGcReC`QgN{WwFx@oFlNsCah@fDiTgCeBkFrEsDgPdAwT`Sia@|MmKnDqp@yCs^eGkKrPm_AiDiL_IqAyDk\\oFeHyMpC_HcHu@jBcGaBuBmGwB`D{Oub@l@mf@{Hk_@a@mTzCq@fKgYtFsl@pLuKzNp^`Ft@fEwMkEqKoJaBuIor@iEqCqDlEjF}Yi@mYsFI_FzFyT_o@uOwI_GzJgSrcAsY~`C_EdhDvDdqBjZvdC`\\psEhg@tmAf^~mC~Vhw@xWtd@xKdg@fZv]vN`m@tJrCpb@y`@dGbPj]z]~]fQ~r@bq@xr@`uBxo@hnArQtu@z^p`Arm@~m@"],"Africa/Nouakchott":["sjg@jt`@btAc^nSwQvb@eJzo@Vjz@`Vxd@vC_@oOsZeKlB_b@qFkMnBaCwA_QaEa@~A}A_CeCxB}AUsd@vCItMuUtEJhF{FuCgGlDeAcBoKlBv@dAiGdG}BhReD`A{GjDTGkGrQ_FtJqUrFmApFyIdBaMyI}NoPhA_QcEeJ_MHqEz_@y^wSgJCyXbDeNyCoh@mIzAaEgFtK??mnFas@mImIfPgrOd{@?ukBuoCtnFdqAA?joEb~CAdItb@zWj`@lGxAxwAkHK|uF`c@bE"],"America/La_Paz":["bw`@x_gCvDaJlM?|FeGhMaBfEmMjEpDnCeDfWs@fYeHhVi]dSdQpJ{IzFvAv@fK`NiErGzClJwQnDbFfH?rByG~UqMzQ@jImFfLRzFgG`PFtHmEpQtAdBqFkCkc@}HkIeFXkEiNoKuAmHc[cRgCnSq\\u@en@tFmVxS{KhEx@tMqEuu@iXnBmNoBe@?kt@hIi@lDmGoiAsW_^Hs\\oTm[uJeTylBMyw@t`@qw@fTJaKmRoL~Oil@uTk@yD_FtCkE}@ya@cJQoE_XzOqOx@iFdGbC`F_CnF{OnP{\\rCiLqG_MUnBxEmB|kBop@`CqV~SAsSw\\x@}YtLoK_FgKlDeNv`@}BLbBps@qYlR\\nNgItMvAdGoH`Fg@jFuKbD`BtK{Nn]hEfIuCrP|AzBwGnLoGF}AdKuDAhCdB}BF`@~CcEGc@hK{PfBBvIiJ}AaA~D_Jc@gBfCuPwEg^fJ}O{GuUEkJ|H~I~E}EjLtBn@oAzFvGvj@zUvWbFlWbTxQmBhS`RvKjHbRfAxIyHxCyAto@``Box@hVtLzc@p@fLtIxGkHbIzB~MoHh@zHrG?|KvM`Jd@tAbF|HLrQaNtTrPbb@{Kr@uMpGkIzD`KnMNjCzIrTvK"],"Europe/Stockholm":["swqBcuSpPuBjq@ka@zL{RnPeInKcS~SiQzNhJ|Sk`@fL}A~JeKhLxPtPsR{@{lAwYi`@iHtE}Geb@~G}f@mTiz@khA}n@cIzAkJlLeL`@yb@{SqXunAi]u{@}NaKgg@xx@oYuD}RroAwMhF}lAq_@ch@gfAsD_m@}Ra`@iHci@sIoEqHrCyOm^sIoIyEBuSpNkBqDgKad@mAyX}HcJaDkr@kHyLaHyAsOvBsMhKgAbKqE`DsHGkE_L{Ki@uBgFyTvZuDUuCiLaBrBwA}AoBbVkGiI}L`DcEuJ_LlUVrHsI|D_GdYyAdd@oLze@iC|@aG~^uCcA_CpGYtk@nFmNvFy@fNzWdCaQlGbRcMt}AxAnPbTq@jMtNkHre@xK~`@vVrS\\rNfDfCjMsR|H^jGxTvYjh@pKwE`G`[h@n_@`S{EdQ|FdLOrl@ht@hFw[vOuAdGbGnBtBmDhn@hAvPfDdNvVj`@dF}BbLzMxOeN`E|GtHyBnG~CnTeN~`@`I`IsPKiHfL{QpQzJ|Ap[f^}VtE@bDtEdGuAdMpKxFh^vGsEvDnN|UgG~SbJ`@fKkEQwFxF|Lxj@","_{nBgja@rI_JrM?hFaFpBiT}CkSgc@ip@{K`BaUeZgIj@kEfIaFiHsFOiIpTbBxZnIjEzJ}JtCt[pHbUnSjX"],"Africa/Addis_Ababa":["moNkm_ApH_BbDiPwAeHhLyYf^mQjFwGFuGvIsB`KyXpE{CnKnCzT_B`P_GzFwJdICqD{LnEgSba@vAfSuLDoq@ps@ioA_BqXzG}U~A{c@dCsB{\\wRsXsv@jTqXGoh@oM{NoDcm@}S{NqMq\\wE_]f@cz@ie@aZo|@wcAo{A}zACx|@k}@fzDiUbUuBdJ{JjIyMpAaCtIcVxNoTtFsUwNErIyDlA_@vFtI~a@kBdPym@mAim@ub@iQpJmAbIoc@|XaMlWk\\fReRrl@_IjDfGhKcKlTjF`BaBhIbGrFeN`ErJfUhBpTqObKqAjL{IdGnk@jWsOlLjAxIzHfFiClHhApRfj@fH~L|HjSrDzS^dAxZpl@vYnGlJ`PPrQjHbBqCpQXtHvF~AtDiCe@kHxJ`SfRb\\mAjChEv]dGt{@oCrLhXoElHfA|WdRr@"],"Pacific/Port_Moresby":["d|KsarGrMmB|AsFfkC?pInEpFaIuC}RrEoh@qM?gAyHnJsTeEcQfK@kIsM|@}MmJ{OqNuA}OaUsJe@sHdFkQiMHwYwEcHhGuMxLi|@|_@oWxSkFhGmN|Q}AjIqOt@{Lra@}ZtGa[qAm\\|F}PoC{MxHeLAiSbHcHdd@ivAjAen@~ReoAtHqRiLwy@mFwF_J\\aMdOe]~iAmx@rUyN{`AwKuD}IrF}\\xnBwW`q@_E~UA`p@|e@xo@kp@ny@ebAnJu]_v@oEgQtIiAxCgHmCwaA_Tsm@{T_WNaK}HoRoa@}l@~K_bAylC?bHhe@ka@re@yJ|i@}z@rsAd@zf@wPlTsCdLvh@b_BrCfTkH||@y{@~z@_JdW`Tjs@zVd~A~nA~wAsHr_@~sFXfEdDtGg@","~eTsonHvIyDv@wKsJuR}KeB{FjEa@bIvIzR"],"Asia/Magadan":["igxBotyGnFe]ZoSuE{EfBwRfIyVxKsNnE`@`CaI~BhBDaC~DjB`LcCbAjEpB{D~B`O`EgAxItDaCrUnPxa@bDoGtBjE~GsQuCs`@hH_HRkH`JiEuAgL~BeFtHgEjAtDfBeBtM`Ch@|IdN_AvEs`@_@oaAfG_RdFioBnIyh@{FoaAbBud@sI}PiCqSpE{ZiHg~AcFeQ}JoE{El@uEnJkJlq@{NnDkMaQuWw`A_RcKmKmb@aLuC{FwIgKyqBfCgFbS_HfVuC~V{WpDgNoD{j@nCgSo\\{x@}p@_\\}DvCmAiD{GhJ{BoN}C`@eDrUqH_f@wNrEoFuG?bIoBnE}@uCgB~BqCxPwHe@uEq[wGw@}CzF}DqRwGy@yIlQ}CaNcOpGu@eVyGcDwBsMeJ|QyHoC|@f^wCnFqDrq@yHnDaItYW|m@}Tr]{LdhAeGAiQeUeDlAaExi@dFpGxFoEG~n@|KfXaClVcBsCkJnUtH`NWfVeFpRk@`c@rCfP}EpVvI`QjBqKxJhIv@zHqCf@m@bG~BvYzBxA`BaEjLvGxCiHxBrDxF|o@`RjKhEqBbF}OnIj\\`H_CfAvQsGpI~Bv\\~DtDUtm@hAlCdAoDxDXRxEgFv[iCvCmF{FgD|K`Jfd@s@tf@{FrVlFlPxJuOxPpQuCtTqE{B{BpDnGnYwD~KsB`g@jOrKpFpd@`AiEjEIdHxKzGr@dM`KdQ_InFpBnAmEdEbCbC{D|BtTtKuB","qotAutzGhPaQiA_IjFcGbP{D{DkXmY{o@eKsDsJzJgAbMzYfz@}UaXsMu_@NySe^_n@wAsLaNqWkGaa@_QeJhDqTwDyRah@e~@aGkBeKiP_IWaQzOs@hSxHvIjKeEvG~@b@jQvJ`Xxb@pi@}E|VjB~MlKrO_GvLx@lN~O|NnE~MnHhBbGjSbQ~Lz@xMyDrOhEbP","knzAkvfHlLyHrAmSqOi[{N_MaOr[|Ube@"],"Asia/Kamchatka":["_{jB}cnHttCod@hi@wRxw@iEhSgOnMcTeq@qqAkh@qg@op@s{A_wAuhB{Qk]wkAwv@mNiVia@xCa_A{Aef@kHyWibAwrAgkCgRgfAz@yq@pFsO~OkNlH{O`DqUoBuUgXuW}JcVgRc{@ih@aqAiOms@sM|By@_DqA`D}BiBcHbVwCs@iD~GsBkH{Ef@ZtM_FfMpKtq@cEbSpClNuDnCCrGpBxM`BcB~BpXs@tMgBcCg@pB|G|X{Ang@aHpFeBwAcA`GyGuCkA~VyOt_@z@rMyGt[_EsPiCJmOq]}G{XgAlCcFGsBzJwCEyA~^mKtCUnH_FtFYns@aRp[rErZiEpd@pCfTcCoB_BvIsDxA`@~MqFdRl@hGxHK?hFuDtDyIdc@tD~RaDrU|FdJNvMbDqG|InCdJ}QvBrMxGbDt@dVbOqG|C`NxImQvGx@|DpR|C{FvGv@tEp[vHd@pCyPfB_C|@tCnBoE?cInFtGvNsEpH~e@dDsU|Ca@zBnNzGiJlAhD|DwC|p@~[n\\zx@vC_TlVf`@lObj@b[jh@`WjRhQ|Z~Unq@]~YbJrQs@pT~GdUvL~FvHuL|DZjC|WxErC~Iu@zHbU`NtKvi@fR","u~jBw`bInKuEtb@ez@t@aTiHoLaQnAyLtPkLpBmFvHmCne@vFnT","uejBaieIvKmFdV}m@EiRkH{JkRxMkPtd@M~S"],"Africa/Cairo":["{yy@sco@pJcIfj@sJ`dMC?m}NdPcWsA}ZqM_D?o|DkUhEqFlIiMfCsNzLsj@^eVpa@_U`I_TzXql@zTym@db@ql@xOg[q@gTsOmRhBgxAm[erBpi@uIpJvGnV{Er`@~Gl]wYjh@xB`WsGhe@zF|]_@~MdVld@tMje@uKva@]hXqGlHbAnSyHjJaPb`BdI~l@fPrP|MMrVoHfT`G","gkr@wrbAtGkCfCsHsAyHyGiDuHxBwCjJtBzH"],"America/Bogota":["ytVvk_DhH{KE}HuLqFkCwSeMuA}QtSe@pJjF~FfQ\\dFhH","qwFnx~CbHcDdAqH}D_HkH_AaGpCwAtHdDpG","_cYnl~CzLwC`BkEg@_IaI_HkRm@eFjGCtI~DtE","e}Zn|}C|RkDrBiFi@_HiEyDuNmBoP~@eEhG`AvI","g|Znf|ChJaD|AmFe@oFgQsLqI?_FfFAxI|IzJ","_oYvy{CtJeCvDsF]eImHaFmJfAuFfHp@~J","gz]dk{CtGsBxBeHqBgHqG{B_HrByBfHpBdH","cdBtwyCfHcC?gRrSmZeBmFfN_FtFsM_@{OlGy@`BsJ~N~ATuUpEqD`Cs]k@yIuGAqBkGvGcPjNiKDaJxIiU_D}EjKiPkBwDrHcCPkFzJoL`Kc@jDqFtBfCfE_BrCuJ_B{B~LeI`AwD{Bs@nFyIjEb@nHcGdGxCtF{L_D{DpBqCrPyCdHbE|FkE]{DzEkA_C_IvBuD{DgBnB_MxCeAyBwFbBuDwGoEpAeGwMkJ~CQt@iLlEg@yCsAfGwB_C_EdAwFaEkBl@aGaED`HuS~F}AaCeBzEoGo@eGtBtBMcF~HwDeCiCtEq@|_Azg@hDkKqBmMbM{ErIaNm`Es`@uVjMyE}BoGzAmRdZan@FQgN_EgGlBcCuFyFrF}F}@yMwX`Gg@rd@yf@A}BmR`BwtAuEtFwKmD~LeIP_GmDZ{GeHtAmFeNcOdS{ClGcKvX_BzAzCpHaC{BsMcFKwf@`P{G]eG`FwGOgP~OTtCwHhBl@rN}C?y^sa@oW|Ja@hGqZ`IaKq@{ElDk_@cB_MnBuKgNaUu@kIoJeGjDaCqAuGjUjGjLmA`GjEj_@yDlV`H`KgCzErAlDsu@ni@xAzKqInUbGdTuBxEMlx@qT`HM|L_ErBe[V}DoCz@eCcIH_KjAaOlOu]|EZjJmK|BbFjI?vIih@gXkDjBu_@sE_ZgNkNoK]oKs^kPkIad@yEeBcD}Jo_@TeGfc@ntAxhEtc@pk@xYjRxl@zU`b@|x@d\\nJ`c@qQfAjIbGZbObMwJfIxJw@`BhFlXrLdv@eTlvB`A","k}]p~xCtG}BpBkHuB{G}GwByGzBqBbHtBdH"],"Africa/Niamey":["sj[qIbr@aZ^uInF{LpEiAvDoNbB|DkB`K|O@b^wu@}F_GjE{KjL}BjCjKvZeTyCwBkOtDiAmRaGgHlWeZ|FwA~@yIfIwFyBoCiIxBqBuBca@p@_M_QaNcIs]kAuKgSgEoXtAoTgHoR`Ncf@_AqFbTgY|SiNa@gJwEgEZqLcMkXt@_M`OuT|Lcb@t@sg@mV}VeJig@g@eq@rOmg@vB_ViMoENeEaMcKWmS_LwGXmQ_n@rHuDqLkDd@iDiGiRgByj@u_@{gAaeAwtBaE}fAmHgYeNyXhYyJeBy`@nYm^Ns}@fKdWxn@sa@bj@yTt_BbfDpzGlvA~eBvQp_BzdC?BhBxd@ZnClEpe@pLrB~IbQ~KmC~[tDVvBviBpQrTe@zl@"],"Australia/Adelaide":["pi}@q}zFsFiz@Xqv@aFqT|Lu]lJ_CjM_QJyI}EoKhDg[jJgGlHhDnHsCrEkr@~VwOlMoP|HdQjTfBzGuCnA_OkMsJcDyS|MkHlMfAfEvCOlJ|D~GnOvDvHyCjBmJoEab@nLaGrcAocAdGoPgCcMvJRjFyIsCeO}JsCkBoKyKcGt@uOwQmb@AsKlSmXvXmOzZ|Kz_@qSrPcU|Q{LbI{Sf@uVk~VeADxlV"],"Africa/Bamako":["yy[~{VjF}D`NnBvLcMhKdA`CyChF`@jDtFbEgA`ImInHkAqEeE`BoGvWsJQmBzYvDfDaEnPbH`IsJHeGuKiGS}EfF_HzIe@vAgFeM}GkE{IdKkg@}GuBsCkQ_FwAgEzEmA_Bp@oRnHgFnExBvAgE`G^hCoGbSxCPgHrIkDfEkOt@lBbCqAlCnJrNpFyE}JfB_KvYfAtI{DeAqFbFmACkDfJYuCoI_MeJPoI~K}CMiMhEwFwKiDQoQiREzEkLsGYmAoIrE}BpE`CxEyDtH|BfCoMuMiK@gPyFoBsQkBiMjDyB_IcQeGaHd@iAzCeHgAgC`HCeHkHkJa@}S{GgKyBfAaGuEh@yCwEvAcFuC}JbFd@gL_FsBeShGoQgUqD[bDwC`C~BJcIjLgUmFIWuKqYx@fE}LoAkI_XeAkNyUpHeVyAqEwPc@s@{QgMoUmBqNuQqTtGcxAiAsOoQoTwBwiBuDWvB_]mP_KeCkJ_e@eLoCmEyd@[CiB{dC?zGt{@sHhJiQmHcWT}Hn_@uEbBpCjRqEq@sJpJ|DdQsCzFsQjK_HtPFnHwVCwqF~uJ?tkBfrOe{@lIgP`s@lI?lnFuK?`EfFlI{AxCnh@cDdNBxXvSfJ{_@x^IpEdJ~L~PbEnPiAxI|N"],"Africa/Luanda":["ri_@ikUzPsErXp@n@wNgGyPbEuIDsRiOeYe@sJ~AkQbGkBfQmZuAcvGxY}\\z@go@zB_DaBsb@`Jk^{E_W`EuLiWk|BuIrQ_|@l~@yG?}GrFkgEI?g_C_IbI}QkBwHcGcL~DgTqAsIzB_O}FgZ~B}Cn@`HpGoDbZdItMDf]gD|GtMxR{WdDsEaIyNpBoFqBg\\zG{OpRoMbDax@cIgb@rKwVwEiPjC?flA{UsC?`RdDd@?dn@vR|BzGwBjG~IlXY@pc@mDx@FzMdDCo@pRpFdF~@p`@uj@dWgK~MgJu@aJdGy]zHsLgByEfGoJh@~@xzB}Cfd@dDbg@yAvRjLjd@oDpS~Mj@zr@q`@vPkA|_A_^`IJvVvSvK|@vPcIrg@sIdf@cXbUuFnl@zB`WfGbM`J~AdKtOjQhM~ApYjX|TZfRbIvXx@pn@jPjSnApHvKhI~CrVsB","x`IocVdRyHtKvBlM{DqGiJUgRid@IaChCwZwf@cQbT|HKnElVhJzB@hGrE|@"],"Africa/Ndjamena":["ue[ciY|l@}H`f@c[?_WbRmD|GkPh\\kBxBoH`NSlCuC`DtBhH_DlL|DbOyBxB`Cf]eErZcUlE}J`CdPgCljAvUjMnTwWjEd@hGmGh[kh@`l@yQlFuG`NbEJuMzCcDsAiIcEaDyDuSoGyAyC}HlLiCtGcJoDkBaBkOaI{GsH{UgCgz@qHqBgDmI{VcQiJhOwEyD{CoOEei@yEcLV{SmJkEr@sFoF}H{a@cZ?gFoMuHiDyJwTEqUkm@tCgYkUsDiGnAZvGwLhM_[{CfAbIoH[_OvFuJmDcFhN|FpOaKdG_OsFcQeUkYrL_Xm^wEdHoKc@m@|BcDk@aEsRmJxAqUsSySfCsH{JqBq`@zC_TulF?}`DnxH_tAnyDb[p}@r}@gKl^Ox`@oYxJdBxXiYfYdN|fAlHvtB`EzgA`eAxj@t_@hRfBhDhGjDe@"],"Asia/Urumqi":["k|kAwpnCpTyMbAoE`DJg@|CpDxB|MuEvDqKmFkF`Leb@tLk@V}D~IgFxIDbDaEvEbFvE}AnDiJ`HEfEhNaCzG|A~MzIJLqT`GgCeEsMpCgOnMeBuA{LdEcK`Z_KdIjFnB}HdKkCsEwWnHe@xNwd@hCe^kCuFvBcE{@cMxNjGrOmKvNMdJeM^cPvIcKf@mG}DY_C}n@sUwEaByEqGHcIoSyDxDuHmIpGk_@aEaHtDqFoA_LxFmN{DiToFy@qEePcE_@cCiG|CmOy@wMlJ}@jD_GzB}]iDgV|BwJoF}OiCA{Kqd@eAiMzGyRqEwDyD{UwJyGeEReIqb@EmWuFeLzCuJwGwx@|JoQqC{H|EuKwAsE`Ma`@DoJcLsBnFyMp@kYjFuJaEcPqLhE{KKkBrQuM@mKg[T_GiHz@uAtD}OlFEfGeInHkDvO}c@WbDrNmE~GoBsAiDbCSqR_JkKmAs]}QopAeMxCiPwQcaA_QwD_s@mLcBuMoKmWw_@_AoLcG_FoEcP|KcIiMaPyGg]gDeDcGxBgCkEuLnKmIwFuFyP{In@aTl[ao@`Wq@tKoOsDtAtXsDnP_JdVmHpGuQ|j@iExxBcHhZn@bNcUfLoJ}AkQeReQbGiNmJm@xBuGcAuL|FoB`IcLnKm[~JmCfNsHbCtBtQyKdJtAh_@qF~FkCpQyLrFyI`a@wGoFyHzTaF_IwJjDhEjWaC~_@xGnI`IsDlQrMrE`UZxZfMvKhInBf_@aD`G}DlH`@fJlHEzRxJ`P{GpJ~@ts@sNhv@zlA|b@jAnFbSxCbDi@bFmOpLa@q@zf@yHjHhOtu@yArJbGpSO`QpGdLpFiFgBiIpMkN~F|BdVaBxf@aU`HdC^aElGw@dGlYrHqL~BhTjKbEnF{E`DdCtIcDrEdHdFu@BzPzGxEbD`[jTji@lDp]rH`AzCdQnGdCU~v@lOhMvG[xHfFzFjKgEdC|Hvb@aKm@{JpFrLvVyC`WjCbBbFaFW`LlNdSjC~YtNnE~HgFtGtCPxM","}ekAgeoC_U??}j@~T?","cxgAc}qC{vA??_k@}j@??wnDzvA??vnD|j@?","cbgAcisC_U??{vA|vA??|j@}`A?","{gmAautC_U??}j@~T?","gjdA}lwC}T??}j@|T?","ysnA}lwC_U??}j@~T?","i~bA{xxC}T??}j@|T?","}{kA{xxC{vA??ynD}j@??zbC_U??{vAwdE??wzEp~I?","gjdAwp{C}T??}vA|T?","ksyAq`aD_U??wnD~T??}vA{vA??|vA_U??}vA_U??}j@~T??}j@~T??{vAz`A??}j@|`A??|j@|T??}j@~T??ybC~T??}vA|T??}j@|j@??}j@zlB??zvA_U??|vA~j@??_k@|j@??~j@|T??|j@|vA??xbC_U??{vA{vA??zvAufG??p~I{vA?","gjdAolbD}T??}j@|T?","elfA_xnD{`A??}j@z`A?","qouAu_wD?|vA|j@??}vA"],"America/Manaus":["h@|xgCpIGnGuF|IoRnG{AxE|BtVkMvaEla@fjIetChPym@oJiRkGyEyD`@JmZxIeJwIcKfBcIkHVsBoKpIyBHoDkZeOqAoj@cL?oIsLgNd@SuIqToHRoo@tEqHbQkINaIrL{@e@eHfL}BxCwGs@yFqFo@wAuF|EcG?gcE}CgFm@bFmb@sHcQdE{LuJkO{BcMpCmMhM}Lv@aL}KuyFcsBaA|BeHsCqEmKyIcEjJzQqAbGjCfIuAzCiHy@eE`QmKtGHbMaShb@uQtB`GrGoDjIgFvEuHTeKvOaN`@{DfH_e@j@?lfAto@~UfKeEbBnIrElBGnMsRrIcBfIhG~SbGtEp`@tDrPeHeHnHmAjOyOlG}Uz\\{Cm@pAgDsC{EwGZkJoFoYtMuX|Eac@yBs@hC_SzD}HrIqFaDgNCuBzQ{HrFmAbMnD|BV~JxDjAt@fRfCnDdPV|PnOqApCwD{BcAzAzQxToDpBzKjL}AvDdNvDk@fGbJzBzErHeCtB_IyEeGxD~BlQfJ`K^rMe]ba@|BpMsHbC{A{CwX~AmGbKeSzCdNbOuAlFzGdHlD[Q~F_MdIvKlDtEuFaBvtArB`Rbg@Lf@sd@vXaG|@xMsF|FtFxFmBbC~DfGPfN"],"America/Vancouver":["_etBhrnGzDcUpGaDx_@u~@bTaD{Nqj@KiNkFeFkJNsB}MyCvEiKeu@jEiNfGyKnGnCpA}EpAnA`CkC~@eOhFsL|OaMfGcYrQ}[tAfDphAyjAlFpF|AgStI|CfCuN|KkAY{N`VqdAhEsAd@cSnLgExGfHpJo@tQsHfRtQdLbWlBuAzAf`CtG|_@`LbKrUlGr[mKzq@os@|v@umAfcAiyBtJwj@nNmQpPgFbKci@rb@ko@tl@qgBUkSvOciAuBiQuGiG}OpHqCgO_C?uIrRBaoK_CWHbGaE?gFeU{UdMuIqAJ}JqC^sEwNaTdEBzCkHdE}IyGiAvIsE|B{@dM}G?a@rFsD~Ar@vGiOjGd@bOwLrNqLmCNdKwNzC_@dKwQhIiCuQ_GyBwGdI_CiC}DdGqCeAcAlMqHrAWpFgCaBuFtL|EhEeBfLwJzGo@lSwLrKb@iJqCWwGzQ_JhACpJmG_Dw@`VgGlAk@tGwBkCmGjIxArNgEdB^~OmFfGqCqBoCdBmCtTuGpCyF`S{CGmKxSrC`DeCzRoI}B]hHsH~Cr@rIiDYkDnG}RbAmBnD}B{A}BpE_D_DqEtJeDyCaAbEaNlBoDjIuDuA_InNmBaFcG|AeWlr@uJl@iFmGoDjBO~NuDrHdBjA{BxEb@lTeDdCiGp]mDGtArIuDjMd@`KeDmGqEnO_FcHoI`BWbJ_GjD_DgA`AlFyEtH}DVgFrOeGrCqB}CqJI","ghwBl`sFdCa@JiBlBsCu@cCgHaCcBxA_AS_@jBrA|G"],"America/Winnipeg":["ymiBbfgErNsNdKy]n{HqX@acKcW?\\gK`ByGfc@}I|Eyp@bFoB}Fi`@TwQpD_S~CzC`BaObKmDw@eEuEMm@gRkDrRqHaO{AeOeT??ep@oNA?i{@w|A?cUvd@cHbHsN?sNsNsNg^{m@??o}@sN?mVg^sN?mVf^?n}@kjC?ue@k~@kHn{@gJlZmDx]nPpoB_NkMuG{@g}@ne@wUvFeCtB`DzJkCnFy@bi@dEdG[vFiIjJcByA_G|N}BqDiJ}@aAnBKeGP`C}LfAmApC}H{DwMfD?z_MzdGGpj@_DlEfTrNrN"],"Australia/Darwin":["rl\\o}zFhjTACkqPcoQFsHiGqR|OuMf`@_QnAaKnKsF~l@{KlE_GvO}F|@sSyJh@iTpKwSFwHwT{Lul@\\gb@dPiRgBkSwM}|AtOoClGdAnIn[lQbJ|\\hO~JPnGmKtDeGvNbD~G`MnD?|RhG~HmQj[ShRuOrHfEdSwExDcXmF}HpHrB`a@nGrRrDp~@bHzZmMpTDxJzs@jYvx@kQdR`Qbi@zOEfKdKbJrNiC|S|J"],"Antarctica/Casey":["~ugCom|D?o|k@owH?o}@n|k@"],"Asia/Jayapura":["jzAe`qFtcA{\\tMab@l{@?j{@sf@vwExDgDwGpGkLcB_gApA{M|JmTnFww@{FwqAxE{`AiR}_@}Yu\\g}Ao~@n|@c|A|@uIwE}McQiJaa@sGmi@lCmq@cdAth@exAna@uRlRmP`mBji@`PfB|H_D|B}Hm@olAgHy]`w@qyAqN}HgkC?}ArFsMlBcB}DuGf@gEeD_tFYeO`o@mn@tzAe^boCkg@haAyrAd{@NjPdmAz}Aa@tVoqAjr@kEvGlBdK`]t[mIhuAuk@fTas@nAwPdHmh@b}@l^th@vgAlhAfq@bWvi@Djq@zg@"],"Africa/Lubumbashi":["beKsle@jTkA~X{NeDih@zUrC?glAtBqAtLy@tVvEhb@sK~w@bInMcDzOqRf\\{GnFpBxNqBrE`IzWeD_EoKaGuBrCqKEg]eIuMnDcZeHmKpHoDvBaNfIUtFrF|CaIqKyYkCc]`InCzOgBlBwGxEcAwBaHjD_CQwIvGyDkA_[tCc[}GaGeMUgBuJzLo@~GsMhT_Iy@iRjFo@SuFpDyAwB}ArAoH~DyFrFmDzDzChIuEcDsDvFaGf]}LoBcFbDsBiNoX~AaEhJvAT_J{oABdEtSxHaBjBfBeE`Ll@fMiX|PeI|R}OdBsZwDsVgGcBoDa[pFoYqFuZ~IkDjHkVc[wZsJeJynBefAh]iPfMqMzTwSlJ_RjByOoG{o@tP_Nj@{NyEqSjBeOtHmp@}@uNvNqCeAcD|GgGfAkGg@{MsPoP~@oNoGwMcSuzA{FsZoOsSQoAkIiPcFuAcM{w@uq@aJlEx@zCyGzGpCzCqFhIiXkHcKrFk[{Ib@zDeKnC|BjL}LR{DdTmJfByNpUqJw@oDtIaBlIbJzA~I|LkHrJRpKeDzAlPlXmCv@{B`PkG~@oBbOmJd@eGdOsHnCgG`RfCzKnEvBqCfExBvPkLlSxDdO}L|UdD|IrO|@X~InElD{BrExDrMwJxJ{@vHzCe@fE`GzIfi@nItIiHtNj@vDmFzEfFdJjNhD?~EbOtAtDfFp@qPfFuFdGl@{@aTxEoVnExG_FrH|KzMZbIbH|JpNbCxAqJpEgC{B{D~A}GjQbJrPiXyEiCdF}I`OwAuDbOdJ?h@bEmGzKzK|M{HbYhFEvG}FvFhGdO`ErAoLnGcJ`n@gSvJJxe@eZ~@xQjIxHAuQbFC}CkPrE}HtI|Dp@`FjMgC`Psb@dD{@GmIrWaEx@dVvFhBoAhH`FS`DdJiApGrE`G}Pfl@nHrIoBhSbb@}CyJvFpWtZyKrYlCpB`A~TjKhFj_@pD`t@e@lNzTgEnQzL}DxPjC~WmHlMzCpSmA"],"Asia/Jakarta":["iiJgbxD`{@mWl{BkCv~AeeBpKoA`oAgn@deBcaAngAeeA|hD}nCt@_N{NiyAv~AonAbd@emA`ZwvBkAqeAbYanAvIkq@tGaoBjPwkAzAoZkWzHyFxLiKbGmHTiYgMuPwQ`EuvAceCwGe[rvB`Mdc@ma@znFkd@tbAedB_SaUBsBjt@q|@dPi|AnFyb@cGi~@gj@sJgSsCyYar@bf@yqBf{@_@|I`GbJvf@v\\z|@bsBp\\`OzZwJr{@`d@gE~NzGdHbArTlGxPwJbk@{bDttEgg@|iAu[dVoVvZmBrm@iLbv@wc@jt@~EtJ"],"America/Los_Angeles":["qb}AvhsFrOwCzLsLvRwE`MyJhe@wGtRd@zHsGlFlCtQkCf]|@ntAvJ`QrDtGbGpSnBnO`JpKsJlHzAh[eK`KxBlQ_PlGbDdWwAv`@tS|PcHzXk]zWWx]aGnj@cm@dSnGnGq@hJsPuE}O`_@uHfRiW`c@eFlJeO`]qVjNeTxJ}BhFiJz\\c@`MoOfJ~GvLsG~J}]cFwp@qDsI`EyR}@qJpHc@dEvIuEzIdBpLvN~B{I~UxArLfLfCtMmNz@sS_F{GcIAnAqLyEsIjHuGlJ|ItQgHtG}Ke@wLyIiIsQdMuGaOkOnChR_]tNoIvTqAzBcMiMohDiLuBmF|MwRd@gHsKwVVuHkE{I}QyJtNgOnDeIhIiMTeDwC}v@tJcC_UrFyNsIqEezGE{@hC?iCklAEKpyDe[@BfiAgmBd@kMkOCyVpBqElD?WuPqIj@iXiVmGGic@_WkHfDaD`NsKkHbJmTzZb@oB__@vDiQcKoQ|I{\\cFrBjAaGwCsDyH}CiClC}EcJiOtGo@eDg]mF`@pPmEtBrAjE_b@pa@mIlZmBcGiC|F}AgCgEdAsPjS__A?ApeMtIsR~B?pCfO|OqHtGhGvA|YoOhlA|AdF"],"Asia/Srednekolymsk":["{jbCi{mGrFmIrBqd@tJwDtNmo@jHY\\eNpG|FcClS|GdX~DgI`Ct@fDkP`ExDtFgU~J`K|CcZsAqXtF}We@yWjEsN`Aqk@\\cEhHwDjGep@E{ZbHgFhFoTjFdI`EwN^qUbE{GHk[hN{YxBms@vD_LoGoYzBqDpEzBtCuTyPqQyJtOmFmPzFsVr@uf@aJgd@fD}KlFzFhCwCfFw[SyEyDYeAnDaAeBL}n@_EuD_Cw\\rGqIEaFcA}J_HfCoIk\\cF|OiEpBaRkKyF}o@yBsDyChHkLwGaB`E{ByA_CwYl@cGpCg@w@{HyJiIkBpKwIaQ|EqVsCgPj@ac@dFqRVgVuHaNjJoUbBrCzBcO_@kMgD\\oEcRBeo@uFtEuFgHuDhJy@kG_NqLsB}MgPjNqNtu@cC|@eCiEeEbJyH}CaBgG?kYkHdRuJwOcI_qApAyGoCoCJcv@wFoe@bEs`AmBaH}EsCuAhBiEwJcK~HiBmOoHtRgBiAaAbCgFwRqEnOiDf@cAdK{AgDqGvEsAiIwMsAkBhtB_JfFiKsGeRlNu@eg@rHuUlBo|@qBo[eJiMkGhKwBpf@kL|S}BpVlCfd@kAho@rCpO|FpEcLtw@cF~y@sBvuBbOvjEmh@`fAmGts@cRvTiK|c@{JrpAEvuAqNxzBz_@fk@_BvKnErEArWjAxGj@sB~AdB?rM|@hC~AwEdAfHvMzOVgEnCl]pCxFrKsA|DfGpIaGdUrz@vDgDj^vz@|HiL}@}L~H}VM_e@~C}EhA~HzEpBtBcQ~CaApC}NbDv@jAyCvBnEeAhq@~CrQdRaJbGmJ`CzWvGdA~Jr^rI}MxEjHxK{AbD}PmCtrAlSjp@eAf]~CwDvBtAfAsKxDp@","yn{AibhH`Os[cPs\\kPiPyJc@sI}MyVdBwE`OjCnO|P~GbIaAjXxWhBpO","ys~AwcjHrJqJSyS~MrGfHoBtB{Vo_@ma@yB}MeOoRg[}G_FpD{CnTcIbKBzRzDvHhJvAxJwRjWpNaB`m@nC~I","y`aBc`mHvGsCdJoS~CwZ_b@i_A_S{PiVfY|DjYcGdLWxUzCtIfIlC~GaD|GyNvKdj@"],"Asia/Makassar":["ai@si}Ek@aQtH_DRaIaAaIwGqG_BcRpVaIvC`Dg@`HzNzJ~DqJdNeDuF{CiEwMlRzBtJcBl@cEdMtDvDwBiAiKdI{CpFyGsAwCvCMxGrD|K~U~QtDtF}GjPpHaAzAtOpSp\\zVnGYpPfK|qBlUaMec@d[svBbeCvGaEtvAtPvQfTdLnMJhKcGxFyLjW{HSyf@bQ{xAwKetAtl@y`@ti@mdA?sVl^er@mJse@`Vw`A}x@cjB}_@ua@aH}CqX~Nu@aKaHW}BtChEdGmC|Ag\\gCsDsOaNuMwwEyDk{@rf@m{@?uM`b@ucAz\\yw@cz@kq@{g@wi@Egq@cWwgAmhAm^uh@wYhh@gl@gOiNVcy@fg@PvMn{@xjAj^bGtzAvHfy@nXx^jSdEldAmSvkCjTfg@sj@j`AeY~TwkBva@gExRf@r\\uKjMnAne@sCzBlF|FkEvDCbJhFvDmFbJv\\lTbB{BbOvAtIwCxCbF`Rb@fDpJwC`BdMfKfA}BlJbCbEkHpGlPzEtAF~ExKRTkDvF?tBdInJHfN~GyDzH|GvN~Lz@rExM|KiA","rcQmhqFoLw@mEiQCgFrSx@rBdD~Fp@b@xCuDJ{AlBxBdCc@fB"],"America/New_York":["{hiAt|gDlNgTbL|Fj@gIhFkBi@w\\lPmM_F{KnQuPt@qJjGuEfNjL~K}FtJ|N|QoMxSrYrYnPdEKzB|L`}BaXpFzCxSgCzNkS|FzIjQ~CrQiEbUdCn]sN~_@rPrUqF`ApDuNtPzIdDbHu@dEwCa@yFzHl@|C{Nu\\_{@xEeMxq@mc@dC}NhR{CtRbInVDxXsF`l@y[vVgGnGyRf_@yJnDiQxO{J`QkApN`c@xAlTxGlFnHIrEsEhF{V_Kut@_Ycp@eP_MifB{KcuAfa@iUyAsu@d`@ew@rRw^rAcr@gRsVoRoTu[}]qw@gLmN}PsBuOcPuE_VhCkYa]{OaI_LaL_c@jFqII{Jq]}]wMge@ie@iD_e@rRgd@tJem@gYyCyHeQaLyVuHeSj@yb@aj@aVePek@aH{Dem@w]q~A_EoGyGk@yAmGpKwRqDwNdEsd@kEuMaHcBoHrCaQyEaThEuJbNcBp\\iQoIuMrDoMsJkHb@wPsYgCob@gDuHvA}TiP{TrE_Jq@cMeIcGoIxEiM_h@vBaLcOuAwMgI_VbP{@vFdCrBiCnDoDxB}DmC{EhD[oDkEbAuD~U_MeCyfAlA_QvZ`Jrh@}ClHsIOaAhJvn@ho@nPtB~LxM|AqBzFbD~FuBpV~[dGoDwAdIjKtBmFpHvEnG{BrG~B|HbA{A|JnEx@~wEfLpZfXd^pI~Wnb@f]?huBfJ|^fKaH`Jb@~GiIrEr@bZpfArJzgAd`@|fA?tPuJhW}DvA`M|QjAzuAltCXEjNhXtCTaTpEPdErUmAnOxJg@zHvLfFqMbHp@|Hle@{DnL_HfE~BaAN`G","oao@rlaD`IyDtAmLcE}K{HyBiH~D}@bK|CjL"],"Africa/Tripoli":["m|y@}iQjm@iWrh@sFp\\hCdYcG`_@dJv]yGlLV|FbBlG|TxJ`Ffs@qf@rWKxY}RgAyT|ByBuB_D~U_c@_CiJvm@qWxTu_Bra@cj@is@kmB~sAoyD|`DoxHg^??o}@aaQBgj@rJqJbImRoMgTaGsVnH}MLgPsPgBeN}WtMgEvVVbb@oHjVq@tT}X~MaTbbAd@rd@dYhfA?|hJeJpQqL`x@|Cby@cTlr@hZvIjOb@pKiFzTzl@tEbChA`IvLtEhCtN`KzGfW_IhT~ArWbT"],"America/Inuvik":["upfCvwiGx^wG`lAEtAqLzEsBrEdBzDqGzFrH~IkCJwqC|AtPnIaT`DjNbHeZ`BlH|JnFrCgPrDWfC~GpByGnChCiDqg@hAoCtCjDx@aFqFkMhAiS|GtMzEaPjGkFnRhWjBbMjCgB{@yJnEc@\\}JzEhJpBaCzCbJdGmd@nIyJCuHjHbI?aScDqGzAeNxDiFbB|AxDeMbBbGxDiEEgGhCl@fHaY}@{LjET~AlLzDcXlHaHOjE~Fn@pDxN`BeOlFmDDqL|KvH~MyQtBrCjDqVvDhGt@aEfBdEpEgFxB`DlEu^iDuDTy\\jF}KlEe@nEcPlCOrLkf@pHuGrBvFrCcCtEpGnDiAq@cIpPoBO}d@sCLW}GjCkFeFkItE{Et@kX}C{[aFmAHeKrJeHtCpHdBu@jF}JfCJVwLdDx@xI_FhKmR?amFahNA{Iti@g`BCi@qi@aiN?pq@zhDzJ`aA|VjGvIiR|tA|mBpItYpEyBfKoZ`DcA~KdI~CgA~FkV|e@`t@hLeDzEfNlHzBpQbUxsAjnC|RroAfDt{@dOhq@bSzeBoKlw@rIxuApKn`@","ghwBl`sFmEuAsA}G^kB~@RbByAfH`Ct@bCmBrCKhB"],"Africa/Khartoum":["q_Xkri@`KeG}FqObFiNtJlD~NwFnHZgAcI~ZzCvLiM[wG|KwAfR|DrZuY~c@uUtc@`@rE~HtHxAn@mG~PdBk@kt@qJ{JmUNyRoJuGV_QeRaQmA}Fac@~AuOzKCjOsPdSgGpEiUqGmZ^yn@rOaGOwl@aWmPYu]wS@{KgX~b@yv@cBo[}_@o]qUeLqWa]sG|Cy_@?iNjQAqg@wPZ`@cb@`d@zH~s@{ElG}O`^k[|Lg@lY`F?iMia@{FkCiEc\\lAaSgRjHyJhCd@_BuDuHwFqQYcBpCsQkHaPQoGmJql@wYeAyZ}Ti@iRiDuLyH}h@sHyw@|FuPmL}QcBg_@ePqNxCyS}F}Lt@tBcIoA{M}OqFcMu`@lCmBgCm@Z_GwU{JwI_TuClA{CcIwL{FiM[eR~GoFbP|AjJoQdEwBhMaI`GbAvLvRtL{dA`HwXuGoTb@ma@lWeU`B?d{DpM~CrA|ZePbW?l}N~{B??n}@|kG?{C~SpBp`@rHzJxSgCpUrSlJyA`ErRbDj@l@}BnKb@vEeH~Wl^jYsLbQdU"],"Asia/Ulaanbaatar":["}bxAuytDff@sErEq^za@k~@nDePkAcYdO`Ep@uKnl@eUrVi]zIo@kC_p@hMwpCqF}q@\\c`@pIqz@lP_M`E_m@jNsg@vDog@gDa\\hLLL}WpCwD}Taj@{_@wlBxBsuAqBaf@eSk{@ca@_c@aVyy@aNpCyX`\\oc@yRuHiNRm[dLuSpFiu@aMu^}MeSeJiDgBgK~Aue@wQ_r@cDwE{J^oSsR}D{Nl@q`@wL{Ak@yIrD_GaMqc@fBq]sDuE~FwKzB_c@eDcMeJy@qT~LkMbWqBgA{BlLsFh@{EvUuLlKi@bn@jVzY}Nta@`@lb@hKzR{MvUsMdBmEiQuOr@}O{OqCh@e|@ki@{Jz\\hHt]g@zMkRrg@cCj_@hRbt@bHtPvLbIpDxLGxTnKlz@eAfH~Iva@kCvYbE|JeC`g@eGvUx@hi@qLvLeG|T{Ok@sBfn@iCxGeGtBiFpPb@l\\eA`JoCt@uCzj@nId{@xI`OkB|u@aGb@^nQ_EjQuJ~EyDrMeBkAgDbG{HaAgInFiHLMgCeCvBsGjc@vAvIyP|o@Dfi@aJzEs@pZaL`[nPdHrGrXpGdGrGALzI~Y|LpH{KpBdDtGsBdJyRlI`@|PzMjFnKeDvEvBzJlGtC|BrOkHvMd@nWkCzCfCfEoE|ImBt[lCIpBdQxJxD|LmCnGeNxMrItPjC~GnW`@tQ}Erj@vFfUlGpCrEzMbEwBvIfCvJ~MrQkZjE|E|Ria@f\\qNjBlVnF|GJ~PzKeH|UlNrCqA`LpS"],"Asia/Irkutsk":["q`iB{xyDnLwY|DDnRk[~@{GcD_CIyHvGqZtL}Oj@}VfEk@h@gQfGW}BcV`BsV~CvB`EiPdCnEeCjNpGtCD}DvC_@hQlS~Ho@U_J`DRt@gItDc@hGyTt@}Z`J{EEgi@xP}o@wAwIrGkc@dCwBLfChHMfIoFzH`A|C}FnBdAxDsMtJ_F~DkQq@sOrG_BfCk[qCqGtBgQyIyN_Isw@~@ca@zGaY?ua@tQyWv@y`@kJd@qIqM`@eHuEwDeEc]uGt^wFpFcB{K}MuCsByLcGvJsH{FGgFcDOvBgQmD_HpHkITmI{Cu@oJqa@hEwl@iPiRoJwj@iRoUdDgR_HgI`@gVyFqMHmZsGmHuCaTsHiJcDn@wHwGe@jMsEwBmC`O{UhHuVyhAoKuJuLeZgF}dAkGq@mG}IuM`DeK~UoHdEhA~O{BlKiAuBiBhD{H}@o@zCsF?{FwC{B|FyGn@q@uCgH~H{EQg@{FwG|Fk@|NgCEmBeI_IJiDeHnG{TyAaNhGoYaDiVcHuKlF}Ck@kImDb@qDgGuFnEsAaH{EsBgAhK|DhGmE?AnEwIrDm@mDwCL]jKoFyAoBrEoEgUkLh@qAoJyGtFoE}K~@}b@tLqYuBkZcGlBoFiCyGnVkKmF{DxFwAwFoC~@i@`H{Fr@gGoIy@pDkDScDdVuGvGRfK|JtGHpDoFbBnDvKeA`SaEpGmC{D_Kg@{AtLqEgTq@jUmHjByDhSqD^WrXsHh[rBj_@zNxJpEt[|DrC|AcDbDxN`IrIlH|a@~Co@`FnJbBiEjDdCvEtJ|@p\\xC`CBfGwBBjBzDzBmDhE|Cu@zCoMEgI}KVtVyFgCqEdCxNrSlBjQgClKtDjO_Df\\bEvItAmBvD~EpBhMBpZkE|D|@`DoE^aAxF}EAo@fOeEsEgAfEoKeQiEfCsOyPwAfCeIcA_J}LoDAwDwJkD`De@oMwHd@cNmPcDx@\\hQ}EfFkB|TqL}EiK|OqIp@sN{X_ElCgB}CuB|E}B{@Rl\\oH`KeAuGoJiF_B{I}FjKyAcBO`CiD}ACtBkMt@_A`HyKxK{@~y@wEeIgGMo@_^{BvDeDiBoFdNqB{CaF|DpBzXdAwKxH_EtA`CK~a@vFjKQxLuCvBjB`NkFrVvBvBbFoJfHtJzBkDdErD\\bGhHwO`DfFoAvK|EnCz@{DrDrAhAzPjIwCfGkSvDtAvCkSxBzFbCgDhEfSlBiBtBnGh@kFpLhCjKb^rHcDhHpe@jFbDtCl^`AwIrG}D[~J`FfMhG`BnAsBzBzIlE{GtFfEdE}G`FWrEmN@mZpCkInClDnHeDjB|DrEoEeAvZl@rDvCuArDhOtL_Lt@uOrG`CtBgGdGyBlN~b@vBbAvBwGjCdDfCrTaJzN`BbSsG_EsH~c@yKdJmAgFyAxRzF`KJdSjE|DtCuDbCdBjAkFhIQrL~UhCtXdLfOtGlYlG}@|DhGAvJlEuDjG|DrHyHdD~KoHnUgG~CsBqBcFdNsL`CQjWfQhNpCn[}CpMaAtp@zp@be@tBsSbHvKx@yRpNxA\\uG|H?AdSxJa@l@hIfG`BaDfMxExGrHBvBtKrB|@tAmC`AbDpB}E~AzAnMoG~C~PvHw@tBtDxFuF`VbJyAr\\bJbHa@`L"],"Asia/Tehran":["w{kA__uAbNkJ~MB`DmEtDxBzDgCjMj@hBiLh[bQ`I{WlPpArGuLhK`BlEwHhLhC|DwLfIlB~E_D~@{JxGJpIeFpE~@m@sKtKiLuBsRpBwOrF`TlJn@lJaIrKyApCfGsBpGnKpB`D|IvDhApJsD{BjLlFNt@`DlH_HxHBpIzI|@oE`UaNyAsHxCkBfCbE]_HfNmJdCk@jEvIr@yFlDfC`B{Tv\\al@mAkFpEeJ~IqEpCpAjUaThWhJrWEDuTn_@RdP{VxK_BjJsYr@mc@bdC{sBh`A{mB`Sot@vMgOzNyCdEwGg@wM}IgGpKeFAeMaJcFiJdFi@{O{KuFqYs~@mKwEzOgJvQLpVwGjUsMhN{r@|Pc}CvMa}@wq@mEaEoIi_@qBqCoGdCkJ_NoDuB{G_D_n@yZkBs@cD}DdBqAt^aLqC_r@lB|@fKoJzKgG`]w[|YeUlFsHtMkSvN_|@cy@sKgAeTfG}Edt@w`@nAuIeCgy@vQ_WuUgC~Rm_@pEcLkIJmMiLdJyFkOkZaHmJjBy@cEiNyDsGbCyLw@cC~FuHcF_`@jD`@|p@oW|QeFr]iJvHeLtA^xF_KjXxCfZmInM_Kzp@uE[eJ`GtDdJoEdRz@vSvCpEjE_@Qvv@fTtd@~LpAhDxFhFxYgAlc@lOgCrR`lB[|N{Grd@qNl_@kVhQaFjTQb]sE~Lsh@dGbBv^{KrI?hHkFxB_FfMiCTcFeSsNtKyE}MqS|V~M|c@rd@xt@aBdKrC|JiHhj@yKlGSrI}WxNcJrPdEfH~OxA","mtu@qp`BxEkAI_WcEaA{GpBgCpIdCvI"],"Antarctica/Davis":["~}fDwjvC?grOo_h@?nzDfrO"],"Asia/Anadyr":["sm}B~p~IcOmi@_LuNeAcbBkFwi@lEkXdGsGfEjEnFyAhQcd@jB}m@pYagAnCa}@iOs~@cY}Kg[dDgF{MtAi^wI_g@oFiM{I{BcBiGzRwr@}@oCe_@?@~K{GEcFlGw\\j}AqFdDmMd[mJv{Bqk@f`Co[hoBaf@lsBeBr`@gIpV","ybiC~p~IdBuc@eJinBmHwb@iEyIyGiCcI|LgR~y@aEreAnBhv@","}mjCtmwI`JePpC}^uCm\\aImIcHrKoDbh@jC~X","{zbCeasHdEcJdChEbC}@pNuu@fPkNrB|M~MpL|@lGjI{Xz@}Z`DcAhQdUdG@zLehA|Ts]V}m@`IuYfHwBbEks@vCoF}@g^aEvGU}M}FeJ`DsUuD_SxIec@tDuD?iFyHJm@iGpFeRa@_NrDyA~AwIbCnBqCgThEqd@sEsZ`Rq[Xos@~EuFToHlKuCxA__@vCDrB{JbFFfAmC|GzXlOp]hCK~DrPxGu[{@sMxOu_@jA_WxGtCbAaGdBvA|HwI~@id@}G}Xf@qBfBbCr@uM_CqXaBbBqByMBsGtDoCqCmNbEcSqKuq@~EgMTkOlDNnBhHhD_H`F[A{IxEwH~BhBpAaDx@~CrM}B{l@}fDG{f@hO}eAKmRkD{MqVq]cS?kQtFyTdc@o^vIuM~LqN{O}Mwr@_{G?uPby@sN~vBgNfu@t@rbBwPt`GfAdYbI|Qh@fRyFh{@|Azf@v\\hcAuBv}B}GhTuAhWdDz_BvMrArAhIpGwEzAfDbAeKhDg@pEoOfFvR`AcCfBhAnHuRhBlObK_IhEvJtAiB|ErClB`HoEfz@bGzk@e@vh@hDzPlBteAbCbStJvOjHeR?jY`BfG","qxiCutzI`UmLzEiSeFqyAo_A?`Wl~A"],"America/Sao_Paulo":["b~y@`roBvDyFD}QuKmHPgNdj@gq@nQU_GqTqFqDzKeMzL{ElCkIaCeC|IuIZsNn\\k]ScGbJiNfU{G`Qu^vXrZn`@ZfJcUwPoVuVcW}q@oUki@o{@_^k_@ud@wYoj@mQad@uXuT_VgM}XuQwNchAuQ_`@pNa_@iDym@oXgr@koAo`@eyA{k@iaAyLgfCkSeReSoDuYsj@{HgBwObBix@kf@ip@oPmMuO{ViHgb@pBcY}CyA~KaVra@aNEwSdXs_@eG`@eL_Ek@e@jDmKyBO{F_IyBmGgJuIwBaFrByD~NmEvBd@bHkCdDbBhEqG~G~A|BcCdKvFdJu@xJmNp@yWxZhDbQgEbDm@vOeUb^qBzMjI`UeIbUyRoEqEdZtEzTrXl_@GrF`LpNUzEpIvHt@rMxFrFkCtAmLsHoEpCeXg@iF_FsNxRkRpBsKcF[~CgHBoGiJRrN}Kb@cJeMlC|NoIhBfHhACnQ`Sli@wJvKxUzAwH`HwCzMjClEqHk@vGtQgIbCxJzCaO\\aOxOrHpEmIbHzDfFfWdGaZxx@}HJsPoHbEhIr^pPdZlClQbL|TsA|@jDjJvBfM]|WtFpEzGsBfExDtKdFpFpR~A`TlJ~B`VfJzCjM`UrMoBjB`FpH|AlFdM~KpAfMfInWp@nQeJ|DzChMsAnAkT|JtKdEyA`@cWhSe_@jS_y@vOiIpHrFxIeBtS~BnFtPbQxNlQv@lK~NzK_@`IvE|@vFdJc@n^xXnl@rdAjWrG`GjNl]dFtIzM`NaDhj@xKvEiA~P~JvGs@pE_IiEaBWyKuDyCvFCkBgD|DsHlRq@fNgKtYjFzQmD`EbGrEENvHdHjGiA~DjJxDoAlGhEhFkBfBrFfEuAdG~MtFZfHlCeBFvIzMdN`HlSlDqEvDr@{BjJlFJr@xFdEA`KzPpPxFxAvIh_@tVxGrOdLhE","j`g@jvx@xHmCfCiH}A}IqHaDoHxBuDbJtBpI","r~f@nww@tHuBdCuGwA{HoG{C}HnAqDzHnBrI"],"America/Lima":["xdHvhdDvbC_PrkBqk@nu@{i@bh@s}@du@a^he@yM`lAyKtr@_Tva@eXpZ_]bi@yMfv@u^~k@_b@py@sz@hVu]ly@ubBn_@yiAx`@i`@aMj@{e@sv@q}@qbA?{vA_DmWgEyFiJqEmTpAZcGcIkKwF?yD`J_L}OsTwKkC{IoMO{DaKqGjIs@tMcb@zKuTsPsQ`N}HMuAcFaJe@}KwMsG?i@{H_NnHcI{ByGjHgLuI{c@q@iVuLe`Brx@k@lUjHnVoGxLzBfDqhAPkBkD_L|BkGqEba@hl@z@`{@uK{@{A~EkGSsFhEoDbt@oOkN{Ha@}PbMaDzI}GQwFbLwRtCyFtH_GyDkN~Q{BqCgFpA{A}NcKnEiPsDsS}b@eE}@mVfGwViPy]mCwBiCgBiK_PoQyAoKsLuL_B_QvBm@sDqDp@oK{CiAA{SaM}I~A}C_D{BhDkBuC]~B}AuBiJtL{FsEkDlFeCuBaE}E\\sHfLcMzEpBlMiDjK{}@}f@wGRdChC_IvDLbFuBuBn@dG{EnGvBxBuFhAiGhLWvF`EQm@`G`EjBeAvF`CvDiG~BxCrAmEf@u@hL_DPvMjJqAdGvGnEcBtDxBvFyCdAoB~LzDfBwBtD~B~H{EjA\\zD}FjEeHcEsPxCqBpC~CzDcGdMwFcDkR`IeAbN_MdI~AzBqCrJiE`BuBgCkDpFwM|AwH`RsHbCjBvDwKfRpFnF}ApQ~C?W}CxN}GfF_IfJbB`NkDiA~Jhf@|Ibb@h]b\\xc@pXtjAtUbUpGUgGdIzXtBbLxHfTjDzDgB|HnBbDnKlMhAG~CrFrAaBtNyItHoOdCuDxGhBnJ}KfSfJ~Ja@nFoN}GR~GuH~@_IgUq[|D{AjD?faG"],"Australia/Brisbane":["th_@uolGbnQGAozDtzD??mpNqYaa@vBqKaEsc@|FoH{@iRtEeOlEcAzDkMfIMvCaFaMmHaDcInDmCgBoMoKcCyJnFkH{Y{E{C~CeFiCgAzDoGkBaG|AiM{EiC@mJ_J}W{DlEua@uFq]lC{MtTkZ~BqSgFsN~Eeh@kPy[|FoEzJnCdv@sH`Ik`@vPoCxRoAgN`U_Xn@kMzKwH_@_J}F}EuI~@_DxNax@lf@e@tIjGlOhGhExHu@wAfEak@fLgVvOeY~@_QnTiS~HuJ_DwHtCwK~QlB|L{ItGkGnVxE`GFfMe}@h^}ArJxGbIMrEwJxPiS|LgJx]cG|BeGiUmLgCcLdEsCrGcKl@_a@h]iBrGlBhMkCXkGkLqZcCkN|NiQhHoDbKaUnHaNkBmLfFsU_JiXfAgUbQqO|d@eOxNCvMuZ`R_Oj@eYlJ}s@{R_h@jBgEfEe@bIrHfRvLbJ{D~AuJSw@sKqLeJaO_@gL`L{DkA|AcXoXkT}Kd@wLvIiGb[`AvQjHlIoDhAnD`B?fIhFdDfEn}@jEnEvZvBtQfG|l@yK|OlE`FvGfr@`Qlj@_Cfg@hJjOiFzTtB~^aFvt@hOtJy@r^pJ|XdQbOdAnA~C_GxE|GwDhJ|PHlLmHjSgd@iSqHO}QvKaNtc@vCzLlS`BvJnJkHbe@uE`F","`sQqisGbBcAxBCd@{BoAyAgBJqAcAeBA_Ax@EdCnAjB","xaQumtG|Am@n@eB^yG}@uBeBY{CbGn@vE","rsQ}qtG~AcAfAyHU{AsAs@yBpA}@dH\\hB","`kQoguGvCyAq@gCr@mJw@cB_DcAoBxAvAlR","zgQskxGrAg@ZkCvAqADoBgAaAoBPcAvAHfBeAfC`@`A","lh_@qg_HhKwGIiQsFgLwKwBgIhGcBbUhF|H","jia@qh`HpLaAjN}J|AwJiE{IkUeEoNxFqAjG`BbQ","|c`@izaHvJuCzByJgDoHuFsC{E[aHlDuA~HbFhK","tpe@webHhIkD~JqYsLyQyNyB}IxEoGvQ~DrP","ru]_ybH`HwB|BcHoBmH}GcCeHrB_CpHvBlH","pc`@}jcHxHuC|AiImDwLqJaCmG|CuAdIvDjL","xy^oncHhJuEB}KrHi@nHuHViIuE{FmH[wIhEsBzF|@bHyMgC}IjGk@nHhCrG","h`a@_ceHrQaAdFmE@eK_KqFGeE|IyDn@kLaSsl@aYkJmJ|Hc@jUvRd]fGzCoGpHJxTfClG","fri@}}eHdHcC`CqIyB{HgHaCkHhCuBtHrBlI","fth@svfHxMmH`C_LoA_K`_@_E`NqOrJyCbCkLsFmPoTgDm_@xLyO^yMkFeMzD_I~c@dBrM`H~D{AnMtFnG","jpd@wwgHzMwHb@sO_MmMkRh@iKxJHfN`FxE","~ti@cljHnMuGj@sNgNuOuMkAcHxEg@tJlClE`FtAvBtJ","f`h@i`lHxIyDnAsESmF_G}GkLY_GvE[nI|C|E","dij@wrmHxH_DdDkMgCmTaJqE_HdCeCzIz@bW","hll@ejnHbHeCvB{HkBmIqHsCiH~B}BfI|BnI","zph@gunHhHmChBuIeDaLkIiCkOlEkCfKfEhI","j{`@u}nHlKgBpD{GsA}I_IyDkIfAwFjI~ApJ"],"America/Denver":["kv}A`taFx_@?dPaStEoA|AfCfC}FnBbGlImZ~a@qa@sAkElEuBYwP~\\rFn@dDhOuG|EbJhCmCbHjCbEuMuMsWxDcG`Dx@?iCbOsCvK_NbKDvDgSbS_GtDiHyFqCjAuWsFeEz@er@qE~A}EeGlPySryCINbzDjlAD?hCz@iCzgFJCgdDrHmMiGxKtExAp@zJz\\fPvI_GjVkCpHjB|@aKgFa@@uLld@uCYk`BrDdBTwCgE{@\\uFmEiC~@qGzFV_@tEkC_AlC~I`LkAeEcL~DCDwOh~EFAss@e[??_hBfBeHrO{IhEyNf_@{a@tL{XcAaCorAB?{rBowH}BL_{@sm@?De_@g{@nA?cDeZM?mDcZA@fh@eZB?ol@mj@h@?aEwTB{Tf@@lGwTAD_b@{T?@{DmO|CcOoBAjF{I{AiLnB?lS{p@@eBaIaSi@?g]cJ}KsEzAQ~IaD{BgArF_H]_CvEh@kKmEuGkGn@k@qGoUEqH~KkIuJ}HtBcDrH?jr@kJm@iEaL}GiBArNeO@mDrp@ee@bBA~B{PrAr@|HjDj@_Jdd@jEtAo@pRbDpCkCrPgO~B@hI_F?iAzCu}@HA~lV","ileA|jxEwAa@s@cCoAMlAH@gB\\?iAuCnDAhA`AEn@pB?@vEkACGf@o@Q","yldApxwEwl@?DyFgGuFe@sZpOhGh@xFhE~Ar@gFeDwCnBiGtAx@JiKbDIYeEfPe@rBfPnCs@"],"Asia/Riyadh":["ynu@qhbAtJ{BzCk[vRoUn\\aOdv@_j@xWFvZyVxr@oRlPca@n^oUfHmLbWyQ|Qk@rRaM|a@bErp@wQrr@o[z`@{Yrm@}Mb\\c^l[kG~gAkf@d_@m[cFk\\Bmq@}DL_AuI}Go@x@sDoH_AuF`GwEqATkC_I`EaGqJcDxE}DYiDeJdMwX{Dk`@?et@fEmJdDwj@aAsg@xSsN?mJmIwPySiGyk@mc@c[ky@}VesDo}@ozD_|Buh@ik@r[xCnCeRv~CgiA||@uG?}FzI}OsIpJzYgCfMuT|Gy@|Cua@tDaXlR{]kAyH{AkBiE{[tBe^`YoCy@_@eQiFgCqGbAaAlc@bH`J_b@r\\eT~[tG|MRhl@w\\~MgKzjDwvBhcDiOhg@}b@f_A{KvjApHdKf^~{Bn}@}|@nItSvS~HhG`l@jZ~SlNnV_KhiA"],"Asia/Almaty":["md{Ak}yBxCq[dDlKtB}D|]{qBnOyZxCgaBfJIjKuKn[jKrHwTvo@jB~D}OhNmSvGrGjHcBMfHhJRtJfIdIaMjOtg@ff@dbAkAdHnYDvBk`@zl@_JKqmAvFa@YaH|KjHjOwd@{@aDaDPy@jCcR`CpAsLwC\\}IgRiGJqEsKCmMsAtBoB}AqL{d@aQeSoAoEzDaIcJ_FyA_JcDxBcJcFZyEoEjDCyHkJ{EeCkb@hI_r@rGcOn@{WlCGz@oIwKtBsXuFiDsUaF_Ct@aNmCLhPca@`Kc{@}G_F|Co_@{Fgf@nGg}@aBc`@vGo`@yAmIpGG~KwQl@u[bMeL_@}DsK`CaDeCoFzEkKcE_CiTsHpLeGmYmGv@_@`EaHeCyf@`UeV`B_G}BqMjNfBhIqFhFqGeLNaQcGqSxAsJiOuu@xHkHp@{f@qL`@cFlOcDh@cSyCkAoF{lA}b@rNiv@_Aus@zGqJyJaPD{RgJmHmHa@aG|Di_@`DeT{JyIgu@mQsMkJhCoFeHd@iWeF{@k@xPgQvKq@`L{FaIaEIc@~DfM~XhFjCgHfe@p@vSwHlBcIpLcHcB{HnXHpOmD~E}LBgLtPeCMkLx`@ClR|FxGuAlNxCKlEtI`@tWuDvWxB`BFlPwLfAv@`UmOkDz@dEmGbVxEtA?tJxMgAjC`QnCNq@jFdFOaiApv@otA~nAim@tvAmG`CH{RwGsFwC`E_DeHrFpPm@hWdEnBzJtr@bE_C~IbW_ApO~HrHm@`J`EhAb@eCnFbEgGdHj@~J_Ci@i@tIpC~CeAtHbJfMgGlKwE[qKmKd@}MiKwC_@pG`GtEClNuA`L_FpCmA`WxDvCAeHzDcAw@pIzCrBwAhFiEaCiAbCqBsG}A~KuBkA_F|GO~HxBkEhDbBhAkGzBdAiG`ZfH~@}CfYrDpFaNhJn@oKqNz@uEyF}ElOyEtCkKaC}KfLLtTvG|NmKr[sA`WpBdI_FvOrHiCsDzNfJ|FAtZtFsGrE`DAzXvEzFUpUpMtmAtTkErA`HjH{PpE`UbKeDCgGzQhC?sGhROlA}G`CCx@vT|Ca@VuNdDZMzJbGUDxEva@f@~BbGxOvEzCpXxE}@pBcKvJdFfAgDvCzHhDuDlAjBrF_LtNv@_GqT`I_Iy@eGzGuCpCqX{AsOfAmFtDzAdHeC{Iiq@hFsHvFzFzDxUnEmAtK|Mt[vm@tJxEhPh\\TrQrEjA~AtN{Efm@jO~A@hMfI{E`B|TbFmBbJtOzOiO"],"Antarctica/DumontDUrville":["~ugC_kiF?_cmAowH??~bmA"],"Asia/Vladivostok":["cdaCkw|F|I{K`BrCjKiBVoStFuEzGqd@jNsO?}R~MnNlHqKjDuRhYyUdGhDhBaG]c\\sAlAqCeIoBpBqAcCmDrEeJiBwI}NxC}h@mLqZvAaHgGsAgB}HyD[mFiJiA{^mEeF^uNeCG_Nij@CmYlMet@{@_XdCwOqDav@rIea@_@qT_CdFkDsEgDjPaCu@_EfI}GeXbCmSqG}F]dNkHXuNlo@uJvDoClg@wEpFiBoOyDq@gArKwBuA_DvDdAg]oSqp@nCorAcD|PyKzAyEkHsI|M_Ks^wGeAaC{WcGlJeR`J_DsQdAiq@wBoEkAxCcDw@qC|N_D`AuBbQ{EqBiA_I_D|EL~d@_I|V|@|L}HhLk^wz@wDfDeUsz@qI`G}DgGsKrAqCyFoCm]WfEwM{OeAgH_BvE}@iC?sM_BeBk@rBkAyG@sWoEsE~AwK{_@gk@_Dhs@yCVeKb{ExCbfAnGkLpY~hA~T|ZlRf_Ac@zmB|Ejq@|Gf[wEp]uMoL}KjYoAjc@pF~p@dR~[jZpRt@|G`Mea@H{NjFyIrFvJbKqFhDlGdHcAnDudA`HkC`EvG~AqIhA~OrAqKpDJzFyStAjVbHtSvB}@nIjFpD`JzByBhFnQ~DiQxSe[vFeZpCjMfB}JnJv^nMrMrFhSbEhCsA`P|ClMlGrAgDjRnGjCfFhMZcBjCpDt@wBjFvElAtk@pD`GpDwBbC|Q","oihBet}Fv@wQzFiL_B_LdCkRjYeF|EvDgA{UrFsDqE_LNgm@}Ram@`FyUkJce@lLmUr@jGlFuGfC`E`EkA`KtOhJeBtAuEtGrHhEq@uCbn@oI~d@bIoAnCdC|KoJhDjSu@fPjEfNtFdBg@|FvDoB`DfItGti@s@tKpTqDiAnI`HlPlK`E|AhJhEkFtLzMdC}C_AiOtBuAfEhHhF}BqCcDlCqQtJqGVfC`KBjCoGfI`@lAtHxFwIzRnEl@lRbO~BrBpW`Cy@bM|HjG_EIwGdK{C|KfJ`JaM`LmDcAi]jDyGgEuk@tA_NoM}EVmHgJmNOa\\mG}LoIen@bCwObV`MzNoM`OhLxAvNdFzGrKiBzGnIxSzApIjInCcEnBzC~CaBvE|LjE_B`FdCpE|KpLM~J|SzQ@zElJyMnz@oDjFjVtWh@jTvDnJ`HcHnh@kKtBdCrYbB~B}FfEBjVlLlDsA`Llm@lB{JnCsAxDhC|IwD|KyO{a@caEmj@_rAcQaS}`@mWsHeQym@}n@}b@ip@in@yi@s]wLsPuYo^kRsf@gv@qTwB}M}JwXcBuKeFgS`BaLaK{JlIsY~AeKmIcPqBe[sXq^yIyQdC}l@cFuCmC}RnLcLng@aGhJgJ~BoNb[wHtCip@v|Awg@~l@uQoYwDqOeM}DkGcOwGgCuOgZwMen@mMuE_AkOsImR}XcNcRco@yYq`@wF}OgJqoA`@szA~KiVfA}PaL_w@yMXi@}IuMaCgBdBkAuDuHfE_CdFtAfLaJhESjHiH~GtCr`@_HrQuBkEcDnGoPya@`CsUyIuDaEfA_CaOqBzDcAkEaLbC_EkBE`C_CiBaC`IoEa@yKrNgIxVgBvRtCN`AtJkFb^h@nMtC|GdCmArBlClFhSy@nPsGoBeEzCpGjPcIC]lRgDnEx@fF`K|HyCdNjElOuK|OzB|SoCSoChQiOjNd@pJyDlCeA|OjFzGbA`R~S`CxB~PxIbBfIbIk@fDvJrGrA`^fFlDi@xMpB`EpCeCfEzUdFe@lGhHpH{L|LbIbIgB|ExGtGiDbNlDhF_EdC|BY~IoIGdDrGQhPnEvItDcBrL`m@wIdbAzIdT~LtIsAxYcCv@~CtMuFj[~@zWcDpFbKxi@dE|Cx@aErEnCOrJ|DdErGqBdE`I`B{AGdQ`GkDdGv@m@lDnF|FzCqHv@nHyHxRt@|Lb^af@rErTnAqB|E|IhFKzAvFoC|K~C~HnDmCtBcRfDC~HaPnFwBzBpH|Em@|@vBjCcD}DjM`FdCcC~KxEfFfIa@zCbGtNdGfOkKgBgc@xByJcEwc@nFmNfD`@jDkFjBaLzAhQpFdCStN~HaCl@fTtAdFb@kFxEjH~N~n@dD{BpL~EhA`W","ydmBwivG`H_EdCgOiBeO}GsFoHvE_CrNhBfO"],"Africa/Algiers":["adv@x|Ozx@AtoCunFvqF_vJvVBGoH~GuPrQkKrC{F}DeQrJqJpEp@qCkRtEcB|Ho_@bWUhQlHvJeNw\\kxCmvA_fBcfDqzGwm@pW~BhJeU|_@d@t`@cFxGuRbJsWJgs@pf@yJaFmG}T}FcBmLWw]xGg`@cJ_X`Gq\\iCsh@rFag@fVaFPcB_IqsBn]qXrk@aSbAgPzKoDxPce@dR}OOgGmFOaHgKwByIyUuHkEwJ|C}RoMuChIwIqC_XdGy_@wHiD~NqFmQ{Gd@iCoNsRlDaAbt@oFj_@hFd\\aFbTvBdMtIjKrCb[wG`eBzEn|@tIh`@vHvtAx\\r_AdShnAtYvVxGzR]bM`QV`R}\\|FdFtFkIhE|D|PmGfXfD|DqGbStCjLmK~EpCdKaHhN_XvJlNpIhBbBeHd@vYsDdZ~Bvv@fSkD~Hvs@~Mc@`AjExFrAlG_@uCqCzDsBoDIdGaEvJfFdJAjH`i@hM~NnUxg@j[|RmA|JgCs@k@tDrArf@nEpSyBhVjGpKj@dOvj@daA"],"Africa/Johannesburg":["~}fDvvI?wvI_db@?n}@vvI","~fw@{{^vk@kYjw@gRjr@c]`c@g[`YsDrXpY|KhBn}Awa@xIoKxAwV~Vwp@dC{]uU_v@eE{{@_KcVgDsl@lFusByIes@y]kxAea@_y@c^si@et@wt@o\\cg@ug@a_@oiAym@gXiXkEaOcUaXs]qLanAkScFtbAz^pACf]aFlTiIjIwNxDtB|CqVNca@cScJyJq@eErPi[}AuE_FvAik@mEur@`BaUnEeC`FeX|KwPE}r@lQuC~Y~Bba@mMxf@vDre@fNjF|E|b@bh@nd@YzGpIpCrGpWbH~B`AfE`b@dFbHvOvMdJvE`b@`IcA`o@~UlD`JcBtQlEfUcChSkHnKz@jMqUx[f@n[`KfIt_@nF`LpIk@dDjHnMxPbKpAhOzFJtBlDX~a@{CvM|EhLoW~CyVcOqOdBqM~HsJg@sBxEgUbJ_PbW~cF?dEbZdJbEhAjKjHu@hCxGcGpYfDx`@oH~OuAd^eH[cEdEsCwCsEt@kC`Bj@jFuGl@wCbFpAbJdKtCFjCzIe@zF`R","b|x@ews@gI{Tyc@sWc@cPqJsHPmI}CgBiBqNrK}HPkGhGgAfIyS`O}GrHdIpHTnArFhItBfCgCbKrVdAtWbHxJ~C_CzDbFhL`BqCtUcQjPh@fD_Ko@F~C","ltzAizgAfL{JLy]mJwKyVuDcHzIOnTbUvW"],"America/Cambridge_Bay":["_ycCtujFrgAsdGrrAwxF?qqBrh@krAnd@iiM{kDA?okXglC?kn@zd@gsB~~CwU`kBgiAryNiaL?`c@`bG~X`pFpyPA?f{CbFYQsIzBxS?pMmI?@ngG|Ez@`Oc_@vC~{F"],"America/Anchorage":["ghiB~k{HmL_e@wJcDgGwKpCq^lKkMpFwj@OgPcGcToFsIiG{@e^`[aDsBeGqm@{OiYmKme@kJiEBqNzJdB~PsJhBkNwBeQ_MsImObJyDxLcJ}A}JoWmQ_RmHP{Piq@iP{Xu@cNbKtZ|QvPxFwAjF}OtIm@xFuK~LxXrE|C|Em@jHiWcIcaA{EwH{M_F_d@i}AaTsHgSjK_D}XuKmGkL~CoDvQoGlHgEaPiF}DsNatAgMmQt@{^uVwYK_h@zGiLl@gVcIoh@}DeFoGm@eL{y@`JyfAlNdIpJeS{@sRmJeRqE}mArIyfA}c@gg@yfQAiJqNm_@zrC`HpfBs]d~Dt@vp@sE|bA|DdpAaWvlA{@v`B_N~z@aOtdB|Gfp@zX`{@_D``@hBhl@hFpg@hYliAKrm@jeK?xC}NdJs@zEiX`F_C~BtGmC|PbAfSjoI?rA_PsC}TxCsSoEm[rBmh@cH{SlN}KfDsJ@u\\_Jc`@bMyM`TzCzJlGjMj]lSpUv_@ntAvHjPfIlFfI|jA","{|kBfcsHzG}EnBwN{BsN{GgE{GxEmBjNpBvN","s_lBp~oHdKuJnCaUiD{QiJgFiLtDgDhRrGtZ","y~rBbv}GfHeGnB}RqEaWgHeFqMzJaCzSxDhQ"],"America/Edmonton":["wliB`kiFhj@?tJyPEzKdEi@bHyLRaQlJcGhBsMeEA[{CtFuLfC`BVqFpHsAbAmMpCdA|DeG~BhCvGeI~FxBhCtQvQiI^eKvN{COeKpLlCvLsNe@cOhOkGs@wGrD_B`@sF|G?z@eMrE}BdAsI`JtGjHeEC{C`TeErEvNtGwE|DtDrI_@eByUtMcGGwG~Do@z@{GhIiG@udJadF?Sgb@aH{JmFAlG}UiLH@sC{OlOwG~\\cI|C_@bVwnK?@{rNugGMod@hiMsh@jrA?pqBelAxcFecAznF","q{fC~jiFmBmqEaOb_@}E{@AogGlI??qM{BySPrIcFX?g{CqyP@xf@tmH|Qx_A~W`}@fVfbE"],"Asia/Kolkata":["ezl@cvcClXi\\lz@sU|kAimAfO_Xrx@{|Bx_AqHbgAoSliBuS~~Aax@|SzAhd@{RjLy@njAs`@tzAmr@xeBa`@db@}[jM_QvGm\\{Tqe@sXgKmPgPmCiXlDqX}RoAcOlCkA`TuY}RuIW`AaY_I{KkyAhDwt@qXym@mHonAhH_p@WoMak@yMgJed@yfAs_A_x@cl@ax@w\\uY}fAapB{o@ml@ep@iyBmYjI{UiCwIbF_ZpCmDqBgIvFwKmHeA|OuNsCmHdNiLe@oBcIwSAcOfe@}HjFmJsHmDp@fC{KmKiFuGh@vAg]iEiDeElI}H|@ZzOuQ|ORrH{T{BgLuTgEjAk@rHaHcCnPwTfD|C}A{F|CaBsBoB|AqHmIbHcBgBxBcGfOgC~FcKkAuC|CqH{DqC{DtBaDoDdO_K`AzA@{BbGjC`KaCjSdBlHce@{Bur@fDcV_CqYvHyUnIoBmArNjI_CzRhGdD`NlKh@qEpHfEUkDhEtHpCaAdL`GGbBzGtRxCrN_IbOu@lA_CwLGrTuKsHqL_LvCsJ}KiN^dDiFsD}CfDgCoC_Ch]yFHrBvQq@hLcHnm@kD_JaEnD_I|F{AaIsH{Dj@NmFwCyAqO|Da_@e@dAmIqG{DcL~@{ScDqWxEfG}IsB{N`DkBs@qFnE_Mc]kI_i@}XkGAaD`IgJuBsImOcKkHsGhA}I{Iy@fCgP[oCjCkImDgDsPec@{p@{Du\\`FiJ|CTpDqOsUvM_IRuP{Tf@uFmGy@cBdD{GaB{HrMPrKuOlPwRrFMxC{QjJcGrQfBbLlF~A_AlEzEbE_CtClFnI{Dr[yGlHtHpUxFmCnMrT`G`RO`KzGfGc@tGnTzRjB|NtIiBtJdP}DfLtI|RgFvTjCgCdJ|ChEkDByUbKsEv@hDdJLlFsD|E~BkCdI`FrKhA~|@gGlSjGjJbCpSi@xMkBq@iD|OlBjNkG|EK`HeIL_AvFgHoIgPlHcQyF}HfByEtKrDlDfFvY|F}ClQpHnVpBlGgHtMmBhWlJ{FlFrErPuBzGvDtFkEpNoGh@fIfTiKzW_BbRdE`JcRbMdFxX}Ef@^lIuExBiD~RqI_BsFhC_BnSkGfHfD~OdDb@_Gd\\jHnCwF`G_Bf[yLv@tAdOgNtVdCpJaRpZv@zFeMtEmSdg@l@~BbF[}Ph[uO_DgEqH{MlBsHiIoHpA_OuVmL_IbAsDyBeAwStq@mJe@cLhV`ApOgDxI_ZpShIlKk@rFgGe@_CxCiE}FkK`HuJyCsPdQoO|DwHuTpLmA|GyJwLgRfAsG{J}AeN`JaAxEwJTyNnSgLtGeE{CwIT}IlEqBmNmJqGcAxHmIbJj@bGgCv@z@fFqDfIkTjCsOlKyNkG|@fj@aLlf@dGbCtGeEtAwGbHGbHaGtGzLu@tE|KjEcBrKdIfSiB`GvIpNo@fYgEdEP`NqH~b@AtGvFdIWbKrL`CxErGMkI~CuClNbC?gRpDaBdL`ShNoMxGt@fF`I|J_SjERnJkKMyFsDeChMdCzFcBP{XjGwLlFcBjGfGhApU|DvBhCfL|InF`QoIzBlEnMrArBsJ\\|Fn`@`^`ApGzAmAfDzDbIyDbGjIrFrXjVdF~`@~ShQzc@hTjH~OlPbIv@zNd_AgAfGyOjHArLzK|MdNtEvVlZlZxCtHqRjA}Tfe@pC`MoIVmW`RIpN_Mp[{K|DxEnHYpAqFtJjXgA|GqIRzFd[vFhD?hQqFrGhC|c@_DrBtD|CkErBlTlB_@rWhFjHdKz@","ujV{tjCps@sP`iAmNdmBip@`E_GIiImG_GqnBsc@qv@_Bgn@`n@gy@tgA]tHpDtF","{rUqtrDlg@c@d]uJ`uAwSnfCqz@|QcKjAmM_I}IoSuBs\\lL_KzSgIkJyj@iBoI~EYxJfFzE|Nt@wNhNgVnHoNk@{IxHuw@rL_ImFgR{@wP_Hg_@u@f@}KcIqFaLnAiK{CqSlH_Tb@af@mH_RbCiFdKlAzItIdJx`@`Lja@j@","i~V}{uDlH_CzBsH{BsHmH}BkH|B{BrHzBrH","}fYytvDpGyB`CgGiAkHqGsDwInA{CzHbDdJ"],"America/Toronto":["su~A~vpDbq@AwAeIpHwDi@oe@xFaNX{a@wSm{@pwAkzE|NaExI{KkCwYbQi@nJqHaB}VvEsG`JdIb]kbAflBwWnh@vSpR~B`NhR~BtNvOlChJmDlJ}V?uPe`@}fAsJ{gAcZqfAsEs@_HhIaJc@gK`HgJ}^?iuBob@g]qI_XgXe^{KiYeAgyE}JoEcAzAyBeHvBgHyEsG`FwI_KoAp@aJiD|DcDw@mH_QuC`@_E{H_GtB{FcD}ApB_MyMoPuBwn@io@`AiJ|FN}Fc]{FsJuUA?eOgD??y_@tCI~CmMsD{QtAoEyDiAqEk_@fC}`@nDwNpEkCoW{mAcQs_@Gat@sg@ApFig@AyY{DqJyM~MoWxdAojC??jq@kDh@xAqJaPbKCwD}AxOyDfDkHgHmBub@{E|MaFUdFdGnAtXhHpCvJaFfFbHrHoDu@fDhCvApEuBOjGfNsDbIdPiJjHi@|LxBh@eBtMqErDdBzCyHBcGjGjFxHaGh@PfRlB\\{NbPr@jBpG{ADdEeKvFs@kHyO`E?mIoL~Ga@_IwGxDyAzEnElAMdGxI^[xGbGq@kE|D`EN_DrIwFv@rBzEsBjH}CTw@iEB~EuElAyDqF`EcPyLoA{@zC{CqGgFbHo@tPwIdEkApJsCqEmJdSoC}BgAfBgCcKaNlHoCoFt@eHmEObEuLqELiEqLcV`XY}JhPiTtDgOsE~C@cIuJ~I^wGwBxEqIj@dAmDcJdHpHgSdMmN`BwWtLyHi@{MqE~@^}JoHcLvGiSfEP^iLyC_IjCuLvEmCWsWqHdLmAuEeGDdBiMoMToFmKc@fPaHmUmBp\\}IiHSpFoGeECjEoFjDoFuX]tWwDb@dCdJiD@sByIwA~LoItDa@_RcO|OcI{GUcH}@xBkJw@L{C}GuCoAnCbCtCcDAsDkJaMlCaBiHeEs@nD~DwBzJoDx@|@~HuOdHyBnLqDYyBwKuFwBmF{TcD|CPrLwGsBuBgc@yFdNxGvYmHjHqApd@qG{ExD}R}@kKyDvMwKxAkEcDUdBsDwJbCfUoFdOkH{JyEvCoEkKgGpQmBsS{GvOyAqTeChTzZxVxJ~RhIqFdQtXpCcBhMlGPrFTmErAhAfCl[vTdMSxPhN`i@yKnDbDbK}EUqDdE_@fPgL|BmE~PO|`@eGoDsDpCGvRkEqOqD|BKxSkItCwE_JaD~EiIuFkA`GeQoCsEtKkBcDmInGuBaJuEhCiFySaOfG[jFzBlCnG{AkAvFlFrGaDfNc@eCgEdDwD{@@dPbB}A}@fC~BQwCnTdDkA}C|EdAlEqBq@u@xCPzZ{AgBuBlBvBxGsD?s@vL{A{HgCdPSuTg@tQ{A_IkC`Gq@qQiBTsDhW`Fn@lA`RuFaQsEzPSwH_DfEwCfUnB|B|EgAiEhBxBnHeHoLeDBMfDeBmBKzSg@sCkTzp@~Lri@|AtWbFsLiA~MqF`HbAhLyBSiA~L|Hz^cFeQaIvcAyAu@yAdIwBpk@jI|YjAwA^`KtEnEoAkCrP~@fRoH`@uL~DqB]wGfAdC`B}Ji@lN|B}HZnIbDuC{CnIjGiDrD`C|BgDdWl_@XaXz@bEaE{XdDjOGiI|FhM|DaIh@uQc@vKpHdKrJqR@hF`D{GvBjKX{ZhAfHn@cEvAvIbAuAWxD|F{IdArPvB}DxAjHoBpJdIeEhAdJnCeBz@`FdAmRL|KzA{CnCzNZwEv@~AUhIxCvBdByEg@lIdCy@[|DlC}@hAjCX_C^hJlClAmDEVlC`HoApDqJuEzKnGmCe@~ElGwIL}CmE~Fd@mHv@lCxCmD{AcE`C|@jHmOnF_XkB_E~AvB`C_EF`DlHsVPdBbd@s`@lR_Ffg@_AfXxIvg@zt@bUvn@rXjyAXgMbClBpBcEtKYpBkKvB|EX{Sp@pBzAsBNlF|CeLpBzJTqIrAcADdI|BwJdAtHfCaCd@pC`AyDjDvC`AuJjBrNvB_H`ApCJqIrBnDnFgDdL|DPqKvDzFdAsLfCtE`A{DfAzH`B_HhBlD`AaF|B`CbD_OxQjA~EdI|BkDeA`E`F~I~C}AzB|JbI}MrDn@t@_CzD`GvFh@gKbC_DrOiEk@k@pDbFdM~Ce@`CzHdCE_AlBtEsAnEhEcJbd@y^vQoQdm@_H|FgI[s\\tj@wK~@yGqIgStEoK_E_b@tSiZgN{RlBmAdClDVkHpVtC`EqDdH|@tVmCxUlBgCgDjOhCvg@}Ax^}Vvs@cOz}@qAv[oHnQ{UbSoV|}@te@j~@jjC??o}@lVg^rN?lVf^rN??n}@rjA??_FnG?A~EteC??h{@"],"America/Chicago":["ayz@h`lEjWePrRs@~PwIpRk\\jB{N`Qe^OqIcKoFyAaGwF`@yWcL_@{PmFoCxDeN^_i@`K}DyAqBhEN|BiKhUaWnZ}IdIkI|LsAlQqUpJoBbMqUxNn@dC_EfMFfJcJvZoJz@mPdGmGXcMtIsN\\e`@nKaOqFqFa@qUaeAfMcRmDkZaQg\\ah@{Wav@i\\qj@aGmD{Ia\\dAyJwEgJi@yWlJi`@v@ea@`HoLpAkX`T{c@g@if@qJuh@hMB|EuKqD_XeOmOsLm@iGxHcRyOmReAmHujChPye@rVsM`BcN{Hm@RrG{MrD{IeDtNuPaAqDsUpF_`@sPo]rNcUeCsQhEkQ_D}F{I{NjSySfCqF{Ca}B`X{B}LeEJsYoPySsY}QnMuJ}N_L|Fk@hLsM`CuGgMeOxLmBlFnF`JmPlMj@p\\kFpBk@fIcL}FmNfThF`@jDdHcCO\\fDqEbD{Kk@u@t^iHb@HvDyHlBbFhNqA`BqPiOiL^kJdH{CeDyDxAqAqDyuAK?yYmEBoCoIiSAgK_Q?iFsGmAyJjAAvi@yl@wJkv@|F_n@kGym@mSeUiZ_Lp^?tTbN`RzFfA_ArLsDbDuIiDZlMmSuE}FxTaFu@}X`}BiI`E}@bJq{A_x@t@vXyF`Nh@ne@uHjGlIxVdAvQaCOwF|W{F`EF~KtELv@fEcKjDaB`O_D{CqD~RUvQ|Fr`@cFdBcF`q@ac@tIaBxG]fKbW?A~jPt}@IhA{C~E?AiIxIClD{BA}FrC?U_JsCgBn@qRkEuA~Ied@kDk@s@}HnFaZgC{V|OsDbAmUx^oHxDeEk@}DdHaEbFbCNfPfP`YxJ~@z@}w@dLwFjItJzBaHbN_DrGfClC_BnA`HtFw@jE~HoAvIxCuE~G\\fAsF`DzBP_JrE{AbJ|K?f]`Sh@dB`Izp@A?mShLoBzIzA@kFbOnBlO}CAzDzT?E~a@vT@AmGzTg@vTC?`Elj@i@?nl@dZCAgh@bZ@?lDdZL?bDf{@oAEd_@rm@?M~z@nwH|B?zrBvgAW"],"America/Rankin_Inlet":["}dtBnffE?{_MvMgD|HzDlAqC|LgAQaCJdG`AoBhJ|@|BpD~F}NbBxAhIkJZwFeEeGx@ci@jCoFaD{JdCuBvUwFf}@oe@tGz@~MjMoPqoBlDy]fJmZtGibAlJoNvKsg@zUcSnHoQpAw[bO{}@fWyv@goMC}p@foCwMs@suAgr@}`@}B_ZgvA}iYC}EjXoD``AiBmDk@tDeF{BnAogAiDllA}EtHuI_Go@}EbBquAm{C?`J~uB|MbaAdPndF`g@|lFrj@hqBfMlPvJlkDtKxhBhaL?fiAsyNvUakBfsB__Djn@{d@flC??nkX","cnqCdz{DaPyPmCsPgCzHuN_tA~Akg@zMkj@nEuJxKNhJcElL|DvBbgAuFr~@"],"Asia/Yekaterinburg":["ybdB_dbBvD{FnAk]zC??vGlDwGuC_MjEgB_@eDaLkF^qMkFyOdSsKiC_LdCiJ_D}MhByMpDuKlD`A`DoCnCeWvNuMzAgMrMnExDeGuDsJcP`AiAvIYiC}BzAcA}GnFsKA}JpAyAxBrCxOwg@aHuTeN{FhAgJqJqHdFmKuEPiAa]zIyG`CiJwBgB^uKsLSvCyWgEoHlD}Bv@kMtEdAlC]a@{DxC~@KkFdFgErByd@xBsDErEpD}AqA}QuGqJeHa@a@yIpIqGXg]iH_g@_ZmFc@sFmHpJyBr^eH|B_An_@sA|ByEiIoCt[}D`C}Ji_@?{K}J{TaIhD[vGmFAk@~FiED}HqUmB~BsBcNbDyVgAc^sFTsHxZdBdHaEzT{Dj@kEoEfBsIkCgIeCnAgAxg@mImSyErDC|G_BeAr@uNyE`AaBsHlFsI_CePbDkD@_FuD|@MkXZuCx@bEtDcFaIgD{@o]sDqD{C}e@lCoIy@uBmCbAuFu|@rDoN}KL{@aQiDZ`BaO{EuMvDa@qNkrATqUwE{F@{XsEaDuFrG@uZgJ}FrD{NsHhC~EwOqBeIrAaWlKs[kCgKeFaEyCtBaJyRcC`KyGXuAkPVdNeDpEDoSmJqEmIjJgBoLsCf@{A~JeEyTgEy@uBzDdB{TiGeRoInCyOp]_JzEXtLhIbEaGxRaM{Rm@tD}GrA}BhI{EeAOhCgf@}]`Hu[nBrCdPp@}Bqo@hEaJb@ig@{HwRd@gcAmHkXsi@ebAeN|BiCsKmFsB`@sDeHyJqAo]gYwEyFtB}HqHmE|EuDuAkBaPqDPa@tEwC{GsHYjFst@iDwlA|JaJoAuq@_Go^|AuTbFgBBoo@vF}PwDeNeE`A_Swo@Q_SnKq\\u@qRiYsxAeDnBwDgSkDFmOdoAcFtHcPbD}Pa^{Dd@mBiJsIkFeE{Q_D`@eBgFiHhFaJyKKzPaItFqBdPcCmPuF}C{@lB}FgJqFy[}LoAaMtKkEkEaDlDoE]wA~E~Bxc@}B@QtJ}CmDmAtEb@zg@qFwFyA|EmI}OeL|AsE`TcEgGmE|Qw@z_@oD{CyGxPwGgPqPh\\cGa@_CyMkJvKqW|}@kDsNqDlGiFiIkCtPaBjDuCmC{IjVkBuANcd@{Ip@iBmL}DGoCeG_OrB}DaNkG~QqHnC{CdJ{@}HoCN}Alf@mBz@eEwHkElNpJ~FjC`f@iFdKy@zy@}Cv@_AdJuKnHeAlY{AyFuGzPyDcSo@jD[sFaBb@ZiHoEhA`AqLgFgFGyFmAfAXoHyIwRc@uWzCsF{BiHeBxN{GsJ{BjJiFuCm@vCcLlBsCtc@}Ofu@wCeK_GDQag@cDmLcHxGaBmTaIhb@e@dm@_Hl_@uAmEyDrMgGaMoKfb@eU`Sme@dA`Azh@uEho@Ptr@nEv^fQjb@zAt]uChhBkL`[qFno@zAlw@lFfe@ho@ddAnw@ba@vI`SfOb`AnVz[vItGtOLrQu\\~IcCba@zwA`MmIlElBdLv`@xCwDfD~BfByo@h@kBzB`Bd@kF~B~@~ByLtT|VzF{C~DbAlEaFI{j@pE~ExBkL~B\\tAdZlEiAiAqM`DiAhD`Dx@pR|A_BnJjb@pB_ChBdIlGaBjZ~iBnGxJ|E_Bw@nIlNzRdAaF|BbGdAeBhJl{@lU~a@zCcCxC|CTbJhHbIzDtSeHdKY~KfPtc@|CAnB{Fb@jGrHrH`BiJvKjDvHkPbJfPfUrDhI~Hb@}BjNdB~DlFbGcOdHlEpJgD`@_KzIh@rLlLbLsDnE`InD{DvDpClIl^w@`hCpElDo@vJtNlEmBz[lH`DiBn[xHvCa@jHhHpCuFxcAlHzB]jHgAhRmHuBoB|`@nH~BkAnVbHjCgBh\\zQnFlAyVvCx@t@gMbLdAxCan@K}QeCaCvG_LvTd@`A~I`VdMbJ{HhAgT_CC~DeJrFjHrKwInCtJnDdA`QoJxChEjPsTpAzAhLiCzBpEt@yCpBlGbEsPfGbHl@mJhK\\zCwGfBrPbMjG{AbMnFwEbDxBsAuMtBrA`EmQ|IuDrQhXeArI|CrGvB[tB}OfC`A{@sDdBbAjBuNxItQ~IlCv@zK`FpC~At[|PuWw@_EtMnArEpJhHjApUeFbDfGuGhG~AzIyBeAiEfHg@}JsEfDlDpDgEtUnCdOlEc@pAhC~DeK~ChFrCoAnT|LCtDxDDfDiFlLtC`@jCxB}DE~EzFN\\tHhD~AUvF|LQn@vNlFT`DmD~B`JvGuDvHlC"],"America/Iqaluit":["kd`Cz_eDpCsNzb@oj@?icBfaBcwCl}@TleDnuHhvH?zAs[iCwg@fDkOmBfClCyU}@uVpDeHuCaEjHiV{Df@zAmEzRmBhZfNha@oSdLxDfSuEvCvGbKjBha@gn@fIZ~G}FnQem@x^wQbJcd@oEiEuErA~@mBeCDaC{H_Dd@cFeMj@qDhEj@~CsOfKcCwFi@{DaGu@~BsDo@cI|M{B}J_D|AaF_JdAaE}BjDoBmGuGwBWxB{KeCcD~N}BaCaA`FiBmDaB~GeAyHcAxDgCuEj@|IuBtAsD{FQpKeL}DoFfDsBoDKpIaAqCwB~GkBsNaAtJkDwCaAxDe@qCgC`CeAuH}BvJMiIaBxKqB{J}CdLOmF{ArBq@qBYzSwB}EqBjKuKXqBbEgAqDwBpNoJao@wYciAiXki@kBmAfBnFwVu^wSgIwk@l@sb@tP}S|UQeBmHrVGaDaC~D_BwBjB~DoF~WkHlOaC}@zAbEyClDw@mCe@lHlE_GM|CmGvId@_FoGlCtE{KqDpJaHnAWmClDDmCmA_@iJY~BiAkCmC|@Z}DeCx@f@mIeBxEyCwBTiIw@_B[vEoC{N{AzCM}KeAlR{@aFoCdBiAeJeIdEnBqJyAkHwB|DeAsP}FzIVyDcAtAwAwIo@bEkAgHWzZwBkKaDzGAiFsJpRqHeKb@wKi@tQ}D`I}FiMFhIeDkO`EzX{@cEO~WoWk_@}BfDsDaCkGhDzCoIcDtC[oI}B|Hh@mNyKza@eY|HiHqBpAjCwEoEsLsh@nBg@B}d@xAeIxAt@`IwcAbFdQ}H{^hA_MxBRcAiLpFaHhAcNcFvL}AuW_Msi@jT{p@f@rCJ{SdBlBLgDdDCdHnLyBoHhEiB}EfAoB}BvCgU~CgERvHrE{PtF`QmAaRaFo@rDiWhBUp@pQjCaGzA~Hf@uQRtTfCePzAzHr@wLrD?wByGtBmBzAfBQ{Zt@yCpBp@eAmE|C}EeDjAvCoT_CP|@gCcB|AAePvDz@fEeDb@dC`DgNmFsGjAwFoGzA{BmCZkF`OgGhFxStEiCtB`JlIoGjBbDrEuKdQnCjAaGhItF`D_FvE~IxIkDj@}UbEA~AdOr@mSrDqCdGnDN}`@`D}MrM_F^gPpDeE|ETcDcKtIe@lAwEsNsf@RyPwTeMgCm[sAiAUlEQsFiMmGqCbBeQuXiIpFyJ_S{ZyVdCiTiCs@oEa\\mNhH{a@|H_NqL{P~H_W}L}\\yi@aNuF_n@xM{c@|\\c^abAcYaVcVkq@}W{MySu[_QwMyIl@k`@~y@qMx_Amf@|aBeMj}@wPll@gg@^ga@n]sK~Coh@ziAmb@dzCoWtr@oOjyBwP~c@cLnk@yJhIoDzX{]le@i\\raA{KvkAJnvA_i@hFmQ}t@{_@vEwZ_h@mMgA_U_XiOqh@}KkCaKlNiRpHsEaL{We{B_Xaz@m^u~@{VdTwNibAcPegCq_@o{AqMsVyS}jAiDet@c\\eaCob@o}B{TmfCcDaVoCIgJf\\eZ~yCcSdnLt@jjNzHtnE~TtnG"],"Antarctica/Troll":["~}fD??oyo@_db@??nyo@"],"Antarctica/Mawson":["~}fDoljB?g}j@_db@?_yFf}j@"],"Asia/Yakutsk":["o{aCeamErFac@pElCQmKzA~ChCwFhFl@vDeEjExLzIHxAoMnHgJtSjEdIoa@`GlHvBxVlCLt@aEfJ|b@lIaO{@hQrCoCElGnEhAdBqBEzJvJwCcBmOzFcIwAeVeDq@nFyH]eJnIsXqAwR`GwSkEqLm@qR`F}DpBzCnFeNdDhBzBwDn@~]fGLvEdIs@e\\vDub@pI}EGqFrOeBBuBjD|ALaCxAbB|FmK~A|InJhFdAtGnHaKWc\\`Cp@pB{EjBzC~DmCrNzXpIq@hK}OpL|EjB}T|EgF]iQbDy@bNlPvHe@d@nMjDaDvDvJnD@~I|LdIbAvAgCrOxPhEgCnKdQfAgEdErEn@gO`F?vKaRRuTeC{SwD_FuAlBcEwI~Cg\\oDaKbCkOoBwQwN{SnE}BxFfCWuVfI|KnMDt@{CiE}C{BlDkB{DvBCCgGyCaC}@q\\wEuJkDeCcBhEaFoJ_Dn@mH}a@aIsIcDyN}AbD}DsCqEu[{NyJuBg]tHm]VsXpD_@xDiSlHkBp@kUpEfTzAuL~Jf@lCzD`EqGdAaSoDwKnFcBIqD}JuGSgKtGwG~CaVnDNx@qDfGnIzFs@h@aHnC_AvAvFzDyFjKlFxGoVnFhCdSuFfPbHdBaGdIt@`BaD}EoE^{InIdE~NgQzGpEtGwOtGpKnCcMnDfDlEiH\\_RvC\\dFyQfGd^fG{DxHV{IybAjMwG`QBNiMmFqKX_G`FuDbP|A|@uDbDpFlF{AvM~R{AwO~Mi@tFoLtAl[hMqDdDpHrO_SdP{@nFoGiCmLxAe^qEyZ`CcLeB{G~ZmlAoCaAaAmOtH{TaAaEbEsGtFxCcAgInGiGU{GdHzGhDiMfCNrCwHxDHR_ElDdGvC{NnEfFbDe@dMuOjFjBjCqIzDrBxAkGjFrD_BoHhFdDbHo@nR{VtIeCnE`DfAyCdEjAfEqPzLhFbKgA`BwGlJ}GfBaVsB_c@tAaBdCtBr@aNlEsDmCuYlGsBAoHnNuKlJoSeFeq@cO_Cm@mRwIwEuJb@gDzHmAuHgIa@kCnGaKCWgCuJpGmCpQpCbDiF|BgEiHuBtA~@hOeC|CuL{MiEjF}AiJmKaEaHmPhAoIqTpDr@uKuGui@aDgIwDnBf@}FuFeBkEgNt@gPiDkS}KnJoCeCgIfAfOynAuLaLgOxHaKuOaEjAgCaEmFtGs@kGkL|ThJre@}EtVxRdl@Ofm@pE~KsFrDfAzU}EwDkYdFeCjR~A~K{FhLw@vQeVyTiAaWqL_FeDzB_O_o@yEkHc@jFuAeFm@gT_I`CRuNqFeC{AiQoFlRmECkFzLdEbpAgCzJcESqElEyNeG{CcGgI`@yEgFbC_LaFeC|DkMkCbD}@wB}El@{BqHoFvB_I`PgDBuBbRoDlC_D_InC}K{AwFiFJ}E}IoApBsEsTc^`f@e@iOnHoUiB{CoB~H{IiNmJpDFeQaBzAeEaIsGpBcGuB|CbEHxKoIaBu@dGmDSwBnX}LhBgDbFwXcDxAmMoNuJoFvAyCmM}K{BaFmG`BwOuFoVeb@p@kByhAqGoXpAwUuIsYuFxQ_DeSiFOaDkF_`@zd@mAhg@_HfTgPxC}HaHkNjEh@jiAwPdOiBdHpB|IiCl@yFkOkG{DmE|Fw@uHkP_ViPlRc@~UiGeD{TbQgR|c@eNgNDtRkNrO{Gpd@uFtE[pSgKfBaBsCoGlK{K{@}EcSqDvByCsEeBcm@kFwEu@vBkCqD[bBgFiMoGkCfDkRmGsA}CmMrAaPcEiCsFiSoMsMoJw^gB|JqCkMwFdZySd[gFlQaEsQ{BxBqDaJoIkFwB|@cLyk@_Mf`@eBoO{ApIcEwGcK`HwAp`AyGp@iDmGcKpFqFyJoEhGg@lQaMda@lCl]aZbFwHjWic@mDof@hDkD~Coc@lpByJl~BaPt{AmBpaBxBfb@|DrLjHdDpIoJpK`FtKeFzI`zAeHhNcElr@yNlb@_Fnd@cItnEtFx~AwNpZqLa`@eIuDu\\xf@l@bh@tLx`@rRzqBpM_sAdFQjOtcAhFi^`Cx\\tGnNBnZpGs^jChPzAq@Qw\\rBnEnBwEnD`Kd@oNnBnPtCiFhBrDxEuE^eHjBx@dCwYpFxQ`Cmb@bCyDvA~CrDyXbl@?zH_l@pC`LjC}ChEpTmB~K`DlEtJ`qAhH|]bITdCkKhA`i@f@dDfEc@vAdP`GkBdB_K`C|GrJ`EyCbaAbCbMlFjCbHxcAqBhVrGxQnc@ql@f~AhDvC~EcAjIvFr\\|FrF","wbpCw_`F`IuNzBgd@iD_g@_ImM{IxNmC|f@|Cbc@","kjrCwafGpHuEnD{PPceAta@_sAzI}cAtScp@tH}Bld@xYrTef@yCcfAdKc{Ee`@`C_KzOmR|w@eNhoAaCfAsUcgA}Fa{AsUiaAh^ioCbDinAsJaaCcDkLiSwVuFnG}CxUu[~zGjCtu@eSdtBPts@oNts@{L`pBrH~nC`NhiAfMjWuE~GqCxTr@fu@hHxS`K|CxDsA","__pCabfG`KgGhTu|@Ien@iKoZoI|E{Rby@aAvq@rCfT","eutCci_HxE_GvCsUr@_jAoEmh@wLsWcIjU_Apn@xC||@jElZ","gzrCmdgHvIw\\kAow@eC_KgFoB}G|W}C_e@iDmIaGeAeFbHsC~W`BvbAzE~P`EvArKcf@`Dv`@","epuCuznHtGwN|Bme@aBim@qDcQgDiBiH~NcCrm@~Ctk@","a~tCe}qHbH_SnBqj@aDcg@{GoKkHpUoAhl@pCnc@"],"Antarctica/Rothera":["~}fD~f{C?glW_af@??flW","~}fDnjcA?_db@oh\\?~xF~cb@"],"America/Argentina/Ushuaia":["~fjBb_eCKasAtDkZrFwHrCae@uBko@}FePtE{OsA_i@uGq\\cLiHkIbHoEzY~Ffo@wHrSv@dc@kH|`@kK~OgJ|^{N|NeIbWog@`SaOzLcDtQrGvD","~}fDvybC?gn~@onT?o}@n|k@onT_yFovAnzDnK~{Bb[oKzfAw|And@vaL~p@oKb[fiBzm@~{B","fduBvw{An}@w|Ag^g{Co}@??v|A"],"Antarctica/Vostok":["~}fD_~fD?osw@_g^??~cb@_vJ?n}@nnT"],"Europe/Moscow":["catBosr@fPqVRob@vOor@xD|CbBbMlOjI|JxVhYgKzGzBvFaH~IuA`AwGpBxOxFn@NdFpFxDzBcAg@wK`FnA~F}TpH`BzAlExDmBtI|ECkRfDjCfJiNxB`BnMeHlGhDjDgI}AqUz@zAvEcEeCcU`C}SdBqB^jDjGdAvBoFuI}i@~CsT`LyNaA_IdMQbFbFvL_LrF`LlG~BhGwMX}KjH~EvAkHxLcD`Igc@|PnGq@gUdDmTpBkAz@hDjE_CtDmPxFl@x@hNxKxN^xQgHbRd@dMdFT`ChH`NwT~DvDjG_JtAdFr@cCfIvA|BiGjCr@PyDrCAhAeJ`AxAo@wPaDoI}JQxDy_@mG}PzCeVuBiPvLoPnGf@dJ}RnEMnBlTdHgMjElDxBkFtDvE`@}YxCmBgBaZvGBnAiO~DdDvOsIdEpEfMwMeEqZ|HgMmAsG`FkLkF{LqFye@nDd@tBgIjGGfPqW}CyJiEtAOkGvF_JuAkKnCMrGyMwDqNjGsEh@iSjF_BrBeHUwUdFvGtK_KdKvP\\rOtHuH^yNvCnEaB~IrMtGnAyJlLaEvArEMiH|B}@tJtJr@aB@rErIc@Khx@|JpEfCjYfQbGd@eFxClErEHzG{EnFhK|@p_@bFjJlVoLlGiM`DpG|MbFzFtNhNpD_F|e@tOH`IhGbO}C~DqYtQuQtCgYnLsSnGw`@xs@}cAlE{PbGyDfHsf@fNcN~A_NbKiC{@aVqK_QoKnCwBmCaE~CwByIkGgEm@bByAgSrF}NwA}J`NkSdKse@rErD~AoBrAcK_JaUr@qKiCeAlAwJ|EkDmGmFtAgLpJkJdAeZdJh@pDfHjFgJfF_S{@eGhLuTwB_JdReOmA{D|PuJzEcOi@mSaPgJeEoRoNaLsF}Lwc@de@yc@hYc^gCqOaPiICuEfHiAfRuKeJqM`GD`b@iGgK}YuOs@{DjHzA]yCgIkD}GfPyNt@xDjk@oG~SaEoCgF|NeB_IwR{AoAfEoFkOI{Q{IdE}DuDeOIc@`HuXpPcHaTsBrIbK~QOfGqX|_@uIa@L|KiPxc@lHdAhCfF?xOqGEeBrLjK@AeEnH~@QhRbHpGbAhMxOz@Kv]cE|@|A|MaVxK}GdKKt^gF}EyFbCUkFuG|DuIue@cF|AsFuDeG~DmBpOcG~AH|RuGiDkGhCyOeHiXbj@cH~EoGwGoGhEuCkFqKdVqByNmFgBaCyQcJsH`Baf@mEuHOsMwM|J{ApJ}FzB{GgIyJyAs@iEeIrAu@iFgH_AsDwN`EeK_DyVzGub@gFcD_@iG{EBdM{`@wE_Bv@cRsFgL|EaS}EsAyIcS}AaOhFaI}EgKeEqAiC~DiKg@aAiCsBzEaE{DoDbBmHt[uGGkEzKaAkAWxGiDsCkD`GwB|FvAhImIuIuIam@yCq@}@nM_CgD`@rFsCmDg@|GsBeGoB`FsCi@bG}VsC_LhAkQxIiCmCkBt@_HeKsFLsEjDJyF{PzGsU?aYuI?L_LkEkKlI{MdAzA|F_DlFwi@cBcGnIeH_DmLzBmL{KqB_GyVpDL}BqHjDeEz@mQrFp@IcIrDu@}BEqBwM`BeAuCaCjGoG`A_WdAdBaDuHrEgDf@|JhEgHxBdA_B{ItGiGcDgG{RlF{JqAwEsJuMoAv@~D}PtW_Bu[aFqCw@{K_JmCyIuQaMpa@pBn\\_C|@{JkU}EMO`T|CaFnEb@aEbJx@tDaDG`AfCuEnB_NqKc@~EdAtH~AuDtBxADbHtH|LdDmS~ChAcBfGvGwAwEb_@xGChBpDkDtKlEvI}DjAjCzOkGfGhAeC}FoMtC~RmGvZ_JOl@~QoBwBEvD}GzEuBiBbA`DeE~B~BpO}AlBkG{CyCdDa@tPwItAVh[kGlEuAyBmFl@hBrIbD}AvFpEkDrGtBrWoBnD~D|JnBgCnBvNaDzJtJ~NxAbN?fGeDq@iAlC[~VsG_FeDdCwBwEmFzIsEuGuChCLol@cMyFkBtA{DaLkFdUFd|@}DhFiF}D_If@o@mJqDh@iEgE{@oUeEP}BkECwJoGVBaUaJfKaCeAsAzOoHmA_@lK}VoE[lMoUaFxBhZyAhN}FpDDe^wFaDMhDaBaFgEC}@gI}ExCuXoMbB_k@rGkCrAi[xPyG~C`C~AqGn@jE|A{NzHhQn]}@xAec@fJzBpDg`@~IbBd@}KYoDkHgBkFEKrCsIyBq@cMeEzD|@mPuDiGo@wYsJwThG_QuUu^dBmTcLeAu@fMwCy@mAxV{QoFfBi\\cHkCjAoVoH_CnB}`@lHtBfAiR\\kHmH{BtFycAiHqC`@kHyHwChBo[mHaDlB{[uNmEn@wJqEmDv@ahCmIm^wDqCoDzDoEaIcLrDsLmL{Ii@a@~JqJfDeHmEcGbO_EmFkNeBc@|BiI_IgUsDcJgPwHjPwKkDaBhJsHsHc@kGoBzF}C@gPuc@X_LdHeK{DuSiHcIUcJyC}C{CbCmU_b@iJm{@eAdB}BcGeA`FmN{Rv@oI}E~AoGyJqZojBgGpBiBeIqB~BmT_x@mDtApAhMoEdAKmViDuDsChMsE}Eq@pBa@hl@mPxCqSwWeDtMmDYHbE}BaBwCts@_DoCy@zEgBi@}Kq`@mEmBaMlI}QldB_O~eDs]viAsWnzBsStq@yQrTqSpM_YiH{m@gbAmz@ozBsIqn@yMuYgd@ocBgPikAsl@awI_Vcx@_OeLcHxHwMxc@sG`gBxTpaCrJhd@dKb`B~@f|CzPxqCrOf`@ji@hjDpIxJlGoDvFl@`TdV|Vjm@vLnu@vG|D`JwSrd@jpAbp@n}@tNxK|POr^au@zd@ceBvMs{BbC_wBhH_j@fUgo@hN_}@lPgYpGgB~DcJtB`D{BtHqF`AoQvUsObq@cA~\\bDlVrI~E~Pce@rIpv@lAvX{N~zCh@lv@bFno@lTvqAdCf|@rc@lkB{B`X`Df}AsWfO_Ij]gH||@?biAgGnj@v]fhF{Jl|@sPzf@eYz_BsRroCsRzq@gNlmAjApn@pFhTnJzPhF_GfFJn@zCCrTkF|YtEiE|FnHzFjm@pJbBbEpJiA~FnG`_@|AaWpS|UnTgLpFqi@~OwS`GkUlHlDhd@`w@nGqClh@ar@lVgKdDg@~@`YxC{GlDdGzF[lD`HjBwPzBdClA{CvAzOjG^pGaG^uT`AzArEqD|AxGrJoBvGiZ~HoCnPjQ`C~PbQ__@nNcn@|EcAlKuR|[nYxMr^ry@fwAhHrYvIfIMbG~Tvg@tIrJrAmApIxOjDja@","uwrAysnA}T??}j@|T?","ywwAwuyA{@Yk@yJsA[l@aMpCz@y@hFAdErAZP~A","_q{CwddAhHsUzC}x@qBuu@gIqWwHzYsBd{@tBjq@","_l|CeitArG_UtJu}AbLu]pKisAzGs{FcH}dA~@qrAmJat@jKilA}A{lAfMce@vByx@oKcbCuEaNqFvCuGoW{E_}@mH}OyMcbEgKol@kJsFqL|R}GzbANrvA|J`~@kHxz@sDmtC}Daf@}EgNeF~FyEla@yAnpCnJd}AoHiDqF|TuC`iBfFzpBtC~PpC~AnBgBzH`dAU|x@hGd{A|F`KbFkPzEtLdGcMhGrUeFbf@sBfCgGqLiFlMkFxgB~Dr|@`D|OxFf@nC~Y_@dbCfJdbAbD`sA","ureCma|AxLqDfHqUlDozA}E{^aQs`@aO{NgOzQqOjv@yA~p@vCp]zJz[lNbM"],"Asia/Krasnoyarsk":["uqzCumqCvLe^lHefAW_tAyCe]mFuK_IrU_LtlBhAjeA","qx|CqovCrF}I|CoZ|AsvAwCoiA_EyZ{FgKoIr^uDlxAnDhpAzDzY","oynCcyvCle@eAdUaSnKgb@fG`MxDsMtAlE~Gm_@d@em@`Iib@`BlTbHyGbDlLP`g@~FEvCdK|Ogu@rCuc@bLmBl@wChFtCzBkJzGrJdByNzBhH{CrFb@tWxIvRYnHlAgAFxFfFfFaApLnEiA[hH`Bc@ZrFn@kDxDbStG{PzAxFdAmYtKoH~@eJ|Cw@x@{y@hFeKkCaf@qJ_GjEmNdEvHlB{@|Amf@nCOz@|HzCeJpHoCjG_R|D`N~NsBnCdG|DFhBlLzIq@Obd@jBtAzIkVtClC`BkDjCuPhFhIpDmGjDrNpW}}@jJwK~BxMbG`@pPi\\vGfPxGyPnDzCv@{_@lE}QbEfGrEaTdL}AlI|OxA}ErFtFe@yg@lAuE|ClDPuJ|BAqDyWhC_R~KsC|CnE`MuK|LlApFz[|FfJz@mBtF|CdClPnBeP`IuFJ{P`JxKhHiFdBfF~Ca@dEzQrIjFlBhJzDe@|P`^bPcDbFuHjLygA|EkGfF~SdDoBhYrxA|^a`@rJbJvK`AjC}FqBqwBjCqZfK_Ed@gTnXgWmAil@dDdBxJyN`GxZ|Vv[pQyDhEsDbLimA|PH@`MbE|@p@{BhAlEk@vJxOnGdDjM`AeLbQjFc@gBhEp@F_F|DpCCbItDqEfEXbG}ZfED~GiN~HTz@gG~DhBdNnh@~LfNvQsErHgLlIhIrN~AdBlJhEyOsGsLfGwFuBmH~C_FjOnM`CmAYoHdC~@bCsC`ApKfGvArBtHlEgApFjFg@sH~E{FfD|@rAkCfIfI~@eIxHiI|DtJdF_CdM`Y~EGrCjSfGxFGrJtOnJrC_M|HrNpFwP~C]|BwOqEgPsGrA_AiE~HeNbKlA|AmD`FGfKoTbPsNfBuKbF~@pAfIsDnH~DJp@dFbGpC`@eLlPqCsB{VmDaAaJ_^h@qIeEaAeAoKmC]_Ao]mNsR}@_a@uH{DdE}MbDw@qEuI^wKrFv@fDoGDmfAbDoD|P_BnAcGtG}DWmVbCu@fDe_@eHqSnIgb@gCgEjC{Ce@oWjHwM}BsOmGuCwB{JxCyF}WiYwI]{ItRuGrBqBeDoHzKaZ}LM{IsG@qGeGsGsXeOsD_AkGy@`IgDKT~ImHt@cOkReFSOhEgEwAx@yScC_B}DbPyC{BcBjGpB`f@cGJi@fQgEj@k@|VuL|OuGdZFdIbD~B_AzGoRj[}DEyItXsGc@GyMcJaHvAw\\aVcJyFtFuBuDwHv@_D_QoMnG_B{AqB|EaAcDuAlCsB}@wBuKsHCyEyG`DgMgGaBm@iIyJ`@@eS}H?]tGqNyAy@xRcHwKuBrS{p@ce@`Aup@|CqMqCo[gQoNZkXhL{AbFeNrBpBfG_DnHoUyAaIqF{@oCvGmG}DkErDGsKyFwGeEhBuGmY{IcJsEy]qL}UkINkAjFcCeBuCtDyFaI`@}N{FoKxAoRlAfFxKeJrH_d@rG~DaBcS`J{NgCsTkCeDwBvGwBcAsNcc@uJdKsGaCu@tOuL~KsDiOwCtAm@sDdAwZsEnEkB}DoHdDoCmDqCjIAlZsElNaFVeE|GuFgEsExGuByIoArBiGaBaFgMZ_KsG|DaAvIuCm^kFcDiHqe@sHbDkKc^qLiCi@jFuBoGmBhBiEgScCfDyB{FwCjSwDuAgGjSkIvCiA{PsDsA{@zD}EoCnAwKaDgFiHvO]cGeEsD{BjDgHuJcFnJuBsBhFwVeBmOfDwE}FyTw@af@qKzGfCbPaGvS|A|P{IlZ\\dJoFxHdDp@vA|XyFdFpB|NeEnBsBkAuAdCPsJyHb@DmGsCnCz@iQmI`OgJ}b@u@`EmCMwByVaGmHeIna@uSkEoHfJyAnM{IIkEyLwDdEiFm@iCvF{A_DPlKqEmCsF`c@q@qZ}FsFwFs\\bAkIwC_Fg~AiDwa@vn@kI_TpBiVcHycAmFkCcCcM~Cm`AcBsDuGc@aC}GeB~JaGjBwAePgEb@g@eDiAai@eCjKcIUiH}]uJaqAaDmElB_LmEwTgCbDaDiLkHfl@cl@?sDxXwA_DcCxDaClb@qFyQeCvYkBy@_@dHyEtEiBsDuChFoBoPe@nNoDaKoBvEsBoEPv\\{Ap@kCiPqGr^CoZuGoNaCy\\iFh^kOucAeFPwLxuAmSutBuLy`@m@ch@oKec@cJiRoIcE}ExBoKkLkH_A{MhVcNdAaExFsPbcA_LnlBTfgBuG|j@_U|^_^zAwIsReHvIaWzdCoGbCsFfMke@`yC}PbtCeKvYcKbp@iEntAuWqj@uHdNuNpnAyNtr@sFhlApJhgEiGnmAfAtwAjDhp@`InQlGgMjE{e@fBmqBzW~iAhHhAbLd\\dRuKfJta@jCv@jC_FbH{|@dR}t@`Fkm@vJmrGxBoQ|XcKrQirAvc@huCjNluAvs@fvDbAhg@tSr`CTfpAh[t~BfY~|@jNh`A|D`FvEy@bPvxA~_@trB","wtpCyfxCjJqPvDun@}Bqd@sKyOoHtN{Eto@nC~f@","_brCuy|CrJwJpLuh@Nmw@eE}RsJyCgHkJwNpGsDpQgDw_AiIsTuFbFsDvZaBpz@|CvrAjF~ThE`BlF{NlDgg@hHxh@zDtK","}lvCsx}C|IoNpDov@e@_j@{Hs[eKtWcDjn@|Bpv@","kpuC{njDtIeMrE{^f@yaBgYu|A_GsBsDnGa@s|@_K{]qEdHsDfYUp~@~Gl^xD?xDkI|@vdC~N|{@","muwCi_tDpIqRnC_j@{Aql@oHyVeFt@{CnHqDxk@nB|p@"],"Antarctica/Syowa":["~}fDoyo@?_ry@_~i@?~xF~qy@"],"America/Nuuk":["m|yCf~eCxDyeDx~DmhD|BeM|Xfv@|TecFxl@e~Bne@wHntBssBp\\iLpL{TxbAi^lh@yCtVio@r}@s[n\\|Jvq@~Gnd@iMnz@kj@bbA}x@~ZiJtpA{fBdiAejA|PaZ|a@oc@vJs|@|l@qaD|GogAsMe~@aKgQypDq~A}r@aaAqh@_Tib@_Y}a@{zDmkAovDwr@eoAsZmqBwXkqDqWy|B_gA_{EwUaf@{BdWHzaBsNjpAeKhJqQfFmIcSegAoFcAmZ~XyjBkAa~@_ObF}o@{n@{U{p@eo@kaA_m@o|BuMeJgTpl@qSvMpC~zBgLzuEcfFcNrHohEgAcfDoE|Buc@wpB{Q_wC}BeJiSgUmPkbB}IyYqNdb@yIr~@y]vbIwd@xdDmn@`iJgMzjIvGx|Ov\\hmNlm@vfPnLtdF~Yl}Cnb@n}Bb\\daChDdt@xS|jA|JnRxEuDxDsQ"],"Asia/Shanghai":["k|kAwpnCpTyMbAoE`DJg@|CpDxB|MuEvDqKmFkF`Leb@tLk@V}D~IgFxIDbDaEvEbFvE}AnDiJ`HEfEhNaCzG|A~MzIJLqT`GgCeEsMpCgOnMeBuA{LdEcK`Z_KdIjFnB}HdKkCsEwWnHe@xNwd@hCe^kCuFvBcE{@cMxNjGrOmKjTkCpDgI{@gFfCw@k@cGlIcJ`AyHnJpGpBlN|ImEvIUdEzCfLuGxNoSvJU`AyEdNaJzJ|AgArGvLfR}GxJqLlAvHtTnO}DrPeQtJxCjKaHhE|F~ByCjG^j@aFyByF{C?IuFpX{PfDyIeCmH`MkUs@gC|BkC|HhA`Ssp@pN_G?kFoGMoBsGkLWnCsj@zELhDuEnDbAjEqVbPmPnFc[lWyQeHiS~@uJrB}ElTo@bAsIrFsD?wGlImMaFqKpAaGbRfCrBcOoB{FzCqEcGoEr\\_Q_@yFeIvAeDqE`KoArCqJcBmEoHaBBmH|P_]}AaVxBcIeHsEhDkPaEcA_@}O}GuLvAsF~LiGdW|E~NiLeI{JwFfD}QwGqUqUeDgKzEkNqBgDfAwI~DiDZ{XdFn@xCwDqBaDnCcIeGmB{D}IhJwPzBrC~@yPhCyAkIaV|DgLuJePuIhBkB}NoT{Rb@uG{GgGNaKaGaRoMsTyFlCaH{Se@gCjH{EzDs[mFoI~BuC{EcE~@mE_HmEQyQhYuXvRsFtOmPQsKdHsLeFwIiI\\uAeI~KgGkA_F`MoMxQ_A|R_Hy@_FiFY|EqOrz@uChSpEhHuAPdHhOmGvBfC}AtEtQrL{CfHzMx@rIbKmBpEvJlFvM{CrErNbRd@e@yGvHJfAqEhHlApJrKjDiFuN_\\qBgo@hD^`EnJdINdAgGtHkD|CrDjFmFxMdAP_J`DuANmXnHmBQxF|Di@vEfHdNeChEdGfNdD|Diq@fTWlAcJhIfAzAqFuCgJbDiBi@wJ}KqLqDwMvKa@nCgDpD`DfFyE~B`AlBkC_DiObF}K}EqDmCzEyN[aBkDmEnD}DmAcHnJgPdBmOeL|FkGwCmHvAqLwUsLpIyVjIsIeVmQtLuKuK_FdQ}S_RsGcA_HlESjBkEkI{K|@wHwFgGqI|BkHkPHuHgGoDpMuNnDB@uGrHiIgD}K`HmOyDsIvB{JjDgGnLfFc@|EbHhB|ECjCeGrR?aBqCfCgOhF\\nFiLeA}C|G{B_CiEtC}CaCwRpIsM`LsAjHoInRoj@br@yAj_@hb@dNjDjn@wC`TsWbJcn@aBaKy_@_t@arAqp@ywA{_AiTcaBcwAulEaVw^ae@e`@sr@emAo]q]y}BoiAqxAcgAyoAmi@yi@sM}n@zy@aaB`d@ytB`eBen@as@}_A{gB_g@_MkL~KAjUmGhRfFjQqEpFiHn^aI}@wFxEuKeE{FfC{B}OnIoDtAcMeEiImKsApIgF\\mNkJoHgHbDgBdKwCeGa@qJnIwDdCuIyGuOK_WaImEsM`JqMcCiFwn@yKkA}W{T}N}Vp@iGgCr@aGyOx@iGwHyH^iFkAjBcCaD_AeRuJeEmCeIaKqHEeE_O}@{DcIwA|@rBaEgFkHhLwMdB|CbC}HpCqWiBsP~D_J}MuK}F~HyOnF[gv@eKeR{Ex@sGsHvDoKiE{BfA}Dkc@_LnEwThKR|HkJcCaD~IgBb@sCiD`DyDiCoCrAoBzJ_Lmm@mDrAkVmLgEC_C|FsYcBuBeCoh@jKaHbHwDoJi@kTkVuWnDkFxMoz@{EmJ{QA_K}SqLLqE}KaFeCkE~AwE}L_D`BoB{CoCbEqIkIyS{A{GoIsKhBeF{GyAwNyM}KcPbMcVaMcCvOpApRjOph@?pZvJ|OWlHnM|Eb@d`B{L`FaJ`M}KgJeKzCNfGuFlEqOcHVxZcJjRoNtK@nHmGrBlCtYmErDs@`NeCuBuA`BrB~b@cBrUqJjH}@vFgLfB{LiFgEpPeEkAgAxCoEaDuIdCoRzVcHn@iFeD~AnHkFsDyAjG{DsBkCpIkFkBeMtOcDd@oEgFwCzNmDeGS~DyDIsCvHgCOmCtLaIgGTzGoGhGbAfIuFyC{D`Gx@rEuHzT`AlOnC`A{DrHi@|OaI`Kv@jGwG|N}BdOhBdCwBVxBp@aCxLpExZyAd^zLvcA]xT`Zhd@nD`OtJkAsByWfEmOzJvEdKkIlMzFrNzb@xRvGfHtJrFEhL~OfGOjUlVbCkOhLxDxFrKjBh_@|O`X|B~OnDr@cJlq@_ItTd|@ji@pCi@|OzOtOs@lEhQrMeBzMwUiK{Ra@mb@|Nua@kV{Yh@cn@tLmKzEwUrFi@zBmLpBfAjMcWbQiLzMj@|CzLm@nVmIfXrDtEgBp]`Mpc@sD~Fj@xIvLzAm@p`@|DzNnSrRzJ_@bDvEvQ~q@_Bte@fBfKdJhD|MdS`Mt^qFhu@eLtSYxZzH|Nnc@xRxXa\\`NqC`Vxy@ba@~b@dSj{@pB`f@yBruAz_@vlB|T`j@qCvDM|WiLMfD`\\wDng@kNrg@aE~l@mP~LqIpz@]b`@pF|q@iMvpCjC~o@{In@sVh]ol@dUq@tKoOsDtAtXsDnP_JdVmHpGuQ|j@iExxBcHhZn@bNcUfLoJ}AkQeReQbGiNmJm@xBuGcAuL|FoB`IcLnKm[~JmCfNsHbCtBtQyKdJtAh_@qF~FkCpQyLrFyI`a@wGoFyHzTaF_IwJjDhEjWaC~_@xGnI`IsDlQrMrE`UZxZfMvKhInBf_@aD`G}DlH`@fJlHEzRxJ`P{GpJ~@ts@sNhv@zlA|b@jAnFbSxCbDi@bFmOpLa@q@zf@yHjHhOtu@yArJbGpSO`QpGdLpFiFgBiIpMkN~F|BdVaBxf@aU`HdC^aElGw@dGlYrHqL~BhTjKbEnF{E`DdCtIcDrEdHdFu@BzPzGxEbD`[jTji@lDp]rH`AzCdQnGdCU~v@lOhMvG[xHfFzFjKgEdC|Hvb@aKm@{JpFrLvVyC`WjCbBbFaFW`LlNdSjC~YtNnE~HgFtGtCPxM","_pjAeqpC{vA??ynD}j@??{vAzvA??vnD|j@?","cxgAcisC}j@??wnD{vA??q~Iq~I??q~ItfG??{vAzvA??zvAvnD??tfG~j@??p~I|j@??zvA}j@??zvA}vA?","ysnA{xxC}j@??ynD|j@?","o{vAq`aD{vA??{vAzvA?","ksyAipfD{vA??}vAzvA?","w_pAwgtD_k@??}vA~j@?","sctAwgtD}j@??}vA|j@?","qkj@qh}EgLgBaD{FgBmI`@iQvW}AVfc@","{rn@gveFuF}GkAcG~AkFfCm@pEbDe@xC|AdCc@|D","aar@qaiFkCs@wDqCe@cDlC{AtAAfDlBvAzDo@xB","cy]iwwElHqChB{HmPcxA_IyH_m@sGyYrc@uGzp@xA`KnG|E","_sQ_a{E`ImDr@wJqK_NgJm@oFrFVdJzIbK","srPyb{ExToDCwDqA_DkGmCcHxAmCpG","ml]_w|EjLqT_@_RkIkIaB_R_a@cToKnI`K~d@`F~MtShK","ihT_l}EnGwBrBwGYwC_J_GmD~FcIlB`ClH","u}Riu}EfGoAdEyDaC{IqQrAcAvHhCxC","izQ}y}EnDsB|AkEY}EaCgDoJbG","yrRql~EnS{ALsCoWoA","e}Rgy~EyAmFyEkCwFT}DnD","_jR}d`FxGwBfDyI{C{JoH_CeI~C{B~J`C`H","qu\\}ndFxJiAxEgHUgMwHgGmJdA{H|LpApK"],"Australia/Perth":["h~p@wb{E|O}Btf@aTn`@o]h^}Plh@}DnX}UpPw@fR}P~MhBpHsFfL`Evn@mIv\\gQfPaCd\\eSfE`K|GfCnGuBvCcIzZxB|^oCbNtHyExPxEdLdWnCt\\wA`R{Qp@}YnU{RnLqRrC{b@_Akf@nG_g@sPyh@qKsD}KcPlAiRqJc[oGaEoHdBeEiNO}HdHeKwD{OpC{LeCsHsGyBGuGx`@wa@~ByHkG}VoGqEiCeXx@wY~IkEx@cMuh@uo@uNDyFhI_SgGcGy^sQsf@i{A??{yEua_@BeZiB_CxQjGdImGpGoAbXck@hi@HpLqHxL|Bre@wPvPa@hKhN~N`L[jc@ru@zZpIjPf]fY~NyL`AmE|LdGdNe@jNzChG`HdBbLcBdG{GbBwKbFxNjp@xh@}DvLdEpMlJn@fHuGpOfDz`@oBfQ~AfPhXjKbH`VlDhYnYhOxh@fG`f@}DvRgOQ{CbObFfGnIC|EbK`QrErCp]nUvj@mM`JeFnThFbW{Bjq@{GlOhA`IfInEhRiCbUdIbYtYpEjV~Vr`@vo@fSbTmHnZD`Z|P~c@fDjQhNx_@lD","|fv@ek|Er_@_H~NwJzFwMcCkL_UwGiZdPyOhWrBlJ","~}fDor_F?o{vA_g^??n{vA","hka@cxfFfLuFp@oMmF{FoKw@nCgJuD_JsRo@}F|FAhJzEhFjJ`A{@rO","bsZkilFxHaCpEoKcG_TkIuCqMfBmJ}FyK|DeCjIzBrH","xpZg{oFfHyB`CwHuBiHeHaCuH`CyBbHxBzH"],"Antarctica/McMurdo":["~wnD~p~I?_c~T_af@?owH~`f@n_h@??~m|QonT??~qy@"]}
+	};
+}
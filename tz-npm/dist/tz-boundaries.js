@@ -0,0 +1,9 @@
+/** @about Timezones boundary pack (full) @license: MIT, boundaries ODbL (OpenStreetMap contributors) */
+// simplified timezone borders (timezone-boundary-builder, ~0.01°, smallest zones first),
+// rings are polyline encoded [lat, lon] pairs at 1/1000 degree. Timezones.RegisterBoundaries(boundaries)
+export function boundaries() {
+	return {
+		precision: 1000,
+		zones: {"Europe/Vatican":["{ypA{hW@C@MA@?GA?G??BA@?FDB"],"Europe/Busingen":["uc|Ae|OJUSg@Fw@o@`@J\\Gh@\\U"],"Europe/San_Marino":["aztAcfWl@Yv@JGaAVYE_Ai@Km@o@a@T_AQVxAh@`A"],"Europe/Monaco":["cltAanMhLuDg@aAyK`DS\\"],"Europe/Gibraltar":["aqeAhpIz@KbAg@HkAs@uA_CYIvELT"],"Asia/Macau":["kij@ov|EhAk@fA?Ri@j@??mA_Ag@qB?kAp@?bAYt@HT"],"Europe/Vaduz":["m|zA_oQZ[_@kB`@e@eAuC}BNo@xBeAg@e@`Ac@]y@fArDxAjDaA"],"Asia/Gaza":["{d|@oyaArEgBmCeEmCBw@]oHuJmB|CtIrH"],"America/Lower_Princes":["m}a@hqzB`BsCnAyGeLqEoAdCFtF"],"Europe/Andorra":["k~qA_wARaAlAUFeEs@SPg@c@a@?uBq@M@}AaCy@c@}AYtB{@OOnG{@dBFjCjABr@`Bf@a@`A|@IkAz@_@"],"America/Indiana/Vevay":["wxjAdleDpFCDu@sDgJBiBe@iBToC{AZcByAi@jDCxOs@G?dC"],"America/Marigot":["wgb@`wzBxDq@lCgCyHaGLcBc@eA|AqEqFqJ_@BgAzEPpC"],"America/Indiana/Marengo":["s}iAphhDdFAAyEnB@?}EpDBM}@h@}@o@i@SqBa@FQtAk@HSc@`@{Ak@E?c@g@NIi@sBDOu@m@hA_@ITWoACTo@}@ZM_@m@f@WS?jBx@?AfV"],"America/Indiana/Knox":["gloAdxhD@_\\kO??|Ix@lBbDtAfAtA`BdH"],"America/Indiana/Petersburg":["ecjAlyiD@e@z@??iAvB@IwDlG@?e@Z?AaMsPAg@z@d@~AgAlBrA~DcAjBH\\t@?s@ZT~@[PXTKt@"],"America/Metlakatla":["urjB`g`G?aCl@`@jACr@Yx@cBaAqDh@mBAmF{IaEsBbGU~CiAhAa@nE|A|AdG|A"],"Africa/Ceuta":["yheAnpIxCY|A}@lAaGN{KuFRcE`D","_xcA`sFJa@IWcB{@p@`B","q|cArxDj@}@yI{S{BjErJxN","sucAf{Cb@OFuAYoAQWg@CEfDFb@"],"America/Indiana/Tell_City":["}eiAxphDlE}C]eDdCLUaBcCg@FmB[u@iAb@qCKSeC_@e@a@Am@bAiEI?|EoBA\\|LhCEAXjABd@UJV\\kAp@Vd@_@b@j@Vg@D\\v@Sc@r@"],"America/Indiana/Winamac":["{foAdxhDzI?D_\\kO?A~["],"America/Kentucky/Monticello":["u~fAnceDlEwBfB`@t@g@hBCf@eK@q@oGqEi@DQuAq@SIw@QJFg@g@G[b@Oo@]f@E[y@FXl@iErCl@tDi@Ze@fBhBnC]fAvA`@"],"Asia/Singapore":["wiA{giEP{DpBaDmGyPOmEiD~AmBUcAdBj@~AE|DeBhDz@hBQzAz@pA`HjCd@r@","qqAsxjEFaCqF}DKaCkCdDrDbE"],"America/St_Barthelemy":["iva@rdzBxA{AzByIBiCe@mCeBgCgCoA_E]_Ed@wDzCwAdDpFpJ"],"America/Montserrat":["at_@b~xBpDk@~CeCnByCj@_DK}DiAwCaDkCcDs@{DJqDdHs@`F\\hBjF|J"],"Pacific/Nauru":["j`@mrdIhDe@rCiBxAoC\\oDg@gDeBoCyC}AeD[iDd@qCfB{ApC]nDf@hDdBlCxC~A"],"Pacific/Wake":["yud@}}cI~C_@hC{AjBwCfAsEIkDgAuCyBmBqCq@{ETyCjAoBfCgA`FP|DtAzCnCvB"],"America/Bahia_Banderas":["{kg@txmEtBmROcNYy@cAm@Ba@s@e@qAC{@uAPo@q@Ug@VsC_AyA{BCaAp@][s@VEUYXi@wAWQfAo@T@dA\\HEhBd@XHrFvCxCd@pAa@j@yBaBsIdK~DdEtG|E`CrEpBdA"],"Pacific/Kosrae":["gjIqw|HnEw@zC{BzAiEZsFo@oD_C{CcD{AcE]oFz@gCvAcB~CW~DhA~FxCxDdC|A"],"America/North_Dakota/Center":["sg{AfweEfOAAwr@sAoBgCpBoBXiAlAiCGeA~BVpG|@^i@nBr@?"],"Pacific/Norfolk":["`tw@kofIxDOdH_C|B}Cp@_Ec@{E}BuD_CwAeH_ByD`@gCfBuB`E}@fFPvDxAlDbCjB"],"Indian/Chagos":["fnKe`jCvA_@\\mAi@oAwASmA`@]lAf@jA","xdKscjCvAu@@eB}CkCaB?u@bADxAvCxB","v~K{djCpB_AbAaDGqAaAu@yB`@iBtDXhB","t~JwpjCfBs@z@}AAqAw@s@aBLkBzBJbB","|jIe_kCvBi@fEMr@k@\\aBAyAkAyCoB}DcAi@_HB_A\\a@x@x@lDaA~A\\vDhAnA","rmIk|kCzAi@\\aBgAgDkBm@yBfA[tAz@nB","fbJcclCjAe@V{Aa@iAeAYmAd@YxA^hA","peM_flCbAYbB{BpDLpAw@E_CwCoCgGIiDvC_@nANnAhBfC"],"Asia/Hong_Kong":["qkj@qh}E`A]|AsDWc@?cb@oL?oE|AwC?a@h@KhEBpBj@rAc@nCf@ZHtBbAfAMrB`DzF~D?"],"America/Aruba":["snWzfhCvDq@`EcDYi@nEkXoEeC_EGqGjBeI~IqBhEAbFnB|DjDdB"],"Indian/Christmas":["~oScvlEzDo@nC_CdDiIJeFcAiDaCwBoHeC{E@}D~@_CxBaAbDBxDhA`I~ApCpC~A"],"Pacific/Niue":["rgd@|ikI~BYhF{BzC_GZgDw@kF{AcCoFaEkEs@qI|AgC~AyAjCo@dGp@nEjBzCvDhCfEpA"],"Atlantic/Bermuda":["e`~@de~BbFoAfCkCjAkDBmHuA}EwEeJ}DcCaEM{C`AoCxCsAvEBdEtFtQ~CnC"],"America/St_Kitts":["yv`@pczB~DeDxC{FfDu@|BaB~A}C^kDGwA}GiFqCgAsIw@}At@uD`F{EtDgB`DcAdEpG`D"],"Europe/Jersey":["gc_B~~C`IaAfG?nBwPUcOuB?m@qAiEgDiFq@gC?cCrB_BhE_EpEfBdAxAfDbEjO"],"America/Noronha":["bqFfy~@pDg@vC_ClAuDCgFmBqFsBuBkD_AgFPiCz@oBpB{@tCBxC|@xCbEvF|BnA","ax@rux@`Dc@xBuApA{B\\cD]oC}AgC}BqAcD]aDb@yBvAqAzB[|Cb@`DvAxBzBnA"],"Indian/Cocos":["bcVgu{DxBS|BgAxGtArDBhFaB`CoC|@{DK{FmBoEwD}BkEWoE|@qFtDyBi@eCA{EbBaCzEIfC\\xBxCzD"],"Europe/Luxembourg":["qm`BoeJd@_BJz@\\MD\\HY\\f@pA[EiA`BsAl@JEmAb@k@~@j@Z{An@DtAvBj@q@`A~BCw@l@@f@{@PsEnASDwBc@_@XuAqAu@i@aFVmAl@_@f@qCoCTq@q@_@n@Gm@_@Hw@yAeAe@YRuAuC[PBi@w@`@Sc@w@Xi@i@P\\i@nAVrAoAbCZjAaA\\{@xCm@^u@KBr@k@L^X}@HYdAUWSf@G_@iA`AY_@CXkBk@Mr@[[i@l@b@nASz@g@NRxBrADd@bC`ANf@`AX_@`@R^pA~@e@f@|BxAT"],"Australia/Lindeman":["nue@gkaH~m@iSGgMyEaGqLoAqCh@iClBwL~OkAbG"],"America/Barbados":["k~X~{sBrJ[zE{@rD_DrBgGV}DeAuEaDgE{EiC_EYcEdAeBzAeBdDuDzB_CfEObFpAdEnDvC"],"Australia/Lord_Howe":["pp|@aduHjCYbG_CbBqBx@iCnDyA~C{Et@}DKsDqAqDiCyBqDi@eDp@wCvB}AlCqBDwBr@cExC}A|Bw@dFv@xFrDxE"],"America/North_Dakota/Beulah":["am{A~rfE@_CrT??yVgO@?u^s@?o@nDuCb@wDvCm@EkAyBuAvBdA`JExFfA~CQnCaA~CBjBkAJ?zI"],"America/St_Lucia":["maZjuvBtGg@xFkErDkJc@gGgCaDcEuB}Cs@wJg@_J~@kDnBeBvNp@~DfM~GfD`A"],"America/Anguilla":["ahc@lh{BhC[tBkAtAoBl@wC`E|@tCWdCqApAkBpAc@mFwXQqCv@aFiCoAgCUeC\\sBhAwAnBy@tEBhCn@|B_@lJ{D{@uCPcCjA}B|DK`Fv@lCpD~C"],"America/Kentucky/Louisville":["iqiAtrgDtAuB`BLfAc@rAcDBgDbBcBgAg@CuDwAeB{AuIXuHwA}FcHq@kCrI{A|ByBcAm@cEyAiAe@sAqASc@TIfC]@BpQvAt@ZzAx@AAd@^?ZxElC@IfOVRl@g@L^|@[Un@nABUV^Hn@iALt@rBEJh@d@O?b@n@H"],"America/Dominica":["ki]lnwBzEu@hG{BrHiAlD_DbAgGeDkLkBeBgG}AsLAoEz@mEnC_ArJiBjF|GzM"],"America/Grenada":["amVlbxBxEaApDaEt@{FgAeGmBwDuBsBo\\iOaGvIaA`IcBpFvSbN~KrD"],"Pacific/Midway":["eov@ry{IxCc@xDeCzA_Dd@qESiEwAuDkCyBsDm@oEh@yCfBkB`Do@nE^|EdBzD`D|B","cbv@d~yIhDi@hCkB~AaD`@}Di@wGsAoDsC}B{Dk@aEn@{DlCcBjDa@nEh@nEdB|CdDdC"],"America/Miquelon":["enzApvmBvDq@lDoDfBiExAuIRsEa@eGcAyDkBuCiHtCoBlFoCx@sIq@wKjHiA`HfBfIhBnCvA`ArDp@`IqAhBbA"],"Pacific/Guam":["mgYy`yGbO}@vDcBrAqBd@yB]qIiC}E_EeCsDg@{EuFoGoBcE@}DpBkDfGo@xCJpD~BlEdF|Bj@hDhBtChC|A"],"Europe/Malta":["omeA_fZdDU|BaAxO}MnBaE\\mFmAuK}ByEcE}BkFOwDfByL|QaBjF_@vGbA`HpCrD"],"America/Tortola":["ejc@vz}BhLwDSaC|@uAXiFtACrAn@xIi@G{BsDkKuEoF{B_EiD_BiE@gDaBeDKsExAqDjEy@~C?~GjAnE~AbB`DhAvDIv@vCXzJ"],"America/Curacao":["qdWlnfC~FWfDmAlFkE|E}HvCsHp@eFjAoBb@eCm@kFgDiD_Be@yGxAgFrFkE`C_CzDg@rD}DdByBnCqBjGXpFvCxDtBz@"],"America/Indiana/Vincennes":["wbjAxkjDXu@`AZCk@a@wB[TUa@\\g@OiAaB]NuAs@Ad@QF}@mAiAJu@YUZQU_Ar@[u@?I]bAkBsA_EfAmBk@sAl@gAlR@AsPwAD?cF_h@DDbt@nAf@Vs@~@?`A_AZf@Fc@t@AnBdA`@|Bt@r@bAL`@]Er@|A~@hAo@x@|D"],"Europe/Guernsey":["aq_Bx{DnCi@`C}BbAmKbBcJyA_DcEkOyAgDgBeA_DnAyGqCaNUa@nMr@tJ|@zD`DdEbEp@xAvGzDbGfC|A"],"Pacific/Wallis":["`zZdl{I`Ei@lDwBjDwG~@eDCyDeBgEuByBoC{@iEJ_DbByFtKo@nC@bErAdDxCrB","x}XlswI`DW|GiCnBqCb@sDSkEgBkDcIoD}C_@cEl@mF`DcCbDk@|Dd@tDrBrCdI|C"],"America/Creston":["{{~ArrcFtAUNuCYS?yAr@m@Ln@|@TAqiAc@A_DpEYc@e@NS~@q@LLtC_ATInBu@MiC|@@z@t@Vy@fAVf@MrAkAb@qAq@aBzAI~@w@d@]WYnAe@Ku@d@N~Bm@zBRv@dAXdAvDDp@i@Z\\dAU~@_CqA_Ax@IdAmBqA[`Ay@i@s@gCc@b@k@g@[fAcA\\{@fC`@ZUjHtIpA`B}C`NoCvCwCxCvD`@jBgA|@|@|C`A?a@`BTbBt@["],"Asia/Bahrain":["_}q@{daBpKcAvB{BvGeClEmGIqFzAqFu@O}@jA{@c@_@qA{Ey@cHfBgFcAcCsB{J]wFdB_D~ByD\\_C|AkArBi@vDbClAtDpIrFTdAdApFp@pBFF]"],"Indian/Mayotte":["hvWokvAdEs@fEl@bDQnIgCtDwDxBuFL_HwAeFuDyE{B{@aDQiEyAcHWsFtAsH`I_D`H@`HnFrKfCzA"],"America/St_Thomas":["efc@vj~BlHmBpKZzEwE_@eBlBwC^{DYgCkB_DQkByIh@sAo@uABYhF}@tAR`CiLvDJ|G","_pa@rd~BhEw@xCyCv@kDAmI_BeJkCwGiDaCkE]mExAsDnFm@hEZdKr@rGrBjDtDfB"],"America/Martinique":["g}[t~vBdDYtRmGxCwAfBwBvAkDo@yDdBuNwCwDcFiBaEGkUzCuB|@wAzA{@`CS`FgBdFa@tEtCbKzD|B"],"Asia/Hebron":["_i|@_ccAbByAa@_EFcFe@{DkFqIA{CoIs@cEuBqBj@w@SWXa@[eAr@yBo@cCx@}Au@q@ZwAy@_@XwAs@}Eh@{BSaA~GgD^c@|ANdCqA~BlE|HfCr@`@Up@bArBN\\k@~@TvA|B~AaAfBLfCk@jB`@xBeB`BJHhAf@b@DyAs@}A~@kA\\_Da@FH_AgBVS_@nASCe@d@_@nBXh@UlAn@o@pEtA`BzAnDdBxAzDR"],"America/Kralendijk":["}|V``eC`Ca@fFsFxGyAbDsDp@_DOkDqA_DaCkBgHoBcHEyD|@gCpC}@nEkClE]|BJvCz@bC|BfCdCbA","_la@x}zBbDi@hCoBvAwDFiEnDgCfBcDuKmJqGaDqBzBiBzGBhAkDpCmA`Hd@lDhB|CzC|A"],"Pacific/Fakaofo":["jtOfjpIfEc@nCeAhBwBr@sCC{CqAyE}BwB{Cu@uDHwCfAoCdDy@zCB`ElAdDhCpB","x|PpaoIvDm@nDkC|AoCp@_EQqDqAyCiCqBaDs@iI`@mCt@eCfCy@lDf@rHvA`DjDrB","`iQd|mIlEy@rE{D|AqCXiDs@qD_CmCaDkAiGc@aDn@kDjCoAjCWlD~@bEfCdDvCbB"],"America/North_Dakota/New_Salem":["iwzA`lfEnOE?uVjDB@aYdOA@sNpD@HYw@mA_@d@KyAk@SEi@s@A_AmBZGOq@b@uAa@uCj@a@_AmAIqCSFAm@aCIkAsAwAtAc@i@qA`EwAk@j@|DcALCzAq@P]m@a@vBsBa@cEtDsACgAx@"],"America/St_Vincent":["csW`mwBbBuF`AaI`GuIqEeFoTiHaEq@oXMcEv@uBpAyBdF[fDt@hEhClDfEhCpDfA"],"Europe/Isle_of_Man":["cqhBdbIlB]rByApC{Gd@aIm@iRkAoEwIyPwH_GsD[_D`BuC`@oClFFlN|A`PbCfKrAr@zBhE|AtAzDrAbCfC"],"Australia/Broken_Hill":["px|@qkrG`c@?R_FsA@ZoGpAFJyBf@ABaa@p@DR_D}Ad@{AUBm@{BOo@d@cCU?hB_@j@mCV@eF}GA?w@gB??nAuJY@|JhAJTbD{AEQnDa@Rt@~Dq@E_@d@fAzB?~F_A?AhD`A??dL"],"America/Cayman":["ozd@|l~CnLsBfC}BdAuDC_KaBiLgDiEuEmAqFf@}B~AkAhBq@nDBxDwAtJLjDrB~EtChB","oke@d{{C~BYhB}@|BeDb@eGaA}EBaG{BkJoBoCwC_B}DS{DnAcBpB_ArDClCdBxGKnEdBnIlAtB`CjB"],"Pacific/Pitcairn":["tvm@|x~FfDe@jCeBvAmC^eDWwDyAgDoCoBeDe@iD^qCbBeBzCa@xD`@~DzAtCvCfB","r}o@lq}FrC[jCaBfBeDb@gDWsDuAeD}BeB_Dk@{CZsCbBiBpDc@dDXlD|AdD~BbB","~qn@`czFnDg@|CcB|AwBhAiEBiD}@mDyBcCyCaAkHPcCl@iCbCcAlDPhGhAhDvCbC","neo@pdsF|Cc@fC_B~AaD\\cD_@oD{A}CmCiB}C_@uC^iC`BwAhCc@pDXxDtAzChCfB"],"Asia/Brunei":["kiHet}EnCaCjFOTmDpAgAr@{BtD}A`B@`@s@hD`@TsEq@y@bGwAj@cBvAQfBqCt@\\q@iDcE_E}@_@M\\cF}Bh@tAcE}BkCKKjBgNt@e@r@m@MOXg@kBaB{@k@sANuC_Ca@k@u@l@gBfB`Aj@CNe@pA`A`@i@|@Z`Bk@|@RvA{@hCO\\_@xCQz@XZw@WiAn@{BMi@p@MDcBrAu@qAmA}ErD}CFsDg@kAx@s@Me@b@w@OgAn@mAEkAxAq@HKdAmAIs@r@uDeAmCsCc@bGmAtAHnG_BlA`ApE~A~D|BlBtKpOrBbI"],"Indian/Reunion":["vah@uljBtE[~KsEtDmDfEqK~A_M{@eK}BaF_EeCeFUyD{@kG|@kBnAkAfB}EfBeCjBmAhBsAlEcAdOrC|LxChDnG~C"],"Antarctica/Macquarie":["ftjBmftHxBa@vBmB|AsDp@iEQqLcAeE_BwC{B}A_CSeCz@mB|BgBmHoDoDaDUwDaBwG{AwBCgDyAwBFoB~@uC`FaAjId@`JjCrG`BpAbB^tBlDbBrAbPnDfFUlDoDpCzGvB`B"],"Pacific/Pago_Pago":["`rT|pmIbDc@bCyA`BuC\\yC_@_DaBuCqCaB}C]_Db@mCbBsAhC[~C`@lDzAhCfCzA","f~ZxamIjDi@pCuBvCkG^}Dy@{DoByCO_DaAkCaDcCcEa@mFlAgCxBeA~Ce@jIb@nC~D~J~CxC","htZjyjI~Do@|C_ChAeCV}CfBmBz@uCAeDsAiGsB{BeDcAwFDqDlBcBvCYfFiBrEDzG|@|CtCpC","~k[rzgIbDc@hC_B|AcCd@gD[}CaBgDgCaB{Cc@_D^aDjB{AhC_@xC\\dDbBfDjC~A"],"America/Antigua":["a_`@tdyB`DgAvBmCkF_K]iBr@aFpDiHeAqOsByEcBkBoCaB}C_@qb@pCsFbB_GdFsArCc@dFv@nD~BzCna@~SxEHrHnB"],"America/Guadeloupe":["yw^bcxBzNyAbEuArKwFpAgBz@sC}G{MhBkF~@sJwAaCwDkC}NuDkIqEsD]uElAiCzCq@bEv@bFErDeCfAmCtCsA~COjDjHzUtA`CdDtB"],"Antarctica/Palmer":["bm~Bv|~Bc[giB_q@nKf^n}@"],"Pacific/Apia":["flY`|pIbC[tDsBvD{ErIwG|AaDZuCo@cJl@cDjJoOf@mFlAmEBsOv@uCCcDaBaEgDkBiI]gCv@eBzA{InOc@|DcCxHX~J}EvAwCdBeFbE_BxCg@hG|BxQ[`DT~Cp@lBbCdC~BdA"],"Asia/Famagusta":["abdA{n~@rKsDAg@g@[mKpA","mcdA}x~@fNgAz@_DrA_B?k@o@a@DaDqAwAw@iC^oAqA_B~@iG_@eALsAu@eAlASlBiBjA[~Bv@Iw@kBSc@_BvAcBY}@|@_DQMu@z@e@}@JW|@Va@aA`@s@cAmB@sAgBU?WhAaA^N@uDuEmMyBqByOu[oG{DwDYkDlAqBfC}@rDA`EjIv]zCdGnE|VNvNcB~TR~E~@nC~AjB~Av@"],"Africa/Banjul":["qcYzf`@lS{AByLo@s@aAJF_@YJWq@g@P]o@Bav@mJ?CcDe@sAf@aEwAgDlAmFS_DiBmC}E_AiBoBc@eBbCmAnBwCx@gCFkBv@mA@kBrAw@|@uBBuBa@gAzAyAXsClAcA|@cCBkBg@mAd@oC}@aCs@]_@gFi@aB?cDqAcBuAe@{ARsB|BeA\\iAlDt@rBG`BxApFhAnAn@`EaDjGqCb@oAnAMfEtApDqApCwDt@mAzAi@zBTtB}@jDjCjGZtByAz@HhCvCpC~ElA?~uAnDdFtBz@"],"Atlantic/St_Helena":["hoN|p[fEa@pCwAnBoCl@yDm@}FwBgEiCmBsDk@gD`@wCnBoCdEy@vEb@~DzAjC`EbC","dzgAxhXfEy@zC_DtAeGpBkBjAqC`@mDKwDgAsDiCqCqCy@eDRqAcFgE}EiCcAwCCsEjBwCbE_ApEJjGp@bDpA~BhDbChCv@EdHlBxFjC~B","pvmApaSzCm@bCuBlDkHp@mEM_GsAgEiCkCkEgA{C`@sEnCcC|Es@lFXxG~AvEhC`C","|f^xuJxDq@~CmCtAgC\\eDiAuGqB}EqCsBsDc@gEb@oEhC_BdDa@|Er@fEbDpElEhC"],"Pacific/Kanton":["fbHlhtIjD_@hCuAvAsBdAiEGcDaAkCqBiByCu@oDL_DtAoCxDs@rCJnDpAtCnChB","n_FjnsIvCYnC}AvAcC\\qCWuCqAeCgCaBoCa@gDXeCrAyA|Bc@`DX|CvAhCdCxA","pyGrwoIrDk@pCuBzAcDT}D{AqFwAqBkCuAcE[}Cj@eCnBsAhDMpDf@tCzBnEdCzA","hmDdxnIfEk@|C}ArAkBhB}FHiDo@kCcBuBoCiAoECmF~AwBrB_CpFMrEnArD|CxB","b_FpknIzCa@hC_BtAcCZyCa@{CyAaCcCsA{C]wC\\gCzA{AlCYzC`@|CzA`CbCpA","nuGn{mI~Ca@lCaBvAeC`@gDWgDuAoCaC_BcDc@cD\\cDjB}AfC_@vC\\dDdBzCdC|A","paEvpmIjDQfCcAdBoBt@wCE{CeA_DsBkBsCu@wELkCv@wBvB}@`DJrDvA|ClCfB","fgFjylIzC]jCyAxAaC`@{CYuCuAiCuBuAcDi@{CXkCvA}AhCa@zCXzCtAfC`CxA"],"Atlantic/Madeira":["ma_A~da@`C]nEcCnGeK`Qei@XwCOyCw@mC{AmBuBgAcCUoO~DuFvD]cG}E_KaEkBkHJqCjAmBfCy@nDHxExA~G~BzCnGpCxBB~Be@cDpL}AlRF|C~@jDfEdGjCvA","}sy@vx^fE}@dCkCbAgEKmF{@{CwCyCm@kCwAyBkDaBoDAaDjAwBlCeAfEFdE|@zCdCnCj@jCpAvB~ChB"],"Asia/Nicosia":["sncAmp}@tMkBfL_HdEoI`D}Q?gBiIaAOm@CgBx@m@rAGj@w@N}EGgA}@kAcACeAt@TiDtEgFoAgJoEoPsA{BmB{AwGxCcBtAHkC~@qCgAkDjBgAxEKXaFg@yDkAaCcCkBiCi@wEh@uF`DtElMAtD_@OiA`A?VfBTArAbAlBa@r@`@`A}@WKVd@|@t@{@PL}@~CX|@wAbBb@~AjBRNd@g@Pm@u@y@?oDbCmARt@dAMrA^dA_AhGpA~A_@nAv@hCpAvAE`Dn@`@?h@sA`B{@~CgNfAFzClKqAf@Z@f@sKrDr@bDzA`CSjFrAjFfDvC"],"Africa/Sao_Tome":["sNifK~DIvMwBhB{@dBwBr@{CMgDyC{HwA}AeMoH_pAyi@yNeBuDr@cBnAuDnKRzDfBxCzxA|w@"],"America/Menominee":["k}yAbroDbAq@i@yB^m@f@NMoAd@GDoBzGcEl@@lKg_AjFgP[g@Ba@`@@YqAZwBp@O@mB{@]XY]qCx@s@Q{@p@uAa@gAhAiBQ_D^SIyA|@qDnACP}@bB~BZGx@uB]_Dn@AXu@FkDnC_Ex@vAjAwAr@Gr@\\BrAj@}@lASfAf@x@`B|@Y`BlAUc@r@g@Wa@D}CqAwBh@iAz@QnBbBhDvAr@Kv@iBfAm@~@sL{FgAmAuD_F_HuDkCuEdI?~BwTE?tAkD?ApNiOC?j^yIA?tu@nD?AjVyI??nVmDA?vFwI?An@dE~H~BdOKr@"],"Pacific/Gambier":["|fl@|gkGbDa@lCaBdBiDXoDe@{CcBkCyDmBoDY}Ch@mCnBsAnCUjDp@jDnBvCjCrA","`rh@jojG~Dk@|CcC`C{H`@}ErDkCzAmDRiDo@kD_B_CyC{AeEO{EvAiBhBcAjC}CtBiAdCO~EiApHPtDrC|ErB|@","t_j@zliGfDe@dCaB~A_DVmDg@_DqBuCiD{AaDUaDd@cC|AyArCWjDh@dDfBlCdCzA","l}h@vihGhGw@hCmAzBwCn@aDBaG}BcH}BmCuDeAoDRmDfB_CfDkAxEDdIz@lDtCrC","lgl@~hgG`Dc@lCiB|EwMBkFqAuF{AmC|GwBbBuBp@cC@iDiAsDsB}BqDkAgFZoE|CgAvB_@`DTdDlAjCiDEcDfAoGdFmBpFAlEzAvDdLdK"],"Asia/Beirut":["gx_AeccAzCyLPsD]c@IqE~AsAOoCs@]@sBo@@_@{@iEGuB{@~AqBiABHiAkBuBOmBw@oAqA[{BuEaAi@w@Zi@oD{@{@wCxFu@aAaAAkBsAGu@}Ay@Ay@eAwBl@wAq@iBp@mCBkC}Ar@ArAmArAeGqF]gEkAMeAoBgBw@]{@q@`AgARwAe@UlAaB`AgAuA_CzEkAZF`Fi@AcA}Cg@`@{@K^_ByAYH`D]n@gAFQ`@Pv@~AXN~@]tG\\zDo@tA`@V`ArGyBjDo@|CtAfDpD`CjDJdF|DdJjAdDKrAhD`CrBrCl@`DGlLbEzBxBjGlBvBvA`Ef@"],"Pacific/Chatham":["`wtAxdyIpCg@|BqB~AeEXuFpDwAxBcBzAuCv@yElIgFxD}FbAyC\\mEYoEoAyD{BaCf@iFc@mFyBsEeDeBcCE_Ct@aB|AyAvCeBgFgDgCaEKoDtB}BjGA|IkCDoBr@yDtFq@vELhIa@|Gc@lBqBnAsApBsCvJ[hEV`ElAnDhBrB~Bz@lCCdCgAbB{BpHtF"],"America/Grand_Turk":["qci@n}lCrB[bB{A`HaPdRsXbA_Cv@kIm@}EJ_Wm@kCuAuBeKeJyFkA_CBcJjCkCtBgM|UuAxFqCtDm@tFeDnEoAdHBhEb@zBvDzFc@hCJrCdB`EvBdCtDvB"],"Pacific/Kwajalein":["}oQsycIdr@_a@?s[lOgXcH_YeM`JeHe@cNnBaW|QmAdC_@nDzBv[qj@lF"],"Africa/Mbabane":["nds@mc{@fGk@oAsCe@ItC]~AeCtAEpAd@xAu@tBwCrEsD`FmTBg]wKD}QgANuA[wAfAiAqR?qFrBgED_H}@sHb@UfDwAv@|AtEsPh[p@dEdCfB|EpGzBZlPnHtBhCrDxBnBr@"],"Pacific/Kiritimati":["adHbuxHfDe@~B{AjBoD`@aDQ{CqAuC_CeBeDm@{D`@oCbBqAbCs@dFZxCzApChC|A","irFtuvHtDo@fF_DfB_Cp@yCMiFeBgEiC}BmDy@gERyCvAaEfFqAjENlEdBxDrDbC","itB`csHjEo@rD{CtCkGbAoFfBqCn@cCBaFm@uCsBkCwCiAoCOcEd@uC`BcBjCuCNoCdAcCpC}CdJ?rGlBhEnC|ArD\\fC|A","h_Jl}oHbDe@bCaBxBuE`@}C]cDqB_EgC_BgDc@oDf@uCxBqArC[~Dh@zEnAhChCdB","zyFdanHbDa@nCiBhCiEZeEy@sDgB}BaCgAwFi@_Df@aCdBoApCOhDj@~EpAjCpCfB","ftRn{hHvCa@fC_BpAeCZeDe@aD{A}BcCqAwC[_D`@aCxAuA|B_@bD`@zCzAfCfCzA","diU||gHrC_@|CeBxAwBf@mCM_DiAoC{BeBaDm@wCPoDvAkB|Bq@`DRnDtApChC`B","lpRjydHxDs@nCcCfAwDWqEiByCgEwBwDg@sEb@oCtAcBhCe@dDZ~CfAtBnBxA"],"Europe/Podgorica":["cmqAg~b@fAmEvC}EjA{EvE_GhDcAnBeBzFyN}HeIoAOo@lA]{@cAh@QkA}Bf@uCaAwCpFeHyGo@Ni@Ug@}AsFsDy@mBaALgBgBaAaCp@{@j@Hl@o@Rp@fAN|BcB^kA{@}ATi@k@MUcAP}BcA[Y{Bg@SyAXcAgAkB~DU_@Q`@gASWqCj@_BYQl@gA[uBg@_@eATk@uADmBqCHgCdK]Fn@|@_CpCm@hBeAp@s@Et@hBu@|Ad@|@k@BS`BoAb@ChDi@vAsAl@a@pC}@b@{@QgAtCuAXo@pDq@p@wAzE_BAOnCdAjEuAx@SbAn@Bx@pCVQ[w@fBKLmBfASVk@~@DzAuAd@DRvAjA~@y@j@Mt@uAGy@vATvCt@a@dCnIl@y@v@`BpBf@zEYDxF|ArAtBTpAs@bApAp@OTr@xBm@f@m@^sCv@n@`By@p@lBhAgAMnB~@zBxAQt@Xf@qAnCaC"],"Indian/Mauritius":["|eS{bmBzC]`DwAlF{DzAcCd@cDWcDuAmCgCeBqEi@yDn@oDjD}CdBiBrCa@bE`AfEvCfC","p~f@aonBhDe@jCeBjA{B~AcH\\eHi@aGyBkH}C_FoF_E{EgAy`@`@{E`BqBdD]zDtBdLrAnC|I|GfFtBxBfC|BrA|N|D","|z_@yvrBdDi@nCuBnA_DN}DiCoJgK{IcHwAcICiCr@iBtAcKhCaDzCu@zCFjDhA~CvBjBpCr@rIRfChBrBj@zDC","`qe@iezBtHcBpDuCvAuEK_HwAqEoFiEcE_BmEMeEtA{BxCqAhFCzJ`ApDtB|BvDtA"],"America/Port_of_Spain":["{rRdgxBtBgM?_M`@eG`EgRYgEyDqMcD_CigAs]mE[}HtB}B`Dg@xCrAdLxb@b~@vABzJnCxF??tB"],"Pacific/Pohnpei":["{xNmzkHhDi@|B}A~BcEl@kD]mD{AgCcC}AiDk@aELsCdAwCvC}@hEj@rE|ApClEzB","ebAwwlHnDe@lCkBlCmEj@_Em@yDcBuCgDcB_E[qDb@mCbBkB~Cc@nDj@hFtArCnClB","unFidmHhDa@lCcBxAoCZgDc@gEeBaDoCaBgD]iD`@_DjBeB`D]tDd@jDhBtCpC|A","iwM_smHdEq@bHmE|AmBjAwDh@uGw@eFmC}C{FuBwICeDj@sDtCsAfE`@hGu@lGr@rDtDnD","ciJepqHrEs@tCoC|@kDRmI]aEwAaDmCkBiDe@{Er@_DfByBtDi@hD\\|DlDpInCzB","ezLuvrHbCSnCcAnDcEbENnGcB`CmBfAoCFsEqB_Gp@cH]mDuBeEyDkD{BaA_EOgKvB}FhFyAfDDvFdErIiBhAeBhCaApE@xCn@xB`BnBtB~@","i_LorvHdDe@rCwBlAcDBeDy@yCyB}ByDmAeDE}C|@qBnB_A`DEbDr@nCpBzB`C|@","_dKkmxHbD_@|CcB|A{Bh@gDa@qD}AeC}C_B}Ca@iD^iC`BaB`D[fD^tC`BjCfCrA"],"Pacific/Marquesas":["|sNxfrGdEc@bDuBzAqDB_FsAaDoDmCkByCIiE_BaDwDkBoEA}DnBgB|D?tDnAbD?pExFxMlDrB","f}Ol`rGbCWlBy@lC_EFgG{BiEvI{@jCcAjDcEx@cExCvDtBjAvC\\~De@jGoEnBsFMiEiBkDcDqByG}@mDTcCnAmCnEm@tC[oD_AaCoBkBmCw@~EcB`C{Cd@oDg@iHuBqE_FqB{EHuD~AeC`D}@zDDrEx@xC~AdBbEnBeHx@aBjAmAtBc@fCUbMhAbFhBbCaDd@yBxAmAzBc@pD\\vCrA~BfC~A","hbRjeoG|BS~B_ArCTxD_@`D_BnBwC\\aCI}B}BqEpBqEJ}DwA}D}CsBeEYuFrAaEmAqDFwDlBeBtDaD{@yDPsCvAiBvCUhFvBbFnEnBnF[hE`JpCfB","ppS~gnGdEu@xDmDlAwDOcEgC{EiFcC_@eDkBsCwDyAeEJ}D`CwAjE\\tE|B`De@|CTvDlAnCzBdB|Bf@"],"Africa/Kigali":["`}C{jw@fA_A|DEtAkCGw@vAyAaAa@{AP[[u@Ti@US}@b@eAe@k@pAkC[{AdA{BfA?Tk@dAEVf@xDkAuAeC`AqEYA[yALu@m@uA`AcBQwAwA_@So@j@eAg@cBqBoAwBc@iD^uBk@c@s@{Ep@uA_@f@mCrCaC`@iASgB{CoAj@y@?_Bg@oCs@O_@w@d@i@S{@~AWbAmAb@uBg@gA\\eBuBwBhAcBy@gBaBkAwEX_GmBwGtDcDm@eIRsAe@_G|DyCLeBtBS`BeA`@YvAiD`@_DtAc@lA_AMGb@y@NgAe@RjFhCLXjAvA\\lD`DCpAlC?b@pAh@JIbBj@h@z@Cc@~@dAr@bA~CuBz@eCBHj@gBhA~Bv@aA~BtAlBHlFjFxEDnDtDfBfCdCz@ChIxEhCPxJ_BdGpBl@j@d@|D|ClACbBh@t@|Ab@fBs@"],"America/Argentina/Tucuman":["dvr@bg`Cf@[~FL}@}FxGkL`CdBVMzAr@hAsAv@?F`@rA^Nl@~@Db@|AnCr@lA`C`Cl@L`AxAz@nCqIbLKzFeBDoA`@QzFiAfAD}@UYs@mAP@kB`B_BnCEnAw@nAE@cBtAsAsDuCgAaDuBuBhF{J{@LmAe@^gB[gCiF_AiB`@p@gAeHrAqAsC_DnBqF}Cu@{CqIwABYcHaBCViAONsA{ImAPcBiH_A`@iDwOx@kBW_BoAuD\\NxFf@nAg@~F\\nBfAt@~@zC{@l@RbCqB?sBvMsDj@k@`B?h@bB|Be@bAElDdAzBWr@J~AvDj@|@MlAh@`@a@`@^lAIgGzV|@Cp@l@hECn@lAlAG"],"Asia/Qatar":["o}p@owaBdAI|BsAhTeBzD_BnFNx@}CjHu@rKsFnAaC|@gEeAuKwCyC{Aa@gA{JqEmNiDBgBp@mEmBeC_@iCP}Ap@iIw@sCd@oCxBiDnAcD{AaDk@mPG}D|BoAdCy@~EiEvBwD`GmAtDMbFtA|EhD~DJ|AzLp@bCrBfFbAbHgBzEx@^pAz@b@|@kAb@DPH{ApF","u{o@kqdB|Dq@lB{AjA}B`@sCW}DsBiCsBtA{Aa@]kBfAwAcAKmEl@wB`BmAhC]hDRlCjAtCxBhB","wcq@m|dB|Dm@hBqAfB{DPeD]oC{AuC{CkBeCY}C`@yBnA{A`Co@`FZpChAdClDbC"],"Indian/Comoro":["t`VssrApC[~BoAxe@cg@nYgx@gp@m`@iQhV}j@ncAw@lCUrDZtDzBxEh\\fQ"],"Europe/Mariehamn":["_qtBugd@hd@st@FkBnGuSc@m]gIsXyFoAwFeD_C|IiAt@uDx@{AtDoCw@KaAaOwAoAk@_BLwDbDsCvDS~MsH~ThH`UjA|Y~CvVhR~C"],"Africa/Bujumbura":["jmDqsw@r@IFwAvAg@Lg@`BMlAmChA?r@eADaAv@e@bAIPXd@[xA`AjAHnCc@`Az@rPoAfG@xGl@jCa@pBiCfGiChGiAlKa@C{Mj@cD{AUuB}Ad@kB}@q@KeAe@_Ao@QQgA[BEmAyEgAiB_DiCkAIq@{@Qi@^aBa@qBq@mAgBwBi@QeBh@a@YYkCn@sDsAc@y@{AJoAqAPm@s@g@kC}FeA_@Y|@o@VqA}@a@iBgAi@p@c@kAiD{@z@a@eAuABi@VD^gBc@sAjAqCgBd@jEs@vAj@bAqAl@uBlCvBnCyDbEeCgAaBBaAqB}AaAQb@dAhBq@lAyEaC}@@m@w@sD_A{AnCaBZVh@a@xAlAd@j@~CCnAk@x@zCnAR`Ba@nAsC`Cc@rCpAXtDu@~DbBhD_@vBb@pBnAf@bBo@t@Px@|Ad@PxAaAtBl@`AMv@t@bCw@fAI~AtAdCyDjAWg@eADUj@gA?eAzBZzAqAjCd@j@c@dAR|@h@Tt@UZZzAQdBd@"],"America/Ojinaga":["c}x@jzmETwArAOiAQDsIlBD?aBlD@B}JlAhA|@Cl@o@SoDd@_@p@\\VyAvFkFdAyBOoCx@o@pBd@p@vAhBn@lCkCYAIm@VeDm@mA`Ae@i@qBrLcJNl@bAYi@mBx@?oAiEZeBh@?Aw@x@?\\e@F}AjB`BdAoCi@i@`AcAeBcB[b@Ie@kBg@h@kAa@Wr@u@{@s@~@sApAs@bALrAgA_ByABeBv@Au@gDzAmFyA_@Zs@e@k@p@SSe@~AXgAa@Jo@_@QMn@sAg@T[WQz@_@kBuAgHcDw@k@L[eANiG_Em@?B~@g@QEZv@\\Gt@WDStAy@`@Jh@c@AqCfD@~D[RSrBqAn@InAmABN\\_@\\k@`Io@|BiBhCk@vByBdBw@IHb@c@JgAzCXl@wErGI~@_BfAQ[}BnAc@GwBjBUQAZ}Bz@]p@cAMCVg@I@XmAEeA`@_Bk@gAVyASoBd@oApB}@Fu@xAsAF]tA{@Ui@f@_A?HbCmAzACrFp@QAzCjEG?rAv@AAhBoC@AfBdB??jB`B_@CxGjAQ?jA_AEg@dBf@KKxBd@??x@z@jAh@c@j@L?oBdB?}@zBtAlAbBjEvCxCf@GB_GbHI?rAdEGHrC|@{BzAPLzAYn@"],"Pacific/Saipan":["wbg@aqyG|Ca@fCcBtAoCZqDe@oDyAcCwC_BaDYyCf@}B`ByA~CWhDf@fD|AdCbCtA","iqZe`zGfEy@lCmCdAeGKmE{@yCqDmFoE}AmDC{CbAwB`C_AtDCbEzA`GrA~BzDrC","yaf@eezGtCa@lCeBtAmCZaDvCbAfD@rCw@jBgBnAcDHuD{@oDsBcCuDoAqENkEvCyA|FcC{@{CE{Cz@uBjB{AjFd@pFhDdE","}}[{yzG~EkAtCkEHiFaCiG{FiFeEmAmHgFcKcBuC\\cCvAwBhD_@zDhBbIxAlClCnBfDf@pFxDtCh@~BC`DtA","o}^_`{G|BO~B{@lBcBbAuBZkCKkEyBoFwCiBuC_@kD^oC`BgCqD{EsAeDPaD|AkBvCa@hD^fD~AvC`CxArCb@vCUjCsAl@nC~A~BvBhA","qtc@a`{G~De@~CeBlBuCj@sDa@{DsBqD}B{AyDk@gEZoCvAwB|Cu@jE\\~DdB~CxCbB","}fb@sd{GdEs@jCgCbAeE_@{EcD}F{BkB}EkAuEZyC`BeBtCi@tDXtDpApClBdBvFvB","{ja@gk{G~Ca@rCaBdChAbCRpCWzBgAnBoCl@wCKgDmAwC}C{BeDi@wCVsCzA{BqAeDa@oCXiCnA_BnBu@|BOhCZdC~@xBxAxA`C`A","cg^gz{G`De@`CcBpAmCRkDm@_DeBaCeD_BeDQwCn@wBbBkAlCQdDh@xC|AzBvCzA"],"Africa/Djibouti":["kmUuqpA~IiAdTZ^o@n@wFl@G@e@YMDaE{@Qs@eC^iBKkC}@aDf@oCsBkD{@aEs@q@nAwBo@_CxDmAb@wC]{D{f@{VqDaDoC\\m@wBoAeBoGwC}Gq@eIj@cCwAcC[cEh@cAjEAnEsAzEwD~AqEq@hJzVKt@nAz@v@?J|@`Ar@`AHZo@x@Gf@j@DlAv@\\A~@x@^mGpHcAfDlBvB`EdCdCf@jCxCzHxD`OpJt@zBtAX`@dBzCx@dDD"],"Atlantic/Faroe":["ygxBlzNdBa@zAqAxf@us@bHuL`CyJL{LaBiKqAiCaB}Am~@oZkBQyBt@cBlBkC~JaC~Xr@nW|C~\\|@tE~Mj`@pBdC"],"Pacific/Funafuti":["`vQ~p~IyCmBaEe@gD^eErB","n_JymvI~Ca@fCsAlDcFx@eCDaDw@sCkBsBoCaAiE?{EfB}BjCaAdEMvDfApDxC~B","jhK}}vIfDg@lCeBvAmCTgDm@{CiB_CsCoAkDQgDl@}B|AqAlCUzCh@vC`B~BvCvA","z`MqqxIvDMtCcAlBqB`AaD?gD{@uCoBqB_DaAiFD}Cz@gC`CcA~C@zDrAbDpCnB","v|Jq}xIzCa@hC_BvAaC`@_DYaDuAkCcC}A_Dc@_DZqC~AwAdCa@rD^|C|AjC`CrA","`uNkzzI`Dc@bC_Bhe@ao@lp@qo@lAmCZqCYyCmAaCiU?iz@xj@i^ho@_BtEFfEhBrDtHrE","hqMwp{IxC]pDcBdB}Bj@wCQkDoAmCyBgBkDu@aDPmClAiCbDu@bDPdDxA|ChC`B","raT_c}IvCc@~BwAzAoCZ_Da@_D}AeCgCuAyC[aDb@aC~AsAhCWzCb@dDvA~BfCvA"],"America/Puerto_Rico":["}mb@`cdCfFQvCeAlCaDnA}DBgEiAuD_D}CyCaAaEByD|AqBfC}BbH?|DjAfDjCtB","y{b@hfcCtDq@nCiCfAeDKcFTOvJn@zE]pEmDtAyEUqE\\iKaAkITmBnBgDX{CmAyFMmDZeEw@eMkCqLaBwC_BwAr@yDI_GqBaNuBiDeDyA{EvEqK[mHlB@rBs@hE^pDsAnE@nEiBtJ]jF{@rYH~^o@rE?vFxAxFfBtBtBjAcAnFfApFrCnC"],"America/El_Salvador":["unYxeoDvDwK|CgBpBsDLmJbAqG\\cMvLg[hD{Uj@ue@}BeCsBi@cBiFEkByAgAgDtEq@EoBhA_AhDsAA_AcEo@OmAHe@nCUWeABcAy@iD@u@m@_AHoBy@{@jAw@L{@zAy@@B|@n@l@MhB`@\\c@hA~@nBk@BeB|A_BPQ`A`@jB_@jCzBE@jAj@@@n@n@t@Kv@r@T_@|BhA`BUp@eBb@oBUe@x@NnAy@b@_@pAXnBk@C[t@iDx@cAxB|APXl@sCfAW`A]DKdC}Ah@WdAuAGe@ZO|AoA?u@p@tArCiBdFJv@s@lBRHm@NlArAc@fARh@nAjAgAXA|@tAJj@a@Hn@dAHIq@h@k@h@HbAw@h@DdAzGbCrBlBh@~@QCrAy@hAFnA`@FC`ApBxA~AhDrAXf@xArA|@fBHx@o@ZRM~@"],"Asia/Kuwait":["wyw@q|yAfE_x@fIoFhJg@~EoEd@FSil@qE}Hu@uC}@o@yEyRmCRoD|B_BdEBlFoCS}B^qBlAqAlBoDgBeEBmCnAqChDaCmA_KtF{JdQMnDlA~BCzB}EtOAnRlDjKzAtApNtFrBPtGxDnDjAjMfK"],"Europe/Ljubljana":["slyA_cY|B}Al@VAeAY?LeD\\aAb@IKeCZ{@pAf@zCdHn@Wx@`AnAmBEkAi@k@LgB~AHbD|BxAi@NqCnByFhAoAf@?hBiDfB~CYnFiArDbChNtFeQo@}E`Ay@NoCw@w@CkCu@Mm@z@CoAW?dAiCRcCJmCg@Ca@u@l@w@Mi@f@iAc@oBcB_FkCSKcAuBgAPiAhAVzA{DjBAM{@|@uCvAk@e@uDqAISc@`AoBXcE\\@zAyD]]RaAmA}ARqC}@oAaBfD_BDi@j@Q}@c@BI{AQNN{AW_@uAhAj@h@k@a@i@Nd@jAh@Go@VJj@c@HQt@i@c@gByFEkCm@F[s@NgAo@UZg@g@[bAiCi@m@KwAk@|@_@[g@Va@u@uCL_BaAwA~Em@^i@QYb@yAiBs@BScAb@mDy@_Ai@P}@oHk@cADiAw@k@QqAgAt@WOUqDt@sA?aFg@Ka@fAeDz@{@aEu@y@v@mAC{@ZGKm@tAsBBuCy@pCu@OaAn@Ap@yAhAm@jBg@LIeAeAQSvBUU@l@oAjAi@WEd@e@AMu@iAO_AnBGtBl@xC]xAz@hBVpC`@YhCRn@]Hu@nBOkBzFWrCl@hCMlFZGVn@SdAh@dBz@Kp@~AAnAo@Ha@tA`@bJi@tDNnEdBzB_Al@V`Ab@@GfBxB|AhAFFzC\\XSXfA^t@lEnB\\P`@mBrAXtAQfAo@X^nEYtATjFwAtAQz@HhDoA|D^hFc@`DdDp@@tDpA~@jA|Fx@Qp@z@"],"Asia/Dili":["rcQmhqFdAo@xAPlAw@b@gBaAc@w@aBzAmBlA]fBPc@yCq@SeA^Oo@wBMm@sBeAq@aANgCw@{CRmHe@BfFbAfGhC`IfGG","dsPg_sF|@o@J}AsAsCoBeAzBuCbHV?nAr@jAq@j@KxBj@|@dB@dB]jAmBv@Bz@y@rCO`CeEbDgBGa@{@iCcFmGwBuIIeE{AoE{@eJyDaIeBmBFiEwAmLwAsCqEwCw@_BMiGgCyGm@uDiGoGcD{Eg@eC{AaCsC{AkDWoEpFuDvMy@rOl@rHIvExAvDoAdEIdCl@zEpBlEXzE}@bF?bHm@OG_AeEpGkAxCnDfHxMdMrDrOhZ`B"],"Europe/Kaliningrad":["wsiBw{d@lHeNlDo|@~A}q@gAgjAQ{G_DnBUdAiBBs@b@}@_Ak@x@yAaCWLS]aAbAg@s@q@Jg@}@DaAc@KA}@}AuAq@v@[SUx@k@]UP]r@Nt@i@PJx@a@UgBnDJd@`@IIf@oB~AwALp@jFg@fJPbGv@pADvAc@lAqAHDfFkAfE]|D}AlCa@|CTlCuEfF`B`FUxIq@~GmErQtK|Nh@lKBnPb@bEjAxDrFxFlCj@bDcAtAP|A|@"],"America/Resolute":["cnqCdz{Db@e@lDoQ~Hgq@bF}r@PuJ[}s@{AeRmL}DiJbEyKOoEtJiDzQqHnWaAhM]`Y|@pU`BlSdBfNbDlNjAhJfC{Hf@fD`@G^hCKjCn@|Bx@w@hAjGnDxFvBpA"],"Pacific/Rarotonga":["xgTfncIlDi@`CeBrAmC~@wFU}DeAkC}BiByCo@}FNoCx@_ChCs@fD\\bFtC|FlCrB","nqUvnbIdDg@dCcBvAeC\\{CYsC{AmC_C{AcDc@iDb@iCbBsAbC]zC`@fDxAdC`CvA","vgb@~c~HdDg@|DiCxA}CVcEs@qDcC_D_DkBmE_@wD~@wDnDmAtCQfDl@fDdB|BvFbC","z|X|c~HxCa@xEeC~AsCv@aFa@eEuCyFkCmBmDk@qD`@kD~BkDxEu@fEd@tDtCbF~DvB","lrRv`zHlFuArAwAz@_CbDlB`Ev@hDKzCsAjC}Dl@_Dc@aF}AgDqDuB}EQoE|A}CtCkAhC_CwAyDq@}CPkCnA}AnBs@|BIhC\\~BbAlBfBtA","`}c@lrwHvDk@tCaC~BcIVwCg@mDoBuC}CuAaESaDb@aGpCmBxCe@tDh@|DvBdDvFbD","jmh@|qwHfEg@~CoBvAgC~@aGScE{AgDiCuBeDq@_Ff@_D`BsBjDo@dFRfE`BnD|CzB","rsd@~{uHfDi@pCqBtAgCb@gDk@_FoAkCqCkB}Cc@gD\\wCbBgBxCe@vDh@fExAzCnChB","lue@`rtHhC[jB_ApCaFnCe@jC_BdCmELiEsAoEcCqCqDeAbBoCb@iD_@qDcBkD`E`A`EOjDcBpB}Ch@uDc@{DwBgD}C}AuCSiCVsBx@eBhBkAfDSpC\\vCnA`CqEaAmE\\iD~ByAxDMvEhAxDpCdCdEt@aBpB}@xCqCdAyBfCy@xCBhDr@nC~AtBvBfA","bpPfbtH|Ca@~DsBbEqEbAoDAyEgA_DsEyDoD_AeEX}HhDcBpC{@xFJtFzApDnDtB","dzi@`}sHfDg@hCiBdBcD`@qDS{EqAgDmCsByDk@yDf@wDfCiBzCa@dDf@|EbBbDrCdB"],"Europe/Skopje":["{apAi}f@r@sAjBc@Bs@|@k@xBdAEv@ZLzAo@nB@rCiC`CYV}CpIqBTeDkAaAf@eBMsAt@kAxAACeIy@_Cp@iBIqBkBgENwEvAqA?s@{@sACiAe@Hq@k@TiEY_@}@FiBeDYBQ_AsADkA_CEmBw@_AjAcC}AmDb@yE|@Ka@iCd@c@WaHZk@iCcDzAyAKg@a@_@}Hc@i@yAFkF]kA_CZy@w@}Aj@iC]s@h@uAF_@U@q@uCaB}Ap@GtAsCv@y@dAwBv@kDL?pAo@t@@vBm@j@FjAuCjHqBv@I~@qAd@eCnCoAhDq@AVrAr@j@GdAv@v@Qh@ZXNdC?nA{A~CdAb@Px@q@lB~@x@If@bAb@?bB~@v@{@~Eh@bCw@PQ~Bd@^p@WWtBlAbBdC`A`Ae@Gr@`@t@@zAmALsB|A_@`BlBxDl@rE~@v@ZhEpBtAvAAd@c@^Vv@k@lB`BGrI|C_@Ct@Z\\bBb@lA_@t@X|CqAr@jEn@a@"],"Africa/Maseru":["b|x@ews@~CkDnPsF^cB`@?Xw@vD{@G_D`Ar@^IAb@bD@Pk@`@PJ]d@d@TMi@gDrBk@|@eCpAWDeA|AKzAcD~BkBZuAI_EbAeBJiHn@o@e@_@uBTu@_By@Fe@g@}@Gy@n@{@y@_@mC_B[{AZcAbB}@y@GeCo@yAqBYYaAa@CTyCeA{Cf@gFeAeDFqAi@eCW?qAeDIiBs@SoAgCB_A{@Ii@wBaAJeAzBk@}@uBNaAw@eBOuAuCD}AsBE]oA_@d@a@Mg@f@M[g@Z{A{EwEiBwF~Ao@|BwBUaBtARrBuAtAg@E{ArD_@Cs@hBg@GEhAaAj@`AlA{Ab@Mj@QYo@Ha@r@Ou@W`@SWm@jA^b@e@z@`@~A}BFkAhEkB@}AhBjAvBObC`@`@YfAd@jCf@Ah@hAd@Kd@j@UxAl@l@g@~A^jAa@XfAp@TlArCvABn@p@G`@|@f@IMbATHeAfBXf@^CBt@jAH[hA^fBk@vApAMTlAr@?L^t@MIx@nAXB|@|@cAHfAfAMd@xAt@YBbAb@HnAvBj@aAXLp@zAb@JGbAj@c@\\hAjAFOr@lAe@Lx@rAnA`AII~@\\h@jABOx@v@`ASj@p@d@Q|AlBlCc@b@nARi@hAl@O"],"America/Ciudad_Juarez":["a`{@fxsECy@bBgB~BPjAcFOeAZ?n@aBdA_@jBDDyBx@Rd@dArAy@dABBsAjBkA`@N}@jCzBCnBaFgDEoAs@BeAsAIFiBsBmAh@}GkAd@}@{AaAnBQi@yAe@F{@_ATsAaEo@C_BjAKgBx@g@SmEkH`BaAoCnA`@kB}FxAgAWmCf@Pt@w@Z}AvAJ@e@}BsDp@A?{F{C_Bd@?Mu@xAo@l@iAaBq@FaB_C_AMmCY\\u@i@uAK@u@gGC@kHeC?~@sCc@uCk@?[mDj@wAAcFcAJAgFx@JFm@_AMfA{BvBMDm@bBCd@_Db@]B^zA?EyBy@A?qAnB@z@a@KyAPn@vC??yIu@G?qBdAiBb@Gl@iBbFb@\\uApG@NsDnETlBwAXwA~@D?kAkAPByGaB^?kBeB?@gBnCA@iBw@@?sAkEF@{Cq@PBsFlA{AIcCe@C_FpBM`BuCdA?lB_CnBCtAc@IBf@o@d@Ph@m@AVtA_AbA\\p@y@j@WxBiA?eAdCwAdAk@lB{D|AaDrGC|@}@RuDjDy@hC}A^w@dBKvCeCzFsOzIaAlC`@hAgAlA?~gBd[?@fa@xDxB?|BZb@j@H_@sAn@YBuAn@z@`AT`AwCx@Cj@kAb@j@?gCv@?@lFhEAGpG|AQ"],"Asia/Jerusalem":["g~{@w|aApUmGfJ{DbHk@jAmAbDZrAgCfe@yMlCOvAk@|AXjBYrDsAcC{AsBW{BgAiG]cFmB_CRsAo@Ea@a@\\cB{@A]wB_@oA`@mFA_C{A}Dz@sB}@eDUcGsDcBCiAqA}BH{Ak@uA}B{DQuBy@iBJ_EbByGiCuOcAcEuBqBj@w@SWXa@[eAr@yBo@cCx@}Au@q@ZwAy@_@XwAs@}Eh@{BSa@`@?]i@PiAk@k@PK]w@t@kAo@yD^IyAa@NWe@IsBg@?c@sBuBeC{AkAwCi@qAgAgAn@qFf@UbAmBu@q@JSh@sAB_AjAoAgAe@nALdBlB|BIhAhAC_BnBtB|@hEF^z@n@AArBr@\\RhBIz@yA|@HpE\\b@QrD{CxLpIpAlBtCxBjAjYlDtRdEpF~A`EhC|Cp@fHpExEcK|BuC|GpJv@\\lCC","ak|@sfcAmAUk@oA?cAXEb@b@l@HLWn@`@BhA","cp|@ijcAw@WAo@[MIqAUMJs@|@JDRTSX^FZ[JVPRlAKr@","eb~@okcAk@KJk@OA@MECHOFD@GJ?FVRV?NFB","ej|@gmcAgB]Ww@_@YNa@~AiAZXJv@O|@d@Fb@MJTEt@[I","eg~@socAU}@YKPmB[o@P_@NCBZrA@f@bAxAOXPs@fAZf@OXe@LMWIL_AO","ar}@yocAu@y@F_Bk@W\\}@GeAhAb@\\gAf@VP~Ai@t@@|B","{p|@qscA}@KEi@k@WBaAx@s@R@Vg@t@r@`@HNd@?p@q@C","kh}@stcAQKi@@C_@PQYS?W^YVLXMDRDRMZNh@","a||@utcAk@i@Ak@\\cALJ\\KJDBb@NFBTo@DBdA","kk~@gvcA_@E[i@]KGL_@]fAmAd@|@zAZk@x@","s|}@ovcAKe@e@JKg@t@kB?o@hAv@[K[J^|BK`@","aa~@ewcAyAoB{@j@Dd@{A_@b@}@AkDbAg@`@cAd@Z|AIEhB|@~Aa@hD","oj~@kycAg@GUa@D_AIJe@[n@i@RBJX|@Qj@d@AlA","g||@izcA_AEVQSi@B[P[Rn@\\ENSHBL~@","mh~@a_dAw@YK]a@@@g@n@OLW\\F@Np@KRTV[B^{@Z","ug}@acdA[a@Do@_BMKw@XTtAHr@q@Fs@b@Ct@v@@z@aA`@ISc@JDj@","_l}@ygdA_@EGG@SJQt@IGx@"],"Asia/Yerevan":["ugoAmzsAdDiAl@{DnB{DtDIp@{@rDqAd@XbA]h@|@j@CfC`BHx@|@MMj@d@K\\|Bt@x@lB{CxCx@pCcB\\sAz@AB|@zB}B`@`CdAM|@qBGcB|BgGMiPi@qCh@oEzBeG`CqC|@STu@dAGGi@XHl@yA?mAd@RDo@v@YCi@z@QcAiGf@i@BeAo@aCoAqAB}@pEsEtDVRoA{@{@?}B`BIj@_A`@wD`AiAyCsEHyAqAmCd@kDrBqArALn@u@~@fAvBVVgCbCsGbAK`@b@tDa@Xg@h@Lj@[XkAbBOZq@~BO|BoAvAPDuAiBoDk@sCbAuC_@aARiCj@U}A?cAt@m@a@o@HMw@iATc@c@KjAi@i@cBhB_@YIpBaANY_Al@wAc@Pa@_@jBk@sAaB[V_@uBo@~CwA`ASa@eAbAVdAy@tBsCx@k@_@N{BcAu@ZgBcBhAu@_B`@qAi@Lk@^WxA\\rDUb@eB?TrAUIOd@jAtEAhBl@d@kBJc@`@gAtBR^[j@_@K_DjDmAnH}CjAWa@e@H_AdEKrDkAFi@{CFmEjAeBo@YKy@eBy@_AJc@sBgE_@y@tAAg@e@Is@x@DvAqC|J?xAqBfBo@tCoChDi@NQe@YVa@o@{@hCe@Ks@fAeBYJu@}@A]q@y@iFwC{BgATDfAiAvAEdA_@C}@z@R`Au@Xy@_AOtAv@bAEvAqA`A^p@h@BcBrCHb@{@B[`AvAb@BXa@CXtAk@a@q@Lm@y@BuCaA}@iBbDt@`Au@nAPp@_@@Gk@{@a@eB~ApAhB@n@e@nAAdBq@z@nAZj@Ur@oDNd@UtC]Xr@hCk@ABxAa@K?rC~Ad@GT_@Q?Zj@dAUVk@]CX|@l@ZzAeBxEx@VwAfIrBb@?fCYNhArFUp@XbDjBrEq@bCHlD_@nAp@dE"],"America/Yakutat":["essBzssGhIsd@rAoTHiOlQ{q@pGu_@rFyQlCiSjCaHzDiA_K_o@}Cs@eOtEy_@t~@qAtA_EjAqDtTyD`HmM}FcADb@re@pH~P{Fx\\nDzBkDb]"],"Africa/Malabo":["nwAqqIvEa@xC}AtBqDVaEgAwDgCyBoD_A}DImD|@oBhBaA|CKdDn@xC~A~B`ClA","}pEk`OtI_BpDmDjDgQ]oFuByCkFwDuMqEmEsCoF}@wE\\mGzG_DrM\\rFlB~CnGlEjFhApArCdCrBxE|A","sv@{wPvC[xBaA{D{KgFgIwBy@CgBuAuCAeChCiBJ{CrAm@z@oB[qA_CE?wi@u@qE?iIt@C?yVgh@?q@k@Bm@wDFgEiAyAdCwA^u@QqB^_EoAw@B?bEk@zBt@zA?r{@l@vBi@`@ElBp@^w@Zu@fFeAn@Y`AmEp@_BrMxCX`Fa@jFv@|Ew@hDzAvFzEjHhAdFrEbD~@pH`E~Dl@`Es@lC~A"],"Atlantic/Azores":["k`lAhs|@dDWzCkAxBaB~AuCp@}CDiDc@_GaAkDcCeD{F{BkTK_Cb@wCdC{AnEMlE|@`FbCdD`NdI","akjAlyw@fBSvBgAbGwHvH}U^cRi@_KgAaGoHcR}ByBcCo@fBoFhBcMBgDg@aDmEyH_EcC}C[oFtAeD|DgBzEqAvLLpHvB~HlEvDfFPyDvMiAiEoCsCsDs@oEp@mCxAgCvDyA`FQjErAdH|DhEjE`AxEoATdFhFtXvBjHvCxD","i{hA`~q@vEkAfw@{i@jBaDv@_EVaKSiCkAeDwAyAqWuOeCO{Cf@gb@nUyC|CoAdCk@vDaB|e@JdDr@xCnBlCdFrC"],"Pacific/Tongatapu":["pwm@dk}IfFmAdDkEb@uFaBuH_BqBqBeAgC]qCR_BoFsDuCkEc@oE`AiCdCmArDElE`AlD`BpB~C~AjCXnCYnAjFrA|BfC|A","|rj@brwIhC[jDuBlAuBf@iEWmCgBiDmC_BaC]oCTgCnAoBtCg@nCX`FdA~BhB~A","vo]xovIzDaApCiChAwCNuDy@}DgDsDcCw@mEMkCp@sCdCuArDGbDjAxEpAhBdDdB","xcg@h_vItCa@|C}B~AsDTuCa@eD_CoDoCgAkEKoCn@uBdBiAfC[lDf@pDzApCzBxA","teh@b|uIlFu@|BkAlHiMjAqErE_ApC}Cl@kCIwDeBuFyBqB_FaAmLl@mDlBkB?_IfBuCrC_AxEb@|Dq@jGZvCzAzE|AbClDlC","tpe@jluIfEc@zEeEfAyD?cEnBa@~EDlFbAfCYxBgAdDb@fC[vBiAvAsBhA{CXqCo@wEcDkDa@aEiC}D}B_AiE]cETqB|@}BkCeD_AqKiHcIwAiFhAuDhDw@nCGvBcBfEEpCvAvEfD|CbBr@VbFqDdCgAbCWxDd@tCfGxH","lnd@d~tIlC_@lBaArC_Eb@yCMuCkBgEoEaCkCSwDx@_CtBP_Dg@aD_D}DaCaAmCQyBXwBhAiC`Ee@~Cf@|EvA`CnCbBrDd@`Ey@hCsBOvDhApE`DrC","veb@r{sIlC[xBkA~BmEdDeBpA}B`@yCm@aFkAkBgDeBcEIgCv@iBbBy@lBmEzBaBjDCrF|@jCfDrC","lvc@zqsIfEmAdCkDdDgMOkEqBuDsGwC}HeBgG^yEpBaBhBeAfE`@rEzA`Cp@jCnErFlD`B","hd^~zrI~EgAzCwC~@_DEcE{AiDoDuCwCq@cII_DnAaBjBcA`DHdEv@zBvA|ArIjD"],"Asia/Thimphu":["k_t@silDDoBx@gCdIM{A{Al@y@hAL^eAo@sAp@u@b@BJaB~AGhAaAQaGgAoBSyBf@UBcBfAu@SwDhA{B?y@jBp@FaAi@Y`@mBWs@`Ag@?sDcAEZoE{A{L}@LwB{ARkCiBqCCuAlDgG|AoHi@mQTuBsAwAPqG~@oE]mAuA{@|AkDy@iGZaCqBiGaBcAMeAtByDTkCg@{AuDc@uAb@[p@m@GUhAw@ZqDFg@{@{A]o@bAc@y@PiA[i@yAvBeA`@kAOaDlAh@nBSpD_@j@b@j@DjBStBm@EOl@l@tAyBlAY|@u@^o@e@m@l@{@UmAoB}B_@qATe@n@T`Ae@fA}@u@EeBg@?m@t@RhAi@Lq@~Bk@MoAr@Dx@}AxD_@FHz@x@BB`@tBnAi@dALrBe@`DVLaA|Al@xAuA~Ad@l@w@bBVtCmApDrBtEu@v@a@`Bf@hBa@V?fCaAZiAfAAh@m@P\\nAIzAwA~ACjAfBE]`Cf@j@sBzBn@v@c@RHtA{AbAHl@k@rAn@v@\\[r@`@Ob@d@v@]hAb@p@A~AfDrCOt@rB`BXW\\h@|@AjD|BfAvB@z@nA|@R~@xA`@t@SP~@|A\\tAfBd@@~@aAn@RbAbBl@vEp@v@bB@XZhDkBh@bA{@pA|Br@n@jE~BXLl@"],"America/Belize":["o`^vgmDRKu@{A`@s@Uc@Ta@_@U\\q@g@o@\\GYSHk@^?So@^qCqD_JqBkAkAgELgEfEoJ|@}E{DwGeRuKqRcPq]mOySoBsC`@iCfBuHfQoErEsDwAwDkCeCYcCRFhM_@P`B~Ac@f@?bEmNAAvLqB?a@xCThBa@j@f@zAc@v@fAxAdD|@\\OfCzBhCRpA`Dj@a@dBlA~AEz@hBdB^lBrC|@@a@jB_B|@VrAkAZc@x@~@nE|@b@`v@C"],"Europe/Tirane":["ebnAqbd@lIgBzB{BtCoAvE_Fr@iAfBiSvD{FfDgKnAq@bC^nA|@|AwBgBg@Qk@vA}DVqCIy@]Pg@WXcAo@AaAoBkAx@Y]q@b@UY|@}C{@_Aq@EgD~Ck@OyA`AIcDkB_@o@oARmAe@m@b@iB{@aF}@Du@e@Wd@o@EcA_BwBX}CyCeCDWiAmAg@RaFaBUaAkAMiAyE[iCpCs@@Mt@m@y@iF^w@pFjA`AUdDqIpBW|CaCXsChCoBA{An@[MDw@yBeA}@j@O|@_BXk@pAc@e@o@`@s@kE}CpAu@YoA^aBc@[]Bu@}C^QgAqAb@i@uAk@OcD~@oAnA_@Y}AP{CxA_BrBYdBuAbCX`AUzBwAA_AhAWc@g@He@v@kBv@s@`Ce@XMz@`@pA`AXQ|BTbAj@LUh@v@lBcApBuAl@gAOEq@{@n@k@Iq@z@Hl@~CzD`AMx@lBrFrDf@|Ah@Tn@OdHxGvCqFtC`A|Bg@PjAbAi@\\z@n@mAnANxIvIjLjC~BHfNuAtPpBdIzB"],"Australia/Eucla":["p__AwbtFkCkJcGqJiEkJm@eKnAiKf@uMY}T{@qP{BcQaDgKoCcTwLie@sF_OeOAa@{@Kz@uS??zyE"],"Europe/Chisinau":["ch}Ao~r@h@{@Ua@b@Eg@cAf@m@Qe@TJSsCt@k@Mg@~@cA@m@R`@RUCc@_@JDy@~@PZqBChAd@GFaDlA\\nAqB\\CFo@j@d@IiAh@DAsAv@h@j@aAv@bA\\qBv@Dl@a@Bd@VgB`@~@Du@b@Rb@cAf@?N_A\\`@ZWSv@XZd@}@TPPm@d@?`C{CZkBb@Pv@kA\\JGa@d@Zj@i@L_AYQ`@?]k@r@eAz@f@p@_AbA^@w@r@BLg@VbABqAr@q@S_Ar@M_@c@Lw@dAu@@`@J]PTl@oAZPEYb@DBa@`@NH]^t@N_@?b@JyBVMDn@XaBdAm@LuARe@J\\h@cBFkBTIBj@`A_C^b@j@e@F^^_Ab@z@T}@\\IJh@b@y@Rd@h@KvA}B?^b@o@PV^i@^HLi@p@DNy@dCa@t@j@FU@d@v@YZf@R[j@h@vAaBRb@Ha@f@CVx@NQNZFc@Ap@\\CLh@\\SLr@Na@T^Vq@TLPl@^AYL\\FQd@XCMTn@\\Rg@PfAjA?MWf@D?m@LTNY?^X]Xd@f@Sr@TJh@f@MPf@`@_@xAf@hDqAlAXLg@b@t@xBa@HRRqAl@RbBu@tBXH_@pAhD`AaAEeAXPrAc@RVfAaALu@_DuDbAgFv@?]{DmCn@QiBiDv@Hz@c@HuBmANiCsANQ_GkAV[qDaE~@w@EEm@UFaAuKyAu@yAlBkEgF_CdFsBaABe@{GpCG}Dc@DBlAUDCiBk@y@CiE{@BYsCtBIZ[h@dA|Au@|@nARcAc@u@YDOuBcB^Qy@k@HOe@|CyAk@PgB{BjAkBZd@d@UTmCnB[Lm@MwCuCd@@uC_ANK[b@eAdAUn@gARb@bAkDg@Fy@gBb@cD[cBj@s@mAeC]Lb@l@y@jAXCO\\THEh@_@M@pAWCO|@My@Gv@m@KBX_@@d@r@e@A^r@OOWjAOOq@jAOiCcAPHu@[IcBj@qAq@aCGgBnASwA_@RSh@j@tAy@f@iA@p@jGmC~@XjCgAN\\fCc@\\KmA{CMEs@eB\\BbCb@C@f@qBdAGiDeFv@K}AcFp@\\jDbBBZtBYDFr@wAZQ[s@LRjB}Cd@bArC}ABhAdBsABN|@_@{@mACLjA}AdAc@gCoAaAa@N[o@@p@sAk@eAt@_AyAiBu@JpBk@h@gAy@_AmBBbCS?V\\{Er@TbDl@IUd@n@ODX@pAgAlCd@fAqA~AWo@k@|Bs@YWd@y@q@o@`@SjDTdCk@JFbA{@nBJX]B|@rCXc@d@x@hBOOhA_BrAm@e@u@VExAlAbAGtAi@A{@mB{@Oq@\\pAdHUj@qANK`Aj@^LlAWT_B[q@j@QhFmAbCmA^qAjDUlA^lEe@hB}@KpAzFrAn@C|B}@RCjBnCbAAbBk@vA^fCcAhAk@BZl@G~AZs@dAMGvAf@NE|Bi@hAYKm@z@B~Dd@h@Yx@L^dBoBRuBnACX|@aAhATh@}ArAFVx@Y"],"Atlantic/Canary":["icu@r|b@lEy@~CcDvDkMHmEkAoEkB_CmKaFwDYoEnAmCbC}ArECzEpDpNtAtCzC`C","odw@xrb@bDa@|R{HzCmDhA_Gq@gFyC}DoH}DsMaBsDh@sIfF{AvDk@lJh@`FxClFbE~C","i{u@ria@|C]~DeChCwD~@wCVyDa@iFgAeDcDeE~DwCfBoENeEkAyJ{AcDiGgG_CwAsEaAgNqNmDcA}F\\sDzB}AtDMdOXzChCxF`Ih^zB|C~CtAk@pHvAtGxAnBtCdBvCt@","mou@~j^tCa@tFqC~FsHfAwC`@uEU{GmEkLwGeFgHmA{PbBsDxBeCxFDtPd@vGxBbEtJxGpEdA","uxu@|w[hE_ArCiDj@mCj@uMk@kD}JeXcD}DsK{D}JiAiO}HyC_GeB}A}RyHcCE}Bj@gGnGqOfAgEnCmA|CQrEt@nDzBtC`k@hRpRdKvTnI`MvPtBdA"],"Europe/Brussels":["gccBitCfKsIhC]VaAxAs@t@tAPc@rAId@Z@c@dAc@ScAVmBl@KfAiBr@MDsB|@sBwB{Ay@oEN_Ak@o@HkAzCmBRoBp@Gb@p@|BoAjCOdAoD_@qCu@q@R{AhAd@SuEpAmBjBW`Ab@bCiBCS]RNk@mA]CeEr@mB_AuF`BmBLmAzAc@E_A_@d@Y[^yAh@WjAjCdBIt@v@BqCv@DdAcAnAlDb@Nb@u@d@d@NiBXA]_F`AoGSaCiAmCW_F}@Ps@][f@y@k@_@cBo@SaA{B^OA{A^e@d@z@|@IYj@bAV@d@r@m@jCfBVARsBlAqArAt@A\\`Bw@r@n@LkB]oDd@]b@iDdB_A@oAb@BP}CWs@rA}Bp@t@d@Qg@kAdAwCr@SDe@\\^r@s@Nd@h@o@_AgDl@mByA_ATqEm@m@`@_Bw@kBk@p@uAwBo@Ea@`By@q@c@j@DlAs@I{ApADhAqAZWe@MVG]]LA{@o@~Ae@w@yAUc@yBcA`@_@qAa@SY^g@aAaAOe@cCsAESyBf@OR{@c@oAh@m@ZZJs@Wa@Wl@m@[I}Am@F]j@_@Q}@mEiBw@Gs@d@{@c@uAk@LeAnBuBeAa@JK~@s@Ua@`DRxAeAv@qDoCo@DD|Cm@O@x@sB|AB~Cw@AQf@FlFe@ZZ|Cu@bAr@dAApBg@_@cAFOnAeBRSeA{@i@Bm@uAgASlAiA}Ao@QWb@u@_@?u@{@HIgAi@j@u@{Am@|@`@|Aw@@Sv@FtDYHo@xDwADy@pAI`AjAbC[lCXPBdEMViA_@c@rALbC}@B}AxBiAcAqAr@@`A_@L\\v@v@JbBfDi@h@?`G_@FA[RyB?Zu@HSi@k@Bo@|BxB~Eb@EFx@UbCRnAu@Ho@c@GlC|@bEHc@h@XpB}ARzAGvAg@JFhFf@o@xBvC~AnE?|AxA`Gm@EPbEsAIOj@sAnJd@N?dCpAY@hE_AdBi@RIWWf@s@s@wEpDkElLxKb\\","g|aBm`KFkBQUP[Ee@XQFlAOpARVEJIM","wvaB{`KYy@k@k@F_@h@JFNJB@Zd@ZKd@WA"],"America/Jamaica":["ytb@bnxCx|AgJhEsA~BuDXsC[uCiNgh@mT}}AmBuEwCoBkDg@{C^u^nLcQzJaCzD}Nlb@eCxZgB~^LtG~BbS|AjEpGdI|Bx@"],"Indian/Mahe":["pjQ}yxAdDY`FcB|RgRjAwDAiDq@cCaCiCuF{AaVFyCx@qBhBcCjIKrJZ~FfAnCxAvAzCpA","~~Qik{A`FaApU{LpBeBhAeCR}C}@mEoB{B}EyAsDLuVtEaFxDwAtCs@fDf@|ErFfH","feQmtaBlDWvLqCfi@oNdCiA`CeCbAeEg@oEgCiF{EeDeD_AiCI}o@hCqFzAiF~CcBbB_AzBQhC\\fC~GnTjBjB","zvLmqeBrL{@nBoAlAqBf@wC[}D_BmDyD}BiFWeHh@oDnBqBpEShFbB|DvDnB","d|JmxeBfC]bD_C~@{BPsC~CuArAgBn@_CCaDkDiJgB{AaC{@sCKiCd@uBrA{A|Cc@Oj@_E]iCoAeCgDmBrBqEMmEcBeEkBgB}By@iCKeCb@qBlA{AbCc@lCP|CvAtCgDg@eCRaF~CoEiCoBWcDL_Bq@sD[yEx@qCrCw@nC@hCn@bCnCnCtFrApCKjBtA|Dp@hCUrC{AtAnAlC|@lFOpEbClDHZxCfAtBjBtAfEp@j@jDvBjCvBz@","dhFsljBvCa@~ByArAaCZyCe@eD{A_CsC{A_DWsCd@eC|AsAfCYrC`@|CbBjCjCpA","nwGyljBjE{@|K_JhHwHtBgFGmEw@{BgJiKDqFkBkFkBwAmEq@iCZeCrA_Gu@wDz@kFpFaEpOqBoE{DkBwEE_EhByA~B_@zCZbDnAbCfBrAzBj@dFSlDwBzAqD~InSInDvAzDhDvB","tlJwujBdE_AbCoBtAsBh@iCKoCy@gCqCcC}Bi@oEBmCv@cDfCkAzDXlElAxBdD|B","jaMemlBjE_AjC}Cj@kEc@qCoB}CeEmCcEu@sEXsB`AuB`D[bCTrCdAfCdB|AdHlC"],"Africa/Bissau":["_|V`_`@jg@}ElWaFrCaBdPaTnJq]d@yK_@k@?iMqL_NyD_HeAG}JiFcIaCwGwENoHqEaKuCgBf@oDOwAlAiBy@uAXeBYgB{@[r@aBsBu@Yb@a@SV{@RPh@W[s@n@DTk@o@gCyIH_Ga@oAxDyAh@a@xBu@HOzBmBd@Go@}@[M{BmACCo@p@QoAm@zA@?q@q@]v@sAyB_A[y@e@Po@]cA^y@_AeA@}GpCgCASjzAnCnIxCtD~EvNq@`LL|By@jDj@pFUtAbEbJ^`MWfD"],"America/Argentina/Jujuy":["zgm@xgbC~JoLbEoBSwB`EwAp@oAGoB`DyD\\uDf@YUmA^k@][]Pi@qBwAEJaAgAm@mANaC}@Yx@cD]gBv@[MBi@uCn@mBQmAkAaEc@f@gAaDaAwByBm@Bd@kCzCuECg@~TdAjFy@YeBnAFG}CfB_DJoATJhA_AxCFdCkBlBVnC{@@}@fAk@bAwBFcAi@KEgA|@y@WSTcCz@KPo@[gEa@@SiAhCwDbAk@jAoHc@oAyBCkBmA|BoFxCyBJi@gAgDiCm@CiAqAc@k@{AqA[p@oEg@aAsJuFQXwCo@qe@HChK\\KGb@`Ar@\\Qb@f@~@?\\zAc@`@WMCf@qA`@{@nAc@CeApFaAx@vApEK`Ca@h@u@Km@lA_C]_Bb@sAhA`@b@AxAwBz@M`A{Bw@c@t@yDGuAbCGlBoAR@d@cAdAmGh@q@v@eAFcDcAuAxCaC@}FgCsCe@e@gAqAXyEg@q@s@wBMTpQg@tDl@ZR|HcApB{GnF[tF}AIiA`AkB`HVj@tBMvDlA|GZ@fAnAl@hCdPv@\\_@~Ax@hBnKtAjBdH`BvAAjBdFYdCbFvDfBrJ{J"],"America/Port-au-Prince":["}|b@j}qCpCe@pDmCfAeCVmDg@aD{AaCcCuAaE[gC`@wCvBaAjBe@bEh@fEjApBbCzA","y}b@d{pCbCYpDwAfCuBhD{Gf@mEKsC`@aBnCeDnF_DpBwFDmGeAuESiIwB}DqDcBI_B`Do^qA}IJgGmBuGBkOnAmEtEqEwIwH_EDFToAx@wHwDkAfEg@dA{@Zw@vBw@PIaA[?iElDg@pA{@oAf@sA[e@j@u@CyBqB_@gAaC}H]F\\{@z@_BX]lBv@vAa@L}AkBXyAkAa@sAkCKTO]g@HQ_Bw@BC_@c@NI[OZIi@]VSa@k@`@WrBiAv@^LW^sBjAmAoCTg@gAF_Bg@cA^eAKoClB}AD[[}Az@cAIeG~MyElEg@fCCbEqA~GkF|BaDnF{BrKN~FbAjG|AhClCzAb@dDrB|Dn@lGtAlCrBbBhEzA|F`@rCWrB}@lCgCvAmC~@kE@sPtBmFrFr@nCKxAf@wApGBhFhAhEtBvC|DdBzDDbDcAvCqCgBvDiCfNPtDnA|COhCcBtDm@fFL|EtAdJxBvDtB~A"],"Africa/Lome":["{uT~GXCh@yB{@}BdBsAhDQ\\lAvEl@fAM`BdBbBANb@~C}@|@gEnAg@dAcDxBUxBgACe@i@Qd@qA[u@d@[r@RfB_B^d@G{ClBdA|HP~@wBdACVVUrArABfBw@\\~@tCClFjARs@rAK|@}@hAP^Uf@`AE|EbBEBkB^[v@pAMpAj@?hA}Aq@{B}Ai@?sDn@kBhADZkBb@Y`Cj@z@UlBbB|Aw@xAj@d@dAfAS`C|@rDkA\\m@h@NnAe@lA~@lAHNj@e@h@~@f@[~Ah@B\\m@Bt@|H_EAk@`Ae@Ki@zAmAz@sCnCM`@yAhB[Ve@hBAJtAh@Z?fAvAd@Xz@b@q@tDx@bMuAnCTv@[Xf@dB_@@hA`DFx@fC~EWh@RfCaBi@aBVs@fD[zEn@xDtA\\m@fA^lAKp@Zv@hCv@Cj@uA`ALTn@~ADI_@t@_Ab@Zt@]n@iC~D\\bAk@K_@l@c@LcBh@MbAfA`DiA\\cAf@Iz@kC|AcA?_F~Cg@`AmAhBg@@gFpBApJqCc@gDoAaDmBuMsKtA}AeJe@h@sCD{@j@[_@e@n@{@By@tBeBGAt@_@XOQHZkAtA_ANK[kApAYc@s@BQ_Ao@CU`@k@GKb@q@e@K\\qCO_@v@yCd@@gDq`@YmE\\cl@JUj@eDc@oA{@oBfAu[CyDh@kClAwAvBuErDmIr@Bz@qBl@kB{@cBKwTd@uH`OeM`SeHOoBk@kGFkDwCyBS_@]uA\\wCm@A~N`CvHmAc@c@f@g@MeG`g@"],"America/Maceio":["lcThuiAvDc@v@{Ah@Hp@_@z@oAWQPe@v@?`Au@t@b@d@u@`BGj@oDzAf@~@MZv@t@m@t@N`A}@XV^_@MYx@Mm@c@Lk@z@KUaAJZP_Ap@^x@mBh@DNiBx@_A[q@l@EHs@eBk@j@eAMeAf@EYSR_Bo@[CeBaDcFjGgIuBsAuFyA_EqEiEkAmI}EcBgC{EuCiFwKw@mCYwEsBaDaFiBqByBeCcAgFyGgDgA_EeCyF}EiDeA}@w@mCsF{CaBcNyKeCuC_PaKyHaC}CpKm@^GbDiAdH[THtAw@^\\r@OpAzB~DKj@l@b@b@tCg@dAkAMUd@p@|Ae@jB~AdCXhEx@j@RjAt@Db@m@d@Lj@~@HhBrBnA@~@dCK@~Az@d@Ap@d@ARdCc@`@t@p@@p@j@F|@`DlAIPjAa@PNZyBjGb@rCi@dA|@xAjBj@`@OX^{@pBiAh@Qz@RFeAAgAbAIp@dA~AiAIo@lAp@fA}BZoIdI_@bDq@LO|@P`CdArAc@f@HnAa@s@_GdDLd@`AfBnDNnAvAn@CBr@pBbBdBt@r@dFvAbBjC~@pAzBnBwA`ARl@eB?qCpB_DbCf@t@rApAKGe@h@w@Vl@hAXnCWvAaA~@ITd@n@g@dADr@_B}@qAr@HpBcCtAi@LuAfCd@j@o@dBFhBeAZd@Zc@l@B?d@`Bs@pA~Dj@Cr@l@~C}A`AJTj@`AS^q@lDBMp@zChG}@bCs@Rd@jDSzCdBD"],"Europe/Zurich":["gbyAgsJYkATqAa@a@PgDuBkDo@qC}@]FbBs@j@o@USx@_BaAwAcDWuDoAyDBeIt@uG`B^n@bApC{DvCxBn@Qb@h@n@I\\mEx@b@h@Sl@f@Ne@i@{AtB_BNs@b@YR\\Zw@~@M~BqBg@iBd@uAy@e@@qAcAiAp@wDmAqDUF]w@HwA{@M@y@\\SIuCv@{An@Ua@u@n@gBSk@RsASY}A?m@_A@_D_@m@e@?Ym@q@X_AYUqCe@Oa@mAcAUwAt@}@nBSEeAgB?yBaAq@UmAc@AYaBk@EQt@c@e@kAsGf@g@h@Pt@[zBJfAhAbAw@\\T|@mDjBsAPy@VRh@e@CgAt@cCq@w@f@c@@{Ap@{AZEpChC@yAx@}Bv@@~BgBhA`AYwAp@{BeDmCu@jCaAHQp@o@oAuAd@w@gCk@W}@`@gB{EuBkAIu@aAEyB_Bw@DWf@{AGe@~@[@]}@eAGWaDrAaBsAgBn@D@VZa@zDHTeA|BkB^iDa@sATaAuBu@^qA{AaG\\c@YaAv@kAv@^Rg@v@Fd@wBb@Ib@`@Xs@O{BaAyAgDlCe@m@a@@QcAg@Ii@n@LzBo@pAg@]wCTsAqBw@A]uDPk@c@o@p@g@dAXHqAf@QAsFf@eAWe@oCg@s@zAFvA_Bf@o@cAq@\\e@qAeAd@w@eAaA[eALkBo@g@|Bc@Ao@rARjAfAd@Fd@p@MKtCdA\\z@Mp@~Fg@b@EfAkA`AaAzGw@Hu@i@g@h@UINnAaBrHZtFa@d@X~BYF_A}AgD`AsDyA{AqBeAa@{@gCiBx@a@]W~B_A`A{ADS|BgChEmArGH`DaAnHlAbGaAtAa@AKi@QjBq@Vf@hAT@ZqA`@j@a@vBm@O[p@c@{@[ZFhAy@PYn@t@F\\h@oAXUdB^JT]b@nEp@l@^Ip@bBZ_@R\\`@wBd@OWCFoB]HQcAC{Al@k@J`Ax@Qb@j@Gh@WYY`@QrA^N^dBb@SDw@Pz@@lGe@`Ae@FFbC_@h@jA~Dp@h@?`GZ\\K`AkAf@?hC|@v@n@`Fw@~AIgBi@Z[k@F~Af@t@Yz@ZFfAjDV_AZPMn@n@Y\\l@]lB`@VPeAdAhBKpCj@dDe@\\GzBeB}@ArLpAe@h@zBt@B@p@fBbAg@qGVcAt@MP|Ax@XPnBvA]nCdFJa@PNrCdH\\T^u@tBhEb@rFxA|BlA_AlAHlAx@l@u@\\JdDrIdFtI|@{A|CfDl@Yt@j@bBsE`DfCbAm@fAjHb@T\\}@","uc|Ae|OMa@]TFi@K]n@a@Gv@Rf@"],"America/Glace_Bay":["wlwAnnyB~Po`@zBcChLoHoOoj@_AcNaC}JkBaDeP{N_Kk`@mFyHeB}HuCeG{AqBqDeC_C]_C^cJbGaBpBeA|C_C~NqLjGwKeA{EjAyXon@gWtdAbTlUzDhM|RjUrI`BbXjJzLpK`P~Y~@vFlJiEpTcHbDja@"],"Europe/Ulyanovsk":["emhBimxAh@c@y@uAX}Aq@V@eAl@GYJeAgAT[n@`@Du@LR\\aFn@e@ZNCk@XCYAAm@l@[@m@h@CJ}@Bn@r@f@jA@d@x@CeEVb@BwB`AjAZy@c@w@La@tA_@lAoAr@sBQc@dAu@ZdAzBG?[d@GPb@bBoCm@eAf@ETaBs@{Bz@SRf@X]My@h@_@As@f@A@o@j@i@RgFfDPQeAXo@Jj@j@BQz@`@|@xBPTYOwB|AUNs@Lt@^SRfBDcAhFv@@]`BAt@rA|@uA`AQHwAzBRVjAp@MRlCh@h@Mz@v@b@pBAZy@e@Kg@aHlBKP}Bv@PXWwAMe@mE`@FCc@Db@f@FA{ATKm@o@b@w@i@sFT{B{@sDCbAs@@`@gHXEM{@z@yAeA_B_@f@{@c@s@TMcAc@ZVs@]o@Br@eASTgD|AS|@u@y@cGw@Ay@u@@hEYCi@q@AqBIPk@m@p@wEwAcA@aA~@uAeAwCgAqIcAqAeCvCT`@UdBi@R^|Ca@Le@e@G|AsBmAMvAMMDzCxBn@Gx@k@QQXR^k@hBiDqDuAnEq@G{@}Ae@vBc@RF~@c@`A[[gAbEO_@c@r@mAiC_AKRq@g@g@Mt@i@Yc@gEl@KAiAYFWaA\\aB\\PUc@\\c@i@i@H_CoCYc@q@NsB[PDzBa@?S`BuBGFoAr@u@[EUj@HgDo@gBGp@YSUh@oAg@AdAm@VWe@\\yAW?fAeAVkAFaA[Op@k@G_@g@BKsCx@yDA_HoIAEeKjAaBNwBqAWTqEj@aJb@Rd@a@}@eAFeCsAcAc@_Dx@i@f@RPk@XsJs@]eA\\QvE_@EsC}A@gB^\\D{Ac@J{@s@F}@a@CGo@FeBcBeAq@j@aBRuCeBsBbAMcA{CzAY|A{AKEfBiCO[d@SlE^l@cAp@CzDu@`AYxCDzCb@jAKzB[Pk@aAa@D[bBmAg@o@^DlBi@S[gAOnAiB`@uAtDUw@A~AeBjCT~Ad@_Ad@`AUlAPzArAv@XfAu@rBf@d@?dGtI??`YyA|Ek@QUx@nAhBmAdBy@_BXv@KlAWEVzB]jBw@ID`An@CE^x@q@RrAo@`@^bC[RJp@h@MDn@lBq@A~EqA|AMcCkAXMrEd@`@LWXNj@`Ab@i@tA|C|@i@rAlARnBiAnDbAzAbAg@Dv@aDvA{APGWsAv@BrE]_@YtAfAi@@w@QdCLc@RXs@n@VTSdA}@`AAxAd@ZJjCfAnBWb@p@bBKr@{An@TjFgAnBiAxEW?GbBj@bAf@}A~@bA`AmEl@SrBdGX_@u@iE\\c@VtALeB~@XrArCa@sFHTJo@NtBRQFb@Kr@hADbAkAMsDJoAh@Se@DAeAd@^k@kAl@d@VW`AhAPe@hAbBQjAXxCj@MS?@bC`@@LfA_@Jx@fBn@Yd@vBEv@]UhAjC]^B`Az@zAk@bAXd@Wt@jBxBQUEjA]c@TfA_@DLVb@]v@LlAhC`@[t@\\"],"Europe/Simferopol":["itwAs{}@jGqArBqBbA{BtByOQeE{@kEzBsBrCqFtBeI\\qFrE~AnC@dCpEdBdAlB\\pBOhBw@zFuGlEiMzA{Gd@eE@mLiAqN_AqDaBcCwDsJoHyFkAkCs@aKt@eGYiF{BwGiD}DoAuGaCaDrAuD\\iF]{Iu@qDVqHyB{OsBgDcO|CkB}BoBQeByBaEc@sIXyArSlBhUw@|ENlFhBbFzD|BkCdFgCnAmBdD{BjA}AbCdA`PkB`IsDEO~AyCxFOfCzAbBFdAwFvH\\dC[hCmA|Bi@tFqChHEfBb@pByAxDF~@V@nCu@lAhCrAe@`BbBrGvb@pAbEJbEdFnJdFtOjFdE"],"Indian/Kerguelen":["n_yAkl`BnC[vBsArBuC|A{E|Bj@hCQpCuAlByCpAgGIgHeBqFeDsCyCYsCx@cCfCoA`DcE_BkC{E{D}AiBFoBr@iDzEiA|H~@bItAfDnBxBv@bE|AvCxC`C","xryAohcBnEwAbFeGtAoE^qHQqEaAgErAuHMmLiDmJqCsByBa@uBPwCxAeEbI_AtLdAdJaBfEs@nH\\~FhCbJnCjC","`q`BkmcChC_@pCkCpAkDh@cGa@gGkAqDoB_CeD_AiDr@sBtB_B~E[pE`@fGlApDlCtC","vu_Bc`dC`Du@`CoCrAyET{EzF{@bEcDhCb@`Cc@nB_BlByDt@oDLmE[qE_AgDiBkCcCiAiC?mCtA_@gCjBT~ASnDwCfB}FJcI}@eFaByCcC_BaDMVySaBkLsBsFaG}EuAiFoCwC{Cm@wCn@qCgB}Cu@aCEmJpBkB~AwAnCeB|GqDx`@uGhFkB|DeBzAsAlC_AhHd@xSaAjD{DbAiCpDgAlF?lFh@nDvA`DnBhB~Bl@tBlFpCzB|B`@|BY`KqIv@O|GbClBInB}@vBrClDzAdAtEdBlCbBdA","trjAa{uCrDk@dCiB|AgDd@oEQqEsAcEeCaC}Co@cDb@}CzBiBhDo@rEXfFzAtDjCrB","`|hAw{uCdE{@tCgC~AwDb@kE]oEwAqDyC{CgDs@aFh@}CrBmBlDi@vEb@bG`B~DlCnB"],"Pacific/Bougainville":["rhI_xkHzB_SfY}AfCo@fCwBnAeD|Dy@vBqAbDsCjBqD`Ck@pCiChQ_HtUoQ~CkAuIcO?gE}CiMyJiFwEFqEsGY@}EhAuCvDiDdByBvEmHnKov@pOu@oFsCcDaFeBiGPiGlCuDfEeAfFj@dGcqApW}CnCyIhQ?zDzDrW","tgHuaqHdEe@pCsAfBaCr@kDEgFkAsDgCmCwDcAiENcEfBeCbDiAzEPvE~A`DtDtB","l|GowuHzDk@rC{BxAaEt@uGUaDoBiEsCuBiDi@wFx@qDrBoEtFu@fGl@dE|BrCzCfA"],"Atlantic/Cape_Verde":["kh`@h}p@zJsBzEqDdVet@z|AbW|EQpDiCrAaCn@aFOuTqDaw@}@aDaQcZg|@{[cFs@{CBwj@|MeEpCmBlEI|CfIfrA}Zne@iCpJf@nEjGfPvDvC"],"America/Cancun":["}de@`lmD|FkHdQ?@UnVNDVzQK?q@`CG?`@xDKAf@pCJE]zC?@pBzBB@sBn@@?b@lA?CvAdCA?kBZ?_Ag@aA_Ef@eAjA[WsA~A}@`@kB}@AmBsCeB_@{@iB_BDeBmAk@`@qAaDiCSgC{B]NeD}@gAwAb@y@g@{A`@k@UiB`@yCpB?@wLlN@?cEb@e@aBaB^QGiMyBM_FyBmFg@hCgC`AoDI}DwAsDoBiBgCu@iFJoDk@gCRiCrAgBlCe@~CT~CcDiAwEWgCsBsBs@eFHaKiBuCP}DvAeHyA_E^{CdA{EmCnCsC`A{C?uDeAmD_CgDeHeGuIyEyDo@qDZuCjByAdDySwHeC_@}CXsFjCkF?}GjBkC`EYjCLdC}AxDcAvFThExA~CK`GrAtDv@x@nKn@r]CrTdL|KtL?~@x@CpG|GQ`Gh@B\\rABfEVKBnAzAxCBc@|AJIhCrBbF~CPBdDlE`AAXr@EBjB^A@h@vBTRb@A^i@AIz@f@p@r@HIh@lBn@IkBj@BG`A|@Jq@lDnDTDs@z@@@nAoBGMvAT@G`Ax@E"],"Atlantic/South_Georgia":["zqgBhvqA`Dy@fCaDdAwD^kExBaFj@qEG}GgAuFcCwDaDkAmDp@iC|CgAlDe@zE{BfFm@pEFdHrAfGbChD","vmhBnnjAzDqAtD{FbGg_@lTyd@tH}X`FgWxGqJ`ByFZuFSkFcG{YmAiCeBeBsIcCaCF_CtAyItJmIjOaEvEyBvEkIzY}Hzt@ObF~@l`@JhVz@~DxArCnB|A","vnjB|ocA~Cy@dCaDvA_GTkGYgJaBuGoCmD{D}@yCz@_CzCyA|FUhGbApLfAnEhCnD","`umBfrv@xCw@bC_DrA{E`@cH]eHoAgFyB_DcDcAyCr@oCfDuA`Fa@tGZbHxAtF`C~C","f}lBzru@`Ds@bDuD~A_G^sGa@uHeBaGoCmD{Cw@kDbAoCrD{AlFa@vGZdHdBvGbCbD","hbsB|hu@`B[`BoAzCqHdAcJ`@mQa@kKmAgGgCcE_DcA_Ft@iCfCuBrGm@`I\\xII`J~@fIbDrIvBbB","dwmBh}t@tDy@pCyDvAuF^sIo@{J{A}FgCsD}C}@mD`AsCvD}AhGo@rJ^hHhBvGtCtD","jqnBvct@~CaAbCuDxAqHVaH}@kMmAkFkCuDoD_AiD`AgDlEwAhG[rId@|GfCzJdC|C","nhrB~}s@hB]vAiAtCkG~@gGn@wPg@mI}BoI}CcEaD_AgBZ_BlAoDfH}A~G[|Gb@zHvDbQlCfE","`|oBdqs@pDiA~BeDdBoH`@aIe@oJ}AoHmCgEkDgAeBX_BdAgD|GaBzHWzGb@nHbBzFfDlE","ddqBvms@vDeAbDaF|BqKn@}IKkIgAiG_CqEgDwAeGVmC`ByD|GuAjJPlMnCjLrChE"],"Europe/Sarajevo":["spvAav]vCiBv@oANYk@c@Ns@i@_@pAgAEo@jAc@d@qBx@q@x@FVbAh@C`BmEbAe@p@Rx@Sn@}@LvA`@Ez@oDhB~@lCaA^|ACiB~F}GAuB^[hAHJaCjC_BTkApAkA|AgD~AQhAcAVmBjJoK~CyGEsCz@uBjA?v@|@hHsDn@aDdBSpDaLhFmCvAtIxAiEsAaBbA}Dq@m@Lg@l@y@`Bg@Hk@l@PTuBl@}Al@YhAuDx@CNoAp@[AeAfBgB]mABeDxBuCaAuBLoBiAfAq@mBaBx@w@o@_@rCg@l@yBl@Us@q@NcAqAqAr@gC]kAkAEyF{EXqBg@w@aBm@x@eCoIu@`@UwCx@wAtAFLu@x@k@kA_ASwAe@E{AtA_AEWj@gARMlBgBJZv@YRo@eC}@c@p@mA|@]eAkENcE_CHGu@A`@QOb@qCk@_ApAmA_@mESd@gAFHi@o@c@}BNeDbEAt@yH|GmB^x@sFh@_AFoGw@sA]Da@oBgAE@d@i@\\p@\\mCjEw@SZjAiAfA]`BmDbAKzA\\lAy@z@LtAcAdAi@GKj@k@KI`@s@Ma@iAqEb@GmAm@k@s@Ji@gAa@MOVuAgCsB}@UVa@y@i@z@]o@Cz@Qk@u@AGeAu@LEk@k@Gy@tBKxB`@hAs@nAxB`FL`LeBpD]Qk@f@@gB}@f@g@UCdCm@QyAjC[e@e@V^h@l@AS`Bg@{@QJ\\`@]vAv@Ks@jAd@[z@b@a@LEfByAfBLhEiAvB\\bBr@Ud@l@C`Ds@|AW]k@\\\\bAs@x@jArAJ`At@EhAhDsDjJv@jCEvAi@Jf@`@?~Aq@ONpAaA@p@dAGrBcBdDtAv@CjCiBvFq@\\Vr@k@SZx@y@h@LR\\]@jAw@_@g@n@p@n@Kl@LWPn@\\WEf@P_@\\r@Yb@n@QPp@k@lDHzBy@nCN|C\\v@`Cv@z@hCZQxAd@l@v@v@@L`Ci@h@[tCsAj@}@bDuCpAA`Ai@[a@\\WjAd@`Bg@NBv@XBOfBrBpCdBs@lAf@Zz@dCyAn@DDbA~@XbCo@p@eA","catAe{d@L_@LECMUOKJQABVTF"],"Pacific/Tarawa":["nt@quiIzC_@nC{AhB_D^_D]uC{AiCmC{AeD_@{CZkCrAeBpCc@bD^hDvAfCnC`B","skE_{oI`I_AjlAgCra@yFn^yAtn@q_@tA}BnDyLPeCY{BaNcX_EiByFGqIbCsDbE}n@dd@m_@qFcCGizAjReClA_BxBk@pCJdD|GbVpCdC","tc@mxrI~BQrEyAdDiDlCgAzo@ye@l[gm@BqF}BuEyc@a[mDmA~G{FjBiFGcCs@_CyAaBaCgA_DSqDl@_FpCqBpCk@|Eb@rDtBxCfDnAkF~CeCnDcf@||A}BhD_C~HGtElB|EtEvC","jzCihvIrCY`CmA|BsCr@aDK_DiAqC}BgBwCk@cDNiCjAcCpC{@nDNfDpApCbCbB","rbDy{wIhC[rBeArDkDjAmDC}Cy@iCqBoBwC{@uDB_DdAeDvCoAzD?tDjA`DrCrB"],"Europe/Bratislava":["wn}Aa{_@z@Un@aC\\ZhAq@RiAv@T~B{@|@eBE{@vAgAd@h@^]Rd@Pg@\\h@Tm@Ug@n@eB_@aDn@]J{CxAgC|BeBd@mCbBsAKqAbCmE`@kC?iFc@qC?iFr@uKcAaIVqAYmCJwDu@cCu@e@WeF{AvDs@LsBg@g@j@a@yB}AGOYKgHo@cAh@wAa@yCf@oEeA}BLaEe@kB`@Ys@u@{@B[i@e@N{@i@}AqETmAdAi@YmBj@iBTKd@l@TY]s@Jo@]S|@wBj@`@KmAeAiA[eEWDaA_Cy@@DqCy@y@b@gBUmAy@U_CqCiBMkCuDuAFFcA_@QNoAq@eCi@gK\\H\\m@OkBjAcAG{EdAgB}@uA_@wB^iDmA[B_Es@o@bAsCtAw@AoChFeBRgA~@o@`@cECWw@C@uD}@yD\\cAQk@\\SQaBSHOo@cA`@uHaAuB}CiAsD{Ak@gA^cAsAaCFg@iAwAG{BgB_@iC[NeCw@W|G}AnBT`Ba@vDa@S]XT`Au@zAUbDY~@iBG_AdBmAj@ApBsAbCfAvBoBnBI|B{@v@dAhKk@`Au@tFvBjDgAfCd@vCrAoBTR?dBhAjBh@BT|Bu@d@D~@YQ]`@Zv@SnA]WY|Ae@ZSSe@dAd@vCa@~@^@r@jAoAxECdAh@AQ\\\\p@a@`@HdBrBNM~Dn@bBZITb@]VbCvAnCZ@TiB|DIbBJv@b@B`@`AWrEwB{@Q{@m@z@m@WoDZDxAj@v@m@jDs@a@m@NDtBaDfBiA@]dBs@T|A~D|@PHhEf@v@pBNd@lAh@URvA[~Cj@jA@lBc@Tc@g@o@v@_BW_@|@DbGv@pBg@xCXvBYzAb@hAj@YdArBn@Z\\r@EzAx@WhAhAvAdK`@?j@hA~@Ot@n@v@Kt@z@^]tBr@z@lAPhGvDlADnE`CzCHjCz@vAMbAf@r@a@RPRu@nBbAnBAfA}@lAaAnFzArDzAl@h@xA~DvCn@AvAdArBg@h@TRx@`@EBr@`@@r@nA|@[fAZ"],"Atlantic/Stanley":["vqbBxswBjC]lAu@~CgGhg@jCjEaAhWi\\vGgZxGwz@fBwd@O_WuByGmTe\\mUug@}E_GgCaAoHdAaBCeCz@qJpMsCpJqGhdAhAx_@yOtnBGrLfAnHjBbD","pifBfgsBvCc@xBkBxBiG^iFScFeBmGwC}CqDw@gCf@kCnCyAlEc@jFP~FdBpGtBbC"],"Pacific/Chuuk":["_nO{yjGxC_@bCqAvCuEzCwBpA}DM{DiB_EaDqBaDc@uD\\wE}CwFCaDrAmBhCy@|DRxDrHtOhCzA","wkQmelGdCWxBgAtAcBr@cCWqFmEoI{CiDqFwAuDPcHnCsB|Bs@rCBxC~@pCfCjClInE","qrRaeoGlIYrCu@hI}ErBqF]yFuA{BwCiBmBmHsBkBkDcAyDFaD|AyBrEaEtD}AdFBxDdCrJxC|C","y|NktpGnDc@bC_B|ByEv@aEKgDeAkC{BiBeCm@}DNcEzBkBtCy@jEDjDtArDfCpB","o`Ra`qG`Dc@dCcBpAoCRcDk@cDoBmCsCuA{CSeDp@wBdBkAhCQzCl@dDdBdC`CnA","o`Le{uGtDm@lC{B`AuCNsG_@yCwAaCkCyAcD[gDd@sCtByAjD_@jEb@tCtB|DnC`B","ujMcowGjDc@`DgBdBwC\\cDu@yFqAoCyCoB{De@sD^kCvAaBnC]fDXbFjA~CdDdC","gdMmuxG`Da@lCyAzAkC^_DMuCkAqCwBcBiDo@}CRcDzAcB|Bo@fD\\|DxAlCnC`B","kwOiyxG`Dc@|BwA|A_D^aDa@_DiBwCeCuAgD]kDj@{B`BcBvCa@vDb@vCfBhCfClA","w_QopzGzCc@rCgBrAiCTwCe@_D_BaCcCoAwC[wC`@aCtA_BpC[vC\\zCxAdCbCvA","q_Nym{GtDg@zCaClAeEGcEfDOnEgBhB}A`AuBR}Dk@eCgAcBPaDWaC_BuCaDaBmCSgCXiH~E_BhF^bFM|C`@zBmCVmBz@oCdEOdErAdErCrC","}vNqb}G`Dg@tCyBnAcDJsDw@aDmCcDkCoAmDMyCr@wBhBeArCGjDz@dEvAzBrC`B","{kMkw}GbDc@dCaBrAoCR}Ci@{CgBoCoCsAyCU_Dj@wB|AqAlCYvCd@~CtA|BfCxA","gyNe~~G`De@|B{ArAaCZ{Ca@}C}AcCmCuAoCW_Db@gC~AqAdCY~CZhCzAfChCvA","qkMk}aH|EcAnDqDr@gE{@wEeCoCyDeAk@qFeDkDaCk@gGIoEr@cCpBcAjCKxCp@zCfEdEdDbA~BLVpDlAdCrChB","o`LkebH`D]fCyAzAkCXiDi@_DmBiCgDsAwCSwCd@eC`BsAnCSlDh@rCfBbChCjA","kwOk}bHxDi@jCeBrAoCPuDw@eDmBwB}DsAwCOoCh@cCdBoAxCK~Cr@xCnBfC|BnA","{mPkucHdDe@fCgBpA}CHaDtBu@dBaB`CJfCc@hDqCvAsENoDw@_DcCiCuCw@{CBkCx@mB`B_Fn@uE`EqAjDmDp@iC|BgA|Er@zEjEbG","cuOudfHvE_AbDmDh@gCEeCo@{BsAcBxBeAtCaDbAwCJ_DiB{FsD_FP{F{AwDKqCu@{BuGqH}Bw@sCKuFfAsDlC_BnEQpFvBxHfB`BdCx@t@`BaAfGDzEzAnDxDrD_B|A{@tBSrCXdCtC~DpBv@","chMckfHpDm@tC}BpAyC`@cDvBqDRuDdEeC|CmDzA_DVyDq@oDoBeCqDkBiD[iDj@gCeAqCUoS`CyGpCmCpCmBjEm@nIx@tFnAlCpB`BjDv@jBrA|B~ExBpBlCv@","mtLarhHrEu@bDaDzDsAdBiBt@qBHiEaAkDcBiBuFmCiECwD`ByArBaAxDeB`BcAnCAzDpAdDpCnB","qqJ}siHbD]~BsArBgC~@qDKiDiAmC}BgBoCk@_ED{CbAsB|Bu@`DLvE`AnCtC|B","etIiijHhEq@vFkDdG}Jh@{EaA{EgDkFgCmAqCUoDcC_E]uEjAwDvE_AdDKtCuBrDObDp@~ChChDdJtE"],"Asia/Tashkent":["ohoAedaCjLI@uBxGmC~AR~@bAxBb@Jd@fA@`@t@zC`@F{@i@kAt@kA]_@E_Fb@V~@s@n@`@`DBf@f@^c@nBOFiBtAkBpAv@n@lAx@gErAuA~@Kp@lB\\W^k@e@q@zA_@d@cD[s@f@_AOu@`@iEc@uAXJn@i@Z{AbByA?i@jDrHt@o@lBNf@iCtAUX}@i@qFcAo@q@oBf@iBa@_ArBcHMkAzAsG?uIz@eD]m@XgGs@m@u@PiB}CsBQy@lAgBoB{CJL{BWk@\\kAk@POm@dAWu@UGu@g@OoBDm@t@a@m@bC}@z@Rv@SCeAkBiBgGjDDgAg@[H_Bh@m@sAh@]gBu@]w@FNnDhCtQqAjEs@CwBmN|@a@S}Au@e@e@yIh@eLf@qBkA\\e@YYlAiA^XwB]i@sAYy@jAwAH_Bz@aAWkBhCy@eBQiDeEFg@Z{@cAqA\\_@s@lAcAiA{@NgA_@m@`@I^oBvBs@`AgChAa@HgBm@wAcBw@BsAs@mBPsAkAoG_A{AeAYWgAVkAw@aCq@g@m@kDyA@o@c@gAZ_AmAKuBz@sAn@KNeApF_E`BwCNp@~@q@fAgC~A`AA~@z@CMv@lAhCpB~A`@rC~A|@|AtHfCeBdAcEEuC^{@t@j@jCkANb@pBgBU_GaAmEAsFcCh@KuEqAqBM}DRy@RTk@aAhAiAWsBXBEo@p@iAJqC|AW\\eBPmBwBAEiBr@s@pAOZr@VcAv@_@yA}AWkB_BQQwAp@wBMk@It@KQk@kEuAjDuDkG_@[UVqBqC\\e@?yBh@Rr@cAWcAjAeCDsAqAFUc@m@Cw@j@GfAw@}Ak@JGz@QIw@`B@iA_@q@dCgCe@o@n@c@fAqGY[{BHY}@r@_CgARmAg@{@_AF{Aw@c@UVg@yDaAyAEcCt@Ws@EVgAfAEZi@i@a@gA|@WiAh@gAs@GS|@}@eBBlAp@bAaBDGpFzA|CoBpELpFu@nGy@_@qBpAKnBe@KqA`B?|B_AnAjBrDb@nDq@RJg@wAw@cC|@Ox@YFc@{@OLTzBfAfAoA~BV~Bm@pBq@BOj@qBgBg@Ha@_@}@jAgAFX^S`A_@McAvA}@HGzBdABR^a@l@eBaAi@TIa@m@KKZa@a@QZbBhBh@fCIaBvB{@n@z@^UlAr@hBvCCfA]Nj@hCj@S\\\\dAc@p@x@t@i@v@f@r@fAe@\\C|@x@pCsCFc@`An@j@e@l@tAlC_BhDt@pCmDxFf@pAfAZkCb@yBa@yBHmBtBo@FPtF|AtAVnBoClDDt@s@`@w@xBz@|Bo@lC{@e@YPw@gAs@JFqBoAiEgA{@iAkC@{@}C}@i@mC}@GCs@kBgA[aBNmAm@GX{Ce@e@}ABUZkBu@n@_Gu@YkA{Dc@Gi@iAEyC}@oA[Lm@_@m@j@FdAsBvCNt@i@tABjAnAhAUzAr@^nAxCWnB`@tATVTa@bBhCrE~AN~@a@~AcBXeAfCn@d@^hD~@jBzB]nAtEb@@bAzAv@Hb@x@?vAjAfBd@?D^y@fAnCpAf@nALhA[rAj@jEj@n@Z|DrC|Cd@Sj@~A]nBnB|Ad@oBl@EOjEhArB{@|AX~Bj@hAv@s@^f@InAdAl@AXe@?h@rBNs@jA@f@~@r@u@b@f@h@Q[z@p@NbEvJbCbDd@Np@}AfA~@t@hDs@^c@{A]lBy@Tn@|ASlAjAp@fAi@G}@j@cAvBO^t@tABr@o@lCBNeBh@e@rAVNf@|@qAz@`D[bBVbBwAnCCjAmCtHkExGUhB{@xA}@H@aA{@MyAeDS`Ao@q@_@Z]OOr@y@oCy@^]~@nAv@Ft@f@@MpAgCGoBh@ErC^p@{AfGlBbV]he@d@O","_aoAixhC[c@tDqEE\\uBrB]r@","knmAmtiCzBg@jAZlAQf@aA@}B^IX?Dp@z@{@Tx@fBfAEiAZKw@?NSa@Wl@WYgDWS[d@YOG`B{@C]l@AqAeAi@b@pDeHhBc@d@","_rmA_viCJOPECIGEYDWMGTNL","oamAy`kCn@ONw@R?aAsAh@sBkA[GfA[JQr@PIp@`A"],"Pacific/Galapagos":["ygB|asDbcCoUbe@kIdCiAtBcD~VuaAlBau@WoCgAwBeBuAck@wWqFe@}C|@ybApl@oB|CwP|o@i`ArmAi@|D|@dExCjC"],"America/Scoresbysund":["yuiCloo@pQgFdKiJ|I{i@tCoe@I{aBzBeWyNiUcHkFkA]{i@hMsLr@gZvJjA`~@_YxjBQnT\\nCv@l@dgAnFx@zE"],"Pacific/Honolulu":["ygu@pdwIfFoAnBeBlA_Cn@mFmAwLyAyDgDoCoGkB}EAsDzAgCjDcAzEJzE~AxFlDbGlEhD","a{q@nhsIbD_@hCeBvAyCVuDw@sFqAgCmCiBgD_@_Dd@iCjBsAnC]|D`@lEzAxChCbB","cjq@|znIbDWlC}AfB}Cb@uD_@yDeBcD}CgBaD_@_Dd@eCfBwA|C[pDb@vD|AvCfCbB","cyp@dulI`Dg@|B_BrAkC\\oD_@cD{AqCcC}AuC]uC^cC`BwApC]nD`@bDxApC`CzA","sr_@rqjIbEcAjC_Dn@qEu@}GkBiDkBkAiGaAkCT_CbA_BlBy@fC@|EjBvEzBhChEnB","oyo@xpgItC_@`C{A~AuC\\eD_@qDuAiCaC_BuCa@uC\\cCxAyAdCe@pDZlDpAlC~BbB","uqm@~gdIbEw@jHcGnDwAbB}Bx@eDN_FgAyDoDqDoFoByEIaGnBkDfEoCjIE`IxAbFtC|C","o`m@vbaIvCa@bC_BzAwC\\aD[kDsAoCaCcB{Cc@qCZgCzA_BrCe@nDZfDxAvCjCbB","o`l@bu{H|Ca@dC{AxAgCb@gDYgDqAyC_CgBaDi@aD^gC~AwAhCc@xDXhDvAnCbC`B","ahi@n~xHpC_@fCaBxAqC\\kDUeCeAiCiB_B{Bs@~@uFw@yEsAmBoBiAkBgDmBoA`FkL|@yKUkDqCaGoFuE_MsBwENeDpAuBhBsCrG_@rDh@dNvEzKpFdE}@|BY|CPbC|@dC|DrCnDlE|HlBUnEhAfEtCfC","ici@`qtHnC]tFeCjKgG~BcDl@cESuGrAqDRuCe@mIgC}EjDGhD}AlB}Ct@gFxDs@xJqFzBaENiFdCQvB{@vB}B~@{BZeD[kIyBeFWiGmCePwDgGoFuCcCSmDT}Bx@yBrBwB|FeFvIs@xDJlGqCfFcEjC{AhDc@jDDxDqArEf@zF{@|Jt@jE~BrCcO|E{AdB{@hCyGdEwBdC}@tB[|CPvCzAnEvC|CFlCz@pDtC|C","{oe@dfpH~GwA`DsBxJkC`Lv@jFiAxEgDfBaFpD_Fl@qCIqDsAwDgDcEqFkCwDeH}@gIgEwKoIeKmCoAoCa@wCJcC`AgBnBqAxCsC|@oDrCoDzAqIfJ}EpLaC`LgEdHmAhG^dHlAhCbBzArCfAdDZhJoArGlHrBt@"],"Europe/Amsterdam":["}tcBq_EjEkLvEqDr@r@Vg@HVh@S~@eBAiEqAX?eCe@OrAoJNk@rAHQcEl@DyAaG?}A_BoEyBwCg@n@GiFf@KFwAS{AqB|Ai@YIb@}@cEFmCn@b@t@ISoATcCGy@c@DyB_Fn@}Bj@CRh@t@I?[SxB@Z^G?aGh@i@cBgDw@K]w@^MAaApAs@hAbA|AyB|@CMcCb@sAhA^LWCeEYQZmCkAcCHaAx@qAvAEn@yDXI@yE`AUWmBb@m@|@~A`@o@HfAz@I?t@t@^Vc@n@PhA|ARmAtAfACl@z@h@RdAp@Hr@]NoAnBHAcBs@eAt@cA[}Cd@[EoFg@Mw@fBWaB_AJUgARe@q@[i@Xw@e@[vCk@Xs@k@NbGu@Q_@t@aAX_@}A~@q@?g@aBoAeB{Do@eD[fAYsAO^j@dDaBZCc@g@X_AeBsByAu@qB{@VSY?j@uCe@gBn@}CxEcBu@c@jDeAJOe@i@rDUDi@oAkB|Ae@uDm@w@p@mEi@?}@~BWeBfAoBIkCp@s@CqAn@mBs@Mi@b@f@cD_CeLd@aB}@oBy@SI{@k@AsAxCW`C{@MWiBiAYC}DmBgBKyAuA_ASwCmBdA{B{Ak@?q@X{@~AkAd@~@bBq@nDGhEk@lBeAM_An@QkDu@~As@OY`@g@uAIoFf@kISa@}K}@uD{DcCgAsEZq@n@mAq@Eo@Qf@s@QiFx@?`KyF|CWrBuExLPl@_AjCkHxGrA|KJnLbAxGYnJTzJxAzGnBhRxAxFtA~C|AdBlChIpAjBpDzA~JfHjD`@lDaAtDzAnJdAbCtBvDVlEzC`CfC`DxFv@nFbBzDvBtBdCt@nGhPpBhB`Cf@xC`H"],"America/Costa_Rica":["}wIjbiDf@g@[MWcAWIYHBRQLLB?RFIFDBj@","geTnigDrk@oHhG{BdGcEfCo@hBqAtiA}mB`GgJrHqIhYyj@kKwDoBGkAl@gBDWn@aAO{@Z_@`Ab@\\_CzBkAgC{BiBI}BoAy@cC@i@c@{A`@k@Q{BhAwA`Bo@DMu@g@AYq@YEWh@m@k@q@qD}AyBgClAUbBs@`@{@tBw@RF|AiWPo@kEw@|@y@G]`@iBeAr@qAO_@j@e@O}@l@@Jm@r@]US^MFX~@}@a@_@`@YIy@uBS^cB{@VkHmGuCjCuAbGwBbB}A~CaC~AaF|A{AnBmAfEqNtKuIpEyNbDcFhBcBpA{C`FbEpCjBXhAFjB}@dDBz@vFdBjCThCiDpD~@dB[z@Pp@k@RHbCcAdAq@m@aATwA`EaAv@m@Qk@`@pAxBK|@oAdA_AzCc@TX|@{ArCvGlMkJzZEdCmAdEsAhASbBvHxDAdDd@lCqAbEOrChGtF"],"Africa/Freetown":["sqOvjYrGc@rFeDrEdBnFe@hBoAfAeBd@aG`C_@tCxB~Dd@zEa@vD{BbDgHPaEjB_KpC{A`BsC|@sKpIkZ`E}JtCyC~BuF{IkEH{A[sA}@ZiB}BaBJOsAgA?s@d@Oo@yBc@Xc@sAe@Ni@g@c@[gBoASe@{@a@BcBsAYuA{E{F^UeB{C}As@Ky@eBYQw@sC{Ay@wASkBsO@My@aEuC[iBTeBc@g@^q@yAaACc@u@KyBp@Ye@eHy@oAJi@xAl@bAOr@|C~AlE|E?z@q@Hg@bCHf@zBj@L^_Eq@_@iAaAVaBSc@i@cBG}@sAs@@u@cD}Ay@oAfAw@I?^sAPk@pAkJz@}Bc@gAxDH~ByCk@i@\\i@OZWu@}Aq@ZeB_@k@Pa@rAgBr@QdCTXeAQsAbBW[_ARa@o@YfA}Bh@Sz@iBLQzAmDt@gA~A}@FFb@_BrAL|@c@bAcCGaAh@Ev@q@I?|i@vBVjCpLiAzDs@FhBnLdArBf@SfCz@VUNh@z@M]Xd@~@vALA^rB@Gt@rBZNp@r@QjB~@fBJEj@j@BM|A~AODv@pATl@zBY`A~@t@s@n@Jl@p@Ez@f@zAg@Vx@nCrA^dB~@PCzAoAxAIt@`@Pz@tDX@jCdKfCWzBcAjKKjCtA"],"Europe/Astrakhan":["}g}AayvA`B}KbAj@l@yDtBu@JaFrEuIkAiH|@sBjCtAhEs@^wAzDqBDuBnCk@~CkD~GeONgGcK_RAsBtB_FdCvK|ChGpSuKf@mAzBmAb@aHfEa@|Hj@|DtD|DgD|C]UfE^rKlDjEk@nBlBnEXGt@_ElEfBhLKB~G`B^bEiFb@sGnAZpBrBfBoLx@THeCjAe@VyA}@mGm@g@@eNy@oC{@W|@oJWwAz@qAd@pCjCc@tAkBtDX|GgPKuEr@cA`CJl@c@bHmSW[iAF_FtLyBJmCfAkHuJUuDzA{JXqH_AwIaD{FyBqA_Ca@_BkAgCkFwCuKwEeIjADK}@_Ag@]h@e@_AmC_PyGnJRjE_@xDgEdNgDfD_@zFeAfBm@rD}@`ABfB{BnAi@hDJrHy@Qa@cCKpBW^i@Sy@bDc@uCa@b@@aDs@w@b@_AOiAdAkAMqIcBwCsG`DmLxKwR|J?dCoPdNiB`Ec@fDT`CKlR_DxMtCDbDt@_D|JmCnCk@uB_HdGkAeEq@SJsAu@Si@nFmBcAiBj@sBg@iDlViAjCJ~@_BpHuMaGqHrR_@_@q@dRd@|@?pAjABxC~BxApCRbEjCnEEbAf@TMbAb@b@]nCd@VIbAt@t@OtB_@?`@lDh@\\Bm@f@MQeA\\oA[ML[|@DBo@SNQ_@L{BfAlCr@Re@N@t@cAnBEzAw@YBlAtA_@LzFR_@p@t@BjAdCUAbAbCN","qkxAstzAW}AxBl@@n@","u~xA{xzAc@QQg@U{DvA?\\VCxE","ywwAwuyARkGX@Q_BsA[@eEx@iFqC{@I`Fi@@D|ErAZj@xJ"],"America/Indiana/Indianapolis":["_mkAtejDZo@\\b@FiA^Fz@}ApBJNe@Fb@`AaChBREos@z^C@gVy@?HsRmCA[yE_@?@e@y@@[{AwAu@CqQh@e@AcBkEx@{AeAIsH`BeC{MB?eCuVmCDkNy}@]syAB?jjBzED?oAnCAlBZDp@lD??sBv_@?En_@lC?@~ElEC?xYxuAJThBz@fALm@b@V`A]Em@jAF"],"America/Juneau":["stqBjbmG~B_DvCcIpB}AjBkDtJ}]rBsEdAoHjFcLlHGbB_@fCoBxAkC_DgUO{YcIsFrBaHdEsSbDyJ@_Ju@cMxSmGtGIrDtAdM{BnGwEqEsMaK{PPaPm@wQq@}@kAqHbBqGEmByAmCe@Jg@s@o@H_Aw@iAaFL{BgAk@w@iEn@sIb@Bx@aAFiFeHnJmKhK_HjF_IpKsHjEsFxI_FfFuAgDiJrSiFhGgGbY{BzCmAm@a@zDwBq@yDhE@dDyB`FqBj@_AdOaCjCqAoAqA|E}AqCqD@uBpDEnAiAzBaAZsAzFwBlFnGr\\j@~MlApHrAsEdACtBdC^|Ba@xEjJOPt@\\KzDzDJhN~Hj[vDpIBrC"],"America/Matamoros":["uwv@hliEdE{KYGh@Ylc@vLkA{@l@eCw@_AH]fA`@DqBp@[tBrB\\i@rS`An@kH`GrE?tBdERbGyC|CmFGgR\\kAa@AtEwJ_LN`Aq@DmAmA_@f@aA_EmB|AgC~@kDjBuAOeBl@aEoFhAwB~CkC{Az@{B[Qu@j@KwIz@i@XsDu@m@\\oAsBuC_EbBc@KyDxEmBpA}F|AjAxAeA`@{FsAcAvAWzA^b@mAdAS{AeBmAqBdCnAbCeBfAgGv@{G`DuAoBcObBPd@oB~BaAa@s@hD}UqM~CoXt\\oPfGi^lAdDfFHk@yO~Me@j@qBlBQrEgQxCmUXYzA`CfQlCj@gA|@Z|AiB?q@~AmAA{@v@?AmCbDS?eBfA??g@nCf@?{@f@?W}@RiAYU\\gBhBtBzEcBw@aA^M{@_D^yA]JCsAm@o@\\m@Wu@ZMKs@T}@d@ENgA`ASjA~@~BH~@lAr@BHqFfCyGjNbAzA{@o@iAvCoEK{BhKkANcA]HWaAPk@_AgBnGuF_D{Cz@{M``@EI}IFy@|@E?w@OaBiAeAx@q@x@@?gJf@??{@c@??cBb@??{@xA?HaBg@k@`BuCrFiGlJqH|BgLqIuCyZqNkLeBqIKt@pMa@b@b@pCUhAn@OEp@f@n@Yj@l@t@f@e@Nb@Va@Vd@JWRPB`Ao@Dj@\\[z@[Q_@RFrAe@@Xl@yA^CzAe@]RRg@FHf@aA~@Y]Oz@WSFx@e@IJz@XCe@^\\XEpAi@Lb@R}@l@^TYLT^Mr@a@@XLQ~BX?@~@_@^V|@U^r@THhAeAHVVGhAUBp@Zs@|@j@`@gBzD_@k@@|@`@PeAz@w@?\\^k@N\\r@sArBo@?FhAd@BWBFj@[KBn@]ETXm@j@TUX\\aAj@R`AYLb@VHdAq@RUnA[a@Q~AWFAe@k@Z@jAkA`@\\tDqAz@p@b@_Az@PhAk@r@^|AeAz@uAk@m@VuAdCmJjAi@|@_Ev@m@~AeBPg@rBo@Vi@S{@n@UhAsALw@o@]ZiCa@sC^c@f@Hx@iA@a@zAk@cAmC_@iAL_A_@e@Z?dAoC[wApATv@_@Ki@d@TtBy@RUp@Th@sCvBKt@iA\\Vl@}@\\Cn@}AB}@t@q@UuAvAmAKYtBmCv@g@dAyB`AyAtFsAVG`AmAjAiAIyCpBiBMaA|@m@cA_@jBeAl@eAWo@~AaAAg@jB}CLc@t@cCVEv@sCt@YnAMWk@j@wAIcFx@eCbEq@MkC~Aa@~Bu@NwBvFuDbB_@nDqAx@K~CwA_@qBNMd@nBf@Gb@uCCSrAZ\\cBR_BxAq@[j@xAoA\\~@rCkBN\\p@t@JAfB`@b@a@`@P~Au@bCPx@o@AOZp@Ji@x@p@vCa@LFh@g@f@d@RM~Ab@ZAn@_@jCm@hAm@LNfAm@l@T^]DWdBbA~AhDn@s@dED|@b@Ih@dAu@h@`@Hh@pBSvA|An@f@KvA`BfAABt@zADr@jAhAOv@p@|ALVg@n@~@^KTxAnDj@b@cAb@I\\t@Sd@v@F?t@`@LIxAzChAPtAjARM\\xC\\V~Ag@~BVj@_@`@d@b@o@@Gf@nGbEdAOMZv@j@fHbDjBtA{@^VPUZrAf@Lo@^PKn@"],"Pacific/Palau":["c{Dmu~FdGwApCkE~Kwh@YmEeCiDyaHqtD_Cg@ok@cDgEnA_I|H}@|BMzCf@fCvAtBdrD`uCrsCdeA"],"America/Argentina/San_Luis":["lv}@fxbC~C{AxDoHfCYB`CzBe@d@k@v@XrAe@l@Z`@cA`@J`Aq@l@XPg@|AW\\iAzBk@Tf@bBOrAhBp@@fFiBfAFF\\bAo@\\TlCc@pDXrCw@jD@hBc@lAmAx@?`@}@^FnA}@t@oAdAJ~BmBhAcC~BSz@oCpC{CJ}A`@St@EjAxAj@QT`@vAGfAh@Tk@bAd@z@URx@ZCClAl@^pAq@Lr@z@ERX`As@@k@|@T@f@~@qAvETbAgAr@EPm@PPxBi@x@eBlAR`@uAv@Ir@mAfBc@v@RbA{@p@h@~AKFc@x@HDYjAMJe@TRbAg@~@d@fCYbAfAfAq@fGbAt@WhCNrAxApBk@dC`ApDNnB`AdFGfAf@Aa~Aa_C?en@r@sBoCuCu@wBwA{@j@y@}@wCq@{BHmAs@wADwA_A_CNsAqAoDVc@p@sGF}@`@l@fAFrMwCEmAn@sAM}Ch@}AdC}GtRSzGj@rFk@lD~AtD`APaAnCt@LcAzGZjAjBVaBtLs@fAKpJeDtT|AjEk@`MbDs@~BB"],"America/Cayenne":["_qCtsiBZ]EeBxAm@RdAb@cBnAk@CkB^Wy@}AfBEh@s@RgCgA}CpB_AVcBkDqA\\_By@y@IyAeCIRgBgAEGcA{BaD@{@\\ZN}@~@n@`@SScAd@GUw@d@ARo@KyAb@YTgF}@kA[@Ro@aCiCrDcFf@~@l@F?`@~@Bq@eATo@q@oFrBcFU}A_@MP}@gB]s@cAc@FwDkKuB[g@gAk@NCm@uAuA}@PMo@q@SqBv@Us@_NuEs@yAWd@a@CiGgC}At@Ui@cAAE{@iBQs@{@Xw@uBwAoLiF}EeDaDe@a@cBsBCEm@_@NCy@kD{CiDe@}CmFmJwA}H|@aFQmHiG}BvFkOnJ_GnQaDzEqPrOsIpWgTt|@hSxHvEYvMpJrCnEfGxCp@~@dC~@fCBtAjApIY`@uA`@I|BZ`Cg@hBhAlB_@dANf@u@dAHr@_AfHRp@U`A{B|DdAdAoAbDy@n@oA~AW^}AhAPRoCdD_BpADb@{@j@I[qArAs@dCx@`FDrA~AvCL^ZQd@dAfA`FzCR[\\VMw@t@SdA?Nh@~Aq@bAT\\i@|A~@~BYf@LHh@lB@hBnBjABlBfBb@IjBdAbA?jBlAdA`A@nBfB~@|A?c@~B"],"Asia/Colombo":["}tQ{bzCvKsDbHi@pLTjEx@r@qDLsFnHaApA`D~CtBfCd@bGHxEfCnDZjJc@bToDrHNrM{AvEb@vHkA~FVzG}@rLkD~Fi@tRsEfG{DfGkIdDcOv@mJiBuKyCaFiAsDyAkK_EqMqLwQqGyGkGaDuJmCsR}BwEf@wMEwP|CoLdFmDlDkHtBaC~BgGlBgF^qJvBmErEeHpBsClDuCrA{D~DqSrIqHjI}MzQ}GzDoBpCu@jFd@tLpCzLvFhH`DdBlCnDlDjA"],"Asia/Taipei":["{eS{e~El@yBEmAe@iAcBGqAv@FjCh@dA","{lg@eobFhDe@zH}D`BqCl@}Ea@aGoByEgEgDaFaAsEZ{EpB_CzCu@nE\\fIdChGvCfC","{rn@gveFjCyDb@}D}AeCd@yCsAyA}BiAgCl@_BjFbArCFnB|D~F","{cn@yyeFh@o@JoA_@qA_BBw@v@BpB~@b@","wtl@orgFtCIhEkAfGcEnv@sz@za@a\\lC}LiJcp@kGsH}DWil@vDen@F{bAsV}Y}Ew\\kEgLf@mCt@oEhLbAfFdT|a@lPr^|lAh|AtYpO","yxo@sdhFxA}@f@uBQcAuAw@_Ct@]`Bl@vC","aar@qaiFhAc@n@yBwA{DgDmBuA@mCzAd@bDzAj@zAdB","qvq@ebiFvC{B\\qAa@sA_C{AkAXaAbEn@|B","_lr@stiFfAo@AiCoAuAgA?gAl@MhBfBvB","mpr@ydjFlAE`C{AkAsE}BOiAnAOpD"],"Asia/Tbilisi":["olsAy{lAhB_G~CeAbCmDz@cI`DiKp@gIGcD~A_BhAsCvE{BdBsBjA}Db@yHtNaC|FcDjDGjC{@rDcCvCu@hCh@tF~GpDvAxF_TQuCh@BZ}Cz@gA{DsG|@_Di@qGn@u@C_Dp@yA@kCx@_B@oCeALkAwB_BAu@u@]aEl@eD_@{AFYnCrAh@Gp@cB}@o@Bq@h@Bt@gCvCgBf@aDhAeAX{C^@hAfDAcChCuAXL}@aHt@sChBq@k@{D^{@ImDp@cCkBsEYcDTq@iAsFXO?gCsBc@vAgIy@WdByE[{A}@m@BYj@\\TWk@eA?[^PFU_Be@?sC`@JCyAj@@s@iC\\YTuCOe@s@nDk@ToA[p@{@d@eFq@_@{@gCeAcAF_@aD}CJi@cB}BKeBzAaDEiAs@eA`BiE|@YEiCn@kAFyChBvBvCqEPwCdAmCW_Fb@aAcAaBl@qEMu@hDsDJqDdAWPm@sBqB^cC[cA{Ce@[V{@g@Eg@e@UMRm@mAUjAq@TK]Cd@UGUlAg@Sd@TOn@[u@Gn@WIVVa@Nc@nEgAdCYEJb@[KWh@VXYKKzA]@VHOd@u@CS|@eALQo@Vm@mAf@NtAeA`@nAn@i@fAWQBf@eA_@iB|@oBo@ZoAg@{BiC_EwCi@?`@e@FLpAYf@`@d@_@jAkAVFr@e@[c@h@r@zCi@VDZj@t@mB`Ah@~@k@f@EbAh@|@Ov@k@CUb@_@Qq@l@UzD\\b@q@`@Iz@]Qc@v@i@nCs@nAg@?wBwADkCg@_AiCd@eBoAuB?T|Bw@n@?rCuArAXzC_@tCv@|CuAZQz@}@V?v@cAb@gC~CGlCd@fBgBlBCzDnB`@`@`ApBLBp@w@hAgDr@y@xBTfEi@t@z@hBlAc@s@pKrAdCjBb@OlAx@z@W|Ah@zDxA~ABz@_@A_ArEPhCu@\\_@nAyA}BwA{@k@FaA|Ds@n@L`Ac@ZAx@g@CcAbB}@tIPlBq@`@Nb@}@bFs@\\cCnGqAd@g@q@w@dBEnB[XYSIbBq@h@V~Ak@dAZtDnA`@{CfLkA\\Kv@RnBt@`@PzAg@|C^dA@jDt@bB{@r@XbCi@TGlAm@`@Pl@|@\\RvAsAzCn@n@c@tA`@rAaBpC{ApFa@Za@M_@j@Gv@l@t@RdBo@Xk@tEk@`@@zAd@NSbBiAtAVjBiApB_A@@~B}AjGw@~@vA`EKvBo@t@iArLf@bIfADrEhDjA@"],"America/Argentina/San_Juan":["bn|@ryhChAc@pD\\fBwBjAJLsA^OzAPdBi@bAPrAiDC}DrCiCf@E\\rA|@Ct@nACpAm@n@Ar@d@Pr@iBb@\\h@Ot@kApAXz@_@xBj@n@yBpAwA~Db@hAmDhCs@pADdBkBg@u@{CsAnAmIo@W@eAiAeAWaBmBE[[q@`@Q|@_CKeCeEgBu@kCM?cCu@q@Ey@gAi@OsAn@gEi@iAkBaAa@wBFiCdB{@|BuC\\yDxK??uNeEuKgE??cI{AiBfAsAe@c@RgAcAmCZOw@i@p@aDp@UMi@xBk@JcAxAeBMgA^o@WgAl@q@i@eA\\w@OqAZSKcBe@o@pAeAfAKh@{@TkCx@gB@aCgCXyDnHcCpA_KaAaDx@h@gM}AkEdDuTLaGaDnBsBfEmE~AaBBArDkAtC{CUmBtBwCf@{QaAcCbBmDiAwA?aIhEmI|I}H|LiETqMrRwChDqD`C[pEm@D]j@{BPIxBk@ZWSsAbDoB`HEjKi@dAR`H[n@g@B`@VJdAt@@EvCoFd@qCsB}@Fk@n@gAy@sAVk@q@e@FSr@sAW}Aj@gAq@h@g@Cg@mAD[m@UX_AUkBf@s@QcBbAgA}@aCAuClMeD`BwCLS[oJ`FfAtBDlBgAlA^`Bs@jAZbB{@|@n@d@^o@VJz@rAxBy@l@d@r@I\\v@bDhArBAhAgA|FnCfDS~@z@dAN|CKNnD~A`BDv@pB_@lAvBhAl@`AOBV`AOl@_BlAZbA_A`BL`Bq@fCPpCwBvC`Af@g@r@H^i@\\f@r@Q|@h@@Yj@DrAt@x@_@nBlBRi@p@M[kAl@aDt@QJj@r@[|@b@?dBlAMzBx@|@_@LtAv@f@PvEuAtAK~AhDiAt@b@bAvBf@_@r@b@ZMNb@tClA`AO~@f@x@YtBrAtAOdEtAnA{@bBFBg@h@O@hBdC|An@O~@nAaC|@c@n@jApAdCt@NSbDXdAf@bBe@tAFXv@v@W"],"America/Recife":["f_PzwoAf@o@NiB}@kBAcF`BVx@m@FcCrB]i@sAf@o@OcAhFkCbG_AvBaFIi@j@c@rCt@xAMdAfCl@c@bCHTl@nARQiBlAwDq@sCgBmAZeBcCuAh@iCwE_BsGa@_C_AOgA`BoBFeA}AaCYqEiFmDsCz@_AUMgEs@wAHkBi@k@gFf@KcDwFkMr@cARaCnCqAz@NnAg@E}A[YtAiGhCeDi@eDPoChCuDhDc@fAq@KqA_Ee@iBkADgBd@_AnAMpBzAvBuA~@gCaBgD`Ay@n@M|@fAf@g@~@^`BeAhAB`FcBqA{BkC_AwAcBs@eFeBu@qBcBCs@o@BoAwAoDOoAmC~FeD`@r@IoAb@g@eAsAQaCN}@p@M^cDnIeI|B[q@gAn@mAhAHeA_BHq@fAcAdA@SGP{@hAi@v@_BQo@e@LqBo@w@uAh@eAc@sCxBkGO[`@SSiAkAH}@aDk@GAq@u@q@b@a@SeCe@@@q@{@e@A_BeCJA_AsBoAIiBk@_Ae@Mc@l@q@?WqAy@k@YiE_BeCd@kBq@}ATe@jALf@eAc@uCm@c@Jk@{B_ENqA]s@v@_@IuAZUhAeHFcDl@_@|CqK_a@qKiN{AyKwDwXkA_BlPHlB_@h@Tv@}@n@{A@}BhDJlAa@|BRd@m@rBbAvBCr@`A^~@~Be@dAx@vAdEtAFk@hA`@h@a@Vf@BnDd@Gd@t@LlAU\\|A~CVzDrA|@E`Cn@v@WnBk@t@TnFs@^v@dAr@WZh@q@~APdFdEf@RfAo@bDZ^rAIQlAjA^jC?n@|@|@{@z@`C\\MIfA^MPbAf@VKdAdBdEbA`Bn@RFfAkAfB@jAgA[F`Aq@l@cAIQzA_Bi@eC\\gAO_AtAk@?ZfIw@MYqAe@AIZeAyCu@DKs@m@j@WY_@sC{Ac@{EtBwBcAqByCgAmEsAhAgAOc@XEpAq@d@i@|Cu@VgApBZ`E`Ar@^Of@hANzEz@QzCzAdAxCn@f@Qx@p@l@Dn@h@B|A~A`@_@t@TFRqAp@r@lCtAzAd@Q@z@|B|A@z@}@jAn@z@~AGRVUtAaAd@Kp@dBtC?|AgCZB`@g@]y@RmAxAhBfBWzA`AxAHrD{CfBoBpCXj@r@LFvClBNQpAfAVTrBjDl@GlAw@\\XRKv@lAhAcDPiBfAcAnC^vAo@?i@f@J`AkBlCOtA{@^@hAiAXiA{@u@DSvAf@vAkBr@GpBkBn@iAzBSnG`BjHPjDq@xEqBdCBlBhBtAV`AAnAaBrDZ`@xBL|BpHv@ZlIyD|EfBp@y@v@kDrAi@vEJbGtBvAYTTU`AfDpCz@tC`BCb@XBr@pA@`@z@k@f@Al@`CNn@n@_BjBDj@f@J^hAtALOv@zA`@n@|@Qh@bBh@d@tArA@`@rCdAt@"],"Asia/Amman":["}jx@gccA~JiiAiKyOcBuE}K_J_FoBoAmB}CaBiGal@wS_IoIuSo}@||@g^_|BkMkQwFpAfBnL}IrBo@gEmu@fQ`KxU`@`CdB~B|Mf[z@bB`DnBvAvL|E~D\\xAx@b@QtEZ~AvFbGPpB|AzDbClDAhFk@`AsAvPsFhIHz@eAN\\tFmBPeAvAkBBKtBqBz@KfEQbAg@HbBnFr@VDlBp@DRd@Gr@xD_@jAn@v@u@J\\j@QhAj@h@Q?\\`@a@zBR|Ei@vAr@^YvAx@p@[|At@bCy@xBn@dAs@`@ZVYv@RpBk@bEtBtObAxGhC~DcBhBKtBx@zDPtA|BzAj@|BIhApAbBBbGrDdDTrB|@|D{@~BzAlF@nAa@vB^@\\bBz@`@]D`@rAn@~BSbFlBhG\\"],"America/Argentina/La_Rioja":["~lv@d_gCdAy@[cBr@kA_@_BfAoAEmBgAuBnJaFRZvCMdDaBtCmM`C@fA|@bBcAr@PjBg@~@TTYZl@lAEBf@i@f@fAp@|Ak@rAVRs@d@Gj@p@rAWfAx@j@o@|@GpCrBnFe@DwCu@AKeAa@Wf@CZo@SaHh@eADkKbEcMVPl@_@AiBdC]\\k@l@EZqEpDaCvCiDjHsLdD_EhEU|H}LlI}I`IiEvA?lDhAbCcBzQ`AvCg@lBuBdDNbA}C?eD`BClE_BrBgE`DoBAoBr@gA~AoK@e@wBa@OaAbA{Gu@M`AoCaAQ_BuDj@mDk@sFys@@_b@sNwUcEgk@nQgDCsB|@?dCqD?yMvPkD|QuAP[k@_DkAMt@mAf@iBbEuD??dA}Ba@gJpBcAvZ^vB`F`D@xLoC|Rb@`Cl@IIbBv@RAz@yBImBhB}AHoA|@sB]TtEZD@x@`AhBmCbAPl@q@d@]|Bn@x@u@f@sAQVbBi@^YxAh@tAS`@yGa@k@b@[pBqBp@mCDzElAw@rAl@vDs@PaArClAnQpHxBn@h@GtBrA|@hAGn@jArBJdAx@b@zAvAPsA`Cl@j@z@Gt@x@bCh@j@tBnAZ"],"Africa/Monrovia":["eeLntUd@i@hE}@rD{CxI{V~AyCrEo@jDeDfDyGnCyN~A}B~@_DzBcBtAuCnGeEzEsHhO{OhA{BxCoBlI_JfEwI`E{FtAwGfGqJnCsGXaCtAiBdB}F~BgErBiP|EkIzAkE`@iIKsDoKDqAhA_Aw@k@v@mB]oCh@s@q@uAv@_@a@a@VMYsDDe@bAw@YcC`@u@sAB}@gANa@n@k@_@_D\\}@eAT]kBaA_BIe@ZcAg@u@Vi@wBnAX?Y_Aq@i@Dc@q@]\\sAMj@n@aC`BYQZg@}ADaA_A[XEm@k@`@_AEEm@oAFIj@}FzAa@_@y@\\wAe@a@rAbB`@q@lAe@Ip@~@eAv@Cm@y@t@Ph@e@\\MxAmA@p@r@h@YPTeAlBqAj@[v@_AE_@g@g@z@_@Qi@TPVYd@h@d@uC@Uc@{@RCk@_CnCu@PVVg@JVVe@^\\TW`As@XtApI{@p@[dDa@WkAjCn@pB_@`@]{@uAv@[a@u@nAw@LCl@x@ShAr@aCfCKdBi@IDq@{@]GXYKRi@_@WaARXw@i@IFg@c@@UgAe@Bq@aBu@HQs@yAo@Ha@eAHc@w@m@Ps@g@LTw@^w@w@sBd@cAgBc@b@aCV{Do@i@bBwAjAs@YmBnAsKv@GdAq@XoCbEaC_@@tFj@D~@bA^ShCj@F]hAIzBpCpA@FbAtBnAnCa@h@dA?`AoAVHn@r@DS\\j@TJlB~AxAWr@f@V{AGe@j@c@CD|@_B~AkCFZtCgBVQpB~AfBo@?[b@|@|Av@Z}B[uAuAwGcC{Ah@oD}@}Bz@N\\{@j@uBn@kDDuAkAqAFb@dBoAe@y@^k@OG\\mACWhB_B]IVq@m@[Zo@MYl@k@mA[?e@`@QlBuAlAh@b@A`BaBkAe@RAn@a@MU^b@dAt@?b@d@aCt@k@e@s@vAr@~@b@SJpAb@Ra@V@vBlBrCb@dCoCQe@x@Ht@k@b@VLEdA~A|AGf@UCBbBlHTrAXXd@xBq@t@JBb@xA`A_@p@b@f@UdBZhB`EtCLx@rOARjBx@vArCzAPv@dBXJx@|Ar@dBzC_@TzEzFXtAbBrA`@Cd@z@nARZfBf@b@Oh@rAd@Yb@xBb@Nn@r@e@fA?NrA`BKhB|B|@[ZrAIzA"],"Indian/Maldives":["scKeilCrzBgJ|K~@fZF`jAuJrmBoEtGFjcAuDfHmBlDcCrBgELyCmA}EmD{D}WqNso@wHyjBAcsAoJo}@|Aex@~BoeB|ZuCvAkBnCuHzT^rHxBpFvEfCvr@~M"],"Asia/Dubai":["qsn@olcBpBcFjCwBtG?fiA}|@dRw~CsCwCkD]sMVgD_@uPsIT]c@[qB_@yIyFuDDgAhAwDC}D`BcFkNBcBz@g@T_A_AiCg@eFmEnBWQqA^j@pFcA~Cs@KeCuCcD?oFhCuAEsA_Bk@j@cAuA_Nn@mBmA@uBqAcBLyAdBuB`Bj@x@i@q@fDb@BjGmEPmAgB_DaCI_BqFcAm@mAr@iA}OuROkRv@uBp@BfDdCpK^EJZSdBgAT_@bAyBU_Ev@sCmAgB\\_A_AeDhAVpCkEjK`HxB`DtBv@jElD~EdBrF`KnHLzEfApCvIhHzFvAvAdD`FrElCzJrGbE`RxX|@bKiChNcEl@uB`B_B|D_@rE}BSiEv@sDxDy@vDyDI}D|AaChEWjFLbAfLxH`Dm@jCjAQ|E`AzB_BvAAjAd@|@`BP`BqAr@|@dAV`ECHhDv@jCdErDgHdCrAdKiBEpElNvAEdCn@rDbE","oip@_xlBs@}AeATg@o@Vm@I_@t@YMELy@lANhApCCdAYt@","wno@emgBNIHa@A_@KSQGQDKRGn@JT","yoo@owgBJEJQGg@MKMJE\\?P","qso@y{gBPKDMAUOKI?IBEHAPDN","ogp@slhBxCg@pCoBvAyCb@eEOuC}@eCwCgC}Bg@eF\\aClAcC~D_@lC\\xExA|CnCjB","elp@qjiB|B_@tB{AhA}BZaD_AgFmAqAsC}@}DViB~@kB|CYrBVpDhA~BtBxA"],"Europe/Vilnius":["odkB_jg@lEsQp@_HTyIaBaFtEgFUmC`@}C|AmC\\}DjAgEEgFpAIb@mAEwAw@qAQcGf@gJq@kFvAMnB_BHg@a@HKe@fBoD`@TKy@h@QOu@\\s@TQj@\\Ty@ZRp@w@|AtA@|@b@JE`Af@|@p@Kf@r@`AcAR\\VMvA`Cl@y@|@~@r@c@hBCTeArB}@j@q@}A}Bf@aGLs@h@^h@iCv@\\ZwA]qB`@IN_Bv@_APoEt@aB|AkABcAl@u@lDuAdAF`AvAx@[t@sAAyAb@w@W}EVuAr@[WoAq@d@g@uAVyAs@s@\\_Bv@MD]{AuLf@OEoAnBkEM_E{BiCyAyEKoClBXGkBcAc@FuBQNMo@]?GkAW|As@DeAtA[D]qBWb@u@_Hv@gAR{C}CyFyAk@LcAo@c@Xi@C}B{A}GBa@t@KJuAPTbAkAFtAx@]XzATHd@m@XqD\\_@Y{Aw@e@ZaDyALk@v@_@eAeApAOxA_@Wc@h@?rGu@f@?o@o@KQ_As@DH[w@w@}@HKr@WiA}BsAqAcDsE`AcDg@eA^o@c@Gs@s@AuAsC}@IQs@Jo@u@aD^qCKPMw@]HCcAa@KOyDuAaAq@HYcAw@rA]_A{@{Dj@sE_AoBb@m@YaG_@iAq@|@e@mBy@AqAqEi@F[nAc@~F`@~@YH\\f@@vAy@tFqAcFe@JEUy@f@Bi@Yb@W]}A`A{BoEyECFdEy@rCE`DaAr@AfAq@xAuD`Ci@fDsCrC{ArJOT]S_AlA_AfGaAWSn@[QIV\\lCKhAq@x@f@|@?hDY^XpD}A`Db@fCWrCS`@kCb@wAfDmBD_B~Bw@WQ~@ZdAf@UKnBj@|@GrC`@GT`@?tBz@Hl@|AdAEz@zFuAnI\\GhAnIw@n@EfBe@EWr@e@FWlLb@hAwA[I^XjGv@jDg@rEu@dBG`D^pGz@[~@tDs@bCuCp@O`AAv@^f@TOZx@@rIh@bBmAfEe@vH^tC_@hARfCo@bAOfDN|E|AxA\\`EShArB|EEbId@^LlBrAlAz@vFvAbBX~AlAOzAhAQrApAb[`Gh@|JaApD_AlCHxEvA"],"Africa/Porto-Novo":["qgSqo@dMaStHaOvTe@bBJjBz@pBm@C{@lIs@tEsDvAwBjCmAhDe@d\\?nBgAnAz@dDb@Tk@bl@KlE]p`@XAfDxCe@^w@pCNJ]p@d@Jc@j@FTa@n@BP~@r@CXb@jAqAJZ~@OjAuAI[NP^Y@u@dBFx@uBz@Cd@o@Z^z@k@rCEd@i@|AdJrKuAyDe^SkPeA_QiK|@qDBm@e@q@d@sB{AeCj@qAo@a@{@iBQgApB}GMo@x@cC_@s@_A{Bf@w@_AgHv@}G?[eBuBFaBlBsBLOXuHa@eFpBiKoB_CDyAq@iGzBiCu@aATs@qA}A?w@e@[`@iFEQf@wAs@I\\aAMkAn@w@iAeB?OVGa@u@AY`@Oc@i@Se@T[c@iAXUWIZi@a@_@VDgEk@k@MeBb@g@u@eFeGeAeBeAyHp@oBy@g@_AgDoBsBa@?}A{A{AkBdA}AMy@}@gAgEPqB}D{CsFa@eA_B}B_@eAlCwB|@oCu@s@T[e@w@RcBcDjBcEq@g@aDG_DmAkDNw@Pu@~AcDbAuEo@iD^e@x@qE?F|@iRrLqGaB{DeBq@aAeApB{AYWtAy@@sAfA}@zEA|BmElBo@UqFtGg@FiA`CqC~Ae@zAmFzFB\\P[PfBbAp@Wv@hD`Bu@^DlCp@d@HfAk@j@v@^KbAf@LWj@TjBVZZa@ZZh@]b@Rt@]dAJhGsCId@~@PAx@l@^n@e@XZd@Mb@l@bCJLbAbBfAjBSjDdG|ItJR~C{@^UhB|@zD]nAn@`@QRf@h@Ol@Zd@]dAoAH{@z@t@l@Qz@e@Ir@h@w@hAt@n@PdAhAOd@\\Ml@v@N@n@vBq@Zd@]XRr@y@p@n@PhAo@^j@e@bAHdBg@NHl@|@^Vu@vAJj@[M~An@`@BjAd@VTiApDw@{@xAPtAcAXOt@lAXvBzBvCl@tA]^\\xBRjDvCjGGnBj@"],"America/Guatemala":["ya[xksDnUi\\fHsNrE_OlAyIZeH?gQYcDR}CrAqG~EeOoJkDL_A[Sy@n@gBIsA}@g@yAsAY_BiDqByABaAa@GGoAx@iABsA_APmBi@cCsBeA{Gi@EcAv@i@Ii@j@Hp@eAIIo@k@`@uAK@}@fAYoAkASi@b@gAmAsAl@OSI`@o@_B?q@kBYF{CeCRaDkBWsATsAs@e@bAuAFwBlB_BF{AmBeB_@m@t@cC{@iCiJqE}FeEoImCqCYcAaKcM}B_ATSIm@c@FXe@Oc@cAJAq@cL]}@|EgEnJMfEjAfEpBjApD~I_@pCRn@_@?Ij@XR]F^PUnA^Ta@xBp@`BehAuCin@B@vqBfb@ADh[lAi@b@_C|@Km@q@XsBxBB\\uApAUhAmAZiBn@ChBoBj@B`@uBl@e@eAEGg@`@Uh@f@HoAhAWEqAt@u@?cBj@CdBsDfDkB|AGVXBm@_@Gb@[`@h@tAAE{@^St@p@Y_Ah@UYsAp@]W]^c@Mc@jAJE{Bh@]Og@b@Zx@_AQr@X\\^A_@Mj@i@Tx@h@?Dv@n@Bj@c@El@^RTw@v@x@tA_AXr@Vk@^?Cn@z@FG_Ap@^?roAxq@z\\|JmH`Bt@HrAt@j@`E[~B`BrGsA~@FfA`A|AF"],"Europe/Prague":["wcaBurV^wBp@QViA|@e@p@h@~@IbAuCd@ZHoBf@QK[j@w@Z_Cd@?QeAh@aA`Ap@b@qCd@CxAfBd@?Fp@~A?~@nCbBqA`@_DhCKCaA`Dw@^mB|ARpAk@RiBz@aB`Bw@XuD?Wa@PJaCnAgDnAI`@}Ab@ITw@\\Fx@yBlAWh@iBIiBfCwE~BKZm@~@oCw@QCqC~@{@Qg@PLtB_BKeCdBs@Hy@`Ak@^VLSJuBjBgDH}A~@}@Dq@h@HXtAXiAZJJu@VBZyKx@yBm@q@D{@i@BFyAgAq@c@VKs@~@aAZuBq@aBl@]@w@j@SEsAa@]_BPiA]}AaDyAAAmCj@wC[o@m@t@sA]Ia@aAVy@g@eC`@i@k@c@NU}@LwAZ?LuD|@[f@Rc@_CJkAqAa@`@u@GyBz@sB?wAjAwA^eErA}CF}Bm@s@EwBRWNPVmBPMFVVaCb@Nr@wAbAyEZeM]Y`@eAiAqBuAq@TuB_@k@|@gBBmChBe@SsA~@uCWkE~Ai@|AFJi@eHmEk@{A{Ak@{AqD`AsF|@mA@gAcAoBt@oBQS`@Sg@s@LcA{@wAIkCaC{CEoEwDmAQiG{@mAuBs@_@\\u@{@w@Ju@o@_ANk@iAa@?wAeKiAiAy@VD{A]s@o@[eAsBa@Z_@WMgGf@yCu@iBCuAMZo@k@]j@_ACIZ}Cf@B~BMn@i@La@hDq@GcDvBaAiAUfAaBEGbA`@OPXErAeAxBUbEd@a@Z~@o@lAq@DMzBs@LCbAb@b@YlAa@h@UOi@Zk@lBVx@^@@oA~@CYpAnAlDH`Bi@tAa@CQdByCzAg@bAZf@Ot@aBpBq@_Fi@WAsAy@Ki@nAuAu@o@rAGl@x@@`ArCYf@F~Dl@rBq@`@KdAd@dAg@XwAUPdCyA`Dm@CLvBq@~@m@`FRn@{@rCnAnAd@eBrCeAXqBn@a@j@b@r@s@Zx@y@l@j@f@?pBp@n@IjAl@fAdAb@RjAjAlA[nCiBpCcCXcArByBtBG~Ai@h@{@@ElB^t@mAr@EjAm@d@g@a@Ne@[Vk@mA@eAu@a@HaBy@sAW\\Ko@i@JUoAcDjESvElAb@J`Ac@Zc@bCl@fAz@VT|@]lA_@gA]h@kARQz@b@fEaDxAb@zEmAhEA`D_AfD|@`CwBLiBtDsAPg@o@u@b@?p@e@V^pBiANLv@j@B@XaAfCVvCh@`@Vi@Qa@f@_@xA~@\\a@\\Xl@OGvIbBz@F`AmAfH}AcAu@DZhDiCcAm@bAJz@YDI`Ai@QA`@h@CYlA`@xAg@r@_@`D\\v@VWd@p@h@BJmC`@t@x@{DhAP\\dDUjALbAx@P|AbHN`B_@jAz@fBEjAl@Zp@WBhA^LQ`Ed@dB]tAj@zBGbBRt@t@e@l@|@\\UhAtB]bBcAvAn@Kb@fBv@BJ~@c@V@|@pDhBErBYFd@|ASjB|BVtAnCoB`Gx@Nc@^`@vBdAv@g@bAf@`It@r@f@GIj@~@hAB`Av@Az@zAh@KAv@fAN\\]TZPSIxAg@Zo@e@q@jBGs@i@VChBgA?Y^?~CvAeA"],"Africa/Blantyre":["frY_y~@~@gC]k@l@qAd@HtA_Bt@`C~@Rh@cAa@S@a@x@uBjA[hB_BrAV@mBnBBdBqA_DyA_@iBg@a@j@kAlAa@CgAt@m@JgAfBk@~Bl@fAeA`AODuAhJiDd@sBrBcAZ{A|Ds@x@}@kAiBoA\\iAYAo@bBsCkAwAFw@a@Bw@gBd@mH}@Ba@_Ga@k@Jy@_AgAYuBRcAtFoCfAeBtDgArA|@tF}BnDd@nEqBzCdB\\i@x@l@vCQfAs@rADz@z@`@GZd@U\\d@d@bCTK`@j@j@M|@jC\\xDYl@e@Rp@zACh@vAnBr@DlAfBjB|Al@tA]RVn@OR_B`Ag@?w@zB_A`@sAr@MhB|@|BN|C_A~@wB_@cAbA{AnEo@dAsB]y@`CAMgA`@cAfAq@hAFh@kChC]b@gBhBSBaCnAInAgBU{Dt@q@x@\\~Bs@E`@fAf@lAfDVYt@LjAgBp@z@b@c@KeL{BKC`@q@HiBYg@TCr@g@HmAk@MZ}BwAeAp@kD@oAhBo@LNZcA~AuBn@kDmFwCAiBoAg@p@{Dc@uE{EGaDbASXu@{AcAVgAkA}CHmAsCsE{BXca@_BqN|BePaG?|AuL?aY|ToDbAyP~NwJzGmLzL?fOiDx@cB^_F[}FRiMfA_HIkBZ}E`CcRlAyDlAoKsEgFuEiFuAiIE?cS{ACkAH}@r@yBBuClGu@Nc@]i@t@yAXkDfFqCLMj@wAMaCeBaJS}AbAq@UgCtAm@Oy@xAoAVyAw@m@F?h@_AVoFu@cBh@gBImDdBgBi@yCnAwAzAwJ|FqO~PdAfClAp@fBk@fEv@In@o@T_B~CoBdBCdBz@n@SlCq@pAN`AdA~@BhAWzAyCxAO|@qAhA\\~AY`Aj@~@a@hCyFdHtBbBxBEM{@`@[FiAnC|@`Cw@QoAhB}@kDq@f@_A_@iAh@u@rFSlFyGhBSb@r@|FnApAiAFsAjB}At@mCdB_AIc@lEh@Va@l@PbCq@j@wBhAV`AiB|AEQ}@pAr@\\dApA|@Gf@tC|ACX~@LdAzB`@FSdCf@|@Kz@|Al@Rj@Ur@t@f@\\KOy@rA}@rBZhC_AhDwC~Cn@bEhC~@@Lf@bCAe@tBdA]n@ZdAc@zCp@Y}B^i@zFEvCg@~Bt@dBa@lDTfClArC`@z@u@@s@zCAbE_Ck@iEZoB~@a@nAzAFt@pAIn@bBtAh@fAvA_A|Ab@jBzD|Cs@HWh@TxA_@n@tBhCrCv@vAnBfBc@j@PhA}@RyAb@IxCXxAz@v@UhBh@xAGfBqAdCxCpGp@|AhA?dAfBG|AtDl@^YpBJQ","zmVwobA`BQf@m@GaAgAq@wAHm@bAJdA","frVevbAdBy@Es@eBgB}ASs@z@OvAf@h@"],"Europe/Belgrade":["itxA}vc@nAa@Xo@xBJd@mAfCa@jAyBhBdCd@]~@r@`AcCo@}Bj@_@n@eCl@b@IfDxAPdAqAb@jBh@Dz@mBN{BfAYd@kAxAeHDgGhAs@Nd@f@DOxBTPWp@}@R@hAfAIy@fFRJTy@`BhB]lBz@TfA{@fCD`AdBEmDv@a@t@hCp@b@k@lA`@pAdB_AOaBuBwEr@iAa@eAFcBz@mCl@DDj@t@MFdAt@@Pj@B{@\\n@h@{@`@x@RWNXn@EC^~@N@h@l@B^rANW`@Lb@dAn@Mr@h@JtApEe@`@hAt@LFa@j@JJk@h@FbAeAMuAx@{@]mAJ{AlDcA\\aBhAgA[kAv@RlCkEq@]h@]?g@dAF`@nB\\Ev@rAGnGgBpHrB_@vH}G@s@dDcEzAYnAh@Il@hAGRe@Zz@CpD[Sm@`Aj@~@c@pCPN@a@Ft@~BIBv@vABzAaFh@]v@eEtAYfAuCz@P|@c@`@qCrAm@h@wABiDnAc@RaBj@Ce@}@t@}Au@iBr@DdAq@l@iB~BqCo@}@x@oA`ByHzCMElBj@tAdAUf@^ZtBm@fAXPo@jDZdAfARPa@T^jB_EbAfAxAYf@X`BqDjBw@d@w@f@IVb@~@iAtABV}BYaAtAcCXeBxBgCrDwAjAXnAoAhCy@dAHh@tAbBw@FwFmBaBw@j@_@We@b@uA@mBiAa@uE_Aw@m@sEkB{CPsB~BiBlAM@eAe@mAFq@aAd@eCaAmAcBVuBq@Ve@_@P_Cv@Qi@cCz@_F_Aw@?cBcAc@Hg@_Ay@p@mBQy@eAc@zA_D?oAOeC[YPi@w@w@FeAs@k@WsAp@@jAeCk@wA@aB{Bq@GuAmDkAyCnDG~@uCy@IZ{@k@[b@cBuAkApA{Af@u@eC}@y@d@mAy@QGeAz@uBc@e@C_BoAaAk@PEY}@CkBcFwAg@_AaCwA[UTg@g@oAzEaB|AiBh@_BxBc@pD}@`@S~Bw@h@MrAiDvAeDCqBfDcAZy@QeBzAiC_A_B@Yi@_CA_@kF[_@c@PUkDwATeBe@O^Sm@aAOBq@wA]aAVk@vE{@hAeDr@k@bA}@PQsDmB_@[o@?mA`AoCm@_Cq@PiBzCDjBi@dB}CzEnBpHzIpFZbBoChE_BTsA~@}@nKFvH]f@cBHcAr@i@zJ}AnAkAUEkFi@uCsAX{@xEuBzCg@_E_@PeAgA[X_@Qa@_BaAVsB~ELtAg@fCV`@i@nBsCtAx@|Ck@^Bf@_@CLzA{BjD{@T]lB[_@e@\\]|Dg@BgA_CgBjAHl@{@JwAmAaDBiAg@UlA|@RFrC{Ad@Db@c@Va@SoA|CqAXb@hByB`Aa@fAHrAeApB}AB{B`DQc@KbBgAdB^xAaApA`A~@?p@aAl@@`D~AhFwBnFCfAh@z@S~BhA`Ch@o@r@|BXEfAfBRdA_@^hAbDt@]OhHqAZEx@nAlAfA[HrCfAEWlEZpARE","catAe{d@AYUGCWP@JKTNBLMD"],"Europe/Zagreb":["cxwAyxXrFuAvLaAnH}B|H_GzKyLvXyj@dJyLvD_I`FmE|GaJbLmV|EsThAoChC_Cd@pAi@|ETjEyA|Cm@|Ed@lGhAnCdCzB`Bd@xCKrCaBfBcDn@eE?qCnBcE~@qLxA{E?eHoByFBoAjC^vB]bBeAdBkCI~GnAvE`D`DjCl@jAGhC_AbCeD|AkNqAuHgEaEuC]sAP}BvAeB`D_@mFrAgK?sFaB}Uf@cF|@mDbCyVdC_MbJsSkJoFoC`Cg@pAu@YiBRgBjCCfD\\lAgBfB@dAq@ZOnAy@BiAtDm@Xm@|AUtBm@Q[z@oBr@[dAp@l@cA|DrA`ByAhEwAuIiFlCqD`LeBRo@`DiHrD_AaAiAJu@lBDrC_DxGkJnKWlBiAbA_BP}AfDqAjAUjAkC~AK`CiAI_@Z@tB_G|GBhB_@}AmC`AiB_A{@nDa@DMwAo@|@y@Rq@ScAd@aBlEi@BWcAy@Gy@p@e@pBkAb@Dn@qAfAh@^Or@j@b@OXw@nAwChBe@cCq@dAcCn@_AYGeAm@CeCxA[{@mAg@_Br@i@WqAcCP}AYCCy@f@Me@aBVkA`@]h@Z@aAtCqA|@cDrAk@ZuCh@g@McCw@Am@w@yAe@[P{@iCaCw@]w@O}Cx@oCI{Bj@mDQq@o@PXc@]s@Q^Dg@]VQo@MVJm@q@o@f@o@v@^AkA]\\MSx@i@[y@j@RWs@p@]hBwFBkCuAw@bBeDFsBq@eA`AAOqAp@N?_Bg@a@h@KDwAw@kCrDkJiAiDu@DKaAiAiAp@cA]cAj@]V\\n@oAJaCg@yAw@P[aBhAwBMiExAgBDgB`@M{@c@e@Zr@kAw@J\\wA]a@PKf@z@RaBm@@_@i@d@WZd@xAkCl@PBeCf@T|@g@AfBj@g@^N`BiDHwFI}AmAv@i@IMcAh@iAq@c@u@iCw@`@FlDcAeBgCEgAz@{@U\\mBaBiBUx@YS~@_FgAHAiA|@SVq@UQNyBg@EOe@iAr@S~HkAK`@fCa@pBe@jAgAXqAnFc@Ka@iBgAnAyAQHgDk@e@q@fCk@^l@lC_@n@[OQ`Aw@]IaA]DLx@UkAc@b@YsAgB|BXmBo@MC`CE_Bc@i@q@Zj@fBq@xBg@gCcAX?h@`@RQx@}AYGuAw@`Ao@_AZrCSJdAXBb@oAjD@xAb@IRn@\\[@t@f@XXOr@bBZC`@hBW|@x@PHhAn@CElAaAvAr@p@[|Ds@hBTh@YzAp@pA}@lDDrDp@vAuAfAw@dI{BhAgAnB[hGl@TY\\Nh@_@PHdAa@D?_BG~@Ka@g@D\\f@i@f@l@@Jh@k@WJn@g@IQzAe@iA@nAu@]ElAGi@_@f@Bz@g@}@Al@]ILhAwAEOp@UEBbAcAtBm@xDc@?e@vBg@v@kBHkAtAYvAPbAm@p@P\\oBxAB^[Kc@zGuApBKrBw@jApAxBGdAf@|@dD{@`@gAf@J?`Fu@rATpDVNfAu@PpAv@j@EhAj@bA|@nHh@Qx@~@c@lDRbAr@CxAhBXc@h@Pl@_@vA_F~A`AtCM`@t@f@W^Zj@}@JvAh@l@cAhCf@Z[f@n@TOfAZr@j@IFnCdCxGlAqAWWn@Qk@@c@kAh@Oj@`@k@i@tAiAV^OzAPOHzAb@CP|@h@k@~AE|AgD`AnASpClA|AS`A\\r@{AbD]AYbEaAnBRb@pAHd@tDwAj@}@tCLz@kB@{AzDiAWQhAtBfAJbAlCTdClIg@hALh@k@f@^dAf@B_@lGeAlCV?BnAl@{@t@LBjCv@v@OnCaAx@n@|E{@dDeFvFrAvH"],"Europe/Vienna":["mi{AurQx@gAb@\\d@aAdAf@d@qBl@Y`@Zv@YFj@h@BGoC`BsHOsATLf@i@t@h@v@I`A{GjAaADgAf@c@q@_G{@LeA]JuCk@NMg@gAe@UsAp@kAb@@f@}BjBn@x@IJiDVPmAqFfB_EfA`AOqBh@u@Mu@d@qAWqAReEoAa@a@wA}@ViA}@k@Je@e@QaBs@?DuAy@cF@kAr@}A{AqCt@wBy@oDh@kAA{An@gA_CsIuByOl@mBRn@~@VBrBb@r@p@a@f@Jp@iAl@p@N{A~@q@a@u@L_AtAaAr@n@~@ANqCtBu@|BaJGcGl@oAYyA^mBh@EHe@DmMXiDhAmC@aDw@eBh@mBOyCd@_@IqAXSEgBhAwI_@iFnA}DWwA^mCtAkASuFXuA_@oEn@YPgAYuAlBsAQa@oB]u@mEgA_@RY]YG{CiAGyB}AFgBc@AWaA~@m@eB{BOoEh@uDa@cJ`@uAn@I@oAq@_B{@Ji@eBReAWo@[FLmFm@iCVsCjB{FoBNIt@eAb@aDKKeCiAuC}@{AeAi@Jk@w@aA@i@eB[^YBmA[O`@cDQ_D{@~ABp@s@cDc@~Ai@R_AcCk@VL|B{AAMdAmAm@e@T?eAu@k@oBr@a@x@Gc@s@Qo@^CoAf@Wk@g@HuBcBkDc@Qs@d@UkAy@q@w@fBiASc@h@D|CyAlHQi@k@G\\w@o@q@OsAkAIQ{Bp@_FjBw@C}CmAmAbAOg@sLg@l@cCd@[m@cB~B_@uCiBw@Mj@u@s@Sj@gAcCo@dBTf@Ul@]i@Qf@Se@_@\\e@i@wAfADz@}@dB_Cz@w@Uo@`Bm@X]Yu@bCw@PCa@gA[{@Zu@oAa@ACs@a@DSy@i@Uw@b@{AGKh@}AG_Bh@VjE_AtCRrAiBd@ClC}@fB^j@UtBtAp@hApBa@dA\\X_@vM_AfEs@vAc@OW`CGWQLWlBOQSVDvBl@r@G|BsA|C_@dEkAvA?vA{@rBFxBa@t@pA`@KjAb@~Bg@S}@ZMtD[?MvAT|@b@Oh@j@dCa@x@f@`AWH`@rA\\l@u@Zn@k@vC@lCxA@|A`DhA\\~AQd@f@@hAk@RAv@m@\\p@`B[tB_A`AJr@b@WfAp@GxAh@CEz@l@p@y@xB[xKWCKt@[KYhAYuAi@IeEnLrB~AZsAPl@pCWj@p@l@?f@|@S^`Bl@wCzLdAbAAhAxAg@lB|@r@WnBv@dB`Dz@nCAxCfAxH`BdCPnDxCbDEv@fBArBqDhBq@h@_CxDaCxCpCP]nAnA`@gC_@yAfA}BfBc@`AfA\\OFt@h@[x@t@T_@z@Ax@vAk@r@RTk@rBaBxBUhBk@^aA{AmAbCm@k@Tn@a@p@JvFrA`ALvCaBrBi@@TvCYr@`@dD[ZmAo@SNfAhBJrA|DqAIhJ[Xl@rHh@T[~KZB?v@bCbARbCY~BzArBHq@j@WIbDl@~Af@@Pf@BxA_Aw@K|Aj@zC^XAlG]Tc@]oAjBUMCdCa@C[{Am@v@l@~Em@t@OnB[FUxDfAp@A~Ai@lCy@w@@xAZFZi@fBl@t@iAxAOd@lA`A?HtAvB|AvAdFOvB_AwA_@^}AiA[LG~Al@^M|Ah@d@mB|@e@iA{@\\Dh@_Ap@HxAg@Fc@|@q@K^`Bc@pAd@Je@tBmAOQ|AzBtATjBe@pFzAE~@aAV_C`@\\dB{@~@hCdA`@"],"America/Adak":["cddB~p~IkCkCaF{AqD|@oChD","wccBvo}IxFo@tCcCnByFT{HeBgJiEeHqAuDyB_C_D{@nBsHTuLuA_H{CwDIeHaBaHqAaQVuHlBkE|@mGg@wO}@kHcDqLOqEmDeX_CiIkCqFeBgRPgKs@uJf@cGUyUk@aF{BqG`AgEn@}HQeIv@oJUkLn@{ECuFaEiSwCkFaCeBUsIqAgI{BgHaDsE}Ao@iBGgEvAoC`E{BxI]hHf@nHlC~KxBzCpCrBhC|@OtS_BbKLjJ}DjAgCfDuDpMa@lIf@lK~@rE~EvKzAdBbBt@v@pCuCnGe@lJf@bFlApDe@~F`@~GtArEhCxCcBhHE~NjArF~CfFKnJvC~Rk@`Jx@vJQbIn@~EdBzDoA~Cu@tEDtR~AtJhAvBlCfCgCnIK|Kx@|ElB~DjCxBhEt@hAtDrBhCbBt@vCRlB_@bBmAdDfE","_oeBvfnIlE_AjCsC|AoF\\aIy@qJkDoGb@cHg@yG_DsMmDcGXgNk@eF{A{DTyF_@cG{@_D_\\gHqDbDmDbJo@vG`@vHpBjGhDrCd@nF`BpE~CtDdEfAo@fIHnFvAxHlChHIvHfApGhFjLlCxB","ujfBccoItCq@|BiC~A}D|@oFxDqIjCwQGgFeA_GFaAbB|BpDxBtC?fCsAtAqBdAiDdCiVOyLaCcIaDsCyDOeBiAoB]CiI~BsHDsJo@qDuAaDkBeByBk@gBJuBfA{C~Fo@lFFfFcCxDcAlFuAhS^hJoHxO{CbPm@dYn@xO|FlR`CbC","}heBsxuI`Dy@tDcElBiFl@cGSgHmAmF}CyEyDqAoDz@iChDyArFaAbKX`HrA|ElC~C","iidBmmxInCi@xB{BdEaKz@iENuE[mEoAgEmBeCk@_GtAuE\\uF`DkGvA{KnD{EhEiMr@wFlG_L`BiH?wOy@gL_CuFyDwBgB@}Af@}CrDgCrGu@hHkA|D}BnB_BlDqChR}DgBmBHiBt@eDtE{BlJ@dK{AhEk@pFHtFv@~EkDbIw@`Gh@lVbA|ExBfDhChAtCK~CbG~A~@","_ndB}||IpB[lBgA~DyGlBoLU{J{DwMqT?iBrEqAhGUpFT`F~BtKxAbDrCvB"],"America/Merida":["y}g@vusD|Du@tEqD~AuBn@kCCmDeAaDaCmCiDgAoDHuCtAkErGu@tCF~DtAnDjCnB","gyc@|tsDpMwApBmAvC]j@_Bj@U}@_Ab@WEkGlJE@R~BcAV\\tAEhBmA^oAWsAf@BdA_Ct@UFeCx@aAR{BbAuAc@CdDqF}@KOg@gAVcH[}AmA_@NV{Aq@o@\\O@Xn@@ZWhBkF@uBnDyE?qCVJHc@o@EJ_@XJ@gGdH?AwqBsG??jBmA@w@?BwAmA??c@o@AArB{BCAqB{C?D\\qCK@g@yDJ?a@aCF?p@{QJEWoVOATeQ?}FjHqByCy@DFaAUALwAnBFAoA{@AEr@oDUp@mD}@KFaAk@CHjBmBo@Hi@s@Ig@q@H{@h@@@_@Sc@wBUAi@_@@CkBs@D@YmEaACeD_DQsBcFHiC}AKCb@{AyCCoAWJCgE]sAi@CPaGqG}Gy@B?_A}KuLsTeLs]BoKo@}AtLcCjJq@bOxB~GAnFhB|Nx@vB|BpCx@jEnEdp@dBfLpCtHjAnGhHlNtGnEdPfE~DHnFfAzZG~Bt@lCDhDjEvFbClP`@fB^vCvDhK~QtCjJ|EdG|DfKcAdCWvC","gnf@r`sDzC_@`CwA~AmCb@cDU_DuAsCaCcB{Cc@sCV_D`B_BfCe@hDZhDtAjCfC`B","_fj@z}qDbDg@fCiBrAwCT_Ec@kDyAiC}ByAaD_@yC^cC~AyAtC[dDTnDxAbDlChB","sak@xxnDzLoCpGuGjAcECaEuAmDqCuBaDi@cD^wBhA}AtBgCJ}B|@eCbDo@zE~@tFrC|C"],"America/Santo_Domingo":["s}e@jwkCv@UvB{BdG_NbAH|A{@ZZ|AEnCmBdAJbA_@~Af@fAGUf@lAnCrBkAV_@_@MhAw@VsBj@a@R`@\\WHh@N[HZb@OB^v@CP~Af@IN\\JUrAjCjA`@YxA|AjB`@Mw@wA\\mB~AYz@{@G]|H\\fA`CpB^BxBk@t@Zd@g@rAz@nAf@qAhEmDZ?H`Av@Qv@wBz@[f@eAjAgEvHvDnAy@GU~DEfLfK~NyAnJgBrCiBvAoCVsDk@gDsl@oxAhDwrAd@gDEuJgAcCoB_Bo_@oOeEY{BPojAlXsE|BsAN_p@jp@qMtY_Mji@ZvEdD~EzAtOlGdGdAjC"],"Pacific/Efate":["x_\\_{cIvb@uE`R}G`{@yj@jfAek@neAqq@th@}Ozn@o`@zAsC\\sCc@}H_AwCcFcEci@aTmCe@mDBwE`Csp@dx@cy@|g@ci@sAwbAzUmzAfLmkAdZuD~BuA`EqJrdATjD|BtDnDrAfEL"],"Europe/Tallinn":["{zpBmwh@xZoOjCkChAmKy@eMgHqZ[wF|MeQfFkJOaMwC_JaFeCgF~A?ae@c@eBfBkH]aBu@?AZa@_@k@iC]kBb@_A]u@X_Be@gBa@BQcCd@o@{AwJwBkDIiEPSXTLk@r@NPs@F\\h@q@@yAqAEs@lAk@}@dBgCZiDVc@Pn@h@uAIcARNCmAVKWo@VY^XnAcEg@uBd@cBnA_A?oBb@WW}ETsB|C`Ab@_Fb@Mb@}Bt@t@z@yBhAMp@}@`@cBD{GdB{@Pq@?iAo@m@l@GNw@g@BkAyBCmBe@MZeAVd@Bm@i@CUeDo@Ea@yBVq@b@HCiDn@_@z@eL`AyD{B`AaAmDE^a@WUl@q@B_AeAk@cD\\GAy@k@ACe@c@dAEa@eAbAIsAYFMk@ET_@KCqGYk@f@aAKeAw@oAy@EQbFORWm@GlA}@l@Iy@[Jq@g@i@bBp@IS`AaBZ{Ay@wF`H_DF{BcCiYfKoJgVc@c@kABKk@iAq@wBa@mBaDoB[}AsFEoEsD}C{DnIU~CwBhHsEtY`AvSuAvM_IvJgFxJjA|PhDdGWvZvFncAxL~z@ArS|Jt[DxMd@bEhLfa@tGjKjDyA~GrDnAxD`BxBzB|@"],"Europe/Budapest":["ipzAcn^\\sAm@yCFsBr@aB`@Up@RNv@d@@De@h@VnAkAAm@TTRwBdAPIv@f@J`AwBxAiA@q@`Ao@t@NxAwGZJC_@nByAQ]l@q@QcAXwAjAuAlBKpAeCEg@b@?l@yDbAuBCcATDNq@vADMiA\\H@m@f@|@C{@^g@Fh@DmAt@\\AoAd@hAP{Af@HKo@h@XEi@q@Ch@g@[i@d@CJ`@F_A?~A`@EIeA^QOi@X]m@UZiGfAoBzBiAv@eItAkAq@sAEsD|@mDq@qAX{AUi@r@iBZ}Ds@q@`AwADmAo@BIiAy@QV}@a@iB[Bs@cBYNg@YAu@]ZSo@c@HAyAnAkDCc@eAYF{ASD[qAVmEgADIsCgAZoAmADy@pA[NiHu@\\iAcD^_@SeAgAgBYDs@}Bi@n@iAaCR_Ci@{@BgAvBoF_BiFAaDz@a@D}@aAiA`AgA_@yAvAqCgAsAc@uB`@WRuD}AuA|BkGk@c@DaAi@w@u@e@YLBeA{AXq@u@WaEr@aB]ECk@`@[I_Cd@WHy@g@iAmAYCaC_AHWo@mBKGsDwAk@eBrBmA[sA}AOf@u@Yg@gB^wAi@Kc@mAaAp@N{BeAiAc@Bs@vAeAgAgA?q@{Cs@a@qA\\_A_DYRy@g@kAnAKcAiBuAMcCeCs@[oAgBJaAgA]PkDwBEqC[SyBU_Ar@iAa@g@k@T_@QQU^QmAoAcAFaB{DaBSaAaAKWiBm@?p@_F{Bc@OaAjAiC@{B_@gC_BcAK_CeBf@]qDyAcBkAxBi@{@sA_@s@zAmA\\X^_@@?~@XBUdAv@zB]dDkAOiAhA[SYnAwApAFpD\\^yAzAy@Bc@n@y@IKdBs@t@m@q@]fB\\nBd@r@RIP`B]RPj@]bA|@xDAtDv@BBb@q@pEm@RUhAiFdB@nCuAv@cApCr@p@C~DlAZ_@hD^vB|@tAeAfBFzEkAbANjB}@~@j@jJp@dCOnA^PK|@xAAjCtDhBL~BpCx@TTlAc@fBx@x@EpCx@A`A~BVEZdEdAhAJlAk@a@}@vB\\RKn@\\r@UXe@m@UJk@hBXlBeAh@UlA|ApEz@h@d@OZh@z@Cr@t@a@Xd@jBM`EdA|Bg@nE`@xCi@vAn@bAJfHNX|AF`@xBf@k@rBf@r@MzAwDVdFr@`@t@xBNrIWpAbA`Is@tK`@fRa@lCaChEJpAcBnAe@pC}BdByAfCKzCo@\\DpA`BrERk@t@r@Lk@hBv@^tCbB_CZl@bCe@f@m@f@rLcANlAlAB|CkBv@q@~EPzBZRZ]rAxC]v@`Al@tAiHE}Cb@i@hARv@gBx@p@TjAr@e@b@PbBjDItBj@f@g@VBnAn@_@r@PFb@`@y@nBs@t@j@?dAd@UlAl@LeAzA@M}Bj@W~@bCh@Sb@_Br@bDCq@z@_BP~Ca@bDZNClA_@XdBZAh@v@`AKj@dAh@"],"Asia/Baku":["qplAulvAj@mAXN\\m@nA@XoAYg@j@?Sm@h@T^w@pAJ`AsAFZFYDZPWVPRiAN^h@GnAyD`@@X{@`@L@i@n@OHc@`@PBo@|COa@m@hAuCSoC\\I\\h@I{Af@Yp@NbA}Ad@Aj@kBlAf@h@c@r@mD[oAhAaASyCn@yADyB`BaEBo@m@s@p@yB_@qBrAcCKc@iAE}BnA_CN[p@cBNYjAk@Zi@MYf@uD`@a@c@cAJcCrGWfCwBW_AgAo@t@sAMsBnAe@lDpAlCIxAxCpEaAjAa@vDk@~@aBH?|Bz@z@SnAuDWy@jA_Br@cAxB`CtE@zAg@h@","atoAm|vAdB_Bz@`@Fj@^AQq@t@oAu@aAhBcD`A|@CtCl@x@p@Mj@`@YuA`@BCYwAc@ZaAz@CIc@bBsCi@C_@q@pAaADwAw@aAD{@RYn@|@t@YSaA|@{@^BDeAhAuA@sA~@KvCzBx@hF\\p@|@@Kt@dBXr@gAd@Jz@iClA|@pAk@fCeE@kAdA}Ax@[?yApC}JEwAh@y@n@HCh@~@wAfE^b@rBd@U~BbAJx@p@b@mAzAC`Fd@fCjAGJsD~@eEd@IV`@|CkAlAoH~CkD^JZk@S_@fAuBb@a@jBKm@e@@iBkAuENe@THUsAdB?Tc@]sDVyAd@[n@Qa@pAt@~AbBiA[fBbAt@OzBj@^rCy@x@uBWeAdAcAR`@vAaAn@_D^tBZWrA`BkBj@`@^b@Qm@vAX~@`AOHqB^XbBiBh@h@JkAb@b@hAULv@n@Il@`@bAu@|A?mDqFaCsAMoBwA]wAcCo@Iu@mDn@iAs@oBy@gAwAEo@m@[yAcAaAMqBcBeEgE_D{@mGoD}He@_CiBkBE{E}AiC`@{ArDqExIeK`BiA|AnEFjBrB`DpCg@|@_ChAi@h@qCnDq@jBzBf@lJfAd@FtBhCU`BkDd@?ZiDz@qB~BG\\sAlA]XgBYaE|AKZqAx@M|B{CjAUn@qBc@}CqAiBVcDWoOaQTi@yEgBwDi@yF}CsEyDeAaEt@_CkDcDoAaC@wElADmE{@gEuBuCkCkAyBGkBb@mBrAwAfCwAb@oBsBaCy@gCA{Bv@`A_Hy@qGlB}Db@oEcCaRvBeGTqFc@cDuA{CsCaC_Cs@_EXoDxCgAzCkBlL{BjG}AnDgDtBoBbDo@nDBjE{ArG^xP}Cd@yCxBsBfD_AjDeEtFiMdCuF|CoWdV_EzEzFhMrB|@|EjF|CvBz@vDvAxBp@|HbA@`AnBhC`@FpA|@e@x@vCZa@xAR\\h@AfCbAv@OlBaAt@DbB]|@h@R?`Ad@d@{@lBqAFXr@c@d@VzA{AvE}@rA]YsAVGnA{Ao@G~@kAb@SbAy@Yo@tAwA^l@xA`@BA|Ai@Gm@~@u@i@cBfDcAA_@\\L`BqAdAYlAu@p@]c@}An@\\vAf@KK`E|@pAg@x@iA@i@b@Qt@t@|ByAn@|Bj@hC~Df@zB[nAnBn@hB}@bA`@Ai@VPh@gAoAo@dAa@OuAlAg@Wl@Pn@dAMR}@t@BNe@WI\\AJ{AXJWYVi@ZJKc@XDfAeCb@oE`@OWWVHFo@\\r@Lo@e@Sh@Ph@gBNZp@UTkAl@lALSd@TDf@z@f@ZWl@\\dAK`Ax@]`DrBpBQl@eAVKpDiDrDLt@m@pEbA`Bc@`AV~EeAlCQvCwCpEiBwBGxCo@jADhC}@XaBlEr@`ADhA{A`DJdB|@r@d@hAKh@`D|CG^"],"Europe/Riga":["immBqfg@dE{@|Cj@`IYhIgDqAk[PsA{AiAmANY_BwAcB{@wF{A{ABeAm@u@QcBTcFsB}ERiA_@gEgAe@Uw@Ny@]aDN_Dn@}@SmC^gA]eDr@qJ|@_Ci@cBAsI[y@UN_@g@@w@NaAtCq@r@cC_AuD{@Z_@qGFaDt@eBf@sEw@kDYkGH_@vAZc@iAVmLd@GVs@d@DDgBv@o@iAoI]FtAoI{@{FeADm@}A{@I?uBUa@a@FFsCk@}@JoBg@T[eAP_Av@V~A_ClBEvAgDjCc@Ra@VsCc@gC|AaDYqDX_@?iDg@}@p@y@JiA]mCHWZPRo@`AV~@gG~@mA\\RNUzAsJrCsCh@gDtDaCp@yA@gA`As@DaDx@sCGiEu@i@z@eGg@_@_@kCsCeB?s@qAgCB}Co@}@`@uClAaBRkA{@_Dh@cCLmJyBo@wA\\i@w@a@?aBaECgBu@E[w@[r@YcEmCeC@qCi@m@Dq@u@m@]{Bk@QGVSy@]d@aBqB}C~Ak@|@s@}@k@Ti@SsA|Ba@MOTH|@y@IWqAg@Ec@hE}A~@eACa@bAc@CyAbDi@_@G{@s@@QaAq@P^bCoBv@Cp@xAzJyBYi@[GeBiDaAClB{AcA]Jc@s@WjB?iAi@Zq@_Dm@]cAL}AwAuAB_AvADrAm@Dy@|Dm@Z{@rHgDeBSf@e@Q\\xGWnA`@n@aAxD{@dLo@^BhDc@IWvAj@`Bd@GTdDh@BCl@We@[dAd@LBlBjAxBf@COv@m@Fn@l@?hAQp@eBz@EzGa@bBq@|@iAL{@xBu@u@c@|Bc@Lc@~E}CaAUrBV|Ec@V?nBoA~@e@bBf@tBoAbE_@YWXVn@WJBlASOHbAi@tAQo@Wb@[hDeBfCj@|@r@mAnA@?|Ao@v@Ea@Mp@s@OMj@YUWb@NxDvBjDzAvJe@n@PbC`@Cd@fBY~A`@^g@tAhAtF`@^@[t@?\\`BgBjHb@dB?vM`Cb@|FObD}@|DHlLoA\\v@zAbXo@|A}GbCsBjByEvLB~@gFjJ}MdQZvFfHpZx@dMgAjKjApJtCnHxElDhBfDhGzF~DpAvIEVVtFdNlCzCfCp@rG@pDjC"],"America/Moncton":["ak{AxzeCfBWdCyG}BmJCgEwAiA?sKiAL}@k@?aGz@}Cx@e@~DeJ~DsChAyDdeAQr@{@dAhBvBaBx@dBlA?n@o@@v@bAMB\\^[\\yCIQi@`@Nq@fC_CWMhAoF]iC|@u@vAVt@e@M~Ah@nA~B}@zAkBxCpAb@z@tBiBx@O^y@b@HdA_Cm@yAwAYx@oB@gC`B{A|HuDvAiBfCJ~AsDrIrHpAjFjD|DnEfB`AElBoGQmIr@sDDgD}@{FPa@sg@mm@}Osw@s@Ke@s@aJcC{EiI}GuPkHkGCy@n@sA_Bs@_E_EC_F{Ak@{Cc[iH|QeDnT_D~HaHlHmFd@gKKoJsDca@meAyWnQyLpg@TxI`Qph@vDnYqEjCoDvNu@|Q^zGyAxAUvAL~DbArAtApIf@vLvAzAr@HVs@TVuAnEtBdHm@bDX\\SvAn@UA\\r@HD`@m@d@gApDk@|EW\\eAUO^g@]?x_@fD??dOtU@zFrJzClM"],"America/Tijuana":["o}w@lsfFjFSlD}ArHs@fCsAdBwB~@uE_@kFiBaDsFmDiF{@iHRwI~AmDjDs@lCInCnBlKxCtD","oj~@bqdFzCg@pCqBvCoEp@}E~BsBhA}BdGe@rDiC`F?hBy@tDgD`DBhCs@hGsF`B_DtCsBdB_CvAo@nI\\lDmAhBuBlAsD~CoEv@QbBjB|B`AlE@pCmA`CuDtCmBzBsGrDSfGl@fDs@vD\\tF}AtDwEp@oGnDyFzCiLtBoAzA}BnBaLzLyK~AiCxDqBtCuD|@eCzFcD`K{LnFfBlEYdCdBlFoJ?_yA{A{LeDx@iFM_ExBeEQg@k@KcBiNfJsLjB{TUuSlNgkBb_BeUjAaCvFiBzAGlBwAt@GfCm@|@u@HGd@iFQuE`A_A]eCzC}DmDeBBaBgAsADAmFqCq@Aj@{@YeARi@yAwCyA|Jl|Cq@p@iApKhClB","ugv@ffaFhC]vBqAbBuCl@oD|EcBlCwEsFi^eHq@{KfB}EjCgC|EUlCPjDpCxFk@jHb@jEbDlE"],"America/Sitka":["mxoBrejGpCsCxAuDfEcBnBqBhBiDxB_IfAwA~APxC[hCkAnHh@dD_BbC}EhA_HfCcBhFmIlCoG~@sEtDmEvFoDdHoGtGuMzBhBhCZ`Cs@`CkCjCqH\\_KlAsGFmGg@eFbBqAzDdCpBT|AUvB}AdBeDtEcCpE}GhCL`B~AjBl@~Ge@rEaD`C}Ex@kGG}GeAuFsBmDrBaBhBmDnBoK\\cNqBmKVeFpAaGN{Ec@gGeBmGuAqCcC_ClDwL{BaGqDsEgCsG`DoJViHn@sDgD}@q@`Ay@uD{F{LaH{HcGiDqDaGc@DkAvAcFf@{A`BeDjAkE_@_AfAeBFyGgHIZ_E]eFhEt@zG{AfJiErAo@tHgE|HmA`ReH`WuBxEXzNoEr@eBnAgBw@gCtNuI}C}AfSmFqFuGrFGhFy@`Ac@Co@rIv@hEfAj@MzBhA`F~@v@n@If@r@d@KxAlCDlBcBpGjApHp@|@l@vQQ`P`KzPpErMoGvEeMzBsDuAuGHySlGt@bMA~IcDxJeErSsB`HbIrFNzY","urjB`g`G_@w@eG}A}A}A`@oEhAiAT_DrBcGzI`E@lFi@lB`ApDy@bBs@XkABm@a@"],"Europe/Lisbon":["ablAteRbDi@ve@gAxFaAzSaQvXcQrt@fEnJuBfCuAdBuCr@{EgBmdAq@yD}IwRSqC}JPgDjAo@UiAf@_DCe@l@Sa@gCb@gA|AaAT?]_BE@]yByAaAFyBu@qBaEiBqAkDeAq@Zm@wBRy@WgBq@L[y@z@gBOyA_D[cBgA[`@sAkAYJd@dAElAj@b@GhAb@d@cClBqATEd@yGzE_@nBaAiA[@Hj@gAM{EmC[v@kDYsDcGCaAkAw@Uy@[Kw@d@iFiEuCxAe@tAd@bCSlA{BSiAtEyALq@a@sBvCyA^wCy@cAnDmAPIlAkA|@a@jAsCtAl@_Ls@eDZkEa@kGkEkAkARyBgDiBFa@k@kABaAm@iExCYnCeBDQZaB_AC_Ai@]KeDgAMw@eCgAYwAhBwA^uBmBmAJ_@vA}DeBwDhAwA[uARKq@]?i@Li@nA}ARiB|Bs@POsFeCmB}@Z}AiCw@OkAuAFaBUM^i@iA_BRu@Sc@]P[aBuAm@UkAU^_@I?kCo@\\o@iA_@PyFgF]N{BjDk@vBUhEb@XRtAy@~AoA@c@f@_GkBWnBoBq@w@rAv@`AL|CUdBoAb@QrA|ATJjCIfBo@ZIh@p@~@AzBo@Za@jBd@vAz@Fl@_@lAn@hAjFBpAWRzAxBm@AeAr@GbBt@d@XrDiBq@@fCu@|At@~GZGj@~@]d@_CMEh@`B\\PdCnAr@h@~CSlCuBFD|@oA`@iCkBcAyC{@CeAdA`@|BqD`@`BjFh@\\J|Jn@l@JrDxAr@~@pCjAh@hCdFQzPnHAhJuCbD[`p@u@xWbGbj@|e@vBbA"],"America/Dawson_Creek":["y}oB``sF\\uBbD}B`@aAa@s@dAqElAiBe@YhA_HzADh@yAx@@dA{E`@TEcG~AHH{B^b@Po@f@b@hDuBr@rEXQ^^xB{Dl@L`@c@@wA^_AVLz@sCbB_@R`B|@Rf@iDrAJZ]VoC`AfAfDeDnAjAv@wAnBCf@s@XoC~A^ZSh@lCdA}BZt@TMG{D`BcBdBJDjAn@NBv@Te@f@FAcB`AoABnAn@YhAd@lBoDp@t@Zu@`@Lj@k@|Do@zBz@R}Ad@E\\v@nAEl@kDr@b@HkA~@{@pAK\\lAx@g@ZkCg@eCe@CA}@Zo@`@JZa@fBr@^{CfAIHVp@sAo@kCZiAh@n@dAWXl@nAaACdCt@NZq@f@Tc@oEJk@^NBw@b@JC{B`A_BVgCUm@kAUq@}AzDyE?kBzCqERJ`@mCb@[B~@b@ZnAw@KsClAe@AcClC{Dj@gCfAo@vAoCn@l@DaA^dA^Ct@oD_BgBvD}Kx@FXeA\\H\\q@dAj@Lt@|@Nn@oAf@CAeA`AMRqA`AMMeAv@aBIyAu@AQa@FyFjAVNi@Fb@ZIfAmBo@Sf@k@YqA^eCWkBy@IEeBj@cAbA^dAk@KgBl@iBt@i@TlAl@[r@xA^_BBaB[Wb@{@|AG`@q@dAp@`AeAnA}LYaHt@Lf@o@p@R^z@Ux@tBt@NoBr@ZZs@WwAaA[AuBn@e@jBRlAiBjAbAh@QHoAqeG??xsHh@y@nCt@l@Q"],"Pacific/Noumea":["bke@aqsHdCYbDgBdFcAxFgEdGmMPgDo@gDmBkCkb@m[sUuGkCGwB`@qGzE{DbBwBpEKbEnEx_@`G|G~BrArE\\`YlH","`tg@catH`CYxDoB~D_AzFmGn@aDMaEoA{CaCmBaDm@qD`@kEjDcG|AoClDs@jF`A|ErCxC","tyh@mytHfDi@dCkBvDkMLgDe@cE}AiC{BwAdAqCLgDjAsArB`ClBfElEvBvCHdCg@rBsAjAsBx@_FUmEgCqHaEsCuCa@sE\\wB|@sBvBuAgBkBcA}Ge@qEpAqCxDc@fCBhCkAlCYpCbA~FvDfDaCdN?pDv@nCnBfCxBfA","njb@uq|HtX_A|FgC`]{H`IgAlLaD`HwDvLaJdKgKtG{DxBkCpWmNhGsH`JeEbEuFfDyBbCeFlAyEnL}G`LmP~GeUlEoDhB{FbFeGpBeFvEyDzA}ChG_EvJcLlDaCtCiGnPqOtFuIdAkFUkEsOqc@yBcDcD_B}CWsIzAcE`BaE|EaCnIuCvGcCnCiD`CgHfA{D`CsJzPoJjKkCdF}C~CyBnF{CdDeJxPoUnXgEdAaCxBmCvHo@zI_AbEsKvM}JfIaBdCsEbDaChF}G|E_SlKcFKgD`A}S`OkLxMoG|@oEfBeSfBwDtByHlQWvC\\xChAzBrBzArKfD","zec@uq_IhDg@pD_CfAaB`BuFCmDaAwCoBmBoCw@kDFuHdCyBvBaAfDH|DpA|CbEnD","tye@ozaIvEeAtC_E`@_DFmSo@aDgB_CsF{B_DO_Dv@}BxBcHrPc@nEx@hEbCvC`LlD","xtf@q_cI|DYpMeDtMkObBaF?gEjHyWtDcCjCaDzA_GzB{Cz@sCvDoGrQyQdDsJNiGmBqIaDmDaCo@gDBcGq@yBVsB`AyFdIeObJaYxd@kAhD}@tJ_I|PwDlFaC~TaBrGD~DnAlDpDjD","|ck@kphIjDg@`CcBtAuCTqDk@gD_BcCkDkByCU}Cf@aCbBuAzCUjDh@dD|AdCtBnA","lsj@}fmI`Dc@bCaBvAsCZiD_@_DwAoCiCaBuCa@}C`@mClBoAfC]nD\\`DrAhCdC`B","hvj@ytnI|C[dC{A|AoC`@eD_@mDsAkCgC_ByCa@aDb@_CxAyAlC_@~C\\hDpAjCbCbB"],"America/Paramaribo":["maGllpBdCuApCXdASAg@xAuAIm@vFmDhGq@pAkCEg@vB{@hAuB~Bu@xAjCdAm@j@cCQe@b@g@a@kBz@{@UsAgAa@l@cAGmBq@g@HWvBk@xA`@t@g@~Cj@Tw@v@b@Vm@g@k@VWjAr@j@mB`BYLjAb@u@n@h@t@IKmAXOt@Z`@fA|AaA\\ZPcAb@@]iBdB^Ok@\\q@p@^xBcBnACKcAxAXN[l@DX}@`AFHW\\TRsASUz@AA^nAc@Ai@dAd@^Qr@_BhCCx@kCbBTjIaGd@ABsFtC{DE_Ax@oA[{BtBuDi@SC}BbBiB@aDd@kA[uAuAgBeE~@Gk@cBUa@z@i@GQjA_DfAa@fBy@e@[LkA~DmByAeBG@_@fAm@Oy@m@b@kBiBaAn@iAcA]^o@m@C{AjCqDJgCxAg@RaAk@_@HcCi@qBZGe@mCFmCh@wA{@mAw@RmAgAViDoB{BQcBrAg@aCeELcBdEsAZ}Ab@Xl@QCuC[HEq@u@GVQBaC\\W\\d@f@a@N`Ar@Cr@o@Iy@z@CH{Aa@C]sAb@_CsCWu@k@@kBeAaAkBmAcA?kBeAc@HmBgBkACiBoBmBAIi@g@M_CX}A_A]h@cAU_Bp@Oi@eA?u@RLv@]WSZaF{CeAgAPe@_@[wCMsA_BaFEeCy@sAr@ZpAk@Hc@z@qAEeD~ASnCiAQ_@|A_BVo@nAcDx@eAnA}DeAaAzBq@TgHSs@~@eAIg@t@eAOmB^iBiAaCf@}B[a@Ha@tAmG@u@XcBmAgCCeC_Aq@_AgGyCsCoEwMqJwEX{SaIeAlCg@pGiBtImD`b@CdQ`BvHw@nDWpKZxMzBdKnCtDiCpQW`GeAhBu@pDFtJoAnEHrEfCbExGp@vEU`H~AtAm@xCHpC`ArCdChDNdCdC^WWkAjCJx@g@Go@uATRmAfCqAt@?z@pAkB|@\\tAjEt@~@gAn@Bk@fAzAfD@`Co@pBj@~Ce@vB~AxClANMjC`BhBtCvAv@Ud@uArFiApDhBhE`AhBpA`C_@p@xAv@EfAbA"],"Europe/Copenhagen":["sokBeaNfBUzB_B~A{CrAqGpCcCrJTbAkNg@y@f@w@RyFz@?p@{@LmBnCBv@yISwL|@gE?gEj@wDnASNyABaBmAmAVgB[}B{A}DLeAp@l@~@mGe@sHvC{Hv@iFeF}@NcBbCi@lGiHjCsNEyAcC{E{@lCWG{BkCQoC~AIdA}DRiGx@sF~C_KjEwT_@{TqBa@kE{CiMkd@yAiBoAYeCJoE~As@|FiDnFkEXWeB{D~@sBqEeB[sCoH{@[_KdKqBh@aA~@sFKkIvPz@r@cEhRkDfAoApQh@rJrNhOnApEtHfHrI|Kj@XrAg@zAxD_EC_DqAuC}F{WmWwC{AmBYkBXoBrArB_IR_JiAmJyAmDeA{@qHzBkJjGb@pQ|@tE`BhDrBnB`Cd@bCg@pBeBgC`E_BvEy@nHAjHqFnCaGyDqBm@zAeK]yKoAyFsGcMuStPkAdLsIWkBbB_IlOMnGZvF|AtHbExLA~It@rGdBxEpFbIfKjJ~ArCOpQrAlKU`Id@zG~AnFtJ~NrIpHxRjHbLNbH[xJp@vO_DxHpD","grjBy~Z`Ck@hB_BxDoJtDyWKmLgBuGmEmFoFiBwC?mBj@cCkB}COeBp@qB|BgC`JObIdBzJWdDnTr^"],"America/Tegucigalpa":["eg[xomDzAADuBz@mDh@]@s@sAwBJWxB[N}Ad@[tAFVeA|Ai@JeC\\EVaArCgAYm@}AQbAyBhDy@Zu@j@BYoB^qAx@c@OoAd@y@nBTdBc@Tq@iAaB^}Bs@UJw@o@u@Ao@k@AAkA{BD^kCa@kBPaA~AQdB}Aj@C_AoBb@iAa@]LiBo@m@C}@x@Az@{Av@Mz@kAnBx@~@It@l@hDAbAx@dACTVd@oClAIn@N~@bErA@~@iDnBiAp@DdBiB`AkBMeBrDgBnBmC~Ay@c@qSh@]Qq@c@Ck@wBcAQw@gAcA^y@i@q@f@wAS@[{A?UcAq@MOmAxAuCeA_B{B@iAhAaAm@k@B{@b@{CNWh@{Bi@m@hA{Bs@uAHg@qAVaC{@qFfA{Ai@kAl@SNu@SiD}AgAiADkEaFw@Ja@eBgATwAwGRQrClArBwFx@GHk@s@SViAhCq@BaC\\E{@c@m@z@eDUq@wAZ}@aA[DoAeA}Ai@G`@kBoA[VUkAmALq@_@s@oAKi@m@kANPk@gAi@YoCVgDgB}@[t@cB`@Un@eBoAwA@c@aAy@SiBX[y@`AgAk@wAcAi@Eh@g@e@y@t@Wo@{@BkBiCCaAqBw@D}A_@cAXw@j@Ej@kAj@HWXXH?{@fABh@yAt@D}@}@l@KKaA^MGmA\\UK_Bp@JGq@h@gAa@QQaBwCcB^g@j@HImAj@YAm@]_@mBZu@iAJWh@Hd@yBe@sAFy@yBZFw@z@Ce@gAv@I[sAXQSwATc@y@RFwDo@]Na@a@u@c@A`@s@o@GVk@i@@RUYQb@Wq@AMf@Ek@i@KZS]kALy@{Ac@PiAu@?Ck@_@TLg@{@TJ]c@Fe@y@z@oAc@kB}@IdAiB]GFgCb@BH{A_@aA@sBwDeOlCW`CgANwOrBwCLgCi@cDaBaCkCmAwCQwB^kBbAsBpD[IsA`AaE~Fy@bFpA~HiBdCqBe@qAmDuCsBkDc@kDh@eCjByBzEOvD~@pDgD`@oHfDgD|Dc@xEdAdEzCjCrEf@rEgA|CRlEk@jBoAnAoBd@}BCoCvBXbCMvCqAlBoCjBb@aEfEyb@fy@gJ|l@}^zo@{@`DGvCpDnWzGt[xBjC`Ln^dBvWnGjVzDtGbL\\@p@bAKNb@Yd@b@GHl@UR|B~@`KbMXbAlCpCdEnIpE|FhChJbCz@l@u@dB^zAlB~AGvBmBtAGd@cArAr@nDKV`@[lCzCdCXG","c_a@tjcDzC_@dC{AtAaC`@_DKeEmA{CiCqBmDi@wCZmC~AyAjCk@hE\\jDbB|CjC`B","u~]ti`DxCa@bC_BrAeC\\aD_@aD{AgCeCyAyC[eDd@{BzAuAlCY|C^|C~AlCdCtA"],"Europe/Sofia":["cqtAitj@dB{Ax@PbA[pBgDdDBhDwALsAv@i@R_C|@a@b@qD~AyBhBi@`B}An@yARaCr@f@TUvAZ~@`CvAf@jBbF|@BDXj@QnA`AB~Ab@d@{@tBFdAx@Pe@lA|@x@t@dCzAg@jAqAbBtAZc@z@j@H[tCx@F_AhAiBxAeAbDjAFtAvBj@RrDVJtB_DfBy@JaArAUlBmDbA}CGkAl@k@AwBn@u@?qAjDMvBw@x@eArCw@FuA|Aq@tC`BZfAvAGr@i@hC\\|Ak@x@v@~B[\\lAj@cJK}D[q@mAMo@eB?mAfAe@uAaEBmDb@q@TkDeAkA\\{DsAaAYuD}@k@tAgBy@eB`@{@_@s@iBXk@a@Qq@XoBl@y@iAq@Ha@u@aAfAqAv@Ca@aAP_Ai@q@`@oBgAaAUqAb@w@`BKdAgArAa@S{Ad@C?kCfAc@bAoBmB_@R_Ba@aBh@m@h@gFv@u@GwAd@K|@wCvAm@VeBy@cHo@{ATqBqAy@\\iBUwAn@kBs@OGyBu@sAf@cBh@K?o@UqC_AoBIgEeAs@{@Cc@qAgAzA{A{@eAN@z@gBMu@^JvAq@p@sBCGsAa@Qc@eB\\y@Ky@v@kB@qCqAv@iCmAEsIcBsAWZc@a@k@l@kB}Bj@}F_AqAf@mBi@o@K}DqA_@c@wAq@@WsAbAkGm@?m@kANmBhAsABw@fB{@|AsC@uAhBaB?WSTI_@c@DAmAUa@QNDcB[}@OJCoA~@oB?uAmA`@]cATC_@ObAgBa@yBTcACsRiFfBkFpEkAdC}Bt@eVkE}MIoB^sKwFl@mLe@iDkAoCiJuIkD}AiBS}D`AqEAHpXq@dLgDbN{GbBm@t@rApCV~EIj@mCfAa@x@dA`AU|GTjC}AtA_@`CiBb@TpCo@fBL|B]jA`@tBK`BzBnJnAfYrAzERjDZdA|BzAdBxE~ClCn@tBxArAd@~AF`DnAzCIdCz@jEkAlF}@fAY|BXhEuAnFzAxMaC|FU|Dp@~DlAxBVbJc@fDsAvDUnG{@tDa@RRfHyA~D_@fDNdItAhGSnIw@fEi@d@aA?sDoA{@cGuB}@k@~AK|CkDxHw@hDL~@`ANRl@N_@dBd@vAUTjDb@QZ^^jF~B@Xh@~AA"],"Europe/Saratov":["a|cBo_rAhCa@rByAzAqJdEcDGu@rB^j@[bBqDj@bAKl@b@PpFoR`FkIgAaCs@sGHiEWo@o@RM_@@f@MS[\\Tu@YwDh@}BScAgBmA^mAYqBlD??_AcAVPmBw@o@Jo@VTZkBgA{@iBFa@Yp@qF]aAP}A}@gBV_ArCwBHo@KcAgAX_@{@x@aHk@wCN_A|ACNwAkAcBt@wCrA]hAqGd@b@p@DT]^TdAkBAbA`@k@Qk@XgAfBk@xGbBd@~BOt@VK?oAdAn@FYrCt@IaKm@e@NiDjB{AGg@eASViGOQaDx@mCiAe@w@@cEJeBzBaE?yAl@??sB|AAXx@|CDCoLyA?r@{KSQF~@]XaBSc@cA`@?KeAc@LCc@z@OAm@wC@i@]|@uA}@yDhBm@^aA@cD|BrBBoChB?@{A`AH@}Fi@@@oI|C@?_AtBBMiKeD{EEmCPo@TLGg@VPZW@k@XTz@_DjAe@PaCb@NfCiFlEoCtAmDpBaAvAE`EiE`AJRkA]cBzAmAQqAdAyAcASkDoQaEyH[l@sBz@OjDoCyAeA\\gBzB}OpCcBIw@b@s@tC{@eAfBsDZmFkDcKmEiF_CqQaAk@}ChAs@hC{BqBqAD?iAgAq@t@eAO{P{DmGsA_EkA{MgB_GaBdAk@cCo@~@?yFkAAMsBkAb@{C?WYRgAmBBAoAb@U?_El@C|@lB?qDU@@yA_CA?g@cC`CsB?]`B_A@?`@aFA?hBs@?I~F{@@VnI}B??tAz@DFv@q@vBr@zBaDG?aCkABUbJcBH?pA`@A?rK}C~Ba@@A[Lt@YHz@T?dA`@Me@dBg@C[_AoArBc@iAoBfC?bBnCRFvBcAAOj@iAK?lDt@d@UvAcAeAiAAU}@}@zDGjDv@DObB]TZjCWzCh@DDxAxBU?pAwG~AHtEaEbAXlFsAv@Fp@c@CZp@WbAd@dFi@pAw@{AqBk@eBwAlA`F{@jAEjAvAbAq@vEj@l@HQ@pBh@p@XBAiEx@t@v@@x@bG}@t@}ARUfDdARCs@\\n@Wr@b@[LbAr@Uz@b@^g@dA~A{@xALz@YDa@fHr@ABcAz@rDUzBh@rFc@v@l@n@UJ@zAg@GEc@Bb@a@Gd@lEvALYVw@QQ|BmBJf@`Hd@Jk@x@RpBmBjDF`BwB^If@p@@X`ADnE^AJb@WHIlD|@~BnAKErB\\z@SXh@r@pAAAZh@SBl@c@SUpAv@^`@~B`Ad@h@{@dAjBj@Ac@jBBrBc@Z^nAYz@{@IEXTxAb@Ji@Pq@UFpAu@PMb@z@d@N~@`@Uo@xCdBRAh@ZFWnAlAf@q@xAn@n@StAh@j@]t@\\bAOt@i@N@x@[IFfBpAtBjAu@x@^_AtDw@BPpDwB@}@lAPpBWTSlFoChGd@|Ad@q@l@?P\\?i@^Rn@w@v@dCYLX|@Wv@n@x@v@BlAjBN{@`@t@cArEg@`@~@nA]~Bo@z@n@x@sCjGj@bAiBhFpAzCUjHn@z@DvEl@\\k@~@{AZe@jAVnA_@Z?v@]E\\LJlBtBr@z@`GUdCn@i@pDfBdA@t@hFrBCpA`@Xw@|@Pf@kAr@hEz@c@^h@~BE|CxAnDbH"],"Asia/Novokuznetsk":["smlB_}cDr@o@YmBn@wA\\fAhAJC~Aj@uBTFv@~Ch@YO_Bn@Cn@oB|@l@BoBbA?H`DtAYEi@j@MIq@`@USa@x@qD`@FAl@RuB~EuALpBtBm@vBbG|@mCIaC^wBWmA`ByB|A@b@vB~@pAvAkEf@SpEh@zBhCt@eBb@?LgDlCcCb@qAV~@v@qA^hDf@SA`BdAxB`@Nn@iDp@o@X`@x@o@x@~CtIqJ]wAtOcOmAqFt@q@_@yBjCcCe@sBxFsFGmA`@G\\iGd@a@RwBrI{Be@cFxHcBrCsAQeAfAgCxAuA~@_IvAeFw@m@q@}D|@@j@xBx@KN}@hA~A`@a@d@dAf@QHdAd@Fb@tAbAZSV`@fBq@bAl@v@r@c@`A@[gCrAW\\aCSyB|@P`AeAtAeJ\\OdBxAfBEz@^h@bBKf@|@l@b@OCw@rAB`Ay@~@}Dd@`@P[Ju@w@g@NcB|ExAr@{C_@k@E{Cd@iAAiAtCAAoBp@aCQ}Aj@wASw@LUPVb@M^eAsA_B@_Ak@k@KsDw@g@Mw@[Bx@cG~AmEbAg@x@oD]aBm@}@s@Ml@iBGqAd@eA~ArAfAsB~AnC`@SFj@`Aa@tBj@b@mBMwA{AeCAuA_AcBPaBWi@uBUm@lA{@o@kCaI}@w@}@cE{@?y@y@MsAaAGCwBk@?a@xAu@OuA~@AgDg@JOgA_Bi@a@eBqBb@s@tA^vB]\\i@[mBrAOlE\\\\mAxAqA{@Er@UG_AoD_@a@q@L[{Ak@WWbB{@f@gAaByA^oAxDq@KcBpAPxBnA`BEv@s@^[aAoA{@W\\u@]@oAy@]mAb@y@_AEt@_Al@_@}D[Lc@]SgBS^m@q@qAOs@aA_AJSkHm@eBe@?WpAeA`A{@sAiARItFb@x@k@DWg@}@nBq@c@gBVw@{@QiDi@iAqAkAu@LOe@eAE_@i@E~@e@\\UUUpA}@@IbA\\~DvAz@?p@u@COpA{@_@cAn@aAxC@d@~@p@Kn@~BpF|Ax@MdBg@V]U]l@c@lELnAm@|As@[HoAoAyFm@x@m@eBoADk@s@{@`@e@[u@TcByA_@v@uAkB}@XOSAoC_@{@sB?SW[h@y@Bb@`Bg@nAgAy@}@\\?jBmAJEjBYQq@d@yCm@oAhBc@c@]n@Qa@WH@n@UIA^Ma@y@lADn@q@?o@UiAuDg@Gg@kA[Hc@mAc@Xm@Y[oA}@Eu@_AkE{K{@k@g@}CL_Ai@s@?oDqAsA?gBu@{AQmCKf@eAEe@]QeBWV]_@a@dCU?C`Ca@[g@j@Qc@eBnAoBg@Mi@g@j@GdCuBQU`EYJi@w@a@z@@vBgEECtGWNe@w@g@`Be@PLnIgBCYnE{@RCs@gCD@vBwDxABcIwBUCyAaAa@G~EiEq@dBvFcCfEXn@IlAdAbAdDrJf@bDh@PvFxWyAh@Wi@}BpBlCnMc@`@_@mBe@d@^xGQ|Aq@l@JdARRAs@\\KDh@n@a@Iq@\\CRn@^gCC~@Fa@dAnFOtDiA|@b@Rf@bBWdBcAf@EYgA|Al@tBoAfCp@vAz@VKn@g@LhArBx@xDOzBmAZDz@wAIVjGL^Re@Jh@j@QnApDjAQl@zBGhB\\DJl@n@Wp@lJr@@Ah@fBYQdCt@fEfA`C|AyEh@B@rL^B?h@_ApKTr@d@KFvDbAd@dBzDiBjF","gegB{lhDb@O@g@Ug@@MUTChA"],"Europe/Samara":["cfgBsr|Ab@s@N^fAcEZZb@aAG_Ab@Sd@wBz@|Ap@FtAoEhDpDj@iBS_@PYj@PFy@yBo@E{CLLLwArBlAF}Ad@d@`@M_@}Ch@STeBUa@nBoCfA`@zA|GzAhBzBr@l@rAh@qAe@eFVcA[q@b@BGq@rAw@YmF`EcAIuEvG_B?qAyBTEyAi@EV{C[kC\\UNcBw@EFkD|@{DT|@hA@bAdATwAu@e@?mDhAJNk@bA@GwBoCS?cBnBgCb@hAnAsBZ~@f@Bd@eBa@L?eA{@UXIMu@@Z`@A|C_C?sKa@@?qAbBITcJjAC?`C`DFs@{Bp@wBGw@{@E?uA|B?WoIz@AH_Gr@??iB`F@?a@~@A\\aBoD{G{@sDaAcACyD{@s@_AP?cCaDiJwHmC?jBaFTu@r@AsD}BW?uCeAA@b@_A`@@h@c@DBx@uBPN{BcALS~@o@DEuByANIqDfAIMuEeHuAGpAoCTTwFiAQ_BmAFmEi@IB}A{FOD_FkAKDnDs@Xa@kCeCRCyA{ALi@j@H{@gDmAKtBm@Re@_@gA~Bu@i@MjAi@g@kA?ZkCWi@cEyAO}@}@Ne@k@y@@{A{BiEmAWaAcCQb@v@i@GIp@oA{@oAmDa@RObEkCP^f@]Jr@PS|@c@Vo@UHkAk@g@i@XwAm@m@rA_AcERwDmA}AcB|CAY{ACId@a@a@]jCv@xAt@Yf@`AaBdAVdFb@v@d@QbAnAs@zBfAi@t@n@u@pBk@q@S\\}@g@WlCPKPt@CsATvAq@GGVb@X@|Aw@GAcASTi@i@wAZM`@UOLhBQlDg@VO|GkDdE?^nBJLdG_Dk@Q\\n@`A?fCd@fABn@_@BWfAf@nAr@@t@~A|At@QbCdCLXg@|@hAdA]L`BhBA?dBu@M]~@h@fBWpCy@ZR|B`BtDb@zCc@h@Im@{CtAN~@oCpBVbBb@g@JpAZI?~BaBh@]bGZe@hCNDgBzAJX}AbCsAVGLbArBcAtCdB`BSp@k@bBdAGdBFn@`@BG|@z@r@b@KEzA_@]AfBrC|A^DPwEdA]r@\\YrJQj@g@Sy@h@b@~CrAbAGdC|@dAe@`@c@Sk@`JUpEpAVOvBkA`BDdKnI@@~Gy@xDJrCf@CF^q@j@ZNG`AWjAgAdAV?]xAVd@l@W@eAnAf@Ti@XRFq@n@fBIfDTk@ZDs@t@GnAtBFRaB`@?E{BZQOrBb@p@nCXI~Bh@h@]b@Tb@]Q]`BV`AXG@hAm@Jb@fEh@XLu@f@f@Sp@~@J","uxnBgzbB@mBlANDiAtBZJgB`Br@`@s@n@x@FcCd@FDaAl@H|@sAj@JLmDj@RJv@R}Ba@k@p@]HwAZp@`@y@VzAtAT~@vD|A[hBVc@hLzF~@Xa@bAhA@c@`ANbAeB^BJ_FrAbAV}@b@b@As@tAb@[M@iBV@HgA^DBs@pB\\r@lAFy@c@[QgBf@kBZrBv@XBYdAEQgKxAHl@`H`AfBMf@Rf@l@SiAdCjAaCpAKlByBc@`@q@[b@sAm@p@NgAUcA[?n@yAc@{Ab@w@PRDuAaAEO}@Vc@^DOf@f@t@DmC`@d@dAc@oA_Ae@sARy@_@{AkAm@Bs@`@YAyATFfAaBHr@b@YCmDc@C[qA[f@McCg@FE|@qAFBo@ITa@]Fw@wA~@a@YjA_BYy@jBwBa@gAv@}Aq@gAq@nCq@{@r@uAG}@p@w@DmBlA{BFaD_@h@Me@GV{A[k@v@U_@M|@UU_@VbBgGmAgACzBmA}BMzAUNSe@WrDi@f@ApHi@x@gA_BMPVwBe@LW}AUZ]c@Ho@gAUD{@]EEp@EoAc@D@cAb@a@i@wAAeBeAe@Ni@_AIGhAi@G@nAo@b@`@qBu@}@g@f@KS\\cCU}@N`@\\yBO_Bh@\\MtARWzATl@fDlAFHb@f@St@~@^q@nApAA}At@Mi@x@nAJ|@m@Mq@VWNp@b@CLuAy@r@WyAKhALuATt@j@i@PXKoAr@x@d@G\\kAs@Zc@eClBmAZ}@c@kAfAq@RyAw@eBe@hAg@a@iAXcBfAy@xC}@gKtAmBGkD`@j@v@?Tk@dAKv@x@c@lBlCpB\\CTaA^Z^rBSjAVHV{@LbCjAv@Pg@AdEZ`@r@]DeAp@PHwALXNaHGa@Ef@_@m@CsAeAiCRiA]_EYy@mA@IaF[f@{@oAu@EnAaGIqAgAqA{B_AiB_DiAu@GmBWDi@qDYNAqB_@[QXM[UN_@w@IlBs@RaAe@{@t@aDb@p@hD_BjBy@AMdDiAH@`A[\\Vh@uBsAlAjFDhFy@BJs@cAZq@eB?`@mAA?fAqAGAt@g@f@a@q@CjAi@WTqCjB}CB{BuBeC{CYu@}A{BMYeCd@oFsB}DQrAc@?Un@UnBy@b@Eu@iACQm@u@rAkAeAa@tAu@y@[BEf@k@KJrEy@xCa@Hs@s@Kx@m@eA@gBaAkDOf@g@Am@bGc@s@g@ES|@DzCZFQv@i@s@q@ZTfBc@SS^?kBOe@ULSuCu@xCC[gANo@kB?yAgAtABm@gAi@eAfAIa@uBAwAfBqA}A}E|G]tAi@TqASa@xB_@m@qBrF}A_D{@i@gArB_@UKp@g@By@nAcAc@a@tH`@Le@NlBx@q@GStDn@`D`@Ux@xBa@~HuAcAMlDcBe@KbAeA[GxBn@NWjKxGbBmAt_@}@l@s@hFfAlL|CzEVfCHa@d@NDu@b@Z|@UfA`EbAi@lApBp@J^gCc@y@~C_CbAfAb@OEeBn@wBLv@rB\\j@pBt@s@^`@ZYXt@\\wEz@FbA}@pAnDDa@Nb@\\a@\\b@pBPjAnBQ}Ar@TGhChATl@xBa@fChBBb@dAMzJb@pIQZb@fBdCB","}nlBk}dBIEFC@QECAHKDA_@F?HGJBBK@N@EDCD@@C?FECIPTXADSOGN","iegB}~dBh@aDKGKl@aBy@WdC","sqmBedhBb@SEoEgBuGArCc@NnA`AWvDf@L"],"Africa/Asmara":["}r\\adfAdq@uDjDc@f@c@s@FCcAw@uAXsBk@iBZsDYe@x@mFpA_Bo@yCwBIsCcAcAkDGmDbDgDh@XPo@dATbBsBEc@hAD`A{@Bw@ok@kWzBiB|@CQ_@`AI\\_Ad@Jl@y@F}AlAeBCwA_@I^eCxBSv@wAzCcAGUz@a@Cm@b@G?m@pB{@W{@b@gAy@gBMsCw@sBFyDaAiBIcBaAw@McB{DiBFcCc@oBF]pAVtA_BBgA|Ai@|@IdAlAnAm@wBcBFyAw@`@T}@yABW]Eq@jAcB@wAf@GMsA_A~@u@EeAo@o@kBTcDrAwARqBtAo@d@u@Ka@tCwDEu@iA_ALg@wDwBM_C~H_Do@}AxAqEtBmDlGkUvDiGj\\gRxEoHfF}MxBu@pN{LnHuClB_CdCu@lAcIzFwBlIyFmBwB@e@|AgDpFkGy@_@@_Aw@]EmAg@k@y@F[n@aAIaAs@K}@w@?oA{@Ju@iJ{VwC`BiEfAeEfCmDjDkCdEs@nGoCw@eEPk@hA[bDwGlD}GnAp@lC|AzByMdI_BzE_D`BkAdBaClLuBb@uBxAoA~BWrBuLnIkEpBcHvGqApCiBlJmGhEqAtE}EfIs@Xy@iDyC{D_AwEuDsDsDm@eBJyCjAeEOcCl@kBzAqLlOuAhH\\jD{BdBiDi@_HFeEjBaHj@yD`Ds@hCKlCv@fJpAhCqAtDArChCvIO|@mC`AeBlBgAvFqGnBmPbCmN`D}MrFcKtGqHjCbBxKrFdG|NvEpAjCvA?r@^FdAaAhAXfBbBCb@p@_@d@}AGOnAdBnDhBdBD|AcAx@Cj@^|@nDfBdBtLd@b@~@m@f@n@jBOTf@zC~@Tv@zAz@KpDfAlBKzB^~@gAjBm@vEh@F`Bs@xB|@x@s@vAFd@[`HrA`ChCrAO`Dn@xDyBdCPpDq@jBpBlXnHlBbCnOnClAk@XhA~KxCH|@"],"America/Rio_Branco":["|uM|noCr@GtAsDfATfAcAQu@`Be@r@qEd@Ef@aA|C?d@nBc@r@|@K`@`@h@_A`@Nd@i@Ui@rBkAKy@t@k@l@PlCqAhATtBq@`@^z@yB|C^tCiEJcAlAe@FoB|GPKk@|C_CNoDjDgBfAEl@eA|Bc@VwB|B}@Fu@t@j@h@a@vBKbBb@dAfC`@m@t@JX~BnAbA`AKRz@fA`@PpAfACN`@Hm]t@k@`@oFfAqB]}Eb@iB`BeACiAvBL\\gAv@L\\[tD`@zA_FbAVvAu@nBjAfAo@`A|@?eq@aAeAp@yA]wA[ALaAaF_DGkAiAeB@qBiC}@OoAaEmDGuAq@MS{@uAIPk@m@]i@gBiCcBD_@e@?a@iEl@`@^OM`@xAMX~@l@KKv@n@B\\a@C`Ag@FRRb@[~@V`AYrCwBdBVl@l@Ub@rAxAphAQ{BgDzByCrA]~@aGo@gCNsAWqAsBcCPw@qCeGVUYi@ZqASMJeDxA}@S_@VOo@mBHeBa@YXaBa@QAiAd@m@{@yBh@m@WMl@Wc@GCq@\\G_@a@d@eB_@k@d@iASy@b@o@US^AIw@\\E[_Bd@USk@dA}Ak@c@?i@l@IM]`@k@_@]\\_@YDNm@o@[\\e@a@cAp@I_@K@o@`@JQ[TC|Ab@lAuArAMgAyIwBoB]sBh@u@gAa@[cAPe@mB}DiEqAeDwD{B@uBoCO}@\\q@Y[QcExAuEt@k@Cw@sE_AT_@c@g@yCyAg@u@O}A_@Kw@{Cm@o@eATc@a@DmA`@_@a@M@cAoA^a@UXeBc@qAn@}Am@aBOXc@]A}A{@}BiAu@GVe@GSwA}@QQ_Ac@JOk@m@OB]e@B@iAi@CsAaCk@M_AqD{@WXq@_@WORw@QcRpj@_A`K}^reAgjA~vAiQb}CmZxjAb@]XJz@aA~@Gj@eAzDa@~@lBa@LTx@Qz@\\`AdAPEpAo@b@\\Xg@^fFqAvB~@"],"America/Fort_Nelson":["{usBrsxFf@i@nBW|@cBJZd@K|ByJ|@i@p@La@mAVm@vB{@dAb@^w@_@[P}ArAr@VUSwBn@TRs@j@Kc@aBL_Ao@o@Zu@j@MAn@d@Ip@hADu@rAiAj@z@Pm@fBq@XcAa@mCd@yCV\\|A_@P`@~@eA~@APi@t@OlAvCjAv@j@zAXGd@uAPPl@_@a@uD`BmBB_Bf@g@`B|@LOCfBx@vBTu@UoAp@aA]_Ao@GIqBdAaDdBcCQkBZy@s@s@J{Ae@UGmDZVrAs@d@v@VSQwChB}BPgCR[TLXiAOcDTeA^g@Rn@p@oAa@gAPaB~@oAX`@PcBx@Jj@_Gs@oEbA}B_B_BzByEq@_As@Kp@gAf@?zAkFEsCm@kBr@_ABkDtAi@v@Fl@}AVhA`@D\\c@hAjCz@]@lBx@m@?ysHa|B??hbNbI?R~@Xu@d@rCh@HLg@"],"Asia/Kathmandu":["ymw@qj{ChDc@IuArCcEEeAZ[\\Pv@wBbAS|@eALuDxAc@`A_Bk@YwDt@s@gADw@Nk@d@RHc@NNJ{ChASBc@^Jd@q@BiBpAg@dAyC]DCcA`Bg@SBRa@SYPRTc@Ow@T\\T[c@mAXHTi@V^`@_@]Cz@yAl@cGfAo@fABvDoDt@AFh@b@u@ZROiBeAG\\iCvAoAdAJbDeHXsCdGsJEqAiCsAHkErBeBl@oDdI_NuAgOvBEPg@tAEd@i@rDf@@aK`Aq@d@aDIqHjCgD|@Al@wAYsAkCeBo@r@g@c@m@XTcMhFaNgCG][[gC^iDoBgCu@CEaB`AE^qBt@CS{AfCoA~AoSrFiClF`@f@v@z@DtAeF[a@h@c@q@_AXy@j@Ap@wEh@]n@Pz@wDR~@j@H_@mIvBZfBeA^wFaBoCP{AuB_Fg@QT[k@yAd@O`A}Cn@Y~DT`BUt@gCh@]KcApA@aB{CFe@gAQc@mCjA_Fl@DQqBh@EHi@w@eACaDxCiIDwArAw@zAwFx@iAiAcAf@gCm@yBs@?AeAu@E_@eDmB{@@s@nGi@zAmCIcEdAIB{An@y@Ya@}AU_A}Dh@gDjAsBY{AWBSw@g@@t@eDwBaA~@oBcBmAr@i@VTFw@XRZUp@aCj@@R_@Gm@m@AcB_CuFUWo@w@?yAcA}Es@aDl@w@KaAhAk@S{@r@cA]g@tA}@ZAnAeB`@_AbAeB_AyALkCg@cBeAgAp@qAOa@{@cCfAqDkAaD}BmCUSk@wAe@y@n@c@w@a@Hu@xB\\lAy@VPf@e@bAd@xA}@hBLbCiAPIr@`AJf@nAbAJvBjBAvB}@@H|@j@l@oB|Aj@p@A~An@lAW~ASy@e@XdAxB@nAo@hB|@lAAjBg@pBwCfAcAnASpEu@PQfA}@z@Xx@k@vCkAUw@t@K`BjAhBIt@o@FYx@LZfAEbBvA|BLTxAlAt@?|@}@z@EjAs@Nd@b@{@x@EzBiB@wAf@i@a@uCfAFVt@G`@fA`Af@BpAx@[zAZnDwAv@vBW`C{@hBmB{@sBxCaB?g@z@uBh@s@nCw@t@iHjAFv@fACCf@|@XZQ|AjB_BL{@bELlD`BlAs@hA`@|AKjA}AfB^h@W|BST{Ae@cCt@w@c@GeAsAYCi@cAG{@`@m@m@i@RCz@uArA\\r@U|@tDrCVfA]D@tAn@xAcCbIeASYhAiBrABjBa@`@\\hCaA`BeBBQ`Ai@MOX[hBTd@iArBJnA_Hm@a@x@Lz@{CSKr@mBVw@iAk@EOjD{@Kg@|@Rh@a@v@\\\\YjA[Y_@r@X`ASlAx@nBIfAjBf@F`DnAlBf@Ml@j@g@|@B|@o@L]jBkAFq@r@Jj@s@l@uA?m@x@gAWe@XKpAkAx@u@I]|CaBZ?u@YFOzAcAdAf@d@Id@e@KQ\\Iz@t@bAkCzCTdBuAj@\\tE_APQjBoAf@NlBy@Im@wAg@Vi@z@b@rCcAe@a@lAuCjBKd@j@`AyChECh@^VgAx@PdAkAnBRlC]J{@g@Y`@{@iAMn@{@EKvAq@Pa@`A_Cy@uAd@[z@r@n@SnAl@t@kAjAPdA{@vBQpEm@n@aAvDA^bAT_@xAtBTgB|Gp@LXw@\\bAx@U\\Rd@s@Vf@T]~@l@tACjB|BUt@X~AlA_AjA@x@`@ZbAX_@TdA_@n@XRIfBkApA_Aa@]t@cBA_B~AYS_@d@i@Gm@~AHhBkAj@e@pE{CfCmC|Fl@bCl@^PSy@uA@cAhEkBlAuDr@IhFyE|@MpApCpAvArAXJv@rArAHbDlEtAv@zAt@XStBTv@fARRz@tCc@dAeArAVfAx@NfAf@]h@ZdApBp@]Mr@^`A~@@d@cAvAEbAkAbDt@t@ORPu@fAPPrCw@l@jAi@bB~@lArA^bBFDUx@b@Ib@"],"America/Panama":["}gOveaD~B{Bc@]^aAz@[`ANVo@fBEjAm@nBFjKvD|Yc]tM{SbIePh@yCWiiFeL_JkMmCc@{@^[K}@qAsAuE~AcBC_Ac@D}@pAgBtEiAhAwA_CoAHcA_Eq@Hs@kEaBKgB{Bz@y@_AmAWo@gCDaD]a@m@l@]g@mBnC}B_@aBRe@z@e@UgAZMf@_BZAdA}@f@aB?M^_BMqChBDfAiANkBg@Es@k@NDw@wBd@FwAiAJcLmC}RzSgLfQuD`HsOh_@o@tI}App@JlFpUzoAfHnVkW`cAjHlGz@W_@bBtBVHt@a@X`@^_A|@GY_@LTRs@\\Kl@m@AN|@k@d@N^s@xAhB|@\\a@x@Fv@}@n@jEhWQG}Av@Sz@uBr@a@TcBlCmAvAxBp@pDl@j@Vi@XDXp@f@@Lt@n@EvAaBzBiAj@PzAa@h@b@bCAnAx@H|BzBhB"],"America/Managua":["ueXntjDlC]xBmAfJqNzG}EbBaEtEkDfLuTlJ{DrFeDlBuBfD_BdEgGfC{BtCuF|BaBvIcMbCkBReCpAcEe@mC@eDwHyDRcBrAiAlAeEDeCjJ{ZwGmMzAsCY}@b@U~@{CnAeAJ}@qAyBj@a@l@P`Aw@vAaE`AUp@l@bAeAIcCj@SQq@Z{@c@a@Jg@g@WhDuDUiCeBkC{@wFsDA}Az@uDa@kD{BqFuFa@yLu{@q^qCQcC^_j@jTo_As^uOeDo[iBcDTwBzCOvOaCfAmCVvDdOArB^`AIzAc@CGfC\\FeAhB|@Hb@jB{@pAd@v@b@GK\\z@UMf@^UBj@t@?QhAzAb@Mx@\\jA[Rh@JDj@Lg@p@@c@VXPSTh@AWj@n@Fa@r@b@@`@t@O`@n@\\GvDx@SUb@RvAYPZrAw@Hd@fA{@BGv@xB[Gx@d@rAe@xBi@IKVt@hAlB[\\^@l@k@XHlAk@I_@f@vCbBP`B`@Ji@lALj@_@NWUJ~A]TFlA_@LJ`Am@J|@|@u@Ei@xAgAC?z@YIVYk@Ik@jAk@DYv@^bAE|ApBv@B`AjBhCz@CVn@x@u@f@d@Di@bAh@j@vAaAfAZx@hBYx@Rb@`AvAAdBnATo@bBa@Zu@fB|@WfDXnCfAh@Qj@jAOh@l@nAJ^r@Mp@jAlAWTnAZa@jBh@FdA|AEnA`AZ[|@p@vAdDTl@{@z@b@]DC`CiCp@WhAr@RIj@y@FsBvFsCmASPvAvGfAU`@dBv@KjE`FhAE|AfARhDOt@m@Rh@jAgAzAz@pFW`Cf@pAtAIzBr@l@iAzBh@Vi@zCOz@c@j@C`Al@hAiAzBAdA~AyAtCNlAp@LTbAzA?AZvARp@g@x@h@bA_@v@fAr@@dAjBIZj@JHh@i@\\b@pS_Bx@oBlCsDfBLdBxAfADjBbBhFrBh@|BdC"],"Europe/Volgograd":["mdbB_loAp@uEjAoCrEiEEiCdAk@RdB`CdC|CuCpBs@nFnE^fAbH_FlAiFbBbA~@oA^qEp@y@T{FrBwAb@kCdEaHpB_BdDvBvCh@Fh@`A@Xh@dA?p@l@f@QtA`@DaBx@LBo@l@f@Z}@^h@S`@lBl@`@kBxBzCVoIa@mHdAq@Ec@xAGVhApAkAAaFpA}B\\qDb@{@`CE~A}B`BF~AzCp@PnDeBr@FGrA~ApA]l@\\NhAbGUVZXUJPt@[Dj@dA]VR^WBAr@dE|LtG}DTjFbA?Cs@xDoAH~A\\J\\tA`@V`ASNVZg@Rf@E{@\\MUsDb@[w@qBJsFo@{@t@C\\k@]mBH{C|Ak@|BeD`AsDdFmApDmDv@DTs@zFoBAoC{AiB?cFRQ\\v@v@]`ANh@eEmA_TrAkCK{@k@GDm@_DzAsIaBsAuHNsCkCgDa@^uBiCTsCXFQc@~@wJoE_CkDA@dEkKAWmB`@AFmBn@@b@wEpGDMsFw@?dAeHiCgFeBVo@o@o@v@sCsCcCO@cAeCTCkAq@u@S^M{FuA^CmAv@XD{AbAoBAu@b@Uq@MgAmCMzBP^ROCn@}@E@~Dg@LCl@e@We@sD^?NuBu@u@HcAe@W\\oCc@c@LcAg@UDcAkCoEScEyAqCyC_CkACi@yDt@{P^^pHsRuPyH}@cFyA}C{BqByCk@cClBwEjLw_@qFmCoP}HsIsBdAoAxB{A{Co@`AqABy@oAIeCqAq@LhKuBC?~@}CAAnIh@AA|FaAIAzAiB?CnC}BsBAbD_@`AiBl@|@xD}@tAh@\\vCA@l@{@NBb@b@MJdAa@?b@bA`BR\\YG_ARPs@zKxA?BnL}CEYy@}A@?rBm@??xA{B`EKdBAbEd@v@lChA`Dy@NPWhGdARFf@kBzAOhDl@d@H`KsCu@GXeAo@?nAWJNu@e@_CyGcBgBj@YfAPj@a@j@CcAi@`Bu@KU\\wAi@iApGsA\\u@vCjAbBOvA}ABO~@j@vCy@`H^z@fAYDnBwCzBW~@|@fBQ|A\\`Aq@pF`@XhBGfAz@[jBWUKn@v@n@QlBbAW?~@mD?XpB_@lAfBlARbAi@|BXvDUt@Z]LRAg@L^n@SVn@IhEr@rGfA`CaFjIiGbTL`JhDbDNtA?jF_@Vn@`G@lFWnDaB~GjAhD|CzBlAFd@r@JO~@~HjApDIfBdAxAfDLSx@"],"Australia/Hobart":["nnlAekwG`HiAhEj@nE_ArCDnG{BxDsE|@yCPkD|BeCbAaDnDg@xCuCnAcENcElAsA|BW~FtCfHDxDmBjES`HkC~D[hIoGjHsAbOeQ|D|BrHClGgBtEOhGuArBmA|AyBjIkBhC{BnCiAnBoC~@qD|CcDhG{BfJ}JbCe@`CoBrGeRvB_D|@cEKkHw@qCgBgCGwDvDm@tCyCpAgF?sFmAuGkCwD{DgAiE`AoAsHcQqk@sCqEmJeDu[uEeQkIsBc@sNYoB\\mBlA}Cc@qFt@{DC{Di@_GbA{B}AwE_AgDT{DbCiCgB{CYwGzAsFdE}B{B}DuImBoAsCa@wCf@aFnDmEb@kCxB}D{AkFr@yBrBsAxCm@dDArDu@|@yBSqBViDbC{AbDi@bELhEz@|CqAxC{@nFwCtAiBlC{@zDQ`HiAK?noAjB{AxH_LhDwBxA}CdDgA~BwCbAyEI{EwAmEaC{BvBiBvAeDxBfAlCNnCw@pBqBlAgDVuD_@iEsAaDbB}AzGPnL{CnC{BvGwIZf@c@nDNlEz@zC`BxBcAjFNlFhArDbCfCXfHtDfH^dEjB`FfArJE~BqEjRiClD_AdFwC|Dy@fGcR`SkChBoB|Dg@rHPrFq@zH~@hFfCdDoDT}CzBgDaAoESqCw@kDNoC`BkCPuBfAwIzLu@zGP`I|@zD`DjD"],"Asia/Dushanbe":["owkAiobC^q@p@K|@h@JoB~@{BOu@\\UAiDb@uAp@QAqA~CJ|AYj@k@I{A_@[`@mEc@k@_@wDp@wAa@eBz@iBbAEpAsC|@z@dAo@p@~@f@lEzC{Bb@nCnCgAdC|@vACd@iAxA]tCjBF}@i@yAfAe@jAiB\\}B`Cy@pBkEpAFjD|@pC~CxB\\TSb@^o@bBJdDnB\\zF|Cp@bA^KrCdFOdAd@GN\\d@S~A|@hACpDtArDgBtGzAL\\dE[b@iEvAExDeFA_BoCiE?wDu@_AqCM@cEcBwCyBuJ_AR?y@g@VYSU{F{@gACsGjGqGlBiEp@a@V{@q@cC_B}ACcAeDcCWR`@dAs@Tg@S}AtAa@_@wA`AaBq@Ky@m@KkAoBuCcBb@w@DoCk@yFp@qBiAy@O{D|Ao@CmAd@m@l@uDKuBqAQFaA[RAe@m@NIgB}@FqBqAa@^gBUUb@iA?}@vDeD`@]]n@q@m@aAHq@oANPq@c@IUkAaAcAm@Ci@gBm@]m@sC}A@uCqAmAwB}BIo@aD_@?Ed@s@[GkBiA}@`@}C}@y@nAyAUaAeAV]sAz@wA|Bq@o@_B^Ed@qBtAk@`AaCJaDbAAZmA`AJVYZ^hAYZz@~Az@fBTHj@n@Un@p@x@IpAd@OuAzAcAeCwI|@iDdFKpA`CfBc@dDl@d@f@pCTtB_At@l@xAJ@b@d@Hd@i@`APj@g@dDr@`@r@v@O^b@lC?t@^~AaApCKpEsCbDi@pCmCf@qASqIcG}IgAyDi@SqBmDoBiFq@iEV}A[eFi@aATqAiEwCyCiAeAmA?cBwBmDcA{GkAYOq@aAc@?wBwBaEBqBb@Oq@oBKiDpA}FKoGfEB`AhCO`B|@JX`AbAeAa@eA~@oCa@m@V{AcB{BB}Bq@a@PuAg@cB]ENaAo@oBJsAmAmBi@l@e@Y^sCq@uBt@_@Nu@u@k@Pw@g@B|@y@YcAPo@t@YGoCy@gBj@a@bByFxCoBj@?Bc@SU_AJQ_@_AkKoB|@kAwBoBx@c@fAsAt@p@|@eCdEeAMwAfAu@Dc@aAWRo@gAq@Om@wA_Ap@AbAg@v@w@TkAq@Wp@kFGUn@Tp@wAZ]dAyA@u@j@yAIW|D]L{BKwDnAyAw@q@~Ag@tG}FhMsAvH|@JAlA`AZpAo@M|Aj@fAi@|CqAz@H`AeAtBcBEgCxB{Ao@cCjAQdA}A_@sAyAf@}C{@e@{ATyA|@VhCgATQh@gASq@ZSx@YUIt@}Bt@g@h@FxAu@JMp@e@c@[x@mAiA_A~B{@yDoBDT~@a@bBp@vCGlAj@pAl@U\\RNtDn@b@PhBo@hDl@rBWnA^dBm@p@p@hB_@zAb@rAc@PaAhDEvC`Aj@\\~@w@f@AjB|@\\`AhIpDfAb@`Aj@AHl@gBRMt@y@TOhDuCb@[n@v@nDhBjBG|Bd@lA_CfBmBsBsC`Af@|Gc@R\\p@YjAkBj@yBy@iAfBTrBVGb@~AEtCz@Dz@nAmA|AvApBSzDtE`ATvAm@vCbAz@s@fAt@~A]|Bk@b@k@_@kAFaAfCaCrAUhDy@`ApAfCk@r@z@\\g@hBhCjCMzAs@Tg@bAp@pAgAfBr@`BMx@d@N^fA}@\\KzCvAbAaBtCi@xDh@lA[tBlAv@X|CZPYZTp@cAtAnAv@Il@i@\\_Bk@If@m@G}Ar@{@e@kB~As@Kk@\\E\\m@Ic@cAq@@Ku@uA`AeByBaBLp@i@NwBbC@_@g@j@W[oAY@FoA}DdAyBc@w@wGr@u@w@NeBqCqBoNnEsK?iDt@wBh@KF}An@cABkCp@_@Qm@~@aArAjCXgAkAsC_@Dm@u@aAH?k@sAHk@aGcBa@LyA_AaAo@qE?tF`AlET~FqBfBOc@kCjAu@k@_@z@DtCeAbEiB~Aa@BSo@eAcG_B}@a@sCqB_BmAiCLw@{@BB{@_A]Gi@{@b@e@dB_Ap@Yg@wAlCqF~DOdAo@J{@rAJtB~@lAfA[n@b@xAAl@jDp@f@v@`CWjAVfAdAX~@zAjAnGQrAr@lBCrAbBv@l@vAIfBiA`@aAfCwBr@_@nBa@H^l@OfAhAz@kA`A\\t@pA]z@bAf@[dEGPhDx@dBjBiC`AV~A{@vAIx@kArAX\\h@YvBhA_@XmAd@XjA]g@pBi@dLd@xIt@d@R|A}@`@vBlNr@BpAkEiCuQOoDv@Gt@\\\\fBrAi@i@l@I~Af@ZEfAfGkDjBhBBdAw@R{@ScC|@`@l@l@u@nBEf@NFt@t@TeAVNl@j@Q]jAVj@MzBzCKfBnBx@mArBPhB|Ct@Qr@l@YfG\\l@{@dDLdD_@r@PzB{ArGLjAsBbH`@~@g@hBp@nBbAn@j@~Ix@Nd@q@CdC`@F`@kAfAy@rAZj@u@vCF","a_mAothC^KDSXA@GOAc@RKAc@_@ETDVJC","a{lA{thCnEaFiCcGm@Ma@NTtCm@lF","_aoAixhC?o@\\s@tBsBD]uDpE"],"Europe/Dublin":["krdBhoTjBY~AcAnCwFjDp@nDmA|BiDhAqFrCeAtBuC`CuJKwKtCyCxAeFP{M|@kJY{EgAqEG}HoBcHIgFaAuFMgFcBoNwAwDqBwBcCsHsBaOgJ}YyAmCoB}AP_U_@}Fr@uEBaFg@kEsAyDcBwRiB{EwC_CsBSsB`@cBpAyAjCiFgFgCs@cCPkB{AoBc@}B_CkH{C{B@sB~@_ET{CfA{HoAkDaB_IRqDjCwBrGwBRs@{BaNj[f@lAm@|ApAEZv@BfBg@dATMXlAIvCh@jAgAxAm@o@u@^}@}@s@Zg@rBb@lAqAtCmAVa@bBc@u@aBp@Gz@q@HeAlCOrBbBjCVKb@hDx@SP`AvAkCV`@d@[f@lEL]Jr@\\ALc@Lf@nAd@Qz@Io@M^Sa@c@Lp@`Bn@eARZe@vAVx@e@e@B~Ag@UD~@~@hA[bBZb@k@|BsAzAFh@s@NL|F_@~A{BX[Ug@fE{AlAMnBwCpEQe@[bAm@kGsBiAXuHaBqBw@aEq@V`@~@s@pCXlAg@Fa@hBm@UIj@MqAaAuA~@oD_B_FP{D{AJeAaCyAoAcCDUmBQ\\w@?]_@I\\sA_BEkCgEsM_BwCi@wH}BmEmGp@eAxFwBp@kBrBsBfHWvJf@|EhCbKfC`FdBrO_BpMj@|KxCzGjBlAtBPfA|AzB`H|AdCxErBlDWdEvIpD`D~Bh@fCc@rBiBzAgDJrDgA|JB`OqAnJTxH~FtYzAvB~BjAhDjDbDfFnBt@~BE~NqHtCdEfDfAvBStE_CvBNvBk@xCqDvAcG~BaBtBuE`DkDxDoOdEzEdDzJzBtDfD~AfD[dErQjFzN|CjFbCtB"],"America/Blanc-Sablon":["oe`Bn`zBfIi^lJuUxAyNbBkCtJsIbCdAv@jH@xYyBnNwBxWrg@@[wwCwNb@c|AozBol@yn@wG_Z{MiK}e@??hoJ"],"America/Argentina/Mendoza":["f{cAnzhC|@c@h@{BCoCfA[jAbAh@[ZZd@g@b@\\n@_ACg@dAu@HvA~Cw@bAnAl@s@l@@Zq@`B_@b@j@h@Ap@cCx@nBr@ZLjAz@Hb@]@yA~ApBl@_BxAIXx@nB_@`@^hCGx@o@pB@nBaAFeAe@sARsAtDq@|@LrCaCtA[|DiEx@SCq@v@oAn@E`@o@~@B`@_BdAo@r@uDZM|@t@|AArEo@rC{Fz@cE[iEV_Au@aG~@_B@aBzAuE|@s@tBVdBo@ZaBIuCt@gAcAgEj@wAhBq@V}JrDiC|@uJuvA??zAyI?BsfBgAg@eFFoBaAqDOeCaAqBj@sAyAiCOu@VgGcAgAp@cAgA_BZgBg@cAf@USYp@}BPGb@_BJq@i@cAz@w@SgBb@s@lAw@Ha@tAmASy@dByBh@QQQl@s@DcAfAwEU_ApAAg@}@UAj@cAr@QY{@DMs@qAp@m@_@BmA[BSy@{@TcAe@Uj@gAi@wAFUa@k@PkAyAu@Da@RK|AqCzC{@nC_CRiAbC_ClBeAKu@nAoA|@_@Ga@|@y@?mAlAiBb@kDAsCv@qDYmCb@]UcAn@G]gAGgFhBq@AsAiBcBNUg@{Bj@]hA}AVQf@m@YaAp@a@Ka@bAm@[sAd@w@Ye@j@sCh@uAxGkDbBd@n@JbB[RNpA]v@h@dAm@p@VfA_@n@LfAyAdBKbAyBj@Lh@q@Tq@`Dv@h@[NbAlCSfAd@b@gArAzAhB?bIfE?dEtK?tNyK?]xD}BtCeBz@GhC`@vBjB`Ah@hAo@fENrAfAh@Dx@t@p@?bCjCLfBt@dCdE~BJP}@p@a@ZZnBFT~AhAdAAdAn@VoAlI`EvBK|@c@Eq@v@F|@pAj@z@s@xC@lCmA~@iBp@BvAgCxAVl@v@hAS`@`@JxAl@XdAu@bAP^q@d@^`BCh@SRy@bAX^aAhAGoBiDk@?v@YRyAUe@^oApB}@zA^?z@|@g@Tp@fAIzAf@n@hAzAM`A^bAU|@\\bAi@lBnAtCIzAwAt@dAxA\\Vk@Yy@tA]Nc@pA`A|@g@zAlAxCwCjAT`@nDt@ZsAzBjAtBxFc@Tx@~AnAX~A~AZzCpCnCAT~@fAT`@|Al@Dx@yBhB|@n@ExBlBhBD^z@x@E\\\\`Bc@lC^`AbEG`Cp@z@"],"Asia/Dhaka":["wdo@o{jDrAsChFwAtCkK`F{It@sHm@mAbC}ArBMj@hA~CP|@u@b@DRo@z@n@^c@dCFdBdC@vAWL^vAzAq@B^^KZb@?b@l@q@bBf@tAWd@\\\\KEy@dAXI}BvBa@fAcC|@e@Bc@WATWc@DAw@fBRCn@hBd@v@a@t@v@`ASWZh@H[\\T\\z@w@n@ADwAr@i@Ek@eA?l@WCeDj@MNy@c@_ATi@@^x@?UZ`@t@bAP~@z@R~@n@LhAm@`AFCdANg@j@KX\\l@EQeAb@LZi@LX`A_@AcAfAo@~ARlA|AlA]p@eArAdA`AOBq@t@h@z@ETe@~CeAlAGd@v@f@g@`CLt@mAXv@^m@^FIc@~@O|@}@vADC{@nBrB|EwApBT\\~At@Bx@g@lCZtLoGhGe@r@sJu@mvAvJmaA|DEvBg@tIoGrMmF~DLfG_B`B{A~@wBVqCWoC}Is@gAXoDtCq@w@yGlA{DrBcDb@qBIqAdAGj@kADAn@g@@gB{AwDh@gAwBeCURkB_Bc@YkA|AyAfC[P}BaA]JsAtGkAiBeD{Bx@cMrAwL@g@Yu@Lm@g@kBn@_CC_Bd@i@ScCnA_@]h@w@]I{Cl@sELmDx@qE@{Ax@_@a@qDRiC^YlAaHl@Jb@aAXLb@e@JIp@qFi@{AbAo@SyEj@IsBwAl@i@Ia@j@mA]Sj@mA?yBnAiDFeATG\\q@Qi@l@uBc@q@V?nArBLZ`@e@Lc@Y{@`Bi@?Dl@tAx@`@pA|@Tq@dC}Bn@Hr@`Bl@fKmAf@bAt@MEnA`AtBdAHrCvClGcBbCELm@x@z@K~@nAKWThB~ADvC|At@a@b@E[[NHx@aA`AkAOCf@gB@[b@g@KE\\a@WUl@u@_@UbA]US`AOe@g@v@YW?jAm@Br@JOZ`@SD\\XSH^vAJnFaAOpA}@l@oBl@}DCkAp@]WWl@sA{@Pv@uGvAOz@_@IKj@{@WBb@uA^G^gCFb@oAsASCfBk@LgAa@XeB]OsAAyAs@cBn@s@c@YRFmAm@T_Aa@He@k@Ab@yCw@F{Ak@mBj@`AeLq@M[aBu@LyAo@aARUSbCu@f@sCgET~@eCa@u@fAA`@u@`AOBs@{FsAiCr@i@iA~@iAyBn@LY_@Wd@_BOyCuA_@@}@cC^kAQn@iBu@c@yF_@aDaBQ`@UY_AFW\\y@@[z@uAI_@\\]_CfCkEq@mBTy@wA]sAPPlAo@e@E`B_CMi@jDk@KK\\Rj@s@fDwAbAC|Au@r@c@pBd@lD[xBd@vGYl@`ARa@jAj@V\\jBi@`@@d@aAUpAzGc@@aAlJi@d@T`@E`JpAdLMlBi@v@|@|AYl@TVg@n@TN_ADl@h@?hGz@fCc@jC}@pA}@rLiArBe@pCm@ZTb@]rAj@z@SzAg@UuCr@wCiAoC@O[uC_@uD|@_@l@_A[kBp@mB_@uCkBAzBEq@e@TU_AaAbAx@@I^qBVj@Ve@EFp@k@o@w@DFZo@@An@m@Qu@b@G`CSe@y@t@Uc@AVo@@b@LSjAlA]Id@TBFw@^L_@nAr@ACd@lAYUi@RIJ|@ZDRWc@k@vAg@AxATOt@bApBBWT\\PG`@gAGN~C[bAgAJp@`A^CEvAw@p@WtA_@ABv@w@[@`@aAh@[tCq@Ca@h@y@Yu@NwApAgAIx@c@aAYCfB]a@k@DGb@eAMDbBs@|@NVcATWr@NODd@l@@Kd@l@AAj@PYpAAMcAbA@g@Qj@oAh@d@`@YYW\\Ue@Gd@BXg@e@KH]`BR?bEqAt@Kv@\\fAnA_@DfAq@x@mAK]r@BzAd@@Gp@V?b@jBqBOCqCKXe@UZpA{An@Si@O~@_@_@Jb@w@vAgA@?x@h@BO~@u@DF|@{@H@~@}@FG`BuDt@rHxCbAg@oAg@BcAf@[JcCfEkARrAu@n@pAl@L~@ZW@z@|@dAzBA`AvCA`ApA~BfCd@Lo@t@Xf@WXtAbBn@\\M|@fAt@_@^Nd@g@r@X^e@\\HFy@b@Ms@aA^s@o@u@B_Ap@BxAkBh@iBf@DTaAXBNgBfCPXmBp@J`@mA`AMW[\\sAUYf@[?s@d@BLgB}@k@Eg@`@EOk@}@LFeB|@CBa@~@UZZr@GL^Xu@bA?jAuAWk@bAo@@}CjA@Sd@j@dAvAMCn@~@W\\r@_@V@fAa@?JTo@f@tAjAe@hAXf@}@nAF~Dx@`Bc@JHn@SGYlAAn@`@VYn@xBk@zC@zBl@Zl@d@EVl@n@CfChB_@|CcA?sApAn@jDf@Bh@q@zACE`@dAXJl@~@HRfAzAH","klr@ktlDh@YPLPe@TOM}@c@AJL?\\OEATIEOFFZODIMQFDTEJNE"],"America/Eirunepe":["p{LjcoClZyjAhQc}CfjA_wAv]_cAckIbtCnDBx@bAk@JPn@vAz@WRy@Qk@jAc@oAGlBeAXz@TWfA`A`@j@i@Nr@r@\\aCl@f@PShAWNUm@[Nb@dA_@Ie@r@m@}@aCPm@dAjA^}ApAAnBz@EEf@`@T]h@nAd@iBJUpAh@QP^~@IXXkAAf@jBUXoBWDv@`ADe@d@|BVe@P?z@y@nAvBhDVAWm@TIp@f@Kr@z@c@Z`A|@ABj@dA^I`@v@FKbAaAp@pAAEn@d@f@aA\\h@LJj@m@DNp@x@Hw@dAn@BU~@z@R{AN?Xz@Tq@H@lAVTAe@|@?Z^i@tAp@e@b@HgAhA@zApAdAi@LUi@Ql@j@Bc@\\Bt@n@Hg@n@~AYm@tAf@?Ij@RMnAvAYhAaAg@[JfA|@_AH|@JN|A_@~@u@Rr@@R\\i@b@\\@YPh@ZSl@d@AQTh@n@UrAh@k@ObAdA@b@|@r@G@~A`@YDh@`@Fm@fAf@I`@|@ZQIh@`CxAm@\\n@b@R`A`@@]\\bAfAa@Vt@CL`@CZs@Mh@x@_@DF^`AEe@\\ZNEn@f@UR|@F[dAJ^n@W`@l@OTd@g@fAp@e@Pl@t@Ne@J`@Pa@n@t@@Gz@rA`A]XfCn@YLp@Xc@?d@\\a@ZZh@SfAhAVU^j@VM^h@@SbAfAGNdAU@t@hAn@OOUjCFCU^PNU|BvA`@[p@z@rDlAZSrAVl@OG[nCdAtA]Rz@VQz@n@f@IHv@LOd@t@fALJt@x@PDp@|@BFfAxCdAvB?|@`BnAQ~@h@pAAbA}@hAFpBuBlEq@|@_Ah@`@j@SfA|@f@Mh@v@YLHb@l@K@b@z@LY\\p@JFxFtAt@nAzGzAnA~@vCdBv@dAvA|AX`BjAv@a@Z`@hCG"],"America/Halifax":["_}|AfnaCfCuACUb@GG}BYnA[SmC~@","epuApfaCNa@xCR~D}@xGoItWqB~QwH|BcEt@{DJe]wEiUiUse@eBwBmHyEuIeRmFyGmDePDwIe@eEmJyQcAaVkNir@iLnH{BbC_Qn`@q@mCcDka@qTbHmJhE_AwFaP_Z{LqKcXkJsIaB}RkU{DiMcTmU_o@lBb@xlEbQr_@xLqg@xWoQba@leAnJrDfKJlFe@`HmH~C_IdDoThH}QzCb[zAj@B~E~D~D~Ar@o@rABx@jHjG|GtPzEhI`JbCd@r@r@J|Orw@","_|tAr`uB|EoAvDqGdBaKDyKi@_GsByGoG_KuBeAqBO_Dv@oBnB}AxEQtDn@|FpDxH@~BkAvFTfHdCpFdCxA"],"Asia/Atyrau":["{v|As{zA~GeGj@tBlCoC~C}JcDu@uCE~CyMJmRUaCb@gDhBaEnPeN?eCvR}JlLyKrGaDbBvCLpIeAjANhAc@~@r@v@A`D`@c@b@tCx@cDh@RV_@JqB`@bCx@PKsHh@iDzBoACgB|@aAl@sDdAgB^{FfDgDfEeN^yDSkExGoJeAaD_BkBgEeAwK{@wAyBiKoa@qBcFiDgUcAkCTcHvG_C`BkAnA_Dj@oHgByXt@oJ{D_TjEeHfL|B`J_BhXxElBuPRqKeCy@VaGYyDiD{MmD{FA`E_AOwEcLaCsCkBEU_TwAiKk@wJqAwG_@aOXiJqHqLdEeFAmBj@oAAoFfBMzAcAt@lAr@_@ZcCm@oB~Ao@A}BpByC^uCYqDf@iJa@IkBz@iA@oGxFqGv@gFja@aE~PgHpL{CjA{CjCcAHsGjFwIo@qB]m@u@mGBsGs@iCy@_Ij@yG~HmC_@oCL}@m@gAfBsBnA{EQO_@oC]IYiHf@aA|HaA\\q@`Dx@j@OnBdC@nCfACbDyBxHwBfPwAa@uC~@uCW}A`A}Ag@uAh@_DBVdDzAX`@j@q@nBe@Y{AbIwAlAjG`NhAiARRdAnH}@bZhCrAa@vCvMMTpCW~@pIzCzCo@h@dF_A|IqBlG|@jCq@~Pk@Fq@g@Q_AcB\\aAxHWfLN|IlAtHOlCjBhA|APtAtClO`j@jK`OOhJr@lBj@|RlBUnAoAy@vIaFrYkAv[_Dvb@yBnk@rBf@hBk@lBbAh@oFt@RKrAp@R"],"America/Swift_Current":["whiBjzuEnr@?dBuJ}AiBVcG~Bc@fA}CvAr@b@O^{BdA_Bi@{H~@wAbAa@BgBrAeEjCq@xBcDnD{CdB{CArCnD??p@|@C`@^I]`@?Qw@rCAApFaD?\\nC]??`BgBDArFfCZ?YdB??pCLWpC??fDtA??xAj@?Rfb@`dF??wdCw_@B?eg@cp@b@?wXyTJ?rGoI?W[Y^Tf@WYs@ZiAi@CgAgBw@Br@Sy@m@?M`BCkBmA_AAi@c@Fl@m@OcEuAsC?qAk@^OfC_AlCwFhEoAjDgAj@AgPwTJLvFi@oA_AKkAq@i@wAi@@wAbAg@Yc@t@i@o@a@bB_@@?|B}I??fXyKTOuE_AkBh@mBKuA{BgC_CgAaD_A?dGyTP?ic@qD}AgDyFE|I{\\F?|Dg@D_A`BK|BoBfCiAByAbBkAKIi@kSBC`jAmOC@`@{IB?b[mDFA`JjDA@bBnCA?rHz@A@|T_@??rV[@?tC[@?p@y@??lHw@??vCqBnBKrD"],"Asia/Pyongyang":["cjlAylqFXuBnB{BhAgDbDCvBo@hBuAnAuBtB_@|A_AvBeDp@kEQ_FgByE_EmC`@oB|F|D~G|BnBrErBzAfCb@bBzEhCjCjCn@dDO`C}@dBmBv@@jDfHtBpAhCZxCi@?mLbBqLpMa@`GgJlBiKeEaPScJm@mBdAoOkAeH}@s@eCU_@oALoBg@oFbDaICy@a@i@@kAqAEa@q@mFf@DeB_BaEiAkAyBi@gAoDk@d@mBmAgEeHPe@w@sDf@sBo@iDfAqFaAgCT}DYgEY[xAmAu@wBl@qJoAmBJeAkAqATY{AeAk@kAyC{@_DFi@aBEmQcFjAmCvAmEzFkBnEeEDcDpByBbGNrH}BzAyAdCqBj@_CvBuAd@uD_ByDHoCmKeCcDEeIsBwIkCoEqEgOiBiCqCqAiFoJsBkHoHkHr@yCJoEe@mDoAqCcCmB{Cg@gAuCqBsBwIwC}B@gC~@sBWqBTyHeCmDQiDlAcCpD{D}F{DsBmGsFcAmDmFkIY}FoEaOaJlMq@Nm@q@yAdAg@nCu@DYg@Y~@gBx@kCNRxA`BQJxAm@f@iA_@R`B{BpCcA\\YpAeDr@cFgAQtH[FU_Aa@b@a@}@[n@d@~BErCQz@y@CDnBn@h@LiAV`CtAc@Ap@hBJ`@p@dAVn@O`C`Bl@En@qALz@x@SIfA\\e@`@XTq@v@rAdASvA\\x@WtAnA@pBiAjA\\p@Fq@z@X?f@n@b@NYf@n@}C`ENl@e@`Av@XOt@o@UBb@XTb@g@H^RUq@f@Nj@h@Nb@e@HvCp@f@z@aAR~BLwAb@fALo@^JNtAj@?Kq@b@Hf@s@d@zBj@KFlAh@XAx@a@`@d@EDz@^\\B_@TLb@|@MpA`@`@l@Yz@V\\~@_ArERlAe@p@lAvBGfAg@VFbAdAlACxCg@|@ItIFpKn@hBdBiChHGb@kAdBQtAeBb@{BrA_@Gc@b@TRo@x@Ad@r@ZStA|BnAHLWPp@|@ZJfApApBWn@Ue@YHf@n@_@N@dAo@QLj@e@h@a@Wz@|@_@BK`Ag@Tz@r@c@~@vARe@b@\\d@a@t@`@Ve@TVtE]b@b@OHRs@hACrBuAXLbCYRl@VDtAo@d@BfA`@No@vBL|@QPIq@e@IVjAi@H@t@Y@Lx@_@`@^h@[BInAmAqAWkAGhBo@HE`Aa@_@Az@u@nAi@UScAAt@oAHAnAa@B[z@?xA_@c@a@Hf@|B~BjAq@dApBZiBhCE`Ab@FTyAXHdBzCe@~@nBl@Jx@zBi@l@v@jAJpBzAfACnAs@NpBS{@]Bf@jCj@?Bx@|ApAjAP^jAjATDj@t@DZxAfBhCH`B^NZk@n@R?r@x@QPpAh@YTn@hAb@I`A^r@\\uAAdB^DPx@Yx@i@G\\ZSv@l@Tf@vAy@vAp@^CrAbC`Db@gBf@CRhDs@~@xBdADpBh@l@t@FAfAxABs@lAZrAa@fBpAf@N|C~CrIn@Jh@uAl@T[hB`@tBw@h@lCrCdA`DjBp@fAtEtB~DhBbAB~@hA|AvCjCv@eAvB^a@Pf@hBnANLjB`Cb@v@vA"],"Asia/Ust-Nera":["q~}BqdoGb@[FeAPd@Zo@PmAX\\VeEl@gBd@DzAyBUi@rCsL|@iBX\\NU^qCp@[lAuFb@T?sBVBXkAKkCxAmBA{Bv@HfAaAb@TxDvRjA~AfAiQ`A}@VLNgCrBmB|A_QxBLRyAdE`AtC`EPjB^aA^p@x@q@ZlC~AzAlCDR{Cl@qA`BtAt@gA|Ap@xB@m@dGr@zOlEpOTf@TSdBzD`AvHp@r@vAUdAnC~@Ol@gAr@zALWjAt@bA}A~@pCVB\\eAl@dBPcBYo@@aDX_Ab@`CfDfCn@bCr@e@f@cDUiDdAAdBqDv@@P]CoAYRa@Ye@cFNgAe@uBl@sFPW`@XIgA`@wALx@~@wAXp@t@aABqAz@oBTcE\\Mt@rA`AgBnAm@RmCYoA[s@a@?K{@YS]z@OaAg@Ek@aE\\sAj@[M}Br@mA[cCp@a@~@BdAkBe@yA`@uAa@aEx@MnAoALy@`@AHy@^A`@cAPiBpA}@~Ci@ZoCj@O`@eCr@o@MsFp@BFf@tAWu@mDd@mCo@sARg@cAwAKmCZPh@g@l@}CVZXw@n@`@NgGv@y@~@x@v@gBo@m@UiCw@yAWiDc@QQ_AVmC`@IEyBpAwAMeA`@u@c@cBc@H]o@q@XCoAiDkEUjAe@@e@{@FiB[aAz@cCV`@r@K^aBXyCu@gAKsBdAwG\\dAr@q@bAjADg@bAi@n@^Hu@N^XSScBULMs@e@\\CmC]]i@^WMQeDaAkABs@h@[l@^Bq@b@[Xb@j@uBdA`@h@`A`AQh@z@Rm@J`@ZUHuF^}Am@_Ax@wCa@aAk@Rs@qDLu@}AaBVsAs@}DYVSYQn@s@gB?sA[bAg@o@Un@k@He@sCy@c@s@_C_BDmA_Hs@ABwEq@Rm@qAs@|@e@q@f@{AIqA[{@a@NSuCq@|@AwAs@XKWe@jA[M{@v@c@gAo@IoAhBUmA\\wAy@MKqA_@Sp@yEqAaEa@pA{@Je@|Ak@k@GmAaBvBg@c@G}Aq@b@]hD_Dc@YeAu@GoBf@i@fAOo@oB`AGpBq@N[kAuEfC{@s@oBb@oBoDO}AWPaAm@IRu@{AmBm@kAHk@aAu@p@aCsDkA_@k@{Ck@i@WRUYm@t@oBe@aAhEq@wA}AsL@kCiAeFYsHq@Sq@aBkA?eBqEaAD}CkBq@xDj@zAa@t@@~BsAtCw@Ee@~@uBpIeBHqAhGLdBd@n@WdG{@vATvKs@pBQ[[Xc@jB}@~@LtHkAhC\\pGiBzCwAzIyBcGm@MY_Ai@J]dByArAUdBi@d@q@hJcAJqAvBqAB{@~Ab@HBhCc@vCT|Ae@t@YjFn@rACzBsA|FH~FQXeAq@o@vIc@f@o@~JP|IeA`@{AYuA`Ci@Ne@nJl@`Cc@jAJzF_@rKq@rD@rEKZq@YOtL}Bz@p@`Hs@fLf@nAu@z@I~@`@|Aq@Bs@`KqB|DFnBn@f@@jBs@dCHhGdAnBgAxHTvGWz@lClENhBZREbBg@FGr@\\zA[jBXhCf@\\n@KVb@^g@fBxBh@pEtDpITVb@c@Zn@nAGJpCbBrBVk@~@t@TO^pCVI"],"Asia/Phnom_Penh":["cmY{zfE`A{@fM\\Zc@vIeCPs@hCcARgAn@xAb@_@X\\|Bk@r@RvCkAtAfAfADbBcA?_BjAkAHw@r@@Bc@vA_@z@aAGc@r@PC[l@E~@wA~@GjAtB|Jj@bEcClDUjBcAzCc@pBiBhBq@tDEj_@nShx@mDlS[pDkApWmSoh@yw@qHfAeAp@k@vBcDdAkAu@\\gDiDsBJcBrDaDrGEjDhAwO_VQmAt@g@eAg@_@cAiAOoAiAT_PeFiDiD_HsIhCkAo@Is@k@GGeApAb@l@iIhAqCmCkCsAc@b@s@Sk@b@m@IoA_D_NhGkDfAXn@kDq@Hg@s@aAXpE}F?{Dj@s@_BDyC~As@YmAJFuBgE`As@d@z@dBy@ZsAdC_BN_@pCaAz@wABEvAkCe@_BVgA_Ag@z@iDMg@d@CvAg@LeCgAk@qAjAaCkD{BwAC[wAlAcBNuA[_Aj@{@BoA|A{Ac@iCr@_DaEhAsBeA_APQw@wEnB[uAh@iAYu@VWI_EXO[ORa@o@Fn@w@EiA]o@kACyByAf@_GaA_Da@YER}AwCq@HJc@mAe@Su@{A[g@}Cy@kAOqATQYs@zCgBb@e@Ie@aBQuBiEy@S{@XeDmAq@d@oAw@gDh@gAY_Al@yCGeAVmBfBkAE_Ab@k@EIa@{AXeTwGqIXmLhDeBbDuBk@a@d@{Ae@Yf@cBEc@XNpBu@v@}AM]c@gA~AqFqCwB@{@^iAc@e@}@u@XSi@VqAiEc@kAq@oA\\iAuA_CFHz@bAL|@jBpD^WpCyAfAEpA|Al@A\\bBDZh@Sz@xAXv@z@MXz@pBcA`@i@lA|@Od@z@rAf@Id@zARg@nCh@@Ir@p@x@_BfBmDxA_@|E_Cz@LfAo@KgCr@jA`DrA[SnAdAChAz@TxD_B|BpD^`Af@KZh@`@i@nA\\p@e@b@Tj@v@B]ZLjAu@t@~AFZw@bDU|@o@TcBvCU~AeCtAf@v@bC`DEg@bKyDjFyBNq@xBj@f@aAxAl@ZcATHb@k@ZC^V?k@v@rBlEExDsBpA[zAwIxCXx@h@Oz@r@~APl@dA?nBoEbCwAc@c@PWj@Pr@eArCf@bAmA|@~@fBS^V\\}@XfAr@Er@k@b@hCvCk@`C|@hA]Bo@hDXzAkAlBpAnBa@~@r@\\Ft@c@LKx@bA~@L`Bc@d@TXS^Hz@f@NOvBaAdAb@j@Gj@Y@Pt@q@tAJl@eB@Qd@@dAXXXYP`Ai@TMfBf@vBj@@p@x@s@`Ah@fAVERlGn@~AUbBh@\\WXl@`@d@fClBbAbAdD|AA`ClA~BU\\~AlC`DxC`@|BtAj@Q~BxGrAnAfAq@f@_BFzAr@\\ZfAO|AXpAc@nC"],"Pacific/Majuro":["qfR}sxHlDc@lCiBnFmOFuDw@}C{B_CaDaAoEJsDjBiEdGqAfGHpEvAlD~C~B","aoUua{HnEy@fJsGhCsEt@_EFkHyAmE_C}BgDaBmF_AyDXoK`EgF~H}@zDf@hFbEpHlFdE","itUyfaIdEu@drAki@rw@fVfEAnMuDfF}FnD_I`@u\\dc@ocAf`@or@xUaSpDaGrgAif@pNvM|`At]jCD~Be@rG}EtAyFeAcGeDiE_iAss@mMeG}Dk@iCJyBv@oKjJ}oAj`@cHKuCf@qDfDoWxn@cM`JbH~XmOfX?r[er@~`@en@ub@mj@lFi@qIcFq_@iB}FkCoCqF}BgDUmDn@kDdDoA`G}Qp`CHvIrAlEbGhF","u_Js{fIjFs@~BkAhBmCf@iDWqD}AoCgC{A{Ew@oD\\qCfBoAdCi@|EZdDxAfC~BtA","uv[kmhIbCWjBy@lCBxBg@bCmBlA}CB{DgAcDmDgFkEoB{EIcD~@eElEwA|DMhGz@jD|CrC","esR{shIzLmAlHoGfBoCdRge@fMiDfLkIzm@mx@l`Aq@dz@ui@rEUvCkAlBgCjLq\\HoEsAmDqD{BaFQgmA~MosAbl@sH}@gCDgcBpUwChAyAdBu@xBaHtp@ih@`D_KvGkAzCGlDl@fCnHvNzAzArBz@v|@r@d@|T^bCnCpD","g{VwwjInDm@lEyCxAsCTuDo@{CoBcCwF}BiDUkDt@uDnCkAjDSxEr@hDxBdCrC~@"],"Asia/Sakhalin":["oiyAsfrGpDg@vCqC`BgFVkFk@aF{B{FoCsBwD[kDx@cD`EuAhEWzEd@zEpBhFrCtB","gycBoesGvC}G|CeDnCwEhCeApBgBxJ{DvJ`JtCdAfIq@|GTdGyBlN}BlIdAbKq@~KVpJfC~DBdFjAvEZjKzGvCp@lJ}AjRmNxMkAfYdLxTIpBe@bEeCdGpAvVfKfFG`MwCpPuA|I_HvD}FpGiRi@}FuBmEkDiByDP}CdC}IcDqGu@yIoDCcOd@{HrCg@fEkBlGNbEc@hEiCjAaCv@iEBcDk@qEcAcC{B{BuEcCaEw@cHwEwBo@yCLmFlC{Jt@eGdAoD~BwB`E}@|FFdFwAx@}CEwIdB}GdFuG~MmDbCsDnAuGGwHsAiWeIaHuCeMmIaD_@{Ep@eBcFi@aHjAeVdJyL`D_H`D}CvFcAhDxAhDUbDsC`BqFH_IiBaHiBsBuCkAgCeDcE_AoNzBkBx@{CxDgG|K}FnCuEdAyH`@gGhEsDFiKdFqEj@gLxHkHnC_H|AaOjA}^jJkJ|AgMhEeH~DyHrCqGToJyFeGsAgTy@sSlCkIrBi^lQkK{DuE^yC`BqInIeEbC{B|CcB~H@jK`AfFvCnFNdL`CvH~DrCrBDxAc@hLkLzGkKfAbArFfMlIbd@tLgEfEgFtClC|l@bFnLiChDB"],"Africa/Dakar":["mx[jta@jEy@`HiFhAkCXiD}@eGjHiEvBaD`Dw@dJeGvNg@bIsD?}uA_FmAwCqCIiCxA{@[uBkCoG|@gDUuBh@{BlA{AvDu@pAqCuAqDLgEnAoApCc@`DkGo@aEiAoAyAqFFaBu@sBt@wCtFcE`BFxB~B?bDh@`B^fFr@\\|@`Ce@nCb@`A@pBu@zBwApAYrC{AxA`@fACtB}@tBsAv@AjBw@lAGjBy@fCoBvCcClAb@dBhBnB|E~@hBlCR~CmAlFvAfDg@`Ed@rABbDlJ?Ahv@Zh@f@SXr@TQCd@~@Mn@r@CbKzBG|K`BxRFdHmAhD{BmF}KVgD_@aMcEcJTuAk@qFx@kDM}Bp@aL_FwNyCuDoCoIVkhB^qH^W[kA^iB[g@t@y@a@g@b@_Cc@_AnBa@dBp@fBSd@mDSy@gBFu@oBr@e@VoAn@Tp@{DbAZCsGt@m@@i@rAc@wAsCp@oDlCqAiAwB^e@q@qEqBaC_@eB|@}AG}AuAgCnBiBSsAh@eAk@gD{@yAe@iIb@{Bz@{@w@g@i@TUo@uANn@ZOR}AFCf@d@Dw@f@@b@oAyAi@h@a@a@o@Ji@dA{@SB]{@AAuBwAdAK]cBAHd@k@PY_@c@Ru@c@m@XWiBsAVUl@t@DEt@{@FSe@_BnAu@Q]bBaBlAyA[a@pA}Ae@{@h@i@xAqBLBpA}@UHbCq@ZDbAnCt@Jj@n@P?`Ag@EqBtBoCg@uE~Fk@@eAnAwADaB`AuDuFiFa@aCxC_C@iAy@{DMgE`Bk@zCyBMGz@m@?R|@k@xAaAWe@b@i@O[j@oBGM}@sB[Qk@{@GY|@k@a@QzAaAHMl@w@JMjAkB`BEvA}B`DoDPeA|@s@zCsAfAu@tBp@v@eCbEsAGg@^VbBsB|AQg@\\y@{@a@aAb@i@rCk@f@oBBs@m@CdAoBHh@~Dm@vA_Da@wAdEZpAwBn@CaAi@UoCfDm@GAm@y@bAgBBi@`A{@k@c@dA}@b@eDTs@`Cw@d@z@lAs@^s@oAa@Vl@|@QlBlAxE{AhAs@_@]LtCtG_Bx@gAKInAcANJjB}Ak@GdAy@FGaAm@Rc@zBqBpA_BfCo@KJd@kA`Bk@A[zA~@TkCh@b@hBwCFRjCg@^x@r@PfB{@zAt@VWbCV^YXe@MB`Dx@TkAx@t@l@q@p@d@VAdAo@d@z@`@e@`@b@n@c@^w@A]~@`Bb@\\`BuAn@Il@fAh@d@sArAjASjBhAxBk@zClA|DoB`C|@zAlA?VfA_@lC`AJj@lCiAdF^zAg@HIj@`AvCc@lAn@dB{A`B_AXPlA`AdAMbDvBbAdBHTj@bB@|@`AvAYjAb@j@n@?hAv@h@|BD^Yl@Tv@`Ae@RLvL|K`@hD`Az_@|T`KjIdD|Jx@lFxA`DpCnB"],"America/Chihuahua":["afv@d`tErCYbBTdGqAxCsElDU\\{AjBdBnAq@Z}EbCeA~BQbAu@x@yBpCRdHmC|CpCd@AtASl@sAhFQQoA`ARr@iCiBm@t@mCSuBb@a@y@_@j@}@y@gAPoBjAYdAjBhBIh@i@i@CJm@d@Qu@}@nA?CcBnCeCv@TP_Az@XpAM~AjCr@cBpDmC`AGj@v@B]|@tAhLyHx@Cv@aC~@OBs@_A_@Mu@d@wC_@kBTs@nBgAmAqD`AiDbAqAt@B|A}@xCf@nI{MjAJh@i@J_Am@i@`@q@z@BJt@b@iEnCg@QuI_@Fb@o@m@r@tAmBe@@Oo@yBkAcDaGW@`BvDyLFmAYi@wD_AU?r@m@a@_Ab@iA]sAoAc@FwJ_FRi@_AWBh@uCoAwDn@u@}AiBFcCy@Fg@i@@Sa@FqAa@JSlAwABMiBf@o@kDkBbDwER{@UUl@GKy@jDqDkAb@]_BxBqAG]j@e@`@FDsCiCd@pGmCFiBbAo@e@CRcC_@eAx@s@r@R`@gAs@kAr@[uBeIjEyAgAoBJkAo@?Fe@qAyA@sD|@cDlDqCj@cAUs@lAg@sCqCeBBuGgCgBqEgCwAgA|@U]u@XuAsA`CyAbAkJ}@YGkAn@A?iGx@cIqElBcCbEoA_@@^{AeCw@I[mAmBVYz@cA^qDAgDbA[xA{Mk@uErAA[eDZB_@uBlBy@eAOtBkBa@{BVJe@`@JZaBwA]Y`ByGwBaX_M_D[Rd@q@Rd@j@[r@xA^{AlFt@fDw@@CdB~AxAsAfAcAMsAr@}@rAz@r@s@t@`@Vi@jAjBf@Hd@Zc@dBbBaAbAh@h@eAnCkBaBG|A]d@y@?@v@i@?[dBnAhEy@?h@lBcAXOm@sLbJh@pBaAd@l@lAWdDHl@X@mCjCiBo@q@wAqBe@y@n@NnCeAxBwFjFWxAq@]e@^RnDm@n@}@BmAiAC|JmDA?`BmBEErIhARsALUvAeAA?cD{AQ}@zBIsCeEF?sAcHHC~Fg@FwCyCcBkEuAmA|@{BeB??nBk@Mi@b@{@kA?y@e@?JyBwATo@~@oEUOrDqGA]tAcFc@m@hBc@FeAhB?pBt@F?xIwC?Qo@JxA{@`@oBA?pAx@@DxB{A?C_@c@\\e@~CcBBEl@wBLgAzB~@LGl@y@K@fFbAK@bFk@vAZlDj@?b@tC_ArCdC?AjHfGBAt@tAJt@h@X]LlC~B~@G`B`Bp@m@hAyAn@Lt@e@??TzChA?zFq@@|BrDAd@wAKc@hBm@j@g@QVlCyAfAjB|FoAa@`AnCjHaBRlEy@f@JfB~AkAn@BrA`E~@UGz@xAd@Ph@`AoB|@zAjAe@i@|GrBlAGhBrAHCdAnAr@fDDoB`F|KUvCj@rEk@`@x@x@a@H{CvAK^JLfBTABdClBqAThAxB[Fb@t@i@Xn@dAYPo@bAxD|H_BpAVV~CfAs@b@b@lAQS_@tA}@`A~@Xi@X\\tGs@rAVp@}@jBi@DcAVh@x@Cp@uBvEGxCaB`BOC_@dDPnBgAZh@Qh@z@C`@z@y@jBV~@rAHS|A|@|BHzAXIWlD\\rA]zAaAp@tABk@v@Td@g@p@f@O"],"Pacific/Tahiti":["jri@nrmHnDk@xBcB|AmDXmD_@wC{AmCyBuA}Dm@gDf@aC`B}AxCYfDl@xDhBpC~BzA","tg_@lrmHbEMhDuAlByBt@cD?cGs@}CaDiDwDgAkEPuEvB{B~CgAfER`ErB~DdDxB","v{]~fmH|Ca@vCkBtAwC\\sD]qCaBuC{CgBcD_@oDh@mClBuAvCS|C`@~C~ApCrCdB","zy_@pdlHbDi@tDeC~AiC^sCe@cFoAkCqCoBiDg@uCV{EtBqBtCk@vD\\vD|ApCfDbC","hfk@z{iHdD_@jCcBbByC`@uDa@qDsAgCgCgBaDi@sD^mCbByArC_@vD^lDvArCjCfB","bc_@pzhHlDa@rCgBvBoE^iEg@_DkBoCqCqAmE_@iDd@gC~AeBvCe@zDj@hEzArCdC|A","lv^|}gHpEm@dCgApGRjDo@tCoC|@sCPyCvAmAzJ_AnCcBxA}Bp@}Ee@qEeDuGaD}BbC_FEsFiBuDiEeC_Cc@mCHwFjBsB~AaBbDStDv@xEhCzCgD|@{DlDkAjDUjF}AhBmCIeCd@qBpAgBnC{@tFv@nElDhD","jzj@pagHdDe@rEkBlBgCp@}CGiDmAgDcCuBsDgAcE@gDfAwCvDaAtDF|D|AvDdDvB","vna@xseHnCWpC}AnBeDf@sD_@iDkBgDkC{AcD[gDd@kD~ByAtCW|C^xCxAhChDtB","dda@`fdH`GcA|FoFnAoDFsErCkAbByBrBqHLgEjCwEz@yFY_F{B_EkEuBmHQyDpAgC~BkApC{C|@oCxBmDzIk@rGlApFwAfC_@|Cd@hKr@zBxAhBlBbA","`g`@xqcHlDk@jCqBlBmEXmDq@wDkBaCiCgAsEa@qDj@gCjBsAzC[lEj@lDdBhCzDhB","nsl@fncHvDk@|CuB~AqC`@yDg@eFoByFqC_CwDi@wDt@iDlCkAnCk@~Fh@xD~BfEhCrB","z`\\vzaHtCWnBw@bD}Eb@yGkBmGbDi@`D{A`CaCdAmCJeEqAcFzDyF`CaJCeFrByDd@oCDaMmBgHsAyB~CeB~BlBtCp@lDEpCw@fEgDxBgEfBkFlAcJxCj@lCMtCgAjCaCnA}DMiGuBmE_FsBz@mDzIoDrIyH~E_GvAcDbFmAjDiDtC}IEmHlCuFj@mDjCgGl@sHzEuCzBmFDkGuBoEiBiAuGmB{C?wCr@cByH_BmBeCiA`H{S~Di@nDaBdDgDpAqClBaA|AkB~AqECeGsBgEsDqB_DSuEbAyEI_B{IoB_CoCiA_FCeFfBoC|BiBdFoD@eDnA_D~DyDlJSbDTpCfCzEhBbA|B^fCKjCw@JrGgB`FsDnEiAxGVrFnBvD_EfEeCbHDpEdBjEiG~@}ElENeFwAoEyC_C_Eg@_CXaClAmBxB{@`CStC`@tCrA`CzBxAnCh@|CKtCeAhBiBy@`D{JpC}CjC{AnGh@dG_Co@oC@mCr@uBhBcA`CkAzG^zFzBfD|DjBbE\\vD_@nCiAdDkD|AaEB_EhEOcC~DObGyDnBcBbBmDzGm@bEiM_BwCD_EhBqBbEqA|LTjEeCjF_BhMbAdFpFxFiDdCaAbCW~CmMrO{AtFu@bIHhDdAxCcBlGFlFdAtDpDpEyChA{BpCcArEE`Ep@lC~AvBbCnA","xg^h_{GtEmFrAwCdDi@hE_CzBaCrAoC|@uDBcDo@}CmBqC~F}AlDeDnBmDhAXuA|EoBxBaAvCJ|OaB~Cw@|DwCMaDn@_LlJ","bm_@vsvGDcEhGBi@zDsBO","f}]t_aHhDa@jCcBnBgDd@wDg@wDaBuC}CiB}C_@}C^aCzAoChDs@`EZhD`B~ChC|A","h|a@xr`HhDe@tBsA~AmC\\cD]kD{AqCoC}AyC]aD^cC|AwAhCa@dD\\dDfB|CfCxA","rtm@|{_H|Dq@dCyBtAmEA}EqAcFgCmDgDwA}DIsCt@aCzBiApDErDjAdHnAdCzClB","`m[bj}GvDo@lCuBnAwDC}DwBuH{AmCV{CWqDwBsH{A_CaDoCeCq@_D@gGtCuA~Bc@dCf@rG|DhJg@~D^fFxAhElClCxGtB","l{`@nx{GfDc@jDiB~B_EzBqBbAcCd@kE]aEiBkDqDiBwDI_ErA_I`H}A|Cq@lG|@~EhDnD","|u[xb{GlE_A|CcDx@sEq@mEwByCyF_E{BoG}E_HmEuAkFj@_DhCkAvDC~DrA|FdClErBlB`BtE~B~B~C~A","txe@xrzG|C_@xBqA|CaEv@oDMiDiAyCyBmBiD{@mFV}CfAyBnC{@|DJhDrAfDjDzC","~e\\dwyGbDc@xBwAzA{CT_D_@cDgBeDsCaBeDY{Cj@}BdBqAxCShDl@fD|A`CbCxA","v{t@zlyGzDc@xCkB|BgEj@yDa@{EwA_DiCiBwDk@kE\\eDjBoBjDk@|DV|EdBzDlCnB","p|f@rxwG`Dc@~B}AtB_EVwE|D{A~BuDX}BKkCtCmE^oEwAaFwDeCoFG_Cr@eBvA_BxDAdEaB~A{@nBUrEkExA_DxES|DdAzDpDjD","vnu@pvwG|Ck@pCeCjAqDNoDe@_D}AkCqC}AsD_@uCj@}BfBwAdDWpEd@zCtBfDjD|A","jaa@pswG|C]nDcBnBsCh@aDWsDcBwDkCsB{Ci@_DTuC|AiBvCs@`EL`EpA|C~BfB","p{a@d{vG|Cc@rCiB|AsC^{CY_D{AyC_C_B_De@kE`@kCnAkBnCe@hD`@nDjBbDtC~A","`ha@~`vG`DMlC{@hBwAzAaC`AqH[qCkAsCyCmCmDs@oDV{CfBkBgAiCc@iCNcC`AuB|BcAzDBlDhAbDrDjCdCZtC[`DrC","fq^dxuGfIeBjD_DbAcGWsCaAiC}H}FqL}D}KcJgEe@eEdA{BdCu@dDHtDpAxDvEnFdC|AlBfDzEtEvIfD","zfb@xouGvBQxB_ApCcCzBqExFmAzC}D`@kDi@qD{C_FyCoBkFUmHvCaCEmFj@sCzA_BlCWfG`B|Et@zFbDhD","xz_@xrtGhDc@dCwApAuBn@wDSeDmAqC_CcBwCi@cDVyCzAeB`Cm@fDZ|DnAfCnChB","dqc@xntGvDg@vEqCrBiCt@eDSgE_BuDgCsBkEiAwDTwCbBwCfEy@pFTnEvAtCtCjB","`}`@rysGpC_@`DcB~A_Cj@kD[wDuA}CiCmB}Cg@gDZkDhB_BnCc@rDb@zDzAlClCdB","ppZtssGbDg@pCuBlAiCVmCrBqCj@aCN}Fo@_DyBmCiDiAuEReEnCkBfDi@~CBfCoBxEDtD|ArDvCjB","hnd@xhsGdD]xC{AdBgCl@cDSmDgAmC_CoBaDq@iDNgD~AqBlCs@nDTxDxAtCfC`B","hkb@||rGpDa@jDaBrEuFdIgH~@aC~@iGF{Ey@_DyDeDwFUsEnBmCrDyCd@oC`BqGqHoDqBoEs@sEv@gC|BqArDI~Dz@rDtFrIjElCxEdAv@fDdBvB~CpA","z{]hrrGnDe@fCaB~A}C^cEo@iEcBsCqCaBsDa@eDh@cC`BwAxCS`D~@vFjA~BpCjB","hjd@`grGjDc@nCeBlBeDf@qD]oD_BwCqCiBgDg@qDb@kCdByAvCe@tEXhDrAlCpChB","fji@xdrGpDg@rCmBrA}BlA}Fe@}EuAyCcCmBuCk@cDRuGxCmBhCo@rDRdErAtCjFnD","bje@huqGrDe@lCcB`ByCd@{Da@oDuAmCkCgBsDk@sDf@aD|B}ApCa@rD`@fD`BnC|ChB","`f^pdqGrDe@~C{BvAaDR{Dm@yDqB}CyCcBkD[kDl@iCtBkA|COhEn@bE`BnCnCzA","vxd@tkoGdCWtBeApCcFZqEy@_EwBkCgEwAnB_BjAeCrDqCpAoF[kDoAiC_CaBoCe@aFl@iD~CkCnAeBbCm@jDL|Dx@lClBrB|CbA}BhBoAlCY`D\\rCjDbGzBdA","bgc@fioG`FmAvAuA~@}BDeGyBoEhDh@jDc@lCkBrA}CToDq@wFkBuC}CyAoCOgC^}BtAwA~Bi@tCFnD|@rD|AvBgDg@eDb@mCjBqArCQnEhA|DnC`C","vqg@~doGjDc@dC{A`BqC\\}Ca@iD{AmCoCaBiDc@}C^aCvA_BjCa@rD`@jDzAhClC~A","tvi@`~nGtDm@vCiCnAuEGsE|CzAtDJzFmBxBqBfAaDA{D{A_FwB}BkEiAgERsE|CmBpDsDgDqF_@sCx@qCjCkCdJVdGtHhLbCnA","l}[|qnG`Di@zB}ArB}Db@eDWgDwAsCiCcBgDe@aD^kC|A{BtCo@vD^tD~AzCrCnB","ntg@`anGtD[pC{AzCuEj@oEo@_EuBoCyCkA_F[qDf@qChBcCrEe@|Dd@jDdBjCnCpA","~{`@nymGzDu@pCoCz@oD?yFo@oDwBkDuC{AgDUoDz@aC`CaApDA~En@jEhB`DfC|A","ntb@~bkGbDa@`FkCjB}BtA}DLyDs@aDkB_CoCgA{DEkDjAwEtEmBrEEhElAnDjCvB","lac@b}iGbDa@fC}AnFyH|@yCL_Ew@qDiB}BsCkAoEA_EdBaEtFsB~FGpEdAjDvChC"],"America/Guyana":["erJl{vB`m@ig@{@wBf@eBGiA`@IRu@YsEl@WQi@o@KNeEq@YqAuDrAu@c@aB`BcArBW@o@`B{AZ{AjLhAtBp@f@YrBb@`@[dBbBlAIVhBnAXOh@lBF^uA_A{@`@CGk@v@LEeC^}@{@CReAnAu@e@UJk@[AdA[HaBe@a@b@AnCyFdARlBhB`@A?k@dAz@hBObAyA\\gC|BfA`@gAl@a@j@JUY`@D?c@~@HSmAbA{@h@TFfAz@JWP`@^fC_@Bf@h@ASZf@d@]?b@fAn@\\j@_@~@FbBdDt@Xh@lDpAj@T{@z@Qb@}@XATp@Ta@AZtAb@?{@\\RfBc@Nz@j@KpDvB`@YX`AtBOJh@DYTTf@UQZtAbA|BJb@]xAXl@n@fNNtCcAb@Zn@uA`@PlCqAlBIdA`@x@UBu@lAs@O_@xAsAQ{A^c@dFd@tBg@bAh@rAk@tEhAhCQHqCa@[zAORn@bBVBo@b@GG{@p@]g@eBXu@jBw@Ic@|ASTkAdBYVgA|AYOkBbBCZuAlAC~BoG?qBn@qAGmBp@]]wBt@Fx@gAj@r@fCuDg@{@Fi@k@e@PUkAq@gBIM]b@}@SeAt@wAaAg@Lq@z@a@g@SRa@oEkA}@|AwBFLyB[{BW[yAl@U_Ak@EiAkAx@IEmBn@s@q@uAV_AbBUTi@]}@Ly@c@Oj@qBkCq@wB@Yl@WYX}BeAcBVq@i@OFwAsAOEc@ZoB]Y`BmBc@w@KoA`@QWeAe@DEu@}BWg@eBi@Y}CIc@aCm@UQVo@m@DaAg@KXkAbA[Vs@qAy@SiBmA{@B{@jCm@P_A~@c@VkAi@a@KmA|@u@r@{Df@AqCyCPkCy@{@nAqAuA}EuCzDCrFe@@kI`GcBUy@jCiCBs@~A_@PeAe@@h@oAb@@_@{@@RTSrA]UIVaAGY|@m@EOZyAYJbAoAByBbBq@_@]p@Nj@eB_@\\hBc@AQbA][}A`Aa@gAu@[YNJlAu@Ho@i@c@t@MkAaBXk@lBkAs@WVf@j@Wl@w@c@Uv@_Dk@u@f@yAa@wBj@IVp@f@FlBm@bAfA`@TrA{@z@`@jBc@f@Pd@k@bCeAl@yAkC_Ct@iAtBwBz@Df@qAjCiGp@wFlDHl@yAtA@f@eARqCY_CtA{EaBgAcAw@Dq@yAaC^iBqAiEaAqDiBsFhAe@tAw@TuCwAaBiBLkCmAO_ByCd@wBk@_Dn@qBAaC{AgDj@gAo@C_AfAkEu@]uAjB}@{@qAu@?gCpASlAtAUFn@y@f@kCKVjA_@VeCeCiDOsCeCqCaAyCIuAl@aH_BwETyGq@}CeFcEzCmEnFoCfF_A|EoGzFuQhTcBrEeAhIiEbEsKR}F`BiOpKkCxEaC|AyDvEwLpKeMtUcJlSa@nDjBvLbNyIhAWzAtAJnB~@nC|@b@j@[rBd@rA`AHrDlA^|@|C~Av@`DnESx@d@r@a@zBj@pCh@OxBfBv@_@~@p@rAEUv@`Ch@Xh@Yx@f@ACb@h@ZvCiA^wAx@Fn@gAp@Fb@c@hAIfB~AdBWRq@`@?vBuBaCmAHa@i@q@Fu@v@m@Q_Bz@c@b@aBjBKnAb@hAlBnCZ_@t@RfBpBbBbB~HtCjBoA~DZfAcAxBn@\\hAo@hA`BWxFr@Zc@d@B~@z@T`@|@nACLf@~@J@`@j@Nh@k@l@XHe@_@Ob@o@|ATN{@dAQfAn@t@QdAp@nBwADs@nBx@h@e@b@ZSpAjBRA\\l@H_@l@d@ZCn@|ExB"],"Asia/Kuala_Lumpur":["abJaz_ExEcApkB{hAdi@{j@f\\ea@fo@y~@pMoU`Vg[M{@tCuRbAsBf@_GgCUe@s@aHkC{@qAP{A{@iBdBiDD}Dk@_BT{@z@k@~AVhD_Bm@oMm@qACnBmEwAwCwCkFmJyp@iEuDTsCrAo[rV_Sp[m}Ai@eEpAkp@r_@oHvEyCpDoVpk@gBbFm@pGdL|CjB@p@[bClA`BvCp@J\\n@pCt@zAm@x@t@H`A|Ab@Bz@`A`@j@M}BnCZ\\Ih@p@FNl@u@D}@z@yBCEhAcANm@bA|@dC`Av@K|DrA^Lp@d@FGjCbBr@vAUd@RT~@t@FXtAdAhAaBTuBrAKf@a@BJr@iCbB}@w@uC[FuBsASs@y@[`@_BMUZqBu@eAfCiAu@[qAyAj@[MM~AV~AgA~AnAl@NzA{@t@p@BN`@qBb@s@[sAt@iDPi@fAHl@gB\\lAz@v@pB_@JAv@gAlBLvAiAx@LnCa@^GfAaAZ_A|A_@i@_@Ru@W_@bAu@?Nx@WLb@x@aAn@~@`AlAQl@\\tBc@Kt@bECrBdAE|F{EhFrBhMw@`Ej@xA`JhBbAnGW|Dn\\rZ|BdA"],"America/Boa_Vista":["sgGtr}BlAIIc@|AMTg@`D]LT|@mAGw@f@IKi@j@QGq@`@K^yAl@KZkAp@\\j@_A|As@Tc@U_@`Ba@FwAlC_DM]vBo@IeB|@FCm@f@CLaAn@RPw@bABR\\pBkCl@Tp@UL`@dAXFWLZ`AeApBB`ApA|@C`Bp@v@`BzAUrBwC~Ab@HiBr@?x@iAbAG\\XnBuBtAGPg@z@LVk@h@t@b@k@jAAnCrAA`@xC^hAuAa@Qn@sC]QJaA{@_Bf@_AOWh@Ef@y@UeAR]]a@f@_Bc@eBJwAv@EYgCbAm@gBcBl@UVoAbAQz@j@t@a@tB?fAr@fAs@tAgDu@cDN_BvCs@fCcCZ{@_@wC\\yEvCiGbCCnBt@rEMxChCvAVxBiCpA]pBkD~R{Dv@g@CaBrBJhCeAhEtApCw@fDtChF]tC\\`C[ScAtCmAzAh@pB@hC]`Ao@vCMvCiDhCo@Nb@Z_@t@HrC{CzFJf@a@SWf@_ArAh@d@MbAp@j@jBr@YDb@h@?\\j@h@M^b@hBu@`@TLYr@FHbAf@\\Iv@bAYf@zAaAp@OtB`Ah@hAYN\\fAy@K_@h@a@RgB^g@z@?bDcDFk@n@YLmB`@GhAuCvBq@DkAr@{@xOmGLsCm@aAlBuHZ}@zCuBhBkCgBCk@dAoCz@GhAeAvAoAiAmB~Ao@o@qC_@e@e@e@TsA_@SZ_@YWV]eAaAAm@`@g@c@OfA_BFoDwA_@TmCSaBqBiB_@MgAi@BgAuCeAyF}BSd@kBc@O?_CXs@x@Qf@cCW}BjCUp@s@BcAlAGPaBzAC\\cAt@^P_ARZtBIMiAXNF_Cb@EiAaB\\o@m@Qn@qBu@w@[`@[s@}@Hg@m@RaBg@i@Dg@m@UVUq@gBw@QmBZa@jAgAZJZ[LIWkBx@mBk@k@kA}@Jy@u@yAAOi@{@UaAb@W[oAL?k@cAWcA_B{@b@aBw@o@BeCaDa@NiAm@k@`@uBuCiEi@?mfAe{@?W`@k@s@y@fAu@G\\vBq@\\FlBo@pA?pB_AbBSpBk@x@mAB[tAcBBNjB}AXWfAeBXUjA}ARHb@kBv@Yt@f@dBq@\\Fz@c@FCn@cBWSo@u@Io@b@j@PIpCyATeGmAsAj@cAi@uBf@eFe@_@b@PzAyArAN^mAr@Ct@y@TeAa@mBHmCpAa@Qs@vA[]yCbAiH?}DOm@o@yAYc@\\}BKuAcAP[g@TUUEXKi@uBNYaAa@XqDwBk@JQ{@eBb@]S?z@uAc@@[U`@Uq@Y@c@|@{@PUz@qAk@i@mDu@YcBeD_AGk@^o@]c@gA\\?g@e@R[i@@Cg@gC^a@_@VQ{@KGgAi@UcAz@RlA_AI?b@a@ETXk@Km@`@a@fA}BgA]fCcAxAiBNeA{@?j@a@@mBiBeASoCxFc@@d@`@I`BeAZZ@Kj@d@ToAt@SdAz@B_@|@DdCw@MFj@a@B~@z@_@tAmBGNi@oAYWiBmAHeBcBa@ZsBc@g@XuBq@sKmA_@Lw@hC}@b@An@sBVaBbAb@`BgA`@Id@rAzBCf@p@XOdEn@JPn@m@P?zC\\VuAvETnC`@^NiBrAs@pAA?_@tBDZcA|@LXk@~BKTn@|@XLv@`ADxDvDLpBxAzAWbBfB`@Lv@lC[Dl@hA@Bv@t@VM|DtAfBeBnCErEz@?fA{ATbAt@NVr@]vCPd@_@L`AdCdCVf@g@dCdBRz@c@h@l@`Aq@v@d@jBm@Jb@zAh@K?`Av@d@fAIHn@c@r@n@RGzAlATwA|Ae@Bx@tAIvA`ADJxAr@K`@bAmAhBw@|DLhA}@n@YfA@rCZLLa@`@TB|Br@CDt@z@F?a@jAODx@j@G@d@{@`AX|Gp@`@bAq@jAlArAJdAaAj@b@~@yAnAf@r@]bBDLz@yA`ASnArBbBH~@jANl@r@AhAcBfAq@|A}A[aB|@g@t@KhDk@n@e@FIYk@ZmAa@GlDuBnDd@pBr@EEq@x@MdBhAg@pAhAL_C`EWS_ClBn@E|Av@ErCu@XLvAe@bBj@xAUp@hC`Bu@RIf@gCl@Dv@uGrDZnAiClFhAd@g@l@VtAQpAv@b@q@dAL\\l@?StAd@bAa@dCoAFiBjCeCt@[lB"],"Pacific/Fiji":["pte@~p~Ir~@sw@zMgAzDuAzBkD^oCiBmL{CkDmCs@{Q{Ags@e[{Ci@gy@pFsa@aGsXf@{Ch@wo@zWcXvQ}e@rKaCdA_BpBwHbP}Mjc@_@jC@hA","hmi@ktsI|C[fCyA|AqC^eD]kDuAkCeCaB{Ca@cDb@_CxAyAlC_@~C\\jDpAjCbC`B","tr`@{`xIn_@oGb|@ai@~`@sQbB_BbC{El@cIX}_BtW_UekG?f@fCn[ry@|G|c@rFhV~Tds@xWl[bE~A","dmWsdxI`EeAjCkDfAiGZ}HS{BeAgCwBgBsDu@kGz@aDfCgAdCq@rKr@dEjCbEpBnA"],"Asia/Seoul":["k`iAi|qFjCkA`EI~Ay@`EcGz@iD@wFw@sEcA_BsBoA_D|EqM`@cBpL?xN","yraAgyrFrEi@zByAxCiFfI_`AlFk@zIvHxBd@pCCrHkE|F{BrCqFLaFmAwEcC_CGuMs@oCgBcCi@{CaBgDaG{EqIoDwCGmBj@iDtDy@zE_BxCcCih@w@eH}@wB}MoLwLar@mIl@g`@yVwDyDDmKmBm@gBkCgE_B{B{BcHgBaDPeLkCoBAeEcBaD@qD`AsAdAeDjGcA{@oCm@_Fg@kD^kCcAcFSgIvBwFScBL_DfByCCsMjIqDnD_ADyHtDgFlGuR~O{EvAkQpIDpQh@`B~CGxCz@j@jAzAdAUXjApAKdApAvBo@fJt@vByAlAXZXfEU|D`AfCgApFn@hDg@rBv@rDQd@fEdHlBlAj@e@fAnDxBh@hAjA~A`EEdBlFg@`@p@pADb@nDcD`If@nFMnB^nAdCT|@r@jAdHeAnOl@lBRbJ`AtDrFyArD}DvAuH]_HrE~EpFnATzCjBrCpBvApUfLrE`@dEeBz\\wXrLiDlFWfMnCnf@xp@hDnA","mghAg|}F`Eu@dCkBfCkGr@}G_AkHcDkFuE_CwCUaCl@mDzDuA~EM|Ep@nGfB`GpCpC","qvgAu``G|Cg@bCoBtAgD^cE_@cEuAaDcCoB{Cg@{Cf@_ChB_BdDc@hEVtD~AvD`ChB"],"Africa/Tunis":["afaAcuMfCo@lAh@|A}Bn@l@fA_ArAH~LaHbBF~A_@Dy@nGkBDsChDeLbB@zFeGfEwC`ScAtOuZzG}OpsBo]}FyTcFeEkA}BgKiH}JiDcHx@cBe@}@v@aCFaErBeKjCmD{CsE_CiC{EPeDk@{@Xw@sGwEiAj@a@q@w@Fa@o@R_C{@qCoDcCe@?}DoIaLo_@{A{A_CI{B~As@|AaBt@oA_@{LCgC_AwD@qDeAkJkE{@zE_EnJ}GbAoCzAsEW{Db@kCbB}ArCiZaFsBcOsCiJsBqBsH_EeEY_Cr@_EpEmEpC_BlCuDtKkCxAwAxBiBq@gCOyJrBeEm@aEnAqB~B_AbDMvDr@lESzDaClB{D|AaCYuBiJ}B_EwPeJmDwF}B_BqBm@sCIsGrBwCXkDxBsCrFyBxNyAd^iEbByAzBu@xCBzFfAxD{@dJHdHvAbIQtCVhDfBtE@z@}Dq@kEf@yBdBwAvCc@hDL~D`A~CtCpEjBdBzBr@vE_@tDyDhAwGdBnCnC~Bt@zGdM}B^l@zAJBkAl@]nBpEMpDf@jBT@@eAdBo@dAhAvABG|@bDzFtArGbA_@\\mA^mF[u@bAmB|BbAvA]nAhB`Aa@rB~AfA_ApAMXp@tAn@nDJ\\v@z@L?_@h@b@Na@fHLxBwD~GGlAq@f@@F|@`BhAL[dA`@pB@dAk@dAuCHgCxBjBdBl@x@tArDpAxB@t@jCfEmAdBBp@[Vw@@v@nA|@Fn@b@?\\oAl@nA`@QTlA\\LTc@FfBnAh@j@`AG`ArBnCTrBt@f@\\vCvCVnF~AjArC{@lCjD`BzAjCjBu@"],"Europe/Kirov":["ystBojyAz@yCpAZH_AZJ\\q@j@p@FaHp@qD^UDu@m@u@l@YKwCJg@`@PFu@a@?HiB_@NMeCq@Nk@kAEcFnU`FZmM|VnE^mKzDt@XaAf@lAp@JdC}HGeDi@w@~@LRjAl@ShAwEr@p@pBaCp@H~@iBj@dHaAfHJfBhBvA`@y@Nb@j@CL{Bb@Lv@|EW|D^CNfArAZEjBdEQNtGl@fBb@jIa@UCZdA`Bd@M|ArBv@qAAZzBJHnHd@|@x@??w@U?Ra@l@h@In@tATn@w@|AEvAvCjB`@~Bq@bBuDYyAy@e@`@gDh@{r@x@Bz@gP\\wAj@Eb@_AZ@f@nHZSbB~BRiAvAKfBlCfAk@p@nAj@g@LVh@OAlA~BXKrEeAJNhBYj@pC~OM`Di@lATnAa@xEfBi@C{@p@c@nAjGp@i@k@a@I{Ap@M`@b@r@zCv@_At@EI_D|@WfAXBwBxAd@IrBf@|@bAq@Hy@J`Af@Db@aBfAd@RrA~@JFsARHd@h@HtA\\KLn@l@mGcAmBJ_@f@VNWq@qBBq@\\CDwE`AqBJ`AxAEXj@x@aBu@uA`@eCaA_BuAqF|@qCe@d@{@qBo@A?mBcA_@cAoDQh@DcEu@lAYg@PiAnAcAHwBf@Yq@SD}@x@Ig@uAo@NNyBUi@^gAMeAk@a@F}Ay@Cu@jCGoCk@kAi@n@YKJ}Ao@Cc@cBDwAx@TNsB^D}AiG]Ij@eEe@g@?qGD]t@Tn@cBb@|@ZeFsAkBg@f@w@QOd@SoC]TAg@Y|AiC?K}CYAcAsDn@EXiAh@LHt@h@OPXLa@HZZe@z@f@XpAjAi@a@_Br@fAN{Aj@Tp@{@fASBcD`@MFoBZBe@oAi@t@H{@c@eAXa@WeEi@c@V_B\\BM}ATh@t@y@LVx@aB~@i@f@nBZKLkAp@TV{@WmEz@kDY_CZBl@eBHl@|@FFyBxBNRh@zBZ@dA|@sB^DLgC{Ao@CeBn@c@GqBYc@}@N@iAbCiDPd@n@BWmAo@EBmAtBhBtA_Ev@xAnCuB\\o@WgCnBvBKgAp@iA^}DaA}C{BhDTcDr@wB`@z@|AcA?q@`ACbAdD`@iAv@MO{FbB`@j@cDd@Ro@oCZ}ClAS?iCl@aAU}@k@KaAmDeADCXw@Y[sBg@jBPfBb@ZGx@s@mAqB]Cr@_@EIfAWAAhBZLuAc@@r@c@c@W|@sAcAK~E_@CcAdBaAOAb@cAiAY`@{F_Ab@iLiBW}AZ_AwDuAUW{Aa@x@[q@IvAq@\\`@j@S|BKw@k@SMlDk@K}@rAm@IE`Ae@GGbCo@y@a@r@aBs@KfBuB[EhAmAOAlBeGmAeCCc@gBP[c@qIL{Jc@eAiBC`@gCm@yBiAUFiCs@UP|AkAoBqBQ]c@]`@Oc@E`@qAoDcA|@{@G]vEYu@[X_@a@u@r@k@qBsB]Mw@o@vBDdBc@NcAgA_D~Bb@x@]fCs@KmAqBcAh@gAaE}@Tc@[Et@e@OI`@WgC}C{EgAmLr@iF|@m@lAu_@yGcBVkKo@OFyBdAZJcAbBd@LmDtAbA`@_Iy@yBa@To@aDRuDp@FmBy@d@Oa@M`@uH}EhBiAdAkB}BcAv@aA_B}@}Fe@a@W\\SUcAbEs@p@eAFsCzAcBaAe@_D_AOi@y@Un@c@BHxBoCvDz@rAbAoAk@pIUEHbHuB`D_GpEo@DoEmGaN}D\\eHwBcAiOmBmEtB_FzJC`@hC~AFzZcAf]sFpVz@vDnDfFpEvD~GlLr@fDk@~AoBx@mBdL`@dGxEnGTlAr@?l@rAO~DfAhOGlC`A`FrBf@}@lPv@`@v@WtAeEj@tEDlFrIxBJsCdFnADiAjHfBS~Al@nAe@|Kc@SYt@o@s@qFqA_@dMcBa@KRSnG]Ga@hCr@jBApBgJ{Ba@|Nm@nA\\Jg@jPuRl@Q^iEV}Bg@uFsPeAU_BpETFS`Hi@_AEkC_BpG_Aq@Yn@eA_CyPxGsAh[{ETw@tBPxBc@|AIzFg@`@StAZhFTD}@bQlAT|@WdAvDb@DJc@fLfDFbBXaA`@lAj@y@ZxA^C\\cBnA`@b@k@P^BiAT@MtBh@t@`@zCp@k@dALh@hBd@gAb@xD|@f@LiD`AbBv@k@|BhBy@|Ff@zHs@zBJp@`@JOjE","csuB}qdBFCFc@DBFGHm@_@P"],"America/Coyhaique":["~g~A|nsC@y[m@uFqAsD`@}D}CqIyCoFjAcCh@aMbCwFk@gCGwEPyCbAiBy@yDPeDj@_BQ{Bz]mr@_ACiB_DuB}@Gs@s@PM_AeATa@iAeAWQg@VuBd@[FkByBaBUcB}@O@aBeCsEkG@eJdBGeBfAaAG{B_CeCa@bAa@As@uBe@x@i@FVmE[iAu@[oDrDmB?e@a@sBlBw@JHlB[v@{Bq@cAJOrCk@x@iAG}@}AqBQ_@v@mBv@`@qAi@a@No@qAN]eA{@JCk@o@_@@iAyAgAe@b@wBgAoBdBSaBoAaBT}Ai@eAcC_AReDyAcByAb@eA[a@b@~@uHe@|@I]s@P_@mA_ARo@f@}@tCs@gBmAo@c@~AQQSZAr@iCXgAoAaAFg@p@a@_B?qCaAiCeA}@uAwDaBAe@^wDNkJlDmC}@aDtB?tCs@`@UULdAo@Z{@sDVoAy@aAEgAsCcCaAGGw@_@K_DzAiA|EmAw@e@h@]Q{@d@o@x@o@y@{@n@o@o@k@N@c@w@{@e@G@fA_Ac@YwB]GPsFy@uDyB`CM[aAPQmCVg@w@TgAgEiAy@s@z@w@a@iCvD[M[hCgAHIdA_Ak@oAhB_Aa@i@d@e@hJ_AVZp@g@fAPjAx@r@[F?zAo@b@?v@a@FArBs@x@Wo@o@p@eAmAq@|Am@SA{Ax@a@?uAb@{@w@[p@}BMgAg@Pm@qAb@_BG_Bl@o@OeCw@[]aEd@gBdAmAl@kEOw@gC{Bo@Xy@e@yAlAMi@sAYIoEkBI_AnCw@eAaAtACbBe@f@LtEk@Fc@`An@nIUfDV`@y@xBh@n@^rCg@Q_BdAe@kBsAj@a@IKt@Oo@w@BYw@Cf@k@CcA`ByABAiC}AwAUlBwA|@cAJk@i@u@xBTjAYbCf@_@h@n@AbA{@v@v@|@a@PIfAuAmAm@hAd@dCsBZB`DgAkAe@zBk@w@y@bAmBj@VnCnAf@JhBjAHl@l@sAxEHpAb@N[dAJdCe@FS`AmBcAWp@y@AM`@Dd@fEx@FrAcAV[r@tAfHsHbv@j@|F~DjLtEb`@?nQzg@{AlJhQ`D|C|Cv@zp@aNfy@le@xJpBpEBrBg@rFsDnC}Dtc@KxWxP"],"Asia/Damascus":["_odA}gdArCc@~EeCdDoF|DStChArMjAfEQxFmBn@}CxBkDaAsGa@Wn@uA]{DZmHYm@sASQo@Pi@j@Jx@cAIaDxAX_@~Az@Jf@a@bA|Ch@@GaFjA[~B{EfAtA`BaATmAvAd@fASp@aA\\z@fBv@dAnBjAL\\fEdGpFlAsA@sA|As@CjCq@lCp@hBm@vAdAvBEp@dB`AFt@jBrA|@?jA`AFkAj@U~@yClA~@h@nD|AMvCpFpAZv@nAd@oAnAfA~@kArACRi@p@KlBt@TcApFg@fAo@lBvAzBXdD`DUmAf@IPcAJgEpB{@JuBjBCdAwAlBQ]uFdAOG}@nFaItA}Pj@aA@iFcCmD}A{DQqBwFcG[_BPuEy@c@]yA}E_EwAwLcDoBqPw_@kAsAe@eCir@cbBoR_f@eDcT_OaHwFoEyUb@gFUyF{AcAReCWwGcFuLXoL`FaRkA}HwE_C}XmFcIcUkW_@IWl@qAEmBbA{@w@eC~BTl@QnB_Ai@M`@|EnFr@jBjB`NZzHfAjFCtNb@`BaAnBiAnNR`C\\Ze@n@AzA`@VLpBtCjIXfFhBrBfDvIj@rFx@|@jCbLnD~d@sA~JDpPqGtJqB~Hk@lHvBhKjAr@LzCjCzH?xFtC`IrAn@kAzJIdCf@hBk@h@HdAjAh@}@bCq@H}@aA]TEpAs@?}BrSt@InBrBlA_@zAhBtC]hE|Af@c@xAIt@e@Ai@f@R^i@Ld@p@Ig@q@Jy@pAFHkA^ZbAs@VvC`@Du@pFvAlAw@jCNXn@c@r@dAh@o@x@d@dAg@jCZn@fAg@`BhBGNf@]r@l@zBnBb@nBGh@f@kBjAi@fFmAe@g@Vb@dD_FlMXv@|DxDlC`@fC[rGfD"],"Asia/Oral":["ar}AyxyA~AqHK_AhAkCjEk[vAqf@~Cwb@jAw[`FsYx@wIoAnAmBTk@}Rs@mBNiJkKaOmOaj@uAuC}AQkBiANmCmAuHCuSlAiLbB]P~@p@f@j@Gp@_Q}@kCjDoNc@aJ{Cn@qI{CV_AUqCwML`@wCiCsA|@cZeAoHSSiAhAkGaNyADoGeAkB{@Y`C_BVf@oEkAw@u@XGeBm@wA\\iIg@{Bt@_L{AiE{A|BEgC}BoAEuEaDfAgD_CmEoAw@R{@tCgAx@@`AmFWaCj@eAvBeDgEWJeBsAeBaCcBdEkBfByHwBgBmBq@TFbC}@RAvCq@fBLn@oADM^Ac@c@zDi@Sk@|Ag@UCq@cA`A\\b@WXSk@s@LuAxEUe@YbDu@pAXlAi@RNzBk@VTxBm@bAJd@]BTp@[Vi@[UpAeA`AmA_Ae@~@E_As@Am@zBa@EBpCW^UM^bBwARS`ABnBg@Zv@`B{@h@PfBUp@]e@KV`@\\Gv@l@i@VLArBa@v@`AdC[~@^MKbAZ]LPs@XCf@]Oh@j@[\\^^YB]y@VrA]d@f@H_@PBfA[KVh@g@Fr@TMl@^Y@l@SSCVZHLxAf@]cA`Av@ZOp@\\M?hA]WMTp@r@[p@Yi@UJ]zAgAGaDtBa@bAuA~@yDp@RlAl@]d@~DWJDdBxALz@hD_@\\LvC_@AP|Gl@GXhAbAjAVYPv@jDuA~AzHs@r@{@u@cA`@Jt@c@Pv@|A`@Qh@nCRzBY`HwA@LjAkAN?wG{C??vCwA~@b@~CUfAVnCi@zA^lASpEqCl@e@lErB?bCaC?f@~B@RhG}@mBi@@C`Ec@T@nAlBCSfAVXzC?jAc@LrBjA@?xFn@_Aj@bC`BeAfB~FjAzMrA~DzDlGNzPu@dAfAp@?hApAEzBpBr@iC|CiA`Aj@~BpQlEhFjDbK[lFgBrDz@dAr@uCv@c@bBH|OqCfB{BdA]nCxANkDrB{@Zm@`ExHjDnQbAPeAzAPpA{AlA\\bBSjAaAKaEhEwADqB`AuAlDmEnCgChFc@OQ`CkAd@{@~CYUAj@[VWQFf@UMQn@DlCpAhCdDbCHdCl@`AbAVhAoAzAzCnAyBrBeA|HrIlCnPvLxAhAh@tOlBvEkLbCmBxCj@zBpBxA|C|@bF"],"America/Montevideo":["`r`A|fqBlGwBfKUrF}C~Ew@`HaMfHoHtEIhF`@fFeYfDoKvRySUuPx[ct@hHcI_b@_o@LgE[uBcBqD_BmAwCq@u@_GwAyBqE{Ni@gHyO}XuCsDmC{@ePoJqIaDqCEuAiB{F`KGtByAPIxD_To@oKRgEsCmFoK_@`Ce@]aByEsBmAGwB}ASaE~EY|Au@\\`@pAeB|CT|@k@f@JVaD|@HzBiApBkB|@[|@cAWcAn@e@[mAdAgB\\Mb@{ALA`@UQs@b@e@e@qAvEq@f@y@EKrAy@h@U~AiAPm@|BnAjBMXgPfUmAT[[qD|Bw@tBs@TChD{@`Db@fDaCbBFlBq@KIp@e@M]r@cBv@Dp@zBp@?`@iAtCq@f@QlCmBRW~@a@UYf@k@?U`BuAYi@`Aw@Sg@n@A`BsBb@WxAm@BcArBsB|@|@`D|A_@tAn@UrBfAFb@xAb@F?dAv@b@Bp@~@x@SXf@fA[zAP~@qGFaEm@{Bz@UnAw@JRh@q@b@?p@c@?Qb@i@YiBvA_@SO~AaA^Tr@m@ECn@oAPT|@oAbAPr@{@n@i@Qs@nBWOs@^Xx@kAx@Av@{AKJ^{@d@TtAcAOOx@W_@u@vA_@k@QfAT\\y@NYnCgADm@t@c@fCt@|@a@VSvCf@bBKn@]AfAn@Mp@h@SJn@pBjAfAYlBzB?~@k@Rt@p@gAx@t@nASf@z@d@Ev@o@GW`BBl@h@XEl@u@rA_BIi@zAD|A|BmAjDv@nIjNzCCz@mAtAIbAcA`IQxB~@SvBZl@|EkB`AL`CdBlDIrBn@xAtArA^v@a@bCjE`AGtAsC~Am@dJpB|B`B|@nEb@^dGiCtBHz@n@fC^fEeDtA?fAj@lAzBhDh@lCc@hAs@fIUfD}@nEGjAw@rAEtCvDfBdKdB`AnBJvAg@bDpA~IV","bo_A`ppBCUHHEI_@O[AKJPNb@B","~n_AdopBU]JFk@_@kA@MTh@Tb@BXI"],"Africa/Kampala":["biAiwx@fAgAjIb@ImDuAgB`AeC_Cw@fBiAIk@dCCtB{@cA_DeAs@b@_A{@Bk@i@HcBi@Kc@qAmC?BqAmDaDwA]YkAiCMBwCc@g@x@_D]oBHaCeBcB{@cC\\eA?ybE{`@FgSmB{MpCsIcG}A_@u@uAaAQqCf@y@}@oAFwBk@i@aBk@Y]{CmAAc@eA_CA{AeE_AAi@_AuCaA{Fe@oAm@DiBeBGy@kCy@i@]yF{AgAqABmBrAe@g@{@XuAcBmCg@aB_DmD}A}DQuK?m@\\_YlCmCoAwAh@Af@wCd@j@r@iDhCsAn@sD?eClAm@bA\\RIlAmAZc@nAkIt@{Ar@GdBqAlAaIr@w@x@_D_@qAv@?gAq@u@qHUm@rBsAnABbAj@l@qCzB^tCu@c@WfAq@u@@{AcBRf@~Fo@E_@y@wB]aBtCc@@i@_AoCpAm@_@sDzCb]x\\u@vSeFlHzC|F~AhJj@`R`HrLlAk@pB`@u@fFw@A_AbAf@|DoD?yFnDoApBD`@j@GzAhChAd@pAjGjAvBK^aAMoFxLJvFlB|BGdAf@Jr@hAYf@^|@hKrEC`@b@g@q@w@EyApEHvB`Br@IPb@p@Fb@`AbKvA`@r@x@Wf@wApAcAbA@lCaAdD|@n@fAbHxAb@v@vCWpBj@`AWe@u@VmBtA[fBqBI}@qBYUcAxBuDdAWJ^lAmBa@_@Hu@a@eAnC?~BmEpA?bt@fn@?z@p@j@dADb@nE[|@fBn@Al@k@f@Rn@hAbAf@QfBl@fCMIZ^IG`@ZAMX^IF\\bCp@ObB~AfFfCr@`A]rEl@bDu@pABbGtEhL`BPjBrDjBxCSp@e@X\\l[|ArAN\\h@l@[l@b@t@[~CjAdKWJnBtCg@@\\dHRr@S"],"Asia/Vientiane":["iwf@gnbEtDQ^g@HmBg@YaAXe@gBiC{@]k@BsB~AyA~DmAp@mAv@AdBiBLi@_Aq@Ns@pGt@tDfAhAGjAl@^|ArBVPl@x@TzAsAbAb@T_@dAGb@eAxB@p@}@n@gCUc@kASQuAxAsEp@YkDqDyBaA\\_DSyBpBqD[{APy@w@Q@iAfAwAbEj@ElBpAGbAv@~Ae@Dm@j@Yf@\\rCaAbB\\nBWtCgEzAh@@r@j@`@pACdB`BrAO\\Tl@_@xCdAtAaB`C|AVvAdBAlA|CtAThAlAxB}@nAaEzAbA`@]d@d@pAi@Hw@pD~@rBm@bCzB`BHvBbErBYV`AhAOj@z@z@{@`AC~FpAZoBxAkADqAXP^_@XeBq@EKe@s@NWmB{By@mAiB[HOmAmAgAPw@y@i@[~@D_B_AeAhAQiB}@MgBiAl@aBo@h@c@yAo@c@uEsF_AaAq@LuA~@gBE}@kCgBcBgC}Ac@i@kA\\_DnBm@lDgE^yBxBgDx@wIxASdCn@nA{D_@]q@h@s@Uo@kCmAu@kAkCcAeEbAaCUm@gBiAqDAeBiCaDa@}AeG_@Be@rAo@PoCcC_@cEp@eBCaCj@eDxBuDHoFjBoA{AmCMwAjFoDnEwAdFwEzGcCdAwCtIiFdGwMzFwDjMCxHnCdIy@|Ah@bEs@~Fz@tASvCgEpE{A\\kApDmDhBDnDeAhBgIjA}Kh@ML~AzBdAnFgBXs@dAc@Ny@i@iAd@eBt@{ArBcAdERjB~@dASjBZj@v@XdCfAr@x@w@O}CZSvAKd@dB|AzAzAn@P_@d@d@|@Y\\eAj@B?sAp@N`@q@l@Ej@aBdApAUz@r@N|AeAF|@dAUf@l@Eb@n@N`@[x@Vj@cAFt@|@H`@Yt@R~@o@TVdBIj@Pz@xArDfBYf@`Al@VxA[d@vApAOz@v@l@Qh@z@@lAeAbEeAXyAxBcB?gDuBkEl@y@W?Hk@d@QIa@bAUm@[`AyAk@k@p@uBxBOxDkFf@cKaDDw@cCuAg@_BdCwCTUbB}@n@cDT[v@_BGt@u@MkA\\[w@CUk@d@c@]q@h@oAi@a@J[aAg@qD_@~A}BUyDiA{@eABRoAsAZkAaDfCs@p@JOgA~B{@^}EjEoBbAeBs@a@Fy@g@?d@qCyAQHe@sAg@e@{@aAHl@gAbAa@{@qBLYw@{@yAYR{@[i@cBE@]}Am@DqAxAgAN{CiDU}@kBcAMOaA}@DA`Aw@e@uAdA_DiDe@LuBjEoB\\uAoCj@wAm@S?w@iAn@c@q@u@\\a@e@{AvAcAcBqBb@_Ag@_@p@_BZ_Aw@Kf@t@vAg@nAsBJKfAi@PHlDwC`@Kj@YUq@Re@bCs@ZaBYe@v@c@?JfAyAa@sAd@gCoGFcBmGkC[f@cA[]NFpAh@XUh@d@vAcDlCMhCo@dA{AZsAWmBfCNhFeBLeAbCiA?Ct@m@_@o@TiAYy@t@O~@hDx@UHLr@fAAh@~@w@HZPu@bBkCx@kAs@o@JSf@Vd@q@^Jr@i@Ic@p@kB\\uI?}@hAs@KGw@aDCdAdAUtAc@TJh@sBjAs@[mBvBaCz@Qj@s@{@Ir@QS}AZ?x@z@Ch@t@aCnE{RvPaB~CL|@wCh@cBjBkAMwAtCgFgAi@|BkCRB|@cAHQx@q@MmAVVXm@KGdBbBbA_@p@P^oA~A_CQAd@z@Re@@?vAqAVy@tByBAEbA}@T@d@w@`@wDUm@q@y@Hm@q@P}@eAM}AxB_@Q[VNbD_@QOlA_@ARbDeADa@p@b@jBu@lFeAr@AdAcB`B]`BiDdBH`@o@v@d@fAoCbB}@lDy@n@AjCkAIKp@eAd@MfBe@^PRaA~@\\hCoCjDClAc@O_AiCqAo@w@uCPc@iAJyAw@Pa@WWg@d@_BGcB|A}BSh@iCSi@q@IPYg@yBTeCTc@d@@q@w@Y_C|@[b@}BpAiAH}@s@cBZcAaAGw@s@g@Pg@m@_AkAJaAu@Me@oCaB[QZc@[mBJsAuB_B]}CwC}@vBaAL`@`CoBlDElBqApEoFEsAcCEgAyAlBm@FZfAlA^P`Df@Fn@`BStBo@To@U_@lA}AUCaAsBkEaBc@MyBu@y@kAMEvAwAhAd@`AWr@mBZaAhAPd@cCdEq@IsArAJp@d@PYb@k@Em@fBNtBy@p@t@jBdABXd@UjBf@z@S~AvA|AIlA\\Vr@Mh@v@lBS^rBfBYTRJhBgA\\yAbCSvDqCtA~@r@RdBkBfE\\h@U~@mABw@n@_@xAf@fBcI~CWbCoDz@MdA}BQw@~ATnAc@^gAwAIyAaD@kC{A?d@r@d@@dA}Aa@Ci@q@KeD}CaCVaASWVq@Uo@\\tA~Di@j@mFFGb@h@l@rD]lCxCPrC{Cz@wBa@aC`@g@bAsAC}AdEgAt@u@_AwAzCuAJWbBg@@c@p@@n@sAj@DbA}@JG`AuAJk@nB}@c@[v@i@E_C~Am@xCx@xBUjClABd@b@_AtBeCj@w@hBfAlBE`AnBNL`@lAm@\\t@n@QtBv@ArBbAb@lDmBPR^WBz@ZBnEuBpA~@`@iBj@][{@rAFp@qAz@Gn@yAdCr@Lb@h@ITk@~C]Qo@f@ILk@tAz@KjBfBQZg@dAxAlAi@xCZTZ|B}@@oA`A[H_AxAHJbBpBr@B|AGd@k@EcAx@r@tC]RkAw@s@dCz@fECxB`BrEq@dAc@CQz@aCaAaA`C{CvAa@gBcBDs@_AS^eBEEvBlA[~BnCJ~@hCtBCt@jAjDfBpB[pEnGt@|An@p@x@rAN`ApAHbBhAGp@p@fC^n@eAw@yD`@WpBzCPxCc@tCJlBpAdAdArCfF~CpKnBv@I"],"America/Porto_Velho":["rdRrnaC~CmJJ{Ao@e@FeCa@[Xq@]e@bAQI_@KVq@g@ByAu@WO_AZ{@[CDw@g@e@j@_AWa@c@Ni@uACaB~@Sq@KKa@BaAv@[c@i@\\g@Mc@WVe@Oe@_B\\_@_@c@\\o@v@DkAaC^Xf@e@uBo@p@Bn@y@o@_@QuA`@GBx@nA@Hi@aAe@Zu@j@JU[~@OYu@b@EDgAeAFQs@i@OH}@oB?Ac@e@J[sAu@C|@mCfFkBv@aAnCnA`BLfAYxBLfAs@dCH`Bc@lDfAjCbCzBMfB|Af@c@v@PrAk@~BLVkA|@i@hDGVj@d@BtCwD`DC|@m@zAdBdAm@n@Hp@vBp@d@vAOC{@ZUh@zAdBAnA[VkB`@rA|Ho@`A_EvCj@rB[|AlAzAyCaAN]mEdDw@tCZl@uAhASfAj@P_@l@P?_An@q@q@}@bAy@]_DxAw@dA`Ab@AT_@iAy@PeA`BNZWWc@_BGQy@VOzAd@`AShA}DIiA|@k@_@qA`Cg@lC^r@iBtBaBVaFtAA}A{Bb@eAKk@~AOkAaAx@Qk@{@b@YSm@p@c@B_Aa@Wv@}As@_BqBW^mBcAaBf@uDpBsGxBgBCeC~@STZDy@`BkAl@yCLyBu@TG_BeAId@w@y@In@YBq@[MNk@l@Sp@\\HiAlAd@^eAhCgAr@B@s@j@S[c@ZWg@c@`@cAfBk@^y@n@H[g@Lm@n@DtAu@Rk@i@S\\_@Q}@mAgBp@D?i@r@A?}@T\\`@IlAsEIg@g@EHm@n@?Ik@|Ai@_@_@j@KBgBX@SWXOc@Ml@qAWD?_Ay@EKu@tAk@oAs@`B_@[e@P]jECn@yAZDS]n@@`@k@Ag@z@GMa@f@m@^Yh@P@_Ar@m@Kc@hCYpAu@a@{@^sAi@Up@[k@INm@w@gAb@kC{@}A|@KfAsE]{Bc@Sc@mDq@Ox@i@QcA~@i@J{@{@Ur@aAWq@Ve@mAOd@sAUe@M^QQ\\kBPh@d@WCZp@G_@kA`@a@S}@l@BlB}AnAmEn@OLoBa@Fc@}@yAUY}@s@QUaCoBkBg@sC_AgBuG]uByAyCi@}@iAeC\\iBgCoBu@WoCkCgAmEk@iB^w@e@cAP}C{B?k@b@Oq@kAaBmAgAB}@mBwAA{Am@gAyAcEjFuBb@iCUqD|Ci@Ya@Xi@QS^}ACe@t@BbBoB~AoAYKXaDXuFMEg@_AGWaAeA}@[Hm@{A{@SMcAeAi@uC?u@lA}Bp@q@?e@i@cA`Aa@_@o@F^rAYVLt@u@b@XX]zBd@pAe@zC{@FOb@r@bAQZdA@_@vAcBj@A~@o@Qy@l@EbcAMg@{@U{DJ}Ak@[NW_@\\k@yB\\i@_@]r@}@a@oANoDm@kBZeCe@}@fAmBd@u@hAKQuC`Aw@s@q@Re@pAyDc@k@w@cBq@q@NwC_AyBRM\\k@MQl@_Bc@i@xAs@gC_AAaAy@[r@aAOiBb@YhAYo@y@fB]FqA_A_@T]Q}@vBLXgDYHZ[LaAsBHeBeBGwBdAmA?kH{Bq@q@kBtAyAVm@dDqCp@]rCe@NLv@hB`A_@zBlCp@bBAn@jBBlC}CzABzD{Bz@k@Km@l@_@MeAdAMo@}AV[`DXf@bB?iAfBmA_@}AVm@x@kEAe@dCaA`AvAxBq@p@sCRmBxD{@Hs@t@w@YgBd@_BdBg@bCaBrB?bn@jB@fBxAnADxCxCbBo@nCbBVb@wA~ClAnAD`ApB@~@`A\\cA`@EdA`AnDaBbAh@m@nAvE`Bj@MIlA`@v@Uz@r@b@zB[jAx@zE]lArDFzC_@\\{A_@IX~AvF@lEjAxBAvBu@v@`AlBeAjAN|AbBlBAl@bDl@|Dg@fA^hAt@VhAjAJ`@`ArAZLlAl@J\\xAg@tAsAWSj@{@OuBf@w@lA~CrGk@zBhDR`Ck@M`A\\p@s@XcAtDhAbD`BBtBrAIt@~@pAo@t@_ALBl@_@Ay@bAE~@mCpBWpB`@`AQ~Bp@bBIhCe@p@Bj@f@KHl@a@VJnBe@bA\\JbAq@vABjElE~@JnAhDQl@tDfFEbBjAJ"],"Pacific/Guadalcanal":["`mMmjnHdFw@|DmCjt@m{@pZqt@xDgTh@cKju@_qBtDwF`BoO~l@mwAbD{EfFwKfH{l@cAuF{CqCkGy@oE\\ifAh^ycAf|@ol@tUkBlAkAjBo@tD{E`bBsGrGmFfImJfd@oh@bwAeBvGs@hG`AnNvGlJvEGxJhF|ChM?fEdJvO","znIiouHlCSlCgAnGsHrCiU?iHgAoE}DwD_EcAgIZmD~AiVxT{BvIFnCfAhDdDjD|FbC","hdKsvuHtEq@jCgBrBiEXkCa@}CaC_EeC_ByFq@iEh@kDpB}AhDQtC\\lCjC`FxChB","f~TqrvHlCO~cAoSlUaN|UmQ|BaDn@mCCwCy@iCoDwDoB{@{BUwfAQcEp@iLdM}Zxk@w@fF^rEdCdD","`mOmu|HrCUjDqBfAuB\\aDYuF{AiDmCiByEg@iCb@wCzBwBxFSfDb@lChBnChCpA","xvRgfbIvn@yBnDwA~y@weAv@wBd@uFgAwHsB}DsB{AmCk@gJZ_uA~g@mBjAwE|E{FzPiBtYr@hDrCbDhCr@","vaRs{dIbCa@xEqCtEqEdCiGRgCq@sDaBwBwBcA_FQsDnAsInJoBlDYhEjA|D|C~B","``W}hhIfDc@xByAvAkC\\eDa@aDiBmDwBsAoEa@eEjAoBlB{@fCKlDl@jCjC~CrB~@","xuUyijIvD}@hBcBbAkCL}B]gCmB}CoBeA}D]kDv@iBtAyA|DAjCl@hC|BjCvBx@","dhV}~jI~DaArBkBt@iBTiDe@mCoAqBeBkA{Dm@yC^iCxAwA`Ca@lDZlC`BrCbD`B"],"America/Hermosillo":["i~}@xu_FdC{C~@\\tEaAhFPFe@t@Il@}@FgCvAu@FmBhB{A`CwFdUkAfkBc_BtSmNzTTrLkBhNgJvBj@lC@zBm@jByAvAyCZmDc@qD}AsCqCgBeDa@gDh@cChB}ByCzEkGjFeBjByApAeCnAwGdDuCjAk@tCvAfDHnCq@`CgBpAeCf@mCCyCq@sCbBcG`DoHV{EbDOdC_AnKPtBi@pBwAdB{ChAmGjCqCrAkCdBgKfAoCfBqArHoBdEwDtAaCpBsGNmCWkDVkBxAiBbCNdB_MaA}BjAmARmAsEmFXkC_As@^y@u@i@]^q@kA[PLfCSo@yBc@[iDy@kBLmBoB?cAaBqACQu@_AMG_@u@DRu@c@a@q@f@k@q@{FaCIuAi@~F_@f@aASPnAiFPm@rAuARe@@}CqCeHlCqCSy@xBcAt@_CPcCdA[|EoAp@kBeB]zAmDTyCrEeGpAcBUsCXJa@e@Vd@y@Ue@j@m@SYaAJ`Aq@\\{A]sAVmDYHI{A}@}BR}AsAIW_Ax@kBa@{@{@BPi@[i@oBfAeDQB^aBNyC`BwEFq@tBy@BWi@EbAkBh@q@|@sAWuGr@Y]Yh@aA_AuA|@R^mAPc@c@gAr@W_DqAW}H~AcAyDQn@eAXYo@u@h@Gc@yBZUiAmBpACeCU@MgB_@KwAJIzCy@`@a@y@sEj@wCk@yOX|@kCa@OkBjACrAeACsAx@e@eAy@SExBkBEeA^o@`B[?NdAkAbF_CQcBfBBx@wFc@}APFqGiE@AmFw@??fCc@k@k@jAy@BaAvCaAUo@{@CtAo@XXxAaAs@?}ByDyB?|oCsgAthFh@bAe@`ARjBrAE`BfAdBC"],"America/Havana":["uui@~ieDjCWbD_BzCsFfDe]o@iG_FgSbX{u@zAuM_Asl@uEgd@_Bq^`@sfAbR_MxH{Hf\\cn@bGoU`g@ca@`B}Bn@yCN{Fg@uPsAcNBiImBoOUwTq@oHn@gIKgHzC}SLoIo@oSuJqu@gAcCoFwFiBmA{Cs@gDBuCn@_FbEkTtb@iD|JqZxr@aHbg@yUnl@cL|KeO|XwGzJgIlQ_Pbh@mOdw@aPpa@k@|CoBhe@`ElbANdQpJx{@~DjXfOld@xDlFnFvM|N~OvFpBlOnJ","{xe@~|qCaC?mAqA?qEjE@"],"Asia/Omsk":["wapBklhCXq@_@k@Rk@\\n@Hk@z@IvBjAZgDbAC\\}C|GsAU}AZgAf@OjAFf@~BjAvAtA~HtA`BtAE|AmDBgHzAk@RpAb@JJuEWyAi@`@_A{BW@i@bCo@k@CqAc@Tm@m@YcBXOR}Cy@q@JqBr@|@@sDpBVLsAx@HAd@pByAt@aFrDgCnHgRfBaAfFmAV|EP]rCt@QvI|@S^j@KrCe@~@VjAOpEkAxANnBjALh@iEfEx@zBhETlJr@`CNmBs@k@nB_CNeBp@^`BgAD~D`BnFpAsAKqAl@QPb@zAoBKa@bAm@v@?CWvF|AtBrBEnSlBPv@cF[a@c@sHf@oCP~Cr@dB?dBU@d@|Df@kAdA|AtARtA_Ar@aD?aC^wAn@Ep@hAhC|AErEjD|FxCuB`AVVr@`A_IgAsCGaFZ[Nl@rDaDZyAhABvAaEVt@j@JA_@pAAT^TWLl@X}@tA\\lAjAfA_Cn@MZ\\dAe@|CeC?cFX@@{@b@@?kBzBBGxC`BzAfEE?}@hBB@}@hB@A|@tA@SpDYGAdFxBB@yCfCB\\\\DoBh@RHeA~@\\dAqBiB_EiAq@r@{JrBD]uF^KKoEqAwAqAfAcCo@l@kGB}A[]tA{F^PReBr@\\t@gD{BeAiAjGsB_AD]{@Ew@tBJbAUSw@d@N_I~BsEvAPF{AtBjA|A_LdAK]pCb@JMnBr@PHkAt@RHkA|A`@jB~AvAiF{CsBv@qIaBKyAnA@dHqCw@IgB]F^oLl@M?cI~A\\RaDRWvAH~@eLTBC_GcABjAqFU][`@kABGsDiA}Aq@r@FsCb@HKgChKvCe@|Mt@n@rAi@d@rEj@YrDbA@hCbACBk@nCjAxA{HjBbA`AuCiD}GmAYJeBwBi@JcDx@qCqC_Dh@uI~Bh@V}D_B_@ZaDd@PPiBfAd@LiAp@ZfAeEoFcEc@dCaEiAl@aJoDaAVqDgD_AHaKt@oC_H{O_AgFgAC{BbCyAqH`@iCq@uDqYCLcF{Bk@Mo@oBr@Eh@i@OMTE~Bv@CChBoGxAHv@_@N`@tC_DhAy@q@AtCVKWjFyCaBAu@wCfA@pBwBAElBi@Lg@qAq@p@}AMqA|AAr@iADKz@o@Oq@jDaBuEi@hAeB_IoARg@t@`@~BuA~CeAkBMyBwBvGo@[a@rAy@_@p@{FSuG_CBHf@wAhDkB{BiA{D{B_EWa@m@BIwFgAw@u@mBYFCgMaBkB`@sBOaBbAc@eAgIq@AeAjCcCxBl@lBWOm@j@Gr@Ei@o@`@gDCSd@IuBk@^Cz@USE`C`@JQ\\KSKx@t@~@QPZrAJYZXHrB]TiAa@m@P[_@SsEgEuCQcFyAZeAqHgFp@Yl@yBm@yB`CoLpCyD~AqG`FNhF}M~G?rH{Ns@oBRkJz]kDuIoGrJeF_SsFvObDzHj@?`@nAt@Ab@rEjBnGFSNf@XEJt@@SZd@L]^\\xAtIrEvMe@fcAhDfJ`CnCN~Bc@hg@mAzBaA\\y@fEhBp`@]zFn@jB@vBm@Jc@u@e@v@mL_Ao@oB_Ac@m@x@_@tEm@~@b@rAWT]_Ak@NEdAq@JHdE]dAYQI|CTn@~_@bWrAz@XSA|Bd@PHW","iamBuuiCI[|@uBTR","y}lBq`jC_@?@wCJRNB","ahlB{aiCl@sB?eAq@?IbB","{klBgciCbA_@IcCw@]aAAAdCZ?","ybmBaeiC?Md@k@?s@w@WIhAXNK\\"],"Africa/Accra":["}|KxjEj@w@vBDfNaCvAH@k@dEeBnIy@~FkBfHJMoCtCVj@aAkAuClAeBS_@X_@^]vANhFe@bBq@zA@]nAPTvAQb@d@b@a@FRXs@bATvCqAl@\\`@h@a@t@V|@_@^ZTg@~@@pCn@h@_AbERnAlAGzJvAvHem@jFkG|CeH@sDeAeH{CkEuBeIcGwGkCiRmD}HWeLa@qCkEmGoCmK{E{F{@cG{DqM}CcE_CgHOoEj@kPi@oMcAwDwD_EyCqAwCa@_Ao@w@kBqJpCqB@AfFiBf@aAlA_Df@?~E}AbA{@jCg@H]bAaDhAcAgAi@LMbBm@b@J^cAj@_E]o@hCu@\\c@[u@~@H^_BEUo@aAMk@tAw@Bw@iCq@[mAJgA_@]l@yDuA{Eo@gDZWr@h@`BgC`Bi@S_FVy@gCaDGAiAeB^Yg@w@ZoCUcMtAuDy@c@p@Y{@wAe@?gAi@[KuAiB@Wd@iBZa@xAoCL{@rC{AlAJh@aAd@@j@{H~DEu@]l@i@CZ_B_Ag@d@i@Ok@mAImA_AoAd@i@O]l@sDjAaC}@gARe@eAyAk@}Av@mBcB{@TaCk@c@X[jBiAEo@jB?rD|Ah@p@zBiA|Ak@?LqAw@qA_@ZCjBcBDD}Eg@aA_@TiAQ}@|@sAJSr@mFkAuCB]_AgBv@sACTsAWWeAB_AvB}HQcBgAA|C_@e@gB~As@Se@ZZt@e@pAh@PBd@yBfAyBTeAbDoAf@aAhE{Cz@Oc@cB@aBeBgALwEm@_@oAgDRyAx@j@rDg@~AcAMeAtGt@Zn@a@\\xBlAr@iBXPnBfDRKhAb@r@z@RW^p@b@a@l@fCp@Xp@gBdAHb@{@a@c@rHN|A|@\\Hl@c@G?v@k@AClKb@BMbKGnCo@rA?|JfA?XjGW?m@vbAnALtAm@|@f@Hr@tF|@tAtAXBl@cAjCdAbIuC|@yDdArBhCd@bCwDr@DfAhApFOxE}AxCd@rBgA|C~BbBE^y@nAWpAr@|@GdDgDbFOfAtAj@Bn@UBo@|@y@dBpB~Ah@\\jAfBWv@d@|@_AXgDvCYh@aAvAHbBs@bA`AJsAjc@}DzBbCO`Bv@d@dCy@t@LRtC`EdCy@bApDRtAnA~KtDjThB~@k@~DlCjCNd@nBlM~GvAFzAu@"],"Asia/Aqtau":["}yvA_h`BrC]zGkE`LyEfKm@jC{AtAoBdCmHz@}MnJmH`UuNvHcHbQr@jAMlCmB~AaGfAoQrC{CpGiExBgExAkU`BkKfG_BbOjJ|Dz@l^kAmJkMgSo]oIsc@sDmg@jScb@xFiHj@m@pCBjGgFzDkBjLgKjBcDpBaA[Up@Q`@aBMuAa@[WVKk@j@SAm@t@EiAaADuDYHQi@n@iCe@GeAyBRsF{dF?aJqm@ym@rG_DhBuDfAeAbBg@hJXpD_@tCqBxC@|B_Bn@l@nB[bCs@^u@mA{AbAgBL@nFk@nA@lBeEdFpHpLYhJ^`OpAvGj@vJvAhKT~SjBD`CrCvEbL~@N@aEzAbBpAvChDzMXxDW`GdCx@SpKmBtPzBtExG~DnBjJ`@jGsBrYjDfWvApClKzJfH|KdAfIqEpQW`EF~Mj@~EjA|ClAfA"],"America/Boise":["ijuAr|eFfmBe@CgiAd[ATmhEYgkDsyCHk@tCcAFi@~A_@BO|AkAXOk@w@bA@n@c@SyBpBDx@y@~@vAx@Sp@\\bBnA_@l@`@Ar@`@[Xh@h@@f@m@TLFmAd@ADxAu@pCZv@UpD`@XbApEsB~AR|Ch@z@UjBd@@QfA^hAe@|@L|AUjAg@LIrBz@~@@`AhBJjAv@_AlD^v@i@pACrFc@jBd@|BxBtBp@{@j@B`@tA{AdAQlBgArByAn@{@i@c@lAi@OeAdBeAiAwA`@g@z@}@Fm@`Ag@GcBfFjAzDcBfAExAu@`AyCvAa@mBgEN_AjCq@UOtBs@GKp@y@@{CfE_@WcBtB}BI_@rAe@_@w@n@q@o@qAJ?hCyA[_@o@g@Pk@nBBtAk@S[p@kA`@Jv@_@l@Rt@h@Xj@Yp@fBfAd@nBvESjBxBj@p@vB_AhAc@rBe@H_@bAa@OE^LvDdA|BfBhAg@t@@vAm@hBpCLJs@lA_ABxCgEnIyClMz@nA^xB`BpAd@tC~C|Ci@nEiAlBUjDm@~AN~FnBdI@x@q@h@x@dCo@rCVt@o@NkAYa@Xc@m@w@`@eAMy@cAq@`AOg@_@Ra@]EjAWS}@Ra@_@[p@eF}@}@`Ao@dEgBf@QjEeAjCw@A@f@nANEdB~@|Ax@RnAs@v@j@ZtAj@Ib@y@S_BvA_BDmCr@yAxBYpA{A~Aq@dB`C~Ax@pAEf@`ApFjDzA?fAz@bEr@nFjFxARM_Al@p@x@e@xAf@`AzAjChApB|F|G|Bf@l@v@@jBvClBSfAv@jBiBn@XV`@?rOmD?@l@y@h@?nAy@h@BxVX?\\tBp@@?f@b@?ZdAx@Hx@vBx@@\\|C"],"Africa/Conakry":["mwS~k]vD]nBeAlB{CX}Ba@}DeBsCeDeB}BO|A_EPuGrAuArEStCw@`C}B~@mD~Ce@`FsCxAeDFeEpGwH|C{J|AeC`DoB~ChCzCz@~C@`DaAtCoCbAcDDmFuAeE|Ew@~CiDrFq@kCeKYA{@uDa@QHw@dA}@PeBgAe@u@_CuBu@Wy@{Af@{@g@q@DKm@r@o@_Au@X_AQqA[k@qAU?s@eBJL}Ak@CDk@gBKkB_As@POq@sB[Fu@sBA@_@wAMe@_AZ[y@NQi@QTuBw@}@NeAsBiBoLr@GhA{DkCqLwBW?}i@p@HDw@`Ai@bCFb@cAM}@~AsAGc@|@GfA_BlDu@P{AhBMR{@|Bi@XgA`@n@~@SVZrAcBdAPUYPeCfBs@`@sAj@QdB^p@[t@|A[Vh@Nh@]xCj@I_CfAyD|Bb@jJ{@j@qArAQ?_@v@HnAgA|Ax@t@bDr@A|@rAbBFb@h@`BR`AW^hA~Dp@M_@{Bk@Ig@f@cCp@I?{@mE}E{C}ALu@o@aAj@sAOmBTBFg@_B}ADeAWMj@c@Iu@d@y@nCPc@eCmBsCAwB`@Wc@SKqAc@Rs@_Ar@wAj@d@`Cu@c@e@u@?c@_ARc@b@J@o@d@S`BjA@aBi@c@tAmAPmBd@a@Z?j@lAXm@n@LZ[p@l@HW~A\\ViBlABF]j@Nx@_@nAd@c@eBpAGtAjAjDEtBo@z@k@O]|B{@nD|@zAi@vGbCtAtA|BZw@[}@}AZc@n@?_BgBPqBfBW[uCjCG~A_BE}@b@Bd@k@zAFg@WVs@_ByAKmBk@UR]s@EIo@nAWg@eCqC^uBoAGcAqAA{BqCiAHG\\iCk@_@R_AcAm@G?sF~B^tCeEmCsCP_@r@@Fi@m@iBt@SzA}Ck@gAm@Yo@\\_AYa@u@{@A}EiBoAf@DZ_BRsHqCS[XkA]Y~@_@?kA_A@Gb@iAZWhAs@g@aCWI\\b@n@]\\nAb@u@|AErCoA`ASfAyBq@u@TeA[kEl@Go@uAq@t@}C}@k@l@iEk@mBf@o@FXn@[QJb@PTuAh@Bk@qB{@Tk@]f@cA`EwA@oE_CnAoBe@}BhAsBo@y@`@WvAoCv@Uz@s@GRvAaAzAZlBiBtAe@iAeAYa@`@gAs@eBb@iAeAOsAaAa@MaFaAlBmCrA\\tBeBnAkDaBqANaDaAAdCl@tBDvBcCdCoDrA}BUWVBY}@a@UV}A_@_BTEg@s@TG_@Y\\Ca@q@EqATHfAeAc@[TPd@i@RS[Q`@YgBc@DPf@WVY_@{B]mAuEkAHwBeBsBc@yDtA\\~Bm@z@mAl@oBKbAfDI~AuHjAg@b@FjA_DCIo@m@Sq@Xw@Yc@VCx@_@@{@w@mADkAaBwF~@iBpC@lFnC|@lAjCUTd@~BS\\kAHcE{C_AHOyAsCOa@uCoALm@]PiEuAWEtAg@Ri@e@KgAq@fDw@hAZFCf@yC|@~@jA[~A{AnAw@[_EvBfAxAm@XL\\y@tC{Fy@e@Ty@aAgHs@mClBTZUNj@b@c@XCv@_BFkBw@u@N{@r@d@~AkAXHXoEyByBzBkCj@i@~@`@xB_AbB_@vDf@bAg@|@t@f@a@DGh@h@Nb@nAPs@jCsAh@sAxAt@dAKn@z@NMUfGzBxBl@hEnB~AbAOp@j@p@QLp@SfCy@fAPlB{ArA@lBgBtDb@H[v@o@UYPVrBy@tAHbBc@NHfAh@V}@TG|@bAOIt@j@?Nd@U|@bA@l@jAEbCxCHn@zB~@]^rAdCn@Tp@wAfF{@OkChAw@a@{ALu@dCeChAk@jAb@lBOrB`Dh@R`A~@XEt@fAE|ArAA~@j@Xs@jDmAxAyATq@lDeBtA}ASk@mAk@DOi@eB@g@b@eA_@OgC]VFn@cA~@UtAd@hIz@xAj@fDi@dARrAoBhBtAfCF|A}@|A^dBpB`Cp@pE_@d@hAvBmCpAq@nDvArCsAb@Ah@u@l@BrGcA[q@zDo@UWnAs@d@t@nBfBGRx@e@lDgBReBq@oB`@b@~@c@~B`@f@u@x@Zf@_@hBZjA_@V_@pHC~LfC@|GqCdAAx@~@dA_@l@\\l@ONt@~BfAy@lAp@\\?p@yAClAp@q@NBn@lABLzB|@ZFn@d@@fAg@N{Bt@I`@yBxAi@nAyD~F`@xIIn@fCUj@o@EZr@i@VSQWz@`@RXc@rBt@s@`Bz@ZXfBYdBx@tAmAhBNvAg@nDtCfBpE`KOnHvGvEbI`C|JhFdAFxD~GpL~M?vL"],"Asia/Bishkek":["{vlAahfCD]j@]r@JjB_Bz@d@|As@l@FHg@~Aj@v@q@sAqAbAuAUq@X[[QY}CmAw@ZuBi@mAh@yD`BuCwAcAJ{C|@]_@gAe@OLy@s@aBfAgBq@qAf@cAr@UL{AiCkCf@iB{@]j@s@qAgCx@aAXmD|BoA`AgCjAGj@^j@c@\\}Bu@_Br@gAcA{@l@wCOkAoAq@gCSNcEwAqBlA}A{@oA{@EDuCc@_BWFUsBhAgBxBx@jBk@XkA]q@b@Sg@}GrCaAlBrB~BgBe@mAF}BiBkBw@oDZo@tCc@NiDx@ULu@fBSIm@k@@c@aAqDgAaAiI}@]@kBv@g@]_AaAk@DwC`AiDb@Qc@sA^{Aq@iBl@q@_@eBVoAm@sBn@iDQiBo@c@OuDsAGgAuF\\mDc@wCX{CUgFUiA{@@i@e@Q\\g@iAy@BMcA}Fr@e@b@S~Bu@HkB]kAaC}@Q]\\iDkCu@pAYyBeA]g@{@j@u@OiAq@a@m@kGz@k@Uq@h@gAQy@kEaGGw@sCaCRkC_@o@gA_@q@PGcEz@oC[mA_@IcEjFGg@aBOa@k@jCiH]}@~@oCs@eB^cDeAcAW{AoAq@m@mD_CoCwAgF`@Lt@gAnCPpAm@LsAr@gAdBvArBd@bBeAbAIs@aALuAaA}A`@OD}Ah@aAUc@y@J{@eA[FKiAv@y@Cq@s@N[}@C{Bb@iBwBqDRY^Lp@_Bn@Tp@o@_Bs@Tc@YoBo@a@[_Bc@Ag@_AwAJuAq@u@mA_A_@UsAsBA]c@m@n@wAPi@oBeA_Aq@RA[qBBgBm@o@gEe@Hy@i@?sB}AkCZg@IgC\\k@RLt@eCg@{Bx@_BkA}Cd@cFd@FL]QkCTaAi@_CTmAu@wA^cAyAwBeBl@oA{@cAiC@_DyA{GsHaAe@mCf@{D[]D{Ag@WAoBu@{CoAmAT{C}@e@i@oAUXi@k@KkEkAwAH_@}@_Be@Ii@}BJu@m@UQkBcAuAEwDiDqEb@y@_BqBWoB\\a@GiDe@_B_Aa@?wGu@}@yA]i@eAu@Lk@eA[cIVwFSNoAy@}@lAy@RQq@mBUaCpB_@g@}@pB_@AIjBcAv@Cf@qB^_@lLu@hBHtAh@^MjGw@Xw@vBk@LcC|Ci@fDsAlB_CdAqC}@b@tEt@vBc@ZDrDs@~B?|Cq@xCTzAw@d@InBgBtDh@dCQnB`Ar@u@nHj@t@GtB^rBm@fBf@`AQp@k@PTl@c@hAHbB}@tATfD[t@DfDs@`A^dC[\\lAhFa@fBNhBkAhCFl@{@DGvDz@t@gA|@G~@h@jBa@`Dv@ZHfCv@Jb@nAWpERx@_@fBhAvAn@lGYnAiADKhE[Jf@jIk@|Cm@V^`FpAjA`Cp@hA`B{AfMLx@q@zHLbCcHrVRlEkCrEqCbCkAdIe@Ts@~DcAt@Ld@o@rBTTdBy@PTPnG\\~@eBpC`F~Be@zCnEvPnALb@WfBpB~Bk@fDXfAbAfFzA`EY~DmDTpA{@nImCF{@lKJlKm@nA?xAoDnDoAbHDjCXXaAbBmB~IHfF`@zAyChJq@lEj@~B?rDxAdDQbAu@h@l@rCYnDfAVJdC[fAtA?rA|AVrAlBGx@l@_@B`@rHz@DrCqDTXq@~D`Cr@\\h@b@m@fAzBvAv@pBq@MuA`@mBqAoAf@{COu@xAuCTDCmAl@k@l@^ZM|@nADxCh@hAb@FjAzDt@Xo@~FjBt@T[|ACd@d@YzCl@FOlAZ`BjBfABr@|@Fh@lC|C|@Az@hAjCfAz@nAhEGpBr@Kv@fAXQz@d@n@mC{@}Bv@yBr@a@Eu@nCmDWoB}AuAQuFn@GlBuBxBIxB`@jCc@gA[g@qAlDyFu@qC~AiDuAmCd@m@o@k@b@aArCGy@qCB}@d@]s@gAw@g@u@h@q@y@eAb@]]k@Rk@iC\\OBgAiBwCmAs@_@To@{@wBz@H`Bi@gCcBiBP[`@`@J[l@JH`@h@UdB`A`@m@S_@eACF{B|@IbAwA^LRaAY_@fAG|@kA`@^f@IpBfBNk@p@Cl@qBW_CnA_CgAgAU{BNMb@z@XGNy@bC}@vAv@Kf@p@Sc@oDkBsD~@oA?}BpAaBd@JJoBpBqAx@^t@oGMqFnBqEuAyB@uG`BEq@cACmA|@dBR}@r@Fi@fAVhAfA}@h@`@[h@gADWfAr@Du@VDbC`AxAf@xDTWv@b@GzAz@~@lAf@fASs@~BX|@zBIXZgApGo@b@d@n@eCfC^p@AhAv@aBPHF{@j@Kv@|AFgAv@k@l@BTb@pAGErAkAdCVbAs@bAi@S?xB]d@pBpCTW^ZtDjGtAkDj@jEJPHu@Lj@q@vBPvA~APVjBxAtAw@f@WbA[s@qANs@r@DhB`BQR\\e@~DeB`@KpCq@hADn@YCVrBgAdAh@dASUSx@L|DpApBP~E~Bu@n@pE~@`AMxAbB`@j@`GrAI?j@`AIl@t@^EjArCM|@d@\\`AI{@b@i@Kq@iBWBC{@{@LYl@Pj@o@ZCjCo@bAG|Ai@Ju@vB?hDoErKpBnNdBpCv@Os@t@v@vGxBb@|DeAGnAXAZnAk@V^f@cCAOvBq@h@`BMdBxBtAaAJt@p@Ab@bA","a{lA{thCa@_Bl@mFUuC`@Ol@LhCbG","knmAmtiCC}Ab@e@dHiBc@qDdAh@@pA\\m@z@BFaBXNZe@VRXfDm@V`@VORv@?[JDhAgBgAUy@{@z@Eq@Y?_@HA|Bg@`AmAPkA[","_rmA_viCWIOMFUVLXEFDBHQD","oamAy`kCAkBq@aAQHPs@ZKFgAjAZi@rB`ArAS?Ov@"],"America/Mazatlan":["gvo@boaFvCa@`CeBtAoCXeD[}CyAsCgCaB{C_@sC`@eCbBwArCYlDb@hDtAdCdC|A","snu@vn`FjE_AtDwD|A_ElDmCnGqLlCkClC}HtDGvBg@~FwFnEmKHkG`DwCfAwB\\kGvE}B`GmJ|@mHeBcHfAuBb@gCdJ{OxImLlFqPdDuArCaE|H_ChCEtLNrKtAhI~AxLhEdD?pC_AjEwEzImGrGsNhGeIv@gCLiC]mCgAyBhEiLnEsIvDiFvQaR|BiEpCuIzI}E|SmDbDcBxCuCxCoHYeKmBkEyGwIg@_C_B{CeGmFwDaBkEm@sGYqDb@sIxCcBnBcCjGiEn@yDdDoDDsEc@sFrAoJlFsBrBaApCKdDf@vCnAxBuDdAkFlEuAhBo@~BaEu@aFlAsCa@eCLeD`BqBtD}B@sBl@eBpAgApB_F_AiJpAmB|AoAlCYjCNvCkCc@sFD{D`AsCrDe@zF}@|AyD`@cD`B}GqAeCPsBx@{BhC}@tEwA~BiF|FqCvEwDdAgDdDqBsEeEwBsEHyDfCkBxEMlE|@bEnCxC_Cv@aDlCwBnDaC`IqAxA_Cz@cFTzAzL?~xAmFnJnDbDvA~BLzCo@hCaAvOrFh^","kzb@pq_F`D_@tCeBzAoCZoDk@_GsAqCkDaCkEc@oDv@iCfC_A`DAbFh@xDzAhCpCxA","mbd@thzEhCYvBiAxAoBr@sEYoCwBqDwBiAiCWiCXwBhAuBrDWnCXpCvBpDxBfA","cxc@|ixE~Ee@~C}AnEwGt@uCCyD{AqE}BsBqFeB{DPeI|CqBrB_AdDLpEbDrIpC|B","cud@f{wEhDi@jCqBpAaDN{Do@aDoBiCsCmA}DQaDr@}BjBmAzCMnDl@zC|AxB|C`B","guq@reuEjEm@~CDvC{@tEI|DqBhB{DJyFvB{C|CeCjA}Bz@sHfBgEt@uIzAwE|DgBxEcHdEuBpE}@tCgDpFeDpEwHlCgCbJiQlTq\\zByBlLaFtDcF`IwHrEaAdFqCbBcCn@_CjGoH~HwGlG_JbEgArGaDfDi@xGCT|E~B|DhEzAzEWnD_C~AaEGcFsBaEzAy@xBp@lCBtDsAlCoEBaG`CBbDk@`BPrDhCrIeKxB`B`@k@e@qAwCyCIsFe@YDiB]IAiAn@QPgAvAVi@_@_@iBc@?oB{BLuEz@Cj@_B`@?f@iBUiATcAjDqBvAkDfBiAhBqDvBKr@w@y@MUXg@o@e@`@}@UmCpAX\\u@z@Z~Aw@s@CZu@CIeCe@_@m@V?o@_BkA?k@m@KS~@m@HQ]s@f@wD_AsBN_@_@FwD_@q@b@a@c@]Rs@_AUy@wAh@aBw@L~@YFg@k@gA@uAaA@oBmCiAO[r@k@E]uAqChBHbB_AfAu@G?r@k@TOr@cA?EUq@j@iBsA}@NVJu@z@m@Yy@hGXv@QbBe@~@qAdAg@q@DZo@\\mCu@k@d@b@hBgA~Av@`AAvAmAUoDXaEqASPeAWkByAw@\\y@Y{@~Bo@AWj@zAvFn@[Lp@eClDaBRAfB{C@q@ZLdCs@jAaBA]\\Zr@[tApAFjEbEJv@mDf@mC~Bi@GuB}IWl@eBSg@VJpAk@x@gB?cAj@mBMfA`Su@d@u@Qq@f@qAGu@~Ay@b@UjDx@fBuArD{D[EXkA?UvAiBLcAhAyA}@q@lA{@_@w@hAiBPmBtAN`Ad@?YPLz@hAPeA^_Eb@mBi@Q`@yDjAgCMbAmDo@QyArAGxAeAiA]FyAlD{@PqAc@uEjB@r@eBJgCvCHb@qAdEd@dCjB|@n@lEQ|A_GhDk@aAgAQcAjCc@MGj@oGxB{H~HB`CkAf@Oo@[L}AdCb@f@o@EuDzAw@bCkGIkAn@c@w@g@hAiCbBJgAuDjAq@eB_Bg@q@lAsAGLaB_DoH_Ah@Ku@{@Ca@p@l@h@K~@i@h@kAKoIzMyCg@}A|@u@CcApAaAhDlApDoBfAUr@^jBe@vCLt@~@^Cr@_ANw@`Cy@BiLxH}@uAC\\k@w@aAFqDlCs@bB_BkCqAL{@YQ~@w@UoCdCBbBoA?t@|@e@PKl@h@Bi@h@iBHeAkBkAXQnBx@fAk@|@x@^c@`@RtBo@zCbB^T}CHtAzF`Cj@p@p@g@b@`@St@t@EF^~@LPt@pABbA`BnB?MlBx@jBZhDxBb@Rn@MgCZQp@jA\\_@t@h@_@x@~@r@YjCrElFSlAkAlA`A|BeB~LtCn@`IrE","wmi@xyoE`Dg@nJqElCaEfEmCpCgHjEmD~AgFHkDaAuD{B}B{Bu@kDQcFbAoBjB_AzBoEhCyAzC}FtCcCjEcDxCcAlFv@bFnErE"],"America/Danmarkshavn":["cjsC~vk@fL{uEqC_{BaLnHuCUmC|Aq@jAgEd@eEtEgD`AkJwPuK}OeCq@iEUoJh@_Sy[gBeFqCiCuAgDwByBgAIcAh@{DrG_r@zM_RgVwCg@aD~BhAqJ`AqTQaf@m@kKeCeQeC_Fu@YiBj@gBtDgAfF{@nHiAnVVxd@nAvQbClMiFhCfAbfDsHnhE"],"Africa/Ouagadougou":["}jSpwIxEwCnAsCo@]^q@{@aA\\aAC{A]YbAQg@{Cr@PPk@`@j@d@[~@^e@mAx@Ed@p@IyArAR`@aAC|@XHBeAr@`@o@oBbA^p@sAn@Wb@DOf@j@FjA_BNn@jBDn@kAm@c@h@iACcAn@_@VkAjBCC`A|AsAe@YPy@fCsAOeAs@SRq@k@Q~@aBq@g@o@TQmAn@WdBb@x@_@a@wCfCoAD_@q@EMy@v@w@wAy@mBEqAm@Gd@e@U[yCqC{BvAwC_Ak@BmBsAK@iA_AeATyD_As@AyE}@cBn@c@A}Fb@uAWo@v@uBQgAnALp@{AsDcD|DESaAz@eBnBYlAaAa@gBnIkCvF}ElAcC_DmCyC`D}@FqAs@oAV_@x@cBD}C_CsBfAyCe@yE|AqFNmBsAqCzDiCe@eAsB}@xDcItCkCeAm@bAYCuAuAuF}@Is@}@g@uAl@oAMl@wbAV?YkGgA??}Jn@sAFoCLcKc@CBmKj@@?w@b@FIm@}@]O}Ab@sHz@`@Ic@fBeAYq@gCq@`@m@q@c@V_@{@Sc@s@JiAgDSQoBhBYmAs@]yBo@`@u@[jIwo@f@Lb@g@lAb@aCwHHcSuA`Ai@y@kAWLw@bAYQuAz@yAqDv@UhAe@WCkAo@a@L_Bk@ZwAKWt@}@_@Im@f@OIeBd@cA_@k@iAn@o@Qx@q@Ss@\\Y[e@wBp@Ao@w@OLm@e@]iANQeAu@o@v@iAs@i@d@HP{@u@m@z@{@nAI\\eA[e@Nm@g@i@PSo@a@\\oA}@{DTiBz@_@k@qEeIcIkDeGkBRcBgAMeAq@NSa@y@He@o@g@LQWwZlT}Ai@Vo@uAcCXoAU]Ry@WG_B@gBnAiCDiAf@i@zAmAPgAnAK|Ev@tBdEhCc^vu@}OAjBaK[e@yAMpA{@m@wA}@pAEpCeCtGqEhAmBxDi@~Fq@We@X@pH}@l@wBg@UbAyFjFsAKw@|AsARq@`Am\\fLaMiC}CrAoD_BkDVp@rIoEfRtC~G}CpAAhQtQpTlBpNfMnUf@dEObGZpCvPb@xApEkEbKeB`JhIrK`DdI~A^Xe@pInC|DCtC_Ax@zCs@^K`AtAlAsAh@{@lANdDw@x@OdB\\P\\q@bEDz@x@tOyAVtKf@TzCs@h@f@QzE{@?EdAuCjDw@`Cm@H{AlBVjAm@xCH|A{@DeAeCSpAqAP}@r@rATSi@b@MlA|@Et@nAtCjE|AvBvFrAcAXJOpBbBjBn@Hf@y@pASFaAvBQx@}A~DL`Ba@rDn@j@bAKrBaAj@`AfDY~A~@UbAX~AiCbBSt@iA|AlBdCf@vEwANl@}@h@B`A`B?~CtExBgAD|Bp@j@jB@KjCbCnAc@vE\\b@f@`LlB`Ez@V~@vB`AXk@v@f@b@Yh@t@x@k@p@Vr@fAiBYIDm@~A}AKa@fDJ|Bz@TmBr@m@`Ba@nCRx@UfAzA~GNtAlCfCP~@bBl@rEbC]tAb@CoAtC?|AaB|Cz@RdA\\YrEJh@b@f@e@xAE"],"America/Araguaina":["fjUhbbB`EInAe@?}AZ[xCRdCpB~CiAhA@z@cBfAz@hBO\\r@j@W|@`@r@i@|B?vCb@ZqAt@Lv@q@t@n@j@]h@R`Ae@bAJhA]F~@n@QxDbBZ[h@x@hAg@PsAp@PlB{@rAV?q@vAZi@yAr@d@h@yB_@o@`AGgBs@u@Pw@q@Sd@[k@i@Xc@yAqAKBZEw@s@HYu@SNu@_Ay@ASeAi@CJ_@WV[a@yBwFg@VRi@c@GOm@bATfBpB|AXz@c@Be@l@~@KZxACXr@xADCbAjA_@~Cv@pAc@\\{BtA}ANqE|@mAGkA~@oDfRca@s@}@sDb@w@]kATkEoCoEsAa@qAyCuCzA]TmAnAf@`@ODoBbB_BmHkEDu@dAG?k@d@KrB{CfCK^k@UaAf@eAjAYNs@|AI^e@x@d@f@c@dA@|@h@^YjAXp@[]aAaE@Yo@_Ck@Zg@OYhE@Xe@`ADTc@i@WIyAo@q@Jg@g@BPcA_Ag@OkAw@e@FkAg@KAwAhAj@v@Wh@\\pA]r@Va@cDyAGOa@f@SAe@f@AB{AlAg@q@}@z@gBQuBvHaHcEqBg@v@{AVmAk@iBv@aA[W\\_@q@_BUb@iC~BA@iDdANJeBVETj@pAq@yBiBh@m@AqB^]kCeBO}Ab@@H{@Kc@s@GFwAg@Og@eCg@URm@}CmD\\iAcCeAaAkCBoQqAk@uE]j@Ob@uAxAKlB`@v@YcAoImAeDKZh@l@QXt@tAWtBd@`Ce@o@w@La@s@q@b@iA_Ai@J@h@_@OBf@u@{@s@ZKk@m@KAfA_@WUZ{@sAa@VBbA_BcAc@~@[S^IQk@g@B{AuCRtCoAW[d@{@S[V^D]f@zARUr@a@Ui@RHYsAiAg@l@RbB_@m@BhAcBaAKpA{@]k@b@w@m@Gb@a@KD`Ac@y@o@p@Aa@aAc@m@?Qv@M_@k@XSWI~Da@qBg@]\\Ow@YmBoCKcDy@iBTjEQtAq@v@Jb@iBRA}@o@PBi@w@R]g@N`Ae@a@P|@g@FQsAu@]ETo@q@[z@_ABBnBa@UKmAe@g@^mAUuAdAe@TgCu@Y?}BmA~F_BpA{@bEZvDqBfDqDNEfA{@N}Co@gScLGuCuFMy@cA`@g@mBSiB{AaATm@UiGmPyAcBmGm@UmCgBu@aDBk@p@nCLlAvBc@xCZr@`Bd@t@y@|@n@WvB{Bx@Ul@eAUuCb@hAhC@bCyAxAZhF]nA_B`@oAfACl@}@ZuBf@}EIMd@]UkBx@FfC}ACq@lCoALw@oA{Ci@{@oBoAlAaA[u@|C{@N_@_@e@bAb@|DyALyBxAFj@_@V_Aw@cCNEl@iAB[lAc@BXXMp@uA?Ee@a@T`@fDWDMrBiAq@[p@U{@k@EP[eAEmA_BcAl@aA_DiCQgBt@oAwAu@NUh@}Ae@Kd@{BkCqBHKgAo@e@}AR?e@}@IZmBaAm@}@kC@uDaBgAaABiAk@cAt@wD}A{BRy@XcAtBy@Xo@fBt@zGx@t@V|AJhA]J|@n@Gh@n@fAbARt@`A[~AmBj@OpAiB?WdA{@?o@bA]AoAhCsBBDf@e@KFX_@@@lAy@DW[Ix@c@LOo@uAtAN^n@i@Jx@kD`@WnAw@[ShA^X{Dt@Mr@b@dAWx@_Ay@cAsCeASoAb@{@fAEnBpAtBqB~@{AdCsAIe@s@BqC}H}EmACmAm@sCl@}CgAiDD}A{@mEm@}@u@sB^gIoBsHnBqCI{Af@wFa@uGzBgCg@qGt@wBlBK|BwCjFMtE_Al@_CFg@\\s@lFpAtC]dEuDnJBfAr@fGhAbAzBPrAlA_AfCRd@jAVGzAf@W\\}DjAiBLeDcAgG|FaDp@oAJ_B`BuCdAEnClAb@zAEfBr@h@nDCtCqB~@Cx@tCx@v@bAC~@}A|Ab@z@xBHfBt@`@fF_@bBuAbAP_A~BBtBxAt@pBxCnBbA~Bd@hCWjAz@ZjBvArAb@jBz@rJjD`EdArC`Ap@jEi@dKOrDzAvIdH`BJfGoB`GgJr@`@nDCnBd@rCMfAn@nDTxKpCjAbC`Ap@`GfA~@pA~CjAdHlE`@vDbBxBpF`EjCp@nBtAh@CpBrBDv@dATlAtA`CHjEfBlC]~A`@|@|@lCX|B|A|Dt@lBlArEv@lB`AnB|BxE@nFfAnBbBzCJPv@tEz@Tx@xAdAvD_AjDdBxAm@fBbAdGo@fCfBnFCpC~A"],"Asia/Kuching":["iwBc}tElC]b@y@vAGYaBl@eBpDp@vCALu@~AcApBwCnAGc@gAxBBGwDj@cApE_@dAmDlB@Qk@f@WAwB^cA~@g@~@B@{@vBe@Xs@`BPO}@Va@i@[x@g@[iAxAQPcAfAO|@wAl@gD]kBs@GOe@t@CVqAsAi@LoAaA_@~@kAcB@AgB{C{Ao@mNaA{Cl@g@Ii@vBwGu@wC|@s@zAKTu@qAAP_A{@]cAoCp@u@Mc@b@G[{Ah@[ZgBu@qAcCa@WsA}@Kc@{BHcHsANaA{@_ALU_@eBISm@aC{@e@?Q~@uAWc@cCoAqAe@eFs@W}@mBXyH^e@QcEr@cCaBwAn@sD]o@d@wBx@WhAlAd@Qn@rBlANHwAoAmDrBkATyAa@uAd@_ErDyDA_A_A}ACaBTcAzA[Ty@j@LTY@eA_BgAcAiEiAs@iANuAcFaAmAa@kIpBmCiAw@QyBgAaDo@IIk@xD{HqCwAqCE_@eAcD{BaFEo@j@m@cAo@R[w@f@}AuAq@k@}BkA|@kD}@Ml@l@~Au@\\[]k@Z[a@yA|@kB?gBg@i@_CXeBgAgBq@h@aBWb@gAuAoAH[e@BDwAkASaAgAHuBeAsA{@FEh@eCnAp@zBm@l@uA{@kAHYf@}AaBu@D]]gA|BaByBsAAiBaEeDiAjAiAjAWOmC}A}AZ}@uAgAoB@_B_B_AxA{FES_@aADoDsADo@lA]}@aAoCpA_CHE\\_A\\oGEsFqAi@n@HVcAr@m@m@FeAw@s@iKuAgAg@Hs@qBeAN{@`@I[w@k@HmA{AsAN_B_@A{@jAk@JwCd@{@bAEd@oA}BqAEuAeBOX_D`@i@w@yC`CgDhAO]eAaASZeBiB@_A_AbAc@Es@bACP_@c@iAd@eAc@}@kAe@dBkAYi@n@y@sAgC|@qBOmAl@AF[w@m@Z_Ci@yAb@{AkAaB~BcBp@wCjBoBhA[l@cAPiBe@cBnAy@q@cAAeOo@aBn@kA?eFvCgIfIiBn@wRmAiRqAwCoCkBaGkAmKw@?xGyR?oZi[wDa@_I\\}OhPEhE{SpY?|RuPzU{a@?}BhAc_@b_@mLlUvJrQbbA~oArCzBp|@`\\pC`@nDSIoGlAuAb@cGlCrCtDdAr@s@lAHJeAp@IxA_B~@JbAm@tCGjAy@rDf@|CGlEwDvAx@Mp@{@ZEbBq@LLh@o@zBVhA[v@{@YyCP]^iCNwAz@}@SaBj@}@[a@h@qAaAOd@k@BgBaAm@fBj@t@~B`@OtCj@rA`Bz@f@jBNYl@Ld@s@fNu@JkBjCJbE|Bi@uAbF|BL]|@^bE~Dp@hDu@]gBpCwAPk@bBcGvAp@x@UrEiDa@a@r@aBAwD~Aq@xBqAfAUlDkEFiA`@_EdEZjCjDrEphAfo@d_@fnBbD|Dhz@|j@eIjd@xCtJtDb@f@dC\\Nd@W","c{Mkz|EtC]~BuA~Et@lEeA|A{A|@aCN_C_@gCyCyDwCy@_DFgAiBqBsAFeC_@{BiAmBkBqA_Ek@kDj@kCvBgAfDoByD}DaBjCkAhBeChB_J?{CiBkJaBmCcEeBaFVmDlCsCtFe@bCL~C`DrLrB~BtC`AqClAcB~Bg@~CZjD~AlCtCxAZvEbChDdC~@pCHnCm@jBuAb@vCpArBbCtA"],"Africa/Libreville":["~g@grOnFu@bMiFvDu@rH}ExCQjFiBfOiKjL_AnDkApRgPhE_@dFkCtLyLhEmCxVy^bKoIbCOlCkAlNoQxIeDxFkHyJgIw@AaCcBcBl@Hi@u@i@w@LYe@{AAs@oBVcAiAIo@k@EmA{@@W{AYIaAv@Hq@]a@x@iBjE_FbBQn@^|Ak@eAaBRyAeAw@t@qA{AGB_Bg@k@m@~AiAb@o@a@Bs@oEm@g@i@Li@iA]{Bv@kAcAs@nAUhDkAvBaAb@a@jBiAxA_B}An@Y_AoAXa@q@Ri@w@{A~@e@dDgDb@iChCt@RJd@eA`AaC[q@y@oBKq@m@kAAoCjB{CE}E~@JeA_@_Ar@\\I_@^BYg@t@US]t@FRc@b@XBcAn@OTw@lBc@}@mAcCUFoAk@UImBu@g@q@FYeAfEcE?uZe@[Fo@yBEm@\\a@Yi@\\Td@UXOUu@Z]u@cA@e@g@[r@c@g@u@r@eA{@mDvBe@[cAZgBc@s@h@kA?Ee@jBcAAs@o@_@aAb@_AiCa@NKy@b@c@e@k@z@g@N_B~A}@[g@v@w@Qy@t@L^{@|AJb@i@fBWr@eAVr@d@cAx@l@Je@|Am@o@s@xDgBHq@XEFp@rCf@{AaAdBwEo@mCx@iAVoDhAqAUkCf@wAqAk@c@qAu@Yi@aAHi@{@O}EeEyEcAzAe@h@{@jEkAb@y@xACbAqBrB`ClCIZwA{@gA?s@jAa@u@uBlAwAiAUe@y@kAHw@a@aBsEsB`CkAN[dAkAuCqABk@sAw@TcB]k@NIj@aBi@EoAcA[Fs@sA{D}@`@{Bm@mB\\kBgBa@^Bx@kARcAhAQeAuAs@?uAaBt@Uo@k@^y@_@o@eAaDpCm@cAkBm@yBXaAhAy@_@kDt@c@h@mBYqA@Y\\aCqBgAEu@x@}@m@k@TiD{Bq@b@s@g@o@|@k@EwAfAAbAuACgBlGr@t@o@jBn@bAmDJmD`A@t@qA|A^\\Sh@Xb@uApDj@jAeBzAkB[kDeD}@`@oAm@aAdAaAPqAa@sCjAqDyB{A[g@cAo@CoAuCwAg@i@r@eCcB`@yBOk@`@o@g@g@RaAuA[uBuDcAf@s@O}AoB_@FH_@_CaCm@HkErCO|A_CZuCnAeAUy@l@kC?]\\wBYoAv@u@pCs@`@j@fFwBvBj@x@o@|It@Kd@x@z@A\\l@o@n@l@|@BdCd@JRxAnAt@Kj@d@r@Y^V@{@dBNLYABl@f@`@Up@r@BRv@Uf@t@Ab@^Ud@Z`Eg@nA[u@qAQLeAwAoA]l@yAa@u@r@wBVSz@gA?[XX^wBdAc@o@kEZk@o@e@B_@u@_@Na@g@_AJe@[cB`BiBwBoAHoAqA@k@_@_@WTFW_@MwAGu@^OY]Ri@WQ\\e@i@qAf@N`@aAj@ZrAWd@WMEdAb@|A`@CTv@]nIf@h@Yd@f@d@[dAa@HhAvCaBrIf@hFmAlHfAdBu@xAJxBe@n@\\x@[`Dl@~Nu@RGhAa@Pl@pD[p@XfBMzCVHWpBb@~@Ra@z@@Cb@l@RHUtC@pEpAhFk@zAiCjEhAvDGCl@p@j@fh@??xVu@B?hIt@pE?vi@~BDZpA{@nBsAl@KzCkCrBDdCrAjCBfBvBx@fFfIzDzKzGnAfNJjv@fb@lC|@"],"Asia/Hovd":["an~AmjjD^YIaAr@Y@e@b@QBz@d@q@PqBlAyB[gAf@mBjAy@CeA|@b@bAzBf@_@dAlCh@_@~@{CGaBl@c@Ku@~@sAGgCt@{CZw@r@LzAiDg@cBLy@b@H^g@@qAXHj@oAjBpAz@}@v@TJaA`Ae@HyCd@HGg@tB{DQ}EpF_GMyDd@{CUyAu@_@MkCo@c@\\e@AcJj@k@R^|@Mj@}ApA[FkCn@s@VVlAi@I}JmBMZaDYg@p@y@\\b@fBDzBsBxAkKr@{A\\ICf@f@PbAkAdB[dBwCfDZHwAp@c@f@h@d@Mb@v@fA{A|CgANo@|B{A@i@n@?dEyE\\?HyDdBgCv@F`AmAfBd@x@_Br@ILs@vA_AtGbABeBh@S`E`CfEpA~AxCxJmFjEUlGzI|HhGnJ|ApBCtBgElEsAfAPS_A`BwBzAz@Z]o@eF?}FZsA`A[dA_CDmDf@wA}AmBDk@jB_B|@yB]Sh@sFg@{EAaOhCaJY{Ct@cJcByPXoCScA~AmEa@eCXqH{FhAgZz@cClAsAq@kCTkEsN}Bk@oB{Bk@?e@vAi@B_CiCu@N{CqCkKaFmClB_AYmEpEgA{A`@}AIeEh@wAEgBc@eBkEwDCgFgBeOyC~@oGnFyL~EcA]uBdCsAlK_ErCsF`LkBgD_Bu@oCfI{DpHgGpFaFsIuCkCwIgCmALuBhByBeDyAuHcDa@iBoBkCaOkBeER{E`B_JViSnAe@?gCa@uQ}FsM?qFw@gBkAq@iIUyEkAsAcA}@kBwF}ByFlM_BbAsJ`BcGiDuBOeB|CInTc@`CcCt@OhMb@jHiAVeCxCaABc@bEk@~@}P~Aq@hA{Ah@_@vAa@jN\\hBUhD\\pHi@dCIzCTh@_@r@c@`FxAxIOhDVx@]xBiCtC{A_BgBQo@x@_@vK~@rA~ADf@|AH|Ca@p@_B]a@b@[jAXhDa@xAs@t@u@Aw@xAL~A`B_@b@r@jB[t@bB`AdKkApLfAfGrBzBjBTHfFd@PXjCpAG|@rBr@Oe@fFbBhG_@dC`@vITb@vBEQxC|@`AWl@p@dCjCq@x@rB{@vDPxCjAdBF~BbDnEDnFbBxHr@D`Au@v@pBt@xO|@`Fl@sAr@l@jAmAf@r@j@aBKkA~BYnAjFf@`H|AdACj@\\f@TKT|@sBxELpBVVd@c@b@N~@qAfBhDfA`JyCpA_@z@Vz@`ASj@l@Zm@Tt@LSb@f@a@fAEtFmAhDx@nEAbBk@lATjAShAl@`AQvCbAnB|@i@~@jCf@wAn@M@\\Vc@RVp@UbA|B?jB`@G\\hAtA|@TzIr@CG[fAiA^x@`AW\\p@|@sBh@\\Z_AZbAh@AErBf@n@@~@VO"],"America/Guayaquil":["~rE~z}C?k_Ax@aDl@WtAp@Z{@dBUl@X|@w@dDPzAe@nAXv@aAdCAp@aAzBrDOd@tBjAPv@cAzBCdA^~A`AHp@|@pC[Mg@pDB[a@j@m@i@sAn@[i@_BnIvG~CDlA{Bk@sBy@mAu@GDm@mA{@HWq@CEo@STIg@qAQRi@e@e@VAK_Af@uAjCiC`@oAWaAt@_B|CsBg@uEkAeBHs@`@y@rBiA^uClAUP^`BIt@q@vGsAjAs@Hy@xA_@`@wAfCoAD{Jf@Ir@oBsFsAF_Ds@Cg@n@wAo@w@n@]q@uA@mBeAy@eB[eEmAcBmBHy@q@uBY_@m@]DF|@eDb@sCkB_AT}@_AwBFqCwAa@|@iBCmBsAEeAuEm@O{@iAu@}AMUf@}@@_@{@iFC{@s@mEo@m@\\gAKt@eAFgCnE_@EwAg@mAa@AgEdBgDqD}Ba@Tu@gAy@?q@aA?qD_CiCmEqXujAc\\yc@}b@u[Xs@if@}IbBkCHkBc@gCiApAaCWk@r@{AI[r@k@]eAp@{@{@eAr@iAeBu@`@eBWG`@w@BVj@y@BKrAsAVTn@{@lAqGjDwBNoB`BV|C_D?d@qAc@iBnB_FMgAa@Eb@WS_CkA}@P\\cA|CGtCeClEPnAuAVEt@}@h@`@^]h@PhD[lBgD`B`@j@i@FAl@k@MyAvB}@@SzAOm@qAj@mA~Bf@xAiBb@e@t@^l@[v@P`@q@H@r@eA`@\\l@Y`@hBz@[r@\\rAtG@LZo@Rd@RDpBm@x@nAhBuAnATt@g@DBpBg@f@p@bA^U_@pAp@`BMzB]t@_@CTfBy@l@b@d@[d@Lz@mDhAc@fBv@~BGfCgAtC^Pe@n@Vj@OhEgGK{CsA}A@NxCoAhB_@lB{@LMp@_BiAC^s@WaA~A`BrHk@bEeBnBk@dCeAn@LtAg@pAgBJuB~Ce@OGi@g@CW|@_Dx@^|Bj@h@Ml@h@CAZaBBXl@k@pARf@q@CYbAe@ECnCy@|@wAXSbAmAr@k@pBeAj@wAhC?dj@d`@`h@fdCx`AtCThx@iC"],"Europe/Athens":["{ylAqid@~Ca@xB{AtEuIvAiFrEiGpDoAtCyBdBuCp@_EtBY`CsAdE_GtAaDf@eDMwEoA{Df@w@~JhHtB\\pIItApCdBxAdGvBxEr@hD[pCeBbCgEbBiG~FZ|DsAtFyFlDeFbAyC\\wHoCwLbC_Ef@qGd@gApBaBfFnD`LrArE_BbCmDtBg@hECzCmAhBaCfBiFx@yKw@_HkDaEtE\\vE}A|G_IlAiCd@_DGiDo@qCuAwBwByAqD_AeGNaBs@lBqCtBb@~Ac@jEbBtA[bEHpBaAjA{BhBaAj@kBq@sH_AcBaB]uAd@kA{@eBIaCtAcAdBs@wGeA}@mBM{B`BmB^cCvDcEwBeBCkHjDsItAiC`CkAPyGtDZcBnFuAfBoBjAyCAwCmAwBQoEd@eC]yB}ByAiBuD{AeAmA@oA|@{B\\uACaE~A_FwC~AkBFgDlDuBz@aBh@tCpBbAdBg@jB}CCwDmBkBgA?oAn@wAxCC_J[_BdEq@lA}CrCUbBb@|AO`A{@b@cBbDfAbBQvA{BRkHvEqARhClBrCZbEw@lAS|B`AnDnAl@fBGpA}@z@cCtCJk@lDrAnChA^hAIbBcC@eBi@eBgAy@uAEl@aDu@}Be@iIk@wA}AkAq@oDiBoA_Dd@{@{BkCaBpAkA^sBQ{BVwCgAoC}@{GbA}@hAdFrBnB\\|CtCdFmA|EhAhErBl@tBaA~ByD`@qDgByIcC}E~BmDQwEeBiB_De@oAN}@iEl@kBvA}ADnBp@zAlAj@xAMdBuBF{Cq@gBoAq@}ALgAfABoC{@{D}D{FYwIw@mAeAa@cAoOgBsBsACqAt@iA`CMnBr@vC`@~Gv@pAnA^ZvBiA|CFbClBdGtAhBaBxAw@Ik@sAD_Ck@gB_CqA{BR_@wBsAgAgAE_A^eArCv@rDbAh@nACHjBjAxC?`@gDhCo@lBZvDtBzDaAlDt@|FeBdBEhDr@rApAd@vAUz@gA\\HnG|GoEjDoA`FsBLmA_BgBOqAt@}BjEaBAyDfBuA|BuCsAuBRwAvAs@xBEfCx@nC{Bp@gBlCcFr@rAaAl@qBX}K`AqDo@aDhDyBtDoH^Mu@~BRxDrAhDnBt@rAa@z@wAt@kIr@ObAh@bCL~BmAr@sAFuBq@sDn@eD_AkCt@iBBmDsCiKv@aBF{BkAiCsCe@sAbAc@~B{@nAmArEO|C_CPuAfBuBfKkAEaDrAoBFuAlAg@lDgCzBi@nAGtBf@xC{ANaCg@kBjA_@pB\\vGmAvE_K~B}AmAqCl@kDsAiAPy@v@c@|BVrBaApGJpJYrAcCzCAtDoBbFwD@mB~CQcEdA{Ap@_F]}BuAgC`B{ANyChA}COcB}A}DeBu@aCXyAxA[|C}@]_@_B_CuClAeCIwC_AuAgBe@aBLeA~@_@fBN~ByCKyAp@q@pCn@pCrAbAnCJ\\vBxBvBj@nCbGpFgC|F^bEi@hCXtBgDfBwGlH}A~@eDbIyKlCiDrFiAFyA|@gBdEoD~@eA}@qC_@qDwBuA?cAn@GUXs@fCs@|@cATyDpAwAnD{NpD\\lD}B`AZbAKlAwATkBW}DrAyE`@iHe@sDwAwAbAmCg@mFsAcBkFmAaF~A{C|Fj@iH|GyFt@eCoAmIoAgAgBAuB`A}BrD_CxAuBdEo@nE}BhAu@pBcBp@iFhJfBmKIaEcFiP_AeAwBa@Y}AdAgAt@dBfCvA~Bp@tBEzAiAr@gCrAaAl@wC}C{L_CaAsF?qAj@_C{CYoD}@{AvAcIKsClCuLn@aWlCcAqAmDWoDgAK}@s@q@_Ca@^_@E?_@m@?Nu@aAWh@}@QQw@`@]sCmA`AeAqAi@nA}@\\gAm@K~@y@cA_Az@wAo@cANAgDy@mBc@EmAkBb@aCo@uAoCEK`@mEj@eDGW`C_ArAe@GqCtS|AfE|AOp@q@IyAr@]fBLA{@ZIn@CtAx@fA{Ab@pAz@BdAr@HfE~@pBZtDQ\\]Gg@dBt@pAFxBr@No@jBTvA]hBpAx@UpB~ArGKpEyAl@}@vCe@JFvAw@t@i@fFi@l@`@`BS~AzADN\\aAjBgAb@?jCe@BLbBmAXeAfAaBJc@v@TpAfA`Aa@nBh@p@Q~@`@`Aw@BgApAt@`AI`@hAp@m@x@YnBPp@j@`@hBY^r@a@z@x@dBuAfB|@j@XtDrA`A]zDbA`ABr@{@rDClDtA`EgAd@?lAn@dBtAVZnAk@vVfAxAVUbGd@n@fA}AxAhCbD[j@V`He@b@`@hC}@Jc@xE|AlDkAbCv@~@DlBjA~BrAEP~@XChBdD|@GX^SjEn@h@d@IBhAz@nA?v@wApAOvEjBfEHpBq@hBx@~BBdIvBIl@x@Lu@r@AhCqCxEZLhA`AjA`BTS`FlAf@VhAdCE|CxCvBYbA~An@DVe@t@d@|@Ez@`Fc@hBd@l@SlAn@nAjB^HbDxAaAj@NfD_Dp@Dz@~@_AxCV\\p@c@p@Xr@u@`AnBn@@YbAhAHO`EyAbEPj@fBf@}AvBoA}@cC_@oAp@gDfKwDzFk@tE{@nLd@pBbDhE","swgAwog@bDc@bCcBfBkDd@cEW}DwA}DaCwB}Cm@}C^kClBmBvDg@bEXdErAjDhCvB","ofeAacl@bCq@~@aBtB_A`ByBPgDaBaCgBM{B`@qBvB}ARaAfAYbBPpBhAhC","}bgAkrl@fC}@|@mCa@}CkBiAiADsAt@aAhCd@fD","yndAysl@lBu@p@{BhKbBjCg@dAeA~AsETsEe@oHxA_KBsHd@gEQmBdAmGh@a@pBRlAq@t@uBCqClBo@x@}BSgWwBcPV}Fc@kD`BX|Ai@v@wAPmC_@oCw@oAwAe@}A\\}@qEb@mDhB_@~@iANcDiA}BqCkAsAaCcImDmBIoBeAuARiCxBi@|A?xBuAt@m@~ADrBt@zAdFlAzAxGMhBcDOiBfB]lIzAbJy@pAQnBkAB_Al@qBrFZrDpB|AgAxE^dHWzGVzCtArDThI_I~CeB~Aw@zFh@bDxAzAQfBZbBiEb@cBzB[zAT`C~AbBWpBVlBzAtAr@xC","_yfAy{l@pB_Ah@oCs@oCoBs@mBx@o@nCt@tC","y}fA{lm@rB{@z@aDi@{CqBeAuBt@cA`Dh@bD","sfcAatm@~G{C|BiENmDgBkCmAMsDp@}AdEqBvB[jBRhB|@jA","gzjAcjn@rA[z@iAf@yFpCwIA{BoAyD_A}@qASsBZgChD}B`@wAdD}BjBc@lBLhBr@pAnG`A`A|C","yclAmqo@vB_@`Aw@f@qA@kBe@yAiC_DsCu@oBtAcAfDEhBvApC","}amAiuo@`Dm@fDT|AeA`BcI^wLg@wBkBsAcAOkAZqBy@yAcBoDSwAp@q@pB`@pFr@dBcArIjBjHz@z@","exeAo_p@vAa@|A}BVcBQaBs@gAiAa@_D~@lA_GUoC_CcDuEGyE|Ec@xCRrBpArCvBdAfB?tCgA_@lBTlBbAnA","}oiAiep@pBeAf@sCq@cCaCgAmB`Ag@nCz@zC","s`nA_op@lC{AlCeFZkBEmCcAaFq@iAeAa@wE`AkAzBm@tEJ~DdAjEv@nA","agjA}qp@|Am@fAgCWoHwAcCwBk@mADkAj@oA|B?zFtAdC","}odAcwp@tBaAj@oCq@kCuBw@qB|@m@tCp@hC","w_fAu`q@hBm@nFaHAeG{@}AcAi@oA@uAfAaCb@yCtGEnBd@|AvBrB","_qkAofq@tAa@bCqCtByEPiDvDkGMcDbAmCd@{DCmG_@sCcCgEwES_FfCeA|CkBvByE^sAvAF`LzBxNIlEbC|D","ugjAegq@dDsAlBgDv@U`CdDjBj@|AWfB{AnBeEfAcA^aBg@_D_CcAmAiCi@]oCz@oBg@u@{@yBJy@]o@qCaAqA{Af@sCjCmCjLhAvMzBvB","ahhAcpq@fCiAl@eDUgEkAgC]sD_AwBlAa@r@gAhAf@nAGbA}@b@eBbBFtAi@~AwCE}C~AeC|C}BbAkBrAF|CoAvA@vAcAnBdAhC?`CyAfA_C`@?tB`CdCS|@yALoBo@eCwAgANmEtC]jA{@rBsEt@gEnB`@xBg@~@kBHeEvC_BvA~@bDFtEcDf@gBI}BiBgFmFaEp@qAN_BW{A{@eAuGa@sAoA}DkA_FiCuDNmAl@aApBExB`ArBrD|OxBbD[hDrApHqBo@aC`AoE|F[fEwA@aBfAgCPe@f@uBcHgBaCs@FqB`Db@bBa@|Du@j@wAjDsA_ByD~@k@~Bb@dCqEpDiE^mF`Fe@~CXvA~@dAK\\kA_AoBCkCgArA}@t@aCy@uIaCJ_BeB]mEyCiCqB|@oAlFTfEc@lBCzH~BpIbBfBdBn@iAvAUrB`@~DnAvCTvHhDlEbBjA","skfA}yq@lCy@bAuBKgCx@_Hq@qIhATbAUnAoBfEaB`A}A@oGs@uAwAw@iCZoDrFaB|@i@pBJfCkAU_DXaBrAgBfDKlDhAlCT~BbAtALrC~@bB","}_eAs_r@xBcAh@wCgA_DyBs@qBfAe@vCr@lC","}meAejr@zFsBfBaChBrBhCSlAwCq@_EuA}@_BHcAiAuAQwAl@u@dBiFzAiArBE~B|@rB","{aeAsds@tCwA`@kDkAgCoDo@oBnA]vCxAbD","iedAces@zCCfA_@lB{EKwCwCmGr@eDiAiDsCeDsB{@uDx@qBpAwCwA{Em@uDCmAb@kAtD|@nDdCfBpCv@pBDpCpAbCzBzAAjBmAk@nDp@lEdA|B","eehAsks@jCcAlAaB`@{DdCn@fCuA^yD{A{Cg@OsFfE@~@wA_AkCNsAr@o@lCFxC`AhC","}kfAy~t@xBkAb@}CjAyBHyCkAsBuBx@wEBiBf@S~@V|ElD`Cr@fB","ireAukx@pB_A`BeF\\mFy@h@o@gBeCpCg@GOl@XlBi@r@b@vAH~C"],"America/Phoenix":["en~@bg_F|gA}hF?q}Bi~EGCfI]??^\\@AlD_EBr@fDx@`@?lDvAF?b@{K@AfAw@?UoBRS]u@i@GO{Cn@k@^lBz@A?oD\\A@c@mCB?`@y@?YcAYDEnFy@??`@pCROf@\\@l@jA?b@[AArEjDBZv@UvCaBADgBwABAlkA\\?A|SuS?iCn@y@lAeBJa@d@c@Sg@R]s@s@b@m@IAtLfF`@C~Cy@??`FqCA?iB_D?k@`AeGQy@xA_K@JfAiCr@cA`AqABcA|@e@yAOfA_AYo@cAmAFU`@_CyAy@sAeBOwDgC_@w@yDcB_@_Al@YAo@_A`@@sGqBG_Af@TuAy@c@|@kBXORZZc@@cAZHh@eBf@m@h@Pm@QTgAa@JFfAy@v@QbA_@EAx@gAd@{@jCg@VBfdDhq@EdDpClC`@^\\TrD}AlCg@Gy@n@iAnCh@rA[`@TjAk@RAvBj@xAYXr@dAXrCl@b@j@i@b@NVk@h@h@`CYlCgCh@tAf@Qn@\\`B_@dBNl@k@`ANvAgAt@j@xAWhA^vH}CvH{@nBNt@fCbAuAvAdAlHEjA_BhCcAnBeDjBW~AcA^VbCmBvC@FeBbDoETwA`ByAtAMDbAnC~B|CtJh@b@`CFfD~DdAs@Fb@`Am@Xv@|Du@n@Nr@c@dAjAXc@Nd@nAUh@d@jAa@jBfC`D`BVfDhBu@bB`AtAuBX`@n@_@hAB`E~@Hc@dBu@_@a@j@y@SyA\\{BbB_@Fs@~@Zt@c@`CJ~AvBlACLVj@zCa@jDjEzBh@xAdASz@X@k@","ileA|jxEr@s@GYn@PFg@jABAwEqB?Do@iAaAoD@hAtC]?AfBmAInALr@bC","yldApxwE?aHy@a@?gAx@?@fA~A|A?eIg@?@o\\[?Mt@eBAXmHu@??h@wA??cHyK??zAmCu@Zr@e@z@`@?@tAcDHx@hAeAtD?hCm@w@g@A?|Ew@?@j@y@??nAx@HA|@lB?@vAu@??nCsB?uA_B[gCl@}@{@s@kFu@e@cA_BUcAaB{AWBbBv@zB]`Ar@|A]`@v@pB?`He@?_@|@lA|DVB@c@~ArA~@BCrAm@Jh@x@@~A","owdAvhvEiDkD?{Aj@ASg@rBP~@SLzAYb@`@fCI`@"],"Asia/Novosibirsk":["}ykB_tqC`@sAn@ZvBwGLxBdAjBtA_Da@_Cf@u@nASdB~Hh@iA`BtEp@kDn@NJ{@hAE@s@pA}A|ALp@q@f@pAh@MDmBvB@AqBvCgA@t@xC`BVkFWJ@uCx@p@~CiAa@uC^OIw@nGyABiBw@BD_CLUh@NDi@nBs@Ln@zBj@MbFpYBqGc_@_@q@s@pAk@wAeAw@pAqLo@wEJ_CQw@sCkB?cCmAiGrAo@jAtIb@IAqCtBe@v@bBbB@rAzCf@MjA~EiAx@V`Ac@~GvAFfB}BlAKnA_Bxj@usAyCb@TgBaAq@}@`Bu@I?mHs@@[vEc@dAeCd@EmKSH?gBgAAFmClCIjAs@NZp@kFSsBs@A@_Dg@@t@qBQmDiCMmBfA]sCh@c@u@gDe@kHn@eEyA}An@eAEiGu@uAKmD~@gAcCsL_AAe@`@]sAs@yDl@c@y@yEaBfAOu@_@Vi@iEOH}AgGkBrAeAyG~Au@gDaN\\a@GoAg@kByAfAu@oDZ[uC_In@e@W_BcEfB_AwG`DaAdEmEfDwACyCv@{@FkAS{ApAyBq@gD|As@PoF^~AbEp@UuA_CaDIcCVp@r@yA_@cDpA]Fb@~AKv@dFlA}@t@hA`AaDX[Nj@jA{@y@cAKmEhAoEh@I\\uC}@gBnADb@bA^AYaBt@ETaDh@WM{@n@Dt@uATmAYa@j@wB_@uAJeBuAzC_EgIs@xAaDuGw@xAiLkV\\o@[[_@rAwBaF\\k@?mBcAs@lH_BYkEu@PI{AgDV[]AsA}@i@N}Iu@gEJmBb@@\\t@Pk@aF{TZaBl@AIqDa@}@^cA^LLWm@cF_B_As@LuAaCcC{Hd@s@_FeQuIpJy@_Dy@n@Ya@q@n@o@hDgBiC@aBg@R_@iDw@pAW_Ac@pAmCbCMfDc@?u@dB{BiCqEi@g@RwAjE_AqAc@wB}AAaBxBVlA_@vBH`C}@lCwBcGuBl@MqB_FtAStB@m@a@Gy@pDR`@a@THp@k@LDh@uAXIaDcA?CnB}@m@o@nBo@BN~Ai@Xw@_DUGk@tBB_BiAK]gAi@n@RtCs@bAf@rAl@Fb@`BYtAcCrDrAvFDnGlAt@h@rAj@??x@p@CJzAvA~@JW^~Ad@VVm@d@^PrBf@a@Wn@d@H@h@Li@jApB`@_@f@PT[hA@Xl@SZeAOg@ZgAdDhArBMh@a@i@y@CVxEj@j@[?u@nEq@O{@gBmC{ADaCuAJ@q@cClDc@s@aAzEW]_AToAgCc@v@v@hBs@jAQjBwAkBSx@KwBEXG_@WZOQg@hBd@jAk@nBaE_G_A~A_@@aAgFcAw@uEdJbAbDItBa@j@j@rG|ABFZz@aAdAxCs@rBx@xFObC`BdIh@zI@rIvDdYoQ`UpE|z@s]~h@{ClWgFzn@_B_@Qph@^zt@mB`Mk@pd@|PoExBaCxBl@Xm@fFq@dApHxA[PbFfEtCRrE`@f@f@YrA`@FkCYWKX[sAPQu@_AJy@JRP]a@KDaCTRB{@j@_@HtBRe@fDBn@a@Dh@Fs@l@k@VNm@mBbCyBdAkCp@@dAfIcAb@N`Ba@rB`BjBBfMXGt@lBfAv@HvFl@CV`@zB~DhAzDjBzBvAiDIg@~BCRtGq@zF"],"America/Atikokan":["_t}AxesDFoB~@i@Dm@F`@\\eA?gKv@?n@`Ed@IZ}An@X~@Mh@{@Ok@d@FIaC|@y@LiHx@P?e@x@Mr@\\M}@TJCeA`@YWaDrA^l@Oo@}CAkAf@g@eAgJmCuEyAoGcq@@?pm@dT?^vId@ZTpCpBdDW|@r@fBn@L","cbcBzfpDrNsNrNg^}g@?@_FoG??~Ew[?rNf^jCjCfJfJ","m_{BvoiD`I}c@zf@ijBtwC?meDouHm}@U_~@h~Agb@xw@?hcB{b@nj@}@lNLfHpY~lA|`@|BruAfr@","wn{C~dhDvDqEd@cBdBa|@`AgG@cGr@~IoAhJs@dq@~@bBtBIn@`@j@uDNxEx@H^u@v@eGd@}Sn@}G`@_ZfCwUv@@\\uAcj@AAtTmB|UMtGXf`@n@|EbDnBdAfBdA@"],"Asia/Qostanay":["yndBsdtBx@gAj@Er@sAb@^AiDXYcAI]`@xEuP?sDp@ALtA|AxAz@zCrA}BP}Ef@UD{W~Bp@x@aA|@ODmAf@O?oDf@g@Y_Ef@cB@cEl@kBN_EjDaBdCwGYaE_BaCjB{BjEw@hBoBd@D^{CkAOw@cBtBoHlALv@dCdAg@xFqKVjFlAdAWlBvDmBzA|AbAiA}AyIbEqBdABnAcA\\v@l@K`AuAx@Oz@yCvCaADm@rAwAv@Zp@_@l@mBVRZ_@Cm@xAi@v@uAVPpA]rA{BPX`AQlAjARi@n@JAx@kBrEEdB|@bDzAtBnBDnCpAdBhFnEYb@k@HlAi@dC`DzBxFcHlFaE\\t@B`HdA\\DiDfJmEpIoQ_D}IbC{Et@FzCxCvC{@~CcTjAcBz@mF~CqJfCsCnLuIcJuOcFlBaB}TmBnDcAoAuCzBAiMkO_BzEgm@_BkJ?iCU_@}Dk@UsQqNeTw@cGkBmBiGkBsFsJiCyKcQwSj@q@uK}MwAzBq@{@eALq@gHcBaFe@oEaBiBu@?_BqCo@C_BhEq@c@g@pCn@l@`B`GOvLn@rDb@]dCjUeHdC]}@wC]gAlFXxG`AxFyBhMkA|Br@hF{GtCBlAp@n@Sh@j@n@Sl@}@r@uAGyCzDSvA^Ni@~C|ChA|@fAl@nJaCr@{EeAaBFu@m@sF~KmAkBiDtDwC{HgAfDsCuCcFoAoBnBArGyE|@CkIwCeNaBO_IaDCc@SX_B[_CcGwa@g@EyEcGTL{JeD[WtN}C`@aAqHa@Lh@sKaCBmA|GiRN?rGuEJsBcB?c@qGMBfGcGj@Hn@iChA}CwJs@iIcDbB@tCiC`IsAaHsFnDu@g@u@bAg@gA}C~@oCF^tCYdA}Cc@f@pGvAZpAdBwAbQ~@`At@kAr@QKbHfA|GdBOjAj@\\i@xBa@Zo@v@pA?`FsDlGjCvMM|CkAtAb@r@NOb@tCUtAJ`@t@JJfAS~B|@`LWvCh@JZfAOb@_@UJfAj@P`BuAx@tBD`BsClFfDvW[jCNxHVf@d@?Re@t@\\j@pC[|LvApOt@p@rBy@dBjAn@tAYjCyCdBy@cE[tCb@dNk@hEX\\C|AtD}@A~EYvC{AiA@tAo@F|A~ByApBXrBYLlAzAl@B?pAoABk@nDiB?G~CXtEfA|AxAq@v@LfA]RtCo@bAy@Q@fEr@?SdBf@~@v@DX}BU_DfBsATsBzARn@pBdBlB?nBfC`@BtAk@DHfElAGZ{Lp@Gr@sDHkGuAqAPcIlBWVw@b@bATOObAZb@b@G`@rDUzBs@N[vAWMT|Bn@z@fBVr@zBzDk@x@aBP{ItB}FOoEs@Oa@eAt@sBjBgBtAgG?}Ez@wDvAw@zC`@lAhE@fCiB`FHbHvAjCsBtCq@nDxAzCGfDoAnBjAzEx@x@QlElB_CjApDhAtA\\jCV[|AdBRrFhEEfA}A[aDlF@ZwGhDSvCuCh@nBvBdCfAtE@nBpC~B?zKhIpRCfK"],"Australia/Melbourne":["n|dAcirGbgBUnq@PhDcHhCOvBcAdBqBbAqCvBcOy@kKaAiDjAqC`@aEaAcHFgG_@}Cn@{D`JiQbBuLnEqG`AcFBmDbBgC|@eDDgHaAsEiGyJ_BwFuJgKaEkKaCyDCiAlCsEjDgCpA_DzAcYbA{GbE}HZgGbEcA~BgBrB{ENeGrD_A?ooA{Dr@sC~CgA~EHdFgCK_Ch@oAsC}KmMcSkX}GmLgCaIyC}QMkJ`@oPkAoIGgIz@}Iy@qFUwGoFqO{CaDMcD{@{CqGoG_q@j|BHlD[TgAeAa@Bi@mA{BqA}@QOb@[]i@t@Dx@k@RP`@oERUfA{@N_ArAmCg@Ql@cBIiAZ]]_Ad@eA_@AhAqABWd@qAg@BbCi@l@_AALx@iAxCDz@mAdC`@zB`AzA[dBXBJgAf@~@c@~@k@Ig@z@@~@^VYtBn@BE^h@d@rABx@bAi@bAR|Ce@pAJj@sAf@\\n@tADXbApAPNf@}@p@Tt@a@n@jAXe@^Zh@s@?Br@YN\\~Ac@A_@l@JhBe@EDj@k@Ab@zAc@HDp@e@JUfAo@BTt@]j@n@ZcA~At@PBWFXMn@e@JTd@W^`BxAj@M^d@q@z@`@PAzAYQc@R^R]^z@lCm@V?tAa@G^^Qt@XCMbAg@Nh@~C_Ar@k@OVr@Ip@a@?L~A^G^bB}@|@QxBQQKx@]AHn@QIaArBi@KVt@q@Jm@hA[IPl@g@D`@Z[vAj@\\@tAh@Rb@jB_@|@?dCi@VXvDWIUxAxAbHd@M~Ar@x@ONr@f@Lx@kAlAo@^HRbA_@\\OhCrAh@@~@h@@SR`@h@k@hAJj@w@?RdAeAIZbAk@BIf@x@^yA@L~@_Ah@W|Aq@I@f@YATNeAt@Bf@s@z@SOF`@yAGM|@[NC[G\\WW?d@u@WD\\y@XYjBa@A^x@_Ad@]~@g@D]dBy@PAj@cBr@[tAw@l@Zt@Oj@e@MEj@aAHLhAu@rCc@Du@rAWdB}@A@lBq@p@|@hAG^uA`A]fAmBy@]f@{@Lc@a@a@`@b@dAApB{@l@?rBwA?cBbBu@BGWu@x@?[s@Cc@d@oABg@s@wAj@}@_AWC?Zy@e@o@PYrAV~@g@p@e@k@Hp@YNZ^{@JH`@q@h@P^g@D`@ZWz@USRh@][KNf@f@m@j@h@^Y\\^@e@JTj@i@KSv@~@^{@Za@dA~@hA]r@]SS^YYAr@s@d@Nb@e@IBj@{@k@]d@j@h@T[CfAl@UAtB\\GF\\Hg@x@f@n@k@F~@vAi@Ch@`@?a@`@LvAx@EHq@`@Jg@dFi@p@gAe@?f@U[a@^We@PpAeAQE~@i@_@_B?Id@n@Ek@r@Lb@w@DNZe@l@O_AMp@k@c@J`Ak@o@M|@eA]mA`@Ok@o@IEZBs@q@MU`Fi@]QXRbBoA[Ub@yAWi@^MzBy@AId@Nv@b@@AfAm@b@g@SKzAs@QLp@d@SWxAl@Na@r@d@Ro@VEb@Fd@j@Pg@dE]ARh@]IKz@n@Xe@VHx@f@xAn@HK^`@MGdAJa@f@VX[?hCf@?Hn@eAQs@n@XbBk@T?t@c@ALf@o@x@v@bAu@LcArBR`@s@@VVWn@z@h@e@TPf@w@@T`A]n@t@Ju@n@Tl@q@Pn@Ri@j@[SHn@aBn@"],"Africa/El_Aaiun":["mug@ly`@hDg@lD}BeEuJwFd@i[iFJ}uF_jAfDyLbCmGyAgGuEsOuYw@yKaEcLkAwHc~C@?koEkgB@tAnhHxMvD|NjHjEVfJnCjL|Tf@lG~@rCbFdEdCbHlGbFbF~AtEOvEjB~DtClMbCdF`DtHjBtGn@nKk@nCP`GxAxAnBrBhAdBnEnCfDpG`FnD~EjJvIfDnHxBjCjErDfJxEhEt@xEaAtA@jBpBtHvCzE|C`Fj@pBdBxC|@dGnAdFZfDfCdEbARbDjArCxHzIfCxAhET|P|F|Nh@"],"Asia/Qyzylorda":["mzxAmhrBxi@cCni@}{ApPw_@nG{@`M}P|]ec@[}MgGcdAfBy^v@ii@gIyWf@kCvLmJxKkV~YyP_DyNfVBfMn@\\{Cgf@ebAeMqd@eAcBWnDw@wAE|A_@?Eb@a@eBe@n@c@AS`C]XI}@QlAZn@vAJi@d@gAOQ`@}@uCaCs@O`@gDwB@g@wCo@qEZ\\wBt@eAeAiBcCMeCn@KbAUA_BwAw@wB_CcAuGxNsErCmAjE^~AqCpFkBq@Uk@mLa@iI\\o@UeL^gEScAxFoF|Le@U{@TmB{Cq@VmA{@aAAyBf@cB{AqCEUq@wB}AuDzBBr@mApAYGeAbCk@Ve@_@oBb@[k@k@t@qAVw@[iA~NR~^]`^eAdReEhLiInMo@lKwJ|]iBvOiBhHqAhJJxEeElMuAzKuB|DaAeIcBgAiDhWj@~FkAz@u@lPkDq@uK`P]nFaJpGqElHXxb@p@jAni@jWJxLc@~KdLh@^nTnMpUdI~K|Z`["],"America/Thule":["wztCxwoC|Au@`B_DnDcQ~AwPh@sSGoYiBwg@aCgPuCqFbVco@`WgfB`AwN~IcnCHcQsAymAjCim@}Xgv@}BdMmxD|dDkEnByDxeDbGlHrDj`@nHjn@pCda@dJ~qBjArMzAbInBlItBbFf@jEvDrInK~E|n@sS~AsBbBoF~YawAkBxd@UlZ^vW~@bO`BdKpBbF"],"America/Nassau":["mum@vr|CxC[`NoElDcExKov@rYiq@lPgi@fImQvG{JdO}XtkA}qEnBwBfAmCN_DeAk\\e@{C{A_C{NsIsCaAkXqGiEIeIsAaH_DeTkE{Ej@oCpBwm@bx@}bAbv@mAzBy\\peAo[dZytAvq@wElEsUra@cFxPqAtKcG|LmBnJ[rEl@rEbSxi@tCnDpE|@pt@YpPxJvI|@lFk@hKuEjFgAnKOhn@`g@nEn_@|CzEzC~A"],"America/Detroit":["k}yAbroDuAiDJs@_CeOeE_I@o@vI??wFlD@?oVxI?@kVoD??uu@xI@?k^hOB@qNjD??uAvTD?_CtEeI?uT~Kq^tHtNnKrJxm@lSz[~EbQj@jv@}Fxl@vJ@cuC~B?kA{uAaM}QcDhAgDw@cFJkCaB_CuNqIkI]y@LsA_CoCgHgB{A\\mFu@oAkA}@Lad@yQglBvWc]jbAaJeIwErG_@dDd@pE_@bCtBxCDfByAh@_@z@}@?kAlCkB|@]SW`@}AFMYcB`A}ALiDeAu@b@E`EpAbB_@hDNvB~AlBO`DyIzK}N`E_y@zkCq]nmAxBdR|Ofh@oAbH"],"Asia/Ho_Chi_Minh":["ekQwghEpS}Ppu@gxAr@aCBkCkOioBuAiEqpAysCyC}CmCo@ciDeWanAhFy}AzKcD`BumBfoBmM|KlXjTxA|Dp@e@h@d@[~@P`@dAB`@t@hBRNt@gApBf@r@ChBaAh@_@IStAnC@Fv@r@J|@iAtI?jB]b@q@h@HKs@p@_@We@Rg@n@KjAr@dDoAZmA[Qv@Ii@_AgA@Ms@TIiDy@N_Ax@u@hAXn@Ul@^Bu@hA?dAcCdBMOiFlBgCrAVzA[n@eALiCbDmCe@wATi@i@YGqA\\ObAZZg@`FfBp@j@MzArBzFRRrAe@xA`@KgAb@?d@w@`BXr@[d@cCp@SXTJk@vCa@ImDh@QJgArBKf@oAu@wAJg@~@v@~A[^q@~@f@pBc@bAbBzAwA`@d@t@]b@p@hAo@?v@l@Rk@vAtAnCnB]tBiEb@OnDlDfAiAv@d@@aAbEGhAtAnA]jAp@hEb@WpARh@t@Yd@|@hAb@z@_@vBApFpCfA_B\\b@|ALt@w@OqBb@YbBDXg@zAd@`@e@tBj@dBcDlLiDpIYdTvGzAYH`@j@D~@c@jADxBoBxEIx@k@fAXfDi@hAt@v@c@dDlAz@Yx@RtBhE`BPHb@_EnCXr@UPNpAx@jA`@tC`Bb@Rt@lAd@Kb@p@I|AvCDS`@X`A~Ci@|FzBzAjAB\\n@DhAo@v@n@GS`@ZNYNH~DWVXt@i@hAZtAvEoBPv@~@QrBdA`EiAs@~Cb@hC}AzACnAk@z@Z~@OtAmAbBZvAvABjDzBkA`CZbAzBzA`ASBwAf@e@hDLZy@rA|@~AWjCd@DwAvAC`A{@^qC~AOrAeCx@[{@eBr@e@fEaAGtBlAKr@XxC_B~AEk@r@?zDqE|F`AYf@r@p@Io@jDgAYiGjD~C~MHnAc@l@Rj@c@r@rAb@lCjCiApCm@hIqAc@FdAj@FHr@jAn@rIiChD~GdFhDU~OnAhAhAN^bAdAf@u@f@PlAvO~UkDiAsGDsD`DKbBhDrB]fDjAt@bDeAj@wBdAq@pHgA","w|O_vxErE_AlC_Dh@iE}@_EtAgCXyCc@_DyA_CgCsAeDUPcF}BgHpB}Bt@aDFeIwAaEyTnDk@`ETtCwCxCs@lE^tCpD~IjD~CxEn@WvDz@nDoAxB_@rCn@jErCxC","clN_d{EfEw@pCwCp@kEy@eEyCsCwEm@t@mCCuCw@kC_BeBuN{HiDO_Dv@uBjB}@hCGzCt@xCfBpBzCdAdGlEhFv@y@dEp@pEnCrC","wnPuq|EtDo@rCiC|@qDYcEtB}@`BiBfDuLpBoDP{Ck@yC}AyBkCmA_FCaEvBcBfFcEnGg@lIcD~AeBbDMbEzAdGtCdC","wpRs}|EhEw@jCmCv@gEo@iEoBaCaDiAaFa@gGnA_BhBw@hCAlCj@bCnAfBlBhA","saRiw}EzBUlB}@}FaMnJcGyAcC{BqAe@{DsBqCuEsA{El@_D~Cq@zEyD]_@w@iVsDfAnH?hDxNf@mB|GpQsAbCvIjBl@rCvB","kvRqv~EnWnAMrCoSzA","qfUaz}EpDm@fCwBP_MaDaD{G|GqFxHvDhC","ehPip~EpCa@bC}ArAiCVuCa@wCyAaCeCsAwCYsC^aCzAsAfCYxC^tC|AdC|BpA"],"Africa/Abidjan":["quKpxOJeB`CgCiAs@y@RBm@v@Mt@oAZ`@tAw@\\z@^a@o@qBjAkC`@VZeDz@q@uAqIr@YVaA]Ud@_@WWf@KWWt@Q~BoCBj@z@STb@tCAi@e@Xe@QWh@U^Pf@{@^f@~@DZw@pAk@dAmBQUi@Xq@s@lAALyAd@]Qi@x@u@Bl@dAw@q@_Ad@Hp@mAcBa@`@sAvAd@x@]`@^|F{AHk@nAGDl@~@Dj@a@Dl@ZY`A~@|AE[f@XP`CaBk@o@rAL\\]b@p@h@E~@p@?XoAYh@vBt@WbAf@d@[~AHjB`AU\\|@dA~C]j@^`@o@fAOC|@t@rAbCa@v@Xd@cArDELX`@W^`@tAw@r@p@nCi@lB\\j@w@~@v@pAiAnKEMoEu@mDoGuMqAiIwEoGe@}HqAkEoAiBeEsR}DaK{C_NuBeZuA}a@wDwo@hB}KbEce@{JwAmAFSoA~@qEo@[AqCf@_A[U^]W_A`@w@mAcAyCnAcAUcA`Ae@e@iBBZyAcKpA{BIsBbEjAvCk@~@uCWLnCgHK_GjBoIx@eEdBAj@wAIgN`CwBEk@v@yEgB{At@wAGmM_He@oBkCO_EmC_Aj@kTiB_LuDuAoAqDSx@cAaEeCSuCu@MeCx@w@e@NaB{BcCkc@|DKrAcAaAcBr@wAIi@`AwCXYfD}@~@w@e@gBV]kA_Bi@{AoB{B|Bk@CgAuAgFPvCpCmAbCwF|EoIjC`@fBmA`AoBX{@dBR`A}DDrDbDq@zAoAMPfAw@tBVn@c@tA@|Fo@b@|@bB@xE~@r@UxD~@dAAhArAJClB~@j@wAvCpCzBZxCd@TFe@pAl@lBDvAx@w@v@Lx@p@DE^gCnA`@vCy@^eBc@o@VPlAn@Up@f@_A`Bj@PSp@r@RNdAgCrAQx@d@X}ArABaAkBBWjAo@^BbAi@hAl@b@o@jAkBEOo@kA~Ak@GNg@c@Eo@Vq@rAcA_@n@nBs@a@CdAYIB}@a@`AsASHxAe@q@y@Dd@lA_A_@e@Za@k@Qj@s@Qf@zCcAP\\XBzA]`Az@`A_@p@n@\\oArCmE|BeAhBR|B[|AdArAI`DtAjAXtAxBH\\d@hAIYfC`A@~A|@U`H}@`C_@MQx@mA\\Yu@Xa@c@Wc@\\q@_Ao@v@o@OMq@{@|@k@A]q@_@pAs@\\T^W^gBuAeAb@c@oAs@~AwAEi@a@]dAnBtCo@fCLp@jEa@fAz@y@|E{@v@Kx@wAf@Ar@~@ZLULn@v@NR]hBCPl@tBIx@eBpAx@bAUl@jB{AvErAhBS`DtDjCh@Dr@gAxAb@l@hA_@jBoAG}AdC[`Gz@zBQjAYTa@s@qBKi@bATvASUqAz@y@]}@b@MzB~Ax@cBzCpD`F@_@l@CF~@h@EZl@Fq@xDjDXtB|AtAi@hBv@JTd@jAIlAtEzB\\X^VWQg@b@EZfBNa@RZh@SQe@ZUdAb@IgApAUp@DB`@X]F^r@UDf@LUVVfAU^^jAWv@x@RWl@VvBILa@\\JzAu@bCeCs@sJbD`ApAOjD`BdBoA]uBlCsA`AmBL`F`A`@NrAhAdAdBc@fAr@`@a@dAXd@hAhBuA[mB`A{ASwAr@FT{@nCw@VwAx@a@rBn@|BiAnBd@~BoAAjEaEzAi@nAl@Pz@Uj@nBi@AUtAc@QPKo@ZGYg@n@j@lBm@hE|@j@u@zCtAr@Aj@bAHpCs@dAZt@UzBn@PeAnAaADsCt@}AoAc@\\]a@aAhCJr@f@ViAhA[Fc@~@A?jA_A^\\XYjARZrHpC~ASE[nAg@|EhBz@@`@t@~@Xn@]|AnA_BnDu@Rh@~@CrAs@AQ^lCrCl@WFeArKw@lBoAr@XvAkAh@cBzDn@`CWb@c@bAfBrBe@v@v@v@_@MUr@f@l@Qb@v@dAII`@xAn@Pr@t@Ip@`Bd@CTfAb@AGf@h@HYv@`AS^VSh@XJFYz@\\Ep@"],"Europe/Minsk":["wbeBugl@Lq@bB@r@aKl@EJq@MyCv@V@i@nAmAS{@TmAVHn@qANRJW?\\d@k@h@Jr@_AZn@ZIZtA`@e@`@bAn@s@N^VOEl@f@U\\b@nAsAh@Tb@nC~@~@Dg@t@]ZXf@Sh@j@FWlAPvAkAl@XJ_Br@YGeBsApAeAq@Oz@}@h@{@gC]qEt@KPwFn@`A^CK{Ab@iCoA}C}AwAaBgHeAgBiBp@wByA]aAo@wNj@yF}@wBAq@`@Oi@oCp@e@{BkI]{HfAkDZcFEeBe@c@f@oEAyGw@JLsBb@CPaEa@wCh@}DjA_BKY^?BqL]m@zAAC}@~@wAHwCcA{ALiE\\mBbAE`@mAQmBz@kEaA{AG_LpEKZaCfB`A[mFRgC[w@X[O[h@@Li@g@o@?Z}@G`AkEYcAXuCjA@t@dBj@LvAsDuB_BUqAaAl@}@]GTa@iAj@oBx@B_@mBfAx@QmEa@iCq@UBo@kAc@gAoDRUdBZGq@|A{BhASiBcFh@mDA{DTWTXv@G|CaAk@iB|@Df@e@oAaA_An@mCqB_A{DCqBb@y@kBuDcAw@VGAkBn@f@AaAf@T@s@nAS?kAlC@hAo@HcAvCa@iA_Eb@sCu@u@uB_@d@{AsAaBDmAu@wAAm@x@KRZdAW\\iB_@DCg@ZeC_AI[qAh@eAe@iB]@b@mEe@U`@gAo@_@rDwIvAKb@bA~AsCJcCbARMeB`@cAk@wCg@OMx@m@sBs@`@]i@iBbAHz@m@Xe@wASz@iAp@eA[JfAy@d@Ou@e@~AQeBe@|A_Aq@Y^DgBgATO}B_Bw@MhAKsAc@[cA`@YsA}@WeAuAHiBk@k@s@f@s@mBF{@_@FGq@Y^WyAs@J]]a@`@Eg@]BVuAq@eHp@i@LmBf@EPcASyAkBu@]}BYTQs@DaBl@}@?cJh@yBo@yC]ZeBFQxDg@m@uAZMa@o@lDmAzAGwAeCOe@TDv@mA[Et@eAwAYp@Lr@g@\\BeAaA_@Ny@g@eACvA}@bCqAKwBnCYiCu@s@oBDqAlCMa@i@DAfBcBlDsCjAwAbF[g@@iCaBGKoBYOa@`Aa@BcAeBcAXf@cImAaCjBcIdAM~@aACcCx@kAa@gDl@{BKkCs@iAR_B{@Q@qB_@}@qAq@AoBk@cAsC{Bk@h@X{D{@aAe@ALiFqATm@_As@^Go@c@ZYOWhEU}@m@nAx@j@Gh@cA@GxBSQk@pCc@GoAnB{@o@]b@h@?GZ_@Fg@YSoCu@AYhAa@Bh@vDuAhA@vBa@YRnBcAh@L|@w@tBb@dAAxDx@vD_AlDT`B]Wk@`@AaAk@@ScBSnAM}@m@AUs@cAV]}As@B[fA{@iA_@Oc@`@Y_@@vB]Zh@jAC`AeAi@RbEmAf@HvD]PMvBu@Hu@|EQ_Ak@xDgCCObAi@iAs@h@Y`Bi@a@aAdA}@AC|@YDJdAeA`DS][JUsAg@Jc@_@kAqBmAJWl@R`DUlEe@L]qAY`@Jz@{@p@{BjKkCiAI{@[N[i@_A^e@yFa@NSu@_AlBe@y@L}C_AW]jAy@FS_@GVi@[G|@c@g@QNy@xBeB\\O|@i@BAnBeBOwA{De@W_DpAi@cCq@xAg@qAaDz@TVa@rCN_@j@j@PfCoC`Ar@tBm@E?d@]]Cz@k@QaAj@g@|ACnB{@`AKq@SJ[z@FdFs@t@DhBkARL~D_@\\x@@Aj@d@ZOdC{@`Cb@nBUzAZ|@N[rBnCFhAm@n@j@rF|BxC\\|@KfAwBnFyDiAU}@{@`A_@kDu@rBWw@Wt@w@hIPrAmAvBTrAc@r@xAjMdAR]lABtCwBbAg@tAw@h@{@{AJzBa@nCz@`GWEYvAXLf@m@b@b@BlBUz@s@XPdAw@G{@rDs@JCZhBvDApClCdCXbEZs@Zv@t@DBfB`B`E`@?h@v@vA]xBn@MlJi@bCz@~CSjAmA`Bc@fCp@jAVnFt@t@?r@rCdB^jCf@^m@zBEzCl@ZxEBzBnE|AaAV\\Xc@Ch@x@g@DTd@KpAbFx@uFAwA]g@XIa@_Ab@_GZoAh@GpApEx@@d@lBp@}@^hAX`Gc@l@~@nBk@rEz@zD\\~@v@sAXbAp@ItA`ANxD`@JBbA\\ILv@JQ_@pCt@`DKn@Pr@|@HtArCr@@Fr@n@b@dA_@bDf@rEaApAbD|BrAVhAJs@|@Iv@v@IZr@EP~@n@J?n@t@g@?sGb@i@^VNyAdAqA^dAj@w@xAM[`Dv@d@XzA]^YpDe@l@UIY{Ay@\\GuAcAjAQUKtAu@JC`@zA|GB|BYh@n@b@MbAxAj@|CxFSzCw@fAt@~GVc@\\pBZEdAuAr@EN_BNlA\\?Ln@LWC|BbAb@FjBmBYJnCxAxE`C~CFhDoBjEDnAg@NzAtLE\\w@L]~Ar@r@WxAf@tAp@e@VnAs@Z]jB\\fE}@|DxDQVw@dDDn@aAzL{CjP}HVgAfAQjAkBrCzAvAwA`D{@f@x@vEOb@]fE@`EbJNnFtBzI~CzE","koeByq|@BsALKXHCTUHJ\\EL"],"Africa/Brazzaville":["|_GqoTjFeIzFsClPsSpCAnIuBbPwKuEuI[FeGoHsE}@XYK_A^Ba@m@EeAXEa@y@wFgCqBJKuBkAeAn@eBs@s@A_DgDoBt@gCa@YcA~@gCd@oA_AfDgDw@kBvBCvBuCjB_AlA}Ah@qAmAK[]Tm@nCyAvDmDrAiErB@rBoBa@MiAh@OoBiAC]m@mBe@P{@`BqAi@gAy@[e@`@?y@~@_Am@e@aAp@McBs@@q@`Aa@w@o@Rm@i@aHE?s@i@i@@wAb@k@VRZWIW~@Fd@{DqEiEW{Fe@]_@{BuAeAGaCi@Ba@eBv@Mx@f@h@GpA_AdAoB|C|AH~@r@d@Kh@b@T|CoAb@w@zD^bAUj@`@|Dc@cB}Cd@gClAy@b@wBQcAwDoHiG{BcHaG{B_DqDeCaCi@[{BcAoBLsDk@yAgAs@sDYuBy@_BwBaAqE_@uFcAsDyR}GoCmByNoFc@?}@~@_CKsC\\uEg@oFVmIw@cDy@qQzBqIi@cDkCeC_FsAo@{EiFqDsBkUeI_FeCwCgCyDuE}CwG_A}F{A}DiNsJ_B_Bw@sBmDeBoLy@yEdBqDWoEqBuJoA{E}AsD{EmBu@gEOiBx@oAdBuAb@oDAsCg@iCN}CnAkB@eBOiF{CwKyAeJgEoKM}FZgEk@mDZ_Ek@iDBaCo@uAgBcDmBqESmBaDmAw@kGiCuDi@{MuEoBqCoCy@mNNg@L[~@wFhBwAlBn@dAp@CDnAh@@Et@{@|@n@t@EnB|DdAZtBaDpAM~Cz@fD_CbAvCjDiBp@yA?@jAw@tBj@p@]h@HjDyAbBi@~CzA~CfDbAAh@cARIdBTr@x@VPzGnBzBu@x@c@tBp@rCd@XyAbEz@rFpA~AzFBlDtBhCIdAz@~CMh@y@lA|@tA\\zAMZ\\tAcAhBNxe@~R`AxAi@ZN`BdEKr@t@b@o@nCdAl@m@tB]Bm@tJsAb@V_@j@P|@rAz@u@jAkDMCbC[zAa@NVp@uAXw@|B{BnB}@xJ_@`@P^u@nAnC|G}@NJz@iB`@e@vAg@GUpAl@bAq@T@\\z@J?r@v@TC`Ag@Nt@j@uBvBv@VPjBm@t@qAk@Q`AkAHH^p@GIf@r@`A]^Tj@_A?H~@c@Yc@t@h@@Mt@o@XFlAq@?If@wAx@~@b@X~Cb@`@G\\j@FoB~AKbBp@vBM`~@p@GPXt@_@vAF^LGVVUlB|CnAIpBvBzAaBd@Z~@K`@f@^O^t@d@Cj@n@jE[b@n@vBeAY_@ZYfA?R{@vBWt@s@xA`@\\m@vAnAMdApAPZt@f@oA[aETe@c@_@u@@Tg@Sw@s@CTq@g@a@Cm@X@OMz@eBWAX_@e@s@Jk@oAu@SyAe@KCeCm@}@n@o@]m@{@@e@y@u@Jn@}Ik@y@vBwBk@gFr@a@t@qCnAw@vBX\\]jC?x@m@dATtCoA~B[N}AjEsCl@I~B`CI^^G|AnBr@NbAg@tBtDtAZS`Af@f@a@n@Nj@a@xBdCbBh@s@vAf@nAtCn@Bf@bAzAZpDxBrCkApA`@`AQ`AeAnAl@|@a@jDdDjBZdB{Ak@kAtAqDYc@Ri@_@]pA}AAu@lDaAlDKo@cAn@kBs@u@fBmGtAB@cAvAgAj@Dl@}@t@f@p@c@hDzBj@U|@l@t@y@fAD`CpBX]pAAlBXb@i@jDu@x@^`AiAxBYjBl@l@bA`DqCn@dAx@^j@_@Tn@`Bu@?tAtAr@PdAbAiAjASCy@`@_@jBfBlB]zBl@~@_@pAxDGr@bAXBnAdAf@tAw@`B\\v@Uj@rApAClAtCXcAjAQpBaCbBrEv@`@jAId@x@hATmAvAt@tBkA`@?r@z@fAo@hByBGsBaCcApByABc@x@kEjAi@z@{Ad@xEbA|EdEz@NIh@h@`At@Xb@pApAj@g@vATjCiApAWnDy@hAn@lCeBvEzAbAmAk@eA@Gq@YDIp@yDfBn@r@}Al@Kd@y@m@e@bAWs@s@dAgBVc@h@}AK_@z@u@MPx@w@v@Zf@_B|@Q`By@^d@p@c@b@Jx@`@O~@hC`Ac@n@^@r@kBbADd@jA?r@i@fBb@bA[d@ZlDwBdAz@t@s@b@f@Zs@d@f@bAA\\t@t@[NTTYUe@h@]`@Xl@]xBDGn@d@Z?tZgEbEXdAp@Gt@f@HlBj@TGnAbCT|@lAmBb@Uv@o@NCbAc@YSb@u@GR\\u@TXf@_@CH^s@]^~@KdA|E_AzCDnCkBjA@p@l@nBJp@x@`CZdAaAKe@u@ShCiCfDc@d@eDzA_Ah@v@p@SY`@~@nAo@X~A|AhAyA`@kB`Ac@jAwBTiDr@oAjAbAzBw@hA\\Mh@f@h@nEl@Cr@n@`@hAc@l@_Bf@j@C~AzAFu@pAdAv@SxAdA`B}Aj@o@_@cBPkE~Ey@hB\\`@Ip@`Aw@XHVzAz@ADlAn@j@hAHWbAr@nBzA@Xd@v@Mt@h@Ih@bBm@`CbBv@@"],"Europe/Bucharest":["qayAkqf@Di@Pb@zBaD|ACdAqBIsA`@gAxBaAc@iBpAYnA}C`@Rb@WEc@zAe@GsC}@STmAhAf@`DCvAlAz@KIm@fBkAfA~Bf@C\\}Dd@]Z^\\mBz@UzBkDM{A^BCg@j@_@y@}CrCuAh@oBWa@f@gCMuArB_F`AW`@~A^PZYdAfA^Qf@~DtB{Cz@yErAYh@tCDjFjAT|AoAh@{JbAs@bBI\\g@GwH|@oKrA_A~AUnCiE[cB{IqFa@q@@}AeAgB@eBpCoDh@eBEkBvAgC`Ag@n@`CcAtCDrAVb@fBVV|@MpBx@@z@iA`Dq@z@aA|@qFtBLZc@`@mClDaIHuCj@_BtB|@z@bGvEtAtAkAhAeJKyCuAaGOeI^gDxA_ESgH`@Sz@uDToGrAwDb@gDWcJmAyBq@_ET}D`C}F{AyMtAoFYiEX}B|@gAjAmF{@kEHeCoA{CGaDe@_ByAsAo@uB_DmCeByE}B{A[eASkDsA{EoAgY{BoJJaBa@uB\\kAM}Bn@gBUqChBc@^aC|AuAUkCT}GeAaA`@y@lCgAHk@W_FsAqCl@u@zGcBfDcNp@eLIqXiKiDuG}@uU_ImEwD_ByW}@cDwC_FaC{BkSoIu@`BoBvAk@hO}Ax@y@a@oCv@iCfEcApFLbCWhAf@fAIhBlAlC|BpKbBn@kBbHV\\f@k@d@dBnAqAf@|Cs@pHkCfL_D~BwAF{@|DgA~@SWsAb@YQDdAaA`AqAiDI^uBYcBt@m@SSpAISyB`@c@u@Mf@mAYiDpAyAg@a@^Qg@g@LKi@s@Ug@RYe@Y\\?_@OXMU?l@g@ELVkA?QgASf@o@]LUYBPe@]GXM_@@Qm@UMWp@U_@O`@Ms@]RMi@]B@q@Gb@O[OPWy@g@BI`@Sc@wA`Bk@i@SZ[g@w@XAe@GTu@k@eC`@Ox@q@EMh@_@I_@h@QWc@n@?_@wA|Bi@JSe@c@x@Ki@]HU|@c@{@_@~@G_@k@d@_@c@aA~BCk@UHGjBi@bBK]Sd@MtAeAl@Y`BEo@WLKxB?c@O^_@u@I\\a@OC`@c@EDX[Qm@nAQUK\\Aa@eAt@Mv@^b@s@LR~@s@p@CpAWcAMf@s@CAv@cA_@q@~@_Ae@o@bA\\j@a@?XPM~@k@h@e@[F`@]Kw@jAa@SYdBcAzAaAhAe@AOj@WOc@|@[[Rw@[V[a@Q~@g@?c@bAc@SEt@a@_AWfBCe@m@`@w@E_@rBu@eAk@`A{@e@DnAi@EHhAi@e@In@]BkAnBa@]aAX^t@UrAe@FBiA[pB_AQEx@^KBb@STSa@Al@_AbALf@w@n@TnCUKPd@g@l@f@bAc@DT`@QT\\JGZRM?~Aj@B@bEx@hCSv@ZtAp@?r@fAfBp@x@tBxA\\`@v@X~NXNChCv@|BShHhBhWpElCP|@t@d@PxBh@\\@xHy@Hu@rAqANe@rFs@dA{@Ey@lAm@JB~@k@d@^jCc@nChBdDQv@x@nEg@r@BbDk@\\}@rDfA~GeBzA]dCZhDc@t@AlCe@jAjBfA}CzKYTW[w@l@BzCk@l@`AhBRQTb@|@Gx@b@\\zCw@jDVLnAw@\\xBvAnA\\pDdBg@J~B~AbA\\bGkAhCN`AzBb@q@~El@?VhB`AJR`AzD`BG`BnAbAPlAT_@PPSb@nBhAnBw@dBl@DpCjDvB\\Q`AfAfBKZnAdCr@LbChBtAJbAjAoAx@f@XS~@~CpA]r@`@p@zCfA?dAfAr@wAb@CdAhAOzB`Aq@b@lAh@J_@vAf@fBt@XNg@rA|AlAZdBsBvAj@FrDlBJVn@~@IB`ClAXf@hAIx@e@VH~Ba@ZBj@\\Ds@`BV`Ep@t@zAYCdAXMt@d@h@v@E`Aj@\\}BpG|AtAStDa@Vb@tB"],"America/Dawson":["on}BtkrGjuGAjDc]oD{BzFy\\qH_Qc@se@bAElM|FnDsGAiaAmoQ?A`AsNpYgBjIcAnJk@zR`BzkAoBlg@"],"America/St_Johns":["yg~AxbuBv~@qC`X{hAMoOmCuk@tC}]|Ich@XgFiAiIqH{Jg@yC~C}PvKkHrIp@nCy@nBmF~HsCFmJ_AqT|AwbAxKgg@PyEu@a]_AwEeBwDiJ_JeGkCwPiDsFuB}FqDsGsBgBBcH|AeGzBuBlBqQL}VlK}B@uBt@iFdEw[tOiFrEuC|GqNpIqLpNiDbKwIjmA}ChGu_@oKsCd@eCzBcC[yBd@eBvAsAbCqG{FcNoIqCSsJfBcH{EiDi@kCn@oBhBsAxCs@dE}PtEmLzEqI|@}BeAc^cHgDjA{IxJxKv^jNvcA`tB?zMhKvG~Ynl@xn@","{d`BvngBvCo@dCgCvAeE`@sF]uFuAgE_CiCwCq@_Dl@iCjCuAhE]tF\\lFrAhEhClC"],"America/Campo_Grande":["rkf@rrpBj@aBhAvAz@EXe@m@o@Hm@hEE|@c@ZiBdAo@~Ch@|Ao@`Bd@~@wAnBb@HaAmAeAfCiB`@BGbCzAt@E}BxAwA`@Df@zAx@n@JmArAq@MyAlAEbChBfBm@nAb@jDWpBjCn@k@V{AZAfChBzCn@|AjAlAOt@{A~@x@v@QjAeBnB~Bz@kAhBl@l@bA`AiBb@fAj@[bD|@dAtAl@q@t@RMgBp@g@VL^}B_@mA|@q@s@k@RqA_AATi@m@Q^mBWsAx@B^y@dAGJkAYg@l@_ALeDJi@v@WEmA^]u@s@`AoBoAiAr@c@WqC^BR{@k@m@Z]i@}Ah@SIw@b@WKg@^k@c@k@z@En@iAc@oAsAUb@]o@{@x@u@cAq@[NFg@p@G`@sAe@H}AiDw@?w@iAg@Jq@e@k@aF|Dy@`B_Bd@}CpAw@M_@`@w@c@_Bp@wE_@s@ZeA]g@BwCpE_CAsAtCW^b@xC{@hCwDbAa@~EFp@`ArDRfC[bAq@rA`@j@w@jE]Ms@Xw@p@@^e@l@j@nAm@f@z@fAD|BeBjCnAv@?A`@tDeArBX\\oBnCg@Hu@tARz@a@x@n@hBc@xAR~A_Az@iC{@qA`BuCu@}@?wBq@{@|@{AgA_CHmCiA?w@qATgAo@YJk@cAoBNkBeBeAjAyB[q@`@g@f@HI{@^{Ad@K?}AdDoBh@_AE{@~BeAiDsH_A}@}Bk@wE?oBu@gOcCi@m@B_AmCyHmAcAeLoEwFCmB_AwByBeDiIm@c@gBaIuEyDs@BsA{@aA}Bu@_@kB_H_EyEyF_OwH_HoFwA_E}EoCu@w@wB_Au@mCu@yAd@w@bAeAOu@}@P_CYy@cBsA{Ba@aBaByC[gC~@yBCQiBs@gAwBe@iCcBMyBw@iAoAQyBd@yBSm@V{EoAoBqCqEoCm@oAsEgCq@{AaAeI{BsCqGqB_B^aBYoA^qBs@kAr@oBDs@`@s@Yu@b@wGsBDcBcAYsBjAa@@_@y@mAjBe@?SjAa@IkAn@gAtAq@vDm@n@Z|AeAnBi@?DzBi@@Iv@y@j@IzC[Fi@tC\\|@]z@Vd@kAhD[By@dE]AN^mBlAu@vAXR[b@\\N[n@Z\\c@BYp@M~AyAf@MrAwAz@g@~CV|Ac@fAcGjEeAdDNdAn@n@JtAa@dBZzBgBtIg@EMr@oCj@wCaDkAOYuC_CmAiAzAa@bGLpA~AdBQrA_A~@iMrAm@g@GwAg@MNpEiA~BSrBZbDs@jBrBdBmAxCPn@eA~@?tAlA|@c@t@DnBeD`EBxC_BJqIgE{@aBQmEqXo@m@b@VxBvAt@NbAvBTf@|AfDrCt@jDt@f@bBKnB`A_@zDdBzDN|Bu@dBs@YkAPeAjAMzAqAZSlBTb@i@v@j@dA`@fCS\\h@d@Bv@zAVrBjE]bDx@`BQd@XhBYxAn@b@WvAi@XEhAuCpCLpBcAr@RHYzB}@x@?dB{BdBDV_BASnAo@Zd@Hi@VXTUp@ZN_@NTXs@lAJt@{@^Nn@e@AX\\_A`A^VW\\Q_@KnAf@\\w@TEx@TJa@BCj@q@C?VS_@aAlA^L_@TIbBp@v@CxAh@F@n@^GOrAp@HDx@z@XO\\h@l@m@h@~BhDi@RJV{@jAdAp@KvA^JQxAVNa@`@j@Cc@Vb@Lk@d@RXa@lAbAfAXQZr@f@@BtAp@TXm@Th@b@]Hn@dCr@?dA~AnC|@?Dk@bDpChAZDr@zAxA[z@p@pE^WRb@Q`Bv@fAUfAb@JIZdA|Ax@LwAj@DpA}BvBDt@o@PGWqBlAXn@]f@sAa@cAl@aEh@Yd@fAh@OtAnAi@xANlDoCxADdAw@h@??jAlLuFhDs@fEqFPnExa@bJjE|@?}A|C?`Aw@n@d@CrChl@tTnL_PfCtAi@dBfAr@HfBxAd@BrAhAn@"],"America/Monterrey":["qsp@rkpEtDkAKfAhCcBf@iAb@v@jAo@jGHv@cCtD{An@Dc@g@|AeCZMNn@jAg@CaCzH_InGyBFk@b@LbAkCfAPj@`AnFsC`@sBo@mEkB}@e@eCpAeEIc@fCwCdBKAs@tEkBpAb@z@QxAmD\\GdAhAFyAxAsAn@PcAlDfCLxDkAPa@lBh@~Dc@dA_@iAQM{@XQe@?OaAlBuAhBQv@iAz@^p@mAxA|@bAiAhBMTwAjA?DYzDZtAsDy@gBTkDx@c@t@_BpAFp@g@t@Pt@e@gAaSlBLbAk@fB?j@y@KqAf@WdBRVm@tB|Ih@FlC_ClDg@Kw@kEcEqAGZuA]i@^g@|AB`@_@To@U_@ZUSmAp@[zCA@gB`BSdCmDMq@o@Z{AwFVk@g@y@uAo@_Cz@aBaCgAj@[[Sh@uDo@_@cAs@Uh@mAQkEmA\\G^}DB?f@oAbAmJHkBuAqIc@aFyAyDyG_AGP}@k@`@Rq@iAIUw@r@kAa@c@{AOEbCi@SgBh@mB{AeChAsDeA?h@sA`AFo@o@IH{@y@YcEwGlAo@O[wC}BwDPCyB{@m@]gAcEy@BoGc@{@z@{@c@qB`AgCcAUXWwA_AbAuBq@a@x@eC_AOvCwBi@uAx@_ADqBiAyDDqC_@[GoAsP~@_KjBqAtEgA??{@y@[uBpAdC}LgF^QoItE{ZzGwCfAoDi@y@p@mBzANU~@rAe@j@_IeBwBq@wBjA}FfAaAfFkB~@_B~AqFqAqBv@kB?_B~DsB_A}@tDwEfBEtF`AB_BzANFf@bA_Ej@DAd@~A]lHjAD]x@MzARBq@j@Fd@}@|B?|A_AOe@pADl@t@`C\\@g@nBYa@dAtEl@lBwBvIl@|@gHaAQLpAwCRFgCaBw@DoCpBj@b@wF|@ZtCCH}Ap@?|@sBr@fBrAP_@p@vAOMj@tBAAcCzD]xBpCVOp@oCs@aCBuCd@mAhBHb@eA?qDi@sAnAqFv@s@OqAuFbBBaCzCiAKoBpAYKuAzLyDCaJj@_Gh@M`@eAYiAV_AUaCsA}CPeG{@qA@kA`@Ki@u@d@AZo@o@g@dAAc@aAb@ECaA{CCB{@f@[q@q@BiBzAOx@sCv@MEg@l@YGeDl@g@l@ZQ\\`@@DuAlBoA~@mC}@[k@oAkBsLsE|AyG\\sRwDea@?yv@qBwTwCwRsE}BfLmJpHsFhGaBtCf@j@I`ByA??z@c@??bBb@??z@g@??fJy@Ay@p@hAdAN`B?v@}@DGx@H|Ia`@D{@zM~CzCoGtF~@fBQj@V`A\\IObAiKjAJzBwCnEn@hA{Az@kNcAgCxGIpFs@C_AmA_CIkA_AaAROfAe@DU|@Jr@[LVt@]l@l@n@BrA\\K_@xAz@~C_@Lv@`A{EbBiBuB]fBXTShAV|@g@??z@oCg@?f@gA??dBcDR@lCw@?@z@_BlA?p@}AhB}@[k@fAgQmC{AaCYXyClUsEfQmBPk@pB_Nd@j@xOgFImAeDgGh^u\\nP_DnX|UpMr@iD`A`@nB_CQe@bOcBtAnBzGaDfGw@dBgAoAcCpBeCdBlARzAlAeA_@c@V{AbAwAzFrAdAa@kAyA|F}AlBqAxDyEb@JhDiBhCzC]nAt@l@YrD{@h@JvIt@k@ZP{@zBjCzAvB_DhFuAg@lENdBkBtA_AjD}AfC~DlBg@`AlA^ElAaAp@~KOuEvJ`@@]jAFfR}ClFcGxCeES?uBaGsEo@jHsSaA]h@uBsBq@ZEpBgAa@I\\v@~@m@dCjAz@mc@wLi@XXFeEzKrAJ`X~LxGvBXaBvA\\[`Ba@KKd@zBWjB`@NuBx@dAtBmBC^dD[@ZtEsAzMj@ZyAfDcApD@bA_@X{@lBWZlAv@HzAdCA_@nA^bCcEpEmBy@bI?hGo@@FjA|@XcAjJaCxAtArAt@YT\\fA}@fCvAfBpEtGfCdBCrCpCmAf@Tr@k@bAmDpC}@bDArDpAxAGd@n@?KjAfAnBkExAtBdIs@Zr@jAa@fAs@Sy@r@^dASbCd@BcAn@GhBqGlChCe@ErCa@Gk@d@F\\yBpA\\~AjAc@kDpDJx@m@FTTSz@cDvEjDjBg@n@LhBvACRmA`@KGpAR`@h@AGf@bCx@hBGt@|AvDo@tCnACi@~@VSh@vJ~Eb@GrAnAhA\\~@c@l@`@?s@~@Th@vDlAXxLGaBwDVAbD`GxBjANn@d@AuAlBl@s@c@n@^GPtIoCf@c@hE~@i@~CnHM`BrAFp@mA~Af@"],"Asia/Muscat":["obd@_qdBbfB{o@nBfANcChr@qVmCaLw@uOoAsEcDoD}@aJuD{Gm@eI@sKtCeGf@mF{CyQ}BmEyGaIwFoD{Ds@eAgJEgM_@eCN{E]iCL_Mw@yFsBiDsD{AsWvAwBcBuBaDiCeB{E_@}CmAeImAsDGcEiDaDkJiBkLq@cZeBuHwBaDoBwA_Fk@uExAoDRsCxAcGWoG`BoDa@cBuAiCq@yE\\qBq@{J{@[}LnIcQVeFs@qCuC{EiT{QaCs@iCCuYfHyH{HyCqEyCoIuBsBoNiGyDeAmH{FuB_AwEy@{HwFkO}AoH`A}DdBaClDwApOkAdBcF|EeJlEaC|DmK|FwBl@kB~A{AjCiGnCuK`RyK~Y?rG`DfUoAzC_ExSoG`J}MvIkDpDeD~AsAjBeR|GhA|OlAs@bAl@~ApF`CHfB~CQlAkGlEc@Cp@gDw@h@oAm@}@b@{@rAMxApAbBAtBlBlA~Mo@bAtAj@k@rA~AtADnFiCbD?dCtCr@JbA_Dk@qFpA_@VPlEoBf@dF~@hCU~@{@f@CbBbFjN|DaBvDBfAiAtDExIxFpB^b@ZU\\bPhIxDh@rMWlD`@`k@o[~{Bth@","oar@_dlBjEkKWqCdDiA~@~@fB]rClA~Dw@xBT^cAfAUReBK[_@DuBsHSeGkIyFyHk@mEeCgCQaVp@eEbD_BlFfEnNtLjO","oip@_xlBZAXu@BeAiAqCmAOMx@LDu@XH^Wl@f@n@dAU"],"Africa/Harare":["n~a@ihp@jIcDXgAzByBjMuE~DcD`@uAxCwAdBsDzBk@XVfBGjD{@vC{FjFyAfA~@pA?fIuEbPcEnAyCSaClA}A`B|@L_CrCoAhAcGdEqBOo@\\wBfBo@j@wFfB_GIyBlCmEB}BzBoAnHkBtKT{@qCZoC]kAt@qE[s@b@wAWgAt@qArAI~Ar@bB?bB{@pB?zC\\t@p@pAQv@Vl@g@~AZ~@QZf@dAOdCqBj@mBzFeEvB_@fBiAb@Hp@s@^h@Vu@`AZA_A\\LrAo@x@iJ[{DXmCdCsGoAuC|FwP\\sGb@Kx@mCtAjAjBb@pBIbBw@bBiDC{FfBm@jCsCs@sEVwBq@UWqA\\y@}@_BZ_@BiEjB}EIqA`AwALaBn@MFaAhBeC_@oExByBIuDeAuE^{BWwA^iAq@}@JyAq@eGPuDt@eBWe@`AqDe@cDlAsACoBpBkAuAkCqaAi_AIiBb@g@aEbB}@`Aq@e@cAfBsGcF_EoAwM`AuBYsBkC@iEqJiG_AMyB_CwACWv@s@CQw@_AXaBMUYd@_@[oAqAf@a@OMkEyM_@k@c@oBtE{@{@mAR`AfDBpA]b@iBo@UTyBY_Ab@{@Go@dCeEBeCsCgKu@cDtAPnFkD\\UgAmCz@m@MmBsEf@_C_AoB_Dm@}BxAgAJSd@}@Su@r@yAaEb@Sk@yAaBNqCaB{@XBf@m@d@iCKkCl@k@t@q@Sw@n@mBLF\\aAg@]b@o@[@_@wA]Iz@eEO_@]HsAc@JiAc@HZk@PQk@aAXgDkAy@n@a@zA}Cd@s@eAmBGqB_BgAjBqFPiBj@_Cx@aHpEs@}CoK}CAfCl@|@m@jBZvAc@hC]l@{CUkH`V_@jCPxMcAzFkCR{@nCiAb@}BvCWvD_@ZHfCYH?lB]XDzBi@KCv@e@?mAbB}@PuAdCBrDa@JKrAhAlBCj@_@CTh@hAt@Tx@cBnAWx@?|]uVDdAdCQrCe@f@pAxAcBhBn@|Je@jA[vEjBhJg@pC`BfDMlC|BbFd@~C~FzIxAp@J|DjEbDrBo@zB|@~ABt@i@jChA`@k@tAOzB~@`BD|BtC^zDrHrVtEjGbEnLxBdElOzJjDJxC`CdNvQvFdEx@^|@QrF~E`A`Ld@BZz@F`C|AtAu@zD[Ic@x@y@TIxC}AfD@xDc@j@ArAcAp@bBjG^g@~@`@SzAHrAr@z@KfBk@xB{CX@r@aBfBSzB{@`@~@jCAlCp@|@i@xBNvCyBfF"],"Atlantic/Reykjavik":["_}~Bhzo@bCo@hg@u^phA{n@vB}B`CmIf@{GCgHaAcL|XenCDiIaEeyAC}ZuDai@oDiRgJgTuBqu@eH{^oE_NkKyx@oIib@mNcb@`AiClA{H@aQoBsKqBgDaCgAgDz@uBdDuA|Fm@|I}EsHwBcAgEc@oG`@sUpE}x@n{@cBnF}@vHmIj}ACnXvAdZjAbHzJ`^v@tI}AcBeD_@yBjAqC|EgAfE}@jID~OpBdMxBzDbAp@dCZ`CgApB{ClAaEO|`@~AtmAyR`gCW~HPre@rDrW~W|k@zOdTnQjYz@dA","}cbC|nd@zCoAbC_FtAgI^cK]uKwAsIcCeF{CqA_DrA{BvEwAlI_@fKZjKtAvIhClF"],"Asia/Barnaul":["ofgBacwCxCc@lAcAvZiZpv@yq@xhAiv@eFN?_@l@?BkEoCO@iBg@?OaGeAyAO{BwG@QvAoDQ?uJoB?iBuAnBoOpAj@jA_G@kB_A[@}@v@w@pA@jBp@t@zA`FrAw@aUzAA?i@d@MlAh@ReBjAYj@n@zAVZkGc@aHyBaB`Bg@_AoDb@_GdAaCF{D`@AMeBaA{A`@}A_AoAtAaGIcDaCkGg@Ic@_AwAh@aA]PqEf@qAS_An@iCqAs@SiB}@kByAOAkBd@u@k@cD^cDScCj@BRkCt@MU}@Z{A[[`@_AUe@tBmBVoFfCmDh@{B\\Ex@t@l@a@z@qBpDwDDy@jBq@V{Bn@c@`A^\\x@tBkA~@?l@w@`ACv@h@lD_FE}AkA}AbB}E[wBj@_CfBcCKeCj@Tt@iAE}Dz@y@ZyBbA@P[bAlCJa@^j@FWtAAj@sC`AoAv@Cv@uAv@Gl@kBr@YvDHLkB|@LC}BwAeChAkEF}Bg@iA|BqDs@{CTiBj@_@m@sBJwBp@\\`BoAa@oBc@WCwCh@iBn@OXw@aDaCgAIq@eHi@Sy@wBaAg@aAqCyAy@kAh@GcEn@_BMyAfBv@zAs@d@lBOn@d@bAj@L\\tAd@b@nAg@R_BUsCr@mDXV`AoA`@p@z@ErAcFVTb@YRn@h@CtAwALeAzAq@?oId@}E~@b@z@WnBb@zAuGi@}C}AXHuCyA{HRmD[cJuA}@]iAa@F?kBcA}Bq@TSWWb@A]o@Lg@vA_AkC}@h@cAoBPwCm@aARiAUkAj@mA@cBy@oElAiDDuF`@gAc@g@MRUu@[l@k@m@aARW{@^{@r@EhBgBuBoL}@_A_ApAc@Oe@b@WWMqBrByEU}@UJ]g@Bk@}AeAg@aHqAmF}BZJjAk@`Bg@s@kAlAs@m@o@tAk@k@w@HO_@Yr@}@J@`Bo@d@s@Se@qBm@RWjCy@i@wAX[|Ct@jA{@zDOw@aBOi@wAu@c@At@o@Cq@eFk@Ia@f@sASIe@SN~@mDjBm@FsA]S@sAq@y@CeDyB}Aw@n@q@QwArFO`DqA`@q@QKxBuCdBi@bBaAL}@nAApA_@Zq@k@QdBk@@@zCeA?Kr@yB`Bo@jC}@j@Q|AeA?i@~@a@u@o@V_@Yu@d@g@fCi@BW_@O`@sCkAwAVOi@q@BaChDGnB_B`@I`A}@d@QfA\\P`@vD|AcAjATBYdBKJhCzBpAhAjIk@l@_@rCg@V]zFR`As@j@UQOb@eA_@kApDQbGUOmAn@s@bB?oCs@U[eCoAH_Ac@UsBcA{@_AEc@x@JtD_AlBBfBmA_@u@gAiAS{@oBs@ASp@_B}Ea@z@u@Go@_Cw@s@x@q@h@wC_AHcAkAYwDi@b@Q][PmC}@aA`@Gk@]Tg@W{@yBgArBw@iAs@C_AzFr@Ll@|@\\`By@nDcAf@_BlEy@bGZCLv@v@f@JrDj@j@A~@rA~A_@dAc@LQWMTRv@k@vAP|Aq@`C@nBuC@@hAe@hADzC^j@s@zC}EyAObBv@f@Kt@QZe@a@_A|DaAx@sACBv@c@N}@m@Jg@i@cB{@_@gBDeByA]NuAdJaAdA}@QRxB]`CsAVZfCaAAs@b@m@w@p@cAa@gBRWcA[c@uAe@GIeAg@Pe@eAa@`@iA_BO|@y@Jk@yB}@Ap@|Dv@l@wAdF_A~HyAtAgAfCPdAsCrAyHbBd@bFsIzBSvBe@`@]hGa@FFlAyFrFd@rBkCbC^xBu@p@lApFuObO|F|Se@r@jBrECj@pB|Dr@M~A~@l@bFMV_@M_@bA`@|@HpDm@@[`B`FzTQj@]u@c@AKlBt@fEO|I|@h@@rAZ\\fDWHzAt@QVtD@TmH~AbAr@?lB]j@vB`F^sAZZ]n@hLjVv@yA`DtGr@yA~DfI~@}C^VUlA^vAk@zBX\\q@nCiALLz@i@VU`Du@DZ~Aa@Bc@cAoAE|@fB]tCi@HiAnEJlEx@bAkAz@Ok@YZaA`Du@iAmA|@w@eF_BJGc@qA\\^bDs@xAWq@HbC~B`DTtAcEq@_@_BQnF}Ar@p@fDqAxBRzAGjAw@z@BxCgDvAeElEaD`A~@vGbEgBV~Ao@d@tC~H[Zt@nDxAgAn@zD]`@fD`N_Bt@dAxGjBsA|AfGNIh@hE^WNt@`BgAx@xEm@b@pAlGd@a@~@@bCrL_AfAJlDt@tADhGo@dAxA|Ao@dEd@jHt@fDi@b@\\rClBgAhCLPlDu@pBf@AA~Cr@@RrBq@jFO[kAr@mCHGlCfA@?fBRIDlKdCe@b@eAZwEr@A?lHt@H|@aB`Ap@","gegB{lhDGMBiATUALTf@Af@"],"America/Argentina/Rio_Gallegos":["lp`BntnCn@wBEmB|AQtAr@GdAlAi@`@jA~AN|@yBC{@`@]`@~@r@DrBqDtAvCjAi@S}Af@b@hA}@vAIZXRw@Rl@v@EfAo@vAuGjAaBlDhBv@_BhBdBoAqBO_B^w@u@q@i@oDaASQeAw@]oBiIz@aA`@sAM{@t@cAG]k@LeAiAe@gB\\}Bf@g@i@kBbAe@LcB`BXXhA`AVpBiCv@i@r@LXg@hDh@rCCYtErBDt@bA`E{BEwAfByA|@TfBjER{Af@a@hA@h@v@dB[Pt@hAKOvBVWh@`AlA\\BcFjAOXgANZhB?FeCl@iCVb@JqBn@SHgAhE}FzAa@nAjE`@o@IyAv@sA@owBlHy^CoQjBuKrCiHx@wNb@YLsHjBAlG`EbDuQuDuBsE{EkBe@{BBiCpA_T`UeLjHoEUiBRoBlAuBpC}OpEcBi@{FSeB\\aBjAqETyFgBeEeCqBoD_J}f@qGsOiCgEmFkEoHeDyR{AeJaDeKOuBqC{AyGwFaNeNeP{@uBwCeS{BeEsDaDcGcReOoNkCaAqCHgCxAcBrCqKoDuMk@}IdAsD~Dg`A_O?tkKrDfCDfAx@`AWnAz@rDn@[MeATTr@a@?uC`DuBlC|@jJmDvDOd@_@`B@tAvDdA|@`AhC?pC`@~Af@q@`AGfAnAhCY@s@R[PPb@_BlAn@r@fB|@uCn@g@~@S^lAr@QH\\d@}@_AtH`@c@dAZxAc@xAbBSdDbC~@h@dAU|AnA`BR`BnBeBvBfAd@c@xAfAAhAn@^Bj@z@K\\dApAOOn@h@`@a@pAlBw@^w@pBP|@|AhAFj@y@NsCbAKzBp@Zw@ImBv@KrBmBd@`@lB?nDsDt@ZZhAWlEh@Gd@y@r@tB`@@`@cA~BdCFzBgA`AFdBdJeBdGGjCvEAbB|@NTbBxB`BGjBe@ZWtBVl@~@P`@hAdAUL~@r@Qb@rAxA\\|BhDxCUY{An@aBLxE}CfS|Bl@dBkDp@d@~AEhA~BhBu@b@n@CfBnAR`DkDl@@h@nArAHhBmC^v@l@e@f@vAj@OhBn@\\rA"],"America/Argentina/Buenos_Aires":["`mbA`yzBhaK[Kc@d@@]kBj@k@OkEbEiM~HiHbHaBrEqHaCmEcDcNiCaGoCaCgIyCqFcK}BwB{Cm@mU?oVpHaD_AeDTuYoZNkPm@}R}Gy}@cIst@cMqo@aJuZyH{OwD{EgC}A_EeAaE^eAQ}R}TsKkGg[yT_C_@}IJyVtAia@sn@iHbIy[bt@TtPwRxSgDnKgFdYiFa@uEHgHnHaH`M_Fv@iBrAd@~@bAbM[bAyC|CFbDyBrBa@tC_Ah@LtGsAlAJ~Bc@b@mBg@YX@dKu@t@iBZ]p@PfA|AxA@p@iC|A_@bBF`Ca@~@mA?g@`@m@pCeAfAGzBk@xAkCxBs@~BkBz@gA~BZOWh@`@O`Ab@hApAxBTnBtCxBZ^ShAtAfBHX|Dc@zBwA`CKbEmAfA\\xB`AlAbC^~@hBjTjTjUhW?pgB"],"America/Asuncion":["vlj@`jyBlCMKw@l@[JoAv@i@`@JBsCpASD_A|@[Ec@f@a@_@MJm@l@IJmAWStANBqAp@y@fAp@RWFd@`@o@bADF_ANXDi@~AF?w@jAs@Eb@\\MBg@rB{@]W|BmBvB_@Bq@zARQ[tA@\\qAzAy@OYt@uBdCeB@kAdBaA`AA`@aBt@YCmCpBmAPeB|@TtAaAGsAnAsBYA@cAh@K@y@x@k@WWnAe@v@mA?uAtB{DrAVpEoDpBk@HiCdBoCCiF|@mAA}CZq@rA?RuCa@gAtAsDz@]CkA^s@JyF_AaH|Rib@zCgBZaBvBm@hAyDr@_@`@mBjBoBD}AnAuBDkBzEeIBaDbAa@l@iAUeEz@}ARgB~@wAz@A?g@|@e@^qAx@WeCcDI{@pA}@LwAhAWE}AhAk@YwBpASVo@[cAP_DbBo@xAeDvAH\\m@b@H?c@n@APw@fAPpFgHrCr@rAMR|@|AXg@nB~B@_@zAPj@|Ap@^qAtA`BIbBlCy@j@d@TrAn@HbAs@^rAv@^t@sAj@DVtAjDxFHxBnAbAbA@EnAxAoBhAvB~CM`AjBp@TjBqA^fBp@s@jAb@n@q@dAMr@`@n@g@FnCjE_@V^Mx@nAMXdBxBSKxAv@\\z@rBFtBbCcAXPAtA`Be@R\\i@FKhApCCHpC\\l@jBVpAiCtBZ`@QIyBk@aBZwCq@gId@sBe@eGDcHXiAnB}BMoFbAaA~CsHu@gJfB}Dl@gNXk@nBo@~AyDe@mBb@eBw@qBu@Sm@n@yBf@ImCoA_B`@uBfG}Cx@{Bc@gAqBs@{@yAkDSM_BoCcDi@eCFcBtAsBWeD~BqB`AgBDmBaCaBsAiDqBBw@o@qAlAo@Dq@S?}AwB?HsEoDYiBcCCkCs@{A~@oBg@iCaDNmCuD[{DgEa@u@oC`@_BoAaA_EXuD_EeCOeC_B}A|@_ByB_CjBwB{@cEfA]_@CgB_CTgDeA_CvA{Ct@w@a@DwBoA`@sGF}@b@yHkF}EoAi@eAiCdAmAB{NiCaF_C_EYwC`@}AOuEgCeCb@mB~AoDd@}@GmBkBk@n@mAT@|@i@~@eDnB?|Ae@J_@zAHz@g@Ia@f@Zp@kAxBdBdAOjBbAnBKj@n@XUfAv@pAhA?IlCfA~B}@zAp@z@?vBt@|@aBtCz@pA{@hC_B~@yASiBb@y@o@{@`@uASIt@oCf@]nBsBYuDdA@a@w@?kCoA}BdBgAEg@{@oAl@m@k@_@d@q@AYv@Lr@kE\\k@v@sAa@cAp@gCZsDSq@aA_FGcA`@iCvDyCz@_@c@uCV@rAqE~BCvC\\f@[dA^r@q@vEb@~Aa@v@L^qAv@e@|CaB~A}Dx@j@`Fp@d@f@Kv@hAv@?|AhDd@Ia@rAq@FGf@ZObAp@y@t@n@z@c@\\rATb@nAo@hA{@Db@j@_@j@Jf@c@VHv@i@Rh@|A[\\j@l@Sz@_@CVpCs@b@nAhAaAnBt@r@_@\\DlAw@VKh@MdDm@~@Xf@KjAeAF_@x@y@CVrA_@lBl@PUh@~@@SpAr@j@}@p@^lA_@|BWMq@f@LfBu@Sm@p@eAuAcD}@k@Zc@gAaAhBm@cAiBm@{@jAoB_CkAdBw@P_Ay@u@zAmAN}AkA{Co@gCiB[@WzAo@j@qBkCkDVoAc@gBl@cCiBaADYNZhAsAp@KlAy@o@g@{Aa@EyAvAD|B{Au@FcCa@CgChBlAdAI`AoBc@_AvAaBe@}An@_Di@eAn@[hB}@b@iEDIl@l@n@Yd@{@DiAwAe@~AeB_AyAr@cAK[d@uBRa@v@w@a@{BHgAkAu`@pw@Lxw@bIbf@`JteAl[tJr\\nT~]I","~nt@pnoBOk@~@_Ij@`D","ptt@nknBcBmDQyA~CcGTwA~Al@dApD]dAqAz@@WaB|C","dwt@hfnBv@kB~@e@i@tAw@X","zzt@~{mBB[GVCi@a@q@oAe@X]~@Fj@h@Dp@"],"Asia/Aqtobe":["qv_BuugB~AWXaCjBz@nGdAxAEdAq@nAyD\\eDd@Xp@oBa@k@{AYWeD~CCtAi@|Af@|AaAtCVtC_AvA`@vBgPxByHBcDoCgAeCANoBy@k@p@aD`A]`A}HhHg@HXnC\\N^zEPrBoAfAgB|@l@nCMlC^xG_I~Hk@hCx@rGr@lGCl@t@pB\\vIn@rGkFbAIzCkCzCkAfHqL`E_QfFka@pGw@nGyFvEs@dAcBtDgA~CiBxm@sG{XgrBxOy^yi@bC{AaD}Za[eI_LoMqU_@oTeLi@b@_LKyLoi@kWy@{AQib@pEmH`JqG\\oFtKaPjDp@t@mPjA{@[wBsEgK_C_DkTip@iKkOo@zB{C|DoInEoLtIgCrC_DpJ{@lFkAbB_DbTwCz@{CyCu@GcCzE~C|IqInQgJlEEhDeA]CaH]u@mF`EyFbHaD{Bh@eCImAc@j@oEXeBiFoCqAoBE{AuB}@cDDeBjBsE@y@o@KSh@mAkAaAPQYsAzBqA\\WQw@tAyAh@Bl@[^WSm@lBq@^w@[sAvAEl@wC`A{@xCy@NaAtAm@J]w@oAbAeACcEpB|AxIcAhA{A}AwDlBVmBmAeAWkFyFpKeAf@w@eCmAMuBnHv@bBjAN_@zCe@EiBnBkEv@kBzB~A`C|@tL~YlFhH~f@Yf]wEzGeAcAs@x@`@xIhBrAzDq@pAvDbExDHjKfApEaAM_@vBoAKDsEw@|@EdA{@n@UhJd@d@mAjDu@|Ru@r@y@@uBpCJjFaAOKaAkAP`@zDmC\\Ms@o@Ta@_BmAx@g@AwA|F^lEgATeBfBbAjF|@YVxAl@BWtCUXgAMdAxG_Av@d@bB[nAs@b@@lAbDb@nGO_@tKf@~@nAf@i@vDwApD_BV[r@eAAVzAYn@O[gC~A^pATCp@bIq@pAv@lBcAjE^bD`E}ARjAa@dA@vB_BvASfAqAn@x@bCvDW?dD^HDi@xA~@KhD}@|DtE~AvAN`AWnCrEpAdFf@\\ClC^dAv@`Bx@RStCmAbB]xCcABk@x@UfEt@d@}GzMk@rDyBsCa@Ao@zAKdAj@dA]pFkAGu@rE}@dBm@@Tf@SbAVi@R^[fE^p@Ds@RvAn@aAJZh@ONe@HdAZMMnA\\qAIcEt@aAtB\\Tr@rAw@|BLv@oAd@NfBi@~ChFi@h@Lb@p@z@Tg@dB`CdBrAVKdDfEdAwB`Ck@lFVAaAfAy@z@uCv@SlEnAfD~B`DgADtE|BnADfCzA}BzAhEu@~Kf@zB]hIl@vAFdBt@YjAv@"],"Asia/Pontianak":["i\\uerEh|AoFp|@ePrBkt@`UCddB~Rjd@ubAvSijCtLqcBelBwUg@NcA_@kAX{Bq@wAyBcA[y@r@{DkEONSw@yA\\m@r@qByAU`@mAm@`@cA[Kc@`AUIn@}@Ka@iCd@a@kCuBUg@gD_By@_DIiGmFqCeEwA}@iGaLa@RbAi@Aq@cDMiB{@Mw@mAQZyAyAV?e@mAGu@m@[j@OSaAT?fEgCf@@[kHaAk@u@yB^oCaAo@wAwA@Ri@_A_@j@sAkBwA}AiCWeDs@cBcDc@gB_BMo@wCLMj@`BjB}BlBcC~@NjBqAKsFfDv@hCQ~Bw@\\f@@Y^p@LYb@t@LgBNoAfBkBUq@{A_Bh@c@}Am@Ic@h@qAo@y@vAJjB}Bo@{@NMz@mAh@Q]mAz@cBNQw@eBJsAgBuAtBaBkCi@Me@r@u@GE`A`AzCZDO^fB\\XtDbBVVt@r@e@dArBsAxBgCQiG|@_@n@z@hAqBrAg@rBaAn@g@JHc@qA{As@N{AeCyARsA_CmAe@]mAXWSiC~@q@wCaDgBOwAvBS]mFzCeEb@iBv@oAtBh@Cx@lA[rAjBbFCjBv@RtAjB@fBzA?j@h@CzBl@`Aa@tBx@LMnCZ~Aa@pAsANG~Ao@{@u@AqAf@a@dAHjB`B`Cg@x@`@jB[|CiADGy@aAw@m@Gw@t@sBkB_BnBy@CmBqAy@Cc@l@w@DWsB}CqAMaBb@]}@eA\\i@Sc@yAm@o@ZsAeAu@j@qA_@qARm@sAo@I{AxB`@jI`AlAtAbFhAOhAr@bAhE~AfAAdAUXk@MUx@{AZUbAB`B~@|A@~@sDxDe@~D`@tAUxAsBjAnAlDIvAmAOq@sBc@PiAmAm@Lq@`C\\\\GdBi@jAbBjBs@bCPbE_@d@YxH|@lBr@Vd@dFnApAb@bCtAVP_Ad@?`Cz@Rl@dBHT^~@M`Az@rAOIbHb@zB|@JVrAbC`@t@pA[fBi@ZZzAc@FLb@q@t@bAnCz@\\Q~@pA@Ut@{AJ}@r@t@vCwBvGHh@m@f@`AzCn@pNzCvA@fB|AIy@xA`AXMnArAh@WpAu@BNd@r@F\\jBk@dDcA|AcAJQbAyAPZhAy@f@h@ZW`@L~@_BSYr@wBd@Az@_AC_Af@_@bA@vBg@VPj@mBAeAlDqE^k@bAFvDyBCb@fAoAFqBvC_BbAMt@wC@qDq@m@dBX`BwAFc@x@qC\\Ss@e@V]Og@eCuDc@yCuJwHjFrCxYrJfS|WdSje@`V"],"America/Argentina/Catamarca":["hjqAv~kCbA_AVR~@W`@Z~B}AD`@pBIZi@]gAl@{AxA`@jAeAlBrAr@DGb@hAtAr@?Xk@lAnASbAd@PpAeBTd@dA]j@`AdD}Ab@n@hAs@XsA~BkAn@aA\\cC`BGp@_D^Hj@aEfA}@t@t@jBq@|@BL\\m@hAjAnBY|BrBULjAz@c@`Af@BiBt@}@h@FThANi@dA@]{DxAa@?iBpAGCyCx@yAn@L?l@f@WLzBb@@HfA|BnBfBPd@}@Io@lAANqAvAa@v@`ArFnC`@r@?hCxAAdAcBj@BBg@Xv@v@CNn@Ju@`@HrAk@d@jB~AeAb@R[uCi@o@x@yBWa@TgDo@oIb@aAj@GMoEd@m@DeB~@sAx@dA~@qClBLDlErAXHh@dA_@Vm@x@d@n@YzAdBZI^vAo@nEiBrC\\~Ev@ZNdCm@n@F~Ac@~Al@pAf@QLfAq@~Bv@Zc@x@A|Aw@VFbBr@@d@qAtArAXw@\\n@p@s@@yBb@G?w@n@c@?{A\\C{@w@QkAf@gA[q@~@Wd@iJh@e@~@`@nAiB~@j@HeAfAIZiCZLhCwDr@`@p@{@z@^zA`Fv@UWh@XpCx@WLZxBaCx@tDQrF\\FXvBb@`@^C@cAtAbAAd@j@Op@n@x@o@n@x@n@y@z@e@\\Pd@i@lAv@PkBdA}BpCoA^JFv@`@B?ukKiu@gLsDl@sFvE_NyEeHeMkByAmBe@mBDgBn@_DdEuEOoE{@}Cz@cFxDoHeAqDwCcDiEiFeBg@gAiGiXgJwUsBmScDcJmDcDqEc@aF{AoJr@sGKcDdAiG|DiD_C?vjO`Ao@NNXcAhAXt@_@f@j@?x@b@J\\hBOlAr@d@P~@s@z@m@BAbBs@zAZr@f@YJvB_@tA","dhu@l}eCmAoQ`AsCr@Qm@wDv@sA{EmAlCEpBq@ZqBj@c@xG`@Ra@i@uAXyAh@_@WcBrAPt@g@o@y@\\}Bp@e@Qm@lCcAaAiBAy@[EUuErB\\nA}@|AIlBiBxBH@{@w@SHcBm@Hc@aCnC}RAyLaFaD_@wBbAwZfJqB|B`@?eAtD?hBcElAg@Lu@~CjAZj@tAQjD}QxMwPpD??eCrB}@fDBfk@oQqCqOoKwLuNr@k@uGgE@iCoAsBbBeAJkAa@KwAwAvBs@X_GAkBRgDvA{DKaBzCcBjAm@zEiCPYhA_@CJ^o@CTuBwGy@yP\\_NtBiFzJtBtBfA`DrDtCuArAAbBoADoAv@oCDaB~AAjBlAQXr@|@TgAE{FhAa@PEnA{FdBcLJoCpIyA{@MaAaCm@mAaCoCs@c@}A_AEOm@sA_@Ga@w@?iArA{As@WL{BeB_HjLx@~F{FO_AZ}@o@mAFo@mAiEBq@m@cA@eDnC\\vB~CxBvJrDiB|CU|C_Cd@_@eBm@vBsD^kBxCy@?HpAeA|CyCbC{I@{@r@aBu@c@yAXqHeDsAOuAeAN_BeAsCAu@a@_Cb@U|B}BqAsB~REp|@iCdg@|BBHr@p@Xt@e@j@`@b@o@`B@nA~AGd@bAAzA_@\\eAnAHp@w@j@r@hAFhCgCv\\_ExE~IxK|@tYiSHt@`ADp@p@pBg@IbB|@nBAt@|@l@iAz@|BMZd@q@vAH`@vB^_@x@T^cCdBGdAX|A[t@jBx@BbArEt@nAwB^xB~Bx@b@SVrA`AL[z@`@j@p@w@dBe@@xAhASnBvC~AN~@a@n@xA"],"Africa/Douala":["wnG{jOrBgGHoEtEaGxHyAxBmAjBoHlG{G`FaQnAo@bCNxDw@pMaNbGmB|FbBhHd@xLtBtGD|BbA~AsMlEq@XaAdAo@t@gFv@[q@_@DmBh@a@m@wB?s{@u@{Aj@{B?cE_BEITm@SDc@}@AS`@OSE_JYkAZq@m@mBh@_Dt@Sm@_OZaD]y@d@o@KyBt@yAgAeBlAmHg@iF`BsIiAwC`@IZeAg@e@Xe@g@i@\\oIUw@a@Bc@}ADeAVLVe@[sA`Ak@Oa@pAg@b@h@d@SN_~@q@wBJcBnB_Bk@GF]c@a@Y_D_Ac@vAy@Hg@p@?GmAn@YLu@i@Ab@u@b@XI_A~@?Uk@\\_@s@aAHg@q@FI_@jAIPaApAj@j@s@OmBw@WtBwBu@k@f@OBaAw@U?s@{@KA]p@Um@cATqAf@Fd@wAhBa@K{@|@OoC}Gt@oAQ[^e@Z{Fp@wCjBuAv@}BtAYWq@`@OZ{ABcC`BTpB_@Ls@qAy@Qu@TeA_C@qGhACl@uB\\o@l@mCeAe@n@q@u@wEDB}Af@[uA{A_A~@k@S}Cp@yEnC}@WcAd@uBe@sBb@sBe@Wz@k@QmB`@Ym@iA[qCj@}DtBRpAkErCa@pAXbB_U|QyNhNeRvIoAiE]P@x@cANcA`AmAQsFh@sCdBLRoBb@yAnF{AhAQnAqDbD}FTo@b@m@c@mB^s@UwB`AaA[{@f@aA[{B\\i@k@uDp@mAhE{AtAi@m@gEm@Wu@wA?gB}@eDnAgFiAcJLeAn@l@fAJ~AU\\{F`DeBK_@aB{DoDkCiJgDaCuANwPoGiBK{@u@[uD{AUaGoC_DEaBq@Hk@yAy@{BXmAw@Ol@i@QuIsKaFmCoBgCyDw@oDCs@hDyDjBcIrBeB@uX|Jc@n@}Ct@s@`Au@Pi@zAK`DoAMy@nAMpA]]gAl@Qv@XpBk@\\OdBcGtFsDpGoBp@w@tBaBdBa@LaAi@gBI_@bA{BdATpAwBdAs@n@F\\uBlA]vA{DfCu@xBsDyAwDyEkJwC?_OdCeT_BwHhAkE_BoDFgEnBkIaCePcBfEi@NJh@gAv@CbAeHnEm@hAq@R_@vAuDj@mCjAiCdE}ABcAg@iK|DwBw@sC\\g@j@gBXK_BmBa@_KzBsAs@m@p@k@g@aAZqDsAo@gA_BUo@vAw@A_An@wAGi@`@o@[Fu@cAp@q@uAu@r@gAHBjA_BXmAk@}@^Ky@q@SMv@s@f@Ee@i@Gi@n@_AFUbA`AH?VyC~Dk@q@e@b@_J]kD`A\\d@UTu@YeDDwBl@AvBkBt@z@bAi@Nq@i@_@FBbBo@fB}@Ev@x@kAb@Lf@i@JmAa@y@Tk@c@eKpE?~V`a@oFfADl@n@tAe@Ld@d@B~AaBQoBZY]?Xa@_@c@\\aBSmBf@YEmAr@kAz@R`@iAh@Wl@RNwAt@]JTP_@WyAt@c@|CpAv@a@j@|@~CcAx@j@h@QtAjAjDS~BbCj@gB|AuAzCE|Bz@pAdEnAzALrA|CtDzAfEhBzA@hAgArBLp@oA~DpEtAlBjBnBf@z@xAvBj@HzBnAh@fAg@xBX^`A`AV@h@r@XRc@`Cx@ZlA|BXl@v@x@g@x@L`@e@fC~AhCGZlA`BKNl@bAW`Bp@bBc@LZv@?jAfBJrC|@zAnAVVlAhAIb@gApAJt@xA|AKhAuBjBtAtCLf@h@|DFv@f@~AvIjAvBjBdAh@zBr@NGl@t@w@Q}@d@g@rJrAdAa@zGzCjB^j@WnAd@r@e@hDdAc@|BtDh@n@n@ApAdAvBw@tCj@hCtC{@x@ZPfAz@^M\\n@jAz@BW~ClB^dLWzC`CdFm@pFzCZjA~EzAtBhAA^dGSd@_@zBzEx@a@tAF|ApBv@g@n@V~Aq@l@x@dBb@`Co@x@XQz@f@R]p@nAv@IjBzB|BPnAp@KR^v@@VbAvAf@^s@pA_@v@r@lA]d@bA~AGdCrBUdAXvAdCUJlCn@LIbA_AhA\\bA[`Bn@GX`AOr@k@F^j@K`@cIDaAhA?t@v@jA?|Ak@z@sBJFZaD~C{Dk@q@lAN`AcAv@u@lBu@PM`Bu@x@y@SqAT]l@zL|@nAfB_@t@t@jNiBvAoCIq@p@nObQg@bDfA^~CA@\\jIvAc@xEnBR|@rBY|BvG`AiAnDxBR|ElCXfBdAtAlA\\zDdEpD~ENz@pAPhA|B|@KQw@v@QfCv@@l@t@IjB{BxBk@hGpDlDEvBh@dEKnCjATbAv@j@vAPz@bAX[pAzA|@?x@zAxBm@`AtDzAVtAYjCtCfEnB"],"America/Punta_Arenas":["|{~A`psCpWqCne@wHnN`@|SKrK_B`RgKjUdEjB?z\\mLpUeBfBmAtAyBjE}O`Cp@xFChDcAl]aZvm@gs@~`@{UjBoBnA{Cr@iEtD}z@h[yaAfBi\\jF_TjEmYbMmLvA_Dt@uESuoAbD_GbAoDzF{e@RsFiCsZkHcP{BiCgBk@}Lm@iSgSmBu@wB?yBdTEzNsFvHs@dGJnC}AxDo@zG`@fLKpBm@jAVjG_AhNNv[z@lKmE]{VZomBCaPyJkB@MrHc@Xy@vNsChHkBtKBnQmHx^AnwBw@rAG~BiBgDHY{A`@iE|FIfAo@RKpBWc@m@hCGdCiB?O[YfAkANCbFmA]i@aAWVNwBiAJQu@eBZi@w@iAAg@`@SzAgBkE}@UgBxADvAaEzBu@cAsBEXuEsCBiDi@Yf@s@Mw@h@qBhCaAWYiAaBYMbBcAd@h@jBg@f@]|Bd@fBdAhAj@MF\\u@bALz@a@rA{@`AnBhIv@\\PdA`ARh@nDt@p@_@v@N~AnApBiBeBw@~AmDiBkA`BwAtGiB|@i@u@Sv@[YwAHiA|@g@c@R|Ae@d@e@BuAwCsBpDs@Ea@_Aa@\\Bz@}@xB_BOa@kAmAh@FeAyAs@aB^R|@o@xCmAU]sAiBo@k@Nw@oAyCyOiBw@}GgGs@YeCr@g@fC{@|@c@Ic@cAiBBWmBe@|AXzAmBN{]lr@PzBk@~AQdDx@xDcAhBQxCFvEj@fCcCvFc@hLoArDvCvE|CpIa@|DpArDl@tFAx[","|fmB`~eCjES`DuBrBiE~@oG?sImAoHaCiEeDuAcCXuFhDyBrE}@fGBbInA|GhC~D","~~{B~~{Bod@waL{fAv|Ac[nKfw@~xF"],"Asia/Khandyga":["gesB{_`GjBsAz@oC`AL`@i@pBDd@c@^`@lAiBt@G^Zd@gEGoAc@YHiDdB}DJqCpAMzA`@t@eGPh@`@MJhAtAMPj@^Yl@l@tAi@RaCYcHi@a@e@Z_@Sq@kAVmBfAl@`@I}A{Fn@mAJcCeCaAsAwAy@`Eu@qCq@a@i@j@s@UXsE_@s@i@EqB}Da@cBTeBgAWXaFs@_BP}@y@[gAyEZiDxACh@yBB{E}@oFEoIJyAh@s@DyCXG`@kJNk@NTXWJ}Av@cB_BsAa@iAHsDg@cCZH`@g@XZj@u@^cE_AsErBaMw@}@?mAqAR_@cCoAtAWeAw@QeAsBo@Zy@kCaAe@sAkCkCgJRk@s@wFTqB`@@jAsB]mAt@qCt@q@NuH[k@BmBz@{@TuASeBn@gFW_B`AoBTkEeBsB{A}IPyAu@{BVwCmAoA{@uEaAy@HsDc@mB}@^MdAM[{AXYeAk@Kg@}BaAS_@sBOiK`@_Di@i@IcBq@Be@c@YeB`@Sp@VbA}A~AfBvAE^oAEoGsACq@yBi@fBg@Y_CXWvAkAc@aBAi@mCm@Da@jAeCWu@s@aAdByA_@STc@k@aAxB_BqAk@JqAsEKRkA]Sb@y@{@U|@[WkBbBWeBgCsAU~@]]a@Ta@aC_AMa@VcAiAq@`BQdC{@@q@nAq@WQbB{@t@mBeB_@Nu@e@iAmD_APi@[a@fAyAWNwBuAiDQsCkBoECuAg@fBa@SgAp@qBaEl@kAc@aE^kE{@kCe@@?o@y@YU`@u@BXmFa@eBHuCcA}Dk@NOqBz@eBQqBcDsDsE_BDsAr@CMoAuBIqEyHsBsAoCv@uAgAUiBd@wC{AsBm@iEu@TGl@k@[e@{B{BE[]Sh@_@AQk@s@nBiAiAWVs@Yk@NSs@g@EGeBu@EWw@DkGoAl@aAfBu@sA]LUbE{@nBCpAu@`AYq@_AvAMy@a@vAHfAa@YQVm@rFd@tBOfAd@bF`@XXSBnAQ\\w@AeBpDeA@ThDg@`Ds@f@o@cCgDgCk@cCKvJm@eB]dAWC_AqCcA|AkAu@MVs@{Am@fA_ANeAoCwATq@s@aAwHeB{DURUg@mEqOs@{Ol@eGyBA}Aq@u@fAaBuAm@pASzCmCE_B{A[mCy@p@_@q@_@`AQkBuCaEeEaASxAyBM}A~PsBlBOfCWMaA|@gAhQkA_ByDwRc@UgA`Aw@I@zByAlBJjCYjAWC?rBc@UmAtFq@Z_@pCOTY]}@hBsCrLTh@{AxBe@Em@fBWdEY]QlA[n@Qe@GdAc@ZSk@WH_@qCUN_Au@Wj@cBsBKqCoAF[o@c@b@UWuDqIi@qEgByB_@f@Wc@wAOYkCZkB]{AFs@f@GDcB}BmGmA_AaA~Fg@f@_@oAiA\\e@kDc@^eBaE_Ac@OvBg@Rm@~DcAzBp@hBl@rG_@zBAjFwApFk@HgBpH_BbM?dNdBxJG~Cr@xD]fJt@rG[pCN~CoB`DIbAdAxDa@pOVrA_@jAOMAlBs@SEhBg@TY~AVvAIzGk@xAe@EQ^m@nIRhEuApBEnCM[Il@{@VZd@YTMpFl@jJ]rD`@x@CbBn@H?~CpArAx@~FbChB\\fABjHTz@j@Q\\dEj@@d@n@r@i@@~Bm@zBJxFh@vDRmAZXXWxAxBJvHZHl@hGKnLb@d@l@Y~@v@DjCv@~@Re@JNAnBjBw@r@|AXIH|BZOl@rARzBn@]`BfCz@aARr@RYRXKnCmAhCxBzEb@dCVA|@rJz@c@|B`Ek@nFP~FgC`HFjPb@MV|@h@LvApEHnBnC|BJa@p@VRw@XpAXQXt@L_@Dn@Fe@\\THs@d@nAF_@RNCp@L_@JXBk@f@f@lAeC|AkApAbCb@eAz@CNg@r@vAL]d@fEh@bAt@kAh@N`@bFZT~BiDf@l@jB{AbA?|@yDdAm@NpB|@x@n@bDVa@`@fAZAn@o@`CrI~A|Ad@Mv@tH`Ai@Xy@Om@h@sBR`@Fi@d@d@TUNbAt@Jb@x@~B~@`@M`@xBjBpEv@h@r@tC`A}@fANqB}IFiAX\\h@Q\\gFrAT|@a@`AeC~@@zDoGp@?ZkBXD_AeLXqMCsm@jNkE~BJ\\lDhAGtAnBz@En@{@|BlAjAk@\\V~@KdAsBVVt@i@vCqEj@yFzA{EQmCZgCKuBm@cA`@iDfBwEKwL~_@{d@pA|CnAlAtC}@rAlAj@hBErK\\pAzAt@tDiIZ}Fb@QKlAr@Tp@bBa@dAh@xBJWp@nANa@TLOn@v@ZSnAb@JNvBfAfCQTW[Mb@`AvBa@vD`@RBn@Qp@m@}@T|BOnBe@DZh@[r@~@jBKnAt@jAIx@^UKvC`@vAl@O]j@d@|@MpBVWz@~Am@XGhCZrBIrFXh@U|@RrBYf@fBp[M`D`AbFIpGxDfA|A{@n@p@lAMPTl@k@l@XjAW~AsAn@`@lBcBbAp@l@k@dD`AbBdGGxBTQjBnEGxA^vAgBpJDdD~@Jb@j@t@GfA|EXUnBl@N`@h@QxErA~@xC@jBvAfE|A_CzAp@t@IhDvBj@KtAdEt@QnBfB\\Qk@~Am@DYr@TzCa@|Ad@x@dASp@nAp@R`Be@v@pAh@a@`ANtAy@vB\\L_@\\HZpAp@]"],"Asia/Samarkand":["suoA}jlBnAkp@lAcOiAo@sATu@eGaAhAh@n@Ex@yCxBwFEsE`CsLTaAkCMuDaLkIc@wGb@sL{@kDGmE[OZUsAp@A[m@Nr@uAGg@_@HDcBsCf@yA_Ay@TGSuAhBi@gA`@q@qBUBg@_AIf@OIc@wAo@N_@t@Lb@cDzAVw@yC`@_Et@}AnCuAjC@QcBZeCuAC_BbDBf@_AHwHvEoAfG}@`@sBwFxAcLKsE}Ac@o@VEcB_A`A?[yABdP_WKeIfEaE^RjB{AdAaF`Aa@L_H_@yHx@wCy@}Cb@ERkArAm@]_@Js@`@HBo@jAUZq@Xj@[~Ax@h@f@aC`A}@zDdAq@lCXx@xA]j@eAi@gBxAc@ZeDhCyBRkClBwC`@XGn@b@GD^s@f@Pr@yAxAPTq@xDnAFb@lApGiGjAFhAjCtEt@bEqHL{A~EoLqAeP^sMf@y@{AGl@c@OYlAa@]OnAmAxA}EEuDaBeCuDU@oCp@_CEcDbAm@^}BlAwAvBkF|Bs@r@}BhB_AbDGlBZbBoAtCg@lByAdDiA`C_DlC{G|B\\pBqBrANjE{@tC`@bA{@`COrAeAzi@okA~AUvJ}SnCwG}@mHtHyKnDiJhCmEVwCtBaEJwAlEkGtKeVTBlAsQu@WA_CbB}BAeBpCsG?aD~Ao@tCqFPgAc@{CdCkIvBcAFfArA|B~D~BvCObEv@xBIjCiBtC`DlAgB]sAhAy@P_AcAkADyHwAgEp@yB?_BxAiBrAFrAgFxBaAeAaHgBiEfB}BW}@T}EhAqCM]}C_@oAy@{EdBqDuAiAB_B}@e@RO]e@FNeAsCeF_@Jq@cA{F}CoB]KeDn@cBc@_@URyB]kDoDoDu@s@?O~@e@A{@lCaCx@]|BkAhBgAd@h@xAG|@uCkByA\\e@hAwABeC}@oCfAc@oC{CzBMaCkAkCs@p@iA}@i@Xm@xBcAD{@hB`@dBq@vA^vDb@j@a@lE^ZHzAk@j@}AX_DK@pAq@Pc@tA@hD]TNt@_AzBOpBy@k@q@J_@p@e@yGwCGk@t@sA[wBjC_@i@NiBe@p@w@MK_BQl@uATg@hCmBOu@n@kDsH?h@cBxA[zAo@h@YKb@tAa@hENt@g@~@Zr@e@bD{A^d@t@}@~@q@mB}Bx@oAnFo@mAqAw@uAjBGhBc@Rk@O_An@g@g@aDCo@a@_Ar@c@WD~E\\^u@jAh@jAGz@{Ca@a@u@gAAKe@yBc@_AcA_BSyGlCAtBkLHUiFe@NAtAyK~Ba`@~EwBj`@oYEl@iCgMo@gVC~CxN_ZxPyKjVwLlJg@jCfIxWw@hi@gBx^fGbdAZ|M}]dc@aM|PoGz@qPv_@ml@rbB{LbX|c@x`D"],"Europe/Warsaw":["k_iBknZlAcEtNsCvB^^pA@i@vAK|DoCb@`@lB?^a@^XN[p@@^aArCTnAi@No@lAM@Y|AChDsA\\N`A[Z{@dBxAPx@z@Tz@i@nDlAxDvKpCc@dBlAf@}DtA{Bj@mCtDcFbBeGjAuArAdAlA{@vBjDfAZrDeB`@R~@eFh@s@rAz@p@g@r@r@t@CdByC`ATv@bAPOd@`@p@_@`Bt@xAdDhAh@n@oBjCk@`CsDhBMxAjB|@c@|B}Lt@k@T\\`ASDTh@s@Xd@lDyCl@d@L]z@v@tDVL`@bC^lB~AjBf@dCzCHmJm@N]Y]`@yA_Ag@^P`@Wh@i@a@WwC`AgCAYk@CMw@hAO_@qBd@W?q@t@c@f@n@rAQhBuDvBM}@aC~@gD@aDlAiEc@{E`DyAc@gEP{@jAS\\i@^fA\\mAU}@{@Wm@gAb@cCb@[KaAmAc@RwEbDkETnAh@KJn@V]x@rAI`Bt@`@AdAj@lAZWOd@f@`@l@e@DkAlAs@_@u@DmBz@Ah@i@F_BxBuBbAsBbCYhBqCZoCkAmASkAeAc@m@gAHkAq@o@?qBk@g@x@m@[y@s@r@k@c@o@`@YpBsCdAe@dBoAmAz@uCSo@l@aFp@_AMwBl@BxAaDQeCvATf@Ye@eAJeAp@c@c@a@IoAG_EVq@_AiCw@Mt@uBtAt@j@oAv@J@rAh@V\\nERN~AoBJiCjAqAtAYZoB`@Bh@uAKkBs@}@YeBXqA_ABAnA_@AWy@j@mBh@[TN`@i@XmAc@c@BcAr@ML{Bp@En@mA[_Ae@`@TcEdAyBDsAQYa@NHeA~AFTgA`AhAbDwBp@F`@iDh@MLo@AaCzCe@H[~@BVk@t@j@HqE\\{@`BTn@w@b@f@b@UAmBk@kA\\}AOoCo@Je@mAqBOg@w@IiE}@Q}A_Er@U\\eBhAA`DgBEuBl@Or@`@l@kDk@w@EyAnD[l@Vl@{@Pz@vBz@VsEa@aAc@CKw@HcBhBaEqCm@cCwA\\WUc@[Ho@cBL_EsBOIeB`@a@]q@P]i@@BeAnAyEs@kA_@A`@_Ae@wCd@eARRd@[X}A\\VRoA[w@\\a@XPE_At@e@U}Bi@CiAkB?eBUSsAnBe@wCfAgCwBkDt@uFj@aAeAiKz@w@H}BnBoBgAwBrAcC@qBlAk@~@eBhBFX_ATcDt@{AUaA\\Y`@R`@wDUaB|AoBGaAb@uAOiElBcDYsDbBoDK_AuBt@w@w@_@zBu@hAg@H?bBq@a@b@hASVqAqAU`Ag@q@aFMmGbBYzAk@Re@cA}GaGc@wAsBkBiAwBcAQEq@{KwLkA}B]AiF{J_B}EmBsBU}A}Am@s@{DMeKuDoCaEy@kA@Mb@e@U[x@eAYStBw@OGXWYCzAs@f@uA_AB{EaA{Ak@zDuBbDqAX_@rAOi@Yf@S_@Gd@aABCdAm@d@o@LKg@g@@{B`GcBX{@~@H|AqAVmAy@Ck@q@RSs@_@?Sr@]QAhAYBWy@WLY`BaALK~Am@YwAjAkB@Sg@g@R[Yu@\\Cf@[EiAiEs@QeAnA]c@g@TDm@WNO_@s@r@]cAc@b@YqA[FUm@y@|@i@Ke@j@?]KVOSo@pAWIUlARz@oAlAAh@w@WLxCKp@m@Ds@`KcBAMp@qJcJ_D{EuB{IOoFaEcJgEAc@\\wENg@y@aDz@wAvAsC{AkAjBgAPWfA{@f@oNtG{LzCo@`AeDEWv@}DLoAfAaAwAeAGmDtAm@t@CbA}AjAu@`BQnEw@~@O~Aa@H\\pBa@bBq@i@i@hCi@_@u@tH|A|BxAbsA_B|q@mDn|@mHdNmM`[kIxY_AhHCpQV~MrEfl@`DfOdBxDhA~OrA~HhDtHzE~FrBpEdF|n@hL`w@ApAyFlAYbAkAP_@bBuFM?dA"],"Asia/Baghdad":["}d`AqwjApu@gQn@fE|IsBgBoLvFqAxCdEzKwjA|b@g_AhOig@`|@otA|y@qnAhGciBWiB_A}C{DmE_N}KoDkAuGyDsBQqOgGqAeBwCiJ@oR|EuOB{BmA_CZwElJ}O~JuF`ClAjEsExEu@e@kH_CiGkEcEwB}@eGm@cCRSnL_JdYqCb@oBzBeBcA}@PmGvG`@~BsEnAeBrGo_@SEtTsWDiWiJcAZo@|AmAIuBzCkBt@q@M@x@WI{@rAm@Is@hAE~A{@hAy@@k@iAk@I}BjCUk@]BSpB{@POd@mA{@cDhDm@zD~@lAL|C}IpPsHjIgAbE}E~ImAhJ`@tEu@zBkACA}@_BeAs@xFaAYVmCaDoDQ|@sBQw@nBwBhBkAD{@~@yBf@Oh@e@Cr@dCUxCgCcEyAnBk@WSRRvDdAzBwAe@o@fBqCzCkAC}@pA}GtD?`D}@l@aAuBcCMkCwEaBt@yAs@}BEaBzA?z@\\ViFnBo@y@EgB}AKo@\\_Ba@Nu@r@S^y@SqDj@uBaEb@cAZAZo@Ky@bB}A{AyAP}@}A\\?Ba@o@kAuBF^yCoAMo@q@oCf@YkBeBPbAuCSc@bAwAc@i@u@NPwAiAuCc@fA{@?sA}Au@n@?|A_@\\qAuAw@XuC|DwEbCo@OAq@_CxANqBeB`@Kf@]c@{@Bw@cA\\u@D}D_A}@OaDaAy@Au@kAYe@J_@xApAdDc@v@X`@m@v@i@B[tBl@hBQxBh@P]tBt@j@@tAa@|@v@fA_GbEuCdFD|E|@|A]f@Hl@}@NuCmAoBjBwATc@i@WJq@d@[zAi@mAu@vAgAk@qBToAdAx@rFs@hAwCn@a@zAw@F[eAiAVu@wAwBJeBdAOrBiA~@L|DiAL_@y@[J]uAoBQkAz@mBm@iAdBAhBg@DOh@_@Kw@fAo@gAg@\\s@zGfF`Ij@tEVP\\a@nAfBj@Hg@tBgB`AU_@sB`BmBkAOmByCRkAlAqAlERrB]`Bx@r@JjAh@E|AlA@`C|@l@gApAKhEb@zAqAxC\\fCaCzFg@TBbAj@p@qAvBY~C]\\`@vFn@Xf@dB}@vFw@TQdAvAnB`@ET~A^Sh@\\Fx@h@A|@rAjCdAFhFx@zBAbBr@CTo@\\JbUjWlFbI~B|X|HvE`RjAnLaFtLYvGbFdCVbASxFzAfFTxUc@vFnE~N`HdDbT"],"Africa/Casablanca":["u}t@ffYuAohHi}@@uCgDaCmH{DkEyLmVyBcCm@aC_CaDw@wEeCm@HyFy@sGqDgEyAiEx@}FEwEdAsGiBcD]wC\\{CeByD^sBc@_@D}Fa@cDb@oGo@aCg@kHj@uDfCr@CeAi@w@fAeAr@yDsQuMsA?kDgBwM{SoH}TiM_O[cAaBgHs@kOh@iCiDeIkCo@sEv@q@k@Rg@gCqAH]s@g@gDBAXo@Eh@j@]b@{Bn@Ph@uBBfAXbA]Ev@X@Nk@IdA_CMq@z@RVx@Qa@HNn@x@GQz@p@\\}AB_Ac@oB~@u@_Ae@CUx@c@m@cB[d@s@g@U_AaCOb@oM?_Iws@kAl@gBC_HpDsDo@HeRaA_CIwMc@k@p@_GkAmGp@{AJsAYo@f@eAfB_QWuCv@ePeAyCsBlANtEyAsBoEKg@TSo@}Bs@OoCuEyFiN~WeK`Ha@sBeCo@w@PwCjEuBt@}CjCa@WyCHkCsAoA@qAcAu@\\cBOq@fAcBj@H`Bq@z@oAU_AcBaEv@uMeBeFnBmD@iDzCiE}Dq@~BkD`CWhAeD}Cs@Ge@_A{BjHgAFiA~CqB?PpCqFvIaQWqDzQ[`EzIpTm@f@u@SsJyNmCfCgBtFW~En@xDnA~BjGlG_BpV~Dte@o@xPsGfOiK~IwCBOzKmA`G}A|@yCXxBrOy@tLZrJ~AlB|C~AlJtBjl@hRdm@v[fGhIbOxc@nMff@pF~OvAlBfOvL|Vt[tEhEfD~@|JBhLt@xPdQrP|HfJjCnQAfWxA`GMzEeB`A_FbAiBvDsCjAAhP`IxL~KrOxIfSnRvSfe@lK|KzI~FpIf]|EdWj@lRtA|KxArBbKjHtCtF","_xcA`sFo@Sq@aBbBz@HV","sucAf{Ce@EGc@DgDf@BPVXnAGtA"],"Asia/Aden":["mj]ogpAnCU~CaB~AiCd@iEw@kEqAoB}BwAaDe@gDZgCtA}AbCi@`E`@nD~ArCnCfB","cy^wppAbE}@jC{Cp@kEi@gElB]zBwApE|AtEc@lDh@bCK~EkCpGcBtBiBvAsCtDaAmA|AqDtBgAjB]dGzAbEzCtBlDj@tFg@tGsCdCqD`@cFcA{DgCoCcCgAqCS~AcBt@yBCwHxFD|FqB|Cv@rCIrQeGGtE|@~CxEhFdD~AdXkHvBQvGmDz@{EkFmGyKmCzDkA|SpBlCElGaC~AoBdEgChEgAbCeBdFt@jBa@jA}@rA{E@oE~@wFlAeEzB_Dp@_GyA}VmBkIkC{Cv@sCVuJuAaOuAyCoB{A}HaAeA}HoAgDeOqMuBcQWgLv@kKcA}ITmCSgCkCmI{AoCwFm]gCiEeJsKkAqFcD_F|AwBf@kBCiF~AiFUgDuEqIGcFkBmEiFmG{C}BqDaFmCuAgBUu@uCwCsCwAcDcFgP{BsMZeEiA_LyBqDu@{DsDoFwG}f@mCoNeDeIs@}GmAwBaBoAa@uDmDsEcDcNsD}EyBy@cCMcEp@qEAoFhAcG_BkFkEeBkD_GmTgC}Mir@pVObCoBgAcfBzo@dL`kAvIbgBb[jy@xk@lc@xShGlIvP?lJySrNbB|Va@tOeDvj@gElJAlb@v@dDu@fE?hEn@fMtAt@oAvA\\vAWVnCvAOlGgAtANrEcJjKi@`Cj@vAWh@tCbFl@_@r@t@z@a@^d@rBcEn@UVjC~@~BbBYdA~BnDOWq@n@sAvBk@[Tb@X]zAxAQXRl@_@f@bBb@JrBsATqA|@WVcAr@^\\[NlAfAZN_@tBMcAdDZ^t@StEp@L`Gd@bAfBf@rA?Le@LbA\\vDo@bB?lf@","_{VehdBtDo@rCgCzBsG|AqJSiH_AoCqCaCmFkAgDXkC|AgBnDKxEgDAmDpAoBpCe@xC\\xDpCvDrDhApCGjB|A","{vViafBvCg@vAy@dEcIb@wCe@cEp@sCDyEu@qCgBuBiCeAeDEpAoKy@oS_AoIkDqHiAqGgGkKaDmAwD@uDvAiBnCi@jE_BpGiB~DoAlGA~DbBfE`@tGcChF]zKf@xCfDbHs@|BDdEdAlCbB|AnC|@|DI`EaCvAiErB{AhB_DLlAiB|EFrHjAjDrAzAvB`A"],"America/Goose_Bay":["sohBzmcCbA{AOk@f@g@NiBf@e@Tb@TUNqCf@XP[Bh@j@MRyAb@HFmCfAjAHbC^yA`@zAJmEv@^f@eBB}@a@LAm@h@Nh@y@N`@`Aq@t@JLi@TDX}B|@HPaAYy@t@kAE{@g@Ql@cB@{D`AcB~@RSqBlB]JcAb@`@FlAr@f@EnA\\Qb@z@\\OI_Af@kAtBt@~B_@j@hBh@c@BgAd@~@bACH|CyBe@@r@bApAo@p@QMWhD}@vAj@nAd@]fB~DnAS`@q@bBGC_Fl@rAHtBn@XlBo@Ui@X_B`Am@l@sBgAo@k@kD|@_@n@`@~@SP\\Pu@d@MOeDdDiBHcAE_@]FqArATqAaABKZSYbBaADk@xAe@Fi@w@ROk@uABeBdAfAoC_AmAR{@qAj@u@u@gAd@Wy@w@d@I_@o@Gh@yDaAk@d@_@oASIk@wAPHa@g@@xA{EhAw@hAEbC{BNfAp@EuAbEJh@h@Nz@iAp@H@mAtBi@Vm@\\z@x@F@g@vA]?w@T^BUb@NB`@_DbD|AlBlAa@`BgBb@@Cz@n@kAlAS_@nAfBiA`@^f@}@x@@^d@kAvBPn@p@OEfA`@d@l@Kh@iATZ\\}@^hAjAqAWo@n@w@v@e@Vp@d@[GoA`@I_@kBqGzAG_Ak@L?y@jDeCVi@k@a@lAuB~Ay@rBn@Wo@xAaDc@q@YZo@GP}Ar@w@wAq@JmBY]^@Pq@Sw@x@c@iAgCzBq@`@fAXYj@\\\\cAoBm@VuAQmAeCeABa@|ALD_@NTb@Yp@{@Gi@zAg@YgBpAUlAlBdAi@Ca@vAOUkAoAL?}Ab@m@x@PKc@f@iAS{@bAUf@f@h@{Dm@kAHyARRjAgCe@iASf@W[Cp@c@]CqAd@s@e@{BRJ^aAEeCr@FVu@VH@gBt@?Je@l@MF^\\EEi@rBcBiBcEgBq@f@oAE}AiAYAs@SNs@{@UCMz@eBMmAtB_B[aAb@K]{@Ce@l@Gg@YRMkAt@w@HsByBdCk@_@k@NEqAwAD@g@m@Zt@gDs@Ay@xAWSmAh@LVkAOa@x@e@i@Pq@e@j@UMNkBm@?Ib@?u@}@NFm@y@iAUVUW_@x@oDZ{BjC?q@a@DVs@m@]a@Xg@c@y@j@YeBsAn@OuCZgAc@A^}AI{AMk@g@FHaAo@e@\\iBOeDK_@U`@?c@]BEo@UDHkAc@i@u@z@\\uB[IKd@s@_@v@Ad@}@hAl@Lm@FdAf@DJcAlAmBNiCpBaD^jBGfIl@|Nv@nCOr@zA~DlDdBr@KnA_CZTz@o@vAoH?gA_@Fd@iDBvDdAeCDz@b@eBh@NlAwA|Bm@dBf@BaApAcA]lATf@sAjD@nAv@V~AuARR?uaLcmA?kNwcAyKw^eIxJ_P`d@mJfKcK`BuDlE}CgCoDG{BpAeBrCcAfE[lFTlF`AnEw]pyAoExa@{BxDwYxWaU`_@sEpA{GrFyR|IeB`CkDxI}LvMmSDqDvAgVtV{QjZiOlZ{C`EePjP}[nY{MxBgB~@uLvOsBbAkKdJiQ|X~DfSNxG~@tAdAc@PZK`JbAdHtAAjAmEd@GW}BZ_DbBQPxIl@uBx@dAKhJf@gAnC_BIyDf@?GkBJ}@l@L?sAhBpBQnC^TZ{@DpAt@|Al@iANr@dAo@z@f@XyBpAvCZ~Bf@PbBkAAdCr@Vf@kCKy@jAwCb@Az@cAf@aBWiAm@_@^iAeAiDg@Ci@iCx@{E\\FIj@x@hA\\lCfAjBTeB^dCp@Rh@yAnAbBhBkBb@j@rAT`@aBrCp@XsFr@]@{AhBiBV~@IzDn@nCKh@WSe@t@^p@_ApCGrCgAX?~DrAzBXWHfA`@Hb@{@n@Mb@nB@cBf@c@MmBu@eAL}CfAiAf@aCg@{DD{@\\I[sALuDXAf@iB~CGIeBtAqASeBu@]Ms@g@AGcB_@g@CaF]cBiAcAEgC~@aBCcCf@wAfCuBLq@|AdIS|@d@pBGjFZd@[lBp@nAc@`E`B~@Zx@jANZm@Jb@d@KlAmCKwBy@u@YwBp@iArAP\\eBxBpC]rEf@r@rB`@I~FbAx@tARJf@nA@h@x@d@|Fh@~ApDXv@CPi@OsBn@mB_@{@j@c@B_AVf@dAW^k@fAK\\iA~EyApAyAJ{Au@Ne@Yh@cDWu@bBIjAo@KgAbAuAgAcB|AIh@oBwAOIs@k@Pa@mC`BVJ]j@Hj@n@lAzBWZZ~@h@\\Yr@pBi@rAn@lB[V{@U]nALz@k@\\fDh@`@CjBnBt@fB_@z@`@OkAk@AgAgARaBz@m@r@bAbAPj@]xB|AMzCpCBZcAh@nBrCFLkBn@MTbHdDRVbCf@EDl@vAzAzAkB@cC|Ap@\\{ApBqCpAXt@YE}At@SbAlFaA~H^p@l@}B^I^b@b@y@b@A|@dBl@sBl@GUaCVmB]_ALk@`ACb@_BrBxI`@w@dAK`A`Ai@mDaAsAYcBZc@z@bBO_B^y@nAt@u@uFV_A^Lf@iB_@yGRiBf@~Aj@e@c@tDjAxBZnDNO\\f@AhCj@xBJy@p@f@~@wDLZ\\a@Vz@l@WBkEx@Nh@fBJw@Ht@J_@r@d@^m@LzAf@ZKaB^oC^vAt@q@l@b@N_@j@?Nd@x@LrAjEvA_GKsJx@wAWeFv@Zb@Qr@pNZn@?aC^SZxDx@|B^{CNh@XYY{A`@_@y@gDJwB|AbBZzE\\MH_AV`B^OThAp@a@Jf@x@TdAwBr@bBN_Bh@\\BjAb@[RZd@aARbAl@i@OzDg@T}@~DNv@ZFNo@TjAZQp@n@tBgA^lDVYT`AfBqFr@cAr@KZmAdAUs@fEbBhDe@vCb@z@@bBk@~@Rh@uAGkAzCu@ESzEk@JkAlE?~Dh@i@AXd@SStB`@h@To@f@r@k@tFVd@KlCs@|@UaBi@n@m@u@e@VYr@RZ_@\\XZI~@eA[wAdCa@pBFzAiAfCNnAbANEzA`@KbCfAFpCr@XcAnA`Af@Ux@Rj@k@FMxA\\|@p@Wp@oAfAKd@r@SjI_@T|AxB}C~B_CzDo@]c@h@]c@e@T_@hJJb@b@OeC~EX\\e@dC^TmAj@{F`J{B~ANl@oAz@uAnCl@pAeArAk@AoAzCGlA`Aa@Cv@b@G~CiF`BiA_AbBEhAj@e@Dl@tAi@FbAzCcDw@zB|Ae@b@}BrA{APn@{@tBHpBvCiDr@Ph@}@t@MhA{BV|@\\MQj@v@n@}AvDd@}@bAGz@sBl@X}@x@e@lBTGm@f@uAhEZtBoH|KqCjGk@SIy@q@lAYpGr@jBZL^}@n@Jf@wAXVb@[b@sArEeEPkAn@@hAyAlCcFVf@LW^rB`AR\\hAIhB|@FO|At@WPdAHqAXFb@mA`AzAk@`@FvAYG@v@gBlC_@|BZdAvAiBf@r@p@?WbDp@TDb@uAfAlBh@Rx@Yz@f@nA`@B`AwAhAl@jAgCbAU|@VdBaCLhAv@QFpFx@xAv@UNqAJz@\\Qz@V"],"Pacific/Auckland":["rf|@dv|IrC_@hCiBtAoC`@uD]uDqAsC_CiByCg@aD`@cCdBwAvC_@hDXtDtAzCfCjB","tsz@bf|I|EoAvCsEb@eGuAgFoBoBeCw@uC@mC~@eBoEoD}BiDQaD`AeC|CaA|DJxErArDpBjBjCt@vCG|B{@x@fCvAfBnBbA","`cx@da{IrFmA`CaB~AgD\\wEk@cFkCeF}BkBoDo@yDl@mCpByApCa@vDTjHlA`ElChC","bfbBajbI~F{AtDwDrAeC~ByOa@wK_D_KwDiEiEiAwDx@eEmFmBm@qB@iHlDsCzFs@nIdAtOjBrIxFzIhCvAtC@~BnB","dtxAuncIrJ_BnF{DrGeJ|A{Ef@gEzC~CpDd@pDqAbC}D`AcENwE]iEiAmDiBwBeC_AyCBeCfAKqGjBaNb@OzD|IpClBfEF~E{Bn@FbAnFnBfDfGhFlEZtDuBjDsG|AmKJqEjDIrCmBjBeEh@uFi@yGoC{FsBoA_CSaDaCgE?eAsIoB}EkBwBeD}@iDl@sBcJoDgFNiJ_@uMaAkK_DaQmIeRyBeBcCa@sIkPqBeBkDiAqAyOaDeKeBoBqBy@gGImE~AoAg@cCuCeFqBgDWyBV_MwLoFkC{Gs@iK\\iFgDgDg@}G{N{GeT}CkN{@}MpAwDj@qEDcJyAqIeBeEiC{C{G}BwCDaD`AyB|AcDxEcCbMmCHyA_@cAyA_B_KqCkD_DyGeE_EkPwHeCkBy@oDwBgDuBqAkCWaIuJoEs@qQ}R_DkAgDJqDrBkB`D}Bp@m@cAbCeEtHm[zB{AzAoCx@eI[qGcBsHiEkKcCmD_C_J{AuBmBeAeG}IgB_AwG{AyEuEyHgCaHqH{@kD_B}BsBgAkHsA}AsCiHcGoDeAwBKuHiFmB[oBJeFcCwUrBwAmGU}H|Es@~BwAdB{Cr@sEc@qGqBoFyAqByBkAkDK}ByA}B_@wDl@wCrCeBOkFcKmEsFoCaBcC_@eCqAiHeA}D\\eK[oHsCuCiDwCsAoCC_Ct@mCzCaDvKmClFcAfI@jQt@~DbFhH|ApGdEpE~G|El@jA@|BKn@}AbAs@mF}BmDyCyAyDCmCbAcBrB_CfFa@pEjAbHpDpDrBb@pBEnBq@`ByA?xGgHxDsFpKsE[qDtAwBtC}@bEwCkAsD?yDtByCzFqE}@oFbA{BhBqAxCaC|@sB|BiArC]jDsAn@eFA{CbBmG|Hy@~CGnDuB~BeBjEa@nIt@`Fm@zAsCgCkGmA}Ed@kDjCgBlGj@dHqBfAiF`@iChBgBjE_@jJqEnCmB`Du@~DDtE{@hJgH|Js@dGA|FqFaBkDH_DdB}BhEi@pC?jDdAvLQhFpA~E|FnF|B`@lCOvC}AbJaMhNsLnB`BhCx@|BBhCm@xSuQxGmEbMaMfQcO|CoB~C_@~BgAdFwGfL{IxAy@dO}CnDsDfJkElKmAlGcDxAz@l@jDpAdC|AnArBj@nE]`BeAtAwBlCq@jA@fB|AnBl@dMJjHr@bBbCTjHxCdNxJbQdDzBzErA|C@bFcA~D}BfH{IlBmGpAqLtFgI`D}GlCaMLqFvBqDfD{CxFw@bHf@dGzAfA`F|AjCjEvDbEh@aDbG{@hEmBrBwHtC_CfCuApEA~Fx@jD|F~LdGxDzEdA^xAcGlIwFcBaDFkDjBgDpFgBtHk@pKFrJhBjH`MzStAbEpFfGvCbBjCp@hGY|Nd@jBzBnIlFp@vAKtGXbDfA`DfBpBjEfBnD@|NrF`Gb@dDdC~HdCbCjB`E~FhEdD`FnJpAjIlBzDnAbFdFbFbGzIf@jDlBlEpFxFvCxNtDbKdDhFlAhInCrG|AjKRbGfBtFfHrG|FxKlElDpD|EnFfEnChGvCdDlGlNnTtW~JtHrIhEvBbEhHvGxBl@","j{|A_rcIxCq@bCoCrAsERiFq@aKuAmFuCcDiDk@wCt@{DnD{AvEWpFp@~FhDtIdCfC","|seB_lhIlDcA`DuEtCyJd@aH]qFuBkJ{DoFqEsAeHnBgCbCgBzF[lIPhHxAzFxFdKjBrA","nwaAyonI`Dg@rCaCtAyDJuEeAoIyAcDkDiC{E_@aD~@{B`CcArDEzD~DvNnC`C","r_`Bom{IlEu@jCeCpByG\\mGq@}GsBaFcDiCaFy@kD~@_CpCsAvEU~Ff@`FhCvI~BjC","pg|Ae`|I~Co@fCmCtAkEn@sH_@mFwA_E_CcC_Dq@yCj@mCjCcBlFg@|F\\lFbB|EfCfC"],"Africa/Nairobi":["gEkfaArMsCfSlBz`@G?kDzAk@o@mAL[jwBstErEaIrNmA`G|Fj@Ab@oAnAb@]mC|@uBb@a@hFy@`~@wxAfKyHj@}AKkBeL}F?sAo`@yNmo@gZwPeDeSwS}^ed@gTaRyEeCyG|H}B?yn@jb@{cFFqReSss@ed@fArCWfAm@HRd@i@fB`A|Am@zA^xB]j@t@dASFf@vCc@lATVOn@h@x@g@tDh@bAG|@uA`CeHvGm@xBsBj@aAjAmAfDnAtAvGpSxBfKpIbS`L~DzIrJzDvAQx@qBd@XdCWDA|DgADp@x@AlE}BvEd@`AC`AV@i@fB^PDjBwB|JgBt@|@j@e@bBNfAcBpAHj@l@Kn@rCc@bOZxBcD`EkAn@yApDs_@lp@aD`DQ^ZR{C`JAfq@eDdD_AEqBt@Rr_BbShSjBtCrD{Cl@^nCqAh@~@b@A`BuCvB\\^x@n@Dg@_GbBSAzAp@t@VgAt@b@_@uCpC{Bk@m@CcArAoAl@sBpHTp@t@?fApAw@~C^v@y@`Is@pAmAFeBzAs@jIu@b@oAlA[HmA]Sl@cAdCmArD?rAo@hDiCk@s@vCe@@g@vAi@lCnA~XmCl@]nQNpD~A`B~ClCf@tAbBz@Yd@f@xBuA`AAnAr@l@lGx@h@x@jCdBFEhBnAl@zFd@tC`Ah@~@~@@zAdE~B@b@dAlA@\\zCj@Xh@`BvBj@nAGx@|@pCg@`APt@tAxAZ"],"Asia/Tomsk":["e}pBarqCnGsJjDtIjJ{]nBSzNr@?sH|M_HOiF|HcGj@qd@lBaM_@{t@Pqh@~A^fF{n@zCmWr]_i@qE}z@nQaUwDeYAsIi@{IaBeINcCy@yFr@sBeAyC{@`AG[}ACk@sG`@k@HuBcAcDtEeJbAv@`AfF^A~@_B`E~Fj@oBe@kAf@iBNPV[F^DYJvBRy@vAjBPkBr@kAw@iBb@w@nAfC~@UV\\`A{Eb@r@bCmDAp@tAKE`ClCzAz@fBp@Nt@oEZ?k@k@WyEx@B`@h@Li@iAsBfAeDf@[dANR[Ym@iAAUZg@Qa@^kAqBMh@Ai@e@IVo@g@`@QsBe@_@Wl@e@W_@_BKVwA_AK{Aq@B?y@k@?i@sAmAu@EoGsAwFbCsDXuAc@aBaA_@i@wByEaYNsAxAwCeB{DcAe@GwDe@JUs@~@qK?i@_@CAsLi@C}AxEgAaCu@gEPeCgBX@i@s@Aq@mJo@VKm@]EFiBm@{BkAPoAqDk@PKi@Sd@M_@WkGvAHE{@lA[N{By@yDiAsBf@MJo@{@Wq@wAnAgCm@uBfA}ADXbAg@VeBg@cBc@ShA}@NuDeAoFG`@B_A_@fCSo@]BHp@o@`@Ei@]J@r@SSKeAp@m@P}A_@yGd@e@^lBb@a@mCoM|BqBVh@xAi@wFyWi@Qg@cDeDsJeAcAHmAYo@bCgEaAoCcQkFX`CUhGeAXD{AmDqC@}EwMeGaAIpA}@CwA}B}@?eCp@d@h@y@_BiADYZf@DkBUo@m@zBcE}@h@cDk@}GoAo@mB~@sA[oAb@Qi@a@l@{AcAm@j@q@?c@tBc@EKjZaDvIyCfc@uEhAJhBqQxD}Vw[aGyZyJxNeDeBlAhl@oXfWe@fTgK~DkCpZ?re@bCl_@a@br@qCvEuAm@[iAoGf@kDwFe@Ky@|@YcAYFC_Ao@a@c[lZMtBkB|@t@pRoKp\\P~R\\lA`Rhm@dEaAvDdNwF|PBnQ|@xFeAdUeBdA}B`@}AtT~@bCh@rMtCvKHhOa@zPfBnOm@ZU~@o@LBt@a@ZOQI^u@a@Yt@YiAU\\UM{@|D`@jDUp@f@d@e@nA^F?lAc@Z`@`ADa@BXLOKxAd@\\`@|AIlAb@l@IdAW@@c@a@X]zAw@h@xBdLkAhQHrEnBlFkA~CqApJP|Oy@rFe@nK`@jAZi@Jb@?o@v@`AbB}AlA^VfDZW^nAPm@M|ALc@Jh@VYL^\\_DWWZ]x@h@Li@HV~Ai@pAxHXfFb@g@Vb@b@W\\lAl@AHd@R]^^L_@`@Lb@cCdAiAR`@~@MZp@l@Q^X~BbFbBsB~BZT]nP~@r@pCzC^d@m@`@Rt@bIZjSdHxJa@rDlFrBhCrKhKsDzAt@pBbCnNn^xAgCtArDrFwO"],"America/Bahia":["~dU`~yAZyArDOpBgD[wDz@cE~AqAlA_G?|Bt@XUfCeAd@TtA_@lAd@f@JlA`@TCoB~@CZ{@n@p@DUt@\\PrAf@GQ}@d@`@OaA\\f@v@SCh@n@Q@|@hBSKc@p@w@PuAUkEx@hBRvD|CtC]Nf@\\`@pBH_ERVj@YL^Pw@l@?`Ab@@`@n@q@b@x@EaA`@JFc@v@l@j@c@z@\\JqAbB`ACiA^l@ScBf@m@rAhAIXh@S`@TTs@{AS\\g@_@EZWz@RZe@nAVSuCzAtCf@CPj@_@HZRb@_A~AbACcA`@Wz@rAT[^V@gAl@JJj@r@[t@z@Cg@^NAi@h@KhA~@p@c@`@r@v@Md@n@e@aCVuBmA}CXk@dAf@vBjHjBr@n@dAvAqApAj@D[f@@rAp@Ry@|Ab@Vs@wByJjAeA~CdCnBbFdAoAh@v@^Wd@j@`ASn@RM}Ah@aAbE`EDm@^Ip@t@z@oAz@rBVa@j@Rf@sAnAz@rBBj@UJaAx@FV_@tAl@zAMdBkAFgC|@H?k@`@@YqAbBO^u@I}@j@DNeApBi@VeAlBr@n@tAObAh@Sp@d@^m@dAF^q@`Cl@b@[hAHj@lANm@bDK|Af@Nj@z@_@d@Zt@gAj@Hp@gAz@KvBP|CfC|AJx@lCjCuAKo@uBs@IsAmB{@KgAp@{AyAmBAaEc@G[uAiBa@KcA{CsBKy@n@_BMaAaAg@EeA{AeAg@_Bi@?B}@eA[Uy@sAiAYqA`@aDiCuAg@oBe@Im@}Ba@Mk@eC[@H\\w@YGk@oAPHe@]FJq@gB}CJYaAW@}@k@?Cq@oBuCOmCsAuB[eCaAyAf@iCg@MHi@WGfAwAIcAb@Eo@i@d@q@MY^CFmAo@gAnAoBWaBZE@kAZKSw@VF`@sAhAdAfHtBrBXx@a@nA\\j@q@n@kG`@[ZPOeAjAmCQcA`AyA`AKy@yBi@VCg@sAs@cCuJOiBX]UEl@wCj@a@Y{Ad@u@JoCfAWf@oBtBiBn@aCz@_@~@{CfAaAi@o@J_@lD{EJmAnAFNeCt@e@c@o@xAcCmAwDhEiDy@wD`@_CwB{B[iCxWyZlNq@OgFdAqCs@[u@eBKoCk@s@uA_@XeBz@SDi@UmAiAm@bAmAh@DX]Sw@o@@[gA|BwBY_@f@k@n@E^gAt@MMuAu@MH}@i@g@hBeA`@_Be@cHrB}@JcAlAHO{@XeA]i@t@GY]z@XAYf@?rA{BCqDp@d@tAgBxAq@x@l@A`@jB[bBhBlAe@XbAz@\\[p@vAbAfEnALd@yAX~Af@nBjBnBYk@xCz@`BpDx@vBEbBdAd@kDpAUlB`AQh@^x@cAdAp@dBk@tAL~@fJ|Ct@]pCj@fAu@fBf@|@o@vAzBb@_@\\Xz@M^n@lAkEtAkA`AJ|Aw@Ta@W_AtAB\\c@Wo@|@a@_AObFmCMi@d@eApBCnBwA`BxAj@vApBoAzT{a@d@FxA_LwE_AcEgCdAaEK_EwAeDcDoCUoFdE_DnAaFk@sG}BsDsBcAcDa@gF^{Bp@cD~Di@vCBzCiHxCuEGeExAeC`CaBzEuFiBkCiDcE}AyFDqEfCuDWoAWuBwBgCaAgFAkDiB_Ce@mJTyCcB_Cc@eCDmDnA}YrDyRRsFz@ea@yAeCNiOuBaDCae@mEeCsFa@gEcDmI_YqWof@sX{WyIaEsCkGfI`DbFBdBn@ZS~AXRg@DLdAm@bAfBr@Kn@k@BZp@y@~@OhBi@Ey@lBm@_@U~@K[T`A{@LMj@l@^y@PCp@g@QaA|@u@Ow@l@Yw@_AL{Ag@k@nDaBFe@t@u@c@aAt@w@?Qd@VP{@nAq@^i@Iy@|AuD`@{BgAeBER{Ce@kDr@S|@cC{CiGNo@oDE_@p@aARUk@aAK_D|As@m@k@BqA_EaBr@?e@m@C[b@[e@iBdAeBGk@n@}CUFdAuAh@qBbCs@I|@pAiAjBo@Qo@f@Ue@_AHwA`AoCViAYWm@i@v@Fd@qAJu@sAkCe@iB|C?pCo@fB_AUsBzA}E~AiACaBdA_A_@m@d@mAeA{AfA`BfDmAtCiBfAqB{AoALe@~@EfBhBjA~Dd@JpAgAp@iDb@qCbEI`Ch@dDiCdDuAhGZXD|AoAf@{@OoCpAS`Cq@z@Fz@bBvBhC~GJbDfFg@h@j@IjBr@vALfE~@TrC{@hFlDXpE|A`CGdAaBnBNfA~B~@rG`@vE~Ai@hCbCtAYjBdBfAp@fCmAbEPhBoASUm@cCIm@b@eAgCyALsCu@k@b@Hh@m@dBY?YhByGpAiFjCNbAg@n@h@rAsB\\GbCy@l@aBU@`F|@jBy@fE~DtAvBzC`ErARf@]JBdAv@r@HjAj@TF|AzCNjB`CzDjAI~@rAdB}@dBb@v@a@j@JrA`AzCGxD`CnFv@FbAzBxAd@J`B`AH@vDzAjALnBc@nAt@CzBhB@`BmC`@XhAiAz@InAgBb@gAIu@b@XbDo@FFd@w@lA^ZOv@pAz@g@l@p@`CiBdBO|@uDdCU|ApBjE|DnE~@|DjErCpDOtByAbCWxCgGrCnB^e@hAXl@iAf@GfAv@~@DDpCfEXjCrBlB@|CxCxADFlBw@dALf@|BC|@p@rCh@`@lAnAl@J|@y@`BTbBuBrAc@|@rBxB?jBvAfBo@pCxApAT~A~CDZrCx@`@Dv@tBh@`AdAa@\\xAnCoDzGc@|I{Af@wArD{Cp@q@bBsFZ{BeBo@z@yBFqCnD}ALy@hAoCHy@rAtAvCBjAn@i@`DCfBt@TlClGl@xAbBhGlPl@T`AUhBzAlBRa@f@x@bAtFLFtCfSbL"],"Europe/Berlin":["uubBsmJ`AY^u@t@POcGr@j@j@YZwCv@d@h@Yp@ZSd@TfA~@K^bBn@iBTR`@k@v@@GwCvBeBAy@j@NA}Cl@EpDlCdAu@SyA`@aDr@TVeArAHv@t@dAoBj@Mb@tAe@z@Fr@hBv@~@lE\\P\\k@l@GXhBNOL^Vm@h@r@t@Gd@`@BYV`@jAcAF^Rg@TVXeA|@I]Yh@MCs@r@Jn@_@z@yC|@SWuAnAcCUqA^wB^p@v@WRb@d@CR]Ej@VU|A|CTYjAh@p@vA^KFn@^q@r@r@xBUMyBfBwFn@TbAyBd@fAzAaBj@mBj@NNw@dAKGu@XQb@h@n@w@GwA`@eBw@w@eAn@OgEd@k@VuCf@LrBo@a@kAe@RMk@FUXPEk@h@_AQmD\\aBw@_A?iAy@CWaDb@XEyB`@W\\`@nAoAl@iEd@CRyFi@iA`AqCq@eC|@qAXuCn@kAn@aHPfAdB|AlEzB^rBt@`@BpAfAN`DxFnBjAlCGn@hAzDdAhCUp@bB|Ct@jEpDjDPzBiBxD`ChAK|B`A~Ac@bAfAdASz@yAtAk@X{@g@u@G_BZj@h@[HfBv@iBo@wE}@w@?iCjAg@JaA[]?aGq@i@kA_E^i@GcCd@Gd@aAAmGQ{@Ev@c@R_@eB_@OPsAXa@VXFi@c@k@y@PSWZF@[[Ug@j@B|AP`A\\IGnBTFc@JQjBc@Q[^q@cBa@F}@cAUwDU\\_@KTeBnAY]i@u@GXo@x@OMq@Xu@j@z@Zq@l@Nb@gCc@[[pAUAg@iAp@WPkBJh@`@@`AwAmAgG`AiHIaDlAsGfCiEr@oIOoCgAWs@y@P}AlANd@uBe@Kb@qA_@aBp@Jb@}@f@GIyA~@q@Ek@z@[d@hAlB}@i@e@L}Am@_@RkBlBfA^_@~@vANwBwAeFwB}AIuAaA?e@mAyANu@hAgBm@[h@[GAyAx@v@h@mC@_BgAq@TyDZGNoBl@u@m@_Fl@w@ZzA`@BBeCTLnAkBb@\\\\U@mG_@Yk@{CJ}A~@v@CyAQg@g@Am@_BHcDk@VIp@{AsBX_CScCcCcA?w@[CZ_Li@Um@sHZYHiJ}DpAKsAgAiBROlAn@Z[a@eDXs@UwCh@A`BsBMwCsAaAKwF`@q@Uo@l@j@lAcC`AzAx@q@FwA`ByBj@sBSUh@o@w@{A{@@U^y@u@i@ZGu@]NaAgAgBb@gA|B^xAa@fCoAoAQ\\yCqCyD`Ci@~BiBp@sBpDeBBBy@yCcDQoDaBeCgAyH@yC{@oCeBaDoBw@s@VmB}@yAf@@iAeAcAvC{LaBm@R_@g@}@m@?k@q@qCVQm@[rAqByAQhA_@WaAj@Ix@eBr@JdCuB~ASKRd@{@r@IlBHj@t@A?VyAxD_CJgCvEHhBi@hBmAVy@xB]GUv@c@Ha@|AoAHoAfDK`C`@Q?VYtDaBv@{@`BShBqAj@}AS_@lBaDv@B`AiCJa@~CcBpA_AoC_B?Gq@e@?yAgBe@Bc@pCaAq@SRYx@Tx@e@?[~Bk@v@JZg@PIlBe@Y_ArCcAJq@i@}@d@WhAq@P[tBw@_By@ZUp@GgDX_@fA?BiBh@WFr@p@kBn@d@f@[HyAQRU[]\\gAO@w@i@J{@{Aw@@CaA_AiAHk@g@Fu@s@g@aIf@cAeAw@a@wBb@_@y@OnBaGuAoC}BWRkBe@}AXGDsBqDiBA}@b@WK_Aw@Cc@gBo@JbAwA\\cBiAuB]Tm@}@u@d@Su@FcBk@{B\\uAe@eBPaE_@MCiAq@Vm@[DkA{@gB^kAOaB}AcHy@QMcATkA]eDiAQy@zDa@u@KlCi@Ce@q@WV]w@^aDf@s@a@yAXmAi@B@a@h@PHaAXEK{@l@cAhCbA[iDt@E|AbA`@sDd@YBoC_B}@c@HmByCkBg@mB_BcC_@Ma@uDW{@w@M\\k@e@oDxCYe@i@r@EUaARU]u@j@}B|L}@b@yAkBiBLaCrDkCj@o@nBiAi@yAeDaBu@q@^e@a@QNw@cAaAUeBxCu@Bs@s@q@f@sA{@i@r@_AdFa@SsDdBgA[wBkDmAz@sAeAkAtAcBdGuDbFk@lCuAzBg@|DeBmAqCb@yDwKoDmA{@h@{@UQy@eByA[z@aAZ]OiDrA}ABAXmALOn@oAh@sCU_@`Aq@AOZ_@Y_@`@mB?c@a@}DnCwAJAh@_@qAwB_@uNrCmAbEeIOmIlBsBpAkBpCqHtUWlFj@nNxC|KrA|LjItYbCj@xBpAbCzDdBhLDfRyCrEsFdM}ArIz@`S`A`CFlEeDpRaHrIw@hFwCzHd@rH_AlGq@m@MdAzA|DZ|BWfBlAlAC`BOxAoARk@vD?fE}@fERvLw@xIoCCMlBq@z@{@?SxFg@v@f@x@cAjNbJ`EzLP`Eu@xOgKaBfGWlJj@vGhB|EhDdChDChEuDjBuEdGp}@pCxO`C~EpFeCh@sGx@}Bl@]Dw@|@u@bBmKhD]l@y@~@yFOwGfEq@r@PPg@Dn@lAp@p@o@rE[bCfAtDzD|K|@R`@g@jIHnFf@tAXa@r@Nt@_BPjD~@o@dALl@uBDaEp@oDeA{A~DgDj@?zBzAlBeARvCtA~@JxAlBfBB|DhAXVhBz@LzAuGz@CHz@z@T`AbCk@jA~BdLg@bDh@c@p@Bi@hEq@r@HjCgAnBVdB|@_Ch@?q@lEl@v@d@rDjB{Ah@nATEh@sDNd@dAKb@kDbBt@xDqFvAWhCd@?k@RXz@Wt@pBrBxA~@dBf@YBb@`B[k@eDN_@XrAZgAn@dDdBzD`BnA?f@_Ap@","g|aBm`KV_@HLDKSWNqAGmAYPDd@QZPT","wvaB{`KBIV@Je@e@[A[KCGOi@KG^j@j@","mnhBanMg@yG}EhEBnA"],"Europe/Rome":["cbwAe}KbAgAfBSFuCt@Rt@u@p@h@Da@v@RlBaFNuAi@o@pA{D`Ap@d@k@pAK^kA`AUShBXxBn@\\bAg@?b@|A`@b@hBr@p@|Ai@fBoCPlBvBJPeApAkA^B\\kAxAYbAeJ~@}@Gm@~@kAGaCx@YQeAXaAc@Gs@kGJoBu@_@DaBtAd@`BiBh@Hf@XVjA|@On@b@r@fD`BLXbBj@^nFuAnDmCxCi@@kE{AaKyEgSeEiHgU_UBwFpDwMbA{InLqYv@yHdFwCbFhM|BdC|B|@|OpB`@{@~NiC|EuEpE~@nCcB`K_AhCXjEo@tAsAxBgGfBkPAub@dCoIxFwc@bSwYxCoJrH_IxZsKpC_@|A_A|AyBfCoIpAmI~Gon@|GsPfPyi@tMeWnBeKbE{KvBYnIiDvF{FxDaApGKpC{@jJlCfB|DzCdC|LnCv@zN}AqBkDuAuAuBqCkBoEw@oD`AwBbCiAxDKhEr@lFzAdDzBzBfCr@~@jBBjEh@fDs@~HnAvNhBfFfDfCnCXnC_@hCeBvAiCv@sGaA}GRoDSaEbFlh@qB~V_E~Jq@~D~@~OF`Wt@zDdFpJlCj]nBxDjC|AnEHnCy@lB{ApAcCtFyQnBy@vBuBrGsKfAiDzBuSbFiOdJoTnDyL~Rmf@`DwN|CkXYaGcCqGwCmCmV_LcCBaDdAe[~EgCi@wGkDfB_GX_EOaSaBuGcZaZkg@sl@eEoBmCe@cNlBwUadAqE{EsR}GgBWaDNoKtE_Z|]uBxFuFxWeGzJkGjP{C`MqBbNuCbJsRjC{G\\{Bx@gBlBsClGmBfMmDU}Ad@{A~@kAlBeAnDCdGj@fDtB`DNfEbEfV}EzJuAtG_FbFcGzLsHrGgD|AuQhEmVlKsC`@sBtAgGnKuAxKoN|VkC`MmBbB{AjDyBjCaIjBiDL}ScOsZgA_DsJSoGoEcGkDyRhAsDZuDGqAo@c@k@aBoBfDg@?iAnAoBxFOpCyAh@cD}B_BIMfBh@j@DjAoAlBy@aAo@V{CeHqAg@[z@JdCc@H]`AMdDX?@dAm@W}B|AOsAq@{@y@PkA}FqA_AAuDeDq@o@bKe@^NxCi@lBv@dBA`DiAlC_@vRId@i@D_@lBXxAm@nAHzFu@~AStC_A|BkBj@OpC_A@s@o@uA`AM~@`@t@_Ap@OzAm@q@q@hAg@Kq@`@c@s@CsB_AWSo@m@lBtBxO~BrIo@fA@zAi@jAx@nDu@vBzApCs@|AAlAx@`FEtAr@?P`BtCtAbAU`@vAnA`@SdEVpAe@pALt@i@t@NpBgAaAgB~DlApFWQKhDdBd@^v@dAe@d@pAp@]p@bA|Ag@GwAr@{AnCf@Vd@g@dA@rFg@PIpAeAYq@f@b@n@Qj@\\tDv@@rApBvCUf@\\n@qAM{Bh@o@f@HPbA`@Ad@l@fDmC`AxANzBYr@c@a@c@He@vBw@GSf@w@_@w@jAX`A]b@zA`G_@pAtBt@U`A`@rA_@hD}BjBUdA{DI[`@AWo@ErAfBsA`BV`DdAF\\|@ZAd@_AzAFVg@v@ExB~A`ADHt@tBjAfBzE|@a@j@Vv@fCtAe@n@nAPq@`AIt@kCdDnCq@xBXvAiAaA_CfBw@Ay@|BAxAqCiC[Dq@zAAzAg@b@p@v@u@bCBfAi@d@WSQx@kBrA}@lD]UcAv@gAiA{EAg@t@VnCx@|B\\\\Pu@j@DX`Bb@@TlAr@VLrCdAfBRD|@oBvAu@bAT`@lAd@NTpC~@Xp@YXl@d@?^l@A~Cl@~@jBHDnCo@fB`@t@o@Tw@zAHtC]RAx@z@LIvA\\v@TGlApDq@vDbAhAApAx@d@e@tAh@xAaCfCl@hAr@Hr@pBVvFlB^pA]\\NnA_BF{Az@[EiBZ}@dBl@Xa@lCIRkBl@HFmBdAUz@mCh@l@h@AZz@^ADr@nCy@tArBY`Ab@`DjAd@DlBz@?RvAaA~Cl@v@EvB","aztAcfWGeAi@aAWyA~@P`@Ul@n@h@JD~@WXF`Aw@K","qpnAujNvHObD{@rKeKnQzCpH@hBs@hEkF~NdB|KdHpE^fCy@jSuM~A_Df@cEm@c`@{@aDuEeIgDm]kFmI_E{Aik@wDic@eEkGiAcN~C}C}@wDb@eH|FoD|AgCjCwCnA}BjDqAt@t@hJlChGvA|As@lGvBbSr@n@sAjQ_B|GJvEz@nDbBhDlFdEvG|B","i{fAqxUdDm@~EuDhBqDn@qEGcEyAaFwC_DcEeAaE^sDjCqBrDmAvHh@rGzAdDlCvB","kmdAoqV~Dm@`DeDz@gFIiD~BmJ]qIaCiEgDwAeFJkDvBAoGkB{E{DaCqFH_DlBeBdDg@~Eb@|EtBdE|DlBvEUhDoCQ`My@rDDrDtBrGrAlA","cqjA_eXfDs@fCcClAoDTgFk@cEgBoDmCyB_Dg@iDr@uBjByAbDg@rFj@|E`BpDfCnB"],"Africa/Bangui":["sxJ}c[vGmD@sBm@eAdAq@bJMfFhAdDoAfB|@vA?Vt@fEl@h@l@zAuAlAiEtDq@h@j@zB]`AZz@g@`AZvBaAr@TlB_@l@b@n@c@|FUpDcDPoAzAiAxAoFnBc@MSpCeBtFi@lAPbAaAbAOAy@\\QnAhEdRwIxNiN~T}QYcBZkApEyCSqAf@ELg@xGsBhAZXl@lBa@j@PV{@rBd@rBc@tBd@bAe@|@VxEoC|Cq@j@Rz@_Aae@{RiBOuAbA[]{ALuA]mA}@i@x@_DLeA{@iCHmDuB{FCuAgBw@kFxAcEe@Yq@sCb@uBt@y@oB{BQ{Gy@WUs@HeBbAS@i@gDcA{A_Dh@_DxAcBIkD\\i@k@q@v@uBAkAxA?hBq@wCkD~BcA{@gDL_D`DqA[uB}DeADoBo@u@z@}@Du@i@AEoAq@Bo@gAvAkB`GoBPy@kBd@wNv@kFe@iA]c@cAgAW}Fx@_LhDcBoB\\m@QeDmAoB_CuA}Em@cAeBaASM_A_Ba@cC_Dm@DgHkDWeBNwAcCiA_BiEwC}DRcBw@aBf@oD_@}BtAgFGo@rCuAbBeBV{DfC_EVmCjEwC`@wDjAuAdCc@xAoBj@IdAd@|Ak@rEeFi@}FTeD_A_BNuEzAaGrBeAdBkE_@q@u@QUcAzB_DSaDx@gARwBuB_Fb@iBa@aAp@qCnAaBXsDWiBn@sAJgBxBiCnAyD[mJiDqEsCBoB}@w@sAi@bAgDQa@oBv@}@Uq@}AAaAs@kCEoD_B[e@x@oAUi@q@Kg@{@eAZs@g@BcAk@cA`DoAxA}D{@aC`CuBF}@jAYr@gBMy@n@s@K{AmBAu@aA@qAi@_A{BqBs@wJ_BiBj@k@g@gAl@aCaCKZmCsB{Cr@qAaCwCFc@b@D@q@yB[WeDu@_Ae@XPv@Y\\]k@oA]T_AzA_A[Wq@TQg@h@mCbBcATgB|AWJmAbBTLoB`@M_@uA\\??_@{@a@BaB}@a@F{Aq@SWgAzBsEiBo@OiAq@Dc@y@v@c@Dm@_@Qw@{F_AJgAo@sAGDj@qAb@a@i@mBMw@qAc@f@My@k@Gv@]Aa@{@WGgAe@Qf@g@[oAcALZ}Az@UC_An@t@Do@d@Uw@c@n@SHaB~@O?i@z@Ga@oAU\\Qg@h@Q\\XOeAx@^C[~@]u@[KkAlBc@U[s@RJwB}AWj@UUc@r@G@w@_@Yz@Wk@IDw@{@FLq@}@[Jy@l@@Qw@n@Ce@e@~AOe@i@p@BYa@n@BJiAz@W]W`@][?Mq@b@c@Qe@x@QYa@h@IAg@l@@I_@z@@Dw@`@KUMV}@u@[p@?aA[\\Yg@QPk@_@e@t@Wu@W^]m@w@RQa@a@XWWCC_Bh@DAa@nAg@QkAj@w@sAc@Ei@sBi@uBiFWyBzF}Rp@k@lAAaCc@{@tAsBj@yAfD{B\\Kl@_Bz@}D\\kDu@u@s@kB@S`BaBKO^aDt@GhAy@FaAhB@nBqAd@Y`EuA`@JnDsATmAYOPh@j@eBvAf@n@e@hAh@|@aAnBAbBiDhAXlA`AbA_BQqA_CaCOUP`@h@?z@oC]g@pDmAv@m@fBk@^_CGY\\_@E[eAcAKUi@aA@Ao@w@?MeAmAEs@`AChAw@^VhCuAZ_@zBg@CE^aAIW|@NdAaA|@eBGAh@i@FG`@{@c@{Ad@Y|Ao@BIrB_@@Ix@a@Ka@Zc@xCeAWSlC_@?DdAoAvCA|Ai@HBl@i@FBl@m@PNrBiCdCNj@_@l@}Cr@C~@sAh@q@rD{AFwAn@a@gAg@OFe@g@CNc@k@kA_@RQg@cAr@_EWBd@uC|AcAzA`@rD_BhAeAbDsAr@i@fAeG|AyAdKXrFy@nBiA`@AjCp@lAk@bA]vD_AjBcCdAuDi@yEsE}AnAeBu@YJPtFWpGk@~BTbBg@fBl@rDUdCk@`AL|Ar@x@YvA_B`@{@KqEyC{DESl@vAr@@z@u@tA_AXuHyASgC_EwDwBZ_Eu@Q~@_CGs@ZqGoCeKr@_d@tU{@dByFnFaDtFcMlGSvDo@b@}@nIT`Ci@h@I~AtAvB^dDhAzAK~@xAzAbBb@]hG~@lAjCXExAb@tA|AbBS|AjAvDxFb@tE}ApAl@tCPJv@rAZf@dA`@~ErDnCjC`@nCbC^fAm@vBLf@rD~BpAzBjCt@f@dA[p@v@v@v@Ez@n@|AEJh@j@Q?x@fDvBxAvBxBZR|Ax@\\`@bDj@h@rAKCvBo@zBnAVR`A|Be@@~@dCpAhA`FUvCq@zAv@`CmAhAl@JKhAf@v@p@Hc@p@t@^FdAd@\\Kx@h@ZKxEbAjEq@tF`@`@c@`@h@TUXb@l@g@Bn@v@e@LAvAXP]v@XTHhCu@zBz@pC_@l@b@XYz@`@TSb@z@ZS`@n@JGz@~@Lg@j@n@CZzAl@Rd@lAv@?AoAvAMAmAbAs@\\kA|@i@f@eBlAmAdArBxE|@VzAn@EdCnCjA@f@jAr@XId@nB\\x@`AlBjGdCdAtBAt@l@vAbc@bBzEo@vKVf@[fAnAd@\\hAO`@l@r@_@RLd@`AAI\\n@P{@bBRd@f@@YVf@TMd@p@?QlAz@bAIz@f@Bj@hAfAAc@dA`Bj@FhA~ARF~@gAz@X\\n@UL`Bd@FLnCYXdAv@Uz@`@Sp@^Zg@XXSx@x@r@Ex@oC`A}@zAAzA_An@sC?w@jCcDT}@WlAdDpBt@D~@k@`@hAr@l@[XT\\_@~AjAd@tD`BbCWnAn@z@XnE\\d@dAF~ArBrAhIkAdCoA\\NnI[dCxElCtIrKh@PNm@lAv@zBYxAx@Ij@`Bp@~CD`GnCzATZtDz@t@hBJvPnGbBExCvBvCzJnD|CZ~A"],"Africa/Gaborone":["`an@}`f@~h@CnAkAl@eBd@Bz@y@?iAz@w@]m@h@[PyAjB_AnBqDv@Jd@cAdC]NoAjAl@~@s@Au@x@X\\Yd@uAt@v@HeAl@N|Am@DkAbACGu@fANUcBd@HH~@n@Oj@XnCgCZbAz@V?eAbBRv@kAnB_@T_ArAn@g@aB~AJh@}@bBR`AiAfBn@~@g@h@^j@k@j@h@z@sA~AvAnDv@bCpCxBp@|AvClCVhDu@bCEf@f@~Co@j@^h@s@d@B^mA|B@iAy@GcBo@m@A{@k@Em@{Cb@aBMq@lAkADoCp@gB}@oDJwCo@cAEmCnAsFe@_@EcAr@gBIeCuBmD}@WwCn@e@c@_@iARyFeAeEkBy@oCmDs@F[k@{@@[e@o@R{@aBi@EKaCk@e@DiAmA?YmAq@Dm@i@DcAw@g@t@mBIw@{@i@cB?Lu@k@GQs@o@Di@qAmBLIwB}BB_Aq@q@hAUs@q@BcA{Ay@|AIo@oBSS}@aAk@_AOq@z@c@iBaAlAaBoAs@Ka@ZEkBe@Z{Ao@oAuBsAQGaAmA@^i@m@u@x@FXq@w@w@Xw@wAyC@cCf@a@QyBb@WX{AmAw@?o@h@Nf@gAbACWw@\\gA`@DFu@f@IWu@d@FNi@h@I_@}@p@BFw@b@Oa@s@l@{@bAGPqB`ATGu@p@ERoAd@GRo@h@FVo@o@uATsAr@La@s@`@{@i@OXa@eAmCj@ES}@n@gA|BeA[s@`AD]sAd@Dv@aAFwA_@KHe@c@i@tDuMg@{Aj@cC]e@?gDs@_@_CyFf@eCl@_@LoLmDaJyAeCuIeDeJkA_Au@ySiGQg@q@JOYkB^kAz@gAIKwEo@iBmD_WP_@oB{BkEmAcAcBwAw@y@wCiAWoAsBDgBuAkCe@Yw@Nu@k@Ub@e@[iBd@c@q@kF{@_@a@aAF_Bu@m@j@i@s@_@R}Ek@]}@eAJ]]d@q@r@AYcAs@S}@j@]{AmAQ\\]Kq@wAd@RcCOSw@b@YaATMo@s@QwA}BcA@g@r@J?o@w@CS}@n@LZi@sAg@@kDyAmAwCKc@y@{@@NaBy@mA~@s@Bw@uBsAiAb@@qAy@KAcAiAoCaAo@qCNcBmEy@WcBPsBoEoDeA}@cCqA}@a@{As@e@AqG`@gAw@_BE{CgB}Da@{Dm@?Uc@LiCmDmBgCJqDiCAeFkAeC\\mAK_Cb@WWyAkCpDiBn@BzFcBhDcBv@qBHkBc@uAkAy@lCc@J]rG}FvPnAtCeCrGYlCZzDy@hJsAn@]M@~@aA[Wt@_@i@q@r@c@IgBhAwB^{FdEk@lBeCpBeAN[g@_AP_B[m@f@w@WqAPu@q@{C]qB?cBz@cB?_Bs@sAHu@pAVfAc@vAZr@u@pE\\jA[nCz@pCuKUoHjB{BnAC|BmClEHxBgB~Fk@vFgBn@]vBNn@eEpBiAbGsCnAM~BaB}@mA|AR`CoAxCcPbEgItEqA?gA_AsBVoCxA_CbFkDz@gBFYW{Bj@eBrDyCvAa@tA}D`DmMvE{BxBYfAiIbDuFq@WdEz@d@K\\n@X\\bBS`@IYc@Nz@pAMX]IRx@k@TUa@Ij@|@t@Qj@f@Rh@|AIz@z@v@Gp@l@XUb@tBpAL`AvA`Br@@jBpAIlAc@ZZ^{@n@g@I{@`Ak@ERLi@r@CjBpBdCz@Ns@r@^~@QpAvDnDRb@SlAXS\\Vt@vBr@ZM\\f@v@h@Xr@Yj@lBjB~@XrAvA\\dBfCG`ApAj@z@`Bi@~AwDb@e@]aAJ]z@aBDMl@o@BK~Am@LI`BaAKUd@_B^aAvAq@FK][r@_@Oi@f@?lKxRxeB?j[beF??n}@"],"Asia/Ashgabat":["wgpAoaeBd@y@lD`@tDmAxBsC`AiEjCcCzDw@fFOtD}BxHrClEP`DxBbCt@xOjAtGmArDHtFaBpTcVnCxAzC\\rC_@pDkBnDnDfFpAfJ?|GoAhDkC`BuEHqFmA_FgBuBsB}@iCQsI`@qD_CrDiDtDkF`BwEdHrCxF`AhD@hHmArGP`GpA|HLbLi@`MuCtBL|B]?mJfAyW_AoAQaFeEyJl@mDkBoBMoAc@EKs@{Cg@cAfA_FqBaEmJiAc@iCmDWsAZ_A_Aq@}B{HwAsBmAqR|A}Ka@qKl@gBImFk@Bc@e@{B`AkDkGA{Dp@eCu@cBa@wDlBiD^mHp@[NqB}BiDs@QCiD`AQd@u@`BSh@iAzB_BdEf@bBaEBwAb@c@e@gC^aB?uDn@cACsAhA{@OcC`CoGHeCXIOk@XGUy@l@iBpAi@zABl@iGn@KRk@i@{EsBgBpBeIc@gA?mBiAe@dAiBBaChAmFjFqI_@yF`BkAx@TZ{@v@`AtDe@TiAh@EfA{Ad@Q\\`@hAyCrAA`@sDm@U@q@`AgCa@q@rC_GFcDr@yB`B{A|A]nIeI~F}CLqSo@k\\|CqAnADf@r@vAc@T^hAOh@t@|Bg@XTxFkCfBKXZRg@dDdCvAIv@fBf@eCzAyBfDa@|D^dAz@~@SJi@b@?j@u@e@eE`AEHo@`@Z^]fFuJr@_KuAwJf@_ExDsDzA_FlAq@|F]kHwIH}AhBiB_@}@x@e@o@u@g@qDeAe@w@sDcCeD{@kCRa@c@N@gDsCi@e@N_Ac@Kn@iCTgCwHc@PS~AqBbBgBfAmAYHcJqAsKcBeAg@mIgC{PlA_DqETu@eAJe@oAsBTcFqB_AcAaG{BaD}AkBsDoBeK`@yPeJ}JtAqEuMs@kGNeC]iAl@oBY_PoDoD{ECiEwBZuDr@i@`AwHVcAXJGgCxAwAJyAt@UVwCfAyB@wFeAqFmAfBuCaDkChByBHcEw@wCN_E_CsA}BGgAwBbAeCjIb@zCQfAuCpF_Bn@?`DqCrG@dBcB|B@~Bt@VmArQUCuKdVmEjGKvAuB`EWvCiClEoDhJuHxK|@lHoCvGwJ|S_BT{i@nkAsAdAaCNcAz@uCa@kEz@sAOqBpB}B]mCzGaC~CeDhAmBxAuCf@cBnAmB[cDFiB~@s@|B}Br@wBjFmAvA_@|BcAl@DbDq@~BAnCtDT`BdCDtDyA|EoAlA\\NmA`@NXm@b@zAFg@x@_@rMpAdP_FnLMzAcEpHuEu@iAkCkAGqGhGc@mAoAGp@yDQUxAyAQs@r@g@E_@c@FFo@a@YmBvCSjCiCxB[dDyAb@h@fBk@dAyA\\Yy@p@mC{DeAaA|@g@`Cy@i@Z_BYk@[p@kATCn@a@IKr@\\^sAl@SjAc@Dx@|Cy@vC^xHM~GaA`@eA`FkBzA_@SgE`EJdIeP~VxAC?Z~@aADbBn@W|Ab@JrEyAbLrBvF|@a@nAgGvHwE~@ICg@~AcDtAB[dCPbBkCAoCtAu@|Aa@~Dv@xC{AWc@bDu@MO^vAn@Hb@g@N~@HCf@pBTa@p@h@fAtAiBFRx@UxA~@rCg@EbB^IFf@s@tAl@O@ZrAq@[TZNFlEz@jDc@rLb@vG`LjILtD`AjCrLUrEaCvFDxCyBDy@i@o@`AiAt@dG|ASbAx@qAvNcB~w@dAxBd@Fo@hCPh@XIEtDhA`Au@D@l@k@RJj@VWd@f@SbDu@XZT_@b@qA\\mCfEiKbJ{DjBkGfFqCCk@l@yFhHkSbb@rDlg@nIrc@fSn]"],"Africa/Juba":["urPoxl@~@Yt@uAA{@wAs@Rm@zDDfF~CrCk@JgAs@y@M}Aj@aATeCm@sDf@gBUcBj@_CVqGQuFXKdBt@|AoAxErEtDh@bCeA~@kB\\wDj@cAq@mA@kChAa@x@oBYsFxAeKdG}Ah@gArAs@dAcD~AiAa@sDbA{AtC}ACe@~DVbAs@Pf@^Sj@jAOb@f@BGd@f@N`@fAvAo@zAGp@sDrAi@B_A|Cs@^m@Ok@hCeCOsBl@QCm@h@GCm@h@I@}AnAwCEeA^?RmCdAVb@yC`@[`@JHy@^AHsBn@CX}AzAe@z@b@Fa@h@G@i@dBF`A}@OeAV}@`AHD_@f@B^{BtA[WiCv@_@BiAr@aAlADLdAv@?@n@`AATh@bAJZdA^DX]~BFj@_@l@gBlAw@f@qDnC\\?{@a@i@TQ`CNpA~B~APaAcAYmAhDiA@cB`AoBi@}@d@iAg@o@dBwAi@k@NQlAXrAUKoDtAa@XaEpAe@AoB`AiBx@GFiA`Du@N_@`BJRaBjBAt@r@jDt@|D]~A{@Jm@zB]xAgDrBk@x@sAtCd@bBaChABfA_COsChBgB|A?LsC~BO`A^rBy@r@H\\aBjBkBD_AwAo@n@{@FiCpCTxBuAg@UIcB`@Qn@T\\gAfAaAIaHlCw@OaDkDkBE}BmAo@OcCsEaBy@kCj@m@xAB^q@SqKz@k@@s@p@FFqBhAg@hBaCY}@{@A]c@^eA[qAsCk@CeAu@u@w@a@cADiA_AkCVw@cArAeAa@i@j@{AQk@rAmD|AeAc@e@t@{@@_AnAr@d@S~FRjAsAYyBjAeBl@[tAn@bA{@BiBt@@`BeAl@wCUo@lC?p@cAtABvAg@Fo@o@oAtAg@SaBrB_C_@gA`Bi@m@}B\\GEa@jEw@pFb@\\cCiAuBf@qAc@QHk@kAEQ]v@k@zBMj@oBbDLaLwFQs@Xe@s@iAg@KFeAmB}BI{FlFuL`ALJ_@kAwBqAkGiAe@}AiCo@InAaCxFoDnD?g@}D~@cAv@@t@gFqBa@mAj@aHsLk@aR_BiJ{C}FdFmHt@wSc]y\\kBuCcSiSQg`BWI}GdGkSAeD}AcCnAsAcAy@Cy@pDuAnBR~Dk@Fg@|CT`C~AxBz@~D}At@gFq@{FvJ}BGcLfGg@YeAf@oBe@w@`@oAW[`A_BN_B]yBx@iCmAcAWwAR[k@mAQw@Xy@dBkBd@i@`Bk@?Sr@^~DwBjB{@DmBlCG\\f@Li@lDoCWs@h@c@GF\\s@DgAhATjAc@lAZf@gA`D{@W_AnAJ`AeATEx@sDBkAjDo@DgB|Co@RKy@aDFs@z@mAHu@tAg@@I~@aCt@cA|DaB~BqAn@}@hCDbEm@v@m@DFv@g@v@\\Le@f@d@^Np@YXl@`@SXl@RAb@m@JJXc@BPJ]?UpAg@NLrA}@xA\\FP~Am@^XzAm@A{ArAgAUaBb@q@qAmA?[mAeBMRgA_B?g@oCiAFw@l@g@aAm@Ka@z@oAHGu@eAHMq@c@?Nl@}@Lo@G@s@{@CV[mAkAl@k@w@g@rAgDu@s@Pk@YaAo@e@Xq@KkAj@OPy@y@i@t@sBdCo@RiC}@aAWsCiBKb@sCe@uDuBkD{BqAcx@dC?hMgMs@kAWuAcBcFq@qGI_Ap@kB?q@dCiIfEsEnGqKlHmG|OcBq@{p@lGwFwAkYoC}AsAa@bb@zLw@zBZ@pg@hNkQx_@?rG}C`R`SnD~HpUdLp\\xXjBtCVf[jAFoN~QoSb`@?tBzKfXvSA?fY\\bAWXZGGv@bC|A_^??|gAfX?pHsC_@xn@l@jFbF`SuChR{@~AeBjA_PzDeD`EyF|C}@jAm@fC{KBXNKl@aAFd@`A_An@Vd@a@PZXa@^Xd@g@@t@x@Od@`@j@Ql@i@HbAd@MzB`@Nc@h@j@^U|@h@L_@r@b@@Mn@a@HZDQp@d@d@a@Ld@XOhAp@`@KzAt@Du@rB\\DPbAb@Gc@jATf@h@@Yp@vBpAf@O\\`@VUj@`@N[Zp@fB_Bx@BT\\SXp@KHn@hA_@XbAdAIP~@jB^PS?|@LQ?Zb@@TbARGSRnAlADhBt@?e@jCw@f@vA~Bk@vC`@z@iAhBd@`CdAp@a@xCf@xAAhBbBxACdClA@jArAYp@GhUpGnCr@[~BFP_A~Dt@vB[~DvDRfC"],"America/Nome":["}luB`|qIdB[~AqA~BDvBaAhCgEpBmJ`DpA|Co@jCqDzAoG`@gHKsGgAiH_CwEJiJe@wGaDsJ}AcBeBm@mDj@sCtDoD~JeAnFg@jNwClA{AbB_B`EiCnD{AxGWzLvApKtDtGrBrA","y~zBnooI|DiAdBuA`E}F|AiFxBiNx@_Ne@}LyAaK_BwEfA_KXkAfD}B|AqDdAwFdAoNrDwAjCmFfAwF`AuMIcHw@sGgCuJoC_EdAqGTkH]}HaAmFyAoEkBeCaBs@oBFsB_CgFmBmB\\gB~A{CjJwBpY_@fVeBlHm@nIwBHuB|AeBnDeAhF_CtW?jO|A~RrBzJs@~IoCfCsB`GkAlMd@nQbAfF~ApDbCfBjE^jEpC","qsnBjqlIfCm@dDFxCsBfC{Gj@eKcAqJqE{JGiHgAqGoCwE{DmAiDfAaC|DwDdNe@hKhBdVnA~FjDjF","iqmBfikIpDkAfDiF|CyJv@kLg@_JeDsJuCwDeD_AgBT}AbAqCxFiA~HW`RRnHpAhGjCxD","uweBp`jIlBsI]yK}FkVq@aHyAwDEuGaAoFsC_GsBwAiCSkB{DKwDbBuIEyFsBiOuGcSO{NgAeIkFgNcE_GaCeLoFiL}CsCaE]f@yGg@gJL_G_Cq\\_BwDoCqCmCeGuBaBgC_@s@iGsBkGkBuDeCiBUoLz@}FJ}Ee@}FwAkE?mCbBl@lBApCcA~A_BjByEj@yFnAiDl@qEQsQeFgTgC{DmDoAqhB@fD~Hz@|EpEpL`LnP~AhFsBxIa@`FRbHpApFlBvCjCjAvCSzEwC`@~@nAfIUxGp@nKfEzTB`JxBtKfDbG~HfElC|JtCdE~DrAnCWbC{@eAzDa@vELbP~BpIThIx@dF|CfI|DbD?hWpD~WvCrGzEjFfEz@zB_@~AiAlBtAb@`BcBzE_BpLaCkFqDmBsDb@qDvDuAhEc@lFP`GbArEvCjEbEv@nBe@~AkAhCoFhBhK|CbJfEdFtBfApA|E|GzLlB~AlCl@pAlBz@rH","yz~BpdiI~@mGXuHMoH{@gHfBeGpCcT~D_QjAuPrCBpCwBpFgLdC_DdB}FbEAzBaAjE{DfC_GvAYfByAzBqEpAqHNwOk@eGoAcFbEgl@J{Hq@_SmEoZV{MYaPxDuItAgFvD{[XuHSqHaAyGoD}L_DcEnBqJkeK?hAfNvIla@tDtJlHzLjInRjCxCjJnFtKFhAV|@`AjItRfEtUNfPnBvj@s@zo@RdJv@|HrBnHbC|CfBZrDgAbABnC|@tBDxA`BnAvM|AfIzBzElCvAxAOvAgArCmHhAeJJ_P`AeKXsA`C}CjB_GzAeJdCk[zPon@dEiVbGcI~BcBrBlD`C`AfCs@xBiDhBcHfC_SbDsk@|EyGlBaAdBoCbBsGx@aKbBkCpAqErGp]{BbQcBgE_C{BiCIwBrAyBjEiBlHwBlTYzO`@t`@dCvb@hFhg@hEh[tLzo@nOrq@vEt]tCrM{B|C_B~Fq@hHEjJd\\?","k{}BpfhIxAYnAaAdCiFrAqITaLg@mJ_BiHeCuDcDu@aDjAcCtEwA`IYbKb@pJxApHtCfF","sqtBlyfIzBg@nDyDtCsAxCoFrEyRj@wJjEwOj@oFHwH`C}F~@sH@kIg@gHuAyF_CqD]kIcBkKsE}H{DoB{BIV{GUmIzB}D|DeAzIoKjGiMnBiKh@{JGuGmA}HsCeFkCsm@hC{C|AmFfDeAdCaEzChBfDS~GyDfHgIhBGfAdJfD~HxC~A~CY`C}BdBsExA}IV{Gt@qBkoI?ZrAcCzNS`Pf@xJjBxJjDbIxAnAxA\\zAQtA}@nBkCtAsD~ApI|BpEsDvMwAjKkAbQEtMlD~ZtD`N|CpHRfNdCbK|CzChDCzC}CpB_HdAA|@zAnAtKnBvElB`B~BRhBfAnCC`H|KlAtLfDxH`ElC|AFzAa@v@VvAnBfD~BfKtAfDGxCqApIaIhC}HvBaD|AuEhDyA|BiDvB}GnAuLvCsD|ApHhB~EvBfC`Cn@oBnFu@rEUzFTvG`B|HrChZnCrHNzR~@vJdD|KnBlB"],"Europe/London":["eooB|jZpCo@fB}BlAaEb@aFMqFwAsGcC_DoBc@oCr@mBhC_AbDg@nG^fHbAxD`BfC","e}oB|rP`BWzAeAzCgGdBgJPcKu@qHsBiFgCsB_GoAkDpAmCdEqAjGQxHh@jGbDzMbChD","akiB`~NZcAPd@vCqELoBzAmAf@gEZTzBY^_BM}Fr@OGi@rA{Aj@}B[c@ZcB_AiAE_Af@TC_Bd@d@Wy@d@wAS[o@dAq@aBb@MR`@L_@Hn@P{@oAe@Mg@Mb@]@Ks@M\\g@mEe@ZWa@wAjCQaAy@Rc@iDWJcBkCNsBdAmCp@IF{@`Bq@b@t@`@cBlAWpAuCc@mAf@sBr@[|@|@t@_@l@n@fAyAi@kAHwCYmAULf@eACgB[w@qADl@}Ai@cA|CwIdI}P_EaJaCkCwBgJcDcGcCsCyCoBiHyB|@aL_E_Ti@wVzFwKpGsIpDaBnFwFpDqBnFyHnEFhCw@tCnBtC^lAtJaAxK\\xIiBhD_AdFo@dMZpMl@tEzAzDhIxGbDt@tDgAvBuBhC}F~EfJxFrEtDbA~Cg@`DwDxAaH@yGaAyF@uHlDoBxA^hAx@n@~DbBxEv@`KdDdID|GbApFlCfEpDdK|BpCrChAxClEdBt@jBDnBi@~AyArBeF~AiNdv@o@vCj@xE~EpArKhDpKdE|E|DrAoBzGUdHr@|GfCvGbDrCzDNlGsBzAmBbAsCh@{IeAuH}CeH}BeCqB}@dCcJJoFk@_HrByDz@mDTcESkFw@qDqCyGoC{C_DaBgAaGcCwD[sFtAwRhB}Er@wEZuGU{EmA}GqBwDiC{A{BgD_DsBiGkA_AmC_AkLnAkEdCqAnB_D|@wDRoEk@uG{BkFf@cHq@aK{@qDsAgC\\aGbByDt@{DEkKcBmJyDmG?yHq@wDqAwC_AcRfD}VCaK_AqEcCqE}@mJwAkGD}H_A_G}B_EmD}@iBuCqD}JyBaJgEgIcCtHsCaAcCCiCbAkBxBwBxIFlLc@KcF{M{A}AgCcAkCcEkBgFiCcC{FiBsBQ}FkDeGiBmEl@sDGmHvCsC~CcCnEmElKuBxHcCvXWdUeHfBgKjHsEJgDlAsNfPgB}B}BaAgCDsBfAmBlCwAzE{CdGaItGqClE_FfQ_B`N{C|EuBx@uEh@_HxF{BNkB~@{CE}BhA_HvAiD_@qCbAcD~FcC|OwD`DeClDuB`GeJjJiCiEqCgAiCVkDrDc@MiBiAqEoHuBsBkFgBqB{BwDeCyFe@eD_GuGmG_F]uHbDkGxJcCjLWbNr@pT}@tWh@|Jy@lE{E~DgDmF}BkKaFuI{FoDwB[{AP}AsDwAaBeBs@mB@sA}EsBaDkDaBwCaDmD{AmBCqA_DeBkBiBk@gCReC[`C{Gn@kJm@aKwBiHcC}C_C}@cCPeCdBq@kJ_CuG}A{AuCaAcB}BqB}@aEsGwBs@eBFiAyCgGgJyAs@yAG{A`@}AtA_Dq@uCdAyEqA{BJkDdDeDrKaAvJd@xLpAlFvCxElC|IvCvN`BvCbCrH~AbB|Bz@pAjEpBvCdB`ApBD~BbJlD~DjCVrCiAfBkCrBmGr@eGBqGg@{FmAoEhB\\hC_@bBiAzA_Cp@rHdBrFfEpDpCXkBtE{@zGBvJdAdIeAtMd@dIfDlPnCjEdD|@`BpHtCvDxCfAnFVjE|BbEa@f@nCUbMlA~IeC`o@zEfoAbArHdKx]~C`PcCfI_@rLx@xKtC`H~AnAbBZbBSfBkArCoGfAcLtOvVfBbBxBp@jK@zPwNjHrAjKbG~BZzBa@xBaB|U_ZrCYlCeCdB}Ej@}JlCkJtWiEjDkD|DsKx@hIlGq@|BlEh@vHfHfREvBx@xArB^b@]TlBbCExAnAdA`CrA[IjE~AxE_AtD`AtALpAHk@l@T`@iBf@GYmAr@qCa@_Ap@Wv@`E`BpBYtHrBhA","wlrB~xKvC}@xC{DvA_G\\sHeAmLNmIw@eIwCyG_BgAgBUoDdAaCdD}AfG_@`IRjFz@~EIhIv@jHnClGbBjA","ahrB`qHdDeAjCiErAoHFqIkAoI_EwIcCkCqCe@{CnAeCpEkAhHGxIn@~FvAlEjEbH"],"America/Belem":["uvCvdjBhDgCx@[|A`@~B_B|BtAvCLhAQlBcBz@b@rDe@d@e@bAf@j@QRsCe@gEhA{BWgD\\kAe@Ql@aA?gAV@Hw@\\R@q@v@EFcAdBmAaAQ`@kAbB_@?s@`A\\~@_AjA@WyBa@DEe@vAWO{@^YAq@`APi@i@Bi@d@e@`APEsAZJ?uAk@^Se@t@y@UYj@{@e@a@u@BZi@bA\\VqAgAm@vAGZf@ZWk@oBh@o@YWPi@d@I\\z@zAoA~@l@`@M}@aFhDs@FnAr@d@jBInA_ApEU`IyLnC{AVkAtE|AdAI~Aj@Z]bAXtAOx@ZtAeA|@IjAmAz@ThAWjAsAzBqAdAFfAkAdCKdEkANcDfA]fBwClAg@t@eBfAM|A`@hAg@dAn@hDeAbBmAi@qDV]rGw@jDf@rAt@Nu@y@{B|AgBfABj@bArCq@rAXMu@d@sAhBq@z@iLnCSb@oAa@m@y@`@YQI_CeBKHe@vASkA{@bAmAs@yEtBXtAnC`Ar@jC\\~CtCbCiBp@_DdDbJFlE^~@`BfAn@pBtAVxCaAhPe@nEs@xHyDlLeElBEbDlAhGe@v@c@VeBpAoApJwEz@qGn@BCcBvATxAlCb@WJ|@fBH\\zAp@kAHX`BNhCoBz@pB|Av@nBtCwBdBs@`BmDTMYuBrB}Dp@a@fAy@Va@jBd@rBnEE|ClAQjArCBrBdA^t@jD|A|GvKxCb@zCYz@l@|Em@bDfBp@GhA`CbEjAlAStCmCvAnBzI\\zD|@h@jAjBhAnCNtEfDxCNvE}@zBR`Gi@v@o@`BaGdBoBzBMzAp@vCiAtACxB_CEaAj@[nBLjA`BbFCvBeAvAoBfHi@z@c@`@yBdAWzA_BzCi@dDeBt@uBiAoCMaCnBo@lBwBdBo@`JdBRlCjAdAx@vKnAzBCr@tAt@vBRjA~C|BdAvFKhD`E|Br@rB}@|AFd@jAlCvA`HN`@|@|@VtJgE`A`@`FwAl@wAjKj@nB_CbCkAx@kCIqDtA}Ab@{AlDw@`FRj@e@HwB`Am@lAeCjI{B|Az@|@Kb@UBaAx@NlBcAtCjDjBZp@~AdC?|ClA`AUhAt@h@fB_@tA?hDoAhCk@bD\\bAxAJ@x@`A^~HstCcDu@}B}AmCY}@}@_Ba@mC\\kEgB}CWq@gAeAUEw@qBsBi@BoBuAkCq@qFaEcByBa@wDeHmE_DkA_AqAaGgAaAq@kAcCyKqCoDUgAo@sCLoBe@oDBs@a@aGfJgGnBaBKwIeHsD{A}Qr@gHaK_B_NwAsAy@mCm@YiEJoD}AqByC}A{@?oB|@aCaAOcBtAgF^u@a@IgB{@yB}Ac@_A|AcABy@w@y@uC_ABuCpBoDBs@i@DgBc@{AoCmAeADaBtCK~Aq@nA}F`DbAfGMdDkAhB]|Dg@VwNgSq@DXa@We@o]}d@l@aFgBgCqHyE_Bu@qAAiCmEaCKGs@{BTcC}@T[}BcCHa@w@k@PWuB_@Qq@e@?F_@m@EFi@q@m@}@BoB_AQTiBg@m@P_@c@Wf@qB{@iAVDi@}@[Gw@eAH?k@i@RDi@]NY]k@\\M_@sAFSmAaA]T]e@MZUk@OQgAWZOa@[PQa@m@DFg@}@MAo@kA`@Tg@m@EQw@w@NN^]FYy@b@[s@@K{@wBBm@i@Y^Ek@k@PGYi@n@c@a@_Br@E{Au@JHw@y@@XmAk@n@}@F^`@Yb@kAAFZy@BFj@u@Ik@gAoA_@GWp@[_ASa@uCs@D]k@g@\\c@YMmCa@b@{DH_B_AKj@h@ZWj@sAiAeABu@a@aA^Oi@h@u@}DgE]f@i@}@}BB_HgBy@j@eBcAu@`@Sv@TnByAT{@[SwBRu@eB_CiBL_B{@yBRuA~@}@gAi@ZkDcBEp@k@?o@z@oAe@k@Py@mBwFmBeBIoOuDkU|pAmBpUygClfCw[r^gh@f\\yWjD{UKmLXgP`EcEzBgDbDeNpTa@hCnHhG`FP|H}@pIfAxD|FhDd@jDzCBx@^ODl@rBB`@bB`Dd@|EdDnLhFtBvAYv@r@z@hBPDz@bA@Th@|Au@hGfC`@BVe@r@xA~MtETr@pBw@p@RLn@|@QtAtABl@j@Of@fAtBZvDjKb@Gr@bAfB\\Q|@^LT|AsBbFp@nFUn@p@dA_AC?a@m@Gg@_AsDbF`ChCSn@ZA|@jAUfFc@XJxASn@e@@Tv@e@FRbAa@R_Ao@O|@][Az@zB`DFbAfADSfBdCHHxAx@x@]~AjDpAWbBqB~@fA|CSfCi@r@gBDx@|A_@VBjBoAj@c@bBSeAyAl@DdBa@p@`@B?v@Kd@y@BKrAqAXOaAg@`@]e@]VC`CWPt@FDp@ZI"],"Asia/Chita":["}z`BklqEzAgB`AS^z@p@}@f@tAjAoAw@wAn@]?sFt@PdA|Af@q@fAL^yAb@`AjAi@fAfAnAY^i@c@mBdBIvBiGj@qGz@KvA{AjAKZkCrAI`BmDGsDg@yAVaCOmE^w@e@yDl@gFy@qGt@mH|@wCh@UJsA|@q@\\uBIyFf@uLl@yJx@wEyA_GiB}Bx@{@hA_E^}JSeEcGk\\_BcEdAgHyBkIByOaCyMiAeDmAgKd@mL_@cAVi@U}CcBgDmAqGwLcIuEwOmA]a@eHgDuE{@oGsGuQoAaI`BaGYsJz@uKhBmH`DmC|DaHpAuEnA_Jf@{M}FoSk@eIlBcIbB_MhDwD~HuTlBgLFkKtEcSk@wAXDf@eAmDq@BaBw@kANyD_AiAq@FVuBm@IAu@e@]QPIk@g@AOqBy@k@Pi@[kBWP[o@k@b@EeESPAo@}@VQgAi@Q@aAM\\Ec@g@KJqAm@IR}@a@SP}Cm@_CP}@aAsE\\sAMwEaA_A[y@RUg@e@}AMZ{A}@}@Gu@aB[iAiBi@tAmA{@s@n@Ew@e@@e@gAGx@K]u@b@\\hBi@p@l@j@i@hA^dA]YBnAe@e@QbBcAsAX}A}@SOw@YTOo@e@BYx@Q{@w@A[c@S`@W}@y@\\i@iBa@ATo@_AeAc@XEgB}BcCc@MSV]y@uAv@i@Oq@VoB}CqAg@i@qAY?g@_CZOk@Bm@w@WXe@}Ao@VOg@{@UUl@Oy@qAv@Wc@TwA{@p@_@}@g@`@a@mCqAEm@{Bw@jAU}BeAEe@u@u@f@m@E}AcCcA`@}Aq@a@uAy@\\AmDkCaEAm@cAk@E}Au@uAc@Hg@wC}@?HcCcA]YeE{@Gs@uAaA]k@`AqAoAAu@]T_@s@{@Lq@s@qApAcBYGpAw@b@q@zBsA`@Oy@w@?mAqAiALq@m@m@b@s@wAmBvIaB|Dx@fCMxExA`EQtFWh@kAZmCeAiCdAOuBy@eBHsAcAkAe@_C}@OOcBkA[g@iBwA}@qAeDkAeAm@aD{@[UkA{@D_CgHu@f@u@{BJaIc@gBz@cAGqEg@oCo@w@@mFoEqYJkKWuA]r@g@Om@j@aCbEc@m@wA`Ba@c@a@TiBc@k@XGv@k@W_@b@a@O]Vu@o@i@^wBhC}AZUjAz@bA_C~Bi@lBo@YUt@iA^qAw@OwCcAaBOlAy@JSh@uBcAeAvAk@Oe@lB}AcAuAwF|@wCx@PPwBw@gDGiEiAe@eAZmAhEw@Fi@`EuBSm@\\CdAsBaBu@AWfAuBIpArFBrBjAx@@dAYGm@v@cAo@gAEyByFsAkBs@MKmB}@gBgBh@kAUy@fAqBcCAy@o@s@GrBu@`A[[_Ab@cAyAmBPK\\wBmAYb@wBQQxAs@@oArAkADPpBk@lCd@n@L`CjBjAlArCOpD|@NGlBy@hABnAiDe@yAvAyBGk@j@wCyAiC`EwBo@iEdCv@fDFtCcAlBr@|@YrC^pBhA`BRpFfAl@SvAZ~@EdDtACXnCO`CiAQa@|ExB|CNpA{AEk@lAm@sAcAS]d@a@]iDbE}AGIcD{AqBQ_C\\gBu@q@SoIUo@WNIkAk@Dy@bHm@t@o@w@CdCiApDc@HQaA_@R_@{@a@`ACf@d@Rs@fDLd@g@v@L|G_A~@q@S]tDc@BYbAqAY}AmC[`@DdDiAF@~Cq@rAk@Ai@qAy@Mu@cFa@e@a@HKo@gAdBmBn@GbFwA|Ce@Km@h@sBcAsAkDwBpDk@Za@YSj@QWoBlBaAjEgBhAu@g@{@l@kA}AMaA{Bs@G~Bc@h@HtDh@nB`ALlAnAb@??^aBbCcAmAmATk@t@Qu@uB@OzEuAd@_@oAy@Gg@k@y@`@g@_@aATSq@cAGQXGs@oCcBgBpA[_@y@Le@oA_@fAmBv@q@bDr@jEArGhAfCZ`CgAnDc@PHfE{@@}@nD}@lAeA^At@sAfBCjGbAlA[v@}@VWlAXdGu@tAj@`AYpFr@HPdBf@Iv@vE~@bBn@a@B}A`@UVVNcA^XJg@tAs@nA`@{@~F|@lA^YFf@b@y@t@hArBUDv@~@[xAREuAZKd@n@PlBV]p@j@YhCf@|AEzEdAvAv@o@DiBj@GDq@j@?Tn@x@e@`@dAR]|@f@WoAt@mC?mDhAn@lA}@A~Bn@l@Te@vAOZqBZH^a@P`@|@a@L\\r@Qh@w@g@wC`AAnAbAz@aAYaEw@{@wARS_@~@_BFiHp@ERh@f@WlBfBXhDx@vBx@wAh@Hv@yBhAd@Nm@jC`Bd@dDlAy@zALClAm@|@d@lAlAPQfBkAj@O|@wAGy@z@l@d@Dr@VC`AfE`Ar@f@SJnA^FMxELZXaA`@RY`B~B~LuA`Bl@`B_@zFy@ZWlDoBdErAtDU`Bh@~BMhAkB|BRhAuCdHa@lEr@j@t@vDd@DXz@fBEhBw@d@v@fAEn@bAhAfGZQfAf@Z]b@wDFiIdBTj@W`CoFx@`@s@bC`@tAlCa@Vj@t@FtF{Dp@cCd@RJ`CxAaAt@lAz@aAlADzB}FjBz@^nAnBJjASl@q@`@n@vATn@{CdB~@r@sAlAtArAChBiDhAtBbBoCs@iEjAs@iA_PjAc@Ly@`@ED_Bf@z@h@e@f@Vr@o@dBoF~@{@H_Bx@cBScAjBcBZJf@sAr@Fj@z@BsBh@j@^_Bv@z@rA[RkAlAK^t@X{@t@nC`AHLg@j@YRPIfA~@`@PhCdAe@Z`@N_Ad@Rj@zCdA}@r@xC[|@XzAWbBx@Tj@m@L\\Ax@u@TTzAs@|@MjBj@x@i@jBf@j@KdB[EE`@`A|BE`Et@nAa@nAVxDn@|AMnAd@rAR|Ez@f@^zDnA]d@ThAtDBpBbA~@JdB|@|@F|B`AGtAr@xAhGpAYDfAdAPf@nEn@\\?rEn@^TbI~@?v@|AtAd@MxAZdAa@zATn@jAT`@xAXtBSt@`@t@k@bAn@|AV|Fh@lA^aApAPAjAc@Cd@b@Qj@z@ZOjB^r@t@p@d@eD|Aq@t@XXbAbAZ^s@^h@jB_B^oCZPPm@nAhARi@n@GZ{@WqCvA?d@aBMsBX}A~@Cb@^TzAxA?[q@d@gAi@s@CgA|@m@JgDb@h@H~AbCK^vAdB`AdAV|AgAFfA`D`D^EdA~Bb@DGpBlAxBWfBdAxBOxAdA`ASv@bA~@l@hCv@@hB`BoA`Bb@lB`@|Sb@R?z@~@d@`AfDMv@`BzBm@tAr@nC?fCy@pBZr@a@xAVxBp@~@nCF|A~FuAxCPbC]zAc@IeAj@XfAPIElCvCdCVpCbABj@zAj@OPxB^FL`AXOH|@lCpANv@ZSd@fEx@d@Z`DtAfBMfFh@hBb@L^~CSrBpAjGf@]jA^X~CrAnBFfAp@JPu@h@S|@l@JpCnAb@AxAx@NXlJg@r@CnCs@dAkAGR|@s@jCNvE_@jAVhAo@zBNrCx@n@bAfFjAvAVbCjBnE`@lKn@VNp@\\@^gA\\p@iAzAM|@`ArDeCvE}@KmB~BtAZEp@fAdBTjBw@bCj@bCeCpEXlB`BU`Ad@FfFb@n@vD^^~Bv@j@h@SOoAz@qAz@wDpBIdCxEQ~E|BVDp@zANpAfA`Aa@hBTIfBpB|FCt@h@g@XVrDaF_@qB|AeEGkCd@_@PuBrBmBP}CWqBx@]Vt@bALVhAg@fDl@~B[hAvAr@DvAl@n@c@fGl@lAn@TRYXlAhA^aA~BE|Ad@fAfAHj@nATHVk@hAxBGlAl@rAf@NVlB"],"Africa/Mogadishu":["snDy`oAvbFGxn@kb@|B?xG}HeYmPib@s\\}DsBcCuCkKgHkCy@gz@ow@sKgMyIuMsQsR{MoRcNoVmDuKuVkg@iFaIqLoKkBsCcDyB}QkTab@q^iPkP{b@s^iZsN{c@kZeZcPaUkIaL}@gP{EaNaHw\\mS}QkHeEg@mCNcDaD_CkE{DqDeJwCoI}FwSqEkJ{JyCqAyD[sA_BiIyEeGkAwFdAqKcAaJiByFPeF]UyA|@_Cb@cGMuDuBuD}DuBeE}@uEf@gCvAeBtBq@~BMbDuB\\_LVeGmB{BSyDl@}CbCaG_AiDsCcEcBqKkAiD`@iB`AcCfEqAjMwEhOGjFrAlD`@`EnBzDhDzCnGfB`D|HzBrHCxF|A`Eg@lEdAzIz@lCdDtDA`DlAvDfBzMaDvN`@nK|AjKbGnLTdDG`K^pDeCdFC|KkAxB[hEd@bC~AdCtBrAtCb@jCbCfCbHhDvEtCnGhAfHiBdC}@jCOlD`@pFwDdLMpEt@lDbJdQC~Cf@rCfF|FlA|ExCbGOnFbAhIi@|J{N|SkE|EyFzEeMhGgEI{KdC_D|DUnFpD`Dzf@zVjOfKrC|AjCRxTmHbJiI|GyBj@uAYi@nBuExMqAF_AbBkCnG_CbAgBp@}FpUuUb}@uyDBy|@lZpYbJtL|t@tr@`b@jh@lYjZhe@`ZExYo@tW~ApTtEjVpI~RdC~CtDt@lDnB|BlBdBnCLrFpB`Jn@lZtFxGlADbEhDro@ba@pRdS"],"America/Santiago":["x|`Ajj}CnEw@fDmCfBqDd@yEc@oEsB}DaDkBsD[sEx@mC`BgBjDc@jEVdEbBlEhDtC","vjr@b|{C`E}@hCsCjAgDH{EnAgFYeFcAyC_CyByCs@kEf@{CnCmAxDCzEeAtBa@jCPjEvApDlCtB","ny`AttyCfDo@vCkCpAuDP}E{AuKoAaDaDgCwDa@{Cr@uDbDaCvG[rFbA`FxDxEnCdB","letApwqCvJY?oQuEc`@_EkLk@}FrHcv@uAgHZs@bAWGsAgEy@Ee@La@x@@Vq@lBbARaAd@GKeCZeAc@OIqArAyEm@m@kAIKiBoAg@WoClBk@x@cAj@v@d@{BfAjACaDrB[e@eCz@oAfArAHgA`@Qu@c@x@qA@cAi@o@g@^XcCSaBr@cBh@f@p@?jBgATmBwDkBw@aAwA`@OpAmA@Hn@e@|@gBQ}BoBIgAc@AM{Bg@V?m@o@My@xABxCqAF?hByA`@\\zDeAAOh@UiAi@Gu@|@LvAUP}@g@{@b@MkAsBTX}BkAoBl@iAM]}@CkBp@_As@}@z@k@`E_@Iq@~CaBF]bCq@bA}BhAYrAmAt@a@o@cDzAk@aAeA\\Ue@e@R_@pAo@OPeAmAoAYj@s@?iAuAFc@s@EeBsAsAdAyAa@m@zA\\fA[h@qBHEa@aC~A_@]_AVWS{@~@y@]Z}AKwBg@X[s@r@{A@cBl@Cr@}@Q}@s@e@NmA]iBc@K?y@g@k@u@^iAYYbAOOsCpAKo@yEn@WwA{@l@Mi@gB|@[r@u@_@Gl@uAd@Eh@kAx@oAmAR{@uBdAiAo@s@^i@QUx@s@BkAxAa@@aAgAiBl@^aC{EjBU}AaAIc@\\mA}@uChDo@ECyAcCXYU@j@_BzA_BKu@jAkAHoB{DkB_A_AY\\z@iAdAA}@{@_@_@XqD}@YaAt@qBgA}Ao@JSiAkCv@]~@t@dA{Ar@y@zAm@Fi@{@]|@gAy@aAPDj@s@a@hAeFYq@}@MqAj@{BwADq@cAJw@}@iAb@Nd@u@RHdAa@Za@Bc@s@Kb@aAIwA`Ac@e@WRYeAyA~AWk@gBKOUt@iBfA]KiC\\kAkBsAQXg@GJbA{@z@s@a@UwAeAOMc@_A`@Ue@iAVi@qB_A[e@N_@g@aAb@mAUwBnAmB[s@To@k@aCxAgBMoBqECaAkCuBZgByBuD\\o@Wc@XcBMwCyBuAeAj@mC{CsB\\o@p@SvAqCpCuGZ{@TWl@kA[Qi@}@AaB~AYmBm@AwAdCoCLe@fByBM_A`AAtAgAqBgAvAy@[uBlBaBGyB}CeAD[d@cBcAqDjAe@xAs@Ya@j@}BX@aAqA_ASZe@oBaCh@s@uAo@z@c@CGj@kCl@i@pBMgFiAe@IpBw@JiAw@EpAe@`@q@e@ROWi@oGe@Cu@hAg@m@qBu@B?\\{A|@aHk@~@}C}@y@OkAkCIl@gAm@_A`Aw@m@sAn@MCq@mAeAwA`AoAw@k@BSf@{@mAA}@u@ImAwBgANFeBdAiAm@kCaBKQTiAYm@uA_BNc@xA_BqBQpBmAAOmAs@[y@oBq@bCi@@c@k@aB^[p@m@Am@r@cAoA_Dv@IwAeAt@Bf@o@~@c@]e@f@[[i@ZkAcAgAZFdCk@dCaAb@uAa@q@{@FaCaAcEmC_@aBb@]]y@D_@{@iBEyBmBo@DiB}@y@xBm@Ea@}AgAUU_AoC@{CqC_B[Y_B_BoAUy@yFb@kAuBrA{Bu@[a@oDmAUwCvC{AmA}@f@qAaAOb@uA\\Xx@Wj@yA]u@eA{AvAuCHmBoAcAh@}@]cATaA_@{ALo@iA{Ag@gAHUq@}@f@?{@{A_@qB|@_@nATd@SxAw@Xj@?nBjDiAD_@`AkAUKt@i@RaBBe@_@_@p@cAQeAt@m@YKyAa@a@iARm@w@_BUqAdCq@C_AhBmClAyCA{@r@mAi@Mq@qDRaA|@q@hC_Ec@qAvAo@xByBk@{@^qAYu@jAi@Nc@]s@hBe@Q@s@l@o@BqAu@oA}@B]sAg@DsChCB|DsAhDcAQeBh@s@[aARSxAkAKgBvBqD]iAb@s@k@w@VYw@uAGcBd@eAg@aAH[a@uAPeCu@kAoAb@q@bC{@aAqAo@NeC}AAiBi@NCf@cBGoAz@eEuAuANuBsAy@X_Ag@aANuCmAOc@[Ls@c@g@^cAwBu@c@iDhAJ_BtAuAQwEw@g@MuA}@^{By@mAL?eB}@c@s@ZKk@u@Pm@`DZjAq@LSh@oBmBy@^sAu@k@EAX}@i@s@P]g@_@h@s@Ig@f@wCaAmCvBkCQaBp@aBMcA~@mA[{@lBs@@CWq@PyAo@eAsByBZEw@_BaBOoD}CJeAO_A{@gDR}FoCiAfAeBBqDkA]w@s@Hm@e@yBx@qA_B]l@e@KCg@_@CZ{@oA[k@uBcCi@u@y@{@Fm@k@rAaCwAQc@{AeAy@sBKo@kAiAFsA}@FuBo@i@cIeCaC?o@yA_A`@_BOoBwCiARAyAeBd@q@v@a@k@Z{@aAMWsAc@R_Cy@_@yBoAvBsEu@CcAkBy@Zu@Y}AFeAbCeBU_@`@u@yBc@Ia@p@wA[e@}BLhAaA}@g@@u@}@oB?gBgBj@q@q@}@CSu@eFhEiR|LyK}@yE_Jw\\~DiCfCiAGk@s@q@v@oAI]dA{A^cA@Fe@oA_BaBAc@n@k@a@u@d@q@YIs@}BCc@cAq@[Gi@l@y@cAcCy@n@_BRIz@qB@Ud@qAV[M_AnDwBj@a@r@qCo@wBgBq@Ii@^e@Sn@q@g@a@D_@sF_BN}CsD_B_Vsy@s_AwSsJzJfDdWa@nMq@|@SIYrBsD_@o@n@oAm@Yh@IYaALKs@m@Hc@y@o@f@i@YG|@o@^eCCoAd@g@lAiAW]XoBKAm@iC`@s@n@iCa@u@n@w@B[rAqB~BgLSkIlF{QAwKfFgIhFV`DsAdBkAVsB]_DVKk@iBy@cAyB{@vA?z@eAf@BzAeFzHoDDWgCkAYo@~@iAFS^eA[w@TOc@sAVIjCgBWy@sF@sC{FwAcAf@yA[a@lCwAt@_ApA@x@[?m@c@]mB_EeBiIeGo@gAmFrGi@xCq@NmIbJo@`CuF|C{AmAoHdCyBJqAp@[v@k@Q?i@y@RoD_@sBzA}CJo@]gAfAoBSgCbDeAa@Qu@sByAoB~Bo@~DNZ[p@i@?\\^Q`@eCf@kASwBVaCt@yFbGuE?bIjK[bGvBz@jAGb@i@lECbDaBrAH|FxBbHjHLfDbBdESpHpArC?lL~BUxBgArSt@xUaDnIHpIgCvBj@bC@~Bm@nCoB~CHjI_AzI|@pCMjDv@pDShDt@fHMbHb@bC[tBiAvBb@jCIhKiDvDTbDi@fBLzBxAfCf@rIPtCz@rCCvRxBlb@jCdAxEbFpFbCz@bEHnDn@zSh@lD_BxB{DrGxAzLYj[dCjLBzPkDfCZfCQpDcB|CnBpA|BdChBtBr@~BHzJtDfGOvG{CxEtAnFu@rFt@bKRdOlF`F?vBpCxFjCrFTbHY~DmAfDrDjMnDhPzCrFYbF|@vBbBdGnB~ERvA~@pDzEfGzB`ChBbCj@zDYpCaBbDf@~BGtDiBlEnBzF_@~DiC~AqFdB_@pDxCzEVvA`GpEpD~F|AzOlAbMUfKsAvJBzMcBjEkAfDHnEcAvGZtFgAvM`@pKmDfDp@pDQxFbCfGPrFpH`E`BfCEfIiBjEl@nBEtBs@tBeBjAzC`BfBhIhClMnIzC\\jGs@nF~BjL@bMvF~Hb@fFxHvEnBjDtCrCn@jBdCfBfAbGbAnEqA`GpGrBnAbIxAbJDzDzAbD|C~@~CbBrB~ElB|C~BnCn@BjHhCpFrCvAxFf@dCzB~C`AnF~@nCDvB_@dBgAtClAjELbGmAdH}EnFyB~BYnBtAmAhCo@pDAnDj@hDjA|BbBxAxBp@rB@nH}AtEuEx@kCTaDeAkH`Fw@vW}JnHgBrBBnJjB|D~DhF~@lEfK~FxDbCLhCm@`Bz@bGhAzIv@bD]`DxBzM`C`BdAvCn@jL{@tHkCpCVxThLn\\zG|y@`MpOzUlF`C"],"America/Santarem":["b@b`rBpAUd@m@dDAfAb@fC_@xCP~DiH`AVrCw@d@h@xAGNVdA{@t@?jAwAB{@|D{CIW~@aAOk@t@?ZaBbBVpBsA~Ad@rAaCdAIRm@x@][cCjEgEyAiAo@JC}@oBeACqAdAOz@uAl@Rz@c@L\\lEr@r@{@`@HLi@h@H@{Ap@CPmD`Bu@Am@n@LKgChCMj@u@[g@NkAa@c@NYh@Hx@qCr@H[i@hAaA[_At@K_@{@h@c@t@LQk@j@e@k@M?[b@u@q@Y\\u@s@K|@w@a@s@n@E_@cA`BECiAr@UW}@|@o@t@V~CyAUoAhBgA^mBvA}AE}EtAc@`D~Ap@AXeBbAkAEkCeASDs@mA}A|@{A_@_Ar@gBoAe@JiByAs@YuA}@u@{@aGy@IbBNtFrDbBlClB~FfDx@|BxA`A}BtyFbsBhBdCv@TtBlDvDbBbCJjGsAzBeBl@eBvDqBJu@~AuAfDgAhEC|AmCvBiB`FuCjFaAb@qArGq@xDmAjCE`DkBtAgBnBKj@cBhA{@fElAtBSfAj@xBuAn@Zt@y@rB^^w@`BFrC_AbAl@XuBa@w@nA_CEkA|@YnALj@s@T_Dt@YIeB`@kB~CgC^eAxCmBjDj@bBaC]w@|@mHrCmAbDa@mAsDrRg|FaA_@Ay@yAK]cAj@cDnAiC?iD^uAi@gBiAu@aAT}CmAeC?q@_BkB[gCgD{B~@y@OC`Ac@T}@JuA{@yDn@_BhAcAHcA|BaAl@IvBk@d@aFSuD|@[tAuA|AHpDy@jCcCjAoB~BkKk@m@vAaFvAaAa@uJfE}@Wa@}@aHOmCwAe@kA}AGsB|@}Bs@iDaEwFJ}BeAkA_DwBSuAu@Bs@oA{By@wKkAeASmCaJeBeBn@mBvBoBn@L`ChAnCu@tBeDdB{Ch@{A~AeAVa@xB{@b@gHh@wAnBwBdAcFBkAaBoBMk@ZD`AyB~BuABwChA{Aq@{BLeBnBaB`Gw@n@aGh@{BSwE|@yCOuEgDoCOkBiAi@kA{D}@{I]wAoBuClCmARcEkAiAaCq@FcDgB}El@{@m@{CXyCc@}GwKkD}A_@u@sBeAsCCPkA}CmAoEDe@sB`@kBx@W`@gA|Dq@tBsBLXlDUr@aBvBeBoBuC}Aw@{@qBiCnBaBOIYq@jA]{AgBIK}@c@VyAmCwAUBbBo@C{@pGqJvEqAnAWdBw@b@iGd@cDmAmBDmLdEyHxDoEr@iPd@yC`AuAWo@qBaBgA_@_AGmEeDcJq@~CcChB_DuCkC]aAs@uAoCmBYj@xEcAlAjAz@wARId@dBJH~BXPx@a@`@l@c@nAoCR{@hLiBp@e@rALt@sAYsCp@k@cAgAC}AfBx@zBOt@sAu@kDg@sGv@W\\h@pDcBlAiDdAeAo@iAf@}Aa@gALu@dBmAf@gBvCgA\\ObDeEjAeCJgAjAeAG{BpAkArAiAV{@UkAlA}@HuAdAy@[uANcAY[\\_Bk@eAHuE}AWjAoCzAaIxLqEToA~@kBHs@e@GoAiDr@|@`Fa@L_Am@{AnA]{@e@HQh@XVi@n@j@nB[V[g@wAFfAl@WpAcA][h@t@Cd@`@k@z@TXu@x@Rd@j@_@?tA[KDrAaAQe@d@Ch@h@h@aAQ@p@_@XNz@wAVDd@`@EVxBkAA_A~@aA]?r@cB^a@jA`APeBlAGbAw@DAp@]SIv@WA?fAm@`Ad@P]jAVfDiAzBd@fESrCk@PcAg@e@d@sDd@{@c@mBbBiAPwCM}BuA_C~A}Aa@y@ZqCdCoBS[|AeErAMbB`CdEsAf@PbBnBzBWhDlAfAv@Sz@lAi@vAGlCd@lC[Fh@pBIbCl@VUhAyAf@KfCkCpDBzAn@l@\\_@hAbA`Ao@jBhBl@c@Nx@gAl@A^dBFlBxAjA_EZMx@d@`@gB~CgAPkAh@F`@{@bBTFj@dE_AtAfBZtAe@jAA`DcBhBB|Bh@RuBtDZzBaAjBbB`GoApAx@z@QjCpCxCg@@s@zD}@t@JlAh@`@WjA_Ab@Q~@kCl@Cz@lAz@RhBpAx@Wr@cAZYjAf@JE`An@l@PWl@Tb@`C|CHh@Xf@dB|BVDt@VM^d@Bn@_@Hn@fCaBlB\\X[nBDb@rANGvAh@NWp@dAbBY|BVXXm@vBAjCp@k@pBb@NMx@\\|@Uh@cBTW~@p@tAo@r@DlBy@HhAjAj@DT~@xAm@VZZzBMxBvBG|@}AnEjAS`@f@R{@`@Mp@`Af@u@vARdAc@|@L\\fBHjAp@QTj@d@Gh@f@z@_@JDt@mAh@Gf@"],"America/Whitehorse":["aetB~olG?{uZsCjJmCXOdBkAz@KdAmAQg@`A{BdByA\\Mj@s@i@qBOWvLgCKEbAsB~AqBxEg@_@Ev@w@\\CeAqCkFqAvBg@S_@f@y@Y{AxAk@OWnBd@~@EzCi@bDx@Pd@`B`Ce@@dFlAnCw@dAGbEfA|A@rAr@PNvACbF}@pEk@v@fAbEOxBs@Ge@nC{BrAzBlGhBv@a@lEg@^s@w@Mz@V|GpAaB`ArAQ|Bh@bByApHxAfE[vEh@~Eo@p@y@u@[v@c@?]lBk@}@s@j@sAk@yChBq@s@YlD`A^HtBy@Ui@x@Wm@s@rAs@WaAuEa@h@}@mAOhBcCXoAiFc@MkEnBeBdDgEhMaBxMiCfImCNoEbP}Ag@oBlAJlCkBpCoAa@{@~Cs@tHtAbIiAzCLVRWZ~@k@bBTt@f@DFfBbBPo@z@XfBy@{@cAfCn@zA}@tBj@pGM`BcAxAEdB[Ei@_Cs@[a@pBUKy@hBuAMId@IgA_Bk@@qAu@`E}@{AOh@_@i@YsDU^YY{A|IeBjCTfG_@GOcAeAgAMxAe@NSg@q@tA[vBw@f@]SG^QYyAhCc@OGvAsA|Am@g@HmB}@|@eB{C_@`@}@s@m@gBiAt@^~CMzC_@HK|@Rl@S^gAaAQvBo@z@o@[_@v@X|A}@dB]SWb@GpHm@yAYh@e@QUaCg@]B{A^_@i@{Cm@Lc@aByAzAa@eAq@L`@_DQk@kClE_ACYlC{@oAKXG~Ga@M_AdB_@W[RjAbHaBjCy@cAXuCU{@m@RBkDONcAcAc@vA]a@_@ZUs@k@tFd@b@VQj@rDcAfAAhBc@o@k@bCYCc@jBJnBWtA]Hi@bGe@l@Mi@uAq@DfGM\\_BGUpCSLOi@Q|@o@uD_@f@SuBYzDYVOi@m@NgAzC?nBa@{@Wt@i@wA{@rCc@o@QhAgAz@{AdNZ~Bz@}@HbA\\[@nD`@G?`SOf@}B}BiAiFu@r@]w@_@vEf@l@Cn@c@t@WaA]nC[Cs@dCeDrBY~FiAbCeBrJ^`@_@jDl@pAoBzCo@iCi@YKcCk@OCq@y@nBw@PsCaJe@IM\\S[c@d@DvIkAnAiAeBy@x@z@xJs@rBi@_Dm@rCK{Dc@Nw@kBCkDuAGwAiAq@aEuA}CaAaA]NmAgBw@IKcAoB_Co@`Bw@Ri@zCYs@u@ZEbAuAtAaChKSYg@Zs@eAwB_LS`Ai@k@I|Dp@vCOtAa@a@aAp@HdEfA~EfA`Bp@Nn@xBIxCo@fAy@oBm@i@]d@Ow@iAnCf@vCQvC^f@ZpEl@i@YrFN\\|@w@\\bDo@dDFlFWX_Ai@Ml@i@gD{@rBHjDe@e@Y^g@}AWDgAgEyASg@vAq@k@cBrCBvHs@zAa@u@e@BUcBqAj@aAyAg@^ScBm@Oa@f@aBmHuBxGOnCq@n@UxBg@Fm@hGc@sATmE]iAIXSUSwB]j@e@w@GhASRa@c@Wj@MWk@jCsAn@WdHc@r@[GSdA}@wA_@}M?fqCkAb@c@|@[LU[u@v@qAoAQjAo@RSiBuAuBy@Q[v@MaBm@WWrAqApAQcA_AnDmBsAaAh@Q{@cAhBYe@cAGe@dAe@Me@dBO`H_@h@eA]Yb@aiA?y^vGyCfwA"],"America/Argentina/Salta":["pqnA|pkCnA{AhAZdAs@l@cBXTbCYBxAn@DtCiDlA|@b@]`AHT|AzEkB_@`ChBm@`AfAh@EdAwAn@?V{@h@Pr@_@hAn@tBeASz@nAlAjAy@Di@tAe@Fm@t@^Zs@fB}@Lh@z@m@b@xAhCk@hACDl@pAa@?wjOsi@g_@{CkPsEpHcH`B_IhHcEhMNjEk@j@\\jBe@AJb@wcJLXfkBp|@AAteExI??{AtvA?}@tJsDhCW|JiBp@k@vAbAfEu@fAHtC[`BeBn@uBW}@r@{AtEA`B_A~At@`GW~@ZhEoChJaAvA{Ch@sCD}@u@[Ls@tDeAn@a@~A_ACa@n@o@Dw@nABp@y@R}DhEuAZsC`C}@M_Ez@IrAd@hAa@|AuAh@qBAy@n@oCF]_@mB^xAt@PU`BJ`@t@JtAeAhAUtAZVv@WnAvBn@@FdAz@lARg@j@CnAv@vAaAlAdABp@o@Ll@rAaAv@l@~@m@fAjCHNjA|@x@y@`DzGf@zA}@?]t@Cl@pBiAf@Bt@nGd@Vh@SNp@d@d@a@DqAhAv@v@KLqBdAd@LfFh@qBjCm@Fk@b@Bn@{@r@tA`Ci@d@nBR[pA~@A`A|BY`@k@r@Xd@yApDkAbBbAZe@dAExB|C`BFtBmBx@ZfAwAfApB@uA~@aAxBLd@gBnCMvAeCl@@XlB`B_B|@@Ph@jAZVm@z@UtG[pCqCRwAn@q@rB]lCzCdAk@xBtALvCYbBVb@]n@xBtD[fBjCtBB`AnBpEfBL`CyAn@j@r@UlBZvBoAlAT`Ac@^f@d@O~@Zh@pBhAWTd@~@a@Lb@dANTvAr@`@z@{@KcAf@FPYjBrA]jAJhCgA\\u@hBNTfBJVj@xA_BXdAVSb@d@vAaA`AHJc@b@r@`@C`@[IeAt@SOe@hAc@v@|@bAKEp@zBvApAk@|@LXp@iAdFr@`@Ek@`AQfAx@\\}@h@z@l@Gx@{AzAs@u@eA\\_AjCw@RhAn@KfA|Au@pBX`ApD|@^Yz@^@|@hAeA]{@~@XjB~@nBzD","xlo@n|dC`@s@vBk@~@oDZLpAWTe@pBAH{@~ASx@o@bAbCm@x@Fh@p@Zb@bAhCeg@Dq|@rB_S|BpAT}B~Bc@t@`@rC@~AdAdAONtAdDrAYpHb@xA`Bt@z@s@hDQ~BV~@OjC{BdA}CIqAx@?jByCrD_@l@wB^dB~Be@T}ChB}CwJsD_DyBc@eATkA`EmDbF_UoAF_@_@c@`@mAi@}@LwDk@K_BVs@gAcCFeDb@qAeByBn@aCrDk@rBwMpB?ScCz@m@_A{CgAu@]oBf@_Gg@oAI}FsEeDcDOsSoGPmC`@Ar@uI_Da@VwTn@yD@uDkqA{eAuwBEOr@^Lg@`@Db@}@ZE~@wA\\@hCa@Kw@h@KnAm@ZD|@{BIPv@mAp@SfAcBvAXn@yBp@iAa@s@`@sAE?jt@nBd@wAHD`@]D?zLbC|@h@GIj@v@JCZr@M~BnAzA?Ix@lC`AjBj@tAC@l@zBp@j@hAfB^\\r@`CEt@r@^m@Pd@dAT|@ORf@^e@~@j@fA?Hf@`AC@|@c@FKa@yAf@cC@g@tBMWs@FOh@i@Cc@t@Ia@gBJe@g@q@BsBlCWO_A`@H`Ay@WsAjB}AEkAu@wAxBgAd@e@`CNjBoCzFAzBmAhCDbKvBLp@r@xEf@pAYd@fA~FtAfBpAdDFzA}CbDbAdAGp@w@rGk@|@cAAe@nASFmBxAeCtDHb@u@~Bt@H_AvB{@@yAa@c@rAiA~Ac@~B\\l@mAjAGVwCwAqE`Ay@dAqFb@Bz@oApAa@Bg@VLb@a@]{A_A?c@g@]PaAs@Fc@]JBiKpe@IvCn@PYrJtFf@`Aq@nEpAZj@zApAb@BhAhCl@fAlDQt@y@LyAxA}BhFjBrAxBBb@nAkAnHcAj@iCvDRhA`@A^nDUfA{@JUbCVR}@x@DfAh@JGbAcAvBgAj@GdAiCr@mBWeCjByCGiA~@UKKnAgB~CF|CoAGXdBkFx@_UeABf@{CtEe@jCl@CvBxB`D`Ag@fA`Eb@lAjAlBPtCo@Ch@ZLfBw@vDVDs@|B|@pAOx@^T^Sn@vADh@pB\\Q\\Z_@j@TlAg@X]tDaDxDFnBq@nAaEvARvBcEnB_KnLfTxE~Ury@rD~AO|CrF~AE^f@`@m@t@~BEvBfB"],"Indian/Antananarivo":["lcj@o|rA~VkCnXsEn`@aPb|@qA`k@}VlQcN|Vw|@Lk\\}X{mAeKqX_CqCcPsGmF_@gFgB{IuAsKcDmE_CaPoFgSwB}GyBkZgF{XgCw}@mW_N{BaMmDiRcCmQaEe]sLiFC{JuAgPiFeGk@ca@mLqM{EuIkAmDqBuHsAkEd@{IqBq_As_@sEEwTnFsGuMqBqB}MoFmV}F{O[ewBh[ob@vIgx@bf@kBrB}@zD`@bElTve@~AnBlB~@xBXzX[vq@fq@zy@`Ofx@~_Ath@dzBlGn]`A|BnBbBhCr@thAtKlt@`@zLqBtB}@~ScWfGJxj@uGzc@pL`UrUhy@|]"],"Europe/Madrid":["kasAluQbHEjCi@vS}KxSaIrJmA~BGrA`@P{PiCeFkAi@_AqCyAs@KsDo@m@K}Ji@]aBkFpDa@a@}BdAeAz@BbAxChCjBnAa@E}@tBGRmCi@_DoAs@QeCaB]Di@~BL\\e@k@_A[Fu@_Ht@}AAgChBp@YsDu@e@FcBdAs@l@@{AyBVSCqAiAkFmAo@m@^{@Ge@wA`@kBn@[@{Bq@_AHi@n@[HgBKkC}AUPsAnAc@TeBM}Cw@aAv@sAnBp@VoB~FjBb@g@nAAx@_BSuAc@YTiEj@wBzBkD\\OxFfF^Qn@hAn@]?jC^HT_@TjAtAl@Z`B\\QRb@St@hA~A_@h@TLG`BjAtAv@N|AhC|@[dClBNrFr@QhB}B|ASh@oAh@M\\?Jp@tASvAZvDiA|DdB^wAlAKtBlBvA_@vAiBfAXv@dCfALJdDh@\\B~@`B~@P[dBEXoChEyC`Al@jAC`@j@hBGxBfDjASjEjA`@jG[jEr@dDm@~KrCuA`@kAjA}@HmAlAQbAoDvCx@xA_@rBwCp@`@xAMhAuEzBRRmAc@sCx@cB`Ak@\\P^a@hFhEv@e@ZJTx@jAv@B`ArDbGjDXZw@zElCfALIk@ZA`AhA^oBxG{EDe@pAUbCmBc@e@FiAk@c@DmAe@eAXKrAjAZa@bBfA~CZNxA{@fBZx@p@MVfBSx@l@vBp@[jDdAhBpApB`ExBt@`AGxBxAA\\~ADF^x@WdA{AhCe@R`@d@m@~CBhAg@n@TfDkA|JQLwV|@{Dxh@g]fMqL~CsHIwIx@uLwCoSmDhBaBHMUd@kRcGcJm@oMu@uE_Le_@dAwf@_BmLtB_ZkBui@oAwEyCoEqKuJgM_EqIeMsDiRsA_RqC_KoC}DoBwAaCc@gPGsGeHqI_CmGkNmLeTeBkByB{@uEDiCdAgWjXkSMmg@_b@iUm\\cTiQi@eFaAsC}@cMiEuZyQa]iGqUsJsQiCkCwD}AiY_FaCTwBfAEhZVfAaBvARpCa@h@r@x@E|C|AzBYtAf@vBb@D@d@xAg@c@hEr@jAOfBcAxAc@D{A~Ij@bBBrChB~A\\hCcAdBqCv@JzAmAdC_@bER|Br@PAnBb@d@Qb@r@REzDoA^S`Ao@wB{@^HjAaA}@[b@i@_@iBx@Yr@g@@[fAa@KHnEYn@d@|B}ClD@|De@n@`@bAkAjCcAdHj@bBbAWj@r@Nk@f@v@Dk@x@e@bATa@nCTPFjIaAzBbB~Be@~@m@Fi@fDfB`KSxAm@JElAyCjBTv@{BvFbB`DF~AaA~BfAn@TjAm@CA`Aw@FgBvCJf@c@`Au@QuAx@^rB[bEVdAsArCElBs@lA^|@u@j@g@`CTdAq@zAcBkAn@pCdCPc@lDqA~@sAuBaBWWi@wBCo@bALp@w@`ELz@jARCbAaAj@k@KOvAd@xBcANm@fBk@?Yc@gE?{EnArCvViGh_@XrMi@rYeBhLl@jPbD`^cBd_@yK`|@jClZb@|d@kLzn@XrNt@xEpCvJvG~NhLba@tMbYpHrF","_eeAflE`Dm@`CuBjAuC\\aEa@}DwA{CoCoBsCa@{Ch@aCnBqAvC[hE`@xD|AfD`CdB","a|lAmXbEa@rCmBfB_E\\}Eg@sEgBkDiCaBuEm@wCf@iCtBuAhD]rE`@bEfBhE|BjB","ickAcw@zKmBhPmNlAeCf@aDMwMmAuG_EcEw[wDqD~@{EjE{BnGe@vF~B|OfFjNlCvC","s|qAiyBHEJm@A{@GAUj@WJQMAKSb@PDL\\","qhlAo~BbDe@dCmBd[ef@`BmFD}GiBmGoO_RqSuNcEqAuBM|F_]?gG}@{DqBmCqGcCcCMoJ|CaCrBmErIyAbHGlEzAvPhAvDpCrCzCvA`CVwFdHqAvE?lHlBpPdDpLnG~KpGnOzCbD"],"Africa/Kinshasa":["boJmoVfEwC^iKzB{CRkBuBiJi@{Fa@uAqB{BW}D_BuDN{A|@s@qAyE|AmGiAg@WeBBiDn@}Ac@s@@uJc@sJq@oAr@oA]_CXqBSu@x@SI}@`@So@wAn@g@TyAIyHb@uDu@oEWiNFm{As@iC`AsDzBJPu@^b@j@a@vA^LiAf@r@N{A|@NIu@^C?k@pBuAxAt@f@YlAXvBc@JxA^e@bA`@`@yAf@v@nAs@^\\vAyAzBd@j@w@rD@r@_@Lo@`CE`AqAdBLAmAn@y@vF?Is@t@WNq@zB\\UfA`EmA~@\\z@iAr@ADwAzA}APiArC@Bi@g@Yr@qApAz@r@{AhADxAo@jBiDvBXp@wAfAb@t@_@GcB|ADOg@n@JMy@dAC@q@fAVhA[L{@hBA@e@rA_ACZbA^rA{ATcCaAwE`@qCaAuC^sMqATu@YNcAk@QmAkCT}Bx@w@NaBo@_B?yFeDBG{MlDy@Aqc@cBl@oAAOb@sAo@gBBi@k@iDs@yEtAg@[?sDyAk@m@P{AuBiAx@u@KM`@m@Rk@Ss@f@oCm@wCRaF_CmBZOuYgGtAuDxDcC~@mF|DkBZkAGE[_BV_@a@}CjA]Uk@TM_@wBp@qC]aB}A@u@{B{B]{Aq@KZ_@s@uBeB}BoDcAw@{BsAMaB}AaB@E[aCEgBpAgACBV_AS_EXgCSw@eAq@BYs@qANoBa@]^}CHkBtAcAEuA~@qGt@kA|@mDBu@_@{CLyD}Be@x@yADyCfBaDTCuEtBy@KuAfBiAE_D}CoAEyBwAu@^i@McAuAwD{BeAq@oAeYVgJh@sN[k_@qDkKiF@wBgAeDBaLmCqBhBiDGgCz@iBJ}A~BeCnBsEiGuHoFgEyAaE}DuDhAeBrFDr@kAFkAaAy@gAAkKxB_Ir@_EpAmAe@hAoGd@yJiD_DqCgA^a@SiA|AeDHqBp@cBz@mA~Aw@cAgCRkBjCaGFyC`CoC`@eCeBgDmByAIgAbAaBNgBWoAoB{BYyCyAQgCd@IuAxAsEuEc@a@eAMuI}AJp@{KeJfAwEjBuELUrF\\xAeDz@GjBwBjF_@dEuB~AkCpI_CbDwIzBsBJq@aFoCu@a@cBcDc@K`DoA?kBbBKv@z@`BMrBnBtIcFB@tQkIyH@cRaAHmEbBy@vA_FfCqFvEsFlBkCnC_CjAcHjAsAwAoBzBcCdAcEJcDjA}DGqBfBqBDYn@oBRYb@QOcAnAg@EO^c@Sg@`AeBVu@j@H\\w@TOz@y@^KbAaAhANRc@DLzAkAhBj@f@]h@Rz@w@zAyGw@iAeDk@_@uBz@a@sBsBQaBcCiCh@qBpB[`BiFD|B}PbAw@xBmEk@[No@g@sAgBsANk@y@m@i@`@a@wAu@?R{@wA]~AmDpCoCZ}Ai@}A^sA_@QkHZy@[jEwHUkEkId@iAWkBhAwBfDNp@}BbC~A|@l@KCn@hA@Dd@[PIYsAnB{ArFTf@k@dBgI~HoBB]i@Ls@v@a@{CIgJ}Ea@hAi@Nb@x@q@p@EvAXz@~AbA@z@i@nAcCJc@j@HbAaAbCC`C]f@eFwCw@Bw@bA{Cs@{@u@_DoHgAWPm@m@uGkAu@m@uBwB]a@kBiCeDz@}DhBe@x@oAyDoGgBKBlBu@dCbAn@Er@iBjAf@PNdA{@dB\\jCcAB`@^WjAd@r@UbEv@tCk@pBTt@{@~@e@CMa@iBQk@u@}AbBFt@wAVy@bAd@f@OZ{@JNp@k@jE^lAU|D^tHoAxDyBhCKfBo@rAVhBYrDoA`Bq@pC`@`Ac@hBtB~ESvBy@fAR`D{B~CTbAt@P^p@eBjEsBdA{A`GOtE~@~AUdDh@|FsEdF}Aj@eAe@k@HyAnBeCb@aAbAk@hEmEzCUhCgC~DWzDcBdBqClADv@sAtE\\nCg@dDv@jBQnBtCpD~AhEbChAOvAVdBfHjDl@EbC~C~A`@L~@`ARbAdB|El@~Ar@lBpCPdD]l@bBnB~KiD|Fy@fAVb@bAhA\\jFd@vNw@rCs@lNOnCx@nBpCzMtEtDh@jGhClAv@lB`DpERbDlBtAfB`Cn@hDC~Dj@lD[fEj@|F[nKLdJfEvKxAhFzCdBNjBA|CoAhCOrCf@nD@tAc@nAeBhBy@fENlBt@rDzEzE|AtJnAnEpBpDVxEeBnLx@lDdBv@rB~A~AhNrJzA|D~@|F|CvGxDtEvCfC~EdCjUdIpDrBzEhFrAn@dC~EbDjCpIh@pQ{BbDx@lIv@nFWtEf@rC]~BJ|@_Ab@?xNnFnClB`RlGpA~Ch@xGzA`GzD`CrDXfAr@j@xAMrDbAnBZzB`Ch@pDdCzB~CbH`GhGzBhDnG^bBc@vBmAx@e@fCbB|CgA^aLg@c@v@}CnAc@UJi@s@e@I_AqC}AcDnDi@Fy@g@w@L`@dBh@CF`CtAdA^zBd@\\VzFpEhEe@zD_AGHV[VWSc@j@AvAh@h@?r@`HDl@h@n@S`@v@p@aAr@ALbB`Aq@l@d@_A~@?x@d@a@x@Zh@fAaBpAQz@lBd@\\l@hABPnBfAi@`@HsBrBsBAsAhE}ItHlAj@lB]ZX_@|AnAh@S~AtAtBYv@x@r@[^tCxAj@IB`@r@RKp@rA`AlALRfBUrAtCb@An@fAlBWt@`AlApAMn@{Bhd@HTfR"],"Asia/Kabul":["{oaAkeuB`O_CrCdAhH}CfAyCJoKr@uA`@`@OzAl@~@vB_@n@vArIxJbEdBxE{AhSaDlLqEtPgCtIdC|Aa@|Od@zLsA|Eet@rCmC~DJnAaA`GcAfA\\t@U`AvAr@P~Ci@~{@by@h\\{bBgCsn@JcF_@Ae@iMdB{StAcCg@kBfAkD_AgBw@t@{AiACgBiA_ABeCoAwEVWg@m@MmCY@tBs_@_SeiAsBeC_CmBcE`Hs@{@gGwBoDk@sAL@Ww@FiAq@o@v@mAa@_@~AiCz@eUyEu@w@s@eIgEcFuA?qDmARkAUw@mBiAuAsFGcDr@i@z@dAd@?Ay@n@a@cAiDn@s@r@aE]o@HkDk@qACmB}@_C]iEaBqCHeBk@g@mBNa@dAd@`Fa@FW`Am@QsCpASoCb@g@BkB}E_Hi@}FeBiDi@C_AqAkDsBb@O\\iDb@Rt@q@@iHh@aA?{Bj@i@Ci@kAs@HtF_@dAkC}GnBeCLcCvCe@bAmBlAMx@cC_@]ViAW}@oAi@f@wB_Ai@oAwCeB]Su@m@Lc@s@iBk@O}@yBqC?u@cCz@sCZo@QgCr@oBEoDmAyHrCoCgA_AyEcD{AQi@{A^{@OCh@mA`A}@e@EeAeBu@g@{CUdBSUyFTcDkDRgHi@Ic@wBr@q@VqBQ_By@[KcDaDeB\\q@]eCe@Mk@kBgCgCEcAqAb@k@]Uj@q@HIpAiAVEx@Y\\_@M[bAyFu@]pB}@UgATNlBk@pBLt@gAnAcC\\a@`A{AJw@dBsACg@sAaAZg@[HuCYk@lAoDIyB`AgB\\yLr@qCk@qD@eKm@wCXa@o@_B_@JFk@o@_AJaA{@}@AwAiBHoBuBsAJi@[Yd@sFqBWrBqAOc@b@R`Bu@dAaBf@Q[q@LqA{@SyAwA}@wAv@{@c@UuAgAiAEmAeA]{@_BwBMeAeBgA_Gs@iA}@Ju@iBsBt@}AqBAgAcCmBUAS`BgDpDiGcFqB|BmCs@eAdEo@h@y@M[cAkBSm@pBeAT_@g@Qp@{C|Aa@dB_BM]b@NbBk@HsBlF_Bk@YgAy@BmAgC@w@gA[y@uCgAQqAwCm@CHkBg@Uq@z@{@sBmAo@eADMg@hDkHcAm@sA|@aAUAuEiAe@UeCeAu@DgBsB]Y}EeBl@c@{Am@_@VeBu@iAPqAo@}AD{CaBsBo@{D\\aCc@eA^sGGkAaAq@`@iDu@{@HaB[{@`@iA]gDn@eAi@w@Vy@i@oAX}AU_An@{Bc@Kc@iBTo@c@eCp@uFeAy@X}AZa@h@\\DmAtAmBKiG}CoBj@{Ba@qBaBgB[iCgAUdB_FqBf@_@{A}AjA\\~@gBFs@dAm@}@}@b@[u@w@ISuAXkAm@WKgA|@w@_A{@g@iBpAqB|@]OsCaACaDvB_BrFk@`@x@fBFnCu@XQn@XbA}@x@f@CQv@t@j@eAlBp@|A]vCd@Rf@k@lAlBKrAn@nBO`A\\Df@bBQtAp@`@C|BbBzBWzA`@n@_AlC`@dAcAdAYaA}@KNaBaAiCgECJnGqA|FJhDp@nBc@NCpBvB`E?vB`Ab@Np@jAXbAzGvBlD?bBdAlAxChAhEvCUpAh@`AZdFW|Ap@hEnBhFpBlDh@RfAxDbG|IRpIg@pAqClCcDh@qErCqCJ_B`Au@_@mC?_@c@w@Na@s@eDs@k@f@aAQe@h@e@IAc@yAKu@m@uB~@qCUe@g@eDm@gBb@qAaCeFJ}@hDdCvI{AbANtAqAe@y@Ho@q@o@TIk@gBU_B{@[{@iAX[_@WXaAK[lAcA@K`DaA`CuAj@e@pB_@Dn@~A}Bp@{@tA\\tAdAWT`AoAxA|@x@a@|ChA|@FjBr@ZDe@^?n@`D|BHlAvBtCpA|AAl@rCl@\\h@fBl@B`AbATjAb@HQp@nAOIp@l@`Ao@p@\\\\dDa@|@wDhA?Tc@fBT`@_@pBpA|@GHfBl@O@d@ZSG`AnALNnBo@~De@l@BlA}An@NzDhAx@q@pBj@xFEnCc@v@tCbBjAnBl@JJx@`Bp@vAaA`@^|AuAf@Rr@Ua@eAZSdDfC?~@~A|Ap@bCwDfHiGnG@tGz@fATzFXRf@W?x@~@SxBtJbBvCAbEjCJn@l@JjEnChEDlA}DvFwAD_@dEwEb@{@lCU|EV|@eBbCdBbEdA`HyB`AsAfFsAGyAhB?~As@|BxAbEExHbAjAMz@oApAdBpHAvFgAxBWvCu@TKxAyAvAFfCYKWbAaAvHs@h@[tDhEvBzEBnDnDX~Om@nB\\hAOdCr@jGpEtM|JuAxPdJdKa@rDnBzBnC|A|BbA`GpB~@UbFnArBKd@t@dApEUmA~CfCzPf@lIbBdApArKIbJlAXfBgApBcBR_Bb@QfCvHhCUJo@~@b@d@OrCh@AfDb@OS`@z@jC`D~EAjAbBtAd@nDn@t@y@d@^|@iBhBI|AjHvI}F\\mAp@{A~EyDrDg@~DtAvJs@|JgFvJ_@\\a@[In@aADRjDp@^hCMvClBj@Gj@lAr@Wt@n@jB[b@~@O`Bd@`@xAKPg@xA|@x@{A|@QR^Zg@Lx@\\QCZj@I\\`@f@k@J`@zALbAdAPUFb@x@q@VXf@MJVlBNrCfBbCBl@^E|BnBp@p@~An@zEzAkCnEqA|BgCGtMfAXpD|E"],"Arctic/Longyearbyen":["abyCykQbGgBnAqAjTkd@`B_GnMos@zBkR~@uSPqp@b@gChFDnIqLnMyGvDkAzOk]xFs\\jBsPvHcY|Hc`@rIcXrEcRzCkZNg^mCqa@mHc\\}AuBof@gXgFoEiBcPyBkaApCmZbEuOlEwGbPsKbCiFdBsKbAgOLie@uAwV}Kiw@sFsX{EsQmQqe@gJseA}A{KwBmG_DcBsBz@iBvEoBhNiFbt@qIzr@yAfE}ThbAyHhO]kA_KgvBiKkbBaF__@sMaw@eEq_@oGs[cIsl@qBkHqBwA_CfBuAzCuCzS}Brb@sAlx@mGdG{B`IoMnpA_AtNu@zZBf[jF`lBmOl~Bo@h_@Tz`@~Bxa@bLtf@bP`_BfDtOtDxG`Ahl@bAtwBzAjZdF``@^tb@iBvi@F~c@bCnk@bGrt@`CvLlAlBnAPzNuFvK_MxHkL`Id]pArC","mmpCwcb@zBgAtC}FzFoSbBkMj@uRg@yT{CiVmCoGqDwDeC_AwA\\_BtByDnN_BbOi@dSb@fZdBbV~CvLdBjC","aitCu}m@hBaAzAkDtCsR|@}Xi@gYqA}NaBeIkPwb@sAeBoAYeBx@_BlDmCpQy@zYl@nZ`CdTdJt[pDhI`CvB","q|xCmnp@`AOlAkAzDwIhGcYpBoXTe`@cB_b@iCsT]yHhAqRZcR{@ud@eJgaAaE_m@eDaU{AsDaBy@}@ZmAbBoBvHcBfPw@fSKtVlBp_Cx@rWlCjZ|@naAz@jVvDn[`BtE","kl{Cubz@bBcAbB}EpBgLzAkPxA_]Dm^sFgwBcAqS_BuM}BmI}AoDgDyBiBzAaB~FmFfg@kBpi@Ghb@vBvy@bGdw@`B|LnBvHlC|E"],"Africa/Lusaka":["zs^}}i@X}@pA{@@k@x@TtBcBrDe@J\\z@m@\\t@?y@f@g@VPdBqB@eAdBo@Ee@dBgBr@EAi@tEeERs@f@HhDwElAi@`CoCNRRaA~@YzA}BxASp@cATyBj@WxBgEZV`B}AO]pCs@TuAtAOPuAlCoBGgBbAsExBkAeIcr@b@i@?qBk@yBRaC`AuBGcAz@c@sA_Hh@kBQi@v@Ua@eALeBt@w@IiAf@?]eApAk@IyAlADYk@vAi@Hc@xARa@gAd@GOWVWr@Dr@eA?eAfDqHOwCh@yBu@eADeCy@}Ct@OR{B`BgBAs@zCYj@yBJgBs@{@IsAR{A_Aa@_@f@cBkGbAq@@sAb@k@AyD|AgDHyCx@Ub@y@ZHt@cE}AmAGaC[{@e@CaAaLsF_F}@Py@_@wFeEeNwQyCaCkDKmO{JyBeEcEoLuEkGsHsV_@{D}BuCaBE{B_AuANa@j@kCiAu@h@_BC{B}@sBn@kEcDK}DyAq@_G{Ie@_D}BcFLmCaBgDf@qCkBiJZwEd@kAo@}JbBiBqAyAd@g@PsCeAeCuBfBi@DaCgAmAp@cBKsBj@}ClD_Fl@_BjA_A@e@k@sA`@mAmIqI_YeJ}j@eEgJy@qGiCmGuDuQkAiKyDaM_Kib@BfAmA`@k@jAf@`@^hB~CxAeBpAoBCAlBsAWiB~AkAZy@tBA`@`@Ri@bA_ASu@aCuA~Ae@Im@pA\\j@_AfCsAm@KPXqBm@_@}AuDgBF?eA}AiAqGq@eCyCgBpAyAFiBi@w@TyA{@yCYc@HSxAiA|@k@QgBb@wAoBsCw@uBiC^o@UyAVi@r@I{D}Cc@kB~@}AgAwAuAi@o@cBqAHGu@oA{A_A`@[nBj@hEcE~B{C@Ar@{@t@sCa@gCmAmDUeB`@_Cu@wCf@{FD_@h@X|B{Cq@eAb@o@[eA\\d@uBcC@Mg@_AAcEiC_Do@iDvCiC~@sB[sA|@Nx@]Ju@g@Ts@Sk@}Am@J{@g@}@ReCa@GeA{B_AMBYuC}AFg@qA}@]eAqAs@P|@}ADaAhBiAWk@vBcCp@m@QW`@mEi@Hb@eB~@u@lCkB|AGrAqAhA}FoAc@s@kBTkFvGiFLs@z@^hA_@hAlAAtAh@iB|@PnAaCv@oC}@GhAa@ZLz@uDKHp@m@d@RVo@R`@l@qAtCc@r@kARKzDaAxCNvAk@n@oDhAs@`BThCg@bCv@nB_D~CQtD|@~CyBhBkAJwAi@eBdHRlAz@z@QpBgAr@kAlCy@ZwC]{@Tw@`AJ~A{A|@OzBuAj@x@t@SfAp@`AoAbAQbA~AxBQnCgDfEkOjJh@lMc@v@b@lAg@r@CtArDnl@^lA`@Il@`AsA`C`Dlb@hD`CxDu@jDl@|InF|HlHzEpHrBhFdAv@n@At@y@|AmFpDNLo@l@BLiAnCGIuAn@jA`@}@x@JvCq@f@Xx@c@FaAx@Cj@s@Nh@rGbB`BHf@k@x@A`@\\hEB?`@zBbArCsB`C^hD{@fCb@xAwA~B^Nw@nAURbAhA@DhBvAHzClBfEPl@z@bBEdDfAvAm@jBd@lAQxBhAlCEVr@|BJx@v@|ER~B_Bv@Xr@]d@`@dBgApAd@n@a@Su@jB]Me@bAyBEoA~@a@vAgCImBbCg@~AqBfB}@t@mB`FoDdEgAQaCj@c@e@y@@kDc@{@xBgBMwBxAaEm@mA}@Y]LJdA}Bv@iDi@c@aBaBwA`@EEk@p@a@TaCw@oB}@Go@}@@oAzoACUlAr@bBeAjBP`Ay@r@y@QW`@YyAoBFsAiA@Zw@Kd@bAoAlBvAbD`C|BV|Cv@Re@fApAb@fAdDjAhAyAViAzAnBbFcAl@i@[LdAcLrBe@`CgAQk@l@a@a@QZqBBcCtADx@yBp@cCtCb@vA`Cv@Ab@wAt@{@KuDjDeAGSgBaBk@q@TuBlDkAU_@`B_DvCLrAe@l@Zv@c@RE|@i@ECh@h@r@x@IRr@qDxAJfAa@fBh@dAa@Rw@_@uA~@{@Ce@nFx@Eh@xAj@P[~@JzC_@v@_BJyAdDoFhAIt@iBLyAYq@XcEvF{AzEmAR}B_@oFz@jAzAWlAb@nA[z@j@~@tDw@|@ZTv@dCGRX`@WnAnAhAPh@d@El@~AjABrB_AxAdBbCmAjFb@b@gArC{@h@QbBfBlEqAhF\\n@VvKqAWy@|@Rv@e@t@e@b@sA@l@|B[xE}A`BmA\\DlBn@V`AzCi@d@oBQ_An@?dAaAhBFt@s@p@}A@]p@{@G_@`@Eo@k@]Kn@eGv@ScAg@Ci@n@q@{Ai@j@Ue@iBa@GbBbA~BTvDb@v@HjB]fA\\hE\\\\QrAf@@Tb@JfEXj@ZMBnAhCjBd@dB`ALSfAj@f@BlDoAh@s@lBXb@IfAi@|@eA{CsEcBi@Xu@Mq@p@iB_@gAZwAxCRpB}@tBh@fAsCVa@b@q@Ye@`@c@fBB~Bj@b@z@gAtAKz@XdDUd@h@j@cAlGHdGsBpA~BjD[`GxCjB}@fF}@f@j@tBb@bMDnCg@xB}BpAGn@n@n@aAl@CxAXZ~@`EhDnBWtChAz@S|BbA|CHjB{ABsAnEsC?f_C"],"Pacific/Easter":["lft@pa|EzSe@tU_CbToEnRoGrQuInPwKdPwNxMwO|LmR~JaTnHkTpFmUrDuVjByVf@gX_@aWkAcRwByQiDoRaEkPcHeUyGwPqImP_KiOdFsXvCe[r@oZe@oZ_CcZwEkYmHeX_KwVkOuWcR{ToTwQkW{NcY}JiYqF}ZwBe[LwS`BiShDwRnF_RpH{QbK{OnLyMjM}MpPqKdQiJhS_HlScFhTeDzTeBjUe@tV^pU~@xOtBxQxChP~DzOdFjOjGtNbIzNhJ`NmHb]gDlX}Ad[DfZfBb[vDjXbHrY~JdX`OhXzQzUnT~RxUfOdZtMtZnIr\\rE"],"Asia/Bangkok":["_hc@_c}Dz@CpAqA`EmAb@s@vBF|BkBe@eAiBk@h@yBz@g@bB|@vCeCxC]h@PLs@bD{@h@Jx@xAzA\\vBw@?c@~Au@b@y@v@TzA}@|D_FvAa@VmAf@QCk@fC}BVRnAcAH{@~BCtBoBVkAj@O@{@j@^Ig@v@CP}@j@P?o@dA^We@f@CEk@b@l@x@m@^o@KcCb@q@ZNAq@p@LBq@p@Fl@oATr@ZOI]`@AM]^PDm@ZRl@[c@|@h@MG^h@Nv@mBN|@^G@dAtBj@`@OC}@n@LGi@`BFZuB`B]n@PlDuCtBZXc@dAQVVJYtCQ@w@sBo@c@c@D_Ai@Gg@gAiAYAeBfAiAnAPb@m@tCx@bAdBbBQrAVl@vAi@r@JhA_@vAp@~@jAHRdAd@EBh@cAd@|@r@nBuAlCj@tAWC]~J|BjLiA|DHnAf@eAj@c@jAE`@h@VWh@\\IDjAz@t@t@WL^Ai@z@Ub@`@{@t@{@vC`AKRl@|Aj@SxBfB]rC|@|@U@a@~@i@|Bj@Zo@d@H~@m@r@h@|@y@t@Xb@OnEkC`EaFfAk@zAES{@vHqC`@WOa@bBGhBkEf@I`DcG|B_CVwB|BW\\w@pCk@^kAfAc@@}@lBPn@k@pA?`@aA~@[|EBt@YV\\x@w@~AHb@a@`CKtCD~Af@x@q@L^|A]ZT[tAZbAd@Jp@g@hBJn@|@bD}DjA@p@~@`@i@bCKl@aA|Da@VeBhAI^wAzAoA@eA`Au@z@d@xBE|@n@Vo@pAi@~BVpBu@Vo@lAZhAq@bCl@_@sADoB|ChA`BEn@mBjAATXnCOFk@dAWRuA`An@|BHjA~AzBj@JdA_@l@j@nA~@RbB_@hBz@d@bBnCOpCrDbAYdCxBzAPt@x@`AAr@~AlANz@bCrBp@Pl@o@`AvBr@jB[xAhB[fA|Af@@pAzD|C~BVv@oA`AXz@o@zAj@ZQvChBfJnBfB~A|ALzI~C\\rAw@r@YtAR~AnChC`NtEpDzEv@vGiBnFu@~GzAx@fCpApDVtB]|DgC^z@tEhCfBLdFo@xDzA~@vBdDfCzJr@tHaA~Ag@dBiB`AaEe@wEyDuEqBeAoBUaGrA}@iC}CuCeFg@aExAyC{AAoAzE|@hEi@pCf@`DKvAh@pFNfF{AxIYvCu@|Dz@|IGbCk@hFMxD}BrDjAnFMdCmBjAeCTaCY}BcDqE{Dw@cEsBBw@~CoDhEChDuAhAaBt@_DpDStC{AfA_Bh@mDW{C_AsBdIcFvEMYnAh@vH`ExEdFvAxB@pEcBnBuBr@wAt@_LcAoGaJiBk@yAv@aEsBiMzEiFD}FsBeAcEBJu@uBb@m@]mAP_AaA`Ao@a@yBz@G^cAt@V^S^h@~@}A`A]j@oB[cAJaAhAy@MwAfAmB@w@^Kw@qBmA{@fB]Im@h@gAhDQrAu@r@ZpBc@Oa@q@Cz@u@O{AoAm@fA_BW_BL_BZLxAk@ZpAhAt@dAgCpBt@T[~ALZa@r@x@rARGtBtCZ|@v@hCcBKs@`@CLi@rBqA~AS}AaDu@GU_Ae@SwATcBs@FkCe@GMq@sA_@J}DaAw@}@eCl@cAbAODiAxBB|@{@t@EOm@q@GHi@[]~BkCm@HaAa@C{@}Ac@IaAy@u@{Al@qCu@]o@q@KaBwCcCmAq@ZkBA{M_D}J_Eyo@bCicA~oAseAld@{Hh@cL|DaN|JaSlUiDyDcC_@cKh@eFsBmJFkE}AkCBcB{DsCyBcDWeA}@iCu@aJFqEqEyGaDoFg@mCz@qBEO{a@bB_BnBgEHgE}@{B{A_B{C_Am@cDnB]|ByBhAuBCyEnBeB`AsBXuB[eDyBwD|Bo@tAyAnAsD@_B|EL|HeCdKgF`MkJ|DgIoBeKyNyH_FPqDnC{Cb@kBbAmDTcEbC}Jk@gByBqAj@Ch@o@FGf@s@QFb@{@`AwA^Cb@s@AIv@kAjA@zAy@t@sBJuAgAwCjAs@S}Bj@Y]c@^o@yASfAiCbAQr@wIdC[b@gM]aAz@k@Kc@u@b@oCYqAN}A[gAs@]G{Ag@~AgAp@sAoA_CyGk@P}BuAyCa@mCaD]_B_CTaCmA}A@e@wBo@aA{Ao@e@gCm@a@VYi@]TcBaAaEH_CmAoBr@_Aq@y@m@Ei@{CP_Ah@UQaAYX[_@LcBhBCKm@p@uAQu@XAFk@c@k@`AeANwBg@OI{@R_@UYb@e@MaBcA_AJy@b@MGu@s@]`@_AqAoBjAmBY{An@iD\\C}@iAj@aCiCwCj@c@Ds@gAs@|@YW]R_@_AeBlA_Ag@cAdAsCQs@Vk@b@QvAb@hBsAl@Ht@w@HaA_A_CoEy@VgBw@m@Pw@Yq@_A_@Zi@WyAaAm@Xg@sDgB{@yAk@QeBHUW_An@u@Sa@X}@IGu@k@bAy@Wa@Zo@ODc@g@m@eATG}@}AdAo@MP}@eAqAk@`Bm@Da@p@q@O?rAk@C]dA}@Xe@e@Q^{Ao@}A{Ae@eBwAJ[RN|Cy@v@gAs@YeCk@w@kB[eARkB_AeESsBbAu@zAe@dBh@hAOx@eAb@Yr@oFfB{BeAM_Bi@LkA|KiBfIoDdAiBEqDlD]jAqEzAwCfEuAR_G{@cEr@}Ai@eIx@yHoCkMB{FvDeGvMuIhFeAvC{GbCeFvEoEvAkFnDLvAzAlCkBnAInFyBtDk@dDB`Cq@dB^bEnCbCn@Qd@sA^C|AdG`D`@dBhCpD@fBhATl@cA`CbAdEjAjClAt@n@jCr@Tp@i@^\\oAzDeCo@yARy@vIyBfD_@xBmDfEoBl@]~Ch@jA|Ab@bBfCjCfBD|@_AfBMtA`Ap@rF~@b@tExAn@i@b@`Bn@hAm@LfBhB|@iAP~@dAE~AZ_Ax@h@Qv@lAfANlAZIlAhBzBx@VlBr@OJd@p@DYdB_@^YQEpAyAjA[nB_GqAaAB{@z@k@{@iANWaAsBXwBcEaBIcC{BsBl@qD_AIv@qAh@e@e@a@\\{AcAoA`EyB|@iAmAuAUmA}CeB@WwAaC}AuA`ByCeAm@^]UsANeBaBqABk@a@As@{Ai@uCfEoBVcB]sC`Ag@]k@XEl@_Bd@cAw@qAFDmBcEk@gAvAAhAv@PQx@ZzAqBpDRxB]~CxB`AjDpDq@XyArEPtAjARTb@wA|DcCDc@dAeAFU^cAc@{ArAy@UQm@sBW_@}AkAm@iAFuDgAqGu@Or@~@p@Mh@eBhBw@@q@lA_ElA_BxACrB\\j@hCz@d@fB`AYh@h@e@~BiF`@aAtCgBvAd@lA@`BvEzBY~Ch@VXfAu@lATz@yBtH|@BfAeBxD_@t@qArBp@Gt@fAZz@`Eq@hCCjDg@dA?hB~@lAArA~B`AdASx@j@tAUFh@xDQnA^p@xBDnB_BtBzBzBa@bCpAjDXAAfAVb@~@J{ApBr@tAWtC\\h@SzAl@tCgBf@Cv@{@`@w@`B^bAkA`@Lz@UJPZdDPzCYR`C|@CRZ`@dExALz@aAlElERe@dAHvBwAZ`ASNh@d@fB{BpFNj@fCv@?F`AzBC~@jCbBgA\\iAjBBhCq@j@V~Ak@zEHBjFb@\\Cj@j@KF~AXPO`@lAVg@fB^jAoCpALnAoA@","awj@_ofEz@u@h@DZw@|@d@j@qBxAMB_A|@KBsAhA[D}@bAe@VcBtAKvA{Cl@|@`Ac@jBuErABf@cA`Ca@vB`@zCy@QuCmCyCsD\\i@m@Fc@lFGh@k@uA_En@]p@TVW`AR`CWdD|Cp@JBh@|A`@AeAs@e@?e@jCzA`DAHxAfAvAb@_@UoAv@_B|BPLeAnD{@VcCbI_Dg@gB^yAv@o@lACT_A]i@jBgESeB_As@pCuARwDxAcCfA]KiBUSgBX_@sBmBRi@w@s@L]WHmAwA}AR_Bg@{@TkBYe@eACu@kBx@q@OuBl@gBj@DXc@e@QKq@rAsAp@HbCeEQe@`AiAlB[Vs@e@aAvAiADyAlAPr@v@LxB`Bb@rBjEB`A|AT^mAn@Tn@URuBo@aBg@GQaDmA_@[gAl@GxAmBDfArAbCnFDpAqEDmBnBmDa@aC`AM|@wB|CvC~A\\rAtBlBKb@ZP[`BZd@nCt@LK`A~@jAf@l@f@Qv@r@`AF[bAr@bBI|@qAhAc@|B}@ZX~Bp@v@e@AUb@UdCf@xBQXp@HRh@i@hC|BRbB}A~AFf@e@VVQ`@xAv@hAKQb@v@tCpAn@~@hCb@NBmAnCkD]iC`A_AQSd@_@LgBdAe@Jq@jAH@kCx@o@|@mDnCcBe@gAn@w@Ia@hDeB\\aBbBaB@eAdAs@t@mFc@kB`@q@dAEScD^@NmA^POcDZW^P|AyBdALQ|@l@p@x@Il@p@fENf@[Ae@|@UDcAxB@x@uBpAWAsAf@E{@SBe@|BPnA}AQa@^q@cBcAFeBl@JWYlAWp@LPy@bAIC}@jCSh@}BfFfAvAuCjALbBkBvCi@M}@`B_DzRwP`CoEi@u@{@B?y@|A[PRHs@r@z@Pk@`C{@lBwBr@ZrBkAKi@b@UTuAkA_Aj@_@?y@^H`Ai@BiBg@s@fAqBOu@iBSa@u@eACQa@Z_Ai@e@q@d@yA}DmXkTkk@xf@}e@~[sZjAofAmhAkFkO}OeV_MsLmHs@cCrCaLrA{BrBP`D_ATe@d@@n@iAT{@|@Z^c@t@D~@|AtEHdD[\\x@dASvB_@]uA^Kb@n@|AxAbAIh@_C@}CvBZhAp@^Gr@kDzEcAlEcAM_A_BeA\\_@p@M~@`A|@W|@yAZOvCTv@oA~AHt@t@R`@fAkANo@q@u@TuA_@sAp@m@a@q@dAcA_AsBTOn@_BL[fE{Au@w@r@iADc@u@oADoDy@@i@t@_@UuCqBC}@aAk@FUs@aA\\Wm@YBI_AcAc@]x@RrA_@GkAvBo@DGhAv@^_CdBRfA{@nAB^tAXPvCf@LQpAv@h@c@p@LpAUx@_@N_@]wAv@_AdASnBTt@_@dAN`DdBDGxCL~@j@ZmClAEbAaAn@W|AeAh@NbAg@`A`@p@K|AqBV}@[aA|@SxAy@HgCdB\\l@cA~AsC|AbBnAH|@f@Kz@p@t@Aw@|BtAvBg@~@|AlBf@zB~A\\y@fBlBf@`@bBOn@hFu@h@_A|@Gr@r@f@~BtAd@Nx@t@KHvBy@bBp@BJh@y@@Qj@jIzKsAzAWnBgAZeB_@_@VbA~GpDvC~DPbBp@hBM^dAsBfEyFvE@d@yEvEvDzCrA_@hCbB_CrCg@IeAdAoA[wB`FxClAlBJbAjBFtA`Bt@jAo@|AzDf@^lAQN`BgAvAItBiBnAQM}BbAa@rCc@ByB`E\\bAsA|Ax@jAuAd@cAtBZ`A`Cn@^bB~AcAtA|AFp@l@OPbAzCzAb@r@zA]c@xCFv@","}hf@_~pEhDg@tBuA`BwC^uC[uDiAcCiCmBgDk@iD^oCfB{AxCYvC`@rD`BvCrC~A"],"America/Mexico_City":["kzf@fzmEfFo@lDgBtCmCdEQ~GwCdHkFbE_BxLmMhGyBjFkE|FcLnByGbAoGxBkGjBsC~B}JrHcObAmAbC]rBgA|C}EdI{BxCuDrC}IbD{OLwDnD}M~@wIpEsTbAgLeAaFn@oAtEuD~DoB~CyFhCoBjFiQbBaCfDgBlAqB`UaaA`DsCtGyOr@}FAaGvAkHrA{NbA}CbAmHjJoKrCgJfAgKnBoGxJ}M~@cCn@mHFqI|@eI?uFlDmFjDuK~@mJhBuGRsFw@}DHcI[gCsD{JuCqEoAwHyC_KkAqI}BoEsEmF]iBeAeOtAmU~A{FnE}JtAsJlDcHzJcOzNeQ`u@uv@cKiJ}AGgAaA_AGsGrA_CaBaEZu@k@IsAaBu@}JlHyq@{\\?soAu@_@J~@{@GBo@_@?Wj@Ys@uA~@w@y@Uv@_@SDm@k@b@o@CEw@i@?Uy@k@h@^L_@@Y]Ps@y@~@c@[Nf@i@\\DzBkAKLb@_@b@V\\q@\\XrAi@TX~@u@q@_@RDz@uA@a@i@c@Z^FCl@WY}AFgDjBeBrDk@B?bBu@t@DpAiAVInAi@g@a@TFf@dADm@d@a@tBk@CiBnBo@B[hBiAlAqAT]tAyBCYrBl@p@}@Jc@~BmAh@Ei[mk@@AfGYKK^n@DIb@WK?pCoDxEAtBiBjF[Vo@AAY]Np@n@WzA^O|AlAbHZfAWNf@|@JeDpFb@BcAtASzBy@`AGdCu@TeA~Bg@CVrAQx@wBbBuADW]_CbAASmJDDjGc@V|@~@k@Tk@~AwC\\qBlAqMvAhAvFGlCb@fClBvCpC`BfAxD_@zTPdHzMnk@|A~LyGbF{FdCyDfE{@tDIbEsBpBgE|I[xHFbPmCrHw@fA_DWsCd@gBfAoAhBqDzA_CzD_@lFuCFyFrBiHn@wJfDgDhD}BbAoJzHc[tYcIlBiSzIgCg@cAaEoCiCgDq@aDXuFdE_BvEsHhJ}JpGcFnAoE@jBrLj@nA|@Z_AlCmBnAEtAa@AP]m@[m@f@FdDm@XDf@w@Ly@rC{ANChBp@p@g@ZCz@zCBB`Ac@Db@`AeA@n@f@[n@e@@h@t@a@JAjAz@pAQdGrA|CT`CW~@XhAa@dAi@Lk@~FB`J{LxDJtAqAXJnB{ChAC`CtFcBNpAw@r@oApFh@rA?pDc@dAiBIe@lACtCr@`Cq@nCWNyBqC{D\\@bCuB@Lk@wAN^q@sAQs@gB}@rBq@?I|AuCB}@[c@vFqBk@EnC`Bv@GfCvCSMqA`AP}@fHwIm@mBvBuEm@`@eAoBXAf@aC]m@u@qAENd@}A~@}B?e@|@k@GCp@{ASy@LE\\mHkA_B\\@e@k@EcA~DGg@{AOC~AuFaAgBDuDvE~@|@_ErB?~Aw@jBpApB_BpF_A~AgFjBgA`AkA|Fp@vBdBvBk@~HsAd@T_A{AOq@lBh@x@gAnD{GvCuEzZPnIfF_@eC|LtBqAx@Z?z@fA?pAuE~JkBrP_AFnA^ZEpChAxDEpBy@~@h@tAwCvB~@Ny@dCp@`@cAtBvA~@YVbATaAfCb@pB{@z@b@z@CnGbEx@\\fAz@l@BxBvDQvC|BNZmAn@bEvGx@XIz@n@HGn@rAaA?i@rDdAdCiAlBzAfBi@h@RDcCzAN`@b@s@jATv@hAHSp@j@a@Q|@~@FxDxG`FxApIb@jBtAbHBrBi@d@oA|DCF_@lA]PjEi@lAr@T^bAtDn@Ri@ZZfAk@`B`C~B{@nCpB\\Ez@_Cx@Xv@]jBxAdAVRQ`EpAnDYlAT@wAw@aAfA_Bc@iBj@e@lCt@n@]E[f@p@pAeAf@_ANcBYw@p@cGZKX^t@{@WKz@OjBrAp@k@DTbA?Ns@j@U?s@t@F~@gAIcBpCiB\\tAj@DZs@hANnBlC`AAAtAj@fAGf@_AXv@Mi@`Bx@vA~@TSr@b@\\c@`@^p@GvD^^rBOvD~@r@g@P\\l@IR_Al@J?j@~AjA?n@l@Wd@^HdCt@BB[v@r@[_Bt@{@Y]lCqA|@Td@a@f@n@TYx@Ls@v@wBJiBpDgBhAwAjDkDpBUbAThAg@hBa@?k@~Ay@@OtEnB|Bb@?^hBf@ZWl@TXWDZr@q@\\B`AxAzBrC~@f@Wp@TQn@z@tApABr@d@C`@bAl@Xx@NbNuBlRjCOzB_AbC`B"],"Europe/Helsinki":["{jzBgkf@fZuNvUsNtVcHhTwDl_@dG`MzSp@vBrH_UR_NrCwDvDcD~AMnAj@`OvAJ`AnCv@zAuDtDy@hAu@~B}IvFdDxFnAfIrXo@yWh@mRiAwu@}D{Mw@{Li@}]_I_fAoEsZk@}M\\{XaBcZiAsBaAwLuEiKOmFkAsH?_`@m@gIqIyOsAlAa@yBeDs@u@qCc@Ps@eA_Uwg@LcG}DuB_BsDy@]{@sGmF_QaDeDyE}I}@LQ}EuCkG}C{C{EuLkBaAeFuKAu@SWe@NiCuGyE}HeCkB?}B{BuDoAyDHmAk@e@Id@aFwL_Bk@IiAaHwFKu@oAM}DuB@w@YT_FeGmDhDShBc@[gD|J}EbA{AdEuA~H}AxA[fDgAzB{B~Q}CdEkA|Fm@ZkH~OaC_QoDyBwEwI}@eAiBs@{@@oClDc@wAoAv@MzDWt@e@KeBxH[fEiA`CaBY_AbAc@KaAtAkBC}AyG[K_CbDw@XaA{Ae@vAD|Qy@fBc@W{@lBwBbAaAOeAf@cCw@{@sE[gImAzCaBuCYNm@rFEbGw@~@mDaHiBf@qCKmDeGyCzGwBmQv@sFeDf@}GbBoCxAWt@uAFqEjC{GbMIS{LtJmDxESKUpAGSaAv@uG~KSvAUYgBrBqCv@gAOcA_AyPuZGVq@e@s@sFSx@aJsRmHmDaGjU_PvSqFpi@oTfL_K_PqG}Da@vG@`K}@fBoGa_@uBvFyBq@gBC{IeW_DkFaIjIoBhAuFrl@}@pC_A[oAnJyD`J{Cv@v@bLUhG^tBfAz@DxDpArH`@s@NJtA|Nw@nCJvDu@t@\\hGg@lAf@zJtA`DXSbA~@jAzGj@Eb@lB`@Pz@pCLlEb@pApAtC`@_ChAk@hAlAj@~Dj@cAfAz@`@e@P|@zApAt@kBb@bA^If@tBx@h@bAIl@pArAU\\f@hBcBbAl@JUn@LdCcBn@dBdDhCXt@JjDc@vBZbDtDbNjBfAx@Sb@f@tBIf@|A\\nHbBZMzAsCrC{A|IyAhUu@bEgAKRdD}AxDS|Eb@`EfCvAxApBZpM|B`PwBrF@hNqBrOv@~H{EbAwDhHiA^aSha@eAvTrDfPz@\\jCgCb@iBfCdBgDhTvBnInAeOdBoEt@f@H~AhAuBJp@CqFdD{MdB{BEuD`@m@fBObAuKfAkD\\Zh@i@JyIdBgFTRrA}AR{EWeKhAHg@wDn@aAd@oEYcC`@K`AsDB}EXTPUjBgLnAg@f@cCvA@Hg@^f@xASg@{ENwAhEeDrAaHbAoAVyCd@[n@j@~@zFrAlAt@Hp@i@pD`@L_@|@@vAeC^h@p@C`@fDn@w@fBrDd@a@h@kD]eB|@oLvA|ALc@x@IXeAjBfBh@`IROFb@RSX^`@cBhAxAdCoEhA_@`BeC~BwFdAEdAmCzBuBfAZShCn@GPhArAy@bCtAnAg@rBt@f@lCf@ON`C^^^Kj@jCz@LlA{AbA~@dBTv@u@XJ`@cAZLj@mATJfAcKRQZ^z@}@x@LtCuElADfAwCv@BfAiATv@fA{@jAt@hBwA`CK`HxAzLk@hLlC|XnNnKbm@xC~DnIpAtDxWdCxJpEvHxEdEdHtMbAhW`H~a@hAdNlHpQ"],"Asia/Yangon":["ajh@y_sDNs@jAEFk@pAeApBHbDc@zDsBxGmAp@v@nDuCfAYxIr@\\c@tBzBzC~@jFc@dCkBzU{[lVmLj`@}Ih`@{^vp@{Tz]rEnXo@|JxAvGTx_@k@jEsAhCgEbmAouEfaB~AlJqBrU~FhN`KxBl@`CDxfAeOnKVte@iKnKqAt@_HhBoFw@wGqD{EwFcBiG}HwA_GsI{C}AMgB_BgJoBwCiB[P{Ak@{@n@aAYw@nA_CW{D}CAqA}Ag@ZgAyAiBkBZwBs@n@aAQm@sBq@{@cCmAOs@_BaA@u@y@{AQeCyBcAXqCsDoCNe@cBiB{@cB^_ASk@oA^m@KeA{Bk@kA_B}BIaAo@StAeAVGj@oCNUYkA@o@lBaBD}CiAEnB^rAcCm@iAp@mA[Wn@qBt@_CWqAh@Wn@}@o@yBD{@e@aAt@AdA{AnA_@vAiAHWdB}D`@m@`AcCJa@h@q@_AkAAcD|Do@}@iBKq@f@e@K[cAZuA[U}A\\M_@y@p@_Bg@uCEaCJc@`@_BIy@v@W]u@X}EC_AZa@`AqA?o@j@mBQA|@gAb@_@jAqCj@]v@}BVWvB}B~BaDbGg@HiBjEcBFN`@a@VwHpCRz@{ADgAj@aE`FoEjCc@Nu@Y}@x@s@i@_Al@e@I[n@}Bk@_Ah@A`@}@TsC}@gB\\RyB}Ak@Sm@aAJz@wCz@u@c@a@{@T@h@M_@u@V{@u@EkA]HVi@i@WDa@b@kAdAk@oAg@}DIkLhA_K}BB\\uAVmCk@oBtA}@s@bAe@Ci@e@DSeAkAIq@_A^wAKiAh@s@m@wAsAWcBPcAeBuCy@c@l@oAQgAhA@dBhAXf@fAh@FE~@b@b@rBn@Av@uCPKXWWeAPYb@uB[mDtCo@QaB\\[tBaBGFh@o@MB|@a@NuBk@AeA_@FO}@w@lBi@OF_@i@Lb@}@m@Z[SEl@_@QL\\a@@H\\[NUs@m@nAq@GCp@q@M@p@[Oc@p@JbC_@n@y@l@c@m@Dj@g@BVd@eA_@?n@k@QQ|@w@BHf@k@_@Az@k@NWjAuBnB_CBIz@oAbAWSgC|BBj@g@PWlAwA`@}D~E{A|@w@Uc@x@_Bt@?b@wBv@{A]y@yAi@KcDz@Mr@i@QyC\\wCdCcB}@{@f@i@xBhBj@d@dA}BjBwBGc@r@aElAqApA{@Bo@c@nAAMoAnCqA_@kAf@gBmAWNa@YQG_Bk@JBk@c@]CkF{EI_Bj@k@WiCp@kBCoBtCqAoC{BBGaAw@?k@gCqFOgBzBi@e@RO[aAwBvAeAISd@mEmE{@`AyAMa@eES[}@BEiBa@c@gCd@gDQGaBjAc@_@cA`@aApAaABw@fBg@m@uCR{A]i@VuCs@uAzAqB_AKWc@@gAY@qAkD`@cC{B{B~AuBEoBq@yBoA_@yDPGi@uATy@k@eAR_CaA@sA_AmA?iBf@eABkDp@iC{@aEgA[Fu@sBq@u@pAyD^gAdB}@CxBuHU{@t@mAYgAi@WX_DwE{BAaBe@mAfBwAl@gCjAYkBmAw@HqKoBgF_DeAsCqAeAKmBb@uCQyCqB{Ca@Vv@xDo@dAgC_@q@q@iAFIcBaAqAsAOq@y@}Ao@oGu@ZqEgBqBkAkDBu@iCuBK_A_CoC}Ap@{@_AiC`@k@jAsBHo@WCbAhCzCh@xF`BjAb@hA`B^Al@tB|A?r@|@n@?dAv@fBe@bCZpAcD`B`@nAMpAlAdAp@~BgBbC`A`@q@rA{Cd@yB{A?e@u@Rk@n@OrAnAzAO^e@?i@bBeEjA_EYUk@kBc@aBhA_AS]xDT`@h@_@Xn@_B|EPj@p@RMl@q@OIt@y@b@PhAc@b@X`@_@`@h@fAoAbB`ArAPvEc@`AVf@cBrEc@RCuAe@r@wB{B}ADgByA{Av@g@{AaDiD_Al@yBq@sFtAw@r@]WUuB_C]c@{BiCr@s@IpA_EMm@q@K_CzAiABg@]}@j@BrCa@bBiAnA@d@`Al@BpAd@J{@rBd@~D}@pBcB[TtBq@~CHhAaAIkBoAo@L_@k@q@dAJ`Ay@q@Fa@cCAgC|AHdBmBh@qAqAYkAq@Uq@xAuAJ[h@{@UuAp@]tEg@p@iA}@eCl@w@o@a@P?f@[I_@e@XiAo@aA{@EB{@sA{BuAaA{Ah@p@x@?dGl@h@A`Br@jB_BbB^rI^`@e@fG^r@LpDh@hCnAnB`@hDj@\\`@WGlAf@l@SZr@J_@AJh@n@x@h@?r@vBd@E_@n@d@HL\\]Jt@XmAV}ApEsB}Ac@iBuAIcCaEiAE_@g@g@p@sACcAmAiAbB@lBmAFMuAg@[eAhAmBRf@xGyBu@cIe@aCLc@h@y@q@q@}CcBeBd@mBk@qA}@ZGt@w@t@yIRFo@wAeAgHwBTgAvA{@?mA}B}Bq@GQwB_D_ALeAgCe@sB`A}AuBaC^d@kDtB{By@s@e@wBeCQm@_BcEa@}BsBCw@`BmCoBqCmAA}An@gAnAFr@}CXm@PBX_BNo@WXc@]wAn@g@`ALmAwBm@ViAw@gBz@AbAgAI}@IyAgBeLg@kAw@}Bf@s@Qg@v@qDe@iB|@}@u@mFp@a@{@{@Gs@lBaCCqBj@o@}@m@OY^qCs@g@J[z@_BD[^q@a@eAd@iCm@_ArAj@b@[nAX`@_D`Ar@x@]hB}@`ATVrE@pAhBWtByE\\gD~Cs@o@q@v@{AMy@fBaASCe@cBN_@NKnAiAZoFu@iB|@O|@mA^B|@XCM~@o@Zm@c@y@Vs@pBq@IuAdBBrA\\l@j@BAxAoAb@w@tAgCA_A`@Qx@}@r@f@zB{@j@F`@~ApA@h@dBm@`CzA`BkAn@`Bj@[RXs@zAb@j@|@W^`ChCUr@`AfAKrAf@IuAhBoA~A`A^]XRxAWd@d@_@pAu@h@d@lBbDzCv@fBdBp@Yr@LrAtCdAP|ArAvAjAB@e@`AFfAw@h@n@`ANbBsBz@CnBgAPy@jCyBp@AjCqCfBn@a@hA`@jAmA`Ao@zAs@|E{@f@_@}@aA?UjAe@AoBdBu@xD\\JOxD~@P\\xA`At@i@bCj@lCQ`Dl@dAOrAbEzKbGxCjAvCCfCxB|ApBRZh@g@pBx@dAxBp@k@~BVb@vCrAFn@tAv@`B~FIvAg@BMl@dAr@~@tB`AIt@\\Z|@n@KfCfBFk@p@g@t@F^_Av@T~DKh@Xf@y@t@h@fDFx@gChFrDp@`C`Ad@|@DbCqApA@vD~EvBj@`@`Ap@a@JjB~BhAZp@W~@v@`CxBr@Pn@jABrD~AfBP`B{B~@eEjG@b@`Aj@L|@a@|D`D`DDtAl@Jh@a@H`@VBp@vBDbB|@p@jBhD`A@d@pCN`@bA\\c@rAt@J|@fB?rExAL`@dDHv@\\EVl@SdBfA`BVJh@~CXPlA}Aj@M`BcAn@D~Aw@rAr@pFaDjBKbGbB~@a@lA|@hBo@jAq@?}@`A{Ab@y@nCTWVr@b@SXXPYPVRYfATtAm@XuA`DP~Ae@pARdBYh@{@lAh@tBYp@d@p@OdAn@bDJjAYn@XL`An@c@|CF`Ag@pCh@@e@t@~@rA^DY`CtBI|BwAx@T|A[h@lBXVi@nADpAs@Cx@zDn@T^jBW|CV~C{AbCbAFk@jCSr@{AhIa@`@vBtB]Bv@u@dB`@nAr@Ul@VxAm@MbB|Ah@xB]Pd@mAv@Vt@zCn@oCZWt@uAHLb@uDdFE~@zGb@Gp@~@`@Tx@bEw@l@f@jHXdMm@xJoBrAdDuGjAKrA`A\\Q|BgCZ{AnBVt@~Ab@SjBdCTfAtBvDg@","khZittDxDo@vEsKc@wCiD_IyCqCwGkAgGRgCp@sBdBiA`DGvDt@vCvAhBpKtH|Bp@","}z[}huDbEu@nCmCz@cEg@iEwDoFwD{B_GgAiEb@cC`BuApCWbDf@zCvGjI"],"Africa/Maputo":["bl\\g_z@~@AhBmAtEk@|CmDrBk@bBJlAq@`CfAlDuBfV@?}]Vy@bBoAUy@iAu@Ui@^BBk@iAmBJsA`@KCsDtAeC|@QlAcBd@?Bw@h@JE{B\\Y?mBXIIgC^[VwD|BwChAc@z@oCjCSbA{FQyM^kCjHaVzCT\\m@b@iC[wAl@kBm@}@@gCnK|Cr@|C`HqE~By@hBk@pFQfAkBpB~AlBFr@dA|Ce@`@{Ax@o@fDjA`AYPj@j@QI[hAb@b@KIrA^\\dENH{@vA\\A^n@Z\\c@`Af@G]lBMv@o@p@Rj@u@jCm@hCJl@e@Cg@z@YpC`B`BOj@xAc@RxA`Et@s@|@RRe@fAK|ByA~Cl@~@nBg@~BlBrEl@LlC{@TfAjD]QoFbDuAfKt@dCrCdECn@eCz@F~@c@xBXTUhBn@\\c@CqAaAgDlASz@z@nBuEj@b@xM^LjE`@NpAg@ZnAe@^TX`BL~@YPv@r@BVw@vABxB~B~@LpJhGAhErBjCtBXvMaA~DnArGbFbAgBp@d@|@aA`EcBc@f@HhBpaAh_AtAjCjo@aOfLXnCS|GaG`EMdImCdCaFjMu@tFyCjHo@rMTtZgArNd@vDhAtIw@fKtCvHoCTgDrHc@~G|@fEEpFsBpR?l@aB{@gA|@}EKub@|BoKoA]oMGgIy@wWaA{g@iReJs[cSez@gHyRsBiDsDeDcC_AgQ{McGyB{FMyDsAqDQaG`AsBpAcA~A}CNwIwB{JQgHqDeFi@qDt@}C~BsHNuHcAsKNyF[eEtA{C~EeFkCoHcAqIH_FnBqB~Cw@dF|@pFuOb@qEs@uDN_ChAkCbCgE|@aEjCcDpDgAnEm@d@oBE_JoCgGh@cC{F_FyHiJqLo\\iZoC}GwB_RqCaFoFqEeEs@{HcFsRwSsRqL}E}FmQea@wBcHoD}t@gH}OqRmZcVkZgHiGwu@w_@}ZkMiPyBsZQiOxBkB`AmBtB_GtCaEz@kHb@iF_AsE|@kE[kFp@}FD_EsA}MiAsy@?sr@}DyLxAeIdBsHnEwCr@cCzBrDrHjHxGBpBx@zBtCvBnGzItAjG~BhEdC~MdCjDlArDnDjE_ArFt@bF@xFjEhGOxAh@lCdBvAbDrFyAhEuAdACbBoA\\c@hBSnE`@hBc@~FdBhExBBhDdB`BSpAbAv@~DdBtCW~Cj@pBlBzAYdCiA|@Mv@h@hBm@zBMzCmAfBKrAp@xBc@dANj@U~@cAj@bEzArDxGoAdBxB~B]P{A]c@`ARfDWZdA|@L`B?h@{@^b@fBiAdAqDa@]p@e@Oj@x@a@n@oARv@pB}Ah@MbAy@j@Nv@uAZ\\~@QnBc@XP~@dBfAUJVAHrBz@?nBdC[jCh@p@Uj@l@Xi@XAn@^?NfACj@g@Hl@v@_@xAH`k@hIDhFtAfFtEnKrExDmAbRmA|EaCjB[tIDhSwAfFZlGyA?gOlL{LvJ{GxP_OnDcA`Y}TtL??}AdP`GpN}Bba@~AzBYrCrEIlAjA|CWfAzAbAYt@cARF`DtEzEzDb@f@q@hBnAvC@jDlFtBo@bA_BO[n@MnAiBjDAdAq@|BvAL[lAj@f@IBs@f@UhBXp@IBa@|BLHbLc@b@q@{@kAfBu@MWXmAgDgAg@Da@_Cr@Y_@i@Fk@j@TzDoAfBoAHC`CiBRc@fBiC\\i@jCiAGgAp@a@bALfAaC@\\x@eArBoEn@cAzA^bA_AvB}C~@}BOiB}@s@La@rA{B~@?v@aAf@YbBsCP}Am@gBkBEmAoBs@i@wA{ABSq@m@d@yDXkC]L}@k@k@Ja@wBOq@i@T_@[e@_@FyA_AwGbAy@m@]h@{CeBoEpBoDe@uF|BoA{@uALcBv@gAdBwFnCQdAXrB~@fAKx@`@j@`@~F|@Ce@lHv@fB`@CGv@nAnBgBzB@n@hAXnA]jAhBy@|@}Dr@[zAsBbAe@rBiJhDEtAaANsAjAsBs@gBj@KfAu@l@~Jhb@xD`MjAhKtDtQhClGx@pGdEfJdJ|j@pI~XlAlIrAa@","zmVwobA_A_@KeAl@cAvAIfAp@F`Ag@l@","frVevbA_Ck@g@i@NwAr@{@|ARdBfBDr@"],"America/Fortaleza":["jmIff~AFyAkAWSe@~@gCsAmA{BQiAcAw@oItDoJ\\eEqAuCr@mFf@]~BG~@m@LuEvCkFJ}BvBmBpGu@fCf@tG{BvF`@zAg@pCHrHoBfInBrB_@|@t@lEl@|Az@hDE|CfArCm@lAl@lAB|H|ECpCd@r@rAHzAeCpB_AqAuBDoBz@gAnAc@dARbArC~@x@Vy@c@eALs@zDu@_@YRiAv@ZVoAjDa@Ky@o@h@O_@tAuANn@b@MHy@VZx@EAmA^AGYd@JEg@rBCnAiC\\@n@cAz@?VeAhB?NqAlBk@Z_Bu@aAcASo@gAFi@}@o@\\KKiAW}Ay@u@u@{Gn@gBx@YbAuBdDo@fE~AbAu@hAj@`AC`BfAAtD|@jC`Al@[lB|@H?d@|ASn@d@JfApBIzBjCJe@|Ad@Ti@t@OnAvAfBu@hCP`A~CbAm@lA~AdADQZj@DTz@Zq@hAp@LsBVEa@gD`@UDd@tA?Lq@YYb@CZmAhACDm@bCO~@v@^WGk@xByAxAMc@}Dd@cA^^z@Ot@}C`AZnAmAz@nBzCh@v@nAnAMp@mC|ABGgCjBy@\\TLe@|EHtBg@|@[Bm@nAgA~Aa@\\oA[iFxAyAAcCiAiCtCc@dATTm@zBy@VwB}@o@u@x@aBe@[s@b@yCmAwBoCMCiAyAaEx@s@nCIx@iArAGzCuDxBGn@{@zBdBfB?jC[p@cBzCq@vAsDzAg@b@}InD{GyAoC`@]aAeAuBi@Ew@y@a@[sC_DEU_ByAqAn@qCwAgB?kBsByBb@}@tBsASmBv@wB{AkAa@mAsCi@}@q@oARu@Yp@cBKqBuAA}CyCmBAkCsBgEYEqC_AEgAw@g@Fm@hAiAY_@d@sCoByCfGcCVuBxAe@OcC`@sEuC_A}D}DoE]{AmA{ANqBtDeCN}@hBeBq@aCf@m@qA{@Nw@_@[v@mAGe@n@GYcDt@c@hDUNsAhA{@YiAhC_@Dk@KcAu@O}@mAu@Bb@oAMoB{AkAAwDaAIKaByAe@cA{Bw@GaCoFFyDaA{CKsA`@k@c@w@|@eBsAeBH_A{DkAkBaC{COG}Ak@UIkAw@s@CeA\\KSg@mDgAkCgD{DoAA}A}AcBa@sCsAAe@uAcBi@Pi@o@}@{Aa@Nw@uAM_@iAg@KEk@~AkBo@o@aCO@m@j@g@a@{@qAACs@c@YaBB{@uCgDqCTaAUUwAXcGuBwEKsAh@w@jDq@x@}EgBmIxDw@[}BqHyBM[a@`BsD@oAWaAiBuACmBpBeCp@yEQkDaBkHRoGhA{BjBo@FqBjBs@g@wARwAt@EhAz@hAYAiAz@_@NuAjBmCKaAh@g@n@?_@wAbAoChBgAbDQmAiAJw@YSv@]FmAkDm@UsBgAWPqAmBOGwCs@MYk@nBqCzCgBIsDaAyAV{AiBgBlAyAx@Sf@\\Ca@fC[?}AeBuCJq@`Ae@TuASW_BFo@{@|@kAA{@}B}AA{@e@PuA{As@mCpAq@GSu@Ua@^}A_Bi@CEo@q@m@Py@o@g@eAyC{C{A{@PO{Eg@iA_@NaAs@[aEfAqBt@Wh@}Cp@e@DqAb@YfANrAiAfAlEpBxCvBbAzEuBzAb@^rCVXl@k@Jr@t@EdAxCH[d@@XpAv@L[gIj@?~@uAfANdC]~Ah@P{AbAHp@m@GaAfAZAkAjAgBGgAo@ScAaBeBeEJeAg@WQcA_@LHgA]L{@aC}@z@o@}@kC?kA_@PmAsAH[_@n@cDSgAeEg@QeFp@_B[i@s@Vw@eAr@_@UoFj@u@VoBo@w@DaCsA}@W{D}A_DT]MmAe@u@e@FCoDWg@i@`@iAa@Gj@eEuAy@wAd@eA_A_CaA_@Bs@cAwBl@sBSe@`@}BKmA|BiDzAA|@o@Uw@^i@ImB~AmPsMZaLS_F|@{Ih@yC~@}BjBoHxAmKd@sFjBcDZoCvAgG^eJhCuF^_HrA{FzAyN~G_ChBgDnEiCbJiBjQ]lA{CjDk@~DcBbCi@|BFdDhArCpB`BpDdA[nNmCzCiBrFMhJuE|AkDzCgAbCg@bEiA`CUbD}ItFwBnGwGhIcN|JmBfDmHxCmBbBeKlU_Rv[_DjKeFdIkBdGmGbLiBrR@nLu@~Ed@pDtAlCLpOjAzEBx[kIzOkJl}@yIxU_BjIa_Ab}AgTdfAnOtDdBHvFlBx@lBj@QnAd@n@{@j@?Dq@jDbBh@[|@fAtA_AxBS~Az@hBMdB~BSt@RvBz@ZxAUUoBRw@t@a@dBbAx@k@~GfB|BCh@|@\\g@|DfEi@t@Nh@`A_@t@`@dACrAhAVk@i@[Jk@~A~@zDI`@c@LlCb@Xf@]\\j@r@E`@tC~@Rq@ZFVnA^j@fAt@HGk@x@CG[jA@Xc@_@a@|@Gj@o@YlAx@AIv@t@KDzA~As@b@`@h@o@FXj@QDj@X_@l@h@vBCJz@r@Ac@ZXx@\\GO_@v@OPv@l@DUf@jAa@@n@|@LGf@l@EP`@ZQN`@V[PfAj@N[Td@LU\\`A\\RlArAGL^j@]X\\\\OEh@h@S?j@dAIFv@|@ZEh@hAWpBz@Vg@^b@l@QhBf@PUnB~@|@Cp@l@Gh@l@DG^d@?Pp@tB^QVv@j@I`@|BbCUZbC|@zBUFr@`CJhClEpA@~At@pHxEfBfCm@`Fn]|d@Vd@Y`@p@E","lpFnmaApDg@fC_BvAmCZaDc@aD}AgCkCyAcD]qDd@eC`BsApCUdD\\pCxAhChC|A"],"Europe/Paris":["sr}AvsIjUiG~COvDyCnR{l@jB}MhC_G\\oF]iE`AgNbOkJrCmGdAsO}@{KtC}Jn@c@~Q~@xDaBdDiFnJu]vQuRxIgCxCoCdC_AtCf@fCa@rD{DzAm@h[zA|XpC~Eq@tCRzLpA`]dG~DfDtE_AfE?Xb@j@?l@gBbAOe@yBPyAh@L`Ak@BcAkASM{@v@aEMq@n@cAvBBVh@`BVrAtBpA_Ab@mD}Ci@U}B`BnAp@{AUeAf@aCt@k@_@}@r@mADmBrAsCWeAZcE_@sBtAy@t@Pb@aAKg@fBwCv@G@aAl@BUkAgAo@`A_CG_BcBaDzBwFUw@xCkBDmAl@KR{AgB_Kh@gDl@Gd@_AcB_C`A{BGkIUQ\\_DeACs@b@Ej@g@w@Oj@k@s@cAV_@e@GyA~@iGjAkCa@cAd@o@A}D|CmDe@}BXo@IoE`@J^kAb@@Xs@hBo@SmAm@Lc@o@?gCv@qANiGz@NXuBp@fBrBHH{DlAeCK{ApCw@bAeB]iCiB_BCsCk@cBzA_Jb@EdA}AJuBq@y@b@cE_@Ky@l@Ae@c@Eg@wBXuA}A{BD}Cs@y@`@i@SqC`BwAWgADmS{BTuDtAgDdDwGCoIs@qD_EFsEq@eE_F_HaAoEgCwEbA_HV_InCwHx@{EPcHt@mEMuFxE}IxAkMPmIpEyMtCyXIaPmAmGqCaHcKcLeGeB_IsSeGgKiLtDe@k@Li@xKaDsAcEyCh@oDlCoFtAk@_@YcBaBMs@gDo@c@}@NWkAg@Yi@IaBhBuAe@E`Bt@^KnBr@jGb@FY`APdAy@XF`C_AjAFl@_A|@cAdJyAX]jA_@CqAjAQdAwBKQmBgBnC}Ah@s@q@c@iB}Aa@?c@cAf@o@]YyBRiBaAT_@jAqAJe@j@aAq@qAzDh@n@OtAmB`Fw@SE`@q@i@u@t@u@SGtCgBRcAfAcAiBDwBm@w@`A_DSwA{@?EmBkAe@c@aDXaAuAsBoCx@Es@_@@[{@i@@i@m@{@lCeATGlBm@ISjBmCHY`@eBm@[|@DhB{@ZGzAoA~A]OqA\\mB_@Is@^m@q@[ByBs@qB{@Qe@iA_AN[v@S]c@XOr@uB~Ah@zAOd@m@g@i@Ry@c@]lEo@Hc@i@o@PwCyBqCzDo@cAaB_@u@tGCdInAxDVtDvAbD~A`ARy@n@Tr@k@GcB|@\\n@pCtBjDQfD`@`@UpAXjAcBmA]|@c@UgAkHcAl@aDgCcBrEu@k@m@X}CgD}@zAeFuIeDsI]Km@t@mAy@mAImA~@yA}Bc@sFuBiE_@t@]UsCeHQOK`@oCeFwA\\QoBy@YQ}Au@LWbAf@pGgBcAAq@u@Ci@{BqAd@@sLdB|@F{Bd@]k@eDRoBmAkCQdAa@W\\mB]m@o@XLo@[QW~@gAkDu@MsBhCiATcAgA_Bb@}BaAiAJyDaC{BhBkDQkEqD}Cu@q@cBiCT{DeAo@iAmCFoBkAaDyFgAOCqAu@a@_@sBmE{BeB}AQgAo@`Ho@jAYtC}@pAp@dCaApCh@hASxFe@Bm@hEoAnA]a@a@VDxBc@YV`Dx@B?hAv@~@]`BPlDi@~@Dj@YQGTLj@d@S`@jAsBn@g@MWtCe@j@NfEdAo@v@v@a@dBFvAo@v@c@i@YPFt@eAJOv@k@Ok@lB{A`Be@gAcAxBc@_@[\\wAbF`@vBMbA_BxDHbCNh@RMC`ApAt@YtAb@^GzBmALQz@?xCg@z@m@AJf@s@rAl@t@UpExA~@m@lBz@tDe@`@i@a@Yn@]_@Ed@s@PeAxCf@jAe@Pq@u@sA|BVr@Q|Cc@CAnAeB~@c@hDe@\\\\nDMjBs@o@aBv@@]sAu@mApASrBW@kCgBs@l@Ae@cAWXk@}@He@{@_@d@@zA_@LhE`H\\g@r@\\|@QV~EbArBXzCaAnG\\~EY@SnBa@k@q@t@y@s@?_Aq@iA_AbAw@ECpCu@w@eBHkAkCi@V_@xAXZ^e@D~@{Ab@MlAaBlB~@tFs@lBBdElA\\Oj@\\SBRcChBaAc@kBVqAlBRtEiAe@SzAt@p@^pCeAnDkCN}BnAc@q@q@FSnB{ClBIjAj@n@O~@x@nEvBzA}@rBErBs@LgAhBm@JWlBRbAeAb@Ab@e@[sAHQb@u@uAyAr@W`AgC\\sMxJR~FvD`PB|CjEjIxB`JpD|JhBtCvIjApMOdD~@zB?bBfAtCd@|DbJfDf_@pIn[fCnF~A`BxLnDq@`OPtLiAxGsBhB}E`BoB|AqBzDgAjF]nIbAtPyAtLXfI|MTxGpC~CoA~DqE~AiEbCsBpJp@hEfDl@pAtB?TbOoBvPgG?aI`AcBbJaAdK`A~D|AdCbBrAnBd@T`ThAxNdFfV`Fda@dD|MdEvUbDpFxBzA","s|qAiyBi@KM]QERc@@JPLVKTk@F@@z@Kl@","y~sAwsMvb@}Lg@aAwb@|L","_wqAqcOxGG~OgBvGKzHmDlKqGtHiJrAeEqB_Rr@mGwA}AmCiGu@iJ}OwA{HDu@OgIcG}Kc@yEr@iCYaK~@oCbBqE_A}EtE_OhCkAjDYtF^nDrBvFtCvCrEn@dBz@~ClI`DdPbBpD`I`FpDjE"],"Europe/Kyiv":["eq}Aqfj@\\Mk@}B^sBl@p@r@u@JeBx@Hb@o@x@CxA{A]_@?gEnA{@XoAZRhAiAjAN\\eDw@{BTeAYC?_A^AWe@jAWt@{ApA^j@z@fAuBYiBoAv@WMv@kD]{Cy@c@}@FUc@SPaAiBj@m@C{Cv@m@VZXU|C{KkBgAd@kA@mCb@u@[iD\\eCdB{AgA_H|@sDj@]CcDf@s@y@oEPw@iBeDb@oCa@yBl@w@C_Al@Kx@mAz@Dr@eAd@sFpAOt@sAx@IAyHi@]QyBu@e@[gA{@QaAsAcAO@oAk@qAeAuRRiH{@uCNsAa@m@?sJa@eDoBw@s@mBqB}@s@gAq@?[uARw@y@iCNuB_@c@Li@w@[JgASLF[YA[ZiB_Dy@XGW|AsAUi@j@QLcBc@[}@LStBeBnBKUVcAe@i@C_El@{@XJh@iAD}Bg@OFwAeAL[r@F_B[m@j@CbAiA_@gCj@wA@cBoCcABkB|@SB}BoAg@uAoFJc@r@Xb@gB_@mETmApAkDlA_@lAcCPiFp@k@~AZVUMmAk@_@JaApAOTk@qAeHp@]z@Nz@lBh@@FuAmAcADyAt@Wl@d@~AsANiAiBNe@y@Yb@}@sC\\CKYz@oBGcAj@KUeCRkDn@a@x@p@Ve@r@Xj@}BVn@pA_Be@gAfAmCAqAEYo@NTe@m@HUcDzEs@W]R?CcC~@lBfAx@j@i@KqBhBt@~@xAdAu@rAj@Aq@Zn@`@OnA`Ab@fC|AeAMkAlAB^z@O}@rACiAeB|ACcAsC|Ce@SkBr@MPZvA[Gs@XE[uBcBC]kDbFq@J|AdFw@FhDpBeAAg@c@BCcCdB]Dr@zCLJlAb@]]gCfAOYkClC_Aq@kGhAAx@g@k@uARi@^SRvAfBoA`CFpAp@bBk@ZHIt@bAQNhCp@kANNVkANN_@s@d@@e@s@^ACYl@JFw@Lx@N}@VBAqA^LDi@UIN]YBx@kAc@m@\\MlAdCk@r@ZbBc@bDx@fBf@GcAjDSc@o@fAeATc@dAJZ~@OAtCtCe@LvCMl@oBZUlCe@T[e@kAjBfBzBj@Q}CxANd@j@IPx@bB_@NtBXEb@t@SbA}@oA}At@i@eA[ZuBHXrCz@CBhEj@x@BhBTECmAb@EF|DzGqCCd@rB`A~BeFjEfFxAmBxAt@`AtKTGDl@v@D`E_AZpDjAWP~FrAOOhCtBlAb@II{@hDw@PhBlCo@\\zDw@?cAfF~CtDl@eCvAG~C_CjCgLr@qHg@}CoApAe@eBg@j@W]jBcHcBo@}BqKmAmCHiBg@gAViAMcCbAqFhCgEnCw@x@`@|Ay@j@iOnBwAbA_Cp@{Iq@aFiBgDkCcBqE?kCbB_CjF]zEj@bGmCLeLaVkJaKyBoAwAcEsFqHaBcAsB]gCoBwCm@aA_FL{ClFEbCq@tDiEvAwCtAuHtAoQzFsa@tAcRIkFqAcEsGwb@aBcBsAd@mAiCoCt@WAG_AxAyDc@qBDgBpCiHh@uFlA}BZiC]eCvFwHGeA{AcBNgCxCyFN_BrDDjBaIeAaPwGbDYuDoAiDkP}NeHkOpB{BhA_D\\{DK}D{AiFaCeCmBcEmBsAO}AzAgCn@}C?oGoBcGcByAeCg@eBsCg@mCj@}E[kF_G{L}@q_@oFiK{GzE{D]WRSmBa@?AiAaBU@dFg@?{AaAEaAc@??_@oHb@Ak@}@G?oAqA??sEu@?A_Io@YAgAy@?ZuEsABSc@gAO]Xw@I?oA_ABw@eBJyKb@?ReCWmDYIGcHpAq@s@{@GcAdAaC[iDT}Ec@s@q@?@}@aB@_AWGe@w@BqBzAAsEs@`BWeAkACm@_AoAMAu@_BKFeCy@U}B|@|ArCmAx@AzAm@Ii@iES\\m@SV`@]d@OYwAz@KQu@fBu@CIe@{B`@o@vBJjEk@t@oAaAKk@]Z[i@iAd@m@gAOZc@c@Fo@yC_A`B_JwCoEmAd@Mr@\\|@`ATw@fCHnCWZ`@Vk@N[tA{@CeAr@Tp@o@l@Rr@SZcAi@MXSk@TqCi@wAH}Fu@AaEwDM}AgBuBEmCe@g@g@rAaC]oAlDgCfDeCQ_BeG_BbAb@lC@`Fn@`@\\vA@hDoAnBc@tDmEdC]e@s@nIh@~B_@xDi@dA}@l@aABaBzApC`FMfAr@fE{@n@_AUS`@QzEqB`Eu@Ni@aAo@~@`AJb@bAi@lBb@~BIlA}@f@KdAd@b@q@bC{Ch@E^ZfAKbEpBMvAgAnBxDe@Fd@fCl@n@s@VMm@cAlAWnAoBnAaB|FHrAmBzAsAjC]Gy@z@sDk@FtB}BpEkBPOk@s@Kn@zCEdDdAjAxAxGf@pPhChJx@Pf@~@aAlDg@{@]J?vBs@hA@~Ag@JtAjCGfC_Aj@WSgCtDB^{@^e@xDf@fGO|A^^UpAb@lAb@StA~BD~EsAtAkBEa@b@ZHkAlDuArA{@Lc@hAm@eA}A`A_@kCRm@m@SSfAiAYQPsAq@s@zCqAOs@hAQg@a@j@Mo@WF_ArCu@s@oAx@HgBc@cA_@?o@bAWlC~@zDgAzB_@y@SZYWW`A}@d@sBu@WzC|@`A[Bc@pBtAbDKfA^x@ZC_@bBZfCu@~AcBLKtBf@l@e@lANpBy@fEfAzCu@tCa@o@U`@c@wAs@EN{@u@o@m@dAFd@YOW`Ca@Lm@cAa@Rm@{A{@@Qc@[~AeBj@Ph@s@JFx@aB\\DhAo@p@@p@o@_B]eI]c@HuD_@eAu@Go@z@wAMyB~EHtBu@a@UtAaBx@@|Aa@Z]UItAiAG}@lAW_Ao@N_A}@s@rBcAJAhAQ`@_@Cm@|BcAMk@v@[zCY_@}@|@JvGn@~Cl@j@YjATi@TH[`Dc@cAo@FMjBV^ROy@bCj@tC{@`FLl@~@?GfArAdCk@KKXl@\\f@~A\\@AbAx@vB?\\y@BIdBf@`@OzBd@jBqBxDH|@u@t@?~AVXm@~Eh@p@pAc@Cm@NRj@e@DlBh@l@pAm@|@l@HwAR~AbAz@^bCh@n@EfBp@Z?jAR?e@jGTzAaAyAgAxDVpBYjA^dBi@xB?bJu@fBjArEjBt@RxAQbAg@DMlBq@h@p@dHWtA\\CDf@`@a@\\\\r@KVxAX_@Fp@^GGz@r@lBr@g@j@j@IhBdAtA|@VXrAbAa@b@ZJrALiA~Av@N|BfAUEfBX_@~@p@d@}APdBd@_BNt@x@e@KgAdAZhAq@R{@d@vAl@YI{@hBcA\\h@r@a@l@rBLy@f@Nj@vCa@bALdBcASKbC_BrCc@cAwAJsDvIn@^a@fAd@Tc@lE\\Ad@hBi@dAZpA~@H[dCBf@^E]hBeAVS[y@J@l@t@vAElArA`Be@zAtB^t@t@c@rChA~DwC`@IbAiAn@mCA?jAoARAr@g@U@`Ao@g@@jBWFbAv@jBtDc@x@BpB~@zDlCpB~@o@nA`Ag@d@}@Ej@hB}C`Aw@FUYUV@zDi@lDhBbFiAR}AzBFp@eB[STfAnDjAb@Cn@p@T`@hCPlEgAy@^lBy@Ck@nB`@hAFU|@\\`Am@TpAtB~AwArDk@Mu@eBkAAYtCXbAaAjE|@F?[f@n@Mh@i@ANZYZZv@SfCZlFgBaA[`CqEJF~K`AzA{@jEPlBa@lAcAD]lBMhEbAzAIvC_AvAB|@{A@\\l@CpL_@?JXkA~ACzAWHM~A`@nCQ`Ec@BM|A?Tv@K@xGg@nEd@b@DdB[bFgA~C?pC\\tDzBjIq@d@h@nCa@N@p@|@vBk@xFh@xMb@~Ab@B~@lA|Bi@dAfB`BfH|AvAnA|Cc@hCJzA_@Bo@aAQvFu@J\\pEfApC`AoBdAp@rAqAFvBf@gBVMVx@XC@iA\\PRs@HRTSRr@p@SBj@lAx@pAWI}Az@_AbBYzBaGf@AJf@n@Ml@e@BeA`ACFe@R^Xg@Nh@^sApAYtBcDj@{D`AzACzEtA~@r@g@B{AVXFYv@NRuBdAXZy@d@TLc@jAA`Ex@tDnCLdKr@zD|Al@T|AlBrB~A|EhFzJ\\@jA|BzKvLDp@bAPhAvBrBjBb@vA|G`Gd@bAj@SX{AlGcB`FLf@p@TaApApARWc@iAp@`@?cBf@It@iAZuBz@p@tBu@JxAo@Xw@fC\\jDsBzD`@`ApCL^hCzBfBvAFf@hA`CGbArAfA_@zAj@hArDtB|C"],"America/Regina":["_etBjzuElmI?JsDpBoB?wCv@??mHx@??q@ZA?uCZA\\ql@{@@?sHoC@AcBkD@@aJlDG?c[zICAa@lOBBajAjSCHh@jAJxAcBhACnBgCJ}B~@aBf@E?}Dz\\GD}IfDxFpD|A?hc@xTQ?eG`D~@~BfAzBfCJtAi@lB~@jBNtExKU?gX|I??}B^A`@cBh@n@b@u@f@XlAaAr@Ch@vAjC|@h@nAMwFvTK@fPfAk@nAkDvFiE~@mCNgCj@_@?pAtArCNbEm@l@b@G@h@lA~@BjBLaBl@?Rx@Cs@fBv@BfAhAh@r@[VXUg@X_@VZnI??sGxTK?vXbp@c@?dg@v_@C?muKcJ??z@eU@?p@cUA?z@cU??z@aU??~@eU??z@aU??|@uh@L?~@yT??x@yT??bAyT?Ax@yT??bAqT??fAaU??lAaA?cIj[sNrNsN?sNsNmEgTwT??nAyT??nA{dGF"],"America/Argentina/Cordoba":["ng|@tm_Cp_@AR{G|GuRhC{CdEElAo@vCDGsMm@gA|@a@rGGb@q@jDWvApA~BOvA~@vAElAr@zBIvCp@x@|@z@k@vBvAtCt@rBnCdn@s@naA@YgkBoe@H?qgBkUiWkTkT_AiBcC_@aAmA]yBlAgAJcEvAaCb@{BY}DgBIiAuA_@RyB[oBuCyBUiAqAaAc@a@NVi@[NfA_CjB{@r@_CjCyBj@yAF{BdAgAl@qCf@a@lA?`@_AGaC^cBhC}AAq@}AyAQgA\\q@hB[t@u@AeKXYlBf@b@c@K_CrAmAMuG~@i@`@uCxBsBGcDxC}CZcAoA}MYe@iChAgKTmGvByAeBsASaBPkDUgDsAuAf@qBKqBqAyAuJwCwDqADkAv@oEFgD|@gITiAr@mCb@iDi@mA{BgAk@uA?gEdDgC_@{@o@uBIeGhCc@_@}@oE}BaBeJqB_Bl@uArCaAFcCkEw@`@sA_@yAuAsBo@mDHaCeBaAM}EjB[m@RwByB_AaIPcAbAuAH{@lA{CBoIkNkDw@}BlAa@c@@gB_AiCiAgBmCaBwAyC}EQeBcAiBeCYsE_FmFW_AiA?oCmCwA_DiBsAqBUe@_CaEiBcCIcAmAkA[yAwIiBg@q@^m@IyCwEmEOg@eAOqCoDeCyC}Eu@KsAn@{@a@s@yFoCd@}Aq@NqF\\q@jA]@i@wDs@qBlE{@Bk@uCyAgCyBo@Fk@r@Bb@w@kDcCh@{AkAq@aAiB}AZYsAwAe@HuBgCuBEy@jAsAaBs@RuCo@O}AtB_@w@v@_Bu@m@@aBeBaAcDB]mBwDiAFc@`Bi@m@aAXuBWUiBL@e@`Aa@Cg@qDoAjBgBq@s@OsB{An@k@qBvBwBYe@cBFvAqB_Bc@Y{AgGyAR_@~@?HeCiBgC_BUGaBsAKl@wAeBkAvAgAo@Q?{@Wr@Ug@i@\\BsAs@v@WMNs@cAz@p@qAkAp@b@k@Ya@o@`@Lm@m@BCq@_@d@]U@m@s@JNkAYr@eAs@Mp@a@_@S`@CiAUdAcA^@Y_@B_@`@Wc@KxAY{@g@b@Rb@SMU\\SGLe@gANFs@M\\u@WSlADe@sBMq@s@Jx@YUO`@c@q@u@VNo@e@Q]?Gd@Ca@w@JAa@iBl@qGqC]^e@Wk@P{CvDqCOWjA}A|@J\\g@d@gAJYQJ[[AA^[_@[|@Wu@_At@o@W?c@k@BEh@SW]r@]m@M~@i@M]f@CYYJXg@c@Sy@f@Bv@_@[Cd@i@EZf@g@HI|@x@?DZsANiAzAh@`Au@~@jBPHVcBj@kB}@e@P~AzBCpAxAs@m@dB|@HDf@sA`Ad@tAbA`@SfAhE`B_DvBT`AqAt@HnApCQKpB^`@rDu@~BwAfDdAjB[`@ZIpA\\^bEgAvBz@~BkB~AxB|A}@dC~AdCNtD~D~DYnA`Aa@~At@nCfE`@ZzDlCtD`DOf@hC_AnBr@zABjChBbCnDXIrEvB??|Ap@Rn@EpAmAv@n@pBCrAhDdCjBIbB{@~AeCxBVdDuArBGbBh@dCnCbDL~AjDRz@xApBr@Xh@Hr@y@dBqFdCw@lCnA~AHlCxBg@l@o@t@Rv@pBc@dBd@lB_BxDoBn@Yj@m@fNgB|Dt@fJ_DrHcA`ALnFoB|BYhAEbHd@dGe@rBp@fI[vCj@`BHxBa@PuB[qAhCkBW]m@IqCqCBJiAh@GS]aBd@@uAYQcCbAGuB{@sBw@]JyAyBRYeBoALLy@W_@kE^GoCo@f@s@a@eALo@p@kAc@q@r@_@gBkBpAq@UaAkB_DLiAwByAnBDoAcAAoAcAIyBkDyFWuAk@Eu@rAw@_@_@sAcAr@o@IUsAk@e@mCx@HcBuAaB_@pA}Aq@Qk@^{A_CAf@oB}AYS}@sALsCs@qFfHgAQQv@o@@?b@c@I]l@wAIyAdDcBn@Q~CZbAWn@qARXvBiAj@D|AiAVMvAqA|@Hz@dCbDy@V_@pA}@d@?f@{@@_AvASfB{@|ATdEm@hAcA`@C`D{EdIEjBoAtBE|AkBnBa@lBs@^iAxDwBl@[`B{CfB}Rhb@~@`HKxF_@r@BjA{@\\uArD`@fAStCsA?[p@@|C}@lABhFeBnCIhCqBj@qEnDsAWuBzD?tAw@lAoAd@VVy@j@Ax@i@JAbAX@oArBFrAuA`A}@UQdBqBlABlCu@Xa@`BaA@eB`AAjAeCdBu@tBNX{Ax@]pAuAAPZ{ASCp@wB^}BlB\\VsBz@Cf@]LDc@kAr@?v@_BGEh@OYG~@cAEa@n@Ge@SVgAq@q@x@CpAuAOVRUvAtvB?jqAzeAAtDo@xDWvT~C`@s@tIa@@QlCrSnGbDNzFrDfCg@~AnAjBVvOy@a@hDhH~@QbBzIlAOrAhANBWbH`BCXpIvAt@zCpF|C~CoBpArCdHsAq@fAhBa@hF~@ZfC_@fBlAd@zOaCxP_@vGx@UtBd@Dv@gBhCQl@{EbBkA`B{CzDJfDwAjBS~F@r@YvAwBT`BlBVlCoBhCnAfEAj@tGtNs@nKvLpCpOvUbE~a@rN","bo_A`ppBQGc@CQOJKZ@^NDHII","~n_AdopBg@MYHc@Ci@ULUjAAj@^KG","~nt@pnoBzAiEk@aD_A~H","ptt@nknBT{B`B}CAVpA{@\\eAeAqD_Bm@UvA_DbGPxA","dwt@hfnBTa@v@Yh@uA_Ad@","zzt@~{mBP_AEq@k@i@_AGY\\nAd@`@p@Bh@FW"],"Africa/Windhoek":["hja@ooUra@mEhEuA|CsCtNsDdDaCtKsNbH{EpEoA`EyDhJaEnG_B~TkKtPyF~GiGlEoAnEM~IyD|IoArFuBzGyEpFkBnEyDpMcI`Dw@jDmBbDO|BeAxHoIxS_ObLiDpF_@tDpC`EdA|ETvNsCxChAdFBfJcCzJAzDvAlGLfLkBbLaErD~B|ENzBu@jBgB`AiCLcEj@WnDEhGwBhLnBfG[~FwA~Gt@nD@jGqCfG{AnDj@tD_@`DRhEu@~DqChAqCjD~@xEQvTkFdB}@~McClIiExBsBnMuE|EgElFeBtHaHzK_OzNkOdF}IoImFuB_@mA}FcAq@w@eBt@iBgBaBcBHeAoAwBjBy@?[i@`@w@Mi@o@Am@l@SiByAp@\\oAQa@sCLq@e@BmBa@e@^w@m@e@e@qBvBwB^kBzDRxAaAk@kFjCaBp@LlBkAr@FdAn@BfAhA^bAaAtB[HgBdHZw@qCNeB]s@P}@rBWh@eA{@uB^u@g@c@b@}@JoGl@c@Cw@p@}@~BgBEiAxAsEk@{@BcA_@S@oDf@qCc@}AJqAm@s@s@uDOiEp@{Kz@qBrAa@B_AdAoBGqB]sAyA_BLkA_@Yy@dAeBj@kC{@KkG}@_Cu@q@{CW[_AuASa@e@_@yBf@sAyAiCj@wCaC_C]sFwpK??o}@ceF??k[yRyeB?mKh@g@^NZs@J\\p@G`AwA~A_@Te@`AJHaBl@MJ_Bn@CLm@`BE\\{@`AKd@\\vDc@h@_B{@aBqAk@FaAeBgCwA]YsAkB_Ak@mBs@Xi@Yg@w@L]s@[u@wB]WYRRmASc@wDoDPqA_@_Ar@s@{@OqBeCBkBh@s@SMj@Dz@aAf@Hz@o@[_@b@[HmAkBqAs@AwAaBMaAuBqATc@m@YFq@{@w@H{@i@}Ag@SPk@}@u@Hk@T`@j@USy@\\HLY{@qAb@OHXRa@]cBo@YJ]{@e@VeEk@fAClAo@|@s@EWVNVe@F^fAwASIb@wAh@Xj@mAEHxAsAn@^`Ag@?HhAu@v@MdB`@dAw@TPh@i@jBrA~G{@b@FbAaAtBS`Cj@xB?pBc@h@na@hoDa@nBq@RFrA{@vCy@dAx@lMrArEz@HN~Bc@nBe@@P~AaAjBJnE}@lAAr@mAn@]`DeA|A\\v@Q|@p@d@_@pCbA~Bs@bBh@|@wAjEh@zB]jBtAnBcAt@Nf@gA`Ab@~BSt@b@fA]fATLGzDg@nANtAe@QBlAs@bB^^i@vDz@j@c@lL_@nA}@p@K|A{@Z@~@c@JeD`FeAHe@nBuBr@oArBcAFuBhBBleGb@Tj@tCOj@\\Xo@nDb@d@?lAoCpBeFtLqEdI_@PcA_@_DxBiA|Et@rEkAxCd@rJv@h@hApDf@Bb@|A|@d@nBvD?nAhAzBj@H`@`CK|Bj@~@cB^On@v@fA]d@h@hEwAdCcAj@AtBe@l@nAtGvDbHo@tA?`L"],"America/Cuiaba":["jbQ`kwBZMI[fDXMY|@wB\\P^UpA~@\\Gx@gBXn@XiAhBc@`ANZs@`Ax@~@@r@fCh@yA~Ab@Pm@j@LL]xBSvC~@p@ObBp@j@v@xDb@d@qAp@Sv@r@tCaAJPt@iAlBe@|@gAdCd@jB[nDl@nAO|@`@\\s@h@^xB]]j@V^ZO|Aj@zDKz@TLf@DccAx@m@n@P@_AbBk@^wAeAAP[s@cANc@z@Gd@{Ce@qA\\{BYYt@c@Mu@XW_@sAn@G`@^bAaAd@h@r@?zBq@bAqAhDJp@dBz@Rl@zAZIdA|@`@hAt@?Df@tFL`DYJYnAXnB_BCcBd@u@|ABR_@h@P`@Yh@XpD}ChCTtBc@bEkFfAxAzAl@vA@|@lBfAC`BlAp@jAc@N?j@|CzBbAQv@d@hB_@lEj@jCfAVnCnBt@hBfCdC]|@hAxCh@tBxAtG\\~@fBf@rCnBjBT`Cr@PX|@bADhApAlBwBg@gAx@YA_AhAq@[EBu@n@L@wBVVVYDn@Ti@l@n@CiA~@f@Eq@jB?@aAVOd@Zb@sATj@~@@~AfA`@lA`CGx@`@Dg@rAMJ_@p@`@`BYrA}AXFI]`BVbEiCdE_@TaBv\\y@@rSpV_Tnp@aClB}kBq@gAeAKXk@QyAvAe@zBH`@fAlAVzBm@t@RtCxD|EbAdDW`Ad@vAa@nCZHc@t@Dj@gAjATLc@Hb@XYbAXr@QAmAjCRpDyDv@IBk@fBk@HgBbAa@McAx@K@m@hAKRu@Uy@rAa@l@}AcCaFhFeGeAu@|GqBrA`@\\g@Yo@pBmAFVn@QEu@|BwBEqAtAg@w@QeA}AH[c@KTgAw@gAPaBSc@_@Vq@qEZ{@{AyAEs@iA[cDqCEj@}@?_BoC?eAeCs@Io@c@\\Ui@Yl@q@UCuAg@A[s@YPcAgA`@mASYj@e@c@Mb@Wk@B`@a@WOPyA_@KJwAeAq@z@kAKWh@S_CiDl@i@i@m@N]{@YEy@q@INsA_@FAo@i@GByAo@s@FgB^U_@M`AmAR^?Wp@BBk@`@CUKDy@v@Ug@]JoAP^V]_@W~@aAY]d@@Oo@z@_@Ku@r@mAUY^O[OTq@YUh@We@In@[RoA~A@EWzBeB?eB|@y@X{BSIbAs@MqBtCqCDiAh@YVwAo@c@XyAYiBPe@y@aB\\cDsBkE{AWCw@i@e@R]a@gCk@eAh@w@Uc@RmBpA[L{AdAkAjAQr@Xt@eBO}BeB{D^{DoBaAcBJu@g@u@kDgDsCg@}AwBUOcAwAu@]kBr@q@pXn@PlEz@`BpIfE~AKCyCdDaEEoBb@u@mA}@?uAdA_AQo@lAyCsBeBr@kB[cDRsBhA_COqEgCAcBnBaDH{Bv@wAhA]jAo@PgI@eCk@c@RyBgAcDj@yCkBcBOa@{@qAQuA}Bm@JDR{@a@oBBk@i@y@FYg@kAIHcB_@KFY[NAs@u@b@SW\\QsAoAGgB{@o@@i@y@AQs@aAIE^W}@q@L\\m@OQw@r@i@APcAw@AZ_A_@?BYg@NRc@q@m@_ATCq@kAO?`@gBh@YxAaEIk@o@LcAa@gAi@WV{@}@l@Oq@qBF}@aANc@kCoIuEoAcAaAmAII{MyAaAEs@y@Mb@aC_KyFcEf@Mc@p@GF_@_@]eATc@gAaARmDmA_Bf@}@Sy@eA_@t@iCi@k@mByDcCc@qCoAkAFkBmAkA`@s@~AWM{BsAoCsASi@wBeDDcB}AmA^kB_A}@D_BeA}AB}AaA{EdAoD_A{@V}F_CmBFAe@d@MKu@uAaAuBn@o@Mc@`@aBq@qC?{@^kCGw@h@kAgCkEmA}BGwDeEyB@iCsBiDm@eAh@uC[_Bf@e@qAuAl@s@gCkAByBy@m@h@q@I^n@i@xBs@e@h@xAwA[?p@sAWmBz@q@QQrAiAf@i@y@[ZyDcBo@PG_AiA\\cAKaAd@i@Sk@\\u@o@w@p@u@M[pAwCc@}B?s@h@}@a@k@V]s@iBNgA{@{@bBiAA_DhAeCqByCS[Z?|AoAd@aEHgFcAqC_BoFBgCgBeGn@gBcAyAl@kDeBwD~@yAeAUy@uE{@Qw@{CKoBcBoFgAyEAoB}BmBaAsEw@gCmAgKvtDkPb|ElArDcD`@sClA}@lH\\v@cB`CkDk@yClB_@dA_DfCa@jBHdBu@XU~Ck@r@oAM}@XDjAoA~B`@v@YtBcAm@sC~@aBG_@v@sB_@u@x@o@[yBtAgAk@uBRgEmAiAz@k@bBoBJuAfBaDjBkCDyDlAsGp@c@pAgCV}D`ByFbE_@v@xEjDbCPzDm@`DzCpC`@fCvDbCQ`C{AhBOfAeAbAEhABnAhAzHK^~@|AFdE~BtA[fAJz@i@`EfBn@u@a@iB\\eAtCjDHdeEd@wBxAWjBuAp@p@jHzBlA?vBeAdBFIdB"],"Africa/Lagos":["skNifDdFqBbG`@jDc@~@}AlA[bBBJ`B|G?fHw@v@~@zBg@r@~@bC^n@y@|GLfAqBhBP`@z@pAn@dCk@rBzAp@e@l@d@pDChK}@u@i[ToKw@{E_@uW|BwXlAqEfJcM`LiKfLqFjE{@pDcChC}CzIy@bHsCfGeAjJ{D`I{EjFgE|L{QbCwIImJs@_Ng@gCH_Fy@sE{A_SXuHkBaJe@_LiBgGy@iKSqLV_F_@_Da@aAo@M{GYgEoBkCuCuAXcB[y@qDyBl@y@{A}@?qA{AYZ{@cAwAQw@k@UcAoCkAeEJwBi@mDDiGqDyBj@kBzBu@HAm@gCw@w@PPv@}@JiA}BqAQO{@qD_F{DeEmA]eAuAYgB}EmCyBShAoDwGaAX}B}@sBoBSb@yEkIwAA]_D@gA_@f@cDoOcQp@q@nCHhBwAu@kN^u@oAgB{L}@\\m@pAUx@Rt@y@LaBt@Qt@mBbAw@OaAp@mAzDj@`D_DG[rBKj@{@?}Aw@kA?u@`AiAbIEJa@_@k@j@GNs@YaAo@FZaB]cA~@iAFsAm@DKqCeCTYwAVcA_@o@w@Go@}@_BFm@eAeA^}@s@kA^_@r@wAg@WcAw@AS_@q@JQoA{B}BHiBoAy@\\q@g@SRw@i@[iCn@oBe@o@y@}Ap@o@Ww@f@}AqBuAGy@`@{B{Ee@^eGR@_@uBiA_F{A[kAqF{CeFl@{CaCeLVmB_@V_D{@Co@kAL]{@_@QgAy@[uCz@k@iCv@uCeAwB@qAo@o@uDi@b@}BiDeAs@d@oAe@k@VkB_@{G{CeA`@sJsAe@f@P|@u@v@Fm@s@Oi@{BkBeAkAwB_BwIw@g@}DGg@i@uCMkBuAiAtB}AJu@yAqAKc@fAiAHWmAoAW}@{AKsCkAgBw@?M[cBb@aBq@cAVOm@aBJ[mAiCFgC_Ba@d@y@My@f@m@w@}BY[mAaCy@Sb@s@YAi@aAW_@aAyBYgAf@oAi@I{BwBk@{@yAoBg@mBkBqEuAjCaLmBiB{AgE}CuDMsAoA{AsAgEaC{@uCF}AtAk@fB_CcCkDRuAkAi@Py@k@_DbAk@}@w@`@}CqAu@b@VxAQ^KUu@\\OvAm@Si@Va@hA{@Ss@jADlAg@XRlB]`B^b@Y`@\\?[XPnB_B`Be@CMe@uAd@m@o@gAEaa@nFaf@b[?zOYp@t@DCr@hA\\v@fATIDd@j@e@\\TQr@n@[^`AfAPq@^f@pAaAKPn@f@Cc@h@n@\\Uv@OW]TJf@l@C_@j@v@f@W|Ah@ESZl@t@[zAx@C_@`@TZF[~@A[h@d@DHj@v@_@HvAh@QYr@`B~@ZKF|@^OYdAb@Sr@\\W`Ac@Av@f@K|A^YMZvALFd@n@BS`@^QCe@lAPb@XYPRt@h@XjAM?b@|@Fg@n@?~C_@@XZQ\\\\LY?]jARb@RWA\\aARN|@o@`AJl@ZQRT]hCs@fCeFtHuAxK}AlDeAfGf@dq@pC|J`@hOpD`KbGrFp@~AlCvAfHrG@|@u@rg@uEnScDhBeB|D`@jDyHjIc@tBqAlAqAdDu@~Lh@lCxK|S`@bB}@lIvEfEh@hCG|EuGrFgKtFiOxOyClH~@pFaNbf@dBdJ|CjCXbAOrI^|FSnAgAfAfEnXtKlM?xDvR?zIjA`NbI~L~PnOYvGdAlDoAlBMpBtBpDQf@oAnBWjDpElMfEhRsLG}@pE?d@y@hD_@tEn@bDcAfAkBvESxCjApCB~@^iBnEbBbDv@SZd@r@UnCt@vB}@|@kCxBXpAbBhFZhAnAjAPr@bAShBfAjEx@|@|ALjBeAzAzA?|ArB`@fDnBf@~@nBx@xHq@dBdAdGdAt@dFc@f@LdBj@j@EfE^Wh@`@H[TVhAYZb@d@Uh@RNb@Xa@t@@F`@NWdB?v@hAjAo@`ALH]vAr@Pg@hFDZa@v@d@|A?r@pA`AUhCt@hG{BxAp@~BE"],"Asia/Tokyo":["cwn@stnFxDq@lCgCpAoEN}Eq@_EwBgDcC}AgD_@yCj@gCvBwAzD[zD\\vElBvDfCtB","agn@m{oFlC]vBkA~AgCh@qDpB}@~AgBhAcEE_GyBaFsEsBs@_EmDcE{@{E}AmCiCeB_Fs@aEuBhAoCZsE]{CyAaDmB{AeCq@{BE{Cf@`DcBzFqGbA_DLiF]aEJ{DeAmEkDaD}Bc@sBDoDvAeClDgEKcElBmB|DElFfCzJx@pA|GhGrBn@`CFgCnAeB|Bu@rCC|Ch@pCvA~BxBvAxB\\oAtDCbEtA`EjDhC`@~CjA~B{A|Fl@xFhDxElKjHpBrChB|@","qnr@i`vFnC[zBkAvF}H|@kDAmDaAcDiBoBnCe@vBqAxCaHNqJlAqDv@{K{@iFgE_NyCkDwYsP}GgFeDs@mE\\sBmDcEgBwCEqCz@{BgFkEgFiCsAgDMe@oFaBsDmFkDaDy@gC@a@aDuAuCoLgNyDaD`CoDr@gEYkE{AuDuE_E}BcAmCQgDr@wBfByA|C[jDPlCyAVqCmBcD]{Cl@uBdB_AhBe@tCDnCl@jCbB~BhB`AfC\\vBQvLp]bFxFnDhArIDxBjHbEzCnFn@hGGnBe@rBnNpAxBtBvAfFv@dFqArB~DyDvFYhBHxD~AhFhFnF|R|JhI~CoErCcBbF^rGjDzEmBhBeAxCMjDl@hD`DvDfCr@pCC|CtD","k~}@yvxFvC_@pCuBpAaDVoDjD@zBm@xBkBjAyCToE_AwEcFiGuCqAoDAoDfBqBbEa@|CB~CkBTyBhAeC|ESrEnAdFjChC","kmu@m~xFzCc@fC}AfBaDd@kDWqDoAwCoCoBkCc@wCTmDpB_BpCe@nDZ`EtArC~BbB","k{~@_uyF`Ii@rDqC~BsGn@yLp_@uk@zExCx^tNvZGbDyAtBsDhCo_@sFiNd@sN{q@aqAaFoA}Hm@wD\\sDSkNoDgC}AeNim@_@eZk@cEkA}BwBcBuL}BsKm|@yBoDqRaOy@}b@rDsFxAoE`AiHhBmEPwEaAyG}BqE_DqBcB}B{BgAeMiSgVs`@sT}d@l@_Gi@uHrCuOf@em@zDbEjBl@xBDt@`FtCbE~ClAzCEdCaApBcC|@gDB_E{@uD}BwCcCqAuCSGmCfD_C`ByEF|Cz@|CbBzB|BdAhCNfCk@fBsAxAqCd@oEe@iEuCiEsB{@mBMDeGoAoEmCcC}D_AmD`@{CnB{FAwCvAkBbC_AtCUxDyIi@uNu`@wCcDqBeAcA}BgAqHkAsCuCqDgCyAwHgAiEb@yB{AeA{AG}Hc@}CoAmCqBcBuD}@mDVoCpAsDbE}DfAqClCwE`BkH}ByFOwGoD}Bc@yAkAcEwGmEoB{OeBqK_@mI^eE[uCt@kVc^uBiBelAc^oGa@gVzDiC_@eC\\mD~CoGzBaIfEwI~HaEvGkA\\uEf@oCUsCj@kHOeN{CkF|@yClD?`m@zh@znA|OjRrCbB|CJp^_Kdo@`Ivb@zL`Hri@vAxCnDrDxAlCzGjExGzfAtBrGhDfCzi@`NdFFlH{ClCGrEbCfL`K~BvEhBnB`AjEz[ju@bAtFtB~FCzVhDzOhArCNzHdA|Ky@jHBrDqBzFBdJe@tCcBoEkF}Ei@wDiBaDwDeCmGeAcCZ_DdBqErHcAxGz@fGfC`F~B~BdC`AlDlH|BnB~Bt@hDA|CsAnE_FfBgHpBtE|EfUjApCdDdDfEf@pCtFtEhEdNldAx`@r~@tAdFdTzDdHhIjXj_@?jO|JdN`_@jN","_gw@qmzFzEiAzCcEd@wGcAwEoB_CoCcAkDOkDv@OcDcAqCcC}Bs@eCwAkBkCoAkCOe@gFsBqDuBmAaC[yC{C_EmAeAgDcCgC{Bs@oC?}AsCcBwAcCu@{BG~AmHAwGsA}F{CcELcEk@_GmB{EyCkByFYwC_BiIeB{H@oFfBtClHk@pAHlAt@rAlBlAZhAs@dAD|AxAtAbC@zM`\\eDfFVnDdAz@dAKtClH`GkGRdDrAhDn@hE~AhCxBtAeAlEKbC^~CtAvC~BfBlCd@xFcAlC~@tBDvCs@jB_BtEXd@zFbGzLdCrAnBRrBO|BcA^lDrArCpDlC","whaAk}zFnAqCuHqLaU{WmMmBoB@cDbAeE|DOTfLvS","oxn@ax~FxCa@fC{A|AkCd@{D]gDuAoCsCmBuC_@{C`@aC|A_BdDYlD\\fDtAlC`C~A","}lq@_z~FbEw@vCaDdA}E_@qFoAsCiCsBkIeDsEFiCpAiBvCu@vFV|DjBpDzFrDlBn@","o{f@{ihGxC_@`C{AtAiCn@kF]aDuAiCqCiBwC_@uC\\eC|AcBxC]`Dh@hFtAhC`CzA","uapAurnGfFmArC}D`Iu^TgFGkAm`@e~@`A_Eo@kF?uRaCuAkDQ{YxHmHcQbAiKhCsElA{GtAoBrG}O~CeKpFcVvC_D~CsGd@aGq@iF{AwCgCaBsCYiDcBaHy@oC@yEiA_IiH_MgRaCqHlAoFRaEQwF\\kKk@yHwMkk@oBiFqE{G{Fb@gHvCkFbGhA~H_GjE_EjIcBh@kDSiAm@yKgMeFiD{EyAcCh@cCbBgBpDq@`FTzFpBnF|GzGjDdH~FnIO|F{DbBeChEk@nDs@xOoBzLkCpK{BnCoFpM_NrSaQdMmCvEsJhKuCrW{Ar@e@bAyGrp@L`Ox@fF|AtClBvAvB`@vDEp_AySba@aApSzs@hC~D~k@v^lWfW|ClBlBb@","wu_AwioG|Ds@`CkBrEiLd@}CQiEsAgDwD}C}Cq@oCLoGfBuBjC}@`ENjHpB`JvC~C","ok~@ynoGdDg@fCmBxAaD`@_E_@}D{AaDeCkBkDg@yCd@uCzB}AdD_@`E^|DbBbDjCbB","_h}@ayoGtCa@~BaBxAsC`@aE]qDuAyCgCkBuCa@aDf@_ChBsAxC[jDb@bErAlCfCfB","_l|@oapG~Ce@bCiBtA}CXgD]wDuAuCsB_BwCk@yCZaCxAaBpCi@|DZ`EnArChClB","cpz@kppGbDi@bCmBzA{C\\sD_@_EyA}CeCiBoDi@uCb@iChB{A|Ca@zDb@`EzA~ChChB","cey@_tpG|Cc@`CgBrAsCZkD]sDyAuCaCaBuCa@wCb@cCdBsApC_@pD^pDvAvCfCbB","}et@ouqG`De@zB}AxAsC^oDa@uD}AsC{B{AeDc@wC`@iCfBmAdC_@zD\\fDtArCrCjB","ktp@wnrGvCa@vCoBtAmC\\iD]gDeBiD_C_BwC_@}Dh@aC|A}A~C]fD\\hDdB~C`C|A","}lo@qorGbGa@`C_BtAmC^gD_@iD{CkGaC}AwCa@{Dj@aC~AuBrD]fDj@nFtAnC~B|A","cin@ezrGvCa@`C_BvAmC\\gD_@eEwAmCaC_BuDg@yC`@aC~AuAlCc@dE\\fDvAlC~B~A","scu@watGzC]zF_EvDW|CgBxC~BhFlAlHMtEsBnBhCjCfA~LOfFuBbCcDl@sEk@_G}CgGsBiAsBYyDd@iHhDgBzAcA}BiBgBqG{AgDXcJlEyBsBiCq@_LjAeFbBsDvCsAbCe@dD\\hEhBlDbCjB","yln@ohkH~CYdAi@pB_C|@aD?wD_AeDgBgCuC_AoDFmC`AoCzDc@~DX~DtA`C|BdB"],"Australia/Sydney":["x{w@mkrGtxCC?eLaA?@iD~@??_GgA{B^e@p@Du@_E`@SPoDzADUcDiAKA}JtJX?oAfB??v@|G@AdFlCW^k@?iBbCTn@e@zBNCl@zAT|Ae@S~Cq@EC`a@g@@KxBqAG[nGrAAS~E|oBUXRd@a@i@]p@QUm@t@o@u@K\\o@UaAv@AQg@d@U{@i@Vk@W[r@ASa@bAsBt@Mw@cAn@y@Mg@b@@?u@j@UYgBr@k@dAPIo@g@??iCYZg@WK`@FeAa@LJ_@o@Ig@yAIy@d@Wo@YJ{@\\HSi@\\@f@eEk@QGe@Dc@n@We@S`@s@m@OVyAe@RMq@r@PJ{Af@Rl@c@@gAc@AOw@He@x@@L{Bh@_@xAVTc@nAZScBPYh@\\TaFp@LCr@D[n@HNj@lAa@dA\\L}@j@n@KaAj@b@Lq@N~@d@m@O[v@EMc@j@s@o@DHe@~A?h@^D_AdAPQqAVd@`@_@TZ?g@fAd@h@q@f@eFa@KIp@y@DMwA`@a@a@?Bi@wAh@G_Ao@j@y@g@If@G]]F@uBm@TBgAUZk@i@\\e@z@j@Ck@d@HOc@r@e@@s@XXR_@\\R\\s@_AiA`@eAz@[_A_@Rw@h@JUk@d@K_@AX]i@_@l@k@g@g@JO\\ZSi@TRV{@a@[f@EQ_@p@i@Ia@z@K[_@XOIq@d@j@f@q@W_AVmAp@Wx@d@?[VB|@~@vAk@f@r@nACb@e@r@B?Zt@y@FVt@CbBcBvA??sBz@m@WeEXSl@`@lAu@lBx@\\gAfAk@IYb@SaAsAp@o@IsAZc@h@JVeBt@sAb@Et@sCMiA`AIDk@d@LNk@[u@v@m@ZuAbBs@@k@x@Q\\eBf@E\\_A~@e@_@y@`@@XkBx@YE]t@V?e@VVF]BZZOL}@xAFGa@RNr@{@Cg@dAu@UOX@Ag@p@HV}AfAw@Uq@xAAy@_@Hg@j@C[cAbAHQgA~@MUYl@iAa@k@RSi@AA_AsAi@NiC^]ScAmBd@{@jAe@MOs@y@N_Bs@c@L[o@Fw@k@{@Y{CXOEm@VHYwDh@W?eC^}@c@kBi@SAuAk@]ZwAa@Yf@GQm@ZHl@iAp@KWu@h@J`AsBPHIo@\\@Jy@PPPyB|@}@_@cB_@FM_B`@?Hq@Ws@j@N~@s@i@_Df@OLcAYBPu@_@_@`@F?uAl@W{@mC\\_@_@Sb@SXP@{Aa@Qp@{@iDiBRi@[Uj@YL_AaAEbA}Ao@[\\i@QaAj@DTgAd@KEq@b@Ic@{Aj@@Ek@d@DKiB^m@b@@]_BXOCs@r@?[i@d@_@kAY`@o@Uu@|@q@Og@qAQYcAuAE]o@rAg@Kk@d@qAS}Ch@eAy@aAsACi@e@F_@o@AIY`@}A_@WA_Af@{@j@Hb@}@g@aAKfAYCZeBaA{Aa@wBlAiCE{@hAyCMy@|AWFwCnAf@Xe@l@Nb@U@gAdA^~@e@\\\\hA[bBHRm@lCf@|@sAz@OTgAnESQa@j@SEy@h@u@Z\\Nc@|@PzBpAh@lA`@CfAdAZUImD~p@k|BqCs@aFJiCyBwCg@oJrBgCzAgH?sGwA{FgC_Ik@gCgEaEuAiEXgDnCcFe@qBaB_Dm@yGiDaDwCqEm@eBwA_Cq@i@uCaCmFcJsGuGq@wBb@iBjA{LkEmFiAkCYmEVyFcIkH}FyHoBkMuA_G_EcGyBeDyCsI{CkF{CiC}Bs@aJoCqHwEiEoByCoCqA_@wC_AwBeEuCyBYkCXuDOmDk@iFp@cBeAmBwDaB}AwDaAiHeDqCWeDmCmF]mDkAiFIoCuBgJuBcCC}Bj@mCdAyAtAeJaAkIwEsAaCgBoAiDi@mDj@kBoDgDeB}EFqElC_OkB_JK{AeBuBaAeCQeC\\wEmE_DsA_PqAgEt@gChBiDi@kGKuE\\gCjArE`Mi@rBtDfF[bD|@|Ac@jB`A`@ZOp@vAjA^c@|BA~Ew@jBR`B`Ar@Kx@`@p@gBfDAx@qAl@hCfAaAhBuAO[r@RvAnAd@Az@dACfA|@KvCjDxD_@nBz@nAHdBpBhB@v@o@T`@j@vACb@w@fDo@^oBt@Sn@`AlDJ~@j@@k@XAtAv@YVbAbDi@dCfB`@]r@\\v@qAbA}AR?t@pBnCKp@z@`CfC|AfANXYvExEWzCw@CgAhAs@Jq@_@i@d@m@WiCRiEtILtBwABKb@}@Gk@b@SnCuA|@J`AwBtFv@jCUNr@pAo@zCd@DEl@QUKZRdD[x@_@CYxA{Ad@kAxBhAxCo@vB\\\\AzAf@VG|BbAnAI~Np@`@CjAk@Fa@hANZw@n@@fDh@dBhE~BWz@z@nAGh@`Av@Gl@r@h@RhAv@PFlAv@VL|AdF`Bh@vBh@Z?lpN"],"Africa/Dar_es_Salaam":["vdH}gx@nQgA`GeBtByAdNgCnHmCjF{@dBGdBb@nF|DnCl@jRqBtHwEzFqAxA}@~F{HpBcG~A{BjEqE|IuFtL_ExN{BpUgMbReEjOkJjBcBjAqC@aB_ByBPcAnAw@Ck@m@a@RgAy@u@tAk@N{BzA}@K_Bv@aAz@UvC\\x@[jAmCfAs@PqB{@{@SmAdBeHvAh@jAKxBiB}@_DPuD~C_Dw@oBf@cCUiCr@aBnDiAj@o@OwA`AyCJ{DjASb@s@pAuC_@q@f@EMa@l@e@Cw@_AkAxFeH`@iCk@_AXaA]_BpAiAN}@|CaBVgCmAuAOaAp@qARmC{@o@BcBnBgB~A_Dn@UHo@gEw@a@^uABiAy@q@cChOsPvJ}FvA{AxCoAfBh@lDeBfBHbBi@nFt@~@W?i@l@GxAv@nAWx@yAl@NfCuAp@T|AcA`JR`CdBvALLk@pCMjDgFxAYh@u@b@\\t@OtCmG~BEx@q@fDGK{V^yAm@w@f@IBk@OgA_@@@q@h@Ym@YTk@i@q@ZkCoBeC{@?IsBW@TKeBgAQ_Ab@YPoB]_AtA[Ow@x@k@LcA|Ai@w@qBnAS`@o@k@y@d@N\\q@pD`@hAeAc@gBz@_@?i@MaBeA}@V[SgDb@aAzA\\\\QyB_CnAeBsDyGcE{AbAk@T_AOk@b@eAq@yBJsAlAgBL{Cl@{Bi@iBLw@hA}@XeCmB{Ak@qBV_DeBuCw@_EqAcAaBRiDeByBCeBiEb@_Ga@iBRoEb@iBnA]BcBtAeAxAiEcDsFeBwAi@mCNyAkEiGAyFu@cF~@sFoDkEmAsDeCkDeC_N_CiEuAkGoG{IuCwBy@{BCqBkHyG_EiIuC~@yDhCe[db@sh@fIcZhAgl@wPkKmAqq@UoCv@y\\vQyiAaPqMQyFjB_BlBs@zBLbFa@|@?~HdL|FLhAYbB{KtIa~@vxA{FdAoAjC\\lCoAc@c@nAk@@aG}FsNlAsE`IywBnuEn@lA{Aj@?dhE]dAz@bCdBbBI`C\\nB_@tBx@b@x@OFc@~@Lb@mA~CuAhDa@XwAdAa@RaBdBuBxCM~F}DrAd@dISbDl@vGuD~FlBvEY`BjAx@fBiAbBtBvB]|Af@fAI|@pD|@p@x@x@CpE`Cx@mAiAeCt@@~BhD`BCdCfAxDcEwBoCtBmCpAm@k@cAr@wAe@kEpCfBrAkAfBb@E_@h@WtAC`@dAz@{@jAhDq@b@fAh@`@hBpA|@n@WX}@dA^jC|Fr@f@Ql@nApAzAKb@x@rDrAjCo@XXi@`@PdBvBh@lAfBpBp@`B`@h@_@z@PHp@hCjAhB~CxEfADlAZCPfAn@Pd@~@JdA|@p@e@jBtB|AzATk@bDBzMpF`C"],"America/Caracas":["a_QpgnCvAK\\aEs@gALiAeB{ABqAiAa@Hk@aAoAjAq@`ARLq@~@]lA|@bBmAP_@g@yA{@KTqBe@EjAq@WUPe@d@LnHkB~R_Cf@kA`@BrKcLTJLm@|@D`@]rBZjDoAxBf@j@q@|C?{@bA?`AlADnBhCv@}@jBWjEx@tFBnCo@nCn@r@y@tBOTi@I_Ch@y@]o@JsEpBqAjCf@rLwFt@mDKgDWiBgA]AqBdAeB?uAm@_Ah@kAh@Gi@s@p@aEy@mAD}@h@m@c@sEj@o@a@WPiA[wBr@w@`@N^qDUy@eAq@EoA{@QX]q@a@NiAi@F@yCg@]Nu@]gBdAqAUmDrCiBAoCr@Y?{Ap@Uh@iAMsBaAsAIsEru@oi@sAmDtBuAPeCoCyBO{@_ByAa@qBt@gAj@iEI}C|@oBOwBr@uAkAwD`@yA{@a@K}ACoEx@qDoAgA_AoDAgDnAyAuAyDyAmA{AcDz@wBFuEfAqBAaBjCiDv@`AhANdGkDz@zAnAp@n@bBnC|BvI|A|C_@bAw@hAn@|@?nAlA`@~AdE`G|Av@lCoAfC|@hD}AjE~@pM_@lJbA~AuB|AA\\u@|@PbAc@z@xAbEUdFeChJoA|CuAbCUbAiAIiBg@o@Ne@~Bm@r@{@vDG~AaAzBWt@{BpCu@fDlCnA??tBxUzVf@rA|C?Go@oAs@KsCh@Gh@aD]qAlDeBhCCc@gALmAzAc@xAwC|@Qh@oAbD}AjAkCnBqAxA`AfBFjFwBGmA`@[~BWzCt@rBsBtC{@lBClHoCbB@vBwAdEKlBmBlBG`Av@tBq@d]ca@iAeFdAgBe@gAH}@eBKNqBW}AuCs@B}@e@i@s@Hq@sFsAy@E}Ab@Wu@q@p@}@s@MP_An@EUw@j@J@i@lBaAfABF_@hALRp@l@FRf@ZKd@|@jBx@vBwBk@_@g@iD_Cw@Gq@eCf@B_@sAm@Aa@kCs@IkBd@UKeBn@AS]sDaBYr@eAe@mCHK{@w@q@\\c@W_@rASB_BgBmAmBYK}Ay@Sn@eAyA[uAoBdB[hAuAsB_B]aBmAgAA}@iA?iAi@Ai@u@SJa@kAwA@cAoBkARWS}@bAEvDzB`@i@CcAr@c@g@Lq@o@aBKs@_Bg@Ke@}BiBo@Yy@Nc@kCiBkBW}C\\qAs@y@d@oCOcAqBo@UUeEr@yBy@U^}@q@w@Hi@e@C{@mAz@gA{AAIs@sAUy@aDx@eAWeAa@C`@mAcAmAuA?Uo@i@ZQe@kDMu@`@{@k@cAPWnAm@TfBbBcAl@XfCw@DKvAb@dBg@~A\\`@S\\TdAg@x@i@DNVg@~@z@~AK`A\\Po@rC`@PiAtAyC_@@a@oCsAkA@c@j@i@u@Wj@{@MQf@uAFoBtB]YcAFy@hAs@?IhB_Bc@sBvC{ATw@aBaBq@}@BaAqAqBCaAdAM[GVeAYMa@q@Tm@UqBjCS]cACQv@o@SM`Ag@BBl@}@GHdBwBn@L\\mC~CGvAaB`@T^Ub@}Ar@k@~@q@][jAm@J_@xAa@JFp@k@PJh@g@HFv@}@lAMUaD\\Uf@}ALKj@_C[k@k@\\qBbCq@hBkCtAOZcCe@}@Z}@cAu@p@eAw@c@PqAYiAh@y@iAe@hCmF[oAtGsDEw@fCm@Hg@t@SiCaBTq@k@yAd@cBMwAt@YDsC}Aw@o@D~BmBVR~BaEiAMf@qAeBiAy@LDp@s@De@qBtBoDFmDlA`@j@[HXd@Gj@o@JiDf@u@`B}@~@BR^dDsEKu@qBq@I_AsBcBRoAxAaABk@u@[sBb@oAg@_AxAk@c@eA`AsAKkAmAeAp@_AeAPeA_@eBBmAz@aAAe@k@FEy@kAN?`@{@GEu@s@BC}Ba@UM`@[MAsCXgA|@o@MiAv@}DlAiBa@cAs@JKyAaAEHwAy@uAd@CvA}AmAUF{Ao@Sb@s@Io@gAHw@e@?aAi@Jc@{Al@Ke@kBp@w@m@aAb@i@S{@eCeBg@f@eCWaAeC^MQe@\\wCWs@u@OUcAgAzA{@?DsEdBoCuAgBL}Du@WCw@iAAEm@mCZMw@gBa@VcByA{AMqByDwDaAEMw@}@YQm@y@OmAZUh@}@M[bAuBE?^oA@oAj@UpBam@hg@wBgB}EyBBo@e@[^m@m@I@]kBSRqAc@[i@d@oBy@Er@oBvAeAq@u@PgAo@eAPOz@}AUc@n@^NId@m@Yk@j@i@OAa@_AKMg@oABa@}@aA]d@}As@[VyFiAaBiAn@o@]bAyB[gAnA{DuCoBcB_IqBcBSgB^u@oC[g@uA_By@}BHc@`BaAn@VrAw@l@Gt@h@p@I`@|BxAuChBSp@eAZiBm@]u@_Dd@o@fAy@GM`Aq@p@wBl@i@[Bc@g@@Xy@Yi@aCi@Tw@sAD_Aq@w@^yBgBi@Nk@qC`@{Be@s@Ry@aDoE_Bw@}@}CmA_@IsDsAaAsBe@k@Z}@c@_B{GiA{@gAXcNxIkBwLcFjGy@`CmAnLHrL{IpBwG^gHjA}M`H{JjHkCtCsA|D_@`FuCbF}DhQa@dG?~LuBfMkGkBsCtI@`FcDtBa@qF_D_FUqLcHwB?uByF?_KoCcAzBU`Dp@xDt@xNcCl^xBzJe@jCGxJVbC`ApBOjKjBpFM\\kFeBsDDqBmAi@cCiB}BoB_AwBWwCVcCpA}A~Be@nDR|BfA`CI`C\\|BrCrDxEdKa@dGpAfJpA`DtCxB`ItAlC_@xBoAlAgBh@{BvDfBxEEr@|DpArBSxEh@pDnBtClCjAb@hEzB`DmD~VuCfK_CnEs@r@yEVsCbBiDk@qDb@aD`CiAjDAbCp@pCvB`CdD`Af@~CZxh@lBnIj@zPlBlVeAjGwBU_HZuGhBkBfAqApBkHdD_DtD_DlI{BxCu@pDeB`BaAjCUlKiApCaBrKLfD`AhCSrGwItBaGHmNlFyE|XxBvDx@dDxB~BdOvEfGHbGyB~CPzDcARVt@jG`BdDHvEhAzHfLvXRxHaDvIyExCuDbAuDgXoFeIoD_BqEfKf@dBd@QxFhXpAvJr^jPUfEfApDSTnA`Br@_@|AvATMpCvAxA`BFhAbD`A`ACn@hAhAKdBn@bDjD|@h@hBFlA|AxAJb@YlAj@~FU|Cp@p@S|ArAnAAjEzAdAk@Z^hA_B~HzErFz@HfBdBnAd@IV|@l@[tAfBvCp@Hb@pE|A","umWt}iCpFeCdF}@fCcBzBuCE}Bw@oCwBeD{BoA_E]kCf@yGpDoDtDSbE|@vDhCnC","opVhrcCvF_@xBy@rByB~@uCT_DU{BnAmEMiEiB}DkEqBiHPeEhCsAnEf@jF_BzAiA~C?`EnA`DnCnB","_bVndbCjEaAbDuDxEmBxAaC`@cDk@yDyBoCYqE{@uCmBcCoCiArCqBbCyE\\cEc@cDwA_CeCeBgImAoDd@}BxAqA|Bc@~C^pDnChGtA~ApB`AiG|@yCzA}BdE[pDbCpNrBdH`DhC","ilTpe_CvFaA~B}AtAmCrAwH@kCcAuHwBoCcEqAuEZmFnCwAvC{AtKRvDdC`FnCnB","ocVft}BfEg@xCsBvAiDd@sEzBoB`AoCFyC{@eDmBqBgEyA{EBcH|CwB`Da@fD_ClFI`ExA`EzExC","ms]`v{BlDe@pCiB~AuC\\_D[eD_B_DmCeBgDc@qDZsCxAiBtCe@jD\\pDbBzCtCjB","kdU~uzBfDg@pCkBlAoCNeEgA{FyA}BsFyB{DOsCv@qBfBaAhCIdDz@nGzArC|C`B"],"Asia/Manila":["owTgz}EpDWfCaArBsB`AqC~I~FpCc@|ByAhAaBAcPgAsH}DyAcFXuBnAwAzBa@`CX|DWl@aCuAeD]yCd@yBvAi@r@Q~L","wqUm_~ErF}H|G_HgB{AiCu@_DDmC~@gBpBy@vC@vCx@nC","osTcg_F|Ca@fC_BpAcCX_De@_DaBeCgCsAwCWuC`@}B|AoA|B]~C\\xCzAhChCxA","{}S{w`F|Do@pCcCbAsDU{DsAkCmCcByGcAkDReCpA}AzBg@bDV|ChA|BfBvA","gmN{{bFbFg@~DwC|@iB?iIpN_Yb^c^`FcK|KxGxR?tP{U?g^|PkQzD_UjPw@rCwCxBzBr@CZtAb\\~\\xR??gc@uM}VqXur@st@unAuT{NxOssBxn@kaAx@gEQqGeD{Ggw@wl@}_AsY}Ce@_MHeNv@}cChXiy@rKusA~WaFbB}SdPiK`LcyAxp@eBjDwUtkA_fBbh@sYqJsOuCkF]}jAzJsfB|IchAzKiD~AoBfDa@bDX~ClAfC`CdBzXrIt}Apa@nj@`h@xs@bM`FRvmAza@`J~@xMFnIeAduBsMz|A`IdmC~iAlx@h{@nIlI`IfGxFzDhe@~U"],"Asia/Karachi":["eiy@q{uBbMaLzB{AjADdAqA`@mBjDoD^eBrBWxAd@xA{@~@}An@`@nAOViB~@Dx@gAXIp@`AbA}BdHqCtB_BvLmNjBkGzCuTpBaEfBo@tCiD}@gK|Oz@dNcCzQe@vFpBnAcAdA^T`AbAyASgBv@_CgAoE@wCm@cD`As@VqB~DeBWr@jAnBbNHXvBdBKXa@B`@hBWl@\\~AOIrDn@rBk@tBVjIYx@JpA`@h@\\IV`BShAdA~AP|HbAp@KbB|@dCxAGl@j@Kt@jACv@q@`AdAd@k@CvAzBXKrDWt@aAX_@fBjBfAh@fAExBTT`KnBl@OHVVa@fBt@nBYGq@~@cAH`Bx@j@`A_A`@^jBGL|@f@To@zBv@Lf@jAr@If@n@tRb@nQzBrKRh@wKsCic@_@a|A{Awm@}Gic@jZcsAlx@un@xFsK`JgYcKwJ}AuCeK{@yBoC@aBqBy@Ga@n@]GsUiSWc@uAAi@lEiAgCqAm@kAtCoAHc@eBwDjAeEyAmFXiJo@gEpFsG?iQw@sA_EuAoBeOmCwKZ{@jBpA~Bm@jAZ~@aEM}H_A_DgA`AkBqC_@mAZoBwAsAUkA[G_@l@OnE}CKi@`@}CUmAwCy@g@s@x@wDlAcGpDaL`BcGpGkB\\aCnCaG[IVaHMs@ZYdB~@|CP|GoAjFsA`@oCzC}EpC}G^yCsByD_AuAT}Ci@aJTgApB[xBj@rIS|B_CfEuDhLyBr@yKy@yIsCuLgP_EmCaCwDeNuE}D{DeAiCwCwCq@kGr@gDpDmDzDMjDoBh@e@\\aFm@uDsEeNkAaJIwPcDoMcIw@aEyC{D_GaDsCgPyDaCqB_B_BcIcSeDwLyFsBeDaD_TiKkVeFqCoKaBcLcGkI{C^wAr@oAdBgD{DH|AeBObAy@y@?e@c@SkAg@NLe@_@On@c@G]s@e@K`@o@w@_AJDk@u@QFi@cAyAuBmAWmBgAt@MsA]LiBq@Y{B[h@e@I]qB]XOe@@\\SEgBaGq@DsAs@h@w@[kCk@y@kBLKz@^l@]HAv@dAOb@nAKf@eABSlA_D_@_@Pk@_@k@V_Ai@O^m@m@y@E_@aAoA_@KkBc@^U[k@p@OQ_@zBg@QKy@sAEmAvBkCh@iA~Aq@a@c@mB}A@_CaBi@?Jy@mA}@AgBa@AEgAW@E_CoASaAeBQTYSWkBz@}C}@qBNgAm@c@ZeB]o@iAIx@iAu@oAcAIu@iAy@Jg@qBqAQw@xBo@a@m@^El@m@PC~@a@@W~Bq@@`@tBiC|@P`@y@rBbAT`@~Bo@XK|Ba@AIpBj@n@SvE}ACWv@k@UHh@cAM_@h@_BqB]x@iBTaFcB`AnCh@s@Vt@n@KOnC\\hBe@BAr@y@hAyAv@uBH}@fEo@q@{C\\uAtHk@Y_ChBkAbCM|A_A`@_A_@a@aABqAkBwC}Ai@cBRwA_@k@x@qBn@u@tBJ`B{BdBYY{@FoAx@i@wA}@I_BcB]cGkBoDu@N]We@\\]UmBvALfA{@vB`@dDSlAv@z@WxBgAx@yAQBk@o@?w@mAc@Fk@gBG\\o@S_Bb@WlBw@MHn@}@g@[l@z@zBUlA]?\\lAWr@iAK{AaB@gAu@}A}@JeA{@QLkAgB}@DUr@eAIKg@kAa@b@kEUgA\\KJaAy@UmAgDoBgC@uGf@eGnBmCl@qCRgLvAqDs@{B`@eJhA`@HiArB}Ci@kAp@yCk@aA`@w@AaGr@eFwIqNCy@`BiBJ}Aw@}@WuBq@a@e@Vi@aIsBgC`B{Ea@iAz@QW{AcBYUeAaDOaC{AHkCj@iAyBuAe@J[}B_AaBD}B_@SuB`BwA_@]hCw@t@k@Yu@t@eAyAi@jAqAEKv@cAd@TlB[jAi@\\k@KkB|Ag@IAhAiAPw@wAaBzAUcA]HcCbDs@Hu@nEyAp@i@u@w@\\y@s@i@`@M`Ar@Bf@z@Q~AjApAW|BPZv@Q]jG^NNzAa@r@eD]qBjBmAHElEiBnBQWqBj@WgA[@Q{AyBNJoBsCvAMl@uARqBeBgE`BqB~BkAk@uEzGoB~FKvGdB@c@dAl@x@M`@cB`AuBWmBPa@fAs@A_@m@QPNr@y@bDb@rB}@vCk@Oa@r@h@t@HlB[|@p@hAVtC`A]^r@Kl@o@BoBrAoAIFrAh@LVlBqCxAh@j@TdBb@Lp@~DvAq@^RkBtEfATZhCrAjAn@fCk@`C|ClBEnB\\`@a@tD_Ap@ElAi@][`@Y|AdAx@q@tFb@dCUn@b@hBb@Jo@zBT~@Y|Ah@nAWx@h@v@o@dA\\fDa@hAZz@I`Bt@z@a@hD`Ap@FjA_@rGb@dA]`Cn@zD`BrBEzCn@|AQpAt@hAWdBl@^b@zAdBm@X|ErB\\EfBdAt@TdChAd@@tE`ATrA}@bAl@iDjHLf@dAElAn@z@rBp@{@f@TIjBl@BpAvCfAPx@tCfAZAv@lAfCx@CXdAdAf@ZDnAyB`@sBj@IOcB\\c@~AL`@eBzC}APq@^f@dAUl@qBjBRZbAx@Ln@i@dAeElCr@pB}BhGbFfDqD`@aBjCnB@fA|ApBrBu@t@hB|@Kr@hAfA~FdAdBvBLz@~AdA\\DlAfAhATtAz@b@vAw@vA|@RxApAz@p@MPZ`Bg@t@eASaBb@c@pANVsBrFpBXe@h@ZrAKnBtBhBI@vAz@|@K`An@~@Gj@^Kn@~AY`@l@vCAdKj@pDs@pC]xLaAfBHxBmAnDXj@ItCf@Z`A[f@rArABv@eBzAK`@aAbC]fAoAMu@j@qBOmBfAU|@T\\qBxFt@ZcA^LX]Dy@hAWHqAp@ITk@j@\\pAc@DbAfCfCj@jBd@L\\dC]p@`DdBJbDx@ZP~AWpBs@p@b@vBh@HSfHbDjDxFURTTeBf@zCdBt@DdA|@d@lAaABi@z@NzA_@Ph@bDzA~@xEnCfAxHsCnDlAnBDfCs@n@PrC[bC{@?t@xBpCN|@hBj@b@r@l@MRt@dB\\nAvC~@h@g@vBnAh@V|@WhA^\\y@bCmALcAlBwCd@MbCoBdCjC|G^eAIuFjAr@Bh@k@h@?zBi@`AAhHu@p@c@S]hDc@NjDrB~@pAh@BdBhDh@|F|E~GCjBc@f@RnCrCqAl@PVaA`@Ge@aF`@eAlBOj@f@IdB`BpC\\hE|@~BBlBj@pAIjD\\n@s@`Eo@r@bAhDo@`@@x@e@?{@eAs@h@FbDtArFlBhATv@SjApDlAtA?fEbFr@dIt@v@dUxEhC{@^_BlA`@n@w@hAp@v@GAVrAMnDj@fGvBr@z@bEaHbFtEnSbjAuBr_@XALlCf@l@WVnAvECdChA~@BfBzAhAp@u@f@R\\xAaAdC`@jCuAbCeBzSd@hM^@KbFfCrn@"],"Europe/Istanbul":["wjmA{|p@nBaAhBcGiAaPgAuChATdAWp@xDbAv@hAHx@|BxAr@hAMlA}@`CyHpAE|A|AvExAhCMfB}D}@mEc@yIR_Em@eCzAjAzFq@jBwBfAaDlCiBn@uAtAx@`ENnCk@`BwBdAxE|AbBdBVgAbBo@vGdBnGxAp@dBBpCiCzAg@`ApAn@pC`Bb@pAQx@|@|Bd@|B{@tAeH~@kAT_BnBeCl@mCC}By@iBuAq@b@aA|DcAdAgBL{CoA{BxBaEh@qDdCj@lBy@xChCR|DhBtBtBI|@oFjGyAz@VvAaA|CgCRgCh@]hArDjBvBtBa@|@^l@Kh@l@vAkDt@k@`@}Dc@cBpBaD_@}DR_CbBlDc@fCfB`ChBfFh@RnCQl@_@tAoCj@_Eu@mG\\mBq@eBmDaCW}ER_AhBg@vECtBy@Bq@[kDaB{FqCoA{AcFqAyAHsBa@wBzBiAbAeFbFyEPwCiA{BrA}@l@yB|CDtAk@xBcD~@wCrEcFViB}@?MoFc@wAh@s@I{Cf@FdCqCn@fBjGaEWaE_FeQWcDtBwCx@aEOsFkAuDcF{EaHuC_EO}JyBiDFQeHdAgMlAkCxAsHlCoFjDoOzAmE|LgJxE{GjCcGrCsKrA_M_@iEeBoDZoDOuCcBsEZyFq@kUo@wCkCsFg@kGkGyJqBsAgCm@qFuF_IuOzAqCn@qFdFaNrNwZvFaE~EmMc@eDf@WlAd@h@gFjBkAi@g@oBFoBc@m@{B\\s@Og@iBFf@aBo@gAkC[eAf@y@e@i@n@s@eAo@b@OYv@kCwAmAt@qFa@EWwCcAr@_@[IjAqAGKx@f@p@q@HMe@_@h@g@S@h@u@d@yAHg@b@iE}AuC\\{AiBmA^oBsBu@H|BsSr@?DqA\\U|@`Ap@I|@cCkAi@IeAj@i@g@iBHeCjA{JsAo@uCaI?yFkC{HM{CkAs@wBiKj@mHpB_IpGuJEqPrA_KoD_e@kCcLy@}@k@sFgDwIiBsBYgFuCkIMqBa@W@{Ad@o@][SaChAoN`AoBc@aBBuNgAkF[{HkBaNs@kB}EkFLe@~@h@PoBUm@f@Ox@cBd@Kx@v@zCeAcAsEGiFkCeA}@sAi@@Gy@i@]_@RU_Ba@DwAoBPeAv@U|@wFg@eBo@Ya@wF\\]X_DpAwBk@q@CcAf@U`C{F]gCpAyCc@{AJiEfAqA}@m@AaC}AmAi@DKkAy@s@\\aBSsBpAmEjAmAxCSNlBlBjArBaBT^fBaAf@uBk@IoAgB]`@WQk@uEgFaId@}AFkDl@o@gDr@gBqB}@^}@dCcARS`C{Ar@_@dBuBIkAy@gA\\g@_@wA|Ai@KoAoBqBrAg@rB^xCoAHNn@o@z@m@U_@^]jCRdBi@xAmBw@k@RgCwBk@COc@SRKc@e@?KgA}@ZUsAsCe@_ARgBuDiAg@c@bBu@Zt@hC_@b@BtAi@d@]g@kAb@mBo@w@`@{DYk@bBy@UuAx@]s@cBKs@y@a@f@]KSnBe@Ag@bAq@Ma@r@cBDSb@y@oAoBh@c@eAe@b@_@K_B~As@fCkAI[d@w@o@St@qANiApAoAkALwB\\?w@yDpAoCeAeD?wA}@Uw@p@cA_AeBn@kB_CcAMoAf@eEgH`C}AFiBlD{Dw@OEb@q@Eg@jASKEj@w@FBh@w@XCl@g@Q?lAm@xAYIFh@eAFUt@}@RaCpC{BdGi@nEh@pCLhP}BfGFbB}@pBeALa@aC{B|BC}@{@@]rAqCbByCy@mBzCu@y@]}Be@JLk@}@LIy@gCaBk@Bi@}@cA\\y@S_DjAu@z@cD@}BbEkAzEiAG}@p@o@u@iBp@u@bD|@pGYMiCtA@bCiAgD_@AYzCiAdAg@`DwCfBu@fCi@CCp@|@n@q@bBi@FoCsAGX^zAm@dD\\`Et@t@~A@jAvBdAMAnCy@~AAjCq@xAB~Co@t@h@pG}@~CzDpG{@hA[|Ci@CPtCyF~SrBfC|AdFfFfK`ApJjAzDbCrDrAhOnCrGmCzZ}B|E_AhJfApHOxFnAjG?~F`CpLHtDjAtEBhCcBzTiDpC}AdFo@hK~AjH_B`GW`FeD~C}ClIkChQDhHbCbHm@x@_Gf@gCbAuDlDgCfFiAxDUvDX~DhDzOwAlGs@f@eCkAwCEyBt@}BrBuAtCo@lFmAjDa@tIVpDz@pC`BxBvBfAy@dIr@jMw@xHEpXkAvXtEhW`BxE|A`SrFjTpBrExBfC|CnLtEtKzEhRzCrDtEbAh@|JoCxWkCrMN|FfC~F?`BoApYgBrOq@lPuDfRuF~Q}AdBuDvBsBg@eF@BrRUbA`@xBcAfB^NUB\\bAlAa@?tA_AnBBnANKZ|@EbBPOT`@@lAb@EH^RU?ViB`BQ|Bo@\\]lAeBv@Ez@iArAClCf@p@f@EcAjGVrAp@Ab@vApA^J|Dj@x@i@bB~@pAi@`GhBxBj@m@b@`@V[bBrADrI|BhAj@DtAiBf@{Ed@F~@sAVaCdDFlEk@Ja@nCDn@tAc@`ClAjBb@Dx@lB?dDdAMvAn@~@{@x@bAJ_AfAl@|@]h@oAdApAnAaAZrCv@a@PPi@|@`AVOt@l@??^^D`@_@p@~B|@r@dAHXpDpAjDpEeAzBeEI}VfF~NdBxCrB`@tCkB|DtBmBHsC`BwAvBWhB~@nJnA|DfB~C"],"Europe/Oslo":["}kiCh|QfCq@tAkAzAaDjAgFhA_PKmU_CkT{BqI}Bm^qBuMoAqDaB{BiHwCgAIiB|@yA`CuC~Ly@zP\\xVhC~VbClJjBjEtBzPzCxMnCzGrAlA","}gvBo~FjDWpk@sW`^uHzEm@|TjLjB@~B{@bCkD`GcSzC}EzLsEjEgCrImJtHgOfUmn@fAqEjDoW~@wOHqYe@kKaJel@kLkZm^qt@wC{Pu@iKZcSeG{AiDuYkAeB_CiAgAsJvFyFHT`ECVaDk@a@Te@c@}Cs@Kq@}@aAHwAu@aCkC_@`@wDe@eA}AmEZgDlBcBN}EzBe@McAaDIyCyAaAOqBaBl@wAE}AjD]yA_@?y@gE\\iCGoFkAqBkA{EcBmBm@iBwBgB{DqAeGtAcDuEuEAkAp@aBbCuAHuDfFkFvBkABuFxEkA_MFcIYmCeDs@kBeD{BwAcEiAgLzQJhHaIrP_a@aIoTdNoG_DuHxBaE}GyOdNcL{MeF|B{CkHuA}@eOaUgDeNiAwPlDin@uJyJwOtAwA|LqCxMwBgBwL_PeOwTaGiB{B_GeLNgJuA}EgDqDrAoMfCi@o_@aGa[qKvE{EgN{RcYmCuH}BcK}H_@kMrRgDgC]sNyBmDgByBuOkJqGuZgCiE`D}VhCuMkMuN}KbBeGq@yAoPtCmLSuU`Iqy@mGcReC`QaAcFuCmHoGiGwFx@oFlN[w]wBiIfDiTgCeBc@hBkCfC{@]sDgPdAwT`Sia@hA_@vDiHzEcAw@_IpBsOAiNvBsF}BaP[qMyAqBgCwAc@aER}E|AyDSeDfAJt@cExAiUzA}IrCsCL{AcB[]oHg@}AuBHc@g@y@RkBgAuDcN[cDb@wBKkDYu@eDiCo@eBeCbBo@MKTcAm@iBbB]g@kAVu@sAcAHy@i@g@uB_@Hc@cAu@jB{AqAQ}@a@d@gA{@k@bAk@_EiAmAiAj@m@tBiB}E_@aGoB}Ek@DiAwGeAcAYRa@}Ai@Wq@gLf@mA]eGt@y@M}Cx@uCKcCkAuKo@n@qAsHEyDgA{@_@{BTcGw@iLzCq@xDaJnAoJ~@Z|@qCtFsl@nBiA`IkI~CjFzIdWfBBxBp@bAcBbCsJkEqKQT_Au@OPMkA{Bu@g@hA{A[u@qEJ{I{A{Fq@u@eAoGb@yE{BeH_BMg@kBaAWuCbB@|A]JUeC^oC|BcKbBcETyQ_AsFmC]kA|@Yi@_AjCIa@a@?sBpCoJ{PiIc]yDcBuE}EeCUiCzBuB~FgSrcAaInw@cNb_Am@jHuA~h@iBd~BlCz`Ah@ho@~AnSjWfpB~UhrD`Ef`@`BnHvTlk@nNvWxMdqAlOx{@~Vhw@dF`HrPr[zFz[|ChJbNxSbK|HhHd^rB~HxAzCtEbDvAJfA[pb@y`@dGbPj]z]~]fQhk@jk@tFvD~^~`AxR`s@`Wjg@vW|e@rQtu@z^p`AhJnNhI`I~WlT"],"Africa/Nouakchott":["sjg@jt`@btAc^nJeFpDsGlB}ApEcBzOiBhKwChTw@pZnAjNxC~j@fQzGb@lMdCnMQMyLd@Sw@aAm@U_@X}BEw@i@?iAk@o@kAc@wAX}@aAeBASk@iBK}ByAVkCaAeAQmA~@YzAaBo@eBb@mAaAwCHk@f@I_@{AhAeFk@mCaAK^mCWgAmA?}@{AnBaCmA}Dj@{CiAyBRkBsAkAe@rAgAi@Hm@tAo@]aBaBc@\\_Av@@b@_@c@o@d@a@{@a@n@e@@eAe@Wp@q@u@m@jAy@y@UCaDd@LXYW_@VcCu@Wz@{AQgBy@s@f@_@SiCvCIc@iBjCi@_AUZ{Aj@@jAaBKe@n@J~AgCpBqAb@{Bl@SF`Ax@GFeA|Aj@KkBbAOHoAfAJ~A{@gAcBOeB}@}@V[jAZhAeAmAwEPiBg@mAZKl@lAb@IVc@}@}@v@e@r@aCdDU|@c@`@cAz@j@j@cAfBC|@cAAl@l@FnCgDh@TB`ApBk@UuAvAeEjDTb@cBk@gDnBIBeAr@l@nBCj@g@h@sC`Ac@z@`@]x@Pf@rB}AWcBf@_@rAFdCcEq@w@t@uBrAgAr@{CdA}@lDO~BcDDwAjB}ATuE]uA~@q@l@cB}AYHqB]wAoASGeAeAoBiA]?q@}A^{@i@qBOi@f@JbAw@[k@b@{AeAeAt@kBgAcBHc@c@o@Hs@_AgFk@{@eAyAFAoA`@w@S}@{B{B@w@i@s@w@j@HqE|CeBr@?Hg@tEmDj@cBhIaLnCmAbBiBUg@{C[_@cAkCUiCcEoDEj@gDC{By@oBb@gEU}EbDeNkA}GTuFq@c@Ku@V_Ae@iAWwPmIzAaEgFPi@bKh@?mnFas@mImIfPcrGl]c_Gv\\?ukBmkA~{BgcAtqBdqAA?joEb~CAjAvH`EbLv@xKrOtYfGtElGxAxLcC~iAgDK|uFh[hFvFe@"],"America/La_Paz":["bw`@x_gCPiCdDwElM?|FeGhCw@jBSjARfCi@N_@]_@h@?Zq@O[n@_EnB_CrBxAPt@dA`@nCeDfBTfAgAn@\\|CKrB{AnD^x@S?h@j@PZw@pAq@xBKnEgB~A]zAlArEwBpAgDlIcJp@Oh@yClFsGn@fAhIdG~DdB\\lBl@b@Z?Ay@~@qAvAu@`@mCxAZbAg@zFvAArCx@rFfBVHkCrAWNb@v@UdAZR_@hAGn@_AjAXVfCnDEdF{HC{AdAg@?{@dA{Ax@|BhBx@Jj@zCWjCVdCcBDuCW_@fIiFvKgFzQ@jImFfLRpB_CZsAv@Ct@o@hC`@r@o@hCa@@l@nBJ\\YhAVf@mAnAe@dCBn@_@F}@h@Xn@g@b@x@l@IJr@`AMHXXi@nAl@n@o@rD^XsBRHn@}@FiAZeKgDeWwDgBeCcFeFX@kBaBwAkBeHoKuAy@iB^_Bw@]iCePoAm@AgA}G[wDmAuBLWk@jBaHhAaA|AHZuFzGoFbAqBS}Hm@[f@uD[u]lAiC@{BnC{FOkBd@_CpAo@lAqBjAt@|ADrAkBx@VIaA~@a@VNrBmCp@Cd@f@fBKH`@b@u@h@BNi@r@GLVf@uBbCAxAg@J`@b@GA}@aABIg@gA?_Ak@_@d@Sg@}@NeAUQe@_@l@u@s@aCD]s@gB_@k@iA{Bq@Am@uABkBk@mCaAHy@{A?_CoAs@LB[w@KHk@i@FcC}@?{L\\EEa@vAIoBe@?kt@rADr@a@hA`@vBo@Wm@Rc@pD{DoiAsW_^Hs\\oTm[uJaJueAcIcf@Myw@t`@qw@fAjAzBIv@`@`@w@tBSZe@bAJxAs@xA`Ai@kBiAo@CsAyAe@IgBgAs@h@eBgCuAoL~Oil@uTBsCo@e@aAv@}C??|AkE}@ya@cJQoEgEpFiDr@mLtF?kAi@?eAv@yAEmDnCyAOkAj@JwAiFdGbC`Fm@|AsA`@Tx@St@iAJAl@y@JLbAcA`@YxBwAXCj@w@HqDxDkCS@lAs@PcAYYXIc@Mb@kAUk@fAu@EIb@oC[wA`@aAe@eDV}EcAuCyDu@S{Bl@mAWa@gA{BIwAd@PxAYj@dAJp@fAmB|kBop@`CqV~SAsSw\\x@U`BeE^cEhCaBWH\\YGsA|AaBXq@a@K^sALCf@{@a@aCFa@mA_BgA_AAOm@i@tAe@[WNA`AkB?Dp@_Ag@BhAm@o@Uh@Eo@WXYU?tBo@MCt@ZDiAp@@~@y@Xf@dAoAbA`@Jm@XOvBm@JoAlEmB|Am@CR|@a@`@^jAq@FB[e@VOk@Yt@C`AZWXh@i@jAnAPWf@Vp@s@bA|@VUlAy@VNfAu@`@p@NdBbIgAlE}@Jz@|Ac@jCv@fAOl@j@Hq@Zh@T_@rA`@z@qAt@iCXJb@s@l@A~@i@Q_@Xg@l@L`@{@F@f@a@j@o@AR\\[Eo@xAkEBQ\\Zd@aB^nAr@uAj@Jt@x@D?~@VEm@pAb@LYNRVYACfBk@J^^}Ah@Hj@o@?Il@f@DHf@mArEa@HU]?|@s@@?h@q@ElAfBP|@]^h@RSj@uAt@o@EMl@Zf@o@I_@x@gBj@a@bAf@b@[VZb@k@RAr@s@CiCfA_@dAmAe@IhAq@]m@ROj@ZLCp@o@Xx@He@v@dAHF~At@UMxBm@xCaBjAEx@U[_ARBdCyBfBqBrGg@tDbA`B_@lBpBVr@~Aw@|A`@VC~@q@b@Rl@c@Xj@z@y@PjA`A_BNJj@c@dA|AzBuA@W`FuB`Bs@hBmC_@aCf@^pA}@j@HhAiA|DaAR{Ae@WNPx@~AFVb@[VaBOQdAhAx@U^c@@eAaAyAv@\\~CcAx@p@|@o@p@?~@m@QQ^gAk@iARm@tAuC[eDv@\\lE`AO{AxC}AmAsBZwCk@aA~D}Hn@a@sAWjBoAZeB@i@{A[TBz@wANq@e@q@wBo@IeAl@{AeB}@l@aDBgD|CuEM}@h@WjA_CMsAj@w@Qg@b@gB}A{BLkCcCmDgAaBb@eCIgAr@yBMgAXaBMaCqAeAbAgFjB}@lCt@BZrAd@K@b@nB?I|@h@NPr@bAQCpAc@DXt@_ANTZk@K[t@`Ad@Ih@oAACy@a@FPtAn@^o@x@q@CtBn@g@d@_@YjA`CsAL\\~@]^l@jBt@SLb@]f@b@h@w@ZC`AJ`@p@J_ARB`Bh@tAb@OV`@k@~@f@d@Ev@ZB[z@N~@t@VCxAfAj@cAT\\d@Yp@`@ZGdCn@d@UlApB`@Yr@z@V~@pDj@LrA`Ch@BAhAd@CC\\l@NNj@b@KP~@|@PRvAd@FFWhAt@z@|B@|Ab@\\NYl@`Bo@|Ab@pAYdB`@TnA_@AbA`@La@^ElAb@`@dAUl@n@v@zC^JN|Af@t@xCxAb@f@U^rE~@Bv@u@j@yAtEPbEXZ]p@N|@tBnCzBAdDvDhEpAlB|DQd@ZbAfA`@i@t@\\rBvBnBfAxIsALmAtAqBc@PZc@ICl@^Po@F`@bA]j@n@TOl@XE]^^\\a@j@L\\k@HAh@j@b@eA|ARj@e@TZ`B]BHv@_@?TTc@n@Rx@c@b@TNSz@ZDe@dB^`@_@XHd@^@m@VVLi@l@z@xBe@l@@hA`@PQp@n{@sd@pc@{RfADUv@x@QHb@v@@r@nAl@PbAMK]RPP_@v@|@D]xAtCbAZb@SG^d@\\bAGXfA~AFL[D^d@a@Mb@`@Fh@KSQTIPb@J[n@LEg@Z\\^e@B\\`CI?Zl@HZg@b@XB[XFCTbCu@PZZS@XpAE`@f@z@Sn@l@fBEVRSLn@SGRt@TpABEj@bDTf@hBR[b@FDfA]J`Az@bCqAj@gBr@h@t@{C`CbA^`AdAAd@g@t@^bBuAf@yA`Cg@bAkAb@l@hBy@FlG`@l@x@K`BfAvB{@bBtAd@jB~BfAZfArBGBlCnCLz@z@lBaAf@\\L|BfAdB`DS~Ah@z@GvAkApE{ABaA|AkBvBmBnA]BnBjBd@Bh@pBvAhBS\\c@b@PPV_AhAt@d@j@O~@XnDnDbb@{KrBcEy@uAl@wAi@YIiApGkIb@JvCtJdHfBbCm@d@i@|@~AlAzFlC^jFlF~Bz@RbA|@p@fBg@t@~@Rt@W^~A|BXxA|Ah@Xr@rAV"],"Europe/Stockholm":["swqBcuSpPuB|LeKjPiH`HmH~HmBzL{RjCaCbLcEnKcS~SiQzNhJ~C_L~@[|@_Bp@l@lI}PrFJ`A_ApBi@~JeKz@ZrCnHdBZrBpEzD_AYkB~Aa@rHeLg@sCx@gX}C{V?kC`AqGLeJwYi`@iHtE}ByWgAgEwAcCNiHvDuHhAqEZoFM{EiA}FaCkEoI{b@qCcHiBwByE}CgKeEoDoCcFyAuFaFu]uQiCEyD`BkJlL_Dm@eGnAuYmQcHmAyGkd@wOii@}FuN}LqUmGmUkB{BqKeGgg@xx@yEeB_QsCu@bA_ChI}G`s@_FfQwMhFkCkAoOsCsJ{DwPiDuZkMcXai@_Oe\\qBaXeA_HB}JoIoMmHqQiAeN_F}YaDeDqDi@aBRoE~BiDqEoJ{WsIoIyBY_B\\uSpNkBqDgKad@ByKqA_LkCgG{AgAuASwAed@iAeMkHyLaHyAaCJiBvAkAu@sAx@Iu@gAhAu@Cs@~Ba@ZKYu@NuCtEy@M{@|@[_@SPgAbKUKk@lA[Ma@bAYKw@t@eBUcA_AmAzA{@Mk@kC_@J_@_@OaCg@Ng@mCsBu@oAf@cCuAsAx@QiAo@FRiCgA[{BtBeAlCeAD_CvFaBdCiA^eCnEiAyAa@bBY_@SRGc@SNi@aIkBgBYdAy@HMb@wA}A}@nL\\dBi@jDe@`@gBsDo@v@a@gDq@B_@i@wAdC}@AM^qDa@q@h@u@IsAmAy@oFu@w@k@`@QrCcAnAsA`HiEdDOvAf@zEc@Vu@CYg@Of@_AQ_ArCoAf@u@zG_A~C_@WGX?jE_AnDa@JX~ByAbIj@hCiAGVbKSzEsA|AUSeBfFKxIi@h@][gAjDcAtKgBNa@l@DtDeBzBeDzMBpFKq@iAtBI_Bu@g@_CpGu@bMZp]nFmNvFy@nGhGtClH`AbFdCaQlGbRaIpy@RtUuClLxAnPdGp@|KcBjMtNiCtMaD|VfChEpGtZtOjJ`FfH\\rNfDfCjMsR|H^|BbKlCtHzRbYzEfNpKwE`G`[h@n_@nMgCpDsA|EfDfJtAdLOzB~F`GhBdOvTvL~OvBfBpCyMvA}LvOuAdGbGnBtBmDhn@hAvPfDdNdO`UtA|@zCjHdF}BbLzMxOeN`E|GtHyBnG~CnTeN~`@`I`IsPKiHfL{QbEhAzBvAjBdDdDr@XlCGbIjA~LtFyEjACjFwBtDgFtAI`BcCjAq@tE@bDtEdGuAnFxBtEvGjAzEjApBFnF]hCx@fE^?\\xA|AkDvAD`Bm@NpBxA`AHxCbA`Dd@L|E{BbBOfDmBlE[dA|AvDd@^a@`CjCvAt@`AIp@|@r@Jb@|CUd@j@`@W`DaEBIUwFxFfArJ~BhAjAdBhDtY","_{nBgja@lB_@xAgAjCwFvBg@pFr@hBKfCuA`BkCvAsGXuKgAaLuAiFwDeHo]cg@iBo@mBAkBr@wA~AuPwVkCmB{EAkBl@wBdCsA`E}BiEcB_BwBk@{BZoB`BiBxDoBtKObNf@vEjA|DxCnDtDZvFeDbCwEtCt[pHbU~AxBlFfEnCjGpD|EjB|@~Ft@tC`E"],"Africa/Addis_Ababa":["moNkm_A~Ac@h@^xB}Al@@Y{Al@_@Q_B]G|@yAMsAf@OTqA\\?QKb@CKYl@K@c@m@SRYm@a@XYOq@g@Mf@y@[]d@g@Gw@tAo@?qE|@iCpAo@`B_CbA}D`Cu@H_Af@At@uAlAIp@y@bDIJx@n@SfB}Cn@ErAqDpDA?u@dAU?wALPf@mAx@XEc@z@m@QOd@qA]UDo@\\]QoAvAsA^FG]b@Fr@i@nCVh@mDg@MF]lBmCz@EvBkB_@_ERs@j@?Ai@v@aA~A[x@eBv@YlAPZj@vASbAVhClAxBy@~A\\~AOZaAnAVv@a@nBd@dAg@f@XbLgG|BFzFwJfFp@|Au@{@_E_ByBUaCf@}Cj@GS_EtAoBx@qDx@BrAbAbCoAdD|AjS@|GeG~DMhDaDDoq@zCaJ[SP_@`DaDr_@mp@xAqDjAo@bDaE[yBb@cOo@sCm@JIk@bBqAOgAd@cB}@k@fBu@vB}JEkB_@Qh@gBWABaAe@aA|BwE@mEq@y@fAE@}DVEYeCpBe@RmA}DcA{IsJaL_EqIcSyBgKwGqSoAuAlAgD`AkArBk@l@yBdHwGrA_CH_Ai@cAf@uDi@y@No@UWb@mAg@wCRGu@eA\\k@_@yBl@{AaA}Ah@gBSe@l@IVgA_BqDgEqBBi@kDmDo@mZqBaJMsFeBoCiDoCwHcCuAwAyDqHwG_SwE_]f@cz@ie@aZmYkZab@kh@}t@ur@cJuLmZqYCx|@k}@fzDiUbUq@|FcAfBoG~BcBjCG~@yMpAoBtEXh@k@tA}GxBuGrGoDjBsMjDk@t@oDRgEoBkOgK\\zDc@vCyDlAn@~BoAvBr@p@z@`EpB`De@xC|@`DJjC_@hBr@dCz@PE`EXp@o@HoAfHeT[_JhA{CaAeDEqCs@w@{BiAIu@{BaOqJ{HyDkCyCeCg@aEeCmIxF{FvBmAbIeCt@mB~BoHtCqNzLyBt@gF|MyEnHk\\fRwDhGmGjUuBlDyApEn@|AoH`COh@LrBvDvBMf@hA~@Dt@uCvDJ`@e@t@uAn@SpBsAvAUbDn@jBdAn@t@D~@_ALrAg@FAvAkAbBDp@V\\xACU|@v@a@GxAvBbBoAl@eAmA}@H}Ah@CfAuA~AqAWG\\b@nBGbCzDhBLbB`Av@HbB`AhBGxDv@rBLrCx@fBc@fAT~@oBv@g@rB_C|AgALw@vAyBR_@dC^HBvAmAdBG|Am@x@e@K]~@aAHP^}@B{BhBnk@jWCv@aAz@iAEDb@cBrBeAUQn@i@YcDfDFlDbAjDrCbAvBHn@xCqA~Aw@lEVdA[rDj@hBYrBv@tABbAd@UhBjA|NdDjFqA~IvClCD~L|HjSrDxBKrB~@~A_AlIj@ZdA{@t@?nCxBvMUH\\X[pBfAfAzc@|TlEpAnGlJrCtApDmAzEHpB~@pB@~CnBjB`@bBvAFiAzAgAzM~A?Y`@HrAu@Vl@ZSzCrEdBHJlBrAf@?^kBC]a@?x@kH~HvDpGnGtCxD~D|A\\hDy@jBTrHaBzEj@^QjChEbIPpFzB`LvBt{@oCzBpAtBjDd@tDc@rChBJVrC|@`AShCeCn@u@rBx@h@Qx@k@NJjAYp@n@d@X`AQj@t@r@sAfDv@f@m@j@lAjAWZz@BAr@n@F|@MOm@b@?Lp@dAIFt@nAI`@{@l@Jf@`Av@m@lAGb@nC~A?SfAdBLXjAnA@"],"Pacific/Port_Moresby":["d|KsarGTeAh@h@Pe@PZd@OBl@jA?bAkBlAz@d@a@D{@z@f@t@g@]iAdAZd@]k@_@Za@U}@fkC?pInEbDeDlA{C?iIuCsHpAkDb@_Fm@uJ\\sKlByCqM?DcA}@eBOoCtBwDz@gF|DsGa@}@i@sHyBqEfK@kIsMvAqGYkEmAgCyBcBu@eDoBiCmEeBgCO{C^[{BcAsB}BmBcBg@qA{DiC_CyD{@yDTwBv@{DlDcB[kAaDgC{C{BmAwCa@LsFkA}EfAyE?kD{A_E{BcB~BcDhCqHh@cEVaLrAmApAcDCmL`@{DxBqDx@uH|EgD|AiCxDm@tIeEzBgBtAaCpMiCfEaBbEgFdAeGlEw@bB^zCCnCaArBaCr@uDdBaB|@wBZcCUgDn@oCtFiEzC_@tBeAfFqEfBiCpDyBhAwBZqCIkEbBsCXiC~A}Bd@gCQiDcBwDfAkEc@_K|AoHvBmCf@_CSgE{BsGj@gChEsCbAiCAiS~BuAbDmEzFsRzAuC|AwGLgClGmSrMq\\^cDC{Wn@ePb@sB~AcCb@_EhA{CL_C]mD|Kcs@vAcCx@{DlBkCt@eDaAkQgJkg@sBkDyBkAsEUkCr@mBzAsIhLe]~iA}CjCos@fQqLm{@gAmDyDuC}E_@mD`AoDpD{@nEPnGqNhi@gCxUyGt^yD~L}Q`c@_E~Uv@rc@oApDTzE|e@xo@kp@ny@ebAnJu]_v@[gFwCwF[gB~CDtDoAzAeB|@aEgA{GbAqMWkMcA_Er@kGaBqM}@sBsCsB}@{H}B_EgAuHuBcEsAuFsCqC}DwGqCiB{AoC{B{Ad@sFUmC}HoRoa@}l@~K_bAylC?bHhe@ka@re@yJ|i@cy@zoAy@vBd@zf@wIhMmBnAqBrCuBtE]nE`@fCtg@zzArCfTyD~Pq@tSaAfI@~Ky{@~z@uAxBiGjS^~D`Sjm@e@|CNxBpWluAfl@do@va@xg@cFnOoAbO~JX~gF?DnAz@?Ta@`@dALoAj@nAL[^FYdAl@k@j@Zd@gAZlAjB?L]?zAX@Gi@n@N","~eTsonHjEs@jCeCfAiEOmEyCeKyEoFmEmBoEFoCjAkB~Bo@zCLfDvIzRtCvB"],"Asia/Magadan":["igxBotyGZ]p@JRo@_AeKjCqDIgENPZW^}BoA_Dv@uEW_ClAV_@oB\\aA{@m@HsBc@aA[Ru@g@]~@Oc@j@cBM}AXF?gAx@uA[cAP{ExBiBYsCVa@NRHuBr@b@OsB\\oAx@VFcAT^C_C^kAx@WL{@r@r@fAq@p@oCz@@fBsGh@OTd@z@i@rAt@`CaI~BhBDaC~DjBjCmBp@IlBx@tBeABtC~@t@j@eBt@MNgAVdAvA`@KnGZhCNYb@`AZ{@~@YVt@XoAdAjBLg@d@JBvAV]Zf@b@o@N\\n@I^v@b@Wb@vE]pBc@CMb@QbCqAlALvCTh@\\IfBfDBzBXPp@c@`@dEYjAd@zC\\El@nCv@STZ?hCj@pAnAJT[l@PP_FlAe@\\Fl@dDh@\\FqAzAiAxBcGFoBx@cASsBi@m@AuMiA}EK}EJ_@l@?~@iDl@_@lAVCcAv@IFqAm@gAx@qC`B`@Vg@h@NZi@VLfA_Dd@FZ_@KeCgAiDAwBf@yBV`A\\S`@yCdAS\\mARl@d@]XTdAkBv@_@jAtD^e@p@?T_AjA`AvAS|@d@v@YzAjBp@g@l@Bh@|IxMYJe@r@kJjBiIv@}Jm@uRLym@xDuHlAiHhFw~ACqOnAmRbBoBrAgDfAsLKgW_BmYoCyNhBiNEkUyByJyBsC_Bo@i@kK_BeGjAeC`AcFz@sHF}EaBuTcBaJd@wN{AmOm@i]mAsIuCqF}JoEoBEkBr@qB`CcBlFgIhi@c@bGoKvDkBG_E_EmCqF}BoCyEkQoBmK{GkQmAuHaB{EkCkCeF{@cCiAiBqByC}IyBaOyBmG{D_DeFHeEaFu@uB}CsPmA_X@uM_Dke@@cRfCgFbS_HnRuAvB_A~V{WnBqE`AuGLsHcCiQy@}NnCgSo\\{x@_\\mN}SqLeAp@oAm@g@rCmAiDW`B]L@`AkCR{@jD_@Gk@wCj@sCg@mB]Sq@b@CeB_Av@?[o@d@m@_@s@|HHvC_AhBYhCa@HeAaEd@aBW_@YNOuBo@k@CoG}@{Bf@i@IaE{BqCm@RW]wAp@SYYd@{@g@oFfEeBiDBeAqAs@I\\IYg@H]xB\\hEoBnEs@k@IiB}@nBi@NObDw@tAiA~H_Al@_AWQk@y@Pe@iAe@t@_@Mo@uBq@k@`@aBk@cD@eCWe@y@l@YkJw@q@Yd@Ma@QX]Uw@pAoA_BcA~AItBa@BEd@g@C@iEaAcCBgBa@HGy@c@SJm@q@UMs@aBl@Ws@GRgASmAs@s@nB@dBu@`Aa@q@q@RU`Eq@fBs@mAONQfBEe@o@?{@aB?kDs@g@FeCs@tAq@eBc@j@s@AsAxEg@w@MZ_@Uc@Va@]WzA_@Y]RO}AWNYe@FaBu@kDx@cJ_BaBm@\\[]UNi@uBGt@g@Q@uDk@Jo@q@]wFe@t@HlCi@BM}@Qf@GWc@^]WMrB]S[d@mBtHYw@q@`Ba@_Au@t@c@]Bq@uB_BRhHj@rBAhQu@|Di@Kw@|@k@jLb@~EsA|DFbD}AdR]hAWs@m@PaAtBsCPgAlCoApKwBvCq@|CKdLi@pCbA|He@fRYrAc@C{CrEo@vDc@IaAr@_@nEoAP]oAk@D[vAs@VMbCu@`Ag@nEXhJa@UuAhBc@jEi@t@SxFg@Xc@pNa@d@wAbJMdGmAy@m@lAa@[In@_@wB}@lAQsASb@w@kBi@CUuAy@Bc@y@e@`@cBaCo@qC{@GwA_D}@zA_@[gALRjGi@pBPhBq@|CAlFw@bCk@Ki@|CBnEXrAdA@r@~BjAIDdA`BkCT`@lB{BRTZrAi@bD@dE[Cw@`E|@vJXjOxAvCf@LfArLx@z@~@eBr@Td@`F]|@J~HoBnJS_BoAs@{@tEu@l@uBpG{@AgAzDXvAz@Yt@nEx@Cp@jD^_@\\jAs@zCUbL?jBp@z@w@jBJrBe@Ne@bDqAzA[`CnAdEm@pFd@bGcAzEm@l@AzDp@t@WrARvA~@a@d@fJqANc@vAYdJ]jBm@b@ArChAlBAdC^^lASr@p@ZbEpAjA`@{G~@g@HmAf@dBn@iAt@FxAjDj@YdBrCRdCp@jAMhBQb@eBUYXm@bGb@|H_@tAzBbMzBxARaClA_A`A`CXD^w@dBdBbADdCzAn@i@ViDpAuAxBrDWvBn@pB`AfJpBbBi@~@j@dHWzAz@fBb@zCk@fANxAn@S\\TZjBtE~@fAxBPS\\TLrA`@LrAk@d@j@~CcCh@PJ}CdAyDv@y@D}@rAmAxCnFZrEv@l@f@xBx@~Hn@d@pA{CZXr@u@f@j@f@YFtC`@f@QxBh@|@D`Fe@^[e@iAxBUOe@d@kAfEnAnLn@fOHZz@@L`AjBtAA^gAb@KhBx@bC]fDNvFb@fBJjK[nGhAlCdAoD\\K~@lAx@s@`@JRxE}AnIKzIO\\m@_@[Rc@xEiAZEx@m@NKp@gAwBi@Ri@gCS\\Sg@i@Eu@hH}A^SrAQxDZhC~@tAtAbHlAl@PbBh@R]xGP`@|@o@Dv@I`Hq@^Y[Kx@MzLj@xCN~HaBlHk@BUnAUYUXk@pJzAfBBdAlA\\~@`J`@qAP^R_@GeBLV~AsEl@m@d@pBvBeFf@jBf@FZk@Z\\?bAh@Jx@~Bv@e@l@d@x@a@`@vDR\\n@CLnAx@ZUzE][Ot@d@~@EtCu@R[u@_@|@?lE]MQp@c@u@[v@u@eCk@[{BpD`AvCj@lKVt@d@yA|@v@d@tGaCdFu@xDa@~RyAtLFjETY|CjB`AEdBpEjA?p@`Bp@RXrHhAdFAjC|ArLp@vA`AiEnBd@l@u@TXVSj@h@j@zCjA^`CrDt@q@j@`AjAIlBl@t@zAHS`Al@VQN|AnBnDnBc@z@r@tEgCZjAp@OFqBnBaANn@h@gAnBg@t@FXdA~Cb@\\iDp@c@F|Af@b@`BwBFlAj@j@d@}Az@K`@qApA`Eq@xE^RJpAx@L]vATlAnAiBn@Hb@fAz@w@ZLd@kAJVr@Y@vAp@}@RtC`@OZz@HpAg@zAd@p@r@}@l@pAp@SCvEr@@","qotAutzGhBi@~DkI~FkEiA_IjFcGfHwCzFc@ZiEUgDaEyLcCeDgBiAw@{FkAiCqC}BgCsMcEsI}DyCgEYkErBgDfGeAnFArErExStBhDjCtAl@jGzDbHzC|KyCYsBiGoM}NqHqWaDcGbAeKs@sGmAsC_DgDi@{DeCgFiFqE{DiJaDcEwAsLiCyFmEiGiCmGiAeJkBwD?gEuA{IgB{C_EgCwGaA|AeCv@_DRkK[_F{CyKeGkJ}B}HmDeHoC{DyGiGeIoQoBoAqC[oBmHuG{F}C{@aDb@qBvAwBnEaE`AuCpD{AbJf@dH~BbFxDrBlEQ|DsDnC~@fC?DbM\\fCnBjIfGtM|MnU`HzFdCdErF~DiDhHs@rMjB~MdF`JfDpD}C|DaBxFGfG`AdFlDpFpJjGxAlHtBpDdCvAhDPrCpMnBxD`HfE|ClDbChAGrFbAdFoC|Fi@tG~@~HhCbF~G|FlBp@bD`EzExAdFhDxKfMhAl@","knzAkvfHnBWxC_BbDaE~AmHK_JmAsEcMuTeEaDkBeDiEwBsB~CmKrVdBvF`JjJtG~QtCnC"],"Asia/Kamchatka":["_{jB}cnH|e@wFbKkB~\\cJbPwCnYgE~WgCz_@qOlHeB`SuAtSJ`O_CvD_CbBiDbBChGyE~MmROu@cBoEcMwSkFsNqXuf@gU}WgJoF{FcGop@s{A_wAuhB{Qk]wkAwv@sHuQyDsC{KBmTtCa_A{Aef@kHyWibAw{@gjBcFyG}HqP}DsEkIga@{G_d@pAyWi@iORuHpAaG~CqG~OkNlH{OvBiKh@gIY_JuAuJcBgEaByBeFwB{J{I}JcV_DeOcEaMcG{\\y[wx@gCkDgD_M_B}C}J}b@_C{FKsGoKr@cAhAQi@XiAa@B_@o@w@\\YbCi@o@}@IUo@WtAiAEUdFyA_@[fDh@rCWbAq@AUnAkBTMoA]DaBfDa@G?nAe@n@MoBs@c@[LUeD_@CGXaCc@q@t@m@rDz@rBLlDWSi@|Ae@Kk@p@ObF_@I[|B~AlBo@bFnAlCb@~D`@DBpIn@g@FfDjAfAe@rGj@lAd@IV|@UjEo@\\g@s@WVH~AYBEhCYQNxB]~AF~CjAdBHjCj@ZF~@Ql@_@IE~@u@e@w@~AOMCrGRhDjA`@ZnBI|C\\@\\aBd@CDjLbApBt@rGM`D}@GKn@_@DPlAp@h@?lCg@F_AkCg@pBd@TdAvCO|Bn@j@Z_@~@xAChJPz@f@DWp@PfAo@xAVh@ErC_@PF~Ao@\\d@xCy@vDpAtDm@j@ZrA[dBURi@{@a@Rk@~Bg@Ri@g@STm@bC]FGgA_AWaAvBAhCcBmBaB\\W_CWEc@~@QpBf@pAYrBXhBmAdFi@VT~AoAjBKzAYi@q@b@wCpLU}@_@HEjC}AtEBz@cAv@IjCp@jAS`Af@xDgDrNKzDeBdFs@y@eBqGa@NCwFo@w@m@~BWkASNXsB{@_AmAD_@eDg@qAYHuBiHuBuB]kBq@i@gBwQ_@e@i@d@g@eAUNm@mDM`Ak@IMtAo@UW\\Io@qC^wAbD[vE_@Nk@o@SbAw@i@FnQq@nA]]A`C[VJbFw@N{Ac@a@hB_@Q_@`AeA]}@v@SIUnHa@`@U[Q~Ac@KSz@a@I{@hBMzE`@jBaAfFf@dBXLHY^h@M~Bb@xCeAbHH|AaATc@t@r@rFsA^u@hCc@Sm@p@m@jEk@MOZJpC[bB{@r@c@Me@zAc@EaB|B^p@U|Cr@SM|@b@bBxAlBKxGp@lC_ApBz@fG_ArBMbC}@fCExDVr@e@bEe@DzAlFp@v@B`Kq@?]r@s@cD_BvI_@RmAkAErA_A|@ZlFg@dCl@jBSrAi@^DxBk@k@{A~Be@zDTl@a@x@l@hGT]lBNd@s@l@z@`BES`BRfCObA}@OaA|Be@BQfDmAtCd@bAo@r@MdCi@Gw@bBSfEkBdH^nBz@f@IhDz@b@XtCSv@`@jA[zCg@r@SIJbGK`Ae@?YdAPxA[f@b@~ApAFZxCb@Al@vBXQFbEa@vBh@zCt@KFgAj@@x@_EfABpBjDt@u@`@~@p@aBXv@lBuHZe@\\RLsB\\Vb@_@FVPg@L|@h@CImCd@u@\\vFn@p@j@KAtDf@PFu@h@tBTOZ\\l@]~A`By@bJt@jDG`BXd@VON|A\\S^XV{A`@\\b@W^TL[f@v@rAyEr@@b@k@p@dBr@uAGdCr@f@?jDz@`Bn@?Dd@PgBNOr@lAp@gBTaEp@S`@p@t@aAAeBr@oBlAr@fARFSVr@`Bm@Lr@p@TKl@b@RFx@`@ICfB`AbCAhEf@BDe@`@CHuBbA_BnA~Av@qA\\TPYL`@Xe@v@p@XjJx@m@Vd@AdCj@bDa@`Bp@j@n@tB^Ld@u@d@hAx@QPj@~@V~@m@hA_Iv@uANcDh@O|@oBHhBr@j@nBoE]iE\\yBf@IHXH]pAr@CdAdBhDnFgEz@f@Xe@RXvAq@V\\l@SzBpCH`Eg@h@|@zBBnGn@j@NtBXOV^e@`BdA`E`@IXiC~@iBIwCr@}Hl@^n@e@?Z~@w@BdBp@c@\\Rf@lBk@rCj@vC^Fz@kDjCSAaA\\MVaBlAhDf@sCnAl@dAq@|SpL~[lNn\\zx@vC_TtH~MvLfQ`JdWpAnKxAlEjA`BzBpAzTvb@pEbFnPfKfIpQ`GjHrGvTdKfUdAnE}@lJ^pNrBjHnFfHaAtGLzKrDpOjBrDvEvExBl@dBEjBy@hB{B`B_G|DZCjK|@vFpAxCfBfBpBj@zBUzAeAfCd@jExNnBhEdH`HzDrBvi@fR|I?pH`@rOvB","u~jBw`bIhGaBdCsBzHqQjEiEpHcMzHeSlAqIWoIqBwGwDwC{FOeI~AiEbEoFpJkLpBqBjB{BjEiA|FmA`RHnJvFnT~B`D","uejBaieIlGcBhCiCrJuSpJgYd@oIk@yGwByFsDaC}B?sBz@eEvFsDdDkGhN_HjUu@rIf@jI|B~FfB|A"],"Africa/Cairo":["{yy@sco@t@sDzHoCvCo@`Dl@|IgEl@v@~CL`OoF`dMC?m}NdPcWsA}ZqM_D?o|DcFFgN`EqCdC_BfEiMfCsNzLae@QqDp@qClCsQb]aL~B}G`EqKdQmGtFwHp@yb@hSoIvJmKrD{VxPgc@xIiH~D}NTiKgAgTsOwCrAcD\\qHG}D}AyH_AcPwFeQgC}BD_Bw@aGK}E_ByC]mJsDsDrAkBX}AYwAj@mCNge@xMsAfCcD[kAlAcHj@gJzDiZdIuIpJ`DnItB~KHrDkCdJyAxOr@`HvC`IrAhJcI|HeAdCiAvJ}F|FeCpFS|IlCbLuF~U]hNzF|]aAzF`@bF~HtPdLvRfElMlG|V_DbGuFrY]hXuCzA{BpESjDvAbNqEjDgB~DoA`PaB`FmHlm@aApYdI~l@lCrB~A?dB|DrE`G|MM|NqFtF}@hG`C|K~B|KnJ","gkr@wrbAzCg@xBcB`B{Cd@wCMaDeAwCsBoBeDy@qDZcC|AgBxCo@pEX~CzAzCpBxA"],"America/Bogota":["ytVvk_DhH{KZaDa@{CkAsBkBuAyBg@cC?KwL_C_FaFsBcF\\}FzCcBnDOhCaCfAiBvBy@pCR~EjA~B~C~BxGpAfEKdBg@`C|EbBjAnAp@","qwFnx~C`EeA`B}AdAgD?iCuA}DgBaBsC{@wCCuCt@kBzAqAfDElCd@|B~BrChDnA","_cYnl~CfGa@rDuB`BkEBaDk@}CeCyD{DeB}KmAmE^aDbCcAfCa@pE\\bCjAxBrBzAnIdD","e}Zn|}CrKm@hF}BrBiFDkCo@sCkBaC}Aw@sCa@{CFeEsAgJDgEx@kBvAyApDBtE|@`CfGdE","g|Znf|CjEg@|CyB|AmFe@oFgDuDyE{@m@qAwCoBqC_@_E^uClBiAxBa@`D^vDnAbClGvF","_oYvy{ChCYjFkBxBsB|@_CJgEi@}BwCcDuC}@oDC}DjA}CnCwAvCUvDfAfEdCxB","gz]dk{CtC]~BuAxAeC^_D]aDsAeC_CyAqCa@_D\\_CtAyAfC_@~C\\`DrAbCdC|A","cdBtwyCxCa@lCaB?gRvAiCdAk@j@qBlAs@RcAvAYx@}@BoCd@DXcAp@BSg@j@qAYm@`BC@[i@BLm@k@i@_@}B~Cy@V}@f@BFh@d@NtB_DbBEj@wAMuAdAo@j@eCdBoBj@sFmAiCNw@c@aATc@j@{@r@VB_@~AhALq@z@M^mBnAiBM{CzA?zCrAfGJNiEWk@d@o@_@QfAuCFgCw@_Cb@gBlDiAM{@Ze@c@e@x@m@UgB^B\\u@L{Bq@aB^qA_@Tq@cAf@g@CqBf@EUu@tAoAoAiBl@y@EqBe@Sn@SM[uGA]sAZs@iB{@Xa@_@e@fAi@As@p@IQa@Zw@_@m@d@u@hBc@g@yAlA_CpAk@Nl@R{A|@AxAwBj@L@m@h@Ga@k@fDaBZmBQiD\\i@a@_@|@i@Du@pAOMwAdCmEFuCbA}CYq@cCmAA}Ar@{@TmB~B{BPsAlC{Ao@]pAu@KkA_A_@_@kAzE_CvACW}AdAGN_@k@eBx@Ft@uBdBe@DiAp@?[o@r@gB|ABG}@xABrAcAr@\\z@gAz@lAf@G~@yBx@F]u@~AUOs@rB`@_@`A`@b@^MZoAdAWdAT~@gBEkBxAaD@cAaBw@XSrAXhAa@Vy@q@e@VU|@\\AyBlEwAh@wBS]j@a@{Bs@bBWSeBz@gAKq@lBM@sAhBXz@_Ad@hAReBxAKLsA|@JX_@fAd@RoAhBhBtBx@d@ItAiDpAg@QeB~AcCK_@m@Pg@g@BkAr@NMq@gBWtBcACmAfBPl@{A`Fh@pAcAlAd@Z{ApA~AfB\\NrAzAMxBuAv@?`@gBh@MMq@u@AFg@z@c@]{@fCkArA?s@kEkAsBfAm@Si@i@C?q@lBg@]k@}C{@TmAr@Yz@uBIyAh@mAu@y@nBSh@q@]uCm@YJq@y@Ub@s@]gA|Ay@g@e@uAKyC}CBk@t@i@UcBl@kAeCHE{AiF_BVeAe@O]qAu@QZg@bCTLm@}@kBhAcBZkDbCLhAu@Oe@sBHUw@vCqBhARd@Yy@yCeAe@Jo@fAPqAoBbAiBsAYAgAiAZa@e@QmD~@sAeDj@[e@xAqBaAyBhCoADqBfA}@p@iDbB`@NkA_@_@vB^r@s@DyAa@m@m@Aa@hAUe@rBqBg@sAnCiAgAmCVwBb@Cd@jBj@L`@_Ao@cDfEw@Fs@w@WP[pB@b@Yg@mAmASOg@tEq@|_Azg@A{@~AeCs@kA~B}By@mFaBeBh@yBvBy@dC{CdAW~BP~@sEbHqFO[{cDq\\uDEiAo@gBDiAmAqGbAmEgAkBjAC[OTa@Ug@r@s@s@GnAiAV_ApBqBCy@|Aq@YgC`CyE}BsApAcAWu@l@aAKmBjFmB~A]jBmA`@HvA_@|@mE|CaAvAan@Fb@sAa@YWNGk@p@uAiAe@X{@]{Bf@i@_BmBHo@s@Ou@yAJu@`BmAi@@Ke@[R{@eAHs@m@GcAgBl@}AXDjDeDy@a@`@a@o@{@|AHE{DwAKEgAf@gAWK_ErCu@qAuCb@Iq@o@KwAjBa@AOm@_AfBu@g@qB|AFrAgAbA@lBvA|A{@\\D~Fu@vAv@dCKt@sA@\\hCnA`A[nAyf@Ah@}BsA{B`@cCuBoFXAMi@t@iAYSz@qCA{kA_@NLj@y@][\\PzAsBWR~A_@TiHaDmBKzB[Za@Ow@lCuAJaA|Cw@o@gAh@]VyCmDZQeBe@C{CiDgAQtAmFeAcAWFGs@aAGmC{A}@yBRcAaBQc@_B^s@v@BDYpAV`@{@Zb@~Ca@fANrCoAZNnBoBSq@j@_CdCaB`@ZnBD`@YfDZl@qAlCCnAo@nE@x@~@_@l@Lb@r@H~BsBpBa@~@R{BsMuBp@mB}@}A`@qAxAeEJwBvAcBAmHnCmBBuCz@sBrB{Cu@_CVa@ZFlAkFvBgBGuAcAyAz@eBbD}CvAm@tA_APyAvC{Ab@MlAb@fAiCBmDdB\\pAi@`Di@FJrCnAr@Fn@}C?g@sAyU{V?uBoA?gDmCqCt@u@zB{BV_B`AwDFs@z@_Cl@Od@f@n@HhBcAhAcCT}CtAiJnAeFdCcET{@yAcAb@}@Q]t@}A@_BtBmJcAqM^kE_AiD|AgC}@mCnA}Aw@eEaGa@_BoAmA}@?iAo@cAv@}C^wI}AoC}Bo@cBoAq@{@{AeGjDiAOw@aAkChD@`BgApBGtE{@vBzAbDxAlAtAxDoAxA@fD~@nDnAfAy@pDBnEJ|Az@`@a@xAjAvDs@tANvB}@nBH|Ck@hEu@fA`@pB~AxANz@nCxBQdCuBtArAlDsu@ni@HrE`ArALrBi@hAq@T?zAs@X@nCsChBTlDeApA\\fBOt@f@\\AxCh@GOhAp@`@Y\\z@PDnAdAp@Tx@_@pDa@Os@v@ZvBQhA`@Vk@n@b@rEi@l@E|@x@lAq@`Eh@r@i@Fi@jAl@~@?tAeAdB@pBfA\\VhBJfDu@lDsLvFkCg@qBpAKrE\\n@i@x@H~BUh@uBNs@x@oCo@oCn@uFCkEy@kBVw@|@oBiCmAE?aAz@cA}C?k@p@yBg@kDnAsB[a@\\}@EMl@UKsKbLa@Cg@jA_S~BoHjBe@MQd@VTkAp@d@DUpBz@Jf@xAQ^cBlAmA}@_A\\Mp@aASkAp@`AnAIj@hA`@CpAdBzAMhAr@jAe@`EoAF?k@qE}AIc@wCq@uAgBm@ZW}@e@HeBoAIgBsF{@_I{EiA~A[_@eAj@kE{AoA@}AsAq@R}Cq@_GTmAk@c@XyAKmA}AiBG}@i@cDkDeBo@iAJo@iAaABcDaAGiAyAaBqCwAUL}AwAs@^oAaBRUgAqDTgEs^kPqAwJyFiX]Vi@cCaCcAThAe@?J][?l@{@uB_CkAcD{Am@sXB_C~@{ArDkC|Ms@zITxCpeAb_D|Mth@dW``@nKnJxYjRxl@zU`b@|x@rQdEhAKGvAvBe@Ev@j@ODr@jBf@hAOEgApCiB~ALL_@`B?|@g@@eA~A[Lg@fA[d@Td@{@`BS|B^lBoC\\f@l@m@\\`@E`Dn@fClAVx@~@zB{@JfBjE`BIr@~Dp@IbA~BnAiAvAuEhAqAfBE|@~@b@bBBtE_BpArAJ|@_@Zb@z@jMlC`JdHfT{H|`@iJbi@dBhlAc@feAfd@fV~MlGbGdH~D`PfFr]lR","k}]p~xCxCc@zByArAeC\\eD_@wCuAcCgC{AuC[uC^cCzAsAdC]|C^|CtAfCdCxA"],"Africa/Niamey":["sj[qI|\\qL`@w@rASv@}ArAJvBeBnCuCFs@rC\\f@m@GgHd@Yp@Vh@_GlByDpEiAdCuGDqCj@gAd@GXrAqA|@xALZd@kB`K|O@b^wu@}DyB_AeCJ}EfAoAlAQh@{AhAg@hCEfBoAnB?OlDtAbCWl@|Aj@vZeTu@Xc@SIeA_AQHe@iGrCeAKu@\\c@Si@\\[[[`@m@gCVk@g@QL}@y@a@j@k@IgAq@e@EgCt@e@iDaBVw@kA_AIyAYJj@qAdEwDd@{ApC_BhAaCf@GpFuGn@TlEmB@}B|@{ErAgAx@AVuAzAXdAqByBoCoBVg@nAqDPqBuBmBLmDnAwGeAoOX_M_QaNcI{IkAwR??yDuKmMgEoXfAgARoA_@}FXyGc@}B}CkCeBeJ`Ncf@_AqFxCmHhOyOfKuFtGsFF}Ei@iCwEgE|@mIa@cByK}Si@mCt@_MpAeDpAmAb@uBxHkIa@kDdB}DbDiBtEoSt@sg@A}@gHsGmCwAq@_BcGsFqDaKa@iOqC}Jg@eq@dAgG|AmDtAyKdFuHr@gC\\iCSU[PKm@n@aAO}@`AS@]SVSc@\\kAX?]MP]Y[^A?_Df@o@}@G?c@kALi@YSu@XQc@YmAQBd@_@PRa@o@CGe@wAML[_@XJ}Aw@g@b@@VaAs@]c@RXeA_@NG}@[JaB_AXs@i@PIwAw@^Ik@e@EZi@_A@GZU[^a@y@BZ{Am@u@R[i@DV}Aw@g@^k@m@BKg@\\UNVTw@o@]b@i@g@BQo@`AJg@qAp@_@gAQ_@aAo@ZPs@]Uk@d@Ee@UHw@gAiA]Bs@u@EXq@?{O_i@pH_D@{AyDOiCiAmBkDd@yBiCJm@{@qAyGf@oIoC{FwE}b@}X{gAaeAwtBaE}fAmHgYeNsTdSeCbEcBd@gCA{As@q@uAs]lTeB`Dm^Ns}@fKdWxn@{^re@wAnC_BhGyQjwArkBnzDny@`_BlvA~eBvQp_BzdC?BhBpJ^fYCnClErDx@dH~C`HNxCfBzH~AlAlCd@pE|FvEfAtBbD@xAnAmC~[tDVQ~VhCvqApQrTd@xLb@jBkBnIbA~FgAdIjDWnD~A|CsA"],"Australia/Adelaide":["pi}@q}zFsA}E_Dks@]wRv@yb@cBwJ}ByHfFoPtEeLd@i@tDGpCmAlBkCr@aDlDwAzByD`@kDUmDwAuDwB}BM{AhDg[tAaCtGeCjC|B`Dj@zC_@rCsBfBwFDoIcAuEhDmYzL{FpEsEpBgAvCeFtHiIj@fAHdDx@vCtApBvBlAvCXzCo@dFhBpCRrCc@fCqBdBoFUoG{@aC_BkB}BsAqDq@oA}De@aF_B}Cp@{AlAo@~Es@|AkApA{BlMfAfEvCa@nEP|CbA~CxB~BzBv@lC@xBxAjCb@bD_@rCyBrAgDVeEa@kD}A_D`AcEEkEgBcFc@aDjDk@bGuE`B}Br@qC|n@sm@tEkDzA{BlEcCtEcKn@kDU}FqBeElEx@hDe@pCaCxAwEOyGcCkFiDcCsEOSyEwAuDsBgB}Cq@gCiBbAoIMeEsCiGqCgJeB}BkE}JAsKdHmLfJ_KrJ{GbMqFhBg@`JbDfAfCbB~AtBt@lCBnDoAbCsDrFm@rN_JrI_J~EcJjKuEpEeFvDwHjCcJPuIWaGl@}CikG?`Bo@Q]qtNFDxlV~~I?J{@`@z@"],"Africa/Bamako":["yy[~{Vv@KLm@t@BZiBl@`@d@_Ar@HLj@rBZL|@nBFZk@h@Nd@c@`AVj@yAS}@l@?As@l@JX[Hb@Lc@b@Tb@uCjEgB~DLhAx@~BA`CyChF`@jBtB~@~BnBcArACdAoAb@BdA{@pCeEl@KfBn@pBuBf@D?aAo@QKk@uCeAB{@l@SIcC|@TCqApBMh@yAz@i@|Ad@`@qAxAZ`BmA`@gBp@T~AoARd@z@GDu@u@E\\q@jASVhBl@Yt@b@b@SX^j@QIe@bB@J\\vAeA@tBz@@C\\z@Rh@eAn@K`@`@h@i@nAxAAc@v@g@e@EBg@|AGNSo@[tAOTn@zBMRnAa@F^n@x@Xf@c@dBANh@j@Ej@lAzARfBuAp@mDxAUlAyAr@kDk@Y@_A}AsAgADDu@_AYSaAaDi@NsBc@iBj@oAdCiAt@eCzAMv@`@jCiAz@NvAgFUq@eCo@_@sA_A\\o@{ByCIDcCm@kAcAAT}@Oe@k@?Hu@cANF}@|@Ui@WIgAb@OIcBx@uAWsBhAB\\gD`AoAAmBzAsAQmBx@iAJkDw@Dq@k@cANoB_Bm@iE{ByBTgGOLo@{@eAJyAu@i@rAkCrAQr@c@oAi@OFi@`@Eu@g@f@}@g@cA^wD~@cBa@yBh@_AjCk@xB{BnExBIYjAYe@_Bz@s@t@OjBv@~AGBw@b@Yk@c@TOU[lCmBfHr@x@`Ad@UzFx@x@uCM]l@YgAyA~DwBv@ZzAoAZ_B_AkAxC}@Bg@[Gv@iAp@gDJfAh@d@f@SDuAtAVQhEl@\\nAM`@tCrCNNxA~@IbEzCjAIR]e@_CTUmAkCoC}@AmFhBqCvF_AjA`BlAEz@v@^ABy@b@Wv@Xp@Yl@RHn@~CBGkAf@c@tHkAH_BoAqCRYfBNfBcARi@g@_BNa@rDoArDt@PoA{AmA@eAmAkBuAe@q@iAGp@[m@i@DG_Am@BA^qDcFbByC_By@L{B|@c@x@\\pA{@RTUwAh@cApBJ`@r@XUPkA{@{BZaG|AeCpABXuBi@{@yAc@s@fAe@CyDmCRaDsAiBzAwEm@kBcATqAy@y@dBuBHQm@iBBS\\w@OMo@MT_A[@s@vAg@Jy@z@w@x@}EgA{@kE`@Mq@n@gCoBuC\\eAh@`@vADr@_Bb@nAdAc@fBtAV_@U_@r@]TkArAl@x@}@Np@n@Ll@w@r@`A`@]^PSf@Xt@jA]Fq@j@D|@aCTaH_B}@aAAXgCiAH]e@yBIYuAqAeADiDeAqAZ}AYqB~@{AyFoB}ADg@d@i@c@sEK]XSeA}C{@}A`BuC?BnAuAc@cC\\m@sEkAkB{BIuAmC_HOqA}Ao@VoCSaB`@s@l@UlB}B{@gDKJ`@_B|AEl@XHgAhBWs@j@o@u@{@Xi@g@c@j@w@aAY_AwB{@WmBaEg@aL]c@b@wEcCoAJkCkBAq@k@E}ByBfA_DuEaB?CaA|@i@Om@wEvAeCg@}AmBu@hAcBR_BhCcAY_ATX_BaAgD`Ak@JsBk@cAsDo@aB`@_EMy@|AwBPG`AqARg@x@o@IcBkBNqBYKsAbAwBwFkE}AoAuCDu@mA}@c@LRh@sAU|@s@pAQRqAdAdCz@EI}Al@yCWkAzAmBl@Iv@aCtCkDDeAz@?P{Ei@g@{Cr@g@UWuKuOxA{@y@cEE]p@]QNeBv@y@OeDz@mArAi@uAmAJaAr@_@y@{CuC~@}DBqIoCYd@_B_@aDeIiIsKdBaJjEcKyAqEwPc@[qCNcGg@eEgMoUmBqNuQqT@iQ|CqAuC_HnEgRs@iIhAoIcAwFhBmJa@uAg@}LoQoTiCwqAP_WuDWlCy[Ue@cAo@cDAgAuB}FwEw@cGmAgBiHsAyCgBaHOeH_DsDy@oCmEgYBqJ_@CiB{dC?~Ixw@u@t@MdAwBpB_CbF{@Ry@OwD{C}@EeBr@sBk@_AcCaBb@y@c@sBbAsBg@mCj@w@a@yDOk@rE_ExI]dDV`@a@d@Rt@]pBg@^Fj@uEbBBV~ANErAj@t@CfAyBnARhA[Xl@pBfA\\Vl@cCEmAk@y@tAqAN]|@iBJ_B`EJl@dABnAhC_A`Dv@jAq@l@L~@fAl@e@r@kB^AfDmAl@iCtEwF?cCfCiBjHM~Bi@`A}BfA^lDW`C}Ky@yIt@wqF~uJ?tkBb_Gw\\brGm]lIgP`s@lI?lnFcKi@Qh@`EfFlI{AVvPd@hAW~@Jt@p@b@UtFjA|GcDdNT|Ec@fEx@nBBzBk@fDnDDhCbEjCT^bAzCZTf@cBhBoClAiI`Lk@bBuElDIf@s@?}CdBIpEv@k@h@r@Av@zBzBR|@a@v@@nAxAGz@dAfFj@r@~@n@Ib@b@bBIjBfAdAu@zAdAj@c@v@ZKcAh@g@pBNz@h@|A_@?p@hA\\dAnBFdAnAR\\vAIpB|AXm@bB_Ap@\\rA"],"Africa/Luanda":["ri_@ikU|Fy@|HyCfIf@jNH?aLn@uAwDcHoAuGd@m@@uBbAk@vAeCi@iE\\e@w@gANo@bB_@k@_A@kD[[Bw@k@IgAyBAqAoBwD}@e@e@}Ae@AiAsDw@i@e@sJjAyCu@sEhA}E~CyBbA^^QpEeIdFuLnCqB?mAc@e@n@oD]YNk@k@uCc@UCmeGtBiBbAGnAsBtBs@d@oBdAIdDaFb@KA_Az@[J}A|@q@^oAb@mL{@k@h@wD_@_@r@cBCmAd@POuAf@oAF{DUM\\gAc@gARu@c@_CfAaAOg@bAu@uAoB\\kBi@{BvAkEi@}@r@cBcA_C^qCq@e@P}@]w@dA}A\\aDlAo@@s@|@mAKoE`AiBQ_Bd@Ed@yCUwASPc@WsAsEy@mMx@eAz@wCGsAp@S`@oBiWk|ByBpAcArEFfBmCnBQtAuANUtAqCr@N\\aB|A[WyBfEk@VUxBq@bAyAR{A|B_AXS`AOSaCnCmAh@iDvEg@ISr@uEdE@h@s@DeBfBDd@eBn@AdAeBpBWQg@f@?x@]u@{@l@K]sDd@uBbBy@UAj@qAz@Y|@kgEI?g_CoErCCrAkBzA}CI}BcA{@RuCiAoBVaEiD[_AyAYm@Bo@`Ao@o@qAFcE`DiOAuBc@g@k@gF|@kB|@aGyCkDZqA_CeGrBmGIk@bAe@i@eDT{AYu@J{@fAk@c@d@z@zAp@j@|ArBdA_BnE^rDg@h@DfByAbDJhDpCbGrDpEy@pA~@nCk@nAGjGo@vAlBrDI|BsAxC{@VWjBd@jCnALn@W`C~BHvDjBbAv@zBiDe@yAf@o@`A}ITiCjAqBoBaBqEkB?qAh@y@YoCFaANo@hAoFqBgAn@s@Ag@l@yAHwArAqBf@qDKy@^k@Oo@f@USaC`@cBtCJrAyAx@St@mC^Th@aANg@`Ak@AgA|BoDNmBbAcB@mAlAmDc@oEcByBBeCn@iACa@g@_@R}I_@iCeAgDFeAo@{@RqAs@GXm@KOa@cAXi@o@}BF_B~@{ADe@c@g@Ja@bA_Ef@c@WcAdAqCr@uA~AmDn@cAs@mG@_Aq@uCWOa@_Ey@eAb@_Bi@a@^_AYc@n@gAOeA\\}@lAq@??flAgFQi@^gDaBaH_A?`RdDd@?dn@lB[`F~BvCSnCl@r@g@j@Rl@SLa@t@JhAy@zAtBl@QxAj@?rDf@ZxEuAhDr@h@j@fBCrAn@Nc@nA@bBm@@pc@mDx@FzMdDC?xFn@~AO`By@v@U|BlAjCj@PObAt@XpAU_@rM`AtCa@pCFvAv@nB?lBaB|BiA[B[sA~@Ad@iB@Mz@iAZiAU?n@eABLx@o@KNf@}AEH|As@b@kAa@q@vAc@WiBJuAzCyAn@iAEs@zAqA{@s@pAf@XCh@sCAQhA{A|AEvAs@@{@hA_A]aElATgA{B]Op@u@VHr@wF?o@x@@lAeBMaApAaCDMn@s@^sDAk@v@{Be@wAxA_@]oAr@g@w@a@xAcAa@_@d@KyAwBb@mAYg@XuAu@uBtA?j@_@BHt@}@OOzAg@s@MhAwA_@k@`@_@c@Qt@cC?y@hDr@fCGl{AVhNt@nEc@tDHxHUxAo@f@n@vAa@RH|@y@RRt@YpB\\~Bs@nAp@nAb@rJAtJb@r@o@|AChDVdBhAf@}AlGpAxE}@r@OzA~AtDV|DpBzB`@tAh@zFtBhJSjB{BzC_@hK`FpA|Fe@zJ{F`U_JnKcJlDqBvPkAfDsBf^{JtT}IvEqC~Cf@`D[fDdBfKzKfEtClD|@hF?nCu@fLmG`LwA~EBbCw@jFgD|CBbCc@bIcGjGoCvCGbCy@xJmI~BV|C]`JsFbABzJz@zCt@tNv@`Lm@nDb@bClAlMtCzDjEfGtCd@`Gx@bCtOjQfEjB`GKhKpM|EhC`BzBfCrAbEj@fEc@pHRlDjDbHjAtCjAfIdA`Gm@lF`@tPdCdCvA`QnErF|BjSnAzCrCt@nC~ArBvC~ApD~@pFAnEmBpHCjO`F","x`IocVnFkDtJmC|FfBvCNtEm@vFmCqGiJUgRid@Io@zBqALaAmAVu@gAmB@o@uCc@TsASgBmAMsAaAJq@s@SCa@k@HuCyAZ_@y@s@Xw@uAuBR_BoAi@^{A[[qATuBrDmB`AwBtCwBBv@jBgDfDnA~@fCe@bA_A`@Xu@fCfDnB@~Cr@r@o@dBjAdAJtBpBKvFfC`@x@YDDdA`@l@_@CJ~@YXrE|@dGnHZG"],"Africa/Ndjamena":["ue[ciY|l@}H`f@c[?_WdKqEj@b@x@UlA`@h@KMg@jAc@w@y@|@Dn@gBCcB^Gp@h@h@O{@cAjBu@@wBvBm@dDEt@XTU]e@jDaA~I\\d@c@j@p@xC_E?WaAM`@iAr@@h@o@h@FDd@hA_Bh@RKd@XRz@_@v@n@|AQf@]_@[J]fAIp@s@t@tAbAq@Gt@n@Zh@a@vAF~@o@v@@n@wA~ATn@fArClA~AUh@f@h@q@xAr@~J{BlB`@J~AfBYf@k@rC]vBv@hK}DbAf@|AChCeElCkAtDk@^wAp@Sl@iAdHoEBcAfAw@Ki@h@ObBgE`CdPoBjIGfE~AnDiAjE~AvHeCdT?~NjJvCvDxErDxAt@yBzDgC\\wAtBmAG]r@o@vBeAUqAzBeA^cAfBH`Ah@`@M`BeBv@uBnBq@rDqGbGuFNeBj@]YqBPw@fAm@\\\\LqAx@oAlANLcDh@{At@Qr@aAbAE|B_BtX}JdBAbIsBxDkBr@iDnDBf@^`CJfCrCZeCOoInA]jAeCsAiI_BsBeAG]e@YoEo@{@VoAaBcCe@uD_BkA]^YUm@ZiAs@j@a@E_AqBu@mAeD|@VbDUv@kCrC?~@o@@{A|@{AnCaADy@y@s@Ry@YY[f@q@_@a@RT{@eAw@XYMoCe@GMaBo@TY]fA{@G_A_BSGiAaBk@b@eAgA@k@iAg@CH{@{@cAPmAq@?Le@g@UXWg@ASe@z@cBo@QH]aA@Me@^Sm@s@Na@]iAoAe@ZgAWg@n@wKcB{EwAcc@u@m@uB@eCeAmBkGy@aAoB]He@s@Yg@kAkAAeCoCo@DW{AyE}@eAsBmAlAg@dB}@h@]jAcAr@@lAwAL@nAw@?e@mAm@S[{Ao@Bf@k@_AMF{@o@KRa@{@[Rc@a@UX{@c@Y^m@{@qCt@{BIiCYU\\w@YQ@wAd@Mo@w@f@Cc@m@TYi@Ub@a@a@a@p@uFcAkEJyEi@[Jy@e@]GeAu@_@b@q@q@Ig@w@JiAm@KlAiAw@aCp@{ATwCeA{EiCwAA_A}Bd@SaAoAWn@{BBwBsAJk@i@a@cDy@]S}AyB[yAwBgDwB?y@k@PKi@}AD{@o@w@Dw@w@Zq@g@eAkCu@qA{BsD_CMg@l@wB_@gAoCcCkCa@sDoCa@_Fg@eAsA[Kw@uCQqAm@uE|AyFc@kAwDR}A}AcBc@uADyAkCY_AmA\\iGcBc@yA{AJ_AiA{A_@eDsAmBFiBh@i@UaC|@oIn@c@J}DwP{DsCFaAj@gEb@ZvGwB\\kBjGsE~CwAPiGg@}OeCZp@Wh@\\bAOd@z@vAEd@oH[aEbBgC^y@S{BfCaDyBsEs@{@pDgDvHvA`@hA`BzAlK}Af@cChC{A?cArAw@}@mHkBeAaAsAGSqAeCaAE{Bg@]MaBwCyAuE{E_ANcAvA}Aj@}CQcDdDkBv@m@_@{@LqAdBuIyHkEcIEsAcCkEsBoAcBb@_@jARpAgBbBg@Ai@_AuAd@gFGm@|BcDk@aEsRmJxAs@gAKuAeCFeC}Bi@wAi@Mq@qC_CD_CmCw@f@iBg@q@ZaCCeDtC}Ce@u@yB}FaGf@{OkCuHM_Fn@eHjByJulF?amA~qC{rAneDob@thAop@xoBb[p}@r}@gKl^OdBaDr]mTp@tAzAr@fC@bBe@dCcErTeSfYdN|fAlHvtB`EzgA`eA|b@|XzFvEnInCxGg@z@pAKl@xBhCjDe@nA|B`AhG"],"Asia/Urumqi":["k|kAwpnC~@_ClAhAZy@d@b@Lq@t@KGyAf@i@|Bu@Hu@XTRy@p@[fARPi@z@IVc@c@qBnAy@dBYz@d@g@|CrAxA|A^PeAbCkAzAn@fCyBbBDdAuBIaApA{@h@}Ck@gAL}AqAn@aA[@mA}@KrAwH|FiMf@uGf@mAZUfAz@vDoAxCAV}DxAHt@k@xAA\\eAvA[Uq@To@jFFXq@rAn@tAkA@cAjAq@`@vAp@Nn@fAVSz@fAtBsAbAL\\Wx@gCn@e@q@}@rAu@b@gAnBy@jAvBdBcAhApKP^jAG^~@JrC{@TqApBf@hB~@z@}@v@JfAl@VYjARtAv@HZt@|@c@l@|@r@eAfBG]_A~@a@`@gAyBeFpCyAmAgErA@nBsAn@CLq@a@o@aA\\WuCq@iAZ}@ImBi@u@`@s@j@N|@wCc@sBx@cDOs@PQ^l@r@@`@gAlBQtBVbBaALa@m@y@b@eAeBAJwGd@o@C_AbDsG~BwCjAj@pB_CvCoAn@Qj@|@tAf@hAUHk@dCuA@lBxBOPzAZAVfApBk@PVhBoBDmElAIpBkBjCf@x@}@M{A_@O\\kGw@PQ[V}BkAqAP_Bg@{@k@DCo@r@}@x@r@v@]h@t@~As@n@mEr@ItA_Cf@KWeDlBgBn@aCc@{@\\kC~@y@vAaEq@_FvCuDPeBq@wBCiBp@gASUTq@q@m@dAiA_@wAy@QAiAo@aAvBcEgAWd@q@a@i@B_Ar@o@m@i@AuDj@t@nAPfClDtFTxBgBVaBzAB`BwAlA|@tAuA^wAb@?b@v@zAy@h@cA~DRh@l@~@If@}Bp@K\\^zAw@n@uG`BMsA{BVkBvBONg@gAaAZaEp@Of@wAv@f@jAyEf@u@l@Jb@_AeA_Bt@g@v@eC_@SiBpAs@wA\\{@{@mCv@uCk@wAMoB^eAg@uBCmDw@y@h@m@OoA^k@IeB}@w@\\_Ck@iBmAsAw@`@{CuA{@j@u@uAkARoDaBcAf@EiCkAMOaAqAKw@b@Qg@c@^s@a@]ZiA{AToAqBuD{@y@o@\\s@cA@mEyDxDqCaAm@{CuBoB`AYRoBZO[u@VqA]g@XqBvBsAOaH~@yEAwCk@i@oB\\c@}Bj@Il@mA?gBzAq@IgAc@WHoFk@oApFwGFuEsAaG^wBoA{C_@^Q[EwCcA_AkDDgBeFJu@o@OCoAw@y@IoBsB{@oAZIqBoB_AIwAd@yASaA^cDjBmE_ByBCoDZ[LqC|@TfAq@fBR~Bu@j@iC~BuBJcCy@yBnA}Gc@sD`AcBn@IQsB\\k@w@qB?wKwA_AY}CRcC|AiAUgA`@aBm@s@aAaG_CgFgAo@Od@q@FmCoNHsAs@}Du@_@kAiFeAq@[sBPeEi@_C_@MMuBtBiDv@I^mGvAwBI_AiDiBg@mA{@iF@yGiB{BU{A_A_AuASYu@gCc@_AkBuAf@oBSQuB{@_AB{CkAcA]}Bd@gBq@q@HeCQiB]OBmAcBuBKmEjAy@EqAuAaCTqHiBuAYcFqBkBNs@[oAXaAtBUVyCsAyJLqBYWQ{GmAgAViHw@mBJeAi@k@VsFm@FCyEfAw@SmDv@_AlAKd@}B|C_DKk@oAYu@uFxAmAPiCt@eCz@w@MmCiAeAhCaC@yChDqGjCsNQaEVmD_CN{@kBcBu@yAOi@l@nAwG|@^`BaF?}C^q@TmD_@}Db@_BGoD|A}ErA}@x@yA[wCwCeBb@uEq@oAmBbA{AGa@fAw@^oA}@}@bBsCUs@c@e@t@mDGs@bG@hCOf@a@CG`Dg@VcA_@qAx@k@SSmAyCdA}@Se@wBsCgCHaG_@cBeASIeCiAe@c@aB^aAI}D{@h@iAYcDj@uAtDmCEuAnBmEt@kBlAa@lCZxB_@GqAbDoAe@cCxDyBtFBdBu@zD{\\FaF_@f@pI`CRElCmE~GoBsAa@`CgC@g@cKh@cBUiCy@oAeABG{BaAgACcB_@Fm@kAcAj@TsESqCVAsAiISaHyAeGHoBcCcHkAqMa@u@J_D_@sCGe@a@A_AkD_A}GBaCg@e@i@aCO}HaBt@ShAu@Y_Bj@yDFeGsJcHcFcUqEyPeByH}EkOi@wCcc@_@{NaGyBkDTuMoKqH{I{M{T_AoLcG_FoEcPhB}Bt@H|FoEmE{B{FeLcAoEe@iJoDmKgDeDcAA_EzBgCkEyErGoDq@k@lD{AmAwBKyB}CuFyP{In@aTl[qAz@qGf@gJrFaO`FsHfEq@tKuBw@gGi@uAkB{@XtAtXuA`CuAjHG`CsEfF_CxGKbFaCj@m@bB}B`CaKd]gAb@kCrKTR?jC_AxBHfD{@dFEfF`@dC_BlERbAYnCbBxPu@bJXzCiC`J@`Of@zEi@rF\\R}@xBkB~AEj@|AlBg@vAElDeA~BaAZ[rA?|Fn@dF[\\{A{@aBvBR~@gAQmErAuBfEqBBoJ}A}HiGmG{IkETyJlF_ByCgEqAaEaCi@RCdBuGcAwA~@Mr@s@Hy@~AgBe@aAlAw@GeBfCIxD]?eExEo@?Ah@}BzAOn@}CfAgAzAc@w@e@Lg@i@q@b@IvAgD[eBvCeBZcAjAg@QBg@]Hs@zAyAjK{BrBgBE]c@q@x@Xf@[`DlBLH|JmAh@WWo@r@GjCqAZk@|A}@LS_@k@j@@bJ]d@n@b@LjCt@^TxAe@zCLxDqF~FP|EuBzDFf@e@IIxCaAd@K`Aw@U{@|@}BiAYfAYIApA_@f@c@IM|@f@~A{AhDs@M[v@u@zCFfC_ArAJt@m@b@F`B_AzCi@^eAmCg@^cA{B{@e@@fAkAx@g@lBZfAmAxBGvAo@jAIaAsAvA?nA[HgAs@SNA_Ag@o@DsBi@@[cA[~@i@]}@rB]q@aAV_@y@gAhAFZs@BMtDxAzHItC|AYh@|C_BbHF`By@z@QrB@jAf@l@WbDNjEbAhBfAGVXtBrE|CUrBwCn@ExAbCfCg@dBnCx@VXjBfBpAhAPtBbJk@~@RrCtBhCG~Rb@xF\\|@hCzB`AAtBfANr@|@PXpAdBx@JSH\\lEj@tAg@pZeC~@J|CuC`AC`@c@tBz@~@s@jAd@j@KtFrGpBX]tCh@pGs@|Ad@ZCxAvBpAbA`E~@XLxCxAPTfAaCjDe@?u@vC}@l@HfJp@fCcAtCXpBKbJdAvCCrCu@~Bl@lCeBfGQvA\\pAc@Dg@dGk@AMpAq@d@QpAQKVpB{B`BAvFiAnAe@bBVnFxBDbEdA~AlBpLhChA|AhPfErSbLbJnBX~Cp@nA|GQlDpBvBH~@n@bDi@bFmOvCyAxFJ^j@t@nD}@nGeAlBpA`Ji@j@m@QO|Af@dAHlDyHjHt@rBSd@`@t@?`Bt@bBb@G@jAn@Zb@xBg@lA|@vAOp@n@dDUrAn@vBb@H_@lBh@Cx@lAZpCSnAtAvBe@vFs@zB^]f@v@z@bECnDi@l@lDtEAhAy@r@|ApEcArCb@VQdA\\JEp@z@Tp@hAf@rBl@Vt@zB`@GMw@d@cB~@d@r@cBbAGg@eF_AcBb@e@z@RvAi@xB}G~CqC~F|BzJqBhJNlAaBnAYnANdAcAd@VjAqAn@Pb@a@dACxTcMt@KXf@nA?`ChB^aExAZv@q@hAFp@i@lAr@WtFTdCpArAfBhI\\NfAg@bBqDz@oEl@WTfEr@nAAhAr@b@Q\\ZvB[PTzBfG|@p@fBpA\\`EuBl@eBrAbClA@p@y@zAN`@Wf@yAv@l@dAu@l@D^`ASzATt@zBZFn@bAQ|@mAnAx@ROWvFZbIj@dAt@Mh@dAxA\\t@|@?vG~@`@d@~AFhD]`@VnB~ApBc@x@hDpEDvDbAtAPjBl@TKt@h@|Bd@H|@~AI^jAvAJjEh@j@TYh@nA|@d@UzCnAlAt@zC@nBf@VEzAZ\\g@zDd@lCrH`AxAzGA~CbAhCnAz@dBm@xAvB_@bAt@vAUlAh@~BU`APjCM\\e@Ge@bFjA|Cy@~Af@zBu@dCSM]j@HfC[f@|AjC?rBx@h@d@In@fEfBl@pBC@Zp@SdA~@h@nBvAQl@o@\\b@rB@TrA~@^t@lAtAp@vAKf@~@b@@Z~An@`@XnBUb@~Ar@q@n@o@Uq@~A_@MSXvBpDc@hBBzBZ|@r@OBp@w@x@JhAZGz@dAx@KTb@i@`AE|Aa@N`A|AMtAr@`AcAHcBdAsBe@eBwAs@fAMrAqAl@oCQu@fAa@MvAfF~BnCl@lDnAp@VzAdAbA_@bDr@dB_AnC\\|@kChH`@j@`BNFf@bEkF^HZlA{@nCFbEp@QfA^^n@SjCrC`CFv@jE`GPx@i@fATp@{@j@l@jGp@`@NhAk@t@f@z@dA\\VvBv@oAhDjC\\]|@PjA`CjB\\t@IR_Cd@c@FPfEkAl@DNdAv@Ef@hAP]h@d@z@Aj@rGYdE^jAzAJ","}ekAgeoC_U??}j@~T?","cxgAc}qC{vA??_k@}j@??wnDzvA??vnD|j@?","cbgAcisC_U??{vA|vA??|j@}`A?","{gmAautC_U??}j@~T?","gjdA}lwC}T??}j@|T?","ysnA}lwC_U??}j@~T?","i~bA{xxC}T??}j@|T?","}{kA{xxC{vA??ynD}j@??zbC_U??{vAwdE??wzEp~I?","gjdAwp{C}T??}vA|T?","ksyAq`aD_U??wnD~T??}vA{vA??|vA_U??}vA_U??}j@~T??}j@~T??{vAz`A??}j@|`A??|j@|T??}j@~T??ybC~T??}vA|T??}j@|j@??}j@zlB??zvA_U??|vA~j@??_k@|j@??~j@|T??|j@|vA??xbC_U??{vA{vA??zvAufG??p~I{vA?","gjdAolbD}T??}j@|T?","elfA_xnD{`A??}j@z`A?","qouAu_wD?|vA|j@??}vA"],"America/Manaus":["h@|xgCpIG`AwAlE}C^}@IwAlAa@\\kBlB_BlBkF`AJt@m@bAVrAqAxE|BfCaCp@Xx@}ApBB~@qBhAWFoAr@r@f@s@`@TNUBZjBkAlEfApGcAhAlAfBEhAn@tDDdeDj]fjIetCdBuMbMc_@u@y@kAKDcBuDgFPm@oAiD_AKkEmEwACcAp@]Kd@cAKoB`@WIm@g@JCk@d@q@HiCq@cBP_Ca@aAVqBlCqBD_Ax@cA^@Cm@~@Mn@u@_AqAHu@uBsAaBCiAcDbAuDr@Y]q@LaAaCj@iDSj@{B_DsGv@mAtBg@z@NRk@rAVf@uA]yAm@KMmAsA[a@aAkAKWiAiAu@gA_@}Df@cDm@@m@cBmBO}AdAkAaAmBt@w@@wBkAyBAmE_BwFHYzA^^]G{CmAsD{E\\kAy@{BZs@c@T{@a@w@HmAk@LwEaBl@oAcAi@oD`BeAaAa@D]bA_AaAqBAEaAmAoAvA_DWc@oCcBcBn@yCyCoAEgByAkBARoo@lAgAf@cC~AeBfBe@v@Xr@u@z@IlByDrCSp@q@wAyB`AaAd@eCjE@l@y@|AWzARx@kBaAXy@q@ZaD|AWLn@dAeA^Ll@m@j@JzB{@C{D|C{ACmCo@kBcB@mCq@^{BiBaAMw@d@O\\sCpCq@Fm@?gcE[_@P]sCiD_@bA`@hBo@t@aEgB{@h@gAKuAZeE_C}AG_@_A{HJqAiAeC?mAfAiBN_CzAeCPgCwDqCa@aD{C{Dl@cCQkEwCqAdAiEBgDfA_BtAKt@wDpBm@dB{BdBkGrAqD[iCsAuBmDw@UiBeCuyFcsBaA|B}ByAgDy@mB_GcBmCuFsDcBOx@Hz@`G|@t@XtAxAr@KhBnAd@s@fB^~@}@zAlA|AEr@dARA`Dq@b@c@vBq@@aD_BuAb@D|EwA|A_@lBiBfATnA_DxAu@W}@n@V|@s@TBhAaBD^bAo@D`@r@}@v@r@J]t@p@Xc@t@?Zj@Lk@d@Pj@u@Mi@b@^z@u@JZ~@iA`AZh@s@Iy@pCi@IOX`@b@OjAZf@k@t@iCLJfCo@M@l@aBt@QlDq@BAzAi@IMh@a@Is@z@mEs@M]{@b@m@S{@tAeANBpAnBdAB|@n@KxAhAkEfEZbCy@\\Sl@eAHsA`C_Be@qBrAcBW[`Bu@?Nj@_A`AHV}DzCCz@kAvAu@?eAz@OWyAFe@i@sCv@aAWuA~AeBfE}COgC^gAc@sC?iCdAsPE?lfAhEh@tBtCj@a@hAl@`@OdC`Dn@C`Bv@z@c@bA~AbAV?j@nAMVZ`Ac@z@TNh@xA@x@t@|@Kj@jAlBj@jBy@HVZMK[fA[`@kAvCQv@nAOt@l@TEf@f@h@S`Bf@l@|@IZr@Za@t@v@o@pBl@P]n@hA~Ac@FG~BYORbA{BNS[Q~@u@_@]bA{ABQ`BmAFCbAq@r@kCTXlBe@jC}@XYr@?~Bb@Ne@jB|BRlCnKh@CD~@pBf@`BpBlCR^UnDvA~AGNgAf@b@l@a@`A@\\dAVW^XR[rA^d@Ud@d@pC^n@n@lB_B~A`ATcA^KFiAnC{@j@eAjBRmBzB_Bt@wA|BmBtHl@`AMrCyOlGs@z@EjAwBp@iAtCa@FMlBo@XGj@cDbD{@?_@f@SfBi@`@J^gAx@O]iAXaAi@NuB`Aq@g@{AcAXHw@g@]IcAs@GMXa@UiBt@_@c@i@L]k@i@?Ec@s@Xk@kBcAq@e@LsAi@g@~@RVg@`@{FKsCzCu@I[^Oc@iCn@wChDwCLaAn@iC\\qBA{Ai@uClARbAaCZuC]iF\\gDuCqCv@iEuAiCdAsBKB`Bw@f@_SzDqBjDqA\\yBhCwAWyCiCsEL{D_AwAl@gAtDo@r@]xE^vC_CdD{DlAO~At@bDsB~DTn@tA?bAlAa@lA`@BVdAy@dAx@`DrATHr@zA@u@|AzAz@Ih@p@v@_@|@x@Zs@rBTv@SdBfCnDnCNx@e@pAr@|C]jBVjChBOb@Xx@hBn@d@|Bf@Jr@~A`BJp@n@f@Ms@b@BbAa@h@wD{BcADR|@SVnBjAAbAjAvAK`@t@R@h@hAh@hA?@|@lAfA\\`BrB~AiAtAeBZtAnBxAZo@dAx@RJ|AlBXfBlAC~AsARV^]b@v@p@Jz@lCIdAd@Xs@rD`BR\\o@@JdBe@THjBjCr@@`@rAl@C^dCg@Fp@~Bv@f@hDj@^kAt@Kx@m@D}Aw@e@}@[JSg@m@GOm@mAQG^gACmB`AAh@k@KTv@o@DQjAr@@q@|@t@p@c@VDzArAz@b@~EbAJb@f@C|@tCr@V|AOpBdBJI|@d@fAeAfBhAdFe]ba@|BpMaAQqB`@_CrBs@IMc@^m@y@_AoEAoAn@mCBm@pAgD[a@XoBEa@[eC`Bk@~BRp@oBnB[OsCnAgAO_D`@[c@a@z@qAWEXw@C_@r@b@~A`BPSbA|@xBlCzA`AFFr@VGdAbAuAlFfAPzChDd@BPdBlD[WxCi@\\n@fA}Cv@K`AmCtANv@[`@{BZlBJhH`D^US_BrBVQ{AZ]x@\\Mk@^O@zkA{@pCXRu@hALh@Y@d@lBdAlAMfFhAjAKlAg@b@bg@LZoAoAaA]iCrAAJu@w@eCt@wAE_Gz@]wA}AAmBfAcAGsApB}At@f@~@gBNl@`@@vAkBn@JHp@tCc@t@pA~DsCVJg@fADfAvAJDzD}AIn@z@a@`@x@`@kDdDYEm@|AbAfBl@FIr@z@dAZSJd@h@AaBlAKt@t@xAr@NIn@~AlBg@h@\\zBYz@hAd@q@tAFj@VO`@Xc@rA"],"America/Vancouver":["_etBhrnGzDcU~DkApAuAx_@u~@dOuE|Cr@CsCwDqI_Ik[KiN{D{D]JQu@kJN`@yE_@}BuBeCeABsArEmAqHk@_NoGs\\vBmFrA{F`A[hA{BDoAtBqDpDA|ApCpA}EpAnA`CkC~@eOpBk@xBaFAeDxDiEvBp@`@{DlAl@zB{CfGcYhFiGhJsStAfD~EgFrFyIrHkE~HqK~GkFlKiKdHoJtGsFlFpF|AgStI|CfCuNfBv@dBoAnEs@Y{NtByEdHaWlAaRfE}Hn@uHhEsAzAgJu@{GdFiE~D\\H[xGfHdBG~@gAjE^dDkAzAaBbFg@jAwAb@EpD`GbGhDpDhDpG|KrCdJp@aAz@SzAf`CtG|_@`LbKvElBzN~C`CSpWyJ`_@}\\~J{NxEuExQm\\hQgUxQ_ZfcAiyB~DcXtDsQnNmQjK{AdDkChBcFxG_b@dJkQjSuV`CiEtW}v@vEmJfMed@g@kLP_FfKuk@nCm\\uBiQuGiG}@xA}DtBaH`BqCgO_C?uIrRBaoK}@UMo@s@l@?xAXROtCuATu@q@u@ZUcB`@aBaA?}@}CfA}@a@kByCwDwCvCaNnCaB|CuIqATkHa@[Vu@qC^WyB{@g@Y_Ak@CaAgCf@_B_@i@gDpBcAIq@{A{@FKn@wA~@WhBkEg@TfBQr@aAGwBn@i@dBe@Ba@r@k@w@{@Lm@_AmBSyA{Cs@~@S~AAvD[AK~@}@ZIr@c@N_A_@ZnCkAtCK~C_@Xu@MMpAmB]kA_Aa@rFe@By@w@CdAa@Am@nAx@rDEbBgAdAw@MOlAsAKm@\\s@oAuAn@mBrC`@bC]dBl@~AKxDeAQcBvEk@CmAnCg@Ju@nBu@d@q@gB_@?oAfBuBa@YsAkALs@e@u@|Dh@TZpDWZgBEg@zBeAsAiA@o@s@]fBs@E}@l@Yh@ZjBq@`@KrAZxB}AFgAtBy@e@gGlAoBbDYSDuAm@Ms@oCBaAy@_ABaBx@W[qAw@USo@e@n@{AJq@oB{@hCcAv@s@e@YpBs@DUp@k@Gc@mBo@S}@nBw@_@gAtDgC_@Ie@K|B_@`@c@Ue@xAAfBj@t@FjAq@O[^_@WsAzBi@aAeA`@BnAs@`Ah@~@Q^w@OoAqAg@hBw@TuCtHZzCb@aArAhAj@gA\\lBk@FWhC}@r@NvAWhAb@~@YO_A`@{BpC]USt@i@MeAdB^vAgA|Hb@QFn@s@xEgDzBe@Mu@bBd@z@_@fAe@Cc@iAoBjCQiBt@_Gg@eAi@j@_A@sAzBThAc@R@~B_Cm@@tBy@vA?`BgAPm@cAmAhBkBSo@d@@tB`AZVvA[r@s@[OnBuBu@Ty@_@{@q@Sg@n@s@OVbHoA|LaAdAeAq@a@p@}AFc@z@ZVC`B_@~As@yAm@ZUmAu@h@m@hBJfBeAj@cA_@k@bADdBx@HVjB_@dCXpAg@j@n@RgAlB[HGc@Oh@kAWGxFP`@t@@HxAw@`BLdAaALSpAaAL@dAg@Bo@nA}@OMu@eAk@]p@]IYdAy@GwD|K~AfBu@nD_@B_@eAE`Ao@m@wAnCgAn@k@fCmCzD@bCmAd@JrCoAv@c@[C_Ac@Za@lCSK{CpE?jB{DxEp@|AjATTl@WfCaA~ABzBc@KCv@_@OKj@b@nEg@U[p@u@OBeCoA`AYm@eAVi@o@[hAn@jCq@rAIWgAH_@zCgBs@[`@a@K[n@@|@d@Bf@dC[jCy@f@]mAqAJ_Az@IjAs@c@m@jDoAD]w@e@DS|A{B{@}Dn@k@j@a@M[t@q@u@mBnDiAe@o@XCoAaAnA@bBg@GUd@Cw@o@OEkAeBKaBbBFzDUL[u@eA|Bi@mC[R_B_@YnCg@r@oBBw@vAoAkAgDdDaAgAWnC[\\sAKg@hD}@SSaBcB^{@rCWM_@~@AvAa@b@m@MyBzD_@_@YPs@sEiDtBg@c@Qn@_@c@IzB_BIDbGa@UeAzEy@Ai@xA{AEiA~Gd@XmAhBeApE`@r@a@`AcD|B]tB}A[m@PoCu@yAlBKsB{@\\iAkC]b@a@EWiAm@|AaCLO~Ds@~@l@jBDrC{AjFg@?q@fAr@Jp@~@{BxE~A~AcA|Br@nEk@~Fy@KQbBYa@_AnAQ`B`@fAq@nASo@_@f@UdANbDYhAUMSZQfCiB|BPvCWRe@w@sAr@[WFlDd@TKzAr@r@[x@PjBeBbCeA`DHpBn@F\\~@q@`ATnAUt@y@wBBgBMNaB}@g@f@C~AaBlB`@tDm@^QQe@tAYFk@{AkAw@mAwCu@NQh@_A@_AdAQa@}A^W]e@xC`@lCSz@qAbA]GOj@k@{@sAhA?t@w@iAe@H@o@cAf@j@jAM~@b@`Bk@JSr@o@URtBUV_Bi@GrA^Z_@v@eAc@wBz@Wl@`@lAq@M}@h@aCzJa@HK[}@bBmBTk@j@Sg@Mf@i@Ie@sCYt@S_AcI?","ghwBl`sFdCa@JiB^_A~@YLy@u@cCgHaCcBxA_AS_@jBrA|G"],"America/Winnipeg":["ywtBlfgEd@??u@e@?","ymiBbfgErNsNbIk[`A??mA`U??gApT??cAxT?@y@xT??cAxT??y@xT??_Ath@M?}@`U??{@dU??_A`U??{@bU??{@bU@?q@dUA?{@bJ?@acKcW?~@}Da@iE`ByGt@P~Du@xCq@j@m@lLeCvAD^b@dAS~AiBnAwEPaDe@gADyFT{@nASNu@d@wVbBkA`BV\\{@?aG_@}@R_@o@aH{ACeBcL?_Bf@y@Q}Ln@IhC{LGyDnAONnC~@Zr@qBUiHbAeBrAf@f@KfGiEw@eEm@p@yATmAuAPoBg@{BVyDo@aEw@??fK]dAGa@El@_Ah@GnBsBgDo@Ms@gBV}@qBeDUqCe@[_@wIeT??ep@oNA?i{@w|A?sNf^oEnEcHbHsN?sNsNsNg^{m@??o}@sN?mVg^sN?mVf^?n}@kjC?ue@k~@NdByC|QMzIuCvV@vBy@xBLwAgB~Jy@zAgChLHoAYd@BS`@w@g@z@g@fEHq@ZDJt@U_@iBnHFxBDmCNjBuA~KZvNAk@vFrb@hCbPRKBvGXV[`@|AvGcAsAXnByAeDl@~NxCdJc@rBoDiFoHaFkE_AiAB_InCa@tAmBj@iKzHwLtDi@A^[c@CcChB}@Ca@hAiAZg@tAFs@wC~Bs@BREYQgBrCeBTuFzCiANy@WqBr@y@So@|@[OkAvAOhAi@k@v@~@Pm@OhAb@|@e@r@Dr@bBxBu@tBOe@a@Tc@hCXMB~Bk@~AY`Fz@SAbASCXhA{@^f@K^\\Od@d@`A[d@M`Oa@fAg@N^Pd@dCdA^x@lANlDk@hAwBd@i@~@a@Ig@lByAdBU_APzBUyAmA?_@jBJ\\b@W?h@SYYn@O[Iz@yAvAUKLpASYm@`@IYY~CUAC}Bm@CATs@cAI\\c@Sy@d@{@s@o@r@i@e@WVsA_BEj@e@LTp@SDFg@_@d@l@iDi@SOgASp@P_@RnBO_@iACoAdA]U_Bx@g@`Au@UA`@u@kAW|@Ic@@`@OO]dB[cAW^[a@Ch@e@UNeBc@jBKs@Qd@WY]b@Sm@Qd@_Aw@HkA{A~AD`@G_@wAJq@p@U]Sh@Mc@k@h@UUm@|@gAq@?z_MzdGG?oAxT??oAvT?lEfTrNrN"],"Australia/Darwin":["rl\\o}zFhjTACkqPcoQFsHiG_DzDeEzC{ClAoBvByFtWmCvBmAxC_QnAwBtAiGxHmBzF^tFM|LwCnO_Ax@iFz@qBvA{EhIc@lEeCJwBp@}B_AgDSkCgEaF}Af@uJa@kDb@gC|A{Cz@yGtCwA`BiC`@wCY_D_AsB_BwA{GyC{FuA}HEsRfBmJiAuCDgb@dPwDiAyGHwCg@oCgEiDgA{CwCuDo@{CJgRzDg}@fFqFdB}ApBq@zCB|D`ApCfCvBbHpBbBxAvFfCfC`CzBjPnDbGv@lCdIbHbEzAPnGyDb@sEpC}ElGg@hFn@zCrBbCbFvC|EVl@vHw@fDH|CvAdDnDxB@^wGzGiBhKaCrBiApBoAxHz@nHeDBoDpA{BhBcArB[dCPhCvApFxBbCwExDaGkDyFIuCy@qC@kEhBqBfE@dFvBdEEtSnGrRd@bQfAlFdA~d@rBzEz@`E_@jCRvC~BxDsBfDg@xCqHnJg@bEl@tDzA~BdBhAxLfC`IpE|UfHxE_@jCqA~d@}KpG{@lBpDdDxBfCv@hAxB~BbB~D~@nEIlEjBpGhF|Bd@|BAvEjBs@dEl@`EvAtBlHlFjCd@lCOrBw@dBgB`J`D~C^pDbCUv@zYhB"],"Antarctica/Casey":["~ugCom|D?o|k@owH?o}@n|k@"],"Asia/Jayapura":["jzAe`qF~s@{StN_HtMab@xc@RrVSj{@sf@vwExDgDwGjAyCdEqGmCud@pAcRg@eNpA{M~CiJfEeFT}AnFww@{FwqApF}w@W}G{J{TmFaJ}Yu\\yZ}OmaAqm@zr@eiArH}Q|@qE?cCwE}MiCgCyLaFaa@sGqVJ{Q`Cmq@cdApLa`@b[cw@na@uRlRmP`mBji@`PfBrDs@hCkBzAqC`@kDYyCSugAgHy]pn@spA~D_DnA}BqN}HgkC?T|@[`@j@^e@\\eA[\\hAu@f@{@g@Ez@e@`@mA{@cAjBkA?Cm@e@NQ[Qd@i@i@UdAa@yBo@OFh@YA?{AM\\kB?[mAe@fAk@[m@j@XeA_@GMZk@oAMnAa@eAU`@{@?EoA_hF?_KYcH`SaF~Zmn@tzAwFlq@mVt|A{Th^oQ~a@koApw@mBrBeArFHdDjApCdmAz}Aa@tVoqAjr@sBlBwAhDIjCd@fCpApB`]t[mIhuAuk@fTas@nAcCj@sLxFkAx@af@h{@l^th@zt@ds@zQfTfq@bWvi@Djq@zg@"],"Africa/Lubumbashi":["beKsle@vBq@L^j@U\\T|CkA^`@~AWDZjAFjB[lF}DbC_AtDyDjFqAj@L?aTeDe@?aR`H~@fD`Bh@_@fFP?glAz@Ex@kA~@Y`APj@q@|@X`@_@~Ah@fAc@|Dx@N`@tCV~@p@lGAbAr@lDo@tA_BpCs@bAeAb@V~Dg@`@cAf@Kd@b@zAE~A_A~BGf@n@bAYN`@l@JFYpAr@z@SdAn@fDGhCdA|I^^S`@f@hABdCo@xBCnEbBlDb@lAmAbBAlBcAnDOfA}Bj@@f@aA`AOUi@lC_@Ru@xAy@KsAbBuC`Ca@TRn@g@j@Nx@_@pDJpBg@vAsAxAIf@m@r@@fAo@nFpBn@iA`AOnCGx@XpAi@jB?`BpEpBnBhCkA|IUn@aAxAg@hDd@w@{BkBcA[oEoBgB_BXq@g@UiCToA~@]rAyCH}BmBsDn@wAFkGj@oA_AoCx@qAsDqEqCcGKiDxAcDEgBf@i@_@sD~AoEoB_Ao@cBaBw@_@u@C{BhAmCp@X`@c@rCWi@gA|@uBSqBvBqDpCZr@q@`C?nDvAdAzCh@}@HgAYc@r@mBnAi@CmDk@g@RgAaAMe@eBiCkBCoA[LYk@KgEUc@g@APsA]]]iE\\gAIkBc@w@UwDcA_CFcBhB`@Td@h@k@p@zAh@o@f@BRbAdGw@Jo@j@\\Dn@^a@z@F\\q@|AAr@q@Gu@`AiB?eA~@o@nBPh@e@aA{Co@WEmBlA]|AaBZyEm@}BrAAd@c@d@u@Sw@x@}@pAVWwK]o@pAiFgBmEPcBz@i@fAsCc@c@lAkFeBcC~@yACsB_BkADm@i@e@iAQoAoAa@VSYeCFUw@}@[uDv@k@_AZ{@c@oAVmAkA{AnF{@|B^lASzA{EbEwFp@YxAXhBMHu@nFiAxAeD~AK^w@K{CZ_Ak@Qi@yAy@Dd@oFz@BtA_Av@^`@Si@eA`@gBKgApDyASs@y@Hi@s@Bi@h@DD}@b@S[w@d@m@MsA~CwC^aBjATtBmDp@U`Bj@RfBdAFtDkDz@JvAu@@c@aCw@c@wAbCuCxBq@Ey@bCuApBCP[`@`@j@m@fAPd@aCbLsBMeAh@ZbAm@oBcFhA{AxAWkAiAgAeDqAc@d@gAw@SW}CaC}BwAcDnAmBe@cAv@JA[rAhAnBG\\zARc@x@Px@s@QaAdAkBs@cBTmA{oABAnAn@|@|@Fv@nBU`Cq@`@Dj@a@D`BvAb@`BhDh@|Bw@KeA\\M|@Xl@lAyA`ELvByBfBb@z@AjDd@x@k@b@P`CeEfAaFnDu@lBgB|@_BpBcCf@HlBwAfC_A`@DnAcAxBJf@kA@a@b@Vj@o@`@qAe@eBfAe@a@s@\\w@YwB|A{ABoCWqBgAq@Lg@{@oCBuBgAmAPkBe@wAl@eDgAcBDm@{@gEQ{CmBwAIEiBiAAScAoATOv@_C_@yAvAgCc@iDz@aC_@sCrB{BcA?a@iECa@]y@@g@j@aBIsGcBOi@k@r@y@BG`Ay@b@g@YwCp@y@Ka@|@o@kAHtAoCFMhAm@CMn@qDO}AlFmA|@wAq@yBqF{EqH}HmH}IoFkDm@yDt@sDkCwCcb@rAaCm@aAa@H_@mAsDol@BuAf@s@c@mAb@w@i@mMyQ`EuWdN_M`BuL~D}ItFkEpE_BzBqBbG_GzHyA|@{FpAaI|E_RjBoCm@oF}DyCc@}GbAeG~BoOtCgC`B_JxB_Nj@_BQ{KgEgK`@iGhAgGhCqBhCkC`@yGm@gGAsPnAaA{@oCb@kAIyAaAe@Zy@UsAj@E`As@dA{AR{@xByAFUl@wAd@GxAcAFi@gAc@EwAzAFv@sAhC_EFgA~@kA}@eBr@yA]o@{@@eBc@B[k@{Ac@o@mEaFwB}BS{HzAuBGcBe@aG{D{@BmAq@y@sAuDgBEoD}DyCm@_AH}@uIe@gAfA{@[s@ReHSA]uCf@KoBeKV_DkAu@Zm@c@m@Z]i@sAOm[}AY]q@d@yCRsDkBQkBiLaBcGuEqACcDt@sEm@aA\\gCs@_BgFNcBcCq@G]_@HLY[@Fa@_@HH[gCLgBm@g@PiAcASo@j@g@@m@gBo@Z}@c@oEeAEq@k@?{@ct@gn@qA?_ClEoC?`@dAIt@`@^mAlBK_@eAVyBtDTbApBXH|@gBpBuAZWlBd@t@aAVqBk@wCVc@w@cHyAo@gAgD}@kC`AcAAqAbAg@vAy@Va@s@cKwAc@aAq@GQc@s@HsBaBuEIDxAp@v@Sh@{C]u@rB{BLw@j@P\\jADIj@b@Pg@pAhAtB[`CsFa@iEt@Bb@]Fl@|BaBh@^fAsB~BR`BuAf@n@nAGn@wAf@uACq@bAmC?Tn@m@vCaBdAu@AChBcAz@uAo@m@ZkAdBXxBkArA_GSe@RkAw@EbAu@z@b@d@}AdAy@hBYfAPf@k@zA`@h@oAvAt@r@hCYhA~@xA@vAnABdArCj@ZpA_@dA\\b@z@@X|@iB`CiAf@GpBq@GAr@{@j@RpK_@p@yACk@l@x@jCrE`BNbClAn@D|BjDjBN`DmCv@H`HgA`A]fAo@Ua@PHbBf@TyBtAqCUGhCo@z@vAn@E~@kBjB]`Bs@IsBx@aA_@cCTIlC}A?iBfBNrCcAzBmA?{A~BiCNmBnFk@rDmB|DRpDrBhFtBh@Dh@rAb@k@v@PjAoAf@@`@i@EB~AVBYV`@`@SPl@v@_@\\t@Vu@V^d@Qj@f@P]X`AZq@?t@ZW|@TLa@JEv@{@AH^m@A@f@i@HX`@y@PPd@c@b@Lp@Z?a@\\\\V{@VKhAo@CX`@q@Cd@h@_BNd@d@o@BPv@m@AKx@|@ZMp@z@GEv@j@H{@V^XAv@s@FTb@k@T|AVKvBr@STZmBb@JjAt@Z_A\\BZy@_@NdA]Yi@PPf@T]`@nA{@F?h@_ANI`Bo@Rv@b@e@TEn@o@u@B~@{@T[|AbAMZnAg@f@d@PFfAz@V@`@w@\\j@FLx@b@g@v@pAlBL`@h@pAc@Ek@rAFfAn@~@Kv@zF^PEl@w@b@b@x@p@ENhAhBn@{BrEVfAp@RGzA|@`@C`Bz@`@?^]?^tAa@LMnBcBUKlA}AVUfBcBbAi@lCPf@p@UZV{A~@U~@nA\\\\j@X]Qw@d@Yt@~@VdDxBZAp@c@EGb@`CvCs@pArBzC[lC`CJm@`Cf@fAk@j@~AhBr@vJzBpBh@~@ApAt@`AtBNBrAo@l@Lx@s@fBkAXG|@cCxBz@tBO`AiAfCcDrAl@x@NzA~@Nf@Yf@z@r@LTd@u@p@Dv@zDjBnCF`Ar@|A@Tp@w@|@`@nBfDPh@cAv@rAnB|@hCI~B~Bt@fBNuC_@mAj@kEQe@lAs@e@g@x@cAvAWGu@|AcBj@t@hBPL`@d@Bz@_AUu@j@qBw@uCTcEe@s@VkAa@_@bAC]kCz@eBOeAg@QhBkADs@cAo@t@eCEaBrAInExGy@nAiBd@{@|DhCdD`@jBvB\\l@tBjAt@l@tGQl@fAV~CnHz@t@zCr@v@cAv@CdFvC\\g@BaC`AcCIcAb@k@bCKh@oAA{@_BcAY{@DwAp@q@c@y@h@O`@iAfJ|EzCHw@`@Mr@\\h@nBCfI_Ij@eBUg@zAsFrAoBHXZQEe@iAABo@m@J_B}@|BcCOq@vBgDjBiAhAVjIe@TjEkEvHx@ZjH[^P_@rAh@|A[|AqCnC_BlDvA\\Sz@t@?`@vAh@a@x@l@Oj@fBrAf@rAOn@j@ZyBlEcAv@}B|PhFEZaBpBqBhCi@`BbCrBP`@rBtB{@j@^hAdDxGv@v@{AS{@\\i@k@g@jAiBM{Ab@EOS`AiAJcAx@_@N{@v@UI]t@k@dBWf@aAb@RN_@f@DbAoAPNXc@nBSXo@pBEpBgB|DFbDkAbEKbCeAnB{BrAvAbHkA~BkAjCoCrFmBpFwE~EgCx@wAlEcB`AIAbRjIxHAuQbFCoBuILsB{@aBJw@jBcBnA?JaDbDb@`@bBnCt@p@`FrBKvI{B~BcDjCqItB_B^eEvBkFFkBdD{@]yATsFtEMvEkBdJgAq@zK|AKLtI`@dAtEb@yArEHtAfCe@xAPXxCnBzBVnAOfBcA`BHfAlBxAdBfDa@dCaCnCGxCkC`GSjBbAfC_Bv@{@lAq@bBIpB}AdDRhA_@`@pCfAhD~Ce@xJiAnGlAd@~DqA~Hs@jKyBfA@`Ax@GjAs@jAsFEiAdB|DtDxA`EnFfEhGtHoBrE_CdCK|A{@hBFfCiBhDlCpBC`LfAdDAvBjKhFj_@pDrNZfJi@dYWp@nAzBdAtAvDLbA_@h@vAt@DxB|CnAD~CgBhAJtAuBx@BtE`DUxCgBxAEd@y@xD|BzCMt@^lDCjA}@pGu@tA_AbADjBuA|CI\\_@nB`@pAOXr@p@Cv@dAfCR~DY~@RCWfABfBqAdF\\dB~AzATn@rBnDbAdB|Br@tB[^p@J\\zA|@d@|@tAAt@d@Fr@pA"],"Asia/Jakarta":["iiJgbxDhDa@vu@kV~rBi@vC_@tBaA~[ma@vaAwbAnFY`Du@`oAgn@tgAco@n\\_QtKkLxz@yw@x[uSjl@}j@~rAcaAvJeL~@wCIgI{NiyAjb@i[j{@er@fLgTzV}w@dUiyAzCm\\JiI_AqWWub@bYanAvIkq@jA_MhEaaBjPwkAzAoZkWzHyFxLiKbGmHTeDc@eB{B}PgHuPwQ`EuvAceCwGe[rvB`Mdc@uLpcBwShjCkd@tbAedB_SaUBsBjt@q|@dPi|AnFyb@cGke@aV}WeSsJgSsCyYg[bWyU~MylBnv@_DvCu@bDTxD`GbJjL~KjYvOpc@fdA|FtSjPdYjWnMdDp@vD]bUyIr{@`d@oD~FW~Fd@~@nEtCd@nAbArTlGxPqB`Dy@zLcArBuCtRLz@aVf[qMnUgo@x~@gStVwx@ljAgg@|iAu[dVeSxUiB|C_AfEm@jg@iLbv@yU`_@_JhLeAvBWfC|@`F`DrCrPvG"],"America/Los_Angeles":["qb}AvhsFzB]tCgBfCTxBg@~GiFzCiEfEq@rCgDhCd@pCc@`MyJrFy@lGJpBq@hBcBfH]bEu@jGKdFx@bCGhEwBpB{ClB`B~Bj@nBKnBu@zENxCyA~QtB~Du@fDArC~@bIZzB`AjDZdLCnC`@hCQhFv@vLZlQ|A`QrD~CvDtBjAvGDxCzA~ELpH|F|EbB|BQvBiA~A{Bz@{ClCtA~CDnE_ChGm@rCwAjC[nCcBvD`ChEGvEoD~C_HtEoAxBrBrCn@lBKjBw@hCfAhDFvFcBdFfDxKhF|EtEhBh@nBBvCcAtBgC`DGlCoA`JcO`CcB`BwCtFkExE{A`BGlE|@pGLpJ_CnD_BnEx@fF{ApGkGvFyIbHiGpEwIdFqBhCiCrElBfESfBrB`C`AjCDbCw@nG_IxAsFc@wHkAgCeB}AxHo@~FyDfET~FaBvFuE~GqKnAaDrE_ArBp@|B@zTyErEcFxCaH|EyCjB_CzCmAzEsF~FuCxAwB`AwDnIuJ~DIxDsBhFiJ`E`@bEiAtESjEp@rCYpDgCzBsFrCsCnClEvEpAbEy@rFyEzAoDp@}GnDuG`AyFOeDiBeIKkK}AcL?{GoAuEaB}B`EyRCeDy@kErCN|Cs@`AdEbCpCiCjCkAnEFvE|AxEdBbB|Bv@pCH`Ce@cBxCmBdIyAtBo@hC?fFxAjEbEnCbFGnCcBdIiKbBiJg@iH}AmDaCmB_Di@cDf@pAgEAiFmAgEkCkCjHuGr@dCrAlBpBlArBZtEs@~JsFlEwFfAeDNsDu@cGmCgFkEaBcCF_C~@oI|JOcD}@wC{AyBkBkA}B_@cCH{Br@mCpBnFoLnCeChFiK~GsFtE{A|FXxLkBhAqKp@q@}Jm|Cu@c@b@iDy@sDiADcByBaCKu@b@cAYAn@uBv@D~Dk@x@^`@eBt@Ib@aE_AiACo@^Wa@uAtBeBaAgBv@YiDaDaBkBgCkA`@i@e@oATOe@Yb@eAkAs@b@o@O}Dt@Yw@aAl@Gc@{@v@{ByC_@LUw@cCGk@k@yCmJoC_CEcAuALaBxAUvAcDnEGdBwCAcClB_@W_BbAkBVoBdDiCbAkA~AmHDwAeAcAtAu@gCoBOwHz@wH|CiA_@yAVu@k@wAfAaAOm@j@eBOaB^o@]g@Pi@uAmCfCaCXi@i@Wj@c@Ok@h@m@c@YsCs@eAXYk@yA@wBj@SUkAZa@i@sAhAoCx@o@f@F|AmCUsDmD_AeDqCezGE?hC{@??iCklAEKpyDe[@BfiAgmBd@uAC]}Cy@Ay@wBy@I[eAc@??g@q@A]uBY?CyVx@i@?oAx@i@Am@lD??sOWa@o@YkBhBgAw@mBRkBwCw@Ag@m@}G}BqB}FkCiAaA{AyAg@y@d@m@q@L~@yASoFkFcEs@gA{@{A?qFkDg@aAqAD_By@eBaC_Bp@qAzAyBXs@xAElCwA~AR~Ac@x@k@H[uAw@k@oAr@y@S_A}ADeBoAOAg@v@@dAkCPkEfBg@n@eE|@aAdF|@Zq@`@^|@SVRDkA`@\\^SNf@p@aAv@bAfALv@a@b@l@`@YxBNOeBh@iBy@eCp@i@?i@qBuIO_Gl@_BTkDhAmBh@oE_D}Ce@uCaBqA_@yB{@oAxCmMfEoIC}CmAbAEp@oCAb@kEf@u@gBiAo@iBwBgA}@r@g@oBi@QK^e@g@iClCoCoBc@oCTw@_Ak@gBtAk@y@g@R]fCiA?Ct@}@mAeAOu@xBg@Jm@WAmC}BFeAj@a@uAk@JmBm@s@VcBkB{BdAe@wBcAHo@c@[Zi@k@sADc@`ARdCx@rAc@tCZ~BiAhAcAk@_AvACbAr@Zb@jB_@j@_Ao@eAf@EvA_AhAXx@g@DkAbBuBm@UfAsAnAB~AoBl@uAtBaAXaBhE}@`@KlAm@ScA`AWGo@bIc@zA_Bh@g@v@SbCm@Zs@~BBjAy@uAGkCk@a@KpB_Ap@[Ya@rB}AgCy@J{@rAqAYq@jBiAf@BbAqCh@s@dCyEfE[z@__A?ApeMtIsR~B?pCfO`HaB|DuB|@yAtGhGtBhQ]rGqBxSgKtk@UxJPnDjAt@vC\\pCq@rB|A","u|aAzziFb@_Lt@`H"],"Asia/Srednekolymsk":["{jbCi{mGlAiDPOb@z@^c@CcAv@KZ{AEwD^gCU{C\\oBp@g@U{ETqCL^Nc@@kEbAcAbAdAnAqAFoA^h@t@uA~@R`AaFb@e@l@aGAoF|@sA`@v@FsApA{Cb@r@l@sEG_C`@Y|@mE`@s@nAYp@|Al@wA^v@x@IG}Jd@gB\\f@RKXnAhBg@G`CXX`@_@f@|@qB~LD`DWj@pAjDlA^`A~Nz@xA^QRTbAeE^m@TPPiBTELz@|A?h@aEv@gAX}Ej@cAh@v@fA?x@zCTY|D{Pf@SNwB~@b@dB`Eb@_@d@jDhA]^nAd@a@f@{EdAcBUwGdAkGAy@aAcBIiGr@eCAkBo@g@GoBpB}Dr@aKp@Ca@}AH_At@{@g@oAr@gLq@aH|B{@NuLp@XJ[AsEp@sD^sKK{Fb@kAm@wBFuD\\cEh@OtAaCzAXlA_AY_In@_Kb@g@n@wIdAp@PYI_GrA}FB{Bo@sAXkFd@u@U}Ab@wCCiCc@Iz@_BpACpAwBbAKp@iJh@e@TeBxAsA\\eBh@KX~@l@LxBbGvA{IhB{C]qGjAiCMuH|@_Ab@kBZYPZr@qBUwKz@wAVeGe@o@MeBpAiGdBItBqId@_Av@D|A{DKyA`@u@k@{Ab@iBOaGxAuL`@_St@yD`CeFe@uG}@w@e@xAWu@k@mKaAwCzBqDj@Zt@dCZw@b@t@Pq@\\L?mE^}@Zt@t@SDuCe@_ANu@\\ZT{Ey@[MoAo@BS]a@wDy@`@m@e@w@d@y@_Ci@K?cA[][j@g@Gg@kBwBdFe@qBm@l@_BrEMWFdBS^Q_@a@pA_AaJmA]CeA{AgBj@qJTYTXToAj@C`BmHO_Ik@yCL{LJy@XZp@_@HaHEw@}@n@Qa@\\yGi@SQcBmAm@uAcH_AuA[iCPyDRsA|A_@t@iHh@DRf@R]h@fCh@SfAvBJq@l@ODy@hA[b@yEZSl@^N]J{I|AoISyEa@Ky@r@_AmA]JeAnDaAeBFgUc@cBOwF\\gDy@cCJiBfAc@@_@kBuAMaA{@AI[o@gOoAoLjAgEd@e@TNhAyBZd@d@_@EaFi@}@PyBa@g@I}Ce@`@g@k@s@t@[YuA|Ck@g@y@_Ig@yBw@m@[sEyCoFsAlAE|@w@x@eAxDK|Ci@Q_DbCe@k@sAj@a@MMsA]UQRgAyBuE_A[kB]Uo@ROyAj@gAc@{C{@gBV{Ak@eHh@_AqBcBaAgJo@qBVwByBsDqAtAWhDo@h@eC{AcAEeBeB_@v@YEaAaCmA~@S`C{ByA{BcM^uAc@}Hl@cGXYdBTPc@LiBq@kASeCeBsCk@XyAkDu@Go@hAg@eBIlA_Af@a@zGqAkA[cEs@q@mAR_@_@@eCiAmB@sCl@c@\\kBXeJb@wApAOe@gJ_A`@SwAVsAq@u@@{Dl@m@bA{Ee@cGl@qFoAeEZaCpA{Ad@cDd@OKsBv@kBq@{@?kBTcLr@{C]kA_@^q@kDy@Bu@oE{@XYwAfA{Dz@@tBqGt@m@z@uEnAr@R~ArAwFf@kGWkD\\}@e@aFs@U_AdBs@q@mA}Lg@MyAwCYkO}@wJv@aEZBAeEh@cD_@yAOOmBzBUa@aBjCEeAkAHs@_CeAAi@iB_AhDkAdBBxAm@?y@kGoAXu@iBc@Pc@iEcB}@s@oBc@RUy@a@z@]Qm@mBJgA{@sBUsDoBjEg@TKeAUh@_@Co@vCWm@e@v@Y_Aq@BoAnCc@M_@`AcCdPBrBsAnBCbDi@BKrAa@jASSy@zCu@rIy@vACnAk@v@q@_Ae@dAUoAoByB{@fFoAKy@fCKYcA?a@mAa@p@{@g@kAkC]jAaBgGVsAKeENaAX@BmBg@WQkJaEpEApH[n@{@@On@YmAu@Oi@_Fy@e@i@qAYBIu@c@O[`@s@aAeCkSf@iF[kAf@wD}AkGe@gJk@aAQuEVcC[e@L{@y@sIr@aD\\K?kBMw@[b@Eo@g@d@w@qBBeH]qCLqKh@uFQcTgAqQsBuI{@gHGoQz@eCQuF\\wBg@mDj@sCDwGd@UrA_KmBaHq@VmAq@}AyBuAhBy@mDo@[_BmDc@r@oB^u@tEyDTNcHiByBOoBeBxDi@W[j@cCfL]a@o@JYs@W`Bi@`@oAq@_@iHk@GQwCy@{BDjBe@jAwAfAyAnGoA`Bs@_Ae@DcAdKa@sBy@s@uCzEEi@a@@MoCeArDq@kBa@}Ec@n@sLcCg@vrAcAp`@_JfF_E{FwAi@qBPcF|BaKnJFoV}@uOrBkBhAqCtBwM^}L[sOpAmLVoP_@sMqA{LqDwJwAgA{AI_DjCkB|FuAxMa@vWkB~CsCfCkDtJuAbJg@lKTbSvBbPcB|SM`Ld@hM~@tHrAzE~BfD|Bh@yEdXiEn^cF~y@qBzw@Az|@PzRlDncAfFj`AzA~p@sTj`@yRtd@wBjMuChe@iJrHyFbK}EbQkDxQqCtWiF|w@c@v{@\\~XoFli@aGjpAbVj[vHzNFpCq@Ru@pF^fAfA\\PfBbAUPZEv@i@JBh@j@WNl@aAbEFTh@oBZtAe@fBl@kANdFu@lENb@Re@GhBt@~AEpAHw@\\`@B}A^fBJgADn@NQ\\f@ShAZlCQOO`CPUC|APw@ExBRQh@zCnAyBN}AdAfHd@}@ZnAPo@PxBl@Tz@bD`A`A\\MBlAl@`AtB`AVe@?aDv@nDaAvDt@|CPo@VjEL[Nf@SrDf@d@FdAJPF]\\hAZ@@l@b@[\\fDXBvAuBfAx@~@IrAhAdA{ARvBt@n@`@IT`Az@f@p@O~AyEt@j@V{AjAId@`@bAlIlArD~@f@~AxIz@R|@dH|@bBr@~DjCtFZzCx@^\\m@\\D`A_DvErIrWbp@VCdAuDd@BnA{@^gBhAoA@oCu@qCI{CZKj@qEx@Nb@_BVFn@iHpAmDEaGo@cF^cBU}E\\wK~C}Eb@~Fd@~@rAI`ArDdAw@^aF\\F^i@V_IhAFtAiApC}NjA|@|@k@Xd@jAyC\\LF`A\\O`@XPtB_A`Gl@|Ca@\\AlHd@nKu@lM~CrQd@yAt@hA\\w@x@F|AiEfAl@Ve@p@\\bBiDZz@X{@Jj@Z?t@iC`@BhAgBPTnAuC`@`BUzAb@hAN|F`AtGj@w@v@?Px@\\o@bCrBFvENXf@i@DdEz@Jn@hETPb@}@RL?vEf@l@RnC^Ub@l@FaAxAw@@gA^B^z@p@oDhAiCr@a@n@r@\\Ef@xBd@G|@jCNo@`AFjAaBn@X\\On@v@F]lA^Tw@P`@hAyDB_BLRj@{BZ{DXdCwA`IFjMQtEe@hA^bHc@t@DtDy@~CjA~Bs@pS|AjDfAVBtCbBnHjAbB\\bCx@d@`DbSf@p@Pa@CzHi@dA\\vD{@rEDxD`@u@b@PxAsCf@dAb@MPb@XEfAsKpArBh@QTu@f@D","yn{AibhHlKsVrB_DmCsIeBiB}CuAk@eFeByDyCeCaC{@wCeGwBaBcEy@uDTmBmHmBqBwB}@aEUqDtBaEeAcEjAkCvDkAhIZjHnBbF|C`CzBZrAQxA|AtBt@pEIpBw@p@hCnBvC|DpC`Ed@nChFxBtALbHzAlFdC`D","ys~AwcjHlE}AvAgBlAkDf@sGS{D{@mDR[`DLnCxDlDjAzBAjDmBvAgC`AiFDkDi@}EaAkC_CyCkEqAmIwOuE_D}A]ScDeByHoDqEyC{@sAmEgBsCgGkCyDXwB}AqDeA{CGwBz@gBtBmCtKMxG_EdCcC|Fm@lHp@lItA|DdBxBdExAbDAnB{@zBsCdBmFf@yDzE~CfDTfApCdBlBtBx@bB@eAzK|ArLsBbHElI|@zEpAbCxBfB","y`aBc`mHfC]nCuBvB_Fd@kEnByAvAiCdDkNPaEWiE_DyIoDkCoAaLkD_ImKkK{@wGiA}CeBqBwB{@mByCsHsF_NlRiGxElA`InBtE?rH{C`DgBbGu@`K\\vIt@lDdBfDdE~B`CL~GaDvCuFfAiH|@d@xDnVlCzGnAxIbCbE"],"Asia/Makassar":["ai@si}Ej@iALcBa@kBf@y@aBaCIkB`@eApAg@t@@n@z@F_BrAO`@qA[_BLoCy@M`@uBm@aAB{Bk@i@{A?AgBuAkBw@SBkBkBcFZsAy@mAi@BnAuBhBw@dEc@lF{CR\\vAwBfBNvC`D_Ap@RhCYV\\lAlAd@rA~BxASzAdCr@OpAzAIb@f@K`Ao@f@sBpBsA{@iA^o@hG}@fCPrAyBeAsBs@d@Wu@cBWYuDgB]N_@[EaA{CDaAt@Fd@s@h@L`BjCtAuBrAfBdBKPv@bBOlA{@P\\lAi@L{@z@O|Bn@KkBx@wApAn@b@i@l@Hb@|A~Ai@p@zAjBTnAgBfBOu@MXc@q@MX_@g@Av@]P_Cw@iCrFgDpAJOkBbC_A|BmBaBkBLk@vCMLn@fB~AbDb@r@bBVdD|AhCjBvAk@rA~@^Sh@vAAn@vAnC`AxB_@j@t@jH`AAZfCg@?gE`AUNRZk@t@l@lAF?d@xAW[xAlAPLv@hBz@bDL@p@cAh@`@ShG`LvA|@pCdEhGlF~CH~Ax@f@fDtBT`@jChCe@J`@o@|@THb@aAZJa@bAlAl@Ta@pBxAl@s@xA]Rv@NOzDjEx@s@bAZvAxBzBp@jAYbA^f@OdlBvUaMec@d[svBbeCvGaEtvAtPvQ|PfHhB|B`D`@lHUhKcGxFyLjW{Hf@sM{@eX~DiWbKq`AwKetAnb@cWdIuHti@mdAb@_Dc@sQl^er@RgCYcCgJg]fUo{@XgDm@cDkJyTcl@eoA_O}P}OwOaH}CcDfBaCdEsCN{@x@{@AmApBqDV_A_AJyBp@k@s@kA?oAaHW}BtCnBdAxA~Dg@pAeBJ}@e@iZaBsDsOaNuMwwEyDk{@rf@sVRyc@SuM`b@uN~G_t@zSyw@cz@kq@{g@wi@Egq@cW{QgT{t@es@m^uh@wYhh@gl@gO}CUkIl@_DbAsp@la@oBtBy@lDFzCbAlCzs@deArFrDj^bGtzAvHfy@nXx^jSdEldAkD`h@_Jv|@aC|d@bCzIfPj\\{Tpa@wTx]eY~TwkBva@wCfI?dFo@jAn@`B@dOp@bAoAx@d@bBQhBm@bAiAZkBnBq@vC_CbBjA`Bc@zAh@xA[~Bv@l@GZm@@NlA}@pBrAfCo@x@Xh@eBjAjAd@b@|@e@dAb@hAQ^cABDr@cAb@~@~@hBA[dB`AR\\dAiANaCfDv@xCa@h@Y~CdBNDtA|BpAe@nAeAFw@tBFzAqAx@Xx@`DBlAzAj@IZv@a@HOz@pBdAIr@fAf@hKtAv@r@GdAl@l@bAs@IWh@o@rFpAnGD~@]D]~BInCqA|@`AmA\\En@nDrAjEj@f@a@jAXnA_BhBdBfBEtAfA[|@|A|ANlCkAVkAhAdDhAhB`ErA@`BxBfA}B\\\\t@E|A`BXg@jAItAz@l@m@q@{BdCoADi@z@GdArAItB`AfAjAREvAd@CIZtAnAc@fA`BVp@i@fAfBYdB`@xBnBl@jB?xA}@Z`@j@[Z\\t@]m@_BLm@jD|@jA}@j@|BtAp@g@|AZv@n@Sl@bAn@k@`FDbDzB^dApCDpCvAyDzHHj@n@HfA`DPxB|@^jAdChCK`@Zt@k@rAdAn@[xAl@Rb@]h@|@dAc@\\L`B|CpAVrBv@Eb@m@x@BlBpAx@B~AoBrBjBv@u@x@Ht@t@Fx@","rcQmhqFgD_AgGFiCaIcAgGCgFlHd@zCSfCv@`AOdAp@l@rBvBLNn@dA_@p@Rb@xCgBQmA\\{AlBv@`B`Ab@c@fBmAv@yAQ"],"America/New_York":["{hiAt|gDlNgTbL|FY_At@Y?aAf@m@a@UVg@M_AbCsBdBFv@eX]NeA}@Vo@Us@lA@fCuErFsD`@l@FmAx@e@eAyAe@Hk@aFwAo@Ny@|AsDvBGdDcDVa@[iBhCHlAsAx@_Dh@[m@uDhEsCYm@x@GDZZg@Pn@Zc@f@FGf@PKHv@p@RPtAh@EnG~E~K}Ft@|AOd@n@B?b@\\IBbAjAj@FjCjBb@|@z@dA[`@Nb@gAjBoAMu@bA]zBkCrDkA`DbEbBxFrKtKl@FD]jB`B^y@x@|@Qf@tGbDtIrGhALh@aApAf@Ht@dAd@n@zACdG`}BaXZ`AtExAbD}AxEiAhD_@pB~@jC}DpD{A^sAc@sA`A\\n@gCnA_BPfANUl@\\BxARLV_@\\|A~AdB|EYjBb@Nd@d@Mx@bAb@?Bh@hBNl@UbAT`Bm@hALvCgC`B?z@a@bJfBfCEb@p@dBc@lATzCoC|DiAjALRo@|@@dBaBpAOj@TfCm@Fg@bBgAxC~ArAnAAf@nEjAJa@l@ZDi@n@hBVe@J^^]Zp@T]n@p@r@_@Nn@rA@Vf@h@?d@nAlAh@x@Q`@ZL_@l@n@Xe@lABlBsEtA_@pCCv@h@dA[z@j@DdCiClE_A?o@bCoBzAU~AmABg@b@lEEr@zBxAn@bHu@lBy@vA}ABwAs@eAL{AzHl@hCsGRgFkA_HaDsJqD}FaBcF_BmBy@wHgBkCcCuAm@aCfCcFpAaFjGmCxDsF~CYvBaArHeJ|Bo@pBeB|Ds@xC_CjBiEXsHdFQbKiCdE\\zBbAhCvChDhAlJC~Ba@`Gj@jF}@lDkClEZpEeAhGuCxKgIzHqC`MiHnFQfOuFrE{Gv@iDBsDtIo@zHiBtJ_FvA{A|@_CXmJtBiAfDuDzF{BhGh@vHuBl@lHbMrY~@pF_@jGx@nDbBzBtDpBtCXxCc@|ByAtAyBf@gCBoDb@oBrB_Dd@sDsAcOqB}HGwFgAsCsBkBj@yDa@aEsAcCoBuA{DiMyIwOi@gF{@_CwCeCiDi@uA}CmCqBgDi@uDn@cD}BkCm@cJHoE{@iPWm^qCoOYiLbB{MfD}MfFySdFeUlJiGr@_B}AsBw@kFFcIhCiX~PeRzIyY|JmEVkDpAqPjCgGKwHzBaFmAuEp@kEyBuBWyBRgGsDgLuA}C{ByIcBmEyCaGcHcHqDiBkF{ByB_BeFgBcBsBu@mCoDaE{N}FyK_CsBmIcMOoD_AsCyAeBqBcA{EcI_BqAwBm@cFb@aCWoIgHeE{FoDgOe@wECuD|BgDx@iD@eDk@}CmAuBgBsA{Es@kGoBcHmDaI_L}HuRcBiOCu@nCkB~AoDXwDc@cEkCeEuEyAqEuD}KgOaDuGoCmKNsDg@kDmCcEcFyA_T{BeIj@_EdA__@lPgSlD_PfEeB_@mFgGcEiAcC{ByIaD{CqBeEUmBo@u@iDcBoCeQaLuM}EcHwAeSj@mAqE}C}EiHuF_FaCkEiJwDoEaVePiBg@uL{@aSoDcFMLiJiE{a@cJqd@uK}b@gAgDmBeCA{Ee@wDuAgDiBgBcCu@uCHyAmGx@oBdCcAtBiCzAyHc@{GmC{El@qDA{DjC}LLgKiA_HaCuDuCsAkCO_Cb@oDnBuIyDkF_@{Hl@eJzC_FdEuC|G}@pHZxHUhHk@ZoIqByBuC_CgAqCWqBPqBbA_BtBkB{AeCo@{AkCaC{AwCUsCx@mKsLiD_L_@}FoAeEq@aGj@oEQyEcAuDcB_CfAmCt@}Ee@qIyA_DaCoBsBkDoBoAiBoDdCqClAmEHuF{@mEkCwDyDkAuDr@yCdDcBcLeByD{@cJwAoEkBmCzA}DZcF{BcB{BIwBn@u@c@}AJsBoAkAgBuDg@aBgB_BrDgCKwAhB}HtDaBzAAfCy@nBvAXl@xAeA~Bc@I_@x@y@NuBhBc@{@yCqA{AjB_C|@i@oAL_Bu@d@wAW}@t@\\hCiAnFVLgC~BOp@h@a@HP]xC_@ZC]cALAw@o@n@mA?y@eBwB`BeAiBs@z@eeAPiAxD_ErC_EdJy@d@{@|C?`G|@j@hAM?rKvAhABfE|BlJ}ClHqFFy@o@g@VD|AgAjGvn@ho@nPtBJnAlA|@j@`Cd@`@z@EPr@dExB|AqBxA`@?`Ab@^d@LL}@hAnAl@cA`A~@GmAl@kAf@n@`AGnB~EhAr@Df@vBaA\\^X`CnAvB?bAbE`G`@UjAzAt@MdAeAr@eB\\HN[f@ZOxCiAtA@tAx@v@z@m@v@`@v@Wb@t@jA\\d@YNf@YnAmAp@}@Gs@`AJbA_@p@x@C`@rDzB~AQhDiBhB~@vC^Gh@x@IrBbA{AzBpAb@SjBjCpBDPxq@W|m@p@xbA]n_@\\xBq@|D~@bD?`CjBvD\\jCb@H`B`H`ChDTvA`O`UtApAnAX~BvDp@pBI|@dC`IpABp@tA^rE`CnAnAjD|[jU?huBfJ|^fKaH|E[n@v@XWx@^VeClCXxB}EbAEnCx@bZpfArJzgAd`@|fA?tPuJhW}DvA`M|QjAzuAruACx}@\\EjNhXtCTaTn@a@jAvAtAc@OvCd@hBChBrDfJOpAyAzBZ`IjAd@z@e@pFg@`AlBhAr@t@pExBbAzA}BjCsIbHp@vA|FYtHzAtIvAdBBtDfAf@cBbBCfDsAbDgAb@aBMuBpDr@Z\\_Bl@@FfBn@h@g@nBn@L\\}@d@?","oao@rlaDtDq@jCgC~@yCTsGk@_DwC}FsCcBgDUkDz@}BbC}@`D?`Fp@rFjBvDfCjB","{xe@~|qCCaHkEA?pElApA"],"Africa/Tripoli":["m|y@}iQvFo@zGwFv\\aNxWwDxO{@p\\hCdYcGj@f@~E@hBb@zDrBT`BXM?kBrB\\pAbBxEx@AUbEV|QuCvDeClFl@~DU|FbBlG|TfGnBpBpBfs@qf@rWKxCoBzMsFfBmDzBkBDyJMsAaAu@@uDLm@nBkAc@aA_@Lg@m@I}@fAmElE}DhAuD~J}P_CiJvm@qWxQkwA~AiGvAoCz^se@eWyn@c[q}@np@yoBnb@uhAzrAoeD`mA_rCg^??o}@aaQBaOnF_DMm@w@}IfEaDm@wCn@{HnCu@rDoE_B}KoJ}K_CiGaCuF|@}NpF}MLsEaGeB}D_B?mCsBgBeNsQ~FiEtEoAhDwBlQVbb@{CxFsCpNg@vFI|LwCv@qFnD}B@wBl@}DfEqBjLyIj[}AxMyAzD]tC|@bMcAfLj@fIx@nCfExHnAbUrNza@?|hJk@vBsChDeDnHoFb]a@`NyBjFe@nCo@tMrDdO`AdNg@`KkBdK}JfUyD~OvJrEpDdAvDAfC~@zLBnA^`Bu@r@}AzB_B~BHzAzA`Ln_@|DnId@?nDbCz@pCS~B`@n@v@G`@p@hAk@rGvEYv@j@z@QdDhCzErE~BlDzCdKkC`EsB`CG|@w@bBd@bHy@`HrBbN~IjA|BbFdElBdJbFfPAjA"],"America/Inuvik":["upfCvwiGx^wG`iA?Xc@dA\\^i@NaHd@eBd@Ld@eAbAFXd@p@iBb@z@`Ai@lBrA~@oDPbApAqAVsAl@VL`BZw@x@PtAtBRhBn@SPkAbApAbAy@^Vt@gA~@SJwqC^|M|@vAReAZFb@s@VeHrAo@j@kCLVVk@`@b@RSFiAd@v@\\k@RvBRTHY\\hAUlEb@rAl@iGf@GTyBp@o@NoCtByG`BlH`@g@l@NRbBf@_@`AxApAk@TbBd@C`@t@r@{ACwHbBsCp@j@f@wAxARfAfEVEf@|AX_@d@d@IkDz@sBh@fDLm@~@h@VYGmFn@eD]cD}@v@O]XsFm@h@[qE_@g@PwCg@wChAoCNv@\\e@l@h@x@nBn@gAHyCo@yBq@OgAaBgA_FIeE`Aq@`@`@NuAq@wCPeE`@r@NcANZFvBRr@Fg@Td@p@zEr@dAf@[RXtBoJ`BoBBaAv@]Xr@h@{Cv@Sn@aBf@NrArDv@HlAfB\\O`A`AtA|Cp@`EvAhAtAFBjDv@jBb@OJzDl@sCh@~Cr@sB{@yJx@y@hAdBjAoAEwIb@e@RZL]d@HrC`Jv@Qx@oBBp@j@NLfCf@TDhAn@x@hBuCm@qA^gD_@e@dBsJhAcCX_GdDsBr@eCZB\\oCV`Ab@u@Bo@g@m@^wE\\v@t@s@hAhF|B|BNg@?aSa@FAoD]ZIcA{@|@[_CzAeNfA{@PiAb@n@z@sCh@vAVu@`@z@?oBfA{Cl@ONh@XWX{DRtB^g@n@tDP}@Nh@RMTqC~AFL]EgGtAp@Lh@d@m@h@cG\\IVuAKoBb@kBXBj@cCb@n@@iBbAgAk@sDWPe@c@j@uFTr@^[\\`@b@wAbAbANOCjDl@STz@YtCx@bA`BkCkAcHZS^V~@eB`@LF_HJYz@nAXmC~@BjCmEPj@a@~Cp@M`@dAxA{Ab@`Bl@Mh@zC_@^CzAf@\\T`Cd@PXi@l@xAFqHVc@\\R|@eBY}A^w@n@Zn@{@PwBfA`AR_@Sm@J}@^IL{C_@_DhAu@l@fB|@r@^a@dBzC|@}@IlBl@f@rA}AFwAb@NxAiCPXF_@\\Rv@g@ZwBp@uARf@d@OLyAdAfANbA^FUgGdBkCzA}IXXT_@XrD^h@Ni@|@zAt@aEApA~Aj@HfAHe@tALx@iBTJ`@qBr@Zh@~BZDDeBbAyALaBk@qG|@uBo@{AbAgCx@z@YgBn@{@cBQGgBg@EUu@j@cB[_ASVMWhA{CuAcIr@uHz@_DnA`@jBqCKmCnBmA|Af@nEcPlCOhCgI`ByMfEiMdBeDjEoBb@LnAhFbCYNiB|@lA`@i@`AtEr@Vr@sAVl@h@y@x@TIuBaA_@XmDp@r@xCiBrAj@r@k@j@|@\\mBb@?Zw@b@j@n@@Tw@i@qEZwEyAgExAqHi@cBP}BaAsAqA`BW}GL{@r@v@f@_@LgER?iB}@{BmGzBsAd@oCr@FNyBgAcEj@w@|@qEBcFOwAs@QAsAgA}AFcEv@eAmAoCAeFaCd@e@aBy@Qn@oHe@uAXkBh@PzAyAx@X^g@f@RpAwBpCjFBdAv@]Dw@f@^pByErB_BDcAfCJVwLpBNr@h@Lk@xA]zBeBf@aAlAPJeAjA{@NeBlCYrCkJ?amFahNA{Iti@g`BCi@qi@aiN?ra@vuB|Nbr@xDxn@rAxIlBlF`BhAdHPfHjDlABpDqDdDwLhi@hx@rj@rt@xBdOfBbFnBjBjBGdBqBfKoZ`DcA~KdInAGnA_ApCoGlB{MtFdIfDxAhBxGxCfG`LzLxCbHnAp@lACbBuAxAeDlAf@zEfNvAbAtEv@~DlJfDlB|B|DjBh@zAxEfb@|{@tm@rjA|RroAvAb\\DxOhAvMdOhq@rIxn@d@vKhGhi@{Hj^sA`XVtLvDza@bCfe@hBfKfHfT","ghwBl`sFmEuAsA}G^kB~@RbByAfH`Ct@bCMx@_AX_@~@KhB"],"Africa/Khartoum":["q_Xkri@bAsAzA?bCiC|Ag@{AmKiAaBwAa@fDwHz@qDrEr@`DxBzBgCx@RfC_@`EcBnHZDe@{@wANe@]cAVi@[q@|OdChGf@vAQrE_DjBkGvB][wGfEc@`Ak@rCGtKrCpEh@zKiG`DuFxFoFz@eB~c@uUdKs@pGnCr@[~BFP_A~Dt@vB[~DvDRfCtHxA~@Yt@uAA{@wAs@Rm@zDDjCrAd@x@lATlB_@Tc@}@kEj@aATeCm@sDf@gBKaD`@aARsOkA}BGeCkCo@GyAsAJ}@eDkAwAmAAaAv@{BNcB?wB}@uCb@oA[yAuA}BMy@yAaBAaAcA_@NeBs@}@gAkBKm@d@g@[sAXc@WGgAcCkBScAc@ID_@e@IRUSFUcAc@A?[MR?_AQRkB_@Q_AeAHYcAiA^Io@q@JRYU]y@CgB~A[q@OXk@_@YTeDkAU_@Xi@i@AUg@b@kAc@FQcA]Et@sBu@EJ{Aq@a@NiAe@Y`@Me@e@Pq@[E`@ILo@c@A^s@i@MT}@k@_@b@i@a@OL{BcAe@h@IPm@a@k@Ne@u@y@f@AYe@`@_@[Y`@QWe@~@o@e@aA`AGJm@YOzKCl@gC|@kAxF}CdDaE~O{DdBkAz@_BtCiRcFaSm@kF^yn@rOaGOwl@eC?_DaBwImJcC}A?_CYM?gYwS@{KgX?uBnSc`@nN_RkAGWg[kBuCq\\yXqUeLoD_IaRaSsG|Cy_@?iNjQAqg@{B[{Lv@`@cb@|ArAjYnCvFvAzp@mGbBp@lG}OpKmHrEoGhIgEp@eCjB?~@q@pGHbFp@tAbBjAVfMr@?iMqBHaLwBqF{BcIQkCiE_@P{Ek@sH`BkBUiDx@}A]yD_EoGuCwDqGjH_I?y@\\`@jBB?_@sAg@KmBeBI{CsE[RWm@sAt@a@I?X{M_B{AfAGhAcBwAkBa@_DoBqBAqB_A{EIqDlAsCuAoGmJmEqA{c@}TgAgAZqB]YTIyBwM?oCz@u@[eAmIk@_B~@sB_A{C@iRiDuLyHwCI_JwCkFpA}NeD{A}@g@b@kDb@eq@tDqBkCI}@_LyCYiAmAj@oOoCmBcCmXoHkBqBqDp@eCQyDxBaDo@sANaCiCaHsAe@ZwAGy@r@yB}@aBr@i@Gl@wEfAkB_@_AJ{BgAmBJqD{A{@Uw@{C_AUg@kBNg@o@_Al@e@c@eBuLoDgB_@}@Bk@bAy@E}AiBeBeBoDNoA|AF^e@c@q@cBBYgB`AiAKmAgCWqAkC}NwEsFeGcByKuClAk@qDoBqCeFwA{AeBuB}@iM[eE|BuEXiEfCiAlBg@fEiA~As@lCFfEtAbDw@x@{Cv@wEEcDxA_CzEFlFoDbAqC|DUvFxA~DjBzAvDt@xCnC`En@GbBaRjBqDpAsMk@kC\\sD`BqEWaMf@yEoAsIKuB{BsC}@}ERqC`BkDkAsCEeCl@yCfBsMrLyIbEoHlAuKR?d{DpM~CrA|ZePbW?l}N~{B??n}@|kG?kBxJo@dHL~EjCtHg@zO|F`Gt@xB|Cd@dDuC`CBp@[hBf@v@g@~BlC~BEp@pCh@Lh@vAdC|BdCGJtAr@fAlJyA`ErRbDj@l@}BfFFtAe@h@~@f@@fBcBSqA^kAbBc@rBnAbCjEDrAjEbItIxHpAeBz@Ml@^jBw@bDeD|CP|Ak@bAwA~@OtEzEvCxAL`Bf@\\DzBdC`ARpArAFdA`AlHjB"],"Asia/Ulaanbaatar":["}bxAuytDbCmAfZ{@zFiAh@aDKaD~@yB?kCUSjCsKfAc@`Ke]|BaCl@cB`Ck@JcF~ByGvEqFBwBtAkHtAaCkAcYp@KtAjBfGh@tBv@p@uKrHgE`OaFfJsFpGg@pA{@`Tm[zIo@{@sU@iMqAaKzGa_AlDupAcDa\\VuQeBeB\\c`@dH}k@j@sMrNmNx@l@bDaYa@yE~@cLjNsg@rC_WFcMZkAgDa\\hEt@xDCd@c@^iIQsMpCwDaHaLm@W@wB}@iDa@WoGmRoUacAm@}NaBoLyAgAaB_IBuAtAkCRaUy@cE{@_Mn@gBGkN|@aIG_Eb@uAsBqJd@gOc@gJ]aCeDwGcCuJ]wAMqKaAeAoEkQqBcAgE_IkFoC_BmC}L}MiCwIoAmIyAqB]uI}ImLq@}HiBi@uCPaFhD_CjDcCjGcGdFeEfAu@zCu@^{FmBgEaEsCNeAWqNaIcCaCqDgJWuDn@aBRmOWgBbCeEvCcChCkIfCeVd@wTbAkHgEuH_AqDkAy@[yHqAyCeCwAyE_L}BmCmDoCwDYgBgKxByMg@}JL}JkC{SuIcNs@eDs@YM_HgAwAe@Au@}BiC@sAtA}Cw@iIkGWgAgFgGeAW_A_DOmEmBmCz@aOMoPiFm@_BaBmBr@k@yINw@nAe@t@iA\\wAg@cBHcCiD}DYyEiB_DGuC{@iAq@qCxAePs@oCl@s@RgF}@LcBaBQaC`Ac@RZVqA{@sBlEiEEoFrA_DQ}AVi@aA{BHyFf@q@UaCZs@p@ImAcEsA_A]FXgEeBs@gAt@}@w@wATa@Ya@`AkAk@a@bCe@Lq@a@G|@qBdBcA_@kGtDeBhDE`CkBFq@|CaArAa@Bu@hCs@ZJr@qBgA{BlLsFh@{EvUuLlK@vFk@`@T~Fq@vBYAMxBZv@Sx@`AjCWdHPtD`MtP`@DXhAlFtEgJ~PuCtOJ~GdBxMoArJtBxGrG`J{MvUgHp@wAp@k@_@g@`@mEiQuOr@}O{Om@_@cBhAe|@ki@iDvDcB~LmBbIj@dI|FnSg@zMoA~IqAtE}D`HaDlCiBlH{@tKXrJaB`GnA`IrGtQz@nGfDtE`@dHlA\\tEvOvLbIlApGbBfDT|CWh@^bAe@lLlAfKhAdD`CxMCxOxBjIeAfH~AbE~Fr[V|E_@|JiA~Dy@z@hB|BxA~Fy@vEm@xJg@tLHxF]tB}@p@KrAi@T}@vCu@lHx@pGm@fFd@xD_@v@NlEW`Cf@xAFrDaBlDsAH[jCkAJwAzA{@Jk@pGwBhGeBHb@lB_@h@oAXgAgAkAh@c@aA_@xAgAMg@p@qAeBq@@FfFo@n@v@dAkAnAa@|A^v@BpD_@xABzEVL}@nE\\dCUvAw@`C_@Gq@~Ck@EBb@qAb@w@lASYa@^]_@eEhKc@fDw@|Kr@nBf@~KsAzCLdEe@`@kAO]b@OzHu@lBXlL}@nE^`DkApD\\lDn@PdBtGD~Ek@zEjAp@z@xBB`Bw@~BNr@dAl@l@pD_@vAHxFdCfBD|Ah@d@f@GzB|GUnGaAvBL`Bk@tAzAzAWbBlApAc@r@AtCk@LDxAgAtAYlEr@hFMjAaAg@{@t@y@u@iAjAUvBt@|@YnCXhGm@tAIpBuCzE^vAQnAgB~@gBHs@jCo@YaAb@WbCe@l@s@@FzAq@l@]tCeBkAaB~AeAbDUU_BPs@aAgB|@i@y@CX}Br@a@hBm@B]k@G|@oA`@eAWI}@}@jAS]u@jAqAUNcA]cAeCvBcAjEZh@_A`BX|B[vBoA~C\\bGy@EWhAT`@{@r@PbDdAh@?hCcAx@c@pBgAv@l@lFkC`A|@p@SzBa@Is@~@JvBqA|C_AfF{@rADn@g@XNtBk@RHdB[L?p@n@vBGbAc@GRhGi@zGr@zCk@`D`@hCoArAw@HA`Aw@a@Yv@eAO_At@t@jF_@b@p@dByAXwA|Cd@nBa@`Cp@pAaA|DYc@SZk@MJlAm@|BTzAyAnBIdCgCfAMrBh@pBjCX`AbATYpBT^x@nC^vC~HGlCxB`DHbE|@CFv@`DhBh@fB\\k@~@Tb@m@pC`A[bEh@vCnBx@vBdCrAUx@n@xBB|Ah@Jd@~@CfAx@z@@`AvAnDwB`CcHpBdDn@y@bAN`@g@bAKLw@l@`@nCqDrB_JpAu@Nq@zDnBdA}@f@Zb@k@^rAlCjA`ArBz@]h@Nb@v@IfAlAMj@`@NlAbAKX`DxAlBBzBj@Fp@u@Tp@InA{CfCnAzBl@fDEvAb@`@Pm@XRb@e@l@Jr@xBv@l@p@tC?`Cx@lAPlDeAfB[tBg@UOT[zEuB\\]zNi@~@lBrEcC~AGz@fCfEy@xCkATChAeAbBQ|Go@pAR~At@j@Hv@s@`A?p@q@Ke@nAJhDt@|@vAgA?dGf@xD|AnASt@tBNbGhDlD[nGqBnGeNvF|BdBpCzBbAhCd@hIT`BnA`@hA?pF|FrM`@tQ?fCoAd@WhSaB~ISzEjBdEjC`OhBnBbD`@xAtHxBdDtBiBlAMvIfCtCjC`FrIfGqFzDqHnCgI~At@jBfDrFaL~DsCrAmKtBeCbA\\xL_FnGoFxC_AfBdOBfFjEvDb@dBDfBi@vAHdEa@|AfAzAlEqE~@XlCmBjK`FzCpCt@O~BhCh@Cd@wAbAHpAnBbCl@jErNjCU"],"Asia/Irkutsk":["q`iB{xyDtBmAJ}A^[YsBd@yAf@WR`@\\iB~A_@Bw@X@j@mCA}Bf@q@fAjAZq@\\p@RSDaBj@K@e@rAmAPTnCmIrAaBfAW\\iC~@i@f@Jb@oAZgCa@o@bA{@@g@W{@g@[gAF[o@IyHt@y@ToBd@Gd@aAJ}AWg@j@Qj@oAQqB|@iAXyCQ_Ax@[^}Af@N^yAfAM^g@HqDp@wBt@LHU^b@NUTsAc@iD\\uBWo@t@oBAiFd@Kr@|@t@wAv@EEuC^uAWcClAeBe@qB^m@fAj@^g@Vt@fBc@P_Bm@{AX_BIsJqBsApAgL}@AMs@fBwDK}A`@MbAzBx@HvAgGNuCxAkC`@dB|AODxBs@|EuAhDBbBhA|@l@ONz@t@d@l@a@d@f@D}DtAR`As@Vx@zA??xB|@Jj@zC~@[X\\j@{AHr@p@DPvBhBvAl@`Cv@?Di@hA_A|A~@xAEw@kBj@oCIcBh@N`@]tA`@Jq@g@}ApAwD`@f@rCkAHeCxAoBU{Al@}BKmAj@LR[Xb@~@qDo@}A`@aCe@oBvA}CxAYq@eB^c@u@kF~@u@dANXw@v@`@@aAv@InAsAa@iCj@aDs@{Ch@{GSiGb@FFcAo@wB?q@ZMIeBj@SOuBf@YEo@z@sA~@gFpA}CKwBr@_A`@HR{B}@q@jCaAm@mFfAw@b@qBbAy@?iCeAi@QcDz@s@Ua@ViAx@D]cGnA_DZwBY}B~@aB[i@bAkEdCwB\\bAObApATt@kAR\\|@kAH|@dAVnAa@F}@\\j@l@C`@iB|Bs@BYh@x@fB}@r@`A~AQTTdAcDvAyAnBdA\\uCp@m@G{Ar@Ad@m@VcC`Ac@n@Xr@kCfBIfB_APoA_@wAtC{EHqBl@uAYiGXoCu@}@B{@zAgCx@t@z@u@`Af@LkAs@iFXmEfAuAEyAj@M@uCb@s@mAqAVcB{A{Aj@uAMaB`AwBTwG{BuGg@Fi@e@E}AeCgBIyF^wAm@qDeAm@Os@v@_CCaB{@yBkAq@j@{EE_Fm@uA@eAwBgEOqBjAqD_@aD|@oEYmLt@mBN{H\\c@jANd@a@MeErA{Cg@_Ls@oBzAeQdEiK\\^`@_@RXv@mApAc@Cc@j@Dp@_D^Fv@aCTwA]eC|@oEWMC{E^yACqD_@m@`@gBg@uAq@|@_@{@aAR{AfBsAAWmBg@Om@sAFmAiAyBWj@q@_@Oy@gAIo@aBpAcEiA_@YmASXo@Um@mAb@gGm@o@EwAwAs@ZiAm@_Cf@gDWiAcAMWu@y@\\VpBQ|CsBlBQtBe@^FjC}AdE^pBsD`FYWi@f@Bu@qB}FHgBiBUaA`@qAgA{AOEq@}BWP_FeCyEqBH{@vD{@pANnAi@Rw@k@_@_CwD_@c@o@GgFaAe@aBTYmBdCqEk@cCv@cCUkBgAeBDq@uA[lB_C|@JdCwEaAsDL}@hA{A]q@_@fA]AOq@o@Wa@mKkBoEWcCkAwAcAgFy@o@OsCn@{BWiA^kAOwEr@kCS}@jAFr@eABoCf@s@YmJy@O@yAoAc@KqC}@m@i@RQt@q@KGgAsAoBY_DkA_@g@\\qAkGRsB_@_Dc@Mi@iBLgFuAgB[aDy@e@e@gE[ROw@mCqAI}@YNMaA_@GQyBk@Nk@{AcACWqCwCeCDmCQHYgAdAk@b@H\\{AQcCtAyC}A_GoCGq@_AWyB`@yA[s@x@qB?gCs@oCl@uAaB{BLw@aAgD_Ae@?{@c@Sa@}Sc@mBnAaBiBaBw@Am@iCcA_ARw@eAaANyAeAyBVgBmAyBFqBc@EeA_C_@DaDaDGgA}AfAeAWeBaA_@wAcCJI_Bc@i@KfD}@l@BfAh@r@e@fAZp@yA?U{Ac@_@_ABY|ALrBe@`BwA?VpC[z@o@FSh@oAiAQl@[Q_@nCkB~A_@i@_@r@cA[YcAu@Y}Ap@e@dDu@q@_@s@NkB{@[Pk@e@c@b@B@kAqAQ_@`Ai@mAW}Fo@}Aj@cAa@u@Ru@YuBa@yAkAUUo@`@{A[eALyAuAe@w@}A_A?UcIo@_@?sEo@]g@oEeAQEgAqAXyAiGuAs@aAFG}B}@}@KeBcA_ACqBiAuDe@UoA\\_@{D{@g@S}Ee@sALoAo@}AWyD`@oAu@oADaEaA}BDa@ZDJeBg@k@h@kBk@y@LkBr@}@U{At@U@y@M]k@l@y@UVcBY{AZ}@q@uC_@Cg@|@k@{Ce@SO~@[a@eAd@QiC_Aa@HgASQk@XMf@aAIu@oCYz@_@u@mAJSjAsAZw@{@_@~Ai@k@CrBk@{@s@Gg@rA[KkBbBRbAy@bBI~A_Az@eBnFs@n@g@Wi@d@g@{@E~Aa@DMx@kAb@hA~OkAr@r@hEcBnCiAuBiBhDsABmAuAs@rAeB_Ao@zCwAUa@o@m@p@kARoBK_@oAkB{@{B|FmAE{@`Au@mAyA`AKaCe@Sq@bCuFzDu@GWk@mC`@a@uAr@cCy@a@aCnFk@VgA_@a@TC|Hg@~D]TaAg@g@Jw@qFu@sAgADe@w@iBv@gBDY{@e@Eu@wDs@k@`@mEtCeHSiAjB}BLiAi@_CTaBsAuDnBeEVmDx@[^{Fm@aBtAaB_C_MXaBa@SY`AM[LyE_@GKoAg@RaAs@aAgEWBEs@m@e@x@{@vAFN}@jAk@PgBmAQe@mAt@cC_BUmAx@e@eDkCaBOl@iAe@w@xBi@Iy@vAy@wBYiDmBgBg@VSi@q@DGhH_A~AR^vASv@z@X`E{@`AoAcAaA@f@vCi@v@s@PM]}@`@Qa@_@`@[I[pBwANUd@o@m@@_CmA|@iAo@?lDu@lCVnA}@g@S\\a@eAy@d@Uo@k@?Ep@k@FEhBw@n@eAwAD{Eg@}AXiCq@k@W\\QmBe@o@[JDtAyAS_AZEw@sBTu@iAc@x@Gg@_@X}@mAz@_GoAa@uAr@Kf@_@YObAWWa@TGdBeAJ}AmHg@HQeBw@S\\aA?eDk@aAt@uAYeGVmA|@WZw@cAmABkGrAgB@u@dA_@|@mA|@oDz@AIgEb@QfAyDeB_G@sGs@kE`@kCgA_@QT]_@u@f@WlA}@`@kBwAcCq@w@TWlEcAp@a@pAP|BMn@c@EOZGxBk@hAc@]L_Ao@q@cAKcAy@uAl@gBeAuAlA}@zCg@NaAo@LyCc@m@oC~@[d@MzFo@g@gAHmBj@Ud@qC_Cc@y@FmA_APYyAy@pDs@[k@\\kAUShEi@vARp@iAnBo@`HYr@_Eh@{@xD\\h@GpE`@tAc@t@r@p@pAGdAvDpA}@h@xAt@VWpA`@~AoFbBn@|F|@~Bx@YFr@]nC_AzAVrE[~AZ`By@hAe@Kk@p@u@`Do@_Bg@Zu@wBgA|@}@iBq@I]p@i@i@mAd@q@_@F~FcBtDkBmCaAiOKa@WPaAdDL~Cj@jBi@xGkBm@gAn@c@vBuAMwAxHgAd@YhHi@a@_ABgA|@O|Bd@|IG|@m@PWr@^rEgA`@s@bDY~C^jDmA\\KtAYu@WTHvEo@@KhA~@|Od@tAJdBm@tBn@zDf@UPTb@lCz@zAhAm@Rs@p@hA\\Qh@tAh@Gf@xAv@PdBjF?~Ce@h@ZzETvAr@Ej@pD~Ad@X`BbAJXgCbA[bDxN^l@dAJd@|BvAD|AtC]rC~@xCTMt@fAJdELWt@r@l@zBVfA[fBdAfFbAiA\\h@|@OhAdDd@JBt@lBfCl@At@gEpAlCv@q@`@h@Qh@t@\\z@hE\\YVN`AlB{@hDhAdDc@~Ap@nAFbBa@nAVbBh@PEfC`AjBpACDXBfGw@Xq@s@M\\jBzDzBmDx@h@`@YP`AzAjA?pAu@hAMScBLg@a@c@t@c@s@s@r@w@cAaCn@Oc@}@GaBiAiA}DF{@uAm@YjBRv@e@DWxAZb@M~A|@pDNzDcAcBy@f@Ov@kBcC{BrBgAc@Mt@r@pCdAj@rAhDbATjBrFn@_@jA`Aq@xAXjBMzBrChGUpDi@jB{@TKxAZnHh@~@Vg@DfAjA`ADx@a@hCkAr@Bx@XKb@r@JzBUGa@~@YvD[FQrGbAjDx@IZ`CTERx@tAmBf@tCv@WvA`BI`FzBfFQn@d@`D[`@MpFm@hAHnC|@pD_B`CkBz@BnAx@pAuA`Ae@i@k@Vg@OMbBi@^ItBmA_Ac@tB][m@R_@o@DrEu@rHg@y@mAdADuAuAiCgAfEwAcDeAI[iBo@SeDyG]RObBe@QW^}A@iB{Cm@S_AgEsBzAKgBmBYmA{Cc@NAzAk@OEj@uAm@Kn@w@@c@s@}@RWw@q@NOoBq@aA{@Ca@t@]Ui@cDc@pAWCGmBs@cBm@Gi@zAwAuAw@oCiAeA[TYwDo@\\k@SUlAe@US~AY}EZmCg@cBo@SsAn@[q@sAvAcA[c@mAuB}Ac@sBUNWYq@_C{@a@e@\\cB_CeAt@u@k@g@n@w@hElArDFjEqBrDkBr@iAfFB~Ge@tDmAkB]X{@_@aAuAy@dBgAcBo@JUc@uErFChBqAeAIzB{@h@W~Ak@D_Ak@I~AEo@s@f@o@iA_AdAq@BYeCkAkAUyAWVWSSoB[`@BkBi@SYkA{@MSc@Yx@eBwDGiAu@YiCfDgB}Ci@lCw@s@SbCgAc@Om@e@TSpDR|Hg@dFp@xAH|BaBZg@xDw@nA]a@a@xAc@WIz@m@SWaGMf@aBSm@eEYMOf@m@i@_@p@s@}Ae@B_AmIOPO_@cAhBi@Qk@tBDdBe@?cAvAyAcBO`CCwA[XYWIrA]aAm@d@Y_ACtB{@oAOfAe@s@_@tAUSY^g@OMcAsAx@EdAaAYe@n@Qq@gAn@FpFa@GK_AsA|Bc@Q_A`Du@EK`@S_@UZgAzDAjKqAdHN|CU~ASIGfDv@pK@~Jg@K}@`@e@eBPcB}AqCkDRg@S_@VSe@_@cDd@]j@{Ds@oFr@{@?y@g@mBm@g@KeBg@Fo@pCa@[Ax@a@o@]LMm@a@OOZe@e@i@t@}@tFe@`@e@[{@rDw@wAUVc@{Ac@zCi@Ak@{BWdC[Ys@r@]zCNx@n@Yp@xAe@zIbAhEAuHfAaBz@Pl@y@PXbBcCt@Tb@cAz@`CX?TzGWzD\\jBe@fCj@vBMtAg@b@\\xBUf@f@|C\\?HjBjAv@Tq@Ax@VVRYZbA?bBq@NIdA~@jBUrCO}@m@AwAvDLxCSL\\fA^CAnBx@p@CrAOZGk@C`BIUq@jA_@nH}@`@?dAVg@k@~BNv@_@HQx@vBvBbBwFj@b@j@qCf@IhArAPdBzBbAnAvBzBkDdA~@t@rChA_@KxCf@\\@jAvA{En@LFg@f@AL}Ap@OIcAz@mBHv@b@Uf@tAx@d@PhAKhEmAtCHv@`@P^Un@`C\\?Ri@Rr@d@FVwCb@c@z@xAb@Lh@m@h@XfA|I@|EhAy@\\Pz@mA|@~@^uBhARX}DfA}@QoBd@eCf@g@z@Pl@cCPVN]z@ZZQ`@`BZOR{Ex@iBJaD|@cDTKNf@GdCzAxAn@eBrAaA~@xFfCbDS`DTfAbAw@Ls@Z@RrCv@?h@zBXiBXEI{BzAhA\\k@Zp@l@A`@jAx@YLPRg@l@d@b@W\\Pd@lFbBxCv@hFhEpJf@HnA_Bb@LvC{AFdDr@lB|@x@{@hDHvBdAlDx@G`BzL\\BXvAZGn@p@VjAZcAr@TT`Pb@bEj@Dn@`G`AwIj@Rh@cB|@Ej@iAh@Ph@o@a@pBDlGz@l@~AjFZIVj@PjCr@\\\\aAbAlA\\e@tA|AnAsBh@p@pAhHLi@x@Ap@w@NqBbAeAd@MjAbBb@K~A|BDgAb@\\P_Bl@l@v@aAb@_CN`@Ps@Jx@t@uAZd@|@y@FnAZe@~@sGRFbA}CH`@ZUToAEwAZo@Y{Et@iHo@_FdAc@GkBd@kB^TXe@K_Ah@nAfAP\\jArB]|AcANq@`@Xj@k@jB|D^aARp@P]TLl@qBhA}@T~AIWk@xAd@xBg@~E]KEfKHb@\\UXhASzAV@LoANVV_@hA?Z`AWbATdCxC|F`@{AdAn@`AgEd@v@v@JlAwC~AwAH_Fi@eCN{Ad@E^mAVKv@zA\\_AvAPlA~A\\oAl@MGiBp@_ARPjAuAnAxAZkBx@c@zApDLvGzApAnBzIt@JR~@XOPrB`AvAvBbAF{@TFj@cAl@_DjCdDt@lJv@h@_@dDx@tBe@pBc@?u@zBgAqAc@JMdBb@xCwAlBs@Yh@fAo@vGzBfCSzCWDk@{Ca@\\{A@[{@u@MCjAu@Be@dBZ~Es@fDVrCk@~@c@]Ij@SIg@p@}@vIk@NuBhCo@FmArCg@YYv@IWm@h@EiHu@NQp@Jn@o@tCdAj@EpCm@tCy@\\M`Aj@|@EvAbBdD|@Ur@zAKvI[~@r@lF`A`APnANYNb@Ve@~@fA`AsBx@l@XoBb@rBRg@jAXJsAv@s@FcBl@p@Xk@h@^No@\\d@dAeAp@bAp@k@~@`BXbCl@^MvA\\Db@xBfAjARKJj@Rk@Pj@XKA`A\\?r@~A`AfEEpC^h@l@pLrAtDrA|@NWVh@JSDt@bE~EV`AEjGnAxDr@Rz@tAbAzEpAWp@cBp@d@NSf@|@Na@NNhAdEVGNj@Na@z@`AVnCc@xBHlBh@iAx@FHg@Rd@b@s@LRXqAvB|BRSH`@b@_@TpAb@cAVbA~A_CTgCXJN_@D\\Ng@Xb@Le@Ld@\\YB^d@}@lA~Ag@dC~BxDYvA_BxAaAzHo@l@cArD}@q@kBvC{@}@a@vBsBqBu@|Dq@KWo@cBbJ]UUd@kA?q@~A]JO_@Qt@[c@W^aAcA_@p@a@_@Id@QxFr@`Hu@vA@vCz@`Br@_@d@`@\\M@bAlBvADlBl@w@TbB^]h@l@n@MTpAd@a@b@j@NtA]`BhAvGa@jF~@|AJtAj@^OhB\\n@c@f@@fAq@FCtAu@L]zAp@~Eo@~GcAt`@zp@be@GcAlA}DMeARMJXb@{@g@wB`@FRq@SyBbClEn@tDnBRtAwCk@yFNgFp@a@dAnB`@k@zAJVq@b@fBjBwArAlA\\uG|H?AdSxJa@OhE|@~Bh@}@jABNr@`CfBO`BcARmApIxEfC?pCrHBUrCz@p@O~A~@J`@bBtAT\\f@n@cCd@I`AbDpB}Eh@MNbBd@Df@}@XVdAu@b@b@`AUdAuAl@@lBmBv@jCBzD`@LFjB^UCfB\\j@Xw@|AIn@j@nAS\\t@`@cAtBtDrBeBf@}A|Aq@Pb@p@Wv@d@Hn@pAJf@dAx@NrAfBn@_@`BBzAfBTYnADZhBsAfKl@xEoAfFf@nAz@IGz@^k@HvA~@?Rr@f@s@ZzAdAXD|Ay@`AP`Gj@x@`AQh@t@~@A"],"Asia/Tehran":["w{kA__uAhAqApAORu@v@n@Ze@jAHr@gC~A_B^Jd@c@b@dAnBi@x@nARc@bBE`@s@p@Lf@cAd@@RoB\\J`@g@r@x@bBJ\\r@tAy@x@Tj@cBzDXv@a@lBn@jAc@\\f@h@e@CuA^c@u@iCt@[b@cBhAf@fBtD~@SrCd@TrA|@[JfAd@?Jb@RSNb@j@BfCvBj@SlBv@h@yASeBZiC^a@n@Tn@{@Oo@fADS{EjBcCp@MfAjBh@JvA}Af@^fA]jAx@tBH^eBzAs@RaCbAS~@eC~@_@bBpBdDu@~@dAh@cA^JNi@n@OE_BhAeBlBl@jA{@nBP\\tAZK\\v@f@Bn@k@YaDhA_ANsBlAu@nC[p@tAvASl@fAd@UVqA`Dw@j@eCYKa@cDnAeApBUfAj@t@wAh@lAZ{Ap@e@VKb@h@vAUnBkBtClAz@MTwA}@}AE}EtCeF~FcEw@gA`@}@AuAu@k@\\uBi@QPyBm@iBZuBh@Cl@w@Ya@b@w@qAeD^yAd@KjAX@t@`Ax@N`D~@|@E|D]t@v@bAz@C\\b@Jg@dBa@OpB~ByA@p@n@NvEcCtC}Dv@YpAtA^]?}At@o@rA|Az@?b@gAhAtCQvAt@Ob@h@cAvARb@cAtCdBQXjBnCg@n@p@nAL_@xCtBGn@jAC`@]?|@|AxAQ|AzAx@cBn@J@[bA[`Ec@k@tBRpD_@x@s@ROt@~A`@n@]|AJDfBn@x@hFoB]W?{@`B{A|BDxAr@`Bu@jCvEbCL`AtB|@m@?aD|GuD|@qAjABpC{Cn@gBvAd@eA{BSwDRSj@VxAoBfCbETyCs@eCd@BNi@xBg@z@_AjAEvBiBv@oBrBPP}@`DnDWlC`AXr@yF~AdA@|@jABt@{Ba@uElAiJ|E_JfAcErHkI|IqPM}C_AmAl@{DbDiDlAz@Ne@z@QRqB\\CTj@|BkCj@Hj@hAx@Az@iAD_Br@iAl@Hz@sAVHAy@p@LjBu@tB{ClAHn@}AbA[hWhJrWEDuTn_@RdBsGrEoAa@_ClGwG|@QdBbAnB{BdCUjJsYr@mc@bk@uh@~wAejAdAeDb~@uhBhQim@v@eFvMgOxC{AzEKdCq@vBoBlAgDVeG_AqEeCcDwEcBvEi@xD{Dr@eGu@_EoDuDqDm@aFdAgC~CYaDX_Fi@yCoDcEkFq@gBqJaDwKkDsKkDwEoF}RqCmB{FiB~FmDdBqBtDgAdDWfHn@hCI~Cy@hHsDfHi@zBaAdBiBvDU|Bu@hB}AhA}BxHi\\nDqUxHw~@Lg]n@wLv@oDKmElCe\\JgH~Kcp@v@}K@YsKSkPwBySg@g@o@s@Hg@kAw@Mn@{Bg@UM}@kBFa@_@aA~@y@k@UcBs@dAFp@oBXgBu@W`@IWm@NiFu@kDiAB_CuAyB_AU^gB`AYVu@JsD{BYBwAe@j@aAeAw@p@kABJu@m@k@yAF}@eCJcBcAq@Q}HeA_BRiAWaB]Ha@i@KqAXy@WkIj@uBo@sBHsD_BNm@]iBVCa@Y`@eBJYwBcNIkAoBVs@}DdBYpBeAhAn@bC?`DdAtEu@xBRfBeAzAScAeA_@oAbAwFqB{Qd@eNbC}O{@|@fKuChDgBn@qB`E{CtTkBjGwLlNuB~AeHpCcA|Bq@aAYHy@fA_AEWhBoANo@a@_A|AyAz@yAe@sBV_@dBkDnDa@lBeApAkAE{BzAcM`L_|@cy@_Dh@s@QaAwAu@TgA]aGbAoA`A_EKsClC}Edt@{LrA}Oe@}A`@uIeCuPfCmLpEiS`DyEzAcEeBsIyJo@wAwB^m@_AN{Aa@a@s@tAKnKgAxCiH|CsCeAaO~BmAEoDsAeDsEmAc@JmM}BfCoEpA{AjCo@{Eq@_BoBq@D}Bm@_@cCCsCgBmBOKWg@LWYy@p@Gc@QTcAeA{AMKa@g@j@]a@k@HB[]PMy@[f@S_@}@Py@zAyA}@Qf@yAJe@a@NaBc@_AkBZu@o@s@Vk@mAi@H}DyBmCPeCpBsAy@}D_@gD`@{AxBg@dCw@gBwAHeDeCSf@Y[gBJyFjCYU}Bf@i@u@iANU_@wAb@g@s@oAE}CpAn@j\\MpS_G|CoIdI}A\\aBzAs@xBGbDsC~F`@p@aAfCAp@l@Ta@rDsA@iAxC]a@e@PgAzAi@DUhAuDd@w@aA[z@y@UaBjA^xFkFpIiAlFC`CeAhBhAd@?lBb@fAqBdIrBfBh@|EcAt@m@hG{ACqAh@m@hBTx@YFNj@YHIdCaCnGNbCiAz@BrAo@bA?tD_@`Bd@fCeCtHYP{Dm@{CdDaBRe@t@aAPBhDr@P|BhDOpBq@Z_@lHmBhD`@vDt@bBq@dCTtFvCpEzBaAb@d@j@CHlFm@fB`@pK}A|KlApRvArB|BzH~@p@[~@VrAhClDhAb@`ElJ~EpBbAgAzCf@Jr@b@DLnAjBnBm@lDdExJP`F~@nAgAxW?rJzEYpHmB`B|_@jEhXdC|X~DzWJjDg@pIaDrLyB~VsLlY}@~DiD|D_HjBiCtAwChEqAbJyAjCu@zDAxDl@vD}@pQqAjFaCrEaAdAeCPuBbAgMl@eJlAgEQVnOWbDpAhBb@vCQ`A]t@sBz@uAtBy@L[pA}AJX`EYfBmA\\]rA_CF{@pB[hDe@?aBjDiCTGuBgAe@g@mJkB{BoDp@i@pCiAh@}@~BqCf@sBaDGkB}AoEaBhAyIdKsDpEa@zA|AhCDzEhBjBd@~BnD|Hz@lGfE~CbBdELpBbA`AZxAn@l@vADx@fAr@nBo@hAt@lDn@HvAbCvA\\LnB`CrAlDpFk@TShC^`AaAbDh@dChBnD?fAyAdD\\tBq@xBl@fAgAvBHbAg@`@ExBo@xARxCiA`AZnAs@lDi@b@mAg@k@jBe@@cA|Aq@Og@XHzA]i@]HRnCiAtC`@l@}CNCn@a@QIb@o@NAh@a@MYz@a@AoAxDi@FO_@ShAWQQVE[GXG[aArAqAK_@v@m@QVh@k@?Xf@QbAkAn@aCdDYdCoB`AdEfHnAg@bALjB~BdBo@bA~@v@q@|@T?vAdAdDqAnCv@xD]?MvB","mtu@qp`BxEkAI_WcEaA{CZ_CtA_BpCg@~Dh@jEzAjCtBpA"],"Antarctica/Davis":["~}fDwjvC?grOo_h@?nzDfrO"],"Asia/Anadyr":["udyB~p~I{ByA_Di@qCXsEhB","sm}B~p~ImFoNuG}Y{GsKcCaBeBkTd@yRE}x@w@ePuCoP]aGlCwS~@sChCgBzBkDvA~BnBjAtB?xByA|EuKzAuJtDwExA_EnAkKZqa@nGs\\bEkD~B_F|Fa]xDie@@qIk@eL}@mH{DeQgAeViAyE}B_EcY}KcUZoBr@sAtAgF{MtAgP?aMy@eI}Gy\\wA{EwCmFyB{AaF_@sAyBOoC|Ji\\xB}KbCoH}@oCe_@?@~K{Bw@_Dp@uBxAmBrDqBxIcArNuChHcC|RcBdDeEjN}DbQaCj@oBxB{A`E_ApFcDfCmChImCtYH~R}Cfa@BvOoA`ZgTrw@gKhi@aJh]o[hoB_HlXoGx[mJ`Y}DtYeClHaBzNCvPgIpV","ybiC~p~I~AcPDqRy@qVgCa]_@}RcCwd@}BqQoDePiEyIuD{BcBMkC~AwD|IgBtLiDbHeCpIoErXeCld@{@d`@b@xa@jAnS","}mjCtmwI`D}B~DgLzBqPTkMo@wOeBuKsCaGwA}@uAM{CpBgC`HyClYUtMh@hM`BtJjCjF","{zbCeasHx@gCnAJz@gFnBxBTnAd@eAp@~@j@w@BoAx@wAt@sIx@{CRR`@kAJsAh@CBcDrAoBCsBbCeP^aAb@LnAoCp@CX~@d@w@Vl@n@wC^BTi@JdAf@UnBkETrDz@rBKfAl@lB\\P`@{@Tx@b@Sr@nBbB|@b@hEb@Qt@hBnAY|@lGh@AV{Cn@c@~@iDNNCiEh@}Cj@Jv@cC@mFp@}CQiBh@qBOuGNXd@]l@Z|@{AvA~Cz@Fn@pCbB`Cd@a@b@x@x@CTtAh@Bv@jBRc@PrA|@mA^vBHo@`@Zl@mAlAx@LeGvAcJ`@e@b@qNf@YRyFh@u@b@kEtAiB`@TYiJf@oEt@aALcCr@WZwAj@E\\nAnAQ^oE`As@b@Hn@wDzCsEb@BXsAd@gRcA}Hh@qCJeLp@}CvBwCnAqKfAmCrCQzAiCf@r@NOnB}SGcDrA}Dc@_Fj@kLv@}@h@Jt@}D@iQk@sBSiHg@@u@|Dk@AGfAo@Po@aD`@wBGcEYPm@wBc@@[yCqAGc@_BZg@QyAXeAd@?JaAKcGRHf@s@Z{Ca@kARw@YuC{@c@HiD{@g@_@oBjBeHRgEv@cBh@FLeCn@s@e@cAlAuCPgDd@C`A}B|@NNcASgCRaBaBDm@{@e@r@mBOU\\m@iG`@y@Um@d@{DzA_Cj@j@EyBh@_@RsAm@kBf@eC[mF~@}@DsAlAjA^S~AwIr@bD\\s@p@?CaKq@w@{AmFd@Ed@cEWs@DyD|@gCLcC~@sB{@gG~@qBq@mCJyGyAmBc@cBL}@s@RT}C_@q@`B}Bb@Dd@{Ab@Lz@s@ZcBKqCN[j@Ll@kEl@q@b@Rt@iCrA_@s@sFb@u@`AUI}AdAcHc@yCL_C_@i@IXYMg@eB`AgFa@kBL{Ez@iB`@HR{@b@JP_BTZ`@a@ToHRH|@w@dA\\^aA^P`@iBzAb@v@OKcFZW@aC\\\\p@oAGoQv@h@RcAj@n@^OZwEvAcDpC_@Hn@V]n@TLuAj@HLaAl@lDTOf@dAh@e@^d@fBvQp@h@\\jBtBtBtBhHXIf@pA^dDlAEz@~@YrBROVjAl@_Cn@v@BvF`@OdBpGr@x@dBeFJ{DfDsNg@yDRaAq@kAHkCbAw@C{@|AuEDkC^IT|@vCqLp@c@Xh@J{AnAkBU_Bh@WlAeFYiBXsBg@qAPqBb@_AVDV~B`B]bBlB@iC`AwB~@VFfA\\G~@wCj@d@f@SRuAx@}@p@v@h@uB[sAl@o@qAqDx@wDe@yCn@]G_B^QDsCWi@n@yAQgAVq@g@EQ{@BiJ_AyA[^o@k@N}BeAwCe@Uf@qB~@jCf@G?mCq@i@QmA^EJo@|@FLaDu@sGcAqBEkLe@B]`B]AH}C[oBkAa@SiDBsGNLv@_Bt@d@D_A^HPm@G_Ak@[IkCkAeBG_D\\_BOyBXPDiCXCI_BVWf@r@n@]TkEW}@e@Hk@mAd@sGkAgAGgDo@f@CqIa@Ec@_EoAmCn@cF_BmBZ}B^HNcFj@q@d@Jh@}AVRMmD{@sBl@qDp@w@zBb@p@SPbDZMr@b@LnBd@o@?oA`@F`BgD\\EJjAd@Fj@g@ZLVqAp@@TaAi@sCPeCTm@lAj@TeFhADTuAVn@|@Hh@n@XcCv@]^n@`@CYhAPh@bAiAnKs@u@oMwAwJ_EqLsCqS_G{QmCaQcCwXmB}HmCaGkE{Yc@wUZcPfImt@|BaHbAmGRoI_@}GwAyHsAaDqVq]cS?uCjCuLhBsAhAmEvHuFxQaDhD{Az@oKjAcOnE}CbBwHzIqN{OyC_Mc@uMw@wGwA_FoCiF_{G?kEfOiJzh@uCl\\MrVcFz\\kB`d@uChUgFxNiBbOUhb@jAxd@?nY{Br\\yCzqACtKr@rLg@tTiC``@uAdj@iA|SfAdYpCpL|AzBrAn@h@fRsBva@yAfKk@hL?jL|AnYrB|MvC`KpEhJtCjDbIrWLhZcCf]GjWe@pMl@f]w@~DgCxE}AnGy@pI[vLXzPhBfMc@rR\\tMdAnK]|PrLbCb@o@`@|Ep@jBdAsDLnC`@ADh@tC{Ex@r@`@rBbAeKd@Er@~@nAaBxAoGvAgAd@kAEkBx@zBPvCj@F^hHnAp@h@a@VaBXr@n@K\\`@bCgLZk@h@VdByDNnBhBxBObHxDUt@uEnB_@b@s@~AlDn@Zx@lDtAiB|AxBlAp@p@WlB`HsA~Je@TEvGi@jCd@tD]vBRnF}@jCCbKdAdNtBbJfApQPbTi@tFM|K\\dCBhIn@lAf@e@Jr@Vc@Jr@?jB]Js@`Dx@rIMz@Zd@WbCPtEj@`Ad@fJ|AjGg@vDZjAe@pFbCbSr@`AZa@b@NHt@XCh@pAx@d@h@~Et@NXlANo@z@AZo@@qH`EqEPjJf@VClBYAO`AJdEWrA`BfG\\kAjAjCz@f@`@q@`@lAbA?","qxiCutzIpDe@vBsAvCyD|Cc@`BuApCsHhAuI^kKKmJc@_I_BgLGwUmBwSo_A?zA|T`Gp`@xHfWhBtNvK|WbBdB"],"America/Sao_Paulo":["b~y@`roBGsAh@{A~AHt@sADm@i@YCm@VaBn@FDw@{@e@Rg@u@oAfAy@u@q@j@Q?y@mBcCgAXqBkAKo@i@RLq@eAi@\\CHo@e@k@LuDd@q@s@g@NwB|@{AhAEXoCx@OU]PgA^j@t@wAV^Ny@bANUuAz@e@K_@|AH?u@jAy@[w@t@a@VNr@oBh@Pz@o@Qs@nAcAU}@nAQBo@l@DUs@`A_@N_B^RhBwAh@XPc@b@??q@p@c@Si@v@KToAnC_AlDp@pGGQ_AZ{Ag@gARY_Ay@Cq@w@c@?eAc@Gc@yAgAGTsBuAo@}A^}@aDrB}@bAsBl@CVyArBc@@aBf@o@v@Rh@aAtAXTaBj@?Xg@`@TV_AlBSPmCp@g@hAuC?a@{Bq@Eq@bBw@\\s@d@LHq@p@JGmB`CcBc@gDz@aDBiDr@Uv@uBpD}BZZlAUfPgULYoAkBl@}BhAQT_Bx@i@JsAx@Dp@g@pAwEd@d@r@c@TP@a@zAMLc@fB]lAeAd@ZbAo@bAVZ}@jB}@hAqBI{B`D}@KWj@g@U}@dB}Ca@qAt@]X}A`E_F|ARFvBrBlA`BxEd@\\^aClFnKfErCnKS~Sn@HyDxAQFuBzFaKwPoVsIyKaLiJoNqGsTwEyGwB_DmB_CeHkByA{Bq@gF}FuJsTeKkPmLqL_F{GqI}Hud@wYsF}B{b@oMiMoGuHaFuCqDkGqCkKwJiHgJyG_MmD}JuQwN}a@_KcVwCaN}@qDb@mZlMa_@iDym@oXgr@koAsHy]uL{[eIo]{k@iaAkGiv@eCajAg@{CgCuDcOoLeSoDuUgf@_CkCwCkAcD[wObBix@kf@o_@}J{Gy@}FwBmEsB{@sA_AgEcCeCiLeEqIcBgEK_\\|BqOg@qHuByA~Ke@G{Tza@qBnAk@wAaByAoBvAqBBe@dALh@cFlC~@N}@`@Vn@]b@uACV~@U`@}Av@aAKuAjAmAjE_@o@{@L]Yc@^wA{B}@n@gBg@gAt@qCk@u@\\gJ}CM_Aj@uAq@eBbAeA_@y@Pi@mBaAqATe@jDcBeAwBDqDy@{@aBj@yCoBXoBkB_Bg@xAYMe@gEoAwAcAZq@{@]YcAmAd@cBiBkBZ@a@y@m@yAp@uAfBq@e@BpDsAzBg@?@X{@YX\\u@F\\h@YdANz@mAIKbAsB|@d@bHa@~AiBdAh@f@I|@t@LLtAu@L_@fAo@Dg@j@X^}BvBZfAn@ARv@Y\\i@EcAlAhAl@TlAEh@{@RYdBtA^j@r@JnCt@dBr@ZeApCNfFmNp@yWxZZhCvBzBa@~Bv@|DgEbDlAvDyAbCb@n@u@d@OdCoAGKlAyDtFh@t@}BzCFd@mAz@o@`CuBhBg@nBgAVKnCe@t@XzAk@`@m@vCTDYd@v@vDMh@t@bAr@pDrAr@Bf@h@Wx@xBaAJaAxAPbAkAlCN`A[Ma@Zo@jGi@n@qA[y@`@sBYgHuBqAeABf@u@f@Rr@[LFx@e@TV`BoAnBn@fAGlA_@BLXe@p@n@h@c@DHbAgAvAVFIh@f@Lg@hC`AxAZdCrAtBMn@b@jBhBfCBp@j@?A|@`AVKXfB|CKp@\\GId@nAQFj@v@XI]ZAj@dC`@Ll@|Bd@Hf@nBhCtAa@`DXpArAhATx@dAZC|@h@?f@~AzAdADdA`Af@L`Ao@~AJx@zCrBJbAhB`@ZtAb@F@`ExAlBq@zAJfAlBz@HrAtBr@Jn@kCtAy@mC}AK}CgCwBQ{@Jq@fAk@Iu@fAe@[{@^Ok@}Ag@cDJOl@k@mAiAIc@ZaCm@_@p@eAG_@l@q@e@i@RNcAo@uAmBs@WdAqBh@OdAk@EH|@_@t@cBNXpAa@A?j@}@IEbCgBnA{ALuAm@W^y@GObAcBXgCeAg@rAk@SW`@{@sB{@nAq@u@_@HEl@cEaEi@`AL|Ao@SaARe@k@_@Vi@w@eAnAoBcF_DeCkAdAvBxJWr@}Ac@Sx@sAq@g@AEZqAk@wApAo@eAkBs@wBkHoA_@hAlDbAnIw@XmBa@yAJc@tAk@NtE\\pAj@CnQ`AjCbCdA]hA|ClDSl@f@Tf@dCf@NGvAr@FJb@Iz@c@AN|AjCdB_@\\@pBi@l@xBhBqAp@Uk@WDKdBeAOAhD_C@c@hC~AT^p@V]`AZhBw@lAj@zAWf@w@bEpBwH`HPtB{@fBp@|@mAf@CzAg@@@d@g@RN`@xAF`@bDs@WqA\\i@]w@ViAk@@vAf@JGjAv@d@NjA~@f@QbAf@CKf@n@p@HxAh@VUb@aAEYd@iEANX[f@~Bj@Xn@`EA\\`Aq@ZkAY_@X}@i@eAAg@b@y@e@_@d@}AHOr@kAXg@dANrAu@`@kBBsBzCe@J?j@eAFKn@rHpEcB~AEnBa@NoAg@UlA{A\\xCtC`@pAnErApEpCpH]r@|@gRba@_AnDFjA}@lAOpEuA|A]zBqAb@_Dw@kA^BcAyAEYs@yABJ[m@_ACd@{@b@kCw@y@sAaAWLn@b@FSh@f@W|B~FVXVWK^h@BRdAx@@t@~@ROXt@r@IDv@C[pAJb@xAh@YZj@Re@x@p@r@QrAn@p@SxBx@jACr@fChAo@p@rA~Ag@tCZdAi@jE|@fBbBxBAvDdE|BFjElAjAfCv@i@jCFz@_@pC?`Bp@b@a@n@LtBo@tA`AJt@e@L@d@lBG|F~Bz@WnD~@zEeA|A`A|AC~AdA|@EjB~@lA_@bB|AdDEh@vBrARrAnCLzB_BVa@r@lAjAGjBnAjAb@pCxDbCj@lBhCh@^u@x@dA|@R~Ag@lDlA`ASb@fAdAU^\\G^q@FLb@bEg@~JxFc@`Cx@LDr@xA`AHzMlAHbA`AtEnAjCnIOb@|@`ApBGNp@|@m@Wz@h@V`@fAMbAj@n@`EHXyAfBi@?a@jANBp@~@Up@l@Sb@f@OCX^?[~@v@@QbAh@@v@s@NP]l@p@MV|@D_@`AHPr@x@@Ah@z@n@FfBrAnA]PRVt@c@@r@ZOGX^JIbBjAHXf@x@Gj@h@nBCz@`@ESl@KtA|BpAP`@z@bBNxCjBbDk@xBfAb@SdCj@fIAn@QdBmCjC_A`DIb@}@fB}@`CVLzAl@f@hMsA~@_APsA_BeBMqA`@cGhA{A~BlAXtCjANvC`DnCk@Ls@f@DfBuI[{B`@eBKuAo@o@OeAdAeDbGkEb@gAW}Af@_DvA{@LsAxAg@L_BXq@b@C[]Zo@]OZc@YSt@wAlBmAO_@\\@x@eEZCjAiDWe@\\{@]}@h@uCZGH{Cx@k@Hw@h@AE{Bh@?dAoB[}Al@o@p@wDfAuAjAo@`@HRkAd@?lAkB^x@`@AvCmA^ZEbBvGrBt@c@r@Xr@a@nBEjAs@pBr@nA_@`BX~A_@pGpBzBrC`AdIp@zArEfCl@nApEnCnBpCzEnAl@WxBRxBe@nAPv@hALxBhCbBvBd@r@fAPhBxBBfC_AxCZ`B`BzB`@bBrAXx@Q~Bt@|@dANv@cAxAe@lCt@~@t@v@vBnCt@~D|EnFvAvH~GxF~N~DxEjB~Gt@^`A|BrAz@r@CtExDfB`Il@b@dDhIvBxBlB~@vFBdLnElAbAlCxHC~@h@l@fObCnBt@vE?|Bj@~@|@fDpHlBjBlF]lB_BdCc@tEfC|ANvCa@~DX`F~BzNhClAChCeAh@dA|EnAvHhF~@a@vEQIoApAu@UaA~CwBiEaBRgAcAa@e@uArAaAEg@}@Il@eByAr@BqA_B{Bd@QjB|@dBo@wBe@t@_Ai@aAhA{ArAOFUgAMHw@f@GYk@f@HBe@^ZCw@z@g@BX\\EYf@XKBX\\g@h@LL_A\\l@Vo@XR@g@l@G@d@n@V~@u@Vt@Z}@Z^@_@Z@KZXPfAKf@e@K]|A}@VkAj@MdB\\Z_AfDiCh@V\\_@fANjE`CfBm@@`@v@KB`@Fe@\\?d@POn@hAQJj@Ra@XTKy@p@r@rBLEd@RmAt@VL]Gr@fAOMd@RFT]RLSc@f@c@Xz@JyAVb@^a@^CAXbA_@TeABhARa@`@^Lq@dAr@Zq@QhAr@KAl@\\T^e@Bp@l@CMl@n@a@X`@c@j@jAq@q@pAbA{@Or@VLr@w@CrAh@]Tf@Vq@?x@n@PyA~@dBdAk@dBrAJF`B~AThBfCG`CqALNn@rF~@XzA|A\\uAvBbBGXd@wBvBj@pBzAo@NrBp@r@kBfBpDnABf@aA`@Ad@hBMVTYtBl@`AaBh@Gb@vDhA\\lBbDCdB`AA`Bt@l@w@~A^v@|AuBn@NStC`Br@kArADx@fCtBItBvAd@XrA|A[`AhBjAp@i@zAjDbCc@v@s@CGj@xBn@xAfCj@tCz@CpBmEvDr@Ah@kA\\]p@OpF|Ap@nCe@r@xFz@`@rAo@t@JxC|EnDdCNpCf@dAlENxCvEl@Hp@_@hBf@xAvIjAZbAlAbCH`EhBd@~BpBThBrAvA~C`BhBl@b@hA?V~@~ElF`@dFzDrDhFTvAxCjDbCjBnEAfB","j`g@jvx@`Da@vCkB`BoCd@yCOaEmA{CaCmBoDs@cDXkC~AeCrDo@nDTlD~AbDhCbB","r~f@nww@rDe@`CoAzA}Bh@wCOoDgAkCqBeB}Cu@eDFwCfA{BlCu@lDT~DxArCfCbB"],"America/Lima":["xdHvhdDvYy@|b@aFri@eBlY}C|]iIp\\_NnXoGrUwIbNaHdNaJpK{IrJ{JhJsLtHsLbImPbFiNzAsAdu@a^`WsGfMeEx[{Afo@}H~ZkHtVsJhRuKlNoKjMeMdLyNxS_EhTyGdc@eR`RoK~NyK`OiJ|K{IhMoM~MeQdNuK`MgMhLiO~HkMlf@{dA~Qy\\fHoQbPuj@bEsKvAyBzNqLdN}NaMj@{e@sv@al@yr@oPwN?{vAkAmBLwIcBeE@aCgEyFkBwA}FyBsAIcD`BmEBc@h@kAFwB{@ZcGcIkKwF?eDvEShCg@y@sAWYs@}Ai@YyA_B}BV_@Su@u@_AgBf@}@q@ScA_C{@kFmFmC_@mA{F}@_Be@h@cCl@eHgBwCuJc@KqGjIHhAh@Xm@vAx@tAsBbEcb@zKoDoD_AYk@Nu@e@~@iAQWc@Q]b@iBRqBwACi@kBe@CoBoA\\wBlB}AjBC`AqEzAwAjA{@F_Bi@aDRgAeBM}Bg@]mB`A{@{@oCMCmCsBF[gA_CgAe@kBcBuAwBz@aBgAy@Ja@m@GmGiBx@c@m@cAjAaCf@g@xAcBtAu@_@e@f@eA@_@aAaCcAu@zCs@i@k@fBcCpAaA{@\\KEgAc@GSZg@iBcDUDk@qACu@UFSo@RRMWSgBDo@m@{@Ra@g@qADAY[RQ[cCt@BUYGCZc@Y[f@m@I?[aCHC]_@d@[]Df@o@MKZQc@UHRPi@Ja@GLc@e@`@E_@MZ_BGYgAcAFe@]F_@c@RcA[yAuCE\\w@}@Q^SQJ\\cALm@Qs@oAw@AIc@y@PTw@gAEqc@zRs{@vd@BbAZBKbBn@lBWNR^yA|@KdDRL[pAXh@WTpCdGQv@rBbCVpAOrAn@fC_A`GsA\\{BxCzBfDqhAPsAyATc@m@m@eBWsCvBaAX_AWc@ZSSf@GBaA]`@o@CJw@m@JY_AyALLa@_@Nm@a@`@hEd@?E^hCbBh@fBl@\\Qj@tAHRz@p@LFtA`ElDNnAhC|@ApBhAdBFjA`F~CM`AZ@\\vAq@xA`AdA?dq@aA}@gAn@oBkAwAt@cAW{A~EuDa@]Zw@M]fAwBMBhAaBdAc@hB\\|EgApBa@nFu@j@Il]Oa@gABQqAgAa@S{@aAJoAcAY_Cu@Ka@l@eAgCcBc@wBJi@`@u@k@Gt@}B|@WvB}Bb@m@dAgADkDfBOnD}C~BJj@}GQGnBmAd@KbAuChE}C_@{@xBa@_@uBp@iAUmCpAm@Qu@j@Jx@sBjATh@e@h@a@Oi@~@a@a@}@Jb@s@e@oB}C?g@`Ae@Ds@pEaBd@Pt@gAbAgAUuArDs@FCqAwB_AgFpAf@_@]Yn@c@DqAeAQ]_ACwB`@MuAuBiAf@{A@Qp@yAZqBvAuBoA_D@[a@q@`@eEeBeAwAeBw@_AwCmAs@qAaHaBkAGyFq@KX]{@MAc@m@JIc@XMi@w@g@LgA}@k@Ri@a@}@~@mEp@qBtBiAGcA|@qA@_Ai@oAP}@aBwB?yCeAGgA}@CEq@y@QKu@gAMe@u@MNIw@g@H{@o@WPS{@uA\\oCeAFZm@NsAW[RsDmAq@{@a@Z}BwAOT_@QBTkCGNTo@Nu@iATAOeAgAFRcAi@AL_@k@WT_@iAWRgA[i@`@[e@]b@?q@YXMgCo@\\YsAaAF{@u@A`@o@a@Qd@Ku@OQm@q@d@f@gAUe@m@NVa@_@o@eAKGZS}@g@TDo@[Od@]aADG_@^Ei@y@r@LB[Ma@u@B`@WcAgA\\]a@ASaAo@c@l@]aCyAHi@[Pa@}@g@Hl@gAa@GEi@a@XA_Bs@Fc@}@eAANcAi@j@TsAi@o@PUe@@Rm@i@[XQ]Ah@c@S]s@At@S^_AO}A}@K~@IgA}@ZK`Af@XiAoAwASLHk@g@?l@uA_BXf@o@o@ICu@b@]k@CPm@Th@h@MqAeAA{AfAiAc@Iq@d@h@uA[_@}@?@d@WUAmAp@I{@U?YzAO{@ST_Ao@Cv@eAy@IOq@l@EKk@i@M`A]e@g@Do@qA@`Aq@JcAw@GHa@eA_@Ck@}@@[aA{@b@Js@q@g@UHVl@W@wBiDx@oA?{@d@Q}BWd@e@aAEEw@nBVTYg@kBjA@YY_AHQ_@i@PTqAhBKoAe@\\i@a@UDg@{@D@oB|AqAkA_@l@eA`CQl@|@d@s@^H]sAl@j@XUNcAc@UzB_@aA{Ak@h@aAa@VgA{@OdA_@FmBb@nAj@kAnABEa@[Rs@s@Qo@j@Ky@cAmD?o@\\sFrE_ArE_CQeAVeCzCwBx@i@xB`BdBx@lF_C|Br@jA_BdC@z@{}@}f@aA]uEp@Nf@lARf@lAc@XqBAQZv@VGr@gEv@n@bDa@~@k@Me@kBc@BWvBfAlCoChAf@rAsBpBRd@j@oAv@X?hCu@^kB_@^^OjAcBa@q@hDgA|@EpBiCnA`AxBqAnAGl@ZXdDk@_ArAPlD`@d@hA[@fArAXcAhBpAnBgAQKn@dAd@z@pCg@`@iASwCpBTv@rBINd@iAt@cCM[jDiAbB|@jBMl@cCU[f@t@P\\pAd@NWdAhF~ADzAdCIm@jATbBu@h@Cj@xC|CtAJf@d@}Ax@\\fAc@r@x@TKp@l@X\\tCi@p@oBRt@x@i@lAHxA{@tBs@XUlA|Cz@\\j@mBf@?p@h@BRh@gAl@jArBr@jEsA?gCjA\\z@{@b@Gf@t@@Lp@i@La@fBw@?yBtA{ALOsAgB]qA_B[zAmAe@qAbAaFi@m@zAgBQBlAuBbAfBVLp@s@OCjAf@f@l@QJ^_BbCPdBqAf@c@nB_AbAmCy@iBiBSnAgAe@Y^}@KMrAyAJSdBKy@_@Mu@|@eB[EtAmBLJp@{@fAX|AiB`@zBp@k@`@R\\i@vBmEvA@xB}@]WTp@d@Wx@iA`@sAYYR`Bv@AbAyA`DDjB}@dBgASeAV[nA_@La@c@^aAsBa@Nr@_BT\\t@y@G_AxBc@H_@eAk@Gk@bAeAWeA~@yACF|@}ACs@fBZn@q@?Jr@wBz@u@tBy@Gj@dBO^eAFV|AwAB{E~B^jA~@^JjAqAt@n@\\mCzAQrA_CzBuAfFlDdCbAhBFnAc@V`@DLjAoBzEb@hBe@pA~C?W}CnBaBvBOpGkDz@mAUo@rAWJsAx@CWk@v@CFa@dBVt@a@hAdBdAs@z@z@dAq@j@\\Zs@zAHj@s@`CVhAqAb@fCIjBcBjChf@|IYr@|b@t[b\\xc@pXtjAhClEpD~B`A??p@fAx@Ut@|B`@fDpDfEeB`@@f@lADvAoE^GfCu@dAfAJl@]lEn@z@r@hFB^z@|@ATg@|ALhAt@Nz@tEl@DdAlBrAhBB`@}@pCvAvBG|@~@~@UrCjBdDc@G}@\\E^l@tBXx@p@lBIlAbBZdEx@dBlBdAtAA\\p@v@o@vAn@f@o@r@BG~CrFrAs@nBg@HEzJgCnAa@vAyA^Ix@kAr@wGrAu@p@aBHQ_@mAT_@tCsBhAa@x@Ir@jAdBf@tE}CrBu@~AV`Aa@nAkChCg@tAJ~@W@d@d@Sh@pAPHf@RUDn@p@BIVlAz@El@t@Fx@lAj@rBmAzB_DEoIwGh@~Ao@Zh@rAk@l@Z`@qDCLf@qCZq@}@aAI_@_BBeAbA{BQw@uBkANe@{BsDq@`AeC@w@`AoAY{Ad@s@Y{BHs@t@m@YeBT]z@_Bq@{AjD?faGrTnDlPdB~W|A"],"Australia/Brisbane":["th_@uolGbnQGAozDtzD??mpNi@[i@wBeFaBM}Aw@WGmAw@QSiAs@i@Fm@aAw@Fi@{@oAV{@iE_Ci@eBAgDv@o@O[`@iAj@GBkAq@a@H_OcAoAF}Bg@W@{A]]n@wBiAyCjAyBzAe@XyA^BZy@SeDJ[PTDm@e@En@{Cs@qATOw@kCvBuFKaAtA}@RoCj@c@|@FJc@vACMuBhEuIhCSl@Vh@e@p@^r@KfAiAv@BV{CwEyEYXgAOgC}A{@aCJq@qBoC?u@|ASpAcA]w@\\s@gBa@h@eCcAcDXWuAw@Y@Aj@_Ak@mDKo@aAu@R_@nBgDn@c@v@wABa@k@n@UAw@qBiBIeB{@oA^oBkDyDJwCgA}@eAB@{@oAe@SwAZs@tAN`AiBiCgApAm@@y@fBgDa@q@Jy@aAs@SaBv@kB@_Fb@}BkA_@q@wA[NaAa@b@kB}@}AZcDuDgFh@sBsEaM{DlEsDFaLcA_OyDuV|C{EOeC|@cBhB_AhCQ`D_D`F_KpAmHg@}DtAmOsEcCSeE|@kCpCaDNec@aO_Di@gGp@kDrCkGQyEhAuCfDy@rEXhDjAhCrArf@i@|DcCzDoDdCwL|CsRxKuB|EYzKC_GkAgFbCaEjCyB`AgCnJ{IhAaFYiFhCQrB{@`BiBz@_CNqDo@mDiBiCsCsAkDIiDhAyAzAaA~BWrCRhCoCLuBt@aLrLiC|@qBtB{GnCeBbB_J`D{CjDq@dDJnDjGlOjBxB|CnAfDDpC{@jAdAcD`CkOdFuZ`EuF|BiItIgDbAgKdAgGk@uDd@cDbC{KjPaK~AgG~EiC{AkFcAiDd@mCnB_BhFeFzEqAxCCtFpBfE}FdD}AnBiBfKaDfJxE`GFfM_n@hSy@pEcF@gEjCyApDC`E~AhExDxBMrE{BjAeBvBmA`GgArBeGpDaFlBaD|CgJx]cG|BR_D]qC{FwKmEeC_FAcLdE}ArBu@~CgE]{DjAkHhHuLzHuBfDgFzDmAbC[nC\\bDnC|F_Af@kCXaA{F_BmBiBaA{Dc@gEx@oC]sDoBiDK{Bd@kBnA}DnEeAvDgHjDcDl@}BnAcBhCe@vEe@`@iHv@sDdCcCh@_BfA}D[{CiAgCEyDjAsCvC_BB}@KsCyBiFw@{BgB{Cy@aK_@gLfB}JhFiErD_CdDkHnPeFlSgCd@mBhAoGhKw@hGr@lEiGnDmBjCgK|DuBfBqFh@cCSiCTkEvAaCpCyIt@}ClA_DU}KwFaPsBsCy@{C{BmGcAiDD_DfA_Fs@aHjAgFi@kFn@qBlAuAxBm@tDFlCtAlDvCnBAhDfA~CjC~BjEfA~AzC{D~AuJSHiFaAiDuGyG{CkAuEF}Cq@mCHwDdBmAfBk@dCuBlA{DkAa@kApAmCrAgIe@aGuBcDoEmBmCsCoCmAuAkBuBkAcE]yEbAqC`B}DjFuAKQTiGb[`AvQjHlIsBQ{@zAv@nBvBM?fIhFdD`Ane@dC~VlAvB|BvAfHjAnQj@hLdFjD`@`CWzK}D`DTzFq@tBeAvAkBrHH|OlEhA|CvCxBpCb@hD]~O|GzFdAnOvEjVWvD\\hMeCfEx@pC`BxEpArUzBpGu@xFsDfDO|HfBtE\\pWeClF{AfFvB`EFtLnD|IbBvIb@`DpAvCD|E_A`DjBxDj@vDnBvENfGxAnAj@rCpDnEhAfCvC`GdCbOdAnA~C_GxE`@`@zFyEvCdCj@jCdDjHU|F^nD{ExIqApHmDgCiGs@mPsHaEyC{Ce@uCTaKnE{EfEy@xByApKmIhSJxFjC`EzDnApMPbChBjBjDfCxA}BfJNrFmDxLOlDuE`F","feRcbsGpAe@VwAo@_BqA[cAb@WrA^xA","`sQqisGbBcAxBCd@q@?iAoAyAgBJqAcAeBA_Ax@EdCnAjB","xaQumtG|Am@n@eB^yG}@uBeBY{CbGn@vE","rsQ}qtG~AcACsAjAeFU{AsAs@cANu@`A}@dH\\hB","`kQoguGdB[p@}@CcAm@cAr@mJw@cB_DcAiAZe@|@`AjLd@bAO|B","j|PoywGnAk@LwAmAwCgBWgAx@E~A~A~B","zgQskxGrAg@ZkCvAqADoBgAaAoBPcAvAHfBo@n@UvA`@`A","lh_@qg_HlFwAzC_Ed@cEs@kEByDaCcHqBcC_EmBwEImEfByB`DgB`OB`EhAhD~CrC","jia@qh`HpLaAhHmD`EoEpAeEJqDcAgEeCsC_DaAmD?wDmBeEUsH|A{DzC}@xBSpCZnChA|B]dDXnCrCdE","|c`@izaHbFo@rCeBdBsDTeEs@iDsBeCuFsC{E[oD~@qBlBgAnCMnDr@zCnDlF`CxA","tpe@webHrDi@tCaCvIuQf@{FsAwEsEkGkCuB_DeAyIs@yCt@cEbDiFdJe@pFlAjERlE|AxC|DnBpA`BvCdB","ru]_ybHzC_@dCwA|AoC^sC_@oDoA}BeCaBwCa@aD\\cCtA_BnC_@`D\\~CxAlCdCxA","pc`@}jcHrDk@dCiBnAsCLuD{AqHqAeC_DiBqEWyCr@sBhBiApCKrDpB~HdAjBbCbB","xy^oncHtE}@rCwCv@sEs@iErCH~Cs@bFgEjAmBj@aDSgDkAkCiCoBqCk@{CNwIhEsA|B_@|BFrCt@nCmH_CkDGeEtAwCtDo@vCBvCj@rC|A~BdEhBhFU","h`a@_ceH~BUdCmAfDr@dDQhCqAzA{Bn@eEm@_EaDwD}Ey@GeEhEo@rCiCbAcESgF_FuQiFiImAmIiBeEkDkCkJ{DiHc@iFzBcC`E_@~CCjPzA~FhKdMpC~FvBhBnCp@kDpBcB~DGvDfAlFm@~BErCh@lC|A~BdCrA","fri@}}eHxC_@jCcBxAoCf@aE]eD{AuCaC}AeDc@cDd@gCbBwAjC]hD^`ErAjCzB|A","fth@svfHbC[nDwAdDyD`C_LoA_KjDc@rF\\nEaA`CaBbCLjCc@`HmG~DcGhEWhDaCpBgFPcEgBmJkC_EuBiA}EeA{IWgC`@cCzA}EXcP`HoH{@}BZkB~@}DeD{GeAaHx@cD`CyArDeFj^b@pH`A`DxB|BfD`AgBtEJxFxAzCzCrB`Dl@hDS","jpd@wwgHpEaAhGuFrAiFo@iH}CmGaH_E}Fa@mJjAmFlD{CjEg@vEp@nGxA~BfCxAlFNfCnA","~ti@cljHxGwAtD}DhAuF]}F{B}EkJwHaFuAsFHsDzAoB|By@pDPbElClE`FtAPjEdBhDnCbB","f`h@i`lHzDm@|CkCnAsESmF}AeDaDwBgDg@cGLyCtAeB`Cm@dDPhD|@~B~A|AvFlC","dij@wrmHfDg@pCwBzA_DhAkHi@wK}AuGsCyCmEw@_Db@_C`B_B~Ce@zDbAdJk@`Eb@zEtC~D","hll@ejnHbDc@~BaBtAmC`@mDYuDqAwCiCkBgDg@wC\\qC`B}AtC_@pDl@fEnAfCbCdB","zph@gunHbDg@dCeBvAcDPqDo@eEuB{E}CoBmDYuJpBuCzAmBdD]`F`AbEdCdCzBn@nEE","j{`@u}nHtGq@vBu@pBsB~@gDCkDoAqDwBkBgEmAkDB_DbAkDvCkArDH|DtArDjClB"],"America/Denver":["kv}A`taFx_@?Z{@xEgEr@eCpCi@CcAhAg@b@aB~ANz@sAx@K|AfC`@sBZX~@q@HqBl@`@FjCx@tACkAr@_Cl@[RcCf@w@~Ai@b@{An@cIVFbAaAl@RJmA|@a@`BiE`AYtAuBnBm@C_BrAoATgAtBl@jAcBf@EYy@~@iADwAdAg@~@n@^k@c@kBs@[BcA~@wAbAj@hAiA[_Cb@uCy@sASeCj@gAjA?h@j@Z[n@b@bAId@vBzBeAbBjBr@WlBl@b@Oh@xAdAk@|BG@lCl@Vf@Kt@yBdAN|@lABu@hA?\\gCf@Sj@x@fBuA~@j@Uv@b@nCnCnBhCmCd@f@J_@h@Pf@nB|@s@`Bt@YkA\\y@KsA`@N^cAb@Gd@uB~@iAq@wByBk@RkBoBwEgAe@q@gBk@Xi@YSu@^m@Iy@hA_@Zq@j@RCuAj@oBf@Q^n@xAZ?iCpAKp@n@v@o@d@^^sA|BHbBuB^VzCgEx@AJq@r@FNuBp@T~@kCfEO`@lBxCwAt@aADyAbBgAkA{DbBgFf@Fl@aA|@Gf@{@vAa@dAhAdAeBh@Nb@mAz@h@xAo@fAsBPmBzAgAa@sAk@Cq@z@yBuBe@}Bb@kBBsFh@qA_@w@~@mDkAw@iBKAaA{@_AHsBf@MTkAM}Ad@}@_@iAPgAe@ATkBi@{@S}CrB_BcAqEa@YTqD[w@t@qCEyAe@@GlAUMg@l@i@AYi@a@Z@s@m@a@oA^]cBRq@wAy@x@_AEy@xBqBb@RAo@v@cANj@jAYN}A^Ch@_BbAGj@uCryCINbzDjlAD?hCz@??iCzgFJCgdDf@Wz@kCfAe@@y@^DPcAx@w@GgA`@KUfAl@Pi@Qg@l@i@dB[IAbA[b@S[YN}@jBx@b@UtA~@g@pBFArG~@a@@n@m@X^~@xDbB^v@vDfCdBNx@rA~BxATa@lAGn@bA~@XNgAd@xAbA}@pACbAaAhCs@KgA~JAx@yAdGPj@aA~C??hBpC@?aFx@?B_DgFa@@uLl@Hr@c@\\r@f@Sb@R`@e@dBKx@mAhCo@tS?@}S]?@mkAvACEfB`B@TwC[w@kDC@sEZ@?c@m@kA]ANg@qCS?a@x@?DoFXEXbAx@??a@lCCAb@]@?nD{@@_@mBo@j@NzCh@F\\t@SRTnBr@@DiAzKA?c@wAG?mDy@a@s@gD~DC@mD]A?_@\\?BgIh~EFAss@e[??_hBfAmAa@iA`AmCrO{IdC{FJwCv@eB|A_@x@iCtDkD|@SB}@`DsGzD}Aj@mBvAeAdAeCnAGPqBx@k@]q@~@cAWuAl@@Qi@n@e@Cg@b@HBuA~BoB?mBnBq@cAaCwMSwcAV?{rBc~@Ac}@g@a{CC@oAg^?L_{@sm@?De_@wD??\\eZ??p@iZ??cDeZM?mDcZA@fh@eZB?ol@wTA@f@wTB?aEwTBAf@yT?@lGwTAD_b@{T?@{DgF??rBeHB?d@mD??kBuICAjF_H??yA{@A?f@y@??dAoJ@?lS{p@@_@k@DkAi@GRm@k@MIeCgHCAe@wI??g]yJ}IT_AsEzAUpBb@nD_@|@_A@cAgC]HgArFs@TcDkAgAVg@^YtB}@`AeASS{@~BoDBkCmEuGwBz@sCKo@}ABsDkAnAaAN}B_BuCg@}ClBoCkAeFhDUdDu@nAsBoBuBQAcD_BoAy@fA{Br@m@r@yAy@a@fC]Ug@NHbBeAlA?jr@cFHcAI?m@QN]q@S`@WcDc@_@Nk@wAAeAoDa@\\]s@[HO{AqDAArNeO@A`YkDC?tVoODA|AsT?A~BgNIsA|Ar@?[xCl@bAQ~A|@NQ`@tA?Pa@VZOfDgAdDb@~Ci@ZQ]e@f@Px@q@f@MlFo@l@M`C_A^]pBn@Td@g@C\\`Aj@VM^j@WtB`@fBw@tDj@`Am@zCPnBpALh@[Tn@]lCl@fAI~AsC?@|FmDB?vByIB@hI_F?_@r@N^y@fAu}@HA~lV","ileA|jxEwAa@s@cCoAMlAH@gB\\?iAuCnDAhA`AEn@pB?@vEkACGf@o@QFX","yldApxwEwl@?A_Bi@y@l@KBsA_AC_BsAAb@WCmA}D^}@d@??aHw@qB\\a@s@}A\\aAw@{BCcBzAVbA`B~ATd@bAjFt@z@r@m@|@ZfCtA~ArB??oCt@?AwAmB?@}@y@I?oAx@?Ak@v@??}Ef@@l@v@?iCdAuDy@iAbDIAuAa@?d@{@[s@lCt@?{AxK??bHvA??i@t@?YlHdB@Lu@Z?An\\f@??dI_B}AAgAy@??fAx@`@","owdAvhvEl@IHa@a@gCXc@M{A_ARsBQRf@k@@?zA"],"Asia/Riyadh":["ynu@qhbA|Eg@vCsAZaI~BiQvRoUpI}DbE}CxKeDvQgLxPoO|JsEtEsE~G}@tH~AbEYnQgMfHqHxr@oRjCoCjCwNtG{Ln^oUfHmLbWyQfMItCa@rRaMlQxDnOH`K{Dpd@{K|J}GjIaEh\\oLz`@{YtMeE|^wGhBgBpL_RfK{GvNgBtKcDhXkNtn@_WhHsDtNsKdFeI?mEcF}U?mf@n@cBk@{FMd@oDWq@sAMaG}Go@x@sDuBLO^gA[OmA]Zs@_@WbA}@VUpAy@x@oAXu@oBm@^YSyAP\\{Ac@YZUwBj@o@rAVp@oDNeA_CcBX_A_CWkCo@TsBbE_@e@{@`@s@u@m@^uCcFVi@k@wAfBuEdHwHOsEfAuANmGoCwAVW]wAnAwAuAu@o@gM?iEt@gEw@eD@mb@fEmJdDwj@`@uOcB}VxSsN?mJmIwPySiGyk@mc@c[ky@wIcgBeLakAo}@ozD_|Buh@ik@r[xCnCeRv~CgiA||@uG?kCvBqBbFkCeBsDcEeCo@wADfAzJzA`@vCxCt@bHNpBe@bCqBpEiKfFkHt@y@|CiD]aGlBiTdB}BrAeAHc@lAoE~EqFdBwBzBqKbA}EsBG\\qBGqFq@eAeAsFUkBiE{[tB_CdAoWdSuAtBoCy@z@_CP_E[wBqAmCsB}AuBi@}B@sC`AVfWoA`DIbFrAdEnEzCqChDoP`N}KfH_QfZeBv@bA~CpE|HRhl@e@G_FnEiJf@gInFgEjw@pArGqGziBmt@rfAiaAt{AiOhg@}b@f_A{KvjApHdKf^~{Bn}@}|@nItSvS~HhG`l@|C`BnAlB~EnB|K~IbBtEhKxO_KhiApEhBxC\\|E~A`GJ~Av@|BElOvBzQfGxH~@|D|A"],"Asia/Almaty":["md{Ak}yBOgChDiWbBfA`AdItB}DtA{KdEmMKyEpAiJhBiHhBwOvJ}]n@mKhIoMdEiLdAeR\\a^S__@hA_Ov@ZpAWj@u@Zj@nBc@d@^j@WdAcCXFlAqACs@tD{BvB|ATp@pCDbBzAxBg@`A@lAz@p@WlBzCz@Ud@TnF}LbAyFfERdL_@n@ThI]lL`@Tj@jBp@pCqF_@_BlAkErEsCtGyN~BbAv@vB~AvAT@JcAdCo@bCLdAhBu@dA]vBpE[vCn@Af@fDvBNa@`Cr@|@tCPa@fANh@e@wAK[o@PmAH|@\\YRaCb@@d@o@`@dBDc@^?D}Av@vAVoDdAbBdMpd@ff@dbAkAdHnYDvBk`@|VsC|TkE^_h@mBcVzAgG_@q@DsCnBi@fCFLqAg@AGu@oAw@\\_Ax@_@x@nCNs@\\N^[n@p@RaAxAdDz@LA`A|@Iz@yATiBjEyGlCuHBkAvAoCWcBZcB{@aD}@pAOg@sAWi@d@OdBmCCs@n@uAC_@u@wBNk@bAF|@gAh@gAk@NsAo@}Ax@U\\mBb@zAr@_@}@yD_Ao@q@|Ae@OcCcDcEwJq@OZ{@i@Pc@g@s@t@g@_AkAASl@e@mBd@?@YeAm@HoA_@g@w@r@_AyCEo@z@}AiAsBNkEm@De@nBoB}A\\oBk@_Be@RsC}C[}Dk@o@k@kEZsAMiAg@oAoCqAx@gAE_@e@?kAgB?wAc@y@w@IcA{Ac@AoAuE{B\\_AkB_@iDo@e@dAgCbBY`@_BO_AsE_BcBiCU`@UWa@uAVoBoAyCs@_@@fBqBp@wAw@gA{Bc@l@]i@aCs@p@_EUYsCpD{@Ea@sH\\Ew@k@mBFWsAsA}AyAE^}BKiAgAWXoDo@oCv@m@PcAyAeD?sDk@_Cp@mExCiJa@{AIgFlB_J`AcBa@kCZsClAsEvCeC?yAl@oAKmKz@mKlCGz@oIUqA_ElDaEXgF{AgAcAgDY_Cj@gBqBc@VoAMoEwPd@{CaF_CdBqC]_AQoGQUeBx@UUn@sBMe@bAu@r@_Ed@UjAeIpCcCjCsESmEbHsVMcCp@{HMy@zAgMiAaBaCq@qAkA_@aFl@Wj@}Cg@kIZKJiEhAEXoAo@mGiAwA^gBSy@VqEc@oAw@KIgCw@[`@aDi@kBF_AfA}@{@u@FwDz@EGm@jAiCOiB`@gBmAiFZ]_@eCr@aAEgDZu@UgD|@uAIcBb@iAUm@j@QPq@g@aAl@gB_@sBFuBk@u@t@oHaAs@PoBi@eCfBuDHoBv@e@U{Ap@yC?}Cr@_CEsDb@[u@wBc@uEpC|@~BeArAmBh@gDbC}Cj@Mv@wBx@]JgGi@_@IuAt@iB^mLpB_@Bg@bAw@HkB^@|@qB^f@`CqBc@{@Vo@SqAiAc@mAv@]o@m@zAa@V{AOq@x@mAAsAcCm@dBaEtBqA]q@gBgG}@U{BZQ[wBP]s@c@@iAs@oAUgEm@V{@nEcBpDgAf@]OgBiIqAsAUeCVuFmAs@q@h@iAGw@p@yA[_@`EaCiBoA?Yg@u@JyTbMeABc@`@o@QkApAe@WeAbAoAOoAXmA`BiJO{JpB_G}B_DpCyB|GwAh@{@Sc@d@~@bBf@dFcAFs@bB_Ae@e@bBLv@a@Fu@{Bm@Wg@sBq@iA{@UDq@]KPeAc@WbAsC}AqEx@s@@iAmDuEh@m@BoD{@cEg@w@_@\\r@{Bd@wFuAwBRoA[qCy@mAi@B^mBc@Io@wBTsAo@eDNq@}@wAf@mAc@yBo@[AkAc@Fu@cB?aBa@u@Re@u@sBxHkHImDg@eAN}Al@Ph@k@qAaJdAmB|@oGu@oD_@k@yFKwCxAcFlOcDh@_Ao@wBImDqB}GPq@oAY_DcJoBsScLiPgEiA}AqLiC_BmBcEeAyBEWoFd@cBhAoA@wFzBaBWqBPJPqAp@e@LqAj@@f@eGb@E]qAPwAdBgGm@mCt@_CBsCeAwCJcJYqBbAuCq@gCIgJ|@m@t@wCd@?`CkDUgAyAQMyC_AYcAaEwBqAByAe@[r@}Ai@qG\\uCqBYuFsGk@JkAe@_Ar@uB{@a@b@aAB}CtC_AKqZdCwAf@kEk@I]MRqBeAKeA}@Q{@uAaC]gAs@kAmAq@cDGsWuBiCSsCj@_AuBcJiAQgBqAYkBy@WeBoCgCf@yAcCo@DmA`Cw@^_CPu@o@kAiDWYgAFcAiBOkEVcDg@m@AkAPsBx@{@CoBoBc@{@Vy@o@k@hF?nI{Ap@MdAuAvAi@BSo@c@XWUsAbF{@Da@q@aAnAYWs@lDTrCS~AoAf@e@c@]uAk@Me@cANo@e@mB{Ar@eB}@J~Ao@~AFbEdAi@v@PhBxD`Af@x@vBh@Rp@dHfAH`D`CYv@o@Ni@hBBvCb@V`@nBaBnAq@]KvBl@rBk@^UhBr@zC}BpDf@hAG|BiAjEvAdCB|B}@MMjBwDIs@Xm@jBw@Fw@tAw@BaAnAk@rCuA@GV_@k@K`@cAmCQZcAA[xB{@x@D|Du@hAk@UJdCgBbCk@~BZvBcB|EjA|AD|AmD~Ew@i@aABm@v@_A?uBjA]y@aA_@o@b@WzBkBp@Ex@qDvD{@pBm@`@y@u@]Di@zBgClDWnFuBlBTd@a@~@ZZ[zAT|@u@LSjCk@CRbC_@bDj@bDe@t@@jBxAN|@jBRhBpAr@o@hCR~@g@pAQpE`A\\vAi@b@~@f@H`CjGHbDuA`G~@nAa@|A`AzALdBa@@GzDeA`Cc@~F~@nDaBf@xB`Bb@`H[jG{AWk@o@kAXSdBmAi@e@L?h@{A@v@`UaFsAu@{AkBq@qAAw@v@A|@~@ZAjBkA~FqAk@oBnOhBtAnB??tJnDPPwAvGANzBdAxAN`Gf@?AhBnCNCjEm@??^dFOaiApv@iv@pq@e]l\\yj@tsAoA~AmAJgB|BwAGb@_HWaAhAy@kA_Fg@LsA{CcBAw@cBuBd@@pCc@HkAuIsAn@lAhG?bCrCjBPv@K~Bn@vEqApLdAv@j@vAr@qA^p@bIxd@a@hCxApHzBcCfAB~@fF~GzOu@nCI`KfD~@WpDnD`Am@`J`EhAb@eCnFbEgAdEq@[MhAgAe@QhBe@Q[`D~A^W|D_Ci@i@tIpC~Cy@pCKbDvBh@KdBlAXhD|GaAtCkBcAyAzHoCkACj@cABAiCsDcAk@Xe@sEsAh@u@o@d@}MiKwCJfCc@IGrCp@s@hA|AFrDjACZa@T\\kApFbACB~FUC_AdLwAISVS`D_B]?bIm@L_@nL\\GHfBpCv@AeHxAoA`BJw@pIzCrBwAhFkB_B}Aa@IjAu@SIjAs@QLoBc@K\\qCeAJ}A~KuBkAGzAwAQ_CrEO~Hv@e@TRKcAv@uBz@DE\\rB~@hAkGzBdAu@fDs@]SdB_@QuAzFZ\\C|Am@jGbCn@pAgApAvAJnE_@J\\tFsBEs@zJhAp@hB~DeApB_A]IdAi@SEnB]]gCCAxCyBC@eFXFRqDuAA@}@iBAA|@iBC?|@gEDaB{AFyC{BC?jBc@AAz@YA?bF}CdCeAd@[]o@LgA~BmAkAuA]Y|@Mm@UVU_@qA@@^k@KWu@wA`EiAC[xAsD`DOm@[ZF`FfArCaA~H`AfBhALn@zEzAjDkAnFq@v@AvEsDlDkAvFMQD~QSG?tA_AME`BfAxAh@jF{BxAeAvEBdCc@A@`BzC`@?iCvCa@Df@sAn@Nx@uBhJv@fAp@U?h@t@C`AfCl@AJm@v@RRx@Ef@c@Hj@jHQlDp@Hm@`B`@~BW|Bh@??aAl@SD|@lAiCv@[PuAh@zClAAr@rAf@kAf@rKcArFXrDhD|Al@|Cd@dGc@zALnFe@~BVtAfANVhJfArBUvAf@pL~@~CMbBfAjNdCvSnCG|C_Af@fAt@cAt@f@rFoDrA`HhCaIAuCbDcBr@hI|CvJhCiAIo@bGk@CgGpGL?b@rBbBtEK?sGhROlA}G`CCi@rK`@M`ApH|Ca@VuNdDZMzJbGUDxEva@f@~BbG~AZRYBb@~H`D`BNvCdNBjIxE}@@sGnBoBbFnArCtCfAgDvCzHhDuDlAjBrF_Lt@l@`BGzEdA`Cs@m@oJ}@gA}CiAh@_D_@ORwAxC{DtAF|@s@Rm@k@o@Ri@q@o@CmAzGuCs@iFjA}BxBiMaAyFYyGfAmFvC\\\\|@dHeCeCkUc@\\o@sDNwLaBaGo@m@f@qCp@b@~AiEn@B~ApCt@?`BhBd@nEbB`Fp@fHdAMp@z@vA{BtK|Mk@p@bQvShCxKrFrJhGjBjBlBv@bGpNdTTrQ|Dj@T^?hC~AjJ{Efm@jO~A@hMtC{BbAnAlBoD`B|TbFmBbJtOnIoEzC}Dn@{BhKjOjThp@~B~C"],"Antarctica/DumontDUrville":["~ugC_kiF?_cmAowH??~bmA"],"Asia/Vladivostok":["cdaCkw|FtAQJ}@rAy@~AuEfA{@`BrCd@i@^l@nCyB?^v@P^e@`@RLm@l@XWoGn@_KtFuEz@oG|CmI`AsQVKp@|@j@]lBcCJ{Az@a@SmDpAiAPZnAU^s@WiOVsB`Az@Dv@lAB^n@rAYtE`J^qBj@h@Be@XANmCn@I^_Bb@X~@cAj@mDg@yCz@g@jBeGfAKdAiC`AS|BqBh@R`AkA|@AbBgFfAb@n@KtBsDtAFHZj@[p@fBfAx@hBaGYwGm@aCVcBj@vA@kCl@eB[Um@uFsAlAi@cAe@gEM\\s@wAOf@{@Bc@dAqAcC}AjAoAfCe@i@Cj@KYM^Bq@SOG^e@oAIr@]UGb@Em@M^Yu@YPYqASv@q@WK`@oC}BIoBeBgF[FW}@c@LGkPfCaHQ_Gj@oF}BaE{@b@}@sJW@c@eCyB{ElAiCHwCQQSXSs@{@`AaBgCo@\\S{Bm@sA[NI}BYHs@}AkBv@@oBKOSd@w@_AEkC_Aw@m@Xc@e@JoLm@iG[IKwHyAyBYV[YSlAi@wDKyFl@{BA_Cs@h@e@o@k@A]eEk@PU{@CkH]gAcCiBy@_GqAsA?_Do@IBcBa@y@\\sDm@kJLqFXU[e@z@WHm@LZDoCtAqBSiEl@oIP_@d@Dj@yAH{GWwAX_Bf@UDiBr@R@mBNL^kAWsA`@qOeAyDHcAnBaDO_DZqCu@sG`@kIw@uEF_D{AaHQiNfBwOfBqHj@IvAqF@kF^{BaAiI]s@InBwAhDs@uCmAEi@w@k@bAY|Ew@fAi@`E}A?M{@UDQhBUQ_@l@cAdESU_@P{@yAaA_OmA_@qAkDVk@EaDpB_Mg@}@a@^YYFaCiBf@YoASJ]g@e@fBF|Jy@H_@w@m@vAq@}AoAXa@r@}@lEa@XF~Bm@rEc@s@qAzCGrAa@w@}@rA@nFm@`Gc@d@aA`F_ASu@tA_@i@GnAoApAcAeAcAbAAjEOb@M_@UpCTzEq@f@]nBTzCu@zKu@F@fA_@b@c@{@QNmAhDiBoOg@EUt@i@PqAsBgArKYDQc@c@Lg@eAyArCc@Qa@t@EyDz@sE]wDh@eAB{HQ`@g@q@aDcSy@e@]cCkAcBcBoHCuCgAW_BqDt@kSkA_Cx@_DEuDb@u@_@cHd@iAPuEGkMvAaIYeC[zDk@zBMSC~AiAxDQa@Uv@mA_@G\\o@w@]No@YkA`BaAGOn@}@kCe@Fg@yB]Do@s@s@`@iAhCq@nD_@{@_@CAfAyAv@G`Ac@m@_@TSoCg@m@?wESMc@|@UQo@iE{@KEeEg@h@OYGwEcCsB]n@Qy@w@?k@v@aAuGO}Fc@iAT{Aa@aBoAtCQUiAfBa@Cu@hC[?Kk@Yz@[{@cBhDq@]Wd@gAm@}AhEy@G]v@u@iAe@xA_DsQt@mMe@oK@mH`@]m@}C~@aGQuBa@Y]NGaA]MkAxCYe@}@j@kA}@qC|NuAhAiAGW~H_@h@]G_@`FeAv@aAsDsAHe@_Ac@_G_D|E]vKT|E_@bBn@bFD`GqAlDo@hHWGc@~Ay@Ok@pE[JHzCt@pCAnCiAnA_@fBoAz@e@CeAtDWBsWcp@wEsIaA~C]E]l@y@_@[{CkCuFs@_E}@cB}@eH{@S_ByI_Ag@mAsDcAmIe@a@kAHWzAu@k@_BxEq@N{@g@UaAa@Hu@o@SwBeAzAsAiA_AHgAy@wAtBYC]gDc@ZAm@[A]iAG\\KQGeAg@e@RsDOg@MZWkEQn@u@}C`AwDw@oD?`DWd@uBaAm@aACmA]LaAaA{@cDm@UQyBQn@[oAe@|@eAgHO|AoAxBi@{CSPDyBQv@B}AQTNaCPN[mCRiA]g@OPEo@KfA_@gBC|A]a@Iv@DqAu@_BFiBSd@Oc@t@mEOeFm@jAd@gB[uAi@nBGU`AcEOm@k@VCi@h@KDw@Q[cATQgBgA]_@gAt@qFp@SGqCwH{NcVk[_Dhs@yCVuChiCoFxpAxCbfAnGkLnH|XtDvSjJhZbDvGzOdR~BlNrDrKxHdc@qAzbAl@~i@~A`Z|BhV|Gf[uA`PaCnL_AhA}EcM{@o@{BEaDbEmD~JmAfGmA`RAhPvAz^xCbQxDjJjLrPzFbFzNhHrBbBt@|G`Mea@o@gAKaBf@i@YgBr@c@B{Cd@XGkBPLDo@Jh@Gk@\\o@JX\\_@?m@\\|@jA}D`@h@B[TJlAhFhBrB`Da@b@_Cb@Xb@aAn@@b@x@`@cBbALdB~FbBa@n@_AvAdAx@g@bBuOk@iLj@e_@WwA\\UDV~@yCZKp@x@\\mAh@p@DwAJQF^ViAX?Hz@t@eAnAvDt@hAz@Tp@_ANcF\\m@hA~OZ[v@uJZk@n@BdBr@t@mH|AeCF{Bt@aCh@Vd@`AFjEb@XBvF_@r@^vC`AIVdB^OPnAf@TQzC`BjA^zFp@QRo@d@l@Ji@LnAjAhAXc@fAzAPKl@vAV}@l@d@LYp@lFt@oBhAbFNgA\\^VkAt@E`ChIZfFjA\\|B_D`AiLTHLg@FTb@{@\\Fp@}ATFtCmG`@Zt@wGLn@d@sCDf@Ps@Ff@ZuAdCkAV}B`@SXcEnBaEr@mIjAhFh@h@ZvDTqFpAkCn@zC^K|BvN^b@X]jAlCZzEjBdAVvAvDzCzAhCv@Nx@lEpBbCB`DbAtCz@IZhBfAUb@~@JdAo@x@eArETlEXEp@hBpAhJf@EbAfA\\SfAl@j@a@NX_AdIuA`DQbCj@dAdCH|Az@@dAz@b@n@tDx@h@~@~BZcBbAd@HrB|@VLqBf@EjA`CvAo@fAdCp@rId@_@_BxMtAdKI~@K_@i@`@b@TZhDpD`Gf@q@ZNfAcBd@LbAjHnAxCOvCp@K@b@LYVf@v@]b@b@f@CJ`@r@Y","oihBet}FnAmBi@uCz@mCi@eETo@|@QPq@?uEdBDn@eBeBeF\\gCWq@j@mBQqAl@}AM{BXGp@iE^s@f@CrAn@nAk@dA}An@bATq@t@\\VSb@n@t@aA`AAHg@zATn@s@d@Vl@m@rB^XrAnAbAZgC[e@WcKo@iDf@UHgAn@h@XS`AZHaBj@e@s@{Bj@g@@cAe@q@gAEMg@g@Cg@sAd@cAK{E{@{@dAoFMyDZc@{@mHj@sAs@mC`@mCg@iBk@?[f@]a@@eB`@i@QmB[ODuEw@KOh@i@sAoAL{@qAqAiIuAgB^mBeB_Fj@mBzBkCq@cDz@s@UmBdAyCa@kHuA_@`@aDm@g@_@N@y@k@m@Mw@\\a@g@c@u@mDl@eAeB[WgEz@cCv@Gx@wDtAU@wCR_@n@f@\\wCdAkAh@lAg@f@FlBh@f@d@Wj@Rh@iDTS\\f@ZI`@qBdB`A`@~B`@o@v@lAfBiBr@z@AvBnApAb@KLx@t@VvChEV{Aj@Rb@pAj@e@r@Dd@sBj@@^p@n@ODmDnAg@lBTGfCpATVnAj@AXp@P[z@XFkAjAMf@h@^z@CnCgAfAYdE`@~CqBvG`AbCi@h@B|@oAbBR|Ab@RCnC{@Zk@hAN`FsBlFGrCi@TqA~M`C~@Zc@xA@ToAt@]d@l@PQl@~Ah@HxA_DpAHdAu@`@uBxAaAn@R@xAp@`Bd@D`@lC]|Av@`A_@fAr@rAi@jB\\ZM|Ah@pAeAnFf@AnAnBItBdAbDLm@HlCzBfBhA[n@XBl@o@t@BxCz@m@rAAf@_AdAfBDnBtAnBHl@aA\\Mz@x@pD~@VPf@}@~@j@`CbAxAY`ErB|C^zHb@b@s@tKl@mAd@`BlB@`BkAjACp@oAnABjBw@rAJNlBcBrCHlAh@hChAz@jAABp@z@p@U~Bv@dC|BZHx@f@EN~@h@Tn@OrBj@h@xEMlA`A`AlANL}ApBoACmAt@~DfATdDjEb@OJ{@t@Nj@tBdC}CGg@oAWQe@NsAc@aE|@mClAYf@{@fD|D^jBv@D`AyBb@RjA]gA_CiAc@^wBY}AxCwAJgCw@{BX_@pATd@k@\\N|@cErAPlAyAVfC`AK`Af@`@u@b@LVcAxBJd@fA`AwB?}@hAyA~@h@fAC~@lAvAkBf@XZb@WlAXbCn@~@jAo@QkC`A[j@cBpA[n@b@jAYfB\\~@o@hAlAlGhCMhCv@bBg@R?b@r@hC]hBTrAhKvDxBw@JvAq@rGz@lC[T`@lAZKz@~DdAj@HmAp@W~B`CbIzDf@Mh@kCxDe@BsAm@aC^aAdCr@lCcA\\wArAs@tAlAV~@bCb@`B~ChATZg@bAK\\sAr@a@nDwGvDiChFc@r@sFWiDoA_DN}E_@mD^}DvAGr@sA?w@wAmBOaA~@iCH_Dc@qAv@gBO}@qAa@XwCSaJaBoBJuCfAsE@uBo@cBqARaAUyB_DqCf@]qBx@wACcBcCyBiAaGyCqBc@qF`AcGq@eD\\qCYsB]uAyBu@TmFmBQ]q@}AwKBwAuAoAXqDgBaCCcLmAmEb@_DAuE`BaDfDxAb@~AjELrBpA`CdDtA@pAaBvAOF}Ab@k@pBLxBcEx@]dB~@jBfChACrCpEpARdAxCR|IjAbB|@LzAhD`Cd@~BiCpCE^T^bDzCbA~@pAnA[|EhB~A_A|Ax@lDRzAzDnCx@dBtAv@KEuA|AaBf@Dd@bC`@Pd@}@Ko@z@`@hAU\\X?vAZe@~@r@B^w@n@xAx@v@rDb@JxBiBl@AbCvB|ALNlCv@[jAt@y@zBLb@p@@Nr@d@W@v@nA?b@gA@fAh@Hb@m@N`AdAr@Qi@ZeA`AEXpAp@{@QjAb@RM^zAOI`BvBhFBhBNUpAtAFU^h@DW\\z@dBMn@x@`@W^p@R]`@l@\\WLXH]Vd@@_@R\\Da@`Bu@d@Tj@[Z\\M_@`@BB~@h@Jp@lBh@BpAnD{AlD}J`u@c@^SlBoB^G|@z@pBb@GpB`Bp@Ok@nCd@nAnB|@NiA`A?dE`Hl@tBb@c@RPk@nGn@vAhAd@VtC{@fCl@xBv@W\\l@@`Bp@|Bz@?TaB`AUIkAt@IZm@v@BLk@nh@kKVzAh@Zf@OJ\\~@E^k@~EnBh@Wh@XtAi@T`@VY`APf@i@jBn@R{@b@ROh@TIA^f@O@d@R[f@LZs@j@{AC_BlBr@xAo@f@jA`Fp@x@bBpDWvAbB`AG@bB`@Gv@j@^]hA?DaA|@Jh@z@YbDZ^fBq@HxBg@~@p@rB}@pBVxA`ARInAXV_@b@AtAtCnKt@lA\\CDt@nA_C_@{B|@_CnCsAxAl@CnAbBJh@eAhACh@qA~AcAv@l@f@E|KyOcVgoCoDaP_A_QgCyMqNcZsLa]cFsHqCcKqAaCgGwD{HiMuQqLkDy@{HaHiBwCiEmLqBaC}HoFkCcG}EoCgHqH_C{DwGiGgGiMkIiJmCoBmAeDmI_NmIwFoQiSaC_AgDSaHcKsFaBeEOmFiEkH{B{CeFoCiCoCgIwB}CoFeDmCi@uE{BeBeBuHyD_FmKiLeM}GoOkIcKaDgAoOo@sFyFiFcCwXcB}BoBwGuBsN`@sC~@yAwCqC_DuDiAqBRiB~@_DxFuDWwIfCeD}@_Dl@qD}AkB_DgBoAqFyAcFZmAs@}@m@_CiEoEqCiCSmJuKq^yIiDCoLhC}l@cFuCmCgEfFuLfEgD|MoChPkBfG}BhBcC~FyELmCpB_G|IoCtL_BnBmDViC|BcRne@g[dq@}@`Dwg@~l@sDiIaLeOkAmIkBcEsE_DqF]kGcOwBgB_D_@yA{H_BgD{IcKkBqMcFgMUuGqBuHsAgB_B{@eBK}A`@uAgAImHu@}EsImR}BuAeFoAyM}HaDgGmE_UsF{PeFkJsReUwF}O}A{MuB_l@sCuS`Ak[Bkd@c@{X~KiVx@cGLyHwBuXiHi]yMXi@}Im@Cq@f@{AkBw@X}@e@wARkAaAU~@q@?_@d@kAuDw@^eAjBYUe@\\Sm@]lAeARa@xC]RWaAg@xB@vBfAhDJdC[^e@GgA~CWM[h@i@OWf@aBa@y@pCl@fAGpAw@HBbAmAWm@^_AhDm@?K^J|EhA|E@tMh@l@RrBy@bAGnByBbG{AhAGpAi@]m@eD]GmAd@Q~Em@QUZoAKk@qA?iCU[w@Rm@oC]De@{CXkAa@eEq@b@YQC{BgBgD]HUi@MwCpAmAPcCLc@b@B\\qBc@wEc@V_@w@o@HO]c@n@[g@W\\CwAe@KMf@eAkBYnAWu@_AX[z@c@aAOX[iCJoGwAa@WeAOfAu@Lk@dB_Au@CuCuBdAmBy@q@HkClB_EkBE`C_CiBaC`IsAu@{@h@Ue@i@NgBrG{@Aq@nCgAp@s@s@Mz@y@V_@jAB~BU_@GbAy@W]nANrBs@c@ItBOSW`@XrCyBhBQzEZbAy@tA?fAYGL|Ak@bBNb@\\_AfBj@B|Cz@l@]`A^fBiASIj@\\vAw@tEnA~C_@|B[VOQHfEkCpD|@vJSvAt@t@?n@x@b@d@rCj@ITo@f@n@ZcA?rAr@fBPo@RXXWr@|DWrA|A`BMt@r@pDj@S`@`Ay@vCl@~@_@|AMxFWPKa@Sl@i@{@aAPi@aAeAa@k@tBYc@c@ZCp@m@_@i@ZCr@`AjAPdDVLh@_@\\\\BlCd@]Lr@TMRbBYRO_@It@o@_@cAh@Ef@cAkAs@p@]eAeAvGJrBt@fAYxC_@`Bs@JWa@{@bCZ`AGhBd@z@d@ATkAhDjEBnAp@Y\\n@b@Ib@bBa@t@LdAqAvADxBa@HWlCP~@b@PVhDv@xAThCn@l@w@fB_Ay@w@x@OfGo@a@Yv@W[m@|Ci@f@[QJlCbAvASf@n@rAe@lCt@lDuAVGg@q@CLrFs@n@a@dCk@N[nC_Dh@qA|@QhBa@bA_@@Ix@a@@Mx@oAnAy@L`@`Ea@tAd@xAeAjB_ACs@d@\\~Bs@lAL|BgAzAHtBvAfD\\{@tBnDQ|LVv@t@DFdBf@DRr@j@Or@XVWhAhAr@oBPj@^@Ri@Z\\zBDd@zBj@ZFm@t@Ul@hEzArBe@vCThBtAfAnCw@rBrApExHtBHLnAs@BErArE~AbDrDPpB{@dBNpBj@ObA|DItC`@dBYlFt@CTa@x@X?n@d@Az@jC_@jEb@`Em@jApB`EfAq@`@Rf@gBBtAjBnEPrCtAhDOvBxAV`@gAh@Z~@QhAlDt@d@^OlBdBz@u@PcBp@Vp@oAz@APeCp@aBbAhA`@W~@L`@`C`@U\\\\T_AfCrAVdBjBcBZVT}@x@z@Rc@jA\\JSpArEj@K~ApA`AyBb@j@RUxA^`AeBt@r@dCV`@kAl@Eh@lC`B@jAb@VwA~BYf@Xh@gBp@xBrABDnG_@nAwAD_BgBcA|Aq@Wa@RXdBd@b@p@CHbBh@h@a@~CNhK^rB`ARf@|Bj@JXdAzAYLZLeA|@_@b@lBIrD`Ax@z@tElAnAWvCt@zBQxAzA|IdBrBUjEaAnBV~Ao@fFRdBUtA{@z@ClBZj@OtHu@p@u@pC\\lAkArBa@AUpBr@vFSj@jCfJrAjC`Ad@x@jCn@[dArBv@PVdAnAuA^bCpAS?lAv@|@sB`M~@rE_@bEk@t@Y[a@f@[If@bCIrD`@hA~ArAw@bBK|AYVOUOj@a@jJYFExCi@r@KxADnI|@nFCzEi@xByAB_@rBdA`G~@h@Q|@r@~AY`FfAVUdB`@bBpB|Dh@D^r@YrEr@Th@k@p@`@t@pCx@aErAvA~Bv@ElCo@lAf@v@A~Af@x@l@?\\`A\\Mj@vA^_Bv@Rl@c@dBtAf@wAdE`I^GJkAt@GG~Ek@\\j@fIxAyAt@AP\\d@Qx@{Al@X|@_@n@l@hBNm@lDxC~D\\e@v@bBbAkFj@sAj@L|@lCE`Dw@HmAxDUYgAhCZxBwA`BYhBHdKj@v@\\]CiArB}@|@gFbATVzBXU`BaFj@E\\iE`ABX~AZIt@yF`AC~B_Hf@s@f@Ft@m@f@dDzAfAIjEtAnDBhAnAqB`CxFzAbBrBFv@s@|@^CnCb@x@r@BFh@Yj@?lFuBbCrCpCObCZh@`B_DlAPFqA}@k@DsBLm@r@FLUtAuHd@QJjAv@MJ_Ap@N@wAvAgAD_At@HCaAXHPu@x@GN{A~@WGaBz@A\\kAPb@bAQLcAp@FGnBx@q@CjB^_@l@fDd@qA^`Bd@g@Pt@RwAX\\p@Q|@vBdB}Ed@x@Cz@m@VpAdAo@|@_Ba@E|Bi@@]tCpBlDdAsAh@j@OvA_@EEXg@[w@|A\\TKzEl@Kt@`BF[BZPO?r@b@Q@p@\\URbBXMXZA_@JVPYJXdAiA\\Xl@]`Ar@VMlAtAlAlD~@f@hBIhC`DhBqAvAvC\\s@tBK`AmCnBf@z@g@VRlBqEXiDeBgDvAwE]gAFkBW}@YVS{AtA_DmBgCf@}CMiB^w@n@ENs@i@kCRuA{ACQy@dAqJe@YYPDyBeAuARsAYyEdAkD@qBhAK|AcEh@Ff@{@l@xAf@Cz@eA@y@lBkBr@yIRy@b@Mh@~G`AjBO|DlB[h@rAxAlAYrCZpBUnFl@n@Bs@b@BKs@NRV_@I~@^T\\kBPx@FgATTf@mA\\l@Ve@JPt@fIG~ItAdFb@kFXt@b@@R`Bt@@pAnCC|Ab@b@[hB|@Xb@hBv@b@XxBp@FDhAk@`@h@tBz@NJvHlAtClA`Al@fFfCg@\\sAp@j@h@GGh@nAt@~@Ob@r@hB\\Zt@b@[JhAlA`BYxBm@BW`Al@bD|@rA[|CXf@f@KPhBdAFn@hATO`@|B~AzBlG\\f@~B","ydmBwivGvD_AhB_CjBcHXcFc@iIeA{DiBwCsD{AuD`AyBtCkAnDs@bIb@jIdAzDxCxD"],"Africa/Algiers":["adv@x|Ozx@AfcAuqBlkA_|BvqF_vJxIu@|Kx@VaC_@mD|BgAh@aAL_ChBkHbCgCvF?hCuElAm@@gDjB_@d@s@gAm@M_Ap@m@w@kA~@aDoAiCeACKm@~AaEhBK\\}@pAOx@uAlAj@bCDWm@gA]m@qBZYSiAxBoABgAk@u@DsA_BOCWtEcBGk@f@_@\\qBSu@`@e@Wa@\\eD~DyIj@sExDNv@`@lCk@rBf@rBcAx@b@`Bc@~@bCrBj@dBs@|@DvDzCx@Nz@SXqA~C{E|@g@LeAt@u@w\\kxCmvA_fBoy@a_BskBozDwm@pW~BhJ_K|P_AfDsEfEq@nB[hCr@bA^Mb@`AoBjAMl@AtD`At@LrAExJ{BjBgBlD{MrFyCnBsWJgs@pf@qBqBgGoBmG}T}FcB_ETmFm@wDdC}QtCcEW@TyEy@qAcBsB]?jBYLUaB{DsBiBc@_FAqAe@_X`Gq\\iCyOz@yWvDw\\`NiIdG_D`@aAOcB_IqsBn]{G|OuOtZaSbAgEvC{FdGcBAiDdLErCoGjBEx@_B^cBG_M`HsAIgA~@o@m@}A|BmAi@gCn@{EkAkBt@{AkCkDaBz@mCkAsCoF_BwCW]wCu@g@UsBsBoCFaAk@aAoAi@GgBUb@]MUmAa@Pm@oA]nAc@?Go@oA}@Aw@Wv@q@ZeBCgElAu@kCyBAsDqAy@uAeBm@yBkBIfCeAtCeAj@qBAeAa@MZaBiAG}@g@AmAp@_HFyBvDgHMO`@i@c@?^{@M]w@oDKuAo@Yq@qALgA~@sB_BaA`@oAiBwA\\}BcAcAlBZt@_@lF]lAcA^uAsGcD{FF}@wACeAiAeBn@AdAUAg@kBLqDoBqEm@\\CjA{AK_@m@eM|Bj@xI_AhIm@~^cC`HaAhFi@~NThErEzUgDxGy@hKTbD`B`HlC~EfEjDrAvT~@jELbVkEbQ]vD{@`v@tEze@DrUn@tFfBxD|DxR?vDtBvVM`EjAjJVfIQ`I|BnQnB~IjDrHpAlH`GlQxE~JnBbCfEfU|@vIdFnPCfGpArLjA|EhBdCjVpRfExIpA`H]bM`QVpFwIQqCpB?hA_DfAG|BkHb@~@r@FdD|CViAjDaCp@_ChE|DhD{ClDAdFoBtMdB`Ew@~@bBnATp@{@IaBbBk@p@gAbBNt@]pAbAnAAjCrAxCI`@V|CkCtBu@vCkEv@QdCn@`@rBdKaHhN_XtExFNnC|Br@Rn@f@UnEJxArBOuErBoAdAzCw@dPVtCgB~Pg@dAXn@KrAq@zAjAlGq@~Fb@j@HvM`A~BIdRrDn@~GqDfBBjAm@~Hvs@nM?Nc@~@`Cf@Te@r@bBZb@l@Ty@d@Bt@~@nB_A~@b@|ACq@]P{@y@FOo@`@Iy@PSWp@{@~BLHeAOj@YADw@cA\\gAYtBCQi@zBo@\\c@i@k@n@D@YfDCr@f@I\\fCpASf@p@j@rEw@pCt@~@jDbBrCi@hCr@jO|BjJhM~NnH|T~KzQfBbBzBbAbBJbQhMs@xDgAdAh@v@BdAgCs@k@tDf@jHn@`Cc@nG`@bDE|Fb@^_@rBdBxD]zC\\vChBbDeArGDvEy@|FxAhEpDfEx@rGMpFhCt@v@vE~B`Dl@`CxBbCxLlVzDjE`ClHtCfD"],"Africa/Johannesburg":["~}fDvvI?wvI_db@?n}@vvI","~fw@{{^zIqC|CyD~DqB`BgBtC[dNiGzF{@nDsAjH_Ar`@wKjr@c]pFsE|E}BdKkJjHiE~NkC`Ig@rXpYdG|AvCJtKeAjJiFj{@kS`I{CxDoC~C_Gf@cDp@sQfPw_@vE_PdC{]m@qDgTmp@uCus@o@eGmAyGqHiMgDsl@lFusByIes@cLqi@}DcPeEuKe@uDkCiJoBwFiXof@kDwIuCkD}BmEoEcDmEaLyBsBwD_Hi]_`@mEyCkAiBkE{CsAwBaD_C}EkJmEgF_B{EcLsMqKeJc[{S{PsJePcHcL_KwBe@mCB_Aa@cO}JgXiXeBwHeBiEcUaXqEyBaH_A_NwFuUgByPsCsUkH}NcB}BnKJtb@}@|Ez@jAq@|BaAd@XzAUdAbRvAvKECf]aFlTsErDuBvCyAt@qAe@uAD_BdCuC\\d@HnArCgGj@iN[cHmDuBiCmPoH{B[}EqGeCgBq@eErPi[}AuE_FvAgKuCuIv@wDiAsNe@uZfAsMUkHn@uFxCkMt@eC`FeIlCaEL}G`GoCRgLYko@`OqBjABnBoA`Bf@tCaApDVd@u@dBQxDp@`GKxAp@|@_@hAVvA_@zBdAtEHtDyBxB^nEiBdCG`Ao@LM`BaAvAHpAkB|EChE[d@|@xA]x@VpAp@TW~BlA`Gc@ZJ~B]lAjAdC@dFpDhCfCKlDlBMhCTb@l@?`@zDfB|DDzCv@~Aa@fA@pGr@d@`@zApA|@|@bCnDdArBnEbBQx@VbBlEpCO`An@hAnC@bAx@JApAhAc@tBrACv@_Ar@x@lAO`Bz@Ab@x@vCJxAlAAjDrAf@[h@o@MR|@v@B?n@s@KAf@|BbAPvAn@r@ULX`Av@c@NRSbCvAe@Jp@]\\lAP\\zA|@k@r@RXbAs@@e@p@\\\\dAK\\|@|Ej@^Sh@r@l@k@~At@`AG^`@jFz@b@p@hBe@d@ZTc@t@j@v@Od@XtAjCEfBnArBhAVx@vCvAv@bAbBjElAnBzBQ^lD~Vn@hBJvEfAHjA{@jB_@NXp@KPf@xShG~@t@dJjAtIdDxAdClD`JMnLm@^g@dC~BxFr@^?fD\\d@k@bCf@zAuDtMb@h@Id@^JGvAw@`Ae@E\\rAaAEZr@}BdAo@fAR|@k@DdAlCY`@h@Na@z@`@r@s@MUrAn@tAWn@i@GSn@e@FSnAq@DFt@aAUQpBcAFm@z@`@r@c@NGv@q@C^|@i@HOh@e@GVt@g@HGt@a@E]fAVv@cABg@fAi@O?n@lAv@YzAc@VPxBg@`@AbCvAxCYv@v@v@Yp@y@Gl@t@_@h@lAAF`ArAPnAtBzAn@d@[DjB`@[r@J`BnA`AmAb@hBp@{@~@N`Aj@R|@nBRHn@x@}AbAzAp@CTr@p@iA~@p@|BCHvBlBMh@pAn@EPr@j@FMt@bB?z@h@Hv@u@lBv@f@EbAl@h@p@EXlAlA?EhAj@d@J`Ch@Dz@`Bn@SZd@z@AZj@r@GnClDjBx@dAdESxF^hAd@b@vCo@|@VtBlDHdCs@fBDbAd@^oArFDlCn@bAKvC|@nDq@fBEnCmAjALp@c@`Bl@zCj@D@z@n@l@FbBhAx@}BA_@lAe@Ci@r@k@_@_Dn@g@g@cCDiDt@mCW}AwCyBq@cCqCoDw@_BwA{@rAk@i@k@j@i@_@_Af@aBo@gAhAiBQc@z@aBIf@~AqAo@U~@oB^w@jAcBS?dA{@W[cAoCfCk@Yo@NI_Ae@ITbBgAOFt@cABEjA}Al@m@OIdAu@w@e@tA]Xy@Y@t@_Ar@kAm@OnAeC\\e@bAw@KoBpDkB~@QxAi@Z\\l@{@v@?hA{@x@e@Cm@dByAnA~cF?\\rF`C~Bk@vCxAhCg@rA^xB`@d@tARZ~@zCVt@p@|@~BJjGjCz@dBk@x@eA^XMjAxA~A\\rAFpBeAnBC~@sA`@{@pBq@zKNhEr@tDl@r@KpAb@|Ag@pCAnD^RCbAj@z@yArEDhA_CfBq@|@Bv@m@b@KnGc@|@f@b@_@t@z@tBi@dAsBVQ|@\\r@OdBv@pCeH[IfBuBZcA`AiA_@CgAeAo@s@GmBjAq@MkC`Bj@jFyA`A{DS_@jBwBvBd@pBl@d@_@v@`@d@ClBp@d@rCMP`@]nAxAq@RhBl@m@n@@Lh@a@v@Zh@x@?vBkBdAnAbBIfB`Bu@hBv@dBbAp@lA|FtB^","b|x@ews@Ua@m@Nh@iAoASb@c@mBmCP}Aq@e@Rk@w@aANy@kAC]i@H_AaAHsAoAMy@mAd@Ns@kAG]iAk@b@FcAc@Kq@{AYMk@`AoAwBc@ICcAu@Xe@yAgALIgA}@bAC}@oAYHy@u@LM_@s@?UmAqALj@wA_@gBZiAkAICu@_@BYg@dAgBUILcAg@Ha@}@q@FCo@sCwAUmAgAq@`@Y_@kAf@_Bm@m@TyAe@k@e@Ji@iAg@@e@kCXgAa@a@NcCkAwB|AiBjBAjAiE|BGa@_Bd@{@_@c@l@kARVVa@Nt@`@s@n@IPXLk@zAc@aAmA`Ak@DiAf@Fr@iB^BzAsDf@DtAuASsB`BuAvBTn@}BvF_BvEhBzAzEf@[LZf@g@`@L^e@\\nArBDE|AtAtCdBN`Av@tBOj@|@dA{B`AKh@vBz@HC~@nAfCr@RHhBpAdDV?h@dCGpAdAdDg@fFdAzCUxC`@BX`ApBXn@xAFdC|@x@bAcBzA[~AZ^lCz@x@x@o@|@Fd@f@x@Gt@~AtBUd@^o@n@KhHcAdBH~D[tA_CjB{AbD}AJEdAqAV}@dCsBj@h@fDULe@e@K\\a@QQj@cDA@c@_@HaAs@F~CwDz@Yv@a@?_@bBoPrF","ltzAizgAhC[fBcApAwAbBcEz@uHAmNk@uDuCsFwEcDsC_@}Cx@wAuBgC{AwCSoAT{DrCgBfEaArIp@zIlCrFpC~A|BLxBvFjD|DfCrA"],"America/Cambridge_Bay":["_ycCtujFnb@ceCbd@o~B~e@gyBrk@o~B?qqBrh@krAfGabC|IyjChQmzD{kDA?okXglC?kn@zd@gsB~~CwU`kBgiAryNiaL?fPhaCxQv_C~X`pFpyPA?f{ClE?TYe@yFRyADnCXiBVxCJXNc@Jp@GxAa@s@\\bBm@i@r@`A@tDy@c@`@t@a@OTf@QTISXj@Fk@Vl@d@??pMmI?@ngG|Ez@`Oc_@SrGv@xdBrBpmC"],"America/Anchorage":["ghiB~k{HkAyG{CoEiBsN{AaFuDgDaBQ_BTsBcGsCsCGuCjAaIE}FrA{GvBo@dCyBnCaHd@eHa@{G|B{FnByPPaHa@eGuAcFeBsCgAkH{BsEsB_CeCaAcCDmBt@eBpBeBVaBdAaBfCcAjD{BG_C~@aBtBeAxCaDsBeCgJh@uE?cGiDoS{BkEoCcB}AcIqDuEuA_K}DcGUyHcBoG_DkDkE]BqNpD|AhEF|CmB`GcA~CaElAaFZiGq@qJeAsEmAcC}C{CcBq@oBAsCv@}C`D{EhCwB`EaAvFiDyByDZgDuG_BqIuBgD_C}AgBaCiB}@{FaIoCm@}C~@qAiHcCiEqAsJaDiFqBwNuCiGuDmE}EcJu@cN|D`PdErItJ~LfFvB|BEzBqArBuDvBgJtEH~Bw@nB}BhCwG|F~P`ExFtBpB|Aj@xBAbBk@rBqBfBaEz@uER_Gm@yIaCaHc@_`@oBgLaB_EyBwBsCqAwCPoD_DeD{I}AaMcD}FgByLsBiEuC{BuBoF?yHo@_GeBqFyBqCwCy@aC\\yCyDmCmA_BOsBd@qBnBqDh@kDvDcARU_LiC}KqCoDyBcAiCYeCj@qC@sCpBaCnGm@fIyBvAuCtEy@mFmCsHoBeCyBw@_@_OiCkJg@eQcAiF}AgDcAaHAiHy@qG_DmH{DyEkBeApAaFd@mGKaHu@iFiAcD}AsBaFeDcC[gF}Jd@oT{@qKH}EtCiCdC_H~@wJQoJqD{ZqCsLyAoCcBuAoGm@FmGc@aHoHsXyAwNn@uJtAiFpCgTv@}TGsFX_ApBbDnDdCjBf@~AKvCkBzAwBnA}Dl@cFByH_AyHaBaE{CmDoBuFYaN{@uJg@{c@sAiNI_GbAeH?aKdA}PlAqFf@kI|AuE}c@gg@yfQAiJqNeA|Ie@nLqChOuCpXaJpd@wG~j@@z_@z@fXbFll@gAlUyGpi@{ApZOlOkBlNa@|K_C|Lu@rMcCvJ}@nLNfd@d@nKgD`i@k@zXf@`e@dBdQn@|WmBnIy@rLkCvGqCbDoCzJkDzZ{Bds@J~Ov@jLCdN_BlQoDfNoEhY_Erj@mClPsCz[_@vJn@hVlF|XpEhNvKdVpEpTTjC}BfKw@lONfQxA`ZhCrZ~A|KnPzi@`DjNvBdOn@pI}@zU@dLjeK?xC}N|Dv@fDkB|CwI|@qM`AmA~Cq@~BtG{ArFq@hIDlI|@xHjoI?bA}FNaHk@aLgB{GrByGd@yJi@qMcAyFaBaEjAaEf@aF@oFe@oFb@iLa@cFeAgEuAqCeB}AlHiHzA]bBuAzAuCjA}Ed@iIc@kRwAcIoDuIwAiKbIiL~Bo@`TzCnChAzBpCnBp@tCvEtHrVlSpUfB|GfC~FjNjm@pE`KhBbIvHjP`BbBdFhC@tOn@dLhCpYjCnR","{|kBfcsHvCy@bCcDpAaF\\uGa@qGyAaFeCwCuCo@uCt@eCbDqA~E[jG^zGpAzE`CzC","s_lBp~oHrDsApEaHlAgF`AyMk@mI}BmGoDkDyD{@eGj@cDhCwB`Go@fJv@~JzEtNhCfD","y~rBbv}G`DeAdC_ExAqHTkIeA{LkCeIeCkDaDy@sEdB}FtGkBzHU~Ix@nI~BxFjBzArCTrBjB"],"America/Edmonton":["wliB`kiFhj@?n@iBAuB~Bl@A_Cb@SOyAv@i@TaA~@Af@k@j@pBw@rEDtAJRnBkCb@hAd@B^gAe@{@t@cBXPnAeARNnAiAA{@f@g@LsCk@?fA}Hc@iALe@z@mAh@LRu@\\TzBqC~@a@XNc@_AViAOwA|@s@EeAb@kAd@?Bk@a@aAk@fAsAiAc@`A[{CtCuHv@Uf@iBnApAv@NP_@i@_Ar@aACoAdAa@h@`ArA{B^VZ_@p@NGkAk@u@@gBd@yAb@T^a@J}BHd@fC^fAuDv@^|@oBn@Rb@lBj@FTq@r@EXqBr@d@bAw@z@iCp@nBzAKd@o@Rn@v@TZpAy@VC`Bx@~@C`Ar@nCl@LEtAXRnBcDfGmAx@d@fAuB|AG[yBJsAp@a@[kBXi@|@m@r@D\\gBn@r@hAAdArAf@{BfBDV[[qDi@Ut@}Dr@d@jAMXrAtB`@nAgB^?p@fBt@e@t@oBf@KlAoCj@BbBwEdAPJyDm@_B\\eBa@cClBsCtAo@r@nAl@]rAJNmAv@LfAeADcBy@sDl@oA`@@BeAx@v@d@C`@sFjA~@lB\\LqAt@L^YJ_DjAuC[oC~@^b@OHs@|@[J_AZ@@wDbA{C\\JAr@`AvAlBRl@~@z@Mj@v@`@s@d@Ch@eBvBo@`AFPs@UgBjEf@ViBvA_AJo@z@Gp@zAbAHfDqB^h@g@~A`AfCj@BX~@z@f@VxBpC_@t@eBp@IZgAj@f@b@c@r@fCx@h@ZaAlBpAt@}BrClAT}@]eAh@[Eq@eAwDeAYSw@l@{BOaCt@c@d@JXoA\\Vv@e@H_A`B{ApAp@jAc@LsAWg@x@gAu@WA{@hC}@t@LHoB~@UMuCp@MR_Ad@OXb@hCeEx@I@udJadF?Sgb@k@??yAuA??gDqC?MV?qCeB??XgC[@sFfBE?aB\\?]oC`D?@qFsC@Pv@a@?H\\a@_@}@B?q@oD?@sCeBzCoDzCyBbDkCp@sAdECfBcA`@_AvAh@zHeA~A_@zBc@NwAs@gA|C_Cb@WbG|AhBeBtJwnK?@{rNugGMiQlzD}IxjCgG`bCsh@jrA?pqBaf@`nBce@vtBaa@tqBca@d|B","ywtBlfgE?u@d@??t@","q{fC~jiFyA_|Bg@ykARsGaOb_@}E{@AogGlI??qMe@?Wm@Gj@Yk@HRPUUg@`@Na@u@x@b@AuDs@aAl@h@]cB`@r@FyAKq@Ob@KYWyCYhBEoCSxAd@xFUXmE??g{CqyP@lT`mD`Iby@hGneAlAzInO|t@nJnVlD|S`GrP`Cb[p@dUpElu@vA|h@jCf_@|BhO"],"Asia/Kolkata":["ezl@cvcClXi\\tv@oSvBcAzTuShQiS|C_FlV_TjGiHtF_IpG_NlEsOdr@glBrXsDdf@}Bd[wE`TkFzUkEl_@cFx]sBdj@}HpcAie@lZwQnMrBlEWhd@{RjLy@zp@mTrXeKd`@aTzi@kVrN_Fd`@sJzb@uFtW_J`HwAnCoBpAuBb[wTjM_QlDuG`B}MFyD}FeO}LkUgJqEkMuDmPgPmCiXlDqXkEy@qLUcHh@_FbBiBbGJvC`AtCGrAg@Z}CkAaHuF{CqAyFiF}Cq@wDXhAoNGqIsBkGkEoCqCYgw@z@q\\fCuZiJyLiHgK}CsKmBea@_Eg_@zDgn@lB_p@WiJad@eB_FaCwCwIoEqQy]gEaOkK}Ws_A_x@cl@ax@w\\uY}fAapBaYwZyUuPme@aaBwIgWwKz@uLnGmC[y@f@u@C]_BqBU}EvAoBsBBz@wAE}@|@_ANHb@_@G_@l@Yw@u@lAaCMg@f@e@w@mAF_DdAUd@{@Du@i@Cp@aANsAeAq@dAmA\\mA}A_BSgAn@@bAaA^MY[h@c@MPdAm@DY]k@JOf@BeAaAGiAl@o@MS_A_A{@cAQa@u@T[y@?A_@Uh@b@~@Ox@k@LBdDm@VdA?Dj@s@h@EvAo@@{@v@U]Z]i@IV[aARu@w@w@`@iBe@Bo@gBS@v@b@EUVV@Cb@}@d@gAbCwB`@H|BeAYDx@]Je@]uAVcBg@m@p@?c@[c@_@JC_@{Ap@_@wAVMAwAeBeCeCG_@b@{@o@Sn@c@E}@t@_DQk@iAsBLcC|Al@lAu@rHaFzIuCjKiFvAsArCqBmB{AISgA_AIKm@eAYDa@{ABi@p@g@Co@kDrAqAbA?^}CgCiBo@BWm@e@D[m@{Bm@{CAyBj@Xo@a@W@o@XmARFIo@b@Ky@aBG_E|@oAYg@d@iAuAkAn@g@KU`@?AgA^W]s@_AVBo@wALk@eARe@kAAA|CcAn@Vj@kAtAcA?Yt@M_@s@F[[_ATC`@}@BGdB|@MNj@a@DDf@|@j@MfBe@C?r@g@ZTX]rAVZaALa@lAq@KYlBgCQOfBYCU`Ag@Ei@hByAjBq@CC~@n@t@_@r@r@~@c@NGx@]I_@d@kASM`@_@Ou@^}@gA]LcBo@YuAg@Vu@YMn@gCc@qAaC@aAaAwC{B@}@eAA{@[VM_AqAm@t@o@SsAgEjAKbCg@ZCbAnAf@cAf@eF_BIc@OTa@UIg@lDc@FaB|@GA_Az@IG}@t@EN_Ai@C?y@fAAv@wAKc@^^N_ARh@zAo@[qAd@TJYBpCpBNc@kBW?Fq@e@AC{A\\s@lAJp@y@EgAoA^]gAJw@pAu@?cEaBSI\\d@JYf@e@Cd@F]TXVa@Xi@e@k@nAf@PcAALbAqA@QX@k@m@@Je@m@AEe@ONVs@bAUOWr@}@EcBdALFc@j@E\\`@BgB`AXy@b@fAHvAqAt@Ox@X`@i@p@BZuC`Ai@Aa@v@ZCw@^@VuAv@q@DwA_@Bq@aAfAKZcAO_DfAFFa@]QVUqBCu@cAUN@yAwAf@b@j@SV[EK}@SHTh@mAXBe@s@@^oA_@MGv@UCHe@mA\\RkAc@Mn@A@WTb@x@u@Rd@FaCt@c@l@P@o@n@AG[v@Ej@n@Gq@d@Dk@WpBWH_@y@A`AcAT~@d@UDp@@{BtCjBlB^jBq@~@Z^m@tD}@tC^NZnCAvChAtCs@f@TR{Ak@{@\\sAUc@l@[d@qChAsB|@sL|@qAb@kC{@gC?iGm@i@~@EUOf@o@UWXm@}@}Ah@w@LmBqAeLDaJUa@h@e@`AmJb@AqA{G`ATAe@h@a@]kBk@W`@kAaASXm@e@wGZyBe@mDb@qBt@s@B}AvAcAr@gDSk@J]j@Jh@kD~BLDaBn@d@QmArAQvA\\Ux@p@lBgCjE\\~B^]tAHZ{@x@AV]~@GTXPa@`D`BrGn@Z^w@lAXXfEOKt@tA^R|@i@vD^ZOVzBm@_AhAd@dAlCo@~FxAGl@aANa@t@gA@`@t@_AdCfEUg@rCcCt@TR`ASxAn@t@MZ`Bp@LaAdLlBk@zAj@v@Gc@xCj@@Id@~@`@l@UGlAXSr@b@fBo@rAr@pBNYh@VpAzA@DiBrARc@nAhBAzBeACc@z@Vz@}AtGwAQw@rAz@Vm@\\VjAq@|DBnBm@|@m@NqAoF`AwAKI_@YRE]a@RN[s@Kl@C?kAXVf@w@Nd@RaA\\TTcAt@^Tm@`@VD]f@JZc@fBABg@jAN`AaAIy@ZODZ`@e@}As@EwCiB_BVUoAJJ_Ay@{@Ml@cCDmGbBsCwCeAIaAuBDoAu@Lg@cAgKlAaBm@Is@|Bo@p@eC}@Ua@qAsAu@Gq@h@?z@aBb@Xd@M[a@sBM?oAvAWnAb@h@m@p@PF]dAUhDGxBoAlA?Rk@lA\\`@k@h@HvAm@HrBxEk@n@RzAcApFh@Hq@d@KMc@`AYQ_@fHq@n@uAjGk@x@`@zAy@pEAlDy@xGY`@]pADi@v@^\\bCoAh@R~Ae@ZPI_A_Aa@Fq@}DIdAQeDQtB}EfA}@Mc@tAIVu@nC[{Co@Wu@lAw@Qe@yB\\}Ai@LcByAl@m@Ws@Ta@oAt@eBCw@uB\\a@wBiI`@s@zAkCRGj@cCcA_DzA}CWkBVU_@{Do@By@qAr@oAEWh@kAKe@Q^e@_@{@Tq@jAi@H}BaCuBEXsA_@u@_AAd@qCi@aAf@}CGo@b@MaAo@YkAXcDKeAo@q@Nq@e@uBXmAi@i@z@eBXqAS_Bd@aDQYtAuAl@gAUSXQWQXYYc@RUs@[Jp@uBdDsBp@?n@kA}@iB`@mAcB_AJcG`DkBs@qFv@sAE_BbAo@LaB|Ak@QmA_DYKi@aBWeBgAm@RDWw@]eDIMa@sEyAgB?K}@sAu@]b@a@cAqCOAe@iDaAq@kBcB}@wBECq@a@W`@IKi@uAm@aDE}DaD}@`@k@Mc@aAkGA_AdEaBzBgBQsD_BkACQo@yBs@w@aCV_A[q@_CiAKkBq@`@a@aAwBk@wD_FqAAcCpA}@EaAe@q@aCiFsDy@fCgDGu@i@g@x@i@Y_EJw@U_@~@u@Gq@f@Gj@gCgBo@J[}@u@]aAH_AuBeAs@Lm@f@CHwAaB_GuAw@Go@wCsAWc@j@_CyBq@y@eAf@qB[i@qBSyB}ABgCkAwCcGyCcE{KNsAm@eAPaDk@mCh@cCaAu@]yA_AQNyD]Kt@yDnBeBd@@TkA`A?^|@z@g@r@}En@{AlAaAIaAWC`@oAgBo@kCpCq@@kCxBQx@oBfA{@BcBrBaAOi@o@gAv@aAGAd@gAAwAyAQ}AuCeAMsAXs@eBq@w@gBcD{Ce@mBt@i@V}A]YyAVYS_@\\{AaAmBnAHtAsAg@gAJYu@eBOw@xC_Af@Ah@y@HgC|EQ`BbBzB_AtDaAdAaAEcA|@{@BgAfEcACs@lA}@Nf@v@{@pAeF\\o@t@k@?Cz@gA_@uAbCsC?Wf@HpBeCZaAhCkACyAtBuAYqA`AOr@u@Gi@hC}@tAuARa@z@a@bBXbD[ZvBpDKhA_ABz@bDp@f@j@]fAj@ZYj@bAi@T\\bBs@rA~ARKtDfCEc@v@Lf@oAHYj@PZjBJ[vEl@t@|AXiAbB`@`CKzA{AJBnAcAxB|Aq@aAxBDxAi@~@GfAb@pAuADk@fBqB`@}@pAVjAbAbChBbBUv@j@f@IdAz@PClB|@ZDfDpBb@b@mAdAW\\kArBvDjA^MzCXZVQh@lA`@vC^@d@hAxABA`Ak@`@vAjB~@G]l@b@dABlCl@H~AlCUp@h@dB_A\\ZjEtAb@TrAz@b@l@xAdAPPxBiAjBRn@jEhEb@i@zBj@xBdDPvBr@ZT|Ax@`@r@IFbBt@bBUjBn@^Ln@[l@`@jArCh@j@uCtC@hA~B|@f@E~AbAb@vAlEvAj@Sz@aAFjA`EgAt@kAF_@bBvEtJ@zCnAZj@nAWj@Lx@iCvAf@dBy@bAd@f@cBhCC|CZTLUW_AXg@~A_@~B^rB`C`Ai@n@d@hEkDm@uANm@l@DRuBEkBc@k@^k@RqDi@oB`DmAjANdAa@nAsB^DOzAf@fAn@cAzA\\f@z@pDGv@[TiAl@FZq@tAc@tDb@f@zAUjCuBxDLdA`BbApBhG[`Cx@hG}AjDtAz@\\lA_AnEQpGrAvAUtBh@lQ}AnHmDfGBtAhBpCSjCvBzA|@MzAzL[nEbAD?rDaAf@Vr@a@lBh@XG`AkBq@?x@iAzBRvDgAt@CbBg@TRxBfAnBP`GiA`A_BFK`Bc@Cq@t@n@rA_@dAiAMm@x@zAzAeILy@fCEnBgAg@Mm@_CYWyCy@eAkAM_@fAsAn@Jl@u@~@a@EyA~@yB]E\\aAZOy@qCm@k@cAgARkAw@qCRoA}@_Cf@Qz@kDBaC`DJfDcBjAdAz@L`B~ANi@dBjAt@b@dBb@DIrCvAnDw@ZNx@h@Bo@~B|Ap@nAi@n@qB^Ib@v@x@o@vAd@Jf@tCX`D|BpDjAbCgA`@z@pANfAq@bBdAjCf@xAMdB~@~@cAdBa@@oA|@[f@uAbA\\z@s@j@R`AiAfFa@`Fx@fA|@v@?Vn@tFTbB~Bl@@Fl@S^k@Aq@`C[TYSGv@WUs@h@bBlA_AnBvB`Au@dDf@ARv@VCXzAkArBi@fD~@|D|ATX`@o@x@CzAeAHHbE{AlCoGh@Ar@lBz@^dDt@D@dAr@?l@xBg@fChAbAy@hA{AvFsAv@EvAyChIB`Dv@dAIh@i@DPpBm@EkA~Eb@lCfAPGd@`BzCqAAJbAi@\\{@jC{GCo@XkB`En@dAUZf@Px@fC\\DK\\j@v@SvA`BnCa@xFeBbAwB[^lIk@IS_A{@vDo@Qi@\\q@vEk@@Yx@p@~@i@b@Z`@uAdF{@Eg@w@mFa@sFhC_BnSgCnARzAu@B_@pBaADD`Bt@BnBfC_@hDZfC\\ZfCFiF`NUbMl@Yf@b@n@s@jCdBXrAm@vA}@@kCfDHpHe@`DaAp@A`KsDg@e@h@uADQf@wBFtAdOeI~Mm@nDsBdBIjEhCrADpAeGrJYrCcDdHeAKwAnA]hCdAFNhB[Sc@t@Gi@u@@wDnDgACgAn@m@bG{@xA\\Ba@^W_@Uh@YIb@lAUZU]Nv@Ub@QSRXS`@RCaBf@BbA\\EeAxCqAf@ChBe@p@_@KCb@iARKzCOOIb@e@SOj@Ev@r@fAvDu@j@XaA~AyAb@MtD}@dAcARw@vB]Q[ZDdAsCbEHtA[R}CJiCqAHc@y@c@ETcBGsA_@_AmAh@cBm@kAsCv@QQt@gASQu@NcDu@cAjAwADe@bA_AA_@aALs@q@\\eAqBi@[g@\\OgAgAy@sAWeAdAuCb@S{@gASUw@RuBu@Yw@{AoCi@eAu@@qCwA{AGs@wA]aDiFmA\\eBuAxAk@UgCe@_Bk@b@g@Io@`BHhBkAj@e@pE{CfCmC|Fl@bCmArAQjBu@t@FnCyA|@[|DQVmBUm@r@g@IIeAy@_@sARPr@oBnAx@xBkDnEm@zAN|@cAl@Ed@kBl@?`BcA`Cr@`@PbAWdAb@Dr@zBc@~AqAhAcAPP|CgDZqAhEmCVsAtCo@m@_Ax@c@a@w@bCgA?oBnCGn@x@ZDrAzC?Lb@k@j@CdAvCvAF`@y@h@h@Pc@tCoBv@wC}AmAlAA~@o@Jy@]MoAaCoCmAxAcADB~A}F`BeAiAwBGu@s@aCSUxAuBv@_@l@a@Sc@RUdBqAnA}@GGfAwBnA[~@u@k@k@X?b@aAMw@~@Ua@{AAaE|Cy@u@]cDgAm@G_Bn@q@IcAoACm@yCw@y@pAClAmA`Bl@dBm@hABbCwBViBv@_@hAwByA{AK{A^oAiAI[i@aANs@[a@gBc@GAwBmAw@`@c@s@iAhAi@N{BsDZgEyBs@zAcBNaEjDGd@oAKs@n@k@`BZf@q@nAoF~@gCi@cBvDi@Ow@xA_BPc@|BaAPmAfB_@bCoBh@eD`DqBo@?nA_@h@mA{AwB_A{Ah@gBUaBZq@YYfAyC[w@nAGzAo@BI_@o@PIeD_BeBRmAkAw@n@{A}DkB{Cc@SaCiApCq@N`AvBI^e@f@a@Sg@t@sA~Eo@m@g@vAq@N[`EfA`AOf@wBNWjBrAzBiBZQhDu@`C{@ReA[m@`C_@PmAq@_ESi@bA{Ax@c@w@c@?_@vAuAtAmA}@aBvA{ACW`ByBfBuFUgCmDoAQk@u@@tDl@h@s@n@C~@`@h@e@p@fAVwBbEn@`A@hAx@P^tAeAjAp@l@s@|Dt@rD[bCo@NCx@q@Dg@fAp@~EwA`E_Ax@]jC^hAk@rBmBdBDdAjAbC`B{Av@vA^Bh@U@iAf@HjB}Aj@Jh@]ZkAUmBbAe@Jw@pADh@kAdAxAt@u@j@Xv@u@\\iCvA^tBaB^RE|B~@`BZ|Bd@KxBtAk@hAIjC`CzA`DNTdAbBXVzA{@P`@hAaBzErBfCh@`Id@Wp@`@VtBv@|@K|AaBhBBx@vIpNs@dF@`Ga@v@j@`Aq@xCh@jAsB|CIhAiAa@a@dJr@zBwApDOxKq@~CoBlCg@dGAtGnBfClAfDx@Ti@nATdAc@hE^b@~Bp@Rs@|@EjAfBPMdAz@|@Kt@|AAfAzA`BhAJVs@]mA\\?TmA{@{BZm@|@f@Io@v@LVmB~Ac@n@RF]j@fBb@Gv@lAn@?Cj@xAPfAy@VyBw@{@RmAa@{Cz@aCMeAlByA^Tb@]rAHjBlD\\bG~AbB|@Hh@vAnAy@z@GXXzBeBKaBt@uBpBo@j@y@vA^bBS|Ah@jBvCCpA`@`A|ATzByF~BiBj@XtAuHzC]n@p@|@gEtBIxAw@x@iA@s@d@C]iBNoCo@JWu@i@r@aAoC`FbBhBU\\y@~ApB^i@bALIi@j@TVw@|ABRwEk@o@HqB`@@J}Bn@Ya@_CcAUx@sBQa@hC}@a@uBp@AV_C`@AB_Al@QDm@l@_@n@`@v@yBvAR`@nBx@Kt@hAbAHt@nAy@hAhAH\\n@[dBl@b@OfA|@pB{@|CVjBXRPU`AdBnARD~BVADfA`@@@fBlA|@Kx@h@?~B`B|AAb@lBp@`@hA_BjCi@lAwBrADJx@f@P^{BNPj@q@TZb@_@JjBnA^^`Ax@Dl@l@N_@~@h@j@Wj@^^Q~C^RmAdACJg@c@oAeAN@w@\\I_@m@J{@jBMj@x@ZjCi@v@rAr@p@EfB`GRDA]Nd@\\Y\\pBd@HZi@XzBhBp@\\MLrAfAu@VlBtBlAbAxAGh@t@PEj@~@Kn@v@Ja@r@d@F\\o@b@^NMd@f@ORjAd@b@x@?cAx@dBNI}AfDzDnAeBvAs@zC_@bGjI`BbLpCnKjVdF~ShKdD`DxFrBdDvLbIbS~A~A`CpBfPxD`DrCzD~F`ExCbIv@bDnMHvPjA`JrEdNl@tD]`Fi@d@kDnB{DLqDlDs@fDp@jGvCvCdAhC|DzDdNtE`CvD~DlCtLfPxIrCxKx@xBs@tDiL~BgER}Bk@sIZyBfAqB`JU|Ch@tAUxD~@xCrB|G_@|EqCnC{CrAa@nAkFQ}G_A}CXeBr@[`HLHW`GZ`CoCjB]bGqG`LaBbGqDvDmAr@y@x@f@t@bClAl@fBCh@a@|CJNoE^m@`@JNfAvArA[nB^lAjBpCfAaAjAjEHtDgA|GkA[_Cl@kBqAYrAjC~JnBdO~DtAv@rA?hQqFrGn@fEYhJxAlFkAdEdBvDIb@uCnAl@jAfCpAmEhA@h@b@tAhSVFrUo@\\F`@pBx@A`BxBnCdKz@|AtC","klr@ktlDAKODDKEUPGHLNEG[NGHD@UND?]KMb@@L|@UNQd@QM","ujV{tjCnHmA`j@eN`iAmNdmBip@tBiBjAuCVqDa@wC}AgCoDwBqnBsc@qFq@mi@kAqD\\cCtAcj@jk@gy@tgAi@~CJtC`AfCnBlB|\\pI","{rUqtrDlg@c@d]uJ`uAwS~u@wUnoAyc@|QcK~AiFScFwD{FgCaBgKyBgGB}DdByE\\eFvAuHpEsD`FkExLuBmFqE}ByIw@_ItAmCmCuDw@{K|@gEtAgChC{@vD`@`EvA`CnCxAdCV|IUXr@uFvGgCdAyBjCmO~DyEnBkEmAcH`@oDbBkDtEuw@rLcBkB{EaCqHqAuHTcD}BeEi@mEwBsCEiCl@oE[sCf@eKiBhAkEa@qE_C_DcEqAgC@yGlAcEaCeEYcJ`AiEtBcBtBaGReEg@wEv@aKqCmDAqJwB_Ia@sExAgFOcDx@iFdKDzCfA~D~D|FtCfBrIxCdVfG~NpAjQe@lw@b[","i~V}{uDbD_@hC_BzAkC^gD_@eD{AmCiC}AcD_@aD^iC|A{AlC_@dD^fDzAjChC~A","}fYytvDhC]fC{AlBsCRsBMoD{@{BuA}A{DuAcFNsB~@kBtCo@dDVvCjClEbChA"],"America/Toronto":["su~A~vpDbq@A{AqFBsAdCOO]r@q@Ic@t@f@@_@xA{@aAwIBi@\\TTYYsDb@wDi@}Mt@aFpBy@VuBx@oAiAcHf@cE[oAj@{@c@cEnAcH}Ogh@yBeRp]omA~x@{kC|NaExI{KNaD_BmBOwB^iDqAcBDaEt@c@hDdA|AMbBaALX|AGVa@\\RjB}@jAmC|@?^{@xAi@EgBuByC^cCe@qE^eDvEsG`JdIb]kbAflBwW`d@xQ|@MnAjAlFt@zA]fHfB~BnCMrA\\x@pIjI~BtNjC`BbFKfDv@hJmDlJ}V?uPe`@}fAsJ{gAcZqfAoCy@cADyB|EmCYWdCy@_@YVo@w@}EZgK`HgJ}^?iuB}[kUoAkDaCoA_@sEq@uAqACeCaIH}@q@qB_CwDoAYuAqAaOaUUwAaCiDeEcO}@cAKiD_AcDp@}D]yB\\o_@q@ybAV}m@Qyq@qBEkBkCc@R{BqAcAzAHsBi@y@_@Fy@_CH}@xAcAReD}BcBa@sDy@B^q@McAt@aA`ADlAs@HqBw@T}@[So@gAPs@c@cAn@u@w@AuA~@}@B{A^e@o@kAuAz@Mz@eAdAu@LkA{Aa@TcEaG?cAoAwBYaC]_@wB`AEg@iAs@oB_FaAFg@o@m@jAFlAaA_Am@bAiAoAM|@e@Mc@_@?aAyAa@}ApBeEyBQs@{@De@a@k@aCmA}@KoAoPuBwn@io@fAkGE}Af@Wx@n@zCGaBuN{CmM{FsJuUA?eOgD??y_@f@\\N_@dATV]TaDhCkHw@S@]o@TRwAY]l@cDuBeHtAoEUWWr@s@IwA{Ag@wLuAqIcAsAOmDViBxAyA_@{Gt@}QnDwNpEkCwDoYaQqh@UyIcQs_@Gat@sg@AvByWxBoNAyYw@kHcCeAuJrIcBjCyAxNmJtUgIh^ojC??jq@SS_BtAw@WAoArAkDUg@\\mAqAbAC`AeBg@}Bl@mAvAi@Oc@dBE{@eAdCCwDe@hD^G?fAwAnH{@n@[UaBlCcBQF[sBy@{A_ENs@w@oCm@}NFgI_@kBqB`DOhCmAlBKbAg@EGeAMl@iAm@g@~@q@ILd@hAW]tBt@{@b@h@IjATEDn@\\C?b@Ta@J^NdD]hBn@d@I`Af@GLj@HzA_@|Ab@@[fANtCrAo@XdBx@k@f@b@`@Yl@\\Wr@`@E?p@zBkCnD[^y@TVTWx@hAGl@|@O?t@Hc@l@?OjBTLd@k@Qp@d@h@`@y@jANMWlAi@VRx@yAr@@u@fDl@[Af@vAEDpAj@Oj@^xBeCIrBu@v@LjAXSFf@d@m@z@BJ\\`Ac@~AZlAuBdBLL{@TBr@z@RO@r@hAXD|Ag@nAfBp@hBjEsBzADh@]DG_@m@LKd@u@?AfBWIWt@s@GDdC_@`ASKd@zBe@r@BpAb@\\Bq@VZRg@d@hAkAfCSSIxAl@jAi@zDg@g@cATRz@g@hAJb@y@Qc@l@?|AnAMTjAwANB`@eAh@mAmBqATXfB{Af@Fh@q@z@c@XOUE^}AMC`@dCdAPlAWtAnBl@]bAk@]YXa@gA{Bp@hAfCy@b@Rv@Qp@_@AX\\KlBvAp@s@v@Q|An@FX[b@p@yA`DVn@sBo@_Bx@mAtBj@`@Wh@kDdC?x@j@MF~@pG{A^jBa@HFnAe@ZWq@w@d@o@v@Vn@kApA_@iA]|@U[i@hAm@Ja@e@DgAq@NQo@jAwB_@e@y@Ag@|@a@_@gBhA^oAmARo@jAB{@c@AaBfBmA`@}AmB~CcDCa@c@OCTU_@?v@wA\\Af@y@G]{@Wl@uBh@AlAq@I{@hAi@OKi@tAcEq@DOgAcCzBiADiAv@yAzEf@AI`@vAQHj@nARe@^`Aj@i@xDn@FH^v@e@Vx@fAe@t@t@pAk@Sz@~@lAgAnCdBeAtACNj@v@SGh@yAd@Ej@cB`ARXJ[`ACUpApAsA\\GD^IbAeDhBNdDe@LQt@Q]_ARo@a@}@^j@jDfAn@m@rBaAl@Y~ATh@mBn@o@YIuBm@sAB~EcBFa@p@oARgB_Ee@\\k@oA|@wAViDPLn@q@cAqAAs@xBd@I}CcABe@_ACfAi@b@k@iB_C^uBu@g@jAH~@]Nc@{@]PDoAs@g@GmAc@a@KbAmB\\RpB_ASaAbBAzDm@bBf@PDz@u@jAXx@Q`A}@IY|BUEMh@u@KaAp@Oa@i@x@i@O@l@`@MC|@g@dBw@_@KlEa@{A_@xAIcCgAkAGlCc@ISxAk@LCi@QZg@YOpCUTUc@g@d@OhBg@f@Nj@a@LUjAi@{@{@W]PK{@OpAw@Ty@yAGqFw@PMiAeB`C}@WcATkAfCiAm@aAvAa@Cg@oAX{@Sy@mBi@tAgAEc@q@UVcDq@?g@s@wAhB[eA^}BfBmCAw@XFGwAj@a@aA{Ac@lAYGIpAQeAu@VN}A}@GHiB]iAaAS_@sBMVWg@mCbFiAxAo@AQjAsEdEc@rAc@ZYWg@vAo@K_@|@[Ms@kBXqGp@mAHx@j@RpCkGnH}K[uBtAiEl@g@UFd@mB|@y@m@Y{@rBcAFe@|@|AwDw@o@Pk@]LW}@iAzBu@Li@|@s@QwChDIqBz@uBQo@sAzAc@|B}Ad@v@{B{CbDGcAuAh@Em@k@d@DiA~@cBaBhA_DhFc@FBw@aA`@FmAnA{Cj@@dAsAm@qAtAoCnA{@Om@zB_BzFaJlAk@_@Ud@eCY]dC_Fc@NKc@^iJd@U\\b@b@i@n@\\~B{D|C_C}AyB^URkIe@s@gAJq@nAq@V]}@LyAj@GSk@Ty@aAg@bAoAs@YGqCcCgAa@JD{AcAOOoAhAgCG{A`@qBvAeCdAZH_AY[^]S[Xs@d@Wl@t@h@o@T`Br@}@JmCWe@j@uFg@s@Un@a@i@RuBe@R@Yi@h@?_EjAmEj@KR{Et@DjA{CtAFSi@j@_AAcBc@{@d@wCcBiDr@gEeAT[lAs@Js@bAgBpFUaAWX_@mDuBfAq@o@[PUkAOn@[GOw@|@_Ef@UN{Dm@h@ScAe@`AS[c@ZCkAi@]O~As@cBeAvBy@UKg@q@`@UiA_@NWaBI~@]L[{E}AcBKvBx@fDa@^XzAYXOi@_@zCy@}B[yD_@R?`C[o@s@qNc@Pw@[VdFy@vAJrJwA~FsAkEy@MOe@k@?O^m@c@u@p@_@wA_@nCJ`Bg@[M{A_@l@s@e@K^Iu@Kv@i@gBy@OCjEm@VW{@]`@M[_AvDq@g@Kx@k@yB@iC]g@ON[oDkAyBb@uDk@d@g@_BShB^xGg@hB_@MW~@t@tFoAu@_@x@N~A{@cB[b@XbB`ArAh@lDaAaAeAJa@v@sByIc@~AaABMj@\\~@WlBT`Cm@Fm@rB}@eBc@@c@x@_@c@_@Hm@|B_@q@`A_IcAmFu@RD|Au@XqAYqBpC]zA}Aq@AbC{AjBwA{AEm@g@DWcCeDSUcHo@LMjBsCGi@oB[bAqCCL{CyB}Ak@\\cAQs@cA{@l@S`BfAfAj@@NjA{@a@gB^oBu@BkBi@a@]gD{@j@oAMT\\Wz@mBZsAo@qBh@Xs@i@][_AV[mA{Bk@o@k@IK\\aBW`@lCj@QHr@vANi@nB}AHfAbBcAtAJfAkAn@cBHVt@i@bDd@Xt@OKzAqAxA_FxA]hAgAJ_@j@eAVWg@C~@k@b@^z@o@lBNrBQh@w@BqDYi@_Be@}Fi@y@oAAKg@uAScAy@H_GsBa@g@s@\\sEyBqC]dBsAQq@hAXvBx@t@JvBmAlCe@JKc@[l@kAO[y@aB_Ab@aEq@oAZmB[e@FkFe@qBR}@}AeIMp@gCtBg@vABbC_A`BDfChAbA\\bBB`F^f@FbBf@@Lr@t@\\RdBuApAHdB_DFg@hBY@MtDZrA]HEz@f@zDg@`CgAhAM|Ct@dALlBg@b@AbBc@oBo@Lc@z@a@IIgAYVsA{B?_EfAYFsC~@qC_@q@d@u@VRJi@o@oCH{DW_AiBhBAzAs@\\YrFsCq@a@`BsAUc@k@iBjBoAcBi@xAq@S_@eCUdBgAkB]mCy@iAHk@]Gy@zEh@hCf@BdAhD_@hAl@^VhAg@`B{@bAc@@kAvCJx@g@jCs@W@eCcBjAg@Q[_CqAwCYxB{@g@eAn@Os@m@hAu@}AEqA[z@_@UPoCiBqB?rAm@MK|@FjBg@?HxDoC~Ag@fAJiJy@eAm@tBQyIcBP[~CV|Be@FkAlEaAPwAuHA{JuAzEo@lMxBKhBbFZHd@o@pBp@B`AfCpC`A~B`BLrDrD?j@^PhDnJnDpElBBfCeErAo@jEpDl@tCRUvHbOr@Rv@[d@{AfH|F`DNPN_@|@^dDl@k@TqBm@o@rAhAjBrE@dQXrBnApA`Cw@ZNZ`DfJ`GdAGUtFlAdBwAfDJt@dCnBHdEh@pC`DtGvCtOIlAcAhCuAFiCq@}@Nw@~@UrDzCxA\\tB{@l@aAw@_BKqDdEp@vFqAnH{C`BWl@qAIiAy@wAp@yCpJs@lEQ~J|@zDi@lCQrJyAv@mB_E}@g@kA`CgBNs@pD|@dHQ~Ck@Ta@a@NmEYoDs@eB_Aa@aA~Ae@}@[@m@xA\\nCs@j@c@zDv@dDIzBcDFgDlCwAkAiAyEu@y@yA_@gA~FoAaCiCAoBqBkA`GaBEIw@gG_ByApAwBcA{B`EwArEkBcDqApAi@dBgAuAuArCs@Xi@mEkAsCi@jAu@AUh@k@Us@j@]yCs@QwCmNmCt@sAa@}@vBaFzB[jF`@MNtAx@e@NjB^s@Rp@j@c@l@b@t@cBjAHVv@WHTl@YJPhAe@Xc@m@OdAx@hAGp@|@j@`@rCXHRu@w@o@UoArBzAFf@gArCFn@YQVvCa@ISf@Sq@UpDc@eCu@b@O[iAXTd@u@DWvA{@Yq@qA_@@NjAy@]@hAh@v@UFj@bAeALO~Bd@DInAbA]gAzAAt@bB}A}@fC~Am@^Zg@`@TPQ^c@?u@`AVp@PYB`@LMOlAlAo@_@|AXZw@|@n@hAGh@cAeAGtA[PX^k@?Zz@a@S@x@PLrCyA_BlAO\\Zh@i@C_@jATv@a@v@F\\XKQf@`Ab@ORaBeA]l@@dBYDOjBd@nCc@?FfASOCb@p@f@t@_@{@lAg@i@JfAw@A`@vBY\\@bBb@l@n@FMr@q@UT`A^OBp@c@Gw@_BKxBUOEb@G[eACJdDv@?XqAPLFvDg@uAoAR^tBj@XSRqA}@Ou@QPkAlJVhAg@a@N{Ak@yAa@pBHuEChAUd@Ug@E|@NbFc@kB}@fHn@cLOmCw@v@TuAGSOt@DgC]lBX~BYdEGm@GXDtDC]c@Bs@eHu@bESyBKt@c@NQpB_@yMa@^NwC]e@YhAq@MoAxDCdCc@bAPl@_@BVfAk@BYfGNVNkAbAGd@jAvA^RrHi@lCz@xCf@De@Nc@s@]BUmC\\qF{@[DcA_BaAWjAgAUk@vAAzAAg@SFMrAj@`ADhBYECf@WSKwAQzDSwHqAnDEc@]?i@z@m@rMu@x@@~Au@xAXpAv@B\\f@Z_@dABh@w@pAJy@h@[I[z@wALxBnHuCaGs@]{@t@_@eEIVMc@?p@_@e@g@zAJeA}@~@SqAMfDM{BSVIc@y@X_ArGRxAj@M]x@b@bBQ|Cg@sCM|@Q_@WpEEw@Sd@GrCm@EMrAiB|CEdAUi@eAB[pF}AjCh@fCq@SQn@RpDQMe@v@?nAi@c@It@SQiAnB\\|IjD`G?h@Ha@XTLrDz@dD[|@l@xCZQTr@PKR|@YNv@~@ZhCYvP~@VZz@zBiEf@mDd@aATHC_AFz@Ev@Uq@SjEoAhDt@bBq@}@_@H}@pCZpA}@U_AfCe@bHhBdCwAk@a@ViA~LRnChAIVy@KxAmAdAhBlCf@bEh@PB|Aj@xAElB`@Td@i@KxCSbAoEiSq@bEU`HyA~G\\dB`At@cAU_@Rj@tDu@q@a@`@g@~Gk@nBV`As@fBTxAo@vACdAVJk@z@Hn@z@CeA`A@hAn@^cAFU}@UbAXz@k@N?tB_@MQlAVfB[^\\f@t@Ee@`@}@Kt@`C_A{@JpEZH]b@dAFeAj@AbBr@n@{@Rg@`HRf@UlAbA~@mBf@EnDv@Ph@bBj@R_@d@\\xC|A~ADdB`AvBDxBj@e@q@fAXx@jAwAFfBt@`AqAmBBbBl@fBn@PUp@J[e@S@dB`AZ^dADwARFE`BpAb@Lv@@u@{@a@Us@dBtAz@c@x@v@LWTN@i@d@x@`Ay@pDUV\\h@UL{@bCu@DYbB`@bCmBLVH{@ZVjAo@P\\Zy@NTt@cCSqHRPr@i@JZl@cB|@Q?uF]a@`@EH^P}@KbCTd@f@gHHUDd@h@eBQt@ZIAf@y@`AShC?`ARW@r@XMS|B^k@X\\bAoHj@nCO~DNy@@f@Z[d@f@t@sEXbA@bBIk@UKMl@G]OxBe@YYlB[UBzAx@Dl@gAF^JYl@DBu@^j@E]RTXa@b@ZM{Ah@|AFe@n@\\h@u@T\\ZOIrAb@qCf@_@NV`@M_@~AHZ\\g@M~@dAtAt@DN[GT|@L~@GPdD`@SGj@FUz@rCj@DFv@RSKp@f@NZhBJWR`AhAz@b@`BPUjAtAKkB`@hBSiBj@nBP[gAwGj@d@NeFRVo@yGr@vACcCz@bEaE{XZNhCzNs@wFzAzGy@qFCaBf@dBY_Cn@jCZ`@Ba@XjAD]b@L~@zFh@Dn@uA?TZ]LPTkClAiBe@eInAoGg@lCBhGl@[Lp@TM\\tD^]JdA^CSx@j@s@BtAJYf@|ADm@^p@J}BN`@Ti@IoBl@_@X^JsBl@GLh@d@e@YgA\\e@Bd@Lw@ArBVGA}ADXb@wAF~@Be@?b@b@i@PgB@hFrAkAlAoEUbCTULRUrATjCZQFTPc@B^`@i@E~ARKz@cGc@C@c@b@sAu@AR_@K_@O\\?cAN_@Ft@p@aAJmAa@g@YqFTfAn@ZSx@VhCb@kBMgAXOKjA^F[\\\\JC~@^w@TTSzAJd@ZOYj@T\\AsCb@`DDoAQZCWp@WUTRf@UzBh@cC`As@D\\^wA^R?iBl@xBJcDPTNpBYvAZb@Md@j@Pa@Zd@t@MTj@_@JnAV?k@`@CrAPPTY?Vl@e@`@gDQvAd@f@UnCf@DZk@V`AUGGdAWy@JhAUR\\b@a@dAm@?VdAU~Ah@{AN|BhA{Ad@TEmA\\[Hr@NWOwAT|AJ[Vd@Fs@^^VoAI~AH]Ar@`@g@h@vGXRF_@?r@d@o@@n@dAmCVx@U~AZh@JYPv@f@m@Ya@Il@@oAKt@ESPu@]aAAgGLrC`@wBY@Nu@OPd@gCPPPa@_@rBPrCP_Ab@Qe@j@TTIdDj@iC`@z@LmA`@bAi@lARNLiAFp@Ri@?\\RK}@xAD~Ax@{Cb@`BSr@R~@NmA@d@\\KCd@]KOfB\\BBbA@_AZFA_D^XS|@j@Fs@bCDd@P}@YlAt@zAUr@b@CBr@R}@Nt@P]FZZy@GdC^Dv@aBTj@EmA[LEm@d@p@XgBIjET~@TKWf@g@QIv@dCy@MpBe@TVt@lC}@LbAz@fA?i@^?EuAP|Bp@hAQIGr@XnAE]]dANSPn@@w@Vj@t@GZdA{A}@Mt@Xj@}Ai@_@|@|@ZEr@j@FBq@f@\\Zc@b@JJi@`@Cc@[`@OLXFc@L^J_@Bl@@_@TJXc@G`AT}@YU\\C?{@|@_AKeATRPg@YO`@DJw@JvBHuBRCo@vFGkAw@Fe@~BTr@s@v@Ao@YLE\\d@x@?y@`@Ft@wBLTJi@X`@`@c@K`CDk@DRh@KQi@b@{@C^TIw@hER_Aj@`@XoDrAWPi@Df@fAoBL}CiA~ALbAYd@K]Q\\Ki@mA~ADiAL\\RkAHRKiEv@lCPe@[PE[vAw@Ei@XNNe@l@E@aBWjAA{Aa@y@u@|BDoA\\FLk@]a@bBxAPaAJd@fAaDN^D}@W@VmA]Uj@OXZBcBZ?h@gBGfCX?hAsDXqFLn@TmC~@yBJoC|@_BDgBPz@Ny@Au@oBmAD{@Dh@VF?m@`ArBFu@Zc@d@Xv@_CF`Dh@wDx@{AXJRyB`CeFXkCPdBXaB@l@Rg@Af@T[BgAPr@^sBfASRcAt@Bn@mBRR\\k@BXfAeARaAfCgAfAuBFr@l@g@Vv@bEgDvAY\\y@Pd@l@aC|@B?eAf@r@Ng@nAMp@aADRjCgAJR~AkA`BPrAaA|Ap@dBg@j@\\fBAZs@\\PrE_@Ba@Zb@`GMdAd@p@Uv@f@p@a@X\\`@Wp@Nn@cAzAj@~@Un@z@H_@vAH|BzCrAGB`BF{@p@d@b@c@vBxAlAF|@hA^jClC~@^fBjD`EJa@A~@jCdDFUFt@xCpEgAoD_@G?w@jBlAZbBnAbAT`ATI|@fDh@LNz@J[~@fD~DhGf@`DOQp@`BnEjGEnAlAbCbEvP|ClFdBvMRKf@`At@jGr@lBI`C`@tBVCVhBb@Gh@pAdAlNlAbFKzAl@tCc@[p@jAbAlGjAjBt@nBYb@`@XIoFp@Vc@gDXr@EmAb@h@a@wAp@d@HiBj@ZVbC]]`@n@VwCPd@Jk@d@\\Em@RhAF_BRt@l@w@DtA?wAh@g@Hl@Ng@Tz@PsABrARm@x@v@?eAXPX{@Fz@LkA`@jATa@LZM{BLRLk@Df@BUX\\IeCPpBHa@P^ZqGTd@Hc@\\rCXA^hAFaEYuAa@Ib@B^}@^|ABa@NLA_BUME`@OiABsFp@pBt@oBd@CLzCa@v@b@XL}AXT@}B@fALqANpADmAf@d@O}BXDZgCZ`@IjDRYFd@Hk@LjBDiCZODxC^cC[dF~@gHi@??i@@f@\\[Xl@X}BFxB[f@XbDRoBl@LUb@x@q@VgGf@r@WdAt@zDN}At@h@Ap@f@m@Ff@RyBTdCViBGtB`AyDTnBX{@HjAN}Bx@vAg@q@A|@pAp@B{Ai@oATy@TXL]L`@^mD`@nDg@\\C|AVe@RTFw@BxB|@tC\\}ALb@Nk@Ht@Xc@C{ATbANi@JPg@_AP{A`ApCc@oCZg@B\\VIGmDL|BT[z@d@?]RdA?m@j@t@@mA^XP]l@nABaCL|@DwAr@pATcB^rABcATBp@|BJsAd@p@He@b@lA@u@\\p@Ko@|ArAO_A\\aAf@|BNeADbAZJZeBNNIsAZn@?}BQYGj@Mm@DbAe@sAj@EOgB`@zB?}Bf@~A@uBT@IbB~AlDHmAn@ZPaAd@\\c@kA\\?Aa@LVAsBo@sCfBtB^~ANeBWo@`@`@Ju@Zh@?{@AtBPWWt@VHRa@Db@Ml@Cw@]rAlApANgEVp@By@b@NC`Bf@_@QaD`ApAA_Ah@zCCeBDV^Kc@aBj@d@Hm@Jd@@cA@d@XXBw@j@l@Ct@t@Te@kAZVJkAPp@T[g@iAHcAj@z@UmDv@kALf@b@CMeAd@g@j@hAb@@PcA|@FNp@VqAN`A@cA`AJv@lBj@SZp@CsBZENpAp@`@Eo@ZSlANj@p@bADr@bDf@c@RlCvAm@d@}BeA`Ep@_@r@h@?vB\\?XhCbArAP{@p@i@JPDo@hAd@`AtCMzAfAjCf@YH_AdAMVcBz@F^a@N}AlAoAEiAv@l@fAUr@Vt@_CzD`GdBq@fAdAhATeAhAaIx@kCbFPlCe@`DcBBeBo@BxBo@v@PbB^d@RK~@fB|A~EnBm@n@FMxBx@Ex@fAZ~BdCEg@l@XVgAATh@vAT`AaBz@GnEhEUvD_DhFoAzEQhGkAzGuA~AgDAcD~CqHhByBrC{@Z]hAqAIl@JBjAgAl@?dAy@JPx@a@nBy@lAyCnBc@tBg@P?~@e@JTtC_EzOYe@yAzAy@]_@rBEgA{@fAOpB]Bk@}AwAlAiBg@{@Vw@xC}F~GkB`F_BtAsCfAwE~HFjB_@Im@xCgAr@aABKx@Me@Ub@E]wEQmBeASJwCwGyKnB_BhAmCZuEmAmBmBkACkJrC}BnAuH`JiBd@uDI_@r@CcAyBg@eD}BuHkA_C_A_AwAoAYiD`@g@xA_@_Aw@l@}Dt@q@}@aBJa@dAPR}@j@G`@\\?e@RHZ`A}A~@v@p@Se@rB[VBm@{AjDFh@{@hAF`Ap@SOu@^MGjAeCzHY@VvAb@eAf@Dp@hDe@zBkChD~@nJWfDT|Es@fDZg@I`DgBrICbBlBgCUnC{@|AuA|GvAnKm@`DAjG`BxMWr@FrL{ArJZbAMxAc@vByATOlDy@f@IdG_@LuA|EBk@eC|Fo@JMfAq@`@eCtL}@bAgBjVuB`FiC~QcAzCVh@e@DiA`Fi@vR_AzFVb@g@I[^a@pCuAv@c@zDoArDAk@iDzCo@@aG|FVy@sB~EaDlBsBnPsCbJaBhCm@tFw@`BqAl@}AxF_@FKk@u@d@L|@s@x@Jj@Ig@\\d@NOWjDte@j~@jjC??o}@lVg^rN?lVf^rN??n}@rjA??_FnG?A~EteC??h{@nN@","_}|AfnaCc@uBlC_AZRXoAF|Bc@FBT","_fcB~byCFC@IOYOOOEGBEN@PHJ"],"America/Chicago":["ayz@h`lE`@YDuAbAs@xC_AhB@h@g@z@T\\uArAGt@yA|@GnAqBnBe@xARfAW~Aj@dAa@lADAYf@HBWbAL\\q@|B{@@[TPvBkBb@F|BoAPZ~AgAH_AvEsGYm@fA{Cb@KIc@v@HxBeBj@wBhBiCn@}Bj@aI^]O]lACHoApAo@RsBZSA_EbFqFr@oCw@_@D]j@PG}@\\NNy@p@Ce@c@^a@Wk@f@_CY_BwC]L]kASQuA{CiAHyAa@M?u@w@GRe@]u@c@Hc@bAoDk@UyA_@Jo@_AWf@}AMw@q@iANs@kA{AECu@gA@wAaBg@J_Bq@TuAi@qBa@It@i@i@eAc@HE}@r@eEiDo@cA_BVeB\\EU_@l@m@OgAl@Ml@iA^kC@o@c@[L_Be@Sf@g@Gi@`@Mq@wCh@y@q@KN[n@@Qy@t@cCQ_B`@a@a@c@@gBu@K]q@jBO_AsCnA]i@{An@\\~AyAbBS[]RsAtCBFc@oBg@Le@pBOvA^J_DpAy@^oDtDcBvBwFt@O`@_CjC_Bp@LdCcEbFy@vAHj@k@LVXoArCu@Dw@bCWb@u@|CMf@kB`A@n@_BdAVdAm@^kBl@bA`A}@hBLxCqBhAHlAkAFaArAWxAuFxBaAf@eAlCw@XuBlAJtAwAp@T|@u@|ACBo@|@]Wm@hA]Ju@rCwBUi@Tq@x@SUuBh@e@^JUw@vAqAnCZ?eAd@[~@^hAMlC^j@bA`@{AhAAIy@b@g@rC_@hC`@\\[v@n@rAMTiAz@o@h@Rn@Wf@sBdBQl@_B~Dw@h@}@lJkAtAeCl@WtAj@dA{@_@}Aj@s@QiA~@{@q@c@pA{@]uDjAa@AkAj@[@d@VGP_BZ`@ToAp@SIeAc@WXMSaA`Ak@Y]UTl@k@UY\\DCo@ZJGk@VCe@CGiAn@?rAsB]s@j@O]_@v@?dA{@a@QA}@^j@fB{Dk@a@r@}@q@[TCFiAWWdAIIiAs@UT_@W}@^_@A_AY?P_CYM`@ALs@U_@XM_@U|@m@c@Sh@MDqA]Yd@_@YBK{@d@HGy@VRN{@X\\`A_AIg@f@GSSd@\\B{AxA_@Ym@d@AGsA^SZPXw@?[i@En@EWsAIXWg@W`@Qc@u@X_@i@Xk@g@o@Dq@o@NTiAc@qC`@c@u@qMoF@aNdBka@fIcLVyGo@iI}B{KcF}EqEaDcAoAgAgHuImDkGwDuJyGiI}IiXcJqTyAeGoOeS_IyOyAqEcCuB}Bw@{Ia\\~@aFDwCeAqEqCuCc@{Hp@wGw@eEzAwIpGqUrBkVKwDo@aDdBoD`C_Cx@_CVqCSqKlAgGdEwFpCiLdCmA`B{B`BoH?gKgAoIr@iGSgGmAyIcEoI_BkSfGv@`Es@`DmDz@gFg@mEyBkDd@oEu@uE_B_CeLmKoDy@cGJeDrBcBdEcNiM_CoAcJ_BiGXn@qIwA{Lr@sCHwCi@qFAwIkDg\\YkJyBsVIoEp@yOhEsR~IeRfDcE~IaBjFmDnBiFMyF{Hm@MzAv@`BUtAaE`CyGp@yAo@s@{BmEDf@c@lACT_BnB{An@cC~@?hCmEEeC{@k@eAZw@i@qCBuA^mBrEmACYd@m@o@M^a@[y@PmAi@e@oAi@?Wg@sAAOo@s@^o@q@U\\[q@_@\\K_@Wd@o@iBEh@m@[K`@oEkA@g@sAoAyC_BcBfAGf@gCl@k@UqANeB`B}@ASn@kAM}DhA{CnCmAUeBb@c@q@gCDcJgB{@`@aB?wCfCiAMaBl@cAUm@TiBOCi@c@?y@cAe@LOe@kBc@}EX_BeB]}AW^SMCyAm@]OTQgAoA~Ao@fCaA]b@rA_@rAqDzAkC|DqB_AiD^yEhAcD|AuEyA[aAa}B`XBeGo@{AeAe@Iu@qAg@i@`AiAMuIsGuGcDPg@y@}@_@x@kBaBE\\m@GsKuKcByFaDcEsDjA{BjCcA\\Lt@kBnAc@fAa@OeAZ}@{@kBc@GkCkAk@CcA]H?c@o@CNe@u@}A_L|Fk@hLgBBu@f@gBa@mEvBqBmEwAa@\\gAiBoCaBjCiCIZhB}DdEwBFmBlFlA^t@pFd@IdAxAy@d@GlAa@m@sFrDgCtEmAATr@Wn@dA|@\\Ou@~WQRe@c@o@LcCrBL~@Wf@`@Tg@l@?`Au@XX~@cL}FmNfTb@bAvB?lAa@N`D|B^\\bBcCOKbAh@bBqEbDa@]b@s@w@RE]Wf@c@k@e@^q@W]jAKWe@T{B]@rPy@?@`M[??d@mGAHvDwBA?hA{@??b@eC@hA~@EfAe@HJZf@QOtA`B\\NhA]f@T`@ZUZzAHfAaA[Yt@e@_@y@}DiAn@}A_ADs@a@\\cAMu@s@a@}BqBeAs@@Gb@[g@aA~@_A?Wr@a@c@_@PNOa@e@]TeA_@cAbCGc@Od@qBK{@|A_@GGhA]c@[n@{CeDkAGDl@aA\\c@WMl@{@gAUiByuAK?yYmEBA_FmC??oBiSAaBeHgAuA_DoA}@sB?iFmD?Eq@_B[}C@?nA{EEAvi@yl@wJkv@|FcQk@{[_Fym@mSoKsJuHuN_Lp^?tTtDjC~E~GlAtDzFfA_ArLgAl@w@hBs@JiDwAoBcB{@Pi@hApAvBE|CV`@s@f@Tb@aBmA}@Xy@aBgAg@mARk@|@CsAs@]s@FkAvAy@wAoC~DGjDYt@o@@\\~Cy@tB[FcB_CQ|@oAB}@pDHxA_@RP~CiAhB`@fAq@tAPz@y@r@\\pCYXz@\\AlBq@N[vBXpAa@AC`@Zf@kFfPmKf_Am@A{GbEEnBe@FLnAg@O_@l@^b@FxAeAl@kyAmy@b@bEk@z@ZnAe@vFfAnFy@nAWtBqBx@u@`Fh@|Mc@vDXrDUX]UCh@`AvIyAz@A^u@g@Hb@s@p@N\\}BDK|A`CfKjEpJz@dIg@f@@jAn@|Cm@NsA_@V`Da@XBdAUKNz@u@[y@L?d@y@QMhH}@x@H`Ce@GNj@i@z@_ALo@Y[|Ao@NMrDh@nCSzAlAtAxAUl@q@v@fEgGfEg@JsAg@cAdBThHs@pB_A[OoCoANFxDiCzLo@HP|Lg@x@?~AdBbLzABn@`HS^^|@?jG]p@aBWcBjAe@vVOt@oARUz@ExFd@fAQ`DuA~EyA`BeAR_@c@wAEmLdCk@l@yCp@_Et@u@QaBxG`@hE_A|DbW?A~jPt}@Ix@gAO_@^s@~E?AiIxIC?wBlDCA}FrC?H_Bm@gALwDaCFQoBl@{Ck@aAv@uDa@gBVuB_@k@WLaAk@B]e@f@o@U\\qB~@_@LaCn@m@LmFp@g@Qy@d@g@P\\h@[c@_DfAeDNgDW[Q`@uA?Pa@}@OP_Bm@cAZyCs@?~AeCKsHjAKCkB`A_DPoCgA_DDyFeAaJtAwBjAxBd@HtC_Bh@{@tCc@HeBpAcDGe@w@Oa@}CJaC|@mBr@SzAVhAmAvB]~AiBt@Fp@|Ad@Jl@_A~AAvDoDrB`@VkBXMLn@p@QB{AbAMk@}DvAj@pAaEb@h@vAuAjArA`CH@l@RGHpC~@lAk@`@`@tCc@tANp@[F~@lBr@@Dh@j@RJxA^e@Hd@h@NHlCZI\\r@Za@\\\\|@dDfAMOj@b@^HpCNRNc@VHXdAfH??kr@dAmAIcBf@O\\T`@gCxAx@l@s@zBs@x@gA~AnA@bDtBPrBnBt@oA?cCdAmAr@G`CuBnCjA|CmBtCf@|B~A`AOjAoACrDT~@|@l@nBCpAy@r@DjE~Hc@|BeBpBA`Az@d@~@[p@yCf@_@fAWbDjAr@UfAsF\\IbAfC~@A^}@c@oDTqBrE{AU~@xJ|I?f]vI?@d@fHBHdCj@LSl@h@FEjA^j@zp@A?mSnJA?eAx@??g@z@@?xA~G?@kFtIB?jBlD??e@dHC?sBfF?AzDzT?E~a@vT@AmGxT?@g@vTC?`EvTCAg@vT@?nl@dZCAgh@bZ@?lDdZL?bDhZ??q@dZ??]vD?Ed_@rm@?M~z@f^?AnA`{CBb}@f@b~@@?zrBvgAWvIR"],"America/Rankin_Inlet":["}dtBnffE?{_MfAp@l@}@TTj@i@Lb@Ri@T\\p@q@vAKF^Ea@zA_BIjA~@v@Pe@Rl@\\c@VXPe@Jr@b@kBOdBd@TBi@Z`@V_@ZbA\\eBNNAa@Hb@V}@t@jA@a@t@Tf@aA~Ay@\\TnAeAhABN^SoBQ^Rq@NfAh@Rm@hD^e@Gf@REUq@d@MDk@rA~AVWh@d@n@s@z@r@x@e@b@RH]r@bA@Ul@BB|BT@X_DHXl@a@RXMqATJxAwAH{@NZXo@RX?i@c@VK]^kBlA?TxAQ{BT~@xAeBf@mB`@Hh@_AvBe@j@iAOmDy@mAeA_@e@eC_@Qf@O`@gALaOZe@e@aANe@_@]g@Jz@_@YiARB@cA{@RXaFj@_BC_CYLb@iC`@UNd@t@uBcByBEs@d@s@c@}@NiAQl@w@_Ah@j@NiAjAwAZNn@}@x@RpBs@x@VhAOtF{CdBUfBsCXPSDr@CvC_CGr@f@uAhA[`@iA|@BbCiBb@B_@Zh@@vLuDhK{HlBk@`@uA~HoChACjE~@nH`FnDhFb@sByCeJm@_OxAdDYoBbArA}AwGZa@YWCwGSJiCcPwFsb@@j@[wNtA_LOkBElCGyBhBoHT^Ku@[EIp@f@gEf@{@a@v@CRXe@InAfCiLx@{AfB_KMvAx@yBAwBtCwVL{IxC}QSkAZeEON]e@Hf@I_ABVl@}@I}@M^Ps@l@QJj@^G|AyFpAm@v@aBl@uF`BiCrCcJrBoP`DmBrB_FWx@`G}Fn@AhD{C@j@nAsDb@{DtAw@`@qCZ_@f@HWc@~@{Fh@wRhAaFd@EWi@bA{ChC_RtBaFfBkV|@cAdCuLp@a@LgAn@KdC}FCj@tA}E^MHeGx@g@PmDvAUl@yEgoMC{f@hjBaI|c@wMs@suAgr@}`@}BqY_mAMgH}iYC]tAw@AgCvUa@~Yo@|Ge@|Sw@dG_@t@y@IOyEk@tDo@a@uBH_AcBr@eq@nAiJs@_JAbGaAfGeB`|@e@bBwDpEe@e@eAAeAgBcDoBo@}EYg`@LuGlB}U@uTm{C?`J~uB|MbaA|C~q@nHtvCvAxYvL|eAtNnfBrIn~@~Ozm@rYlbAfAtBzFxEbC|EvJlkDtKxhBhaL?fiAsyNvUakBfsB__Djn@{d@flC??nkX","cnqCdz{DuBYwBqAoDyFiAkGy@v@o@}BJkC_@iCa@Fg@gDgCzHkAiJcDmNeBgNaBmS}@qU\\aY`AiMpHoWhD{QnEuJxKNhJcElL|DzAdRZ|s@QtJcF|r@_Ifq@mDnQ"],"Asia/Yekaterinburg":["ybdB_dbBd@mEpCm@RqE_@mAh@{AWoCT{Ag@eBBe@vA_A?wCzC??vGjAOMkAvAAVyD{@sJa@Pw@}Ab@QKu@bAa@z@t@r@s@_@eD_@N_@eDkDtAQw@WXcAkAYiAm@FQ}G^@MwC^]{@iDyAMEeBVKe@_Em@\\SmAxDq@tA_A`@cA`DuBfAF\\{ATKXh@Zq@q@s@LU\\V?iA]LNq@w@[bAaAg@\\MyA[IBWRRAm@_@XLm@s@Uf@GWi@ZJCgA^Qg@I\\e@WsA\\x@XC_@_@Z]i@k@\\NBg@r@YMQ[\\JcA_@LZ_AaAeC`@w@@sBWMm@h@Fw@a@e@JO\\d@Tq@QgBz@i@c@WS{Af@INmDvAW_@cBTLV_@CqC`@Dl@{Br@@D~@d@_AlA~@dAaATqAh@ZZWUq@\\CKe@l@cAUyBj@WO{Bh@SYmAt@qAXcDTd@tAyEr@MRj@VY]c@bAaABp@f@Tj@}Ah@Rb@{D@b@L_@nAEMo@p@gB@wC|@SGcCz@Q|AhBxHvBjBgBlA}C_A_Bh@i@_DiFgBh@e@Ow@nA}BMsAv@Us@uB]u@`AHbE]pALoA[LKgAKd@k@PK[y@~@IuAKr@Yy@XsEm@PVw@Ug@l@A|@eBt@sEjAF\\qFk@eAJeAn@{A`@@xBrCj@sD|G{Mu@e@TgEj@y@bAC\\yClAcBR}A?w@y@SwAgDBmCg@]kBuGuBcDaAVwAOuE_B|@}DJiDyA_AEh@_@I?eDwDVy@cCpAo@RgA~AwAAwB`@eASkAaE|A_@cDbAkEw@mBp@qAq@cIUB_@qAfC_BNZXo@W{AdA@Zs@~AWvAqDh@wDoAg@g@_A^uKoGNcDc@AmAr@c@ZoAe@cB~@w@eAyGfALTYVuCm@CWyA}@XcAkFdBgBfAU_@mEvA}Ff@@lAy@`@~An@ULr@lC]a@{DjAQJ`A`ANKkFtBqCx@At@s@t@}RlAkDe@e@TiJz@o@DeAv@}@ErEnAJ^wB`ALgAqEIkKcEyDqAwD{Dp@iBsAa@yIr@y@dAbAvE{GXg]iH_g@_ZmFc@sFeCvGgDxASfEm@jBAbEg@bBX~Dg@f@?nDg@NElA}@Ny@`A_Cq@EzWg@TQ|EsA|B{@{C}AyAMuAq@@?rDyEtP\\a@bAHYX@hDc@_@s@rAk@Dy@fAw@OBgKiIqR?{KqC_CAoBgAuEwBeCi@oBwCtCiDR[vGmFAZ`DgA|AiEDSsF}AeBWZ]kCiAuAkAqDmB~BPmEy@y@kA{EnAoBFgDyA{Cp@oDrBuCwAkCIcHhBaFAgCmAiE{Ca@wAv@{@vD?|EuAfGkBfBu@rB`@dAr@NNnEuB|FQzIy@`B{Dj@s@{BgBWo@{@U}BVLZwAr@OT{Ba@sDc@F[c@NcAUNc@cAWv@mBVQbItApAIjGs@rDq@F[zLmAFIgEj@ECuAgCa@?oBeBmBo@qB{ASUrBgBrAT~CY|Bw@Eg@_AReBs@?AgEx@Pn@cASuCgA\\w@MyAp@gA}AYuEF_DhB?j@oDnAC?qAm@CmA{AXMYsBxAqB}A_Cn@GAuAzAhAXwC@_FuD|@B}AY]j@iEc@eNZuCx@bExCeBGy@b@cAq@cBcBkAuBx@u@q@wAqOZ}Lk@qCu@]Sd@e@?Wg@OyHZkCgDwWrCmFEaBy@uBaBtAk@QKgA^TNc@[gAi@KVwC}@aLR_CKgAu@KKa@TuAc@uCONc@s@jAuAL}CkCwMrDmG?aFw@qA[n@yB`@]h@kAk@eBNgA}GJcHs@Pu@jA_AaAf@_CI}CbAcFa@iBy@}@wA[g@qG|Cb@XeA}C}VoA{OLcB_A_Dg@qLTwAgAsBWiJgAOWuAd@_CMoFb@{Ae@eGm@}CiD}AYsDbAsFg@sKg@jAs@sAmA@i@{CQtAw@ZmAhCE}@m@R?`Ai@?V}Ba@_Cl@aBq@IPmDk@kHb@IDg@Sy@w@SKl@m@@aAgCu@B?i@q@Tw@gAtBiJOy@rAo@Eg@wC`@?hC{Ca@AaBb@@CeCdAwEzByAi@kFgAyADaB~@L?uARFE_RLPjAwFrDmD@wEp@w@jAoF{AkDo@{EiAMyA{CaAWyCtBkD}FDsEiC}Aq@iAo@D_@vA?`Cs@`DuA~@uASeA}Ag@jAe@}DTA?eBs@eBQ_Dg@nCb@rHZ`@w@bFmBQDoSuBsBwF}ABVw@?cAl@J`@{AnBQc@m@PJpAqArAaBoFE_EaBfAq@_@OdBoB~Br@j@OlBs@aCUmJ{BiEgEy@i@hEkAMOoBjAyANqEWkAd@_AJsC_@k@}@RPwIsCu@Q\\W}EgFlAgB`AoHfRsDfCu@`FqBxA@e@y@IMrAqBWArDs@}@KpBx@p@S|CYNXbBl@l@b@UBpAn@j@h@cCVA~@zBh@a@VxAKtEc@KSqA{Aj@CfH}AlDuADuAaBuA_IkAwAg@_CkAGg@N[fAT|A}GrA]|CcAB[fDwBkA{@HIj@]o@Sj@^j@[p@]k@IVe@Q@}BYRac@mY@_EXP\\eAIeEp@KDeAj@O\\~@VUc@sAl@_A^uEl@y@~@b@n@nBlL~@d@w@b@t@l@KAwBo@kB\\{FiBq`@x@gE`A]lA{Bb@ig@O_CaCoCiDgJd@gcAsEwMyAsI_@_@M\\[e@ARKu@YDOg@GRkBoGc@sEu@@a@oAk@?yFoNyAfCoNo^qBcC{Au@iKrDiCsKmFsB`@sDeHyJ[kSu@cIa@Se@l@{C_@s@qCoP_AU\\_C[cBrB_CcF_@Ym@P[q@_ALSa@eAhAc@bCa@MM^_@_@S\\Ie@m@@]mAc@VWc@c@f@YgFqAyH_Bh@IWMh@y@i@[\\VV]~CM_@WXKi@Mb@L}AQl@_@oA[VWgDmA_@cB|Aw@aA?n@Kc@[h@a@kAd@oKx@sFQ}OpAqJjA_DoBmFIsEjAiQyBeLv@i@\\{A`@YAb@VAHeAc@m@HmAa@}Ae@]JyAMNCYE`@a@aAb@[?mA_@Gd@oAg@e@Tq@a@kDz@}DTLT]XhAXu@t@`@H_@NP`@[Cu@n@MT_Al@[gBoO`@{PIiOuCwKi@sM_AcC|AuT|Ba@dBeAdAeU}@yFCoQvF}PwDeNeE`A_Swo@Q_SnKq\\u@qRyGmWSaD{Oc{@_AGeBvBmDyHImIo@W{B^aBjFh@bGwAvLkCjDX`G{ChJkA|I`@`DeAdIo@jAeA\\mBjEiCAqA`AeCAaEdBq@sB_DsCgEyGcD_MKXu@a@Ed@MY?`AYHCYW^Y_AUN_@uCiAcCCoAYK_@zAu@_C[LIgA}DaCe@_CqB_DEyEg@aBo@H[q@sAhAeBgFy@zAEu@eAx@]lBIc@Uz@g@Lk@g@Q\\i@}BCd@i@u@Ur@_@IAy@MZIa@G`@[_@A\\iBoGOXY_@Mr@OIMzCf@`HPQYdBm@BKxAg@_@GZJeASp@[cAc@zAQm@Ef@SI?p@_@Fi@tBYGz@bCw@TPt@[xDUCLh@q@CIv@Iw@]xB[mAv@wAHoA}AaADaB[y@OXe@sBWXMu@oAESe@In@Ys@i@N]aBY`AYo@GzAw@qB{@Xa@qF_@M]f@i@w@m@wFqA_DeB_KKaC{Bb@Wb@oBgBo@Hi@m@_BKgEtCwBRaCjFyCmEq@@aDlDoE]wA~Eq@~Jb@dDnAdDA|E~@nFeABAj@u@m@AlFPYD^WPMWAfCi@CKn@i@{@QwBQd@[O@{@mAtE@v@b@Um@~C^LC|Bh@nCOhCl@z@g@jAXHUxA^TOrAX\\m@l@NMh@`AiA|Ee@_Be@BGiAc@v@@eAe@]UZ_AaAJvAw@MSp@\\W\\vAuA`@sEwE_A}Gy@g@_BW_A^wB`Ce@cA{@Ok@f@_AlCo@AW^?fDkAlI_A_Fg@T{A}@UlHwDnHCzMt@lKiBpDcAqB]z@a@Ek@_BkBpJWCUlAEe@g@lBIY[RMYM\\GSGjAgAiBE}AgA\\aAyH_AcA_KzPw@xGyBrAcGa@MeEuAmD?}A[GOdBs@@UnAm@G_@vAoANsB~BQnCuA`BiTjv@]{DeAZZuAQqAGhBa@Bg@yGQ~@[_@R|Am@TAgBGlBU^KOIv@MW[VIj@SuBYlAMqAQd@ISLaA_@t@DsBW`@Ka@PyAk@fBYuBS^YYDtBaAaAl@`Dk@O`@fAi@\\Ah@K[BnBy@^EjBQUCj@QWy@lDa@[Nw@URYyASIDfBGi@[Ra@{@AhASREe@AtAKQYj@Tx@Ql@USW`CWKBvAY\\Ik@uBlEe@WYxBkBuAb@uB{@eHb@aEBeQ}@gAiB`AyA]g@dAq@NiBmLkAh@qBq@a@gDmB}AmCu@oCp@mCfCsAO_AkCg@uGo@cAe@BsChCwBtM}Cr@sCzAqA`C]fDk@z@o@{AKaF_@X]wAIbBgAUk@jCCnCd@nCI`F{@lFMpJoAjA]OiCgH{@OsCtGw@vEpApCzAWdArA^cC|AtDj@lHgAfEf@dEn@lAC~BrAvIG|@q@TIh@GaACtBo@|@O`ByAr@T~F[fDZ\\c@rANbB]ZNrCuArFb@hFc@g@Gb@b@pAY`BNfC^Hm@~Bb@lCa@SGgAq@lEaAy@GjGWkA_@dDa@{@UzBi@sAu@rB]c@[v@i@ZSS]tEi@}BOvBm@[V~C[ZDxBy@tABvGi@~@VhB{AyFQ|CWDq@oAm@fGq@gBi@jGWCW~@M{Eg@kBu@a@@kBg@{AOj@WY?cBa@vB_@u@PhBs@iBViCk@lAu@i@G{Ed@IAcAk@He@tAg@gAq@dAc@SIuDXi@\\zARmHoCiEwA]GyFk@xBa@q@MqCf@}CaCsE]}Ec@[]vAU]TgC]oAiAPO]T}Es@_AS_BLwKdA_Ch@hAj@}DEaDa@MWrACqCw@{@ClAb@l@E\\a@GLlCi@pAm@ESlCo@eEUf@e@uAEfAUg@Ut@@mBI\\e@mAq@VHu@KX[s@kAxBKhDQMQtAUYEVs@McBaC[RYWm@vCcLlBsCtc@eJdb@UjLs@xAmBzAwCeK_C_BwAzBg@Ui@sCb@oFWy@DoIl@_Fu@wDL{Aa@m@Kv@IaC_@@E[Ij@N}AkAiF_@zBOyAIdAUc@BdA[eA@rAa@x@HoBYa@Sv@a@KC~@QcACnDSo@Il@SeAIhALwB[\\AgDYm@Sh@ISTu@OuCL`AP_ASmAc@ZTmA]iAq@bGQu@Kb@Kg@S^AtCLy@HRm@fB@dCO{@e@n@HfA[_@WtHLRR_@@t@g@f@Uc@GTQOMjEK_AMNY|G\\fAChDTB]f@ZnGk@]TnAc@LDhDSSBvBY\\d@pC]NArA\\Vw@b@ItAUqAT~B_@I_@~@ZzCg@w@SrGe@TRnAe@_BDlC[PTjBK\\k@WM~CYyDYBEfB[_C]rB{@UGtEwA~Ci@}B}EcIoKfb@eU`Sme@dA`Azh@oCrZeAtSKh_@\\jRnArP~BbMlDvJ|CbDzFnQVzNbAxMuChhB}IhTmAvE{CvUuAvX?pRzAzc@|C~[nAfHvAxDp[lf@`HhGfCjItBfDfBrAdEv@pGnEtHjBbLdFbJ`FpCrDnClEfErLjD|SvBfHxClZhAnFbC|EhDhCzClFdHdIvItGbHjApF}@jEoD|E_IhDeM~IcCba@zwA`MmIrDjBDb@Ra@TtA|@Pl@rIbAhBp@bDp@D\\f@|A~H~Ab@x@{E`@Jf@nC^q@|@TTkJMWW`@k@}Af@qCVF[_CVR`@oADoC\\Or@aEUgDUJl@u@S_Fn@AEiBzB`BPcAa@qBt@u@\\LVtBNeAZV\\UhAyFd@@NaEb@Yl@Vp@dCr@_@n@zD~@DNvAZMf@lAr@GFv@p@H`ArAv@J@`A|@j@Pv@fAI\\gAz@t@B]nA_@DaAHb@Ha@T\\p@WRb@nAVbAgANVd@WrAyCm@kF\\oKwA_Ix@}EKoBn@qBv@\\NzBZR\\cAd@Lh@fBTuAb@BB_Dz@yD\\_@\\t@bAFfAvBw@rIl@z@]xEt@bCnAeBv@bBdAgAiAqMdAIzA_AhD`Dx@pR`@Jd@kBT?R`Dx@FIvBtAxA|A`GI~BfBlEX~Cf@gAd@Vb@oAr@nAHxCj@zAjA_ApAGFm@rAERX~@tDRfEv@|BFnIh@IPfA@hFbAN\\|Aj@mAXTKtGl@pBdAb@HhBXDNlPrAbBb@`Dz@Z\\dAXzIzBpFQtDRZPS|@tDrBh@Pd@TQN|BdAM~AuCv@bAiAvGPv@v@h@~AjEf@Gn@`AX]FnATm@fAnDnA`@l@tBdAaF\\`C~A`C`@{Bb@TPzFZ\\UlAF~CZVSpBr@|@lAlKp@jAJ`EpB`JN~Db@g@LpBn@?dAlFd@_Ap@bCA`BdFxHrBxAtBlFb@Z`ASK_Cr@NL[z@rANrALa@~@VAhHVx@bAr@h@Sn@Z`@dDhB`BWrGrAbAFj@V[hAt@TvFm@h@_CzHc@N[i@c@FSp@Y~Kt@jAEbBr@pD~@m@nBjBP~ETVb@QNn@_@jBdAnCLS`@j@LSNz@Ta@p@~ACdBb@?^s@Jh@f@Sd@Zr@{AHgBp@w@\\`@DhFb@SlAnB~AZ`BzDCkGj@Nx@mBZKn@dALY\\JT}@dAv@Lr@l@AfCrAx@uC`@Xh@uAv@c@ZcHf@Xt@k@zAhCt@TXWnA~AfB~Hl@@l@g@nB|Az@ON\\l@Oj@VTUrCtBV[rC`@`@|@bAGl@nApBr@bAdCb@}Bf@|Ax@HhCwAF`AxAv@J]Z`AtBgAdAbEPa@fBjAxAg@NkC`A}@PsDdA}Aj@d@bERb@d@PlBR{@^d@f@qA`ALVmAt@`@v@{AlAx@f@wEEgDpEx@p@n@VkA~@JrAzATjBn@j@d@c@f@Nl@|AdBXv@tAfBCR_AjAGNX`B[Jy@|Ak@fAhDt@@pAtCpAVd@Sv@_EzBjCh@OPTfAxEY`ARtBzDfE`@rKl@?KplBt@VaBvYdAXGtArC|@o@vJtNlEmBz[lH`DiBn[xHvCa@jHhHpCuFxcAlHzB]jHgAhRmHuBoB|`@nH~BkAnVbHjCgBh\\zQnFlAyVvCx@t@gM~Bj@XGFiA`GjBpA{FfAef@K}QiC_BBa@~ByFvCeDtCqA`PvB~Ax@]dH`N|DnElGn@EbJ{H^{CW_ETDj@qIcAnA{@sAnCwDSkBbAaAh@x@~@Nz@|DlAb@rC{Ax@B~@}@bAcERTl@SlAtG`A~AbAw@jB|BxFiDpB\\x@oAf@CJq@^TfAsBz@h@|A~CpBsF^l@`@yBpARh@U\\uA|E{GpAzAvAgBtB@H`@dAgAfAh@Cl@fAuA?xAn@jBfAOBZt@yCRtCTMNd@?jBR_@b@RUgBp@[h@r@Pw@[GE{CR}@f@Db@r@l@cGf@@Ng@`AjDAfBl@dAJy@r@r@`@Ix@yCKsEj@JDg@ZCt@x@`@uAjAdAt@sAPl@hABDt@x@c@ToBTo@b@?PsArB|De@nFXdCzBLt@|AzCXtBdCCzBkB|CWlBj@z@BkA`@p@f@g@@u@pAF?gAlA@?a@p@dBbA[Kr@x@CEiFmAkFtBrAWi@Z]AaAhAILeDx@@~AkBq@iD`Dc@z@u@`Ad@r@SHmB^v@TOLZPY^Z@pBXOh@pDVEFlBhAt@hB~CzB~@fApAHpAoA`Gt@Dz@nAZg@NdFjADDa@d@?R_Ez@{@k@c@Zy@j@fAHkGbAbBbAa@{@sDl@[v@~AFc@u@}@?aCn@Vb@{An@SXaBq@g@l@o@J^VQLdATQLbA`@MNz@l@T|@xBBjATCPdAb@?Qv@f@jAlAi@Px@`@g@TfBr@p@VMj@hAJ]bAQUbAf@hAd@lGz@@HX\\SUXp@lCfAs@XT_@zJv@`CRgAd@t@LhLpBMNcEl@MLo@z@b@GqAl@AEmB|AkEt@?d@oAd@LbAyAw@_EtDvBHoAh@^tAs@`Bf@f@tAJaAT|Ah@QCh@jBhDPa@V`@@pAl@UnAb@h@c@Vh@\\SFh@f@u@ZvAd@u@n@|@XiATd@h@_At@XFg@XXr@g@Dl@^[PXnD{AjBF`AeAp@jDjAZd@~@u@j@y@vBqB??xBUw@]b@@fAt@x@f@xEo@?Ek@cAYKhBiAd@[nBo@Cg@j@UmBPWR`@@iBEm@o@rATaCYsAg@n@k@mAy@pCeAr@bA`Ct@mAJdBb@CBZUvC{@yBYbAJpC}AhHj@dCu@p@`CdDSvD`@fD\\Zl@sAvAl@h@Yj@f@IjAn@Tv@uAs@Q\\K_@g@jCQNcE`@SnAlDnAz@Hq@h@Fc@w@bCPV`AhElAzAzBx@Ad@j@|@ON|@bExAVh@[jCjA?h@f@LkAt@h@fA_Cd@^l@SJuBfDlAIz@h@k@zAMBxAdCS`@jCr@YEoDjAJE~EzFNC|Ah@HGlE~AlAhAPUvFnCUFqAdHtALtEgAHHpDxAODtBn@ER_AbAMOzBtBQCy@b@EAi@~@a@Ac@dA@?tC|BV@rDt@s@`FU?kBvHlC`DhJ?bC~@Qz@r@BxD`AbAz@rD","csuB}qdBFgA^QIl@GFECGb@","iegB}~dBgBo@VeC`Bx@Jm@JF","sqmBedhBOmAg@MVwDoAaAb@O@sCfBtGDnE","ahlB{aiCMuAHcBp@??dA","{klBgciCe@}@[?@eC`A@v@\\HbC","ybmBaeiCMMJ]YOHiAv@V?r@e@j@","iamBuuiChA}BUS}@tB","y}lBq`jCA_COCKSAvC"],"America/Iqaluit":["kd`Cz_eDrAE|@mNzb@oj@?icBfb@yw@~}@i~Al}@TleDnuHhvH?BaEfAiFGsLVs@aByM@kGl@aDwAoKtA}Gz@}AToCmBfCBcBfBsIHaD[f@r@gDU}EVgD_AoJjCiDd@{Bq@iDg@Ec@dAWwAXAdC{HFkA_@LNt@q@RGaAlEuJqA?Eo@UBWz@u@Vb@e@]?Fa@|@k@QS`@eA`BKp@|@|Du@v@m@^~@f@yAhDa@nAX~@vA~B~@tHjAdD|BxBf@BbA^s@tDHhBe@tHaJrM}E`BAlBlBtElAlC[~AiAxKoBvCvGpEnAfCCD\\^_@B`@Jy@`ACfAs@l@yC^HGkBvE_IrCgA~AuAjBaF|F_Hv@yCz@WhBf@vAmAj@|A\\CNqBz@gADfA^sBx@\\xA{AXd@~D{OUuCd@K?_Af@Qb@uBxCoBx@mA`@oBQy@x@K?eAfAm@CkAm@KpAH\\iAz@[xBsCpHiBbD_DfD@tA_BjA{GPiGnA{E~CiFTwDoEiE{@FaA`BwAUUi@fA@YWf@m@eCD[_Cy@gAy@DLyBo@GoBl@}A_F_AgBSJ_@e@QcBn@w@CyBdBn@bBCd@aDQmCjCcF`Iy@dAiAiAUgAeAeBp@{DaGu@~Bs@WgATw@m@DhAmAnAO|A_@`@{@GWbBeALI~@g@XgAkCL{AaAuCiAe@En@KQq@h@Qz@cAsAYiC]??wBs@i@q@^dAaEe@|BwAl@K}BUQ[b@q@aDcAEsAcA_ARBp@q@a@OqA]JDlB[q@k@Rw@mBaAKAbAOaAWpAOq@}@GQbAc@Ak@iAe@f@LdAc@BMg@w@jATlDk@{@IbAf@hAUZQq@KjA[Wd@jAu@UBu@k@m@Cv@YYAe@AbAKe@Il@k@e@b@`B_@JEWBdBi@{C@~@aAqAP`Dg@^BaBc@OCx@Wq@OfEmAqA\\sABv@Lm@Ec@S`@WIVu@QVBsBAx@[i@Kt@a@a@Vn@OdB_@_BgBuBn@rC@rBMW@`@]?b@jAe@]Q`Ao@[MlA{AmDHcBUAAtBg@_B?|Ba@{BNfBk@Dd@rAEcALl@Fk@PX?|B[o@HrAOO[dB[KEcAOdAg@}B]`AN~@}AsAJn@]q@At@c@mAId@e@q@KrAq@}BUCCbA_@sAUbBs@qAEvAM}@C`Cm@oAQ\\_@YAlAk@u@?l@SeA?\\{@e@UZM}BFlDWHC][f@b@nCaAqCQzAf@~@KQOh@UcABzAYb@Iu@Oj@Mc@]|A}@uCCyBGv@SUWd@B}Af@]a@oD_@lDMa@M\\UYUx@h@nACzAqAq@@}@f@p@y@wAO|BIkAYz@UoBaAxDFuBWhBUeCSxBGg@g@l@@q@u@i@O|Au@{DVeAg@s@WfGy@p@Tc@m@MSnBYcDb@kBWy@Q`CYm@]ZAg@?h@h@?_AfHZeF_@bCEyC[NEhCMkBIj@Ge@SXHkD[a@[fCYEN|Bg@e@ElAOqAMpAAgAA|BYUM|Ac@Y`@w@M{Ce@Bu@nBq@qBCrFNhADa@TL@~AOMC`@_@}A_@|@c@C`@HXtAG`E_@iAY@]sCIb@Ue@[pGQ_@I`@QqBHdCY]CTEg@Mj@MSLzBM[U`@a@kAMjAG{@Yz@YQ?dAy@w@Sl@CsAQrAU{@Of@Im@i@f@?vAEuAm@v@Su@G~ASiADl@e@]Kj@Qe@WvCc@{@^h@BsAgAkABxA]NQi@QLb@nAc@k@FnA[u@E^Hn@D_@PLFhBq@WZnFs@YXc@aC{EcAmGq@kAb@Zm@uCJ{AmAcFeAmNi@qAc@FWiBWBa@uBHaCs@mBu@kGg@aASJeBwMcD{F}DiPmAcCEiBcEqFq@aBNPg@aD_EiG_AgDKZO{@i@M}@gDUHUaAoAcA[cBkBmA?v@^FfAnDyCqEGu@GTkCeD@_AK`@kDaE_@gBmC_A_@kC}@iAmAGwByAc@b@q@e@Gz@QoBeATcBiCmB[M^{@_As@XiBi@c@bAo@Qa@Va@]i@`@qAo@K\\qAe@aGL[c@C`@sE^]Q[r@gB@k@]o@f@sCq@sA`AaBQ_BjAKSkCfAESq@`AoALOf@g@s@?dA}@Cm@`CQe@]x@wAXcEfDWw@m@f@Gs@w@fBwCtAS`AiAdAAY]j@SSo@lBu@CSbAgAR_@rBQs@CfAUZ@g@Sf@Am@Y`BQeBYjCaCdFSxBYKy@zAi@vDGaDw@~Be@Y[b@Gt@aAsB?l@WGEi@Ez@nBlA@t@Ox@Q{@EfB}@~AKnC_AxBUlCMo@YpFiArDY?FgCi@fB[?CbBY[k@N\\TWlAVAE|@O_@gA`DKe@Q`AcByA\\`@Mj@]GEnAt@}B`@x@@zAVkAA`Bm@DOd@YODh@wAv@DZZQQd@w@mCJhEISSjAM]EhAlA_BJh@P]J\\Xe@McAhA_BM|CgAnBEg@Qh@sAVYnDk@a@S~@v@iEUHB_@c@z@Ph@i@JESEj@JaCa@b@Ya@Kh@MUu@vBa@G?x@e@y@D]XM@n@r@w@Us@d@_Cv@GFjAn@wFSBItBKwBKv@a@EXNQf@USJdA}@~@?z@]BXTU|@FaAYb@UKA^Cm@K^M_@Gb@MYa@Nb@Za@BKh@c@K[b@g@]Cp@k@GDs@}@[^}@|Ah@Yk@Lu@zA|@[eAu@FWk@Av@Qo@OR\\eAD\\YoAFs@PHq@iAQ}BDtA_@??h@{@gAMcAmC|@Wu@d@ULqBeCx@Hw@f@PVg@UJU_AHkEYfBe@q@Dl@ZMDlAUk@w@`B_@EFeC[x@G[Q\\Ou@S|@Cs@c@BTs@u@{AXmAQ|@Ee@r@cCk@GR}@_@Y@~C[GA~@CcA]CNgB\\JBe@]JAe@OlAS_ARs@c@aBy@zCE_B|@yASJ?]Sh@Gq@MhASOh@mAa@cAMlAa@{@k@hCHeDUUd@k@c@PQ~@QsC^sBQ`@QQe@fCNQOt@XAa@vBMsC@fG\\`AQt@DRJu@AnAHm@X`@g@l@Qw@KX[i@T_BWy@eAlCAo@e@n@?s@G^YSi@wGa@f@@s@I\\H_BWnA_@_@Gr@We@KZU}ANvAOVIs@]ZDlAe@UiAzAO}Bi@zAT_BWeAl@?`@eA]c@TSKiAVx@FeATFWaA[j@g@EToCe@g@PwAa@fDm@d@?WUXQQBsAj@a@W?KoAk@^LUe@u@`@[k@QLe@[c@XwAOqBQUKbDm@yB?hB_@S_@vAE]aAr@i@bCT{BSg@TUq@VBVP[EnAc@aD@rCU]Xk@[NKe@R{AUU_@v@B_A]KZ]_@GJkAYNLfAc@jBWiCRy@o@[WgAZpF`@f@KlAq@`AGu@O^?bAN]J^S^t@@c@rAAb@b@B{@bGSJD_Ba@h@C_@Qb@GU[PUkCTsAMSUTTcCmAnEsAjAAiFQfBc@h@?c@Cd@G_Ac@vAEY@|AWF@sBMv@Ce@]d@XfAe@d@Mi@m@FKrBY_@m@^HnBUh@Oa@K|B_@q@El@g@}AKXCuAk@r@Ry@_@BKeA_@\\]uDULMq@m@ZCiGf@mCoAnGd@dImAhBUjCMQ[\\?Uo@tAi@E_A{Fc@ME\\YkAC`@[a@o@kCX~Bg@eBB`Bx@pF{A{Gr@vFiC{N[O`EzX{@cEBbCs@wAn@xGSWOdFk@e@~@pHu@mBRhBa@iBNhBoAsAE`@mCkFKV[iBg@OJq@SRGw@k@E{@sCGTFk@a@RQeD_AF}@MFUOZu@EeAuAL_A]f@I[^_Ba@LOWg@^c@pCHsA[NU]i@t@o@]Gd@i@}ALzAc@[Y`@SUD\\_@k@Ct@m@EKXG_@m@fAy@EC{AZTXmBd@XNyBF\\Lm@TJHj@AcBYcAu@rEe@g@[ZAg@Ox@N_Ek@oCcAnHY]_@j@R}BYLAs@SV?aARiCx@aA@g@[HPu@i@dBEe@ITg@fHUe@JcCQ|@I_@a@D\\`@?tF}@Pm@bBK[s@h@SQRtHg@lBMPOS[v@Q]kAn@[WIz@MWcClBcBa@EXcCt@Mz@i@TW]qDT_Ax@g@y@Ah@UOUTq@u@{@b@eBuATr@z@`@?t@Ow@qAc@DaBSGEvA_@eAaA[AeBd@RKZTq@kAaAU{CpAjBu@_AGgBu@tAe@UIa@p@gAk@d@EyBaAwBEeB}A_B]yC\\i@i@Oi@cBu@M@oDnBg@cAcATmASg@f@aHz@Ss@o@@cBdAk@eAG\\c@[IKqE~@z@u@aC|@Jd@a@u@D]g@Z_@WgBPmA^L?uBj@OY{@TcAT|@bAGo@_@AiAdAaA{@BIo@j@{@WKBeAn@wAUyAr@gBWaAj@oBf@_H`@a@t@p@k@uD^SbATaAu@]eBxA_HTaHp@cEnEhSRcAJyCe@h@a@UDmBk@yAC}Ai@Qg@cEiBmClAeAJyAWx@iAHSoChA_M`@WvAj@iBeCd@cH~@gC|@T[qA|@qC^Ip@|@u@cBnAiDRkETp@D{@Gw@B~@UIe@`Ag@lD{BhE[{@_AWXwP[iCw@_AXOS}@QJUs@[Pm@yCZ}@{@eDMsDYUI`@?i@kDaG]}IhAoBRPHu@h@b@?oAd@w@PLSqDPo@p@Ri@gC|AkCZqFdACTh@DeAhB}CLsAl@DFsCRe@Dv@VqEP^L}@f@rCP}Cc@cB\\y@k@LSyA~@sGx@YHb@RWLzBLgDRpA|@_AKdAf@{A^d@?q@Lb@HW^dEz@u@r@\\tC`GyBoHvAMZ{@ZHx@i@qAKi@v@eAC[^]g@w@CYqAt@yAA_Bt@y@l@sMh@{@\\?Db@pAoDRvHP{DJvAVRBg@XDEiBk@aALsARG@f@@{Aj@wAfATVkA~A`AEbAz@Z]pFTlC\\Cb@r@d@Og@E{@yCh@mCSsHwA_@e@kAcAFOjAOWXgGj@CWgA^CQm@b@cABeCnAyDp@LXiA\\d@OvC`@_@^xMPqBb@OJu@RxBt@cEr@dHb@CB\\EuDFYFl@XeEY_C\\mBEfCNu@FRUtAv@w@NlCo@bL|@gHb@jBOcFD}@Tf@Te@BiAItE`@qBj@xAOzAf@`@WiAjAmJPQNt@pA|@RSk@Y_@uBnASf@tAGwDQMYpAw@?KeDdABFZDc@TNJyBv@~Ab@FCq@_@NUaAp@TLs@o@Gc@m@AcBX]a@wBv@@KgAf@h@z@mAu@^q@g@Bc@RNGgAb@?e@oCNkBXEAeB\\m@`BdANSaAc@Pg@YJG]`@w@Uw@^kAh@B[i@N]~AmAsCxAQMAy@`@R[{@j@?Y_@ZQFuAbAdAFi@o@iAv@}@Y[^}AmAn@NmAMLCa@QXWq@t@aAb@?P_@UQf@a@_@[_Bl@|@gCcB|A@u@fA{AcA\\HoAe@EN_CdAMk@cATGi@w@AiAx@\\OkA^Ap@pAz@XVwAt@EUe@hAYNZt@c@b@dCTqDRp@Rg@`@HWwCXPGo@fAsCGg@sB{ATnAv@n@St@YIa@sC}@k@Fq@y@iANeAb@l@d@YQiAXKUm@VIWw@kAIu@bBm@c@k@b@Sq@_@r@OkBy@d@OuAa@LZkF`F{B|@wBrA`@lCu@vClNr@P\\xCr@k@j@TTi@t@@h@kAjArCh@lEr@YtAsCfAtAh@eBpAqAjBbDvAsEzBaEvBbAxAqAfG~AHv@`BDjAaGnBpBhC@nA`CfA_GxA^t@x@hAxEvAjAfDmChC?f@]{@kGb@{Dr@k@]oCl@yAZAd@|@`A_B~@`@bAvDKnGf@|@j@UPcA}@aKr@qDfBOjAaC|@f@lB~DxAw@PsJh@mC}@{DP_K`D}MzAgCf@KhAx@pAHVm@zCaBpAoHq@wFpDeE~AJ`Av@z@m@]uB{CyATsDv@_A|@OhCp@tAGl@}@^yCwCuOaDuGu@mE@iCeCoBKu@vAgDmAeBTuFeAFgJaG[aD[OaCv@oAqAYsBAeQkBsEsAiAl@n@UpBm@j@_@eD^}@QOaDOgH}Fe@zAw@Zs@SwHcOSTm@uCkEqDsAn@gCdEmBCoDqEiDoJ_@Q?k@sDsDaBMaA_CgCqCCaAqBq@e@n@[IiBcFyBJn@mMtA{EiA`@_AuAOyG_EgSiG|DcFjB{a@|HuImJiCcAyBVaMfH_W}L}\\yi@_BmAaKgDqa@`LmKv@}XjR}IpIc^abAeBcC}U}QcVkq@kDiCqRqIySu[_QwMiCk@oExAeBzBgOzY}Lf[sG`[}Dvc@oPnn@}Tlr@gDzQ}Gnj@wPll@gg@^yWbTmHjHuCxAqDZkAh@{D~EmIpS{AnGsOpYuDfKyBdKoC|YsFpXcDda@kMhw@{CpLaGbJmEhKcDtMkDrZy@bQkCrVqA~f@kA~KwP~c@mIl]uA`M{A~AmAIkAd@cClEqBbK}@vLuLxTmACiAj@_BhCmAnEuBRiB|B_DzMoIrMyAnG_AzJeCxCyC|J{KvkAAt_Ad@vOW`E_i@hFmHc_@_EkO_BmDmA_AgAEqQtHmDkBeCrAwZ_h@uAq@wJU_U_XyAgHiBqD_CgOeEoIyE{@}BuAeADoAjAcA`C{CbCqAzCiRpHmAeEeC{E{We{BsEiRgA_CgA{@{L{`@aMwXg@kEcOq^uS|NeBfDwNibAiFgu@iAmd@oFok@mAgGmHeVuSa|@qMsVyS}jAoCyh@IVMYAiJc\\eaCcPgy@kQgcA{TmfCcDaVo@W_BLcFdLcC`OqQxbBsGdv@wEriB_BxxBkIviEP`}BgAbgDjBddEzHtnE~TtnG","_fcB~byCg@KIKAQDOFCNDNNNXAH"],"Antarctica/Troll":["~}fD??oyo@_db@??nyo@"],"Antarctica/Mawson":["~}fDoljB?g}j@_db@?_yFf}j@"],"Asia/Yakutsk":["o{aCeamE^}Al@BdBcHc@}HXXf@Sn@eIYo@JuAd@c@\\PnBvE\\w@PoCc@iA?sDt@r@d@jBJc@\\Hh@i@t@sDhApArAcAXf@\\YRPjAcDVO^h@r@{@lA|CH~BrBzCZOh@n@p@mAXj@^g@^VPYF^Jg@X|@j@[\\ZdBeEKiGl@y@`@ZTs@PHRmB`@j@TwAnAy@ZkAj@x@xALJh@vA_AHj@n@Yx@fAv@uALtAr@d@b@q@Lb@Jm@Nj@V[X`BX}@b@`@fBwMNpALwD\\a@r@p@h@MbAsOdAx@z@xCXHL[vAjBc@vKXLBxBlA|@n@zClCLt@aER~Ac@dCpBzDt@LTnFnAx@l@fBFdDr@tCp@CZi@h@aE`@NpBiB`AwDFbHKVQS@x@y@]MZ^hFv@u@f@LD}@\\BNm@HrBg@bAVtAX[~@pAr@P\\m@b@n@p@yAr@WPrDq@lBXxAlAiCnArAf@K?kAbAeAf@IXfAj@AS}E\\gAmBgF`@qAt@_@XoBx@`@PrAb@YX}D}@qCNoBa@kBGwJ_@aA_BfAe@w@XsC|@Yf@sAnBw@DmDc@wDbAyA|@sGZHHYPmHvAU|@qBNaB[}Cq@uASaHz@}Cj@Rv@kHpAgB[iBj@OGeDw@BgAeAcAiEd@uIq@_Bw@JTgEr@s@ZXVeCj@zBh@@b@{Cb@zATWv@vAz@sDd@Zd@a@|@uFh@u@d@d@N[`@NLl@\\M`@n@@y@`@Zn@qCf@GJdBl@f@f@lB?x@s@z@r@nFk@zDe@\\^bDRd@^Wf@RjDS|ApCQbBd@dB|@a@f@Js@e\\j@gBO_DlAaGDoLfA{DT[R^Ja@t@Dp@oCp@?pA{BL|@`@FGqFhAo@Np@d@o@`AXDeArAy@JbAd@NfA_@JaAd@r@NgAz@nABuBX~@l@e@\\`AHsAXVZYDvALaCxAbBbAwAd@?EeBj@uBh@PbAkBN`@NQ~@lId@Cr@|A^q@l@h@Ng@XLl@dE`BRLg@V`Gl@RH{@b@V`@yA\\`@v@oAf@yD`B[I}Bq@yAf@eFCeNh@_@Nl@fAb@RcCv@r@d@kCjBzChCgDt@XFhAdBvDXy@Rb@z@LXjAh@RCjBZa@RnBVRVWTxAjAjAXdCp@C~@eAn@hAr@g@Dn@H_B~@j@j@EV_Bz@i@H{BpAdABiBtEsFTb@n@KfAbBx@eB`AtAz@^\\YlAjBd@uDC_HhAgFjBs@pBsDGkEmAsDv@iEf@o@t@j@dAu@bB~Bd@]z@`@p@~BVXTOb@rBtB|Ab@lAbAZrAwAZp@rAo@n@Rf@bB[lCX|ER_Bd@TTmAj@Rn@]XvDZUhAdAv@nCvAtAh@{Al@Fr@bBFlBVBb@qAh@bD\\T`@u@z@Bp@`ANnBp@OVv@|@Sb@r@v@AJo@tAl@Dk@j@N@{Ab@OlAzClBXJfBrB{A~@fEl@RhBzC|AAV_@d@PNcB\\SdDxGn@RZhBdAHvAbDfAgEtAhCEtAlAeAf@x@t@sHEsE^n@l@S\\Zb@uBpA|@DsBh@_@H_BrAMf@j@h@Il@w@y@qACoAjB{@`AmBX@cAwIl@iALqFZa@]yFcAsAu@sCPyDwAaBw@Vg@uCuAlBSy@UD[aCy@HcAkDPsGZGXwD`@_ATFK{Bc@s@YJCy@jAs@`@iCEy@kAaAEgAWf@i@{@UiDDcF~@[|@kGuCuGL{BYkBp@yAkAaAo@^qB{F}@MsAiDiAs@m@qCLm@hAb@vBsBjBbCNw@x@g@bAbBO{D}@qDL_B[c@VyAd@ESw@XkBtAl@Gz@hA|D`BhA|@FNb@`Co@v@bAr@s@b@r@b@u@f@`@bBMLRt@iA?qA{AkAQaAa@Xy@i@{BlDkB{DL]p@r@v@YCgGEYqABaAkBDgCi@QWcB`@oAGcBq@oAb@_BiAeDz@iDaAmBWO]X{@iEu@]Pi@a@i@w@p@qAmCu@fEm@@mBgCCu@e@KiAeD}@N]i@cAhAeAgFZgBWgAm@{Bu@s@MVKeEu@gAUL_AyC\\sC}AuCwAEe@}BeAK_@m@cDyNcAZYfCcAKYaB_Be@k@qDs@DUwA[{Ed@i@?_DeBkFw@Qg@yAi@Fi@uA]Pq@iASr@iAl@{@{Ac@mCQUg@To@{Dl@uBKeBe@uAaAyMJgCp@GIwEVUXt@JuAlA]_@kDX_Dr@cDfAa@_@sEVs@l@QF}@e@}IN}BfA}@~@Ch@`@XiHfAe@vAyHtALb@wBfAo@jBl@h@yGk@kBM_D`AeDVQJ`@`AhOjBlCbBuDG_Gp@^lAe@h@h@\\q@p@H|@hBfA}@t@vBf@[n@~At@aDj@q@d@Jx@iA[aBZ_BWsE~@{A\\oCGs@y@X}@_Co@}FnFcBa@_BVqAu@Wi@yAqA|@eAwDqAFs@q@b@u@a@uAFqE]i@z@yD~Di@Xs@n@aHhAoBSq@h@wANeEXOt@`@j@]r@Zx@qDXxA~@QGlAb@x@pC~BTe@lBk@fAIn@f@L{FZe@nC_Ab@l@MxC`An@f@O|@{CtAmAfBdAtAm@bAx@bAJn@p@M~@b@\\j@iAFyBN[b@DLo@Q}B`@qAbAq@VmEv@UbCp@jBvA|@a@VmAp@g@xBj@~BqA^gAd@nAx@MZ^fBqAnCbBFr@PYbAFRp@`AUf@^x@a@f@j@x@F^nAtAe@N{EtBAPt@j@u@lAUbAlAbA}@\\cBsCeB_@Di@oBIuDb@i@D{B|Bn@L`AjA|Az@m@z@b@`BeA`AkEnBmBPVRk@`@Xj@[vBqDrAjDrBbAl@i@d@JvA}CFcFlBo@fAeBJn@`@I`@d@t@bFx@Lh@pAj@@p@sAA_DhAGEeDZa@|AlCpAXXcAb@C\\uDp@R~@_AM}Gf@w@Me@r@gDe@SBg@`@aA^z@^SP`Ab@IhAqDBeCn@v@l@u@x@cHj@EHjAVOTn@RnIt@p@]fBP~BzApBHbD|AFhDcE`@\\\\e@bARl@rAj@mAzADOqAyB}C`@}EhAPNaCYoCuABDeD[_ARwAgAm@SqFiAaB_@qBXsCs@}@bAmBGuCw@gDhEeCvBn@hCaEvCxAj@k@xBFxAwAhDd@CoAx@iAFmB}@ONqDmAsCkBkAMaCe@o@j@mCQqBjAEnAsAr@APyAvBPXc@vBlAJ]lBQbAxA~@c@ZZt@aAFsBn@r@@x@pBbCx@gAjATfBi@|@fBJlBr@LrAjBxBxFfADbAn@l@w@XFAeAkAy@CsBqAsFtBHVgAt@@rB`BBeAl@]tBRh@aEv@GlAiEdA[hAd@FhEv@fDQvBy@Q}@vCtAvF|AbAd@mBj@NdAwAtBbARi@x@KNmAbA`BNvCpAv@hA_@Tu@n@Xh@mB~B_C{@cATkA|A[`DiDt@n@\\W\\Pb@e@r@R?s@j@YhBb@`@UZd@|AcBh@h@zB_El@k@f@N\\s@iA}AHiDiAeD@m@`As@n@kBi@kINkMeBsMPyCgBkDU_Bt@aJjAaAQk@m@n@u@u@\\wAhAt@N_@Qo@wAg@@oA\\mAlAcAVmJdBeE~@{@AiBfBaBw@kGzAwCjCsATqAbAcAh@}ORW~@NN_FvAkAUiAyAh@_@a@q@aDOkJrB_HdBaKzAYaAaEtCgCl@kCZb@|@@l@dClBQgAiEB}BnGiGmAcCv@wCXE`@jCtBq@N~Cl@h@t@AvAaBDs@u@{@`CwF^SfBb@G}CzCyCpAAb@z@bAo@R_Ed@FKz@nAjDbATvC{NxDlATxC~Ao@bAHtBaD|E_D^mAn@C`@aCdATvAi@lA~Bz@mAnAcGvCtBb@Ad@eAN_Db@e@t@Qf@^AbCZv@pAB`@Yr@gA@mA_@_@kB|Ae@wCZ_AhFdDbHo@fAgCvBwBn@wBdI}Fx@eCjAd@tAKrD_D~@Xb@tAjBp@fAyCjABjAbAl@BbBoBbBaMpDh@lDdDzAXpASjAsAdF^x@_Af@wElEk@xA{DdAu@Z}Dm@oBnAwCh@{G{@qCn@kDaB}AWsInAgIy@YCm@\\uAv@KhAlBz@FTcBa@sCv@{BFmB|@uAnC}ADgBkAaBUeBtAeDHuA]q@eAVu@]YcB`@mCt@gAvEk@ZqA]}Et@aAxCi@RyCb@c@vATh@qCdBNbAsEhA}@lBaFpB{CwAcLvAuAJsAw@yDeAk@{@_E[Ja@mAZU{@oCp@qGKwAyBv@iKwDUsA\\iBs@iC?c@f@Sw@cBLiCmGiCiAmA_An@gB]kAXk@c@uAZk@bBaAZPjCkAn@o@_AYcCVmA[c@g@YwAjB_AmAgAB_Ai@iAxA?|@aAvBe@gAyBKWbAc@Ma@t@aAg@aAJWgCmAxAsAQ}@bE]Oe@j@qAUY^v@zBKfCyCvAX|A_@vBhAb@fA~BkA\\c@SaAxBw@E_@kBgD}Dg@z@mAX}@lCb@`EOrAPd@nAVFf@eC|Ck@uBu@OKz@c@NeDkEgAUu@_EBlAqBnAM|AmAOaAaALmAi@yEsBk@o@Ni@UO_Ag@DIy@}B[w@eCT_C{@q@Cq@kA@iA{@i@iCImAbBsCOmBsAKkBv@oACq@nAkABaBjAmBAe@aBm@lAr@uKc@c@_@{HsB}CXaEcAyAk@aC|@_AQg@_AWy@qDL{@`A]Im@uAoBEoBeAgBg@~@sA@{@l@CyCn@u@Cm@o@YiAZ{BgBImCMl@eAcDHuBoAoBg@@dAoFi@qAL}A][h@kBs@sA^gAw@aA\\}Aa@mCe@Eq@aBAyAo@SyA`Aa@tBeAt@qAIyA~Ci@Im@_BQPe@m@u@\\UnAyAA[b@eCgAtAwMh@UFsCrBmFOaFj@iAz@[BoCc@SS}AnAcBC}@h@i@aAcCpBwGa@_DXeEv@e@PkA?mBeA}AmALEjA{@YQZYq@k@@WoAqAUHaCg@YwCd@ElDo@N_@q@k@Ae@rBs@Ek@d@c@qAk@SWzAwCiEu@WMy@c@JoAqA@wBs@{@gBhBw@mAa@n@a@_CeBaAa@pB[H]g@URi@hDk@Se@Vi@g@GmBf@g@i@mAeAjA]vCo@g@S^AvCuATy@vDw@Fy@rBTvEdBZm@dAt@lDf@b@]`@Lv@j@l@Ax@^Ol@f@a@`DtA^`@jHeAxCTlB{@r@p@bDgC|C[vBtAtCSzCtAfBpAhIz@pAnAMh@rANi@v@JEtEZNPlBa@h@AdB\\`@Zg@j@?f@hBa@lCr@lCk@rAz@lH[b@LxDeAnFz@z@JzEe@bAf@rAf@BLf@fADd@p@AbAk@f@r@zBk@d@I`BaA[YRo@i@IfAg@Tn@hDVbKZd@[fCoAcAYsAsB_@m@l@e@Wo@r@{AUIf@aA@u@`Ac@o@WRu@]Up@o@cAeA|AoAj@sAo@g@B_@r@q@hEYFLzBm@|APpAk@lBVp@]fCdBdFo@dBeBE?tEQp@}@PUn@h@dE{@lCh@tCoAlBmAyAg@_CmG]_B{Ba@}BUNo@iAeAGQiBg@JYg@Z}C}@sAm@cDVaAl@CXyBmAaBKiAc@Z[u@iB]c@s@_ANoAu@Fi@i@Fq@k@]rAgCf@m@gFmAaAmAuCKwH{@Oi@uBj@a@EiAq@GYyBw@c@c@iB}@YZiBc@c@B}AqAoCu@ASaBc@AYu@c@jFuAeFF_Ju@gIKQWd@]m@g@lAUUGfAQy@]jB_@UH_AW^OSJr@c@CCr@m@o@ToF[qBXsCyAmAi@sAmBZN}DaAkBi@_Hc@LSx@s@xImBjBU~AeAj@w@aBg@z@g@I_BdEiAJApB_AvB?`JdAtAExBXQd@XeApJPx@zABStAh@dCOx@o@D_@v@LhBg@|Cp@vAx@^sAhDR`BXWV|@GjB\\fAuAjFbBrC[rDkBfEWS{@f@oBg@aAlCuBJYr@{AwCiBpAiCaDiBH_Ag@mAmDmAuAWLaAs@m@\\]YeAhAKYQXKW@^Y[YLScB]TAq@c@P?s@QNC[GZu@aBm@JJ{E]Uv@}Af@ZDY^DNwAi@k@eArAqBmD\\uCh@AD}B~A`@n@}@qAeAl@WB{@e@y@eB|E}@wBq@PY]SvAQu@e@f@_@aBe@pAm@gD_@^BkBy@p@FoBq@GMbAcAPQc@]jA{@@F`B_AVOzAy@FQt@YIB`Au@IE~@wAfAAvAq@OK~@w@LKkAe@PuAtHMTs@GMl@ErB|@j@GpAmAQaB~C[i@NcCsCqCtBcC?mFXk@Gi@s@Cc@y@BoC}@_@w@r@sBG{AcBaCyFoApBCiAuAoDHkE{AgAg@eDu@l@g@Gg@r@_C~GaABu@xF[HY_BaAC]hEk@DaB`FYTW{BcAU}@fFsB|@BhA]\\i@o@QoDZiAE_F`B_C]iBb@oAd@iATXlAyDv@EDeD}@mCk@MoB~Hw@cB]d@yC_El@mDiBOo@m@}@^m@YwAlB]_@u@DuAvAk@gIj@]F_Fu@FKjA_@FeEaIg@vAeBuAm@b@w@S_@~AU}@Y[]Lc@eAe@x@uAm@UNC|Al@fAb@Vd@[h@`@HxKyAt@m@m@_@XQk@uALKiAa@LQi@u@dG{Aa@qALKpCeB|DIhDb@XFnAg@jEs@a@y@Xs@xA_@a@e@b@qBEa@h@aAM{@nCkBrA_Aw@q@\\[qA]IM^wB]uAx@aAOi@`@w@qAaBd@q@Sq@oAeARe@y@`@}AU{CXs@l@Ej@_B]PoBgBu@PuAeEk@JiDwBu@H{Aq@}A~BwAgEAkB_AyCyEsAi@POa@oBm@YTgA}Eu@Fc@k@_AKEeDfBqJ_@wAFyAkBoEUPFyBcBeGeDaAm@j@cAq@mBbBo@a@_BrAkAVm@Ym@j@QUmALo@q@}Az@yDgAHqGaAcFLaDgBq[Xg@SsBT}@Yi@HsF[sBFiCl@Y{@_BWVLqBe@}@\\k@m@Na@wAJwC_@THy@u@kAJoA_AkBZs@[i@d@ENoBU}Bl@|@Pq@Co@a@S`@wDaAwBLc@VZPUgAgCOwBc@KRoAw@[No@UMO`@q@oAKVi@yB`@eAq@cBs@UJmAc@P[|FuDhI{Au@]qADsKk@iBsAmAuC|@oAmAqA}C_`@zd@JvLgBvEa@hDl@bAJtB[fCPlC{AzEk@xFwCpEu@h@WWeArB_AJ]WkAj@}BmAo@z@{@DuAoBiAF]mD_CKkNjEBrm@YpM~@dLYE[jBq@?{DnG_AAaAdC}@`@sAU]fFi@PY]GhApB|IgAOaA|@s@uCw@i@kBqEa@yBa@L_C_Ac@y@u@KOcAUTe@e@Gh@Sa@i@rBNl@Yx@aAh@w@uHe@L_B}AaCsIo@n@[@a@gAW`@o@cD}@y@KmBc@B}A|CE`AcA?kBzAg@m@s@v@An@u@NaAvCAjCk@wAQZ`A`NeB|FYHcBgDk@ZI[uAGuBrDo@JgAc@cBfF}@@aAjAi@S}BpBaARaAdCkANkBdG{@f@f@xCk@lD_AbAc@Y_@~Ao@HOlCY@Cd@k@i@_@pBuEaJsAX_@o@mACEw@gAs@DtR_@r@oATQ[qAhARlD{@`@KzAmBbCk@\\q@}@WJaArQ}ClI{@nGuFtEo@~JRpGi@[Ml@a@S_@d@w@Q?_@oCxB_@m@e@h@aBsCgAz@_BtEsAx@S`A_BJsCaAW\\Ka@qAa@q@^Wg@MXAc@u@BRoCoAyCcAkHe@MgAbB[Og@p@WcAaCoCs@wEc@Wh@_@J^Hu@uAoK~AyMe@^q@sIgAeCwAn@kAaCg@DMpB}@WIsBcAe@[bB_A_Cy@i@o@uD{@c@AeA}A{@eCIk@eAPcCtAaD~@eIOYk@`@gAm@]RcAgAg@DqAiJq@iBYDUmEdAsEn@y@KeAc@_AgAT[iB{@HcAuCCaDqBcCy@mEw@O{AiCwD{CWwAkBeA[{EkAmCY\\_@c@}BwN_@Jo@{CqAjCUpF[wDi@i@kAiFs@lIoB`EYbEa@RW|BeCjA[tAGg@Qr@Eg@e@rCMo@u@vGa@[uClGUGq@|A]Gc@z@GUMf@UIcAjLqAjAYdAw@Nc@a@[gFaCiIu@DWjA]_@OfAiAcFu@nBq@mFMXm@e@W|@m@wAQJgA{AYb@kAiAMoAKh@e@m@Sn@q@P_@{FaBkAP{Cg@UQoA_@NWeBaAH_@wC^s@CwFMWMRUmA@gDkAeAu@`CGzB}AdCu@lHeBs@o@C[j@{@`K_@POw@MeIg@cDi@pGq@~@{@Uu@iAqAwDs@dAI{@Y?WhAG_@KPEvAi@q@]lAq@y@[J_AxCEW]RVxAk@d_@j@hLoBfP{@NiA_Ao@~@cB`@eB_GcAMa@bBc@y@o@Ac@`Ac@Yc@~BaD`@iBsBmAiFUKCZ_@k@mA~D]}@?l@]^KY]n@Fj@Ki@En@QMHhBg@[C~Cs@b@XlBg@XJjBn@fAaMda@`DhYSbCuP~C{BSoDvAiDvGmCrNiZuA_HwAof@hDcBz@gAbBm_@z}AaCpQyJl~BaLt|@_C~]`@b^oClbAZzP|AjPzApG`B`D|AtAlEnAdBClA{@|CoH|FpDrCn@lEgAfE}CxBto@x@bJxBvKl@nQmDzDwBlHcBlNqA|UM`LyNlb@uCdSiAhP{@vn@?~a@iDbo@EjYwAlq@x@tb@vDxZBh_@kBdDeFpFeDxMeCqNqDmGyBaH_DiDoAYuALmDrCmMfYyH|Gl@bh@tLx`@~KxpArE``@f@tA~Fyg@|Ac`@jAwK`Eq@b@^pGvc@Fu@L\\?fDTe@Zz@YnCJPH]JrHhD~Kp@iB?}ErAkICqCb@|@@iAd@CG{@VIC{BNLT|BOfB\\YdAxIO`F`@n@D`C^aAd@x@L~DRQLxAZU`@bAXk@|@dGHWT|Tg@dBTjAJiAVx@XqAGsC^_@@}BVEGcBb@OE[QTAaCXUBcDZTRy@Vl@x@mDt@tAtArM\\e@^p@FiATJQw\\n@hAFq@Vj@RINtC^iBd@EXuBNLv@zACjDNWHj@LSXxBd@gBRfBf@yAEWe@z@`@cBYM`@gIj@`FLm@t@zJPe@NTH{@ZjAb@kEb@RDq@`@rDl@_AX~@t@_Bj@Lh@u@NX|@gB^eHt@|AVgBLzANWd@sQl@aCXAV_Cn@h@hApHL|F^IZ{Bl@dCn@mBn@_NVVXcAOsNr@gC^Jn@}@~@jDVKMoERo@^r@v@c@JmDx@aCNyGbl@?n@wLfAcFbA{ANmCl@a@YkIf@Ur@uCbBrBl@lHj@OnA_DNPAbD|@xA?vEt@|CvA|@YzB}AzCHfCp@~Az@Pr@zAEdCd@dC[zBbArEPrH~A|Ad@tB`@bSzB|K_@tCVdHh@|Et@`@\\[b@pBThEp@pA~@jJx@c@d@lAzA_Bd@lCp@sAn@Pz@sDVgEN[`@JEtHZjD_@bCl@lBd@lRf@dDf@sAN\\lA_A`ApAdAhGPzG|@Mv@Vd@eCdBNjAgDGyB`@}AbA`@|@zF|@El@bA\\qA`@l@hBHBpB`@Iv@t@j@rE_@~N}@v@m@_@c@|@ZhLq@nZJl@`@Ab@xCt@~@C|Dh@aAb@bBn@q@t@Vx@bCa@xEp@xMrGdn@IxLoA`AWlFdCxFfAVdAfI`AdAla@wn@vd@[bYdBnIIzIjA~H\\nArDfAj@InFy@zAp@rEbC`E@xBv@vBFjHfBJtCfFt@lPYpA","wbpCw_`F|@SlBoBtCqJxAwN`@oTq@uSwBiRoCwI{A{AsAY{Ab@eBjByChJkBbQa@xTr@`UhB`M|DzJtArA","kjrCwafGpD_A~BuCvAqEvAiJz@kOTsV_Ac]vMa\\bAuDbEyY~CcFtEiNbBkKpBcd@dCmRtScp@xCCzCyB~\\`UhBbCbCRpAaArCoE|AsEpAwH|GgMyCcfAnFypAtCiiC{Q`BiM^eCrByFfLuEnOoFfYgDdMeNhoAaCfAsUcgAmDkkAoAuN{Owv@uAqEaB_ChEuTdCwZbEqWxBe_@fF_TrBcPbC}k@^ka@iAms@_Co[eBkc@cAwKcDkLgHkEiEgLwAgB_A[gCfAmBfEeBrJw@dJeGjeB_G`v@eAhl@iIfpAFn\\bCdXyCnX}BvMuAlVuCbSaCj`@a@pUr@b]yKfg@uAlKoC~ZgG|`Ac@bRN|SpDdhALnUbBjZvCb[pBhKvEz`@rD|MbCjD|A\\p@bBoB~AeB~DuApH{@fK_@p\\rAtW`CnLfDhFxAX|@YhF|CxDsAvAd@tBdE","__pCabfGlFu@rCqErOaj@tCsQr@}T}@gXsAeJyBaImBaDmAe@cFlAkBnC}FbQkHz[qAbJ{AzZXzUz@~JvAfHjBxD","eutCci_HxBgA~AwDvCsUj@{TOmZVuX{@yTsCsR}@wC_B_CsCsKeCgBcATgArAcAlCsBrM_AnQ?`\\`Axg@vAbTjElZvChI","gzrCmdgHdCcClAmDbCeS`@uZk@mPaAkJeC_KkAaBmAc@mATqCtEkCfQ}@gW_BwL_AkDiBaDgBs@yCQwAb@_AnAmAnDyAdJy@xLYbQ\\pZ|A`UxAlH`CpG|BdBbAMzB{CxAmF|DyYj@~OtBvOlBjFjAjA","epuCuznHzB}AxCyKpAmNj@_V[}[eAkPs@yF}BiIaAqAeBWoB~@iApBoBlIsA`No@p^x@~YdBtPtBtH|BhC","a~tCe}qHfB}A~@_CzBaL`ByVLwRu@mVkBuOeBaGyAuB{AW{@`@iBhDeCdO{@jPS|Z`@rOnBzRvB`HrApA"],"Antarctica/Rothera":["~}fD~f{C?glW_af@??flW","~}fDnjcA?_db@oh\\?~xF~cb@"],"America/Argentina/Ushuaia":["~fjBb_eC{@mKOw[~@iNWkGl@kAJqBa@gLn@{G|AyDKoCr@eGrFwHD{NlCeUe@aGIkTy@wGKeIoB{ImCiEpCcFbAwHBkIwAs^uGq\\uEmFmE{@oDjA{CvEoEzY@jMnB|Ln@hK|ArF_DjEwCfMSzEh@nHMjHn@lIkH|`@eC|EyC~BkB`EgJ|^cCtDwEvB_DnEeIbWcCjB}Dt@_EdCmQjF_ElBuLlNkAq@cDtQrGvDnmBBzV[","~}fDvybC?gn~@onT?o}@n|k@onT_yFovAnzDnK~{Bb[oKzfAw|And@vaL~p@oKb[fiBzm@~{B","fduBvw{An}@w|Ag^g{Co}@??v|A"],"Antarctica/Vostok":["~}fD_~fD?osw@_g^??~cb@_vJ?n}@nnT"],"Europe/Moscow":["catBosr@fFyJ~HwJtAwMaAwSrEuYvBiHT_DtDoIhA`@nBzBDnE|ArFnBZlB`DvB`@hAp@Jj@`BL|JxVhYgKzBbC~CGvFaHzAx@`B[RaAq@Hh@cBp@f@ZKHx@|@m@FmAVl@NSPcFx@Dv@nAJdAg@`AXj@@nG`@LDULj@XGHrAdAcAD`@b@eABd@j@@@x@]Fj@bD~@dAp@CTm@`@VD_@`AlDzBcAa@m@VoA]yGd@PRg@fDdBz@sHl@[x@}Dl@EEsAr@uA`BE|AvAbAMl@\\p@~Ch@[?hAVkBb@r@\\KzAbABmBhD`AFdBh@ZxBXyA{JBq@nBw@]eCn@OP`Ar@AFz@h@^xAcDb@B`@cAdAB|A_Ab@iEf@DVpAx@HI}@NU`@LrA}Bh@Rj@Ur@|@j@}@|C_B`BpB\\e@Rx@FWh@NRx@r@Mp@cD`AGQeAr@YT{@CmBc@c@g@l@YMXwAVD{@aG`@oCK{Bz@zAv@i@f@uAvBcACuC\\mAeASyAkMb@s@UsAlAwBQsAv@iIVu@Vv@t@sB^jDz@aAT|@xDhAvBoFJgA]}@}ByCk@sFl@o@GiAsBoCOZ[}@T{Ac@oBz@aCNeCe@[@k@y@A^]M_EjASEiBr@u@GeFZ{@RKJp@z@aABoBf@}A`Ak@j@PB{@\\\\?e@l@Ds@uBnCaAQgCk@k@O^`@sCUW`D{@f@pAp@yAh@bC~CqAd@VvAzDdBN@oBh@CN}@dB]x@yBPOb@f@F}@h@ZFWR^x@G\\kA~@VM|Cd@x@~@mBRt@`@Od@xF~@_@Zh@ZOHz@jChAzBkKz@q@K{@Xa@\\pAd@MTmESaDVm@lAKjApBb@^f@KTrAZKR\\dAaDKeAXEB}@|@@`AeAh@`@XaBr@i@h@hANcAfCBj@yDP~@t@}Et@ILwB\\QIwDlAg@ScEdAh@BaAi@kA\\[AwBX^b@a@^Nz@hAZgAr@C\\|AbAWTr@l@@L|@RoARbBj@A@`Aj@a@\\VUaB~@mDy@wD@yDc@eAv@uBM}@bAi@SoB`@XAwBtAiAi@wD`@CXiAt@@RnCf@X^GF[i@?\\c@z@n@nAoBb@Fj@qCRPFyBbAAFi@y@k@l@oAT|@ViEXNh@[@n@r@_@l@~@pAUMhFd@@z@`AYzDj@i@rCzBj@bA@nBpAp@^|@ApBz@PS~Af@\\XzCo@vC`@fDKh@c@EKtDeCnAeBxHlA`Cg@bIbAYbAdB`@C`@aAXNJnB`BFRpD|AcFrCkAbBmD@gBh@EL`@pAmCnBEt@r@XhCvBoCpAJ|@cCBwAf@dAOx@`A^CdAf@]Ms@Xq@dAvADu@lAZEw@d@UdCNFvAlA{An@mDL`@tA[f@l@PyDdBG\\[N`@Xy@McD|@gC`AxAU{Ad@kGS??kAq@[DgBi@o@_@cCcA{@S_BIvA}@m@qAl@i@m@EmBk@d@OSBl@qAb@i@q@l@_FWY?_Bt@u@I}@pByDe@kBN{Bg@a@HeBx@C?]y@wB@cA]Ag@_Bm@]JYj@JsAeCFgA_A?Me@z@iFk@uCx@cCSNW_@LkBn@Gb@bAZaDUIUh@XkAm@k@y@qEB_Gv@c@X^\\cDh@o@bALl@}B^BPa@@iAbAKr@sB~@|@n@OV~@|@mAhAFHuA\\T`@[A}A`By@TuAt@`@IuBxB_FvALlA_Ah@b@BbF\\b@\\dIn@~AAq@n@q@EiA`B]Gy@r@KQi@dBk@Z_BPb@z@Al@zA`@Sl@bA`@MVaCXNGe@l@eAt@n@Oz@r@Db@vATa@`@n@t@uCgA{Cx@gEOqBd@mAg@m@JuBbBMt@_B[gC^cB[B_@y@JgAuAcDb@qBZC}@aAV{CrBt@|@e@VaAXVR[^x@fA{B_A{DVmCn@cA^?b@bAIfBnAy@t@r@~@sCVGLn@`@k@Pf@r@iApANr@{CrAp@PQhAXRgAl@RSl@^jC|AaAl@dAb@iAz@MtAsAjAmD[I`@c@jBDrAuAE_FuA_Cc@Rc@mATqA_@_@N}Ag@gGd@yDz@_@C_@fCuDVR~@k@FgCuAkCf@KA_Br@iA?wB\\Kf@z@`AmDg@_Ay@QiCiJg@qPyAyGeAkADeDo@{Cr@JNj@jBQ|BqEGuBrDj@x@{@\\FrAkClB{AIsA`B}FnBoAVoAbAmALl@r@Wm@o@e@gCd@GoByDwAfAqBLJcE[gAD_@zCi@p@cCe@c@JeA|@g@HmAc@_Ch@mBc@cAaAKn@_Ah@`At@OpBaEP{ERa@~@Tz@o@s@gELgAqCaF`B{A`AC|@m@h@eA^yDi@_Cr@oI\\d@lEeCb@uDnAoBAiD]wAo@a@AaFc@mC~AcA~AdGdCPfCgDnAmD`C\\f@sARJVhDfBtBL|A`EvDt@@I|Fh@vAUpCRj@LYbAh@R[Ss@n@m@Uq@dAs@z@BZuAj@Oa@WV[IoCv@gCaAU]}@Ls@lAe@vCnEaB~IxC~@Gn@b@b@N[l@fAhAe@Zh@\\[Jj@nA`Aj@u@KkEn@wBzBa@Hd@t@Bt@gBJPvA{@NX\\e@Wa@l@RR]h@hEl@H@{AlAy@}AsC|B}@x@TGdC~AJ@t@nALl@~@jABVdAr@aB@rEpB{Av@CFd@~@V`BAA|@p@?b@r@U|EZhDeA`CFbAr@z@qAp@FbHXHVlDSdCc@?KxKv@dB~@C?nAv@H\\YfANRb@rAC[tEx@?@fAn@X@~Ht@??rEpA??nA|@F@j@nHc@?^b@?D`AzA`Af@?AeF`BT@hA`@?RlBVSzD\\zG{EnFhK|@p_@bFjJvDe@rBmBtFwBjEcDxAmBrD{IbAdD|AjBhEhCrGxAnCnJjBdCfC`AnHLp@`BmBtHQ|DaBpF@vNrIY`Eb@dBxBnBPjB|BbO}Cv@sMfC}JdBw@zAgBbBYlBoA`EkItB}J^iMhBoCt@gDnG{IxBeK`@cHrBmKvBmBpBkFrPmXlJeKtAoCnB{AhCwF|DkDlE{PfCu@zBcCjA}DN_E`DiKp@gIGcD~A_BhAsCvE{BdBsBrAaFJ}FbKiCGyOo@_BCgBiAVm@k@oB_IyA_AoAkDqBPeCjA]Ym@NiAZA^}@c@y@iBOfAiA`@m@_@y@tA}@y@y@_HkGgE_@tBMQEuD_@eAf@}CQ{Au@a@SoBJw@jA]zCgLoAa@[uDj@eAW_Bp@i@HcBXRZYDoBv@eBf@p@pAe@bCoGr@]|@cFOc@p@a@QmB|@uIbAcBf@B@y@b@[MaAr@o@`A}Dj@GvAz@nA~Bh@qAt@]QiCdByFcBsBi@{DV}Ay@{@NmAkBc@sAeCr@qKmAb@{@iBh@u@UgEx@yBjDu@p@_A?u@sBQa@aAoBa@GwBJcAfBmBe@gBFmCfC_DbAc@?w@|@WP{@tA[w@}C^uCY{CtAsA?sCv@o@U}BtB?dBnAhCe@f@~@EjCnCzAbAsAhAcE`@LH{@p@a@]c@RyDr@o@^PTc@j@DNy@i@}@DcAj@g@i@_AlBaAk@u@E[h@Ws@{Cb@i@d@ZGs@jAW^kAa@e@Xg@MqAvCuAs@cCPu@h@c@hAAf@y@}@qAJaEg@J]wA|Ao@\\b@t@q@XmApAeAMaB^]bA@bBgDt@h@l@_Ah@F@}Aa@Cm@yAvA_@n@uAx@XRcAjAc@F_AzAn@FoArAW\\X|@sAzAwEW{Ab@e@Ys@pAGz@mBe@e@?aAi@S\\}@EcB`Au@NmBcAw@?sCgAu@iAd@y@wC}@d@GqAiCa@aAoBcAAq@}HwAyB{@wD}CwB}EkFsB}@sF}L}@~BiHvJmCjAmLhJsFvGmGzCgHnGeDd@cBx@_EtFyCfAuBmA}C_@yKjAcCeAqD_@kFoDeE}G_BsAqCq@wDl@cCzBqAjDiAfRgF{GmDiAoGz@aEdEiAzDWfFZbEpA|DdAbHkAVaBsEgDsDoLmHsGsByCsBs@{DjHzA]yC{H}BKm@}GfPuDYuAjBkCb@e@qC{@pAVvA}@nJz@Vx@nCAdNl@f@|@lGWxAkAd@IdCy@UgBnLqBsBoA[c@rGcEhFaB_@C_HiLJmEgBu@~DYFmBoEj@oBmDkE_@sKTgE}C\\}DfD}DuD}Hk@gE`@c@`H{BlAg@lAqStK}CiGeCwKuB~E@rBbK~QOfG_HdO_DjDoCj@EtB{DpB_@vAiEr@kCuA}@rBjAhHsEtIK`FuBt@m@xDcAk@aB|KfBdBn@w@n@n@dBWhCfFeAdHv@?LrFqGEc@vEo@AGlBa@@VlBjK@AeEjD@jAz@v@@jA`A_AvJPb@YGUrCtBhC`@_@jCfDOrCrAtHrI`B~C{AEl@j@FJz@sAjC^pJj@lDOnFWtAaAOw@\\]w@SP?bFzAhB@nC{FnBUr@w@EqDlDeFlAaArD}BdD}Aj@IzC\\lB]j@u@Bn@z@KrFv@pBc@ZTrD]LBz@Qg@[f@OWaARa@W]uA]KI_ByDnABr@cA?UkFuG|DeE}L@s@VCS_@\\Wk@eAZEQu@TK[YTWiAcG]O\\m@_BqAFsAs@GoDdBq@Q_B{CaBG_B|BaCDc@z@]pDqA|B@`FqAjAWiAyAFDb@eAp@`@lHWnIyB{Ca@jBmBm@Ra@_@i@[|@m@g@Cn@y@ME`BuAa@g@Pq@m@eA?Yi@aAAGi@wCi@eDwBqB~AeE`Hc@jCsBvAUzFq@x@_@pE_AnAcBcAmAhFcH~E_@gAoFoEqBr@}CtCaCeCSeBeAj@DhCsEhEkAnCq@tEeC_MRy@gDMeAyAHgBkAqD_A_IKNe@s@yCw@qAkAeAkCrBmNAmFo@aG^W?kFOuAcCgBy@wB\\yIc@QIgBWGaBnDk@ZsB_@Ft@eEbD{ApJsBxAiC`@kBc@oDcH}CyA_CD_@i@{@b@s@iEg@jA}@QYv@qAa@sBBu@iFeAAqDgBo@h@TeC{@aGuBs@W{@Jq@]S\\J?w@`@a@MmBXg@zA[j@_Am@]EwEo@{@TkHqA{ChBiFk@cArCkGo@y@n@{@\\_C_AoAf@a@bAsEa@u@Oz@mAkBw@Co@y@Vw@Y}@XMw@eCo@v@_@S?h@Q]m@?e@p@e@}AnCiGRmFVUQqB|@mAvBAQqDv@C~@uDy@_@kAt@qAuBGgBZHAy@h@ONu@]cA\\u@i@k@RuAo@o@p@yAmAg@VoA[G@i@eBSn@yCa@TO_A{@e@Lc@t@QGqAp@Th@Qc@KUyADYz@HX{@_@oAb@[CsBb@kBk@@eAkBi@z@aAe@a@_Cw@_@TqAb@RCm@i@R@[gBQWiFoAJ}@_CHmDVIKc@_@@OoFcAw@bCs@GaBlBkDSqBaB@w@c@L{@i@i@SmCq@LWkA{BSIvAaAP}@tAu@sAaB@A\\iFw@EbASgB_@RMu@Or@}ATNvBUXyBQa@}@P{@k@CKk@Yn@PdAgDQSfFk@h@An@g@@@r@i@^Lx@Y\\Sg@{@Rr@zBU`Bg@Dl@dAcBnCQc@e@F?Z{BF[eAeAt@Pb@s@rBmAnAuA^M`@b@v@[x@aAkACvBWc@BdEe@y@kAAs@g@Co@K|@i@BAl@m@Z@l@X@YBBj@[Oo@d@]`FMSEt@o@a@UZdAfAXKm@FAdAp@WY|Ax@tAi@b@}@aEu@]a@ZmAiCw@Mc@\\MW^EUgA\\b@DkAPTkByBVu@Ye@j@cA{@{ACaA\\_@iAkC\\TDw@e@wBo@Xy@gB^KMgAa@AAcCR?k@LYyCPkAiAcBQd@aAiAWVm@e@j@jAe@_@@dAd@Ei@RKnALrDcAjAiAEJs@Gc@SPOuBKn@IU`@rFsAsC_AYMdBWuA]b@t@hEY^sBeGm@RaAlE_AcAg@|Ak@cAFcBV?hAyEfAoBUkFzAo@Js@q@cBVc@gAoBKkCe@[@yA|@aAReAWUr@o@SYMb@PeCAv@gAh@XuA\\^CsErAw@FVzAQ`DwAEw@cAf@cA{AhAoDSoBsAmA}@h@uA}Cc@h@k@aAYOMVe@a@LsEjAYLbCpA}A@_FmBp@Eo@i@LKq@ZS_@cCn@a@SsAy@p@D_@o@BEaAv@H\\kBW{BVDJmAYw@x@~AlAeBoAiBTy@j@PxA}E?aYuI??eGg@e@t@sBYgAsAw@Q{ATmAe@aAe@~@U_BdBkC@_BTv@tAuDhBa@NoAZfAh@REmBn@_@lAf@ZcB`@Ej@`AZQJ{Bc@kAE{CXyCt@aAB{DbAq@_@m@^yKPw@`Bi@?_C[HKqAc@f@WcBnCqBO_AzCuAHl@h@kAaCqG]{Cx@[VqCi@gB\\_At@L?eBiB@MaBeA\\}@iAYf@eCMPcC}Au@u@_Bs@Ag@oAVgA^CCo@e@gA?gCo@aAP]~Cj@MeGoBK?_@jDeEN}Gf@WPmDMiBTNLa@vA[h@h@RU@bAv@FA}Ac@YFWp@FUwABrAQu@QJVmC|@f@R]j@p@t@qBu@o@gAh@r@{BcAoAe@Pc@w@WeF`BeAg@aAu@Xw@yA\\kC`@`@He@zAB@XbB}Cs@aAv@iAm@sB|AiHWaAd@sC^~AZXHSF_Dc@BKeBu@lAcAaCdAs@x@qCj@lAf@o@XrAU`Cn@sADl@AhBSa@QVTlBf@k@n@BZoBhAe@JiBbAXDj@n@?g@yEu@y@AgA\\c@Tv@?yBpB?x@wBt@k@e@_AkA[q@kDaAdAkBGoDzAQY_@ZEm@s@f@YYGf@u@Yi@~@Ue@YhAo@}@i@p@WsAg@t@Gi@]RWi@i@b@oAc@i@VEsAWa@Q`@kBiDBi@i@PU}AK`Ag@uAaBg@uAr@i@_@InAuDwBv@~DcAxAe@Me@nAu@?}AjEDlBm@@FpA{@c@Mn@m@LObEqBLMiLe@u@SfAw@aC^{JYUgAr@q@mCTY]RIY{@Ae@mGg@iATcAcAPK\\k@iAWLs@q@UgBa@f@Qy@mAh@g@kAPw@c@?QeAUBCkA}@yBm@UO{@a@LMcAUPMeAWPK_@m@n@p@f@Y`Bo@Rc@zAo@W?`Ct@|@Gb@w@_Bm@Zz@rDcA`@cAcBIjGk@gA[x@h@n@y@n@S~Dm@Nt@~FShAdAhCBrA^l@Dg@F`@g@~Ie@WSnA_@Xe@SEsEQf@kAw@McCWz@WIRkAe@{BYSU`A]BmCqBd@u@QwAyAUi@r@s@@e@m@FjDuAlB|@fKx@yCbBgAhAYf@`@d@iAv@dBSxAgAp@b@jA[|@mBlAb@dCr@[]jAe@Fs@y@JnAQYk@h@Uu@MtAJiAVxAx@s@MtAc@BOq@WVLp@}@l@oAKh@y@u@L@|AoAqA_@p@u@_Ag@RIc@mAGm@gD{AUSVLuAi@]N~As@~BZTYrCj@e@x@~@a@pBn@c@AoAh@FFiA~@HOh@dAd@@dBh@vAc@`@AbAb@EDnADq@\\DEz@fATIn@\\b@T[V|Ad@MWvBLQfA~Ah@y@@qHh@g@VsDRd@TOL{AlA|BB{BlAfAcBfG^WTTL}@T^j@w@zAZFWLd@^i@G`DmAzBElBq@v@F|@s@tAp@z@p@oCp@fAw@|A`@fAkBvBXx@kA~A`@XvA_AGv@`@\\HUCn@pAGD}@f@GLbCZg@ZpAb@BBlDc@XIs@gA`BUG@xAa@XCr@jAl@^zASx@d@rAnA~@eAb@a@e@ElCg@u@Ng@_@EWb@N|@`ADEtAQSc@v@b@zAo@xAZ?TbAOfAl@q@c@rAp@Zb@a@mBxBqAJkA`ChAeCm@RSg@Lg@aAgBm@aHyAIPfK`AlDj@JT|@m@`A?hCmAR[|Cn@nCe@Sk@bDcBa@NzFw@La@hAiAiD{@F?p@}AbAa@{@iAzGzBiDbAfDg@bEk@x@JfAoBwBVfC]n@oCtBw@yAuA~DuBiBClAn@DVlAo@CQe@cChDAhA|@OXb@FpBo@b@BdBzAn@MfC_@E}@rBAeA{B[Si@yBOGxB}@GIm@m@dB[CX~B{@jDVlEWz@q@UMjA[Jg@oB_Ah@y@`BMWu@x@Ui@L|A]CW~Ah@b@VdEY`@b@dAIz@h@u@d@nA[CGnBa@LKlD_AHq@z@k@UOzAq@gA^~AkAh@YqA{@g@[d@I[M`@QYi@NIu@i@MYhAo@DbArDX@J|ChC?X}A@f@\\URnCNe@v@Pf@g@rAjB[dFc@}@o@bBu@UE\\?pGd@f@k@dE\\H|AhG_@EOrBy@UEvAb@bBn@BK|AXJh@o@j@jAFnCt@kCx@BG|Aj@`@LdA_@fATh@OxBn@Of@tAy@HE|@p@Rg@XIvBoAbAQhAXf@t@mAEbEPi@bAnDbA^?lBn@@z@pBd@e@}@pCtApF`A~Aa@dCp@n@OpAe@t@Yk@}@Pg@mAiAlC@zD]BCp@p@pBOVg@WK^bAlBm@lGMo@]JIuAe@i@SIGrA_AKSsAgAe@c@`Bg@EKaAIx@cAp@g@}@HsByAe@CvBgAY}@VH~Cu@Dw@~@uA_Eq@LHzAj@`@q@h@oAkGq@b@Bz@gBh@`@yEUoAh@mALaDqC_PXk@OiBdAKJsE_CY@mAi@NMWk@f@q@oAgAj@gBmCwAJShAcB_C[RDuAaA_Fk@bAk@D]vA{@fPy@Ci@zr@a@fD`Ap@PnAcBrDo@@?`@i@PqCe@wAwC}ADo@v@uAUHo@m@i@S`@T??v@y@?e@}@IoH{BK@[w@pA}AsBe@LeAaBB[`@Tc@kIm@gBOuGeEPDkBsA[OgA_@BXcD]sE{@u@MxBo@HOc@a@x@cBkAQsB`AgHk@eH_AhBq@IqB`Cs@q@iAvEm@RSkA_AMh@v@FdDeC|Hq@Kg@mAY`A{Du@_@lK}VoE[lMoUaFDbFj@jAp@OLdC^OIhB`@?Gt@a@QKf@JvCm@Xl@t@Et@_@Tq@pDG`Hk@q@]p@[KI~@qA[{@xCa@e@NkEa@KKq@r@{Bg@{Hx@}F}BiBw@j@aAcBMhD}@g@c@yDe@fAi@iBeAMq@j@a@{Ci@u@LuBUAChAQ_@c@j@oAa@]bB_@B[yAk@x@a@mAY`AGcBgLgDKb@c@EeAwD}@VmAU|@cQUE[iFRuAf@a@H{Fb@}AQyBv@uBzEUrAi[xPyGdA~BXo@~@p@~AqGDjCh@~@RaHUG~AqEdATtFrP|Bf@hEWP_@tRm@f@kP]Kl@oA`@}NfJzB@qBs@kB`@iC\\FRoGJSbB`@^eMpFpAn@r@Xu@b@Rd@}Km@oAR_BkHgBEhAeFoAKrCsIyBEmFk@uEuAdEw@Vw@a@|@mPsBg@aAaFFmCgAiON_Em@sAs@?UmAyEoGa@eGlBeLnBy@j@_Bs@gD_HmLqEwDoDgF{@wD`DuNaGkBGhAYF_Ck@u@fMwCy@mAxV{QoFfBi\\cHkCjAoVoH_CnB}`@lHtBfAiR\\kHmH{BtFycAiHqC`@kHyHwChBo[mHaDlB{[uNmEn@wJsC}@FuAeAY`BwYu@WJqlBm@?a@sK{DgESuBXaAgAyEQUi@N{BkCw@~De@RqAWqAuCu@AgAiD}Aj@Kx@aBZOYkAFS~@gBBw@uAeBYm@}Ag@Oe@b@o@k@UkBsA{A_AKWjAq@o@qEy@DfDg@vEmAy@w@zAu@a@WlAaAMg@pA_@e@Sz@QmBc@e@cESk@e@eA|AQrDaA|@OjCyAf@gBkAQ`@eAcEuBfA[aAK\\yAw@GaAiCvAy@Ig@}Ac@|BcAeCqBs@m@oAcAFa@}@sCa@WZsCuBUTk@Wm@NO]{@NoB}Am@f@m@AgB_IoA_BYVu@U{AiCu@j@g@Y[bHw@b@i@tAa@Yy@tCgCsAm@@Ms@eAw@U|@]KMXo@eA[Jy@lBk@OBjGaB{D_B[mAoBc@REiF]a@q@v@IfBs@zAe@[g@RKi@_@r@c@?BeBq@_BU`@O{@MRa@k@MReAoC^kBOo@c@PUWQ_FoBkB_Al@s@qDDcBu@kAX_LRq@b@GZh@b@O~B{Hl@i@UwFiAu@WZGk@sAcAVsGiBaBa@eDo@[i@RcAs@Wy@@iH_AWM`@OsA{@sAMZs@OJ~BaARc@[uBmFsByAeFyH@aBq@cCe@~@eAmFo@?MqBc@f@O_EqBaJKaEq@kAmAmKs@}@RqB[WG_DTmA[]Q{Fc@Ua@zB_BaC]aCeA`Fm@uBoAa@gAoDUl@GoAY\\o@aAg@F_BkEw@i@Qw@hAwGw@cA_BtCeALO}BUPQe@sBi@}@uDQRS[PuD{BqFY{I]eA{@[c@aDsAcBOmPYEIiBeAc@m@qBJuGYUk@lA]}AcAOAiFQgAi@HGoIw@}BSgEeAeEaBCGl@qAFkA~@k@{AIyCs@oAc@nAe@Wg@fAY_DgBmEH_C}AaGuAyAHwBy@GSaDU?e@jBa@Kw@mRgDeDmDtApAhMeAbAw@cBqAdBs@cC\\yEm@gAv@gIgAwBcAG]u@uAhEK|D_@QQrAm@eBe@M]bA[SO{Bu@]q@pBJnBw@jFtApH]nKl@hF{A`D]POWgAfAkAWSc@q@VU]I`@Ic@E`AoA^C\\{@u@]fAgAHQw@}@k@AaAw@KaAsAq@IGw@s@Fg@mA[LOwA_AEo@{Ds@^o@cCo@Ye@ZM~De@AkAzF[R[WMdA[wB[Ko@f@HbE}BaBFhBo@BR~Em@n@TCTbDs@`E]NEnCa@nAWSZ~BWGg@pCj@|AVa@LV]zJu@e@_@p@g@oCa@Ky@zEgBi@uAyH]g@q@Eq@cDcAiBm@sI}@QUuAS`@Ec@sDkBaMlI{ClO_CpQaIlaA{Ah]aAvs@sElf@mCnk@_FhLkEjWiGfM}GxUsWnzB{G`WwJrYcDjCuLfP}JpH{BRwCjCwBAaGkF}CXgHuAoVac@cK_NgJeOyFgSeNaa@gW_j@eKeYsIqn@aAcDwKqTeGwWqQsl@oIc]kHu`@{Fsi@sCst@cE_[oD}x@cDeVgDgb@i@qRwF}w@gFgg@uAi\\{BoLcRsj@qKeKmB_@}ElEeAjBiKzZmA|G{A`PmDxv@Id^`AzUvEbi@~Kp`AnCxNxB|FhBpLbFjfA`DvXtAzd@cAv}@l@rw@tGn`AnD||@tBjRpBbIdH`MzB`HjWruAjB~OfCxKbDtd@fDdPxCrFvDdCfBIdDeDvFl@`TdVfNpVtGxUzAbHhG|f@pAlDvCzC~B`@rDwC`@_AjC_Mrd@jpAbp@n}@tNxK|POr^au@zd@ceBvMs{BbC_wBhH_j@`HsNdLs_@~Hy_@hDe\\pBgBzL_VtBAzCeB~DcJtB`D{BtHyAWwCxA{BlCiBpEeEjBcDjGkCvLsAvLmBzG}BvEgA~E_ArLCjOv@dLjBfIbAlBdCpBhC?`BwAjA}BlAiFvE_MjBcIrIpv@lAvX}Cda@_Brm@iCdUsB~s@InYr@|[~ApXbC|UlTvqAd@bHDd`@xA|Q~BhLtGzPbFvRlH`\\jFl[aBfKYxK`Df}Ay@hAwBUuA^kOrLmC~GqDjTgFdf@_AvUa@~d@`@bc@gBlImAxKqAfSVfV~\\~pEaElc@cCpMu@lIsPzf@kFpWyQhgAwFpb@}FltA}BrVsRzq@gNlmAUfV`BhWpFhTnJzPrBqC`@?H`@hAoCNl@jA}@jCZn@zCCrTcBbE}BbK_@nCTdC\\KA}AtBuAbAIdA~BzAHzAdDd@hDc@dEbA~Fp@r@zAxFK|Ir@nE|A\\f@iAzBt@LjANQ~@t@PUbEpJiA~FnG`_@|@gBAaK`@wGpG|D~J~OnTgLpFqi@~OwS`GkUlHlD`JrRRy@r@rFp@d@FWxPtZbA~@fANpCw@fBsBTXRwAtG_L`Aw@FRTqARJlDyEzLuJHRzGcMpEkCtAGVu@nCyA|GcBdDg@w@rFvBlQxC{GlDdGpCJhBg@lD`Hv@_ADcGl@sFXO`BtClA{CZfIz@rEbCv@dAg@`ANvBcAz@mBb@Vx@gBE}Qd@wA`AzAv@Y~BcDZJ|AxGjBB`AuAb@J~@cA`BXhAaCZgEdByHd@JVu@L{DnAw@b@vAnCmDz@AhBr@|@dAvEvInDxB`C~PjH_Pl@[jA}F|CeEzB_RfA{BZgD|AyAtA_IzAeE|EcAfD}Jb@ZRiBlDiD~EdGXUAv@|DtBnALJt@`HvFHhA~Aj@`FvLHe@j@d@IlAnAxDzBtD?|BdCjBxE|HhCtGd@ORV@t@dFtKjB`AzEtL|CzCtCjGP|E|@MxE|I`DdDlF~Pz@rGx@\\~ArD|DtBMbG~Tvg@r@dAb@Qt@pCdDr@`@xBrAmApIxOl@fIrB~LHbInG|Mf@J","uwrAysnA}T??}j@|T?","ywwAwuyA{@Yk@yJsA[E}Eh@AHaFpCz@y@hFAdErAZP~AYA","koeByq|@VIDMK]TIBUYIMJ","_q{CwddA`BcAhAmC|BaOvBc]b@yZ]{]sAyVcCgPuAeDmBcAgAv@oAlC_DtSsArV_@pc@f@`]lAhSrCpPhAvB","_l|CeitAfBcB`AyChBaMtJu}A|AiCzAeH~B_EhBeJfIaz@hAgXPeX_@c\\fBeWf@al@lBkl@j@urAsAwf@{AwQsBmJnA{YTqRe@cd@wAmTiByK{@aCsAmA[iKbCuOlAsT~BsRx@kRV{TQ{XcBc]jCsPbAAzBsDzByM|AeXXs_@wAsd@wCiT]_i@aCe]qB_JcBaCgBAqBhDWOaBkMoAsEcBoBmCem@mAyNwCyMcAmAqAHqAyRQq^_DmvAuEiw@mF}^yCqL}BgDeA]_Ah@gBwAiBn@gD|D_DnK}Df_@_Brb@e@ln@t@dg@jEho@jBpJdAdBwCnUcB~b@o@h@Mef@_B{b@A{e@cAob@iAcSsB}QsBgIiB_DcACs@j@mBvE_C|NyAnQmApYk@hc@^rqApBpp@dCp\\vB`NcD{DeASeAd@uD`L{@zGaCph@Sn_AnBdpAvBt_@tC~PfA~AhA?lAmB`@Dh@pXtAjV`B|LxAdEa@lUJnb@dCf~@bC|[xBlI`A~@`AK`AsA`DwMlBnIlBdBfCiB|ByIhClO~BdEiBpT{BpPsBfCsCiK_Ak@s@BqBvBwBtIkB~QaBx`@]~r@l@n]pCb^`D|Oz@jAz@RdByAZ`@nC~YO~YqAjg@`Ax~@tA`Vx@vGdBnGpBzYpAtx@pAjY`DjVv@vB","qkxAstzAbB?Ao@yBm@","u~xA{xzAd@CByE]WwA?TzDPf@","ureCma|A~Gu@xC{B|CcGhCmMpA_QlBel@Qi[gBsTuBgIaQs`@gIuLmAs@kBQuCz@sCvC}EfKqOjv@aBvUFfZvCp]xDfO`ErKlEjG~GvDrGtA","}nlBk}dBDEFORN@EUYHQDB?GABEAEBADAOCJKCIFG?@^JE@IDBAPGB"],"Asia/Krasnoyarsk":["uqzCumqCz@SvB_DbGqX|Esg@nAq]P{s@i@c_@kAiRmA{IaC_IkBuAyAh@kAtByCrPiGj{@uChp@Krg@tAv\\rCxR~@hC","qx|CqovChAW`AeAfB_G|CoZrAqg@Han@q@qj@eB}]_EyZ{CoI_Bw@qAx@gBzEuC|UmCzo@g@pg@d@l`@hCzn@zDzYzCbH","oynCcyvCle@eAdUaSnKgb@|EbIh@|BvA_DFuEz@T\\sBZ~BDgBXCXxDL_Dj@VJ]UkBZQEmCd@~ASoAd@URsGf@v@[{C^_A^HU_CTpAHuAv@c@]W@sA\\Oe@qCX]CwBRREiDb@MUoAj@\\[oG\\g@UCBiD]gAX}GLOJ~@LkEPNFUTb@f@g@Au@S^MSVuHZ^IgAd@o@Nz@AeCl@gBISMx@@uCR_@Jf@Jc@Pt@p@cG\\hAUlAb@[RlAQ~@MaANtCUt@HRRi@Xl@@fDZ]MvBHiARdAHm@Rn@BoDPbAB_A`@JRw@X`@InB`@y@AsAZdACeATb@HeANxA^{BjAhFO|AHk@DZ^AH`CJw@`@l@MzAt@vDm@~EEnIVx@c@nFh@rCf@TvA{B~B~AvCdKlB{Ar@yATkLdJeb@rCuc@bLmBl@wCXVZSbB`Cr@LDWTXPuAPLJiDjAyBZr@JYIt@p@Wd@lAH]AlBTu@Tf@DgAd@tATg@n@dERmCl@Dh@qAMmC`@FD]c@m@BmAv@z@BpCVsA`@LD`Dk@|Di@iAeA~BMvKR~Ar@~@U|EN\\hAQ\\nAUfCT\\\\wAb@Z\\|E`CrEg@|CLpC`@p@j@yBFxFvA\\nChESlH]{AYh@HtDb@Rp@eAf@fAd@uAj@I@bAe@HFzEt@h@j@mAWhCr@hBQiB^t@`@wB?bBVXNk@f@zAAjBt@`@f@jBLzEV_AVBh@kGp@fBl@gGp@nAVEP}CzAxFWiBh@_ACwGx@uAEyBZ[W_Dl@ZNwBh@|B\\uERRh@[Zw@\\b@t@sBh@rAT{B`@z@^eDVjAFkG`Ax@p@mEFfA`@Rc@mCl@_C_@IOgCXaBc@qAFc@b@f@c@iFtAsFOsC\\[OcBb@sA[]ZgDU_GxAs@NaBn@}@BuBF`AHi@p@UF}@sAwIB_Co@mAg@eEfAgEk@mH}AuD_@bCeAsA{AVqAqCv@wErCuGz@NhCfH\\NnAkALqJz@mFHaFe@oCBoCj@kCfATHcB\\vA^YJ`Fn@zAj@{@\\gDpAaCrC{A|Cs@vBuMrCiCd@Cn@bAf@tG~@jCrANlCgCnCq@lCt@lB|A`@fDpBp@jAi@hBlLp@Of@eAxA\\hBaA|@fACdQc@`Ez@dHc@tBjBtAXyBd@VtBmEHj@X]CwAVJVaCTRPm@Uy@Xk@JP@uADd@RS@iA`@z@ZSFh@EgBRHXxATSOv@`@Zx@mDPVBk@PTDkBx@_@CoBJZ@i@h@]a@gAj@Nm@aD`A`AEuBXXR_@XtBj@gBQxAJ`@Va@ErB^u@M`AHRPe@LpAXmARtBHk@ZWLVHw@JNT_@FmB@fBl@US}AZ^P_Af@xG`@CFiBPpA[tAdA[\\zDhTkv@tAaBPoCrB_CnAO^wAl@FToAr@ANeBZF?|AtAlDLdEbG`@xBsAv@yG~J{P~@bA`AxHfA]D|AfAhBFkAFRL]LXZSHXf@mBDd@TmAVBjBqJj@~A`@D\\{@bApBhBqDu@mKB{MvDoHTmHzA|@f@U~@~EjAmI?gDV_@n@@~@mCj@g@z@Nd@bAvBaC~@_@~AVx@f@~@|GrEvEtAa@]wA]VRq@v@LKwA~@`AT[d@\\AdAb@w@FhAd@Cf@|AfA{Ei@aAOLl@m@Y]NsA_@UTyAYIf@kAm@{@NiCi@oCB}B_@Ml@_Dc@TAw@lAuEAz@ZNPe@PvBh@z@Jo@h@B@gCLVVQE_@QX@mFt@l@@k@dAC_AoF@}EoAeDc@eDp@_KvA_FnE\\`DmDl@C|CnE`CkFvBSfEuC~AJh@l@n@InBfBVc@zBe@JbCdB~JpA~Cl@vFh@v@\\g@^L`@pFz@Yv@pBF{AXn@XaA\\`Bh@OXr@Ho@Rd@nADLt@VYd@rBNYZx@E`B|A`AInAw@vA\\lAZyBHv@Hw@p@BMi@TBZyDQu@v@U{@cCXFh@uB^G?q@RHDg@Pl@b@{AZbARq@KdAF[f@^JyAl@CXeBQPg@aHL{CNHLs@X^NYhBnG@]Z^Fa@H`@L[@x@^HTs@h@t@Be@h@|BP]j@f@f@MT{@Hb@\\mBdAy@Dt@x@{AdBfFrAiAZp@n@If@`BDxEpB~Cd@~B|D`CHfAZMt@~B^{AXJBnAhAbC^tCTOX~@V_@BXXI?aALXDe@t@`@JYbD~LfExG~CrCp@rB`EeBdC@pAaAhC@lBkEdA]n@kAdAeIa@aDjA}IzCiJYaGjCkDvAwLi@cG`BkFzB_@n@VHlIlDxHdBwB~@FzOb{@R`DxGlWjB}@LuBb[mZn@`@B~@XGXbAx@}@d@JjDvFnGg@ZhA~@j@j@KjC}FPop@cCm_@?se@jCqZfK_Ed@gTnXgWmAil@dDdBxJyN`GxZ|Vv[pQyDKiBtEiAxCgc@`DwIJkZb@Dv@cC\\Ll@k@tAbAf@m@Ph@nAc@rAZlB_AnAn@j@|Gi@bDbE|@p@{BNrC_@_@EX~A~@e@bAw@[BbCzBt@BvAqA|@`AHvMdGA|ElDpCEzAdAYTiGYaCbQjFc@gBhEp@F_F`A`@BxAvBTCbIvDyAAwBfCEBr@z@SXoEfBBMoId@Qf@aBd@v@VOBuGfEDAwB`@{@h@v@XKTaEtBPFeCf@k@Lh@nBf@dBoAPb@f@k@`@ZBaCT?`@eC\\^VWPdBd@\\dADJg@PlCt@zA?fBpArA?nDh@r@M~@f@|Cz@j@jEzKt@~@|@DZnAl@Xb@Yb@lAZIf@jAf@FlAxD|APEo@x@mAL`@@_@THAo@VIP`@\\o@b@b@nAiBxCl@p@e@XPDkBlAK?kB|@]fAx@f@oAc@aBx@CZi@RVrB?^z@@nCNR|@YtAjB^w@bBxAt@Ud@Zz@a@j@r@nAEl@dBl@y@nAxFInA^b@x@{@\\gI\\m@\\Tf@WLeB}Ay@_CqFJo@_Aq@Ae@`AyCbAo@z@^NqAt@B?q@wA{@]_EHcA|@ATqATTd@]D_A^h@dADNd@t@MpAjAh@hAPhDv@z@fBWp@b@|@oBVf@j@Ec@y@HuFhASz@rAdAaAVqAd@?l@dBRjH~@Kr@`ApANl@p@R_@RfBb@\\ZM^|D~@m@Du@x@~@lAc@x@\\AnAt@\\V]nAz@Z`Ar@_@Dw@oAaBQyBbBqAp@JhAuD~Ac@fA`Bz@g@VcBj@VZzAp@M^`@~@nDTFDs@pAz@lAyA]]NmElBsAl@Z`@q@a@wBl@aAnBe@b@fB~Ah@NfAf@K@fDtA_At@Np@gBf@VGlB`AFLrAx@x@z@?|@bE|@v@jC`Iz@n@l@mAtBTVh@Q`B~@bB@rAzAfCJ|B[`A~@b@h@c@XvDbAjA~@Ii@vCy@p@v@r@b@tB`AP`@{@~A|ERq@r@@z@nBhARt@fAlA^CgB~@mBKuDb@y@~@DbAz@TrB~@b@nAIZdCr@TBlCn@aBlAo@TNPcGjAqDdA^Nc@TPr@k@SaA\\{Ff@W^sCj@m@iAkI{BqAKiCeBJCXkAU}AbAa@wD]QPgA|@e@HaA~Aa@FoB|BcDt@IXh@lAWrCjANa@V^h@Cf@gCt@e@^Xn@W`@t@h@_AdA?P}A|@k@n@kCxBaBJs@dA?A{Cj@APeBp@j@^[@qA|@oA`AMh@cBtCeBJyBp@PpAa@NaDvAsFp@Pv@o@xB|ABdDp@x@ArA\\RGrAkBl@_AlDROHd@rAR`@g@j@Hp@dFn@B@u@t@b@h@vA`BNNv@z@{Du@kAZ}CvAYx@h@VkCl@Sd@pBr@Rn@e@AaB|@KXs@N^v@Il@h@}@aFu@yOw@qBaAt@s@EcByHEoFcDoEG_CkAeBQyCz@wDy@sBkCp@q@eCVm@}@aAPyCwBDUc@a@wI^eCcBiGd@gFs@N}@sBqAFYkCe@QIgFkBUsB{BgAgGjAqLaAeKu@cBkBZc@s@aB^M_Bv@yAt@@r@u@`@yAYiDZkA`@c@~A\\`@q@I}Cg@}A_BE_AsA^wKn@y@fBPzA~AhCuC\\yBWy@NiDyAyIb@aF^s@Ui@H{Ch@eC]qHTiD]iBj@gOT{@zAi@p@iA|P_Bj@_Ab@cE`ACdCyClA_@g@cHNiMbCu@b@aCHoTxBsE}AoAg@{D?cGiAbA_@Ec@s@QkCj@kBp@H?q@r@aAIw@u@k@S_Bn@qAVsH~@mABiAjAUx@yCgCgEF{@bC_BmBsEh@_A\\{NtB]Z{ENUf@TZuBdAgBQmDy@mA?aCq@uCw@m@s@yBm@Kc@d@YSQl@c@a@DwAm@gDoA{BzCgCAqB_Bf@KeCyAmBYaDcAJOmAk@a@mALHgAc@w@i@O{@\\aAsBmCkA_@sAc@j@g@[eA|@oBy@k@{@i@HEl@qAt@sB~IoCpDm@a@Mv@cAJa@f@cAOo@x@qBeDaCbHmDvBcAwA{@AgAy@_ABKe@}Ai@yBCy@o@sATwBeCoBy@i@wCZcEqCaAc@l@_AU]j@i@gBaDiBGw@}@BIcEyBaDFmCwC_IoC_@_@y@qBUUXaAcAkCYi@qBLsBc@e@{AxD`@fC{AYa@\\i@OHbBk@nCv@jByAD}A_AiA~@Eh@e@D_AgCiBwAOuBs@GCq@q@xAY]aAXi@yC}@KNoAk@{@_APYy@eBz@e@g@]r@LtCe@g@e@b@u@_@WcAm@NsAuADkAxBgHLoEaBDa@eByAjCOtCsA`G{@AeA}BWB@fBeBbDJfA|@?qAhLpBrAHrJY~Al@zAUjBcBVWu@_@f@gAk@_@l@d@pBmAdBVbC_@tADtCw@Du@vAs@}@e@J@hFu@nBVn@]tBb@hDUrAOT_@c@ITu@Mq@vBIpD_@f@gAL_@xAg@O_@|Ay@ZP~@YxC}@hAPpBk@nAk@PVf@K|Ae@`Ae@FUnBs@l@FdIZn@fAGf@ZVz@Af@cAz@`@n@[fCc@nAg@K_Ah@]hCgAVsA`BoClIQUsAlAAd@k@JE`BSR]q@[p@gAkAg@p@@|Bk@lCYACv@_B^]hBSa@g@Ve@xAXrBkAdDq@Ic@j@Qc@_A@i@u@aAPk@y@SwEBw@v@s@C{AgA[[{Ag@r@Ss@_A?IwA_@j@F{@{@He@kAlAkFm@yErAgK[iBoAEUX{AgBaBCo@^sAgBy@Og@eAqAKIo@w@e@q@VQc@}Ap@g@|AsBdBuBuDa@bA]u@oARo@k@}AHYv@]k@BgB_@TGkBa@MC{Dw@kCmBlBm@AeAtAaATc@c@eAt@YWg@|@e@EOcBi@LqB|EaAcDe@Ho@bC]g@uAUa@cB_AKN_B{@q@TsCsHC?qCyEgClAqIbASNaBaCgBOs@kACi@|@}@_CNiEyJ`@@eS}H?]tGsAmAkBvAc@gBWp@{AKa@j@eAoBq@`@OfFj@xFuAvCoBSo@uDcCmERxBSp@a@Gf@vBc@z@KYSLLdAmA|DFbA{p@ce@bAu`@n@_Hq@_F\\{At@MBuAp@GAgAb@g@]o@NiBk@_@KuA_A}A`@kFiAwG\\aBOuAc@k@e@`@UqAo@Li@m@_@\\UcBm@v@EmBmBwAAcA]Le@a@s@^{@gBAqCt@wAs@aHZ_H`@^`@o@~@`AV_@Zb@Pu@N^\\Kp@_BjA?Te@\\TbBcJVn@p@Jt@}DrBpB`@wBz@|@jBwC|@p@bAsDn@m@`A{H~AyAXwA_CyDd@gCkA}Ae@|@C_@]XMe@Md@Yc@Of@WYm@vCaB~BUcAc@bAUqAc@^Ia@SRy@wAaAe@UpAMSc@r@Se@If@y@Gk@fAZeFc@mDeBc@kAgE{@@Km@OR_A_@c@|AqAVcA{E{@uAs@SoAyDDkGWaAcE_FEu@KRWi@OVi@Qs@}@mAkDi@iL_@i@DqCaAgEs@_B]?@aAYJQk@Sj@Kk@SJgAkAc@yB]ELwAm@_@YcC}@_Bs@h@q@cAeAdA]e@On@i@_@Yj@m@q@GbBw@r@KrAkAYSf@c@sBYnBy@m@aArB_AgAWd@Oc@OXQoAaAaAGmBe@U`@}Ns@_Bq@`@aA}AsAsFXcAl@Ql@uCDqCeAk@n@uCKo@Pq@t@ODhHl@i@HVXw@f@XlAsCn@GtBiCj@O|@wIf@q@RHHk@b@\\j@_AWsCr@gD[_Fd@eBt@CBkAt@LZz@zAA`@]j@zCVER{C{BgCn@wGi@gAr@XvAmBc@yCLeBb@KfApAt@{Bb@?d@qBy@uB^eDw@i@u@mJkCeDm@~Ck@bAUGGz@wBcAaAwAQsBYNS_Au@KoB{I{AqAMwGaBuDs@f@[jBoAyAkAtASQq@~@FhBm@L]nAmA_BwAQ]~@w@{AWJ_@lAe@DOzAh@dCI~E_BvAmAvCw@Ke@w@aAfEeAo@a@zAyC}FUeCVcA[aAiA?W^OWMnAWAR{AYiA]TIc@DgK\\Jf@_Fe@yBj@yAHVU_BiA|@m@pBUMQ\\Sq@_@`AkB}Dk@j@a@YOp@}AbAsB\\]kAgAQi@oAJ~@Yd@_@Ue@jBFjBeAb@n@~Eu@hHXzE[n@DvAUnA[TIa@cA|CSG_ArG[d@GoA}@x@[e@u@tAKy@Qr@Oa@c@~Bw@`Am@m@Q~Ac@]EfA_B}Bc@JkAcBe@LcAdAOpB_C`BiA_Hk@y@oArBuA}A]d@cAmA]`As@]QkCWk@[H_BkF{@m@EmG`@qBi@n@i@Qk@hA}@Di@bBk@SaAvIo@aGk@Ec@cEUaPs@U[bAWkAo@q@[FYwA]CaB{Ly@FeAmDIwBz@iD}@y@s@mBGeDwCzAc@MoA~Ag@IiEqJw@iFcByCe@mF]Qc@Vm@e@Sf@MQy@Xa@kAm@@[q@]j@{AiAHzBYDYhBi@{Bw@?SsC[AMr@cAv@UgARaDgCcD_AyFsA`Ao@dB{AyAFeCOg@UJ}@bDK`Dy@hBSzE[Na@aB[P{@[O\\QWm@bC{@Qg@f@e@dCPnBgA|@Y|DiAS_@tB}@_A{@lA]QiAx@A}EgA}Ii@Yi@l@c@M{@yAc@b@WvCe@GSs@Sh@]?o@aC_@Ta@QIw@lAuCJiEQiAy@e@g@uAc@TIw@{@lBHbAq@NM|Ag@@Gf@o@MwAzEAkAg@]JyCiA^u@sCeA_A{BjDoAwB{BcAQeBiAsAg@Hk@pCk@c@cBvFqAmBc@EJy@b@MOw@j@_CWf@?eA|@a@^oHp@kAHTBaBFj@N[BsAy@q@@oB_@B]gARMGeEf@kAN\\X}Al@@JbAZqCaAsBHeAp@OIeCQa@SXWW@y@Up@kAw@IkB]?g@}CTg@]yBt@kBk@eCd@gC]kBViF]{BN{Aa@Ui@aC}@fAm@YcBbCQYm@x@{@QeAzAD~H`A`Av@CFdDk@NZhBqAfBw@jHk@S{@|CC~ChAvEVdEgAhDyAVQlHIX[I}@rGcAxAb@vDElDoBv@g@rA}@XYrCd@v@~AgA^`AFvJ`@jBOnB|@pC?vASzAi@b@QsAy@a@YnBu@^_@jANtAzAvC]lAb@`Ek@b@e@oAk@DcAdACnAe@DmAqAWlA}@v@QuAp@mBMoDWM_@`@q@xAc@o@]l@s@Q_AqAYZWuAf@cAIsBOl@]CE|@g@Mw@t@_@iFL[x@\\Ay@PRJWGcHaAvDqBhBa@Oi@`E[h@q@Bs@uCGeDm@gBoAy@UoFu@MqB{Db@eCS_Bu@`EmCMo@{CmA}@CyBYMb@wKwAkBMZYI{@yCeAy@cArOi@Ls@q@]`@MvDOqAgBvMc@a@Y|@YaBWZOk@Kl@Mc@c@p@s@e@MuAw@tAy@gAo@XIk@wA~@Ki@yAMk@y@[jAoAx@UvAa@k@SlBQIUr@a@[m@x@JhGeBdE][k@ZY}@Kf@G_@QX_@W_@f@Yk@q@lAi@o@[NsB{CI_CmA}Cs@z@_@i@WNkAbDSQ]XYg@sAbAiAqAu@rDi@h@]IKb@e@kBu@s@?rDb@hAQnC]v@oBwE]Qe@b@KtAXn@o@dIg@RYYb@|HeBbHm@C_@|AUqFXqAu@mPuCgFgBKGkHw@wBAyBcCaEq@sEx@{AHoFgAk@oAsD_I]{IkAoIHcYeBwd@Zwa@vn@{@oAaA}HgAWeCyFVmFnAaAHyLsGen@q@yM`@yEy@cCu@Wo@p@c@cBi@`AB}Du@_Ac@yCa@@Km@p@oZ[iLb@}@l@^|@w@^_Oe@}D]{@aAECqBiBIa@m@]pAm@cA}@D}@{FcAa@a@|AFxBkAfDeBOe@dCw@W}@LQ{GeAiGaAqAmA~@O]g@rAg@eDe@mRm@mB^cC[kDDuHa@KOZWfE{@rDo@Qq@rAe@mC{A~Ae@mAy@b@_AkJq@qAUiEc@qB]Zu@a@i@}EWeH^uC{B}Ka@cSe@uB_B}AQsHcAsEZ{Be@eCDeCs@{A{@Qq@_BIgC|A{CX{BwA}@u@}C?wE}@yAAiD{ArCk@No@uHqBsBsApF`@lGm@`@OlCcAzAgAbFo@vLcl@?OxGy@`CKlDw@b@_@s@Sn@LnEWJ_AkDo@|@_@Ks@fCNrNYbAWWo@~Mo@lBm@eC[zB_@HM}FiAqHo@i@W~BY@m@`Ce@rQOVM{AWfBu@}A_@dH}@fBOYi@t@k@Mu@~AY_Am@~@a@sDEp@c@Sc@jE[kAIz@OUQd@u@{JMl@k@aFa@fIXLa@bBd@{@DVg@xASgBe@fBYyBMRIk@OVBkDw@{AOMYtBe@D_@hBOuCSHWk@Gp@o@iAPv\\UKGhA_@q@]d@uAsMu@uAy@lDWm@Sx@[UCbDYT@`CPUDZc@NFbBWDA|B_@^FrCYpAWy@KhAUkAf@eBU}TIV}@eGYj@a@cA[TMyASPM_Ee@y@_@`AEaCa@o@NaFeAyI]XNgBU}BOMBzBWHFz@e@BAhAc@}@BpCsAjI?|Eq@hBiD_LKsHI\\KQXoC[{@Ud@?gDM]Gt@qGwc@c@_@aEp@kAvK}Ab`@yEtc@s@fCmF{b@_LypAuLy`@m@ch@oKec@kF}MwBkCoIcEmCr@oAdAaEeDmEeGuDcAuBB{Ar@qAhBmHjQuJpAmBKuAbAkBtDeCbJ{AjJ_CzYsAhD}BlLgBjRmCzt@{BlSm@xNg@rc@|@rbAuG|j@_QhV_CrG_^zAmCgKiCcE_Ag@iBP_AbA{B`GaOdmA_Gtv@sDx@{AhAyC|EyAhFmNvs@qGd`@gHdn@cD|S}PbtCwCxGmF|PiIfe@y@zIiEntAkRyf@_B{BiABcEfEqB|GuNpnAoJla@iCfPmD~a@eAhi@t@lz@bBla@vEliBeCbXcCjt@Ena@lAdu@nA|\\zAjRnCfMhB`CfADxAaApA_C`BeGlB}N|A}UtB{s@Mq|@dU|cAtA`EdA|@bFJfIvWzAlCdBH~N_LhGd[|AnEz@x@nAAjC_FpCkSpCoh@dR}t@|BcSbBgYhAed@h@yuBbGmvBxBoQnTuEfAw@dAuBlBiJdN_gAvc@huCtDzZfCfb@lDhVhL`p@hH`^vBdGjY|}AbAhg@tSr`CQ~y@f@fUlBvPrCnHfSlcBbBfIbVvr@zKrx@nAtFpAnCjBpAvEy@bPvxAdBxIzB~F|Xz_B","wtpCyfxCpAQtB}BbDaLnBgQfAm\\W}QeBsQaCoHeEqEkAWiAZqA`BsCvJkDjYo@hUd@tUhBhPbDdJvAzA","_brCuy|CxDoAxDgHjCkJdHi]~@wMPqOaAcXsA}JqB_G_CeBuAPkA_AqAE}CyGcA_AeAQaCpAgBtCgAaAaAGcCrBqB~GaApHsAwNQy]aAeQcDqOyAsBkAm@oBd@eC|DmBvJeA~NaBpz@fApc@?rXtApTjF~T`AnAbA^bAM`CkDjBoIlDgg@fB~S`ExSzDtKrAfA","}lvCsx}Cz@GjCaCtCeJvBcWx@k^HaUo@}ScBuOiC}HmA_AkAJgAfAgAtCiDjP}AlOeA|]Hx[rBvYhBjH`AlB","kpuC{njDlAWrAmArD_J`C}MpA}Or@wW]c\\h@}SW_W{@uMwA_KyCiHaD}QmCoDiAqP_DuNyAgBeDKuAnA}A~Dh@a[kAq`@aEgWwB{DeAWcA\\cAvAiAnDsDfYeAd\\n@ja@hCjUtC`H~@b@xBc@~AsBxAwE_@v_@`B|^}@ha@x@va@bBzQ|A|H|CdH~C|UnDzH","muwCi_tDfAShB{B~CaNdBiSh@uUQ_WiAqT}BgOgBaEiAo@eFt@oAhBkAdEmBtOcAb[N|V~A~XfDdRvAxC"],"Antarctica/Syowa":["~}fDoyo@?_ry@_~i@?~xF~qy@"],"America/Nuuk":["m|yCf~eCxDyeDjEoBlxD}dD|BeM|Xfv@|TecFxl@e~Btb@cGxAs@n}@{z@tOmRhe@id@p\\iLpL{TxbAi^h]sE`FvA`C]~B_CjEkJhL}_@r}@s[n\\|Jvq@~Gnd@iMjMwGbl@sa@bbA}x@jXoHrAy@ne@_s@zOkMbFwJdRwXhMqKzz@s}@|PaZj]}[pCqFhByIlGyq@tc@qfCfH_ZrGi_AHeGsBsU_Jqg@aBuE_HqJyv@e\\ay@qa@}~@y^yLmTkZoa@wIcIqh@_Tib@_Yw_@srDeAgGoKk`@}~@cuC{JiN{f@{_AsZmqBwXkqDgL{mAiJ}m@wa@kjBiO}t@}Suy@uGwRaMiR{BdWHzaBuCne@}Izi@eKhJqQfFsGgLy@{EegAoFw@m@]oCPoT~XyjBkAa~@_ObF_TkR}Zo[{U{p@eo@kaAaSgz@}XgaA{CgFyH}BeBbAwArCiNxe@qSvMpC~zBgLzuEcfFcNrHohEgAcfDoE|B}Lac@wUulAgB}MgJglBkCyZ}BeJiSgUoCqYqCcP}Bq]mCcXiF_VsByBy@Vy@rAqCrOyAxBqCjJcBpMuF`p@kExv@mW|jGqZvlBeI`w@aDhb@oAp[cUhfDiKxiAmD`w@mD`nAyGx{Fd@x_FtBlfEzBptBz@x`@vDf|@rLflGnG~`ChNdhDxD~rBhXpiG|HdxCpBnkAbD~UzTlfCjQfcAbPfy@b\\daC@hJLXHWnCxh@xS|jA|JnRrBm@dBgCxDsQ"],"Asia/Shanghai":["k|kAwpnC~@_ClAhAZy@d@b@Lq@t@KGyAf@i@|Bu@Hu@XTRy@p@[fARPi@z@IVc@c@qBnAy@dBYz@d@g@|CrAxA|A^PeAbCkAzAn@fCyBbBDdAuBIaApA{@h@}Ck@gAL}AqAn@aA[@mA}@KrAwH|FiMf@uGf@mAZUfAz@vDoAxCAV}DxAHt@k@xAA\\eAvA[Uq@To@jFFXq@rAn@tAkA@cAjAq@`@vAp@Nn@fAVSz@fAtBsAbAL\\Wx@gCn@e@q@}@rAu@b@gAnBy@jAvBdBcAhApKP^jAG^~@JrC{@TqApBf@hB~@z@}@v@JfAl@VYjARtAv@HZt@|@c@l@|@r@eAfBG]_A~@a@`@gAyBeFpCyAmAgErA@nBsAn@CLq@a@o@aA\\WuCq@iAZ}@ImBi@u@`@s@j@N|@wCc@sBx@cDOs@PQ^l@r@@`@gAlBQtBVbBaALa@m@y@b@eAeBAJwGd@o@C_AbDsG~BwCjAj@pB_CvCoAn@Qj@|@tAf@hAUHk@dCuA@lBxBOPzAZAVfApBk@PVhBoBDmElAIpBkBjCf@x@}@M{A_@O\\kGw@PQ[V}BkAqAP_Bg@{@k@DCo@r@}@x@r@v@]h@t@~As@n@mEr@ItA_Cf@KWeDlBgBn@aCc@{@\\kC~@y@vAaEq@_FvCuDPeBq@wBCiBp@gASUTq@q@m@dAiA_@wAy@QAiAo@aAvBcEgAWd@q@a@i@B_Ar@o@m@i@AuDj@t@nAPfClDtFTxBgBVaBzAB`BwAlA|@tAuA^wAb@?b@v@zAy@h@cA~DRlAp@^Ql@aCdAZz@St@aCPiDhB[sA{BVkBvBONg@gAaAZaEp@Of@wAn@l@rA_Ff@u@`@Rd@g@H_@aAwBp@OfAqCT`CzCb@|DjBo@zAjAv@SlA~AdBHdDn@QH^n@CF{Av@oAxCZXgAp@X`B[fBTzAi@vB~@lAzA^i@?oApBn@dDaDnBi@^cClAgB`AQb@}B~AQv@yAh@NbBwDfCh@nF_Ap@oA[g@j@aBr@o@nAJFe@`EkDbBOr@{AfExBrD[OzBiAh@r@hAa@b@lAv@@vBb@F`@fBr@Z`AOZh@hAH_@nAJzAxAzAiAvBw@^WhBcCvBiACeBl@aBm@mAlAqABv@x@l@xCnABHbAo@p@F~AfAl@\\bDx@t@`E}CzA@T`@v@_A`AL?c@j@Yt@j@Z_AvBoAFgA|@FpAoATeBb@S`@R^m@tBw@TyA`CRt@r@vBFdAhA|FaBC_BbAElAyA`CnCLnAx@\\n@K@_AlAmAvC|ArB}@^oCi@Qt@_A{CeBBcAj@k@Mc@{C?EsAy@[t@eCzAeAl@Jv@cCb@`@~@y@n@l@rAuClCUpAkEfD[Q}CbAQpAiAb@_Bs@{Bc@EVeAQcAs@a@bAaCFqBbB]De@bAm@O}@l@{AhDkEs@gCrAg@Xi@Sg@b@QhB\\HdAf@Hl@s@rBNf@wA?wBxA}@GoCt@u@PkBlAsAm@cClC}FzCgCd@qEnAy@?iC`@s@fC[x@kAbB@\\u@~@`@jAqA?kF_@X[cAy@a@kAAmA~@Y_BTu@kB}BuAB_Am@U\\Wg@e@r@]Sy@T]cAYv@q@MfB}GuBU^yAeA[dAqEl@o@PqEz@wBQeAjAkAm@u@RoAq@e@R_AzAk@~Bx@`@aAp@QJwAz@DLo@z@hAXa@z@f@\\KSmCjAoBQeAfAy@_@WBi@xCiEk@aAJe@tCkB`@mAbAd@c@sCh@{@f@Wl@vAx@HOmBnAg@PkB~@Q]uEtAk@UeBjC{Cu@cAH{@P]d@JHe@g@e@bAeAN{AXG?t@`B[\\}Ct@HjAy@JqAd@YfAVl@y@tA?r@m@Kk@p@s@jAG\\kBn@MC}@f@}@m@k@g@LoAmBGaDkBg@HgAy@oBRmAYaA^s@ZXXkA]]`@w@Si@f@}@z@JNkDj@Dv@hAlBWJs@zCRM{@`@y@~Gl@KoAhAsBUe@ZiBNYh@LPaAdBC`AaB]iC`@a@CkBhBsAXiAdARbCcIo@yAAuA\\EWgAuDsCT}@]s@tAsAB{@h@Sl@l@z@a@bAFBh@rAXFdAv@b@bCu@zAd@RUV}B_@i@|AgBJkAa@}Ar@iAaBmAMmDz@cE~AM}AkB[P}@YBg@gABGw@hHkAv@u@r@oCtBi@f@{@`B?rByClBz@z@iBVaCw@wBoDvA{A[y@ZCqAaAg@a@gAu@FGWtCgAh@`@vAg@hBAD{Bz@y@e@c@r@ODkA|@{@?}@mAu@UyAuDe@k@_AmABLmAr@MHu@{@}@K}A~@eBjATj@wCYy@|@{@PgAt@QRqEbAoAvCgAh@}C?_A}@mAn@iBAoAeAyBd@YRx@V_Bo@mA@_Bk@q@nB}Ak@m@I}@|@A@wBwBkBcAKg@oAaAKHs@hAQMcC|@iBe@yAd@cAQg@n@MFc@i@y@y@f@}Aq@n@_Ci@COy@v@[wAoDHsCc@Ec@eBkAu@h@eB_BOMaBeA{@bBkAKgD`CaDjDCP{@~Bg@nA|@pCSjAv@fASj@bApCl@Nx@lA{@rB^~B}@p@{@Km@rAo@^gAjB\\PoAfBwAs@wCyAGeAcDqBw@}Aj@e@nA}@j@u@?oA[w@aB_Cx@uAgB}A]Q_Au@RyAa@S_AoA}@A{@gAwBkD}B}@@]i@YVsBaBNu@}CyBGyBc@q@\\iAe@w@Nc@s@a@]Zo@o@`@iCzAcAIuAb@So@w@rB{Bg@k@\\aCgBDBkAvA_BH{A]oA~DiDQw@n@}Ag@iB`@aBt@w@sBuEbAmCA}@hA]zClA`@]HqAlAQ^u@DkAwBuAlA}BEkAfAaA?w@cCoAmANs@m@g@mBf@iAaB}@Uo@y@CIs@|BiEEy@nAs@h@Nr@aCh@MSiAl@u@r@LDnB`ATe@eC^oBzAsBg@e@x@cAg@eBhCyAMw@Vk@k@oAoA[A{CwEuJ^cBjAGfAu@kAaE`AGR{@wAk@wAmEcAc@D_B}@g@iA_CuCAk@tCsCi@a@kAZm@Mo@o@_@TkBu@cBGcBs@Hy@a@U}As@[QwByBeD{Bk@c@h@kEiESo@hAkBQyBeAQm@yA{@c@UsAuAc@[kE~@]i@eBTq@_BmCm@ICmCc@eA\\m@_AFwAkBj@a@@aAyACe@iA_@Aa@wCi@mAWPY[L{CkA_@sBwD]jAeAVc@lAqBc@EgD}@[BmB{@QHeAk@g@Tw@yCqDe@gCv@kApBa@j@gBtAEc@qAFgAh@_AEyA`AyB}Ap@bAyBCoAzAKJ{Aa@aChAcB}AYm@u@ZwEkBKQ[Xk@nAIMg@b@w@gCDJuD_BSr@sA]cBh@Uk@cA[XgAk@k@\\cBuCIu@~@CJiAwBqDZ[YcD`@cB`@{@tAS|@uAh@iCt@FNs@pAaAtAXxAuBjAB`AiCdC[IqBVg@rC?tAcCfA^B{@j@?n@u@dF]z@qAg@w@|@Or@mAbABfAgEz@CbA}@`AD`AeA~@uDcB{BPaBfC}Ex@I@i@~@g@`@yBq@GYcCy@Z[[p@{AYi@k@Zo@aBaBjAaC{AeBl@Ai@cBwAC[z@k@g@{BrAqBz@]fC@v@uAnAc@@yAk@C]m@CsAtAeBp@Hr@qBx@Wl@b@n@[L_AYBC}@lA_@n@wAjBg@tAl@vBJvAk@A_AdBg@t@z@l@Dx@gBzALp@w@r@n@fD_DxE]VuBqAiBsEAUW|@aA\\iBs@y@~CaAYa@ZoAk@c@~@sAhCl@dAe@p@`@Z_@~AEZ{@f@KpCr@X_@l@Nn@|@pBk@`CBr@mBz@F`@z@lFq@|@t@hB}@pDd@f@w@r@P|Bg@jAv@dLf@xAfB|@HfAH@cAfB{@hAv@l@WlAvBaAMo@f@\\vAYb@p@V|AOCYl@Q|CYGs@fAoAbDs@vBfCaB|CBv@|BrBbE`@l@~AdCPd@vBx@r@uBzBe@jD`C_@|AtBrBaAfCd@MdA~C~@PvBp@F|B|B?lAwAz@UfAfHvBvAdAGn@xISv@u@Fu@|@[j@pAe@lBbBdBp@|Cv@n@d@g@`CMbId@vBt@e@yGlBSdAiAf@ZLtAlAGAmBhAcBbAlArABf@q@^f@hADbC`EtAHb@hBrB|A|AqElAWu@Y\\KM]e@I^o@e@Ds@wBi@?o@y@Ki@^@s@KR[g@m@FmAa@Vk@]a@iDoAoBi@iCMqD_@s@d@gG_@a@_@sI~AcBs@kB@aBm@i@@wFk@oArAa@tA`ArAzBCz@z@Dn@`AYhA^d@ZH?g@`@Qv@n@dCm@hA|@f@q@\\uEtAq@z@TZi@tAKp@yAp@TXjApApAlBi@IeBfC}AbC@G`@x@p@KaAp@eA^j@n@MjBnA`AHIiAp@_DUuBbBZ|@qBe@_Ez@sBe@KCqAaAm@Ae@hAoA`@cBCsC|@k@f@\\hAC~B{Ap@JLl@qA~Dr@HhCs@b@zB~B\\TtB\\Vv@s@rFuAxBp@~@m@`DhDf@zAzAw@fBxA|AEvBzBd@s@BtAb@SbBsEWg@b@aAQwEaAsAnAcBi@gA^a@Ya@b@c@QiAx@c@Hu@p@NLm@q@SQk@~A}EYo@i@^Ua@\\yD~@R`BiAjBb@Tj@hD^xEqAj@cBt@]oA}ANsAj@o@t@S?d@lBzAdDe@r@sA}@UBk@`B{A]gBcBeBLqAa@gA|@_AdBi@WsBh@cA_AeCBy@}@o@C_AuB}A@m@aB_@c@iAaBkAi@yFgC{C?aAdDJj@kA`Ca@bA~@TmCdBDR_@r@~@bBEXfBxBuAd@@fAeC~B`AP{@b@Bv@sAgBeEByB{@iEr@cCjAv@\\Ss@uCbAy@j@DHsBaCoAAwAyAII~@aAZ?lAaAp@}@LU[yC[mAh@eAyA[f@_AG[\\?oBYg@gASAj@g@HPn@_D\\Uj@i@HMc@eCs@o@xA{@Fq@pAsAGZz@k@\\a@hBqA_AoEtB[CC{@_@VQSsDjB}@a@@sBuBw@o@P]u@mAl@Ma@oBODaAgAmBv@iBdCk@~@uBm@e@_AHKwAZ_Ay@yBl@yCbAi@y@]Gw@f@wC_BZc@s@{C{AQcAm@NGq@sA}A{AfAe@gBaCo@Wk@^gBtBiAy@kArA}A]cAxBaEb@C`@sC|BcAPLhBoAHuBfAwAOaBmAPg@_@}A{DkAn@aBu@GuAcAkBmBKyCmAvBaFnAZdAeAf@H~BsCiCcBsA^wD{CxEwEAe@xFwErBgE_@eAiBLcBq@_EQqDwCcA_H^WdB^fA[VoBrA{AkI{KPk@x@AKi@q@Cx@cBIwBu@JOy@uAe@g@_Cs@s@}@Fi@~@iFt@No@a@cBmBg@x@gB_B]g@{B}AmBf@_AuAwBv@}Bu@@{@q@g@JI}@cBmArC_BbA_B]m@fCeBx@IRyA`A}@|@ZpBWJ}Aa@q@f@aAOcAdAi@V}A`Ao@DcAlCmAk@[M_AHuCgBIOaDZc@ScATcClCyBh@X`@QXgBSc@b@c@w@u@PqAg@MQwCyAe@z@cBSgA~BeBw@_@FiAn@EjAwB^FQkB`@e@|@f@H~@XCVl@`A]Tr@j@G|@`ArBDRrCu@^Ah@nDx@nAEb@t@hAEv@s@zAt@ZgE~AMNo@rBUbA~@p@eAl@`@rAq@tA^t@Un@p@jAOa@gAu@SIu@nA_BUw@NwCxA[V}@aA}@L_A^q@dA]~@~AbALbAmEjD{EFs@q@_@[iA|CwB~BCHg@yAcAo@}AJc@tA_@^\\RwBy@eAZ]IeD}AuEE_Ab@u@Ya@x@{@hAUAo@d@e@~@UQaDzBsB`LsAjHoIrPmh@z@aAbr@yAj_@hb@~BhAdJ`BzXe@nTqB~EeC`MmSzD}LhD{ZAiDaBaKcO_[uO_XarAqp@ywA{_AiTcaBgeAu|C{P_o@aVw^ae@e`@sr@emAo]q]ml@g\\wM_FsaAge@ax@go@o_@{VyoAmi@ac@eMwEMoCbAwAvAug@~t@aaB`d@mVnRk}ApqAen@as@}_A{gB}FaDsZuGmCG_Cl@aD|BiCrFSbDVfD_@bEXzDuDrFwAtJh@fFvDfHDz@{BbBuAlCk@pGsAnEMjDiBzCq@dEaDeA_DFkClAkBjCaDmCsFw@oCn@kBvAIoHqBmFtDa@xCmCrAqE@qFgA}D}BkCyD}@cEz@OqAzDy@tCmD~@eFa@gGmCwEgB_AuBWaDh@eCxBsAtDSnE{@sC{AqBFoDi@aE`F_BlBwA|A{Cf@yDKkDq@uCaBeCyBmAbAaDT{De@aG_A_DqCyCoDs@gC\\qDtByClEoAFsCcBmFg@q@wB}@cJ^_DMuFgByG@_Ee@kDyKkAw@wAaCc@MkBoAOg@iB`@QoBa@i@bAc@EqEyEEeAiBcAsCyFi@{CkBq@eAaDmCsCv@i@a@uBZiBm@Ui@tAo@K_DsIO}CqAg@`@gB[sAr@mAyAC@gAu@Gi@m@EqByBeAr@_ASiDg@Bc@fBcCaDBsAq@_@x@wAg@wAm@URw@][h@FXy@Qy@_@E@eB]tA_@s@HaAiAc@Uo@i@XQqAy@P?s@o@S[j@_@OIaBgBiC[yAu@EEk@kAU_@kAkAQ}AqACy@k@?g@kC\\CRz@OqBoAr@gABqB{AkAKm@w@{Bh@Ky@oBm@d@_AeB{CYIUxAg@Qz@mCv@s@qB[p@eA_CkAg@}B`@I^b@?yAZ{@`@C@oAnAI@u@RbAh@Tt@oA@{@`@^DaAn@IFiBVjAlApAHoAZC_@i@^a@My@XAAu@h@IWkAd@HHp@PQM}@n@wBa@OCgAn@e@EuAm@WXSMcCtAYBsBr@iAISc@N\\c@WuEd@Ua@W`@u@]e@d@c@wASb@_A{@s@f@UJaA^C{@}@`@Vd@i@Mk@n@PAeA^Og@o@XITd@Vo@qAqBKgA}@[Qq@MVoAIuA}B[Re@s@y@@Sn@c@UFb@sA^c@zBuAdBeBPc@jAiHFeBhCo@iBGqKHuIf@}@ByCeAmAGcAf@WFgAmAwBd@q@SmA~@sE]_A{@Wm@Xa@a@LqAc@}@UMC^_@]E{@e@D`@a@@y@i@YGmAk@Je@{Bg@r@c@IJp@k@?OuA_@KMn@c@gAMvAS_C{@`Aq@g@IwCc@d@i@OOk@p@g@STI_@c@f@YUCc@n@TNu@w@Yd@aAOm@|CaEg@o@OXo@c@?g@{@YGp@]q@hAkAAqBuAoAy@VwA]eARw@sAUp@a@Y]d@HgAy@RM{@o@pAm@DaCaBo@NeAWa@q@iBK@q@uAb@OyB[dAo@eA?wAx@BP{@DsCe@_CZo@`@|@`@c@T~@ZGPuHbFfAdDs@XqAbA]zBqCSaBhA^l@g@KyAaBPUyAlCOfBy@X_AXf@t@Eb@sCu@vAiABi@dAcBKBoAyAm@oCrA}@~B^zBqA~BCu@]Bu@mAuCoK@uA^c@YWHoAaASWyA|@qBq@sBf@_AIyBgBp@[_@XcDi@{@}@KE`AiA?_@\\w@k@a@FAcBaAFwAcBqDVy@cBaFq@g@kAyAn@mBs@B~Ak@zA[r@g@MSZAe@g@N@_@UHNi@c@SSz@kBo@g@h@aAQWXUa@uAh@i@Yi@V_FoB_@j@_ADK]g@Ni@[W{Aoh@jKMj@w@C[l@u@HHjAaATU`B{@?q@}BAaB]m@w@Vm@yBz@gCWuCiAe@o@wAj@oGSQc@b@m@uBeEaHaA?OhAoB}@e@oAj@oCq@NqBaBc@F{@qBF}@nB_@RmBb@_@|Jau@zAmDqAoDi@Cq@mBi@KC_Aa@CL^[]k@Ze@UaBt@E`@S]A^We@I\\MY]Va@m@S\\_@q@a@Vo@y@eBL]{@EV_@i@GTqAuAOTCiBwBiFHaB{ANL_@c@SPkAq@z@YqAaAD[dAPh@eAs@OaAc@l@i@IAgAc@fAoA?Aw@e@VOs@q@AMc@x@{BkAu@w@ZOmC}AMcCwBm@@yBhBc@Kw@sDyAy@v@o@C_@_As@[d@?wA]YiAT{@a@Jn@e@|@a@Qe@cCg@E}A`BDtAw@JeBuAoCy@{A{DmDS}Ay@_B~@}EiBoAZ_AqA{CcA_@cD_@UqCD_ChCaCe@{AiD}@MkAcBS}IeAyCqASgCeEuAGiD{DaBPyBbEqBMc@j@G|AwANqA`BuAAaCeDsBqAkEMc@_BgDyAaB`D@tEc@~ClAlEBbLfB`CYpDtAnACvA|AvK\\p@xABX^[zExBt@\\tAXrB]pCp@lDaAhFRrEX~@nC`BhA`GbCxBBbBy@vA\\pBpCg@xB~C`ATpASn@bBAtBgArEKtC`BnBR`JYvCpA`@N|@w@fBb@pAI~C_AhCN`AvAlB?v@s@rAwAF_@|D^lDO|EnA~CVhDY~Do@fAsENwDhCoDvGs@`@]rAcAJ[f@iAUaB_DcCc@W_AuAmAsAr@]vAmCbAeCs@_@`An@dEYb@eDPu@vCeIgDyCsCq@VCtBr@tD_@dA}@d@GvArAvHEpAgBvBmB`FiA|@cArEeBOi@pCwAUc@b@SxCyCh@u@`A\\|E[pAwEj@u@fAa@lCXbBt@\\dAW\\p@ItAuAdDTdBjA`BEfBoC|A}@tAGlBw@zB`@rCUbB{@GiAmBw@J]tABl@x@XoAfIVrI`B|Ao@jDz@pCi@zGoAvCl@nBWnDiAbAyAzDmEj@}@vFqBb@wCc@kArAqAR{AYmDeDqDi@cB`McBnBm@CkAcAkACgAxCkBq@c@uA_AYsD~CuAJkAe@y@dCeI|Fo@vBwBvBgAfCcHn@iFeD[~@d@vCjB}A^^AlAs@fAa@XqAC[w@@cCg@_@u@Pc@d@O~Ce@dAc@@wCuBoAbG{@lAmA_CwAh@eAUa@`Co@B_@lA}E~CuB`DcAI_Bn@UyCyDmAwCzNcAUoAkDJ{@e@GS~DcAn@c@{@qA@{CxCF|CgBc@_@RaCvFx@pAeAjB}@Vm@Sc@wDuBp@a@kCYDw@vClAbCoGhGC|BfAhEmBPm@eC}@A[c@m@jCw@fAuAl@x@rE{AXeB`KsB~GNjJp@`D^`@xAi@ThAwAjAO~E_AOSVi@|OcAbAUpAkCrA{AvCv@jGgB`B@hB_Az@qBtFK|HsAhA]|BH`@pA^LbAoAm@g@dA^`AXHl@o@PTGh@cAl@u@`JT~AfBjDQxCdBrMOjMh@jIo@jBaAr@Al@hAdDIhD~A~CI~KnEpYAlFn@v@f@nCFpE{@bAb@fBMzHv@`Ct@g@~BfHz@ETjAz@Zl@`DjAdApAdDvA|@f@hBjAZNbB|@Nd@~BbAjAIrAx@dBTzBbCkAlCdAjA[Vi@PuFyAaELyEy@gC~DsLFyAZAd@tAf@g@p@l@hAMlApAv@?Nx@rAa@p@{Bv@c@FqAbBXzAqAf@r@z@M^r@\\U@t@fAhAbA{@fBrBt@?^lEbA\\IbC|@?f@vCb@It@tAD|AbAj@@l@jC`E@lDx@]`@tA|Ap@bAa@|AbCl@Dt@g@d@t@dADT|Bv@kAl@zBpAD`@lCf@a@^|@z@q@UvAVb@pAw@Nx@Tm@z@TNf@n@Wd@|AVYl@v@j@C[Nf@~BX?h@pApAf@nB|Cp@Wh@NtAw@\\x@RWb@L|BbCDfBb@Y~@dAUn@`@@h@hBx@]V|@Ra@Zb@v@@Pz@Xy@d@CNn@XUNv@|@RY|AbArAPcBd@d@CoA\\X_@eAh@iAm@k@h@q@]iBt@c@J\\Fy@d@fAd@ADv@r@o@lAz@h@uAhAhB`BZFt@|@|@[zA|ALf@d@STZx@`A~@LvE]rA`ArEQ|@l@~BQ|C`@RS|@l@HKpAf@JDb@L]A`Ah@PPfA|@W@n@RQDdEj@c@Zn@VQZjBQh@x@j@NpBf@@Hj@PQd@\\@t@l@HWtBp@G~@hAOxDv@jAC`BfBPJ^n@WJXi@bAYEj@vAuEbSGjKmBfL_ItTd|@ji@bBiAl@^|OzOtOs@lEhQf@a@j@^vAq@fHq@zMwUsGaJuByGnAsJeByMK_HtCuOfJ_QmFuEYiAa@EaMuPQuDVeHaAkCRy@[w@LyBX@p@wBU_Gj@a@AwFtLmKzEwUrFi@zBmLpBfAKs@r@[t@iC`@C`AsAp@}CjBGDaCdBiDjGuDbA^pBeBF}@p@`@d@M`@cCjAj@`@aA`@XdAYnAz@fAu@lBz@a@~D\\GrA~@lAbEgAh@NtCg@p@IxF`AlBWbAPpAsA~CDnFmEhEz@rBEr@Q\\S[aAb@P`CbB`B|@MSfFm@r@r@nCyAdPp@pCz@hAFtChB~CXxEhD|DIbCf@bB]vAu@hAoAd@Ov@j@xIlBs@~A`BhFl@LnP{@`OlBlCNlE~@~CdAVfFfGVfAhIjG|Cv@rAuAhCAt@|Bd@@fAvAL~Gr@Xr@dDtIbNjCzSM|Jf@|JyBxMfBfKvDXlDnC|BlCxE~KdCvApAxCZxHjAx@~@pDfEtHcAjHe@vTgCdViCjIwCbCcCdEVfBSlOo@`BP`DvDzJbC`CpN`IdAVrCOfE`EzFlBt@_@t@{CdEgAbGeFbCkG~BkD`FiDtCQhBh@p@|H|IlL\\tIxApBnAlIhCvI|L|M~AlCjFnCfE~HpBbAnEjQ`AdALpK\\vAbCtJdDvG\\`Cb@fJe@fOrBpJc@tAF~D}@`IFjNo@fBz@~Lx@bES`UuAjCCtA`B~HxAfA`BnLl@|NnU`cAnGlR`@V|@hDAvBl@V`H`LqCvDPrM_@hIe@b@yDBiEu@fD`\\[jAGbMsC~VkNrg@_AbL`@xEcD`Yy@m@sNlNk@rMeH|k@]b`@dBdBWtQbD`\\mDtpA{G`_ApA`KAhMz@rU{In@aTl[qAz@qGf@gJrFaO`FsHfEq@tKuBw@gGi@uAkB{@XtAtXuA`CuAjHG`CsEfF_CxGKbFaCj@m@bB}B`CaKd]gAb@kCrKTR?jC_AxBHfD{@dFEfF`@dC_BlERbAYnCbBxPu@bJXzCiC`J@`Of@zEi@rF\\R}@xBkB~AEj@|AlBg@vAElDeA~BaAZ[rA?|Fn@dF[\\{A{@aBvBR~@gAQmErAuBfEqBBoJ}A}HiGmG{IkETyJlF_ByCgEqAaEaCi@RCdBuGcAwA~@Mr@s@Hy@~AgBe@aAlAw@GeBfCIxD]?eExEo@?Ah@}BzAOn@}CfAgAzAc@w@e@Lg@i@q@b@IvAgD[eBvCeBZcAjAg@QBg@]Hs@zAyAjK{BrBgBE]c@q@x@Xf@[`DlBLH|JmAh@WWo@r@GjCqAZk@|A}@LS_@k@j@@bJ]d@n@b@LjCt@^TxAe@zCLxDqF~FP|EuBzDFf@e@IIxCaAd@K`Aw@U{@|@}BiAYfAYIApA_@f@c@IM|@f@~A{AhDs@M[v@u@zCFfC_ArAJt@m@b@F`B_AzCi@^eAmCg@^cA{B{@e@@fAkAx@g@lBZfAmAxBGvAo@jAIaAsAvA?nA[HgAs@SNA_Ag@o@DsBi@@[cA[~@i@]}@rB]q@aAV_@y@gAhAFZs@BMtDxAzHItC|AYh@|C_BbHF`By@z@QrB@jAf@l@WbDNjEbAhBfAGVXtBrE|CUrBwCn@ExAbCfCg@dBnCx@VXjBfBpAhAPtBbJk@~@RrCtBhCG~Rb@xF\\|@hCzB`AAtBfANr@|@PXpAdBx@JSH\\lEj@tAg@pZeC~@J|CuC`AC`@c@tBz@~@s@jAd@j@KtFrGpBX]tCh@pGs@|Ad@ZCxAvBpAbA`E~@XLxCxAPTfAaCjDe@?u@vC}@l@HfJp@fCcAtCXpBKbJdAvCCrCu@~Bl@lCeBfGQvA\\pAc@Dg@dGk@AMpAq@d@QpAQKVpB{B`BAvFiAnAe@bBVnFxBDbEdA~AlBpLhChA|AhPfErSbLbJnBX~Cp@nA|GQlDpBvBH~@n@bDi@bFmOvCyAxFJ^j@t@nD}@nGeAlBpA`Ji@j@m@QO|Af@dAHlDyHjHt@rBSd@`@t@?`Bt@bBb@G@jAn@Zb@xBg@lA|@vAOp@n@dDUrAn@vBb@H_@lBh@Cx@lAZpCSnAtAvBe@vFs@zB^]f@v@z@bECnDi@l@lDtEAhAy@r@|ApEcArCb@VQdA\\JEp@z@Tp@hAf@rBl@Vt@zB`@GMw@d@cB~@d@r@cBbAGg@eF_AcBb@e@z@RvAi@xB}G~CqC~F|BzJqBhJNlAaBnAYnANdAcAd@VjAqAn@Pb@a@dACxTcMt@KXf@nA?`ChB^aExAZv@q@hAFp@i@lAr@WtFTdCpArAfBhI\\NfAg@bBqDz@oEl@WTfEr@nAAhAr@b@Q\\ZvB[PTzBfG|@p@fBpA\\`EuBl@eBrAbClA@p@y@zAN`@Wf@yAv@l@dAu@l@D^`ASzATt@zBZFn@bAQ|@mAnAx@ROWvFZbIj@dAt@Mh@dAxA\\t@|@?vG~@`@d@~AFhD]`@VnB~ApBc@x@hDpEDvDbAtAPjBl@TKt@h@|Bd@H|@~AI^jAvAJjEh@j@TYh@nA|@d@UzCnAlAt@zC@nBf@VEzAZ\\g@zDd@lCrH`AxAzGA~CbAhCnAz@dBm@xAvB_@bAt@vAUlAh@~BU`APjCM\\e@Ge@bFjA|Cy@~Af@zBu@dCSM]j@HfC[f@|AjC?rBx@h@d@In@fEfBl@pBC@Zp@SdA~@h@nBvAQl@o@\\b@rB@TrA~@^t@lAtAp@vAKf@~@b@@Z~An@`@XnBUb@~Ar@q@n@o@Uq@~A_@MSXvBpDc@hBBzBZ|@r@OBp@w@x@JhAZGz@dAx@KTb@i@`AE|Aa@N`A|AMtAr@`AcAHcBdAsBe@eBwAs@fAMrAqAl@oCQu@fAa@MvAfF~BnCl@lDnAp@VzAdAbA_@bDr@dB_AnC\\|@kChH`@j@`BNFf@bEkF^HZlA{@nCFbEp@QfA^^n@SjCrC`CFv@jE`GPx@i@fATp@{@j@l@jGp@`@NhAk@t@f@z@dA\\VvBv@oAhDjC\\]|@PjA`CjB\\t@IR_Cd@c@FPfEkAl@DNdAv@Ef@hAP]h@d@z@Aj@rGYdE^jAzAJ","_pjAeqpC{vA??ynD}j@??{vAzvA??vnD|j@?","cxgAcisC}j@??wnD{vA??q~Iq~I??q~ItfG??{vAzvA??zvAvnD??tfG~j@??p~I|j@??zvA}j@??zvA}vA?","ysnA{xxC}j@??ynD|j@?","o{vAq`aD{vA??{vAzvA?","ksyAipfD{vA??}vAzvA?","w_pAwgtD_k@??}vA~j@?","sctAwgtD}j@??}vA|j@?","kij@ov|E{@IIUXu@?cAjAq@pB?~@f@?lAk@?Sh@gA?","qkj@qh}EgFgB_E?aD{FLsBcAgAIuBg@[b@oCk@sACqBJiE`@i@vC?nE}AnL??bb@Vb@}ArD","{rn@gveFw@]}D_GGoBcAsC~AkFfCm@|BhArAxAe@xC|AdCc@|D","{cn@yyeF}@?_Ac@CqBv@w@~AC^pAKnA","yxo@sdhFuA?m@wC\\aB~Bu@tAv@PbAg@tB","aar@qaiFkCs@{AeB{Ak@e@cDlC{AtAAfDlBvAzDo@xB","qvq@ebiFiAa@o@}B`AcEjAY~BzA`@rA]pA","_lr@stiF_A?gBwBLiBfAm@fA?nAtA@hC","mpr@ydjFsAcANqDhAoA|BNjArEaCzA","cy]iwwEdDg@fCiBtAwCRcDmN}qA_AeEcDyE{C_Bke@uH}BCuBd@gDhCqTh_@uGzp@JbDlA|EnBjC~CpA","{t]}bzEh@IJu@iAeCSCo@PGb@\\`C","_sQ_a{EpDm@nC_CfAwDS_EkBsDeHkHoDaAwDRsC~A{ArCW~Cn@dElAbClG~FvB~@","srPyb{ExToDCwDqA_DsB_BwCm@{CNgChA_BvBm@xCLzC","ml]_w|ElD}C|FsO@wJa@gFyAwDqFsC?wLaBgDyDqD_T{LeFu@uGnDyB~CnAtHhEzHfBlQ`F~MfIdHlIbBxBdI","ihT_l}EvCc@vBsAtAaC\\uCYwC_J_GaApCkBlB{ChAcDJCV`@dD~AfCjEpB","u}Riu}EfGoAtBsAnAeBaC{IqQrA_BrFZbAhCxC","izQ}y}EnDsB|AkEY}EaCgDoJbG","yrRql~EnS{ALsCoWoA","e}Rgy~EY{B_AqBaBwAwBs@}BGyB\\qBjAkAbB","_jR}d`FvC_@`CwAhCeE\\sC_@sC{BgFkCaBcD]sDj@qCrBsAvCg@fFb@|C|AbClDjB","qu\\}ndFxFW~Bq@pCkCfA{CPiHg@}CeCkDqD{A}DGoDlAwFjHcApC?zEpAtDjCxB"],"Australia/Perth":["h~p@wb{E|O}B|I_EfD{CzE[tGgF|FaA~PmQnNaKh^}PbHeB~DdAbETdSsDdF_DhCkEjG_ErDqDpCoAjE`ArEi@~DaCfL{LtBo@~C~BhEXfDkAhCgDlAHnDxChD\\pCk@rCwB|DZ|Go@rBu@xC@fNaBxU_K|EgEzE}ArCLvDq@jBwA|AqCnDk@`DcDhKkEfE`KfC`BtCd@pC]|BwAtA{B`AgEhE|@zHw@dDlAnEd@jWsCpFB`HbC`EpDD^kDpGs@fGz@nF|CtDjCt@vDE~Bx@pDCnCh@hD]tCLtJgA~F?pGwCnIcMh@yCDsDiB}GjBqF~JmMzEqArB{ArB_Ej@qCbDiBjBuD\\iEo@uEfAkD|AoPc@oFHgGe@cDn@qGu@sEDiBdDuLD}GnBgFKcIiCoHeIyOQoHqA_E_DiCqFi@}AcEwEmGgBqAMa@dB{JIkEeCoJ_DcHkAoFoB}B_DcA_DLoCvA{CkHi@}DJ_D[}C|DeCfB_GA_Dm@mDgCmEtB_EZ{Fi@eD{AmCeC}AmC[GuGtEcI`De@vB_BhAsBl@cD|ByA`ByCbCg@lByAtAiCh@oD]wFeAeCcBaBcA}GoBeC_DkAiCeX`AiO_@wFVuAhEs@tCwChAuEOmF{@mCiB_C}BqAmC[wAcBO}EeB_EgDiCeE[Y_DcAiCiFgEsDm@aIr@_D~ByAhEkDe@{J_DwAaA{BeEgCsX}Ng]uAkHi{A??{yEua_@BeZiBEdFkBlDMdErA`EvDbCeDbBgBlDSzCh@bD}B`FG~B^`C{CnAaItGkJlLkF~CgB~DcCtAaB~Bq@vEz@xEcF~EmAxENtCrA|DX~ZeCj@eBlAwAfC[pCsBx@cBhBaAbE^dElBrCnDvAfA~CbCrBrEl@lEiA~CbFnDlBUnCV~BbElH|AvAdCx@pDpDpClKlApBvGdDtCFbCc@hIfE~CzEfCrLhDdDxApCjDjBdAnBjB|AbDv@fDO|C|Ca@TcFa@sDlA{BxCqAbH?~Cl@dCtAlB`CpAe@jNn@jCjB|BxCnAfCTjG_@vCcAjDyCxAaCbBwKz@tFfDbGpBnAzCd@dJpKpGjDxEdFfCbAvBpEjEhCeCtDw@`Gn@tGtCzDvDdAtDU`DiBdCkDpOfD|NCrEoAtEDrCa@jCj@zLr@|C~CNhE`ArCvHjHlDnAxA~BbCrAxCZhDm@~BrA|GjBpO`MvHlK`HlSvAjGZrErBjE@pHv@jHnAzERjEhBzEoAnJeApBg@tCyBgAkC[aCN_C`AaBfBy@tBUtCTnCvA|CjChBfD`@fDe@|@zE~CfDtC|@dEnCdFDnAbOv@dDQjC\\zCnChExCpJhEzFdBzDhAxCj@hFiJxFcBfBkApDMxEkCbHHzE~EfP{Bjq@uBpFuBhCo@pCDfDbAxClCnCxD~@fEe@vCaChG\\xDfDdFzAdEP|An@bYtYpEjVrElFb@`CpFnMtC`D~BpAtT|EpOvHnIpBhCCnHsAhFuEzFnAzLqAvDF|AfCvCtBjR~HzDf@rCfArFJdDz@tLOvKbKrDdBxEt@rFLjEbApDElEj@fL|F","|fv@ek|EpD_@~H{C`PcBbEkBzHkGtDuFdAaFM_FuBkEyH_EaGsAcCCcDdAgIdH}JxDmCxEyHbIqAjFR|D~AnDhCdB","~}fDor_F?o{vA_g^??n{vA","hka@cxfFxE{@lEyDvAaFe@mFiB{CcC_ByD_AuEFnBgD^_Eq@aEcC}C{FeBsD?cEt@uCdBgBvCg@xDd@nDbBpCvBvAfE~@bD@oAxBc@~BBlCr@jCtDtDfFtB","bsZkilFtDg@bCyAjCyDdAuEHiCc@uC}BsFkBkCuCgBuDm@qMfByCuDsEgA_Ed@yEvCcB|Ca@lD\\dD|AlClEbCpEPdCxDtGxBlEvC","xpZg{oFdDa@`CwAzAkCd@kD]_DwAiC_C{AeDe@iD`@kC~AuA~Bc@bD\\lDzAlCjC|A"],"Antarctica/McMurdo":["~wnD~p~I?_c~T_af@?owH~`f@n_h@??~m|QonT??~qy@"]}
+	};
+}
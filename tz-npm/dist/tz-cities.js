@@ -0,0 +1,2 @@
+export const tz_cities = 
+{"Abu Dhabi":"Asia/Dubai","Abuja":"Africa/Lagos","Accra":"Africa/Abidjan","Addis Ababa":"Africa/Nairobi","Aden":"Asia/Riyadh","Alaska":"America/Anchorage","Albuquerque":"America/Denver","Alexandria":"Africa/Cairo","Alma-Ata":"Asia/Almaty","Amsterdam":"Europe/Brussels","Anguilla":"America/Puerto_Rico","Ankara":"Europe/Istanbul","Antananarivo":"Africa/Nairobi","Antigua":"America/Puerto_Rico","Antwerp":"Europe/Brussels","Arizona":"America/Phoenix","Aruba":"America/Puerto_Rico","Asmara":"Africa/Nairobi","Atikokan":"America/Panama","Atlanta":"America/New_York","Austin":"America/Chicago","Bahrain":"Asia/Qatar","Bali":"Asia/Makassar","Bamako":"Africa/Abidjan","Bandung":"Asia/Jakarta","Bangalore":"Asia/Kolkata","Bangui":"Africa/Lagos","Banjul":"Africa/Abidjan","Barcelona":"Europe/Madrid","Batavia":"Asia/Jakarta","Beijing":"Asia/Shanghai","Belo Horizonte":"America/Sao_Paulo","Bengaluru":"Asia/Kolkata","Bern":"Europe/Zurich","Birmingham":"Europe/London","Blanc-Sablon":"America/Puerto_Rico","Blantyre":"Africa/Maputo","Bombay":"Asia/Kolkata","Boston":"America/New_York","Brasilia":"America/Sao_Paulo","Bratislava":"Europe/Prague","Brazzaville":"Africa/Lagos","Brunei":"Asia/Kuching","Bujumbura":"Africa/Maputo","Busan":"Asia/Seoul","Busingen":"Europe/Zurich","Calcutta":"Asia/Kolkata","Calgary":"America/Edmonton","Canberra":"Australia/Sydney","Canton":"Asia/Shanghai","Cape Town":"Africa/Johannesburg","Cayman":"America/Panama","Chengdu":"Asia/Shanghai","Chennai":"Asia/Kolkata","Chongqing":"Asia/Shanghai","Christchurch":"Pacific/Auckland","Christmas":"Asia/Bangkok","Chuuk":"Pacific/Port_Moresby","Cocos":"Asia/Yangon","Cologne":"Europe/Berlin","Comoro":"Africa/Nairobi","Conakry":"Africa/Abidjan","Constantinople":"Europe/Istanbul","Copenhagen":"Europe/Berlin","Coyhaique":"America/Punta_Arenas","Creston":"America/Phoenix","Curacao":"America/Puerto_Rico","Curitiba":"America/Sao_Paulo","Cusco":"America/Lima","Dacca":"Asia/Dhaka","Dakar":"Africa/Abidjan","Dallas":"America/Chicago","Dar es Salaam":"Africa/Nairobi","Delhi":"Asia/Kolkata","Denpasar":"Asia/Makassar","Djibouti":"Africa/Nairobi","Dominica":"America/Puerto_Rico","Douala":"Africa/Lagos","DumontDUrville":"Pacific/Port_Moresby","Durban":"Africa/Johannesburg","Edinburgh":"Europe/London","El Paso":"America/Denver","Florence":"Europe/Rome","Frankfurt":"Europe/Berlin","Freetown":"Africa/Abidjan","Funafuti":"Pacific/Tarawa","Gaborone":"Africa/Maputo","Geneva":"Europe/Zurich","Glasgow":"Europe/London","Gold Coast":"Australia/Brisbane","Grenada":"America/Puerto_Rico","Guadalajara":"America/Mexico_City","Guadeloupe":"America/Puerto_Rico","Guangzhou":"Asia/Shanghai","Guernsey":"Europe/London","Hamburg":"Europe/Berlin","Hanoi":"Asia/Bangkok","Harare":"Africa/Maputo","Hawaii":"Pacific/Honolulu","Houston":"America/Chicago","Hyderabad":"Asia/Kolkata","Islamabad":"Asia/Karachi","Isle of Man":"Europe/London","Jeddah":"Asia/Riyadh","Jersey":"Europe/London","Kampala":"Africa/Nairobi","Kansas City":"America/Chicago","Kerguelen":"Indian/Maldives","Kiev":"Europe/Kyiv","Kigali":"Africa/Maputo","Kinshasa":"Africa/Lagos","Krakow":"Europe/Warsaw","Kralendijk":"America/Puerto_Rico","Kuala Lumpur":"Asia/Singapore","Kuwait":"Asia/Riyadh","Kyoto":"Asia/Tokyo","Lahore":"Asia/Karachi","Las Vegas":"America/Los_Angeles","Leningrad":"Europe/Moscow","Libreville":"Africa/Lagos","Ljubljana":"Europe/Belgrade","Lome":"Africa/Abidjan","Longyearbyen":"Europe/Berlin","Lower Princes":"America/Puerto_Rico","Luanda":"Africa/Lagos","Lubumbashi":"Africa/Maputo","Lusaka":"Africa/Maputo","Luxembourg":"Europe/Brussels","Lyon":"Europe/Paris","Madras":"Asia/Kolkata","Mahe":"Asia/Dubai","Majuro":"Pacific/Tarawa","Malabo":"Africa/Lagos","Manchester":"Europe/London","Mariehamn":"Europe/Helsinki","Marigot":"America/Puerto_Rico","Marrakesh":"Africa/Casablanca","Marseille":"Europe/Paris","Maseru":"Africa/Johannesburg","Mayotte":"Africa/Nairobi","Mbabane":"Africa/Johannesburg","McMurdo":"Pacific/Auckland","Mecca":"Asia/Riyadh","Memphis":"America/Chicago","Miami":"America/New_York","Midway":"Pacific/Pago_Pago","Milan":"Europe/Rome","Minneapolis":"America/Chicago","Mogadishu":"Africa/Nairobi","Monaco":"Europe/Paris","Montreal":"America/New_York","Montserrat":"America/Puerto_Rico","Mumbai":"Asia/Kolkata","Munich":"Europe/Berlin","Muscat":"Asia/Dubai","Nagoya":"Asia/Tokyo","Nanjing":"Asia/Shanghai","Naples":"Europe/Rome","Nashville":"America/Chicago","Nassau":"America/Toronto","New Delhi":"Asia/Kolkata","New Orleans":"America/Chicago","Niamey":"Africa/Lagos","Nouakchott":"Africa/Abidjan","Orlando":"America/New_York","Osaka":"Asia/Tokyo","Oslo":"Europe/Berlin","Ottawa":"America/New_York","Ouagadougou":"Africa/Abidjan","Peking":"Asia/Shanghai","Philadelphia":"America/New_York","Phnom Penh":"Asia/Bangkok","Podgorica":"Europe/Belgrade","Pohnpei":"Pacific/Guadalcanal","Port of Spain":"America/Puerto_Rico","Portland":"America/Los_Angeles","Porto":"Europe/Lisbon","Porto Alegre":"America/Sao_Paulo","Porto-Novo":"Africa/Lagos","Pretoria":"Africa/Johannesburg","Puebla":"America/Mexico_City","Pusan":"Asia/Seoul","Quebec":"America/Toronto","Rabat":"Africa/Casablanca","Rangoon":"Asia/Yangon","Reunion":"Asia/Dubai","Reykjavik":"Africa/Abidjan","Rio de Janeiro":"America/Sao_Paulo","Rosario":"America/Argentina/Buenos_Aires","Rotterdam":"Europe/Brussels","Sacramento":"America/Los_Angeles","Saigon":"Asia/Ho_Chi_Minh","Saint Petersburg":"Europe/Moscow","Saipan":"Pacific/Guam","Salt Lake City":"America/Denver","San Antonio":"America/Chicago","San Diego":"America/Los_Angeles","San Francisco":"America/Los_Angeles","San Jose":"America/Los_Angeles","San Marino":"Europe/Rome","Sapporo":"Asia/Tokyo","Sarajevo":"Europe/Belgrade","Seattle":"America/Los_Angeles","Seville":"Europe/Madrid","Shenzhen":"Asia/Shanghai","Silicon Valley":"America/Los_Angeles","Skopje":"Europe/Belgrade","St Barthelemy":"America/Puerto_Rico","St Helena":"Africa/Abidjan","St Kitts":"America/Puerto_Rico","St Louis":"America/Chicago","St Lucia":"America/Puerto_Rico","St Petersburg":"Europe/Moscow","St Thomas":"America/Puerto_Rico","St Vincent":"America/Puerto_Rico","Stockholm":"Europe/Berlin","Surabaya":"Asia/Jakarta","Syowa":"Asia/Riyadh","Teheran":"Asia/Tehran","Tel Aviv":"Asia/Jerusalem","The Hague":"Europe/Brussels","Thessaloniki":"Europe/Athens","Tianjin":"Asia/Shanghai","Tortola":"America/Puerto_Rico","Tucson":"America/Phoenix","Ulan Bator":"Asia/Ulaanbaatar","Vaduz":"Europe/Zurich","Valencia":"Europe/Madrid","Vatican":"Europe/Rome","Venice":"Europe/Rome","Victoria":"America/Vancouver","Vientiane":"Asia/Bangkok","Wake":"Pacific/Tarawa","Wallis":"Pacific/Tarawa","Washington":"America/New_York","Wellington":"Pacific/Auckland","Wuhan":"Asia/Shanghai","Yokohama":"Asia/Tokyo","Zagreb":"Europe/Belgrade"}
\ No newline at end of file
@@ -0,0 +1,5 @@
+// IANA tzdata release the database was built from
+export const tz_db_version = "2025b";
+
+export const core_tz_db = 
+[["CI","Africa/Abidjan","+00:00","+00:00","GMT","","africa",5.3204,-4.0161,"00"],["DZ","Africa/Algiers","+01:00","+01:00","CET","","africa",36.7729,3.0588,"00"],["GW","Africa/Bissau","+00:00","+00:00","GMT","","africa",11.8613,-15.5831,"00"],["EG","Africa/Cairo","+02:00","+03:00","EET","EEST","africa",30.0444,31.2357,"2|4.lastFri@0:00|10.lastThu@24:00"],["MA","Africa/Casablanca","+01:00","+00:00","+01","+00","africa",33.5945,-7.62,"00"],["ES","Africa/Ceuta","+01:00","+02:00","CET","CEST","europe",35.8884,-5.3041,"A03@1:00u"],["EH","Africa/El_Aaiun","+01:00","+00:00","+01","+00","africa",27.1545,-13.1954,"00"],["ZA","Africa/Johannesburg","+02:00","+02:00","SAST","","africa",-26.205,28.0497,"00"],["SS","Africa/Juba","+02:00","+02:00","CAT","","africa",4.8459,31.5959,"00"],["SD","Africa/Khartoum","+02:00","+02:00","CAT","","africa",15.5636,32.5349,"00"],["NG","Africa/Lagos","+01:00","+01:00","WAT","","africa",6.4551,3.3942,"00"],["MZ","Africa/Maputo","+02:00","+02:00","CAT","","africa",-25.9662,32.5675,"00"],["LR","Africa/Monrovia","+00:00","+00:00","GMT","","africa",6.328,-10.7978,"00"],["KE","Africa/Nairobi","+03:00","+03:00","EAT","","africa",-1.3026,36.8288,"00"],["TD","Africa/Ndjamena","+01:00","+01:00","WAT","","africa",12.1192,15.0503,"00"],["ST","Africa/Sao_Tome","+00:00","+00:00","GMT","","africa",0.3389,6.7313,"00"],["LY","Africa/Tripoli","+02:00","+02:00","EET","","africa",32.8967,13.1778,"00"],["TN","Africa/Tunis","+01:00","+01:00","CET","","africa",36.8002,10.1858,"00"],["NA","Africa/Windhoek","+02:00","+02:00","CAT","","africa",-22.5776,17.0773,"00"],["US","America/Adak","-10:00","-09:00","HST","HDT","northamerica",51.8736,-176.639,"1B23@2:00"],["US","America/Anchorage","-09:00","-08:00","AKST","AKDT","northamerica",61.2163,-149.8949,"1B23@2:00"],["BR","America/Araguaina","-03:00","-03:00","-03","","southamerica",-7.1932,-48.2019,"00"],["AR","America/Argentina/Buenos_Aires","-03:00","-03:00","-03","","southamerica",-34.6037,-58.3815,"00"],["AR","America/Argentina/Catamarca","-03:00","-03:00","-03","","southamerica",-28.4667,-65.7833,"00"],["AR","America/Argentina/Cordoba","-03:00","-03:00","-03","","southamerica",-31.4,-64.1833,"00"],["AR","America/Argentina/Jujuy","-03:00","-03:00","-03","","southamerica",-24.1833,-65.3,"00"],["AR","America/Argentina/La_Rioja","-03:00","-03:00","-03","","southamerica",-29.4333,-66.85,"00"],["AR","America/Argentina/Mendoza","-03:00","-03:00","-03","","southamerica",-32.8833,-68.8167,"00"],["AR","America/Argentina/Rio_Gallegos","-03:00","-03:00","-03","","southamerica",-51.6232,-69.2159,"00"],["AR","America/Argentina/Salta","-03:00","-03:00","-03","","southamerica",-24.7833,-65.4167,"00"],["AR","America/Argentina/San_Juan","-03:00","-03:00","-03","","southamerica",-31.5333,-68.5167,"00"],["AR","America/Argentina/San_Luis","-03:00","-03:00","-03","","southamerica",-33.3167,-66.35,"00"],["AR","America/Argentina/Tucuman","-03:00","-03:00","-03","","southamerica",-26.5644,-64.8824,"00"],["AR","America/Argentina/Ushuaia","-03:00","-03:00","-03","","southamerica",-54.8061,-68.3185,"00"],["PY","America/Asuncion","-03:00","-03:00","-03","","southamerica",-25.28,-57.6344,"00"],["BR","America/Bahia","-03:00","-03:00","-03","","southamerica",-12.9833,-38.5167,"00"],["MX","America/Bahia_Banderas","-06:00","-06:00","CST","","northamerica",20.8,-105.25,"00"],["BB","America/Barbados","-04:00","-04:00","AST","","northamerica",13.15,-59.525,"00"],["BR","America/Belem","-03:00","-03:00","-03","","southamerica",-1.4506,-48.4682,"00"],["BZ","America/Belize","-06:00","-06:00","CST","","northamerica",17.1205,-88.6859,"00"],["BR","America/Boa_Vista","-04:00","-04:00","-04","","southamerica",2.8208,-60.672,"00"],["CO","America/Bogota","-05:00","-05:00","-05","","southamerica",4.6534,-74.0836,"00"],["US","America/Boise","-07:00","-06:00","MST","MDT","northamerica",43.6166,-116.2009,"1B23@2:00"],["CA","America/Cambridge_Bay","-07:00","-06:00","MST","MDT","northamerica",69.1178,-105.0604,"1B23@2:00"],["BR","America/Campo_Grande","-04:00","-04:00","-04","","southamerica",-20.464,-54.6163,"00"],["MX","America/Cancun","-05:00","-05:00","EST","","northamerica",21.1619,-86.8515,"00"],["VE","America/Caracas","-04:00","-04:00","-04","","southamerica",10.5061,-66.9146,"00"],["GF","America/Cayenne","-03:00","-03:00","-03","","southamerica",4.9372,-52.3259,"00"],["US","America/Chicago","-06:00","-05:00","CST","CDT","northamerica",41.8756,-87.6244,"1B23@2:00"],["MX","America/Chihuahua","-06:00","-06:00","CST","","northamerica",28.5,-106,"00"],["MX","America/Ciudad_Juarez","-07:00","-06:00","MST","MDT","northamerica",31.7373,-106.4857,"1B23@2:00"],["CR","America/Costa_Rica","-06:00","-06:00","CST","","northamerica",10.2736,-84.0739,"00"],["CL","America/Coyhaique","-03:00","-03:00","-03","","southamerica",-45.5667,-72.0667,"00"],["BR","America/Cuiaba","-04:00","-04:00","-04","","southamerica",-15.5987,-56.0991,"00"],["GL","America/Danmarkshavn","+00:00","+00:00","GMT","","europe",76.7695,-18.6737,"00"],["CA","America/Dawson","-07:00","-07:00","MST","","northamerica",64.0667,-139.4167,"00"],["CA","America/Dawson_Creek","-07:00","-07:00","MST","","northamerica",55.7605,-120.2364,"00"],["US","America/Denver","-07:00","-06:00","MST","MDT","northamerica",39.7392,-104.9849,"1B23@2:00"],["US","America/Detroit","-05:00","-04:00","EST","EDT","northamerica",42.3316,-83.0466,"1B23@2:00"],["CA","America/Edmonton","-07:00","-06:00","MST","MDT","northamerica",53.5462,-113.4912,"1B23@2:00"],["BR","America/Eirunepe","-05:00","-05:00","-05","","southamerica",-6.6568,-69.8662,"00"],["SV","America/El_Salvador","-06:00","-06:00","CST","","northamerica",13.8,-88.9141,"00"],["CA","America/Fort_Nelson","-07:00","-07:00","MST","","northamerica",58.8062,-122.6943,"00"],["BR","America/Fortaleza","-03:00","-03:00","-03","","southamerica",-3.7305,-38.5218,"00"],["CA","America/Glace_Bay","-04:00","-03:00","AST","ADT","northamerica",46.1949,-59.9562,"1B23@2:00"],["CA","America/Goose_Bay","-04:00","-03:00","AST","ADT","northamerica",53.3333,-60.4167,"1B23@2:00"],["TC","America/Grand_Turk","-05:00","-04:00","EST","EDT","northamerica",21.468,-71.1387,"1B23@2:00"],["GT","America/Guatemala","-06:00","-06:00","CST","","northamerica",14.6333,-90.5167,"00"],["EC","America/Guayaquil","-05:00","-05:00","-05","","southamerica",-2.1901,-79.8869,"00"],["GY","America/Guyana","-04:00","-04:00","-04","","southamerica",6.8,-58.1667,"00"],["CA","America/Halifax","-04:00","-03:00","AST","ADT","northamerica",44.6486,-63.5859,"1B23@2:00"],["CU","America/Havana","-05:00","-04:00","CST","CDT","northamerica",23.1353,-82.359,"1B23@0:00s"],["MX","America/Hermosillo","-07:00","-07:00","MST","","northamerica",28.9689,-111.4473,"00"],["US","America/Indiana/Indianapolis","-05:00","-04:00","EST","EDT","northamerica",39.7683,-86.1584,"1B23@2:00"],["US","America/Indiana/Knox","-06:00","-05:00","CST","CDT","northamerica",41.2958,-86.625,"1B23@2:00"],["US","America/Indiana/Marengo","-05:00","-04:00","EST","EDT","northamerica",38.3756,-86.3447,"1B23@2:00"],["US","America/Indiana/Petersburg","-05:00","-04:00","EST","EDT","northamerica",38.4919,-87.2786,"1B23@2:00"],["US","America/Indiana/Tell_City","-06:00","-05:00","CST","CDT","northamerica",37.9508,-86.7697,"1B23@2:00"],["US","America/Indiana/Vevay","-05:00","-04:00","EST","EDT","northamerica",38.7478,-85.0672,"1B23@2:00"],["US","America/Indiana/Vincennes","-05:00","-04:00","EST","EDT","northamerica",38.6772,-87.5286,"1B23@2:00"],["US","America/Indiana/Winamac","-05:00","-04:00","EST","EDT","northamerica",41.0514,-86.6031,"1B23@2:00"],["CA","America/Inuvik","-07:00","-06:00","MST","MDT","northamerica",68.3497,-133.7167,"1B23@2:00"],["CA","America/Iqaluit","-05:00","-04:00","EST","EDT","northamerica",63.7493,-68.5214,"1B23@2:00"],["JM","America/Jamaica","-05:00","-05:00","EST","","northamerica",18.1851,-77.3948,"00"],["US","America/Juneau","-09:00","-08:00","AKST","AKDT","northamerica",58.3019,-134.4197,"1B23@2:00"],["US","America/Kentucky/Louisville","-05:00","-04:00","EST","EDT","northamerica",38.2542,-85.7594,"1B23@2:00"],["US","America/Kentucky/Monticello","-05:00","-04:00","EST","EDT","northamerica",36.8297,-84.8492,"1B23@2:00"],["BO","America/La_Paz","-04:00","-04:00","-04","","southamerica",-16.4955,-68.1336,"00"],["PE","America/Lima","-05:00","-05:00","-05","","southamerica",-12.0621,-77.0365,"00"],["US","America/Los_Angeles","-08:00","-07:00","PST","PDT","northamerica",34.0537,-118.2428,"1B23@2:00"],["BR","America/Maceio","-03:00","-03:00","-03","","southamerica",-9.6477,-35.7339,"00"],["NI","America/Managua","-06:00","-06:00","CST","","northamerica",12.1544,-86.2738,"00"],["BR","America/Manaus","-04:00","-04:00","-04","","southamerica",-3.1316,-59.9825,"00"],["MQ","America/Martinique","-04:00","-04:00","AST","","northamerica",14.6368,-61.0158,"00"],["MX","America/Matamoros","-06:00","-05:00","CST","CDT","northamerica",25.881,-97.5065,"1B23@2:00"],["MX","America/Mazatlan","-07:00","-07:00","MST","","northamerica",23.2036,-106.4208,"00"],["US","America/Menominee","-06:00","-05:00","CST","CDT","northamerica",45.5786,-87.5622,"1B23@2:00"],["MX","America/Merida","-06:00","-06:00","CST","","northamerica",20.9667,-89.6167,"00"],["US","America/Metlakatla","-09:00","-08:00","AKST","AKDT","northamerica",55.1194,-131.5747,"1B23@2:00"],["MX","America/Mexico_City","-06:00","-06:00","CST","","northamerica",19.4326,-99.1332,"00"],["PM","America/Miquelon","-03:00","-02:00","-03","-02","northamerica",46.9638,-56.3262,"1B23@2:00"],["CA","America/Moncton","-04:00","-03:00","AST","ADT","northamerica",46.0986,-64.8004,"1B23@2:00"],["MX","America/Monterrey","-06:00","-06:00","CST","","northamerica",25.6802,-100.3153,"00"],["UY","America/Montevideo","-03:00","-03:00","-03","","southamerica",-34.9059,-56.1913,"00"],["US","America/New_York","-05:00","-04:00","EST","EDT","northamerica",40.7127,-74.006,"1B23@2:00"],["US","America/Nome","-09:00","-08:00","AKST","AKDT","northamerica",64.4975,-165.4062,"1B23@2:00"],["BR","America/Noronha","-02:00","-02:00","-02","","southamerica",-3.85,-32.4167,"00"],["US","America/North_Dakota/Beulah","-06:00","-05:00","CST","CDT","northamerica",47.2633,-101.7779,"1B23@2:00"],["US","America/North_Dakota/Center","-06:00","-05:00","CST","CDT","northamerica",47.1164,-101.2992,"1B23@2:00"],["US","America/North_Dakota/New_Salem","-06:00","-05:00","CST","CDT","northamerica",46.845,-101.4108,"1B23@2:00"],["GL","America/Nuuk","-02:00","-01:00","-02","-01","europe",64.1767,-51.7359,"A03@1:00u"],["MX","America/Ojinaga","-06:00","-05:00","CST","CDT","northamerica",29.5654,-104.4129,"1B23@2:00"],["PA","America/Panama","-05:00","-05:00","EST","","northamerica",8.9667,-79.5333,"00"],["SR","America/Paramaribo","-03:00","-03:00","-03","","southamerica",5.8248,-55.1704,"00"],["US","America/Phoenix","-07:00","-07:00","MST","","northamerica",33.4484,-112.0741,"00"],["HT","America/Port-au-Prince","-05:00","-04:00","EST","EDT","northamerica",18.5473,-72.3396,"1B23@2:00"],["BR","America/Porto_Velho","-04:00","-04:00","-04","","southamerica",-8.7495,-63.8735,"00"],["PR","America/Puerto_Rico","-04:00","-04:00","AST","","northamerica",18.2248,-66.4858,"00"],["CL","America/Punta_Arenas","-03:00","-03:00","-03","","southamerica",-53.1626,-70.9078,"00"],["CA","America/Rankin_Inlet","-06:00","-05:00","CST","CDT","northamerica",62.803,-92.0868,"1B23@2:00"],["BR","America/Recife","-03:00","-03:00","-03","","southamerica",-8.0585,-34.8848,"00"],["CA","America/Regina","-06:00","-06:00","CST","","northamerica",50.4488,-104.6173,"00"],["CA","America/Resolute","-06:00","-05:00","CST","CDT","northamerica",74.697,-94.8409,"1B23@2:00"],["BR","America/Rio_Branco","-05:00","-05:00","-05","","southamerica",-9.9765,-67.8221,"00"],["BR","America/Santarem","-03:00","-03:00","-03","","southamerica",-2.4333,-54.8667,"00"],["CL","America/Santiago","-04:00","-03:00","-04","-03","southamerica",-33.4378,-70.6505,"2|9.Sun>=2@4:00u|4.Sun>=2@3:00u"],["DO","America/Santo_Domingo","-04:00","-04:00","AST","","northamerica",18.4802,-69.9421,"00"],["BR","America/Sao_Paulo","-03:00","-03:00","-03","","southamerica",-23.5507,-46.6334,"00"],["GL","America/Scoresbysund","-02:00","-01:00","-02","-01","europe",70.4851,-21.9642,"A03@1:00u"],["US","America/Sitka","-09:00","-08:00","AKST","AKDT","northamerica",57.4086,-135.4596,"1B23@2:00"],["CA","America/St_Johns","-03:30","-02:30","NST","NDT","northamerica",47.5667,-52.7167,"1B23@2:00"],["CA","America/Swift_Current","-06:00","-06:00","CST","","northamerica",50.2849,-107.7984,"00"],["HN","America/Tegucigalpa","-06:00","-06:00","CST","","northamerica",14.1057,-87.204,"00"],["GL","America/Thule","-04:00","-03:00","AST","ADT","europe",76.5667,-68.7833,"1B23@2:00"],["MX","America/Tijuana","-08:00","-07:00","PST","PDT","northamerica",32.5317,-117.0195,"1B23@2:00"],["CA","America/Toronto","-05:00","-04:00","EST","EDT","northamerica",43.6535,-79.3839,"1B23@2:00"],["CA","America/Vancouver","-08:00","-07:00","PST","PDT","northamerica",49.2609,-123.114,"1B23@2:00"],["CA","America/Whitehorse","-07:00","-07:00","MST","","northamerica",60.7216,-135.0549,"00"],["CA","America/Winnipeg","-06:00","-05:00","CST","CDT","northamerica",49.8955,-97.1385,"1B23@2:00"],["US","America/Yakutat","-09:00","-08:00","AKST","AKDT","northamerica",59.6392,-139.3429,"1B23@2:00"],["AQ","Antarctica/Casey","+08:00","+08:00","+08","","antarctica",-66.2833,110.5167,"00"],["AQ","Antarctica/Davis","+07:00","+07:00","+07","","antarctica",-68.5833,77.9667,"00"],["AU","Antarctica/Macquarie","+10:00","+11:00","AEST","AEDT","australasia",-54.6318,158.8618,"141A@2:00s"],["AQ","Antarctica/Mawson","+05:00","+05:00","+05","","antarctica",-67.6,62.8833,"00"],["AQ","Antarctica/Palmer","-03:00","-03:00","-03","","southamerica",-64.8,-64.1,"00"],["AQ","Antarctica/Rothera","-03:00","-03:00","-03","","antarctica",-67.5692,-68.1222,"00"],["AQ","Antarctica/Troll","+00:00","+02:00","+00","+02","antarctica",-72.012,2.5344,"A03@1:00u"],["AQ","Antarctica/Vostok","+05:00","+05:00","+05","","antarctica",-78.4652,106.8379,"00"],["KZ","Asia/Almaty","+05:00","+05:00","+05","","asia",43.2364,76.9457,"00"],["JO","Asia/Amman","+03:00","+03:00","+03","","asia",31.9516,35.924,"00"],["RU","Asia/Anadyr","+12:00","+12:00","+12","","europe",64.7317,177.5061,"00"],["KZ","Asia/Aqtau","+05:00","+05:00","+05","","asia",44.5167,50.2667,"00"],["KZ","Asia/Aqtobe","+05:00","+05:00","+05","","asia",50.2836,57.2299,"00"],["TM","Asia/Ashgabat","+05:00","+05:00","+05","","asia",37.9405,58.3823,"00"],["KZ","Asia/Atyrau","+05:00","+05:00","+05","","asia",47.1167,51.9333,"00"],["IQ","Asia/Baghdad","+03:00","+03:00","+03","","asia",33.3062,44.3872,"00"],["AZ","Asia/Baku","+04:00","+04:00","+04","","asia",40.3756,49.8328,"00"],["TH","Asia/Bangkok","+07:00","+07:00","+07","","asia",13.75,100.5167,"00"],["RU","Asia/Barnaul","+07:00","+07:00","+07","","europe",53.3475,83.7788,"00"],["LB","Asia/Beirut","+02:00","+03:00","EET","EEST","asia",33.8892,35.5026,"A03@0:00"],["KG","Asia/Bishkek","+06:00","+06:00","+06","","asia",42.8778,74.6067,"00"],["RU","Asia/Chita","+09:00","+09:00","+09","","europe",52.0334,113.5009,"00"],["LK","Asia/Colombo","+05:30","+05:30","+0530","","asia",6.9389,79.8542,"00"],["SY","Asia/Damascus","+03:00","+03:00","+03","","asia",33.5,36.3,"00"],["BD","Asia/Dhaka","+06:00","+06:00","+06","","asia",23.7644,90.389,"00"],["TL","Asia/Dili","+09:00","+09:00","+09","","asia",-8.5537,125.5784,"00"],["AE","Asia/Dubai","+04:00","+04:00","+04","","asia",25.0743,55.1885,"00"],["TJ","Asia/Dushanbe","+05:00","+05:00","+05","","asia",38.5763,68.7864,"00"],["CY","Asia/Famagusta","+02:00","+03:00","EET","EEST","asia",35.1205,33.9388,"A03@1:00u"],["PS","Asia/Gaza","+02:00","+03:00","EET","EEST","asia",31.4432,34.36,"2|3.Sat<=30|10.Sat<=30"],["PS","Asia/Hebron","+02:00","+03:00","EET","EEST","asia",31.5289,35.0945,"2|3.Sat<=30|10.Sat<=30"],["VN","Asia/Ho_Chi_Minh","+07:00","+07:00","+07","","asia",10.75,106.6667,"00"],["HK","Asia/Hong_Kong","+08:00","+08:00","HKT","","asia",22.3506,114.1849,"00"],["MN","Asia/Hovd","+07:00","+07:00","+07","","asia",48.0167,91.65,"00"],["RU","Asia/Irkutsk","+08:00","+08:00","+08","","europe",52.2667,104.3333,"00"],["ID","Asia/Jakarta","+07:00","+07:00","WIB","","asia",-6.1752,106.827,"00"],["ID","Asia/Jayapura","+09:00","+09:00","WIT","","asia",-2.5388,140.7037,"00"],["IL","Asia/Jerusalem","+02:00","+03:00","IST","IDT","asia",31.7885,35.2188,"2|3.Fri>=23|10.lastSun"],["AF","Asia/Kabul","+04:30","+04:30","+0430","","asia",34.526,69.1777,"00"],["RU","Asia/Kamchatka","+12:00","+12:00","+12","","europe",53.0167,158.65,"00"],["PK","Asia/Karachi","+05:00","+05:00","PKT","","asia",24.8547,67.0207,"00"],["NP","Asia/Kathmandu","+05:45","+05:45","+0545","","asia",27.7083,85.3206,"00"],["RU","Asia/Khandyga","+09:00","+09:00","+09","","europe",62.6478,135.5751,"00"],["IN","Asia/Kolkata","+05:30","+05:30","IST","","asia",22.5726,88.3639,"00"],["RU","Asia/Krasnoyarsk","+07:00","+07:00","+07","","europe",56.0091,92.8726,"00"],["MY","Asia/Kuching","+08:00","+08:00","+08","","asia",1.5574,110.344,"00"],["MO","Asia/Macau","+08:00","+08:00","CST","","asia",22.1758,113.5514,"00"],["RU","Asia/Magadan","+11:00","+11:00","+11","","europe",59.5667,150.8,"00"],["ID","Asia/Makassar","+08:00","+08:00","WITA","","asia",-5.1343,119.4124,"00"],["PH","Asia/Manila","+08:00","+08:00","PST","","asia",14.5906,120.98,"00"],["CY","Asia/Nicosia","+02:00","+03:00","EET","EEST","asia",35.1747,33.3639,"A03@1:00u"],["RU","Asia/Novokuznetsk","+07:00","+07:00","+07","","europe",53.7576,87.1358,"00"],["RU","Asia/Novosibirsk","+07:00","+07:00","+07","","europe",54.9678,82.9516,"00"],["RU","Asia/Omsk","+06:00","+06:00","+06","","europe",54.9914,73.3715,"00"],["KZ","Asia/Oral","+05:00","+05:00","+05","","asia",51.2167,51.35,"00"],["ID","Asia/Pontianak","+07:00","+07:00","WIB","","asia",-0.0227,109.3447,"00"],["KP","Asia/Pyongyang","+09:00","+09:00","KST","","asia",39.0168,125.7474,"00"],["QA","Asia/Qatar","+03:00","+03:00","+03","","asia",25.3337,51.2295,"00"],["KZ","Asia/Qostanay","+05:00","+05:00","+05","","asia",53.2,63.6167,"00"],["KZ","Asia/Qyzylorda","+05:00","+05:00","+05","","asia",44.8,65.4667,"00"],["SA","Asia/Riyadh","+03:00","+03:00","+03","","asia",24.6389,46.716,"00"],["RU","Asia/Sakhalin","+11:00","+11:00","+11","","europe",46.9667,142.7,"00"],["UZ","Asia/Samarkand","+05:00","+05:00","+05","","asia",39.655,66.9757,"00"],["KR","Asia/Seoul","+09:00","+09:00","KST","","asia",37.5667,126.9783,"00"],["CN","Asia/Shanghai","+08:00","+08:00","CST","","asia",31.2323,121.4691,"00"],["SG","Asia/Singapore","+08:00","+08:00","+08","","asia",1.3571,103.8195,"00"],["RU","Asia/Srednekolymsk","+11:00","+11:00","+11","","europe",67.4555,153.7071,"00"],["TW","Asia/Taipei","+08:00","+08:00","CST","","asia",25.0375,121.5637,"00"],["UZ","Asia/Tashkent","+05:00","+05:00","+05","","asia",41.3123,69.2787,"00"],["GE","Asia/Tbilisi","+04:00","+04:00","+04","","asia",41.6935,44.8014,"00"],["IR","Asia/Tehran","+03:30","+03:30","+0330","","asia",35.6893,51.3896,"00"],["BT","Asia/Thimphu","+06:00","+06:00","+06","","asia",27.4714,89.6337,"00"],["JP","Asia/Tokyo","+09:00","+09:00","JST","","asia",35.6822,139.7622,"00"],["RU","Asia/Tomsk","+07:00","+07:00","+07","","europe",56.5,84.9667,"00"],["MN","Asia/Ulaanbaatar","+08:00","+08:00","+08","","asia",47.9409,106.918,"00"],["CN","Asia/Urumqi","+06:00","+06:00","+06","","asia",43.4198,87.3195,"00"],["RU","Asia/Ust-Nera","+10:00","+10:00","+10","","europe",64.5664,143.2378,"00"],["RU","Asia/Vladivostok","+10:00","+10:00","+10","","europe",43.1151,131.8856,"00"],["RU","Asia/Yakutsk","+09:00","+09:00","+09","","europe",62.0274,129.732,"00"],["MM","Asia/Yangon","+06:30","+06:30","+0630","","asia",16.7967,96.161,"00"],["RU","Asia/Yekaterinburg","+05:00","+05:00","+05","","europe",56.8391,60.6082,"00"],["AM","Asia/Yerevan","+04:00","+04:00","+04","","asia",40.1777,44.5126,"00"],["PT","Atlantic/Azores","-01:00","+00:00","-01","+00","europe",37.8086,-25.4731,"A03@1:00u"],["BM","Atlantic/Bermuda","-04:00","-03:00","AST","ADT","northamerica",32.304,-64.7563,"1B23@2:00"],["ES","Atlantic/Canary","+00:00","+01:00","WET","WEST","europe",28.1,-15.4,"A03@1:00u"],["CV","Atlantic/Cape_Verde","-01:00","-01:00","-01","","africa",14.9167,-23.5167,"00"],["FO","Atlantic/Faroe","+00:00","+01:00","WET","WEST","europe",62.0449,-7.0323,"A03@1:00u"],["PT","Atlantic/Madeira","+00:00","+01:00","WET","WEST","europe",32.7518,-16.9817,"A03@1:00u"],["GS","Atlantic/South_Georgia","-02:00","-02:00","-02","","southamerica",-54.4339,-36.4947,"00"],["FK","Atlantic/Stanley","-03:00","-03:00","-03","","southamerica",-51.6931,-57.8565,"00"],["AU","Australia/Adelaide","+09:30","+10:30","ACST","ACDT","australasia",-34.9282,138.5999,"141A@2:00s"],["AU","Australia/Brisbane","+10:00","+10:00","AEST","","australasia",-27.469,153.0235,"00"],["AU","Australia/Broken_Hill","+09:30","+10:30","ACST","ACDT","australasia",-31.965,141.4511,"141A@2:00s"],["AU","Australia/Darwin","+09:30","+09:30","ACST","","australasia",-12.4604,130.841,"00"],["AU","Australia/Eucla","+08:45","+08:45","+0845","","australasia",-31.6768,128.8865,"00"],["AU","Australia/Hobart","+10:00","+11:00","AEST","AEDT","australasia",-42.8825,147.3281,"141A@2:00s"],["AU","Australia/Lindeman","+10:00","+10:00","AEST","","australasia",-20.2667,149,"00"],["AU","Australia/Lord_Howe","+10:30","+11:00","+1030","+11","australasia",-31.554,159.0856,"141A@2:00"],["AU","Australia/Melbourne","+10:00","+11:00","AEST","AEDT","australasia",-37.8142,144.9632,"141A@2:00s"],["AU","Australia/Perth","+08:00","+08:00","AWST","","australasia",-31.9559,115.8606,"00"],["AU","Australia/Sydney","+10:00","+11:00","AEST","AEDT","australasia",-33.8698,151.2083,"141A@2:00s"],["","CET","+01:00","+02:00","CET","CEST","europe",44.1615,28.6107,"A03@2:00s"],["","CST6CDT","-06:00","-05:00","CST","CDT","northamerica","","","1B23@2:00"],["","EET","+02:00","+03:00","EET","EEST","europe",62.3596,10.5763,"A03@1:00u"],["","EST","-05:00","-05:00","EST","","northamerica",58.7524,25.3319,"00"],["","EST5EDT","-05:00","-04:00","EST","EDT","northamerica","","","1B23@2:00"],["","Etc/GMT","+00:00","+00:00","GMT","","etcetera",65.4021,-161.2812,"00"],["","Etc/GMT+1","-01:00","-01:00","-01","","etcetera",45.4656,9.1796,"00"],["","Etc/GMT+10","-10:00","-10:00","-10","","etcetera",32.0793,34.815,"00"],["","Etc/GMT+11","-11:00","-11:00","-11","","etcetera",46.0837,14.4845,"00"],["","Etc/GMT+12","-12:00","-12:00","-12","","etcetera",50.0507,19.9497,"00"],["","Etc/GMT+2","-02:00","-02:00","-02","","etcetera",46.6103,16.2306,"00"],["","Etc/GMT+3","-03:00","-03:00","-03","","etcetera",46.6103,16.2306,"00"],["","Etc/GMT+4","-04:00","-04:00","-04","","etcetera",48.7097,8.1192,"00"],["","Etc/GMT+5","-05:00","-05:00","-05","","etcetera",46.5307,16.188,"00"],["","Etc/GMT+6","-06:00","-06:00","-06","","etcetera",48.7132,8.1202,"00"],["","Etc/GMT+7","-07:00","-07:00","-07","","etcetera",48.7136,8.1188,"00"],["","Etc/GMT+8","-08:00","-08:00","-08","","etcetera",48.7161,8.1208,"00"],["","Etc/GMT+9","-09:00","-09:00","-09","","etcetera",44.9574,7.913,"00"],["","Etc/GMT-1","+01:00","+01:00","+01","","etcetera",45.4656,9.1796,"00"],["","Etc/GMT-10","+10:00","+10:00","+10","","etcetera",32.0793,34.815,"00"],["","Etc/GMT-11","+11:00","+11:00","+11","","etcetera",46.0837,14.4845,"00"],["","Etc/GMT-12","+12:00","+12:00","+12","","etcetera",50.0507,19.9497,"00"],["","Etc/GMT-13","+13:00","+13:00","+13","","etcetera",18.024,-16.0206,"00"],["","Etc/GMT-14","+14:00","+14:00","+14","","etcetera",48.7056,8.1315,"00"],["","Etc/GMT-2","+02:00","+02:00","+02","","etcetera",46.6103,16.2306,"00"],["","Etc/GMT-3","+03:00","+03:00","+03","","etcetera",46.6103,16.2306,"00"],["","Etc/GMT-4","+04:00","+04:00","+04","","etcetera",48.7097,8.1192,"00"],["","Etc/GMT-5","+05:00","+05:00","+05","","etcetera",46.5307,16.188,"00"],["","Etc/GMT-6","+06:00","+06:00","+06","","etcetera",48.7132,8.1202,"00"],["","Etc/GMT-7","+07:00","+07:00","+07","","etcetera",48.7136,8.1188,"00"],["","Etc/GMT-8","+08:00","+08:00","+08","","etcetera",48.7161,8.1208,"00"],["","Etc/GMT-9","+09:00","+09:00","+09","","etcetera",44.9574,7.913,"00"],["","Etc/UTC","+00:00","+00:00","UTC","","etcetera",-0.5476,30.2446,"00"],["AD","Europe/Andorra","+01:00","+02:00","CET","CEST","europe",42.5407,1.5732,"A03@1:00u"],["RU","Europe/Astrakhan","+04:00","+04:00","+04","","europe",46.3498,48.0326,"00"],["GR","Europe/Athens","+02:00","+03:00","EET","EEST","europe",37.9667,23.7167,"A03@1:00u"],["RS","Europe/Belgrade","+01:00","+02:00","CET","CEST","europe",44.8178,20.4569,"A03@1:00u"],["DE","Europe/Berlin","+01:00","+02:00","CET","CEST","europe",52.517,13.3889,"A03@1:00u"],["BE","Europe/Brussels","+01:00","+02:00","CET","CEST","europe",50.855,4.3512,"A03@1:00u"],["RO","Europe/Bucharest","+02:00","+03:00","EET","EEST","europe",44.4361,26.1027,"A03@1:00u"],["HU","Europe/Budapest","+01:00","+02:00","CET","CEST","europe",47.4979,19.0402,"A03@1:00u"],["MD","Europe/Chisinau","+02:00","+03:00","EET","EEST","europe",47.0245,28.8323,"A03@2:00/3:00"],["IE","Europe/Dublin","+01:00","+00:00","IST","GMT","europe",53.3494,-6.2606,"30A@1:00u"],["GI","Europe/Gibraltar","+01:00","+02:00","CET","CEST","europe",36.1286,-5.3475,"A03@1:00u"],["FI","Europe/Helsinki","+02:00","+03:00","EET","EEST","europe",60.1675,24.9427,"A03@1:00u"],["TR","Europe/Istanbul","+03:00","+03:00","+03","","europe",41.0766,29.0525,"00"],["RU","Europe/Kaliningrad","+02:00","+02:00","EET","","europe",54.7101,20.5106,"00"],["RU","Europe/Kirov","+03:00","+03:00","MSK","","europe",58.6036,49.6666,"00"],["UA","Europe/Kyiv","+02:00","+03:00","EET","EEST","europe",50.45,30.5241,"A03@1:00u"],["PT","Europe/Lisbon","+00:00","+01:00","WET","WEST","europe",38.7078,-9.1366,"A03@1:00u"],["GB","Europe/London","+00:00","+01:00","GMT","BST","europe",51.4893,-0.1441,"A03@1:00u"],["ES","Europe/Madrid","+01:00","+02:00","CET","CEST","europe",40.4167,-3.7036,"A03@1:00u"],["MT","Europe/Malta","+01:00","+02:00","CET","CEST","europe",35.8886,14.4477,"A03@1:00u"],["BY","Europe/Minsk","+03:00","+03:00","+03","","europe",53.9025,27.5618,"00"],["RU","Europe/Moscow","+03:00","+03:00","MSK","","europe",55.6256,37.6064,"00"],["FR","Europe/Paris","+01:00","+02:00","CET","CEST","europe",48.8535,2.3484,"A03@1:00u"],["CZ","Europe/Prague","+01:00","+02:00","CET","CEST","europe",50.0596,14.4465,"A03@1:00u"],["LV","Europe/Riga","+02:00","+03:00","EET","EEST","europe",56.9494,24.1052,"A03@1:00u"],["IT","Europe/Rome","+01:00","+02:00","CET","CEST","europe",41.8933,12.4829,"A03@1:00u"],["RU","Europe/Samara","+04:00","+04:00","+04","","europe",53.2195,50.2039,"00"],["RU","Europe/Saratov","+04:00","+04:00","+04","","europe",51.53,46.0347,"00"],["RU","Europe/Simferopol","+03:00","+03:00","MSK","","europe",44.9521,34.1025,"00"],["BG","Europe/Sofia","+02:00","+03:00","EET","EEST","europe",42.6833,23.3167,"A03@1:00u"],["EE","Europe/Tallinn","+02:00","+03:00","EET","EEST","europe",59.4372,24.7454,"A03@1:00u"],["AL","Europe/Tirane","+01:00","+02:00","CET","CEST","europe",41.3281,19.8184,"A03@1:00u"],["RU","Europe/Ulyanovsk","+04:00","+04:00","+04","","europe",54.315,48.4034,"00"],["AT","Europe/Vienna","+01:00","+02:00","CET","CEST","europe",48.2084,16.3725,"A03@1:00u"],["LT","Europe/Vilnius","+02:00","+03:00","EET","EEST","europe",54.687,25.2829,"A03@1:00u"],["RU","Europe/Volgograd","+03:00","+03:00","MSK","","europe",48.6484,44.385,"00"],["PL","Europe/Warsaw","+01:00","+02:00","CET","CEST","europe",52.2337,21.0714,"A03@1:00u"],["CH","Europe/Zurich","+01:00","+02:00","CET","CEST","europe",47.3744,8.541,"A03@1:00u"],["","Factory","+00:00","+00:00","-00","","factory",0.3067,32.5384,"00"],["","HST","-10:00","-10:00","HST","","northamerica",38.8945,-77.0485,"00"],["IO","Indian/Chagos","+06:00","+06:00","+06","","asia",-7.3333,72.4167,"00"],["MV","Indian/Maldives","+05:00","+05:00","+05","","asia",3.7204,73.2244,"00"],["MU","Indian/Mauritius","+04:00","+04:00","+04","","africa",-20.2759,57.5704,"00"],["","MET","+01:00","+02:00","MET","MEST","europe",3.5,-73,"A03@2:00s"],["","MST","-07:00","-07:00","MST","","northamerica",50.9125,5.7713,"00"],["","MST7MDT","-07:00","-06:00","MST","MDT","northamerica","","","1B23@2:00"],["","PST8PDT","-08:00","-07:00","PST","PDT","northamerica","","","1B23@2:00"],["WS","Pacific/Apia","+13:00","+13:00","+13","","australasia",-13.8345,-171.7649,"00"],["NZ","Pacific/Auckland","+12:00","+13:00","NZST","NZDT","australasia",-36.8521,174.7632,"1409@2:00s"],["PG","Pacific/Bougainville","+11:00","+11:00","+11","","australasia",-6.2167,155.5667,"00"],["NZ","Pacific/Chatham","+12:45","+13:45","+1245","+1345","australasia",-43.95,-176.55,"1409@2:45s"],["CL","Pacific/Easter","-06:00","-05:00","-06","-05","southamerica",-27.15,-109.4333,"2|9.Sun>=2@4:00u|4.Sun>=2@3:00u"],["VU","Pacific/Efate","+11:00","+11:00","+11","","australasia",-17.6739,168.3648,"00"],["TK","Pacific/Fakaofo","+13:00","+13:00","+13","","australasia",-9.3736,-171.2415,"00"],["FJ","Pacific/Fiji","+12:00","+12:00","+12","","australasia",-18.124,179.0123,"00"],["EC","Pacific/Galapagos","-06:00","-06:00","-06","","southamerica",-0.9,-89.6,"00"],["PF","Pacific/Gambier","-09:00","-09:00","-09","","australasia",-23.1333,-134.95,"00"],["SB","Pacific/Guadalcanal","+11:00","+11:00","+11","","australasia",-9.5984,160.1485,"00"],["GU","Pacific/Guam","+10:00","+10:00","ChST","","australasia",13.45,144.7652,"00"],["US","Pacific/Honolulu","-10:00","-10:00","HST","","northamerica",21.3045,-157.8557,"00"],["KI","Pacific/Kanton","+13:00","+13:00","+13","","australasia",-2.8168,-171.6741,"00"],["KI","Pacific/Kiritimati","+14:00","+14:00","+14","","australasia",1.872,-157.3842,"00"],["FM","Pacific/Kosrae","+11:00","+11:00","+11","","australasia",5.3143,162.9811,"00"],["MH","Pacific/Kwajalein","+12:00","+12:00","+12","","australasia",9.1258,167.574,"00"],["PF","Pacific/Marquesas","-09:30","-09:30","-0930","","australasia",-9,-139.5,"00"],["NR","Pacific/Nauru","+12:00","+12:00","+12","","australasia",-0.5252,166.9324,"00"],["NU","Pacific/Niue","-11:00","-11:00","-11","","australasia",-19.0536,-169.8613,"00"],["NF","Pacific/Norfolk","+11:00","+12:00","+11","+12","australasia",-29.05,167.9667,"141A@2:00s"],["NC","Pacific/Noumea","+11:00","+11:00","+11","","australasia",-22.2745,166.4424,"00"],["AS","Pacific/Pago_Pago","-11:00","-11:00","SST","","australasia",-14.2755,-170.7048,"00"],["PW","Pacific/Palau","+09:00","+09:00","+09","","australasia",7.3333,134.4833,"00"],["PN","Pacific/Pitcairn","-08:00","-08:00","-08","","australasia",-25.0658,-130.1018,"00"],["PG","Pacific/Port_Moresby","+10:00","+10:00","+10","","australasia",-9.4743,147.16,"00"],["CK","Pacific/Rarotonga","-10:00","-10:00","-10","","australasia",-21.2368,-159.7775,"00"],["PF","Pacific/Tahiti","-10:00","-10:00","-10","","australasia",-17.6873,-149.4452,"00"],["KI","Pacific/Tarawa","+12:00","+12:00","+12","","australasia",1.4846,172.969,"00"],["TO","Pacific/Tongatapu","+13:00","+13:00","+13","","australasia",-21.1667,-175.1982,"00"],["","WET","+00:00","+01:00","WET","WEST","europe",-4.3345,139.1105,"A03@1:00u"]]
\ No newline at end of file
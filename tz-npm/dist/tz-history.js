@@ -0,0 +1,2 @@
+export const tz_history = 
+{"Africa/Algiers":[[["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","FF"],["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","FF"]],"0etac,1jkec,02as00,12fymc,22kps0,32qc1o,232nac,0389k0,13e3lo,03jps0"],"Africa/Bissau":[[["-01:00","-01:00","-01","","00"]],"01kcxo"],"Africa/Cairo":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|5.1@1:00|10.1@3:00"],["+02:00","+03:00","EET","EEST","2|7.25@1:00|10.1@3:00"],["+02:00","+03:00","EET","EEST","2|5.6@1:00|10.1@3:00"],["+02:00","+03:00","EET","EEST","2|4.lastFri@0:00|9.Fri>=25@0:00"],["+02:00","+03:00","EET","EEST","2|4.lastFri@0:00|9.7@0:00"],["+02:00","+03:00","EET","EEST","2|4.lastFri@0:00|8.21@0:00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|8.1@0:00|6.27@0:00"]],"03pac,13ofs0,248guc,15vcw0,36d5yc,17xfgo,4bhz70,5c3sr0,6cprv0,0cqp8o,7crcj0,0dw6ko,8e0ab0,0gp2so"],"Africa/Casablanca":[[["+00:00","+00:00","+00","","00"],["+00:00","+01:00","+00","+01","FF"],["+01:00","+01:00","+01","","00"],["+00:00","+01:00","+00","+01","2|6.1@0:00|9.1@0:00"],["+00:00","+01:00","+00","+01","2815@0:00"],["+00:00","+01:00","+00","+01","2|4.29|7.20@3:00"],["+00:00","+01:00","+00","+01","904@2:00u"],["+00:00","+01:00","+00","+01","2|8.10|10.27@3:00"],["+00:00","+01:00","+00","+01","2|8.2|6.28@3:00"],["+00:00","+01:00","+00","+01","2603@2:00u"],["+00:00","+01:00","+00","+01","A03@2:00u"],["+00:00","+01:00","+00","+01","A27@2:00u"],["+00:00","+01:00","+00","+01","3517@2:00u"],["+00:00","+01:00","+00","+01","2503@2:00u"],["+01:00","+00:00","+01","+00","2615@2:00u"],["+01:00","+00:00","+01","+00","524@2:00u"],["+01:00","+00:00","+01","+00","2503@2:00u"],["+01:00","+00:00","+01","+00","4423@2:00u"],["+01:00","+00:00","+01","+00","1402@2:00u"],["+01:00","+00:00","+01","+00","4312@2:00u"],["+01:00","+00:00","+01","+00","1341@2:00u"],["+01:00","+00:00","+01","+00","320C@2:00u"],["+01:00","+00:00","+01","+00","14C@2:00u"],["+01:00","+00:00","+01","+00","310B@2:00u"],["+01:00","+00:00","+01","+00","C3B@2:00u"],["+01:00","+00:00","+01","+00","3C0A@2:00u"],["+01:00","+00:00","+01","+00","4B3A@2:00u"],["+01:00","+00:00","+01","+00","FF"]],"01ego0,11glac,01zcw0,12272c,02amg0,12f92c,02mug0,12otic,04g4g0,250dac,0c1200,3cetic,4cx140,1d0pac,5dcmbc,6dmizc,7duqjc,8e17vc,9e9ffc,aejd7c,besfvc,cez4zc,df69nc,1fadfc,efr0bc,fg33vc,ggnujc,hgzy3c,ihkorc,jhwsbc,kihizc,litmjc,mjed7c,njqgrc,okaznc,pknazc,ql7tvc,rl94jc,2lako0"],"Africa/Ceuta":[[["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","FF"],["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"01ego0,11glac,01zcw0,12272c,02amg0,12f92c,02mug0,12otic,04g4g0,25335o,387v5o"],"Africa/El_Aaiun":[[["-01:00","-01:00","-01","","00"],["+00:00","+01:00","+00","+01","2|5.1@0:00|8.1@0:00"],["+00:00","+01:00","+00","+01","FF"],["+00:00","+00:00","+00","","00"],["+00:00","+01:00","+00","+01","2|6.1@0:00|9.1@0:00"],["+00:00","+01:00","+00","+01","2815@0:00"],["+00:00","+01:00","+00","+01","2|4.29|7.20@3:00"],["+00:00","+01:00","+00","+01","904@2:00u"],["+00:00","+01:00","+00","+01","2|8.10|10.27@3:00"],["+00:00","+01:00","+00","+01","2|8.2|6.28@3:00"],["+00:00","+01:00","+00","+01","2603@2:00u"],["+00:00","+01:00","+00","+01","A03@2:00u"],["+00:00","+01:00","+00","+01","A27@2:00u"],["+00:00","+01:00","+00","+01","3517@2:00u"],["+00:00","+01:00","+00","+01","2503@2:00u"],["+01:00","+00:00","+01","+00","2615@2:00u"],["+01:00","+00:00","+01","+00","524@2:00u"],["+01:00","+00:00","+01","+00","2503@2:00u"],["+01:00","+00:00","+01","+00","4423@2:00u"],["+01:00","+00:00","+01","+00","1402@2:00u"],["+01:00","+00:00","+01","+00","4312@2:00u"],["+01:00","+00:00","+01","+00","1341@2:00u"],["+01:00","+00:00","+01","+00","320C@2:00u"],["+01:00","+00:00","+01","+00","14C@2:00u"],["+01:00","+00:00","+01","+00","310B@2:00u"],["+01:00","+00:00","+01","+00","C3B@2:00u"],["+01:00","+00:00","+01","+00","3C0A@2:00u"],["+01:00","+00:00","+01","+00","4B3A@2:00u"],["+01:00","+00:00","+01","+00","FF"],["+01:00","+01:00","+01","","00"]],"01yu1o,12amg0,22f92c,32mug0,22otic,3c1200,4cetic,5cx140,2d0pac,6dcmbc,7dmizc,8duqjc,9e17vc,ae9ffc,bejd7c,cesfvc,dez4zc,ef69nc,2fadfc,ffr0bc,gg33vc,hgnujc,igzy3c,jhkorc,khwsbc,lihizc,mitmjc,njed7c,ojqgrc,pkaznc,qknazc,rl7tvc,sl94jc,tlako0"],"Africa/Juba":[[["+02:00","+02:00","CAT","","00"],["+02:00","+03:00","CAT","CAST","2|4.30@0:00|10.15@0:00"],["+02:00","+03:00","CAT","CAST","2|4.lastSun@0:00|10.15@0:00"],["+03:00","+03:00","EAT","","00"]],"03p8o,111gso,24xyj0,09emgo,3fzw30"],"Africa/Khartoum":[[["+02:00","+02:00","CAT","","00"],["+02:00","+03:00","CAT","CAST","2|4.30@0:00|10.15@0:00"],["+02:00","+03:00","CAT","CAST","2|4.lastSun@0:00|10.15@0:00"],["+03:00","+03:00","EAT","","00"]],"03p8o,111gso,24xyj0,09emgo,3ez830"],"Africa/Monrovia":[[["-00:45","-00:45","MMT","","00"]],"0mpt8"],"Africa/Ndjamena":[[["+01:00","+01:00","WAT","","00"],["+01:00","+02:00","WAT","WAST","FF"]],"0329yc,136s4o"],"Africa/Sao_Tome":[[["+00:00","+00:00","GMT","","00"],["+01:00","+01:00","WAT","","00"]],"0f141o,1fcdlo"],"Africa/Tripoli":[[["+02:00","+02:00","EET","","00"],["+01:00","+02:00","CET","CEST","2|4.1@0:00|10.1@0:00"],["+01:00","+02:00","CET","CEST","2|4.6@0:00|10.1@0:00"],["+01:00","+02:00","CET","CEST","2|4.1@0:00|10.3@0:00"],["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","FF"]],"03r9wo,14m9go,2538mc,35k24o,166mco,46d9ac,08dico,48j92c,58owco,0df5c0,4djfs0,5dpx40"],"Africa/Tunis":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","FF"],["+01:00","+02:00","CET","CEST","903@0:00s"],["+01:00","+02:00","CET","CEST","A03@1:00u"]],"02alac,12f4mc,02lvyc,12qlyc,05rlac,266emc,06d5yc,16huuc,0b29qc,1b6yo0,0bcfdo,3c5ldo"],"Africa/Windhoek":[[["+02:00","+02:00","SAST","","00"],["+02:00","+02:00","CAT","","00"],["+02:00","+01:00","CAT","WAT","FF"],["+02:00","+01:00","CAT","WAT","1914@2:00"]],"06bwco,17kzoo,27q5do,3exepo"],"America/Adak":[[["-11:00","-11:00","BST","","00"],["-11:00","-10:00","BST","BDT","A04@2:00"],["-11:00","-10:00","BST","BDT","FF"],["-10:00","-10:00","AHST","","00"],["-10:00","-09:00","HST","HDT","A04@2:00"],["-10:00","-09:00","HST","HDT","A14@2:00"]],"03kdo,1199ho,21ic40,01m0do,21tkk0,14bvo0,34cu0o,45ejw0,5bn8s0"],"America/Anchorage":[[["-10:00","-10:00","AHST","","00"],["-10:00","-09:00","AHST","AHDT","A04@2:00"],["-10:00","-09:00","AHST","AHDT","FF"],["-09:00","-09:00","YST","","00"],["-09:00","-08:00","AKST","AKDT","A04@2:00"],["-09:00","-08:00","AKST","AKDT","A14@2:00"]],"03kc0,1199g0,21ic2c,01m0c0,21tkic,14bvmc,34ctz0,45ejuc,5bn8qc"],"America/Araguaina":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|10.25@0:00|3.15@0:00"],["-03:00","-02:00","-03","-02","120A@0:00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","2|10.6@0:00|2.Sun>=10@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=5@0:00|3.1@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=2@0:00|2.Sun>=21@0:00"]],"04yit0,15czvc,25vtp0,35z2bc,067250,36aqbc,082ol0,48oyt0,594hnc,69qyjc,09yb10,3a26zc,0aa6t0,3adffc,0dej90,3di7fc"],"America/Argentina/Buenos_Aires":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-03:00","-03:00","-03","-03","FF"],["-03:00","-02:00","-03","-02","333A@0:00"]],"019rx0,11csrc,05x8t0,279arc,09bel0,39g3h0,0bwb10,4c9wzc"],"America/Argentina/Catamarca":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-04:00","-04","","00"],["-03:00","-03:00","-03","-03","FF"]],"019rx0,11csrc,05x8t0,26mm3c,36tquo,279arc,09bel0,49g3h0,0aryt0,3asjyo,0bwb10,1byojc"],"America/Argentina/Cordoba":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-04:00","-04","","00"],["-03:00","-03:00","-03","-03","FF"],["-03:00","-02:00","-03","-02","333A@0:00"]],"019rx0,11csrc,05x8t0,26mm3c,36tquo,279arc,09bel0,49g3h0,0bwb10,5c9wzc"],"America/Argentina/Jujuy":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","FF"],["-04:00","-02:00","-04","-02","FF"],["-03:00","-03:00","-03","-03","FF"]],"019rx0,11csrc,05x8t0,26bdnc,36iq6o,46n1p0,36tbao,56xujc,074z90,179arc,09bel0,69g3h0,0bwb10,1byojc"],"America/Argentina/La_Rioja":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-04:00","-04","","00"],["-03:00","-03:00","-03","-03","FF"]],"019rx0,11csrc,05x8t0,26mjvc,36omeo,279arc,09bel0,49g3h0,0aryt0,3asjyo,0bwb10,1byojc"],"America/Argentina/Mendoza":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-03:00","-04","-03","2|10.15@0:00|3.1@0:00"],["-04:00","-04:00","-04","","00"],["-04:00","-02:00","-04","-02","FF"],["-03:00","-03:00","-03","-03","FF"]],"019rx0,11csrc,05x8t0,26bdnc,36xul0,474zao,579arc,09bel0,69g3h0,0arot0,4avkuo,0bwb10,1byojc"],"America/Argentina/Rio_Gallegos":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-03:00","-03:00","-03","-03","FF"],["-04:00","-04:00","-04","","00"]],"019rx0,11csrc,05x8t0,279arc,09bel0,39g3h0,0aryt0,4asjyo,0bwb10,1byojc"],"America/Argentina/Salta":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-04:00","-04","","00"],["-03:00","-03:00","-03","-03","FF"]],"019rx0,11csrc,05x8t0,26mm3c,36tquo,279arc,09bel0,49g3h0,0bwb10,1byojc"],"America/Argentina/San_Juan":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-04:00","-04","","00"],["-03:00","-03:00","-03","-03","FF"]],"019rx0,11csrc,05x8t0,26mjvc,36omeo,279arc,09bel0,49g3h0,0arxp0,3atmuo,0bwb10,1byojc"],"America/Argentina/San_Luis":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-04:00","-03:00","-04","-03","2|10.15@0:00|3.1@0:00"],["-03:00","-03:00","-03","-03","FF"],["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","232A@0:00"]],"019rx0,11csrc,05x8t0,16057c,067250,16borc,26pe6o,09bel0,39g3h0,0arxp0,4atmuo,0bwb10,1bwzfc,5cgeeo"],"America/Argentina/Tucuman":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-04:00","-04:00","-04","","00"],["-03:00","-03:00","-03","-03","FF"],["-03:00","-02:00","-03","-02","333A@0:00"]],"019rx0,11csrc,05x8t0,26mm3c,36tquo,279arc,09bel0,49g3h0,0aryt0,3asc6o,0bwb10,5c9wzc"],"America/Argentina/Ushuaia":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","133A@0:00"],["-03:00","-03:00","-03","-03","FF"],["-04:00","-04:00","-04","","00"]],"019rx0,11csrc,05x8t0,279arc,09bel0,39g3h0,0arwl0,4asjyo,0bwb10,1byojc"],"America/Asuncion":[[["-04:00","-04:00","-04","","00"],["-03:00","-03:00","-03","","00"],["-04:00","-03:00","-04","-03","2|10.1@0:00|3.1@0:00"],["-04:00","-03:00","-04","-03","2|10.1@0:00|4.1@0:00"],["-04:00","-03:00","-04","-03","2|10.22@0:00|4.1@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun<=6@0:00|4.1@0:00"],["-04:00","-03:00","-04","-03","2|10.1@0:00|3.31@0:00"],["-04:00","-03:00","-04","-03","2|10.1@0:00|2.Sun>=26@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=1@0:00|2.Sun>=23@0:00"],["-04:00","-03:00","-04","-03","131A@0:00"],["-04:00","-03:00","-04","-03","1419@0:00"],["-04:00","-03:00","-04","-03","233A@0:00"],["-04:00","-03:00","-04","-03","241A@0:00"],["-04:00","-03:00","-04","-03","431A@0:00"]],"0uzqo,11bvh0,01sseo,22qm6o,360z90,46hw6o,56xul0,074kuo,67kbh0,786xx0,89066o,99y3ao,aaq6d0,bcgm6o,cdjad0,dh5ml0"],"America/Bahia":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|10.25@0:00|3.15@0:00"],["-03:00","-02:00","-03","-02","120A@0:00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","2|10.Sun>=19@0:00|2.Sun>=11@0:00"],["-03:00","-02:00","-03","-02","10A@0:00"],["-03:00","-02:00","-03","-02","323A@0:00"],["-03:00","-02:00","-03","-02","2|10.6@0:00|2.Sun>=10@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=5@0:00|3.1@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=2@0:00|2.Sun>=21@0:00"]],"04yit0,15czvc,25vtp0,35z2bc,067250,36aqbc,46x77c,57g7p0,686crc,78oyt0,894hnc,99qyjc,09yb10,3a26zc,0aa6t0,3adffc,0d3310,3d76rc"],"America/Bahia_Banderas":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-07:00","-06:00","MST","MDT","915@2:00"],["-06:00","-05:00","CST","CDT","A14@2:00"]],"0883b0,19nidc,2a3pr0,1clt30,3gjj7o"],"America/Barbados":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","2|4.Sun>=14|10.Sun<=2"]],"02bxe0,13czsc"],"America/Belem":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|10.25@0:00|3.15@0:00"],["-03:00","-02:00","-03","-02","FF"]],"04yit0,15czvc,05kt10,25o1nc"],"America/Belize":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","FF"]],"0189m0,11aawc,0424a0,143ugc"],"America/Boa_Vista":[[["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.25@0:00|3.15@0:00"],["-04:00","-03:00","-04","-03","FF"],["-04:00","-03:00","-04","-03","2|10.Sun>=2@0:00|2.27@0:00"]],"04yiuo,15czx0,05kt2o,25o1p0,09bemo,39n2l0"],"America/Bogota":[[["-05:00","-05:00","-05","","00"],["-05:00","-04:00","-05","-04","FF"]],"06zsoc,178fqo"],"America/Boise":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","FF"],["-07:00","-06:00","MST","MDT","A14@2:00"]],"03k70,11a4f0,21ibxc,01m070,21tkdc,15ejr0,3bn8n0"],"America/Cambridge_Bay":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","FF"],["-05:00","-05:00","EST","","00"]],"0q8v0,15ejr0,29c9xc,39h11c,49nibo,59nq0c,39s9j0,2bn8n0"],"America/Campo_Grande":[[["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.25@0:00|3.15@0:00"],["-04:00","-03:00","-04","-03","120A@0:00"],["-04:00","-03:00","-04","-03","FF"],["-04:00","-03:00","-04","-03","2|10.Sun>=19@0:00|2.Sun>=11@0:00"],["-04:00","-03:00","-04","-03","10A@0:00"],["-04:00","-03:00","-04","-03","323A@0:00"],["-04:00","-03:00","-04","-03","2|10.6@0:00|2.Sun>=10@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=5@0:00|3.1@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=2@0:00|2.Sun>=21@0:00"],["-04:00","-03:00","-04","-03","321B@0:00"],["-04:00","-03:00","-04","-03","2|11.5@0:00|2.Sun>=19@0:00"],["-04:00","-03:00","-04","-03","23A@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=14@0:00|2.Sun>=16@0:00"]],"04yiuo,15czx0,25vtqo,35z2d0,06726o,36aqd0,46x790,57g7qo,686ct0,78oyuo,894hp0,99qyl0,09yb2o,3a2710,aakzqo,3aonx0,0awpyo,6bbcl0,bbtxio,3bxth0,6d332o,cdi7h0,df2lh0,0falao,3fdtx0"],"America/Cancun":[[["-06:00","-06:00","CST","","00"],["-05:00","-05:00","EST","","00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-05:00","-04:00","EST","EDT","FF"],["-06:00","-05:00","CST","CDT","915@2:00"]],"03r3pc,142n4c,08839c,28pl7o,18uk3o,38y8a0,29nibo,4a3ppc,2e491c"],"America/Caracas":[[["-04:00","-04:00","-04","","00"],["-04:30","-04:30","-0430","","00"]],"0bvnvo,1eiajo"],"America/Chicago":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","FF"],["-06:00","-05:00","CST","CDT","A14@2:00"]],"03k5c,11999c,21ibvo,01m05c,21tkbo,15ejpc,3bn8lc"],"America/Chihuahua":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-07:00","-06:00","MST","MDT","915@2:00"]],"08839c,18pl7o,08uk70,29nidc,3a3pr0,2gjj9c"],"America/Ciudad_Juarez":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-07:00","-06:00","MST","MDT","915@2:00"],["-07:00","-06:00","MST","MDT","1B23@2:00"]],"08839c,18pl7o,08uk70,29nidc,3a3pr0,2cl5r0,4gjj9c,0gkhm0"],"America/Costa_Rica":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","1602@0:00"],["-06:00","-05:00","CST","CDT","2|1.18@0:00|7.1@0:00"]],"02v5m0,139ewc,06lai0,26ya8c"],"America/Coyhaique":[[["-04:00","-03:00","-04","-03","FF"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=9@0:00"],["-04:00","-03:00","-04","-03","242A@0:00"],["-04:00","-03:00","-04","-03","32A@0:00"],["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=8@0:00"],["-04:00","-03:00","-04","-03","2538@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=2@0:00|4.lastSun@0:00"],["-04:00","-03:00","-04","-03","2528@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=5@0:00|4.Sun>=1@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=2@0:00|4.7@0:00"]],"02ot0,11686o,01b710,15952o,25p4l0,16hfio,06mtx0,18dx2o,38twl0,48zyeo,095sd0,5btxio,3c9x10,4cgeeo,0clst0,4crmuo,6d94t0,7dzpio,0eipx0,8ffcd0,9gt1ao,ahafx0"],"America/Cuiaba":[[["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.25@0:00|3.15@0:00"],["-04:00","-03:00","-04","-03","120A@0:00"],["-04:00","-03:00","-04","-03","FF"],["-04:00","-03:00","-04","-03","2|10.Sun>=19@0:00|2.Sun>=11@0:00"],["-04:00","-03:00","-04","-03","10A@0:00"],["-04:00","-03:00","-04","-03","323A@0:00"],["-04:00","-03:00","-04","-03","2|10.6@0:00|2.Sun>=10@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=5@0:00|3.1@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=2@0:00|2.Sun>=21@0:00"],["-04:00","-03:00","-04","-03","2|11.5@0:00|2.Sun>=19@0:00"],["-04:00","-03:00","-04","-03","23A@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=14@0:00|2.Sun>=16@0:00"]],"04yiuo,15czx0,25vtqo,35z2d0,06726o,36aqd0,46x790,57g7qo,686ct0,78oyuo,894hp0,99qyl0,09yb2o,3a2710,0aa6uo,3adfh0,0awpyo,6bbcl0,abtxio,3bxth0,6d332o,bdi7h0,cf2lh0,0falao,3fdtx0"],"America/Danmarkshavn":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|3.Sat>=24@22:00|9.Sat>=23@23:00"]],"037ooc,185390"],"America/Dawson":[[["-09:00","-09:00","YST","","00"],["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","A14@2:00"],["-08:00","-07:00","PST","PDT","1B23@2:00"]],"0173j0,138c8o,25ejso,3bn8oo,4fx2bo"],"America/Dawson_Creek":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"]],"03k8o,1u0f0"],"America/Denver":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","FF"],["-07:00","-06:00","MST","MDT","A14@2:00"]],"03k70,1199b0,21ibxc,01m070,21tkdc,15ejr0,3bn8n0"],"America/Detroit":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A11@2:00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","A14@2:00"]],"011h7o,11ibu0,25ejno,3bn8jo"],"America/Edmonton":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","A14@2:00"]],"0q8v0,15ejr0,2bn8n0"],"America/Eirunepe":[[["-05:00","-05:00","-05","","00"],["-05:00","-04:00","-05","-04","2|10.25@0:00|3.15@0:00"],["-05:00","-04:00","-05","-04","FF"],["-04:00","-04:00","-04","","00"]],"04yiwc,15czyo,05kt4c,25o1qo,07g7sc,27k3qo,0c1rsc,3dqf2o"],"America/El_Salvador":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","915@0:00"]],"05feq0,15v6gc"],"America/Fort_Nelson":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","A14@2:00"],["-08:00","-07:00","PST","PDT","1B23@2:00"]],"03k8o,15ejso,2bn8oo,3e5c0o"],"America/Fortaleza":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|10.25@0:00|3.15@0:00"],["-03:00","-02:00","-03","-02","120A@0:00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","4A2A@0:00"]],"04yit0,15czvc,25vtp0,35z2bc,067250,36aqbc,09bel0,39fxvc,49yb10,3a26zc"],"America/Glace_Bay":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","A04@2:00"],["-04:00","-03:00","AST","ADT","A14@2:00"]],"0q8q0,15ejm0,2bn8i0"],"America/Goose_Bay":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","A04@2:00"],["-04:00","-03:00","AST","ADT","FF"],["-04:00","-02:00","AST","ADDT","A14@0:01"],["-04:00","-03:00","AST","ADT","A14@0:01"],["-04:00","-03:00","AST","ADT","1B23@0:01"]],"03k20,15ejip,25kt11,3610ep,4bn8ep,5cwdyp,2d3qgc"],"America/Grand_Turk":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","A14@2:00"],["-05:00","-04:00","EST","EDT","1B23@2:00"],["-04:00","-04:00","AST","","00"]],"02x3no,15ejno,2bn8jo,3e5bvo,4f38zo"],"America/Guatemala":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","FF"]],"017yi0,11arkc,046ve0,14ap4c,06n8i0,16sf4c,0bdii0,1bi9kc"],"America/Guayaquil":[[["-05:00","-05:00","-05","","00"],["-05:00","-04:00","-05","-04","FF"]],"0768wc,178dio"],"America/Guyana":[[["-03:45","-03:45","-0345","","00"],["-03:00","-03:00","-03","","00"]],"01qwm9,16ypqo"],"America/Halifax":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","A04@2:00"],["-04:00","-03:00","AST","ADT","A14@2:00"]],"03k20,15ejm0,2bn8i0"],"America/Havana":[[["-05:00","-05:00","CST","","00"],["-05:00","-04:00","CST","CDT","A04@0:00"],["-05:00","-04:00","CST","CDT","2|4.lastSun@0:00|10.8@0:00"],["-05:00","-04:00","CST","CDT","2A15@0:00"],["-05:00","-04:00","CST","CDT","2A33@0:00"],["-05:00","-04:00","CST","CDT","2|5.Sun>=4@0:00|10.Sun>=8@0:00"],["-05:00","-04:00","CST","CDT","2A14@0:00"],["-05:00","-04:00","CST","CDT","2A14@5:00u"],["-05:00","-04:00","CST","CDT","2|4.6@0:00|10.Sun>=6@1:00"],["-05:00","-04:00","CST","CDT","2|3.Sun>=27@0:00|10.lastSun@1:00"],["-05:00","-04:00","CST","CDT","A14@5:00u"],["-05:00","-04:00","CST","CDT","FF"],["-05:00","-04:00","CST","CDT","2|3.Sun>=10@0:00|10.lastSun@1:00"],["-05:00","-04:00","CST","CDT","A23@5:00u"]],"03k0c,1v7io,21ny0c,12g8uo,32vswc,43dimo,552nsc,466ueo,66np4c,78dpcc,88uc8c,99yqoc,aapyoc,bbj4oc,cc9pcc,dcsa8c,0cwlsc,bd3y8c,0d89sc"],"America/Hermosillo":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A14@2:00"]],"0883b0,190tpc"],"America/Indiana/Indianapolis":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","FF"]],"03k3o,196a0,0bcnfo,1bj4q0,0bn8jo"],"America/Indiana/Knox":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","FF"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-05:00","-05:00","EST","","00"],["-05:00","-05:00","EST","CDT","FF"]],"03k5c,11999c,21ibvo,01m05c,21tkbo,15ejpc,36tyro,4bcnfo,5bj4ro,0bn8lc"],"America/Indiana/Marengo":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-05:00","EST","CDT","FF"],["-05:00","-04:00","EST","EDT","FF"]],"03k3o,11997o,21ibvo,01m03o,31tka0,0bcnfo,3bj4q0,0bn8jo"],"America/Indiana/Petersburg":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","FF"],["-05:00","-05:00","EST","","00"],["-06:00","-05:00","CST","CDT","2|3.11|10.Sun>=29"]],"03k5c,11999c,21ibvo,01m05c,21tkbo,12g8zo,3bcnfo,4bukzo"],"America/Indiana/Tell_City":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","FF"],["-05:00","-05:00","EST","CDT","FF"],["-06:00","-06:00","CST","","00"]],"03k3o,196a0,0bcnfo,2bj4ro,3bn8lc"],"America/Indiana/Vevay":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","FF"]],"03k3o,1vuy0,0bcnfo,2bj4q0,0bn8jo"],"America/Indiana/Vincennes":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","FF"],["-06:00","-05:00","CST","CDT","2|3.11|10.Sun>=29"]],"03k3o,196a0,0bcnfo,2bukzo"],"America/Indiana/Winamac":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","FF"],["-05:00","-05:00","EST","CDT","FF"],["-06:00","-06:00","CST","","00"]],"03k3o,196a0,0bcnfo,2bj4ro,3bn8lc"],"America/Inuvik":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","A14@2:00"]],"0q8wo,12x3so,25ejr0,3bn8n0"],"America/Iqaluit":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","A14@2:00"],["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","FF"]],"0q8ro,15ejno,29c9u0,39h11c,49nibo,2bn8jo"],"America/Jamaica":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","FF"],["-05:00","-04:00","EST","EDT","A04@2:00"]],"01997o,11ibu0,01m03o,11tka0,24bve0"],"America/Juneau":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","FF"],["-08:00","-08:00","PST","YDT","FF"],["-09:00","-09:00","YST","","00"],["-09:00","-08:00","AKST","AKDT","A04@2:00"],["-09:00","-08:00","AKST","AKDT","A14@2:00"]],"03k8o,1199co,21ibz0,01m08o,21tkf0,138c8o,33dygo,14bvj0,44ctz0,55ejuc,6bn8qc"],"America/Kentucky/Louisville":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-05:00","EST","CDT","FF"],["-05:00","-04:00","EST","EDT","FF"],["-05:00","-04:00","EST","EDT","A14@2:00"]],"03k3o,11997o,21ibvo,01m03o,31tka0,15ejno,4bn8jo"],"America/Kentucky/Monticello":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","FF"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-05:00","-04:00","EST","EDT","A14@2:00"]],"03k5c,11999c,21ibvo,01m05c,21tkbo,15ejpc,39nibo,4bn8jo"],"America/Lima":[[["-05:00","-05:00","-05","","00"],["-05:00","-04:00","-05","-04","2|1.1@0:00|4.1@0:00"],["-05:00","-04:00","-05","-04","FF"]],"050dkc,15ef2o,069gwc,26c8uo,07ik8c,27lc6o"],"America/Los_Angeles":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","FF"],["-08:00","-07:00","PST","PDT","A14@2:00"]],"03k8o,1199co,21ibz0,01m08o,21tkf0,15ejso,3bn8oo"],"America/Maceio":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|10.25@0:00|3.15@0:00"],["-03:00","-02:00","-03","-02","120A@0:00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","4A2A@0:00"]],"04yit0,15czvc,25vtp0,35z2bc,067250,36aqbc,082ol0,386crc,09bel0,39fxvc,49yb10,3a26zc"],"America/Managua":[[["-06:00","-06:00","CST","","00"],["-05:00","-05:00","EST","","00"],["-06:00","-05:00","CST","CDT","2|3.16@0:00|6.Mon>=19@0:00"],["-06:00","-05:00","CST","CDT","FF"]],"011je0,11ls8c,02vsy0,23a3cc,06w08o,1748oc,077aq0,18ge0c,0b1mq0,3b714c,0bdilc,3bi9m0"],"America/Manaus":[[["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.25@0:00|3.15@0:00"],["-04:00","-03:00","-04","-03","FF"]],"04yiuo,15czx0,05kt2o,25o1p0,07g7qo,27k3p0"],"America/Martinique":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","FF"]],"037omo,13d310"],"America/Matamoros":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","FF"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-06:00","-05:00","CST","CDT","915@2:00"]],"05ps5c,15w9fo,08839c,29nibo,3a3ppc,2cl5pc"],"America/Mazatlan":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-07:00","-06:00","MST","MDT","915@2:00"]],"0883b0,19nidc,2a3pr0,1gjj9c"],"America/Menominee":[[["-05:00","-05:00","EST","","00"],["-06:00","-05:00","CST","CDT","A11@2:00"],["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","FF"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","A14@2:00"]],"011h7o,11ibvo,21m05c,31tkbo,45ejpc,5bn8lc"],"America/Merida":[[["-06:00","-06:00","CST","","00"],["-05:00","-05:00","EST","","00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-06:00","-05:00","CST","CDT","915@2:00"]],"03r3pc,140p7o,08839c,29nibo,3a3ppc,2gjj7o"],"America/Metlakatla":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","FF"],["-09:00","-08:00","AKST","AKDT","1B23@2:00"]],"03k8o,1199co,21ibz0,01m08o,21tkf0,14bvj0,0ecogo,3falko,0fcz4o"],"America/Mexico_City":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-06:00","-05:00","CST","CDT","915@2:00"]],"08839c,19nibo,2a3ppc,1gjj7o"],"America/Miquelon":[[["-04:00","-04:00","AST","","00"],["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","A14@2:00"]],"038geo,15ejkc,2bn8gc"],"America/Moncton":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","A04@2:00"],["-04:00","-03:00","AST","ADT","A14@2:00"],["-04:00","-03:00","AST","ADT","A14@0:01"]],"03k20,1vuwc,01cpm0,15ejm0,27a5yp,3bn8i0"],"America/Monterrey":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","FF"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-06:00","-05:00","CST","CDT","915@2:00"]],"05ps5c,15w9fo,08839c,29nibo,3a3ppc,2gjj7o"],"America/Montevideo":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-01:30","-03","-0130","FF"],["-03:00","-02:30","-03","-0230","FF"],["-03:00","-02:00","-03","-02","131C@0:00"],["-03:00","-02:00","-03","-02","133C@0:00"],["-03:00","-02:00","-03","-02","2|12.11@0:00|2.Sun>=27@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=21@0:00|2.Sun>=25@0:00"],["-03:00","-02:00","-03","-02","232A@2:00"],["-03:00","-02:00","-03","-02","231A@2:00"]],"03it0,152bc,0q0t0,1sm3c,019gt0,21b6yi,31glg6,01k1x0,11n2rc,026it0,42k4rc,52x3h0,13717c,05mcl0,667hp0,774z90,1792zc,0avd10,1b172o,8bi9kc,9e5bqo"],"America/New_York":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","FF"],["-05:00","-04:00","EST","EDT","A14@2:00"]],"03k3o,11997o,21ibu0,01m03o,21tka0,15ejno,3bn8jo"],"America/Nome":[[["-11:00","-11:00","BST","","00"],["-11:00","-10:00","BST","BDT","A04@2:00"],["-11:00","-10:00","BST","BDT","FF"],["-09:00","-09:00","YST","","00"],["-09:00","-08:00","AKST","AKDT","A04@2:00"],["-09:00","-08:00","AKST","AKDT","A14@2:00"]],"03kdo,1199ho,21ic40,01m0do,21tkk0,14bvo0,34ctz0,45ejuc,5bn8qc"],"America/Noronha":[[["-02:00","-02:00","-02","","00"],["-02:00","-01:00","-02","-01","2|10.25@0:00|3.15@0:00"],["-02:00","-01:00","-02","-01","120A@0:00"],["-02:00","-01:00","-02","-01","FF"],["-02:00","-01:00","-02","-01","3A2A@0:00"]],"04yirc,15czto,25vtnc,35z29o,06723c,36aq9o,09bejc,39fxto,49yazc,3a26xo"],"America/North_Dakota/Beulah":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","FF"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-07:00","-06:00","MST","MDT","1B23@2:00"]],"03k70,1199b0,21ibxc,01m070,21tkdc,15ejr0,3bn8n0,4csi5c"],"America/North_Dakota/Center":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","FF"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-06:00","-05:00","CST","CDT","A14@2:00"]],"03k70,1199b0,21ibxc,01m070,21tkdc,15ejr0,37579c,4bn8lc"],"America/North_Dakota/New_Salem":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","FF"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-06:00","-05:00","CST","CDT","A14@2:00"]],"03k70,1199b0,21ibxc,01m070,21tkdc,15ejr0,3al7pc,4bn8lc"],"America/Nuuk":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|3.Sat>=24@22:00|9.Sat>=23@23:00"],["-03:00","-02:00","-03","-02","2|3.Sat>=24@22:00|10.Sat>=24@23:00"],["-02:00","-02:00","-02","","00"]],"037ooc,187v5o,2go29o,3gziho"],"America/Ojinaga":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-07:00","-06:00","MST","MDT","A14@2:00"],["-07:00","-06:00","MST","MDT","915@2:00"],["-07:00","-06:00","MST","MDT","1B23@2:00"]],"08839c,18pl7o,08uk70,29nidc,3a3pr0,2cl5r0,4gjj9c,0gnn1c"],"America/Paramaribo":[[["-03:30","-03:30","-0330","","00"]],"04m9pu"],"America/Port-au-Prince":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@0:00"],["-05:00","-04:00","EST","EDT","A14@6:00u"],["-05:00","-04:00","EST","EDT","A14@0:00"],["-05:00","-04:00","EST","EDT","1B23@2:00"]],"046gwc,15ps20,28pl60,0b1ewc,3bj4mo,0d7mjo,4ecoa0,0es0jo"],"America/Porto_Velho":[[["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.25@0:00|3.15@0:00"],["-04:00","-03:00","-04","-03","FF"]],"04yiuo,15czx0,05kt2o,25o1p0"],"America/Punta_Arenas":[[["-04:00","-03:00","-04","-03","FF"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=9@0:00"],["-04:00","-03:00","-04","-03","242A@0:00"],["-04:00","-03:00","-04","-03","32A@0:00"],["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=8@0:00"],["-04:00","-03:00","-04","-03","2538@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=2@0:00|4.lastSun@0:00"]],"02ot0,11686o,01b710,15952o,25p4l0,16hfio,06mtx0,18dx2o,38twl0,48zyeo,095sd0,5btxio,3c9x10,4cgeeo,0clst0,4crmuo,6d94t0,7dzpio,0eipx0,4elj2o,0eozh0"],"America/Rankin_Inlet":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-05:00","-05:00","EST","","00"]],"0q8tc,15ejpc,29nibo,39s9hc,2bn8lc"],"America/Recife":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|10.25@0:00|3.15@0:00"],["-03:00","-02:00","-03","-02","120A@0:00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","3A2A@0:00"]],"04yit0,15czvc,25vtp0,35z2bc,067250,36aqbc,09bel0,39fxvc,49yb10,3a26zc"],"America/Resolute":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","A14@2:00"],["-05:00","-05:00","EST","","00"]],"0q8tc,15ejpc,29nibo,39s9hc,2bj4ro,3bn8lc"],"America/Rio_Branco":[[["-05:00","-05:00","-05","","00"],["-05:00","-04:00","-05","-04","2|10.25@0:00|3.15@0:00"],["-05:00","-04:00","-05","-04","FF"],["-04:00","-04:00","-04","","00"]],"04yiwc,15czyo,05kt4c,25o1qo,0c1rsc,3dqf2o"],"America/Santarem":[[["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.25@0:00|3.15@0:00"],["-04:00","-03:00","-04","-03","FF"]],"04yiuo,15czx0,05kt2o,25o1p0,0c1rqo"],"America/Santiago":[[["-04:00","-03:00","-04","-03","FF"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=9@0:00"],["-04:00","-03:00","-04","-03","242A@0:00"],["-04:00","-03:00","-04","-03","32A@0:00"],["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=8@0:00"],["-04:00","-03:00","-04","-03","2538@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=2@0:00|4.lastSun@0:00"],["-04:00","-03:00","-04","-03","2528@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=5@0:00|4.Sun>=1@0:00"]],"02ot0,11686o,01b710,15952o,25p4l0,16hfio,06mtx0,18dx2o,38twl0,48zyeo,095sd0,5btxio,3c9x10,4cgeeo,0clst0,4crmuo,6d94t0,7dzpio,0eipx0,8ffcd0,9gi0mo"],"America/Santo_Domingo":[[["-05:00","-04:30","EST","-0430","FF"],["-05:00","-04:30","EST","-0430","2|10.lastSun@0:00|1.Wed>=20@0:00"],["-05:00","-04:30","EST","-0430","2|10.lastSun@0:00|1.21@0:00"],["-04:00","-04:00","AST","","00"],["-05:00","-05:00","EST","","00"]],"01kvi,1n5ji,21ibsc,39nia0,49ol60"],"America/Sao_Paulo":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","2|10.25@0:00|3.15@0:00"],["-03:00","-02:00","-03","-02","120A@0:00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-02:00","-03","-02","2|10.Sun>=19@0:00|2.Sun>=11@0:00"],["-03:00","-02:00","-03","-02","10A@0:00"],["-03:00","-02:00","-03","-02","323A@0:00"],["-03:00","-02:00","-03","-02","2|10.6@0:00|2.Sun>=10@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=5@0:00|3.1@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=2@0:00|2.Sun>=21@0:00"],["-03:00","-02:00","-03","-02","321B@0:00"],["-03:00","-02:00","-03","-02","2|11.5@0:00|2.Sun>=19@0:00"],["-03:00","-02:00","-03","-02","23A@0:00"],["-03:00","-02:00","-03","-02","2|10.Sun>=14@0:00|2.Sun>=16@0:00"]],"04yit0,15czvc,25vtp0,35z2bc,067250,36aqbc,46x77c,57g7p0,686crc,78oyt0,894hnc,99qyjc,09yb10,3a26zc,aakzp0,3aonvc,0awpx0,6bbcjc,bbtxh0,3bxtfc,6d3310,cdi7fc,df2lfc,0fal90,3fdtvc"],"America/Scoresbysund":[[["-02:00","-02:00","-02","","00"],["-02:00","-01:00","-02","-01","FF"],["-01:00","+00:00","-01","+00","903@1:00u"],["-01:00","+00:00","-01","+00","A03@1:00u"]],"037omo,13d32o,03ip7c,287v5o,3gziho"],"America/Sitka":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","FF"],["-09:00","-09:00","YST","","00"],["-09:00","-08:00","AKST","AKDT","A04@2:00"],["-09:00","-08:00","AKST","AKDT","A14@2:00"]],"03k8o,1199co,21ibz0,01m08o,21tkf0,14bvj0,34ctz0,45ejuc,5bn8qc"],"America/St_Johns":[[["-03:30","-03:30","NST","","00"],["-03:30","-02:30","NST","NDT","A04@2:00"],["-03:30","-02:30","NST","NDT","FF"],["-03:30","-01:30","NST","NDDT","A14@0:01"],["-03:30","-02:30","NST","NDT","A14@0:01"],["-03:30","-02:30","NST","NDT","1B23@0:01"]],"03k16,15ejhv,25kt07,3610dv,4bn8dv,5cwdxv,2d3qfi"],"America/Swift_Current":[[["-07:00","-07:00","MST","","00"]],"0q8v0"],"America/Tegucigalpa":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","915@0:00"],["-06:00","-05:00","CST","CDT","FF"]],"05feq0,15v6gc,0bdqa0,2bgkgc"],"America/Thule":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","2|3.Sun>=29|9.lastSun"],["-04:00","-03:00","AST","ADT","A14@2:00"]],"06nhe0,17a620,2bn8i0"],"America/Tijuana":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","A14@2:00"]],"01z6oo,15ejso,2cl5so"],"America/Toronto":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","A14@2:00"]],"03k3o,15ejno,2bn8jo"],"America/Vancouver":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","A14@2:00"]],"03k8o,15ejso,2bn8oo"],"America/Whitehorse":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","A14@2:00"],["-08:00","-07:00","PST","PDT","1B23@2:00"]],"038c8o,15ejso,2bn8oo,3fx2bo"],"America/Winnipeg":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@8:00u"],["-06:00","-05:00","CST","CDT","A14@8:00u"]],"03k5c,15ejpc,2bj4ro,0bn8lc"],"America/Yakutat":[[["-09:00","-09:00","YST","","00"],["-09:00","-08:00","YST","YDT","A04@2:00"],["-09:00","-08:00","YST","YDT","FF"],["-09:00","-08:00","AKST","AKDT","A04@2:00"],["-09:00","-08:00","AKST","AKDT","A14@2:00"]],"03kac,1199ec,21ic0o,01m0ac,21tkgo,14ctz0,35ejuc,4bn8qc"],"Antarctica/Casey":[[["+08:00","+08:00","+08","","00"],["+11:00","+11:00","+11","","00"]],"0cglq0,1ckux0,0d3fy0,1d71wc,0enn6o,1f38cc,0f9ptc,1feoio,0fkvzo,1fpp6o,0fw6ip,1g159o,0g7eyp,1gcdpo,0ginep,1gniyo"],"Antarctica/Davis":[[["+07:00","+07:00","+07","","00"],["+05:00","+05:00","+05","","00"]],"0cglro,1cl1tc,0d3fzo,1d721c"],"Antarctica/Macquarie":[[["+10:00","+11:00","AEST","AEDT","FF"],["+10:00","+11:00","AEST","AEDT","230A@2:00s"],["+10:00","+10:00","AEST","","00"],["+10:00","+11:00","AEST","AEDT","130A@2:00s"],["+10:00","+11:00","AEST","AEDT","30A@2:00s"],["+10:00","+11:00","AEST","AEDT","330A@2:00s"],["+10:00","+11:00","AEST","AEDT","31A@2:00s"],["+10:00","+11:00","AEST","AEDT","141A@2:00s"]],"020yo,1oa2o,2vuao,33p62o,44fqqo,359cao,05dvmo,56ipmo,69ljmo,09s0yo,6b70io,7bnneo,2btp6o,7cg62o,0cx0qo"],"Antarctica/Mawson":[[["+06:00","+06:00","+06","","00"]],"0cgltc"],"Antarctica/Palmer":[[["-03:00","-03:00","-03","","00"],["-03:00","-02:00","-03","-02","FF"],["-04:00","-03:00","-04","-03","232A@0:00"],["-04:00","-03:00","-04","-03","242A@0:00"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=9@0:00"],["-04:00","-03:00","-04","-03","FF"],["-04:00","-03:00","-04","-03","32A@0:00"],["-04:00","-04:00","-04","","00"],["-04:00","-03:00","-04","-03","2|10.Sun>=9@0:00|3.Sun>=8@0:00"],["-04:00","-03:00","-04","-03","2538@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=2@0:00|4.lastSun@0:00"]],"019rx0,11csrc,03uzh0,25952o,35p4l0,46hfio,56mtx0,48dx2o,68twl0,78zyeo,595sd0,8btxio,6c9x10,7cgeeo,5clst0,7crmuo,9d94t0,adzpio,5eipx0,7elj2o,5eozh0"],"Antarctica/Rothera":[[["+00:00","+00:00","-00","","00"]],"025yo0"],"Antarctica/Troll":[[["+00:00","+00:00","-00","","00"]],"0azv40"],"Antarctica/Vostok":[[["+07:00","+07:00","+07","","00"],["+00:00","+00:00","-00","","00"]],"07ji4c,17rxs0,0gwano"],"Asia/Almaty":[[["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","2|4.1@0:00|10.1@0:00"],["+06:00","+07:00","+06","+07","903@2:00s"],["+06:00","+06:00","+06","+06","FF"],["+05:00","+05:00","+05","","00"],["+06:00","+07:00","+06","+07","A03@2:00s"]],"03is60,14m89c,26ngxc,36t370,46wjn0,287uxc,5awndc,0gyku0"],"Asia/Amman":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|5.1@0:00|10.1@0:00"],["+02:00","+03:00","EET","EEST","2|5.1@0:00|11.1@0:00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|4.Fri<=4@0:00|10.Tue>=1@0:00"],["+02:00","+03:00","EET","EEST","2|4.Fri>=1@0:00|10.Fri>=1@0:00"],["+02:00","+03:00","EET","EEST","2|5.8@0:00|10.Fri>=1@0:00"],["+02:00","+03:00","EET","EEST","2|4.17@0:00|10.5@0:00"],["+02:00","+03:00","EET","EEST","2|4.10@0:00|10.Fri<=2@0:00"],["+02:00","+03:00","EET","EEST","2|4.Fri>=1@0:00|10.1@0:00"],["+02:00","+03:00","EET","EEST","2|4.Fri>=1@0:00|9.Fri>=14@1:00"],["+02:00","+03:00","EET","EEST","2|3.Thu>=29@0:00|9.lastFri@1:00"],["+02:00","+03:00","EET","EEST","2|3.26@0:00|10.24@1:00"],["+02:00","+03:00","EET","EEST","2|4.1@0:00|9.30@1:00"],["+02:00","+03:00","EET","EEST","2|3.Fri>=26@0:00|10.lastFri@1:00"]],"012n0o,11zcso,22fcb0,02luso,32qkr0,04rvoo,458ur0,55vjf0,66d1go,76t0z0,87a3go,97qij0,07ws4o,a8zo4o,098hwo,ba3f8o,3a91go,0aenoo,caw5oo,dbckso,ed878o,3drn70,egbwco,3gjgko"],"Asia/Anadyr":[[["+13:00","+13:00","+13","","00"],["+13:00","+14:00","+13","+14","FF"],["+13:00","+13:00","+13","+13","FF"],["+12:00","+13:00","+12","+13","2|4.1@0:00|10.1@0:00"],["+12:00","+13:00","+12","+13","903@2:00s"],["+12:00","+12:00","+12","+12","FF"],["+11:00","+11:00","+11","","00"],["+12:00","+13:00","+12","+13","A03@2:00s"]],"03iruc,13of4o,03u1ec,23zoqc,34m7zc,46ngnc,56t2x0,66wjd0,487unc,7clkfc,5cs9l0,6cwsx0"],"Asia/Aqtau":[[["+05:00","+05:00","+05","","00"],["+06:00","+06:00","+06","","00"],["+06:00","+06:00","+06","+06","FF"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|3.lastSun|9.24@3:00"],["+04:00","+05:00","+04","+05","A03@2:00s"]],"03ofjo,13u1q0,23zp20,34m8b0,46ngz0,56t38o,66wjoo,47qsj0,787v0o,8awngo"],"Asia/Aqtobe":[[["+05:00","+05:00","+05","","00"],["+06:00","+06:00","+06","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+04:00","+04:00","+04","","00"],["+05:00","+06:00","+05","+06","A03@2:00s"]],"03is7o,13zp20,24m8b0,36ngz0,46t38o,56wjoo,387uz0,6awnf0"],"Asia/Ashgabat":[[["+05:00","+05:00","+05","","00"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+04:00","+04:00","+04","","00"]],"03is7o,14m8b0,26ngz0,36t38o,46wjoo"],"Asia/Atyrau":[[["+05:00","+05:00","+05","","00"],["+06:00","+06:00","+06","","00"],["+06:00","+06:00","+06","+06","FF"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+04:00","+04:00","+04","","00"],["+05:00","+06:00","+05","+06","A03@2:00s"],["+04:00","+05:00","+04","+05","A03@2:00s"]],"03ofjo,13u1q0,23zp20,34m8b0,46ngz0,56t38o,66wjoo,487uz0,795kb0,59c9go,8awngo"],"Asia/Baghdad":[[["+03:00","+03:00","+03","","00"],["+03:00","+04:00","+03","+04","2|3.Thu>=30@0:00|10.1@0:00"],["+03:00","+04:00","+03","+04","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","+03","+04","903@1:00s"],["+03:00","+04:00","+03","+04","2|4.1@3:00|10.1@4:00"]],"03uz70,14gm30,24xgso,36huso,06ni80,4btiw0"],"Asia/Baku":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","+04","FF"],["+03:00","+03:00","+03","","00"],["+03:00","+04:00","+03","+04","FF"],["+04:00","+05:00","+04","+05","A03@4:00/6:00"],["+04:00","+05:00","+04","+05","A03@0:00u"]],"03is9c,14m8co,26nh0o,36t3ac,46ypic,574bqc,087v5o,68pkw0,7ecg80"],"Asia/Barnaul":[[["+07:00","+07:00","+07","","00"],["+07:00","+08:00","+07","+08","2|4.1@0:00|10.1@0:00"],["+07:00","+08:00","+07","+08","903@2:00s"],["+07:00","+07:00","+07","+07","FF"],["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","A03@2:00s"]],"03is4c,14m87o,26ngvo,36t35c,46wjlc,27ycio,3820xc,487uxc,5cwt5c,0e17jo,4eh75c"],"Asia/Beirut":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|5.1@0:00|10.1@0:00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|5.1@0:00|10.16@0:00"],["+02:00","+03:00","EET","EEST","2|6.1@0:00|10.16@0:00"],["+02:00","+03:00","EET","EEST","903@0:00"]],"0rv8o,12luso,22qkr0,04hjgo,35kir0,4626co,374jf0,595kco"],"Asia/Bishkek":[[["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","2|4.1@0:00|10.1@0:00"],["+06:00","+07:00","+06","+07","903@2:00s"],["+06:00","+06:00","+06","+06","FF"],["+05:00","+05:00","+05","","00"],["+05:00","+06:00","+05","+06","2|4.Sun>=5@0:00|9.lastSun@0:00"],["+05:00","+06:00","+05","+06","A03@2:30"]],"03is60,14m89c,26ngxc,36s6xc,46z4vo,58j3fu,6b5fy0"],"Asia/Chita":[[["+09:00","+09:00","+09","","00"],["+09:00","+10:00","+09","+10","2|4.1@0:00|10.1@0:00"],["+09:00","+10:00","+09","+10","903@2:00s"],["+09:00","+09:00","+09","+09","FF"],["+08:00","+08:00","+08","","00"],["+09:00","+10:00","+09","+10","A03@2:00s"],["+10:00","+10:00","+10","","00"]],"03is10,14m84c,26ngsc,36t320,46wji0,287usc,5cwt0c,6e17eo,4eh720"],"Asia/Colombo":[[["+05:30","+05:30","+0530","","00"],["+06:30","+06:30","+0630","","00"],["+06:00","+06:00","+06","","00"]],"089jyu,18eb20,2bd1au"],"Asia/Damascus":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|5.1|10.1"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|4.9|10.1"],["+02:00","+03:00","EET","EEST","2|3.Fri>=31|10.1"],["+02:00","+03:00","EET","EEST","2|4.1@0:00|9.Sun>=30"],["+02:00","+03:00","EET","EEST","2|4.8@0:00|10.1@0:00"],["+02:00","+03:00","EET","EEST","2|4.1@0:00|10.1@0:00"],["+02:00","+03:00","EET","EEST","2|3.Mon>=30@0:00|10.1@0:00"],["+02:00","+03:00","EET","EEST","2|4.Fri<=4@0:00|11.2@0:00"],["+02:00","+03:00","EET","EEST","2|3.Fri>=27@0:00|10.lastFri@0:00"],["+02:00","+03:00","EET","EEST","2|3.lastFri@0:00|10.lastFri@0:00"]],"03pc0,12ef2c,02lw00,22pomc,045kg0,34m9ic,051sg0,2591ic,05dgg0,25kzic,05p6o0,25wa6c,46c8o0,56t5f0,679voo,27fiz0,07lbwo,78j4ko,895oso,7bhz70,0bnt8o,9c5rv0,aeh50o,bgjgj0"],"Asia/Dhaka":[[["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","FF"]],"0ccwcc,1cix0c"],"Asia/Dili":[[["+09:00","+09:00","+09","","00"],["+08:00","+08:00","+08","","00"]],"01zep0,19m6yo"],"Asia/Dushanbe":[[["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","2|4.1@0:00|10.1@0:00"],["+06:00","+07:00","+06","+07","903@2:00s"],["+06:00","+06:00","+06","+06","FF"]],"03is60,14m89c,26ngxc,36sgz0"],"Asia/Famagusta":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|5.15@0:00|10.11@0:00"],["+02:00","+03:00","EET","EEST","2|4.Sun>=1@0:00|10.2@0:00"],["+02:00","+03:00","EET","EEST","914@0:00"],["+02:00","+03:00","EET","EEST","903@0:00"],["+02:00","+03:00","EET","EEST","A43@1:00u"],["+02:00","+03:00","EET","EEST","A03@1:00u"],["+03:00","+03:00","+03","","00"]],"01ni4o,11t4b0,229r8o,12f5n0,02kzoo,331ub0,43ip0o,58ubwo,69yqho,7emaj0,8ez4xo"],"Asia/Gaza":[[["+02:00","+02:00","IST","","00"],["+02:00","+03:00","IST","IDT","2A34@0:00"],["+02:00","+03:00","IST","IDT","FF"],["+02:00","+03:00","IST","IDT","2|4.14@0:00|8.Sun>=26@1:00"],["+02:00","+03:00","IST","IDT","1935@0:00"],["+02:00","+03:00","IST","IDT","2924@0:00"],["+02:00","+03:00","IST","IDT","1904@0:00"],["+02:00","+03:00","IST","IDT","2|3.Sun>=23@0:00|8.Sun>=26@0:00"],["+02:00","+03:00","IST","IDT","2|4.Fri<=2@0:00|9.Sun>=1@0:00"],["+02:00","+03:00","IST","IDT","2|3.31@0:00|9.Sun<=3@0:00"],["+02:00","+03:00","EET","EEST","2|4.Fri>=1@0:00|9.Fri>=14@1:00"],["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|4.Fri>=15@0:00|10.Fri>=14@0:00"],["+02:00","+03:00","EET","EEST","2|4.15@0:00|10.Tue<=4"],["+02:00","+03:00","EET","EEST","2|4.1@0:00|9.22@0:00"],["+02:00","+03:00","EET","EEST","2|3.lastFri@0:00|8.29@0:00"],["+02:00","+03:00","EET","EEST","2|3.Sat>=21@0:01|9.4@1:00"],["+02:00","+03:00","EET","EEST","2|4.1@0:01|8.1@0:00"],["+02:00","+03:00","EET","EEST","2|3.lastFri@0:00|9.Fri>=21@1:00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|3.Sat>=24@1:00|10.Sat>=23@1:00"],["+02:00","+03:00","EET","EEST","2|3.lastSat@0:00|10.24@1:00"],["+02:00","+03:00","EET","EEST","2|4.29|10.Sat>=24"],["+02:00","+03:00","EET","EEST","2|4.12|10.Sat>=24"],["+02:00","+03:00","EET","EEST","2|3.Sat>=24|10.Sat>=24"],["+02:00","+03:00","EET","EEST","2|3.28|10.10"]],"01ev0o,11rtn0,03bcko,23cn8o,04hp0o,34wln0,45euco,55uir0,66c0so,76ypgo,87pxf0,98530o,a8zo4o,b965go,cavq4o,dbclwo,ebsyuc,fcaa4o,gcprv0,hd878o,idp1v0,bduo4o,je15f0,be5xoo,jecdwo,beh66c,kff24o,jflkj0,lg1k4o,jg884o,bgctoo,jgjhqc,mh04o0,nhly80,okwzqc,plako0"],"Asia/Hebron":[[["+02:00","+02:00","IST","","00"],["+02:00","+03:00","IST","IDT","2A34@0:00"],["+02:00","+03:00","IST","IDT","FF"],["+02:00","+03:00","IST","IDT","2|4.14@0:00|8.Sun>=26@1:00"],["+02:00","+03:00","IST","IDT","1935@0:00"],["+02:00","+03:00","IST","IDT","2924@0:00"],["+02:00","+03:00","IST","IDT","1904@0:00"],["+02:00","+03:00","IST","IDT","2|3.Sun>=23@0:00|8.Sun>=26@0:00"],["+02:00","+03:00","IST","IDT","2|4.Fri<=2@0:00|9.Sun>=1@0:00"],["+02:00","+03:00","IST","IDT","2|3.31@0:00|9.Sun<=3@0:00"],["+02:00","+03:00","EET","EEST","2|4.Fri>=1@0:00|9.Fri>=14@1:00"],["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|4.Fri>=15@0:00|10.Fri>=14@0:00"],["+02:00","+03:00","EET","EEST","2|4.15@0:00|10.Tue<=4"],["+02:00","+03:00","EET","EEST","2|4.1@0:00|9.22@0:00"],["+02:00","+03:00","EET","EEST","2|3.lastFri@0:00|9.Mon>=1@0:00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|4.1@0:01|8.1@0:00"],["+02:00","+03:00","EET","EEST","2|3.lastFri@0:00|9.30@0:00"],["+02:00","+03:00","EET","EEST","2|3.lastFri@0:00|9.Fri>=21@0:00"],["+02:00","+03:00","EET","EEST","2|3.Sat>=24@1:00|10.Sat>=23@1:00"],["+02:00","+03:00","EET","EEST","2|3.lastSat@0:00|10.24@1:00"],["+02:00","+03:00","EET","EEST","2|4.29|10.Sat>=24"],["+02:00","+03:00","EET","EEST","2|4.12|10.Sat>=24"],["+02:00","+03:00","EET","EEST","2|3.Sat>=24|10.Sat>=24"],["+02:00","+03:00","EET","EEST","2|3.28|10.10"]],"01ev0o,11rtn0,03bcko,23cn8o,04hp0o,34wln0,45euco,55uir0,66c0so,76ypgo,87pxf0,98530o,a8zo4o,b965go,cavq4o,dbclwo,ebsyuc,fcf90o,bcliko,gcprv0,hd1mko,iddloo,jduo4o,ge15f0,be5xoo,gecdwo,beh66c,kff24o,gflkj0,lg1k4o,gg884o,bgctoo,ggjhqc,mh04o0,nhly80,okwzqc,plako0"],"Asia/Ho_Chi_Minh":[[["+08:00","+08:00","+08","","00"]],"01pdmo"],"Asia/Hong_Kong":[[["+08:00","+08:00","HKT","","00"],["+08:00","+09:00","HKT","HKST","2|4.Sun>=16@3:30|10.Sun>=16@3:30"],["+08:00","+09:00","HKT","HKST","FF"],["+08:00","+09:00","HKT","HKST","3A34@3:30"]],"03bsi,1190wi,21i3iu,324keu,02xioi,232hiu"],"Asia/Hovd":[[["+06:00","+06:00","+06","","00"],["+07:00","+07:00","+07","","00"],["+07:00","+08:00","+07","+08","2|4.1@0:00|10.1@0:00"],["+07:00","+08:00","+07","+08","903@0:00"],["+07:00","+08:00","+07","+08","2|3.lastSat|9.lastSat"],["+07:00","+08:00","+07","+08","2|3.26|9.lastSat@0:00"]],"02i6e0,145b8c,24m82o,38zxuo,19t2vo,4bi7y0,1e5xjo,5ems2o"],"Asia/Irkutsk":[[["+08:00","+08:00","+08","","00"],["+08:00","+09:00","+08","+09","2|4.1@0:00|10.1@0:00"],["+08:00","+09:00","+08","+09","903@2:00s"],["+08:00","+08:00","+08","+08","FF"],["+07:00","+07:00","+07","","00"],["+08:00","+09:00","+08","+09","A03@2:00s"],["+09:00","+09:00","+09","","00"]],"03is2o,14m860,26ngu0,36t33o,46wjjo,287uu0,5cwt20,6e17gc"],"Asia/Jerusalem":[[["+02:00","+02:00","IST","","00"],["+02:00","+03:00","IST","IDT","2A34@0:00"],["+02:00","+03:00","IST","IDT","FF"],["+02:00","+03:00","IST","IDT","2|4.14@0:00|8.Sun>=26@1:00"],["+02:00","+03:00","IST","IDT","1935@0:00"],["+02:00","+03:00","IST","IDT","2924@0:00"],["+02:00","+03:00","IST","IDT","1904@0:00"],["+02:00","+03:00","IST","IDT","2|3.Sun>=23@0:00|8.Sun>=26@0:00"],["+02:00","+03:00","IST","IDT","2|4.Fri<=2@0:00|9.Sun>=1@0:00"],["+02:00","+03:00","IST","IDT","2|3.31@0:00|9.Sun<=3@0:00"],["+02:00","+03:00","IST","IDT","2|3.Fri>=15@0:00|9.16@0:00"],["+02:00","+03:00","IST","IDT","2|4.9@1:00|10.6@1:00"],["+02:00","+03:00","IST","IDT","2|3.28@1:00|10.7@1:00"],["+02:00","+03:00","IST","IDT","2|4.7@1:00|9.22@1:00"],["+02:00","+03:00","IST","IDT","2|3.lastFri|10.9"],["+02:00","+03:00","IST","IDT","2|3.lastFri|9.16"],["+02:00","+03:00","IST","IDT","2|3.lastFri|10.5"],["+02:00","+03:00","IST","IDT","2|3.Fri>=26|9.12"],["+02:00","+03:00","IST","IDT","2|3.lastFri|10.2"]],"01ev0o,11rtn0,03bcko,23cn8o,04hp0o,34wln0,45euco,55uir0,66c0so,76ypgo,87pxf0,987d8o,a8oa30,08u1wo,28zar0,095q00,29ah2c,09he00,b9xoko,0a3fac,cakhoo,db1cg0,ebi9ac,fbz1s0,gcfymc,hcwyw0,iddnyc,0djfs0"],"Asia/Kamchatka":[[["+12:00","+12:00","+12","","00"],["+12:00","+13:00","+12","+13","2|4.1@0:00|10.1@0:00"],["+12:00","+13:00","+12","+13","903@2:00s"],["+12:00","+12:00","+12","+12","FF"],["+11:00","+11:00","+11","","00"],["+12:00","+13:00","+12","+13","A03@2:00s"]],"03irw0,14m7zc,26ngnc,36t2x0,46wjd0,287unc,5clkfc,3cs9l0,4cwsx0"],"Asia/Karachi":[[["+05:00","+05:00","+05","","00"],["+05:00","+05:00","PKT","","00"],["+05:00","+06:00","PKT","PKST","FF"],["+05:00","+06:00","PKT","PKST","2|4.15@0:00|11.1@0:00"]],"0duno,1a3p3o,2a9ba0,1c11ro,3ch1a0"],"Asia/Kathmandu":[[["+05:30","+05:30","+0530","","00"]],"050d2u"],"Asia/Khandyga":[[["+09:00","+09:00","+09","","00"],["+09:00","+10:00","+09","+10","2|4.1@0:00|10.1@0:00"],["+09:00","+10:00","+09","+10","903@2:00s"],["+09:00","+09:00","+09","+09","FF"],["+08:00","+08:00","+08","","00"],["+09:00","+10:00","+09","+10","A03@2:00s"],["+10:00","+11:00","+10","+11","A03@2:00s"],["+11:00","+11:00","+11","","00"],["+10:00","+10:00","+10","","00"]],"03is10,14m84c,26ngsc,36t320,46wji0,287usc,5an9d0,6cwsyo,7d21po,8e17eo"],"Asia/Krasnoyarsk":[[["+07:00","+07:00","+07","","00"],["+07:00","+08:00","+07","+08","2|4.1@0:00|10.1@0:00"],["+07:00","+08:00","+07","+08","903@2:00s"],["+07:00","+07:00","+07","+07","FF"],["+06:00","+06:00","+06","","00"],["+07:00","+08:00","+07","+08","A03@2:00s"],["+08:00","+08:00","+08","","00"]],"03is4c,14m87o,26ngvo,36t35c,46wjlc,287uvo,5cwt3o,6e17i0"],"Asia/Macau":[[["+08:00","+08:00","CST","","00"],["+08:00","+09:00","CST","CDT","2|4.Sun>=16@3:30|10.Sun>=16@3:30"],["+08:00","+09:00","CST","CDT","FF"],["+08:00","+09:00","CST","CDT","3A34@3:30"]],"03bsi,1190wi,21i3iu,324keu,02xioi,232hiu"],"Asia/Magadan":[[["+11:00","+11:00","+11","","00"],["+11:00","+12:00","+11","+12","2|4.1@0:00|10.1@0:00"],["+11:00","+12:00","+11","+12","903@2:00s"],["+11:00","+11:00","+11","+11","FF"],["+10:00","+10:00","+10","","00"],["+11:00","+12:00","+11","+12","A03@2:00s"],["+12:00","+12:00","+12","","00"]],"03irxo,14m810,26ngp0,36t2yo,46wjeo,287up0,5cwsx0,6e17bc,4ei22o"],"Asia/Manila":[[["+08:00","+08:00","PST","","00"],["+08:00","+09:00","PST","PDT","FF"]],"029kao,12f210,06druo,16fwh0"],"Asia/Nicosia":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","2|5.15@0:00|10.11@0:00"],["+02:00","+03:00","EET","EEST","2|4.Sun>=1@0:00|10.2@0:00"],["+02:00","+03:00","EET","EEST","914@0:00"],["+02:00","+03:00","EET","EEST","903@0:00"]],"01ni4o,11t4b0,229r8o,12f5n0,02kzoo,331ub0,43ip0o,58ubwo,190tdo"],"Asia/Novokuznetsk":[[["+07:00","+07:00","+07","","00"],["+07:00","+08:00","+07","+08","2|4.1@0:00|10.1@0:00"],["+07:00","+08:00","+07","+08","903@2:00s"],["+07:00","+07:00","+07","+07","FF"],["+06:00","+06:00","+06","","00"],["+07:00","+08:00","+07","+08","A03@2:00s"]],"03is4c,14m87o,26ngvo,36t35c,46wjlc,287uvo,5clkno,3cs9tc,4cwt5c"],"Asia/Novosibirsk":[[["+07:00","+07:00","+07","","00"],["+07:00","+08:00","+07","+08","2|4.1@0:00|10.1@0:00"],["+07:00","+08:00","+07","+08","903@2:00s"],["+07:00","+07:00","+07","+07","FF"],["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","903@2:00s"],["+06:00","+07:00","+06","+07","A03@2:00s"]],"03is4c,14m87o,26ngvo,36t35c,46wjlc,27bnuo,587uxc,6cwt5c,0e17jo,4ekvdc"],"Asia/Omsk":[[["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","2|4.1@0:00|10.1@0:00"],["+06:00","+07:00","+06","+07","903@2:00s"],["+06:00","+06:00","+06","+06","FF"],["+05:00","+05:00","+05","","00"],["+06:00","+07:00","+06","+07","A03@2:00s"],["+07:00","+07:00","+07","","00"]],"03is60,14m89c,26ngxc,36t370,46wjn0,287uxc,5cwt5c,6e17jo"],"Asia/Oral":[[["+05:00","+05:00","+05","","00"],["+06:00","+06:00","+06","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+05:00","+04","+05","943@2:00s"],["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","A03@2:00s"]],"03is7o,13zp20,24m8b0,360sb0,466eko,56wjoo,06ypf0,68210o,787v0o,8awngo"],"Asia/Pontianak":[[["+08:00","+08:00","WITA","","00"]],"05mw2o"],"Asia/Pyongyang":[[["+09:00","+09:00","KST","","00"],["+08:30","+08:30","KST","","00"]],"0ea8x0,1f4xd0"],"Asia/Qatar":[[["+04:00","+04:00","+04","","00"]],"0r7tc"],"Asia/Qostanay":[[["+05:00","+05:00","+05","","00"],["+06:00","+06:00","+06","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+04:00","+04:00","+04","","00"],["+05:00","+06:00","+05","+06","A03@2:00s"],["+06:00","+06:00","+06","","00"]],"03is7o,13zp20,24m8b0,36ngz0,46t38o,56wjoo,387uz0,6awnf0,7gyku0"],"Asia/Qyzylorda":[[["+05:00","+05:00","+05","","00"],["+06:00","+06:00","+06","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+06:00","+06:00","+06","","00"],["+05:00","+06:00","+05","+06","943@2:00s"],["+05:00","+06:00","+05","+06","A03@2:00s"]],"03is7o,13zp20,24m8b0,36ngz0,46t38o,06wjn0,56ypdc,6820z0,087uz0,7awnf0,5fc120"],"Asia/Sakhalin":[[["+11:00","+11:00","+11","","00"],["+11:00","+12:00","+11","+12","2|4.1@0:00|10.1@0:00"],["+11:00","+12:00","+11","+12","903@2:00s"],["+11:00","+11:00","+11","+11","FF"],["+10:00","+10:00","+10","","00"],["+11:00","+12:00","+11","+12","FF"],["+10:00","+11:00","+10","+11","A03@2:00s"]],"03irxo,14m810,26ngp0,36t2yo,46wjeo,287up0,58ec10,08j350,38pkio,6cwsyo,0e17d0,4eh6yo"],"Asia/Samarkand":[[["+05:00","+05:00","+05","","00"],["+06:00","+06:00","+06","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"]],"03is7o,13zp20,24m8b0,36t370"],"Asia/Seoul":[[["+09:00","+09:00","KST","","00"],["+09:00","+10:00","KST","KDT","2A25@2:00s"]],"05flwc,15vlgc"],"Asia/Shanghai":[[["+08:00","+08:00","CST","","00"],["+08:00","+09:00","CST","CDT","2|4.Sun>=11|9.Sun>=11"]],"0545q0,16sngc"],"Asia/Singapore":[[["+07:30","+07:30","+0730","","00"]],"03r9mo"],"Asia/Srednekolymsk":[[["+11:00","+11:00","+11","","00"],["+11:00","+12:00","+11","+12","2|4.1@0:00|10.1@0:00"],["+11:00","+12:00","+11","+12","903@2:00s"],["+11:00","+11:00","+11","+11","FF"],["+10:00","+10:00","+10","","00"],["+11:00","+12:00","+11","+12","A03@2:00s"],["+12:00","+12:00","+12","","00"]],"03irxo,14m810,26ngp0,36t2yo,46wjeo,287up0,5cwsx0,6e17bc"],"Asia/Taipei":[[["+08:00","+08:00","CST","","00"],["+08:00","+09:00","CST","CDT","2|4.1@0:00|10.1@0:00"],["+08:00","+09:00","CST","CDT","FF"]],"01buyo,11srt0,02z0yo,231v50"],"Asia/Tashkent":[[["+06:00","+06:00","+06","","00"],["+06:00","+07:00","+06","+07","2|4.1@0:00|10.1@0:00"],["+06:00","+07:00","+06","+07","903@2:00s"],["+06:00","+06:00","+06","+06","FF"]],"03is60,14m89c,26ngxc,36t370"],"Asia/Tbilisi":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+03:00","+04:00","+03","+04","903@0:00/3:00"],["+03:00","+04:00","+03","+04","903@0:00"],["+04:00","+05:00","+04","+05","903@0:00"],["+04:00","+05:00","+04","+05","FF"],["+04:00","+05:00","+04","+05","A03@0:00"],["+04:00","+04:00","+04","+04","FF"],["+03:00","+03:00","+03","","00"]],"03is9c,14m8co,26nh0o,374blc,47qshc,587uxc,68pkno,7asrbo,8awnic,9b16uc"],"Asia/Tehran":[[["+03:30","+03:30","+0330","","00"],["+03:30","+04:30","+0330","+0430","FF"],["+04:00","+05:00","+04","+05","2|3.25@0:00|8.5@1:00"],["+03:30","+04:30","+0330","+0430","2|5.27@0:00|9.19@0:00"],["+03:30","+04:30","+0330","+0430","2|3.22@0:00|9.22@0:00"],["+03:30","+04:30","+0330","+0430","2|3.Tue>=16@0:00|9.Tue>=21@0:00"]],"029dsi,12fygi,22rvdc,3376i6,13cx4i,06ohm6,487ju6,18d88i,08iui6,49gn66,19mbki,09rxu6,4apqi6,5b6pki,0bytu6,1c4i8i,0ca4i6,4d7x66,1ddlki,0dj7u6,4eh0i6,1emowi,0esb66,4fq3u6,1fvs8i,0g1ei6,4gicgi"],"Asia/Thimphu":[[["+05:30","+05:30","+0530","","00"]],"05k1yu"],"Asia/Tomsk":[[["+07:00","+07:00","+07","","00"],["+07:00","+08:00","+07","+08","2|4.1@0:00|10.1@0:00"],["+07:00","+08:00","+07","+08","903@2:00s"],["+07:00","+07:00","+07","+07","FF"],["+06:00","+06:00","+06","","00"],["+07:00","+08:00","+07","+08","A03@2:00s"],["+06:00","+07:00","+06","+07","A03@2:00s"]],"03is4c,14m87o,26ngvo,36t35c,46wjlc,287uvo,5a4fro,6cwt5c,0e17jo,4ej55c"],"Asia/Ulaanbaatar":[[["+07:00","+07:00","+07","","00"],["+08:00","+08:00","+08","","00"],["+08:00","+09:00","+08","+09","2|4.1@0:00|10.1@0:00"],["+08:00","+09:00","+08","+09","903@0:00"],["+08:00","+09:00","+08","+09","2|3.lastSat|9.lastSat"],["+08:00","+09:00","+08","+09","2|3.26|9.lastSat@0:00"]],"02i6cc,145b6o,24m810,38zxt0,19t2u0,4bi7wc,1e5xi0,5ems10"],"Asia/Ust-Nera":[[["+09:00","+09:00","+09","","00"],["+11:00","+12:00","+11","+12","2|4.1@0:00|10.1@0:00"],["+11:00","+12:00","+11","+12","903@2:00s"],["+11:00","+11:00","+11","+11","FF"],["+10:00","+10:00","+10","","00"],["+11:00","+12:00","+11","+12","A03@2:00s"],["+12:00","+12:00","+12","","00"],["+11:00","+11:00","+11","","00"]],"03is10,14m810,26ngp0,36t2yo,46wjeo,287up0,5cwsx0,6d21o0,7e17d0"],"Asia/Vladivostok":[[["+10:00","+10:00","+10","","00"],["+10:00","+11:00","+10","+11","2|4.1@0:00|10.1@0:00"],["+10:00","+11:00","+10","+11","903@2:00s"],["+10:00","+10:00","+10","+10","FF"],["+09:00","+09:00","+09","","00"],["+10:00","+11:00","+10","+11","A03@2:00s"],["+11:00","+11:00","+11","","00"]],"03irzc,14m82o,26ngqo,36t30c,46wjgc,287uqo,5cwsyo,6e17d0"],"Asia/Yakutsk":[[["+09:00","+09:00","+09","","00"],["+09:00","+10:00","+09","+10","2|4.1@0:00|10.1@0:00"],["+09:00","+10:00","+09","+10","903@2:00s"],["+09:00","+09:00","+09","+09","FF"],["+08:00","+08:00","+08","","00"],["+09:00","+10:00","+09","+10","A03@2:00s"],["+10:00","+10:00","+10","","00"]],"03is10,14m84c,26ngsc,36t320,46wji0,287usc,5cwt0c,6e17eo"],"Asia/Yekaterinburg":[[["+05:00","+05:00","+05","","00"],["+05:00","+06:00","+05","+06","2|4.1@0:00|10.1@0:00"],["+05:00","+06:00","+05","+06","903@2:00s"],["+05:00","+05:00","+05","+05","FF"],["+04:00","+04:00","+04","","00"],["+05:00","+06:00","+05","+06","A03@2:00s"],["+06:00","+06:00","+06","","00"]],"03is7o,14m8b0,26ngz0,36t38o,46wjoo,287uz0,5cwt70,6e17lc"],"Asia/Yerevan":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","+04","FF"],["+03:00","+04:00","+03","+04","903@2:00s"],["+04:00","+05:00","+04","+05","A03@2:00s"]],"03is9c,14m8co,26nh0o,36t3ac,48212c,08j3go,5d3ico"],"Atlantic/Azores":[[["-01:00","-01:00","-01","","00"],["-01:00","+00:00","-01","+00","903@1:00u"],["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","FF"]],"03txlo,1774zc,279y1o,37cg1o,187v5o"],"Atlantic/Bermuda":[[["-04:00","-04:00","AST","","00"],["-04:00","-03:00","AST","ADT","A04@2:00"],["-04:00","-03:00","AST","ADT","A14@2:00"]],"01cpm0,15ejm0,2bn8i0"],"Atlantic/Canary":[[["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","903@1:00u"]],"037og0,187v5o"],"Atlantic/Cape_Verde":[[["-02:00","-02:00","-02","","00"]],"01uhio"],"Atlantic/Faroe":[[["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","903@1:00u"]],"03ip5o,187v5o"],"Atlantic/Madeira":[[["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","903@0:00u"],["+00:00","+01:00","WET","WEST","FF"],["+00:00","+01:00","WET","WEST","903@1:00u"]],"03u5c0,153340,258pdo,387v5o"],"Atlantic/Stanley":[[["-04:00","-04:00","-04","","00"],["-03:00","-02:00","-03","-02","409@0:00"],["-03:00","-02:00","-03","-02","FF"],["-03:00","-03:00","-03","","00"],["-04:00","-03:00","-04","-03","3429@0:00"],["-04:00","-03:00","-04","-03","2|9.Sun>=9@0:00|4.Sun>=16@0:00"],["-04:00","-03:00","-04","-03","3419@2:00"]],"04692o,14lt10,24spvc,34x1h0,465zao,59sowc,6cqk20"],"Australia/Adelaide":[[["+09:30","+09:30","ACST","","00"],["+09:30","+10:30","ACST","ACDT","2|10.lastSun|2.Sun>=26@3:00"],["+09:30","+10:30","ACST","ACDT","130A@2:00s"],["+09:30","+10:30","ACST","ACDT","2|10.Sun>=19|3.Sun>=14@3:00"],["+09:30","+10:30","ACST","ACDT","330A@2:00s"],["+09:30","+10:30","ACST","ACDT","430A@2:00s"],["+09:30","+10:30","ACST","ACDT","2|10.lastSun|3.Sun>=20@3:00"],["+09:30","+10:30","ACST","ACDT","30A@2:00s"],["+09:30","+10:30","ACST","ACDT","140A@2:00s"]],"0klvi,11tjni,24ybni,35pbvi,46mlni,06ty3i,579abi,07gmri,6833ni,7b7vni,8bnnfi,0bucji"],"Australia/Brisbane":[[["+10:00","+10:00","AEST","","00"],["+10:00","+11:00","AEST","AEDT","FF"],["+10:00","+11:00","AEST","AEDT","130A@2:00s"]],"0kluo,1oa2o,067h6o,26xu2o"],"Australia/Broken_Hill":[[["+09:30","+09:30","ACST","","00"],["+09:30","+10:30","ACST","ACDT","2|10.lastSun|2.Sun>=26@3:00"],["+09:30","+10:30","ACST","ACDT","130A@2:00s"],["+09:30","+10:30","ACST","ACDT","140A@2:00s"],["+09:30","+10:30","ACST","ACDT","2|10.Sun>=19|3.Sun>=14@3:00"],["+09:30","+10:30","ACST","ACDT","330A@2:00s"],["+09:30","+10:30","ACST","ACDT","30A@2:00s"]],"0klvi,11tjni,23p63i,344ibi,24ybni,45pbvi,56bd7i,2833ni,6b7vni,3bnnfi,0bucji"],"Australia/Eucla":[[["+08:45","+08:45","+0845","","00"],["+08:45","+09:45","+0845","+0945","FF"],["+08:45","+09:45","+0845","+0945","30A@2:00s"]],"01ib8r,11m78r,04busr,14fqsr,06ulgr,16xu4r,0bk70r,2cac4r"],"Australia/Hobart":[[["+10:00","+11:00","AEST","AEDT","FF"],["+10:00","+11:00","AEST","AEDT","230A@2:00s"],["+10:00","+10:00","AEST","","00"],["+10:00","+11:00","AEST","AEDT","130A@2:00s"],["+10:00","+11:00","AEST","AEDT","30A@2:00s"],["+10:00","+11:00","AEST","AEDT","330A@2:00s"],["+10:00","+11:00","AEST","AEDT","31A@2:00s"],["+10:00","+11:00","AEST","AEDT","141A@2:00s"]],"020yo,1oa2o,2vuao,33p62o,44fqqo,359cao,05dvmo,56ipmo,69ljmo,09s0yo,6b70io,7bnneo,2btp6o"],"Australia/Lindeman":[[["+10:00","+10:00","AEST","","00"],["+10:00","+11:00","AEST","AEDT","FF"],["+10:00","+11:00","AEST","AEDT","130A@2:00s"]],"0kluo,1oa2o,067h6o,27kiqo"],"Australia/Lord_Howe":[[["+10:00","+10:00","AEST","","00"],["+10:30","+10:30","+1030","","00"],["+10:30","+11:30","+1030","+1130","130A@2:00"],["+10:30","+11:00","+1030","+11","2|10.Sun>=19|3.Sun>=14"],["+10:30","+11:00","+1030","+11","330A@2:00"],["+10:30","+11:00","+1030","+11","130A@2:00"],["+10:30","+11:00","+1030","+11","30A@2:00"],["+10:30","+11:00","+1030","+11","FF"],["+10:30","+11:00","+1030","+11","140A@2:00"]],"03htjc,13p61u,24yblu,35pbt0,46bd50,5833lu,69ljlu,79s0x0,6b7vlu,8bnnd0,1buchu"],"Australia/Melbourne":[[["+10:00","+10:00","AEST","","00"],["+10:00","+11:00","AEST","AEDT","2|10.lastSun|2.Sun>=26@3:00"],["+10:00","+11:00","AEST","AEDT","130A@2:00s"],["+10:00","+11:00","AEST","AEDT","333A@2:00s"],["+10:00","+11:00","AEST","AEDT","330A@2:00s"],["+10:00","+11:00","AEST","AEDT","30A@2:00s"],["+10:00","+11:00","AEST","AEDT","FF"],["+10:00","+11:00","AEST","AEDT","140A@2:00s"]],"0kluo,11tjmo,24ybmo,35pbuo,46mlmo,27rv6o,59ljmo,69s0yo,5b7vmo,7bnneo,0bucio"],"Australia/Perth":[[["+08:00","+08:00","AWST","","00"],["+08:00","+09:00","AWST","AWDT","FF"],["+08:00","+09:00","AWST","AWDT","30A@2:00s"]],"01iba0,11m7a0,04buu0,14fqu0,06uli0,16xu60,0bk720,2cac60"],"Australia/Sydney":[[["+10:00","+10:00","AEST","","00"],["+10:00","+11:00","AEST","AEDT","2|10.lastSun|2.Sun>=26@3:00"],["+10:00","+11:00","AEST","AEDT","130A@2:00s"],["+10:00","+11:00","AEST","AEDT","140A@2:00s"],["+10:00","+11:00","AEST","AEDT","2|10.Sun>=19|3.Sun>=14@3:00"],["+10:00","+11:00","AEST","AEDT","330A@2:00s"],["+10:00","+11:00","AEST","AEDT","30A@2:00s"],["+10:00","+11:00","AEST","AEDT","FF"]],"0kluo,11tjmo,23p62o,344iao,24ybmo,45pbuo,56bd6o,2833mo,69ljmo,79s0yo,6b7vmo,3bnneo,0bucio"],"CET":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","2|4.Sun>=1|9.Sun>=25@3:00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"029rdo,13ip5o,287v5o"],"CST6CDT":[[["-06:00","-06:00","CST","","00"],["-06:00","-05:00","CST","CDT","A04@2:00"],["-06:00","-05:00","CST","CDT","FF"],["-06:00","-05:00","CST","CDT","A14@2:00"]],"03k5c,11999c,21ibvo,01m05c,21tkbo,15ejpc,3bn8lc"],"EET":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|4.Sun>=1@3:00|9.Sun>=25@4:00"],["+02:00","+03:00","EET","EEST","903@1:00u"]],"029rdo,13ip5o,287v5o"],"EST5EDT":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","FF"],["-05:00","-04:00","EST","EDT","A14@2:00"]],"03k3o,11997o,21ibu0,01m03o,21tka0,15ejno,3bn8jo"],"Europe/Andorra":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"04rupo,187v5o"],"Europe/Astrakhan":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","+04","FF"],["+03:00","+04:00","+03","+04","903@2:00s"],["+03:00","+04:00","+03","+04","943@2:00s"],["+03:00","+03:00","+03","","00"],["+03:00","+04:00","+03","+04","A03@2:00s"]],"03is9c,14m8co,260sco,366emc,46nh2c,06ypgo,58212c,687v2c,7cwtac,0e17oo,6eh7ac"],"Europe/Athens":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|4.11|11.26@1:00"],["+02:00","+03:00","EET","EEST","2|4.Sun>=1|9.26@3:00"],["+02:00","+03:00","EET","EEST","2|4.1@9:00|9.Sat>=23"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","903@1:00u"]],"01nh0o,124cw0,22qe9o,337iso,43d2r0,03ip5o,587v5o"],"Europe/Belgrade":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"04561o,187v5o"],"Europe/Berlin":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"037oho,187v5o"],"Europe/Brussels":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","2|4.Sun>=1|9.Sun>=25@3:00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"029rdo,13ip5o,287v5o"],"Europe/Bucharest":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","903@0:00s"],["+02:00","+03:00","EET","EEST","903@0:00"]],"02xyco,131ub0,037ob0,13d2so,03ip40,26nh0o,37qsj0,487v0o,18ecb0,08j3lo"],"Europe/Budapest":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@0:00s"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"037oec,14as6c,04geho,287v5o"],"Europe/Chisinau":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","903@0:00"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+02:00","EET","","00"]],"03isb0,14m8ec,26dbgo,36ypgo,487v0o,58ecb0,68j3k0"],"Europe/Dublin":[[["+01:00","+01:00","IST","","00"],["+01:00","+00:00","IST","GMT","2|10.Sun>=23@3:00|3.Sun>=15"],["+01:00","+00:00","IST","GMT","2|10.Sun>=23|3.lastSun@1:00"],["+01:00","+00:00","IST","GMT","FF"]],"0kmbc,13dy3c,282w9o,387v5o"],"Europe/Gibraltar":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"03txlo,187v5o"],"Europe/Helsinki":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","903@1:00u"]],"03ip40,13zjs0,04561o,287v5o"],"Europe/Istanbul":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","1B03@2:00"],["+02:00","+03:00","EET","EEST","1B33@2:00"],["+02:00","+03:00","EET","EEST","3A14@2:00"],["+03:00","+03:00","+03","","00"],["+03:00","+04:00","+03","+04","FF"],["+02:00","+03:00","EET","EEST","2|4.20@1:00|9.28"],["+02:00","+03:00","EET","EEST","903@1:00s"],["+02:00","+03:00","EET","EEST","FF"],["+02:00","+03:00","EET","EEST","A03@1:00s"],["+02:00","+03:00","EET","EEST","4A03@1:00u"],["+02:00","+03:00","EET","EEST","2|3.28@3:00|10.lastSun@4:00"],["+02:00","+03:00","EET","EEST","A03@1:00u"],["+02:00","+03:00","EET","EEST","2|3.31@3:00|10.26@4:00"],["+02:00","+03:00","EET","EEST","2B03@1:00u"]],"012jqc,11mts0,22506c,32npf0,4491yc,54azwo,44n7yc,65332c,77kymc,87qsmc,787v2c,9bj4ec,aclkxo,bd81to,cdpzdo,de5yxo,eem9f0"],"Europe/Kaliningrad":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+03:00","MSK","EEST","FF"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","A03@0:00u"],["+03:00","+03:00","+03","","00"]],"03isb0,14m8ec,260sec,366eo0,487v40,5cwtc0,6e17qc"],"Europe/Kirov":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","MSD","FF"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+04:00","MSK","MSD","943@2:00s"],["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","A03@2:00s"],["+04:00","+04:00","MSK","","00"]],"03is9c,14m8co,260sco,366emc,46nh2c,06ypgo,58212c,687v2c,7cwtac,8e17oo"],"Europe/Kyiv":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+03:00","MSK","EEST","FF"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","FF"]],"03isb0,14m8ec,26f1oo,36t3c0,487v40,58echo"],"Europe/Lisbon":[[["+01:00","+01:00","CET","","00"],["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","FF"],["+00:00","+01:00","WET","WEST","2|4.Sun>=1@1:00|10.Sun<=1"],["+00:00","+01:00","WET","WEST","903@0:00u"],["+00:00","+01:00","WET","WEST","4903@1:00u"],["+00:00","+01:00","WET","WEST","903@1:00u"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"023xc0,129jk0,22f5s0,12kzto,33ip40,44xgw0,56c0xo,674bto,787v5o"],"Europe/London":[[["+01:00","+01:00","BST","","00"],["+00:00","+01:00","GMT","BST","2|3.Sun>=15|10.Sun>=23@3:00"],["+00:00","+01:00","GMT","BST","2|3.lastSun@1:00|10.Sun>=23"],["+00:00","+00:00","GMT","","00"]],"0kmbc,13dy3c,282w9o,387v5o"],"Europe/Madrid":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","2|4.12@23:00|10.Sun>=1@1:00"],["+01:00","+02:00","CET","CEST","FF"],["+01:00","+02:00","CET","CEST","2|4.2@23:00|9.25@1:00"],["+01:00","+02:00","CET","CEST","2|4.Sun>=1|10.Sun<=1@3:00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"01c9oo,11yb0o,223xac,32kzto,43ip5o,587v5o"],"Europe/Malta":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","2|5.Sun>=22@0:00|9.Sun>=25@1:00"],["+01:00","+02:00","CET","CEST","FF"],["+01:00","+02:00","CET","CEST","2|4.Sun>=14|9.Mon>=16@1:00"],["+01:00","+02:00","CET","CEST","3934@2:00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"04mmc,110kmc,2166uc,01chic,31sh40,437hto,23cv40,03ip5o,587v5o"],"Europe/Minsk":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+03:00","MSK","EEST","FF"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","A03@0:00u"]],"03isb0,14m8ec,266emc,06nh2c,36t3c0,487v40,5cwtc0"],"Europe/Moscow":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+03:00","MSK","EEST","FF"],["+02:00","+02:00","EET","","00"],["+03:00","+04:00","MSK","MSD","A03@2:00s"],["+04:00","+04:00","MSK","","00"]],"03isb0,14m8ec,26nh2c,36t3c0,46wjs0,287v2c,5cwtac,6e17oo"],"Europe/Paris":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","FF"],["+01:00","+02:00","CET","CEST","2|4.Sun>=1|9.25@3:00"],["+01:00","+02:00","CET","CEST","2|4.Sun>=1|10.Sun<=1@3:00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"01yb40,123xac,22kzto,33ip5o,487v5o"],"Europe/Prague":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","914@1:00u"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"02w89o,13ip5o,287v5o"],"Europe/Riga":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+03:00","MSK","EEST","FF"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","A03@1:00u"]],"03isb0,14m8ec,260sec,366eo0,48dhc0,58j3lo,69c9lo,59s1do"],"Europe/Rome":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","2|5.Sun>=22@0:00|9.Sun>=25@1:00"],["+01:00","+02:00","CET","CEST","916@0:00s"],["+01:00","+02:00","CET","CEST","2|6.Sun<=1@0:00|9.lastSun@1:00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"04mmc,1uzic,21dkec,32b9qc,137oho,487v5o"],"Europe/Samara":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","+04","FF"],["+03:00","+04:00","+03","+04","903@2:00s"],["+03:00","+03:00","+03","+03","FF"],["+03:00","+03:00","+03","","00"],["+04:00","+05:00","+04","+05","A03@2:00s"]],"03is9c,14m8co,260sco,366emc,46nh2c,56t3c0,66tqo0,287v0o,7clkso,3cs9yc,6cwtac"],"Europe/Saratov":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","+04","FF"],["+03:00","+04:00","+03","+04","903@2:00s"],["+03:00","+04:00","+03","+04","943@2:00s"],["+03:00","+03:00","+03","","00"],["+03:00","+04:00","+03","+04","A03@2:00s"]],"03is9c,14m8co,25pjwo,35v66c,46nh2c,06ypgo,58212c,687v2c,7cwtac,0e17oo,6eozac"],"Europe/Simferopol":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+03:00","+04:00","MSK","MSD","FF"],["+02:00","+03:00","EET","EEST","A03@1:00u"],["+04:00","+04:00","MSK","","00"]],"03isb0,14m8ec,266emc,06f1qc,36ypk0,47m970,287uz0,58ecg0,08j3lo,6duqg0,7e17oo"],"Europe/Sofia":[[["+02:00","+02:00","EET","","00"],["+02:00","+03:00","EET","EEST","2|4.Sat<=5@23:00|10.Mon<=1@1:00"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","903@0:00"],["+02:00","+03:00","EET","EEST","FF"]],"02w830,13obac,03u570,26nh0o,387v0o,48ecb0,08j3lo"],"Europe/Tallinn":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+03:00","MSK","EEST","FF"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","A03@0:00u"],["+02:00","+03:00","EET","EEST","A43@1:00u"],["+02:00","+02:00","EET","","00"]],"03isb0,14m8ec,260sec,366eo0,487v40,58uc00,69c9lo,7a3hlo"],"Europe/Tirane":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","2|5.Thu>=1@0:00|10.2@0:00"],["+01:00","+02:00","CET","CEST","2|5.Sun>=2@0:00|10.Sun>=1@0:00"],["+01:00","+02:00","CET","CEST","2|5.Sat>=1@0:00|10.Sun<=5@0:00"],["+01:00","+02:00","CET","CEST","2|4.Sun>=26@0:00|9.Sun>=27@0:00"],["+01:00","+02:00","CET","CEST","2|4.1@0:00|10.1@0:00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"01cvyc,11zdyc,22m1ic,33d9go,445uec,54m8ho,687v5o"],"Europe/Ulyanovsk":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","+04","FF"],["+03:00","+04:00","+03","+04","903@2:00s"],["+03:00","+03:00","+03","+03","FF"],["+02:00","+02:00","+02","","00"],["+03:00","+04:00","+03","+04","A03@2:00s"],["+03:00","+03:00","+03","","00"]],"03is9c,14m8co,260sco,366emc,46nh2c,56t3c0,66wjs0,487v2c,7cwtac,0e17oo,8eh7ac"],"Europe/Vienna":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","FF"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"037oec,13d2so,03ip5o,287v5o"],"Europe/Vilnius":[[["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","2|4.1@0:00|10.1@0:00"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+03:00","MSK","EEST","FF"],["+02:00","+03:00","EET","EEST","903@0:00u"],["+02:00","+03:00","EET","EEST","A03@0:00u"],["+02:00","+02:00","EET","","00"],["+01:00","+02:00","CET","CEST","A03@1:00u"]],"03isb0,14m8ec,260sec,366eo0,487v40,58pkw0,68uc1o,79c9lo,6aeq1o"],"Europe/Volgograd":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","2|4.1@0:00|10.1@0:00"],["+04:00","+05:00","+04","+05","903@2:00s"],["+04:00","+04:00","+04","MSD","FF"],["+03:00","+04:00","MSK","MSD","903@2:00s"],["+03:00","+04:00","MSK","MSD","943@2:00s"],["+03:00","+03:00","MSK","","00"],["+03:00","+04:00","MSK","MSD","A03@2:00s"],["+04:00","+04:00","MSK","","00"]],"03is9c,14m8co,25pjwo,35v66c,46nh2c,06ypgo,58212c,687v2c,7cwtac,8e17oo,6fadac,0fys4o"],"Europe/Warsaw":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","2|4.Sun>=1@1:00|9.Sun>=25"],["+01:00","+02:00","CET","CEST","903@0:00u"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"029rc0,13ip40,25jxs0,05pk1o,387v5o"],"Europe/Zurich":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"03ip5o,187v5o"],"Indian/Chagos":[[["+05:00","+05:00","+05","","00"]],"0852vo"],"Indian/Mauritius":[[["+04:00","+04:00","+04","","00"],["+04:00","+05:00","+04","+05","FF"]],"03zz5c,144z3o,0c5l8o,1cacb0"],"MET":[[["+01:00","+01:00","MET","","00"],["+01:00","+02:00","MET","MEST","2|4.Sun>=1|9.Sun>=25@3:00"],["+01:00","+02:00","MET","MEST","903@1:00u"]],"029rdo,13ip5o,287v5o"],"MST7MDT":[[["-07:00","-07:00","MST","","00"],["-07:00","-06:00","MST","MDT","A04@2:00"],["-07:00","-06:00","MST","MDT","FF"],["-07:00","-06:00","MST","MDT","A14@2:00"]],"03k70,1199b0,21ibxc,01m070,21tkdc,15ejr0,3bn8n0"],"PST8PDT":[[["-08:00","-08:00","PST","","00"],["-08:00","-07:00","PST","PDT","A04@2:00"],["-08:00","-07:00","PST","PDT","FF"],["-08:00","-07:00","PST","PDT","A14@2:00"]],"03k8o,1199co,21ibz0,01m08o,21tkf0,15ejso,3bn8oo"],"Pacific/Apia":[[["-11:00","-11:00","-11","","00"],["-11:00","-10:00","-11","-10","2|9.24@3:00|4.2@4:00"],["+13:00","+14:00","+13","+14","1409@3:00s"]],"0cr7mc,1d5eoo,2g1snc"],"Pacific/Auckland":[[["+12:00","+12:00","NZST","","00"],["+12:00","+13:00","NZST","NZDT","FF"],["+12:00","+13:00","NZST","NZDT","130A@2:00s"],["+12:00","+13:00","NZST","NZDT","331A@2:00s"]],"01iivc,11lzbc,01tjjc,266trc,3bthbc"],"Pacific/Bougainville":[[["+10:00","+10:00","+10","","00"]],"0e35eo"],"Pacific/Chatham":[[["+12:45","+12:45","+1245","","00"],["+12:45","+13:45","+1245","+1345","FF"],["+12:45","+13:45","+1245","+1345","130A@2:45s"],["+12:45","+13:45","+1245","+1345","331A@2:45s"]],"01iivc,11lzbc,01tjjc,266trc,3bthbc"],"Pacific/Easter":[[["-07:00","-06:00","-07","-06","FF"],["-07:00","-06:00","-07","-06","2|10.Sat>=8@21:00|3.Sat>=8@21:00"],["-06:00","-05:00","-06","-05","2|10.Sat>=8@22:00|3.Sat>=6@22:00"],["-06:00","-05:00","-06","-05","2|10.Sat>=8@22:00|4.11@22:00"],["-06:00","-05:00","-06","-05","2|10.Sat>=8@22:00|3.Sat>=8@22:00"],["-06:00","-05:00","-06","-05","FF"],["-06:00","-05:00","-06","-05","2|10.11@22:00|3.29@22:00"],["-06:00","-06:00","-06","","00"],["-06:00","-05:00","-06","-05","2|10.Sat>=8@22:00|3.Sat>=7@22:00"],["-06:00","-05:00","-06","-05","2|10.Sat>=5@22:00|3.29@22:00"],["-06:00","-05:00","-06","-05","2|8.20@22:00|5.7@22:00"],["-06:00","-05:00","-06","-05","2|9.Sat>=1@22:00|4.lastSat@22:00"],["-06:00","-05:00","-06","-05","2|8.Sat>=7@22:00|5.Sat>=7@22:00"],["-06:00","-05:00","-06","-05","2|9.Sat>=4@22:00|4.Sat>=1@22:00"]],"02ot0,11686o,01b710,13ti50,25952o,35p4l0,46hfio,56mtx0,48dx2o,68twl0,78zyeo,595sd0,8btxio,9c9x10,7cgeeo,5clst0,7crmuo,ad94t0,bdzpio,5eipx0,cffcd0,dgi0mo"],"Pacific/Efate":[[["+11:00","+11:00","+11","","00"],["+11:00","+12:00","+11","+12","FF"],["+11:00","+12:00","+11","+12","2|9.Sun>=23@0:00|3.Sun>=23@0:00"]],"018ss0,11bto0,04arpo,26wr00,0756do,177zg0"],"Pacific/Fakaofo":[[["-11:00","-11:00","-11","","00"]],"0d5eqc"],"Pacific/Fiji":[[["+12:00","+12:00","+12","","00"],["+12:00","+13:00","+12","+13","21B@2:00s"],["+12:00","+13:00","+12","+13","34A@2:00s"],["+12:00","+13:00","+12","+13","2|10.Sun>=21|1.Sun>=16@3:00"],["+12:00","+13:00","+12","+13","2|11.Sun>=1|1.Sun>=12@3:00"],["+12:00","+13:00","+12","+13","FF"]],"0910nc,19fxbc,0chw7c,2cw5jc,3dsk5o,4fcqfc,0fm0vc,5fnyvc,0fyjzc,5fzf3c"],"Pacific/Galapagos":[[["-05:00","-05:00","-05","","00"],["-06:00","-06:00","-06","","00"],["-06:00","-05:00","-06","-05","FF"]],"050dkc,1768y0,278dkc"],"Pacific/Guam":[[["+10:00","+10:00","GST","","00"],["+10:00","+11:00","GST","GDT","1904@2:00"],["+10:00","+11:00","GST","GDT","FF"],["+10:00","+11:00","GST","GDT","4804@2:00/2:01"]],"03jeo,1ivl0,018l6o,21aqx0,0204ao,32ea90,09p6nc"],"Pacific/Kanton":[[["-12:00","-12:00","-12","","00"],["-11:00","-11:00","-11","","00"]],"031w40,17tsyc"],"Pacific/Kiritimati":[[["-10:40","-10:40","-1040","","00"],["-10:00","-10:00","-10","","00"]],"031w1s,17tswo"],"Pacific/Kosrae":[[["+12:00","+12:00","+12","","00"]],"092wc0"],"Pacific/Kwajalein":[[["-12:00","-12:00","-12","","00"]],"07egs0"],"Pacific/Nauru":[[["+11:30","+11:30","+1130","","00"]],"02uo86"],"Pacific/Norfolk":[[["+11:30","+11:30","+1130","","00"],["+11:30","+12:30","+1130","+1230","FF"],["+11:00","+11:00","+11","","00"]],"01ib46,11m746,0ebsg6,2fky10"],"Pacific/Noumea":[[["+11:00","+11:00","+11","","00"],["+11:00","+12:00","+11","+12","2|12.Sun>=1@0:00|2.27@0:00"],["+11:00","+12:00","+11","+12","FF"]],"02hb1o,12v700,08fex0,28i810"],"Pacific/Pitcairn":[[["-08:30","-08:30","-0830","","00"]],"08v8m6"],"Pacific/Rarotonga":[[["-10:30","-10:30","-1030","","00"],["-10:00","-09:30","-10","-0930","130A@0:00"]],"02rx5i,16mmfu"],"Pacific/Tongatapu":[[["+13:00","+13:00","+13","","00"],["+13:00","+14:00","+13","+14","FF"],["+13:00","+14:00","+13","+14","11B@2:00"]],"09bido,19gklo,2a1j00,0eo3po,1eq9ho"],"WET":[[["+00:00","+00:00","WET","","00"],["+00:00","+01:00","WET","WEST","2|4.Sun>=1@1:00|9.Sun>=25"],["+00:00","+01:00","WET","WEST","903@1:00u"]],"029rdo,13ip5o,287v5o"]}
\ No newline at end of file
@@ -0,0 +1,4235 @@
+/** @about Timezones 1.0.0 @min_zeppos 2.0 @author: Silver, Zepp Health. @license: MIT */
+import { debugLog, setupLogger } from "./silver-log";
+import { core_tz_db, tz_db_version } from "./tz-db"
+import { tz_history } from "./tz-history"
+import { tz_countries } from "./tz-countries"
+import { tz_cities } from "./tz-cities"
+import { tz_links } from "./tz-links"
+
+const VERSION = "1.0.0";
+
+setupLogger({
+	prefix: "tz v" + VERSION,
+	level: 1
+});
+
+/**
+ * Base class of the errors thrown for bad timezone input, catch it to handle all of them.
+ */
+export class TimezoneError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'TimezoneError';
+	}
+}
+
+/**
+ * Thrown for a timezone id that is not a zone, an alias, a country code or an abbreviation.
+ * For ids that look like a typo, suggestion holds the closest zone ("Europe/WarZaw" -> "Europe/Warsaw").
+ */
+export class UnknownTimeZoneError extends TimezoneError {
+	constructor(identifier, suggestion = null) {
+		super(`Unknown timezone: ${identifier}` + (suggestion ? ` (did you mean ${suggestion}?)` : ''));
+		this.name = 'UnknownTimeZoneError';
+		this.identifier = identifier;
+		this.suggestion = suggestion;
+	}
+}
+
+/**
+ * Thrown for an offset that is malformed or out of the -12:00..+14:00 range.
+ */
+export class InvalidOffsetError extends TimezoneError {
+	constructor(offset) {
+		super(`Invalid offset: ${offset}`);
+		this.name = 'InvalidOffsetError';
+		this.offset = offset;
+	}
+}
+
+/**
+ * Thrown for an abbreviation used by zones with different offsets ("CST" is Chicago, Shanghai and Havana).
+ * candidates lists one zone per offset.
+ */
+export class AmbiguousAbbreviationError extends TimezoneError {
+	constructor(abbreviation, candidates) {
+		super(`Ambiguous timezone abbreviation: ${abbreviation} (${candidates.join(', ')})`);
+		this.name = 'AmbiguousAbbreviationError';
+		this.abbreviation = abbreviation;
+		this.candidates = candidates;
+	}
+}
+
+/**
+ * Thrown for a timezone database update that fails the integrity checks (see Timezones.InstallDatabase()).
+ * reason tells which check failed, version is the version of the pack if it could be read.
+ */
+export class InvalidDatabaseError extends TimezoneError {
+	constructor(reason, version = null) {
+		super(`Invalid timezone database${version ? ` ${version}` : ''}: ${reason}`);
+		this.name = 'InvalidDatabaseError';
+		this.reason = reason;
+		this.version = version;
+	}
+}
+
+/**
+ * A source of the current time. Set one for all instances with Timezones.SetClock() or for one instance
+ * with the clock option / setClock(), e.g. to run a watch face through a DST change in the simulator.
+ *
+ * @class
+ * @example
+ * Timezones.SetClock(Clock.Fixed("2025-03-30T00:59:00Z")); // frozen, like SetCurrentDate()
+ * const tz = new Timezones("Europe/Berlin", { clock: Clock.Timelapse("2025-03-30T00:58:00Z", 60) });
+ * // tz.getHours() goes 01 -> 03 two real seconds later, other instances keep the frozen time
+ */
+export class Clock {
+	#now = null;
+
+	/**
+	 * @param {Function} now - Returns the current time in epoch milliseconds.
+	 */
+	constructor(now) {
+		this.#now = now;
+	}
+
+	/** @returns {number} The current time in epoch milliseconds. */
+	now() {
+		return this.#now();
+	}
+
+	/** @returns {Date} The current time. */
+	getDate() {
+		return new Date(this.#now());
+	}
+
+	/** @returns {Clock} The real time of the device. */
+	static Real() {
+		return new Clock(() => Date.now());
+	}
+
+	/**
+	 * @param {Date|string|number} date - The instant to stay at.
+	 * @returns {Clock} A clock that never moves.
+	 */
+	static Fixed(date) {
+		const time = new Date(date).getTime();
+		return new Clock(() => time);
+	}
+
+	/**
+	 * @param {number} offset_ms - How far ahead (or behind, if negative) of the real time to run.
+	 * @returns {Clock} The real time shifted by a fixed amount, it ticks at normal speed.
+	 */
+	static Offset(offset_ms) {
+		return new Clock(() => Date.now() + offset_ms);
+	}
+
+	/**
+	 * @param {Date|string|number} start - The instant the clock starts at, now.
+	 * @param {number} [speed=60] - Simulated milliseconds per real millisecond, 60 = one minute per second.
+	 * @returns {Clock} A running clock, starting at start and going speed times faster than real time.
+	 */
+	static Timelapse(start, speed = 60) {
+		const start_time = new Date(start).getTime();
+		const real_start = Date.now();
+		return new Clock(() => start_time + (Date.now() - real_start) * speed);
+	}
+}
+
+/**
+ * A class for handling timezone conversions and related operations.
+ * 
+ * @class
+ */
+export class Timezones {
+	#default_offset = null;
+	#default_offset_mins = null;
+	#similarity_threshold = 0.5; // for the best match guess. lower - more precise
+	#location_cache = null;
+	#location_until = Infinity; // ms, a location guessed from the device offset is checked again after the next transition
+	#location_device_offset = null; // device offset (mins) the location was guessed from
+	#state_cache = new LruCache(64); // tz_id -> { from, until, state }, the state holds from one transition to the next
+	#offset_cache = new LruCache(128);
+	#dst_cache = new LruCache(128); // DST start/end instants per rule and year
+	#nth_week_cache = new LruCache(256);
+	#history_cache = new Map();
+	#zone_data = null; // the database the caches were built from
+	#rule_cache = new Map();
+	#tz_data = null;
+	#spatial_index = null;
+	#geo_index = null;
+	#search_index = null; // { locale, entries }
+	#strict = false;
+	#prefer = null; // abbreviation preference: { country, continent, offset, lat, lon }
+
+	// valid continents
+	#CONTINENTS = ['Africa', 'America', 'Antarctica', 'Asia', 'Atlantic', 'Australia', 'Europe', 'Indian', 'Pacific'];
+	#HH_MM_OFFSET_REGEX = /^[-+]?\d{1,2}(:\d{2})?$/; // reg for +04:30 support
+	#WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+	#RULE_V2_PREFIX = "2|"; // versioned rule format, hex codes are v1
+
+	#locale = "en";
+
+	// registered locale packs: code -> { loader, data }, data is built on first use
+	static #locales = new Map();
+	// registered boundary pack: { loader, data }, decoded on the first lookup
+	static #boundaries = null;
+	// built-in English, locale packs override it key by key. index 0 = Sunday / January
+	static #DEFAULT_LOCALE = {
+		code: "en",
+		months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+		months_standalone: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+		months_short: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+		weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+		weekdays_short: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+		meridiem: ['AM', 'PM'],
+		ordinal: (n) => n + (n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'),
+		plural: (n) => n === 1 ? 'one' : 'other',
+		units: {
+			year: { one: '{0} year', other: '{0} years' },
+			month: { one: '{0} month', other: '{0} months' },
+			week: { one: '{0} week', other: '{0} weeks' },
+			day: { one: '{0} day', other: '{0} days' },
+			hour: { one: '{0} hour', other: '{0} hours' },
+			minute: { one: '{0} minute', other: '{0} minutes' },
+			second: { one: '{0} second', other: '{0} seconds' }
+		},
+		units_short: {
+			year: { one: '{0} yr', other: '{0} yrs' },
+			month: { one: '{0} mth', other: '{0} mths' },
+			week: { one: '{0} wk', other: '{0} wks' },
+			day: { one: '{0} day', other: '{0} days' },
+			hour: { one: '{0} hr', other: '{0} hr' },
+			minute: { one: '{0} min', other: '{0} min' },
+			second: { one: '{0} sec', other: '{0} sec' }
+		},
+		units_compact: {
+			year: { other: '{0}y' },
+			month: { other: '{0}m' },
+			week: { other: '{0}w' },
+			day: { other: '{0}d' },
+			hour: { other: '{0}h' },
+			minute: { other: '{0}m' },
+			second: { other: '{0}s' }
+		},
+		list: { sep: ', ', last: ', and ', pair: ' and ' },
+		list_compact: { sep: ' ', last: ' ', pair: ' ' },
+		relative: {
+			year: { future: { one: 'in {0} year', other: 'in {0} years' }, past: { one: '{0} year ago', other: '{0} years ago' } },
+			month: { future: { one: 'in {0} month', other: 'in {0} months' }, past: { one: '{0} month ago', other: '{0} months ago' } },
+			week: { future: { one: 'in {0} week', other: 'in {0} weeks' }, past: { one: '{0} week ago', other: '{0} weeks ago' } },
+			day: { future: { one: 'in {0} day', other: 'in {0} days' }, past: { one: '{0} day ago', other: '{0} days ago' } },
+			hour: { future: { one: 'in {0} hour', other: 'in {0} hours' }, past: { one: '{0} hour ago', other: '{0} hours ago' } },
+			minute: { future: { one: 'in {0} minute', other: 'in {0} minutes' }, past: { one: '{0} minute ago', other: '{0} minutes ago' } },
+			second: { future: { one: 'in {0} second', other: 'in {0} seconds' }, past: { one: '{0} second ago', other: '{0} seconds ago' } }
+		},
+		relative_words: { now: 'now', today: 'today', tomorrow: 'tomorrow', yesterday: 'yesterday' },
+		phrases: {
+			dst_starts: 'Time until DST starts: {0}',
+			dst_ends: 'Time until DST ends: {0}',
+			no_dst: 'No DST changes for this timezone.',
+			at: '{0} at {1}' // "tomorrow at 09:00"
+		},
+		countries: {}, // ISO 3166 code -> name, English comes with the country data
+		zones: {}, // tz_id -> city / region name
+		zone_names: {} // tz_id -> long zone name
+	};
+
+	static #EARTH_RADIUS_KM = 6371.0088; // mean radius
+
+	// fixed unit lengths for durations, a month is 30 days and a year 365 days
+	static #DURATION_MS = { year: 31536000000, month: 2592000000, week: 604800000, day: 86400000, hour: 3600000, minute: 60000, second: 1000 };
+
+	static #global_clock = null; // global clock, null for the real time
+	#clock = null; // clock of this instance, overrides the global one
+
+	static #DB_FORMAT = 1; // layout of database packs, see the end of this file
+	static #DB_STORAGE_KEY = 'tz_db';
+	static #DB_RULE_REGEX = /^(00|FF|[0-9A-F]{3,4}(@[-\d:wsu/]+)?|2\|[^|]+\|[^|]+(\|[^|]+)?)$/;
+	static #DB_OFFSET_REGEX = /^[+-]\d{2}:\d{2}$/;
+	static #DB_VERSION_REGEX = /^(\d{4})([a-z]+)$/; // tzdata release: year and letters, "2025b"
+
+	get #tz_db() {
+		return zone_data.zones;
+	}
+
+	/**
+	 * Creates an instance of Timezones.
+	 * 
+	 * @constructor
+	 * @param {string|number} [default_offset=null] - The default timezone offset, null or "" for the device timezone. 
+	 *        Accepted formats:
+	 *        - (number) Integer representing hours offset, e.g., -4
+	 *        - (string) IANA timezone identifier, e.g., "America/New_York"
+	 *          (aliases such as "US/Eastern" or "Asia/Calcutta" resolve to their current zone, see canonicalize())
+	 *        - (string) String representation of hours offset, e.g., "-5"
+	 * @param {Object} [options={}] - Instance options.
+	 * @param {boolean} [options.strict=false] - Throw instead of guessing: unknown ids, typos ("Europe/WarZaw"), bad offsets
+	 *        and ambiguous abbreviations throw a TimezoneError, and the location never falls back to "Unknown".
+	 *        Without it these fall back to the closest match or to the device offset, see resolve().
+	 * @param {Object} [options.prefer=null] - How to pick the zone of an ambiguous abbreviation ("CST", "IST"),
+	 *        see resolveAbbreviation(). With a preference strict mode accepts ambiguous abbreviations.
+	 * @param {Clock} [options.clock=null] - The clock of this instance, defaults to the global one (see SetClock()).
+	 * @throws {UnknownTimeZoneError|InvalidOffsetError|AmbiguousAbbreviationError} In strict mode, for input that doesn't resolve exactly.
+	 * @example
+	 * // example: create a Timezones instance with New York timezone
+	 * const tz = new Timezones("America/New_York");
+	 * 
+	 * // example: create a Timezones instance with -4 hours offset
+	 * const tz = new Timezones(-4);
+	 * 
+	 * // example: create a Timezones instance with +5 hours & 30 minutes offset as string
+	 * const tz = new Timezones("+05:30"); // or just "+5"
+	 *
+	 * // example: fail fast on bad config
+	 * const tz = new Timezones("Europe/WarZaw", { strict: true }); // throws UnknownTimeZoneError (did you mean Europe/Warsaw?)
+	 */
+	constructor(default_offset = null, { strict = false, prefer = null, clock = null } = {}) {
+		debugLog(3, `Constructor called with default_offset: ${default_offset}`);
+		this.#strict = strict;
+		this.#prefer = prefer;
+		this.#clock = clock;
+		this.#applyDefaultOffset(default_offset);
+
+		// lazy init of default_offset_mins
+		Object.defineProperty(this, '#default_offset_mins', {
+			get: () => {
+				if (this.#default_offset_mins === null) {
+					this.#initializeDefaultOffset();
+				}
+				return this.#default_offset_mins;
+			},
+			set: (value) => {
+				this.#default_offset_mins = value;
+			}
+		});
+	}
+
+	#applyDefaultOffset(default_offset) {
+		// an empty id means "not provided": the device timezone, like null
+		if (typeof default_offset === 'string' && default_offset.trim() === '') {
+			default_offset = null;
+		}
+
+		if (this.#strict && default_offset !== null) {
+			this.#assertResolved(default_offset);
+		}
+
+		this.#default_offset = default_offset;
+		this.#default_offset_mins = null;
+		this.#tz_data = null;
+
+		if (typeof this.#default_offset === 'string') {
+			this.#tz_data = this.#initializeTimezoneData(this.#default_offset);
+		}
+
+		if (typeof this.#default_offset === 'string' && this.#default_offset.toLowerCase().startsWith('utc')) {
+			this.#default_offset = this.#default_offset.slice(3); // remove 'UTC' prefix
+		}
+	}
+
+	/**
+	 * Switches this instance to another timezone in place and clears its caches.
+	 * ZonedDateTime objects bound to this instance follow the new zone.
+	 *
+	 * @param {string|number|null} default_offset - Any value the constructor accepts ("Europe/Berlin", "+02:00", 2, null).
+	 * @throws {TimezoneError} In strict mode, see the constructor. The instance is left unchanged.
+	 * @example
+	 * tz.setTimezone("Asia/Tokyo");
+	 * console.log(tz.getLocation()); // output: "Asia/Tokyo"
+	 */
+	setTimezone(default_offset) {
+		debugLog(3, `setTimezone called with: ${default_offset}`);
+		this.#applyDefaultOffset(default_offset);
+		this.clearCache();
+	}
+
+	// database row of a zone id or of an IANA alias ("Asia/Calcutta" -> Asia/Kolkata)
+	static #findTZbyId(identifier) {
+		const tz_id = zone_data.links[identifier] ?? identifier;
+		return getZoneIndex().by_id.get(tz_id);
+	}
+
+	/**
+	 * Resolves an IANA timezone id to the id used by this library. Deprecated and alias ids from the
+	 * tzdata "backward" file ("Asia/Calcutta", "US/Eastern", "GB") and zones merged into another zone
+	 * ("Europe/Amsterdam") map to their current zone, as phones often report them.
+	 *
+	 * @param {string} id - An IANA timezone id.
+	 * @returns {string|null} The canonical id, or null if the id is unknown.
+	 * @example
+	 * console.log(tz.canonicalize("Asia/Calcutta")); // output: "Asia/Kolkata"
+	 * console.log(tz.canonicalize("US/Eastern")); // output: "America/New_York"
+	 * console.log(tz.canonicalize("Europe/Paris")); // output: "Europe/Paris"
+	 */
+	canonicalize(id) {
+		const tz_entry = Timezones.#findTZbyId(id);
+		return tz_entry ? tz_entry[1] : null;
+	}
+
+	/**
+	 * Resolves a timezone id, alias, country code, abbreviation or offset without throwing,
+	 * and tells how it was resolved. This is what the constructor does with its argument,
+	 * so typos that would be corrected silently show up as method "fuzzy" with their score.
+	 *
+	 * @param {string|number} identifier - Anything the constructor accepts.
+	 * @returns {{tz_id: string, method: string, score: number, candidates?: string[]}|null} null if nothing matches.
+	 *          method is one of:
+	 *          - "exact" - a zone id of the database
+	 *          - "alias" - an IANA alias, see canonicalize()
+	 *          - "country" - a country code, resolved to its primary zone
+	 *          - "abbreviation" - a zone abbreviation; candidates lists the zones it can stand for, best first (see resolveAbbreviation())
+	 *          - "fuzzy" - the closest zone of the same continent, score (0..1) tells how close the city name is
+	 *          - "offset" - a zone that has this offset, guessed from a number or an offset string
+	 * @example
+	 * tz.resolve("Asia/Calcutta"); // output: { tz_id: "Asia/Kolkata", method: "alias", score: 1 }
+	 * tz.resolve("Europe/WarZaw"); // output: { tz_id: "Europe/Warsaw", method: "fuzzy", score: 0.833 }
+	 * tz.resolve("IST"); // output: { tz_id: "Asia/Jerusalem", method: "abbreviation", score: 1, candidates: [ "Asia/Jerusalem", "Asia/Kolkata", "Europe/Dublin" ] }
+	 * tz.resolve("+05:30"); // output: { tz_id: "Asia/Colombo", method: "offset", score: 1 }
+	 * tz.resolve("Mars/Olympus"); // output: null
+	 */
+	resolve(identifier) {
+		if (typeof identifier === 'number') {
+			return this.#resolveOffset(Number.isFinite(identifier) ? Math.round(identifier * 60) : NaN);
+		}
+		if (typeof identifier !== 'string' || identifier.trim() === '') {
+			return null;
+		}
+
+		const id = identifier.trim();
+		if (getZoneIndex().by_id.has(id)) {
+			return { tz_id: id, method: 'exact', score: 1 };
+		}
+		if (zone_data.links[id]) {
+			return { tz_id: zone_data.links[id], method: 'alias', score: 1 };
+		}
+
+		const offset_str = id.toLowerCase().startsWith('utc') ? id.slice(3).trim() || '+0' : id;
+		if (this.#HH_MM_OFFSET_REGEX.test(offset_str)) {
+			const [h, m = '0'] = offset_str.split(':');
+			const sign = h.startsWith('-') ? -1 : 1;
+			return parseInt(m, 10) < 60 ? this.#resolveOffset(sign * (Math.abs(parseInt(h, 10)) * 60 + parseInt(m, 10))) : null;
+		}
+
+		if (tz_countries[id]) {
+			return { tz_id: tz_countries[id][1], method: 'country', score: 1 };
+		}
+
+		const abbreviation = this.resolveAbbreviation(id);
+		if (abbreviation) {
+			const candidates = [abbreviation.chosen, ...abbreviation.alternatives].map(candidate => candidate.tz_id);
+			return { tz_id: candidates[0], method: 'abbreviation', score: 1, candidates };
+		}
+
+		// what getLocation() falls back to: the most similar city of the same continent
+		const [continent, city = ''] = id.split('/');
+		const continent_matches = getZoneIndex().by_continent.get(continent) ?? [];
+		if (continent_matches.length === 0) {
+			return null;
+		}
+		const best_match = this.#findBestMatch(city, continent_matches);
+		const tz_entry = best_match ? best_match.tz : continent_matches[0];
+		// the pick follows getLocation(), the score is the share of the city name that is right
+		const tz_city = tz_entry[1].split('/')[1].toLowerCase();
+		const score = 1 - Timezones.#editDistance(city.toLowerCase(), tz_city) / Math.max(city.length, tz_city.length);
+
+		return { tz_id: tz_entry[1], method: 'fuzzy', score: Math.round(score * 1000) / 1000 };
+	}
+
+	// zone guessed for an offset, like getLocation() does for numbers and "+05:30"
+	#resolveOffset(offset_mins) {
+		if (!(offset_mins >= -720 && offset_mins <= 840)) {
+			return null;
+		}
+
+		const offset_str = this.#normalizeOffset(offset_mins);
+		const { by_sdt_offset, by_dst_offset } = getZoneIndex();
+		const fallback = by_sdt_offset.get(offset_str) ?? by_dst_offset.get(offset_str) ?? [];
+		const tz_entry = fallback.find(tz => !tz[1].includes('Etc/')) ?? fallback[0];
+
+		return tz_entry ? { tz_id: tz_entry[1], method: 'offset', score: 1 } : null;
+	}
+
+	/**
+	 * Finds every zone an abbreviation can stand for and picks one by preference.
+	 * Candidates are grouped per country and offset ("CST": United States -06:00, China +08:00, Cuba -05:00...),
+	 * and ranked by the preference keys in this order: country, continent, closest offset, closest zone to a position.
+	 * Without a preference, or on a tie, the meaning used by the most zones wins ("CST" is -06:00 in
+	 * the United States, Mexico, Canada and Central America), then the country with the most zones using it,
+	 * then the country with the most zones.
+	 *
+	 * @param {string} abbr - The abbreviation, e.g. "CST".
+	 * @param {Object} [prefer] - The preference, defaults to the prefer option of the constructor.
+	 * @param {string} [prefer.country] - ISO 3166 country code, e.g. "CN".
+	 * @param {string} [prefer.continent] - Continent of the zone id, e.g. "Asia".
+	 * @param {number|string} [prefer.offset] - Offset in hours (-6, 5.5), as "+05:30", or "device" for the offset of the device.
+	 * @param {number} [prefer.lat] - Latitude of a position (GPS), with prefer.lon. Also picks the nearest zone of a country.
+	 * @param {number} [prefer.lon] - Longitude of the position.
+	 * @returns {{chosen: Object, alternatives: Object[]}|null} The chosen candidate and the others, best first, null for an unknown abbreviation.
+	 *          Each candidate is { tz_id, country, offset_mins, is_dst }, plus distance_km with a position.
+	 * @example
+	 * tz.resolveAbbreviation("CST").chosen.tz_id; // output: "America/Chicago"
+	 * tz.resolveAbbreviation("CST", { country: "CN" }).chosen.tz_id; // output: "Asia/Shanghai"
+	 * tz.resolveAbbreviation("CST", { offset: "device" }).chosen.tz_id; // output: "Asia/Shanghai" (on a watch set to +08:00)
+	 * tz.resolveAbbreviation("CST", { lat: 49.9, lon: -97.1 }).chosen.tz_id; // output: "America/Winnipeg"
+	 * tz.resolveAbbreviation("IST", { continent: "Europe" }).alternatives.map(c => c.tz_id); // output: [ "Asia/Jerusalem", "Asia/Kolkata" ]
+	 */
+	resolveAbbreviation(abbr, prefer = this.#prefer) {
+		// one group per country and offset: { country, offset_mins, is_dst, zones }
+		const groups = new Map();
+		for (const tz of getZoneIndex().by_abbr.get(abbr) ?? []) {
+			if (tz[0] === '') {
+				continue; // zones without a country (CST6CDT) only repeat a meaning
+			}
+			const is_dst = tz[4] !== abbr;
+			const offset_mins = this.#str2offset(is_dst ? tz[3] : tz[2]);
+			const key = `${tz[0]}${offset_mins}`;
+			if (!groups.has(key)) {
+				groups.set(key, { country: tz[0], offset_mins, is_dst, zones: [] });
+			}
+			groups.get(key).zones.push(tz);
+		}
+		if (groups.size === 0) {
+			return null;
+		}
+
+		const { country = null, continent = null, offset = null, lat = null, lon = null } = prefer ?? {};
+		const prefer_mins = offset === 'device' ? -this.getCurrentDate().getTimezoneOffset()
+			: typeof offset === 'number' ? offset * 60
+			: typeof offset === 'string' ? this.#str2offset(offset) : null;
+		const has_position = typeof lat === 'number' && typeof lon === 'number';
+
+		// zones using the same meaning, to rank the meanings without a preference
+		const usage = new Map();
+		groups.forEach(group => usage.set(group.offset_mins, (usage.get(group.offset_mins) ?? 0) + group.zones.length));
+
+		const candidates = [...groups.values()].map(group => {
+			// the nearest zone of the country to the position, else its most important one (primary zone first)
+			const order = tz_countries[group.country] ?? [];
+			const rank = tz => order.indexOf(tz[1]) < 0 ? order.length : order.indexOf(tz[1]);
+			let zones = group.zones.slice().sort((a, b) => rank(a) - rank(b));
+			let distance_km = null;
+			if (has_position) {
+				const distances = zones.map(tz => Timezones.#getDistanceKm(lat, lon, tz[7], tz[8]));
+				distance_km = Math.min(...distances);
+				zones = [zones[distances.indexOf(distance_km)]];
+			}
+			const tz_continent = zones[0][1].split('/')[0];
+
+			return {
+				candidate: { tz_id: zones[0][1], country: group.country, offset_mins: group.offset_mins, is_dst: group.is_dst, ...(has_position ? { distance_km } : {}) },
+				keys: [
+					country !== null && group.country === country ? 0 : 1,
+					continent !== null && (tz_continent.toLowerCase() === continent.toLowerCase() || zones[0][6] === continent.toLowerCase()) ? 0 : 1,
+					prefer_mins !== null ? Math.abs(group.offset_mins - prefer_mins) : 0,
+					has_position ? distance_km : 0,
+					-usage.get(group.offset_mins),
+					-group.zones.length,
+					-order.length
+				]
+			};
+		});
+		candidates.sort((a, b) => {
+			const i = a.keys.findIndex((key, n) => key !== b.keys[n]);
+			return i < 0 ? 0 : a.keys[i] - b.keys[i];
+		});
+		debugLog(3, `Abbreviation ${abbr}: ${candidates.map(c => c.candidate.tz_id).join(', ')}`);
+
+		return { chosen: candidates[0].candidate, alternatives: candidates.slice(1).map(c => c.candidate) };
+	}
+
+	static #getDistanceKm(lat1, lon1, lat2, lon2) {
+		const a = Timezones.#toUnitVector(lat1, lon1);
+		const b = Timezones.#toUnitVector(lat2, lon2);
+		const chord = Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+		return 2 * Timezones.#EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2));
+	}
+
+	// strict mode: throws unless the value resolves without guessing
+	#assertResolved(value) {
+		const match = this.resolve(value);
+
+		if (!match) {
+			const is_offset = typeof value === 'number' || /^(utc)?\s*[-+]?\d/i.test(String(value).trim());
+			throw is_offset ? new InvalidOffsetError(value) : new UnknownTimeZoneError(value);
+		}
+		if (match.method === 'fuzzy') {
+			throw new UnknownTimeZoneError(value, match.score >= 0.5 ? match.tz_id : null);
+		}
+		if (match.method === 'abbreviation' && !this.#prefer) {
+			const { chosen, alternatives } = this.resolveAbbreviation(value);
+			if (alternatives.some(candidate => candidate.offset_mins !== chosen.offset_mins)) {
+				throw new AmbiguousAbbreviationError(value, match.candidates);
+			}
+		}
+	}
+
+	#findTZbyAbbreviation(identifier){
+		// a country code resolves to the country's primary zone ("US" -> America/New_York)
+		const country = tz_countries[identifier];
+		const { by_id, by_country, by_abbr, position } = getZoneIndex();
+		if (country) {
+			return by_id.get(country[1]);
+		}
+
+		// then by abbreviation (tz_sdt or tz_dst), ambiguous ones by the preference of this instance
+		const abbreviation = this.resolveAbbreviation(identifier);
+		if (abbreviation) {
+			return by_id.get(abbreviation.chosen.tz_id);
+		}
+
+		// fallback: country_abbr, or zones without a country (CST6CDT), the first one in the database
+		const matches = [by_country.get(identifier)?.[0], by_abbr.get(identifier)?.[0]].filter(Boolean);
+		return matches.sort((a, b) => position.get(a) - position.get(b))[0];
+	}
+
+	#initializeTimezoneData(identifier) {
+		let tz_entry = Timezones.#findTZbyId(identifier);
+
+		if (!tz_entry) {
+			tz_entry = this.#findTZbyAbbreviation(identifier);
+		}
+
+		if (tz_entry) {
+			return {
+				code: tz_entry[0],
+				tz_id: tz_entry[1],
+				utc_sdt: tz_entry[2],
+				utc_dst: tz_entry[3],
+				tz_sdt: tz_entry[4],
+				tz_dst: tz_entry[5],
+				continent: tz_entry[6],
+				lat: tz_entry[7],
+				lon: tz_entry[8],
+				dst_rule: tz_entry[9]
+			};
+		}
+		return null;
+	}
+
+	#initializeDefaultOffset() {
+		if (this.#default_offset !== null) {
+			try {
+				if (typeof this.#default_offset === 'number') {
+					this.#default_offset_mins = this.#default_offset * 60;
+				} else if (typeof this.#default_offset === 'string') {
+					let offset_str = this.#default_offset;
+
+					// handle UTC notation
+					if (offset_str.toLowerCase().includes('utc')) {
+						offset_str = offset_str.toLowerCase().replace('utc', '').trim();
+						if (offset_str === '') offset_str = '+0'; // UTC with no offset == +0
+					}
+
+					if (this.#HH_MM_OFFSET_REGEX.test(offset_str)) {
+						this.#default_offset_mins = this.#str2offset(offset_str);
+					} else {
+						const location = this.getLocation();
+						const zone_state = this.#getZoneState(location, this.getCurrentDate());
+						if (zone_state) {
+							this.#default_offset_mins = zone_state.offset_mins;
+						} else {
+							throw new Error('Invalid timezone');
+						}
+					}
+				} else {
+					throw new Error('Invalid offset format');
+				}
+			} catch (err) {
+				debugLog(3, `Error initializing default offset: ${err.message}`);
+				if (this.#strict) {
+					throw err;
+				}
+				this.#default_offset = null;
+				this.#default_offset_mins = -this.getCurrentDate().getTimezoneOffset();
+			}
+		} else {
+			this.#default_offset_mins = -this.getCurrentDate().getTimezoneOffset();
+		}
+	}
+
+	/**
+	 * Gets the current date in the timezone of this instance.
+	 *
+	 * @returns {ZonedDateTime} A real Date (instanceof Date) that holds the true instant and reads/writes wall time of the set timezone.
+	 * @example
+	 * const tz = new Timezones("America/New_York");
+	 * const date = tz.getDate();
+	 * console.log(date.getHours()); // output: 14 (New York wall clock)
+	 * console.log(date.toISOString()); // output: "2024-10-10T14:30:00.000-04:00"
+	 * console.log(date.getTime() === Date.now()); // output: true (the instant is never shifted)
+	 */
+	getDate() {
+		return new ZonedDateTime(this.getCurrentDate(), this);
+	}
+
+	/**
+	 * Gets the UTC offset, abbreviation and DST status of this instance's timezone at a given instant.
+	 *
+	 * @param {Date} [date=this.getCurrentDate()] - The instant to resolve.
+	 * @param {Timezones|string|null} [zone=null] - Another timezone (id or alias), resolved with the caches of this instance.
+	 * @returns {{offset_mins: number, offset_str: string, tz_abbr: string, is_dst: boolean}} The zone state at that instant.
+	 * @throws {UnknownTimeZoneError} If zone, or the timezone of this instance ("WrongCountry/WrongCity"), is an unknown id.
+	 * @example
+	 * const tz = new Timezones("Europe/Berlin");
+	 * console.log(tz.getOffsetInfo(new Date('2025-07-01T12:00:00Z')));
+	 * // output: { is_dst: true, offset_str: "+02:00", offset_mins: 120, tz_abbr: "CEST" }
+	 * console.log(tz.getOffsetInfo(new Date('2025-07-01T12:00:00Z'), "Asia/Tokyo").offset_str); // output: "+09:00"
+	 */
+	getOffsetInfo(date = this.getCurrentDate(), zone = null) {
+		if (zone instanceof Timezones) {
+			return zone.getOffsetInfo(date);
+		}
+
+		const zone_state = this.#getZoneState(zone === null ? this.getLocation() : zone_data.links[zone] ?? zone, date);
+		if (zone_state) {
+			return zone_state;
+		}
+		if (zone !== null) {
+			throw new UnknownTimeZoneError(zone);
+		}
+
+		// only an offset without a zone ("+01:23") or the device offset is a fixed offset, an unknown id has none
+		if (this.#default_offset_mins === null && this.#default_offset !== null) {
+			throw new UnknownTimeZoneError(this.#default_offset);
+		}
+
+		const offset_mins = this.#default_offset_mins ?? -date.getTimezoneOffset();
+		const offset_str = this.#offset2str(offset_mins);
+
+		return {
+			is_dst: false,
+			offset_str,
+			offset_mins,
+			tz_abbr: "UTC" + offset_str
+		};
+	}
+
+	/**
+	 * Resolves a wall clock time in a timezone to the actual instant.
+	 * Wall times that don't exist (spring-forward gap) or happen twice (fall-back overlap)
+	 * are resolved by the disambiguation option, mirroring Temporal:
+	 * - "compatible" (default) - gap: move forward by the gap length, overlap: the earlier instant
+	 * - "earlier" - gap: move backward by the gap length, overlap: the earlier instant
+	 * - "later" - gap: move forward by the gap length, overlap: the later instant
+	 * - "reject" - throw on gaps and overlaps
+	 *
+	 * @param {number} year - The full year, e.g. 2025.
+	 * @param {number} month - The month (1-12).
+	 * @param {number} day - The day of the month (1-31).
+	 * @param {number} [h=0] - The hour (0-23).
+	 * @param {number} [m=0] - The minutes (0-59).
+	 * @param {number} [s=0] - The seconds (0-59).
+	 * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+	 * @param {Object} [options={}] - Resolution options.
+	 * @param {string} [options.disambiguation="compatible"] - compatible | earlier | later | reject
+	 * @returns {ZonedDateTime} The resolved date bound to the zone.
+	 * @throws {Error} If the wall time is in a gap or overlap and disambiguation is "reject".
+	 * @example
+	 * // 02:30 doesn't exist in New York on 2025-03-09 (clocks jump 02:00 -> 03:00)
+	 * tz.fromLocal(2025, 3, 9, 2, 30, 0, "America/New_York").toString();
+	 * // output: "Sun Mar 09 2025 03:30:00 GMT-04:00 (EDT)"
+	 * tz.fromLocal(2025, 3, 9, 2, 30, 0, "America/New_York", { disambiguation: "earlier" }).toString();
+	 * // output: "Sun Mar 09 2025 01:30:00 GMT-05:00 (EST)"
+	 *
+	 * // 01:30 happens twice on 2025-11-02
+	 * tz.fromLocal(2025, 11, 2, 1, 30, 0, "America/New_York", { disambiguation: "later" }).toISOString();
+	 * // output: "2025-11-02T01:30:00.000-05:00"
+	 */
+	fromLocal(year, month, day, h = 0, m = 0, s = 0, zone = null, { disambiguation = 'compatible' } = {}) {
+		if (!['compatible', 'earlier', 'later', 'reject'].includes(disambiguation)) {
+			throw new Error(`Invalid disambiguation: ${disambiguation}`);
+		}
+
+		const target = this.#resolveZone(zone);
+		const wall_ms = Date.UTC(year, month - 1, day, h, m, s);
+		const { instants, offset_before, offset_after } = target.#getPossibleInstants(wall_ms);
+		debugLog(3, `fromLocal ${new Date(wall_ms).toISOString()} (wall) -> ${instants.length} possible instant(s)`);
+
+		let time;
+		if (instants.length === 1) {
+			time = instants[0];
+		} else if (disambiguation === 'reject') {
+			const kind = instants.length === 0 ? 'does not exist (DST gap)' : 'is ambiguous (DST overlap)';
+			throw new Error(`Local time ${new Date(wall_ms).toISOString().slice(0, 19)} ${kind} in ${target.getLocation()}`);
+		} else if (instants.length === 2) {
+			time = disambiguation === 'later' ? instants[1] : instants[0];
+		} else {
+			// gap: read the wall time with the offset after (earlier) or before (later) the transition
+			time = wall_ms - (disambiguation === 'earlier' ? offset_after : offset_before) * 60000;
+		}
+
+		return new ZonedDateTime(time, target);
+	}
+
+	/**
+	 * Formats a date in a timezone. The pattern can use strftime (`%Y-%m-%d %H:%M %Z`)
+	 * or Unicode/ICU tokens (`yyyy-MM-dd HH:mm zzz`), any "%" switches to strftime.
+	 *
+	 * strftime: %Y %y %C %G %g %m %B %b %h %d %e %o (ordinal day) %j %A %a %u %w %V %H %k %I %l %M %S %L (ms)
+	 *           %p %P %Z %z %:z %s %F %D %T %R %r %c %n %t %%, "-" removes padding (%-d, %-H)
+	 * ICU:      y yy yyyy Y (ISO week year) M MM MMM MMMM MMMMM LLLL (standalone) d dd do (ordinal) D DDD E EEE EEEE EEEEE
+	 *           e (1-7, Monday = 1) Q QQ QQQ a h hh H HH k kk K KK m mm s ss S SS SSS w ww (ISO week)
+	 *           z zzz (abbreviation) zzzz (zone name, else GMT offset) VV (zone id) VVVV (city) Z ZZZZ ZZZZZ X XX XXX x xx xxx O OOOO, 'quoted text'
+	 * Names follow the locale of this instance, see setLocale().
+	 *
+	 * @param {Date} [date=this.getCurrentDate()] - The instant to format, a ZonedDateTime keeps its own zone.
+	 * @param {string} [pattern="yyyy-MM-dd HH:mm:ss"] - strftime or ICU pattern.
+	 * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+	 * @returns {string} The formatted date.
+	 * @example
+	 * const date = new Date('2025-03-01T18:05:09Z');
+	 * tz.format(date, '%Y-%m-%d %H:%M %Z', "America/New_York"); // output: "2025-03-01 13:05 EST"
+	 * tz.format(date, "EEEE, MMMM do yyyy, h:mm a zzz", "America/New_York"); // output: "Saturday, March 1st 2025, 1:05 PM EST"
+	 * tz.format(date, "yyyy-MM-dd'T'HH:mm:ssXXX 'week' w", "Asia/Kolkata"); // output: "2025-03-01T23:35:09+05:30 week 9"
+	 */
+	format(date = this.getCurrentDate(), pattern = "yyyy-MM-dd HH:mm:ss", zone = null) {
+		const target = zone === null && date instanceof ZonedDateTime ? date.getZone() : this.#resolveZone(zone);
+		const fields = target.#getDateFields(date);
+
+		return pattern.includes('%')
+			? this.#formatStrftime(pattern, fields)
+			: this.#formatIcu(pattern, fields);
+	}
+
+	/**
+	 * Gets the current time based on the default offset.
+	 *
+	 * @returns {string} The current time as an ISO string with offset.
+	 * @example
+	 * const cur_time = tz.getTime();
+	 * console.log(cur_time); // output: "2024-10-10T14:30:00.000-04:00"
+	 */
+	getTime() {
+		const cur_date = this.getCurrentDate();
+		const offset_mins = this.#getOffsetAt(cur_date);
+		const date_with_offset = new Date(cur_date.getTime() + offset_mins * 60000);
+		const result = this.#formatDateWithOffset(date_with_offset, offset_mins);
+
+		return result;
+	}
+
+	/**
+	 * Gets the current hour based on the default offset.
+	 *
+	 * @returns {number} The current hour (0-23).
+	 * @example
+	 * const cur_hour = tz.getHours();
+	 * console.log(cur_hour); // output: 14
+	 */
+	getHours() {
+		return this.#getCurrentTimeWithOffset().getUTCHours();
+	}
+
+	/**
+	 * Gets the current minutes based on the default offset.
+	 *
+	 * @returns {number} The current minutes (0-59).
+	 * @example
+	 * const cur_min = tz.getMinutes();
+	 * console.log(cur_min); // output: 30
+	 */
+	getMinutes() {
+		return this.#getCurrentTimeWithOffset().getUTCMinutes();
+	}
+
+	/**
+	 * Gets the current seconds based on the default offset.
+	 *
+	 * @returns {number} The current seconds (0-59).
+	 * @example
+	 * const cur_sec = tz.getSeconds();
+	 * console.log(cur_sec); // output: 45
+	 */
+	getSeconds() {
+		return this.#getCurrentTimeWithOffset().getUTCSeconds();
+	}
+
+	/**
+	 * Converts a date to a specified timezone.
+	 *
+	 * @param {Date} date - The date to convert.
+	 * @param {string} target_tz - The target timezone. Can be:
+	 *        - IANA timezone identifier (e.g., "Asia/Tokyo", or an alias like "Japan")
+	 *        - Offset in '±HH' format (e.g., "+09")
+	 * @returns {Date} The converted date.
+	 * @throws {UnknownTimeZoneError} If the timezone is unknown.
+	 * @example
+	 * const date = new Date("2024-10-10T12:00:00Z");
+	 * const tokyo_time = tz.convertToTimeZone(date, 'Asia/Tokyo');
+	 * console.log(tokyo_time); // output: 2024-10-10T21:00:00.000Z (equivalent to 21:00 in Tokyo)
+	 */
+	convertToTimeZone(date, target_tz) {
+		let offset_mins;
+
+		if (typeof target_tz === 'string' && /^[-+]\d+$/.test(target_tz)) {
+			offset_mins = parseInt(target_tz, 10) * 60;
+		} else {
+			const tz_info = this.getTimezoneInfo(target_tz);
+			if (tz_info) {
+				offset_mins = this.#getZoneState(tz_info.tz_id, date).offset_mins;
+			} else {
+				throw new UnknownTimeZoneError(target_tz);
+			}
+		}
+
+		return this.#applyOffsetToDate(date, offset_mins);
+	}
+
+	/**
+	 * Gets the current location based on the default offset.
+	 *
+	 * @returns {string} The determined location (IANA timezone identifier).
+	 * @example
+	 * const location = tz.getLocation();
+	 * console.log(location); // output: "America/New_York"
+	 */
+	getLocation() {
+		if (this.#tz_data) {
+			return this.#tz_data.tz_id;
+		}
+
+		if (this.#location_cache !== null && this.#isLocationExpired()) {
+			debugLog(3, `Location ${this.#location_cache} expired, checking the device offset again`);
+			this.#location_cache = null;
+			this.#default_offset_mins = -this.getCurrentDate().getTimezoneOffset();
+		}
+
+		if (this.#location_cache === null) {
+			const cur_time_with_offset = this.getCurrentDate();
+			const current_tz_offset = this.#calculateTZ(cur_time_with_offset);
+			const offset_str = this.#offset2str(current_tz_offset);
+			const is_dst_now = this.#isDstNow(current_tz_offset);
+			let location = null;
+
+			if (this.#default_offset) {
+				if (typeof this.#default_offset === 'number') {
+					this.#default_offset_mins = this.#default_offset * 60;
+				} else if (typeof this.#default_offset === 'string') {
+					if (this.#HH_MM_OFFSET_REGEX.test(this.#default_offset)) {
+						// handle string format "+04:30"
+						this.#default_offset_mins = this.#str2offset(this.#default_offset);
+					} else {
+						// handle tz name format
+						const [continent, city] = this.#default_offset.split('/');
+						const continent_matches = getZoneIndex().by_continent.get(continent) ?? [];
+
+						if (continent_matches.length > 0) {
+							location = this.#selectBestMatchingTimeZone(continent_matches);
+							debugLog(3, `Selected timezone based on default offset continent: ${location}`);
+						} else if (this.#strict) {
+							throw new UnknownTimeZoneError(this.#default_offset);
+						} else {
+							debugLog(3, `No matching continent found for: ${this.#default_offset}`);
+							location = 'Unknown';
+						}
+					}
+				}
+
+				if (!location && this.#default_offset_mins !== null) {
+					debugLog(3, `Finding timezone for default offset: ${this.#default_offset} (${this.#default_offset_mins} minutes)`);
+					// the status of the default offset, is_dst_now is the one of the device offset
+					const matching_tzs = this.#findTimeZoneByOffset(this.#default_offset_mins, this.#isDstNow(this.#default_offset_mins));
+					location = this.#selectBestMatchingTimeZone(matching_tzs);
+				}
+			}
+
+			// if can't find loca based on the default offset use current offset
+			if (!location) {
+				debugLog(3, `Using current tz offset: ${current_tz_offset}`);
+				let matching_tzs = this.#findTimeZoneByOffset(current_tz_offset, is_dst_now);
+				debugLog(3, "Amount of matching timezones: ", matching_tzs.length);
+				location = this.#selectBestMatchingTimeZone(matching_tzs);
+			}
+
+			// fallback if location is still null
+			if (location === null) {
+				debugLog(3, "No matching timezone found for offset: ", offset_str);
+				const { by_sdt_offset, by_dst_offset, position } = getZoneIndex();
+				const fallback_timezones = [...new Set([...by_sdt_offset.get(offset_str) ?? [], ...by_dst_offset.get(offset_str) ?? []])]
+					.sort((a, b) => position.get(a) - position.get(b));
+				if (fallback_timezones.length > 0) {
+					location = this.#selectBestMatchingTimeZone(fallback_timezones);
+					debugLog(3, "Fallback timezone selected based on offset: ", location);
+				} else if (this.country_code) {
+					const country_fallback = getZoneIndex().by_country.get(this.country_code) ?? [];
+					if (country_fallback.length > 0) {
+						location = this.#selectBestMatchingTimeZone(country_fallback);
+						debugLog(3, "Fallback timezone selected based on country code: ", location);
+					}
+				}
+			}
+
+			// if location is still null, set to Unknown
+			if (location === null) {
+				if (this.#strict) {
+					throw new UnknownTimeZoneError(this.#default_offset ?? this.#offset2str(current_tz_offset));
+				}
+				location = 'Unknown';
+			}
+
+			if (location !== 'Unknown') {
+				this.#default_offset_mins = this.#determineOffset(location);
+			}
+
+			// a zone guessed from the device offset can be wrong after the device changes to or from DST
+			const guessed = this.#default_offset === null && location !== 'Unknown';
+			this.#location_until = guessed ? this.#getStateWindow(location, cur_time_with_offset).until : Infinity;
+			this.#location_device_offset = guessed ? current_tz_offset : null;
+			this.#location_cache = location;
+		}
+
+		return this.#location_cache;
+	}
+
+	// a guessed location is redone when its zone changes offset or the device offset no longer matches
+	#isLocationExpired() {
+		if (this.#location_device_offset === null) {
+			return false;
+		}
+
+		const now = this.getCurrentDate();
+		return now.getTime() >= this.#location_until || -now.getTimezoneOffset() !== this.#location_device_offset;
+	}
+
+	/**
+	 * Clears the cached location and DST status.
+	 * Forces a recalculation of the location and DST status on the next call to getLocation() or getDaylightStatus().
+	 * Not needed for the time passing: cached offsets and DST states expire at the next transition of their zone,
+	 * and all caches are size limited, so long-running apps don't have to call it.
+	 * 
+	 * @example
+	 * // execute if something doesn't look right
+	 * tz.clearCache();
+	 * const new_location = tz.getLocation();
+	 */
+	clearCache() {
+		this.#location_cache = null;
+		this.#location_until = Infinity;
+		this.#location_device_offset = null;
+		this.#state_cache.clear();
+		this.#dst_cache.clear();
+		this.#offset_cache.clear();
+		this.#nth_week_cache.clear();
+	}
+
+	/**
+	 * Determines if Daylight Saving Time (DST) is currently in effect for a given location.
+	 *
+	 * @param {string} location - The location (IANA timezone identifier).
+	 * @returns {boolean} True if DST is in effect, false otherwise.
+	 * @example
+	 * const is_dst = tz.getDaylightStatus('America/New_York');
+	 * console.log(is_dst); // output: true (during DST period)
+	 */
+	getDaylightStatus(location) {
+		if (this.#tz_data) {
+			const cur_date = this.getCurrentDate();
+			return this.#getZoneState(this.#tz_data.tz_id, cur_date).is_dst;
+		}
+
+		// cached per zone until its next transition
+		const cur_date = this.getCurrentDate();
+		const zone_state = this.#getZoneState(location ?? this.getLocation(), cur_date);
+		if (!zone_state) {
+			debugLog(3, `Timezone not found: ${location}`);
+			return false;
+		}
+
+		debugLog(3, `DST status for ${location}: ${zone_state.is_dst}`);
+		return zone_state.is_dst;
+	}
+
+	/**
+	 * Gets the current location and DST status.
+	 *
+	 * @returns {{location: string, is_dst: boolean}} An object containing the location and DST status.
+	 * @example
+	 * const { location, is_dst } = tz.getLocationAndDaylightStatus();
+	 * console.log(location, is_dst); // output: "America/New_York" true
+	 */
+	getLocationAndDaylightStatus() {
+		let result;
+
+		if (this.#tz_data) {
+			const location = this.#tz_data.tz_id;
+			const is_dst = this.getDaylightStatus();
+			result = { location, is_dst };
+		} else {
+			const location = this.getLocation();
+			const is_dst = this.getDaylightStatus();
+			result = { location, is_dst };
+		}
+
+		return result;
+	}
+
+	/**
+	 * Get detailed timezone information for a given identifier.
+	 * @param {string} identifier - The timezone identifier (e.g., "America/New_York", an alias like "US/Eastern", or "US")
+	 * @returns {Object|null} An object containing timezone details, or null if not found
+	 */
+	getTimezoneInfo(identifier) {
+		let result;
+
+		if (this.#tz_data && (this.#tz_data.tz_id === identifier || this.#tz_data.code === identifier)) {
+			result = this.#tz_data;
+		} else {
+			let tz_entry = Timezones.#findTZbyId(identifier); // zone ids and their aliases
+
+			if (!tz_entry) {
+				tz_entry = this.#findTZbyAbbreviation(identifier); // country codes, then abbreviations
+			}
+
+			if (tz_entry) {
+				result = {
+					code: tz_entry[0],
+					tz_id: tz_entry[1],
+					utc_sdt: tz_entry[2],
+					utc_dst: tz_entry[3],
+					tz_sdt: tz_entry[4],
+					tz_dst: tz_entry[5],
+					continent: tz_entry[6],
+					lat: tz_entry[7],
+					lon: tz_entry[8],
+					dst_rule: tz_entry[9]
+				};
+			} else {
+				result = null;
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Searches timezones by city, alternate city name ("Bombay", "Peking", "Saigon"), country or zone id.
+	 * Matching ignores case, accents and spaces ("sao paulo", "NewYork"), ranks exact names over prefixes
+	 * over words inside names, and tolerates typos and swapped letters ("Sao Paolo", "kolkatta").
+	 * Zone and country names of the locale of this instance are searched too.
+	 *
+	 * @param {string} query - What the user typed.
+	 * @param {Object} [options={}] - Search options.
+	 * @param {number} [options.limit=10] - The maximum number of results.
+	 * @returns {Array<{tz_id: string, name: string, score: number, country: string|null}>} The best match per zone,
+	 *          best first. name is the name that matched, score goes from 0 to 1 (exact match).
+	 * @example
+	 * tz.search("bombay", { limit: 1 }); // output: [ { tz_id: "Asia/Kolkata", name: "Bombay", score: 1, country: "IN" } ]
+	 * tz.search("Sao Paolo", { limit: 1 }); // output: [ { tz_id: "America/Sao_Paulo", name: "Sao Paulo", score: 0.622, country: "BR" } ]
+	 */
+	search(query, { limit = 10 } = {}) {
+		const q = Timezones.#normalizeName(query);
+		const q_compact = q.replace(/ /g, '');
+		if (q_compact === '') {
+			return [];
+		}
+
+		const best = new Map(); // tz_id -> best result
+		for (const entry of this.#getSearchIndex()) {
+			const score = Timezones.#scoreName(q, q_compact, entry) * entry.weight;
+			if (score > 0 && score > (best.get(entry.tz_id)?.score ?? 0)) {
+				best.set(entry.tz_id, { tz_id: entry.tz_id, name: entry.name, score, country: entry.country });
+			}
+		}
+
+		return [...best.values()]
+			.sort((a, b) => b.score - a.score || a.name.length - b.name.length || (a.tz_id < b.tz_id ? -1 : 1))
+			.slice(0, limit)
+			.map(result => ({ ...result, score: Math.round(result.score * 1000) / 1000 }));
+	}
+
+	/**
+	 * Lists the countries, sorted by their name in the locale of this instance.
+	 *
+	 * @returns {Array<{code: string, name: string}>} ISO 3166 codes with localized names.
+	 * @example
+	 * tz.getCountries().slice(0, 2); // output: [ { code: "AF", name: "Afghanistan" }, { code: "AX", name: "Åland Islands" } ]
+	 */
+	getCountries() {
+		return Object.keys(tz_countries)
+			.map(code => ({ code, name: this.getCountryName(code) }))
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Gets the localized name of a country.
+	 *
+	 * @param {string} code - The ISO 3166 country code, e.g. "DE".
+	 * @returns {string|null} The name in the locale of this instance (English if the pack has none), null for unknown codes.
+	 * @example
+	 * tz.setLocale("de");
+	 * console.log(tz.getCountryName("CH")); // output: "Schweiz"
+	 */
+	getCountryName(code) {
+		const country = tz_countries[code];
+		if (!country) {
+			return null;
+		}
+
+		const { countries } = this.#getLocaleData();
+		return countries[code] ?? country[0];
+	}
+
+	/**
+	 * Lists the timezones used in a country, the primary zone (the one of the capital or most people) first.
+	 * Includes zones shared with other countries (LI -> Europe/Zurich, DK -> Europe/Berlin).
+	 *
+	 * @param {string} code - The ISO 3166 country code, e.g. "US".
+	 * @returns {string[]} IANA ids, empty for unknown codes.
+	 * @example
+	 * console.log(tz.getZonesForCountry("ES")); // output: [ "Europe/Madrid", "Africa/Ceuta", "Atlantic/Canary" ]
+	 * console.log(tz.getZonesForCountry("LI")); // output: [ "Europe/Zurich" ]
+	 */
+	getZonesForCountry(code) {
+		const country = tz_countries[code];
+		return country ? country.slice(1) : [];
+	}
+
+	/**
+	 * Gets the primary timezone of a country: the zone of the capital or of most people.
+	 *
+	 * @param {string} code - The ISO 3166 country code, e.g. "RU".
+	 * @returns {string|null} The IANA id, null for unknown codes.
+	 * @example
+	 * console.log(tz.getPrimaryZone("RU")); // output: "Europe/Moscow"
+	 */
+	getPrimaryZone(code) {
+		const country = tz_countries[code];
+		return country ? country[1] : null;
+	}
+
+	/**
+	 * Gets the country a timezone belongs to. Zones serving several countries return their main country,
+	 * see getCountriesForZone() for all of them.
+	 *
+	 * @param {string} tz_id - The IANA id, e.g. "Europe/Zurich".
+	 * @returns {string|null} The ISO 3166 country code, null for zones without a country (Etc/UTC, EST5EDT...).
+	 * @example
+	 * console.log(tz.getCountryForZone("Europe/Zurich")); // output: "CH"
+	 */
+	getCountryForZone(tz_id) {
+		const tz_entry = getZoneIndex().by_id.get(tz_id);
+		return tz_entry && tz_entry[0] !== '' ? tz_entry[0] : null;
+	}
+
+	/**
+	 * Lists all countries a timezone serves, the main country first.
+	 *
+	 * @param {string} tz_id - The IANA id, e.g. "Europe/Zurich".
+	 * @returns {string[]} ISO 3166 country codes, empty for zones without a country.
+	 * @example
+	 * console.log(tz.getCountriesForZone("Europe/Zurich")); // output: [ "CH", "DE", "LI" ]
+	 */
+	getCountriesForZone(tz_id) {
+		const main = this.getCountryForZone(tz_id);
+		const others = Object.keys(tz_countries).filter(code => code !== main && tz_countries[code].indexOf(tz_id) > 0);
+		return main ? [main, ...others] : others;
+	}
+
+	/**
+	 * Finds the approximate timezone location based on given latitude and longitude.
+	 * Can be used along with a GPS module to create a generic locator.
+	 * With a registered boundary pack (see RegisterBoundaries()) the point is looked up in the
+	 * timezone borders, the nearest location is only used for points outside of them (offshore).
+	 * See getApproxLocationInfo() for the options and for which method found the zone.
+	 * @param {number} latitude - The latitude of the location in decimal degrees.
+	 * @param {number} longitude - The longitude of the location in decimal degrees.
+	 * @param {Object} [options={}] - Lookup options, see getApproxLocationInfo().
+	 * @returns {string} The timezone `IANA` ID of the zone containing the point, or of the nearest location in the database.
+	 * @example
+	 * Timezones.RegisterBoundaries(boundaries);
+	 * console.log(tz.getApproxLocation(39.47, 75.99)); // output: "Asia/Urumqi" (Kashgar)
+	 * console.log(tz.getApproxLocation(35.22, -101.83)); // output: "America/Chicago" (Amarillo)
+	 * console.log(tz.getApproxLocation(30, -40, { nautical: true })); // output: "Etc/GMT+3" (mid Atlantic)
+	 */
+	getApproxLocation(latitude, longitude, options = {}) {
+		return this.getApproxLocationInfo(latitude, longitude, options).tz_id;
+	}
+
+	/**
+	 * Same lookup as getApproxLocation(), but also tells which method found the zone:
+	 * "boundary" (the point is inside a zone of the boundary pack), "nautical" (at sea, see options.nautical)
+	 * or "nearest" (the nearest location in the database).
+	 *
+	 * @param {number} latitude - The latitude of the location in decimal degrees.
+	 * @param {number} longitude - The longitude of the location in decimal degrees.
+	 * @param {Object} [options={}] - Lookup options.
+	 * @param {string} [options.distance="geodesic"] - How the nearest location is found: "geodesic" (great-circle distance,
+	 *        safe near the poles and across the antimeridian) or "manhattan" (|Δlat| + |Δlon| on degrees, the old behaviour).
+	 * @param {boolean} [options.nautical=false] - Returns the nautical zone (Etc/GMT±N, 15° bands of longitude) for points at sea.
+	 * @param {number} [options.max_land_km=5] - Points further than this from land are at sea. With a boundary pack, land
+	 *        is the zone borders, which include the territorial waters (5 km covers their simplification), without one
+	 *        it is the nearest location in the database, so use a larger value (e.g. 300).
+	 * @returns {{tz_id: string, method: string, distance_km: number|null}} The zone, the method and, for "nearest",
+	 *          the great-circle distance to that location.
+	 * @example
+	 * console.log(tz.getApproxLocationInfo(30, -40, { nautical: true, max_land_km: 300 }));
+	 * // output: { tz_id: "Etc/GMT+3", method: "nautical", distance_km: null }
+	 * console.log(tz.getApproxLocationInfo(51.5072, 0.1276));
+	 * // output: { tz_id: "Europe/London", method: "nearest", distance_km: 18.9 }
+	 */
+	getApproxLocationInfo(latitude, longitude, { distance = "geodesic", nautical = false, max_land_km = 5 } = {}) {
+		const boundary_zone = Timezones.#findBoundaryZone(latitude, longitude);
+		if (boundary_zone) {
+			return { tz_id: boundary_zone, method: "boundary", distance_km: null };
+		}
+
+		const [nearest] = this.getNearestLocations(latitude, longitude, 1);
+
+		if (nautical) {
+			const land_km = Timezones.#boundaries
+				? Timezones.#getBoundaryDistance(latitude, longitude, max_land_km)
+				: nearest.distance_km;
+			if (land_km > max_land_km) {
+				// zone N covers 15 * N ± 7.5 degrees, the ±180° band is split into +12 / -12
+				const hours = Math.round(Math.max(-180, Math.min(180, longitude)) / 15);
+				return { tz_id: Timezones.#offsetZoneId(hours * 60), method: "nautical", distance_km: null };
+			}
+		}
+
+		if (distance === "manhattan") {
+			return { tz_id: this.#findNearestManhattan(latitude, longitude), method: "nearest", distance_km: null };
+		}
+
+		return { tz_id: nearest.tz_id, method: "nearest", distance_km: nearest.distance_km };
+	}
+
+	/**
+	 * Finds the k timezone locations closest to a point by great-circle distance.
+	 * Works across the antimeridian and near the poles, boundary packs are not used.
+	 *
+	 * @param {number} latitude - The latitude of the point in decimal degrees.
+	 * @param {number} longitude - The longitude of the point in decimal degrees.
+	 * @param {number} [k=5] - The number of locations to return, rounded down. Below 1 returns an empty array.
+	 * @returns {Array<{tz_id: string, code: string, lat: number, lon: number, distance_km: number, bearing: number}>}
+	 *          The locations ordered by distance. bearing is the initial course from the point in degrees (0 = north, 90 = east).
+	 * @example
+	 * const nearest = tz.getNearestLocations(-16.5, -179.9, 2); // over the Pacific, east of Fiji
+	 * console.log(nearest.map(n => `${n.tz_id} ${Math.round(n.distance_km)} km ${Math.round(n.bearing)}°`));
+	 * // output: [ "Pacific/Fiji 214 km 212°", "Pacific/Tongatapu 717 km 137°" ]
+	 */
+	getNearestLocations(latitude, longitude, k = 5) {
+		k = Math.floor(k);
+		if (!(k >= 1)) { // also NaN
+			return [];
+		}
+
+		return this.#searchGeoIndex(latitude, longitude, k).map(({ index, chord }) => {
+			const tz = this.#tz_db[index];
+			return {
+				tz_id: tz[1],
+				code: tz[0],
+				lat: tz[7],
+				lon: tz[8],
+				distance_km: 2 * Timezones.#EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2)),
+				bearing: Timezones.#getBearing(latitude, longitude, tz[7], tz[8])
+			};
+		});
+	}
+
+	/**
+	 * Registers a timezone boundary pack for getApproxLocation(). Like locale packs, the pack is a
+	 * factory that is only decoded on the first lookup. Registering another pack replaces the previous one.
+	 * Bundled packs (timezone-boundary-builder borders): `boundaries` (~520 KB, outlines simplified to ~0.01°) and `boundaries_lite` (~160 KB, ~0.05°).
+	 *
+	 * @param {Function|Object|null} pack - The pack factory (or a pack object), null removes the boundaries.
+	 * @example
+	 * import { boundaries_lite } from "@silver-zepp/timezones/boundaries-lite";
+	 * Timezones.RegisterBoundaries(boundaries_lite);
+	 */
+	static RegisterBoundaries(pack) {
+		Timezones.#boundaries = pack === null ? null : {
+			loader: typeof pack === 'function' ? pack : () => pack,
+			data: null
+		};
+	}
+
+	/**
+	 * Gets the version of the timezone database in use, the IANA tzdata release it was built from.
+	 *
+	 * @returns {string} The version, e.g. "2025b".
+	 * @example
+	 * console.log(Timezones.GetDatabaseVersion()); // output: "2025b" (the bundled database)
+	 */
+	static GetDatabaseVersion() {
+		return zone_data.version;
+	}
+
+	/**
+	 * Loads the timezone database update saved by InstallDatabase(), if it is newer than the bundled database.
+	 * Call it once when the app starts. A saved copy that fails the integrity checks, or that an app update
+	 * made obsolete, is removed and the bundled database stays in use.
+	 *
+	 * @param {Object} storage - Where the update is saved: ZeppOS localStorage (`@zos/storage`)
+	 *        or any object with getItem(key), setItem(key, value) and removeItem(key), e.g. one backed by a file.
+	 * @returns {string} The version of the database in use.
+	 * @example
+	 * import { localStorage } from "@zos/storage";
+	 * Timezones.LoadDatabase(localStorage); // output: "2025c" (if that update was installed before)
+	 */
+	static LoadDatabase(storage) {
+		const saved = storage.getItem(Timezones.#DB_STORAGE_KEY);
+		if (!saved) {
+			return zone_data.version;
+		}
+
+		try {
+			const db = Timezones.#validateDatabase(saved);
+			if (Timezones.#compareVersions(db.version, tz_db_version) > 0) {
+				Timezones.#useDatabase(db);
+			} else {
+				debugLog(3, `Saved timezone database ${db.version} is not newer than the bundled ${tz_db_version}, removing it`);
+				storage.removeItem(Timezones.#DB_STORAGE_KEY);
+			}
+		} catch (err) {
+			debugLog(3, `Saved timezone database rejected: ${err.message}`);
+			storage.removeItem(Timezones.#DB_STORAGE_KEY);
+		}
+
+		return zone_data.version;
+	}
+
+	/**
+	 * Installs a timezone database update, e.g. one the side service received from the phone, so rule changes
+	 * reach the watch without rebuilding the app. The update is checked (format, version, checksum, zone rows,
+	 * history and links) before it replaces the database in use, for all instances. With a storage it is also
+	 * saved for LoadDatabase() on the next start.
+	 *
+	 * @param {string|Object} pack - The database pack, as JSON text or parsed (see "Database pack" at the end of tz-import.src.js).
+	 * @param {Object} [storage=null] - Where to save the update, see LoadDatabase(). Without it the update lasts until the app closes.
+	 * @returns {boolean} true if installed, false if the pack is not newer than the database in use.
+	 * @throws {InvalidDatabaseError} If the pack fails the integrity checks.
+	 * @example
+	 * // in the handler of the message from the side service
+	 * if (Timezones.InstallDatabase(data, localStorage)) {
+	 *   console.log(`Timezone database updated to ${Timezones.GetDatabaseVersion()}`);
+	 * }
+	 */
+	static InstallDatabase(pack, storage = null) {
+		const db = Timezones.#validateDatabase(pack);
+		if (Timezones.#compareVersions(db.version, zone_data.version) <= 0) {
+			debugLog(3, `Timezone database ${db.version} is not newer than ${zone_data.version}`);
+			return false;
+		}
+
+		storage?.setItem(Timezones.#DB_STORAGE_KEY, typeof pack === 'string' ? pack : JSON.stringify(pack));
+		Timezones.#useDatabase(db);
+
+		return true;
+	}
+
+	/**
+	 * Goes back to the bundled timezone database and removes a saved update.
+	 *
+	 * @param {Object} [storage=null] - Where the update is saved, see LoadDatabase().
+	 * @example
+	 * Timezones.ResetDatabase(localStorage);
+	 */
+	static ResetDatabase(storage = null) {
+		storage?.removeItem(Timezones.#DB_STORAGE_KEY);
+		Timezones.#useDatabase(bundled_zone_data);
+	}
+
+	// orders tzdata releases: by year, then by the letters like the releases go ("2025z" < "2025aa" < "2026a"),
+	// not as strings ("2025z" > "2025aa" by character)
+	static #compareVersions(a, b) {
+		const [, year_a, letters_a] = a.match(Timezones.#DB_VERSION_REGEX);
+		const [, year_b, letters_b] = b.match(Timezones.#DB_VERSION_REGEX);
+		return parseInt(year_a, 10) - parseInt(year_b, 10)
+			|| letters_a.length - letters_b.length
+			|| (letters_a < letters_b ? -1 : letters_a > letters_b ? 1 : 0);
+	}
+
+	static #useDatabase(db) {
+		debugLog(3, `Using timezone database ${db.version}`);
+		zone_data = db;
+		zone_index = null;
+	}
+
+	// integrity checks of a database pack, returns the zone data to use
+	static #validateDatabase(pack) {
+		let db = pack;
+		if (typeof pack === 'string') {
+			try {
+				db = JSON.parse(pack);
+			} catch (err) {
+				throw new InvalidDatabaseError('not valid JSON');
+			}
+		}
+		if (!db || typeof db !== 'object') {
+			throw new InvalidDatabaseError('not a database pack');
+		}
+
+		const { format, version, zones, history, links = null, checksum } = db;
+		if (format !== Timezones.#DB_FORMAT) {
+			throw new InvalidDatabaseError(`unsupported format ${format}`, version);
+		}
+		if (typeof version !== 'string' || !Timezones.#DB_VERSION_REGEX.test(version)) {
+			throw new InvalidDatabaseError(`invalid version ${version}`);
+		}
+		if (checksum !== getDatabaseChecksum(db)) {
+			throw new InvalidDatabaseError('checksum mismatch, the pack is damaged or incomplete', version);
+		}
+		if (!Array.isArray(zones) || zones.length === 0) {
+			throw new InvalidDatabaseError('no zones', version);
+		}
+
+		// zone rows: [code, tz_id, utc_sdt, utc_dst, tz_sdt, tz_dst, continent, lat, lon, dst_rule]
+		const ids = new Set();
+		const is_coord = value => typeof value === 'number' || value === '';
+		const is_offset = value => {
+			if (!Timezones.#DB_OFFSET_REGEX.test(value)) {
+				return false;
+			}
+			const mins = (value[0] === '-' ? -1 : 1) * (parseInt(value.slice(1, 3), 10) * 60 + parseInt(value.slice(4), 10));
+			return mins >= -720 && mins <= 840 && parseInt(value.slice(4), 10) < 60;
+		};
+		// DST rules are parsed like the lookups will, a rule that throws there would break every date of the zone
+		const parser = new Timezones();
+		const is_rule = rule => {
+			if (typeof rule !== 'string' || !Timezones.#DB_RULE_REGEX.test(rule)) {
+				return false;
+			}
+			if (rule === "00" || rule === "FF") {
+				return true;
+			}
+			try {
+				const { start, end } = rule.startsWith(parser.#RULE_V2_PREFIX) ? parser.#parseRuleV2(rule) : parser.#parseHexRule(rule);
+				return [start, end].every(({ month }) => month >= 1 && month <= 12);
+			} catch (err) {
+				return false;
+			}
+		};
+		for (const tz of zones) {
+			const valid = Array.isArray(tz) && tz.length === 10
+				&& typeof tz[0] === 'string' && typeof tz[1] === 'string' && tz[1] !== '' && !ids.has(tz[1])
+				&& is_offset(tz[2]) && is_offset(tz[3])
+				&& typeof tz[4] === 'string' && typeof tz[5] === 'string' && typeof tz[6] === 'string'
+				&& is_coord(tz[7]) && is_coord(tz[8]) && is_rule(tz[9]);
+			if (!valid) {
+				throw new InvalidDatabaseError(`invalid zone row ${JSON.stringify(tz)}`, version);
+			}
+			ids.add(tz[1]);
+		}
+
+		// history: tz_id -> [ kinds, "<kind idx><until mins>,..." ], eras oldest first
+		if (!history || typeof history !== 'object') {
+			throw new InvalidDatabaseError('no history', version);
+		}
+		const is_eras = (eras, kind_count) => {
+			let last_until = -Infinity;
+			return typeof eras === 'string' && eras.split(',').every(era => {
+				const kind = parseInt(era[0], 36);
+				const until = parseInt(era.slice(1), 36);
+				const valid = /^[0-9a-z]{2,}$/.test(era) && kind < kind_count && until > last_until;
+				last_until = until;
+				return valid;
+			});
+		};
+		for (const tz_id in history) {
+			const [kinds, eras] = Array.isArray(history[tz_id]) ? history[tz_id] : [];
+			const valid = ids.has(tz_id) && Array.isArray(kinds) && is_eras(eras, kinds.length)
+				&& kinds.every(kind => Array.isArray(kind) && kind.length === 5
+					&& is_offset(kind[0]) && is_offset(kind[1]) && typeof kind[2] === 'string' && typeof kind[3] === 'string'
+					&& is_rule(kind[4]));
+			if (!valid) {
+				throw new InvalidDatabaseError(`invalid history of ${tz_id}`, version);
+			}
+		}
+
+		// links: alias -> tz_id, the bundled ones if the pack has none
+		const db_links = links ?? tz_links;
+		for (const alias in db_links) {
+			if (!ids.has(db_links[alias])) {
+				throw new InvalidDatabaseError(`link ${alias} points to an unknown zone ${db_links[alias]}`, version);
+			}
+		}
+
+		// the bundled country zone lists and city names stay in use, their zones must be in the pack
+		const used_ids = [...Object.values(tz_countries).flatMap(([, ...country_zones]) => country_zones), ...Object.values(tz_cities)];
+		const missing = used_ids.find(tz_id => !ids.has(tz_id) && !ids.has(db_links[tz_id]));
+		if (missing) {
+			throw new InvalidDatabaseError(`no zone ${missing}, the bundled countries and cities use it`, version);
+		}
+
+		return { version, zones, history, links: db_links };
+	}
+
+	/**
+	 * Lists every UTC offset change of a timezone in a date range.
+	 *
+	 * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+	 * @param {Date} [from=this.getCurrentDate()] - Start of the range (inclusive).
+	 * @param {Date} [to=null] - End of the range (exclusive), defaults to one year after `from`.
+	 * @returns {Array<{time: Date, offset_before: number, offset_after: number, abbr_before: string, abbr_after: string, is_dst: boolean}>}
+	 *          The transitions in chronological order. Offsets are in minutes, is_dst is the status after the change.
+	 * @example
+	 * const changes = tz.getTransitions("Europe/Berlin", new Date('2025-01-01'), new Date('2026-01-01'));
+	 * console.log(changes.map(t => `${t.time.toISOString()} ${t.abbr_before} -> ${t.abbr_after}`));
+	 * // output: [ "2025-03-30T01:00:00.000Z CET -> CEST", "2025-10-26T01:00:00.000Z CEST -> CET" ]
+	 */
+	getTransitions(zone = null, from = this.getCurrentDate(), to = null) {
+		const target = this.#resolveZone(zone);
+		const from_ms = from.getTime();
+		const to_ms = to === null ? new Date(from_ms).setUTCFullYear(new Date(from_ms).getUTCFullYear() + 1) : to.getTime();
+
+		return target.#getTransitionsBetween(from_ms, to_ms);
+	}
+
+	/**
+	 * Gets the last UTC offset change at or before a given date.
+	 *
+	 * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+	 * @param {Date} [date=this.getCurrentDate()] - The date to look back from.
+	 * @returns {Object|null} A transition (see getTransitions()), or null if the zone has none since 1970.
+	 * @example
+	 * Timezones.SetCurrentDate(new Date('2025-07-01T12:00:00Z'));
+	 * const last = tz.getPreviousTransition("America/New_York");
+	 * console.log(last.time.toISOString(), last.abbr_after); // output: 2025-03-09T07:00:00.000Z EDT
+	 */
+	getPreviousTransition(zone = null, date = this.getCurrentDate()) {
+		const target = this.#resolveZone(zone);
+		const tz_id = target.getLocation();
+		const current = target.#getEra(tz_id, new Date(8.64e15)); // the DB row
+		if (!current) {
+			return null; // fixed offset
+		}
+
+		// era by era back from the date: an era without DST only changes the offset where it starts,
+		// one with DST is searched a year at a time. The data starts in 1970.
+		const eras = [...target.#getHistory(tz_id), current];
+		let to_ms = date.getTime() + 1;
+		for (let i = eras.length - 1; i >= 0 && to_ms > Date.UTC(1970, 0, 1); i--) {
+			const start_ms = i > 0 ? eras[i - 1].until * 1000 : Date.UTC(1970, 0, 1);
+			const step_ms = eras[i].dst_rule !== "00" && eras[i].dst_rule !== "FF" ? 366 * 86400000 : Infinity;
+			while (to_ms > start_ms) {
+				const from_ms = Math.max(start_ms, to_ms - step_ms);
+				const transitions = target.#getTransitionsBetween(from_ms, to_ms);
+				if (transitions.length > 0) {
+					return transitions[transitions.length - 1];
+				}
+				to_ms = from_ms;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Gets the first UTC offset change after a given date.
+	 *
+	 * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+	 * @param {Date} [date=this.getCurrentDate()] - The date to look ahead from.
+	 * @returns {Object|null} A transition (see getTransitions()), or null if no more changes are known.
+	 * @example
+	 * const next = tz.getNextTransition("Australia/Sydney", new Date('2025-07-01T00:00:00Z'));
+	 * console.log(next.time.toISOString(), next.is_dst); // output: 2025-10-04T16:00:00.000Z true
+	 */
+	getNextTransition(zone = null, date = this.getCurrentDate()) {
+		const target = this.#resolveZone(zone);
+		return target.#findNextTransition(date, () => true);
+	}
+
+	/**
+	 * Get the time until the next DST change (either on or off).
+	 * @returns {Object|null} An object containing the next DST change date and the time until that change, or null if the timezone doesn't observe DST.
+	 * @property {Date} next_change - The date of the next DST change.
+	 * @property {number} time_until_change - The time in milliseconds until the next change.
+	 * @property {boolean} change_to_dst - True if changing to DST, false if changing from DST.
+	 * @example
+	 * const tz = new Timezones("America/New_York");
+	 * const dst_change = tz.getTimeUntilNextDstChange();
+	 * 
+	 * if (dst_change) {
+	 *   console.log("Next DST change:", dst_change.next_change);
+	 *   console.log("Time until change:", dst_change.time_until_change, "ms");
+	 *   console.log("Changing to DST:", dst_change.change_to_dst);
+	 * } else {
+	 *   console.log("This timezone does not observe DST");
+	 * }
+	 * 
+	 * // example output:
+	 * // Next DST change: 2024-10-10T00:00:00.000Z
+	 * // Time until change: 69360420 ms
+	 * // Changing to DST: false
+	 */
+	getTimeUntilNextDstChange() {
+		const cur_date = this.getCurrentDate();
+
+		// offset changes that don't switch DST on/off (e.g. a new standard offset) are skipped
+		const transition = this.#findNextTransition(cur_date, t => t.is_dst !== this.getOffsetInfo(new Date(t.time.getTime() - 1)).is_dst);
+		if (!transition) {
+			return null; // the zone doesn't observe DST (anymore)
+		}
+
+		const next_change = transition.time;
+		const time_until_change = next_change.getTime() - cur_date.getTime();
+
+		return {
+			next_change,
+			time_until_change,
+			change_to_dst: transition.is_dst
+		};
+	}
+
+	/**
+	 * Formats the time until the next DST change as a human-readable string.
+	 * @returns {string} A formatted string describing the time until the next DST change,
+	 *                   or a message indicating that the timezone doesn't observe DST.
+	 * @example
+	 * // returns: "Time until DST starts: 45 days, 6 hours, 30 minutes, and 15 seconds"
+	 * tz.formatTimeUntilNextDstChange();
+	 * 
+	 * // Or if DST is not observed:
+	 * // returns: "No DST changes for this timezone."
+	 * tz.formatTimeUntilNextDstChange();
+	 */
+	formatTimeUntilNextDstChange() {
+		const dst_change_info = this.getTimeUntilNextDstChange();
+		const { phrases } = this.#getLocaleData();
+
+		if (!dst_change_info) {
+			return phrases.no_dst;
+		}
+
+		const { time_until_change, change_to_dst } = dst_change_info;
+		const phrase = change_to_dst ? phrases.dst_starts : phrases.dst_ends;
+
+		// all four units, zeros included: "102 days, 0 hours, 38 minutes, and 11 seconds"
+		return phrase.replace('{0}', this.formatDuration(time_until_change, { show_zero: true }));
+	}
+
+	/**
+	 * Formats a duration in the locale of this instance. The sign is ignored, see formatRelative() for past/future.
+	 * Months and years have a fixed length of 30 and 365 days.
+	 *
+	 * @param {number} ms - The duration in milliseconds.
+	 * @param {Object} [options={}] - Formatting options.
+	 * @param {string} [options.style="long"] - "long" ("3 days, 4 hours"), "short" ("3 days, 4 hr") or "compact" ("3d 4h").
+	 * @param {string[]} [options.units=["day", "hour", "minute", "second"]] - The units to use, any of
+	 *        "year", "month", "week", "day", "hour", "minute", "second".
+	 * @param {number} [options.max_units=Infinity] - The maximum number of units shown, counted from the largest non-zero one.
+	 * @param {string} [options.rounding="floor"] - How the smallest shown unit is rounded: "floor", "round" or "ceil".
+	 * @param {boolean} [options.show_zero=false] - Shows all units, including leading and inner zeros.
+	 * @returns {string} The formatted duration.
+	 * @throws {Error} If a unit or rounding mode is unknown.
+	 * @example
+	 * tz.formatDuration(277500000); // output: "3 days, 5 hours, and 5 minutes"
+	 * tz.formatDuration(277500000, { style: "compact", max_units: 2 }); // output: "3d 5h"
+	 * tz.formatDuration(277500000, { units: ["hour"], rounding: "round" }); // output: "77 hours"
+	 */
+	formatDuration(ms, { style = "long", units = ['day', 'hour', 'minute', 'second'], max_units = Infinity, rounding = "floor", show_zero = false } = {}) {
+		const locale = this.#getLocaleData();
+		const forms = style === "compact" ? locale.units_compact : style === "short" ? locale.units_short : locale.units;
+
+		const parts = this.#getDurationParts(Math.abs(ms), units, max_units, rounding, show_zero)
+			.map(({ unit, value }) => this.#pluralize(forms[unit], value));
+
+		return this.#joinList(parts, style === "compact" ? locale.list_compact : locale.list);
+	}
+
+	/**
+	 * Formats a date relative to now (or another base date): "in 3 days", "2 hours ago".
+	 *
+	 * @param {Date} date - The date to describe.
+	 * @param {Object} [options={}] - Formatting options.
+	 * @param {Date} [options.base=this.getCurrentDate()] - The date to compare with.
+	 * @param {string|null} [options.unit=null] - Forces a unit, by default the largest unit that fits at least once after rounding (59.6 minutes is "in 1 hour").
+	 * @param {string} [options.rounding="round"] - How the value is rounded: "floor", "round" or "ceil".
+	 * @param {string} [options.numeric="always"] - "auto" uses words where the locale has them ("now", "today", "tomorrow", "yesterday").
+	 * @returns {string} The relative time.
+	 * @throws {Error} If the unit or rounding mode is unknown.
+	 * @example
+	 * const base = new Date('2025-03-01T12:00:00Z');
+	 * tz.formatRelative(new Date('2025-03-04T13:00:00Z'), { base }); // output: "in 3 days"
+	 * tz.formatRelative(new Date('2025-03-01T10:00:00Z'), { base }); // output: "2 hours ago"
+	 * tz.formatRelative(new Date('2025-03-02T12:00:00Z'), { base, numeric: "auto" }); // output: "tomorrow"
+	 */
+	formatRelative(date, { base = this.getCurrentDate(), unit = null, rounding = "round", numeric = "always" } = {}) {
+		const { relative, relative_words } = this.#getLocaleData();
+		const diff = date.getTime() - base.getTime();
+		const abs_diff = Math.abs(diff);
+
+		const units = Object.keys(Timezones.#DURATION_MS); // largest first
+		let target_unit = unit ?? units.find(u => abs_diff >= Timezones.#DURATION_MS[u]) ?? 'second';
+		let [{ value }] = this.#getDurationParts(abs_diff, [target_unit], 1, rounding, true);
+
+		// rounding can fill the next unit (59.6 minutes -> 60 minutes), carry it up: "in 1 hour"
+		while (unit === null && target_unit !== units[0]
+			&& value * Timezones.#DURATION_MS[target_unit] >= Timezones.#DURATION_MS[units[units.indexOf(target_unit) - 1]]) {
+			target_unit = units[units.indexOf(target_unit) - 1];
+			[{ value }] = this.#getDurationParts(abs_diff, [target_unit], 1, rounding, true);
+		}
+
+		if (numeric === "auto") {
+			if (value === 0) {
+				return target_unit === 'day' ? relative_words.today : relative_words.now;
+			}
+			if (value === 1 && target_unit === 'day') {
+				return diff < 0 ? relative_words.yesterday : relative_words.tomorrow;
+			}
+		}
+
+		return this.#pluralize(relative[target_unit][diff < 0 ? 'past' : 'future'], value);
+	}
+
+	/**
+	 * Formats a date as a calendar day plus time, based on the wall dates in this timezone:
+	 * "today at 09:00", "tomorrow at 09:00", "yesterday at 18:30", "Friday at 09:00" (within the next week),
+	 * and the full date for anything else.
+	 *
+	 * @param {Date} date - The date to describe, a ZonedDateTime keeps its own zone.
+	 * @param {Object} [options={}] - Formatting options.
+	 * @param {Date} [options.base=this.getCurrentDate()] - The date to compare with.
+	 * @param {string} [options.time_pattern="HH:mm"] - format() pattern for the time.
+	 * @param {string} [options.date_pattern="yyyy-MM-dd"] - format() pattern for dates further away.
+	 * @returns {string} The calendar string.
+	 * @example
+	 * const tz = new Timezones("Europe/Berlin");
+	 * const base = new Date('2025-03-01T12:00:00Z');
+	 * tz.formatCalendar(new Date('2025-03-02T08:00:00Z'), { base }); // output: "tomorrow at 09:00"
+	 * tz.formatCalendar(new Date('2025-03-05T08:00:00Z'), { base }); // output: "Wednesday at 09:00"
+	 * tz.formatCalendar(new Date('2025-02-20T08:00:00Z'), { base }); // output: "2025-02-20 at 09:00"
+	 */
+	formatCalendar(date, { base = this.getCurrentDate(), time_pattern = "HH:mm", date_pattern = "yyyy-MM-dd" } = {}) {
+		const { relative_words, weekdays, phrases } = this.#getLocaleData();
+		const target = date instanceof ZonedDateTime ? date.getZone() : this;
+		const date_fields = target.#getDateFields(date);
+		const base_fields = target.#getDateFields(base);
+		const days = (Date.UTC(date_fields.year, date_fields.month, date_fields.day)
+			- Date.UTC(base_fields.year, base_fields.month, base_fields.day)) / 86400000;
+
+		let day_str;
+		if (days === 0) {
+			day_str = relative_words.today;
+		} else if (days === 1) {
+			day_str = relative_words.tomorrow;
+		} else if (days === -1) {
+			day_str = relative_words.yesterday;
+		} else if (days > 1 && days < 7) {
+			day_str = weekdays[date_fields.weekday];
+		} else {
+			day_str = this.format(date, date_pattern);
+		}
+
+		return phrases.at.replace('{0}', day_str).replace('{1}', this.format(date, time_pattern));
+	}
+
+	/**
+	 * Registers a locale pack for format(), getZoneName(), getCountryName(), formatDuration(), formatRelative(),
+	 * formatCalendar() and formatTimeUntilNextDstChange().
+	 * Packs are factories: the names are only built when the locale is first used,
+	 * and packs that are never imported don't end up in the app at all.
+	 * Bundled packs: en, de, fr, es, it, pt, ru, zh, ja, ko (`@silver-zepp/timezones/locales/<code>`).
+	 *
+	 * @param {string} code - The locale code, e.g. "de".
+	 * @param {Function|Object} pack - The pack factory (or a pack object). Missing keys fall back to English.
+	 * @example
+	 * import { locale_de } from "@silver-zepp/timezones/locales/de";
+	 * Timezones.RegisterLocale("de", locale_de);
+	 * tz.setLocale("de");
+	 */
+	static RegisterLocale(code, pack) {
+		Timezones.#locales.set(code, {
+			loader: typeof pack === 'function' ? pack : () => pack,
+			data: null
+		});
+	}
+
+	/**
+	 * Sets the locale used by this instance. English is built in, other locales must be registered first.
+	 *
+	 * @param {string} code - The locale code, e.g. "de".
+	 * @throws {Error} If the locale was not registered.
+	 * @example
+	 * tz.setLocale("ja");
+	 * tz.format(new Date(), "MMMM d EEEE"); // output: "3月 1 土曜日"
+	 */
+	setLocale(code) {
+		if (code !== "en" && !Timezones.#locales.has(code)) {
+			throw new Error(`Locale not registered: ${code}. Use Timezones.RegisterLocale("${code}", pack) first.`);
+		}
+		this.#locale = code;
+	}
+
+	/**
+	 * Gets the locale used by this instance.
+	 * @returns {string} The locale code, e.g. "en".
+	 */
+	getLocale() {
+		return this.#locale;
+	}
+
+	/**
+	 * Gets the localized display name of a timezone.
+	 *
+	 * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+	 * @param {Object} [options={}] - Display options.
+	 * @param {string} [options.style="city"] - "city" for the city/region ("New York", "Deutschland"),
+	 *        "long" for the zone name ("Nordamerikanische Ostküstenzeit").
+	 * @returns {string} The display name, falls back to the city part of the IANA id.
+	 * @example
+	 * tz.setLocale("de");
+	 * console.log(tz.getZoneName("America/New_York")); // output: "New York"
+	 * console.log(tz.getZoneName("Europe/Berlin", { style: "long" })); // output: "Mitteleuropäische Zeit"
+	 */
+	getZoneName(zone = null, { style = "city" } = {}) {
+		const tz_id = this.#resolveZone(zone).getLocation();
+		const { zones, zone_names } = this.#getLocaleData();
+		const city = zones[tz_id] ?? tz_id.split('/').pop().replace(/_/g, ' ');
+
+		return style === "long" ? (zone_names[tz_id] ?? city) : city;
+	}
+
+	/**
+	 * Sets a simulated current date for testing purposes or time travel :)
+	 * Same as SetClock(Clock.Fixed(date_obj)), see SetClock() for a running clock.
+	 * @param {Date|null} date_obj - The date to simulate as current, or null to reset.
+	 */
+	static SetCurrentDate(date_obj) {
+		Timezones.#global_clock = date_obj instanceof Date ? Clock.Fixed(date_obj) : null;
+	}
+
+	/**
+	 * Sets the clock of all instances that have no clock of their own.
+	 *
+	 * @param {Clock|null} clock - The clock, null for the real time.
+	 * @example
+	 * Timezones.SetClock(Clock.Offset(-3600000)); // everything runs one hour behind
+	 * Timezones.SetClock(null); // back to the real time
+	 */
+	static SetClock(clock) {
+		Timezones.#global_clock = clock;
+	}
+
+	/**
+	 * Gets the current date of the global clock.
+	 * @returns {Date} The current date or simulated date.
+	 */
+	static GetCurrentDate() {
+		return Timezones.#global_clock ? Timezones.#global_clock.getDate() : new Date();
+	}
+
+	/**
+	 * Sets the clock of this instance, it overrides the global clock. Clears the caches.
+	 *
+	 * @param {Clock|null} clock - The clock, null to follow the global clock again.
+	 * @example
+	 * tz.setClock(Clock.Timelapse("2025-10-26T00:55:00Z", 60)); // Berlin falls back to 02:00 in five real seconds
+	 */
+	setClock(clock) {
+		this.#clock = clock;
+		this.clearCache();
+	}
+
+	/**
+	 * Gets the current date of the clock of this instance, all getters use it.
+	 * @returns {Date} The current date or simulated date.
+	 */
+	getCurrentDate() {
+		return this.#clock ? this.#clock.getDate() : Timezones.GetCurrentDate();
+	}
+
+	/**
+	 * Parses a date string into a ZonedDateTime bound to the zone found in the string.
+	 * Accepted formats:
+	 * - ISO 8601 with or without offset: "2025-03-30T02:30:00.000+02:00", "2025-03-30 02:30Z", "20250330T0230"
+	 * - RFC 9557 zone annotations: "2025-03-30T02:30[Europe/Berlin]", "2025-10-26T02:30+01:00[Europe/Berlin]"
+	 * - RFC 2822 / HTTP dates: "Sun, 30 Mar 2025 02:30:00 +0200", "Sun, 06 Nov 1994 08:49:37 GMT",
+	 *   RFC 850 "Sunday, 06-Nov-94 08:49:37 GMT" and asctime "Sun Nov  6 08:49:37 1994"
+	 * - Date.toString() style: "Sat Mar 08 2025 07:00:00 GMT-0500 (EST)"
+	 * - a trailing zone abbreviation: "2025-03-30 14:00 CEST"
+	 *
+	 * A valid offset fixes the instant. Without a zone the date is bound to a fixed offset zone (Etc/GMT-2, "-03:30"),
+	 * never to a zone with DST that happens to share the offset. Without an offset (or with one that doesn't exist
+	 * in the bracketed zone) the wall time is resolved in the zone, see fromLocal().
+	 *
+	 * @param {string} str - The date string.
+	 * @param {Object} [options={}] - Parse options.
+	 * @param {Timezones|string|null} [options.zone=null] - The zone for strings without offset or zone, defaults to the device timezone.
+	 * @param {Object} [options.prefer=null] - How to pick the zone of an ambiguous abbreviation ("CST"), see resolveAbbreviation().
+	 * @returns {ZonedDateTime} The parsed date.
+	 * @throws {Error} If the string can't be parsed.
+	 * @throws {UnknownTimeZoneError} If it names an unknown zone or abbreviation (country codes aren't abbreviations).
+	 * @throws {InvalidOffsetError} If an offset is malformed or outside -12:00..+14:00.
+	 * @example
+	 * Timezones.parse("2025-03-30T02:30[Europe/Berlin]").toString();
+	 * // output: "Sun Mar 30 2025 03:30:00 GMT+02:00 (CEST)" (02:30 doesn't exist that night)
+	 * Timezones.parse("Sun, 06 Nov 1994 08:49:37 GMT").toISOString();
+	 * // output: "1994-11-06T08:49:37.000+00:00"
+	 * Timezones.parse("2025-01-10 09:00 PST").getTimezoneId(); // output: "America/Los_Angeles"
+	 */
+	static parse(str, { zone = null, prefer = null } = {}) {
+		const text = typeof str === 'string' ? str.trim() : '';
+		const parsed = Timezones.#parseIso(text) || Timezones.#parseRfc2822(text) || Timezones.#parseDateString(text);
+		if (!parsed) {
+			throw new Error(`Invalid date string: ${str}`);
+		}
+		debugLog(3, `Parsed "${str}": ${JSON.stringify(parsed)}`);
+
+		const { year, month, day, h, m, s, ms } = parsed;
+		const wall_ms = Date.UTC(year, month - 1, day, h, m, s, ms);
+		const check = new Date(wall_ms);
+		if (isNaN(wall_ms) || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || h > 23 || m > 59 || s > 59) {
+			throw new Error(`Invalid date string: ${str}`);
+		}
+
+		// resolve the zone: [Zone/Id] > abbreviation > plain offset > options.zone
+		const lookup = new Timezones(null, { prefer });
+		let offset_mins = parsed.offset_mins;
+		let target;
+		if (parsed.zone_id) {
+			const tz_entry = Timezones.#findTZbyId(parsed.zone_id);
+			if (!tz_entry) {
+				throw new UnknownTimeZoneError(parsed.zone_id);
+			}
+			target = new Timezones(tz_entry[1]);
+		} else if (parsed.abbr) {
+			// only zone abbreviations, a country code ("US") is no zone of the string
+			const abbr = parsed.abbr.toUpperCase();
+			const abbreviation = lookup.resolveAbbreviation(abbr);
+			const tz_entry = abbreviation ? Timezones.#findTZbyId(abbreviation.chosen.tz_id) : core_tz_db.find(tz => tz[4] === abbr || tz[5] === abbr);
+			if (!tz_entry) {
+				throw new UnknownTimeZoneError(parsed.abbr);
+			}
+			offset_mins = lookup.#str2offset(abbr === tz_entry[5] ? tz_entry[3] : tz_entry[2]);
+			target = new Timezones(tz_entry[1]);
+		} else if (offset_mins !== null) {
+			target = Timezones.#getFixedOffsetZone(offset_mins);
+		} else {
+			target = lookup.#resolveZone(zone);
+		}
+
+		if (offset_mins !== null) {
+			const time = wall_ms - offset_mins * 60000;
+			if (!parsed.zone_id || target.getOffsetInfo(new Date(time)).offset_mins === offset_mins) {
+				return new ZonedDateTime(time, target);
+			}
+			debugLog(3, `Offset ${offset_mins} doesn't exist in ${parsed.zone_id}, resolving the wall time instead`);
+		}
+
+		return new ZonedDateTime(target.fromLocal(year, month, day, h, m, s).getTime() + ms, target);
+	}
+
+	static #MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+	static #parseIso(text) {
+		// 2025-03-30T02:30:00.000+02:00[Europe/Berlin][u-ca=iso8601], basic format and " " separator allowed
+		const match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2})(?::?(\d{2})(?::?(\d{2})(?:[.,](\d{1,9}))?)?)?)?(?:\s*(Z|[+-]\d{2}(?::?\d{2})?)|\s+([A-Za-z]{2,6}))?((?:\[[^\]]*\])*)$/i);
+		if (!match) {
+			return null;
+		}
+
+		let offset_mins = Timezones.#parseOffset(match[8]);
+		let zone_id = null;
+		for (const [, annotation] of match[10].matchAll(/\[!?([^\]]*)\]/g)) {
+			if (annotation.includes('=')) {
+				continue; // u-ca=... and other key=value annotations
+			}
+			const bracket_offset = Timezones.#parseOffset(annotation);
+			if (bracket_offset !== null) {
+				offset_mins = offset_mins ?? bracket_offset;
+			} else {
+				zone_id = annotation;
+			}
+		}
+
+		return {
+			year: parseInt(match[1], 10),
+			month: parseInt(match[2], 10),
+			day: parseInt(match[3], 10),
+			h: parseInt(match[4] || 0, 10),
+			m: parseInt(match[5] || 0, 10),
+			s: parseInt(match[6] || 0, 10),
+			ms: parseInt((match[7] || '0').padEnd(3, '0').slice(0, 3), 10),
+			offset_mins,
+			zone_id,
+			abbr: match[9] || null
+		};
+	}
+
+	static #parseRfc2822(text) {
+		// RFC 2822 / IMF-fixdate "Sun, 06 Nov 1994 08:49:37 GMT", RFC 850 "Sunday, 06-Nov-94 08:49:37 GMT"
+		const match = text.match(/^(?:[A-Za-z]+,?\s+)?(\d{1,2})[\s-]+([A-Za-z]{3})[a-z]*[\s-]+(\d{2,4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([+-]\d{4}|[A-Za-z]{1,6}))?\s*(?:\(.*\))?$/);
+		if (match) {
+			const month = Timezones.#MONTHS.indexOf(match[2].toLowerCase()) + 1;
+			const two_digit = match[3].length === 2 ? parseInt(match[3], 10) : null;
+			return month === 0 ? null : {
+				year: two_digit === null ? parseInt(match[3], 10) : two_digit + (two_digit < 50 ? 2000 : 1900),
+				month,
+				day: parseInt(match[1], 10),
+				h: parseInt(match[4], 10),
+				m: parseInt(match[5], 10),
+				s: parseInt(match[6] || 0, 10),
+				ms: 0,
+				...Timezones.#parseZoneToken(match[7])
+			};
+		}
+
+		// asctime "Sun Nov  6 08:49:37 1994" (always GMT)
+		const asctime = text.match(/^[A-Za-z]{3}\s+([A-Za-z]{3})\s+(\d{1,2})\s+(\d{1,2}):(\d{2}):(\d{2})\s+(\d{4})$/);
+		if (asctime) {
+			const month = Timezones.#MONTHS.indexOf(asctime[1].toLowerCase()) + 1;
+			return month === 0 ? null : {
+				year: parseInt(asctime[6], 10),
+				month,
+				day: parseInt(asctime[2], 10),
+				h: parseInt(asctime[3], 10),
+				m: parseInt(asctime[4], 10),
+				s: parseInt(asctime[5], 10),
+				ms: 0,
+				offset_mins: 0,
+				zone_id: null,
+				abbr: null
+			};
+		}
+
+		return null;
+	}
+
+	static #parseDateString(text) {
+		// Date.toString() / ZonedDateTime.toString() "Sat Mar 08 2025 07:00:00 GMT-0500 (EST)"
+		const match = text.match(/^[A-Za-z]{3}\s+([A-Za-z]{3})\s+(\d{1,2})\s+(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(?:GMT|UTC)([+-]\d{2}:?\d{2})?\s*(?:\(([^)]*)\))?$/);
+		if (!match) {
+			return null;
+		}
+
+		const month = Timezones.#MONTHS.indexOf(match[1].toLowerCase()) + 1;
+		const offset_mins = Timezones.#parseOffset(match[7]) ?? 0;
+
+		// keep the zone of the abbreviation in parentheses when one of its meanings agrees with the offset
+		const abbreviation = match[8] ? new Timezones().resolveAbbreviation(match[8], { offset: offset_mins / 60 }) : null;
+		const agrees = abbreviation !== null && abbreviation.chosen.offset_mins === offset_mins;
+
+		return month === 0 ? null : {
+			year: parseInt(match[3], 10),
+			month,
+			day: parseInt(match[2], 10),
+			h: parseInt(match[4], 10),
+			m: parseInt(match[5], 10),
+			s: parseInt(match[6] || 0, 10),
+			ms: 0,
+			offset_mins,
+			zone_id: agrees ? abbreviation.chosen.tz_id : null,
+			abbr: null
+		};
+	}
+
+	static #parseZoneToken(token) {
+		// "+0200", "GMT"/"UT"/"Z", or an abbreviation from the DB ("CEST")
+		if (!token) {
+			return { offset_mins: null, zone_id: null, abbr: null };
+		}
+		const offset_mins = Timezones.#parseOffset(token);
+		if (offset_mins !== null) {
+			return { offset_mins, zone_id: null, abbr: null };
+		}
+		if (['GMT', 'UT', 'UTC', 'Z'].includes(token.toUpperCase())) {
+			return { offset_mins: 0, zone_id: null, abbr: null };
+		}
+		return { offset_mins: null, zone_id: null, abbr: token };
+	}
+
+	static #parseOffset(token) {
+		// "Z", "+02", "+0200", "+02:00" -> minutes, anything else -> null
+		if (!token) {
+			return null;
+		}
+		if (token.toUpperCase() === 'Z') {
+			return 0;
+		}
+		const match = token.match(/^([+-])(\d{2}):?(\d{2})?$/);
+		if (!match) {
+			return null;
+		}
+		const mins = parseInt(match[2], 10) * 60 + parseInt(match[3] || 0, 10);
+		const offset_mins = match[1] === '-' ? -mins : mins;
+		if (parseInt(match[3] || 0, 10) > 59 || offset_mins < -720 || offset_mins > 840) {
+			throw new InvalidOffsetError(token);
+		}
+		return offset_mins;
+	}
+
+	// a zone that keeps one offset: "-03:30" is not re-resolved to St. John's and its DST
+	static #getFixedOffsetZone(offset_mins) {
+		const tz_id = Timezones.#offsetZoneId(offset_mins);
+		if (core_tz_db.some(tz => tz[1] === tz_id)) {
+			return new Timezones(tz_id); // Etc/UTC, Etc/GMT±N
+		}
+
+		const zone = new Timezones();
+		zone.#tz_data = {
+			code: '', tz_id, utc_sdt: tz_id, utc_dst: tz_id, tz_sdt: tz_id.replace(':', ''), tz_dst: '',
+			continent: '', lat: '', lon: '', dst_rule: "00"
+		};
+		return zone;
+	}
+
+	static #offsetZoneId(offset_mins) {
+		// whole hours map to the fixed Etc zones (POSIX sign: Etc/GMT-2 is UTC+2)
+		if (offset_mins === 0) {
+			return "Etc/UTC";
+		}
+		if (offset_mins % 60 === 0 && offset_mins >= -720 && offset_mins <= 840) {
+			return `Etc/GMT${offset_mins > 0 ? '-' : '+'}${Math.abs(offset_mins) / 60}`;
+		}
+		const abs = Math.abs(offset_mins);
+		return `${offset_mins < 0 ? '-' : '+'}${pad(Math.floor(abs / 60), 2)}:${pad(abs % 60, 2)}`;
+	}
+
+	#getEra(tz_id, date) {
+		const tz_entry = getZoneIndex().by_id.get(tz_id);
+		if (!tz_entry) {
+			// fixed offset zones of parse() ("-03:30"), see #getFixedOffsetZone()
+			return /^[+-]\d{2}:\d{2}$/.test(tz_id)
+				? { utc_sdt: tz_id, utc_dst: tz_id, tz_sdt: tz_id.replace(':', ''), tz_dst: '', dst_rule: "00", until: Infinity }
+				: null;
+		}
+
+		// eras that ended before the current DB row took over (oldest first)
+		const history = this.#getHistory(tz_id);
+		const secs = date.getTime() / 1000;
+
+		if (history.length === 0 || secs >= history[history.length - 1].until) {
+			return {
+				utc_sdt: tz_entry[2],
+				utc_dst: tz_entry[3],
+				tz_sdt: tz_entry[4],
+				tz_dst: tz_entry[5],
+				dst_rule: tz_entry[9],
+				until: Infinity
+			};
+		}
+
+		for (let i = 0; i < history.length; i++) {
+			if (secs < history[i].until) {
+				debugLog(3, `Historical era for ${tz_id} until ${history[i].until}: ${history[i].dst_rule}`);
+				return history[i];
+			}
+		}
+	}
+
+	#getHistory(tz_id) {
+		this.#checkDatabase();
+		if (this.#history_cache.has(tz_id)) {
+			return this.#history_cache.get(tz_id);
+		}
+
+		let result = [];
+		const packed = zone_data.history[tz_id];
+		if (packed) {
+			// [ kinds, "<kind idx><until mins>,..." ] both base36, see tz-history.js
+			const [kinds, eras] = packed;
+			result = eras.split(',').map(era => {
+				const kind = kinds[parseInt(era[0], 36)];
+				return {
+					utc_sdt: kind[0],
+					utc_dst: kind[1],
+					tz_sdt: kind[2],
+					tz_dst: kind[3],
+					dst_rule: kind[4],
+					until: parseInt(era.slice(1), 36) * 60
+				};
+			});
+		}
+
+		this.#history_cache.set(tz_id, result);
+
+		return result;
+	}
+
+	// drops what was built from the previous database after Timezones.InstallDatabase()
+	#checkDatabase() {
+		if (this.#zone_data !== zone_data) {
+			this.#zone_data = zone_data;
+			this.#state_cache.clear();
+			this.#history_cache.clear();
+			this.#spatial_index = null;
+			this.#geo_index = null;
+			this.#search_index = null;
+		}
+	}
+
+	#getZoneState(tz_id, date) {
+		this.#checkDatabase();
+		const time = date.getTime();
+		const cached = this.#state_cache.get(tz_id);
+		if (cached && time >= cached.from && time < cached.until) {
+			return { ...cached.state };
+		}
+
+		const era = this.#getEra(tz_id, date);
+		if (!era) {
+			return null;
+		}
+
+		const { sdt_mins, dst_mins } = this.#getEraOffsets(era);
+		const is_dst = this.#isDstPeriod(date, era.dst_rule, sdt_mins, dst_mins);
+		const offset_mins = is_dst ? dst_mins : sdt_mins;
+		const state = {
+			is_dst,
+			offset_str: this.#offset2str(offset_mins),
+			offset_mins,
+			tz_abbr: is_dst ? era.tz_dst : era.tz_sdt
+		};
+
+		const { from, until } = this.#getStateWindow(tz_id, date, era);
+		this.#state_cache.set(tz_id, { from, until, state });
+
+		return { ...state };
+	}
+
+	// the instants (ms) around date where the offset of the zone last changed and changes next
+	#getStateWindow(tz_id, date, era = this.#getEra(tz_id, date)) {
+		const time = date.getTime();
+		if (!era) {
+			return { from: -Infinity, until: Infinity };
+		}
+
+		// era limits, the DB row (until = Infinity) starts where the history ends
+		const history = this.#getHistory(tz_id);
+		const index = era.until === Infinity ? history.length : history.indexOf(era);
+		let from = index > 0 ? history[index - 1].until * 1000 : -Infinity;
+		let until = era.until * 1000;
+
+		// DST changes of the rule in the years around date
+		if (era.dst_rule !== "00" && era.dst_rule !== "FF") {
+			const { sdt_mins, dst_mins } = this.#getEraOffsets(era);
+			const year = new Date(time + sdt_mins * 60000).getUTCFullYear();
+			for (let y = year - 1; y <= year + 1; y++) {
+				const { start, end } = this.#getDstBounds(y, era.dst_rule, sdt_mins, dst_mins);
+				for (const change of [start.getTime(), end.getTime()]) {
+					if (change <= time) {
+						from = Math.max(from, change);
+					} else {
+						until = Math.min(until, change);
+					}
+				}
+			}
+		}
+
+		return { from, until };
+	}
+
+	#resolveZone(zone) {
+		return zone === null ? this : zone instanceof Timezones ? zone : new Timezones(zone, { clock: this.#clock });
+	}
+
+	#getTransitionsBetween(from_ms, to_ms) {
+		const tz_id = this.getLocation();
+		const history = this.#getHistory(tz_id);
+		const current = this.#getEra(tz_id, new Date(8.64e15)); // the DB row
+		if (!current) {
+			return []; // fixed offset
+		}
+
+		// candidates: era boundaries + DST changes of the rule of every era in range
+		const candidates = new Set();
+		let era_start = -Infinity;
+		for (const era of [...history, current]) {
+			const start_ms = Math.max(era_start * 1000, from_ms);
+			const end_ms = Math.min(era.until * 1000, to_ms);
+			if (start_ms < end_ms) {
+				candidates.add(start_ms);
+
+				if (era.dst_rule !== "00" && era.dst_rule !== "FF") {
+					const { sdt_mins, dst_mins } = this.#getEraOffsets(era);
+					for (let year = new Date(start_ms).getUTCFullYear() - 1; year <= new Date(end_ms).getUTCFullYear() + 1; year++) {
+						const { start, end } = this.#getDstBounds(year, era.dst_rule, sdt_mins, dst_mins);
+						candidates.add(start.getTime());
+						candidates.add(end.getTime());
+					}
+				}
+			}
+			era_start = era.until;
+		}
+
+		// keep the candidates that actually change the offset or abbreviation
+		const result = [];
+		for (const time of [...candidates].sort((a, b) => a - b)) {
+			if (time < from_ms || time >= to_ms) {
+				continue;
+			}
+
+			const before = this.getOffsetInfo(new Date(time - 1));
+			const after = this.getOffsetInfo(new Date(time));
+			if (before.offset_mins !== after.offset_mins || before.tz_abbr !== after.tz_abbr) {
+				result.push({
+					time: new Date(time),
+					offset_before: before.offset_mins,
+					offset_after: after.offset_mins,
+					abbr_before: before.tz_abbr,
+					abbr_after: after.tz_abbr,
+					is_dst: after.is_dst
+				});
+			}
+		}
+
+		debugLog(3, `Transitions of ${tz_id} between ${new Date(from_ms).toISOString()} and ${new Date(to_ms).toISOString()}: ${result.length}`);
+
+		return result;
+	}
+
+	#findNextTransition(date, filter) {
+		const history = this.#getHistory(this.getLocation());
+		const last_until_ms = history.length > 0 ? history[history.length - 1].until * 1000 : 0;
+
+		// one year at a time until the current DB row is reached and had a full year to repeat itself
+		const limit_ms = Math.max(date.getTime(), last_until_ms) + 366 * 86400000;
+		for (let from_ms = date.getTime() + 1; from_ms <= limit_ms; from_ms += 366 * 86400000) {
+			const transition = this.#getTransitionsBetween(from_ms, from_ms + 366 * 86400000).find(filter);
+			if (transition) {
+				return transition;
+			}
+		}
+
+		return null;
+	}
+
+	#getPossibleInstants(wall_ms) {
+		// offsets in force a day before/after the wall time, transitions are further apart than that
+		const offset_before = this.getOffsetInfo(new Date(wall_ms - 86400000)).offset_mins;
+		const offset_after = this.getOffsetInfo(new Date(wall_ms + 86400000)).offset_mins;
+
+		// 0 instants -> gap, 2 -> overlap (earlier one first)
+		const instants = [];
+		for (const offset_mins of new Set([offset_before, offset_after])) {
+			const time = wall_ms - offset_mins * 60000;
+			if (this.getOffsetInfo(new Date(time)).offset_mins === offset_mins) {
+				instants.push(time);
+			}
+		}
+		instants.sort((a, b) => a - b);
+
+		return { instants, offset_before, offset_after };
+	}
+
+	#getOffsetAt(date) {
+		const zone_state = this.#getZoneState(this.getLocation(), date);
+		return zone_state ? zone_state.offset_mins : this.#default_offset_mins;
+	}
+
+	#determineOffset(timezone) {
+		if (typeof timezone !== 'string') {
+			throw new Error('Invalid timezone format');
+		}
+
+		const first_slash_index = timezone.indexOf('/');
+		if (first_slash_index === -1) {
+			throw new Error('Invalid timezone format');
+		}
+
+		const continent = timezone.substring(0, first_slash_index);
+		const city = timezone.substring(first_slash_index + 1);
+
+		if (!continent || !city) {
+			throw new Error('Invalid timezone format');
+		}
+
+		debugLog(3, `Extracted continent: ${continent}`);
+		debugLog(3, `Extracted city: ${city}`);
+
+		const tz_entry = getZoneIndex().by_id.get(timezone);
+		if (tz_entry) {
+			return this.#str2offset(tz_entry[2]);
+		}
+
+		// partial match guess
+		return this.#guessTimeZoneFromPartialId(continent, city);
+	}
+
+	#guessTimeZoneFromPartialId(continent, city) {
+		const { by_city, by_continent } = getZoneIndex();
+		const city_lower = city.toLowerCase();
+		const matchesCity = tz => {
+			const [, tz_city] = tz[1].split('/');
+			return tz_city && tz_city.toLowerCase().includes(city_lower);
+		};
+
+		if (!this.#CONTINENTS.includes(continent)) {
+			debugLog(3, `Invalid continent: ${continent}. Attempting to find a matching city.`);
+			// the exact city first, else any city containing it
+			const possible_tzs = by_city.get(city_lower) ?? core_tz_db.filter(matchesCity);
+
+			if (possible_tzs.length > 0) {
+				debugLog(3, `Guessed timezone: ${possible_tzs[0][1]}`);
+				return this.#str2offset(possible_tzs[0][2]);
+			}
+		} else {
+			const continent_tzs = by_continent.get(continent) ?? [];
+			const possible_tzs = continent_tzs.filter(matchesCity);
+
+			if (possible_tzs.length > 0) {
+				debugLog(3, `Guessed timezone: ${possible_tzs[0][1]}`);
+				return this.#str2offset(possible_tzs[0][2]);
+			}
+
+			const fallback = continent_tzs[0];
+			if (fallback) {
+				debugLog(3, `No match found. Falling back to: ${fallback[1]}`);
+				return this.#str2offset(fallback[2]);
+			}
+		}
+
+		throw new Error(`Unable to determine offset for timezone: ${continent}/${city}`);
+	}
+
+	#getCurrentTimeWithOffset() {
+		const cur_date = this.getCurrentDate();
+		const offset_mins = this.#getOffsetAt(cur_date);
+
+		return new Date(cur_date.getTime() + offset_mins * 60000);
+	}
+
+	#calculateTZ(date_with_offset) {
+		if (this.#default_offset_mins !== null) {
+			return this.#default_offset_mins;
+		} else {
+			return -date_with_offset.getTimezoneOffset();
+		}
+	}
+
+	#findTimeZoneByOffset(tz_offset, is_dst_now) {
+		const offset_str = this.#normalizeOffset(tz_offset);
+		const { by_sdt_offset, by_dst_offset } = getZoneIndex();
+
+		return (is_dst_now ? by_dst_offset : by_sdt_offset).get(offset_str) ?? [];
+	}
+
+	#normalizeOffset(tz_offset) {
+		if (typeof tz_offset === 'number') {
+			const h = Math.floor(Math.abs(tz_offset) / 60);
+			const m = Math.abs(tz_offset) % 60;
+			const result = `${tz_offset < 0 ? '-' : '+'}${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+			return result;
+		} else if (typeof tz_offset === 'string') {
+			const match = tz_offset.match(/^([+-])(\d{2}):?(\d{2})$/);
+			if (match) {
+				const result = `${match[1]}${match[2]}:${match[3]}`;
+				return result;
+			}
+		}
+		throw new InvalidOffsetError(tz_offset);
+	}
+
+	#isDstNow(tz_offset) {
+		// an offset only used in summer (-02:30 in St. John's) is DST, one that is also some zone's
+		// standard offset (+02:00) is taken as standard time
+		const offset_str = this.#offset2str(this.#default_offset_mins ?? tz_offset);
+		const { by_sdt_offset, by_dst_offset } = getZoneIndex();
+		return !by_sdt_offset.has(offset_str) && (by_dst_offset.get(offset_str)?.some(tz => tz[3] !== tz[2]) ?? false);
+	}
+
+	#selectBestMatchingTimeZone(matching_tzs) {
+		if (!Array.isArray(matching_tzs) || matching_tzs.length === 0) {
+			debugLog(3, "No matching timezones found or invalid input");
+			return null;
+		}
+
+		debugLog(3, `Matching timezones: ${JSON.stringify(matching_tzs.slice(0, 5))}...`);
+
+		if (matching_tzs.length === 1) {
+			debugLog(3, "Single timezone match found:", matching_tzs[0][1]);
+			return matching_tzs[0][1];
+		}
+
+		const non_deprecated = matching_tzs.filter(tz => !tz[1].includes('Etc/'));
+		const filtered_tzs = non_deprecated.length > 0 ? non_deprecated : matching_tzs;
+
+		if (this.#default_offset && typeof this.#default_offset === 'string') {
+			const [continent, city] = this.#default_offset.split('/');
+			const continent_matches = filtered_tzs.filter(tz => tz[1].startsWith(continent + '/'));
+
+			if (continent_matches.length > 0) {
+				debugLog(3, `Found ${continent_matches.length} matches for continent ${continent}`);
+
+				const exact_match = continent_matches.find(tz => tz[1] === this.#default_offset);
+				if (exact_match) {
+					debugLog(3, "Exact match found:", exact_match[1]);
+					return exact_match[1];
+				}
+
+				const best_match = this.#findBestMatch(city, continent_matches);
+				if (best_match) {
+					debugLog(3, `Found a close match with similarity ${best_match.similarity}: ${best_match.tz[1]}`);
+					return best_match.tz[1];
+				}
+
+				debugLog(3, `No close match found. Returning first continent match: ${continent_matches[0][1]}`);
+				return continent_matches[0][1];
+			}
+		}
+
+		debugLog(3, "No continent match or default offset. Selecting first match:", filtered_tzs[0][1]);
+
+		return filtered_tzs[0][1];
+	}
+
+	#findBestMatch(city, tzs) {
+		let best_match = null;
+		let best_similarity = 0;
+
+		tzs.forEach(tz => {
+			const [, tz_city] = tz[1].split('/');
+			const similarity = this.#calculateStringSimilarity(city, tz_city);
+			debugLog(3, `Similarity between ${tz_city} and ${city}: ${similarity}`);
+			if (similarity > best_similarity) {
+				best_similarity = similarity;
+				best_match = tz;
+			}
+		});
+
+		return best_match && best_similarity > this.#similarity_threshold ? { tz: best_match, similarity: best_similarity } : null;
+	}
+
+	#calculateStringSimilarity(str1, str2) {
+		str1 = str1.toLowerCase();
+		str2 = str2.toLowerCase();
+
+		if (str1 === str2) return 1;
+
+		const len1 = str1.length;
+		const len2 = str2.length;
+		const max_len = Math.max(len1, len2); // QMath.max/min
+		const min_len = Math.min(len1, len2);
+
+		let matching_chars = 0;
+		let pos_score = 0;
+
+		for (let i = 0; i < max_len; i++) {
+			if (str1[i] === str2[i]) {
+				matching_chars++;
+				pos_score += (max_len - i) / max_len; // give more weight to earlier pos
+			}
+		}
+
+		const char_ratio = matching_chars / max_len;
+		const len_ratio = min_len / max_len;
+
+		// prioritize matching characters for shorter strings
+		const char_weight = 0.8 + (0.15 * (1 - len_ratio)); // ++ more for shorter strings
+		const pos_weight = 0.2 - (0.15 * (1 - len_ratio)); // -- for shorter strings
+
+		const similarity = (char_ratio * char_weight) + (pos_score * pos_weight);
+
+		return similarity;
+	}
+
+	// searchable names of every zone: [{ tz_id, country, name, norm, compact, tokens, weight }], per locale
+	#getSearchIndex() {
+		this.#checkDatabase();
+		if (this.#search_index && this.#search_index.locale === this.#locale) {
+			return this.#search_index.entries;
+		}
+
+		const { zones, zone_names, countries } = this.#getLocaleData();
+		const entries = [];
+		const add = (tz_id, name, weight) => {
+			const norm = Timezones.#normalizeName(name);
+			if (norm !== '') {
+				const country = this.getCountryForZone(tz_id);
+				entries.push({ tz_id, country, name, norm, compact: norm.replace(/ /g, ''), tokens: norm.split(' '), weight });
+			}
+		};
+
+		for (const tz of this.#tz_db) {
+			add(tz[1], tz[1].split('/').pop().replace(/_/g, ' '), 1);
+			add(tz[1], tz[1].replace(/[/_]/g, ' '), 0.95);
+			if (zones[tz[1]]) add(tz[1], zones[tz[1]], 1);
+			if (zone_names[tz[1]]) add(tz[1], zone_names[tz[1]], 0.9);
+		}
+		for (const name of Object.keys(tz_cities)) {
+			add(tz_cities[name], name, 1);
+		}
+		for (const code of Object.keys(tz_countries)) {
+			const [english, ...country_zones] = tz_countries[code];
+			// the primary zone ranks above the other zones of the country
+			country_zones.forEach((tz_id, i) => {
+				add(tz_id, english, i === 0 ? 0.97 : 0.9);
+				if (countries[code] && countries[code] !== english) add(tz_id, countries[code], i === 0 ? 0.97 : 0.9);
+			});
+		}
+
+		this.#search_index = { locale: this.#locale, entries };
+		debugLog(3, `Search index built: ${entries.length} names`);
+		return entries;
+	}
+
+	// lowercase, no accents, words split on anything that is not a letter or digit ("São Tomé" -> "sao tome")
+	static #normalizeName(str) {
+		return String(str).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+			.replace(/ß/g, 'ss').replace(/æ/g, 'ae').replace(/œ/g, 'oe').replace(/ø/g, 'o')
+			.replace(/ł/g, 'l').replace(/đ/g, 'd').replace(/ı/g, 'i')
+			.replace(/[^\p{L}\p{N}+]+/gu, ' ').trim();
+	}
+
+	static #scoreName(q, q_compact, entry) {
+		const { compact, norm, tokens } = entry;
+		const ratio = q_compact.length / compact.length;
+
+		if (compact === q_compact) {
+			return 1;
+		}
+		if (compact.startsWith(q_compact)) {
+			return 0.9 + 0.09 * ratio;
+		}
+		if (tokens.some(token => token.startsWith(q_compact)) || norm.includes(' ' + q)) {
+			return 0.8 + 0.09 * ratio;
+		}
+		if (q_compact.length < 3) {
+			return 0;
+		}
+
+		// typos against the whole name, or against its start while the user is still typing
+		const distance = Math.min(
+			Timezones.#editDistance(q_compact, compact),
+			Timezones.#editDistance(q_compact, compact.slice(0, q_compact.length)) + 0.5
+		);
+		const max_distance = Math.max(1, Math.floor(q_compact.length / 3));
+
+		return distance <= max_distance ? 0.7 * (1 - distance / (q_compact.length + 1)) : 0;
+	}
+
+	// Damerau-Levenshtein (optimal string alignment): a swap of two neighbours counts as one edit
+	static #editDistance(a, b) {
+		let prev2 = [];
+		let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+		for (let i = 1; i <= a.length; i++) {
+			const cur = [i];
+			for (let j = 1; j <= b.length; j++) {
+				const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+				if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+					cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+				}
+			}
+			prev2 = prev;
+			prev = cur;
+		}
+
+		return prev[b.length];
+	}
+
+	#findNearestManhattan(latitude, longitude) {
+		// quick & dirty approximation; ~4x faster than haversine's
+		this.#checkDatabase();
+		if (!this.#spatial_index) {
+			this.#spatial_index = this.#tz_db.map((tz, index) => ({
+				index,
+				lat: (tz[7] * 10000 + 0.5),  // inline round
+				lon: (tz[8] * 10000 + 0.5)
+			})).filter(entry => this.#tz_db[entry.index][0] !== ''); // zones without a country (Etc/*, EST5EDT...) have no location
+		}
+
+		// round input to match db precision
+		const lat = (latitude * 10000);
+		const lon = (longitude * 10000);
+
+		let nearest_index = 0;
+		let min_dist = Number.MAX_SAFE_INTEGER;
+
+		for (let i = 0; i < this.#spatial_index.length; i++) {
+			const tz = this.#spatial_index[i];
+			// d = |x_1 - x_2| + |y_1 - y_2|
+			const lat_diff = lat > tz.lat ? lat - tz.lat : tz.lat - lat; // inline abs
+			const lon_diff = lon > tz.lon ? lon - tz.lon : tz.lon - lon;
+			const dist = lat_diff + lon_diff;
+			if (dist < min_dist) {
+				min_dist = dist;
+				nearest_index = tz.index;
+			}
+		}
+
+		return this.#tz_db[nearest_index][1]; // return tz_id
+	}
+
+	// k-d tree over unit vectors: the straight-line (chord) distance grows with the great-circle distance
+	// and has no seam at ±180°, so no special cases for the antimeridian or the poles
+	#searchGeoIndex(latitude, longitude, k) {
+		this.#checkDatabase();
+		if (!this.#geo_index) {
+			const points = [];
+			this.#tz_db.forEach((tz, index) => {
+				if (tz[0] !== '') { // zones without a country (Etc/*, EST5EDT...) have no location
+					points.push({ index, v: Timezones.#toUnitVector(tz[7], tz[8]) });
+				}
+			});
+			this.#geo_index = Timezones.#buildKdTree(points, 0);
+		}
+
+		const best = []; // [{ index, dist2 }] sorted, at most k entries
+		Timezones.#searchKdTree(this.#geo_index, Timezones.#toUnitVector(latitude, longitude), k, best);
+
+		return best.map(({ index, dist2 }) => ({ index, chord: Math.sqrt(dist2) }));
+	}
+
+	static #toUnitVector(lat, lon) {
+		const phi = lat * Math.PI / 180;
+		const lambda = lon * Math.PI / 180;
+		return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+	}
+
+	static #buildKdTree(points, depth) {
+		if (points.length === 0) {
+			return null;
+		}
+
+		const axis = depth % 3;
+		points.sort((a, b) => a.v[axis] - b.v[axis]);
+		const mid = points.length >> 1;
+
+		return {
+			point: points[mid],
+			axis,
+			left: Timezones.#buildKdTree(points.slice(0, mid), depth + 1),
+			right: Timezones.#buildKdTree(points.slice(mid + 1), depth + 1)
+		};
+	}
+
+	static #searchKdTree(node, v, k, best) {
+		if (!node) {
+			return;
+		}
+
+		const p = node.point.v;
+		const dist2 = (p[0] - v[0]) ** 2 + (p[1] - v[1]) ** 2 + (p[2] - v[2]) ** 2;
+		if (best.length < k || dist2 < best[best.length - 1].dist2) {
+			let i = best.length;
+			while (i > 0 && best[i - 1].dist2 > dist2) i--;
+			best.splice(i, 0, { index: node.point.index, dist2 });
+			if (best.length > k) {
+				best.pop();
+			}
+		}
+
+		const diff = v[node.axis] - p[node.axis];
+		Timezones.#searchKdTree(diff < 0 ? node.left : node.right, v, k, best);
+		// the other side can only hold closer points if the splitting plane is closer than the k-th best
+		if (best.length < k || diff * diff < best[best.length - 1].dist2) {
+			Timezones.#searchKdTree(diff < 0 ? node.right : node.left, v, k, best);
+		}
+	}
+
+	// initial great-circle course from point 1 to point 2, 0-360 degrees clockwise from north
+	static #getBearing(lat1, lon1, lat2, lon2) {
+		const phi1 = lat1 * Math.PI / 180;
+		const phi2 = lat2 * Math.PI / 180;
+		const delta = (lon2 - lon1) * Math.PI / 180;
+		const y = Math.sin(delta) * Math.cos(phi2);
+		const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(delta);
+
+		return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+	}
+
+	static #getBoundaryData() {
+		const entry = Timezones.#boundaries;
+		if (!entry) {
+			return null;
+		}
+
+		if (entry.data === null) {
+			const { precision, zones } = entry.loader();
+			entry.data = Object.keys(zones).map(tz_id => ({
+				tz_id,
+				rings: zones[tz_id].map(str => Timezones.#decodeRing(str, precision))
+			}));
+			debugLog(3, `Boundary pack loaded: ${entry.data.length} zones`);
+		}
+
+		return entry.data;
+	}
+
+	static #findBoundaryZone(lat, lon) {
+		const data = Timezones.#getBoundaryData();
+		if (!data) {
+			return null;
+		}
+
+		for (const zone of data) {
+			// even-odd over all rings of the zone, so holes (enclaves) are excluded
+			let inside = false;
+			for (const ring of zone.rings) {
+				if (lat >= ring.min_lat && lat <= ring.max_lat && lon >= ring.min_lon && lon <= ring.max_lon
+					&& Timezones.#pointInRing(ring.coords, lat, lon)) {
+					inside = !inside;
+				}
+			}
+			if (inside) {
+				return zone.tz_id;
+			}
+		}
+
+		return null;
+	}
+
+	// distance in km to the closest border segment, Infinity if there is none within limit_km
+	static #getBoundaryDistance(lat, lon, limit_km) {
+		const km_per_deg = Timezones.#EARTH_RADIUS_KM * Math.PI / 180;
+		const lon_scale = Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+		const margin_lat = limit_km / km_per_deg;
+		const margin_lon = margin_lat / lon_scale;
+		let min_km = Infinity;
+
+		for (const zone of Timezones.#getBoundaryData()) {
+			for (const ring of zone.rings) {
+				if (lat < ring.min_lat - margin_lat || lat > ring.max_lat + margin_lat
+					|| lon < ring.min_lon - margin_lon || lon > ring.max_lon + margin_lon) {
+					continue;
+				}
+
+				// flat projection around the point is good enough for a few dozen km
+				const { coords } = ring;
+				for (let i = 0, j = coords.length - 2; i < coords.length; j = i, i += 2) {
+					const ax = (coords[j + 1] - lon) * lon_scale, ay = coords[j] - lat;
+					const bx = (coords[i + 1] - lon) * lon_scale, by = coords[i] - lat;
+					const dx = bx - ax, dy = by - ay;
+					const len2 = dx * dx + dy * dy;
+					const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2));
+					const km = Math.hypot(ax + t * dx, ay + t * dy) * km_per_deg;
+					if (km < min_km) {
+						min_km = km;
+					}
+				}
+			}
+		}
+
+		return min_km <= limit_km ? min_km : Infinity;
+	}
+
+	// polyline encoded deltas of [lat, lon] pairs -> flat [lat, lon, lat, lon, ...] + bounding box
+	static #decodeRing(str, precision) {
+		const coords = [];
+		let index = 0;
+		const value = [0, 0];
+
+		while (index < str.length) {
+			for (let k = 0; k < 2; k++) {
+				let result = 0;
+				let shift = 0;
+				let byte;
+				do {
+					byte = str.charCodeAt(index++) - 63;
+					result |= (byte & 0x1f) << shift;
+					shift += 5;
+				} while (byte >= 0x20);
+				value[k] += result & 1 ? ~(result >> 1) : result >> 1;
+				coords.push(value[k] / precision);
+			}
+		}
+
+		const lats = coords.filter((_, i) => i % 2 === 0);
+		const lons = coords.filter((_, i) => i % 2 === 1);
+
+		return {
+			coords,
+			min_lat: Math.min(...lats), max_lat: Math.max(...lats),
+			min_lon: Math.min(...lons), max_lon: Math.max(...lons)
+		};
+	}
+
+	// ray casting, the ray goes east from the point
+	static #pointInRing(coords, lat, lon) {
+		let inside = false;
+		for (let i = 0, j = coords.length - 2; i < coords.length; j = i, i += 2) {
+			const lat_i = coords[i], lon_i = coords[i + 1];
+			const lat_j = coords[j], lon_j = coords[j + 1];
+			if ((lat_i > lat) !== (lat_j > lat) && lon < (lon_j - lon_i) * (lat - lat_i) / (lat_j - lat_i) + lon_i) {
+				inside = !inside;
+			}
+		}
+		return inside;
+	}
+
+	#isDstPeriod(date, dst_rule, sdt_mins = 0, dst_mins = 0) {
+		debugLog(3, `isDstPeriod called with date: ${date.toISOString()} and dst_rule: ${dst_rule}`);
+
+		if (dst_rule === "00") {
+			debugLog(3, "No DST rule, returning false");
+			return false; // no DST
+		}
+
+		if (dst_rule === "FF") {
+			debugLog(3, "DST for the whole era, returning true");
+			return true; // fixed DST period
+		}
+
+		// the rule year is the local (standard time) year, not the UTC one
+		const year = new Date(date.getTime() + sdt_mins * 60000).getUTCFullYear();
+		const { start, end } = this.#getDstBounds(year, dst_rule, sdt_mins, dst_mins);
+		debugLog(3, `DST start: ${start.toISOString()}, DST end: ${end.toISOString()}`);
+
+		// compare the actual instant, not the device-local wall clock
+		const utc_date = new Date(date.getTime());
+		debugLog(3, `UTC Date: ${utc_date.toISOString()}`);
+
+		// check if the date is within the DST period
+		let result;
+		if (start <= end) {
+			result = utc_date >= start && utc_date < end;
+			debugLog(3, `Normal hemisphere case: ${result}`);
+		} else {
+			// handle southern hemisphere case
+			result = utc_date >= start || utc_date < end;
+			debugLog(3, `Southern hemisphere case: ${result}`);
+		}
+
+		debugLog(3, `Final DST result: ${result}`);
+
+		return result;
+	}
+
+	#getDstBounds(year, dst_rule, sdt_mins, dst_mins) {
+		const cache = `${year}_${dst_rule}_${sdt_mins}_${dst_mins}`;
+		if (this.#dst_cache.has(cache)) {
+			return this.#dst_cache.get(cache);
+		}
+
+		const { start, end } = this.#parseDstRule(dst_rule);
+		debugLog(3, `Year: ${year}, Rule: ${dst_rule}`);
+
+		// find start/end dates
+		const start_day = this.#getRuleDay(year, start.month, start.on);
+		const end_day = this.#getRuleDay(year, end.month, end.on);
+		debugLog(3, `Start: ${start.month}/${start_day}, End: ${end.month}/${end_day}`);
+
+		const result = {
+			// the wall clock before DST starts shows standard time, before it ends - daylight time
+			start: this.#getTransitionInstant(year, start.month, start_day, start.at, sdt_mins, sdt_mins),
+			end: this.#getTransitionInstant(year, end.month, end_day, end.at, sdt_mins, dst_mins)
+		};
+		this.#dst_cache.set(cache, result);
+
+		return result;
+	}
+
+	#getEraOffsets(era) {
+		const sdt_mins = this.#str2offset(era.utc_sdt);
+		const has_rule = era.dst_rule !== "00" && era.dst_rule !== "FF";
+		const save_mins = has_rule ? this.#parseDstRule(era.dst_rule).save_mins : null;
+
+		// an explicit DST save amount of the rule wins over the utc_dst column
+		return {
+			sdt_mins,
+			dst_mins: save_mins === null ? this.#str2offset(era.utc_dst) : sdt_mins + save_mins
+		};
+	}
+
+	#parseDstRule(dst_rule) {
+		if (this.#rule_cache.has(dst_rule)) {
+			return this.#rule_cache.get(dst_rule);
+		}
+
+		const result = dst_rule.startsWith(this.#RULE_V2_PREFIX)
+			? this.#parseRuleV2(dst_rule)
+			: this.#parseHexRule(dst_rule);
+		debugLog(3, `Parsed DST rule ${dst_rule}: ${JSON.stringify(result)}`);
+
+		this.#rule_cache.set(dst_rule, result);
+
+		return result;
+	}
+
+	#parseHexRule(dst_rule) {
+		// "1B23@2:00" -> hex rule + optional transition time(s), see "DST rule" notes below
+		const [code, transition_at] = dst_rule.split('@');
+		if (!/^[0-9A-F]{1,4}$/i.test(code)) {
+			throw new Error(`Invalid DST rule: ${dst_rule}`);
+		}
+		const rule = parseInt(code, 16);
+
+		// legacy rules without a transition time switch at 2 AM UTC
+		const [start_at, end_at = start_at] = transition_at === undefined ? ['2:00u'] : transition_at.split('/');
+
+		// nth (0 -> last) Sunday of the month
+		return {
+			start: {
+				month: rule & 0x0F,
+				on: { weekday: 0, n: (rule >> 4) & 0x07 },
+				at: this.#parseTransitionTime(start_at)
+			},
+			end: {
+				month: (rule >> 8) & 0x0F,
+				on: { weekday: 0, n: (rule >> 12) & 0x07 },
+				at: this.#parseTransitionTime(end_at)
+			},
+			save_mins: null
+		};
+	}
+
+	#parseRuleV2(dst_rule) {
+		// "2|3.Fri>=23@2:00|10.lastSun@2:00" -> version|start|end[|save], see "DST rule" notes below
+		const [, start, end, save] = dst_rule.split('|');
+		if (!start || !end) {
+			throw new Error(`Invalid DST rule: ${dst_rule}`);
+		}
+
+		let save_mins = null;
+		if (save !== undefined) {
+			const { mins, reference } = this.#parseTransitionTime(save);
+			if (reference !== 'w') {
+				throw new Error(`Invalid DST rule: ${dst_rule}`);
+			}
+			save_mins = mins;
+		}
+
+		return {
+			start: this.#parseRuleTransition(start, dst_rule),
+			end: this.#parseRuleTransition(end, dst_rule),
+			save_mins
+		};
+	}
+
+	#parseRuleTransition(transition, dst_rule) {
+		// "<month>.<day>[@<time>]", day: 21 | lastSun | Sun>=8 | Sun<=25
+		const match = transition.match(/^(\d{1,2})\.(\d{1,2}|last[A-Za-z]{3}|[A-Za-z]{3}[<>]=\d{1,2})(?:@(.+))?$/);
+		const month = match ? parseInt(match[1], 10) : 0;
+		if (month < 1 || month > 12) {
+			throw new Error(`Invalid DST rule: ${dst_rule}`);
+		}
+
+		const day = match[2];
+		let on;
+		if (/^\d+$/.test(day)) {
+			on = { day: parseInt(day, 10) };
+		} else if (day.startsWith('last')) {
+			on = { weekday: this.#WEEKDAYS.indexOf(day.slice(4)), n: 0 };
+		} else {
+			on = {
+				weekday: this.#WEEKDAYS.indexOf(day.slice(0, 3)),
+				day: parseInt(day.slice(5), 10),
+				dir: day[3] === '>' ? 1 : -1
+			};
+		}
+
+		if (on.weekday === -1) {
+			throw new Error(`Invalid DST rule: ${dst_rule}`);
+		}
+
+		return { month, on, at: this.#parseTransitionTime(match[3] || '2:00') };
+	}
+
+	#parseTransitionTime(transition_at) {
+		// "2:00" wall clock (default), "2:00s" standard time, "1:00u" UTC
+		const match = transition_at.match(/^(-?)(\d{1,2})(?::(\d{2}))?([wsu]?)$/);
+		if (!match) {
+			throw new Error(`Invalid DST transition time: ${transition_at}`);
+		}
+
+		return {
+			mins: (parseInt(match[2], 10) * 60 + (parseInt(match[3], 10) || 0)) * (match[1] ? -1 : 1),
+			reference: match[4] || 'w'
+		};
+	}
+
+	#getRuleDay(year, month, on) {
+		if (on.weekday === undefined) {
+			return on.day; // fixed date
+		}
+
+		if (on.dir === undefined) {
+			return this.#nthWeekdayOfMonth(year, month, on.weekday, on.n);
+		}
+
+		// first weekday on or after (dir 1) / last on or before (dir -1) the given day
+		const day = new Date(Date.UTC(year, month - 1, on.day)).getUTCDay();
+		const diff = on.dir > 0 ? (on.weekday - day + 7) % 7 : -((day - on.weekday + 7) % 7);
+
+		return on.day + diff; // may roll into the next/previous month, Date.UTC handles it
+	}
+
+	#getTransitionInstant(year, month, day, at, sdt_mins, wall_mins) {
+		const ref_offset = at.reference === 'u' ? 0 : at.reference === 's' ? sdt_mins : wall_mins;
+
+		return new Date(Date.UTC(year, month - 1, day) + (at.mins - ref_offset) * 60000);
+	}
+
+	#nthWeekdayOfMonth(year, month, weekday, n) {
+		debugLog(3, `nthWeekdayOfMonth called with year: ${year}, month: ${month}, weekday: ${weekday}, n: ${n}`);
+
+		const cache = `${year}_${month}_${weekday}_${n}`;
+		if (this.#nth_week_cache.has(cache)) {
+			return this.#nth_week_cache.get(cache);
+		}
+
+		const date = new Date(Date.UTC(year, month - 1, 1));
+		const day = date.getUTCDay();
+
+		if (n === 0) {
+			// last weekday of the month
+			const last_day = new Date(Date.UTC(year, month, 0));
+			const diff = (last_day.getUTCDay() - weekday + 7) % 7;
+			date.setUTCDate(last_day.getUTCDate() - diff);
+		} else {
+			const diff = weekday - day;
+			date.setUTCDate(1 + diff + (diff < 0 ? 7 : 0) + (n - 1) * 7);
+		}
+
+		debugLog(3, `Calculated date: ${date.toISOString()}`);
+
+		if (date.getUTCMonth() !== month - 1) {
+			date.setUTCDate(date.getUTCDate() - 7);
+			debugLog(3, `Adjusted date (moved back a week): ${date.toISOString()}`);
+		}
+
+		const result = date.getUTCDate();
+		debugLog(3, `Returning day of month: ${date.getUTCDate()}`);
+
+		this.#nth_week_cache.set(cache, result);
+
+		return result;
+	}
+
+	#offset2str(tz_offset) {
+		const ttl_mins = Math.abs(tz_offset);
+		const h = Math.floor(ttl_mins / 60);
+		const m = ttl_mins % 60;
+		const sign = tz_offset >= 0 ? '+' : '-';
+
+		return `${sign}${pad(h, 2)}:${pad(m, 2)}`;
+	}
+
+	#applyOffsetToDate(date, offset_mins) {
+		const utc_time = date.getTime() + date.getTimezoneOffset() * 60000;
+		return new Date(utc_time + offset_mins * 60000);
+	}
+
+	#formatDateWithOffset(date, offset_mins) {
+		const sign = offset_mins >= 0 ? '+' : '-';
+		const abs_offset = Math.abs(offset_mins);
+		const h = Math.floor(abs_offset / 60).toString().padStart(2, '0');
+		const m = (abs_offset % 60).toString().padStart(2, '0');
+		return `${date.toISOString().slice(0, 19)}${sign}${h}:${m}`;
+	}
+
+	#getLocaleData() {
+		const entry = Timezones.#locales.get(this.#locale);
+		if (!entry) {
+			return Timezones.#DEFAULT_LOCALE;
+		}
+
+		if (entry.data === null) {
+			entry.data = { ...Timezones.#DEFAULT_LOCALE, ...entry.loader() };
+			debugLog(3, `Locale pack loaded: ${this.#locale}`);
+		}
+
+		return entry.data;
+	}
+
+	#getDurationParts(abs_ms, units, max_units, rounding, show_zero) {
+		const sorted = Object.keys(Timezones.#DURATION_MS).filter(u => units.includes(u));
+		if (sorted.length !== units.length) {
+			throw new Error(`Unknown duration unit in: ${units.join(', ')}`);
+		}
+		if (!['floor', 'round', 'ceil'].includes(rounding)) {
+			throw new Error(`Unknown rounding mode: ${rounding}`);
+		}
+
+		// the shown units start at the largest non-zero one (or the smallest unit for tiny durations)
+		const pick = (ms) => {
+			const largest = sorted.findIndex(u => ms >= Timezones.#DURATION_MS[u]);
+			const first = show_zero ? 0 : (largest === -1 ? sorted.length - 1 : largest);
+			return sorted.slice(first, first + max_units);
+		};
+
+		let shown = pick(abs_ms);
+		const step = Timezones.#DURATION_MS[shown[shown.length - 1]];
+		let rest = Math[rounding](abs_ms / step) * step;
+		shown = pick(rest); // rounding can carry into a larger unit: 59.7 minutes -> 1 hour
+
+		const parts = shown.map(unit => {
+			const value = Math.floor(rest / Timezones.#DURATION_MS[unit]);
+			rest -= value * Timezones.#DURATION_MS[unit];
+			return { unit, value };
+		});
+
+		if (show_zero) {
+			return parts;
+		}
+
+		const non_zero = parts.filter(p => p.value > 0);
+		return non_zero.length > 0 ? non_zero : [parts[parts.length - 1]];
+	}
+
+	#pluralize(forms, value) {
+		const { plural } = this.#getLocaleData();
+		return (forms[plural(value)] ?? forms.other).replace('{0}', value);
+	}
+
+	#joinList(parts, list) {
+		if (parts.length < 2) {
+			return parts.join('');
+		}
+		if (parts.length === 2) {
+			return parts[0] + list.pair + parts[1];
+		}
+
+		// "1 day, 2 hours, 3 minutes, and 4 seconds"
+		return parts.slice(0, -1).join(list.sep) + list.last + parts[parts.length - 1];
+	}
+
+	#getDateFields(date) {
+		const { offset_mins, offset_str, tz_abbr } = this.getOffsetInfo(date);
+		const wall = new Date(date.getTime() + offset_mins * 60000);
+		const year = wall.getUTCFullYear();
+		const month = wall.getUTCMonth();
+		const day = wall.getUTCDate();
+		const weekday = wall.getUTCDay();
+		const midnight = Date.UTC(year, month, day);
+
+		// ISO 8601 week: the week (Monday first) that holds the Thursday belongs to its year
+		const thursday = midnight + (3 - (weekday + 6) % 7) * 86400000;
+		const iso_year = new Date(thursday).getUTCFullYear();
+
+		return {
+			year, month, day, weekday,
+			hours: wall.getUTCHours(),
+			minutes: wall.getUTCMinutes(),
+			seconds: wall.getUTCSeconds(),
+			ms: wall.getUTCMilliseconds(),
+			day_of_year: Math.floor((midnight - Date.UTC(year, 0, 1)) / 86400000) + 1,
+			iso_year,
+			iso_week: Math.floor((thursday - Date.UTC(iso_year, 0, 1)) / (7 * 86400000)) + 1,
+			offset_mins, offset_str, tz_abbr,
+			tz_id: this.getLocation(),
+			epoch: date.getTime()
+		};
+	}
+
+	#formatStrftime(pattern, f) {
+		const names = this.#getLocaleData();
+		const hours12 = f.hours % 12 || 12;
+
+		return pattern.replace(/%(-?)(:z|[A-Za-z%])/g, (token, no_pad, spec) => {
+			const num = (value, len, fill = '0') => no_pad ? String(value) : String(value).padStart(len, fill);
+			switch (spec) {
+				case 'Y': return String(f.year);
+				case 'y': return num(f.year % 100, 2);
+				case 'C': return num(Math.floor(f.year / 100), 2);
+				case 'G': return String(f.iso_year);
+				case 'g': return num(f.iso_year % 100, 2);
+				case 'm': return num(f.month + 1, 2);
+				case 'B': return names.months[f.month];
+				case 'b': case 'h': return names.months_short[f.month];
+				case 'd': return num(f.day, 2);
+				case 'e': return num(f.day, 2, ' ');
+				case 'o': return names.ordinal(f.day);
+				case 'j': return num(f.day_of_year, 3);
+				case 'A': return names.weekdays[f.weekday];
+				case 'a': return names.weekdays_short[f.weekday];
+				case 'u': return String(f.weekday || 7);
+				case 'w': return String(f.weekday);
+				case 'V': return num(f.iso_week, 2);
+				case 'H': return num(f.hours, 2);
+				case 'k': return num(f.hours, 2, ' ');
+				case 'I': return num(hours12, 2);
+				case 'l': return num(hours12, 2, ' ');
+				case 'M': return num(f.minutes, 2);
+				case 'S': return num(f.seconds, 2);
+				case 'L': return num(f.ms, 3);
+				case 'p': return names.meridiem[f.hours < 12 ? 0 : 1];
+				case 'P': return names.meridiem[f.hours < 12 ? 0 : 1].toLowerCase();
+				case 'Z': return f.tz_abbr;
+				case 'z': return f.offset_str.replace(':', '');
+				case ':z': return f.offset_str;
+				case 's': return String(Math.floor(f.epoch / 1000));
+				case 'F': return this.#formatStrftime('%Y-%m-%d', f);
+				case 'D': return this.#formatStrftime('%m/%d/%y', f);
+				case 'T': return this.#formatStrftime('%H:%M:%S', f);
+				case 'R': return this.#formatStrftime('%H:%M', f);
+				case 'r': return this.#formatStrftime('%I:%M:%S %p', f);
+				case 'c': return this.#formatStrftime('%a %b %e %H:%M:%S %Y', f);
+				case 'n': return '\n';
+				case 't': return '\t';
+				case '%': return '%';
+				default: return token; // unknown -> keep as is
+			}
+		});
+	}
+
+	#formatIcu(pattern, f) {
+		const names = this.#getLocaleData();
+		const hours12 = f.hours % 12 || 12;
+		const num = (value, len) => String(value).padStart(len, '0');
+		const offset = (with_colon, len) => {
+			const [h, m] = f.offset_str.split(':');
+			return len === 1 && m === '00' ? h : with_colon ? `${h}:${m}` : h + m;
+		};
+
+		return pattern.replace(/'((?:[^']|'')*)'|do|([A-Za-z])\2*/g, (token, quoted) => {
+			if (quoted !== undefined) {
+				return quoted === '' ? "'" : quoted.replace(/''/g, "'"); // '' -> literal quote
+			}
+
+			const len = token.length;
+			switch (token === 'do' ? 'do' : token[0]) {
+				case 'y': return len === 2 ? num(f.year % 100, 2) : num(f.year, len);
+				case 'Y': return len === 2 ? num(f.iso_year % 100, 2) : num(f.iso_year, len);
+				case 'M': case 'L': {
+					// L -> standalone form ("март" instead of "марта")
+					const months = token[0] === 'L' ? names.months_standalone : names.months;
+					return len >= 5 ? months[f.month][0]
+						: len === 4 ? months[f.month]
+						: len === 3 ? names.months_short[f.month]
+						: num(f.month + 1, len);
+				}
+				case 'd': return num(f.day, len);
+				case 'do': return names.ordinal(f.day);
+				case 'D': return num(f.day_of_year, len);
+				case 'E':
+					return len >= 5 ? names.weekdays[f.weekday][0]
+						: len === 4 ? names.weekdays[f.weekday]
+						: names.weekdays_short[f.weekday];
+				case 'e': return num((f.weekday + 6) % 7 + 1, len);
+				case 'Q':
+					return len >= 3 ? `Q${Math.floor(f.month / 3) + 1}` : num(Math.floor(f.month / 3) + 1, len);
+				case 'a': return names.meridiem[f.hours < 12 ? 0 : 1];
+				case 'h': return num(hours12, len);
+				case 'H': return num(f.hours, len);
+				case 'k': return num(f.hours || 24, len);
+				case 'K': return num(f.hours % 12, len);
+				case 'm': return num(f.minutes, len);
+				case 's': return num(f.seconds, len);
+				case 'S': return num(f.ms, 3).slice(0, len).padEnd(len, '0');
+				case 'w': return num(f.iso_week, len);
+				// like ICU: zone names without a localized name fall back to the GMT offset, cities to the exemplar city of the id
+				case 'z': return len >= 4 ? names.zone_names[f.tz_id] ?? (f.offset_mins === 0 ? 'GMT' : `GMT${offset(true)}`) : f.tz_abbr;
+				case 'V': return len >= 4 ? names.zones[f.tz_id] ?? f.tz_id.split('/').pop().replace(/_/g, ' ') : f.tz_id;
+				case 'Z': return len === 5 ? (f.offset_mins === 0 ? 'Z' : offset(true)) : len === 4 ? `GMT${offset(true)}` : offset(false);
+				case 'X': return f.offset_mins === 0 ? 'Z' : offset(len >= 3, len);
+				case 'x': return offset(len >= 3, len);
+				case 'O': return f.offset_mins === 0 ? 'GMT' : len >= 4 ? `GMT${offset(true)}` : `GMT${offset(true, 1).replace(/^([+-])0/, '$1').replace(':00', '')}`;
+				default: return token; // not a known field -> literal
+			}
+		});
+	}
+
+	#str2offset(offset_str) {
+		if (this.#offset_cache.has(offset_str)) {
+			return this.#offset_cache.get(offset_str);
+		}
+
+		let parts;
+		if (offset_str.includes(':')) {
+			parts = offset_str.split(':');
+		} else {
+			parts = [offset_str, '00'];
+		}
+		const h = parseInt(parts[0].replace(/[+-]/, ''), 10);
+		const m = parseInt(parts[1], 10) || 0;
+		const ttl_offset = h * 60 + m;
+
+		const result = offset_str.startsWith('-') ? -ttl_offset : ttl_offset
+
+		this.#offset_cache.set(offset_str, result);
+
+		return result;
+	}
+}
+
+/**
+ * A Date bound to a timezone. Holds the true instant (getTime(), valueOf() and all getUTC* methods
+ * behave like a native Date) while the local getters/setters work with the wall time of the zone.
+ * DST is re-resolved after every mutation.
+ *
+ * @class
+ * @extends Date
+ */
+export class ZonedDateTime extends Date {
+	#zone = null;
+	#state = null;
+	#state_time = NaN;
+	#state_zone = null;
+
+	static #UNIT_MS = { week: 604800000, day: 86400000, hour: 3600000, minute: 60000, second: 1000, millisecond: 1 };
+
+	/**
+	 * Creates a ZonedDateTime.
+	 *
+	 * @constructor
+	 * @param {Date|number|null} [date=null] - The instant (Date or epoch milliseconds), defaults to the current date of the zone's clock.
+	 * @param {Timezones|string|number} [zone=null] - A Timezones instance or anything its constructor accepts.
+	 * @example
+	 * const zdt = new ZonedDateTime(new Date('2025-03-09T12:00:00Z'), "America/New_York");
+	 * console.log(zdt.getHours()); // output: 8
+	 * console.log(zdt instanceof Date); // output: true
+	 */
+	constructor(date = null, zone = null) {
+		const tz = zone instanceof Timezones ? zone : new Timezones(zone);
+		super(date === null ? tz.getCurrentDate().getTime() : date instanceof Date ? date.getTime() : date);
+		this.#zone = tz;
+	}
+
+	/** @returns {Timezones} The timezone this date is bound to */
+	getZone() {
+		return this.#zone;
+	}
+
+	/** @returns {string} The IANA timezone identifier, e.g. "America/New_York" */
+	getTimezoneId() {
+		return this.#zone.getLocation();
+	}
+
+	/** @returns {string} The timezone abbreviation in effect at this instant, e.g. "EDT" */
+	getTimezoneAbbr() {
+		return this.#getState().tz_abbr;
+	}
+
+	/** @returns {boolean} True if DST is in effect at this instant */
+	isDst() {
+		return this.#getState().is_dst;
+	}
+
+	/** @returns {number} The full year in the zone (e.g., 2024) */
+	getFullYear() { return this.#getWall().getUTCFullYear(); }
+	/** @returns {number} The month in the zone (0-11) */
+	getMonth() { return this.#getWall().getUTCMonth(); }
+	/** @returns {number} The day of the month in the zone (1-31) */
+	getDate() { return this.#getWall().getUTCDate(); }
+	/** @returns {number} The day of the week in the zone (0-6) */
+	getDay() { return this.#getWall().getUTCDay(); }
+	/** @returns {number} The hour in the zone (0-23) */
+	getHours() { return this.#getWall().getUTCHours(); }
+	/** @returns {number} The minutes in the zone (0-59) */
+	getMinutes() { return this.#getWall().getUTCMinutes(); }
+	/** @returns {number} The seconds in the zone (0-59) */
+	getSeconds() { return this.#getWall().getUTCSeconds(); }
+	/** @returns {number} The milliseconds in the zone (0-999) */
+	getMilliseconds() { return this.#getWall().getUTCMilliseconds(); }
+	/** @returns {number} The zone offset in minutes, same sign convention as Date (UTC - local) */
+	getTimezoneOffset() { return -this.#getState().offset_mins; }
+
+	/** @returns {number} The new time value. Sets the year (and optionally month, day) in the zone */
+	setFullYear(...args) { return this.#setWall('setUTCFullYear', args); }
+	/** @returns {number} The new time value. Sets the month (and optionally day) in the zone */
+	setMonth(...args) { return this.#setWall('setUTCMonth', args); }
+	/** @returns {number} The new time value. Sets the day of the month in the zone */
+	setDate(...args) { return this.#setWall('setUTCDate', args); }
+	/** @returns {number} The new time value. Sets the hours (and optionally minutes, seconds, ms) in the zone */
+	setHours(...args) { return this.#setWall('setUTCHours', args); }
+	/** @returns {number} The new time value. Sets the minutes (and optionally seconds, ms) in the zone */
+	setMinutes(...args) { return this.#setWall('setUTCMinutes', args); }
+	/** @returns {number} The new time value. Sets the seconds (and optionally ms) in the zone */
+	setSeconds(...args) { return this.#setWall('setUTCSeconds', args); }
+	/** @returns {number} The new time value. Sets the milliseconds in the zone */
+	setMilliseconds(...args) { return this.#setWall('setUTCMilliseconds', args); }
+
+	/**
+	 * Returns a new ZonedDateTime moved forward by the given amount.
+	 * Calendar units (years, months, weeks, days) keep the wall clock time across DST changes,
+	 * exact units (hours and below) move the instant. Month ends are clamped (Jan 31 + 1 month -> Feb 28/29).
+	 *
+	 * @param {number} amount - The amount to add (may be negative).
+	 * @param {string} unit - years | months | weeks | days | hours | minutes | seconds | milliseconds (singular works too).
+	 * @returns {ZonedDateTime} A new instance, this one is left untouched.
+	 * @example
+	 * // the alarm stays at 07:00 even though the night before DST starts is only 23 hours long
+	 * const alarm = tz.getDate();
+	 * alarm.setHours(7, 0, 0, 0);
+	 * const next_alarm = alarm.add(1, 'day');
+	 */
+	add(amount, unit) {
+		const result = this.clone();
+		const name = String(unit).replace(/s$/, '');
+
+		if (name === 'year' || name === 'month') {
+			const months = name === 'year' ? amount * 12 : amount;
+			const wall = result.#getWall();
+			const target = wall.getUTCFullYear() * 12 + wall.getUTCMonth() + months;
+			const days_in_month = new Date(Date.UTC(Math.floor(target / 12), target % 12 + 1, 0)).getUTCDate();
+			wall.setUTCFullYear(Math.floor(target / 12), target % 12, Math.min(wall.getUTCDate(), days_in_month));
+			result.setTime(result.#resolveWall(wall.getTime()));
+		} else if (name === 'week' || name === 'day') {
+			const wall = result.#getWall();
+			wall.setUTCDate(wall.getUTCDate() + amount * (name === 'week' ? 7 : 1));
+			result.setTime(result.#resolveWall(wall.getTime()));
+		} else if (ZonedDateTime.#UNIT_MS[name] !== undefined) {
+			result.setTime(result.getTime() + amount * ZonedDateTime.#UNIT_MS[name]);
+		} else {
+			throw new Error(`Invalid unit: ${unit}`);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Returns a new ZonedDateTime moved backward by the given amount. See add().
+	 *
+	 * @param {number} amount - The amount to subtract.
+	 * @param {string} unit - years | months | weeks | days | hours | minutes | seconds | milliseconds.
+	 * @returns {ZonedDateTime} A new instance.
+	 */
+	subtract(amount, unit) {
+		return this.add(-amount, unit);
+	}
+
+	/**
+	 * Compares the instants of two dates.
+	 *
+	 * @param {Date|number} other - A Date, ZonedDateTime or epoch milliseconds.
+	 * @returns {number} -1 if this is earlier, 1 if later, 0 if both are the same instant.
+	 * @example
+	 * dates.sort((a, b) => a.compare(b));
+	 */
+	compare(other) {
+		const diff = this.getTime() - (other instanceof Date ? other.getTime() : other);
+		return diff < 0 ? -1 : diff > 0 ? 1 : 0;
+	}
+
+	/** @param {Date|number} other @returns {boolean} True if this is earlier than other */
+	isBefore(other) { return this.compare(other) < 0; }
+	/** @param {Date|number} other @returns {boolean} True if this is later than other */
+	isAfter(other) { return this.compare(other) > 0; }
+	/** @param {Date|number} other @returns {boolean} True if both are the same instant */
+	equals(other) { return this.compare(other) === 0; }
+
+	/** @returns {ZonedDateTime} A copy bound to the same zone */
+	clone() {
+		return new ZonedDateTime(this.getTime(), this.#zone);
+	}
+
+	/**
+	 * Formats this date in its zone, see Timezones.format() for the pattern tokens.
+	 *
+	 * @param {string} [pattern="yyyy-MM-dd HH:mm:ss"] - strftime or ICU pattern.
+	 * @returns {string} The formatted date.
+	 * @example
+	 * tz.getDate().format('%a %-d %b, %H:%M'); // output: "Sat 1 Mar, 13:05"
+	 */
+	format(pattern) {
+		return this.#zone.format(this, pattern);
+	}
+
+	/** @returns {Date} A native Date with the same instant */
+	toDate() {
+		return new Date(this.getTime());
+	}
+
+	/** @returns {string} ISO 8601 with the zone offset, e.g. "2024-10-10T14:30:00.000-04:00" */
+	toISOString() {
+		const wall = this.#getWall();
+		return `${wall.toISOString().slice(0, 23)}${this.#getState().offset_str}`;
+	}
+
+	/** @returns {string} Same as toISOString() */
+	toJSON() {
+		return this.toISOString();
+	}
+
+	/** @returns {string} e.g. "Tue Nov 26 2024 23:26:24 GMT-05:00 (EST)" */
+	toString() {
+		return `${this.toDateString()} ${this.toTimeString()}`;
+	}
+
+	/** @returns {string} e.g. "Tue Nov 26 2024" */
+	toDateString() {
+		const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+		const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+		const wall = this.#getWall();
+		return `${days[wall.getUTCDay()]} ${months[wall.getUTCMonth()]} ${pad(wall.getUTCDate(), 2)} ${wall.getUTCFullYear()}`;
+	}
+
+	/** @returns {string} e.g. "23:26:24 GMT-05:00 (EST)" */
+	toTimeString() {
+		const wall = this.#getWall();
+		const { offset_str, tz_abbr } = this.#getState();
+		return `${pad(wall.getUTCHours(), 2)}:${pad(wall.getUTCMinutes(), 2)}:${pad(wall.getUTCSeconds(), 2)} GMT${offset_str} (${tz_abbr})`;
+	}
+
+	/** @returns {string} Same as toString(), ZeppOS has no locale data */
+	toLocaleString() {
+		return this.toString();
+	}
+
+	#getState() {
+		const time = this.getTime();
+		const zone_id = this.#zone.getLocation(); // the zone can be switched in place (setTimezone)
+		if (this.#state === null || this.#state_time !== time || this.#state_zone !== zone_id) {
+			this.#state = this.#zone.getOffsetInfo(new Date(time));
+			this.#state_time = time;
+			this.#state_zone = zone_id;
+		}
+		return this.#state;
+	}
+
+	#getWall() {
+		return new Date(this.getTime() + this.#getState().offset_mins * 60000);
+	}
+
+	#setWall(setter, args) {
+		const wall = this.#getWall();
+		Date.prototype[setter].apply(wall, args);
+		return this.setTime(this.#resolveWall(wall.getTime()));
+	}
+
+	#resolveWall(wall_ms) {
+		if (isNaN(wall_ms)) {
+			return NaN;
+		}
+
+		// gap -> pushed forward by the DST save (02:30 -> 03:30), overlap -> the earlier instant (like Date)
+		const wall = new Date(wall_ms);
+		const resolved = this.#zone.fromLocal(wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate(),
+			wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+
+		return resolved.getTime() + wall.getUTCMilliseconds();
+	}
+}
+
+/**
+ * Follows the timezone of a moving device from a stream of GPS fixes and keeps a Timezones instance up to date.
+ * A new zone is only taken after it was seen in `confirmations` fixes in a row and for at least `min_dwell_ms`,
+ * so a track running along a border doesn't flap between two zones.
+ *
+ * @class
+ * @example
+ * const tz = new Timezones("Europe/Berlin");
+ * const tracker = new ZoneTracker(tz, { confirmations: 3 });
+ * tracker.on("zonechange", (e) => console.log(`${e.old_zone} -> ${e.new_zone}`, e.new_offset));
+ * // feed live fixes: tracker.update(lat, lon) or a recorded track:
+ * tracker.replay([[52.52, 13.40, "2025-06-01T10:00:00Z"], [48.86, 2.35, "2025-06-01T12:00:00Z"], ...]);
+ */
+export class ZoneTracker {
+	#tz = null;
+	#confirmations = 3;
+	#min_dwell_ms = 0;
+	#lookup = {};
+	#listeners = new Map();
+	#candidate = null;
+	#candidate_count = 0;
+	#candidate_since = null;
+
+	/**
+	 * @param {Timezones} [tz=new Timezones()] - The instance to update in place, defaults to the device timezone.
+	 * @param {Object} [options={}] - Tracking options.
+	 * @param {number} [options.confirmations=3] - Fixes in a row that must agree on a new zone before it is taken.
+	 * @param {number} [options.min_dwell_ms=0] - Time (between fix timestamps) a new zone must last before it is taken.
+	 * @param {Object} [options.lookup={}] - Options for getApproxLocationInfo(), e.g. { nautical: true }.
+	 */
+	constructor(tz = new Timezones(), { confirmations = 3, min_dwell_ms = 0, lookup = {} } = {}) {
+		this.#tz = tz;
+		this.#confirmations = Math.max(1, confirmations);
+		this.#min_dwell_ms = min_dwell_ms;
+		this.#lookup = lookup;
+	}
+
+	/**
+	 * Adds a listener. Events: "zonechange" with { old_zone, new_zone, old_offset, new_offset, time, lat, lon, method },
+	 * offsets in minutes at the time of the fix.
+	 *
+	 * @param {string} event - The event name.
+	 * @param {Function} callback - The listener.
+	 * @returns {ZoneTracker} This tracker, for chaining.
+	 */
+	on(event, callback) {
+		if (!this.#listeners.has(event)) {
+			this.#listeners.set(event, []);
+		}
+		this.#listeners.get(event).push(callback);
+		return this;
+	}
+
+	/**
+	 * Removes a listener added with on().
+	 *
+	 * @param {string} event - The event name.
+	 * @param {Function} callback - The listener.
+	 * @returns {ZoneTracker} This tracker, for chaining.
+	 */
+	off(event, callback) {
+		const callbacks = this.#listeners.get(event);
+		if (callbacks) {
+			this.#listeners.set(event, callbacks.filter(cb => cb !== callback));
+		}
+		return this;
+	}
+
+	/**
+	 * Processes a GPS fix.
+	 *
+	 * @param {number} latitude - The latitude in decimal degrees.
+	 * @param {number} longitude - The longitude in decimal degrees.
+	 * @param {Date} [time=tz.getCurrentDate()] - When the fix was taken, defaults to the clock of the tracked instance.
+	 * @returns {string} The tracked zone after this fix.
+	 */
+	update(latitude, longitude, time = this.#tz.getCurrentDate()) {
+		const current = this.#tz.getLocation();
+		const { tz_id, method } = this.#tz.getApproxLocationInfo(latitude, longitude, this.#lookup);
+
+		if (tz_id === current) {
+			this.#candidate = null; // back in the tracked zone, a pending switch is dropped
+			return current;
+		}
+
+		if (tz_id !== this.#candidate) {
+			this.#candidate = tz_id;
+			this.#candidate_count = 0;
+			this.#candidate_since = time;
+		}
+		this.#candidate_count++;
+
+		if (this.#candidate_count < this.#confirmations || time - this.#candidate_since < this.#min_dwell_ms) {
+			return current;
+		}
+
+		const old_offset = this.#tz.getOffsetInfo(time).offset_mins;
+		this.#tz.setTimezone(tz_id);
+		this.#candidate = null;
+		debugLog(3, `Zone changed: ${current} -> ${tz_id} (${method})`);
+
+		this.#emit("zonechange", {
+			old_zone: current,
+			new_zone: tz_id,
+			old_offset,
+			new_offset: this.#tz.getOffsetInfo(time).offset_mins,
+			time,
+			lat: latitude,
+			lon: longitude,
+			method
+		});
+
+		return tz_id;
+	}
+
+	/**
+	 * Feeds a recorded track, fix by fix. Useful for tests without a real sensor.
+	 *
+	 * @param {Array<Array|Object>} track - Fixes as [lat, lon, time] or { lat, lon, time }, time as Date, ISO string or epoch ms.
+	 * @returns {string} The tracked zone after the last fix.
+	 */
+	replay(track) {
+		let zone = this.#tz.getLocation();
+		for (const fix of track) {
+			const [lat, lon, time] = Array.isArray(fix) ? fix : [fix.lat, fix.lon, fix.time];
+			zone = this.update(lat, lon, time === undefined ? this.#tz.getCurrentDate() : new Date(time));
+		}
+		return zone;
+	}
+
+	/**
+	 * Gets the Timezones instance this tracker updates.
+	 * @returns {Timezones} The tracked instance.
+	 */
+	getTimezones() {
+		return this.#tz;
+	}
+
+	#emit(event, payload) {
+		for (const callback of this.#listeners.get(event) ?? []) {
+			callback(payload);
+		}
+	}
+}
+
+/**
+ * An ordered set of timezones for world clock apps. All zones are computed from one instant in a single
+ * pass with one shared Timezones instance (one set of caches), compared against a local zone.
+ *
+ * @class
+ * @example
+ * const clock = new WorldClock(["America/New_York", "Asia/Tokyo", "IST"], { local: "Europe/Berlin" });
+ * clock.sortByOffset();
+ * for (const t of clock.getTimes()) console.log(`${t.name} ${t.time} ${t.day_label}`);
+ * // output: "New York 08:41 ", "Jerusalem 15:41 ", "Tokyo 22:41 " (14:41 in Berlin, winter)
+ */
+export class WorldClock {
+	#tz = null;
+	#local = null; // tz_id, null for the zone of #tz
+	#entries = []; // [{ tz_id, label, name, name_locale }] in display order
+
+	/**
+	 * @param {Array<string|{tz_id: string, label?: string}>} [zones=[]] - The zones, anything add() accepts.
+	 * @param {Object} [options={}] - Clock options.
+	 * @param {string|null} [options.local=null] - The zone the others are compared to, defaults to the zone of options.tz.
+	 * @param {Timezones} [options.tz=new Timezones()] - The shared instance: device timezone, locale and abbreviation preference.
+	 * @throws {UnknownTimeZoneError} If a zone is unknown.
+	 */
+	constructor(zones = [], { local = null, tz = new Timezones() } = {}) {
+		this.#tz = tz;
+		this.setLocal(local);
+		for (const zone of zones) {
+			if (typeof zone === 'string') {
+				this.add(zone);
+			} else {
+				this.add(zone.tz_id, zone.label);
+			}
+		}
+	}
+
+	/**
+	 * Adds a zone at the end. Zones already in the clock are not added twice.
+	 *
+	 * @param {string} zone - Zone id, alias ("Asia/Calcutta"), country code ("JP") or abbreviation ("IST").
+	 * @param {string|null} [label=null] - A custom name ("Office"), defaults to the localized city name.
+	 * @returns {WorldClock} This clock, for chaining.
+	 * @throws {UnknownTimeZoneError} If the zone is unknown, typos carry a suggestion.
+	 */
+	add(zone, label = null) {
+		const tz_id = this.#resolve(zone);
+		if (!this.has(tz_id)) {
+			this.#entries.push({ tz_id, label, name: null, name_locale: null });
+		}
+		return this;
+	}
+
+	/**
+	 * Removes a zone.
+	 *
+	 * @param {string} zone - The zone, as for add().
+	 * @returns {boolean} True if the zone was in the clock.
+	 */
+	remove(zone) {
+		const index = this.#indexOf(zone);
+		if (index >= 0) {
+			this.#entries.splice(index, 1);
+		}
+		return index >= 0;
+	}
+
+	/**
+	 * Moves a zone to another position, e.g. after drag and drop.
+	 *
+	 * @param {string} zone - The zone, as for add().
+	 * @param {number} index - The new position, clamped to the list.
+	 * @returns {WorldClock} This clock, for chaining.
+	 */
+	move(zone, index) {
+		const from = this.#indexOf(zone);
+		if (from >= 0) {
+			const [entry] = this.#entries.splice(from, 1);
+			this.#entries.splice(Math.max(0, Math.min(index, this.#entries.length)), 0, entry);
+		}
+		return this;
+	}
+
+	/**
+	 * @param {string} zone - The zone, as for add().
+	 * @returns {boolean} True if the zone is in the clock.
+	 */
+	has(zone) {
+		return this.#indexOf(zone) >= 0;
+	}
+
+	/** @returns {number} The number of zones. */
+	get size() {
+		return this.#entries.length;
+	}
+
+	/**
+	 * Lists the zones in display order.
+	 * @returns {Array<{tz_id: string, label: string|null}>} The zones and their custom labels.
+	 */
+	getZones() {
+		return this.#entries.map(({ tz_id, label }) => ({ tz_id, label }));
+	}
+
+	/**
+	 * Sets the zone the others are compared to.
+	 *
+	 * @param {string|null} zone - The zone, as for add(), or null for the zone of the shared instance.
+	 * @returns {WorldClock} This clock, for chaining.
+	 */
+	setLocal(zone) {
+		this.#local = zone === null ? null : this.#resolve(zone);
+		return this;
+	}
+
+	/**
+	 * Orders the zones from west to east by their offset at an instant, zones with the same offset by name.
+	 *
+	 * @param {Date} [date=tz.getCurrentDate()] - The instant, offsets change with DST.
+	 * @returns {WorldClock} This clock, for chaining.
+	 */
+	sortByOffset(date = this.#tz.getCurrentDate()) {
+		const offsets = new Map(this.#entries.map(entry => [entry.tz_id, this.#tz.getOffsetInfo(date, entry.tz_id).offset_mins]));
+		this.#entries.sort((a, b) => offsets.get(a.tz_id) - offsets.get(b.tz_id) || this.#getName(a).localeCompare(this.#getName(b)));
+		return this;
+	}
+
+	/**
+	 * Computes the wall time of every zone at one instant.
+	 *
+	 * @param {Date} [date=tz.getCurrentDate()] - The instant, defaults to the clock of the shared instance.
+	 * @param {Object} [options={}] - Output options.
+	 * @param {string} [options.day_labels="words"] - "words" ("tomorrow", "yesterday", localized) or "offset" ("+1 day", "-1 day").
+	 *        Zones on the same day as the local zone get an empty label.
+	 * @returns {Array<Object>} One entry per zone in display order: { tz_id, name, label, year, month (1-12), day, weekday (0 = Sunday),
+	 *          hours, minutes, seconds, time ("HH:mm"), offset_mins, offset_str, tz_abbr, is_dst, diff_mins (to local),
+	 *          day_diff (calendar days to local), day_label, same_as_local (same wall clock as local) }.
+	 * @example
+	 * const clock = new WorldClock(["Asia/Tokyo", "America/Los_Angeles"], { local: "Europe/London" });
+	 * clock.getTimes(new Date("2025-03-01T23:30:00Z")).map(t => `${t.name} ${t.time} ${t.day_label}`);
+	 * // output: [ "Tokyo 08:30 tomorrow", "Los Angeles 15:30 " ]
+	 */
+	getTimes(date = this.#tz.getCurrentDate(), { day_labels = "words" } = {}) {
+		const time = date.getTime();
+		const local = this.#tz.getOffsetInfo(date, this.#local).offset_mins;
+		const local_day = Math.floor((time + local * 60000) / 86400000);
+
+		return this.#entries.map(entry => {
+			const { offset_mins, offset_str, tz_abbr, is_dst } = this.#tz.getOffsetInfo(date, entry.tz_id);
+			const wall = new Date(time + offset_mins * 60000);
+			const day_diff = Math.floor(wall.getTime() / 86400000) - local_day;
+
+			return {
+				tz_id: entry.tz_id,
+				name: entry.label ?? this.#getName(entry),
+				label: entry.label,
+				year: wall.getUTCFullYear(),
+				month: wall.getUTCMonth() + 1,
+				day: wall.getUTCDate(),
+				weekday: wall.getUTCDay(),
+				hours: wall.getUTCHours(),
+				minutes: wall.getUTCMinutes(),
+				seconds: wall.getUTCSeconds(),
+				time: `${pad(wall.getUTCHours(), 2)}:${pad(wall.getUTCMinutes(), 2)}`,
+				offset_mins,
+				offset_str,
+				tz_abbr,
+				is_dst,
+				diff_mins: offset_mins - local,
+				day_diff,
+				day_label: this.#getDayLabel(day_diff, day_labels),
+				same_as_local: offset_mins === local
+			};
+		});
+	}
+
+	/**
+	 * Serializes the clock, e.g. for the settings storage. JSON.stringify(clock) works too.
+	 * @returns {{local: string|null, zones: Array<{tz_id: string, label: string|null}>}} The zones and the local zone.
+	 */
+	toJSON() {
+		return { local: this.#local, zones: this.getZones() };
+	}
+
+	/**
+	 * Restores a clock saved with toJSON().
+	 *
+	 * @param {string|Object} json - The saved clock, as a JSON string or object.
+	 * @param {Object} [options={}] - The constructor options, options.local overrides the saved local zone.
+	 * @returns {WorldClock} The restored clock.
+	 * @example
+	 * const clock = WorldClock.fromJSON(settings.getItem("world_clock"));
+	 */
+	static fromJSON(json, options = {}) {
+		const { local = null, zones = [] } = typeof json === 'string' ? JSON.parse(json) : json;
+		return new WorldClock(zones, { local, ...options });
+	}
+
+	#resolve(zone) {
+		const match = this.#tz.resolve(zone);
+		if (!match || match.method === 'fuzzy' || match.method === 'offset') {
+			throw new UnknownTimeZoneError(zone, match?.method === 'fuzzy' && match.score >= 0.5 ? match.tz_id : null);
+		}
+		return match.tz_id;
+	}
+
+	#indexOf(zone) {
+		const match = this.#tz.resolve(zone);
+		const exact = match && match.method !== 'fuzzy' && match.method !== 'offset';
+		return exact ? this.#entries.findIndex(entry => entry.tz_id === match.tz_id) : -1;
+	}
+
+	// localized city name, cached until the locale changes
+	#getName(entry) {
+		const locale = this.#tz.getLocale();
+		if (entry.name_locale !== locale) {
+			entry.name = this.#tz.getZoneName(entry.tz_id);
+			entry.name_locale = locale;
+		}
+		return entry.name;
+	}
+
+	#getDayLabel(day_diff, style) {
+		if (day_diff === 0) {
+			return '';
+		}
+		if (style === "offset") {
+			return (day_diff > 0 ? '+' : '-') + this.#tz.formatDuration(Math.abs(day_diff) * 86400000, { units: ['day'] });
+		}
+		return this.#tz.formatRelative(new Date(day_diff * 86400000), { base: new Date(0), unit: 'day', numeric: 'auto' });
+	}
+}
+
+// HELPERS
+// the zone data in use, the bundled database or an update installed with Timezones.InstallDatabase()
+const bundled_zone_data = { version: tz_db_version, zones: core_tz_db, history: tz_history, links: tz_links };
+let zone_data = bundled_zone_data;
+
+/**
+ * Computes the checksum of a timezone database pack, for the side service or a build script that creates packs
+ * for Timezones.InstallDatabase(): FNV-1a (32 bit) over the UTF-16 code units of the JSON text of
+ * [format, version, zones, history, links].
+ *
+ * @param {{format: number, version: string, zones: Array, history: Object, links?: Object|null}} pack - The pack, without its checksum.
+ * @returns {string} The checksum, 8 hex digits.
+ * @example
+ * const pack = { format: 1, version: "2025c", zones, history, links: null };
+ * pack.checksum = getDatabaseChecksum(pack);
+ */
+export function getDatabaseChecksum({ format, version, zones, history, links = null }) {
+	const text = JSON.stringify([format, version, zones, history, links]);
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	}
+	return hash.toString(16).padStart(8, '0');
+}
+
+// lookup tables over the zone database, built on first use and shared by all instances
+let zone_index = null;
+
+function getZoneIndex() {
+	if (zone_index === null) {
+		const index = {
+			by_id: new Map(), // tz_id -> row
+			by_country: new Map(), // country code -> rows
+			by_abbr: new Map(), // sdt or dst abbreviation -> rows
+			by_sdt_offset: new Map(), // "+05:30" -> rows
+			by_dst_offset: new Map(),
+			by_continent: new Map(), // "America" -> rows
+			by_city: new Map(), // "new_york" -> rows
+			position: new Map() // row -> index in the database, to keep the database order
+		};
+		const add = (map, key, tz) => {
+			if (!map.has(key)) {
+				map.set(key, []);
+			}
+			map.get(key).push(tz);
+		};
+
+		zone_data.zones.forEach((tz, i) => {
+			index.by_id.set(tz[1], tz);
+			index.position.set(tz, i);
+			if (tz[0] !== '') { // zones without a country (Etc/*, CET, EST5EDT) aren't a country ""
+				add(index.by_country, tz[0], tz);
+			}
+			if (tz[4]) {
+				add(index.by_abbr, tz[4], tz);
+			}
+			if (tz[5] && tz[5] !== tz[4]) {
+				add(index.by_abbr, tz[5], tz);
+			}
+			add(index.by_sdt_offset, tz[2], tz);
+			add(index.by_dst_offset, tz[3], tz);
+			if (tz[1].includes('/')) {
+				add(index.by_continent, tz[1].split('/')[0], tz);
+				add(index.by_city, tz[1].slice(tz[1].lastIndexOf('/') + 1).toLowerCase(), tz);
+			}
+		});
+
+		zone_index = index;
+	}
+
+	return zone_index;
+}
+
+// Map with a size limit, the least recently used entry is dropped first
+class LruCache {
+	#map = new Map();
+	#max_size = 0;
+
+	constructor(max_size) {
+		this.#max_size = max_size;
+	}
+
+	has(key) {
+		return this.#map.has(key);
+	}
+
+	get(key) {
+		if (!this.#map.has(key)) {
+			return undefined;
+		}
+		// move to the end, the most recently used
+		const value = this.#map.get(key);
+		this.#map.delete(key);
+		this.#map.set(key, value);
+		return value;
+	}
+
+	set(key, value) {
+		this.#map.delete(key);
+		this.#map.set(key, value);
+		if (this.#map.size > this.#max_size) {
+			this.#map.delete(this.#map.keys().next().value);
+		}
+		return this;
+	}
+
+	clear() {
+		this.#map.clear();
+	}
+
+	get size() {
+		return this.#map.size;
+	}
+}
+
+function pad(num, len) {
+	return num.toString().padStart(len, '0');
+}
+
+
+/**
+DST rule "dst_rule":
+- Handles both northern and southern hemisphere DST rules.
+- Transition time is appended after "@" as [-]H[:MM] + reference suffix:
+	w (default) -> local wall clock, s -> local standard time, u -> UTC.
+	Rules without "@" (legacy) switch at 2 AM UTC.
+- Handles the "last" week of the month when n is 0 in nthWeekdayOfMonth.
+- "00" -> no DST, "FF" -> DST during the whole era (historical fixed periods).
+- Example for NY "dst_rule: 1B23@2:00" -> 1B23 (hex) = 0001 1011 0010 0011 (bin)
+	start month: 3 (March)
+	start week: 2 (Second week)
+	end month: 11 (November)
+	end week: 1 (First week)
+Output: New York (+ most of the US) where DST starts on the second Sunday in March
+	and ends on the first Sunday in November, both at 2:00 local wall clock time.
+- Other examples: "A03@1:00u" (EU, 01:00 UTC), "1409@2:00s" (Sydney, 2:00 standard time).
+
++-------+-------+-------+-------+-------+
+| Bits  | 15-12 | 11-8  |  7-4  |  3-0  |
++-------+-------+-------+-------+-------+
+| Desc  | End   | End   | Start | Start |
+|       | Week  | Month | Week  | Month |
++-------+-------+-------+-------+-------+
+| Value |  0001 | 1011  | 0010  | 0011  |
+|       |  (1)  | (11)  |  (2)  |  (3)  |
++-------+-------+-------+-------+-------+
+
+Versioned rule format "2|<start>|<end>[|<save>]" (hex codes above are version 1):
+- Used for rules the hex code can't describe. Both readers produce the same parsed rule.
+- <start>/<end>: "<month>.<day>[@<time>]", month 1-12, time as above (defaults to 2:00 wall clock)
+	day: "21" fixed date | "lastFri" last weekday | "Sun>=8" first weekday on or after the 8th
+		| "Sat<=30" last weekday on or before the 30th
+- <save>: optional DST save amount as [-]H[:MM], e.g. "0:30". Without it utc_dst applies.
+- Examples: Israel "2|3.Fri>=23|10.lastSun", Egypt "2|4.lastFri@0:00|10.lastThu@24:00",
+	Chile "2|9.Sun>=2@4:00u|4.Sun>=2@3:00u", Iran (1990s) "2|3.21@24:00|9.21@24:00"
+
+Transition history "tz_history" (tz-history.js):
+- The DB row describes the rule in force today. Zones whose rules changed since 1970
+	also carry a list of past eras that are resolved by the instant being asked about.
+- Each zone is packed as [ kinds, eras ]:
+	kinds: [ utc_sdt, utc_dst, tz_sdt, tz_dst, dst_rule ] (same meaning as the DB columns)
+	eras:  "<kind index><until>,..." - both base36, until = UTC minutes since the epoch
+- Example: America/New_York 2006 -> "A14" (first Sunday in April, last Sunday in October)
+	until 2007-03-11, after that the DB row "1B23" applies.
+
+Database pack (updates for Timezones.InstallDatabase()):
+- JSON object { format, version, zones, history, links, checksum }
+	format:   1 (layout of this pack)
+	version:  IANA tzdata release, e.g. "2025c". Only packs newer than the database in use are installed,
+		compared by year, then by the letters ("2025z" < "2025aa" < "2026a").
+	zones:    rows like core_tz_db (tz-db.js), history like tz_history (tz-history.js)
+	links:    optional, alias -> tz_id like tz_links (tz-links.js), the bundled links if missing
+	checksum: FNV-1a (32 bit, 8 hex digits) of JSON.stringify([format, version, zones, history, links ?? null]),
+		hashing the UTF-16 code units of the text, see getDatabaseChecksum(). Packs are re-serialized to check it,
+		so keep plain JSON values.
+- Country names and the country zone lists (tz-countries.js) stay the bundled ones, as do the city names (tz-cities.js):
+	a pack must keep every zone they use, as a zone or a link.
+- scripts/compile-tzdata.mjs --pack <file> builds one from an IANA tzdata release, along with the data files above.
+*/
\ No newline at end of file
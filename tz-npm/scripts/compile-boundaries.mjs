@@ -0,0 +1,302 @@
+/**
+ * Compiles timezone boundary GeoJSON into the boundary packs of the library:
+ * - tz-boundaries.js       outlines simplified to --tolerance (default 0.01°, ~1 km)
+ * - tz-boundaries-lite.js  outlines simplified to --lite-tolerance (default 0.05°, ~5 km), small islands left out
+ *
+ * Usage: node scripts/compile-boundaries.mjs <geojson> [options]
+ *   <geojson>                 timezone-boundary-builder release (combined.json or combined-with-oceans.json,
+ *                             https://github.com/evansiroky/timezone-boundary-builder/releases): a FeatureCollection
+ *                             of (Multi)Polygons with a "tzid" property
+ *   --out <dir>               where to write the files (default: dist next to this script)
+ *   --tolerance <deg>         simplification of the full pack (default: 0.01)
+ *   --lite-tolerance <deg>    simplification of the lite pack (default: 0.05)
+ *   --precision <n>           coordinates are stored as 1/n degree (default: 1000)
+ *   --dry-run                 report only, write nothing
+ *
+ * Zones are kept when <out>/tz-db.js or <out>/tz-links.js knows them (links like Europe/Monaco resolve to their
+ * zone in the library), ocean zones (Etc/GMT±N) are left out, the library computes them. Every zone keeps at
+ * least its largest outline however small it is, so enclaves and city states (Monaco, Macau, Gaza) have a ring.
+ * Zones are written smallest first: the lookup returns the first zone containing the point, so where simplified
+ * outlines overlap along a border, the smaller zone wins.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// outlines below this area (deg², at the equator 0.0001 deg² ≈ 1.2 km²) are left out, except a zone's largest one
+const MIN_AREA = { full: 0.0004, lite: 0.02 };
+
+
+function main() {
+	const options = parseArgs(process.argv.slice(2));
+	const { known, zones } = readKnownZones(options.out);
+
+	const source = JSON.parse(readFileSync(options.file, 'utf8'));
+	if (source.type !== 'FeatureCollection' || !Array.isArray(source.features)) {
+		fail(`${options.file} is not a GeoJSON FeatureCollection`);
+	}
+
+	// tz_id -> [[outer, hole, ...], ...] in [lat, lon] pairs
+	const polygons = new Map();
+	const skipped = [];
+	for (const { properties, geometry } of source.features) {
+		const tz_id = properties?.tzid;
+		if (!tz_id || tz_id.startsWith('Etc/')) {
+			continue;
+		}
+		if (!known.has(tz_id)) {
+			skipped.push(tz_id);
+			continue;
+		}
+		const list = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+		if (!polygons.has(tz_id)) {
+			polygons.set(tz_id, []);
+		}
+		for (const rings of list) {
+			polygons.get(tz_id).push(rings.map(ring => ring.map(([lon, lat]) => [lat, lon])));
+		}
+	}
+
+	const files = {
+		'tz-boundaries.js': compilePack(polygons, 'full', options.tolerance, options.precision,
+			`simplified timezone borders (timezone-boundary-builder, ~${options.tolerance}°, smallest zones first)`),
+		'tz-boundaries-lite.js': compilePack(polygons, 'lite', options.lite_tolerance, options.precision,
+			`coarse timezone borders (timezone-boundary-builder, ~${options.lite_tolerance}°, small islands left out, smallest zones first)`)
+	};
+
+	printReport(polygons, zones, skipped, files);
+	if (options.dry_run) {
+		return;
+	}
+
+	mkdirSync(options.out, { recursive: true });
+	for (const name in files) {
+		writeFileSync(join(options.out, name), files[name].text);
+	}
+}
+
+function parseArgs(args) {
+	const options = {
+		file: null,
+		out: join(dirname(fileURLToPath(import.meta.url)), '..', 'dist'),
+		tolerance: 0.01,
+		lite_tolerance: 0.05,
+		precision: 1000,
+		dry_run: false
+	};
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		const value = () => {
+			if (i + 1 >= args.length) {
+				fail(`Missing value for ${arg}`);
+			}
+			return args[++i];
+		};
+
+		if (arg === '--out') options.out = value();
+		else if (arg === '--tolerance') options.tolerance = parseFloat(value());
+		else if (arg === '--lite-tolerance') options.lite_tolerance = parseFloat(value());
+		else if (arg === '--precision') options.precision = parseInt(value(), 10);
+		else if (arg === '--dry-run') options.dry_run = true;
+		else if (arg === '--help' || arg === '-h') fail(readFileSync(fileURLToPath(import.meta.url), 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, ''), 0);
+		else if (arg.startsWith('--')) fail(`Unknown option: ${arg}`);
+		else options.file = arg;
+	}
+
+	if (!options.file) {
+		fail('Usage: node scripts/compile-boundaries.mjs <geojson> [--out dir] [--tolerance deg] [--lite-tolerance deg] [--precision n] [--dry-run]');
+	}
+	if (!existsSync(options.file)) {
+		fail(`File not found: ${options.file}`);
+	}
+	if (!(options.tolerance > 0 && options.lite_tolerance > 0)) {
+		fail(`Invalid tolerance: ${options.tolerance} / ${options.lite_tolerance}`);
+	}
+	if (!(options.precision >= 10)) {
+		fail(`Invalid precision: ${options.precision}`);
+	}
+
+	return options;
+}
+
+function fail(message, code = 1) {
+	console.error(message);
+	process.exit(code);
+}
+
+// the zone ids of the database and its links, the ids a pack may use
+function readKnownZones(dir) {
+	const readExport = (name, key, fallback) => {
+		const path = join(dir, name);
+		if (!existsSync(path)) {
+			if (fallback) {
+				return fallback;
+			}
+			fail(`${path} not found`);
+		}
+		const text = readFileSync(path, 'utf8');
+		return JSON.parse(text.slice(text.indexOf(key) + key.length));
+	};
+
+	const rows = readExport('tz-db.js', 'export const core_tz_db = ');
+	// older databases come without links
+	const links = readExport('tz-links.js', 'export const tz_links = ', {});
+	const zones = rows.filter(row => row[0] !== '').map(row => row[1]);
+	return { known: new Set([...zones, ...Object.keys(links)]), zones };
+}
+
+function compilePack(polygons, kind, tolerance, precision, about) {
+	const zones = [];
+	for (const [tz_id, list] of polygons) {
+		const rings = [];
+		let largest = null;
+		for (const polygon of list) {
+			polygon.forEach((ring, i) => {
+				const area = Math.abs(getArea(ring));
+				// holes go with their outline, a hole in a left out outline would flip the point back in
+				if (i > 0 && !rings.includes(polygon[0])) {
+					return;
+				}
+				if (i === 0 && (!largest || area > largest.area)) {
+					largest = { ring, area };
+				}
+				if (area >= MIN_AREA[kind]) {
+					rings.push(ring);
+				}
+			});
+		}
+		if (largest && !rings.includes(largest.ring)) {
+			rings.push(largest.ring);
+		}
+
+		const encoded = rings.map(ring => encodeRing(simplifyRing(ring, tolerance), precision)).filter(Boolean);
+		const area = rings.reduce((sum, ring) => sum + getArea(ring), 0);
+		zones.push({ tz_id, encoded, area: Math.abs(area) });
+	}
+
+	zones.sort((a, b) => a.area - b.area || (a.tz_id < b.tz_id ? -1 : 1));
+	const data = {};
+	for (const { tz_id, encoded } of zones) {
+		data[tz_id] = encoded;
+	}
+
+	const text = `/** @about Timezones boundary pack (${kind}) @license: MIT, boundaries ODbL (OpenStreetMap contributors) */\n`
+		+ `// ${about},\n`
+		+ `// rings are polyline encoded [lat, lon] pairs at 1/${precision} degree. Timezones.RegisterBoundaries(${kind === 'full' ? 'boundaries' : 'boundaries_lite'})\n`
+		+ `export function ${kind === 'full' ? 'boundaries' : 'boundaries_lite'}() {\n`
+		+ `\treturn {\n\t\tprecision: ${precision},\n\t\tzones: ${JSON.stringify(data)}\n\t};\n}\n`;
+
+	return { text, zones: zones.length, rings: zones.reduce((sum, zone) => sum + zone.encoded.length, 0) };
+}
+
+// shoelace area in deg², sign follows the winding
+function getArea(ring) {
+	let sum = 0;
+	for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+		sum += (ring[j][1] + ring[i][1]) * (ring[j][0] - ring[i][0]);
+	}
+	return sum / 2;
+}
+
+// Douglas-Peucker, the tolerance shrinks for outlines not much larger than it so small zones keep their shape
+function simplifyRing(ring, tolerance) {
+	const points = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+		? ring.slice(0, -1)
+		: ring.slice();
+	if (points.length <= 4) {
+		return points;
+	}
+
+	let min_lat = Infinity, max_lat = -Infinity, min_lon = Infinity, max_lon = -Infinity;
+	for (const [lat, lon] of points) {
+		min_lat = Math.min(min_lat, lat); max_lat = Math.max(max_lat, lat);
+		min_lon = Math.min(min_lon, lon); max_lon = Math.max(max_lon, lon);
+	}
+	const size = Math.max(max_lat - min_lat, max_lon - min_lon);
+	const epsilon = Math.min(tolerance, size / 20);
+
+	// split at the point furthest from the first one, a closed ring has no base line
+	let far = 1;
+	let far_dist = -1;
+	for (let i = 1; i < points.length; i++) {
+		const dist = (points[i][0] - points[0][0]) ** 2 + (points[i][1] - points[0][1]) ** 2;
+		if (dist > far_dist) {
+			far = i;
+			far_dist = dist;
+		}
+	}
+
+	const keep = new Uint8Array(points.length + 1);
+	keep[0] = keep[far] = keep[points.length] = 1;
+	const closed = [...points, points[0]];
+	const stack = [[0, far], [far, points.length]];
+	while (stack.length > 0) {
+		const [first, last] = stack.pop();
+		let index = -1;
+		let max_dist = epsilon * epsilon;
+		for (let i = first + 1; i < last; i++) {
+			const dist = getSegmentDistance2(closed[i], closed[first], closed[last]);
+			if (dist > max_dist) {
+				index = i;
+				max_dist = dist;
+			}
+		}
+		if (index !== -1) {
+			keep[index] = 1;
+			stack.push([first, index], [index, last]);
+		}
+	}
+
+	const result = points.filter((_, i) => keep[i]);
+	return result.length >= 3 ? result : points;
+}
+
+function getSegmentDistance2([lat, lon], [lat_a, lon_a], [lat_b, lon_b]) {
+	const dx = lon_b - lon_a, dy = lat_b - lat_a;
+	const len2 = dx * dx + dy * dy;
+	const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((lon - lon_a) * dx + (lat - lat_a) * dy) / len2));
+	return (lon - lon_a - t * dx) ** 2 + (lat - lat_a - t * dy) ** 2;
+}
+
+// Google polyline encoding of the [lat, lon] deltas, see Timezones.#decodeRing()
+function encodeRing(points, precision) {
+	let text = '';
+	const previous = [0, 0];
+	let count = 0;
+	for (const point of points) {
+		const value = [Math.round(point[0] * precision), Math.round(point[1] * precision)];
+		if (count > 0 && value[0] === previous[0] && value[1] === previous[1]) {
+			continue;
+		}
+		for (let k = 0; k < 2; k++) {
+			let delta = value[k] - previous[k];
+			delta = delta < 0 ? ~(delta << 1) : delta << 1;
+			while (delta >= 0x20) {
+				text += String.fromCharCode((0x20 | (delta & 0x1f)) + 63);
+				delta >>= 5;
+			}
+			text += String.fromCharCode(delta + 63);
+			previous[k] = value[k];
+		}
+		count++;
+	}
+	return count >= 3 ? text : null;
+}
+
+function printReport(polygons, zones, skipped, files) {
+	const kb = text => `${(text.length / 1024).toFixed(1)} KB`;
+	console.log(`${polygons.size} zones with boundaries`);
+	for (const name in files) {
+		console.log(`  ${name.padEnd(22)} ${kb(files[name].text)}, ${files[name].zones} zones, ${files[name].rings} rings`);
+	}
+	const missing = zones.filter(tz_id => !polygons.has(tz_id));
+	if (missing.length > 0) {
+		console.log(`\nNo boundary in the source (merged into a neighbouring zone): ${missing.join(', ')}`);
+	}
+	if (skipped.length > 0) {
+		console.log(`\nNot in the database, left out: ${[...new Set(skipped)].join(', ')}`);
+	}
+}
+
+main();
@@ -0,0 +1,1065 @@
+/**
+ * Compiles the IANA tzdata source files into the data files of the library:
+ * - tz-db.js        one row per zone with the rule in force today (see the DB row layout in tz-import.src.js)
+ * - tz-history.js   past eras of the zones whose rules changed in the year range
+ * - tz-links.js     IANA aliases (backward links) and left out zones that keep the same clock as an included one
+ * - tz-countries.js country names and their zones (iso3166.tab, zone1970.tab)
+ *
+ * Usage: node scripts/compile-tzdata.mjs <tzdata dir> [options]
+ *   <tzdata dir>          unpacked tzdata release (africa, asia, europe, ..., backward, zone1970.tab, iso3166.tab, version)
+ *                         or a directory with a compiled tzdata.zi instead of the source files (e.g. /usr/share/zoneinfo)
+ *   --out <dir>           where to write the files (default: dist next to this script)
+ *   --from <year>         first year of the history (default: 1970)
+ *   --to <year>           the data is exact until the start of this year (default: 2038)
+ *   --zones <ids>         only these zones, comma separated, aliases work too ("US/Eastern")
+ *   --countries <codes>   only the zones of these countries, comma separated ISO 3166 codes ("DE,US")
+ *   --version <name>      data version when the directory has no version file, e.g. "2025b"
+ *   --pack <file>         also write a database pack for Timezones.InstallDatabase()
+ *   --dry-run             report only, write nothing
+ *
+ * The Etc zones (Etc/UTC, Etc/GMT±N) are always included, the library uses them for offsets and nautical zones.
+ * Coordinates of zones already in <out>/tz-db.js are kept (city centres), new zones get the zone1970.tab location.
+ * Zones whose rules can't be written as one DST rule per year are listed at the end, they are exact until --to
+ * and keep their last state after it.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SOURCE_FILES = ['africa', 'antarctica', 'asia', 'australasia', 'europe', 'northamerica', 'southamerica', 'etcetera', 'factory', 'backward'];
+const DB_FORMAT = 1; // layout of database packs, see Timezones.InstallDatabase()
+
+// tzdata.zi has no file names: the source file (DB "continent" column) follows the id, or the country where it differs
+const CONTINENT_BY_AREA = {
+	Africa: 'africa', America: 'northamerica', Antarctica: 'antarctica', Asia: 'asia', Atlantic: 'europe',
+	Australia: 'australasia', Europe: 'europe', Indian: 'asia', Pacific: 'australasia', Etc: 'etcetera'
+};
+const CONTINENT_BY_COUNTRY = {
+	AR: 'southamerica', BO: 'southamerica', BR: 'southamerica', CL: 'southamerica', CO: 'southamerica', EC: 'southamerica',
+	FK: 'southamerica', GF: 'southamerica', GS: 'southamerica', GY: 'southamerica', PE: 'southamerica', PY: 'southamerica',
+	SR: 'southamerica', UY: 'southamerica', VE: 'southamerica', RU: 'europe', GL: 'europe', ES: 'europe',
+	US: 'northamerica', BM: 'northamerica', CV: 'africa', MU: 'africa', AU: 'australasia'
+};
+const CONTINENT_BY_ID = {
+	'Antarctica/Palmer': 'southamerica', CET: 'europe', EET: 'europe', MET: 'europe', WET: 'europe', Factory: 'factory'
+};
+
+// the zone a country resolves to ("US" -> New York), the first zone of zone1970.tab otherwise
+const PRIMARY_ZONES = {
+	US: 'America/New_York', RU: 'Europe/Moscow', CA: 'America/Toronto', BR: 'America/Sao_Paulo', AR: 'America/Argentina/Buenos_Aires',
+	AU: 'Australia/Sydney', MX: 'America/Mexico_City', AQ: 'Pacific/Auckland', TF: 'Indian/Maldives', UM: 'Pacific/Pago_Pago',
+	CL: 'America/Santiago', EC: 'America/Guayaquil', ES: 'Europe/Madrid', FM: 'Pacific/Guadalcanal', GL: 'America/Nuuk',
+	ID: 'Asia/Jakarta', KI: 'Pacific/Tarawa', MH: 'Pacific/Tarawa', KZ: 'Asia/Almaty', MN: 'Asia/Ulaanbaatar', MY: 'Asia/Singapore',
+	CD: 'Africa/Lagos', NZ: 'Pacific/Auckland', PF: 'Pacific/Tahiti', PG: 'Pacific/Port_Moresby', PS: 'Asia/Hebron', PT: 'Europe/Lisbon',
+	UA: 'Europe/Kyiv', VN: 'Asia/Bangkok', UZ: 'Asia/Tashkent', CN: 'Asia/Shanghai', CY: 'Asia/Nicosia', DE: 'Europe/Berlin'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAYS_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+
+function main() {
+	const options = parseArgs(process.argv.slice(2));
+	const source = readSource(options.dir, options.version);
+	const tzdata = parseTzdata(source.files);
+	const range = { from: Date.UTC(options.from, 0, 1) / 1000, to: Date.UTC(options.to, 0, 1) / 1000, to_year: options.to };
+
+	const tables = readTables(options.dir);
+	tables.coordinates = readCoordinates(join(options.out, 'tz-db.js'));
+	const selected = selectZones(tzdata, tables, options);
+	const report = { inexact: [], eras: 0, fixed_eras: 0, dropped: [] };
+
+	const rows = [];
+	const history = {};
+	const periods_by_zone = new Map();
+	for (const tz_id of selected) {
+		const periods = getPeriods(tzdata, tz_id, range);
+		periods_by_zone.set(tz_id, periods);
+		const { row, eras } = compileZone(tzdata, tables, tz_id, periods, range, report);
+		rows.push(row);
+		if (eras.length > 0) {
+			history[tz_id] = encodeHistory(eras);
+		}
+	}
+
+	const links = compileLinks(tzdata, tables, selected, periods_by_zone, range, report);
+	const countries = compileCountries(tables, selected);
+
+	const files = {
+		'tz-db.js': `// IANA tzdata release the database was built from\nexport const tz_db_version = ${JSON.stringify(source.version)};\n\n`
+			+ `export const core_tz_db = \n${JSON.stringify(rows)}`,
+		'tz-history.js': `export const tz_history = \n${JSON.stringify(history)}`,
+		'tz-links.js': `export const tz_links = \n${JSON.stringify(links)}`,
+		'tz-countries.js': `export const tz_countries = \n${JSON.stringify(countries)}`
+	};
+
+	printReport(source, options, rows, links, files, report);
+	if (options.dry_run) {
+		return;
+	}
+
+	mkdirSync(options.out, { recursive: true });
+	for (const name in files) {
+		writeFileSync(join(options.out, name), files[name]);
+	}
+	if (options.pack) {
+		const pack = { format: DB_FORMAT, version: source.version, zones: rows, history, links };
+		pack.checksum = getDatabaseChecksum(pack);
+		writeFileSync(options.pack, JSON.stringify(pack));
+		console.log(`Database pack: ${options.pack} (${Math.round(JSON.stringify(pack).length / 1024)} KB)`);
+	}
+}
+
+function parseArgs(args) {
+	const options = {
+		dir: null,
+		out: join(dirname(fileURLToPath(import.meta.url)), '..', 'dist'),
+		from: 1970,
+		to: 2038,
+		zones: null,
+		countries: null,
+		version: null,
+		pack: null,
+		dry_run: false
+	};
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		const value = () => {
+			if (i + 1 >= args.length) {
+				fail(`Missing value for ${arg}`);
+			}
+			return args[++i];
+		};
+		const list = () => value().split(',').map(item => item.trim()).filter(Boolean);
+
+		if (arg === '--out') options.out = value();
+		else if (arg === '--from') options.from = parseInt(value(), 10);
+		else if (arg === '--to') options.to = parseInt(value(), 10);
+		else if (arg === '--zones') options.zones = list();
+		else if (arg === '--countries') options.countries = list().map(code => code.toUpperCase());
+		else if (arg === '--version') options.version = value();
+		else if (arg === '--pack') options.pack = value();
+		else if (arg === '--dry-run') options.dry_run = true;
+		else if (arg === '--help' || arg === '-h') fail(readFileSync(fileURLToPath(import.meta.url), 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, ''), 0);
+		else if (arg.startsWith('--')) fail(`Unknown option: ${arg}`);
+		else options.dir = arg;
+	}
+
+	if (!options.dir) {
+		fail('Usage: node scripts/compile-tzdata.mjs <tzdata dir> [--out dir] [--from year] [--to year] [--zones ids] [--countries codes] [--version name] [--pack file] [--dry-run]');
+	}
+	if (!(options.from >= 1800 && options.to > options.from)) {
+		fail(`Invalid year range: ${options.from}..${options.to}`);
+	}
+	if (options.version !== null && !/^\d{4}[a-z]+$/.test(options.version)) {
+		fail(`Invalid version: ${options.version}, expected e.g. "2025b"`);
+	}
+
+	return options;
+}
+
+function fail(message, code = 1) {
+	console.error(message);
+	process.exit(code);
+}
+
+// the zone/rule/link files, as [{ name, text }], and the data version
+function readSource(dir, version) {
+	let files = SOURCE_FILES.filter(name => existsSync(join(dir, name))).map(name => ({ name, text: readFileSync(join(dir, name), 'utf8') }));
+	if (files.length === 0 && existsSync(join(dir, 'tzdata.zi'))) {
+		files = [{ name: null, text: readFileSync(join(dir, 'tzdata.zi'), 'utf8') }];
+	}
+	if (files.length === 0) {
+		fail(`No tzdata source files (${SOURCE_FILES.join(', ')}) or tzdata.zi in ${dir}`);
+	}
+
+	if (version === null && existsSync(join(dir, 'version'))) {
+		version = readFileSync(join(dir, 'version'), 'utf8').trim();
+	}
+	if (version === null) {
+		version = files[0].text.match(/^# version (\S+)/)?.[1] ?? null;
+	}
+	if (version === null || !/^\d{4}[a-z]+$/.test(version)) {
+		fail(`Unknown data version (${version}), pass it with --version`);
+	}
+
+	return { files, version };
+}
+
+// zone1970.tab: tz_id -> { codes, lat, lon, order }, zone.tab: tz_id -> code, iso3166.tab: code -> name
+function readTables(dir) {
+	const readTab = name => {
+		const path = join(dir, name);
+		if (!existsSync(path)) {
+			return [];
+		}
+		return readFileSync(path, 'utf8').split('\n').filter(line => line && !line.startsWith('#')).map(line => line.split('\t'));
+	};
+
+	const zone1970 = new Map();
+	readTab('zone1970.tab').forEach(([codes, coordinates, tz_id], order) => {
+		const [, lat, lon] = coordinates.match(/^([+-]\d+)([+-]\d+)$/);
+		zone1970.set(tz_id, { codes: codes.split(','), lat: parseCoordinate(lat, 2), lon: parseCoordinate(lon, 3), order });
+	});
+	if (zone1970.size === 0) {
+		fail(`zone1970.tab not found in ${dir}`);
+	}
+
+	const zone_countries = new Map(readTab('zone.tab').map(([code, , tz_id]) => [tz_id, code]));
+	const country_names = new Map(readTab('iso3166.tab').map(([code, name]) => [code, name]));
+	if (country_names.size === 0) {
+		fail(`iso3166.tab not found in ${dir}`);
+	}
+
+	return { zone1970, zone_countries, country_names };
+}
+
+// tz_id -> [lat, lon] of the database being replaced: city centres, zone1970.tab has the IANA reference points
+function readCoordinates(path) {
+	if (!existsSync(path)) {
+		return new Map();
+	}
+	const text = readFileSync(path, 'utf8');
+	const rows = JSON.parse(text.slice(text.indexOf('export const core_tz_db = ') + 'export const core_tz_db = '.length));
+	return new Map(rows.filter(row => row[7] !== '').map(row => [row[1], [row[7], row[8]]]));
+}
+
+// ISO 6709 "+DDMM[SS]" / "+DDDMM[SS]" -> degrees, 4 decimals
+function parseCoordinate(value, degree_digits) {
+	const sign = value[0] === '-' ? -1 : 1;
+	const digits = value.slice(1);
+	const degrees = +digits.slice(0, degree_digits) + +digits.slice(degree_digits, degree_digits + 2) / 60 + +(digits.slice(degree_digits + 2) || 0) / 3600;
+	return Math.round(sign * degrees * 10000) / 10000;
+}
+
+// PARSER (zic input format, long or short keywords)
+
+function matchName(names, value) {
+	const lower = value.toLowerCase();
+	const index = names.findIndex(name => name.startsWith(lower));
+	if (index < 0) {
+		throw new Error(`Unknown name: ${value}`);
+	}
+	return index;
+}
+
+// "2:00", "1:00u", "-", "25:00", "0:30s" -> { secs, type: w|s|u }
+function parseTime(value) {
+	if (value === '-') {
+		return { secs: 0, type: 'w' };
+	}
+	const match = value.match(/^(-?)(\d+)(?::(\d+))?(?::(\d+))?([wsugz]?)$/);
+	if (!match) {
+		throw new Error(`Invalid time: ${value}`);
+	}
+	const secs = +match[2] * 3600 + +(match[3] || 0) * 60 + +(match[4] || 0);
+	const type = match[5] === 'g' || match[5] === 'z' ? 'u' : match[5] || 'w';
+	return { secs: match[1] ? -secs : secs, type };
+}
+
+// "15", "lastSun", "Sun>=8", "Sat<=30"
+function parseDay(value) {
+	if (/^\d+$/.test(value)) {
+		return { kind: 'fixed', day: +value };
+	}
+	if (value.startsWith('last')) {
+		return { kind: 'last', weekday: matchName(WEEKDAYS, value.slice(4)) };
+	}
+	const match = value.match(/^([A-Za-z]+)([<>]=)(\d+)$/);
+	if (!match) {
+		throw new Error(`Invalid day: ${value}`);
+	}
+	return { kind: match[2] === '>=' ? 'after' : 'before', weekday: matchName(WEEKDAYS, match[1]), day: +match[3] };
+}
+
+// day of the month (1-31), month 0-11
+function getDay(year, month, spec) {
+	if (spec.kind === 'fixed') {
+		return spec.day;
+	}
+	const days_in_month = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+	if (spec.kind === 'last') {
+		const weekday = new Date(Date.UTC(year, month, days_in_month)).getUTCDay();
+		return days_in_month - ((weekday - spec.weekday + 7) % 7);
+	}
+	const weekday = new Date(Date.UTC(year, month, spec.day)).getUTCDay();
+	return spec.kind === 'after' ? spec.day + ((spec.weekday - weekday + 7) % 7) : spec.day - ((weekday - spec.weekday + 7) % 7);
+}
+
+function parseTzdata(files) {
+	const rules = {};
+	const zones = {};
+	const links = {};
+	const zone_files = {};
+	let zone = null;
+
+	for (const { name, text } of files) {
+		for (const raw of text.split('\n')) {
+			const line = raw.replace(/#.*/, '');
+			if (!line.trim()) {
+				continue;
+			}
+			const fields = line.trim().split(/\s+/);
+			// continuation lines of a zone are indented in the source files, not in tzdata.zi
+			const keyword = /^[a-z]+$/i.test(fields[0]) ? fields[0].toLowerCase() : null;
+			let zone_fields;
+
+			if (keyword === 'r' || keyword === 'rule') {
+				zone = null;
+				const [, rule_name, from, to, , month, on, at, save, letter] = fields;
+				const save_time = parseTime(save);
+				(rules[rule_name] ??= []).push({
+					from: +from,
+					to: /^o/i.test(to) ? +from : /^ma/i.test(to) ? Infinity : +to,
+					month: matchName(MONTHS, month),
+					day: parseDay(on),
+					at: parseTime(at),
+					save: save_time.secs,
+					is_dst: save_time.secs !== 0,
+					letter: letter === '-' ? '' : letter
+				});
+				continue;
+			} else if (keyword === 'l' || keyword === 'link') {
+				zone = null;
+				links[fields[2]] = fields[1];
+				continue;
+			} else if (keyword === 'z' || keyword === 'zone') {
+				zone = zones[fields[1]] = [];
+				zone_files[fields[1]] = name;
+				zone_fields = fields.slice(2);
+			} else if (keyword === null && zone !== null) {
+				zone_fields = fields;
+			} else {
+				continue;
+			}
+
+			const [stdoff, rule, format, ...until] = zone_fields;
+			zone.push({
+				stdoff: parseTime(stdoff).secs,
+				rule,
+				format,
+				until: until.length === 0 ? null : {
+					year: +until[0],
+					month: until[1] ? matchName(MONTHS, until[1]) : 0,
+					day: until[2] ? parseDay(until[2]) : { kind: 'fixed', day: 1 },
+					time: until[3] ? parseTime(until[3]) : { secs: 0, type: 'w' }
+				}
+			});
+		}
+	}
+
+	return { rules, zones, links, zone_files };
+}
+
+// "CE%sT", "GMT/BST", "%z" -> abbreviation
+function formatAbbr(format, save, letter, utoff) {
+	if (format.includes('/')) {
+		return format.split('/')[save ? 1 : 0];
+	}
+	if (format.includes('%z')) {
+		const abs = Math.abs(utoff);
+		const minutes = Math.floor(abs % 3600 / 60);
+		return format.replace('%z', (utoff < 0 ? '-' : '+') + String(Math.floor(abs / 3600)).padStart(2, '0') + (minutes ? String(minutes).padStart(2, '0') : ''));
+	}
+	return format.replace('%s', letter);
+}
+
+// all states of a zone like zic computes them: [{ at (UTC secs, -Infinity first), utoff, is_dst, abbr }]
+function expandZone(tzdata, tz_id, max_year) {
+	const states = [];
+	const push = (at, stdoff, save, is_dst, abbr) => {
+		const last = states[states.length - 1];
+		if (last && last.utoff === stdoff + save && last.is_dst === is_dst && last.abbr === abbr) {
+			return;
+		}
+		if (last && last.at === at) {
+			states.pop();
+		}
+		states.push({ at, utoff: stdoff + save, is_dst, abbr });
+	};
+
+	let start = -Infinity;
+	for (const line of tzdata.zones[tz_id]) {
+		const getUntil = save => {
+			if (!line.until) {
+				return Infinity;
+			}
+			const { year, month, day, time } = line.until;
+			let until = Date.UTC(year, month, getDay(year, month, day)) / 1000 + time.secs;
+			if (time.type !== 'u') until -= line.stdoff;
+			if (time.type === 'w') until -= save;
+			return until;
+		};
+
+		// fixed save ("-", "1:00") or none
+		if (line.rule === '-' || /^-?\d/.test(line.rule)) {
+			const save = line.rule === '-' ? 0 : parseTime(line.rule).secs;
+			push(start, line.stdoff, save, save !== 0, formatAbbr(line.format, save, '', line.stdoff + save));
+			start = getUntil(save);
+			continue;
+		}
+
+		const rules = tzdata.rules[line.rule];
+		if (!rules) {
+			throw new Error(`${tz_id}: unknown rule ${line.rule}`);
+		}
+		// from the first rule year: the latest rule before the line sets its first letter
+		const first_year = Math.min(...rules.map(rule => rule.from));
+		const last_year = line.until ? line.until.year + 1 : max_year + 1;
+		const events = [];
+		for (let year = first_year; year <= last_year; year++) {
+			for (const rule of rules) {
+				if (year >= rule.from && year <= rule.to) {
+					events.push({ rule, local: Date.UTC(year, rule.month, getDay(year, rule.month, rule.day)) / 1000 + rule.at.secs });
+				}
+			}
+		}
+		events.sort((a, b) => a.local - b.local);
+
+		const toUtc = (event, save_before) => {
+			let time = event.local;
+			if (event.rule.at.type !== 'u') time -= line.stdoff;
+			if (event.rule.at.type === 'w') time -= save_before;
+			return time;
+		};
+		const timed = [];
+		let save_before = 0;
+		for (const event of events) {
+			timed.push({ time: toUtc(event, save_before), event });
+			save_before = event.rule.save;
+		}
+
+		// the state at the start of the line: the last rule before it, or standard time
+		let save = 0;
+		let letter;
+		let is_dst = true;
+		const initial = timed.filter(item => item.time <= start).pop();
+		if (initial) {
+			({ save, letter, is_dst } = initial.event.rule);
+		} else {
+			const standard = rules.filter(rule => rule.save === 0).sort((a, b) => a.from - b.from)[0];
+			letter = standard ? standard.letter : '';
+			const first = timed.find(item => item.time > start);
+			if (first && start !== -Infinity && first.time === start) {
+				({ save, letter } = first.event.rule);
+			}
+		}
+		push(start, line.stdoff, save, save !== 0 && is_dst, formatAbbr(line.format, save, letter, line.stdoff + save));
+
+		let current_save = save;
+		for (const { event } of timed) {
+			const time = toUtc(event, current_save);
+			if (time <= start) {
+				continue;
+			}
+			if (time >= getUntil(current_save)) {
+				break;
+			}
+			current_save = event.rule.save;
+			push(time, line.stdoff, current_save, event.rule.is_dst, formatAbbr(line.format, current_save, event.rule.letter, line.stdoff + current_save));
+		}
+		start = getUntil(current_save);
+	}
+
+	// like zic: a transition that doesn't move the wall clock past the previous one takes its place
+	const merged = [];
+	for (const state of states) {
+		const count = merged.length;
+		if (count >= 2 && state.at + merged[count - 1].utoff <= merged[count - 1].at + merged[count - 2].utoff) {
+			merged[count - 1] = { ...state, at: merged[count - 1].at };
+			const previous = merged[count - 2];
+			if (previous.utoff === state.utoff && previous.is_dst === state.is_dst && previous.abbr === state.abbr) {
+				merged.pop();
+			}
+			continue;
+		}
+		merged.push(state);
+	}
+	return merged;
+}
+
+// the states in the year range: [{ from, off, abbr, is_dst }], from -Infinity for the state at the start
+function getPeriods(tzdata, tz_id, range) {
+	const states = expandZone(tzdata, tz_id, range.to_year + 1);
+	const periods = [];
+	for (const state of states) {
+		if (state.at >= range.to) {
+			break;
+		}
+		const period = { from: state.at <= range.from ? -Infinity : state.at, off: state.utoff, abbr: state.abbr, is_dst: state.is_dst };
+		if (period.from === -Infinity) {
+			periods.length = 0;
+		}
+		periods.push(period);
+	}
+	return periods;
+}
+
+// ZONE SELECTION
+
+function selectZones(tzdata, tables, options) {
+	const resolve = id => {
+		const seen = new Set();
+		while (!tzdata.zones[id] && tzdata.links[id] && !seen.has(id)) {
+			seen.add(id);
+			id = tzdata.links[id];
+		}
+		return tzdata.zones[id] ? id : null;
+	};
+	const is_fixed = tz_id => tz_id.startsWith('Etc/');
+
+	let selected;
+	if (options.zones === null && options.countries === null) {
+		// zone1970.tab (one zone per region with the same clock since 1970) plus the zones without a country
+		selected = [...tables.zone1970.keys()].filter(tz_id => tzdata.zones[tz_id]);
+		selected.push(...Object.keys(tzdata.zones).filter(tz_id => !tz_id.includes('/') || is_fixed(tz_id)));
+	} else {
+		selected = [];
+		for (const id of options.zones ?? []) {
+			const tz_id = resolve(id);
+			if (!tz_id) {
+				fail(`Unknown zone: ${id}`);
+			}
+			selected.push(tz_id);
+		}
+		for (const code of options.countries ?? []) {
+			const zones = [...tables.zone1970].filter(([, entry]) => entry.codes.includes(code)).map(([tz_id]) => tz_id);
+			if (zones.length === 0) {
+				fail(`No zones for country: ${code}`);
+			}
+			selected.push(...zones);
+		}
+		selected.push(...Object.keys(tzdata.zones).filter(is_fixed));
+	}
+
+	return [...new Set(selected)].sort();
+}
+
+// ENCODER (mirrors how tz-import.src.js evaluates dst_rule)
+
+function nthSunday(year, month, n) { // month 1-12, n 0 = last
+	if (n === 0) {
+		const days_in_month = new Date(Date.UTC(year, month, 0)).getUTCDate();
+		return days_in_month - new Date(Date.UTC(year, month - 1, days_in_month)).getUTCDay();
+	}
+	const weekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+	return 1 + ((7 - weekday) % 7) + (n - 1) * 7;
+}
+
+// "[-]H[:MM][w|s|u]" -> { mins, ref }
+function parseAt(at) {
+	const match = at.match(/^(-?)(\d+)(?::(\d\d))?([wsu]?)$/);
+	return { mins: (+match[2] * 60 + +(match[3] || 0)) * (match[1] ? -1 : 1), ref: match[4] || 'w' };
+}
+
+function getInstant(year, month, day, at, sdt, wall) {
+	const { mins, ref } = parseAt(at);
+	return Date.UTC(year, month - 1, day) / 1000 + mins * 60 - (ref === 'u' ? 0 : ref === 's' ? sdt : wall);
+}
+
+// "21", "lastFri", "Sun>=8", "Sat<=30" of the versioned rule format
+function getRuleDay(year, month, on) {
+	if (/^\d+$/.test(on)) {
+		return +on;
+	}
+	if (on.startsWith('last')) {
+		return getDay(year, month - 1, { kind: 'last', weekday: WEEKDAYS_SHORT.indexOf(on.slice(4)) });
+	}
+	return getDay(year, month - 1, { kind: on[3] === '>' ? 'after' : 'before', weekday: WEEKDAYS_SHORT.indexOf(on.slice(0, 3)), day: +on.slice(5) });
+}
+
+// [start, end] of DST in a year as UTC secs
+function getDstBounds(year, rule, sdt, dst) {
+	if (rule.startsWith('2|')) {
+		const [, start, end, save] = rule.split('|');
+		if (save !== undefined) {
+			dst = sdt + parseAt(save).mins * 60;
+		}
+		const transition = (spec, wall) => {
+			const [date, at = '2:00'] = spec.split('@');
+			const [month, on] = date.split('.');
+			return getInstant(year, +month, getRuleDay(year, +month, on), at, sdt, wall);
+		};
+		return [transition(start, sdt), transition(end, dst)];
+	}
+
+	const [code, at] = rule.split('@');
+	const value = parseInt(code, 16);
+	const start_month = value & 15, start_week = (value >> 4) & 7, end_month = (value >> 8) & 15, end_week = (value >> 12) & 7;
+	const [start_at, end_at = start_at] = at.split('/');
+	return [
+		getInstant(year, start_month, nthSunday(year, start_month, start_week), start_at, sdt, sdt),
+		getInstant(year, end_month, nthSunday(year, end_month, end_week), end_at, sdt, dst)
+	];
+}
+
+function isDst(time, rule, sdt, dst) {
+	if (rule === '00' || rule === 'FF') {
+		return rule === 'FF';
+	}
+	const year = new Date((time + sdt) * 1000).getUTCFullYear();
+	const [start, end] = getDstBounds(year, rule, sdt, dst);
+	return start <= end ? time >= start && time < end : time >= start || time < end;
+}
+
+function getRuleTransitions(era, from, to) {
+	if (era.rule === '00' || era.rule === 'FF') {
+		return [];
+	}
+	const transitions = [];
+	for (let year = new Date(from * 1000).getUTCFullYear() - 1; year <= new Date(to * 1000).getUTCFullYear() + 1; year++) {
+		for (const time of getDstBounds(year, era.rule, era.std, era.dst)) {
+			if (time > from && time < to) {
+				transitions.push(time);
+			}
+		}
+	}
+	return transitions;
+}
+
+// does the era reproduce periods i..j exactly (offsets, abbreviations, DST flag and transition instants)
+function checkEra(era, periods, i, j, range) {
+	const state_ok = (time, period) => {
+		const dst = isDst(time, era.rule, era.std, era.dst);
+		return (dst ? era.dst : era.std) === period.off && (dst ? era.dst_abbr : era.std_abbr) === period.abbr && dst === period.is_dst;
+	};
+	const from = Math.max(periods[i].from, range.from - 400 * 86400);
+	const to = j + 1 < periods.length ? periods[j + 1].from : range.to;
+
+	const actual = new Set();
+	for (let k = i + 1; k <= j; k++) {
+		actual.add(periods[k].from);
+	}
+	if (getRuleTransitions(era, from, to).some(time => !actual.has(time))) {
+		return false;
+	}
+	for (let k = i; k <= j; k++) {
+		const start = k === i ? from : periods[k].from;
+		const end = k + 1 < periods.length ? periods[k + 1].from : range.to;
+		if (!state_ok(start, periods[k]) || !state_ok(Math.min(end, range.to) - 1, periods[k])) {
+			return false;
+		}
+	}
+	return true;
+}
+
+const formatOffset = secs => {
+	const mins = Math.round(Math.abs(secs) / 60);
+	return (secs < 0 ? '-' : '+') + String(Math.floor(mins / 60)).padStart(2, '0') + ':' + String(mins % 60).padStart(2, '0');
+};
+const formatAt = secs => {
+	const mins = Math.round(secs / 60);
+	return (mins < 0 ? '-' : '') + Math.floor(Math.abs(mins) / 60) + ':' + String(Math.abs(mins) % 60).padStart(2, '0');
+};
+const formatOn = day => day.kind === 'fixed' ? String(day.day)
+	: day.kind === 'last' ? 'last' + WEEKDAYS_SHORT[day.weekday]
+	: WEEKDAYS_SHORT[day.weekday] + (day.kind === 'after' ? '>=' : '<=') + day.day;
+const atSuffix = at => at === '2:00' ? '' : '@' + at;
+const hexRule = (start_month, start_week, end_month, end_week) => ((end_week << 12) | (end_month << 8) | (start_week << 4) | start_month).toString(16).toUpperCase();
+
+// the rule in force at the end of the zone: { std, dst, std_abbr, dst_abbr, rule, exact }
+function getFinalRegime(tzdata, tz_id) {
+	const lines = tzdata.zones[tz_id];
+	const line = lines[lines.length - 1];
+	const regime = { std: line.stdoff, dst: line.stdoff, std_abbr: null, dst_abbr: '', rule: '00', exact: true, reason: null };
+
+	if (/^[A-Za-z]/.test(line.rule)) {
+		const rules = tzdata.rules[line.rule].filter(rule => rule.to === Infinity);
+		if (rules.length === 2) {
+			const start = rules.find(rule => rule.save !== 0);
+			const end = rules.find(rule => rule.save === 0) ?? rules.find(rule => rule !== start);
+			regime.dst = line.stdoff + start.save;
+			regime.dst_abbr = formatAbbr(line.format, start.save, start.letter, regime.dst);
+			regime.std_abbr = formatAbbr(line.format, 0, end.letter, regime.std);
+
+			// "lastSun" and "Sun>=1/8/15/22" fit the hex code, everything else the versioned format
+			const week = day => day.kind === 'last' && day.weekday === 0 ? 0
+				: day.kind === 'after' && day.weekday === 0 && [1, 8, 15, 22].includes(day.day) ? (day.day + 6) / 7 : null;
+			const start_week = week(start.day), end_week = week(end.day);
+			const start_at = formatAt(start.at.secs) + (start.at.type === 'w' ? '' : start.at.type);
+			const end_at = formatAt(end.at.secs) + (end.at.type === 'w' ? '' : end.at.type);
+			if (start_week === null || end_week === null) {
+				regime.rule = `2|${start.month + 1}.${formatOn(start.day)}${atSuffix(start_at)}|${end.month + 1}.${formatOn(end.day)}${atSuffix(end_at)}`
+					+ (start.save === 3600 ? '' : '|' + formatAt(start.save));
+			} else {
+				regime.rule = hexRule(start.month + 1, start_week, end.month + 1, end_week) + '@' + (start_at === end_at ? start_at : `${start_at}/${end_at}`);
+			}
+		} else if (rules.length > 0) {
+			regime.exact = false;
+			regime.reason = `${rules.length} rules of "${line.rule}" run forever, one DST rule has 2`;
+		} else {
+			// the rules ended, standard time keeps the letter of the last one back to it ("J%sT" -> JST)
+			const standard = tzdata.rules[line.rule].filter(rule => rule.save === 0).sort((a, b) => a.to - b.to || a.from - b.from).pop();
+			regime.std_abbr = formatAbbr(line.format, 0, standard ? standard.letter : '', regime.std);
+		}
+	}
+	if (regime.std_abbr === null) {
+		regime.std_abbr = formatAbbr(line.format, 0, '', regime.std);
+	}
+
+	return regime;
+}
+
+// wall clock date and time of an instant
+function getLocalInfo(time, offset) {
+	const date = new Date((time + offset) * 1000);
+	const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / 1000;
+	return { date, wall: time + offset - midnight };
+}
+
+// [month, week] pairs of the hex code that fall on the date
+function getWeekCandidates(date) {
+	if (date.getUTCDay() !== 0) {
+		return [];
+	}
+	const year = date.getUTCFullYear(), month = date.getUTCMonth() + 1, day = date.getUTCDate();
+	const candidates = [];
+	for (let n = 0; n <= 4; n++) {
+		if (nthSunday(year, month, n) === day) {
+			candidates.push([month, n]);
+		}
+	}
+	return candidates;
+}
+
+// day specs of the versioned format that fall on the date
+function getDayCandidates(date) {
+	const year = date.getUTCFullYear(), month = date.getUTCMonth() + 1, day = date.getUTCDate();
+	const weekday = WEEKDAYS_SHORT[date.getUTCDay()];
+	const days_in_month = new Date(Date.UTC(year, month, 0)).getUTCDate();
+	const candidates = [`${month}.${day}`];
+	if (day + 7 > days_in_month) {
+		candidates.push(`${month}.last${weekday}`);
+	}
+	for (let n = Math.max(1, day - 6); n <= day; n++) {
+		candidates.push(`${month}.${weekday}>=${n}`);
+	}
+	for (let n = day; n <= Math.min(days_in_month, day + 6); n++) {
+		candidates.push(`${month}.${weekday}<=${n}`);
+	}
+	return candidates;
+}
+
+// transition times of the hex code: wall clock, UTC or standard time
+function getTimeCandidates(start, end, std, dst) {
+	const candidates = [];
+	const start_wall = formatAt(start), end_wall = formatAt(end);
+	const start_utc = formatAt(start - std) + 'u', end_utc = formatAt(end - dst) + 'u';
+	const start_std = formatAt(start) + 's', end_std = formatAt(end - dst + std) + 's';
+	if (start_wall === end_wall) candidates.push(start_wall);
+	if (start_utc === end_utc && !start_utc.startsWith('-') && start - std < 86400) candidates.push(start_utc);
+	if (start_std === end_std) candidates.push(start_std);
+	candidates.push(`${start_wall}/${end_wall}`);
+	return candidates;
+}
+
+// transition times of the versioned format, as [start, end] pairs
+function getTimePairs(start, end, std, dst) {
+	const starts = [formatAt(start), formatAt(start - std) + 'u', formatAt(start) + 's'];
+	const ends = [formatAt(end), formatAt(end - dst) + 'u', formatAt(end - dst + std) + 's'];
+	const pairs = [];
+	for (let k = 0; k < 3; k++) {
+		if (!starts[k].startsWith('-') || k === 0) {
+			pairs.push([starts[k], ends[k]]);
+		}
+	}
+	return pairs;
+}
+
+// the rules that could describe the DST periods starting at periods[i]
+function getEraCandidates(periods, i, k) {
+	const first = periods[i], second = periods[i + 1];
+	if (!second || i + 1 >= k || first.is_dst === second.is_dst) {
+		return [];
+	}
+
+	const dst_period = first.is_dst ? first : second;
+	const std_period = first.is_dst ? second : first;
+	const starts = [], ends = [];
+	for (let q = i + 1; q < Math.min(k + 1, periods.length); q++) {
+		(periods[q].is_dst ? starts : ends).push(getLocalInfo(periods[q].from, periods[q - 1].off));
+	}
+	if (starts.length === 0 || ends.length === 0) {
+		return [];
+	}
+
+	const era = rule => ({ std: std_period.off, dst: dst_period.off, std_abbr: std_period.abbr, dst_abbr: dst_period.abbr, rule });
+	const candidates = [];
+	const [start, end] = [starts[0], ends[0]];
+	for (const [start_month, start_week] of getWeekCandidates(start.date)) {
+		for (const [end_month, end_week] of getWeekCandidates(end.date)) {
+			for (const at of getTimeCandidates(start.wall, end.wall, std_period.off, dst_period.off)) {
+				candidates.push(era(hexRule(start_month, start_week, end_month, end_week) + '@' + at));
+			}
+		}
+	}
+
+	// versioned format: only the day specs that repeat for the most following years
+	const repeats = (spec, infos) => {
+		let count = 0;
+		for (const { date } of infos) {
+			const [month, on] = spec.split('.');
+			if (+month !== date.getUTCMonth() + 1 || getRuleDay(date.getUTCFullYear(), +month, on) !== date.getUTCDate()) {
+				break;
+			}
+			count++;
+		}
+		return count;
+	};
+	const best = (specs, infos) => {
+		const counts = specs.map(spec => repeats(spec, infos));
+		const max = Math.max(...counts);
+		return specs.filter((_, n) => counts[n] === max);
+	};
+	for (const start_spec of best(getDayCandidates(start.date), starts)) {
+		for (const end_spec of best(getDayCandidates(end.date), ends)) {
+			for (const [start_at, end_at] of getTimePairs(start.wall, end.wall, std_period.off, dst_period.off)) {
+				candidates.push(era(`2|${start_spec}${atSuffix(start_at)}|${end_spec}${atSuffix(end_at)}`));
+			}
+		}
+	}
+
+	return candidates;
+}
+
+function compileZone(tzdata, tables, tz_id, periods, range, report) {
+	const regime = getFinalRegime(tzdata, tz_id);
+	const last = periods[periods.length - 1];
+	if (regime.rule === '00' && periods.some(period => period.from > Date.now() / 1000)) {
+		// a fixed zone line with transitions ahead (rules with an end year, e.g. Morocco's Ramadan)
+		regime.exact = false;
+		regime.reason ??= `rules of "${tzdata.zones[tz_id].at(-1).rule}" end in a given year, not one DST rule`;
+	}
+	if (!regime.exact) {
+		report.inexact.push({ tz_id, reason: regime.reason, state: last });
+	}
+
+	const entry = tables.zone1970.get(tz_id);
+	const code = entry ? entry.codes[0] : tables.zone_countries.get(tz_id) ?? '';
+	const row = [
+		code,
+		tz_id,
+		formatOffset(regime.std),
+		formatOffset(regime.dst),
+		regime.rule === '00' && last ? last.abbr : regime.std_abbr,
+		regime.dst_abbr,
+		getContinent(tzdata, tz_id, code),
+		...tables.coordinates.get(tz_id) ?? (entry ? [entry.lat, entry.lon] : ['', '']),
+		regime.rule
+	];
+	if (!regime.exact && last) {
+		// after the range the zone stays in its last state, the other state it switches to is kept for reference
+		const other = periods.slice().reverse().find(period => period.off !== last.off);
+		row[2] = formatOffset(last.off);
+		row[3] = formatOffset(other ? other.off : last.off);
+		row[4] = last.abbr;
+		row[5] = other ? other.abbr : '';
+	}
+
+	// the periods the DB row can't reproduce become eras, oldest first
+	let k = periods.length;
+	if (regime.exact) {
+		while (k > 0 && checkEra(regime, periods, k - 1, periods.length - 1, range)) {
+			k--;
+		}
+	}
+	const eras = [];
+	let i = 0;
+	while (i < k) {
+		let best = null;
+		for (const candidate of getEraCandidates(periods, i, k)) {
+			if (!checkEra(candidate, periods, i, i, range)) {
+				continue;
+			}
+			let j = i;
+			while (j + 1 < k && checkEra(candidate, periods, i, j + 1, range)) {
+				j++;
+			}
+			const shorter = best && j === best.j && best.era.rule.startsWith('2|') && candidate.rule.startsWith('2|') && candidate.rule.length < best.era.rule.length;
+			if (!best || j > best.j || shorter) {
+				best = { era: candidate, j };
+			}
+		}
+
+		if (best && best.j >= i + 2) {
+			const until = best.j + 1 < periods.length ? periods[best.j + 1].from : range.to;
+			eras.push([until, formatOffset(best.era.std), formatOffset(best.era.dst), best.era.std_abbr, best.era.dst_abbr, best.era.rule]);
+			i = best.j + 1;
+		} else {
+			// one period as a fixed era: no DST ("00") or DST the whole time ("FF")
+			const period = periods[i];
+			const until = i + 1 < periods.length ? periods[i + 1].from : range.to;
+			if (period.is_dst) {
+				const standard = periods.slice(0, i).reverse().find(p => !p.is_dst) ?? periods.slice(i).find(p => !p.is_dst) ?? { off: period.off, abbr: '' };
+				eras.push([until, formatOffset(standard.off), formatOffset(period.off), standard.abbr, period.abbr, 'FF']);
+			} else {
+				eras.push([until, formatOffset(period.off), formatOffset(period.off), period.abbr, '', '00']);
+			}
+			report.fixed_eras++;
+			i++;
+		}
+	}
+
+	// neighbours with the same meaning merge into one era
+	const merged = [];
+	for (const era of eras) {
+		const previous = merged[merged.length - 1];
+		if (previous && previous.slice(1).join() === era.slice(1).join()) {
+			previous[0] = era[0];
+		} else {
+			merged.push(era);
+		}
+	}
+	// the DB row applies after the last era, a last era with the same meaning is redundant
+	if (merged.length > 0 && merged[merged.length - 1].slice(1).join() === [row[2], row[3], row[4], row[5], row[9]].join()) {
+		merged.pop();
+	}
+	report.eras += merged.length;
+
+	return { row, eras: merged };
+}
+
+function getContinent(tzdata, tz_id, code) {
+	if (tzdata.zone_files[tz_id]) {
+		return tzdata.zone_files[tz_id];
+	}
+	if (CONTINENT_BY_ID[tz_id]) {
+		return CONTINENT_BY_ID[tz_id];
+	}
+	if (CONTINENT_BY_COUNTRY[code]) {
+		return CONTINENT_BY_COUNTRY[code];
+	}
+	return tz_id.includes('/') ? CONTINENT_BY_AREA[tz_id.split('/')[0]] ?? '' : 'northamerica';
+}
+
+// eras: [until_secs, utc_sdt, utc_dst, tz_sdt, tz_dst, dst_rule] -> [ kinds, "<kind index><until mins>,..." ] (base36)
+function encodeHistory(eras) {
+	const kinds = [];
+	const indexes = new Map();
+	const tokens = eras.map(era => {
+		const key = JSON.stringify(era.slice(1));
+		if (!indexes.has(key)) {
+			indexes.set(key, kinds.length);
+			kinds.push(era.slice(1));
+		}
+		return indexes.get(key).toString(36) + Math.floor(era[0] / 60).toString(36);
+	});
+	return [kinds, tokens.join(',')];
+}
+
+// LINKS AND COUNTRIES
+
+// alias -> included zone: IANA links, and left out zones with the same clock as an included zone in the range
+function compileLinks(tzdata, tables, selected, periods_by_zone, range, report) {
+	const ids = new Set(selected);
+	const country_of = tz_id => tables.zone1970.get(tz_id)?.codes ?? [tables.zone_countries.get(tz_id)].filter(Boolean);
+
+	const by_clock = new Map();
+	for (const tz_id of selected) {
+		const key = JSON.stringify(periods_by_zone.get(tz_id));
+		(by_clock.get(key) ?? by_clock.set(key, []).get(key)).push(tz_id);
+	}
+
+	const targets = {};
+	for (const tz_id of Object.keys(tzdata.zones)) {
+		if (ids.has(tz_id)) {
+			continue;
+		}
+		const same_clock = by_clock.get(JSON.stringify(getPeriods(tzdata, tz_id, range))) ?? [];
+		// prefer a zone of the same country, then the one listed first in zone1970.tab
+		const codes = country_of(tz_id);
+		const rank = target => (country_of(target).some(code => codes.includes(code)) ? 0 : 1e6) + (tables.zone1970.get(target)?.order ?? 1e5);
+		const target = same_clock.sort((a, b) => rank(a) - rank(b))[0];
+		if (target) {
+			targets[tz_id] = target;
+		} else {
+			report.dropped.push(tz_id);
+		}
+	}
+
+	const resolve = id => {
+		const seen = new Set();
+		while (!ids.has(id)) {
+			if (seen.has(id)) {
+				return null;
+			}
+			seen.add(id);
+			id = targets[id] ?? tzdata.links[id];
+			if (id === undefined) {
+				return null;
+			}
+		}
+		return id;
+	};
+
+	const links = {};
+	for (const alias of [...Object.keys(tzdata.links), ...Object.keys(targets)].sort()) {
+		const target = ids.has(alias) ? null : resolve(alias);
+		if (target) {
+			links[alias] = target;
+		}
+	}
+	return links;
+}
+
+// code -> [name, primary zone, other zones...] for the countries with included zones
+function compileCountries(tables, selected) {
+	const ids = new Set(selected);
+	const own = {}, shared = {};
+	for (const [tz_id, { codes }] of tables.zone1970) {
+		if (!ids.has(tz_id)) {
+			continue;
+		}
+		(own[codes[0]] ??= []).push(tz_id);
+		for (const code of codes.slice(1)) {
+			(shared[code] ??= []).push(tz_id);
+		}
+	}
+
+	// English names as the locales show them ("Congo - Kinshasa"), iso3166.tab where the runtime has no ICU data
+	const display_names = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames('en', { type: 'region' }) : null;
+	const countries = {};
+	for (const [code, iso_name] of tables.country_names) {
+		const name = display_names?.of(code) ?? iso_name;
+		const zones = [...own[code] ?? [], ...shared[code] ?? []];
+		if (zones.length === 0) {
+			continue;
+		}
+		const primary = zones.includes(PRIMARY_ZONES[code]) ? PRIMARY_ZONES[code] : zones[0];
+		countries[code] = [name, primary, ...zones.filter(tz_id => tz_id !== primary)];
+	}
+	return countries;
+}
+
+// FNV-1a (32 bit) over the UTF-16 code units of the JSON text, like Timezones.InstallDatabase() checks it
+function getDatabaseChecksum({ format, version, zones, history, links = null }) {
+	const text = JSON.stringify([format, version, zones, history, links]);
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	}
+	return hash.toString(16).padStart(8, '0');
+}
+
+function printReport(source, options, rows, links, files, report) {
+	const kb = text => `${(text.length / 1024).toFixed(1)} KB`;
+	console.log(`tzdata ${source.version}${source.files[0].name === null ? ' (tzdata.zi)' : ''}, years ${options.from}-${options.to - 1}`);
+	console.log(`${rows.length} zones, ${Object.keys(links).length} links, ${report.eras} history eras (${report.fixed_eras} single periods without a repeating rule)`);
+	for (const name in files) {
+		console.log(`  ${name.padEnd(16)} ${kb(files[name])}`);
+	}
+	if (report.inexact.length > 0) {
+		console.log(`\nRules that can't be encoded as one DST rule (exact until ${options.to}, then fixed at the last state):`);
+		for (const { tz_id, reason, state } of report.inexact) {
+			console.log(`  ${tz_id}: ${reason}, stays at ${formatOffset(state.off)} ${state.abbr}`);
+		}
+	}
+	if (report.dropped.length > 0 && options.zones === null && options.countries === null) {
+		console.log(`\nLeft out, no included zone has the same clock since ${options.from}: ${report.dropped.join(', ')}`);
+	}
+}
+
+main();
@@ -0,0 +1,2 @@
+export const tz_countries = 
+{"DE":["Germany","Europe/Berlin"],"JP":["Japan","Asia/Tokyo"],"US":["United States","America/New_York"]}
\ No newline at end of file
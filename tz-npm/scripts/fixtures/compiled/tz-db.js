@@ -0,0 +1,5 @@
+// IANA tzdata release the database was built from
+export const tz_db_version = "2025b";
+
+export const core_tz_db = 
+[["US","America/New_York","-05:00","-04:00","EST","EDT","northamerica",40.7142,-74.0064,"1B23@2:00"],["JP","Asia/Tokyo","+09:00","+09:00","JST","","asia",35.6544,139.7447,"00"],["","Etc/GMT","+00:00","+00:00","GMT","","etcetera","","","00"],["","Etc/GMT+5","-05:00","-05:00","-05","","etcetera","","","00"],["","Etc/GMT-9","+09:00","+09:00","+09","","etcetera","","","00"],["","Etc/UTC","+00:00","+00:00","UTC","","etcetera","","","00"],["DE","Europe/Berlin","+01:00","+02:00","CET","CEST","europe",52.5,13.3667,"A03@1:00u"]]
\ No newline at end of file
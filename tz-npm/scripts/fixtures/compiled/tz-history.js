@@ -0,0 +1,2 @@
+export const tz_history = 
+{"America/New_York":[[["-05:00","-05:00","EST","","00"],["-05:00","-04:00","EST","EDT","A04@2:00"],["-05:00","-04:00","EST","EDT","FF"],["-05:00","-04:00","EST","EDT","A14@2:00"]],"03k3o,11997o,21ibu0,01m03o,21tka0,15ejno,3bn8jo"],"Europe/Berlin":[[["+01:00","+01:00","CET","","00"],["+01:00","+02:00","CET","CEST","903@1:00u"]],"037oho,187v5o"]}
\ No newline at end of file
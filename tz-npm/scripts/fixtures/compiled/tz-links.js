@@ -0,0 +1,2 @@
+export const tz_links = 
+{"Japan":"Asia/Tokyo","US/Eastern":"America/New_York","UTC":"Etc/UTC"}
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Runs the unit test cases of the example app (examples/timezones-example/utils/tz-tests.js) in node,
+ * the same cases RUN_UNIT_TEST runs on the watch. The device timezone is UTC.
+ * The tzdata compiler is checked against a small fixture (scripts/fixtures/tzdata -> scripts/fixtures/compiled).
+ *
+ * Usage: node scripts/run-tests.mjs [suite name filter]
+ */
+import { register } from 'node:module';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+process.env.TZ = 'UTC';
+
+// the library imports its files without extension ("./tz-db"), like the ZeppOS bundler expects
+register('data:text/javascript,' + encodeURIComponent(`
+	export async function resolve(specifier, context, next) {
+		let result;
+		try {
+			result = await next(specifier, context);
+		} catch (err) {
+			if (!specifier.startsWith('.')) throw err;
+			result = await next(specifier + '.js', context);
+		}
+		return result.url.endsWith('.js') ? { ...result, format: 'module' } : result;
+	}
+`));
+
+const { Timezones } = await import('../dist/tz-import.src.js');
+const { TIMEZONE_CASES, GPS_CASES, FEATURE_SUITES, runCase } = await import('../../examples/timezones-example/utils/tz-tests.js');
+
+const filter = process.argv[2]?.toLowerCase() ?? null;
+let passed = 0;
+let failed = 0;
+
+function report(suite, name, { result, passed: ok }, expected) {
+	if (ok) {
+		passed++;
+		return;
+	}
+	failed++;
+	console.log(`FAILED ${suite} > ${name}\n  Result:   ${JSON.stringify(result)}\n  Expected: ${JSON.stringify(expected)}`);
+}
+
+function runSuite(name, cases, { before = null, after = null } = {}) {
+	if (filter && !name.toLowerCase().includes(filter)) {
+		return;
+	}
+	before?.();
+	try {
+		for (const test of cases) {
+			report(name, test.name, runCase(test), test.expected);
+		}
+	} finally {
+		after?.();
+	}
+}
+
+runSuite('Timezones', TIMEZONE_CASES.map(test => ({
+	name: JSON.stringify(test.input), run: () => new Timezones(test.input).getLocation(), expected: test.expected
+})));
+
+const gps = new Timezones();
+runSuite('GPS location', GPS_CASES.map(test => ({
+	name: test.name, run: () => gps.getApproxLocation(test.input.lat, test.input.lon), expected: test.expected
+})));
+
+for (const suite of FEATURE_SUITES) {
+	runSuite(suite.name, suite.cases, suite);
+}
+
+// compiles the fixture into a temporary directory and compares every file with the expected output
+const fixtures = fileURLToPath(new URL('fixtures/', import.meta.url));
+const out = mkdtempSync(join(tmpdir(), 'tz-compile-'));
+try {
+	execFileSync(process.execPath, [
+		fileURLToPath(new URL('compile-tzdata.mjs', import.meta.url)), join(fixtures, 'tzdata'),
+		'--out', out, '--pack', join(out, 'tz-pack.json')
+	], { stdio: 'ignore' });
+	runSuite('tzdata compiler', readdirSync(join(fixtures, 'compiled')).map(name => ({
+		name, run: () => readFileSync(join(out, name), 'utf8'), expected: readFileSync(join(fixtures, 'compiled', name), 'utf8')
+	})));
+} finally {
+	rmSync(out, { recursive: true, force: true });
+}
+
+console.log(`${passed} out of ${passed + failed} tests passed.`);
+process.exitCode = failed > 0 ? 1 : 0;
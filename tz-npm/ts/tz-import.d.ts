@@ -1,29 +1,513 @@
+/**
+ * Base class of the errors thrown for bad timezone input, catch it to handle all of them.
+ */
+export class TimezoneError extends Error {
+    constructor(message: any);
+}
+/**
+ * Thrown for a timezone id that is not a zone, an alias, a country code or an abbreviation.
+ * For ids that look like a typo, suggestion holds the closest zone ("Europe/WarZaw" -> "Europe/Warsaw").
+ */
+export class UnknownTimeZoneError extends TimezoneError {
+    constructor(identifier: any, suggestion?: any);
+    identifier: any;
+    suggestion: any;
+}
+/**
+ * Thrown for an offset that is malformed or out of the -12:00..+14:00 range.
+ */
+export class InvalidOffsetError extends TimezoneError {
+    offset: any;
+}
+/**
+ * Thrown for an abbreviation used by zones with different offsets ("CST" is Chicago, Shanghai and Havana).
+ * candidates lists one zone per offset.
+ */
+export class AmbiguousAbbreviationError extends TimezoneError {
+    constructor(abbreviation: any, candidates: any);
+    abbreviation: any;
+    candidates: any;
+}
+/**
+ * Thrown for a timezone database update that fails the integrity checks (see Timezones.InstallDatabase()).
+ * reason tells which check failed, version is the version of the pack if it could be read.
+ */
+export class InvalidDatabaseError extends TimezoneError {
+    constructor(reason: any, version?: any);
+    reason: any;
+    version: any;
+}
+/**
+ * A source of the current time. Set one for all instances with Timezones.SetClock() or for one instance
+ * with the clock option / setClock(), e.g. to run a watch face through a DST change in the simulator.
+ *
+ * @class
+ * @example
+ * Timezones.SetClock(Clock.Fixed("2025-03-30T00:59:00Z")); // frozen, like SetCurrentDate()
+ * const tz = new Timezones("Europe/Berlin", { clock: Clock.Timelapse("2025-03-30T00:58:00Z", 60) });
+ * // tz.getHours() goes 01 -> 03 two real seconds later, other instances keep the frozen time
+ */
+export class Clock {
+    /** @returns {Clock} The real time of the device. */
+    static Real(): Clock;
+    /**
+     * @param {Date|string|number} date - The instant to stay at.
+     * @returns {Clock} A clock that never moves.
+     */
+    static Fixed(date: Date | string | number): Clock;
+    /**
+     * @param {number} offset_ms - How far ahead (or behind, if negative) of the real time to run.
+     * @returns {Clock} The real time shifted by a fixed amount, it ticks at normal speed.
+     */
+    static Offset(offset_ms: number): Clock;
+    /**
+     * @param {Date|string|number} start - The instant the clock starts at, now.
+     * @param {number} [speed=60] - Simulated milliseconds per real millisecond, 60 = one minute per second.
+     * @returns {Clock} A running clock, starting at start and going speed times faster than real time.
+     */
+    static Timelapse(start: Date | string | number, speed?: number): Clock;
+    /**
+     * @param {Function} now - Returns the current time in epoch milliseconds.
+     */
+    constructor(now: Function);
+    /** @returns {number} The current time in epoch milliseconds. */
+    now(): number;
+    /** @returns {Date} The current time. */
+    getDate(): Date;
+    #private;
+}
 /**
  * A class for handling timezone conversions and related operations.
  *
  * @class
  */
 export class Timezones {
-    static "__#1@#simulated_date": any;
+    static "__#2@#locales": Map<any, any>;
+    static "__#2@#boundaries": any;
+    static "__#2@#DEFAULT_LOCALE": {
+        code: string;
+        months: string[];
+        months_standalone: string[];
+        months_short: string[];
+        weekdays: string[];
+        weekdays_short: string[];
+        meridiem: string[];
+        ordinal: (n: any) => string;
+        plural: (n: any) => "one" | "other";
+        units: {
+            year: {
+                one: string;
+                other: string;
+            };
+            month: {
+                one: string;
+                other: string;
+            };
+            week: {
+                one: string;
+                other: string;
+            };
+            day: {
+                one: string;
+                other: string;
+            };
+            hour: {
+                one: string;
+                other: string;
+            };
+            minute: {
+                one: string;
+                other: string;
+            };
+            second: {
+                one: string;
+                other: string;
+            };
+        };
+        units_short: {
+            year: {
+                one: string;
+                other: string;
+            };
+            month: {
+                one: string;
+                other: string;
+            };
+            week: {
+                one: string;
+                other: string;
+            };
+            day: {
+                one: string;
+                other: string;
+            };
+            hour: {
+                one: string;
+                other: string;
+            };
+            minute: {
+                one: string;
+                other: string;
+            };
+            second: {
+                one: string;
+                other: string;
+            };
+        };
+        units_compact: {
+            year: {
+                other: string;
+            };
+            month: {
+                other: string;
+            };
+            week: {
+                other: string;
+            };
+            day: {
+                other: string;
+            };
+            hour: {
+                other: string;
+            };
+            minute: {
+                other: string;
+            };
+            second: {
+                other: string;
+            };
+        };
+        list: {
+            sep: string;
+            last: string;
+            pair: string;
+        };
+        list_compact: {
+            sep: string;
+            last: string;
+            pair: string;
+        };
+        relative: {
+            year: {
+                future: {
+                    one: string;
+                    other: string;
+                };
+                past: {
+                    one: string;
+                    other: string;
+                };
+            };
+            month: {
+                future: {
+                    one: string;
+                    other: string;
+                };
+                past: {
+                    one: string;
+                    other: string;
+                };
+            };
+            week: {
+                future: {
+                    one: string;
+                    other: string;
+                };
+                past: {
+                    one: string;
+                    other: string;
+                };
+            };
+            day: {
+                future: {
+                    one: string;
+                    other: string;
+                };
+                past: {
+                    one: string;
+                    other: string;
+                };
+            };
+            hour: {
+                future: {
+                    one: string;
+                    other: string;
+                };
+                past: {
+                    one: string;
+                    other: string;
+                };
+            };
+            minute: {
+                future: {
+                    one: string;
+                    other: string;
+                };
+                past: {
+                    one: string;
+                    other: string;
+                };
+            };
+            second: {
+                future: {
+                    one: string;
+                    other: string;
+                };
+                past: {
+                    one: string;
+                    other: string;
+                };
+            };
+        };
+        relative_words: {
+            now: string;
+            today: string;
+            tomorrow: string;
+            yesterday: string;
+        };
+        phrases: {
+            dst_starts: string;
+            dst_ends: string;
+            no_dst: string;
+            at: string;
+        };
+        countries: {};
+        zones: {};
+        zone_names: {};
+    };
+    static "__#2@#EARTH_RADIUS_KM": number;
+    static "__#2@#DURATION_MS": {
+        year: number;
+        month: number;
+        week: number;
+        day: number;
+        hour: number;
+        minute: number;
+        second: number;
+    };
+    static "__#2@#global_clock": any;
+    static "__#2@#DB_FORMAT": number;
+    static "__#2@#DB_STORAGE_KEY": string;
+    static "__#2@#DB_RULE_REGEX": RegExp;
+    static "__#2@#DB_OFFSET_REGEX": RegExp;
+    static "__#2@#findTZbyId"(identifier: any): any;
+    static "__#2@#getDistanceKm"(lat1: any, lon1: any, lat2: any, lon2: any): number;
+    /**
+     * Registers a timezone boundary pack for getApproxLocation(). Like locale packs, the pack is a
+     * factory that is only decoded on the first lookup. Registering another pack replaces the previous one.
+     * Bundled packs (timezone-boundary-builder borders): `boundaries` (~520 KB, outlines simplified to ~0.01°) and `boundaries_lite` (~160 KB, ~0.05°).
+     *
+     * @param {Function|Object|null} pack - The pack factory (or a pack object), null removes the boundaries.
+     * @example
+     * import { boundaries_lite } from "@silver-zepp/timezones/boundaries-lite";
+     * Timezones.RegisterBoundaries(boundaries_lite);
+     */
+    static RegisterBoundaries(pack: Function | any | null): void;
+    /**
+     * Gets the version of the timezone database in use, the IANA tzdata release it was built from.
+     *
+     * @returns {string} The version, e.g. "2025b".
+     * @example
+     * console.log(Timezones.GetDatabaseVersion()); // output: "2025b" (the bundled database)
+     */
+    static GetDatabaseVersion(): string;
+    /**
+     * Loads the timezone database update saved by InstallDatabase(), if it is newer than the bundled database.
+     * Call it once when the app starts. A saved copy that fails the integrity checks, or that an app update
+     * made obsolete, is removed and the bundled database stays in use.
+     *
+     * @param {Object} storage - Where the update is saved: ZeppOS localStorage (`@zos/storage`)
+     *        or any object with getItem(key), setItem(key, value) and removeItem(key), e.g. one backed by a file.
+     * @returns {string} The version of the database in use.
+     * @example
+     * import { localStorage } from "@zos/storage";
+     * Timezones.LoadDatabase(localStorage); // output: "2025c" (if that update was installed before)
+     */
+    static LoadDatabase(storage: any): string;
+    /**
+     * Installs a timezone database update, e.g. one the side service received from the phone, so rule changes
+     * reach the watch without rebuilding the app. The update is checked (format, version, checksum, zone rows,
+     * history and links) before it replaces the database in use, for all instances. With a storage it is also
+     * saved for LoadDatabase() on the next start.
+     *
+     * @param {string|Object} pack - The database pack, as JSON text or parsed (see "Database pack" at the end of tz-import.src.js).
+     * @param {Object} [storage=null] - Where to save the update, see LoadDatabase(). Without it the update lasts until the app closes.
+     * @returns {boolean} true if installed, false if the pack is not newer than the database in use.
+     * @throws {InvalidDatabaseError} If the pack fails the integrity checks.
+     * @example
+     * // in the handler of the message from the side service
+     * if (Timezones.InstallDatabase(data, localStorage)) {
+     *   console.log(`Timezone database updated to ${Timezones.GetDatabaseVersion()}`);
+     * }
+     */
+    static InstallDatabase(pack: string | any, storage?: any): boolean;
+    /**
+     * Goes back to the bundled timezone database and removes a saved update.
+     *
+     * @param {Object} [storage=null] - Where the update is saved, see LoadDatabase().
+     * @example
+     * Timezones.ResetDatabase(localStorage);
+     */
+    static ResetDatabase(storage?: any): void;
+    static "__#2@#useDatabase"(db: any): void;
+    static "__#2@#validateDatabase"(pack: any): {
+        version: string;
+        zones: any[];
+        history: any;
+        links: any;
+    };
+    /**
+     * Registers a locale pack for format(), getZoneName(), getCountryName(), formatDuration(), formatRelative(),
+     * formatCalendar() and formatTimeUntilNextDstChange().
+     * Packs are factories: the names are only built when the locale is first used,
+     * and packs that are never imported don't end up in the app at all.
+     * Bundled packs: en, de, fr, es, it, pt, ru, zh, ja, ko (`@silver-zepp/timezones/locales/<code>`).
+     *
+     * @param {string} code - The locale code, e.g. "de".
+     * @param {Function|Object} pack - The pack factory (or a pack object). Missing keys fall back to English.
+     * @example
+     * import { locale_de } from "@silver-zepp/timezones/locales/de";
+     * Timezones.RegisterLocale("de", locale_de);
+     * tz.setLocale("de");
+     */
+    static RegisterLocale(code: string, pack: Function | any): void;
     /**
      * Sets a simulated current date for testing purposes or time travel :)
+     * Same as SetClock(Clock.Fixed(date_obj)), see SetClock() for a running clock.
      * @param {Date|null} date_obj - The date to simulate as current, or null to reset.
      */
     static SetCurrentDate(date_obj: Date | null): void;
     /**
-     * Gets the current date, using the simulated date if set.
+     * Sets the clock of all instances that have no clock of their own.
+     *
+     * @param {Clock|null} clock - The clock, null for the real time.
+     * @example
+     * Timezones.SetClock(Clock.Offset(-3600000)); // everything runs one hour behind
+     * Timezones.SetClock(null); // back to the real time
+     */
+    static SetClock(clock: Clock | null): void;
+    /**
+     * Gets the current date of the global clock.
      * @returns {Date} The current date or simulated date.
      */
     static GetCurrentDate(): Date;
+    /**
+     * Parses a date string into a ZonedDateTime bound to the zone found in the string.
+     * Accepted formats:
+     * - ISO 8601 with or without offset: "2025-03-30T02:30:00.000+02:00", "2025-03-30 02:30Z", "20250330T0230"
+     * - RFC 9557 zone annotations: "2025-03-30T02:30[Europe/Berlin]", "2025-10-26T02:30+01:00[Europe/Berlin]"
+     * - RFC 2822 / HTTP dates: "Sun, 30 Mar 2025 02:30:00 +0200", "Sun, 06 Nov 1994 08:49:37 GMT",
+     *   RFC 850 "Sunday, 06-Nov-94 08:49:37 GMT" and asctime "Sun Nov  6 08:49:37 1994"
+     * - Date.toString() style: "Sat Mar 08 2025 07:00:00 GMT-0500 (EST)"
+     * - a trailing zone abbreviation: "2025-03-30 14:00 CEST"
+     *
+     * A valid offset fixes the instant. Without a zone the date is bound to a fixed offset zone (Etc/GMT-2, "-03:30"),
+     * never to a zone with DST that happens to share the offset. Without an offset (or with one that doesn't exist
+     * in the bracketed zone) the wall time is resolved in the zone, see fromLocal().
+     *
+     * @param {string} str - The date string.
+     * @param {Object} [options={}] - Parse options.
+     * @param {Timezones|string|null} [options.zone=null] - The zone for strings without offset or zone, defaults to the device timezone.
+     * @param {Object} [options.prefer=null] - How to pick the zone of an ambiguous abbreviation ("CST"), see resolveAbbreviation().
+     * @returns {ZonedDateTime} The parsed date.
+     * @throws {Error} If the string can't be parsed.
+     * @throws {UnknownTimeZoneError} If it names an unknown zone or abbreviation (country codes aren't abbreviations).
+     * @throws {InvalidOffsetError} If an offset is malformed or outside -12:00..+14:00.
+     * @example
+     * Timezones.parse("2025-03-30T02:30[Europe/Berlin]").toString();
+     * // output: "Sun Mar 30 2025 03:30:00 GMT+02:00 (CEST)" (02:30 doesn't exist that night)
+     * Timezones.parse("Sun, 06 Nov 1994 08:49:37 GMT").toISOString();
+     * // output: "1994-11-06T08:49:37.000+00:00"
+     * Timezones.parse("2025-01-10 09:00 PST").getTimezoneId(); // output: "America/Los_Angeles"
+     */
+    static parse(str: string, { zone, prefer }?: {
+        zone?: Timezones | string | null;
+        prefer?: any;
+    }): ZonedDateTime;
+    static "__#2@#MONTHS": string[];
+    static "__#2@#parseIso"(text: any): {
+        year: number;
+        month: number;
+        day: number;
+        h: number;
+        m: number;
+        s: number;
+        ms: number;
+        offset_mins: number;
+        zone_id: any;
+        abbr: any;
+    };
+    static "__#2@#parseRfc2822"(text: any): {
+        offset_mins: any;
+        zone_id: any;
+        abbr: any;
+        year: number;
+        month: number;
+        day: number;
+        h: number;
+        m: number;
+        s: number;
+        ms: number;
+    };
+    static "__#2@#parseDateString"(text: any): {
+        year: number;
+        month: number;
+        day: number;
+        h: number;
+        m: number;
+        s: number;
+        ms: number;
+        offset_mins: number;
+        zone_id: any;
+        abbr: any;
+    };
+    static "__#2@#parseZoneToken"(token: any): {
+        offset_mins: number;
+        zone_id: any;
+        abbr: any;
+    } | {
+        offset_mins: any;
+        zone_id: any;
+        abbr: any;
+    };
+    static "__#2@#parseOffset"(token: any): number;
+    static "__#2@#offsetZoneId"(offset_mins: any): string;
+    static "__#2@#normalizeName"(str: any): string;
+    static "__#2@#scoreName"(q: any, q_compact: any, entry: any): number;
+    static "__#2@#editDistance"(a: any, b: any): number;
+    static "__#2@#toUnitVector"(lat: any, lon: any): number[];
+    static "__#2@#buildKdTree"(points: any, depth: any): any;
+    static "__#2@#searchKdTree"(node: any, v: any, k: any, best: any): void;
+    static "__#2@#getBearing"(lat1: any, lon1: any, lat2: any, lon2: any): number;
+    static "__#2@#getBoundaryData"(): any;
+    static "__#2@#findBoundaryZone"(lat: any, lon: any): any;
+    static "__#2@#getBoundaryDistance"(lat: any, lon: any, limit_km: any): number;
+    static "__#2@#decodeRing"(str: any, precision: any): {
+        coords: number[];
+        min_lat: number;
+        max_lat: number;
+        min_lon: number;
+        max_lon: number;
+    };
+    static "__#2@#pointInRing"(coords: any, lat: any, lon: any): boolean;
     /**
      * Creates an instance of Timezones.
      *
      * @constructor
-     * @param {string|number} [default_offset=null] - The default timezone offset.
+     * @param {string|number} [default_offset=null] - The default timezone offset, null or "" for the device timezone.
      *        Accepted formats:
      *        - (number) Integer representing hours offset, e.g., -4
      *        - (string) IANA timezone identifier, e.g., "America/New_York"
+     *          (aliases such as "US/Eastern" or "Asia/Calcutta" resolve to their current zone, see canonicalize())
      *        - (string) String representation of hours offset, e.g., "-5"
+     * @param {Object} [options={}] - Instance options.
+     * @param {boolean} [options.strict=false] - Throw instead of guessing: unknown ids, typos ("Europe/WarZaw"), bad offsets
+     *        and ambiguous abbreviations throw a TimezoneError, and the location never falls back to "Unknown".
+     *        Without it these fall back to the closest match or to the device offset, see resolve().
+     * @param {Object} [options.prefer=null] - How to pick the zone of an ambiguous abbreviation ("CST", "IST"),
+     *        see resolveAbbreviation(). With a preference strict mode accepts ambiguous abbreviations.
+     * @param {Clock} [options.clock=null] - The clock of this instance, defaults to the global one (see SetClock()).
+     * @throws {UnknownTimeZoneError|InvalidOffsetError|AmbiguousAbbreviationError} In strict mode, for input that doesn't resolve exactly.
      * @example
      * // example: create a Timezones instance with New York timezone
      * const tz = new Timezones("America/New_York");
@@ -33,18 +517,187 @@ export class Timezones {
      *
      * // example: create a Timezones instance with +5 hours & 30 minutes offset as string
      * const tz = new Timezones("+05:30"); // or just "+5"
+     *
+     * // example: fail fast on bad config
+     * const tz = new Timezones("Europe/WarZaw", { strict: true }); // throws UnknownTimeZoneError (did you mean Europe/Warsaw?)
+     */
+    constructor(default_offset?: string | number, { strict, prefer, clock }?: {
+        strict?: boolean;
+        prefer?: any;
+        clock?: Clock;
+    });
+    /**
+     * Switches this instance to another timezone in place and clears its caches.
+     * ZonedDateTime objects bound to this instance follow the new zone.
+     *
+     * @param {string|number|null} default_offset - Any value the constructor accepts ("Europe/Berlin", "+02:00", 2, null).
+     * @throws {TimezoneError} In strict mode, see the constructor. The instance is left unchanged.
+     * @example
+     * tz.setTimezone("Asia/Tokyo");
+     * console.log(tz.getLocation()); // output: "Asia/Tokyo"
+     */
+    setTimezone(default_offset: string | number | null): void;
+    /**
+     * Resolves an IANA timezone id to the id used by this library. Deprecated and alias ids from the
+     * tzdata "backward" file ("Asia/Calcutta", "US/Eastern", "GB") and zones merged into another zone
+     * ("Europe/Amsterdam") map to their current zone, as phones often report them.
+     *
+     * @param {string} id - An IANA timezone id.
+     * @returns {string|null} The canonical id, or null if the id is unknown.
+     * @example
+     * console.log(tz.canonicalize("Asia/Calcutta")); // output: "Asia/Kolkata"
+     * console.log(tz.canonicalize("US/Eastern")); // output: "America/New_York"
+     * console.log(tz.canonicalize("Europe/Paris")); // output: "Europe/Paris"
      */
-    constructor(default_offset?: string | number);
+    canonicalize(id: string): string | null;
     /**
-     * Gets the current date adjusted to the timezone of this instance.
+     * Resolves a timezone id, alias, country code, abbreviation or offset without throwing,
+     * and tells how it was resolved. This is what the constructor does with its argument,
+     * so typos that would be corrected silently show up as method "fuzzy" with their score.
      *
-     * @returns {Date} A Date object representing the current date and time in the set timezone.
+     * @param {string|number} identifier - Anything the constructor accepts.
+     * @returns {{tz_id: string, method: string, score: number, candidates?: string[]}|null} null if nothing matches.
+     *          method is one of:
+     *          - "exact" - a zone id of the database
+     *          - "alias" - an IANA alias, see canonicalize()
+     *          - "country" - a country code, resolved to its primary zone
+     *          - "abbreviation" - a zone abbreviation; candidates lists the zones it can stand for, best first (see resolveAbbreviation())
+     *          - "fuzzy" - the closest zone of the same continent, score (0..1) tells how close the city name is
+     *          - "offset" - a zone that has this offset, guessed from a number or an offset string
+     * @example
+     * tz.resolve("Asia/Calcutta"); // output: { tz_id: "Asia/Kolkata", method: "alias", score: 1 }
+     * tz.resolve("Europe/WarZaw"); // output: { tz_id: "Europe/Warsaw", method: "fuzzy", score: 0.833 }
+     * tz.resolve("IST"); // output: { tz_id: "Asia/Jerusalem", method: "abbreviation", score: 1, candidates: [ "Asia/Jerusalem", "Asia/Kolkata", "Europe/Dublin" ] }
+     * tz.resolve("+05:30"); // output: { tz_id: "Asia/Colombo", method: "offset", score: 1 }
+     * tz.resolve("Mars/Olympus"); // output: null
+     */
+    resolve(identifier: string | number): {
+        tz_id: string;
+        method: string;
+        score: number;
+        candidates?: string[];
+    };
+    /**
+     * Finds every zone an abbreviation can stand for and picks one by preference.
+     * Candidates are grouped per country and offset ("CST": United States -06:00, China +08:00, Cuba -05:00...),
+     * and ranked by the preference keys in this order: country, continent, closest offset, closest zone to a position.
+     * Without a preference, or on a tie, the meaning used by the most zones wins ("CST" is -06:00 in
+     * the United States, Mexico, Canada and Central America), then the country with the most zones using it,
+     * then the country with the most zones.
+     *
+     * @param {string} abbr - The abbreviation, e.g. "CST".
+     * @param {Object} [prefer] - The preference, defaults to the prefer option of the constructor.
+     * @param {string} [prefer.country] - ISO 3166 country code, e.g. "CN".
+     * @param {string} [prefer.continent] - Continent of the zone id, e.g. "Asia".
+     * @param {number|string} [prefer.offset] - Offset in hours (-6, 5.5), as "+05:30", or "device" for the offset of the device.
+     * @param {number} [prefer.lat] - Latitude of a position (GPS), with prefer.lon. Also picks the nearest zone of a country.
+     * @param {number} [prefer.lon] - Longitude of the position.
+     * @returns {{chosen: Object, alternatives: Object[]}|null} The chosen candidate and the others, best first, null for an unknown abbreviation.
+     *          Each candidate is { tz_id, country, offset_mins, is_dst }, plus distance_km with a position.
+     * @example
+     * tz.resolveAbbreviation("CST").chosen.tz_id; // output: "America/Chicago"
+     * tz.resolveAbbreviation("CST", { country: "CN" }).chosen.tz_id; // output: "Asia/Shanghai"
+     * tz.resolveAbbreviation("CST", { offset: "device" }).chosen.tz_id; // output: "Asia/Shanghai" (on a watch set to +08:00)
+     * tz.resolveAbbreviation("CST", { lat: 49.9, lon: -97.1 }).chosen.tz_id; // output: "America/Winnipeg"
+     * tz.resolveAbbreviation("IST", { continent: "Europe" }).alternatives.map(c => c.tz_id); // output: [ "Asia/Jerusalem", "Asia/Kolkata" ]
+     */
+    resolveAbbreviation(abbr: string, prefer?: {
+        country?: string;
+        continent?: string;
+        offset?: number | string;
+        lat?: number;
+        lon?: number;
+    }): {
+        chosen: any;
+        alternatives: any[];
+    } | null;
+    /**
+     * Gets the current date in the timezone of this instance.
+     *
+     * @returns {ZonedDateTime} A real Date (instanceof Date) that holds the true instant and reads/writes wall time of the set timezone.
      * @example
      * const tz = new Timezones("America/New_York");
      * const date = tz.getDate();
-     * console.log(date.toISOString()); // output: "2024-10-10T18:30:00.000Z"
+     * console.log(date.getHours()); // output: 14 (New York wall clock)
+     * console.log(date.toISOString()); // output: "2024-10-10T14:30:00.000-04:00"
+     * console.log(date.getTime() === Date.now()); // output: true (the instant is never shifted)
      */
-    getDate(): Date;
+    getDate(): ZonedDateTime;
+    /**
+     * Gets the UTC offset, abbreviation and DST status of this instance's timezone at a given instant.
+     *
+     * @param {Date} [date=this.getCurrentDate()] - The instant to resolve.
+     * @param {Timezones|string|null} [zone=null] - Another timezone (id or alias), resolved with the caches of this instance.
+     * @returns {{offset_mins: number, offset_str: string, tz_abbr: string, is_dst: boolean}} The zone state at that instant.
+     * @throws {UnknownTimeZoneError} If zone, or the timezone of this instance ("WrongCountry/WrongCity"), is an unknown id.
+     * @example
+     * const tz = new Timezones("Europe/Berlin");
+     * console.log(tz.getOffsetInfo(new Date('2025-07-01T12:00:00Z')));
+     * // output: { is_dst: true, offset_str: "+02:00", offset_mins: 120, tz_abbr: "CEST" }
+     * console.log(tz.getOffsetInfo(new Date('2025-07-01T12:00:00Z'), "Asia/Tokyo").offset_str); // output: "+09:00"
+     */
+    getOffsetInfo(date?: Date, zone?: Timezones | string | null): {
+        offset_mins: number;
+        offset_str: string;
+        tz_abbr: string;
+        is_dst: boolean;
+    };
+    /**
+     * Resolves a wall clock time in a timezone to the actual instant.
+     * Wall times that don't exist (spring-forward gap) or happen twice (fall-back overlap)
+     * are resolved by the disambiguation option, mirroring Temporal:
+     * - "compatible" (default) - gap: move forward by the gap length, overlap: the earlier instant
+     * - "earlier" - gap: move backward by the gap length, overlap: the earlier instant
+     * - "later" - gap: move forward by the gap length, overlap: the later instant
+     * - "reject" - throw on gaps and overlaps
+     *
+     * @param {number} year - The full year, e.g. 2025.
+     * @param {number} month - The month (1-12).
+     * @param {number} day - The day of the month (1-31).
+     * @param {number} [h=0] - The hour (0-23).
+     * @param {number} [m=0] - The minutes (0-59).
+     * @param {number} [s=0] - The seconds (0-59).
+     * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+     * @param {Object} [options={}] - Resolution options.
+     * @param {string} [options.disambiguation="compatible"] - compatible | earlier | later | reject
+     * @returns {ZonedDateTime} The resolved date bound to the zone.
+     * @throws {Error} If the wall time is in a gap or overlap and disambiguation is "reject".
+     * @example
+     * // 02:30 doesn't exist in New York on 2025-03-09 (clocks jump 02:00 -> 03:00)
+     * tz.fromLocal(2025, 3, 9, 2, 30, 0, "America/New_York").toString();
+     * // output: "Sun Mar 09 2025 03:30:00 GMT-04:00 (EDT)"
+     * tz.fromLocal(2025, 3, 9, 2, 30, 0, "America/New_York", { disambiguation: "earlier" }).toString();
+     * // output: "Sun Mar 09 2025 01:30:00 GMT-05:00 (EST)"
+     *
+     * // 01:30 happens twice on 2025-11-02
+     * tz.fromLocal(2025, 11, 2, 1, 30, 0, "America/New_York", { disambiguation: "later" }).toISOString();
+     * // output: "2025-11-02T01:30:00.000-05:00"
+     */
+    fromLocal(year: number, month: number, day: number, h?: number, m?: number, s?: number, zone?: Timezones | string | null, { disambiguation }?: {
+        disambiguation?: string;
+    }): ZonedDateTime;
+    /**
+     * Formats a date in a timezone. The pattern can use strftime (`%Y-%m-%d %H:%M %Z`)
+     * or Unicode/ICU tokens (`yyyy-MM-dd HH:mm zzz`), any "%" switches to strftime.
+     *
+     * strftime: %Y %y %C %G %g %m %B %b %h %d %e %o (ordinal day) %j %A %a %u %w %V %H %k %I %l %M %S %L (ms)
+     *           %p %P %Z %z %:z %s %F %D %T %R %r %c %n %t %%, "-" removes padding (%-d, %-H)
+     * ICU:      y yy yyyy Y (ISO week year) M MM MMM MMMM MMMMM LLLL (standalone) d dd do (ordinal) D DDD E EEE EEEE EEEEE
+     *           e (1-7, Monday = 1) Q QQ QQQ a h hh H HH k kk K KK m mm s ss S SS SSS w ww (ISO week)
+     *           z zzz (abbreviation) zzzz (zone name, else GMT offset) VV (zone id) VVVV (city) Z ZZZZ ZZZZZ X XX XXX x xx xxx O OOOO, 'quoted text'
+     * Names follow the locale of this instance, see setLocale().
+     *
+     * @param {Date} [date=this.getCurrentDate()] - The instant to format, a ZonedDateTime keeps its own zone.
+     * @param {string} [pattern="yyyy-MM-dd HH:mm:ss"] - strftime or ICU pattern.
+     * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+     * @returns {string} The formatted date.
+     * @example
+     * const date = new Date('2025-03-01T18:05:09Z');
+     * tz.format(date, '%Y-%m-%d %H:%M %Z', "America/New_York"); // output: "2025-03-01 13:05 EST"
+     * tz.format(date, "EEEE, MMMM do yyyy, h:mm a zzz", "America/New_York"); // output: "Saturday, March 1st 2025, 1:05 PM EST"
+     * tz.format(date, "yyyy-MM-dd'T'HH:mm:ssXXX 'week' w", "Asia/Kolkata"); // output: "2025-03-01T23:35:09+05:30 week 9"
+     */
+    format(date?: Date, pattern?: string, zone?: Timezones | string | null): string;
     /**
      * Gets the current time based on the default offset.
      *
@@ -86,10 +739,10 @@ export class Timezones {
      *
      * @param {Date} date - The date to convert.
      * @param {string} target_tz - The target timezone. Can be:
-     *        - IANA timezone identifier (e.g., "Asia/Tokyo")
+     *        - IANA timezone identifier (e.g., "Asia/Tokyo", or an alias like "Japan")
      *        - Offset in '±HH' format (e.g., "+09")
      * @returns {Date} The converted date.
-     * @throws {Error} If the timezone format is invalid.
+     * @throws {UnknownTimeZoneError} If the timezone is unknown.
      * @example
      * const date = new Date("2024-10-10T12:00:00Z");
      * const tokyo_time = tz.convertToTimeZone(date, 'Asia/Tokyo');
@@ -108,6 +761,8 @@ export class Timezones {
     /**
      * Clears the cached location and DST status.
      * Forces a recalculation of the location and DST status on the next call to getLocation() or getDaylightStatus().
+     * Not needed for the time passing: cached offsets and DST states expire at the next transition of their zone,
+     * and all caches are size limited, so long-running apps don't have to call it.
      *
      * @example
      * // execute if something doesn't look right
@@ -139,18 +794,207 @@ export class Timezones {
     };
     /**
      * Get detailed timezone information for a given identifier.
-     * @param {string} identifier - The timezone identifier (e.g., "America/New_York" or "US")
+     * @param {string} identifier - The timezone identifier (e.g., "America/New_York", an alias like "US/Eastern", or "US")
      * @returns {Object|null} An object containing timezone details, or null if not found
      */
     getTimezoneInfo(identifier: string): any | null;
+    /**
+     * Searches timezones by city, alternate city name ("Bombay", "Peking", "Saigon"), country or zone id.
+     * Matching ignores case, accents and spaces ("sao paulo", "NewYork"), ranks exact names over prefixes
+     * over words inside names, and tolerates typos and swapped letters ("Sao Paolo", "kolkatta").
+     * Zone and country names of the locale of this instance are searched too.
+     *
+     * @param {string} query - What the user typed.
+     * @param {Object} [options={}] - Search options.
+     * @param {number} [options.limit=10] - The maximum number of results.
+     * @returns {Array<{tz_id: string, name: string, score: number, country: string|null}>} The best match per zone,
+     *          best first. name is the name that matched, score goes from 0 to 1 (exact match).
+     * @example
+     * tz.search("bombay", { limit: 1 }); // output: [ { tz_id: "Asia/Kolkata", name: "Bombay", score: 1, country: "IN" } ]
+     * tz.search("Sao Paolo", { limit: 1 }); // output: [ { tz_id: "America/Sao_Paulo", name: "Sao Paulo", score: 0.622, country: "BR" } ]
+     */
+    search(query: string, { limit }?: {
+        limit?: number;
+    }): Array<{
+        tz_id: string;
+        name: string;
+        score: number;
+        country: string | null;
+    }>;
+    /**
+     * Lists the countries, sorted by their name in the locale of this instance.
+     *
+     * @returns {Array<{code: string, name: string}>} ISO 3166 codes with localized names.
+     * @example
+     * tz.getCountries().slice(0, 2); // output: [ { code: "AF", name: "Afghanistan" }, { code: "AX", name: "Åland Islands" } ]
+     */
+    getCountries(): Array<{
+        code: string;
+        name: string;
+    }>;
+    /**
+     * Gets the localized name of a country.
+     *
+     * @param {string} code - The ISO 3166 country code, e.g. "DE".
+     * @returns {string|null} The name in the locale of this instance (English if the pack has none), null for unknown codes.
+     * @example
+     * tz.setLocale("de");
+     * console.log(tz.getCountryName("CH")); // output: "Schweiz"
+     */
+    getCountryName(code: string): string | null;
+    /**
+     * Lists the timezones used in a country, the primary zone (the one of the capital or most people) first.
+     * Includes zones shared with other countries (LI -> Europe/Zurich, DK -> Europe/Berlin).
+     *
+     * @param {string} code - The ISO 3166 country code, e.g. "US".
+     * @returns {string[]} IANA ids, empty for unknown codes.
+     * @example
+     * console.log(tz.getZonesForCountry("ES")); // output: [ "Europe/Madrid", "Africa/Ceuta", "Atlantic/Canary" ]
+     * console.log(tz.getZonesForCountry("LI")); // output: [ "Europe/Zurich" ]
+     */
+    getZonesForCountry(code: string): string[];
+    /**
+     * Gets the primary timezone of a country: the zone of the capital or of most people.
+     *
+     * @param {string} code - The ISO 3166 country code, e.g. "RU".
+     * @returns {string|null} The IANA id, null for unknown codes.
+     * @example
+     * console.log(tz.getPrimaryZone("RU")); // output: "Europe/Moscow"
+     */
+    getPrimaryZone(code: string): string | null;
+    /**
+     * Gets the country a timezone belongs to. Zones serving several countries return their main country,
+     * see getCountriesForZone() for all of them.
+     *
+     * @param {string} tz_id - The IANA id, e.g. "Europe/Zurich".
+     * @returns {string|null} The ISO 3166 country code, null for zones without a country (Etc/UTC, EST5EDT...).
+     * @example
+     * console.log(tz.getCountryForZone("Europe/Zurich")); // output: "CH"
+     */
+    getCountryForZone(tz_id: string): string | null;
+    /**
+     * Lists all countries a timezone serves, the main country first.
+     *
+     * @param {string} tz_id - The IANA id, e.g. "Europe/Zurich".
+     * @returns {string[]} ISO 3166 country codes, empty for zones without a country.
+     * @example
+     * console.log(tz.getCountriesForZone("Europe/Zurich")); // output: [ "CH", "DE", "LI" ]
+     */
+    getCountriesForZone(tz_id: string): string[];
     /**
      * Finds the approximate timezone location based on given latitude and longitude.
      * Can be used along with a GPS module to create a generic locator.
+     * With a registered boundary pack (see RegisterBoundaries()) the point is looked up in the
+     * timezone borders, the nearest location is only used for points outside of them (offshore).
+     * See getApproxLocationInfo() for the options and for which method found the zone.
      * @param {number} latitude - The latitude of the location in decimal degrees.
      * @param {number} longitude - The longitude of the location in decimal degrees.
-     * @returns {string} The timezone `IANA` ID of the nearest location in the database.
+     * @param {Object} [options={}] - Lookup options, see getApproxLocationInfo().
+     * @returns {string} The timezone `IANA` ID of the zone containing the point, or of the nearest location in the database.
+     * @example
+     * Timezones.RegisterBoundaries(boundaries);
+     * console.log(tz.getApproxLocation(39.47, 75.99)); // output: "Asia/Urumqi" (Kashgar)
+     * console.log(tz.getApproxLocation(35.22, -101.83)); // output: "America/Chicago" (Amarillo)
+     * console.log(tz.getApproxLocation(30, -40, { nautical: true })); // output: "Etc/GMT+3" (mid Atlantic)
      */
-    getApproxLocation(latitude: number, longitude: number): string;
+    getApproxLocation(latitude: number, longitude: number, options?: any): string;
+    /**
+     * Same lookup as getApproxLocation(), but also tells which method found the zone:
+     * "boundary" (the point is inside a zone of the boundary pack), "nautical" (at sea, see options.nautical)
+     * or "nearest" (the nearest location in the database).
+     *
+     * @param {number} latitude - The latitude of the location in decimal degrees.
+     * @param {number} longitude - The longitude of the location in decimal degrees.
+     * @param {Object} [options={}] - Lookup options.
+     * @param {string} [options.distance="geodesic"] - How the nearest location is found: "geodesic" (great-circle distance,
+     *        safe near the poles and across the antimeridian) or "manhattan" (|Δlat| + |Δlon| on degrees, the old behaviour).
+     * @param {boolean} [options.nautical=false] - Returns the nautical zone (Etc/GMT±N, 15° bands of longitude) for points at sea.
+     * @param {number} [options.max_land_km=5] - Points further than this from land are at sea. With a boundary pack, land
+     *        is the zone borders, which include the territorial waters (5 km covers their simplification), without one
+     *        it is the nearest location in the database, so use a larger value (e.g. 300).
+     * @returns {{tz_id: string, method: string, distance_km: number|null}} The zone, the method and, for "nearest",
+     *          the great-circle distance to that location.
+     * @example
+     * console.log(tz.getApproxLocationInfo(30, -40, { nautical: true, max_land_km: 300 }));
+     * // output: { tz_id: "Etc/GMT+3", method: "nautical", distance_km: null }
+     * console.log(tz.getApproxLocationInfo(51.5072, 0.1276));
+     * // output: { tz_id: "Europe/London", method: "nearest", distance_km: 18.9 }
+     */
+    getApproxLocationInfo(latitude: number, longitude: number, { distance, nautical, max_land_km }?: {
+        distance?: string;
+        nautical?: boolean;
+        max_land_km?: number;
+    }): {
+        tz_id: string;
+        method: string;
+        distance_km: number | null;
+    };
+    /**
+     * Finds the k timezone locations closest to a point by great-circle distance.
+     * Works across the antimeridian and near the poles, boundary packs are not used.
+     *
+     * @param {number} latitude - The latitude of the point in decimal degrees.
+     * @param {number} longitude - The longitude of the point in decimal degrees.
+     * @param {number} [k=5] - The number of locations to return, rounded down. Below 1 returns an empty array.
+     * @returns {Array<{tz_id: string, code: string, lat: number, lon: number, distance_km: number, bearing: number}>}
+     *          The locations ordered by distance. bearing is the initial course from the point in degrees (0 = north, 90 = east).
+     * @example
+     * const nearest = tz.getNearestLocations(-16.5, -179.9, 2); // over the Pacific, east of Fiji
+     * console.log(nearest.map(n => `${n.tz_id} ${Math.round(n.distance_km)} km ${Math.round(n.bearing)}°`));
+     * // output: [ "Pacific/Fiji 214 km 212°", "Pacific/Tongatapu 717 km 137°" ]
+     */
+    getNearestLocations(latitude: number, longitude: number, k?: number): Array<{
+        tz_id: string;
+        code: string;
+        lat: number;
+        lon: number;
+        distance_km: number;
+        bearing: number;
+    }>;
+    /**
+     * Lists every UTC offset change of a timezone in a date range.
+     *
+     * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+     * @param {Date} [from=this.getCurrentDate()] - Start of the range (inclusive).
+     * @param {Date} [to=null] - End of the range (exclusive), defaults to one year after `from`.
+     * @returns {Array<{time: Date, offset_before: number, offset_after: number, abbr_before: string, abbr_after: string, is_dst: boolean}>}
+     *          The transitions in chronological order. Offsets are in minutes, is_dst is the status after the change.
+     * @example
+     * const changes = tz.getTransitions("Europe/Berlin", new Date('2025-01-01'), new Date('2026-01-01'));
+     * console.log(changes.map(t => `${t.time.toISOString()} ${t.abbr_before} -> ${t.abbr_after}`));
+     * // output: [ "2025-03-30T01:00:00.000Z CET -> CEST", "2025-10-26T01:00:00.000Z CEST -> CET" ]
+     */
+    getTransitions(zone?: Timezones | string | null, from?: Date, to?: Date): Array<{
+        time: Date;
+        offset_before: number;
+        offset_after: number;
+        abbr_before: string;
+        abbr_after: string;
+        is_dst: boolean;
+    }>;
+    /**
+     * Gets the last UTC offset change at or before a given date.
+     *
+     * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+     * @param {Date} [date=this.getCurrentDate()] - The date to look back from.
+     * @returns {Object|null} A transition (see getTransitions()), or null if the zone has none since 1970.
+     * @example
+     * Timezones.SetCurrentDate(new Date('2025-07-01T12:00:00Z'));
+     * const last = tz.getPreviousTransition("America/New_York");
+     * console.log(last.time.toISOString(), last.abbr_after); // output: 2025-03-09T07:00:00.000Z EDT
+     */
+    getPreviousTransition(zone?: Timezones | string | null, date?: Date): any | null;
+    /**
+     * Gets the first UTC offset change after a given date.
+     *
+     * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+     * @param {Date} [date=this.getCurrentDate()] - The date to look ahead from.
+     * @returns {Object|null} A transition (see getTransitions()), or null if no more changes are known.
+     * @example
+     * const next = tz.getNextTransition("Australia/Sydney", new Date('2025-07-01T00:00:00Z'));
+     * console.log(next.time.toISOString(), next.is_dst); // output: 2025-10-04T16:00:00.000Z true
+     */
+    getNextTransition(zone?: Timezones | string | null, date?: Date): any | null;
     /**
      * Get the time until the next DST change (either on or off).
      * @returns {Object|null} An object containing the next DST change date and the time until that change, or null if the timezone doesn't observe DST.
@@ -188,5 +1032,433 @@ export class Timezones {
      * tz.formatTimeUntilNextDstChange();
      */
     formatTimeUntilNextDstChange(): string;
+    /**
+     * Formats a duration in the locale of this instance. The sign is ignored, see formatRelative() for past/future.
+     * Months and years have a fixed length of 30 and 365 days.
+     *
+     * @param {number} ms - The duration in milliseconds.
+     * @param {Object} [options={}] - Formatting options.
+     * @param {string} [options.style="long"] - "long" ("3 days, 4 hours"), "short" ("3 days, 4 hr") or "compact" ("3d 4h").
+     * @param {string[]} [options.units=["day", "hour", "minute", "second"]] - The units to use, any of
+     *        "year", "month", "week", "day", "hour", "minute", "second".
+     * @param {number} [options.max_units=Infinity] - The maximum number of units shown, counted from the largest non-zero one.
+     * @param {string} [options.rounding="floor"] - How the smallest shown unit is rounded: "floor", "round" or "ceil".
+     * @param {boolean} [options.show_zero=false] - Shows all units, including leading and inner zeros.
+     * @returns {string} The formatted duration.
+     * @throws {Error} If a unit or rounding mode is unknown.
+     * @example
+     * tz.formatDuration(277500000); // output: "3 days, 5 hours, and 5 minutes"
+     * tz.formatDuration(277500000, { style: "compact", max_units: 2 }); // output: "3d 5h"
+     * tz.formatDuration(277500000, { units: ["hour"], rounding: "round" }); // output: "77 hours"
+     */
+    formatDuration(ms: number, { style, units, max_units, rounding, show_zero }?: {
+        style?: string;
+        units?: string[];
+        max_units?: number;
+        rounding?: string;
+        show_zero?: boolean;
+    }): string;
+    /**
+     * Formats a date relative to now (or another base date): "in 3 days", "2 hours ago".
+     *
+     * @param {Date} date - The date to describe.
+     * @param {Object} [options={}] - Formatting options.
+     * @param {Date} [options.base=this.getCurrentDate()] - The date to compare with.
+     * @param {string|null} [options.unit=null] - Forces a unit, by default the largest unit that fits at least once after rounding (59.6 minutes is "in 1 hour").
+     * @param {string} [options.rounding="round"] - How the value is rounded: "floor", "round" or "ceil".
+     * @param {string} [options.numeric="always"] - "auto" uses words where the locale has them ("now", "today", "tomorrow", "yesterday").
+     * @returns {string} The relative time.
+     * @throws {Error} If the unit or rounding mode is unknown.
+     * @example
+     * const base = new Date('2025-03-01T12:00:00Z');
+     * tz.formatRelative(new Date('2025-03-04T13:00:00Z'), { base }); // output: "in 3 days"
+     * tz.formatRelative(new Date('2025-03-01T10:00:00Z'), { base }); // output: "2 hours ago"
+     * tz.formatRelative(new Date('2025-03-02T12:00:00Z'), { base, numeric: "auto" }); // output: "tomorrow"
+     */
+    formatRelative(date: Date, { base, unit, rounding, numeric }?: {
+        base?: Date;
+        unit?: string | null;
+        rounding?: string;
+        numeric?: string;
+    }): string;
+    /**
+     * Formats a date as a calendar day plus time, based on the wall dates in this timezone:
+     * "today at 09:00", "tomorrow at 09:00", "yesterday at 18:30", "Friday at 09:00" (within the next week),
+     * and the full date for anything else.
+     *
+     * @param {Date} date - The date to describe, a ZonedDateTime keeps its own zone.
+     * @param {Object} [options={}] - Formatting options.
+     * @param {Date} [options.base=this.getCurrentDate()] - The date to compare with.
+     * @param {string} [options.time_pattern="HH:mm"] - format() pattern for the time.
+     * @param {string} [options.date_pattern="yyyy-MM-dd"] - format() pattern for dates further away.
+     * @returns {string} The calendar string.
+     * @example
+     * const tz = new Timezones("Europe/Berlin");
+     * const base = new Date('2025-03-01T12:00:00Z');
+     * tz.formatCalendar(new Date('2025-03-02T08:00:00Z'), { base }); // output: "tomorrow at 09:00"
+     * tz.formatCalendar(new Date('2025-03-05T08:00:00Z'), { base }); // output: "Wednesday at 09:00"
+     * tz.formatCalendar(new Date('2025-02-20T08:00:00Z'), { base }); // output: "2025-02-20 at 09:00"
+     */
+    formatCalendar(date: Date, { base, time_pattern, date_pattern }?: {
+        base?: Date;
+        time_pattern?: string;
+        date_pattern?: string;
+    }): string;
+    /**
+     * Sets the locale used by this instance. English is built in, other locales must be registered first.
+     *
+     * @param {string} code - The locale code, e.g. "de".
+     * @throws {Error} If the locale was not registered.
+     * @example
+     * tz.setLocale("ja");
+     * tz.format(new Date(), "MMMM d EEEE"); // output: "3月 1 土曜日"
+     */
+    setLocale(code: string): void;
+    /**
+     * Gets the locale used by this instance.
+     * @returns {string} The locale code, e.g. "en".
+     */
+    getLocale(): string;
+    /**
+     * Gets the localized display name of a timezone.
+     *
+     * @param {Timezones|string|null} [zone=null] - The timezone, defaults to the one of this instance.
+     * @param {Object} [options={}] - Display options.
+     * @param {string} [options.style="city"] - "city" for the city/region ("New York", "Deutschland"),
+     *        "long" for the zone name ("Nordamerikanische Ostküstenzeit").
+     * @returns {string} The display name, falls back to the city part of the IANA id.
+     * @example
+     * tz.setLocale("de");
+     * console.log(tz.getZoneName("America/New_York")); // output: "New York"
+     * console.log(tz.getZoneName("Europe/Berlin", { style: "long" })); // output: "Mitteleuropäische Zeit"
+     */
+    getZoneName(zone?: Timezones | string | null, { style }?: {
+        style?: string;
+    }): string;
+    /**
+     * Sets the clock of this instance, it overrides the global clock. Clears the caches.
+     *
+     * @param {Clock|null} clock - The clock, null to follow the global clock again.
+     * @example
+     * tz.setClock(Clock.Timelapse("2025-10-26T00:55:00Z", 60)); // Berlin falls back to 02:00 in five real seconds
+     */
+    setClock(clock: Clock | null): void;
+    /**
+     * Gets the current date of the clock of this instance, all getters use it.
+     * @returns {Date} The current date or simulated date.
+     */
+    getCurrentDate(): Date;
     #private;
 }
+/**
+ * A Date bound to a timezone. Holds the true instant (getTime(), valueOf() and all getUTC* methods
+ * behave like a native Date) while the local getters/setters work with the wall time of the zone.
+ * DST is re-resolved after every mutation.
+ *
+ * @class
+ * @extends Date
+ */
+export class ZonedDateTime extends Date {
+    static "__#3@#UNIT_MS": {
+        week: number;
+        day: number;
+        hour: number;
+        minute: number;
+        second: number;
+        millisecond: number;
+    };
+    /**
+     * Creates a ZonedDateTime.
+     *
+     * @constructor
+     * @param {Date|number|null} [date=null] - The instant (Date or epoch milliseconds), defaults to the current date of the zone's clock.
+     * @param {Timezones|string|number} [zone=null] - A Timezones instance or anything its constructor accepts.
+     * @example
+     * const zdt = new ZonedDateTime(new Date('2025-03-09T12:00:00Z'), "America/New_York");
+     * console.log(zdt.getHours()); // output: 8
+     * console.log(zdt instanceof Date); // output: true
+     */
+    constructor(date?: Date | number | null, zone?: Timezones | string | number);
+    /** @returns {Timezones} The timezone this date is bound to */
+    getZone(): Timezones;
+    /** @returns {string} The IANA timezone identifier, e.g. "America/New_York" */
+    getTimezoneId(): string;
+    /** @returns {string} The timezone abbreviation in effect at this instant, e.g. "EDT" */
+    getTimezoneAbbr(): string;
+    /** @returns {boolean} True if DST is in effect at this instant */
+    isDst(): boolean;
+    /** @returns {number} The new time value. Sets the year (and optionally month, day) in the zone */
+    setFullYear(...args: any[]): number;
+    /** @returns {number} The new time value. Sets the month (and optionally day) in the zone */
+    setMonth(...args: any[]): number;
+    /** @returns {number} The new time value. Sets the day of the month in the zone */
+    setDate(...args: any[]): number;
+    /** @returns {number} The new time value. Sets the hours (and optionally minutes, seconds, ms) in the zone */
+    setHours(...args: any[]): number;
+    /** @returns {number} The new time value. Sets the minutes (and optionally seconds, ms) in the zone */
+    setMinutes(...args: any[]): number;
+    /** @returns {number} The new time value. Sets the seconds (and optionally ms) in the zone */
+    setSeconds(...args: any[]): number;
+    /** @returns {number} The new time value. Sets the milliseconds in the zone */
+    setMilliseconds(...args: any[]): number;
+    /**
+     * Returns a new ZonedDateTime moved forward by the given amount.
+     * Calendar units (years, months, weeks, days) keep the wall clock time across DST changes,
+     * exact units (hours and below) move the instant. Month ends are clamped (Jan 31 + 1 month -> Feb 28/29).
+     *
+     * @param {number} amount - The amount to add (may be negative).
+     * @param {string} unit - years | months | weeks | days | hours | minutes | seconds | milliseconds (singular works too).
+     * @returns {ZonedDateTime} A new instance, this one is left untouched.
+     * @example
+     * // the alarm stays at 07:00 even though the night before DST starts is only 23 hours long
+     * const alarm = tz.getDate();
+     * alarm.setHours(7, 0, 0, 0);
+     * const next_alarm = alarm.add(1, 'day');
+     */
+    add(amount: number, unit: string): ZonedDateTime;
+    /**
+     * Returns a new ZonedDateTime moved backward by the given amount. See add().
+     *
+     * @param {number} amount - The amount to subtract.
+     * @param {string} unit - years | months | weeks | days | hours | minutes | seconds | milliseconds.
+     * @returns {ZonedDateTime} A new instance.
+     */
+    subtract(amount: number, unit: string): ZonedDateTime;
+    /**
+     * Compares the instants of two dates.
+     *
+     * @param {Date|number} other - A Date, ZonedDateTime or epoch milliseconds.
+     * @returns {number} -1 if this is earlier, 1 if later, 0 if both are the same instant.
+     * @example
+     * dates.sort((a, b) => a.compare(b));
+     */
+    compare(other: Date | number): number;
+    /** @param {Date|number} other @returns {boolean} True if this is earlier than other */
+    isBefore(other: Date | number): boolean;
+    /** @param {Date|number} other @returns {boolean} True if this is later than other */
+    isAfter(other: Date | number): boolean;
+    /** @param {Date|number} other @returns {boolean} True if both are the same instant */
+    equals(other: Date | number): boolean;
+    /** @returns {ZonedDateTime} A copy bound to the same zone */
+    clone(): ZonedDateTime;
+    /**
+     * Formats this date in its zone, see Timezones.format() for the pattern tokens.
+     *
+     * @param {string} [pattern="yyyy-MM-dd HH:mm:ss"] - strftime or ICU pattern.
+     * @returns {string} The formatted date.
+     * @example
+     * tz.getDate().format('%a %-d %b, %H:%M'); // output: "Sat 1 Mar, 13:05"
+     */
+    format(pattern?: string): string;
+    /** @returns {Date} A native Date with the same instant */
+    toDate(): Date;
+    /** @returns {string} Same as toISOString() */
+    toJSON(): string;
+    /** @returns {string} Same as toString(), ZeppOS has no locale data */
+    toLocaleString(): string;
+    #private;
+}
+/**
+ * Follows the timezone of a moving device from a stream of GPS fixes and keeps a Timezones instance up to date.
+ * A new zone is only taken after it was seen in `confirmations` fixes in a row and for at least `min_dwell_ms`,
+ * so a track running along a border doesn't flap between two zones.
+ *
+ * @class
+ * @example
+ * const tz = new Timezones("Europe/Berlin");
+ * const tracker = new ZoneTracker(tz, { confirmations: 3 });
+ * tracker.on("zonechange", (e) => console.log(`${e.old_zone} -> ${e.new_zone}`, e.new_offset));
+ * // feed live fixes: tracker.update(lat, lon) or a recorded track:
+ * tracker.replay([[52.52, 13.40, "2025-06-01T10:00:00Z"], [48.86, 2.35, "2025-06-01T12:00:00Z"], ...]);
+ */
+export class ZoneTracker {
+    /**
+     * @param {Timezones} [tz=new Timezones()] - The instance to update in place, defaults to the device timezone.
+     * @param {Object} [options={}] - Tracking options.
+     * @param {number} [options.confirmations=3] - Fixes in a row that must agree on a new zone before it is taken.
+     * @param {number} [options.min_dwell_ms=0] - Time (between fix timestamps) a new zone must last before it is taken.
+     * @param {Object} [options.lookup={}] - Options for getApproxLocationInfo(), e.g. { nautical: true }.
+     */
+    constructor(tz?: Timezones, { confirmations, min_dwell_ms, lookup }?: {
+        confirmations?: number;
+        min_dwell_ms?: number;
+        lookup?: any;
+    });
+    /**
+     * Adds a listener. Events: "zonechange" with { old_zone, new_zone, old_offset, new_offset, time, lat, lon, method },
+     * offsets in minutes at the time of the fix.
+     *
+     * @param {string} event - The event name.
+     * @param {Function} callback - The listener.
+     * @returns {ZoneTracker} This tracker, for chaining.
+     */
+    on(event: string, callback: Function): ZoneTracker;
+    /**
+     * Removes a listener added with on().
+     *
+     * @param {string} event - The event name.
+     * @param {Function} callback - The listener.
+     * @returns {ZoneTracker} This tracker, for chaining.
+     */
+    off(event: string, callback: Function): ZoneTracker;
+    /**
+     * Processes a GPS fix.
+     *
+     * @param {number} latitude - The latitude in decimal degrees.
+     * @param {number} longitude - The longitude in decimal degrees.
+     * @param {Date} [time=tz.getCurrentDate()] - When the fix was taken, defaults to the clock of the tracked instance.
+     * @returns {string} The tracked zone after this fix.
+     */
+    update(latitude: number, longitude: number, time?: Date): string;
+    /**
+     * Feeds a recorded track, fix by fix. Useful for tests without a real sensor.
+     *
+     * @param {Array<Array|Object>} track - Fixes as [lat, lon, time] or { lat, lon, time }, time as Date, ISO string or epoch ms.
+     * @returns {string} The tracked zone after the last fix.
+     */
+    replay(track: Array<any[] | any>): string;
+    /**
+     * Gets the Timezones instance this tracker updates.
+     * @returns {Timezones} The tracked instance.
+     */
+    getTimezones(): Timezones;
+    #private;
+}
+/**
+ * An ordered set of timezones for world clock apps. All zones are computed from one instant in a single
+ * pass with one shared Timezones instance (one set of caches), compared against a local zone.
+ *
+ * @class
+ * @example
+ * const clock = new WorldClock(["America/New_York", "Asia/Tokyo", "IST"], { local: "Europe/Berlin" });
+ * clock.sortByOffset();
+ * for (const t of clock.getTimes()) console.log(`${t.name} ${t.time} ${t.day_label}`);
+ * // output: "New York 08:41 ", "Jerusalem 15:41 ", "Tokyo 22:41 " (14:41 in Berlin, winter)
+ */
+export class WorldClock {
+    /**
+     * Restores a clock saved with toJSON().
+     *
+     * @param {string|Object} json - The saved clock, as a JSON string or object.
+     * @param {Object} [options={}] - The constructor options, options.local overrides the saved local zone.
+     * @returns {WorldClock} The restored clock.
+     * @example
+     * const clock = WorldClock.fromJSON(settings.getItem("world_clock"));
+     */
+    static fromJSON(json: string | any, options?: any): WorldClock;
+    /**
+     * @param {Array<string|{tz_id: string, label?: string}>} [zones=[]] - The zones, anything add() accepts.
+     * @param {Object} [options={}] - Clock options.
+     * @param {string|null} [options.local=null] - The zone the others are compared to, defaults to the zone of options.tz.
+     * @param {Timezones} [options.tz=new Timezones()] - The shared instance: device timezone, locale and abbreviation preference.
+     * @throws {UnknownTimeZoneError} If a zone is unknown.
+     */
+    constructor(zones?: Array<string | {
+        tz_id: string;
+        label?: string;
+    }>, { local, tz }?: {
+        local?: string | null;
+        tz?: Timezones;
+    });
+    /**
+     * Adds a zone at the end. Zones already in the clock are not added twice.
+     *
+     * @param {string} zone - Zone id, alias ("Asia/Calcutta"), country code ("JP") or abbreviation ("IST").
+     * @param {string|null} [label=null] - A custom name ("Office"), defaults to the localized city name.
+     * @returns {WorldClock} This clock, for chaining.
+     * @throws {UnknownTimeZoneError} If the zone is unknown, typos carry a suggestion.
+     */
+    add(zone: string, label?: string | null): WorldClock;
+    /**
+     * Removes a zone.
+     *
+     * @param {string} zone - The zone, as for add().
+     * @returns {boolean} True if the zone was in the clock.
+     */
+    remove(zone: string): boolean;
+    /**
+     * Moves a zone to another position, e.g. after drag and drop.
+     *
+     * @param {string} zone - The zone, as for add().
+     * @param {number} index - The new position, clamped to the list.
+     * @returns {WorldClock} This clock, for chaining.
+     */
+    move(zone: string, index: number): WorldClock;
+    /**
+     * @param {string} zone - The zone, as for add().
+     * @returns {boolean} True if the zone is in the clock.
+     */
+    has(zone: string): boolean;
+    /** @returns {number} The number of zones. */
+    get size(): number;
+    /**
+     * Lists the zones in display order.
+     * @returns {Array<{tz_id: string, label: string|null}>} The zones and their custom labels.
+     */
+    getZones(): Array<{
+        tz_id: string;
+        label: string | null;
+    }>;
+    /**
+     * Sets the zone the others are compared to.
+     *
+     * @param {string|null} zone - The zone, as for add(), or null for the zone of the shared instance.
+     * @returns {WorldClock} This clock, for chaining.
+     */
+    setLocal(zone: string | null): WorldClock;
+    /**
+     * Orders the zones from west to east by their offset at an instant, zones with the same offset by name.
+     *
+     * @param {Date} [date=tz.getCurrentDate()] - The instant, offsets change with DST.
+     * @returns {WorldClock} This clock, for chaining.
+     */
+    sortByOffset(date?: Date): WorldClock;
+    /**
+     * Computes the wall time of every zone at one instant.
+     *
+     * @param {Date} [date=tz.getCurrentDate()] - The instant, defaults to the clock of the shared instance.
+     * @param {Object} [options={}] - Output options.
+     * @param {string} [options.day_labels="words"] - "words" ("tomorrow", "yesterday", localized) or "offset" ("+1 day", "-1 day").
+     *        Zones on the same day as the local zone get an empty label.
+     * @returns {Array<Object>} One entry per zone in display order: { tz_id, name, label, year, month (1-12), day, weekday (0 = Sunday),
+     *          hours, minutes, seconds, time ("HH:mm"), offset_mins, offset_str, tz_abbr, is_dst, diff_mins (to local),
+     *          day_diff (calendar days to local), day_label, same_as_local (same wall clock as local) }.
+     * @example
+     * const clock = new WorldClock(["Asia/Tokyo", "America/Los_Angeles"], { local: "Europe/London" });
+     * clock.getTimes(new Date("2025-03-01T23:30:00Z")).map(t => `${t.name} ${t.time} ${t.day_label}`);
+     * // output: [ "Tokyo 08:30 tomorrow", "Los Angeles 15:30 " ]
+     */
+    getTimes(date?: Date, { day_labels }?: {
+        day_labels?: string;
+    }): Array<any>;
+    /**
+     * Serializes the clock, e.g. for the settings storage. JSON.stringify(clock) works too.
+     * @returns {{local: string|null, zones: Array<{tz_id: string, label: string|null}>}} The zones and the local zone.
+     */
+    toJSON(): {
+        local: string | null;
+        zones: Array<{
+            tz_id: string;
+            label: string | null;
+        }>;
+    };
+    #private;
+}
+/**
+ * Computes the checksum of a timezone database pack, for the side service or a build script that creates packs
+ * for Timezones.InstallDatabase(): FNV-1a (32 bit) over the UTF-16 code units of the JSON text of
+ * [format, version, zones, history, links].
+ *
+ * @param {{format: number, version: string, zones: Array, history: Object, links?: Object|null}} pack - The pack, without its checksum.
+ * @returns {string} The checksum, 8 hex digits.
+ * @example
+ * const pack = { format: 1, version: "2025c", zones, history, links: null };
+ * pack.checksum = getDatabaseChecksum(pack);
+ */
+export function getDatabaseChecksum({ format, version, zones, history, links }: {
+    format: number;
+    version: string;
+    zones: any[];
+    history: any;
+    links?: any | null;
+}): string;